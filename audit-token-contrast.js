@@ -0,0 +1,642 @@
+#!/usr/bin/env node
+
+/**
+ * Token Contrast Audit
+ *
+ * Checks that foreground colours still meet contrast against their background
+ * in every theme × colour and theme × status combination of the processed
+ * component theme tokens.
+ *
+ * Usage:
+ *   npm run tokens:audit-contrast
+ *   node audit-token-contrast.js --level AAA
+ *   node audit-token-contrast.js --apca --format markdown
+ *   node audit-token-contrast.js --max-failures 10
+ *   node audit-token-contrast.js --baseline HEAD
+ *
+ * Pairs:
+ * - Foregrounds are text colours (`colour`, `label-colour`, `colour-muted`, …)
+ *   and non-text colours (`border-colour`, `icon/colour`, `indicator-colour`, …)
+ * - Each is paired with the `*background-colour` tokens of its nearest parent
+ *   that has any, e.g. `button/primary/rest/colour` with
+ *   `button/primary/rest/background-colour`. The default text colours are
+ *   paired with the default container background. Other foregrounds have no
+ *   known background and are not checked
+ * - Disabled states are exempt from WCAG contrast and are not checked, nor are
+ *   borders and indicators the same colour as their background
+ * - `{token.path}` references (from `--references`) are resolved from the
+ *   other token files in the same directory
+ *
+ * Thresholds:
+ *   WCAG 2.x  AA: 4.5:1 text, 3:1 non-text    AAA: 7:1 text, 4.5:1 non-text
+ *   APCA      Lc 60 text, Lc 45 non-text (with --apca)
+ *
+ * Exits with 1 when more than --max-failures pairs fail (default: 0). With
+ * --baseline, only pairs with checks that also passed (or did not exist) at
+ * that git ref count, so existing failures don't block a sync.
+ */
+
+const { execFileSync } = require('node:child_process');
+const fs = require('fs');
+const path = require('path');
+
+const TOKENS_PATH = './tokens/component-themes.json';
+const FORMATS = ['text', 'json', 'markdown'];
+
+const WCAG_THRESHOLDS = {
+  AA: { text: 4.5, 'non-text': 3 },
+  AAA: { text: 7, 'non-text': 4.5 },
+};
+
+const APCA_THRESHOLDS = { text: 60, 'non-text': 45 };
+
+// Foregrounds with no background of their own, by name prefix, and the
+// background they are designed for
+const SURFACE_PAIRS = [
+  { prefix: 'text/default/', background: 'container/default/background-colour' },
+];
+
+const HEX_COLOUR = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i;
+const RGB_COLOUR = /^rgb\((\d{1,3}) (\d{1,3}) (\d{1,3}) \/ ([\d.]+)\)$/;
+const REFERENCE = /^\{([^{}]+)\}$/;
+
+// Written by fetch-figma-tokens.js next to the token files, not a token file
+const RAW_FILE = 'figma-variables-raw.json';
+
+function parseArgs(argv) {
+  const args = {
+    file: TOKENS_PATH,
+    level: 'AA',
+    apca: false,
+    maxFailures: 0,
+    baseline: null,
+    format: 'text',
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === '--file' && argv[i + 1]) {
+      args.file = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--level' && argv[i + 1]) {
+      args.level = argv[i + 1].toUpperCase();
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--apca') {
+      args.apca = true;
+      continue;
+    }
+
+    if (arg === '--max-failures' && argv[i + 1]) {
+      args.maxFailures = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--baseline' && argv[i + 1]) {
+      args.baseline = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--format' && argv[i + 1]) {
+      args.format = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log('Audit foreground/background contrast of the component theme tokens.');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --file <path>         Token file to audit (default: ${TOKENS_PATH})`);
+  console.log('  --level <AA|AAA>      WCAG 2.x conformance level (default: AA)');
+  console.log('  --apca                Also check APCA lightness contrast');
+  console.log(
+    '  --max-failures <n>    Failing pairs allowed before exiting 1 (default: 0)',
+  );
+  console.log(
+    '  --baseline <git-ref>  Only count checks that pass at this ref, e.g. HEAD',
+  );
+  console.log(
+    `  --format <format>     Output format: ${FORMATS.join(', ')} (default: text)`,
+  );
+  console.log('  --help, -h            Show this help');
+}
+
+function runGit(args) {
+  try {
+    // The component themes file is several MB, well over the default buffer
+    return execFileSync('git', args, {
+      encoding: 'utf8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (error) {
+    const stderr = String(error?.stderr ?? '').trim();
+    const message = stderr || error.message || `Failed to run git ${args[0]}`;
+    throw new Error(message);
+  }
+}
+
+/**
+ * Reads the audited token file and every token file in its directory, from
+ * the working tree or, with a ref, from git. Returns null for the data when
+ * the file doesn't exist at the ref.
+ */
+function readTokenFiles(file, ref = null) {
+  const dir = path.dirname(file);
+  const isTokenFile = (name) =>
+    name.endsWith('.json') && path.basename(name) !== RAW_FILE;
+
+  if (!ref) {
+    const readFile = (name) => JSON.parse(fs.readFileSync(name, 'utf8'));
+
+    return {
+      data: readFile(file),
+      files: fs
+        .readdirSync(dir)
+        .filter(isTokenFile)
+        .map((name) => readFile(path.join(dir, name))),
+    };
+  }
+
+  const names = runGit(['ls-tree', '--name-only', String(ref), `${path.normalize(dir)}/`])
+    .split('\n')
+    .filter(isTokenFile);
+  const readAtRef = (name) => JSON.parse(runGit(['show', `${ref}:${name}`]));
+
+  return {
+    data: names.includes(path.normalize(file)) ? readAtRef(path.normalize(file)) : null,
+    files: names.map(readAtRef),
+  };
+}
+
+/**
+ * Indexes the values of every token in the given token files by their
+ * reference path, e.g. `colour.greyscale.900`
+ */
+function indexReferences(files) {
+  const references = new Map();
+
+  const walk = (node, currentPath) => {
+    if ('value' in node || '$value' in node) {
+      references.set(currentPath.join('.'), '$value' in node ? node.$value : node.value);
+      return;
+    }
+
+    Object.entries(node)
+      .filter(
+        ([key, child]) => !key.startsWith('$') && child && typeof child === 'object',
+      )
+      .forEach(([key, child]) => walk(child, [...currentPath, key]));
+  };
+
+  files.forEach((data) => walk(data, []));
+  return references;
+}
+
+/**
+ * Follows `{token.path}` references to a value, or null when one can't be
+ * resolved
+ */
+function resolveValue(value, references, seen = new Set()) {
+  const match = typeof value === 'string' && value.match(REFERENCE);
+  if (!match) return value;
+
+  const [, reference] = match;
+  if (seen.has(reference) || !references.has(reference)) return null;
+
+  return resolveValue(
+    references.get(reference),
+    references,
+    new Set([...seen, reference]),
+  );
+}
+
+/**
+ * Collects the colour tokens of a component themes file as
+ * `theme/mode` -> token name -> hex or rgb() value, resolving references
+ */
+function collectCombinations(data, references = new Map()) {
+  const combinations = new Map();
+
+  const walk = (node, currentPath) => {
+    if ('value' in node || '$value' in node) {
+      const type = '$type' in node ? node.$type : node.type;
+      const value = resolveValue('$value' in node ? node.$value : node.value, references);
+      if (type !== 'color' || !(HEX_COLOUR.test(value) || RGB_COLOUR.test(value))) {
+        return;
+      }
+
+      const name = currentPath.slice(0, -2).join('/');
+      const combination = currentPath.slice(-2).join('/');
+
+      if (!combinations.has(combination)) {
+        combinations.set(combination, new Map());
+      }
+      combinations.get(combination).set(name, value);
+      return;
+    }
+
+    Object.entries(node)
+      .filter(
+        ([key, child]) => !key.startsWith('$') && child && typeof child === 'object',
+      )
+      .forEach(([key, child]) => walk(child, [...currentPath, key]));
+  };
+
+  walk(data, []);
+  return combinations;
+}
+
+function isBackground(name) {
+  return name.split('/').pop().includes('background-colour');
+}
+
+/**
+ * Returns 'text', 'non-text', or null for colours that aren't checked
+ */
+function getForegroundKind(name) {
+  const segments = name.split('/');
+  const last = segments[segments.length - 1];
+
+  if (segments.includes('disabled') || isBackground(name)) return null;
+
+  if (
+    /border-colour|indicator-colour|indicator$/.test(last) ||
+    segments.includes('icon') ||
+    segments.includes('indicator') ||
+    segments.some((segment) => /^sep[ae]rator$/.test(segment))
+  ) {
+    return last.endsWith('colour') ? 'non-text' : null;
+  }
+
+  if (last === 'colour' || last === 'colour-muted' || /-colour$/.test(last)) {
+    return 'text';
+  }
+
+  return null;
+}
+
+/**
+ * Finds the backgrounds of the nearest parent with any `*background-colour`
+ * children, or the surface the foreground is designed for
+ */
+function findBackgrounds(name, names) {
+  const segments = name.split('/');
+
+  for (let depth = segments.length - 1; depth > 0; depth -= 1) {
+    const parent = segments.slice(0, depth).join('/');
+    const backgrounds = names.filter(
+      (candidate) =>
+        isBackground(candidate) &&
+        candidate.startsWith(`${parent}/`) &&
+        candidate.split('/').length === depth + 1,
+    );
+
+    if (backgrounds.length > 0) return backgrounds;
+  }
+
+  const surface = SURFACE_PAIRS.find((pair) => name.startsWith(pair.prefix));
+
+  return surface && names.includes(surface.background) ? [surface.background] : [];
+}
+
+/**
+ * Builds the foreground/background pairs to check from the token names of
+ * all combinations
+ */
+function getContrastPairs(combinations) {
+  const names = [
+    ...new Set([...combinations.values()].flatMap((map) => [...map.keys()])),
+  ];
+  const pairs = [];
+
+  names.forEach((name) => {
+    const kind = getForegroundKind(name);
+    if (!kind) return;
+
+    findBackgrounds(name, names).forEach((background) => {
+      pairs.push({ foreground: name, background, kind });
+    });
+  });
+
+  return pairs;
+}
+
+/**
+ * Parses a hex or `rgb(r g b / a)` colour (the formats of translucent colours
+ * written by figma-raw-to-tokens.js) into its channels and alpha
+ */
+function parseColour(colour) {
+  const rgb = colour.match(RGB_COLOUR);
+  if (rgb) {
+    return { channels: rgb.slice(1, 4).map(Number), alpha: Number(rgb[4]) };
+  }
+
+  const value = colour.slice(1);
+  const channels = [0, 2, 4].map((i) => parseInt(value.slice(i, i + 2), 16));
+  const alpha = value.length === 8 ? parseInt(value.slice(6, 8), 16) / 255 : 1;
+
+  return { channels, alpha };
+}
+
+/**
+ * Composites a colour over a backdrop, so translucent colours are checked
+ * as they are seen
+ */
+function blend(colour, backdrop) {
+  return colour.channels.map((channel, i) =>
+    Math.round(channel * colour.alpha + backdrop[i] * (1 - colour.alpha)),
+  );
+}
+
+function getRelativeLuminance(channels) {
+  const [r, g, b] = channels.map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2.x contrast ratio, from 1 to 21
+ */
+function getWcagContrast(foreground, background) {
+  const [lighter, darker] = [
+    getRelativeLuminance(foreground),
+    getRelativeLuminance(background),
+  ].sort((a, b) => b - a);
+
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * APCA (0.0.98G-4g) lightness contrast Lc, positive for dark text on light
+ * backgrounds and negative for light text on dark backgrounds
+ */
+function getApcaContrast(foreground, background) {
+  const toY = ([r, g, b]) => {
+    const y =
+      0.2126729 * (r / 255) ** 2.4 +
+      0.7151522 * (g / 255) ** 2.4 +
+      0.072175 * (b / 255) ** 2.4;
+    return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+  };
+
+  const textY = toY(foreground);
+  const backgroundY = toY(background);
+
+  if (Math.abs(backgroundY - textY) < 0.0005) return 0;
+
+  if (backgroundY > textY) {
+    const contrast = (backgroundY ** 0.56 - textY ** 0.57) * 1.14;
+    return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+  }
+
+  const contrast = (backgroundY ** 0.65 - textY ** 0.62) * 1.14;
+  return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+}
+
+/**
+ * Checks every pair in every combination where both colours exist
+ */
+function auditContrast(combinations, { level = 'AA', apca = false } = {}) {
+  const thresholds = WCAG_THRESHOLDS[level];
+  if (!thresholds) {
+    throw new Error(
+      `Unknown level "${level}". Expected one of: ${Object.keys(WCAG_THRESHOLDS).join(', ')}`,
+    );
+  }
+
+  return getContrastPairs(combinations).map((pair) => {
+    const checks = [];
+
+    combinations.forEach((colours, combination) => {
+      const foregroundHex = colours.get(pair.foreground);
+      const backgroundHex = colours.get(pair.background);
+      if (!foregroundHex || !backgroundHex) return;
+
+      // A border or indicator the same colour as its background isn't drawn
+      if (pair.kind === 'non-text' && foregroundHex === backgroundHex) return;
+
+      const background = blend(parseColour(backgroundHex), [255, 255, 255]);
+      const foreground = blend(parseColour(foregroundHex), background);
+
+      const check = {
+        combination,
+        foreground: foregroundHex,
+        background: backgroundHex,
+        ratio: Number(getWcagContrast(foreground, background).toFixed(2)),
+      };
+      check.pass = check.ratio >= thresholds[pair.kind];
+
+      if (apca) {
+        check.lc = Number(getApcaContrast(foreground, background).toFixed(1));
+        check.pass = check.pass && Math.abs(check.lc) >= APCA_THRESHOLDS[pair.kind];
+      }
+
+      checks.push(check);
+    });
+
+    return {
+      ...pair,
+      threshold: thresholds[pair.kind],
+      apcaThreshold: apca ? APCA_THRESHOLDS[pair.kind] : null,
+      checks,
+      failures: checks.filter((check) => !check.pass),
+    };
+  });
+}
+
+/**
+ * Marks the failing checks that did not also fail in the baseline results
+ */
+function markNewFailures(results, baselineResults) {
+  const getKey = (result, check) =>
+    `${result.foreground}|${result.background}|${check.combination}`;
+  const baselineFailures = new Set(
+    baselineResults.flatMap((result) =>
+      result.failures.map((check) => getKey(result, check)),
+    ),
+  );
+
+  return results.map((result) => ({
+    ...result,
+    failures: result.failures.map((check) => ({
+      ...check,
+      isNew: !baselineFailures.has(getKey(result, check)),
+    })),
+  }));
+}
+
+function getSummary(results) {
+  const checked = results.filter((result) => result.checks.length > 0);
+  const failing = checked.filter((result) => result.failures.length > 0);
+
+  return {
+    pairs: checked.length,
+    checks: checked.reduce((total, result) => total + result.checks.length, 0),
+    failingPairs: failing.length,
+    failingChecks: failing.reduce((total, result) => total + result.failures.length, 0),
+    newFailingPairs: failing.filter((result) =>
+      result.failures.some((check) => check.isNew),
+    ).length,
+  };
+}
+
+function formatSummary(summary, baseline) {
+  const text = `${summary.pairs} pairs, ${summary.checks} checks, ${summary.failingPairs} failing pairs (${summary.failingChecks} checks)`;
+  return baseline ? `${text}, ${summary.newFailingPairs} new since ${baseline}` : text;
+}
+
+function formatCheck(check) {
+  const lc = check.lc === undefined ? '' : `, Lc ${check.lc}`;
+  const isNew = check.isNew ? ' (new)' : '';
+  return `${check.combination}: ${check.ratio}:1${lc} (${check.foreground} on ${check.background})${isNew}`;
+}
+
+function getThresholdLabel(result) {
+  const apca = result.apcaThreshold ? `, Lc ${result.apcaThreshold}` : '';
+  return `${result.kind}, ${result.threshold}:1${apca}`;
+}
+
+function printReport(results, summary, baseline) {
+  results
+    .filter((result) => result.failures.length > 0)
+    .forEach((result) => {
+      console.log(
+        `  ✗ --${result.foreground.replace(/\//g, '-')} on --${result.background.replace(/\//g, '-')} (${getThresholdLabel(result)})`,
+      );
+      result.failures.forEach((check) => console.log(`    - ${formatCheck(check)}`));
+    });
+
+  console.log(`\n📊 ${formatSummary(summary, baseline)}`);
+}
+
+function formatMarkdown(results, summary, baseline) {
+  const lines = ['## Contrast audit', '', `**${formatSummary(summary, baseline)}**`];
+
+  results
+    .filter((result) => result.failures.length > 0)
+    .forEach((result) => {
+      const apca = result.apcaThreshold !== null;
+
+      lines.push(
+        '',
+        '<details>',
+        `<summary><code>--${result.foreground.replace(/\//g, '-')}</code> on <code>--${result.background.replace(/\//g, '-')}</code> (${getThresholdLabel(result)})</summary>`,
+        '',
+        `| Combination | Foreground | Background | Ratio |${apca ? ' Lc |' : ''}`,
+        `| --- | --- | --- | --- |${apca ? ' --- |' : ''}`,
+        ...result.failures.map(
+          (check) =>
+            `| ${check.combination}${check.isNew ? ' (new)' : ''} | \`${check.foreground}\` | \`${check.background}\` | ${check.ratio}:1 |${apca ? ` ${check.lc} |` : ''}`,
+        ),
+        '',
+        '</details>',
+      );
+    });
+
+  return lines.join('\n');
+}
+
+/**
+ * Audits a token file, from the working tree or at a git ref. Returns null
+ * when the file doesn't exist at the ref.
+ */
+function auditFile(file, options, ref = null) {
+  const { data, files } = readTokenFiles(file, ref);
+  if (!data) return null;
+
+  return auditContrast(collectCombinations(data, indexReferences(files)), options);
+}
+
+function main() {
+  const { file, level, apca, maxFailures, baseline, format } = parseArgs(process.argv);
+
+  try {
+    if (!FORMATS.includes(format)) {
+      throw new Error(
+        `Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`,
+      );
+    }
+
+    if (!Number.isInteger(maxFailures) || maxFailures < 0) {
+      throw new Error('--max-failures must be a non-negative integer');
+    }
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`${file} not found. Run "npm run tokens:process-raw" first.`);
+    }
+
+    let results = auditFile(file, { level, apca });
+    if (baseline) {
+      results = markNewFailures(
+        results,
+        auditFile(file, { level, apca }, baseline) ?? [],
+      );
+    }
+    const summary = getSummary(results);
+
+    if (format === 'json') {
+      console.log(JSON.stringify({ level, apca, baseline, summary, results }, null, 2));
+    } else if (format === 'markdown') {
+      console.log(formatMarkdown(results, summary, baseline));
+    } else {
+      console.log(`🔍 Auditing WCAG ${level}${apca ? ' and APCA' : ''} contrast...\n`);
+      printReport(results, summary, baseline);
+    }
+
+    // With a baseline, pairs that were already failing don't count
+    const failingPairs = baseline ? summary.newFailingPairs : summary.failingPairs;
+
+    if (failingPairs > maxFailures) {
+      if (format === 'text') {
+        const label = baseline
+          ? `pairs with new failures since ${baseline}`
+          : 'failing pairs';
+        console.error(
+          `\n❌ ${failingPairs} ${label}, more than the ${maxFailures} allowed`,
+        );
+      }
+      process.exitCode = 1;
+    } else if (format === 'text') {
+      console.log('\n🎉 Contrast audit passed!');
+    }
+  } catch (error) {
+    console.error('\n❌ Failed to audit contrast:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  auditContrast,
+  collectCombinations,
+  getApcaContrast,
+  getContrastPairs,
+  getWcagContrast,
+  indexReferences,
+  markNewFailures,
+};
@@ -0,0 +1,248 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+exports.brandTint1Blue = "#d2effb";
+exports.brandTint1Green = "#dff6eb";
+exports.brandTint1Red = "#ffd5d2";
+exports.brandTint1Yellow = "#fffbdc";
+exports.brandTint2Blue = "#aee1f7";
+exports.brandTint2Green = "#caeedd";
+exports.brandTint2Red = "#ffc2bd";
+exports.brandTint2Yellow = "#fff9c7";
+exports.brandTint3Blue = "#42aeea";
+exports.brandTint3Green = "#43af6e";
+exports.brandTint3Red = "#ff3e51";
+exports.brandTint3Yellow = "#ffe969";
+exports.brandTint4Blue = "#005dba";
+exports.brandTint4Green = "#00633d";
+exports.brandTint4Red = "#c50b30";
+exports.brandTint4Yellow = "#ffb600";
+exports.brandTint5Blue = "#001d6e";
+exports.brandTint5Green = "#01312e";
+exports.brandTint5Red = "#940824";
+exports.brandTint5Yellow = "#c86426";
+exports.brandTint6Blue = "#000a52";
+exports.brandTint6Green = "#012425";
+exports.brandTint6Red = "#6e061b";
+exports.brandTint6Yellow = "#904029";
+exports.brandTint7Blue = "#000039";
+exports.brandTint7Green = "#011b1f";
+exports.brandTint7Red = "#480411";
+exports.brandTint7Yellow = "#572722";
+exports.borderMono1Blue = "#ffffff";
+exports.borderMono1Green = "#ffffff";
+exports.borderMono1Red = "#ffffff";
+exports.borderMono1Yellow = "#ffffff";
+exports.borderMono2Blue = "#f4f4f4";
+exports.borderMono2Green = "#f4f4f4";
+exports.borderMono2Red = "#f4f4f4";
+exports.borderMono2Yellow = "#1d1d1b";
+exports.borderMono3Blue = "#d3d3d3";
+exports.borderMono3Green = "#d3d3d3";
+exports.borderMono3Red = "#d3d3d3";
+exports.borderMono3Yellow = "#d3d3d3";
+exports.borderMono4Blue = "#858686";
+exports.borderMono4Green = "#858686";
+exports.borderMono4Red = "#858686";
+exports.borderMono4Yellow = "#858686";
+exports.borderMono5Blue = "#4d4f4f";
+exports.borderMono5Green = "#4d4f4f";
+exports.borderMono5Red = "#4d4f4f";
+exports.borderMono5Yellow = "#4d4f4f";
+exports.borderMono6Blue = "#1d1d1b";
+exports.borderMono6Green = "#1d1d1b";
+exports.borderMono6Red = "#1d1d1b";
+exports.borderMono6Yellow = "#1d1d1b";
+exports.borderColour1Blue = "#42aeea";
+exports.borderColour1Green = "#43af6e";
+exports.borderColour1Red = "#ff3e51";
+exports.borderColour1Yellow = "#ffe969";
+exports.borderColour2Blue = "#001d6e";
+exports.borderColour2Green = "#01312e";
+exports.borderColour2Red = "#940824";
+exports.borderColour2Yellow = "#c86426";
+exports.interactiveDefault1Blue = "#ffffff";
+exports.interactiveDefault1Green = "#ffffff";
+exports.interactiveDefault1Red = "#ffffff";
+exports.interactiveDefault1Yellow = "#ffffff";
+exports.interactiveDefault2Blue = "#ffffff";
+exports.interactiveDefault2Green = "#ffffff";
+exports.interactiveDefault2Red = "#ffffff";
+exports.interactiveDefault2Yellow = "#1d1d1b";
+exports.interactiveDefault3Blue = "#d2effb";
+exports.interactiveDefault3Green = "#dff6eb";
+exports.interactiveDefault3Red = "#ffd5d2";
+exports.interactiveDefault3Yellow = "#fffbdc";
+exports.interactiveDefault4Blue = "#005dba";
+exports.interactiveDefault4Green = "#00633d";
+exports.interactiveDefault4Red = "#c50b30";
+exports.interactiveDefault4Yellow = "#ffb600";
+exports.interactiveDefault5Blue = "#001d6e";
+exports.interactiveDefault5Green = "#01312e";
+exports.interactiveDefault5Red = "#940824";
+exports.interactiveDefault5Yellow = "#904029";
+exports.interactiveDefault6Blue = "#001d6e";
+exports.interactiveDefault6Green = "#01312e";
+exports.interactiveDefault6Red = "#940824";
+exports.interactiveDefault6Yellow = "#ffe969";
+exports.interactiveDefault7Blue = "#000039";
+exports.interactiveDefault7Green = "#011b1f";
+exports.interactiveDefault7Red = "#480411";
+exports.interactiveDefault7Yellow = "#572722";
+exports.interactiveDefault8Blue = "#000039";
+exports.interactiveDefault8Green = "#011b1f";
+exports.interactiveDefault8Red = "#480411";
+exports.interactiveDefault8Yellow = "#fffbdc";
+exports.interactiveDefault9Blue = "#1d1d1b";
+exports.interactiveDefault9Green = "#1d1d1b";
+exports.interactiveDefault9Red = "#1d1d1b";
+exports.interactiveDefault9Yellow = "#f4f4f4";
+exports.interactiveDefault10Blue = "#1d1d1b";
+exports.interactiveDefault10Green = "#1d1d1b";
+exports.interactiveDefault10Red = "#1d1d1b";
+exports.interactiveDefault10Yellow = "#000000";
+exports.interactiveReversed1Blue = "#1d1d1b";
+exports.interactiveReversed1Green = "#1d1d1b";
+exports.interactiveReversed1Red = "#1d1d1b";
+exports.interactiveReversed1Yellow = "#000000";
+exports.interactiveReversed2Blue = "#4d4f4f";
+exports.interactiveReversed2Green = "#4d4f4f";
+exports.interactiveReversed2Red = "#4d4f4f";
+exports.interactiveReversed2Yellow = "#4d4f4f";
+exports.interactiveReversed3Blue = "#001d6e";
+exports.interactiveReversed3Green = "#01312e";
+exports.interactiveReversed3Red = "#480411";
+exports.interactiveReversed3Yellow = "#572722";
+exports.interactiveReversed4Blue = "#005dba";
+exports.interactiveReversed4Green = "#00633d";
+exports.interactiveReversed4Red = "#c50b30";
+exports.interactiveReversed4Yellow = "#ffb600";
+exports.interactiveReversed5Blue = "#42aeea";
+exports.interactiveReversed5Green = "#43af6e";
+exports.interactiveReversed5Red = "#ff3e51";
+exports.interactiveReversed5Yellow = "#ffe969";
+exports.interactiveReversed6Blue = "#aee1f7";
+exports.interactiveReversed6Green = "#caeedd";
+exports.interactiveReversed6Red = "#ffd5d2";
+exports.interactiveReversed6Yellow = "#fff9c7";
+exports.interactiveReversed7Blue = "#f4f4f4";
+exports.interactiveReversed7Green = "#f4f4f4";
+exports.interactiveReversed7Red = "#f4f4f4";
+exports.interactiveReversed7Yellow = "#f4f4f4";
+exports.interactiveReversed8Blue = "#ffffff";
+exports.interactiveReversed8Green = "#ffffff";
+exports.interactiveReversed8Red = "#ffffff";
+exports.interactiveReversed8Yellow = "#1d1d1b";
+exports.interactiveReversed9Blue = "#ffffff";
+exports.interactiveReversed9Green = "#ffffff";
+exports.interactiveReversed9Red = "#ffffff";
+exports.interactiveReversed9Yellow = "#ffffff";
+exports.interactiveDisabled1Blue = "#f4f4f4";
+exports.interactiveDisabled1Green = "#f4f4f4";
+exports.interactiveDisabled1Red = "#f4f4f4";
+exports.interactiveDisabled1Yellow = "#f4f4f4";
+exports.interactiveDisabled2Blue = "#d3d3d3";
+exports.interactiveDisabled2Green = "#d3d3d3";
+exports.interactiveDisabled2Red = "#d3d3d3";
+exports.interactiveDisabled2Yellow = "#d3d3d3";
+exports.interactiveDisabled3Blue = "#7a7b7b";
+exports.interactiveDisabled3Green = "#7a7b7b";
+exports.interactiveDisabled3Red = "#7a7b7b";
+exports.interactiveDisabled3Yellow = "#7a7b7b";
+exports.interactiveDisabled4Blue = "#d2effb";
+exports.interactiveDisabled4Green = "#dff6eb";
+exports.interactiveDisabled4Red = "#ffd5d2";
+exports.interactiveDisabled4Yellow = "#fffbdc";
+exports.interactiveDisabled5Blue = "#76c8f1";
+exports.interactiveDisabled5Green = "#7fce9f";
+exports.interactiveDisabled5Red = "#ff7e7e";
+exports.interactiveDisabled5Yellow = "#ffe969";
+exports.interactiveDisabled6Blue = "#1e84d2";
+exports.interactiveDisabled6Green = "#1a8952";
+exports.interactiveDisabled6Red = "#e2223e";
+exports.interactiveDisabled6Yellow = "#ffb600";
+exports.interactiveDisabled7Blue = "#1e84d2";
+exports.interactiveDisabled7Green = "#1a8952";
+exports.interactiveDisabled7Red = "#ff3e51";
+exports.interactiveDisabled7Yellow = "#e48616";
+exports.interactiveDisabled8Blue = "#001d6e";
+exports.interactiveDisabled8Green = "#014a39";
+exports.interactiveDisabled8Red = "#940824";
+exports.interactiveDisabled8Yellow = "#c86426";
+exports.surfaceHasFillBlue = true;
+exports.surfaceHasFillGreen = false;
+exports.surfaceHasFillRed = false;
+exports.surfaceHasFillYellow = false;
+exports.surfaceFill1Blue = "#ffffff";
+exports.surfaceFill1Green = "#ffffff";
+exports.surfaceFill1Red = "#ffffff";
+exports.surfaceFill1Yellow = "#ffffff";
+exports.surfaceFill2Blue = "#f4f4f4";
+exports.surfaceFill2Green = "#f4f4f4";
+exports.surfaceFill2Red = "#f4f4f4";
+exports.surfaceFill2Yellow = "#f4f4f4";
+exports.surfaceFill3Blue = "#aee1f7";
+exports.surfaceFill3Green = "#caeedd";
+exports.surfaceFill3Red = "#ffd5d2";
+exports.surfaceFill3Yellow = "#fff9c7";
+exports.surfaceFill4Blue = "#42aeea";
+exports.surfaceFill4Green = "#43af6e";
+exports.surfaceFill4Red = "#ff3e51";
+exports.surfaceFill4Yellow = "#ffe969";
+exports.surfaceFill5Blue = "#005dba";
+exports.surfaceFill5Green = "#00633d";
+exports.surfaceFill5Red = "#c50b30";
+exports.surfaceFill5Yellow = "#ffb600";
+exports.surfaceFill6Blue = "#005dba";
+exports.surfaceFill6Green = "#00633d";
+exports.surfaceFill6Red = "#c50b30";
+exports.surfaceFill6Yellow = "#c86426";
+exports.surfaceFill7Blue = "#001d6e";
+exports.surfaceFill7Green = "#01312e";
+exports.surfaceFill7Red = "#940824";
+exports.surfaceFill7Yellow = "#c86426";
+exports.textInteractive1Blue = "#f4f4f4";
+exports.textInteractive1Green = "#f4f4f4";
+exports.textInteractive1Red = "#f4f4f4";
+exports.textInteractive1Yellow = "#1d1d1b";
+exports.textInteractive2Blue = "#005dba";
+exports.textInteractive2Green = "#00633d";
+exports.textInteractive2Red = "#c50b30";
+exports.textInteractive2Yellow = "#1d1d1b";
+exports.textInteractive3Blue = "#001d6e";
+exports.textInteractive3Green = "#01312e";
+exports.textInteractive3Red = "#940824";
+exports.textInteractive3Yellow = "#1d1d1b";
+exports.textInteractive4Blue = "#000a52";
+exports.textInteractive4Green = "#012425";
+exports.textInteractive4Red = "#6e061b";
+exports.textInteractive4Yellow = "#1d1d1b";
+exports.textInteractive5Blue = "#000039";
+exports.textInteractive5Green = "#011b1f";
+exports.textInteractive5Red = "#480411";
+exports.textInteractive5Yellow = "#000000";
+exports.textInteractive6Blue = "#000000";
+exports.textInteractive6Green = "#000000";
+exports.textInteractive6Red = "#000000";
+exports.textInteractive6Yellow = "#000000";
+exports.textStatic1Blue = "#1d1d1b";
+exports.textStatic1Green = "#1d1d1b";
+exports.textStatic1Red = "#1d1d1b";
+exports.textStatic1Yellow = "#1d1d1b";
+exports.textStatic2Blue = "#4d4f4f";
+exports.textStatic2Green = "#4d4f4f";
+exports.textStatic2Red = "#4d4f4f";
+exports.textStatic2Yellow = "#4d4f4f";
+exports.textStatic3Blue = "#001d6e";
+exports.textStatic3Green = "#01312e";
+exports.textStatic3Red = "#940824";
+exports.textStatic3Yellow = "#904029";
+exports.textStatic4Blue = "#d2effb";
+exports.textStatic4Green = "#dff6eb";
+exports.textStatic4Red = "#ffd5d2";
+exports.textStatic4Yellow = "#572722";
+exports.textStatic5Blue = "#ffffff";
+exports.textStatic5Green = "#ffffff";
+exports.textStatic5Red = "#ffffff";
+exports.textStatic5Yellow = "#1d1d1b";
@@ -0,0 +1,248 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export declare const brandTint1Blue: "#d2effb";
+export declare const brandTint1Green: "#dff6eb";
+export declare const brandTint1Red: "#ffd5d2";
+export declare const brandTint1Yellow: "#fffbdc";
+export declare const brandTint2Blue: "#aee1f7";
+export declare const brandTint2Green: "#caeedd";
+export declare const brandTint2Red: "#ffc2bd";
+export declare const brandTint2Yellow: "#fff9c7";
+export declare const brandTint3Blue: "#42aeea";
+export declare const brandTint3Green: "#43af6e";
+export declare const brandTint3Red: "#ff3e51";
+export declare const brandTint3Yellow: "#ffe969";
+export declare const brandTint4Blue: "#005dba";
+export declare const brandTint4Green: "#00633d";
+export declare const brandTint4Red: "#c50b30";
+export declare const brandTint4Yellow: "#ffb600";
+export declare const brandTint5Blue: "#001d6e";
+export declare const brandTint5Green: "#01312e";
+export declare const brandTint5Red: "#940824";
+export declare const brandTint5Yellow: "#c86426";
+export declare const brandTint6Blue: "#000a52";
+export declare const brandTint6Green: "#012425";
+export declare const brandTint6Red: "#6e061b";
+export declare const brandTint6Yellow: "#904029";
+export declare const brandTint7Blue: "#000039";
+export declare const brandTint7Green: "#011b1f";
+export declare const brandTint7Red: "#480411";
+export declare const brandTint7Yellow: "#572722";
+export declare const borderMono1Blue: "#ffffff";
+export declare const borderMono1Green: "#ffffff";
+export declare const borderMono1Red: "#ffffff";
+export declare const borderMono1Yellow: "#ffffff";
+export declare const borderMono2Blue: "#f4f4f4";
+export declare const borderMono2Green: "#f4f4f4";
+export declare const borderMono2Red: "#f4f4f4";
+export declare const borderMono2Yellow: "#1d1d1b";
+export declare const borderMono3Blue: "#d3d3d3";
+export declare const borderMono3Green: "#d3d3d3";
+export declare const borderMono3Red: "#d3d3d3";
+export declare const borderMono3Yellow: "#d3d3d3";
+export declare const borderMono4Blue: "#858686";
+export declare const borderMono4Green: "#858686";
+export declare const borderMono4Red: "#858686";
+export declare const borderMono4Yellow: "#858686";
+export declare const borderMono5Blue: "#4d4f4f";
+export declare const borderMono5Green: "#4d4f4f";
+export declare const borderMono5Red: "#4d4f4f";
+export declare const borderMono5Yellow: "#4d4f4f";
+export declare const borderMono6Blue: "#1d1d1b";
+export declare const borderMono6Green: "#1d1d1b";
+export declare const borderMono6Red: "#1d1d1b";
+export declare const borderMono6Yellow: "#1d1d1b";
+export declare const borderColour1Blue: "#42aeea";
+export declare const borderColour1Green: "#43af6e";
+export declare const borderColour1Red: "#ff3e51";
+export declare const borderColour1Yellow: "#ffe969";
+export declare const borderColour2Blue: "#001d6e";
+export declare const borderColour2Green: "#01312e";
+export declare const borderColour2Red: "#940824";
+export declare const borderColour2Yellow: "#c86426";
+export declare const interactiveDefault1Blue: "#ffffff";
+export declare const interactiveDefault1Green: "#ffffff";
+export declare const interactiveDefault1Red: "#ffffff";
+export declare const interactiveDefault1Yellow: "#ffffff";
+export declare const interactiveDefault2Blue: "#ffffff";
+export declare const interactiveDefault2Green: "#ffffff";
+export declare const interactiveDefault2Red: "#ffffff";
+export declare const interactiveDefault2Yellow: "#1d1d1b";
+export declare const interactiveDefault3Blue: "#d2effb";
+export declare const interactiveDefault3Green: "#dff6eb";
+export declare const interactiveDefault3Red: "#ffd5d2";
+export declare const interactiveDefault3Yellow: "#fffbdc";
+export declare const interactiveDefault4Blue: "#005dba";
+export declare const interactiveDefault4Green: "#00633d";
+export declare const interactiveDefault4Red: "#c50b30";
+export declare const interactiveDefault4Yellow: "#ffb600";
+export declare const interactiveDefault5Blue: "#001d6e";
+export declare const interactiveDefault5Green: "#01312e";
+export declare const interactiveDefault5Red: "#940824";
+export declare const interactiveDefault5Yellow: "#904029";
+export declare const interactiveDefault6Blue: "#001d6e";
+export declare const interactiveDefault6Green: "#01312e";
+export declare const interactiveDefault6Red: "#940824";
+export declare const interactiveDefault6Yellow: "#ffe969";
+export declare const interactiveDefault7Blue: "#000039";
+export declare const interactiveDefault7Green: "#011b1f";
+export declare const interactiveDefault7Red: "#480411";
+export declare const interactiveDefault7Yellow: "#572722";
+export declare const interactiveDefault8Blue: "#000039";
+export declare const interactiveDefault8Green: "#011b1f";
+export declare const interactiveDefault8Red: "#480411";
+export declare const interactiveDefault8Yellow: "#fffbdc";
+export declare const interactiveDefault9Blue: "#1d1d1b";
+export declare const interactiveDefault9Green: "#1d1d1b";
+export declare const interactiveDefault9Red: "#1d1d1b";
+export declare const interactiveDefault9Yellow: "#f4f4f4";
+export declare const interactiveDefault10Blue: "#1d1d1b";
+export declare const interactiveDefault10Green: "#1d1d1b";
+export declare const interactiveDefault10Red: "#1d1d1b";
+export declare const interactiveDefault10Yellow: "#000000";
+export declare const interactiveReversed1Blue: "#1d1d1b";
+export declare const interactiveReversed1Green: "#1d1d1b";
+export declare const interactiveReversed1Red: "#1d1d1b";
+export declare const interactiveReversed1Yellow: "#000000";
+export declare const interactiveReversed2Blue: "#4d4f4f";
+export declare const interactiveReversed2Green: "#4d4f4f";
+export declare const interactiveReversed2Red: "#4d4f4f";
+export declare const interactiveReversed2Yellow: "#4d4f4f";
+export declare const interactiveReversed3Blue: "#001d6e";
+export declare const interactiveReversed3Green: "#01312e";
+export declare const interactiveReversed3Red: "#480411";
+export declare const interactiveReversed3Yellow: "#572722";
+export declare const interactiveReversed4Blue: "#005dba";
+export declare const interactiveReversed4Green: "#00633d";
+export declare const interactiveReversed4Red: "#c50b30";
+export declare const interactiveReversed4Yellow: "#ffb600";
+export declare const interactiveReversed5Blue: "#42aeea";
+export declare const interactiveReversed5Green: "#43af6e";
+export declare const interactiveReversed5Red: "#ff3e51";
+export declare const interactiveReversed5Yellow: "#ffe969";
+export declare const interactiveReversed6Blue: "#aee1f7";
+export declare const interactiveReversed6Green: "#caeedd";
+export declare const interactiveReversed6Red: "#ffd5d2";
+export declare const interactiveReversed6Yellow: "#fff9c7";
+export declare const interactiveReversed7Blue: "#f4f4f4";
+export declare const interactiveReversed7Green: "#f4f4f4";
+export declare const interactiveReversed7Red: "#f4f4f4";
+export declare const interactiveReversed7Yellow: "#f4f4f4";
+export declare const interactiveReversed8Blue: "#ffffff";
+export declare const interactiveReversed8Green: "#ffffff";
+export declare const interactiveReversed8Red: "#ffffff";
+export declare const interactiveReversed8Yellow: "#1d1d1b";
+export declare const interactiveReversed9Blue: "#ffffff";
+export declare const interactiveReversed9Green: "#ffffff";
+export declare const interactiveReversed9Red: "#ffffff";
+export declare const interactiveReversed9Yellow: "#ffffff";
+export declare const interactiveDisabled1Blue: "#f4f4f4";
+export declare const interactiveDisabled1Green: "#f4f4f4";
+export declare const interactiveDisabled1Red: "#f4f4f4";
+export declare const interactiveDisabled1Yellow: "#f4f4f4";
+export declare const interactiveDisabled2Blue: "#d3d3d3";
+export declare const interactiveDisabled2Green: "#d3d3d3";
+export declare const interactiveDisabled2Red: "#d3d3d3";
+export declare const interactiveDisabled2Yellow: "#d3d3d3";
+export declare const interactiveDisabled3Blue: "#7a7b7b";
+export declare const interactiveDisabled3Green: "#7a7b7b";
+export declare const interactiveDisabled3Red: "#7a7b7b";
+export declare const interactiveDisabled3Yellow: "#7a7b7b";
+export declare const interactiveDisabled4Blue: "#d2effb";
+export declare const interactiveDisabled4Green: "#dff6eb";
+export declare const interactiveDisabled4Red: "#ffd5d2";
+export declare const interactiveDisabled4Yellow: "#fffbdc";
+export declare const interactiveDisabled5Blue: "#76c8f1";
+export declare const interactiveDisabled5Green: "#7fce9f";
+export declare const interactiveDisabled5Red: "#ff7e7e";
+export declare const interactiveDisabled5Yellow: "#ffe969";
+export declare const interactiveDisabled6Blue: "#1e84d2";
+export declare const interactiveDisabled6Green: "#1a8952";
+export declare const interactiveDisabled6Red: "#e2223e";
+export declare const interactiveDisabled6Yellow: "#ffb600";
+export declare const interactiveDisabled7Blue: "#1e84d2";
+export declare const interactiveDisabled7Green: "#1a8952";
+export declare const interactiveDisabled7Red: "#ff3e51";
+export declare const interactiveDisabled7Yellow: "#e48616";
+export declare const interactiveDisabled8Blue: "#001d6e";
+export declare const interactiveDisabled8Green: "#014a39";
+export declare const interactiveDisabled8Red: "#940824";
+export declare const interactiveDisabled8Yellow: "#c86426";
+export declare const surfaceHasFillBlue: true;
+export declare const surfaceHasFillGreen: false;
+export declare const surfaceHasFillRed: false;
+export declare const surfaceHasFillYellow: false;
+export declare const surfaceFill1Blue: "#ffffff";
+export declare const surfaceFill1Green: "#ffffff";
+export declare const surfaceFill1Red: "#ffffff";
+export declare const surfaceFill1Yellow: "#ffffff";
+export declare const surfaceFill2Blue: "#f4f4f4";
+export declare const surfaceFill2Green: "#f4f4f4";
+export declare const surfaceFill2Red: "#f4f4f4";
+export declare const surfaceFill2Yellow: "#f4f4f4";
+export declare const surfaceFill3Blue: "#aee1f7";
+export declare const surfaceFill3Green: "#caeedd";
+export declare const surfaceFill3Red: "#ffd5d2";
+export declare const surfaceFill3Yellow: "#fff9c7";
+export declare const surfaceFill4Blue: "#42aeea";
+export declare const surfaceFill4Green: "#43af6e";
+export declare const surfaceFill4Red: "#ff3e51";
+export declare const surfaceFill4Yellow: "#ffe969";
+export declare const surfaceFill5Blue: "#005dba";
+export declare const surfaceFill5Green: "#00633d";
+export declare const surfaceFill5Red: "#c50b30";
+export declare const surfaceFill5Yellow: "#ffb600";
+export declare const surfaceFill6Blue: "#005dba";
+export declare const surfaceFill6Green: "#00633d";
+export declare const surfaceFill6Red: "#c50b30";
+export declare const surfaceFill6Yellow: "#c86426";
+export declare const surfaceFill7Blue: "#001d6e";
+export declare const surfaceFill7Green: "#01312e";
+export declare const surfaceFill7Red: "#940824";
+export declare const surfaceFill7Yellow: "#c86426";
+export declare const textInteractive1Blue: "#f4f4f4";
+export declare const textInteractive1Green: "#f4f4f4";
+export declare const textInteractive1Red: "#f4f4f4";
+export declare const textInteractive1Yellow: "#1d1d1b";
+export declare const textInteractive2Blue: "#005dba";
+export declare const textInteractive2Green: "#00633d";
+export declare const textInteractive2Red: "#c50b30";
+export declare const textInteractive2Yellow: "#1d1d1b";
+export declare const textInteractive3Blue: "#001d6e";
+export declare const textInteractive3Green: "#01312e";
+export declare const textInteractive3Red: "#940824";
+export declare const textInteractive3Yellow: "#1d1d1b";
+export declare const textInteractive4Blue: "#000a52";
+export declare const textInteractive4Green: "#012425";
+export declare const textInteractive4Red: "#6e061b";
+export declare const textInteractive4Yellow: "#1d1d1b";
+export declare const textInteractive5Blue: "#000039";
+export declare const textInteractive5Green: "#011b1f";
+export declare const textInteractive5Red: "#480411";
+export declare const textInteractive5Yellow: "#000000";
+export declare const textInteractive6Blue: "#000000";
+export declare const textInteractive6Green: "#000000";
+export declare const textInteractive6Red: "#000000";
+export declare const textInteractive6Yellow: "#000000";
+export declare const textStatic1Blue: "#1d1d1b";
+export declare const textStatic1Green: "#1d1d1b";
+export declare const textStatic1Red: "#1d1d1b";
+export declare const textStatic1Yellow: "#1d1d1b";
+export declare const textStatic2Blue: "#4d4f4f";
+export declare const textStatic2Green: "#4d4f4f";
+export declare const textStatic2Red: "#4d4f4f";
+export declare const textStatic2Yellow: "#4d4f4f";
+export declare const textStatic3Blue: "#001d6e";
+export declare const textStatic3Green: "#01312e";
+export declare const textStatic3Red: "#940824";
+export declare const textStatic3Yellow: "#904029";
+export declare const textStatic4Blue: "#d2effb";
+export declare const textStatic4Green: "#dff6eb";
+export declare const textStatic4Red: "#ffd5d2";
+export declare const textStatic4Yellow: "#572722";
+export declare const textStatic5Blue: "#ffffff";
+export declare const textStatic5Green: "#ffffff";
+export declare const textStatic5Red: "#ffffff";
+export declare const textStatic5Yellow: "#1d1d1b";
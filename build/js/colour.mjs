@@ -0,0 +1,248 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const brandTint1Blue = "#d2effb";
+export const brandTint1Green = "#dff6eb";
+export const brandTint1Red = "#ffd5d2";
+export const brandTint1Yellow = "#fffbdc";
+export const brandTint2Blue = "#aee1f7";
+export const brandTint2Green = "#caeedd";
+export const brandTint2Red = "#ffc2bd";
+export const brandTint2Yellow = "#fff9c7";
+export const brandTint3Blue = "#42aeea";
+export const brandTint3Green = "#43af6e";
+export const brandTint3Red = "#ff3e51";
+export const brandTint3Yellow = "#ffe969";
+export const brandTint4Blue = "#005dba";
+export const brandTint4Green = "#00633d";
+export const brandTint4Red = "#c50b30";
+export const brandTint4Yellow = "#ffb600";
+export const brandTint5Blue = "#001d6e";
+export const brandTint5Green = "#01312e";
+export const brandTint5Red = "#940824";
+export const brandTint5Yellow = "#c86426";
+export const brandTint6Blue = "#000a52";
+export const brandTint6Green = "#012425";
+export const brandTint6Red = "#6e061b";
+export const brandTint6Yellow = "#904029";
+export const brandTint7Blue = "#000039";
+export const brandTint7Green = "#011b1f";
+export const brandTint7Red = "#480411";
+export const brandTint7Yellow = "#572722";
+export const borderMono1Blue = "#ffffff";
+export const borderMono1Green = "#ffffff";
+export const borderMono1Red = "#ffffff";
+export const borderMono1Yellow = "#ffffff";
+export const borderMono2Blue = "#f4f4f4";
+export const borderMono2Green = "#f4f4f4";
+export const borderMono2Red = "#f4f4f4";
+export const borderMono2Yellow = "#1d1d1b";
+export const borderMono3Blue = "#d3d3d3";
+export const borderMono3Green = "#d3d3d3";
+export const borderMono3Red = "#d3d3d3";
+export const borderMono3Yellow = "#d3d3d3";
+export const borderMono4Blue = "#858686";
+export const borderMono4Green = "#858686";
+export const borderMono4Red = "#858686";
+export const borderMono4Yellow = "#858686";
+export const borderMono5Blue = "#4d4f4f";
+export const borderMono5Green = "#4d4f4f";
+export const borderMono5Red = "#4d4f4f";
+export const borderMono5Yellow = "#4d4f4f";
+export const borderMono6Blue = "#1d1d1b";
+export const borderMono6Green = "#1d1d1b";
+export const borderMono6Red = "#1d1d1b";
+export const borderMono6Yellow = "#1d1d1b";
+export const borderColour1Blue = "#42aeea";
+export const borderColour1Green = "#43af6e";
+export const borderColour1Red = "#ff3e51";
+export const borderColour1Yellow = "#ffe969";
+export const borderColour2Blue = "#001d6e";
+export const borderColour2Green = "#01312e";
+export const borderColour2Red = "#940824";
+export const borderColour2Yellow = "#c86426";
+export const interactiveDefault1Blue = "#ffffff";
+export const interactiveDefault1Green = "#ffffff";
+export const interactiveDefault1Red = "#ffffff";
+export const interactiveDefault1Yellow = "#ffffff";
+export const interactiveDefault2Blue = "#ffffff";
+export const interactiveDefault2Green = "#ffffff";
+export const interactiveDefault2Red = "#ffffff";
+export const interactiveDefault2Yellow = "#1d1d1b";
+export const interactiveDefault3Blue = "#d2effb";
+export const interactiveDefault3Green = "#dff6eb";
+export const interactiveDefault3Red = "#ffd5d2";
+export const interactiveDefault3Yellow = "#fffbdc";
+export const interactiveDefault4Blue = "#005dba";
+export const interactiveDefault4Green = "#00633d";
+export const interactiveDefault4Red = "#c50b30";
+export const interactiveDefault4Yellow = "#ffb600";
+export const interactiveDefault5Blue = "#001d6e";
+export const interactiveDefault5Green = "#01312e";
+export const interactiveDefault5Red = "#940824";
+export const interactiveDefault5Yellow = "#904029";
+export const interactiveDefault6Blue = "#001d6e";
+export const interactiveDefault6Green = "#01312e";
+export const interactiveDefault6Red = "#940824";
+export const interactiveDefault6Yellow = "#ffe969";
+export const interactiveDefault7Blue = "#000039";
+export const interactiveDefault7Green = "#011b1f";
+export const interactiveDefault7Red = "#480411";
+export const interactiveDefault7Yellow = "#572722";
+export const interactiveDefault8Blue = "#000039";
+export const interactiveDefault8Green = "#011b1f";
+export const interactiveDefault8Red = "#480411";
+export const interactiveDefault8Yellow = "#fffbdc";
+export const interactiveDefault9Blue = "#1d1d1b";
+export const interactiveDefault9Green = "#1d1d1b";
+export const interactiveDefault9Red = "#1d1d1b";
+export const interactiveDefault9Yellow = "#f4f4f4";
+export const interactiveDefault10Blue = "#1d1d1b";
+export const interactiveDefault10Green = "#1d1d1b";
+export const interactiveDefault10Red = "#1d1d1b";
+export const interactiveDefault10Yellow = "#000000";
+export const interactiveReversed1Blue = "#1d1d1b";
+export const interactiveReversed1Green = "#1d1d1b";
+export const interactiveReversed1Red = "#1d1d1b";
+export const interactiveReversed1Yellow = "#000000";
+export const interactiveReversed2Blue = "#4d4f4f";
+export const interactiveReversed2Green = "#4d4f4f";
+export const interactiveReversed2Red = "#4d4f4f";
+export const interactiveReversed2Yellow = "#4d4f4f";
+export const interactiveReversed3Blue = "#001d6e";
+export const interactiveReversed3Green = "#01312e";
+export const interactiveReversed3Red = "#480411";
+export const interactiveReversed3Yellow = "#572722";
+export const interactiveReversed4Blue = "#005dba";
+export const interactiveReversed4Green = "#00633d";
+export const interactiveReversed4Red = "#c50b30";
+export const interactiveReversed4Yellow = "#ffb600";
+export const interactiveReversed5Blue = "#42aeea";
+export const interactiveReversed5Green = "#43af6e";
+export const interactiveReversed5Red = "#ff3e51";
+export const interactiveReversed5Yellow = "#ffe969";
+export const interactiveReversed6Blue = "#aee1f7";
+export const interactiveReversed6Green = "#caeedd";
+export const interactiveReversed6Red = "#ffd5d2";
+export const interactiveReversed6Yellow = "#fff9c7";
+export const interactiveReversed7Blue = "#f4f4f4";
+export const interactiveReversed7Green = "#f4f4f4";
+export const interactiveReversed7Red = "#f4f4f4";
+export const interactiveReversed7Yellow = "#f4f4f4";
+export const interactiveReversed8Blue = "#ffffff";
+export const interactiveReversed8Green = "#ffffff";
+export const interactiveReversed8Red = "#ffffff";
+export const interactiveReversed8Yellow = "#1d1d1b";
+export const interactiveReversed9Blue = "#ffffff";
+export const interactiveReversed9Green = "#ffffff";
+export const interactiveReversed9Red = "#ffffff";
+export const interactiveReversed9Yellow = "#ffffff";
+export const interactiveDisabled1Blue = "#f4f4f4";
+export const interactiveDisabled1Green = "#f4f4f4";
+export const interactiveDisabled1Red = "#f4f4f4";
+export const interactiveDisabled1Yellow = "#f4f4f4";
+export const interactiveDisabled2Blue = "#d3d3d3";
+export const interactiveDisabled2Green = "#d3d3d3";
+export const interactiveDisabled2Red = "#d3d3d3";
+export const interactiveDisabled2Yellow = "#d3d3d3";
+export const interactiveDisabled3Blue = "#7a7b7b";
+export const interactiveDisabled3Green = "#7a7b7b";
+export const interactiveDisabled3Red = "#7a7b7b";
+export const interactiveDisabled3Yellow = "#7a7b7b";
+export const interactiveDisabled4Blue = "#d2effb";
+export const interactiveDisabled4Green = "#dff6eb";
+export const interactiveDisabled4Red = "#ffd5d2";
+export const interactiveDisabled4Yellow = "#fffbdc";
+export const interactiveDisabled5Blue = "#76c8f1";
+export const interactiveDisabled5Green = "#7fce9f";
+export const interactiveDisabled5Red = "#ff7e7e";
+export const interactiveDisabled5Yellow = "#ffe969";
+export const interactiveDisabled6Blue = "#1e84d2";
+export const interactiveDisabled6Green = "#1a8952";
+export const interactiveDisabled6Red = "#e2223e";
+export const interactiveDisabled6Yellow = "#ffb600";
+export const interactiveDisabled7Blue = "#1e84d2";
+export const interactiveDisabled7Green = "#1a8952";
+export const interactiveDisabled7Red = "#ff3e51";
+export const interactiveDisabled7Yellow = "#e48616";
+export const interactiveDisabled8Blue = "#001d6e";
+export const interactiveDisabled8Green = "#014a39";
+export const interactiveDisabled8Red = "#940824";
+export const interactiveDisabled8Yellow = "#c86426";
+export const surfaceHasFillBlue = true;
+export const surfaceHasFillGreen = false;
+export const surfaceHasFillRed = false;
+export const surfaceHasFillYellow = false;
+export const surfaceFill1Blue = "#ffffff";
+export const surfaceFill1Green = "#ffffff";
+export const surfaceFill1Red = "#ffffff";
+export const surfaceFill1Yellow = "#ffffff";
+export const surfaceFill2Blue = "#f4f4f4";
+export const surfaceFill2Green = "#f4f4f4";
+export const surfaceFill2Red = "#f4f4f4";
+export const surfaceFill2Yellow = "#f4f4f4";
+export const surfaceFill3Blue = "#aee1f7";
+export const surfaceFill3Green = "#caeedd";
+export const surfaceFill3Red = "#ffd5d2";
+export const surfaceFill3Yellow = "#fff9c7";
+export const surfaceFill4Blue = "#42aeea";
+export const surfaceFill4Green = "#43af6e";
+export const surfaceFill4Red = "#ff3e51";
+export const surfaceFill4Yellow = "#ffe969";
+export const surfaceFill5Blue = "#005dba";
+export const surfaceFill5Green = "#00633d";
+export const surfaceFill5Red = "#c50b30";
+export const surfaceFill5Yellow = "#ffb600";
+export const surfaceFill6Blue = "#005dba";
+export const surfaceFill6Green = "#00633d";
+export const surfaceFill6Red = "#c50b30";
+export const surfaceFill6Yellow = "#c86426";
+export const surfaceFill7Blue = "#001d6e";
+export const surfaceFill7Green = "#01312e";
+export const surfaceFill7Red = "#940824";
+export const surfaceFill7Yellow = "#c86426";
+export const textInteractive1Blue = "#f4f4f4";
+export const textInteractive1Green = "#f4f4f4";
+export const textInteractive1Red = "#f4f4f4";
+export const textInteractive1Yellow = "#1d1d1b";
+export const textInteractive2Blue = "#005dba";
+export const textInteractive2Green = "#00633d";
+export const textInteractive2Red = "#c50b30";
+export const textInteractive2Yellow = "#1d1d1b";
+export const textInteractive3Blue = "#001d6e";
+export const textInteractive3Green = "#01312e";
+export const textInteractive3Red = "#940824";
+export const textInteractive3Yellow = "#1d1d1b";
+export const textInteractive4Blue = "#000a52";
+export const textInteractive4Green = "#012425";
+export const textInteractive4Red = "#6e061b";
+export const textInteractive4Yellow = "#1d1d1b";
+export const textInteractive5Blue = "#000039";
+export const textInteractive5Green = "#011b1f";
+export const textInteractive5Red = "#480411";
+export const textInteractive5Yellow = "#000000";
+export const textInteractive6Blue = "#000000";
+export const textInteractive6Green = "#000000";
+export const textInteractive6Red = "#000000";
+export const textInteractive6Yellow = "#000000";
+export const textStatic1Blue = "#1d1d1b";
+export const textStatic1Green = "#1d1d1b";
+export const textStatic1Red = "#1d1d1b";
+export const textStatic1Yellow = "#1d1d1b";
+export const textStatic2Blue = "#4d4f4f";
+export const textStatic2Green = "#4d4f4f";
+export const textStatic2Red = "#4d4f4f";
+export const textStatic2Yellow = "#4d4f4f";
+export const textStatic3Blue = "#001d6e";
+export const textStatic3Green = "#01312e";
+export const textStatic3Red = "#940824";
+export const textStatic3Yellow = "#904029";
+export const textStatic4Blue = "#d2effb";
+export const textStatic4Green = "#dff6eb";
+export const textStatic4Red = "#ffd5d2";
+export const textStatic4Yellow = "#572722";
+export const textStatic5Blue = "#ffffff";
+export const textStatic5Green = "#ffffff";
+export const textStatic5Red = "#ffffff";
+export const textStatic5Yellow = "#1d1d1b";
@@ -0,0 +1,12672 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+exports.interactivePrimaryRestBackgroundColourNeutralBlue = "#005dba";
+exports.interactivePrimaryRestBackgroundColourNeutralGreen = "#00633d";
+exports.interactivePrimaryRestBackgroundColourNeutralRed = "#c50b30";
+exports.interactivePrimaryRestBackgroundColourNeutralYellow = "#ffb600";
+exports.interactivePrimaryRestBackgroundColourSubtleBlue = "#005dba";
+exports.interactivePrimaryRestBackgroundColourSubtleGreen = "#00633d";
+exports.interactivePrimaryRestBackgroundColourSubtleRed = "#c50b30";
+exports.interactivePrimaryRestBackgroundColourSubtleYellow = "#ffb600";
+exports.interactivePrimaryRestBackgroundColourBoldBlue = "#ffffff";
+exports.interactivePrimaryRestBackgroundColourBoldGreen = "#ffffff";
+exports.interactivePrimaryRestBackgroundColourBoldRed = "#ffffff";
+exports.interactivePrimaryRestBackgroundColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryRestBackgroundColourNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryRestBackgroundColourNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryRestBackgroundColourNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryRestBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryRestBorderColourNeutralBlue = "#005dba";
+exports.interactivePrimaryRestBorderColourNeutralGreen = "#00633d";
+exports.interactivePrimaryRestBorderColourNeutralRed = "#c50b30";
+exports.interactivePrimaryRestBorderColourNeutralYellow = "#ffb600";
+exports.interactivePrimaryRestBorderColourSubtleBlue = "#005dba";
+exports.interactivePrimaryRestBorderColourSubtleGreen = "#00633d";
+exports.interactivePrimaryRestBorderColourSubtleRed = "#c50b30";
+exports.interactivePrimaryRestBorderColourSubtleYellow = "#ffb600";
+exports.interactivePrimaryRestBorderColourBoldBlue = "#ffffff";
+exports.interactivePrimaryRestBorderColourBoldGreen = "#ffffff";
+exports.interactivePrimaryRestBorderColourBoldRed = "#ffffff";
+exports.interactivePrimaryRestBorderColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryRestBorderColourNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryRestBorderColourNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryRestBorderColourNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryRestBorderColourNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryRestColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryRestColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryRestColourNeutralRed = "#ffffff";
+exports.interactivePrimaryRestColourNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryRestColourSubtleBlue = "#ffffff";
+exports.interactivePrimaryRestColourSubtleGreen = "#ffffff";
+exports.interactivePrimaryRestColourSubtleRed = "#ffffff";
+exports.interactivePrimaryRestColourSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryRestColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryRestColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryRestColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryRestColourBoldYellow = "#f4f4f4";
+exports.interactivePrimaryRestColourNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryRestColourNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryRestColourNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryRestColourNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryHoverBackgroundColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryHoverBackgroundColourNeutralGreen = "#01312e";
+exports.interactivePrimaryHoverBackgroundColourNeutralRed = "#940824";
+exports.interactivePrimaryHoverBackgroundColourNeutralYellow = "#904029";
+exports.interactivePrimaryHoverBackgroundColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryHoverBackgroundColourSubtleGreen = "#01312e";
+exports.interactivePrimaryHoverBackgroundColourSubtleRed = "#940824";
+exports.interactivePrimaryHoverBackgroundColourSubtleYellow = "#904029";
+exports.interactivePrimaryHoverBackgroundColourBoldBlue = "#001d6e";
+exports.interactivePrimaryHoverBackgroundColourBoldGreen = "#01312e";
+exports.interactivePrimaryHoverBackgroundColourBoldRed = "#940824";
+exports.interactivePrimaryHoverBackgroundColourBoldYellow = "#ffe969";
+exports.interactivePrimaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryHoverBackgroundColourNeutralInverseRed = "#940824";
+exports.interactivePrimaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+exports.interactivePrimaryHoverBorderColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryHoverBorderColourNeutralGreen = "#01312e";
+exports.interactivePrimaryHoverBorderColourNeutralRed = "#940824";
+exports.interactivePrimaryHoverBorderColourNeutralYellow = "#904029";
+exports.interactivePrimaryHoverBorderColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryHoverBorderColourSubtleGreen = "#01312e";
+exports.interactivePrimaryHoverBorderColourSubtleRed = "#940824";
+exports.interactivePrimaryHoverBorderColourSubtleYellow = "#904029";
+exports.interactivePrimaryHoverBorderColourBoldBlue = "#ffffff";
+exports.interactivePrimaryHoverBorderColourBoldGreen = "#ffffff";
+exports.interactivePrimaryHoverBorderColourBoldRed = "#ffffff";
+exports.interactivePrimaryHoverBorderColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryHoverBorderColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryHoverBorderColourNeutralInverseRed = "#940824";
+exports.interactivePrimaryHoverBorderColourNeutralInverseYellow = "#904029";
+exports.interactivePrimaryHoverColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryHoverColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryHoverColourNeutralRed = "#ffffff";
+exports.interactivePrimaryHoverColourNeutralYellow = "#ffffff";
+exports.interactivePrimaryHoverColourSubtleBlue = "#ffffff";
+exports.interactivePrimaryHoverColourSubtleGreen = "#ffffff";
+exports.interactivePrimaryHoverColourSubtleRed = "#ffffff";
+exports.interactivePrimaryHoverColourSubtleYellow = "#ffffff";
+exports.interactivePrimaryHoverColourBoldBlue = "#ffffff";
+exports.interactivePrimaryHoverColourBoldGreen = "#ffffff";
+exports.interactivePrimaryHoverColourBoldRed = "#ffffff";
+exports.interactivePrimaryHoverColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryHoverColourNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryHoverColourNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryHoverColourNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryHoverColourNeutralInverseYellow = "#ffffff";
+exports.interactivePrimaryActiveBackgroundColourNeutralBlue = "#000039";
+exports.interactivePrimaryActiveBackgroundColourNeutralGreen = "#011b1f";
+exports.interactivePrimaryActiveBackgroundColourNeutralRed = "#480411";
+exports.interactivePrimaryActiveBackgroundColourNeutralYellow = "#572722";
+exports.interactivePrimaryActiveBackgroundColourSubtleBlue = "#000039";
+exports.interactivePrimaryActiveBackgroundColourSubtleGreen = "#011b1f";
+exports.interactivePrimaryActiveBackgroundColourSubtleRed = "#480411";
+exports.interactivePrimaryActiveBackgroundColourSubtleYellow = "#572722";
+exports.interactivePrimaryActiveBackgroundColourBoldBlue = "#000039";
+exports.interactivePrimaryActiveBackgroundColourBoldGreen = "#011b1f";
+exports.interactivePrimaryActiveBackgroundColourBoldRed = "#480411";
+exports.interactivePrimaryActiveBackgroundColourBoldYellow = "#fffbdc";
+exports.interactivePrimaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+exports.interactivePrimaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+exports.interactivePrimaryActiveBackgroundColourNeutralInverseRed = "#480411";
+exports.interactivePrimaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+exports.interactivePrimaryActiveBorderColourNeutralBlue = "#000039";
+exports.interactivePrimaryActiveBorderColourNeutralGreen = "#011b1f";
+exports.interactivePrimaryActiveBorderColourNeutralRed = "#480411";
+exports.interactivePrimaryActiveBorderColourNeutralYellow = "#572722";
+exports.interactivePrimaryActiveBorderColourSubtleBlue = "#000039";
+exports.interactivePrimaryActiveBorderColourSubtleGreen = "#011b1f";
+exports.interactivePrimaryActiveBorderColourSubtleRed = "#480411";
+exports.interactivePrimaryActiveBorderColourSubtleYellow = "#572722";
+exports.interactivePrimaryActiveBorderColourBoldBlue = "#ffffff";
+exports.interactivePrimaryActiveBorderColourBoldGreen = "#ffffff";
+exports.interactivePrimaryActiveBorderColourBoldRed = "#ffffff";
+exports.interactivePrimaryActiveBorderColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryActiveBorderColourNeutralInverseBlue = "#000039";
+exports.interactivePrimaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+exports.interactivePrimaryActiveBorderColourNeutralInverseRed = "#480411";
+exports.interactivePrimaryActiveBorderColourNeutralInverseYellow = "#572722";
+exports.interactivePrimaryActiveColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryActiveColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryActiveColourNeutralRed = "#ffffff";
+exports.interactivePrimaryActiveColourNeutralYellow = "#ffffff";
+exports.interactivePrimaryActiveColourSubtleBlue = "#ffffff";
+exports.interactivePrimaryActiveColourSubtleGreen = "#ffffff";
+exports.interactivePrimaryActiveColourSubtleRed = "#ffffff";
+exports.interactivePrimaryActiveColourSubtleYellow = "#ffffff";
+exports.interactivePrimaryActiveColourBoldBlue = "#ffffff";
+exports.interactivePrimaryActiveColourBoldGreen = "#ffffff";
+exports.interactivePrimaryActiveColourBoldRed = "#ffffff";
+exports.interactivePrimaryActiveColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryActiveColourNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryActiveColourNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryActiveColourNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryActiveColourNeutralInverseYellow = "#ffffff";
+exports.interactivePrimaryFocusBackgroundColourNeutralBlue = "#005dba";
+exports.interactivePrimaryFocusBackgroundColourNeutralGreen = "#00633d";
+exports.interactivePrimaryFocusBackgroundColourNeutralRed = "#c50b30";
+exports.interactivePrimaryFocusBackgroundColourNeutralYellow = "#ffb600";
+exports.interactivePrimaryFocusBackgroundColourSubtleBlue = "#005dba";
+exports.interactivePrimaryFocusBackgroundColourSubtleGreen = "#00633d";
+exports.interactivePrimaryFocusBackgroundColourSubtleRed = "#c50b30";
+exports.interactivePrimaryFocusBackgroundColourSubtleYellow = "#ffb600";
+exports.interactivePrimaryFocusBackgroundColourBoldBlue = "#ffffff";
+exports.interactivePrimaryFocusBackgroundColourBoldGreen = "#ffffff";
+exports.interactivePrimaryFocusBackgroundColourBoldRed = "#ffffff";
+exports.interactivePrimaryFocusBackgroundColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryFocusBackgroundColourNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryFocusBackgroundColourNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryFocusBackgroundColourNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryFocusBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryFocusBorderColourNeutralBlue = "#005dba";
+exports.interactivePrimaryFocusBorderColourNeutralGreen = "#00633d";
+exports.interactivePrimaryFocusBorderColourNeutralRed = "#c50b30";
+exports.interactivePrimaryFocusBorderColourNeutralYellow = "#ffb600";
+exports.interactivePrimaryFocusBorderColourSubtleBlue = "#005dba";
+exports.interactivePrimaryFocusBorderColourSubtleGreen = "#00633d";
+exports.interactivePrimaryFocusBorderColourSubtleRed = "#c50b30";
+exports.interactivePrimaryFocusBorderColourSubtleYellow = "#ffb600";
+exports.interactivePrimaryFocusBorderColourBoldBlue = "#ffffff";
+exports.interactivePrimaryFocusBorderColourBoldGreen = "#ffffff";
+exports.interactivePrimaryFocusBorderColourBoldRed = "#ffffff";
+exports.interactivePrimaryFocusBorderColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryFocusBorderColourNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryFocusBorderColourNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryFocusBorderColourNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryFocusBorderColourNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryFocusColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryFocusColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryFocusColourNeutralRed = "#ffffff";
+exports.interactivePrimaryFocusColourNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryFocusColourSubtleBlue = "#ffffff";
+exports.interactivePrimaryFocusColourSubtleGreen = "#ffffff";
+exports.interactivePrimaryFocusColourSubtleRed = "#ffffff";
+exports.interactivePrimaryFocusColourSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryFocusColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryFocusColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryFocusColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryFocusColourBoldYellow = "#f4f4f4";
+exports.interactivePrimaryFocusColourNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryFocusColourNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryFocusColourNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryFocusColourNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+exports.interactivePrimaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+exports.interactivePrimaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+exports.interactivePrimaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+exports.interactivePrimaryDisabledBackgroundColourSubtleBlue = "#76c8f1";
+exports.interactivePrimaryDisabledBackgroundColourSubtleGreen = "#7fce9f";
+exports.interactivePrimaryDisabledBackgroundColourSubtleRed = "#ff7e7e";
+exports.interactivePrimaryDisabledBackgroundColourSubtleYellow = "#ffe969";
+exports.interactivePrimaryDisabledBackgroundColourBoldBlue = "#1e84d2";
+exports.interactivePrimaryDisabledBackgroundColourBoldGreen = "#1a8952";
+exports.interactivePrimaryDisabledBackgroundColourBoldRed = "#ff3e51";
+exports.interactivePrimaryDisabledBackgroundColourBoldYellow = "#e48616";
+exports.interactivePrimaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+exports.interactivePrimaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+exports.interactivePrimaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+exports.interactivePrimaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourSubtleBlue = "#76c8f1";
+exports.interactivePrimaryDisabledBorderColourSubtleGreen = "#7fce9f";
+exports.interactivePrimaryDisabledBorderColourSubtleRed = "#ff7e7e";
+exports.interactivePrimaryDisabledBorderColourSubtleYellow = "#ffe969";
+exports.interactivePrimaryDisabledBorderColourBoldBlue = "#1e84d2";
+exports.interactivePrimaryDisabledBorderColourBoldGreen = "#1a8952";
+exports.interactivePrimaryDisabledBorderColourBoldRed = "#ff3e51";
+exports.interactivePrimaryDisabledBorderColourBoldYellow = "#e48616";
+exports.interactivePrimaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.interactivePrimaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.interactivePrimaryDisabledColourNeutralBlue = "#7a7b7b";
+exports.interactivePrimaryDisabledColourNeutralGreen = "#7a7b7b";
+exports.interactivePrimaryDisabledColourNeutralRed = "#7a7b7b";
+exports.interactivePrimaryDisabledColourNeutralYellow = "#7a7b7b";
+exports.interactivePrimaryDisabledColourSubtleBlue = "#1e84d2";
+exports.interactivePrimaryDisabledColourSubtleGreen = "#1a8952";
+exports.interactivePrimaryDisabledColourSubtleRed = "#e2223e";
+exports.interactivePrimaryDisabledColourSubtleYellow = "#ffb600";
+exports.interactivePrimaryDisabledColourBoldBlue = "#001d6e";
+exports.interactivePrimaryDisabledColourBoldGreen = "#014a39";
+exports.interactivePrimaryDisabledColourBoldRed = "#940824";
+exports.interactivePrimaryDisabledColourBoldYellow = "#c86426";
+exports.interactivePrimaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+exports.interactivePrimaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+exports.interactivePrimaryDisabledColourNeutralInverseRed = "#7a7b7b";
+exports.interactivePrimaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralYellow = "#ffffff";
+exports.interactivePrimaryReversedRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.interactivePrimaryReversedRestBackgroundColourSubtleGreen = "#caeedd";
+exports.interactivePrimaryReversedRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactivePrimaryReversedRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.interactivePrimaryReversedRestBackgroundColourBoldBlue = "#005dba";
+exports.interactivePrimaryReversedRestBackgroundColourBoldGreen = "#00633d";
+exports.interactivePrimaryReversedRestBackgroundColourBoldRed = "#c50b30";
+exports.interactivePrimaryReversedRestBackgroundColourBoldYellow = "#ffb600";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.interactivePrimaryReversedRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralBlue = "#d3d3d3";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralGreen = "#d3d3d3";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralRed = "#d3d3d3";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralYellow = "#d3d3d3";
+exports.interactivePrimaryReversedRestBorderColourLightSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourLightSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourLightSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourLightSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourLightBoldBlue = "#f4f4f4";
+exports.interactivePrimaryReversedRestBorderColourLightBoldGreen = "#f4f4f4";
+exports.interactivePrimaryReversedRestBorderColourLightBoldRed = "#f4f4f4";
+exports.interactivePrimaryReversedRestBorderColourLightBoldYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralInverseBlue = "#858686";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralInverseGreen = "#858686";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralInverseRed = "#858686";
+exports.interactivePrimaryReversedRestBorderColourLightNeutralInverseYellow = "#858686";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkBoldBlue = "#f4f4f4";
+exports.interactivePrimaryReversedRestBorderColourDarkBoldGreen = "#f4f4f4";
+exports.interactivePrimaryReversedRestBorderColourDarkBoldRed = "#f4f4f4";
+exports.interactivePrimaryReversedRestBorderColourDarkBoldYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralInverseBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralInverseGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralInverseRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestBorderColourDarkNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralYellow = "#000000";
+exports.interactivePrimaryReversedRestColourSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourSubtleYellow = "#000000";
+exports.interactivePrimaryReversedRestColourBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedRestColourBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedRestColourBoldRed = "#ffffff";
+exports.interactivePrimaryReversedRestColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralInverseBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralInverseGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralInverseRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourNeutralInverseYellow = "#000000";
+exports.interactivePrimaryReversedRestColourMutedNeutralBlue = "#4d4f4f";
+exports.interactivePrimaryReversedRestColourMutedNeutralGreen = "#4d4f4f";
+exports.interactivePrimaryReversedRestColourMutedNeutralRed = "#4d4f4f";
+exports.interactivePrimaryReversedRestColourMutedNeutralYellow = "#4d4f4f";
+exports.interactivePrimaryReversedRestColourMutedSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourMutedSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourMutedSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourMutedSubtleYellow = "#000000";
+exports.interactivePrimaryReversedRestColourMutedBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedRestColourMutedBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedRestColourMutedBoldRed = "#ffffff";
+exports.interactivePrimaryReversedRestColourMutedBoldYellow = "#1d1d1b";
+exports.interactivePrimaryReversedRestColourMutedNeutralInverseBlue = "#4d4f4f";
+exports.interactivePrimaryReversedRestColourMutedNeutralInverseGreen = "#4d4f4f";
+exports.interactivePrimaryReversedRestColourMutedNeutralInverseRed = "#4d4f4f";
+exports.interactivePrimaryReversedRestColourMutedNeutralInverseYellow = "#4d4f4f";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralBlue = "#aee1f7";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralGreen = "#caeedd";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralRed = "#ffd5d2";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralYellow = "#fff9c7";
+exports.interactivePrimaryReversedHoverBackgroundColourSubtleBlue = "#42aeea";
+exports.interactivePrimaryReversedHoverBackgroundColourSubtleGreen = "#43af6e";
+exports.interactivePrimaryReversedHoverBackgroundColourSubtleRed = "#ff3e51";
+exports.interactivePrimaryReversedHoverBackgroundColourSubtleYellow = "#ffe969";
+exports.interactivePrimaryReversedHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.interactivePrimaryReversedHoverBackgroundColourBoldGreen = "#caeedd";
+exports.interactivePrimaryReversedHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.interactivePrimaryReversedHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.interactivePrimaryReversedHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralBlue = "#001d6e";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralGreen = "#01312e";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralRed = "#480411";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralYellow = "#572722";
+exports.interactivePrimaryReversedHoverBorderColourLightSubtleBlue = "#001d6e";
+exports.interactivePrimaryReversedHoverBorderColourLightSubtleGreen = "#01312e";
+exports.interactivePrimaryReversedHoverBorderColourLightSubtleRed = "#480411";
+exports.interactivePrimaryReversedHoverBorderColourLightSubtleYellow = "#572722";
+exports.interactivePrimaryReversedHoverBorderColourLightBoldBlue = "#001d6e";
+exports.interactivePrimaryReversedHoverBorderColourLightBoldGreen = "#01312e";
+exports.interactivePrimaryReversedHoverBorderColourLightBoldRed = "#480411";
+exports.interactivePrimaryReversedHoverBorderColourLightBoldYellow = "#572722";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralInverseRed = "#480411";
+exports.interactivePrimaryReversedHoverBorderColourLightNeutralInverseYellow = "#572722";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkBoldYellow = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralInverseBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralInverseGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralInverseRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverBorderColourDarkNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourNeutralBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourNeutralGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourNeutralRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourNeutralYellow = "#000000";
+exports.interactivePrimaryReversedHoverColourSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourSubtleYellow = "#000000";
+exports.interactivePrimaryReversedHoverColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourNeutralInverseRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourNeutralInverseYellow = "#000000";
+exports.interactivePrimaryReversedHoverColourMutedNeutralBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedNeutralGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedNeutralRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedNeutralYellow = "#000000";
+exports.interactivePrimaryReversedHoverColourMutedSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedSubtleYellow = "#000000";
+exports.interactivePrimaryReversedHoverColourMutedBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedBoldYellow = "#000000";
+exports.interactivePrimaryReversedHoverColourMutedNeutralInverseBlue = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedNeutralInverseGreen = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedNeutralInverseRed = "#1d1d1b";
+exports.interactivePrimaryReversedHoverColourMutedNeutralInverseYellow = "#000000";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralBlue = "#005dba";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralGreen = "#00633d";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralRed = "#c50b30";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralYellow = "#ffb600";
+exports.interactivePrimaryReversedActiveBackgroundColourSubtleBlue = "#005dba";
+exports.interactivePrimaryReversedActiveBackgroundColourSubtleGreen = "#00633d";
+exports.interactivePrimaryReversedActiveBackgroundColourSubtleRed = "#c50b30";
+exports.interactivePrimaryReversedActiveBackgroundColourSubtleYellow = "#ffb600";
+exports.interactivePrimaryReversedActiveBackgroundColourBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveBackgroundColourBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveBackgroundColourBoldRed = "#ffffff";
+exports.interactivePrimaryReversedActiveBackgroundColourBoldYellow = "#ffffff";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryReversedActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveBorderColourLightSubtleBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightSubtleGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightSubtleRed = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveBorderColourLightBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedActiveBorderColourLightBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedActiveBorderColourLightBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedActiveBorderColourLightBoldYellow = "#000000";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourLightNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralBlue = "#005dba";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralGreen = "#00633d";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralRed = "#c50b30";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralYellow = "#ffb600";
+exports.interactivePrimaryReversedActiveBorderColourDarkSubtleBlue = "#005dba";
+exports.interactivePrimaryReversedActiveBorderColourDarkSubtleGreen = "#00633d";
+exports.interactivePrimaryReversedActiveBorderColourDarkSubtleRed = "#c50b30";
+exports.interactivePrimaryReversedActiveBorderColourDarkSubtleYellow = "#ffb600";
+exports.interactivePrimaryReversedActiveBorderColourDarkBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourDarkBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourDarkBoldRed = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourDarkBoldYellow = "#ffffff";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryReversedActiveBorderColourDarkNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryReversedActiveColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveColourNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedActiveColourNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourSubtleBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveColourSubtleGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveColourSubtleRed = "#ffffff";
+exports.interactivePrimaryReversedActiveColourSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedActiveColourNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveColourNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveColourNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryReversedActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourMutedNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourMutedSubtleBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedSubtleGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedSubtleRed = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryReversedActiveColourMutedBoldBlue = "#4d4f4f";
+exports.interactivePrimaryReversedActiveColourMutedBoldGreen = "#4d4f4f";
+exports.interactivePrimaryReversedActiveColourMutedBoldRed = "#4d4f4f";
+exports.interactivePrimaryReversedActiveColourMutedBoldYellow = "#4d4f4f";
+exports.interactivePrimaryReversedActiveColourMutedNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryReversedActiveColourMutedNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.interactivePrimaryReversedFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.interactivePrimaryReversedFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.interactivePrimaryReversedFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactivePrimaryReversedFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.interactivePrimaryReversedFocusBackgroundColourBoldBlue = "#005dba";
+exports.interactivePrimaryReversedFocusBackgroundColourBoldGreen = "#00633d";
+exports.interactivePrimaryReversedFocusBackgroundColourBoldRed = "#c50b30";
+exports.interactivePrimaryReversedFocusBackgroundColourBoldYellow = "#ffb600";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralYellow = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourLightSubtleBlue = "#aee1f7";
+exports.interactivePrimaryReversedFocusBorderColourLightSubtleGreen = "#caeedd";
+exports.interactivePrimaryReversedFocusBorderColourLightSubtleRed = "#ffd5d2";
+exports.interactivePrimaryReversedFocusBorderColourLightSubtleYellow = "#fff9c7";
+exports.interactivePrimaryReversedFocusBorderColourLightBoldBlue = "#005dba";
+exports.interactivePrimaryReversedFocusBorderColourLightBoldGreen = "#00633d";
+exports.interactivePrimaryReversedFocusBorderColourLightBoldRed = "#c50b30";
+exports.interactivePrimaryReversedFocusBorderColourLightBoldYellow = "#ffb600";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralInverseBlue = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralInverseGreen = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralInverseRed = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourLightNeutralInverseYellow = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralYellow = "#ffffff";
+exports.interactivePrimaryReversedFocusBorderColourDarkSubtleBlue = "#aee1f7";
+exports.interactivePrimaryReversedFocusBorderColourDarkSubtleGreen = "#caeedd";
+exports.interactivePrimaryReversedFocusBorderColourDarkSubtleRed = "#ffd5d2";
+exports.interactivePrimaryReversedFocusBorderColourDarkSubtleYellow = "#fff9c7";
+exports.interactivePrimaryReversedFocusBorderColourDarkBoldBlue = "#005dba";
+exports.interactivePrimaryReversedFocusBorderColourDarkBoldGreen = "#00633d";
+exports.interactivePrimaryReversedFocusBorderColourDarkBoldRed = "#c50b30";
+exports.interactivePrimaryReversedFocusBorderColourDarkBoldYellow = "#ffb600";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralInverseBlue = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralInverseGreen = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralInverseRed = "#f4f4f4";
+exports.interactivePrimaryReversedFocusBorderColourDarkNeutralInverseYellow = "#f4f4f4";
+exports.interactivePrimaryReversedFocusColourNeutralBlue = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourNeutralGreen = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourNeutralRed = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourNeutralYellow = "#000000";
+exports.interactivePrimaryReversedFocusColourSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourSubtleYellow = "#000000";
+exports.interactivePrimaryReversedFocusColourBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedFocusColourBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedFocusColourBoldRed = "#ffffff";
+exports.interactivePrimaryReversedFocusColourBoldYellow = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourNeutralInverseRed = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourNeutralInverseYellow = "#000000";
+exports.interactivePrimaryReversedFocusColourMutedNeutralBlue = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedNeutralGreen = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedNeutralRed = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedNeutralYellow = "#000000";
+exports.interactivePrimaryReversedFocusColourMutedSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedSubtleYellow = "#000000";
+exports.interactivePrimaryReversedFocusColourMutedBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedFocusColourMutedBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedFocusColourMutedBoldRed = "#ffffff";
+exports.interactivePrimaryReversedFocusColourMutedBoldYellow = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedNeutralInverseBlue = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedNeutralInverseGreen = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedNeutralInverseRed = "#1d1d1b";
+exports.interactivePrimaryReversedFocusColourMutedNeutralInverseYellow = "#000000";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralRed = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBackgroundColourSubtleBlue = "#d2effb";
+exports.interactivePrimaryReversedDisabledBackgroundColourSubtleGreen = "#dff6eb";
+exports.interactivePrimaryReversedDisabledBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactivePrimaryReversedDisabledBackgroundColourSubtleYellow = "#fffbdc";
+exports.interactivePrimaryReversedDisabledBackgroundColourBoldBlue = "#d2effb";
+exports.interactivePrimaryReversedDisabledBackgroundColourBoldGreen = "#dff6eb";
+exports.interactivePrimaryReversedDisabledBackgroundColourBoldRed = "#ffd5d2";
+exports.interactivePrimaryReversedDisabledBackgroundColourBoldYellow = "#fffbdc";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourSubtleBlue = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourSubtleGreen = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourSubtleRed = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourSubtleYellow = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourBoldBlue = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourBoldGreen = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourBoldRed = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourBoldYellow = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourNeutralBlue = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourNeutralGreen = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourNeutralRed = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourNeutralYellow = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourSubtleBlue = "#76c8f1";
+exports.interactivePrimaryReversedDisabledColourSubtleGreen = "#7fce9f";
+exports.interactivePrimaryReversedDisabledColourSubtleRed = "#ff7e7e";
+exports.interactivePrimaryReversedDisabledColourSubtleYellow = "#ffe969";
+exports.interactivePrimaryReversedDisabledColourBoldBlue = "#76c8f1";
+exports.interactivePrimaryReversedDisabledColourBoldGreen = "#7fce9f";
+exports.interactivePrimaryReversedDisabledColourBoldRed = "#ff7e7e";
+exports.interactivePrimaryReversedDisabledColourBoldYellow = "#ffe969";
+exports.interactivePrimaryReversedDisabledColourNeutralInverseBlue = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourNeutralInverseGreen = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourNeutralInverseRed = "#d3d3d3";
+exports.interactivePrimaryReversedDisabledColourNeutralInverseYellow = "#d3d3d3";
+exports.interactivePaddingXsNeutralBlue = 8;
+exports.interactivePaddingXsNeutralGreen = 8;
+exports.interactivePaddingXsNeutralRed = 8;
+exports.interactivePaddingXsNeutralYellow = 8;
+exports.interactivePaddingXsSubtleBlue = 8;
+exports.interactivePaddingXsSubtleGreen = 8;
+exports.interactivePaddingXsSubtleRed = 8;
+exports.interactivePaddingXsSubtleYellow = 8;
+exports.interactivePaddingXsBoldBlue = 8;
+exports.interactivePaddingXsBoldGreen = 8;
+exports.interactivePaddingXsBoldRed = 8;
+exports.interactivePaddingXsBoldYellow = 8;
+exports.interactivePaddingXsNeutralInverseBlue = 8;
+exports.interactivePaddingXsNeutralInverseGreen = 8;
+exports.interactivePaddingXsNeutralInverseRed = 8;
+exports.interactivePaddingXsNeutralInverseYellow = 8;
+exports.interactivePaddingSmNeutralBlue = 12;
+exports.interactivePaddingSmNeutralGreen = 12;
+exports.interactivePaddingSmNeutralRed = 12;
+exports.interactivePaddingSmNeutralYellow = 12;
+exports.interactivePaddingSmSubtleBlue = 12;
+exports.interactivePaddingSmSubtleGreen = 12;
+exports.interactivePaddingSmSubtleRed = 12;
+exports.interactivePaddingSmSubtleYellow = 12;
+exports.interactivePaddingSmBoldBlue = 12;
+exports.interactivePaddingSmBoldGreen = 12;
+exports.interactivePaddingSmBoldRed = 12;
+exports.interactivePaddingSmBoldYellow = 12;
+exports.interactivePaddingSmNeutralInverseBlue = 12;
+exports.interactivePaddingSmNeutralInverseGreen = 12;
+exports.interactivePaddingSmNeutralInverseRed = 12;
+exports.interactivePaddingSmNeutralInverseYellow = 12;
+exports.interactivePaddingMdNeutralBlue = 16;
+exports.interactivePaddingMdNeutralGreen = 16;
+exports.interactivePaddingMdNeutralRed = 16;
+exports.interactivePaddingMdNeutralYellow = 16;
+exports.interactivePaddingMdSubtleBlue = 16;
+exports.interactivePaddingMdSubtleGreen = 16;
+exports.interactivePaddingMdSubtleRed = 16;
+exports.interactivePaddingMdSubtleYellow = 16;
+exports.interactivePaddingMdBoldBlue = 16;
+exports.interactivePaddingMdBoldGreen = 16;
+exports.interactivePaddingMdBoldRed = 16;
+exports.interactivePaddingMdBoldYellow = 16;
+exports.interactivePaddingMdNeutralInverseBlue = 16;
+exports.interactivePaddingMdNeutralInverseGreen = 16;
+exports.interactivePaddingMdNeutralInverseRed = 16;
+exports.interactivePaddingMdNeutralInverseYellow = 16;
+exports.interactivePaddingLgNeutralBlue = 20;
+exports.interactivePaddingLgNeutralGreen = 20;
+exports.interactivePaddingLgNeutralRed = 20;
+exports.interactivePaddingLgNeutralYellow = 20;
+exports.interactivePaddingLgSubtleBlue = 20;
+exports.interactivePaddingLgSubtleGreen = 20;
+exports.interactivePaddingLgSubtleRed = 20;
+exports.interactivePaddingLgSubtleYellow = 20;
+exports.interactivePaddingLgBoldBlue = 20;
+exports.interactivePaddingLgBoldGreen = 20;
+exports.interactivePaddingLgBoldRed = 20;
+exports.interactivePaddingLgBoldYellow = 20;
+exports.interactivePaddingLgNeutralInverseBlue = 20;
+exports.interactivePaddingLgNeutralInverseGreen = 20;
+exports.interactivePaddingLgNeutralInverseRed = 20;
+exports.interactivePaddingLgNeutralInverseYellow = 20;
+exports.interactiveBorderWidthXsNeutralBlue = 1;
+exports.interactiveBorderWidthXsNeutralGreen = 1;
+exports.interactiveBorderWidthXsNeutralRed = 1;
+exports.interactiveBorderWidthXsNeutralYellow = 1;
+exports.interactiveBorderWidthXsSubtleBlue = 1;
+exports.interactiveBorderWidthXsSubtleGreen = 1;
+exports.interactiveBorderWidthXsSubtleRed = 1;
+exports.interactiveBorderWidthXsSubtleYellow = 1;
+exports.interactiveBorderWidthXsBoldBlue = 1;
+exports.interactiveBorderWidthXsBoldGreen = 1;
+exports.interactiveBorderWidthXsBoldRed = 1;
+exports.interactiveBorderWidthXsBoldYellow = 1;
+exports.interactiveBorderWidthXsNeutralInverseBlue = 1;
+exports.interactiveBorderWidthXsNeutralInverseGreen = 1;
+exports.interactiveBorderWidthXsNeutralInverseRed = 1;
+exports.interactiveBorderWidthXsNeutralInverseYellow = 1;
+exports.interactiveBorderWidthSmNeutralBlue = 1.5;
+exports.interactiveBorderWidthSmNeutralGreen = 1.5;
+exports.interactiveBorderWidthSmNeutralRed = 1.5;
+exports.interactiveBorderWidthSmNeutralYellow = 1.5;
+exports.interactiveBorderWidthSmSubtleBlue = 1.5;
+exports.interactiveBorderWidthSmSubtleGreen = 1.5;
+exports.interactiveBorderWidthSmSubtleRed = 1.5;
+exports.interactiveBorderWidthSmSubtleYellow = 1.5;
+exports.interactiveBorderWidthSmBoldBlue = 1.5;
+exports.interactiveBorderWidthSmBoldGreen = 1.5;
+exports.interactiveBorderWidthSmBoldRed = 1.5;
+exports.interactiveBorderWidthSmBoldYellow = 1.5;
+exports.interactiveBorderWidthSmNeutralInverseBlue = 1.5;
+exports.interactiveBorderWidthSmNeutralInverseGreen = 1.5;
+exports.interactiveBorderWidthSmNeutralInverseRed = 1.5;
+exports.interactiveBorderWidthSmNeutralInverseYellow = 1.5;
+exports.interactiveUnderlineBorderWidthNeutralBlue = 2;
+exports.interactiveUnderlineBorderWidthNeutralGreen = 2;
+exports.interactiveUnderlineBorderWidthNeutralRed = 2;
+exports.interactiveUnderlineBorderWidthNeutralYellow = 2;
+exports.interactiveUnderlineBorderWidthSubtleBlue = 2;
+exports.interactiveUnderlineBorderWidthSubtleGreen = 2;
+exports.interactiveUnderlineBorderWidthSubtleRed = 2;
+exports.interactiveUnderlineBorderWidthSubtleYellow = 2;
+exports.interactiveUnderlineBorderWidthBoldBlue = 2;
+exports.interactiveUnderlineBorderWidthBoldGreen = 2;
+exports.interactiveUnderlineBorderWidthBoldRed = 2;
+exports.interactiveUnderlineBorderWidthBoldYellow = 2;
+exports.interactiveUnderlineBorderWidthNeutralInverseBlue = 2;
+exports.interactiveUnderlineBorderWidthNeutralInverseGreen = 2;
+exports.interactiveUnderlineBorderWidthNeutralInverseRed = 2;
+exports.interactiveUnderlineBorderWidthNeutralInverseYellow = 2;
+exports.interactiveBorderWidthLgNeutralBlue = 3;
+exports.interactiveBorderWidthLgNeutralGreen = 3;
+exports.interactiveBorderWidthLgNeutralRed = 3;
+exports.interactiveBorderWidthLgNeutralYellow = 3;
+exports.interactiveBorderWidthLgSubtleBlue = 3;
+exports.interactiveBorderWidthLgSubtleGreen = 3;
+exports.interactiveBorderWidthLgSubtleRed = 3;
+exports.interactiveBorderWidthLgSubtleYellow = 3;
+exports.interactiveBorderWidthLgBoldBlue = 3;
+exports.interactiveBorderWidthLgBoldGreen = 3;
+exports.interactiveBorderWidthLgBoldRed = 3;
+exports.interactiveBorderWidthLgBoldYellow = 3;
+exports.interactiveBorderWidthLgNeutralInverseBlue = 3;
+exports.interactiveBorderWidthLgNeutralInverseGreen = 3;
+exports.interactiveBorderWidthLgNeutralInverseRed = 3;
+exports.interactiveBorderWidthLgNeutralInverseYellow = 3;
+exports.interactiveFocusBorderWidthNeutralBlue = 3;
+exports.interactiveFocusBorderWidthNeutralGreen = 3;
+exports.interactiveFocusBorderWidthNeutralRed = 3;
+exports.interactiveFocusBorderWidthNeutralYellow = 3;
+exports.interactiveFocusBorderWidthSubtleBlue = 3;
+exports.interactiveFocusBorderWidthSubtleGreen = 3;
+exports.interactiveFocusBorderWidthSubtleRed = 3;
+exports.interactiveFocusBorderWidthSubtleYellow = 3;
+exports.interactiveFocusBorderWidthBoldBlue = 3;
+exports.interactiveFocusBorderWidthBoldGreen = 3;
+exports.interactiveFocusBorderWidthBoldRed = 3;
+exports.interactiveFocusBorderWidthBoldYellow = 3;
+exports.interactiveFocusBorderWidthNeutralInverseBlue = 3;
+exports.interactiveFocusBorderWidthNeutralInverseGreen = 3;
+exports.interactiveFocusBorderWidthNeutralInverseRed = 3;
+exports.interactiveFocusBorderWidthNeutralInverseYellow = 3;
+exports.interactiveBorderRadiusDefaultNeutralBlue = 12;
+exports.interactiveBorderRadiusDefaultNeutralGreen = 12;
+exports.interactiveBorderRadiusDefaultNeutralRed = 12;
+exports.interactiveBorderRadiusDefaultNeutralYellow = 12;
+exports.interactiveBorderRadiusDefaultSubtleBlue = 12;
+exports.interactiveBorderRadiusDefaultSubtleGreen = 12;
+exports.interactiveBorderRadiusDefaultSubtleRed = 12;
+exports.interactiveBorderRadiusDefaultSubtleYellow = 12;
+exports.interactiveBorderRadiusDefaultBoldBlue = 12;
+exports.interactiveBorderRadiusDefaultBoldGreen = 12;
+exports.interactiveBorderRadiusDefaultBoldRed = 12;
+exports.interactiveBorderRadiusDefaultBoldYellow = 12;
+exports.interactiveBorderRadiusDefaultNeutralInverseBlue = 12;
+exports.interactiveBorderRadiusDefaultNeutralInverseGreen = 12;
+exports.interactiveBorderRadiusDefaultNeutralInverseRed = 12;
+exports.interactiveBorderRadiusDefaultNeutralInverseYellow = 12;
+exports.interactiveBorderRadiusPillNeutralBlue = 28;
+exports.interactiveBorderRadiusPillNeutralGreen = 28;
+exports.interactiveBorderRadiusPillNeutralRed = 28;
+exports.interactiveBorderRadiusPillNeutralYellow = 28;
+exports.interactiveBorderRadiusPillSubtleBlue = 28;
+exports.interactiveBorderRadiusPillSubtleGreen = 28;
+exports.interactiveBorderRadiusPillSubtleRed = 28;
+exports.interactiveBorderRadiusPillSubtleYellow = 28;
+exports.interactiveBorderRadiusPillBoldBlue = 28;
+exports.interactiveBorderRadiusPillBoldGreen = 28;
+exports.interactiveBorderRadiusPillBoldRed = 28;
+exports.interactiveBorderRadiusPillBoldYellow = 28;
+exports.interactiveBorderRadiusPillNeutralInverseBlue = 28;
+exports.interactiveBorderRadiusPillNeutralInverseGreen = 28;
+exports.interactiveBorderRadiusPillNeutralInverseRed = 28;
+exports.interactiveBorderRadiusPillNeutralInverseYellow = 28;
+exports.interactiveGapNeutralBlue = 8;
+exports.interactiveGapNeutralGreen = 8;
+exports.interactiveGapNeutralRed = 8;
+exports.interactiveGapNeutralYellow = 8;
+exports.interactiveGapSubtleBlue = 8;
+exports.interactiveGapSubtleGreen = 8;
+exports.interactiveGapSubtleRed = 8;
+exports.interactiveGapSubtleYellow = 8;
+exports.interactiveGapBoldBlue = 8;
+exports.interactiveGapBoldGreen = 8;
+exports.interactiveGapBoldRed = 8;
+exports.interactiveGapBoldYellow = 8;
+exports.interactiveGapNeutralInverseBlue = 8;
+exports.interactiveGapNeutralInverseGreen = 8;
+exports.interactiveGapNeutralInverseRed = 8;
+exports.interactiveGapNeutralInverseYellow = 8;
+exports.interactiveMinHeightNeutralBlue = 48;
+exports.interactiveMinHeightNeutralGreen = 48;
+exports.interactiveMinHeightNeutralRed = 48;
+exports.interactiveMinHeightNeutralYellow = 48;
+exports.interactiveMinHeightSubtleBlue = 48;
+exports.interactiveMinHeightSubtleGreen = 48;
+exports.interactiveMinHeightSubtleRed = 48;
+exports.interactiveMinHeightSubtleYellow = 48;
+exports.interactiveMinHeightBoldBlue = 48;
+exports.interactiveMinHeightBoldGreen = 48;
+exports.interactiveMinHeightBoldRed = 48;
+exports.interactiveMinHeightBoldYellow = 48;
+exports.interactiveMinHeightNeutralInverseBlue = 48;
+exports.interactiveMinHeightNeutralInverseGreen = 48;
+exports.interactiveMinHeightNeutralInverseRed = 48;
+exports.interactiveMinHeightNeutralInverseYellow = 48;
+exports.interactiveMinWidthNeutralBlue = 48;
+exports.interactiveMinWidthNeutralGreen = 48;
+exports.interactiveMinWidthNeutralRed = 48;
+exports.interactiveMinWidthNeutralYellow = 48;
+exports.interactiveMinWidthSubtleBlue = 48;
+exports.interactiveMinWidthSubtleGreen = 48;
+exports.interactiveMinWidthSubtleRed = 48;
+exports.interactiveMinWidthSubtleYellow = 48;
+exports.interactiveMinWidthBoldBlue = 48;
+exports.interactiveMinWidthBoldGreen = 48;
+exports.interactiveMinWidthBoldRed = 48;
+exports.interactiveMinWidthBoldYellow = 48;
+exports.interactiveMinWidthNeutralInverseBlue = 48;
+exports.interactiveMinWidthNeutralInverseGreen = 48;
+exports.interactiveMinWidthNeutralInverseRed = 48;
+exports.interactiveMinWidthNeutralInverseYellow = 48;
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralBlue = "#aee1f7";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralGreen = "#caeedd";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralRed = "#ffd5d2";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralYellow = "#fff9c7";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourSubtleGreen = "#caeedd";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourBoldBlue = "#42aeea";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourBoldGreen = "#43af6e";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourBoldRed = "#ff3e51";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourBoldYellow = "#ffe969";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralRed = "#940824";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralYellow = "#c86426";
+exports.interactivePrimaryReversedSubtleRestBorderColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleRestBorderColourSubtleGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleRestBorderColourSubtleRed = "#940824";
+exports.interactivePrimaryReversedSubtleRestBorderColourSubtleYellow = "#c86426";
+exports.interactivePrimaryReversedSubtleRestBorderColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleRestBorderColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleRestBorderColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleRestBorderColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralInverseRed = "#940824";
+exports.interactivePrimaryReversedSubtleRestBorderColourNeutralInverseYellow = "#c86426";
+exports.interactivePrimaryReversedSubtleRestColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleRestColourNeutralGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleRestColourNeutralRed = "#480411";
+exports.interactivePrimaryReversedSubtleRestColourNeutralYellow = "#572722";
+exports.interactivePrimaryReversedSubtleRestColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleRestColourSubtleGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleRestColourSubtleRed = "#480411";
+exports.interactivePrimaryReversedSubtleRestColourSubtleYellow = "#572722";
+exports.interactivePrimaryReversedSubtleRestColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleRestColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleRestColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleRestColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedSubtleRestColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleRestColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleRestColourNeutralInverseRed = "#480411";
+exports.interactivePrimaryReversedSubtleRestColourNeutralInverseYellow = "#572722";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralBlue = "#005dba";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralGreen = "#00633d";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralRed = "#c50b30";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralYellow = "#ffb600";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourSubtleBlue = "#005dba";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourSubtleGreen = "#00633d";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourSubtleRed = "#c50b30";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourSubtleYellow = "#ffb600";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourBoldGreen = "#caeedd";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralBlue = "#005dba";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralGreen = "#00633d";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralRed = "#c50b30";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralYellow = "#ffb600";
+exports.interactivePrimaryReversedSubtleHoverBorderColourSubtleBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverBorderColourSubtleGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverBorderColourSubtleRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverBorderColourSubtleYellow = "#000000";
+exports.interactivePrimaryReversedSubtleHoverBorderColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverBorderColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverBorderColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverBorderColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseBlue = "#005dba";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseGreen = "#00633d";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseRed = "#c50b30";
+exports.interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseYellow = "#ffb600";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralYellow = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverColourSubtleBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourSubtleGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourSubtleRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourSubtleYellow = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleHoverColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleHoverColourNeutralInverseYellow = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralRed = "#480411";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralYellow = "#572722";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourSubtleGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourSubtleRed = "#480411";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourSubtleYellow = "#572722";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourBoldRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourBoldYellow = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseRed = "#480411";
+exports.interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseYellow = "#572722";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralRed = "#480411";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralYellow = "#572722";
+exports.interactivePrimaryReversedSubtleActiveBorderColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleActiveBorderColourSubtleGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleActiveBorderColourSubtleRed = "#480411";
+exports.interactivePrimaryReversedSubtleActiveBorderColourSubtleYellow = "#572722";
+exports.interactivePrimaryReversedSubtleActiveBorderColourBoldBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBorderColourBoldGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBorderColourBoldRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBorderColourBoldYellow = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseRed = "#480411";
+exports.interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseYellow = "#572722";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralYellow = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourSubtleBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourSubtleGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourSubtleRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourSubtleYellow = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleActiveColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleActiveColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleActiveColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralInverseBlue = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralInverseGreen = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralInverseRed = "#ffffff";
+exports.interactivePrimaryReversedSubtleActiveColourNeutralInverseYellow = "#ffffff";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralBlue = "#aee1f7";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralGreen = "#caeedd";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralRed = "#ffd5d2";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralYellow = "#fff9c7";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourBoldBlue = "#42aeea";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourBoldGreen = "#43af6e";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourBoldRed = "#ff3e51";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourBoldYellow = "#ffe969";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralRed = "#940824";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralYellow = "#c86426";
+exports.interactivePrimaryReversedSubtleFocusBorderColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleFocusBorderColourSubtleGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleFocusBorderColourSubtleRed = "#940824";
+exports.interactivePrimaryReversedSubtleFocusBorderColourSubtleYellow = "#c86426";
+exports.interactivePrimaryReversedSubtleFocusBorderColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleFocusBorderColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleFocusBorderColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleFocusBorderColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseRed = "#940824";
+exports.interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseYellow = "#c86426";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralRed = "#480411";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralYellow = "#572722";
+exports.interactivePrimaryReversedSubtleFocusColourSubtleBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleFocusColourSubtleGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleFocusColourSubtleRed = "#480411";
+exports.interactivePrimaryReversedSubtleFocusColourSubtleYellow = "#572722";
+exports.interactivePrimaryReversedSubtleFocusColourBoldBlue = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleFocusColourBoldGreen = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleFocusColourBoldRed = "#1d1d1b";
+exports.interactivePrimaryReversedSubtleFocusColourBoldYellow = "#000000";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralInverseBlue = "#001d6e";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralInverseGreen = "#01312e";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralInverseRed = "#480411";
+exports.interactivePrimaryReversedSubtleFocusColourNeutralInverseYellow = "#572722";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourBoldBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourBoldGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourBoldRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourBoldYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourSubtleBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourSubtleGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourSubtleRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourSubtleYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourBoldBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourBoldGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourBoldRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourBoldYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralBlue = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralGreen = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralRed = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralYellow = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourSubtleBlue = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourSubtleGreen = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourSubtleRed = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourSubtleYellow = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourBoldBlue = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourBoldGreen = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourBoldRed = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourBoldYellow = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralInverseBlue = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralInverseGreen = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralInverseRed = "#7a7b7b";
+exports.interactivePrimaryReversedSubtleDisabledColourNeutralInverseYellow = "#7a7b7b";
+exports.interactiveSecondaryRestBackgroundColourNeutralBlue = "#ffffff";
+exports.interactiveSecondaryRestBackgroundColourNeutralGreen = "#ffffff";
+exports.interactiveSecondaryRestBackgroundColourNeutralRed = "#ffffff";
+exports.interactiveSecondaryRestBackgroundColourNeutralYellow = "#ffffff";
+exports.interactiveSecondaryRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.interactiveSecondaryRestBackgroundColourSubtleGreen = "#caeedd";
+exports.interactiveSecondaryRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactiveSecondaryRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.interactiveSecondaryRestBackgroundColourBoldBlue = "#005dba";
+exports.interactiveSecondaryRestBackgroundColourBoldGreen = "#00633d";
+exports.interactiveSecondaryRestBackgroundColourBoldRed = "#c50b30";
+exports.interactiveSecondaryRestBackgroundColourBoldYellow = "#ffb600";
+exports.interactiveSecondaryRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.interactiveSecondaryRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.interactiveSecondaryRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.interactiveSecondaryRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.interactiveSecondaryRestBorderColourNeutralBlue = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourNeutralGreen = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourNeutralRed = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourNeutralYellow = "#000000";
+exports.interactiveSecondaryRestBorderColourSubtleBlue = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourSubtleGreen = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourSubtleRed = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourSubtleYellow = "#000000";
+exports.interactiveSecondaryRestBorderColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryRestBorderColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryRestBorderColourBoldRed = "#ffffff";
+exports.interactiveSecondaryRestBorderColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourNeutralInverseRed = "#1d1d1b";
+exports.interactiveSecondaryRestBorderColourNeutralInverseYellow = "#000000";
+exports.interactiveSecondaryRestColourNeutralBlue = "#1d1d1b";
+exports.interactiveSecondaryRestColourNeutralGreen = "#1d1d1b";
+exports.interactiveSecondaryRestColourNeutralRed = "#1d1d1b";
+exports.interactiveSecondaryRestColourNeutralYellow = "#000000";
+exports.interactiveSecondaryRestColourSubtleBlue = "#1d1d1b";
+exports.interactiveSecondaryRestColourSubtleGreen = "#1d1d1b";
+exports.interactiveSecondaryRestColourSubtleRed = "#1d1d1b";
+exports.interactiveSecondaryRestColourSubtleYellow = "#000000";
+exports.interactiveSecondaryRestColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryRestColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryRestColourBoldRed = "#ffffff";
+exports.interactiveSecondaryRestColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryRestColourNeutralInverseBlue = "#1d1d1b";
+exports.interactiveSecondaryRestColourNeutralInverseGreen = "#1d1d1b";
+exports.interactiveSecondaryRestColourNeutralInverseRed = "#1d1d1b";
+exports.interactiveSecondaryRestColourNeutralInverseYellow = "#000000";
+exports.interactiveSecondaryHoverBackgroundColourNeutralBlue = "#001d6e";
+exports.interactiveSecondaryHoverBackgroundColourNeutralGreen = "#01312e";
+exports.interactiveSecondaryHoverBackgroundColourNeutralRed = "#940824";
+exports.interactiveSecondaryHoverBackgroundColourNeutralYellow = "#904029";
+exports.interactiveSecondaryHoverBackgroundColourSubtleBlue = "#001d6e";
+exports.interactiveSecondaryHoverBackgroundColourSubtleGreen = "#01312e";
+exports.interactiveSecondaryHoverBackgroundColourSubtleRed = "#940824";
+exports.interactiveSecondaryHoverBackgroundColourSubtleYellow = "#904029";
+exports.interactiveSecondaryHoverBackgroundColourBoldBlue = "#001d6e";
+exports.interactiveSecondaryHoverBackgroundColourBoldGreen = "#01312e";
+exports.interactiveSecondaryHoverBackgroundColourBoldRed = "#940824";
+exports.interactiveSecondaryHoverBackgroundColourBoldYellow = "#ffe969";
+exports.interactiveSecondaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+exports.interactiveSecondaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+exports.interactiveSecondaryHoverBackgroundColourNeutralInverseRed = "#940824";
+exports.interactiveSecondaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+exports.interactiveSecondaryHoverBorderColourNeutralBlue = "#001d6e";
+exports.interactiveSecondaryHoverBorderColourNeutralGreen = "#01312e";
+exports.interactiveSecondaryHoverBorderColourNeutralRed = "#940824";
+exports.interactiveSecondaryHoverBorderColourNeutralYellow = "#904029";
+exports.interactiveSecondaryHoverBorderColourSubtleBlue = "#001d6e";
+exports.interactiveSecondaryHoverBorderColourSubtleGreen = "#01312e";
+exports.interactiveSecondaryHoverBorderColourSubtleRed = "#940824";
+exports.interactiveSecondaryHoverBorderColourSubtleYellow = "#904029";
+exports.interactiveSecondaryHoverBorderColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryHoverBorderColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryHoverBorderColourBoldRed = "#ffffff";
+exports.interactiveSecondaryHoverBorderColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+exports.interactiveSecondaryHoverBorderColourNeutralInverseGreen = "#01312e";
+exports.interactiveSecondaryHoverBorderColourNeutralInverseRed = "#940824";
+exports.interactiveSecondaryHoverBorderColourNeutralInverseYellow = "#904029";
+exports.interactiveSecondaryHoverColourNeutralBlue = "#ffffff";
+exports.interactiveSecondaryHoverColourNeutralGreen = "#ffffff";
+exports.interactiveSecondaryHoverColourNeutralRed = "#ffffff";
+exports.interactiveSecondaryHoverColourNeutralYellow = "#ffffff";
+exports.interactiveSecondaryHoverColourSubtleBlue = "#ffffff";
+exports.interactiveSecondaryHoverColourSubtleGreen = "#ffffff";
+exports.interactiveSecondaryHoverColourSubtleRed = "#ffffff";
+exports.interactiveSecondaryHoverColourSubtleYellow = "#ffffff";
+exports.interactiveSecondaryHoverColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryHoverColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryHoverColourBoldRed = "#ffffff";
+exports.interactiveSecondaryHoverColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryHoverColourNeutralInverseBlue = "#ffffff";
+exports.interactiveSecondaryHoverColourNeutralInverseGreen = "#ffffff";
+exports.interactiveSecondaryHoverColourNeutralInverseRed = "#ffffff";
+exports.interactiveSecondaryHoverColourNeutralInverseYellow = "#ffffff";
+exports.interactiveSecondaryActiveBackgroundColourNeutralBlue = "#000039";
+exports.interactiveSecondaryActiveBackgroundColourNeutralGreen = "#011b1f";
+exports.interactiveSecondaryActiveBackgroundColourNeutralRed = "#480411";
+exports.interactiveSecondaryActiveBackgroundColourNeutralYellow = "#572722";
+exports.interactiveSecondaryActiveBackgroundColourSubtleBlue = "#000039";
+exports.interactiveSecondaryActiveBackgroundColourSubtleGreen = "#011b1f";
+exports.interactiveSecondaryActiveBackgroundColourSubtleRed = "#480411";
+exports.interactiveSecondaryActiveBackgroundColourSubtleYellow = "#572722";
+exports.interactiveSecondaryActiveBackgroundColourBoldBlue = "#000039";
+exports.interactiveSecondaryActiveBackgroundColourBoldGreen = "#011b1f";
+exports.interactiveSecondaryActiveBackgroundColourBoldRed = "#480411";
+exports.interactiveSecondaryActiveBackgroundColourBoldYellow = "#fffbdc";
+exports.interactiveSecondaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+exports.interactiveSecondaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+exports.interactiveSecondaryActiveBackgroundColourNeutralInverseRed = "#480411";
+exports.interactiveSecondaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+exports.interactiveSecondaryActiveBorderColourNeutralBlue = "#000039";
+exports.interactiveSecondaryActiveBorderColourNeutralGreen = "#011b1f";
+exports.interactiveSecondaryActiveBorderColourNeutralRed = "#480411";
+exports.interactiveSecondaryActiveBorderColourNeutralYellow = "#572722";
+exports.interactiveSecondaryActiveBorderColourSubtleBlue = "#000039";
+exports.interactiveSecondaryActiveBorderColourSubtleGreen = "#011b1f";
+exports.interactiveSecondaryActiveBorderColourSubtleRed = "#480411";
+exports.interactiveSecondaryActiveBorderColourSubtleYellow = "#572722";
+exports.interactiveSecondaryActiveBorderColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryActiveBorderColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryActiveBorderColourBoldRed = "#ffffff";
+exports.interactiveSecondaryActiveBorderColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryActiveBorderColourNeutralInverseBlue = "#000039";
+exports.interactiveSecondaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+exports.interactiveSecondaryActiveBorderColourNeutralInverseRed = "#480411";
+exports.interactiveSecondaryActiveBorderColourNeutralInverseYellow = "#572722";
+exports.interactiveSecondaryActiveColourNeutralBlue = "#ffffff";
+exports.interactiveSecondaryActiveColourNeutralGreen = "#ffffff";
+exports.interactiveSecondaryActiveColourNeutralRed = "#ffffff";
+exports.interactiveSecondaryActiveColourNeutralYellow = "#ffffff";
+exports.interactiveSecondaryActiveColourSubtleBlue = "#ffffff";
+exports.interactiveSecondaryActiveColourSubtleGreen = "#ffffff";
+exports.interactiveSecondaryActiveColourSubtleRed = "#ffffff";
+exports.interactiveSecondaryActiveColourSubtleYellow = "#ffffff";
+exports.interactiveSecondaryActiveColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryActiveColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryActiveColourBoldRed = "#ffffff";
+exports.interactiveSecondaryActiveColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryActiveColourNeutralInverseBlue = "#ffffff";
+exports.interactiveSecondaryActiveColourNeutralInverseGreen = "#ffffff";
+exports.interactiveSecondaryActiveColourNeutralInverseRed = "#ffffff";
+exports.interactiveSecondaryActiveColourNeutralInverseYellow = "#ffffff";
+exports.interactiveSecondaryFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.interactiveSecondaryFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.interactiveSecondaryFocusBackgroundColourNeutralRed = "#ffffff";
+exports.interactiveSecondaryFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.interactiveSecondaryFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.interactiveSecondaryFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.interactiveSecondaryFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactiveSecondaryFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.interactiveSecondaryFocusBackgroundColourBoldBlue = "#005dba";
+exports.interactiveSecondaryFocusBackgroundColourBoldGreen = "#00633d";
+exports.interactiveSecondaryFocusBackgroundColourBoldRed = "#c50b30";
+exports.interactiveSecondaryFocusBackgroundColourBoldYellow = "#ffb600";
+exports.interactiveSecondaryFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.interactiveSecondaryFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.interactiveSecondaryFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.interactiveSecondaryFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.interactiveSecondaryFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourNeutralRed = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourNeutralYellow = "#000000";
+exports.interactiveSecondaryFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourSubtleRed = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourSubtleYellow = "#000000";
+exports.interactiveSecondaryFocusBorderColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryFocusBorderColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryFocusBorderColourBoldRed = "#ffffff";
+exports.interactiveSecondaryFocusBorderColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.interactiveSecondaryFocusBorderColourNeutralInverseYellow = "#000000";
+exports.interactiveSecondaryFocusColourNeutralBlue = "#1d1d1b";
+exports.interactiveSecondaryFocusColourNeutralGreen = "#1d1d1b";
+exports.interactiveSecondaryFocusColourNeutralRed = "#1d1d1b";
+exports.interactiveSecondaryFocusColourNeutralYellow = "#000000";
+exports.interactiveSecondaryFocusColourSubtleBlue = "#1d1d1b";
+exports.interactiveSecondaryFocusColourSubtleGreen = "#1d1d1b";
+exports.interactiveSecondaryFocusColourSubtleRed = "#1d1d1b";
+exports.interactiveSecondaryFocusColourSubtleYellow = "#000000";
+exports.interactiveSecondaryFocusColourBoldBlue = "#ffffff";
+exports.interactiveSecondaryFocusColourBoldGreen = "#ffffff";
+exports.interactiveSecondaryFocusColourBoldRed = "#ffffff";
+exports.interactiveSecondaryFocusColourBoldYellow = "#1d1d1b";
+exports.interactiveSecondaryFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.interactiveSecondaryFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.interactiveSecondaryFocusColourNeutralInverseRed = "#1d1d1b";
+exports.interactiveSecondaryFocusColourNeutralInverseYellow = "#000000";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+exports.interactiveSecondaryDisabledBackgroundColourSubtleBlue = "#aee1f7";
+exports.interactiveSecondaryDisabledBackgroundColourSubtleGreen = "#caeedd";
+exports.interactiveSecondaryDisabledBackgroundColourSubtleRed = "#ffd5d2";
+exports.interactiveSecondaryDisabledBackgroundColourSubtleYellow = "#fff9c7";
+exports.interactiveSecondaryDisabledBackgroundColourBoldBlue = "#005dba";
+exports.interactiveSecondaryDisabledBackgroundColourBoldGreen = "#00633d";
+exports.interactiveSecondaryDisabledBackgroundColourBoldRed = "#c50b30";
+exports.interactiveSecondaryDisabledBackgroundColourBoldYellow = "#ffb600";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+exports.interactiveSecondaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourSubtleBlue = "#76c8f1";
+exports.interactiveSecondaryDisabledBorderColourSubtleGreen = "#7fce9f";
+exports.interactiveSecondaryDisabledBorderColourSubtleRed = "#ff7e7e";
+exports.interactiveSecondaryDisabledBorderColourSubtleYellow = "#ffe969";
+exports.interactiveSecondaryDisabledBorderColourBoldBlue = "#001d6e";
+exports.interactiveSecondaryDisabledBorderColourBoldGreen = "#014a39";
+exports.interactiveSecondaryDisabledBorderColourBoldRed = "#940824";
+exports.interactiveSecondaryDisabledBorderColourBoldYellow = "#c86426";
+exports.interactiveSecondaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.interactiveSecondaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.interactiveSecondaryDisabledColourNeutralBlue = "#7a7b7b";
+exports.interactiveSecondaryDisabledColourNeutralGreen = "#7a7b7b";
+exports.interactiveSecondaryDisabledColourNeutralRed = "#7a7b7b";
+exports.interactiveSecondaryDisabledColourNeutralYellow = "#7a7b7b";
+exports.interactiveSecondaryDisabledColourSubtleBlue = "#1e84d2";
+exports.interactiveSecondaryDisabledColourSubtleGreen = "#1a8952";
+exports.interactiveSecondaryDisabledColourSubtleRed = "#e2223e";
+exports.interactiveSecondaryDisabledColourSubtleYellow = "#ffb600";
+exports.interactiveSecondaryDisabledColourBoldBlue = "#001d6e";
+exports.interactiveSecondaryDisabledColourBoldGreen = "#014a39";
+exports.interactiveSecondaryDisabledColourBoldRed = "#940824";
+exports.interactiveSecondaryDisabledColourBoldYellow = "#c86426";
+exports.interactiveSecondaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+exports.interactiveSecondaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+exports.interactiveSecondaryDisabledColourNeutralInverseRed = "#7a7b7b";
+exports.interactiveSecondaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+exports.interactiveStatusRestBackgroundColourNeutralInfo = "#005dba";
+exports.interactiveStatusRestBackgroundColourNeutralSuccess = "#00633d";
+exports.interactiveStatusRestBackgroundColourNeutralWarning = "#ffb600";
+exports.interactiveStatusRestBackgroundColourNeutralError = "#c50b30";
+exports.interactiveStatusRestBackgroundColourNeutralGeneric = "#4d4f4f";
+exports.interactiveStatusRestBackgroundColourSubtleInfo = "#005dba";
+exports.interactiveStatusRestBackgroundColourSubtleSuccess = "#00633d";
+exports.interactiveStatusRestBackgroundColourSubtleWarning = "#ffb600";
+exports.interactiveStatusRestBackgroundColourSubtleError = "#c50b30";
+exports.interactiveStatusRestBackgroundColourSubtleGeneric = "#4d4f4f";
+exports.interactiveStatusRestBackgroundColourBoldInfo = "#005dba";
+exports.interactiveStatusRestBackgroundColourBoldSuccess = "#00633d";
+exports.interactiveStatusRestBackgroundColourBoldWarning = "#ffb600";
+exports.interactiveStatusRestBackgroundColourBoldError = "#c50b30";
+exports.interactiveStatusRestBackgroundColourBoldGeneric = "#4d4f4f";
+exports.interactiveStatusRestBackgroundColourNeutralInverseInfo = "#005dba";
+exports.interactiveStatusRestBackgroundColourNeutralInverseSuccess = "#00633d";
+exports.interactiveStatusRestBackgroundColourNeutralInverseWarning = "#ffb600";
+exports.interactiveStatusRestBackgroundColourNeutralInverseError = "#c50b30";
+exports.interactiveStatusRestBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+exports.interactiveStatusRestBorderColourNeutralInfo = "#005dba";
+exports.interactiveStatusRestBorderColourNeutralSuccess = "#00633d";
+exports.interactiveStatusRestBorderColourNeutralWarning = "#ffb600";
+exports.interactiveStatusRestBorderColourNeutralError = "#c50b30";
+exports.interactiveStatusRestBorderColourNeutralGeneric = "#4d4f4f";
+exports.interactiveStatusRestBorderColourSubtleInfo = "#005dba";
+exports.interactiveStatusRestBorderColourSubtleSuccess = "#00633d";
+exports.interactiveStatusRestBorderColourSubtleWarning = "#ffb600";
+exports.interactiveStatusRestBorderColourSubtleError = "#c50b30";
+exports.interactiveStatusRestBorderColourSubtleGeneric = "#4d4f4f";
+exports.interactiveStatusRestBorderColourBoldInfo = "#005dba";
+exports.interactiveStatusRestBorderColourBoldSuccess = "#00633d";
+exports.interactiveStatusRestBorderColourBoldWarning = "#ffb600";
+exports.interactiveStatusRestBorderColourBoldError = "#c50b30";
+exports.interactiveStatusRestBorderColourBoldGeneric = "#4d4f4f";
+exports.interactiveStatusRestBorderColourNeutralInverseInfo = "#005dba";
+exports.interactiveStatusRestBorderColourNeutralInverseSuccess = "#00633d";
+exports.interactiveStatusRestBorderColourNeutralInverseWarning = "#ffb600";
+exports.interactiveStatusRestBorderColourNeutralInverseError = "#c50b30";
+exports.interactiveStatusRestBorderColourNeutralInverseGeneric = "#4d4f4f";
+exports.interactiveStatusRestColourNeutralInfo = "#ffffff";
+exports.interactiveStatusRestColourNeutralSuccess = "#ffffff";
+exports.interactiveStatusRestColourNeutralWarning = "#1d1d1b";
+exports.interactiveStatusRestColourNeutralError = "#ffffff";
+exports.interactiveStatusRestColourNeutralGeneric = "#ffffff";
+exports.interactiveStatusRestColourSubtleInfo = "#ffffff";
+exports.interactiveStatusRestColourSubtleSuccess = "#ffffff";
+exports.interactiveStatusRestColourSubtleWarning = "#1d1d1b";
+exports.interactiveStatusRestColourSubtleError = "#ffffff";
+exports.interactiveStatusRestColourSubtleGeneric = "#ffffff";
+exports.interactiveStatusRestColourBoldInfo = "#ffffff";
+exports.interactiveStatusRestColourBoldSuccess = "#ffffff";
+exports.interactiveStatusRestColourBoldWarning = "#1d1d1b";
+exports.interactiveStatusRestColourBoldError = "#ffffff";
+exports.interactiveStatusRestColourBoldGeneric = "#ffffff";
+exports.interactiveStatusRestColourNeutralInverseInfo = "#ffffff";
+exports.interactiveStatusRestColourNeutralInverseSuccess = "#ffffff";
+exports.interactiveStatusRestColourNeutralInverseWarning = "#1d1d1b";
+exports.interactiveStatusRestColourNeutralInverseError = "#ffffff";
+exports.interactiveStatusRestColourNeutralInverseGeneric = "#ffffff";
+exports.interactiveStatusHoverBackgroundColourNeutralInfo = "#001d6e";
+exports.interactiveStatusHoverBackgroundColourNeutralSuccess = "#01312e";
+exports.interactiveStatusHoverBackgroundColourNeutralWarning = "#904029";
+exports.interactiveStatusHoverBackgroundColourNeutralError = "#940824";
+exports.interactiveStatusHoverBackgroundColourNeutralGeneric = "#343634";
+exports.interactiveStatusHoverBackgroundColourSubtleInfo = "#001d6e";
+exports.interactiveStatusHoverBackgroundColourSubtleSuccess = "#01312e";
+exports.interactiveStatusHoverBackgroundColourSubtleWarning = "#904029";
+exports.interactiveStatusHoverBackgroundColourSubtleError = "#940824";
+exports.interactiveStatusHoverBackgroundColourSubtleGeneric = "#343634";
+exports.interactiveStatusHoverBackgroundColourBoldInfo = "#001d6e";
+exports.interactiveStatusHoverBackgroundColourBoldSuccess = "#01312e";
+exports.interactiveStatusHoverBackgroundColourBoldWarning = "#904029";
+exports.interactiveStatusHoverBackgroundColourBoldError = "#940824";
+exports.interactiveStatusHoverBackgroundColourBoldGeneric = "#343634";
+exports.interactiveStatusHoverBackgroundColourNeutralInverseInfo = "#001d6e";
+exports.interactiveStatusHoverBackgroundColourNeutralInverseSuccess = "#01312e";
+exports.interactiveStatusHoverBackgroundColourNeutralInverseWarning = "#904029";
+exports.interactiveStatusHoverBackgroundColourNeutralInverseError = "#940824";
+exports.interactiveStatusHoverBackgroundColourNeutralInverseGeneric = "#343634";
+exports.interactiveStatusHoverBorderColourNeutralInfo = "#001d6e";
+exports.interactiveStatusHoverBorderColourNeutralSuccess = "#01312e";
+exports.interactiveStatusHoverBorderColourNeutralWarning = "#904029";
+exports.interactiveStatusHoverBorderColourNeutralError = "#940824";
+exports.interactiveStatusHoverBorderColourNeutralGeneric = "#343634";
+exports.interactiveStatusHoverBorderColourSubtleInfo = "#001d6e";
+exports.interactiveStatusHoverBorderColourSubtleSuccess = "#01312e";
+exports.interactiveStatusHoverBorderColourSubtleWarning = "#904029";
+exports.interactiveStatusHoverBorderColourSubtleError = "#940824";
+exports.interactiveStatusHoverBorderColourSubtleGeneric = "#343634";
+exports.interactiveStatusHoverBorderColourBoldInfo = "#001d6e";
+exports.interactiveStatusHoverBorderColourBoldSuccess = "#01312e";
+exports.interactiveStatusHoverBorderColourBoldWarning = "#904029";
+exports.interactiveStatusHoverBorderColourBoldError = "#940824";
+exports.interactiveStatusHoverBorderColourBoldGeneric = "#343634";
+exports.interactiveStatusHoverBorderColourNeutralInverseInfo = "#001d6e";
+exports.interactiveStatusHoverBorderColourNeutralInverseSuccess = "#01312e";
+exports.interactiveStatusHoverBorderColourNeutralInverseWarning = "#904029";
+exports.interactiveStatusHoverBorderColourNeutralInverseError = "#940824";
+exports.interactiveStatusHoverBorderColourNeutralInverseGeneric = "#343634";
+exports.interactiveStatusHoverColourNeutralInfo = "#ffffff";
+exports.interactiveStatusHoverColourNeutralSuccess = "#ffffff";
+exports.interactiveStatusHoverColourNeutralWarning = "#ffffff";
+exports.interactiveStatusHoverColourNeutralError = "#ffffff";
+exports.interactiveStatusHoverColourNeutralGeneric = "#ffffff";
+exports.interactiveStatusHoverColourSubtleInfo = "#ffffff";
+exports.interactiveStatusHoverColourSubtleSuccess = "#ffffff";
+exports.interactiveStatusHoverColourSubtleWarning = "#ffffff";
+exports.interactiveStatusHoverColourSubtleError = "#ffffff";
+exports.interactiveStatusHoverColourSubtleGeneric = "#ffffff";
+exports.interactiveStatusHoverColourBoldInfo = "#ffffff";
+exports.interactiveStatusHoverColourBoldSuccess = "#ffffff";
+exports.interactiveStatusHoverColourBoldWarning = "#ffffff";
+exports.interactiveStatusHoverColourBoldError = "#ffffff";
+exports.interactiveStatusHoverColourBoldGeneric = "#ffffff";
+exports.interactiveStatusHoverColourNeutralInverseInfo = "#ffffff";
+exports.interactiveStatusHoverColourNeutralInverseSuccess = "#ffffff";
+exports.interactiveStatusHoverColourNeutralInverseWarning = "#ffffff";
+exports.interactiveStatusHoverColourNeutralInverseError = "#ffffff";
+exports.interactiveStatusHoverColourNeutralInverseGeneric = "#ffffff";
+exports.interactiveStatusActiveBackgroundColourNeutralInfo = "#000a52";
+exports.interactiveStatusActiveBackgroundColourNeutralSuccess = "#012425";
+exports.interactiveStatusActiveBackgroundColourNeutralWarning = "#572722";
+exports.interactiveStatusActiveBackgroundColourNeutralError = "#6e061b";
+exports.interactiveStatusActiveBackgroundColourNeutralGeneric = "#1d1d1b";
+exports.interactiveStatusActiveBackgroundColourSubtleInfo = "#000a52";
+exports.interactiveStatusActiveBackgroundColourSubtleSuccess = "#012425";
+exports.interactiveStatusActiveBackgroundColourSubtleWarning = "#572722";
+exports.interactiveStatusActiveBackgroundColourSubtleError = "#6e061b";
+exports.interactiveStatusActiveBackgroundColourSubtleGeneric = "#1d1d1b";
+exports.interactiveStatusActiveBackgroundColourBoldInfo = "#000a52";
+exports.interactiveStatusActiveBackgroundColourBoldSuccess = "#012425";
+exports.interactiveStatusActiveBackgroundColourBoldWarning = "#572722";
+exports.interactiveStatusActiveBackgroundColourBoldError = "#6e061b";
+exports.interactiveStatusActiveBackgroundColourBoldGeneric = "#1d1d1b";
+exports.interactiveStatusActiveBackgroundColourNeutralInverseInfo = "#000a52";
+exports.interactiveStatusActiveBackgroundColourNeutralInverseSuccess = "#012425";
+exports.interactiveStatusActiveBackgroundColourNeutralInverseWarning = "#572722";
+exports.interactiveStatusActiveBackgroundColourNeutralInverseError = "#6e061b";
+exports.interactiveStatusActiveBackgroundColourNeutralInverseGeneric = "#1d1d1b";
+exports.interactiveStatusActiveBorderColourNeutralInfo = "#000a52";
+exports.interactiveStatusActiveBorderColourNeutralSuccess = "#012425";
+exports.interactiveStatusActiveBorderColourNeutralWarning = "#572722";
+exports.interactiveStatusActiveBorderColourNeutralError = "#6e061b";
+exports.interactiveStatusActiveBorderColourNeutralGeneric = "#1d1d1b";
+exports.interactiveStatusActiveBorderColourSubtleInfo = "#000a52";
+exports.interactiveStatusActiveBorderColourSubtleSuccess = "#012425";
+exports.interactiveStatusActiveBorderColourSubtleWarning = "#572722";
+exports.interactiveStatusActiveBorderColourSubtleError = "#6e061b";
+exports.interactiveStatusActiveBorderColourSubtleGeneric = "#1d1d1b";
+exports.interactiveStatusActiveBorderColourBoldInfo = "#000a52";
+exports.interactiveStatusActiveBorderColourBoldSuccess = "#012425";
+exports.interactiveStatusActiveBorderColourBoldWarning = "#572722";
+exports.interactiveStatusActiveBorderColourBoldError = "#6e061b";
+exports.interactiveStatusActiveBorderColourBoldGeneric = "#1d1d1b";
+exports.interactiveStatusActiveBorderColourNeutralInverseInfo = "#000a52";
+exports.interactiveStatusActiveBorderColourNeutralInverseSuccess = "#012425";
+exports.interactiveStatusActiveBorderColourNeutralInverseWarning = "#572722";
+exports.interactiveStatusActiveBorderColourNeutralInverseError = "#6e061b";
+exports.interactiveStatusActiveBorderColourNeutralInverseGeneric = "#1d1d1b";
+exports.interactiveStatusActiveColourNeutralInfo = "#ffffff";
+exports.interactiveStatusActiveColourNeutralSuccess = "#ffffff";
+exports.interactiveStatusActiveColourNeutralWarning = "#ffffff";
+exports.interactiveStatusActiveColourNeutralError = "#ffffff";
+exports.interactiveStatusActiveColourNeutralGeneric = "#ffffff";
+exports.interactiveStatusActiveColourSubtleInfo = "#ffffff";
+exports.interactiveStatusActiveColourSubtleSuccess = "#ffffff";
+exports.interactiveStatusActiveColourSubtleWarning = "#ffffff";
+exports.interactiveStatusActiveColourSubtleError = "#ffffff";
+exports.interactiveStatusActiveColourSubtleGeneric = "#ffffff";
+exports.interactiveStatusActiveColourBoldInfo = "#ffffff";
+exports.interactiveStatusActiveColourBoldSuccess = "#ffffff";
+exports.interactiveStatusActiveColourBoldWarning = "#ffffff";
+exports.interactiveStatusActiveColourBoldError = "#ffffff";
+exports.interactiveStatusActiveColourBoldGeneric = "#ffffff";
+exports.interactiveStatusActiveColourNeutralInverseInfo = "#ffffff";
+exports.interactiveStatusActiveColourNeutralInverseSuccess = "#ffffff";
+exports.interactiveStatusActiveColourNeutralInverseWarning = "#ffffff";
+exports.interactiveStatusActiveColourNeutralInverseError = "#ffffff";
+exports.interactiveStatusActiveColourNeutralInverseGeneric = "#ffffff";
+exports.interactiveStatusFocusBackgroundColourNeutralInfo = "#005dba";
+exports.interactiveStatusFocusBackgroundColourNeutralSuccess = "#00633d";
+exports.interactiveStatusFocusBackgroundColourNeutralWarning = "#ffb600";
+exports.interactiveStatusFocusBackgroundColourNeutralError = "#c50b30";
+exports.interactiveStatusFocusBackgroundColourNeutralGeneric = "#4d4f4f";
+exports.interactiveStatusFocusBackgroundColourSubtleInfo = "#005dba";
+exports.interactiveStatusFocusBackgroundColourSubtleSuccess = "#00633d";
+exports.interactiveStatusFocusBackgroundColourSubtleWarning = "#ffb600";
+exports.interactiveStatusFocusBackgroundColourSubtleError = "#c50b30";
+exports.interactiveStatusFocusBackgroundColourSubtleGeneric = "#4d4f4f";
+exports.interactiveStatusFocusBackgroundColourBoldInfo = "#005dba";
+exports.interactiveStatusFocusBackgroundColourBoldSuccess = "#00633d";
+exports.interactiveStatusFocusBackgroundColourBoldWarning = "#ffb600";
+exports.interactiveStatusFocusBackgroundColourBoldError = "#c50b30";
+exports.interactiveStatusFocusBackgroundColourBoldGeneric = "#4d4f4f";
+exports.interactiveStatusFocusBackgroundColourNeutralInverseInfo = "#005dba";
+exports.interactiveStatusFocusBackgroundColourNeutralInverseSuccess = "#00633d";
+exports.interactiveStatusFocusBackgroundColourNeutralInverseWarning = "#ffb600";
+exports.interactiveStatusFocusBackgroundColourNeutralInverseError = "#c50b30";
+exports.interactiveStatusFocusBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+exports.interactiveStatusFocusBorderColourNeutralInfo = "#005dba";
+exports.interactiveStatusFocusBorderColourNeutralSuccess = "#00633d";
+exports.interactiveStatusFocusBorderColourNeutralWarning = "#ffb600";
+exports.interactiveStatusFocusBorderColourNeutralError = "#c50b30";
+exports.interactiveStatusFocusBorderColourNeutralGeneric = "#4d4f4f";
+exports.interactiveStatusFocusBorderColourSubtleInfo = "#005dba";
+exports.interactiveStatusFocusBorderColourSubtleSuccess = "#00633d";
+exports.interactiveStatusFocusBorderColourSubtleWarning = "#ffb600";
+exports.interactiveStatusFocusBorderColourSubtleError = "#c50b30";
+exports.interactiveStatusFocusBorderColourSubtleGeneric = "#4d4f4f";
+exports.interactiveStatusFocusBorderColourBoldInfo = "#005dba";
+exports.interactiveStatusFocusBorderColourBoldSuccess = "#00633d";
+exports.interactiveStatusFocusBorderColourBoldWarning = "#ffb600";
+exports.interactiveStatusFocusBorderColourBoldError = "#c50b30";
+exports.interactiveStatusFocusBorderColourBoldGeneric = "#4d4f4f";
+exports.interactiveStatusFocusBorderColourNeutralInverseInfo = "#005dba";
+exports.interactiveStatusFocusBorderColourNeutralInverseSuccess = "#00633d";
+exports.interactiveStatusFocusBorderColourNeutralInverseWarning = "#ffb600";
+exports.interactiveStatusFocusBorderColourNeutralInverseError = "#c50b30";
+exports.interactiveStatusFocusBorderColourNeutralInverseGeneric = "#4d4f4f";
+exports.interactiveStatusFocusColourNeutralInfo = "#ffffff";
+exports.interactiveStatusFocusColourNeutralSuccess = "#ffffff";
+exports.interactiveStatusFocusColourNeutralWarning = "#1d1d1b";
+exports.interactiveStatusFocusColourNeutralError = "#ffffff";
+exports.interactiveStatusFocusColourNeutralGeneric = "#ffffff";
+exports.interactiveStatusFocusColourSubtleInfo = "#ffffff";
+exports.interactiveStatusFocusColourSubtleSuccess = "#ffffff";
+exports.interactiveStatusFocusColourSubtleWarning = "#1d1d1b";
+exports.interactiveStatusFocusColourSubtleError = "#ffffff";
+exports.interactiveStatusFocusColourSubtleGeneric = "#ffffff";
+exports.interactiveStatusFocusColourBoldInfo = "#ffffff";
+exports.interactiveStatusFocusColourBoldSuccess = "#ffffff";
+exports.interactiveStatusFocusColourBoldWarning = "#1d1d1b";
+exports.interactiveStatusFocusColourBoldError = "#ffffff";
+exports.interactiveStatusFocusColourBoldGeneric = "#ffffff";
+exports.interactiveStatusFocusColourNeutralInverseInfo = "#ffffff";
+exports.interactiveStatusFocusColourNeutralInverseSuccess = "#ffffff";
+exports.interactiveStatusFocusColourNeutralInverseWarning = "#1d1d1b";
+exports.interactiveStatusFocusColourNeutralInverseError = "#ffffff";
+exports.interactiveStatusFocusColourNeutralInverseGeneric = "#ffffff";
+exports.interactiveStatusDisabledBackgroundColourNeutralInfo = "#76c8f1";
+exports.interactiveStatusDisabledBackgroundColourNeutralSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBackgroundColourNeutralWarning = "#ffe969";
+exports.interactiveStatusDisabledBackgroundColourNeutralError = "#ff7e7e";
+exports.interactiveStatusDisabledBackgroundColourNeutralGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledBackgroundColourSubtleInfo = "#76c8f1";
+exports.interactiveStatusDisabledBackgroundColourSubtleSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBackgroundColourSubtleWarning = "#ffe969";
+exports.interactiveStatusDisabledBackgroundColourSubtleError = "#ff7e7e";
+exports.interactiveStatusDisabledBackgroundColourSubtleGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledBackgroundColourBoldInfo = "#76c8f1";
+exports.interactiveStatusDisabledBackgroundColourBoldSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBackgroundColourBoldWarning = "#ffe969";
+exports.interactiveStatusDisabledBackgroundColourBoldError = "#ff7e7e";
+exports.interactiveStatusDisabledBackgroundColourBoldGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledBackgroundColourNeutralInverseInfo = "#76c8f1";
+exports.interactiveStatusDisabledBackgroundColourNeutralInverseSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBackgroundColourNeutralInverseWarning = "#ffe969";
+exports.interactiveStatusDisabledBackgroundColourNeutralInverseError = "#ff7e7e";
+exports.interactiveStatusDisabledBackgroundColourNeutralInverseGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledBorderColourNeutralInfo = "#76c8f1";
+exports.interactiveStatusDisabledBorderColourNeutralSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBorderColourNeutralWarning = "#ffe969";
+exports.interactiveStatusDisabledBorderColourNeutralError = "#ff7e7e";
+exports.interactiveStatusDisabledBorderColourNeutralGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledBorderColourSubtleInfo = "#76c8f1";
+exports.interactiveStatusDisabledBorderColourSubtleSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBorderColourSubtleWarning = "#ffe969";
+exports.interactiveStatusDisabledBorderColourSubtleError = "#ff7e7e";
+exports.interactiveStatusDisabledBorderColourSubtleGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledBorderColourBoldInfo = "#76c8f1";
+exports.interactiveStatusDisabledBorderColourBoldSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBorderColourBoldWarning = "#ffe969";
+exports.interactiveStatusDisabledBorderColourBoldError = "#ff7e7e";
+exports.interactiveStatusDisabledBorderColourBoldGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledBorderColourNeutralInverseInfo = "#76c8f1";
+exports.interactiveStatusDisabledBorderColourNeutralInverseSuccess = "#7fce9f";
+exports.interactiveStatusDisabledBorderColourNeutralInverseWarning = "#ffe969";
+exports.interactiveStatusDisabledBorderColourNeutralInverseError = "#ff7e7e";
+exports.interactiveStatusDisabledBorderColourNeutralInverseGeneric = "#bcbdbd";
+exports.interactiveStatusDisabledColourNeutralInfo = "#1e84d2";
+exports.interactiveStatusDisabledColourNeutralSuccess = "#1a8952";
+exports.interactiveStatusDisabledColourNeutralWarning = "#ffb600";
+exports.interactiveStatusDisabledColourNeutralError = "#e2223e";
+exports.interactiveStatusDisabledColourNeutralGeneric = "#858686";
+exports.interactiveStatusDisabledColourSubtleInfo = "#1e84d2";
+exports.interactiveStatusDisabledColourSubtleSuccess = "#1a8952";
+exports.interactiveStatusDisabledColourSubtleWarning = "#ffb600";
+exports.interactiveStatusDisabledColourSubtleError = "#e2223e";
+exports.interactiveStatusDisabledColourSubtleGeneric = "#858686";
+exports.interactiveStatusDisabledColourBoldInfo = "#1e84d2";
+exports.interactiveStatusDisabledColourBoldSuccess = "#1a8952";
+exports.interactiveStatusDisabledColourBoldWarning = "#ffb600";
+exports.interactiveStatusDisabledColourBoldError = "#e2223e";
+exports.interactiveStatusDisabledColourBoldGeneric = "#858686";
+exports.interactiveStatusDisabledColourNeutralInverseInfo = "#1e84d2";
+exports.interactiveStatusDisabledColourNeutralInverseSuccess = "#1a8952";
+exports.interactiveStatusDisabledColourNeutralInverseWarning = "#ffb600";
+exports.interactiveStatusDisabledColourNeutralInverseError = "#e2223e";
+exports.interactiveStatusDisabledColourNeutralInverseGeneric = "#858686";
+exports.interactiveTextDefaultRestNeutralBlue = "#005dba";
+exports.interactiveTextDefaultRestNeutralGreen = "#00633d";
+exports.interactiveTextDefaultRestNeutralRed = "#c50b30";
+exports.interactiveTextDefaultRestNeutralYellow = "#1d1d1b";
+exports.interactiveTextDefaultRestSubtleBlue = "#005dba";
+exports.interactiveTextDefaultRestSubtleGreen = "#00633d";
+exports.interactiveTextDefaultRestSubtleRed = "#c50b30";
+exports.interactiveTextDefaultRestSubtleYellow = "#1d1d1b";
+exports.interactiveTextDefaultRestBoldBlue = "#f4f4f4";
+exports.interactiveTextDefaultRestBoldGreen = "#f4f4f4";
+exports.interactiveTextDefaultRestBoldRed = "#f4f4f4";
+exports.interactiveTextDefaultRestBoldYellow = "#1d1d1b";
+exports.interactiveTextDefaultRestNeutralInverseBlue = "#005dba";
+exports.interactiveTextDefaultRestNeutralInverseGreen = "#00633d";
+exports.interactiveTextDefaultRestNeutralInverseRed = "#c50b30";
+exports.interactiveTextDefaultRestNeutralInverseYellow = "#1d1d1b";
+exports.interactiveTextDefaultHoverNeutralBlue = "#001d6e";
+exports.interactiveTextDefaultHoverNeutralGreen = "#01312e";
+exports.interactiveTextDefaultHoverNeutralRed = "#940824";
+exports.interactiveTextDefaultHoverNeutralYellow = "#1d1d1b";
+exports.interactiveTextDefaultHoverSubtleBlue = "#001d6e";
+exports.interactiveTextDefaultHoverSubtleGreen = "#01312e";
+exports.interactiveTextDefaultHoverSubtleRed = "#940824";
+exports.interactiveTextDefaultHoverSubtleYellow = "#1d1d1b";
+exports.interactiveTextDefaultHoverBoldBlue = "#f4f4f4";
+exports.interactiveTextDefaultHoverBoldGreen = "#f4f4f4";
+exports.interactiveTextDefaultHoverBoldRed = "#f4f4f4";
+exports.interactiveTextDefaultHoverBoldYellow = "#1d1d1b";
+exports.interactiveTextDefaultHoverNeutralInverseBlue = "#001d6e";
+exports.interactiveTextDefaultHoverNeutralInverseGreen = "#01312e";
+exports.interactiveTextDefaultHoverNeutralInverseRed = "#940824";
+exports.interactiveTextDefaultHoverNeutralInverseYellow = "#1d1d1b";
+exports.interactiveTextDefaultActiveNeutralBlue = "#000a52";
+exports.interactiveTextDefaultActiveNeutralGreen = "#012425";
+exports.interactiveTextDefaultActiveNeutralRed = "#6e061b";
+exports.interactiveTextDefaultActiveNeutralYellow = "#1d1d1b";
+exports.interactiveTextDefaultActiveSubtleBlue = "#000a52";
+exports.interactiveTextDefaultActiveSubtleGreen = "#012425";
+exports.interactiveTextDefaultActiveSubtleRed = "#6e061b";
+exports.interactiveTextDefaultActiveSubtleYellow = "#1d1d1b";
+exports.interactiveTextDefaultActiveBoldBlue = "#f4f4f4";
+exports.interactiveTextDefaultActiveBoldGreen = "#f4f4f4";
+exports.interactiveTextDefaultActiveBoldRed = "#f4f4f4";
+exports.interactiveTextDefaultActiveBoldYellow = "#1d1d1b";
+exports.interactiveTextDefaultActiveNeutralInverseBlue = "#000a52";
+exports.interactiveTextDefaultActiveNeutralInverseGreen = "#012425";
+exports.interactiveTextDefaultActiveNeutralInverseRed = "#6e061b";
+exports.interactiveTextDefaultActiveNeutralInverseYellow = "#1d1d1b";
+exports.interactiveTextDefaultVisitedNeutralBlue = "#005dba";
+exports.interactiveTextDefaultVisitedNeutralGreen = "#00633d";
+exports.interactiveTextDefaultVisitedNeutralRed = "#c50b30";
+exports.interactiveTextDefaultVisitedNeutralYellow = "#1d1d1b";
+exports.interactiveTextDefaultVisitedSubtleBlue = "#005dba";
+exports.interactiveTextDefaultVisitedSubtleGreen = "#00633d";
+exports.interactiveTextDefaultVisitedSubtleRed = "#c50b30";
+exports.interactiveTextDefaultVisitedSubtleYellow = "#1d1d1b";
+exports.interactiveTextDefaultVisitedBoldBlue = "#f4f4f4";
+exports.interactiveTextDefaultVisitedBoldGreen = "#f4f4f4";
+exports.interactiveTextDefaultVisitedBoldRed = "#f4f4f4";
+exports.interactiveTextDefaultVisitedBoldYellow = "#1d1d1b";
+exports.interactiveTextDefaultVisitedNeutralInverseBlue = "#005dba";
+exports.interactiveTextDefaultVisitedNeutralInverseGreen = "#00633d";
+exports.interactiveTextDefaultVisitedNeutralInverseRed = "#c50b30";
+exports.interactiveTextDefaultVisitedNeutralInverseYellow = "#1d1d1b";
+exports.interactiveTextDefaultFocusNeutralBlue = "#005dba";
+exports.interactiveTextDefaultFocusNeutralGreen = "#00633d";
+exports.interactiveTextDefaultFocusNeutralRed = "#c50b30";
+exports.interactiveTextDefaultFocusNeutralYellow = "#1d1d1b";
+exports.interactiveTextDefaultFocusSubtleBlue = "#005dba";
+exports.interactiveTextDefaultFocusSubtleGreen = "#00633d";
+exports.interactiveTextDefaultFocusSubtleRed = "#c50b30";
+exports.interactiveTextDefaultFocusSubtleYellow = "#1d1d1b";
+exports.interactiveTextDefaultFocusBoldBlue = "#f4f4f4";
+exports.interactiveTextDefaultFocusBoldGreen = "#f4f4f4";
+exports.interactiveTextDefaultFocusBoldRed = "#f4f4f4";
+exports.interactiveTextDefaultFocusBoldYellow = "#1d1d1b";
+exports.interactiveTextDefaultFocusNeutralInverseBlue = "#005dba";
+exports.interactiveTextDefaultFocusNeutralInverseGreen = "#00633d";
+exports.interactiveTextDefaultFocusNeutralInverseRed = "#c50b30";
+exports.interactiveTextDefaultFocusNeutralInverseYellow = "#1d1d1b";
+exports.interactiveTextFocusBorderWidthNeutralBlue = 1;
+exports.interactiveTextFocusBorderWidthNeutralGreen = 1;
+exports.interactiveTextFocusBorderWidthNeutralRed = 1;
+exports.interactiveTextFocusBorderWidthNeutralYellow = 1;
+exports.interactiveTextFocusBorderWidthSubtleBlue = 1;
+exports.interactiveTextFocusBorderWidthSubtleGreen = 1;
+exports.interactiveTextFocusBorderWidthSubtleRed = 1;
+exports.interactiveTextFocusBorderWidthSubtleYellow = 1;
+exports.interactiveTextFocusBorderWidthBoldBlue = 1;
+exports.interactiveTextFocusBorderWidthBoldGreen = 1;
+exports.interactiveTextFocusBorderWidthBoldRed = 1;
+exports.interactiveTextFocusBorderWidthBoldYellow = 1;
+exports.interactiveTextFocusBorderWidthNeutralInverseBlue = 1;
+exports.interactiveTextFocusBorderWidthNeutralInverseGreen = 1;
+exports.interactiveTextFocusBorderWidthNeutralInverseRed = 1;
+exports.interactiveTextFocusBorderWidthNeutralInverseYellow = 1;
+exports.interactiveTextFocusBorderRadiusNeutralBlue = 4;
+exports.interactiveTextFocusBorderRadiusNeutralGreen = 4;
+exports.interactiveTextFocusBorderRadiusNeutralRed = 4;
+exports.interactiveTextFocusBorderRadiusNeutralYellow = 4;
+exports.interactiveTextFocusBorderRadiusSubtleBlue = 4;
+exports.interactiveTextFocusBorderRadiusSubtleGreen = 4;
+exports.interactiveTextFocusBorderRadiusSubtleRed = 4;
+exports.interactiveTextFocusBorderRadiusSubtleYellow = 4;
+exports.interactiveTextFocusBorderRadiusBoldBlue = 4;
+exports.interactiveTextFocusBorderRadiusBoldGreen = 4;
+exports.interactiveTextFocusBorderRadiusBoldRed = 4;
+exports.interactiveTextFocusBorderRadiusBoldYellow = 4;
+exports.interactiveTextFocusBorderRadiusNeutralInverseBlue = 4;
+exports.interactiveTextFocusBorderRadiusNeutralInverseGreen = 4;
+exports.interactiveTextFocusBorderRadiusNeutralInverseRed = 4;
+exports.interactiveTextFocusBorderRadiusNeutralInverseYellow = 4;
+exports.interactiveTextMonoRestNeutralBlue = "#000000";
+exports.interactiveTextMonoRestNeutralGreen = "#000000";
+exports.interactiveTextMonoRestNeutralRed = "#000000";
+exports.interactiveTextMonoRestNeutralYellow = "#000000";
+exports.interactiveTextMonoRestSubtleBlue = "#000000";
+exports.interactiveTextMonoRestSubtleGreen = "#000000";
+exports.interactiveTextMonoRestSubtleRed = "#000000";
+exports.interactiveTextMonoRestSubtleYellow = "#000000";
+exports.interactiveTextMonoRestBoldBlue = "#f4f4f4";
+exports.interactiveTextMonoRestBoldGreen = "#f4f4f4";
+exports.interactiveTextMonoRestBoldRed = "#f4f4f4";
+exports.interactiveTextMonoRestBoldYellow = "#1d1d1b";
+exports.interactiveTextMonoRestNeutralInverseBlue = "#000000";
+exports.interactiveTextMonoRestNeutralInverseGreen = "#000000";
+exports.interactiveTextMonoRestNeutralInverseRed = "#000000";
+exports.interactiveTextMonoRestNeutralInverseYellow = "#000000";
+exports.interactiveTextMonoHoverNeutralBlue = "#000000";
+exports.interactiveTextMonoHoverNeutralGreen = "#000000";
+exports.interactiveTextMonoHoverNeutralRed = "#000000";
+exports.interactiveTextMonoHoverNeutralYellow = "#000000";
+exports.interactiveTextMonoHoverSubtleBlue = "#000000";
+exports.interactiveTextMonoHoverSubtleGreen = "#000000";
+exports.interactiveTextMonoHoverSubtleRed = "#000000";
+exports.interactiveTextMonoHoverSubtleYellow = "#000000";
+exports.interactiveTextMonoHoverBoldBlue = "#f4f4f4";
+exports.interactiveTextMonoHoverBoldGreen = "#f4f4f4";
+exports.interactiveTextMonoHoverBoldRed = "#f4f4f4";
+exports.interactiveTextMonoHoverBoldYellow = "#1d1d1b";
+exports.interactiveTextMonoHoverNeutralInverseBlue = "#000000";
+exports.interactiveTextMonoHoverNeutralInverseGreen = "#000000";
+exports.interactiveTextMonoHoverNeutralInverseRed = "#000000";
+exports.interactiveTextMonoHoverNeutralInverseYellow = "#000000";
+exports.interactiveTextMonoActiveNeutralBlue = "#000000";
+exports.interactiveTextMonoActiveNeutralGreen = "#000000";
+exports.interactiveTextMonoActiveNeutralRed = "#000000";
+exports.interactiveTextMonoActiveNeutralYellow = "#000000";
+exports.interactiveTextMonoActiveSubtleBlue = "#000000";
+exports.interactiveTextMonoActiveSubtleGreen = "#000000";
+exports.interactiveTextMonoActiveSubtleRed = "#000000";
+exports.interactiveTextMonoActiveSubtleYellow = "#000000";
+exports.interactiveTextMonoActiveBoldBlue = "#f4f4f4";
+exports.interactiveTextMonoActiveBoldGreen = "#f4f4f4";
+exports.interactiveTextMonoActiveBoldRed = "#f4f4f4";
+exports.interactiveTextMonoActiveBoldYellow = "#1d1d1b";
+exports.interactiveTextMonoActiveNeutralInverseBlue = "#000000";
+exports.interactiveTextMonoActiveNeutralInverseGreen = "#000000";
+exports.interactiveTextMonoActiveNeutralInverseRed = "#000000";
+exports.interactiveTextMonoActiveNeutralInverseYellow = "#000000";
+exports.interactiveTextMonoVisitedNeutralBlue = "#000000";
+exports.interactiveTextMonoVisitedNeutralGreen = "#000000";
+exports.interactiveTextMonoVisitedNeutralRed = "#000000";
+exports.interactiveTextMonoVisitedNeutralYellow = "#000000";
+exports.interactiveTextMonoVisitedSubtleBlue = "#000000";
+exports.interactiveTextMonoVisitedSubtleGreen = "#000000";
+exports.interactiveTextMonoVisitedSubtleRed = "#000000";
+exports.interactiveTextMonoVisitedSubtleYellow = "#000000";
+exports.interactiveTextMonoVisitedBoldBlue = "#f4f4f4";
+exports.interactiveTextMonoVisitedBoldGreen = "#f4f4f4";
+exports.interactiveTextMonoVisitedBoldRed = "#f4f4f4";
+exports.interactiveTextMonoVisitedBoldYellow = "#1d1d1b";
+exports.interactiveTextMonoVisitedNeutralInverseBlue = "#000000";
+exports.interactiveTextMonoVisitedNeutralInverseGreen = "#000000";
+exports.interactiveTextMonoVisitedNeutralInverseRed = "#000000";
+exports.interactiveTextMonoVisitedNeutralInverseYellow = "#000000";
+exports.interactiveTextMonoFocusNeutralBlue = "#000000";
+exports.interactiveTextMonoFocusNeutralGreen = "#000000";
+exports.interactiveTextMonoFocusNeutralRed = "#000000";
+exports.interactiveTextMonoFocusNeutralYellow = "#000000";
+exports.interactiveTextMonoFocusSubtleBlue = "#000000";
+exports.interactiveTextMonoFocusSubtleGreen = "#000000";
+exports.interactiveTextMonoFocusSubtleRed = "#000000";
+exports.interactiveTextMonoFocusSubtleYellow = "#000000";
+exports.interactiveTextMonoFocusBoldBlue = "#f4f4f4";
+exports.interactiveTextMonoFocusBoldGreen = "#f4f4f4";
+exports.interactiveTextMonoFocusBoldRed = "#f4f4f4";
+exports.interactiveTextMonoFocusBoldYellow = "#1d1d1b";
+exports.interactiveTextMonoFocusNeutralInverseBlue = "#000000";
+exports.interactiveTextMonoFocusNeutralInverseGreen = "#000000";
+exports.interactiveTextMonoFocusNeutralInverseRed = "#000000";
+exports.interactiveTextMonoFocusNeutralInverseYellow = "#000000";
+exports.interactiveTextStatusSubtleRestNeutralInfo = "#000039";
+exports.interactiveTextStatusSubtleRestNeutralSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleRestNeutralWarning = "#000000";
+exports.interactiveTextStatusSubtleRestNeutralError = "#000000";
+exports.interactiveTextStatusSubtleRestNeutralGeneric = "#000000";
+exports.interactiveTextStatusSubtleRestSubtleInfo = "#000039";
+exports.interactiveTextStatusSubtleRestSubtleSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleRestSubtleWarning = "#000000";
+exports.interactiveTextStatusSubtleRestSubtleError = "#000000";
+exports.interactiveTextStatusSubtleRestSubtleGeneric = "#000000";
+exports.interactiveTextStatusSubtleRestBoldInfo = "#000039";
+exports.interactiveTextStatusSubtleRestBoldSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleRestBoldWarning = "#000000";
+exports.interactiveTextStatusSubtleRestBoldError = "#000000";
+exports.interactiveTextStatusSubtleRestBoldGeneric = "#000000";
+exports.interactiveTextStatusSubtleRestNeutralInverseInfo = "#000039";
+exports.interactiveTextStatusSubtleRestNeutralInverseSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleRestNeutralInverseWarning = "#000000";
+exports.interactiveTextStatusSubtleRestNeutralInverseError = "#000000";
+exports.interactiveTextStatusSubtleRestNeutralInverseGeneric = "#000000";
+exports.interactiveTextStatusSubtleHoverNeutralInfo = "#000039";
+exports.interactiveTextStatusSubtleHoverNeutralSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleHoverNeutralWarning = "#000000";
+exports.interactiveTextStatusSubtleHoverNeutralError = "#000000";
+exports.interactiveTextStatusSubtleHoverNeutralGeneric = "#000000";
+exports.interactiveTextStatusSubtleHoverSubtleInfo = "#000039";
+exports.interactiveTextStatusSubtleHoverSubtleSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleHoverSubtleWarning = "#000000";
+exports.interactiveTextStatusSubtleHoverSubtleError = "#000000";
+exports.interactiveTextStatusSubtleHoverSubtleGeneric = "#000000";
+exports.interactiveTextStatusSubtleHoverBoldInfo = "#000039";
+exports.interactiveTextStatusSubtleHoverBoldSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleHoverBoldWarning = "#000000";
+exports.interactiveTextStatusSubtleHoverBoldError = "#000000";
+exports.interactiveTextStatusSubtleHoverBoldGeneric = "#000000";
+exports.interactiveTextStatusSubtleHoverNeutralInverseInfo = "#000039";
+exports.interactiveTextStatusSubtleHoverNeutralInverseSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleHoverNeutralInverseWarning = "#000000";
+exports.interactiveTextStatusSubtleHoverNeutralInverseError = "#000000";
+exports.interactiveTextStatusSubtleHoverNeutralInverseGeneric = "#000000";
+exports.interactiveTextStatusSubtleActiveNeutralInfo = "#000039";
+exports.interactiveTextStatusSubtleActiveNeutralSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleActiveNeutralWarning = "#000000";
+exports.interactiveTextStatusSubtleActiveNeutralError = "#000000";
+exports.interactiveTextStatusSubtleActiveNeutralGeneric = "#000000";
+exports.interactiveTextStatusSubtleActiveSubtleInfo = "#000039";
+exports.interactiveTextStatusSubtleActiveSubtleSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleActiveSubtleWarning = "#000000";
+exports.interactiveTextStatusSubtleActiveSubtleError = "#000000";
+exports.interactiveTextStatusSubtleActiveSubtleGeneric = "#000000";
+exports.interactiveTextStatusSubtleActiveBoldInfo = "#000039";
+exports.interactiveTextStatusSubtleActiveBoldSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleActiveBoldWarning = "#000000";
+exports.interactiveTextStatusSubtleActiveBoldError = "#000000";
+exports.interactiveTextStatusSubtleActiveBoldGeneric = "#000000";
+exports.interactiveTextStatusSubtleActiveNeutralInverseInfo = "#000039";
+exports.interactiveTextStatusSubtleActiveNeutralInverseSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleActiveNeutralInverseWarning = "#000000";
+exports.interactiveTextStatusSubtleActiveNeutralInverseError = "#000000";
+exports.interactiveTextStatusSubtleActiveNeutralInverseGeneric = "#000000";
+exports.interactiveTextStatusSubtleVisitedNeutralInfo = "#000039";
+exports.interactiveTextStatusSubtleVisitedNeutralSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleVisitedNeutralWarning = "#000000";
+exports.interactiveTextStatusSubtleVisitedNeutralError = "#000000";
+exports.interactiveTextStatusSubtleVisitedNeutralGeneric = "#000000";
+exports.interactiveTextStatusSubtleVisitedSubtleInfo = "#000039";
+exports.interactiveTextStatusSubtleVisitedSubtleSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleVisitedSubtleWarning = "#000000";
+exports.interactiveTextStatusSubtleVisitedSubtleError = "#000000";
+exports.interactiveTextStatusSubtleVisitedSubtleGeneric = "#000000";
+exports.interactiveTextStatusSubtleVisitedBoldInfo = "#000039";
+exports.interactiveTextStatusSubtleVisitedBoldSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleVisitedBoldWarning = "#000000";
+exports.interactiveTextStatusSubtleVisitedBoldError = "#000000";
+exports.interactiveTextStatusSubtleVisitedBoldGeneric = "#000000";
+exports.interactiveTextStatusSubtleVisitedNeutralInverseInfo = "#000039";
+exports.interactiveTextStatusSubtleVisitedNeutralInverseSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleVisitedNeutralInverseWarning = "#000000";
+exports.interactiveTextStatusSubtleVisitedNeutralInverseError = "#000000";
+exports.interactiveTextStatusSubtleVisitedNeutralInverseGeneric = "#000000";
+exports.interactiveTextStatusSubtleFocusNeutralInfo = "#000039";
+exports.interactiveTextStatusSubtleFocusNeutralSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleFocusNeutralWarning = "#000000";
+exports.interactiveTextStatusSubtleFocusNeutralError = "#000000";
+exports.interactiveTextStatusSubtleFocusNeutralGeneric = "#000000";
+exports.interactiveTextStatusSubtleFocusSubtleInfo = "#000039";
+exports.interactiveTextStatusSubtleFocusSubtleSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleFocusSubtleWarning = "#000000";
+exports.interactiveTextStatusSubtleFocusSubtleError = "#000000";
+exports.interactiveTextStatusSubtleFocusSubtleGeneric = "#000000";
+exports.interactiveTextStatusSubtleFocusBoldInfo = "#000039";
+exports.interactiveTextStatusSubtleFocusBoldSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleFocusBoldWarning = "#000000";
+exports.interactiveTextStatusSubtleFocusBoldError = "#000000";
+exports.interactiveTextStatusSubtleFocusBoldGeneric = "#000000";
+exports.interactiveTextStatusSubtleFocusNeutralInverseInfo = "#000039";
+exports.interactiveTextStatusSubtleFocusNeutralInverseSuccess = "#011b1f";
+exports.interactiveTextStatusSubtleFocusNeutralInverseWarning = "#000000";
+exports.interactiveTextStatusSubtleFocusNeutralInverseError = "#000000";
+exports.interactiveTextStatusSubtleFocusNeutralInverseGeneric = "#000000";
+exports.interactiveTextStatusBoldRestNeutralInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldRestNeutralSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldRestNeutralWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldRestNeutralError = "#f4f4f4";
+exports.interactiveTextStatusBoldRestNeutralGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldRestSubtleInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldRestSubtleSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldRestSubtleWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldRestSubtleError = "#f4f4f4";
+exports.interactiveTextStatusBoldRestSubtleGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldRestBoldInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldRestBoldSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldRestBoldWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldRestBoldError = "#f4f4f4";
+exports.interactiveTextStatusBoldRestBoldGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldRestNeutralInverseInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldRestNeutralInverseSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldRestNeutralInverseWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldRestNeutralInverseError = "#f4f4f4";
+exports.interactiveTextStatusBoldRestNeutralInverseGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldHoverNeutralError = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverSubtleInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverSubtleSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverSubtleWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldHoverSubtleError = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverSubtleGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverBoldInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverBoldSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverBoldWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldHoverBoldError = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverBoldGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralInverseInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralInverseSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralInverseWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldHoverNeutralInverseError = "#f4f4f4";
+exports.interactiveTextStatusBoldHoverNeutralInverseGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldActiveNeutralError = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveSubtleInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveSubtleSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveSubtleWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldActiveSubtleError = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveSubtleGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveBoldInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveBoldSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveBoldWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldActiveBoldError = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveBoldGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralInverseInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralInverseSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralInverseWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldActiveNeutralInverseError = "#f4f4f4";
+exports.interactiveTextStatusBoldActiveNeutralInverseGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldVisitedNeutralError = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedSubtleInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedSubtleSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedSubtleWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldVisitedSubtleError = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedSubtleGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedBoldInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedBoldSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedBoldWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldVisitedBoldError = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedBoldGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralInverseInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralInverseSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralInverseWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldVisitedNeutralInverseError = "#f4f4f4";
+exports.interactiveTextStatusBoldVisitedNeutralInverseGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldFocusNeutralError = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusSubtleInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusSubtleSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusSubtleWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldFocusSubtleError = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusSubtleGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusBoldInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusBoldSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusBoldWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldFocusBoldError = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusBoldGeneric = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralInverseInfo = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralInverseSuccess = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralInverseWarning = "#1d1d1b";
+exports.interactiveTextStatusBoldFocusNeutralInverseError = "#f4f4f4";
+exports.interactiveTextStatusBoldFocusNeutralInverseGeneric = "#f4f4f4";
+exports.interactiveAddOnRestColourNeutralBlue = "#858686";
+exports.interactiveAddOnRestColourNeutralGreen = "#858686";
+exports.interactiveAddOnRestColourNeutralRed = "#858686";
+exports.interactiveAddOnRestColourNeutralYellow = "#858686";
+exports.interactiveAddOnRestColourSubtleBlue = "#858686";
+exports.interactiveAddOnRestColourSubtleGreen = "#858686";
+exports.interactiveAddOnRestColourSubtleRed = "#858686";
+exports.interactiveAddOnRestColourSubtleYellow = "#858686";
+exports.interactiveAddOnRestColourBoldBlue = "#858686";
+exports.interactiveAddOnRestColourBoldGreen = "#858686";
+exports.interactiveAddOnRestColourBoldRed = "#858686";
+exports.interactiveAddOnRestColourBoldYellow = "#858686";
+exports.interactiveAddOnRestColourNeutralInverseBlue = "#858686";
+exports.interactiveAddOnRestColourNeutralInverseGreen = "#858686";
+exports.interactiveAddOnRestColourNeutralInverseRed = "#858686";
+exports.interactiveAddOnRestColourNeutralInverseYellow = "#858686";
+exports.interactiveAddOnHoverColourNeutralBlue = "#4d4f4f";
+exports.interactiveAddOnHoverColourNeutralGreen = "#4d4f4f";
+exports.interactiveAddOnHoverColourNeutralRed = "#4d4f4f";
+exports.interactiveAddOnHoverColourNeutralYellow = "#4d4f4f";
+exports.interactiveAddOnHoverColourSubtleBlue = "#4d4f4f";
+exports.interactiveAddOnHoverColourSubtleGreen = "#4d4f4f";
+exports.interactiveAddOnHoverColourSubtleRed = "#4d4f4f";
+exports.interactiveAddOnHoverColourSubtleYellow = "#4d4f4f";
+exports.interactiveAddOnHoverColourBoldBlue = "#4d4f4f";
+exports.interactiveAddOnHoverColourBoldGreen = "#4d4f4f";
+exports.interactiveAddOnHoverColourBoldRed = "#4d4f4f";
+exports.interactiveAddOnHoverColourBoldYellow = "#4d4f4f";
+exports.interactiveAddOnHoverColourNeutralInverseBlue = "#4d4f4f";
+exports.interactiveAddOnHoverColourNeutralInverseGreen = "#4d4f4f";
+exports.interactiveAddOnHoverColourNeutralInverseRed = "#4d4f4f";
+exports.interactiveAddOnHoverColourNeutralInverseYellow = "#4d4f4f";
+exports.interactiveAddOnActiveColourNeutralBlue = "#1d1d1b";
+exports.interactiveAddOnActiveColourNeutralGreen = "#1d1d1b";
+exports.interactiveAddOnActiveColourNeutralRed = "#1d1d1b";
+exports.interactiveAddOnActiveColourNeutralYellow = "#1d1d1b";
+exports.interactiveAddOnActiveColourSubtleBlue = "#1d1d1b";
+exports.interactiveAddOnActiveColourSubtleGreen = "#1d1d1b";
+exports.interactiveAddOnActiveColourSubtleRed = "#1d1d1b";
+exports.interactiveAddOnActiveColourSubtleYellow = "#1d1d1b";
+exports.interactiveAddOnActiveColourBoldBlue = "#1d1d1b";
+exports.interactiveAddOnActiveColourBoldGreen = "#1d1d1b";
+exports.interactiveAddOnActiveColourBoldRed = "#1d1d1b";
+exports.interactiveAddOnActiveColourBoldYellow = "#1d1d1b";
+exports.interactiveAddOnActiveColourNeutralInverseBlue = "#1d1d1b";
+exports.interactiveAddOnActiveColourNeutralInverseGreen = "#1d1d1b";
+exports.interactiveAddOnActiveColourNeutralInverseRed = "#1d1d1b";
+exports.interactiveAddOnActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralRed = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralYellow = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourSubtleRed = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourSubtleYellow = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourBoldBlue = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourBoldGreen = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourBoldRed = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourBoldYellow = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.interactiveAddOnFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.interactiveAddOnFocusColourNeutralBlue = "#858686";
+exports.interactiveAddOnFocusColourNeutralGreen = "#858686";
+exports.interactiveAddOnFocusColourNeutralRed = "#858686";
+exports.interactiveAddOnFocusColourNeutralYellow = "#858686";
+exports.interactiveAddOnFocusColourSubtleBlue = "#858686";
+exports.interactiveAddOnFocusColourSubtleGreen = "#858686";
+exports.interactiveAddOnFocusColourSubtleRed = "#858686";
+exports.interactiveAddOnFocusColourSubtleYellow = "#858686";
+exports.interactiveAddOnFocusColourBoldBlue = "#858686";
+exports.interactiveAddOnFocusColourBoldGreen = "#858686";
+exports.interactiveAddOnFocusColourBoldRed = "#858686";
+exports.interactiveAddOnFocusColourBoldYellow = "#858686";
+exports.interactiveAddOnFocusColourNeutralInverseBlue = "#858686";
+exports.interactiveAddOnFocusColourNeutralInverseGreen = "#858686";
+exports.interactiveAddOnFocusColourNeutralInverseRed = "#858686";
+exports.interactiveAddOnFocusColourNeutralInverseYellow = "#858686";
+exports.interactiveAddOnDisabledColourNeutralBlue = "#d3d3d3";
+exports.interactiveAddOnDisabledColourNeutralGreen = "#d3d3d3";
+exports.interactiveAddOnDisabledColourNeutralRed = "#d3d3d3";
+exports.interactiveAddOnDisabledColourNeutralYellow = "#d3d3d3";
+exports.interactiveAddOnDisabledColourSubtleBlue = "#d3d3d3";
+exports.interactiveAddOnDisabledColourSubtleGreen = "#d3d3d3";
+exports.interactiveAddOnDisabledColourSubtleRed = "#d3d3d3";
+exports.interactiveAddOnDisabledColourSubtleYellow = "#d3d3d3";
+exports.interactiveAddOnDisabledColourBoldBlue = "#d3d3d3";
+exports.interactiveAddOnDisabledColourBoldGreen = "#d3d3d3";
+exports.interactiveAddOnDisabledColourBoldRed = "#d3d3d3";
+exports.interactiveAddOnDisabledColourBoldYellow = "#d3d3d3";
+exports.interactiveAddOnDisabledColourNeutralInverseBlue = "#d3d3d3";
+exports.interactiveAddOnDisabledColourNeutralInverseGreen = "#d3d3d3";
+exports.interactiveAddOnDisabledColourNeutralInverseRed = "#d3d3d3";
+exports.interactiveAddOnDisabledColourNeutralInverseYellow = "#d3d3d3";
+exports.textDefaultPrimaryColourNeutralBlue = "#1d1d1b";
+exports.textDefaultPrimaryColourNeutralGreen = "#1d1d1b";
+exports.textDefaultPrimaryColourNeutralRed = "#1d1d1b";
+exports.textDefaultPrimaryColourNeutralYellow = "#1d1d1b";
+exports.textDefaultPrimaryColourSubtleBlue = "#1d1d1b";
+exports.textDefaultPrimaryColourSubtleGreen = "#1d1d1b";
+exports.textDefaultPrimaryColourSubtleRed = "#1d1d1b";
+exports.textDefaultPrimaryColourSubtleYellow = "#1d1d1b";
+exports.textDefaultPrimaryColourBoldBlue = "#ffffff";
+exports.textDefaultPrimaryColourBoldGreen = "#ffffff";
+exports.textDefaultPrimaryColourBoldRed = "#ffffff";
+exports.textDefaultPrimaryColourBoldYellow = "#1d1d1b";
+exports.textDefaultPrimaryColourNeutralInverseBlue = "#1d1d1b";
+exports.textDefaultPrimaryColourNeutralInverseGreen = "#1d1d1b";
+exports.textDefaultPrimaryColourNeutralInverseRed = "#1d1d1b";
+exports.textDefaultPrimaryColourNeutralInverseYellow = "#1d1d1b";
+exports.textDefaultSecondaryColourNeutralBlue = "#4d4f4f";
+exports.textDefaultSecondaryColourNeutralGreen = "#4d4f4f";
+exports.textDefaultSecondaryColourNeutralRed = "#4d4f4f";
+exports.textDefaultSecondaryColourNeutralYellow = "#4d4f4f";
+exports.textDefaultSecondaryColourSubtleBlue = "#1d1d1b";
+exports.textDefaultSecondaryColourSubtleGreen = "#1d1d1b";
+exports.textDefaultSecondaryColourSubtleRed = "#1d1d1b";
+exports.textDefaultSecondaryColourSubtleYellow = "#1d1d1b";
+exports.textDefaultSecondaryColourBoldBlue = "#d2effb";
+exports.textDefaultSecondaryColourBoldGreen = "#dff6eb";
+exports.textDefaultSecondaryColourBoldRed = "#ffd5d2";
+exports.textDefaultSecondaryColourBoldYellow = "#572722";
+exports.textDefaultSecondaryColourNeutralInverseBlue = "#4d4f4f";
+exports.textDefaultSecondaryColourNeutralInverseGreen = "#4d4f4f";
+exports.textDefaultSecondaryColourNeutralInverseRed = "#4d4f4f";
+exports.textDefaultSecondaryColourNeutralInverseYellow = "#4d4f4f";
+exports.textDefaultAccentColourNeutralBlue = "#001d6e";
+exports.textDefaultAccentColourNeutralGreen = "#01312e";
+exports.textDefaultAccentColourNeutralRed = "#940824";
+exports.textDefaultAccentColourNeutralYellow = "#904029";
+exports.textDefaultAccentColourSubtleBlue = "#001d6e";
+exports.textDefaultAccentColourSubtleGreen = "#01312e";
+exports.textDefaultAccentColourSubtleRed = "#940824";
+exports.textDefaultAccentColourSubtleYellow = "#904029";
+exports.textDefaultAccentColourBoldBlue = "#ffffff";
+exports.textDefaultAccentColourBoldGreen = "#ffffff";
+exports.textDefaultAccentColourBoldRed = "#ffffff";
+exports.textDefaultAccentColourBoldYellow = "#1d1d1b";
+exports.textDefaultAccentColourNeutralInverseBlue = "#001d6e";
+exports.textDefaultAccentColourNeutralInverseGreen = "#01312e";
+exports.textDefaultAccentColourNeutralInverseRed = "#940824";
+exports.textDefaultAccentColourNeutralInverseYellow = "#904029";
+exports.textStatusSubtlePrimaryColourNeutralInfo = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralSuccess = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralWarning = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralError = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralGeneric = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourSubtleInfo = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourSubtleSuccess = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourSubtleWarning = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourSubtleError = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourSubtleGeneric = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourBoldInfo = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourBoldSuccess = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourBoldWarning = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourBoldError = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourBoldGeneric = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralInverseInfo = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralInverseSuccess = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralInverseWarning = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralInverseError = "#1d1d1b";
+exports.textStatusSubtlePrimaryColourNeutralInverseGeneric = "#1d1d1b";
+exports.textStatusSubtleSecondaryColourNeutralInfo = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralSuccess = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralWarning = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralError = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralGeneric = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourSubtleInfo = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourSubtleSuccess = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourSubtleWarning = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourSubtleError = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourSubtleGeneric = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourBoldInfo = "#ffffff";
+exports.textStatusSubtleSecondaryColourBoldSuccess = "#ffffff";
+exports.textStatusSubtleSecondaryColourBoldWarning = "#1d1d1b";
+exports.textStatusSubtleSecondaryColourBoldError = "#ffffff";
+exports.textStatusSubtleSecondaryColourBoldGeneric = "#ffffff";
+exports.textStatusSubtleSecondaryColourNeutralInverseInfo = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralInverseSuccess = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralInverseWarning = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralInverseError = "#4d4f4f";
+exports.textStatusSubtleSecondaryColourNeutralInverseGeneric = "#4d4f4f";
+exports.textStatusBoldPrimaryColourNeutralInfo = "#ffffff";
+exports.textStatusBoldPrimaryColourNeutralSuccess = "#ffffff";
+exports.textStatusBoldPrimaryColourNeutralWarning = "#1d1d1b";
+exports.textStatusBoldPrimaryColourNeutralError = "#ffffff";
+exports.textStatusBoldPrimaryColourNeutralGeneric = "#ffffff";
+exports.textStatusBoldPrimaryColourSubtleInfo = "#ffffff";
+exports.textStatusBoldPrimaryColourSubtleSuccess = "#ffffff";
+exports.textStatusBoldPrimaryColourSubtleWarning = "#1d1d1b";
+exports.textStatusBoldPrimaryColourSubtleError = "#ffffff";
+exports.textStatusBoldPrimaryColourSubtleGeneric = "#ffffff";
+exports.textStatusBoldPrimaryColourBoldInfo = "#ffffff";
+exports.textStatusBoldPrimaryColourBoldSuccess = "#ffffff";
+exports.textStatusBoldPrimaryColourBoldWarning = "#1d1d1b";
+exports.textStatusBoldPrimaryColourBoldError = "#ffffff";
+exports.textStatusBoldPrimaryColourBoldGeneric = "#ffffff";
+exports.textStatusBoldPrimaryColourNeutralInverseInfo = "#ffffff";
+exports.textStatusBoldPrimaryColourNeutralInverseSuccess = "#ffffff";
+exports.textStatusBoldPrimaryColourNeutralInverseWarning = "#1d1d1b";
+exports.textStatusBoldPrimaryColourNeutralInverseError = "#ffffff";
+exports.textStatusBoldPrimaryColourNeutralInverseGeneric = "#ffffff";
+exports.textStatusBoldSecondaryColourNeutralInfo = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralSuccess = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralWarning = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralError = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralGeneric = "#4d4f4f";
+exports.textStatusBoldSecondaryColourSubtleInfo = "#4d4f4f";
+exports.textStatusBoldSecondaryColourSubtleSuccess = "#4d4f4f";
+exports.textStatusBoldSecondaryColourSubtleWarning = "#4d4f4f";
+exports.textStatusBoldSecondaryColourSubtleError = "#4d4f4f";
+exports.textStatusBoldSecondaryColourSubtleGeneric = "#4d4f4f";
+exports.textStatusBoldSecondaryColourBoldInfo = "#ffffff";
+exports.textStatusBoldSecondaryColourBoldSuccess = "#ffffff";
+exports.textStatusBoldSecondaryColourBoldWarning = "#1d1d1b";
+exports.textStatusBoldSecondaryColourBoldError = "#ffffff";
+exports.textStatusBoldSecondaryColourBoldGeneric = "#ffffff";
+exports.textStatusBoldSecondaryColourNeutralInverseInfo = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralInverseSuccess = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralInverseWarning = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralInverseError = "#4d4f4f";
+exports.textStatusBoldSecondaryColourNeutralInverseGeneric = "#4d4f4f";
+exports.bodyDefaultBackgroundColourNeutralBlue = "#f4f4f4";
+exports.bodyDefaultBackgroundColourNeutralGreen = "#f4f4f4";
+exports.bodyDefaultBackgroundColourNeutralRed = "#f4f4f4";
+exports.bodyDefaultBackgroundColourNeutralYellow = "#f4f4f4";
+exports.bodyDefaultBackgroundColourSubtleBlue = "#f4f4f4";
+exports.bodyDefaultBackgroundColourSubtleGreen = "#f4f4f4";
+exports.bodyDefaultBackgroundColourSubtleRed = "#f4f4f4";
+exports.bodyDefaultBackgroundColourSubtleYellow = "#f4f4f4";
+exports.bodyDefaultBackgroundColourBoldBlue = "#f4f4f4";
+exports.bodyDefaultBackgroundColourBoldGreen = "#f4f4f4";
+exports.bodyDefaultBackgroundColourBoldRed = "#f4f4f4";
+exports.bodyDefaultBackgroundColourBoldYellow = "#f4f4f4";
+exports.bodyDefaultBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.bodyDefaultBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.bodyDefaultBackgroundColourNeutralInverseRed = "#ffffff";
+exports.bodyDefaultBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.bodySubtleBackgroundColourNeutralBlue = "#42aeea";
+exports.bodySubtleBackgroundColourNeutralGreen = "#43af6e";
+exports.bodySubtleBackgroundColourNeutralRed = "#ff3e51";
+exports.bodySubtleBackgroundColourNeutralYellow = "#ffe969";
+exports.bodySubtleBackgroundColourSubtleBlue = "#aee1f7";
+exports.bodySubtleBackgroundColourSubtleGreen = "#caeedd";
+exports.bodySubtleBackgroundColourSubtleRed = "#ffd5d2";
+exports.bodySubtleBackgroundColourSubtleYellow = "#fff9c7";
+exports.bodySubtleBackgroundColourBoldBlue = "#aee1f7";
+exports.bodySubtleBackgroundColourBoldGreen = "#caeedd";
+exports.bodySubtleBackgroundColourBoldRed = "#ffd5d2";
+exports.bodySubtleBackgroundColourBoldYellow = "#fff9c7";
+exports.bodySubtleBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.bodySubtleBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.bodySubtleBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.bodySubtleBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.bodyBoldBackgroundColourNeutralBlue = "#005dba";
+exports.bodyBoldBackgroundColourNeutralGreen = "#00633d";
+exports.bodyBoldBackgroundColourNeutralRed = "#c50b30";
+exports.bodyBoldBackgroundColourNeutralYellow = "#ffb600";
+exports.bodyBoldBackgroundColourSubtleBlue = "#005dba";
+exports.bodyBoldBackgroundColourSubtleGreen = "#00633d";
+exports.bodyBoldBackgroundColourSubtleRed = "#c50b30";
+exports.bodyBoldBackgroundColourSubtleYellow = "#ffb600";
+exports.bodyBoldBackgroundColourBoldBlue = "#005dba";
+exports.bodyBoldBackgroundColourBoldGreen = "#00633d";
+exports.bodyBoldBackgroundColourBoldRed = "#c50b30";
+exports.bodyBoldBackgroundColourBoldYellow = "#ffb600";
+exports.bodyBoldBackgroundColourNeutralInverseBlue = "#005dba";
+exports.bodyBoldBackgroundColourNeutralInverseGreen = "#00633d";
+exports.bodyBoldBackgroundColourNeutralInverseRed = "#c50b30";
+exports.bodyBoldBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.bodyRegalBackgroundColourNeutralBlue = "#001d6e";
+exports.bodyRegalBackgroundColourNeutralGreen = "#01312e";
+exports.bodyRegalBackgroundColourNeutralRed = "#940824";
+exports.bodyRegalBackgroundColourNeutralYellow = "#c86426";
+exports.bodyRegalBackgroundColourSubtleBlue = "#001d6e";
+exports.bodyRegalBackgroundColourSubtleGreen = "#01312e";
+exports.bodyRegalBackgroundColourSubtleRed = "#940824";
+exports.bodyRegalBackgroundColourSubtleYellow = "#c86426";
+exports.bodyRegalBackgroundColourBoldBlue = "#001d6e";
+exports.bodyRegalBackgroundColourBoldGreen = "#01312e";
+exports.bodyRegalBackgroundColourBoldRed = "#940824";
+exports.bodyRegalBackgroundColourBoldYellow = "#c86426";
+exports.bodyRegalBackgroundColourNeutralInverseBlue = "#001d6e";
+exports.bodyRegalBackgroundColourNeutralInverseGreen = "#01312e";
+exports.bodyRegalBackgroundColourNeutralInverseRed = "#940824";
+exports.bodyRegalBackgroundColourNeutralInverseYellow = "#c86426";
+exports.containerCommonMinWidthNeutralBlue = 288;
+exports.containerCommonMinWidthNeutralGreen = 288;
+exports.containerCommonMinWidthNeutralRed = 288;
+exports.containerCommonMinWidthNeutralYellow = 288;
+exports.containerCommonMinWidthSubtleBlue = 288;
+exports.containerCommonMinWidthSubtleGreen = 288;
+exports.containerCommonMinWidthSubtleRed = 288;
+exports.containerCommonMinWidthSubtleYellow = 288;
+exports.containerCommonMinWidthBoldBlue = 288;
+exports.containerCommonMinWidthBoldGreen = 288;
+exports.containerCommonMinWidthBoldRed = 288;
+exports.containerCommonMinWidthBoldYellow = 288;
+exports.containerCommonMinWidthNeutralInverseBlue = 288;
+exports.containerCommonMinWidthNeutralInverseGreen = 288;
+exports.containerCommonMinWidthNeutralInverseRed = 288;
+exports.containerCommonMinWidthNeutralInverseYellow = 288;
+exports.containerCommonPaddingXsNeutralBlue = 12;
+exports.containerCommonPaddingXsNeutralGreen = 12;
+exports.containerCommonPaddingXsNeutralRed = 12;
+exports.containerCommonPaddingXsNeutralYellow = 12;
+exports.containerCommonPaddingXsSubtleBlue = 12;
+exports.containerCommonPaddingXsSubtleGreen = 12;
+exports.containerCommonPaddingXsSubtleRed = 12;
+exports.containerCommonPaddingXsSubtleYellow = 12;
+exports.containerCommonPaddingXsBoldBlue = 12;
+exports.containerCommonPaddingXsBoldGreen = 12;
+exports.containerCommonPaddingXsBoldRed = 12;
+exports.containerCommonPaddingXsBoldYellow = 12;
+exports.containerCommonPaddingXsNeutralInverseBlue = 12;
+exports.containerCommonPaddingXsNeutralInverseGreen = 12;
+exports.containerCommonPaddingXsNeutralInverseRed = 12;
+exports.containerCommonPaddingXsNeutralInverseYellow = 12;
+exports.containerCommonPaddingSmNeutralBlue = 16;
+exports.containerCommonPaddingSmNeutralGreen = 16;
+exports.containerCommonPaddingSmNeutralRed = 16;
+exports.containerCommonPaddingSmNeutralYellow = 16;
+exports.containerCommonPaddingSmSubtleBlue = 16;
+exports.containerCommonPaddingSmSubtleGreen = 16;
+exports.containerCommonPaddingSmSubtleRed = 16;
+exports.containerCommonPaddingSmSubtleYellow = 16;
+exports.containerCommonPaddingSmBoldBlue = 16;
+exports.containerCommonPaddingSmBoldGreen = 16;
+exports.containerCommonPaddingSmBoldRed = 16;
+exports.containerCommonPaddingSmBoldYellow = 16;
+exports.containerCommonPaddingSmNeutralInverseBlue = 16;
+exports.containerCommonPaddingSmNeutralInverseGreen = 16;
+exports.containerCommonPaddingSmNeutralInverseRed = 16;
+exports.containerCommonPaddingSmNeutralInverseYellow = 16;
+exports.containerCommonPaddingMdNeutralBlue = 20;
+exports.containerCommonPaddingMdNeutralGreen = 20;
+exports.containerCommonPaddingMdNeutralRed = 20;
+exports.containerCommonPaddingMdNeutralYellow = 20;
+exports.containerCommonPaddingMdSubtleBlue = 20;
+exports.containerCommonPaddingMdSubtleGreen = 20;
+exports.containerCommonPaddingMdSubtleRed = 20;
+exports.containerCommonPaddingMdSubtleYellow = 20;
+exports.containerCommonPaddingMdBoldBlue = 20;
+exports.containerCommonPaddingMdBoldGreen = 20;
+exports.containerCommonPaddingMdBoldRed = 20;
+exports.containerCommonPaddingMdBoldYellow = 20;
+exports.containerCommonPaddingMdNeutralInverseBlue = 20;
+exports.containerCommonPaddingMdNeutralInverseGreen = 20;
+exports.containerCommonPaddingMdNeutralInverseRed = 20;
+exports.containerCommonPaddingMdNeutralInverseYellow = 20;
+exports.containerCommonPaddingLgNeutralBlue = 28;
+exports.containerCommonPaddingLgNeutralGreen = 28;
+exports.containerCommonPaddingLgNeutralRed = 28;
+exports.containerCommonPaddingLgNeutralYellow = 28;
+exports.containerCommonPaddingLgSubtleBlue = 28;
+exports.containerCommonPaddingLgSubtleGreen = 28;
+exports.containerCommonPaddingLgSubtleRed = 28;
+exports.containerCommonPaddingLgSubtleYellow = 28;
+exports.containerCommonPaddingLgBoldBlue = 28;
+exports.containerCommonPaddingLgBoldGreen = 28;
+exports.containerCommonPaddingLgBoldRed = 28;
+exports.containerCommonPaddingLgBoldYellow = 28;
+exports.containerCommonPaddingLgNeutralInverseBlue = 28;
+exports.containerCommonPaddingLgNeutralInverseGreen = 28;
+exports.containerCommonPaddingLgNeutralInverseRed = 28;
+exports.containerCommonPaddingLgNeutralInverseYellow = 28;
+exports.containerCommonBorderRadiusXsNeutralBlue = 12;
+exports.containerCommonBorderRadiusXsNeutralGreen = 12;
+exports.containerCommonBorderRadiusXsNeutralRed = 12;
+exports.containerCommonBorderRadiusXsNeutralYellow = 12;
+exports.containerCommonBorderRadiusXsSubtleBlue = 12;
+exports.containerCommonBorderRadiusXsSubtleGreen = 12;
+exports.containerCommonBorderRadiusXsSubtleRed = 12;
+exports.containerCommonBorderRadiusXsSubtleYellow = 12;
+exports.containerCommonBorderRadiusXsBoldBlue = 12;
+exports.containerCommonBorderRadiusXsBoldGreen = 12;
+exports.containerCommonBorderRadiusXsBoldRed = 12;
+exports.containerCommonBorderRadiusXsBoldYellow = 12;
+exports.containerCommonBorderRadiusXsNeutralInverseBlue = 12;
+exports.containerCommonBorderRadiusXsNeutralInverseGreen = 12;
+exports.containerCommonBorderRadiusXsNeutralInverseRed = 12;
+exports.containerCommonBorderRadiusXsNeutralInverseYellow = 12;
+exports.containerCommonBorderRadiusSmNeutralBlue = 16;
+exports.containerCommonBorderRadiusSmNeutralGreen = 16;
+exports.containerCommonBorderRadiusSmNeutralRed = 16;
+exports.containerCommonBorderRadiusSmNeutralYellow = 16;
+exports.containerCommonBorderRadiusSmSubtleBlue = 16;
+exports.containerCommonBorderRadiusSmSubtleGreen = 16;
+exports.containerCommonBorderRadiusSmSubtleRed = 16;
+exports.containerCommonBorderRadiusSmSubtleYellow = 16;
+exports.containerCommonBorderRadiusSmBoldBlue = 16;
+exports.containerCommonBorderRadiusSmBoldGreen = 16;
+exports.containerCommonBorderRadiusSmBoldRed = 16;
+exports.containerCommonBorderRadiusSmBoldYellow = 16;
+exports.containerCommonBorderRadiusSmNeutralInverseBlue = 16;
+exports.containerCommonBorderRadiusSmNeutralInverseGreen = 16;
+exports.containerCommonBorderRadiusSmNeutralInverseRed = 16;
+exports.containerCommonBorderRadiusSmNeutralInverseYellow = 16;
+exports.containerCommonBorderRadiusMdNeutralBlue = 20;
+exports.containerCommonBorderRadiusMdNeutralGreen = 20;
+exports.containerCommonBorderRadiusMdNeutralRed = 20;
+exports.containerCommonBorderRadiusMdNeutralYellow = 20;
+exports.containerCommonBorderRadiusMdSubtleBlue = 20;
+exports.containerCommonBorderRadiusMdSubtleGreen = 20;
+exports.containerCommonBorderRadiusMdSubtleRed = 20;
+exports.containerCommonBorderRadiusMdSubtleYellow = 20;
+exports.containerCommonBorderRadiusMdBoldBlue = 20;
+exports.containerCommonBorderRadiusMdBoldGreen = 20;
+exports.containerCommonBorderRadiusMdBoldRed = 20;
+exports.containerCommonBorderRadiusMdBoldYellow = 20;
+exports.containerCommonBorderRadiusMdNeutralInverseBlue = 20;
+exports.containerCommonBorderRadiusMdNeutralInverseGreen = 20;
+exports.containerCommonBorderRadiusMdNeutralInverseRed = 20;
+exports.containerCommonBorderRadiusMdNeutralInverseYellow = 20;
+exports.containerCommonBorderRadiusLgNeutralBlue = 28;
+exports.containerCommonBorderRadiusLgNeutralGreen = 28;
+exports.containerCommonBorderRadiusLgNeutralRed = 28;
+exports.containerCommonBorderRadiusLgNeutralYellow = 28;
+exports.containerCommonBorderRadiusLgSubtleBlue = 28;
+exports.containerCommonBorderRadiusLgSubtleGreen = 28;
+exports.containerCommonBorderRadiusLgSubtleRed = 28;
+exports.containerCommonBorderRadiusLgSubtleYellow = 28;
+exports.containerCommonBorderRadiusLgBoldBlue = 28;
+exports.containerCommonBorderRadiusLgBoldGreen = 28;
+exports.containerCommonBorderRadiusLgBoldRed = 28;
+exports.containerCommonBorderRadiusLgBoldYellow = 28;
+exports.containerCommonBorderRadiusLgNeutralInverseBlue = 28;
+exports.containerCommonBorderRadiusLgNeutralInverseGreen = 28;
+exports.containerCommonBorderRadiusLgNeutralInverseRed = 28;
+exports.containerCommonBorderRadiusLgNeutralInverseYellow = 28;
+exports.containerCommonBorderWidthXsNeutralBlue = 1;
+exports.containerCommonBorderWidthXsNeutralGreen = 1;
+exports.containerCommonBorderWidthXsNeutralRed = 1;
+exports.containerCommonBorderWidthXsNeutralYellow = 1;
+exports.containerCommonBorderWidthXsSubtleBlue = 1;
+exports.containerCommonBorderWidthXsSubtleGreen = 1;
+exports.containerCommonBorderWidthXsSubtleRed = 1;
+exports.containerCommonBorderWidthXsSubtleYellow = 1;
+exports.containerCommonBorderWidthXsBoldBlue = 1;
+exports.containerCommonBorderWidthXsBoldGreen = 1;
+exports.containerCommonBorderWidthXsBoldRed = 1;
+exports.containerCommonBorderWidthXsBoldYellow = 1;
+exports.containerCommonBorderWidthXsNeutralInverseBlue = 1;
+exports.containerCommonBorderWidthXsNeutralInverseGreen = 1;
+exports.containerCommonBorderWidthXsNeutralInverseRed = 1;
+exports.containerCommonBorderWidthXsNeutralInverseYellow = 1;
+exports.containerCommonBorderWidthMdNeutralBlue = 2;
+exports.containerCommonBorderWidthMdNeutralGreen = 2;
+exports.containerCommonBorderWidthMdNeutralRed = 2;
+exports.containerCommonBorderWidthMdNeutralYellow = 2;
+exports.containerCommonBorderWidthMdSubtleBlue = 2;
+exports.containerCommonBorderWidthMdSubtleGreen = 2;
+exports.containerCommonBorderWidthMdSubtleRed = 2;
+exports.containerCommonBorderWidthMdSubtleYellow = 2;
+exports.containerCommonBorderWidthMdBoldBlue = 2;
+exports.containerCommonBorderWidthMdBoldGreen = 2;
+exports.containerCommonBorderWidthMdBoldRed = 2;
+exports.containerCommonBorderWidthMdBoldYellow = 2;
+exports.containerCommonBorderWidthMdNeutralInverseBlue = 2;
+exports.containerCommonBorderWidthMdNeutralInverseGreen = 2;
+exports.containerCommonBorderWidthMdNeutralInverseRed = 2;
+exports.containerCommonBorderWidthMdNeutralInverseYellow = 2;
+exports.containerCommonSizeXsNeutralBlue = 16;
+exports.containerCommonSizeXsNeutralGreen = 16;
+exports.containerCommonSizeXsNeutralRed = 16;
+exports.containerCommonSizeXsNeutralYellow = 16;
+exports.containerCommonSizeXsSubtleBlue = 16;
+exports.containerCommonSizeXsSubtleGreen = 16;
+exports.containerCommonSizeXsSubtleRed = 16;
+exports.containerCommonSizeXsSubtleYellow = 16;
+exports.containerCommonSizeXsBoldBlue = 16;
+exports.containerCommonSizeXsBoldGreen = 16;
+exports.containerCommonSizeXsBoldRed = 16;
+exports.containerCommonSizeXsBoldYellow = 16;
+exports.containerCommonSizeXsNeutralInverseBlue = 16;
+exports.containerCommonSizeXsNeutralInverseGreen = 16;
+exports.containerCommonSizeXsNeutralInverseRed = 16;
+exports.containerCommonSizeXsNeutralInverseYellow = 16;
+exports.containerCommonFocusIndicatorBorderWidthNeutralBlue = 3;
+exports.containerCommonFocusIndicatorBorderWidthNeutralGreen = 3;
+exports.containerCommonFocusIndicatorBorderWidthNeutralRed = 3;
+exports.containerCommonFocusIndicatorBorderWidthNeutralYellow = 3;
+exports.containerCommonFocusIndicatorBorderWidthSubtleBlue = 3;
+exports.containerCommonFocusIndicatorBorderWidthSubtleGreen = 3;
+exports.containerCommonFocusIndicatorBorderWidthSubtleRed = 3;
+exports.containerCommonFocusIndicatorBorderWidthSubtleYellow = 3;
+exports.containerCommonFocusIndicatorBorderWidthBoldBlue = 3;
+exports.containerCommonFocusIndicatorBorderWidthBoldGreen = 3;
+exports.containerCommonFocusIndicatorBorderWidthBoldRed = 3;
+exports.containerCommonFocusIndicatorBorderWidthBoldYellow = 3;
+exports.containerCommonFocusIndicatorBorderWidthNeutralInverseBlue = 3;
+exports.containerCommonFocusIndicatorBorderWidthNeutralInverseGreen = 3;
+exports.containerCommonFocusIndicatorBorderWidthNeutralInverseRed = 3;
+exports.containerCommonFocusIndicatorBorderWidthNeutralInverseYellow = 3;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralBlue = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralGreen = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralRed = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralYellow = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmSubtleBlue = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmSubtleGreen = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmSubtleRed = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmSubtleYellow = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmBoldBlue = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmBoldGreen = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmBoldRed = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmBoldYellow = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralInverseBlue = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralInverseGreen = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralInverseRed = 8;
+exports.containerCommonFocusIndicatorBorderRadiusSmNeutralInverseYellow = 8;
+exports.containerDefaultBackgroundColourNeutralBlue = "#ffffff";
+exports.containerDefaultBackgroundColourNeutralGreen = "#ffffff";
+exports.containerDefaultBackgroundColourNeutralRed = "#ffffff";
+exports.containerDefaultBackgroundColourNeutralYellow = "#ffffff";
+exports.containerDefaultBackgroundColourSubtleBlue = "#aee1f7";
+exports.containerDefaultBackgroundColourSubtleGreen = "#caeedd";
+exports.containerDefaultBackgroundColourSubtleRed = "#ffd5d2";
+exports.containerDefaultBackgroundColourSubtleYellow = "#fff9c7";
+exports.containerDefaultBackgroundColourBoldBlue = "#005dba";
+exports.containerDefaultBackgroundColourBoldGreen = "#00633d";
+exports.containerDefaultBackgroundColourBoldRed = "#c50b30";
+exports.containerDefaultBackgroundColourBoldYellow = "#ffb600";
+exports.containerDefaultBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.containerDefaultBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.containerDefaultBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.containerDefaultBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.containerDefaultBackgroundColourReversedNeutralBlue = "#f4f4f4";
+exports.containerDefaultBackgroundColourReversedNeutralGreen = "#f4f4f4";
+exports.containerDefaultBackgroundColourReversedNeutralRed = "#f4f4f4";
+exports.containerDefaultBackgroundColourReversedNeutralYellow = "#f4f4f4";
+exports.containerDefaultBackgroundColourReversedSubtleBlue = "#ffffff";
+exports.containerDefaultBackgroundColourReversedSubtleGreen = "#ffffff";
+exports.containerDefaultBackgroundColourReversedSubtleRed = "#ffffff";
+exports.containerDefaultBackgroundColourReversedSubtleYellow = "#ffffff";
+exports.containerDefaultBackgroundColourReversedBoldBlue = "#ffffff";
+exports.containerDefaultBackgroundColourReversedBoldGreen = "#ffffff";
+exports.containerDefaultBackgroundColourReversedBoldRed = "#ffffff";
+exports.containerDefaultBackgroundColourReversedBoldYellow = "#ffffff";
+exports.containerDefaultBackgroundColourReversedNeutralInverseBlue = "#ffffff";
+exports.containerDefaultBackgroundColourReversedNeutralInverseGreen = "#ffffff";
+exports.containerDefaultBackgroundColourReversedNeutralInverseRed = "#ffffff";
+exports.containerDefaultBackgroundColourReversedNeutralInverseYellow = "#ffffff";
+exports.containerDefaultAccent1NeutralBlue = "#42aeea";
+exports.containerDefaultAccent1NeutralGreen = "#43af6e";
+exports.containerDefaultAccent1NeutralRed = "#ff3e51";
+exports.containerDefaultAccent1NeutralYellow = "#ffe969";
+exports.containerDefaultAccent1SubtleBlue = "#005dba";
+exports.containerDefaultAccent1SubtleGreen = "#00633d";
+exports.containerDefaultAccent1SubtleRed = "#c50b30";
+exports.containerDefaultAccent1SubtleYellow = "#ffb600";
+exports.containerDefaultAccent1BoldBlue = "#001d6e";
+exports.containerDefaultAccent1BoldGreen = "#01312e";
+exports.containerDefaultAccent1BoldRed = "#940824";
+exports.containerDefaultAccent1BoldYellow = "#c86426";
+exports.containerDefaultAccent1NeutralInverseBlue = "#42aeea";
+exports.containerDefaultAccent1NeutralInverseGreen = "#43af6e";
+exports.containerDefaultAccent1NeutralInverseRed = "#ff3e51";
+exports.containerDefaultAccent1NeutralInverseYellow = "#ffe969";
+exports.containerDefaultAccent2NeutralBlue = "#005dba";
+exports.containerDefaultAccent2NeutralGreen = "#00633d";
+exports.containerDefaultAccent2NeutralRed = "#c50b30";
+exports.containerDefaultAccent2NeutralYellow = "#ffb600";
+exports.containerDefaultAccent2SubtleBlue = "#001d6e";
+exports.containerDefaultAccent2SubtleGreen = "#01312e";
+exports.containerDefaultAccent2SubtleRed = "#940824";
+exports.containerDefaultAccent2SubtleYellow = "#c86426";
+exports.containerDefaultAccent2BoldBlue = "#ffffff";
+exports.containerDefaultAccent2BoldGreen = "#ffffff";
+exports.containerDefaultAccent2BoldRed = "#ffffff";
+exports.containerDefaultAccent2BoldYellow = "#ffffff";
+exports.containerDefaultAccent2NeutralInverseBlue = "#005dba";
+exports.containerDefaultAccent2NeutralInverseGreen = "#00633d";
+exports.containerDefaultAccent2NeutralInverseRed = "#c50b30";
+exports.containerDefaultAccent2NeutralInverseYellow = "#ffb600";
+exports.containerDefaultBorderColour1NeutralBlue = "#d3d3d3";
+exports.containerDefaultBorderColour1NeutralGreen = "#d3d3d3";
+exports.containerDefaultBorderColour1NeutralRed = "#d3d3d3";
+exports.containerDefaultBorderColour1NeutralYellow = "#d3d3d3";
+exports.containerDefaultBorderColour1SubtleBlue = "#42aeea";
+exports.containerDefaultBorderColour1SubtleGreen = "#43af6e";
+exports.containerDefaultBorderColour1SubtleRed = "#ff3e51";
+exports.containerDefaultBorderColour1SubtleYellow = "#ffe969";
+exports.containerDefaultBorderColour1BoldBlue = "#001d6e";
+exports.containerDefaultBorderColour1BoldGreen = "#01312e";
+exports.containerDefaultBorderColour1BoldRed = "#940824";
+exports.containerDefaultBorderColour1BoldYellow = "#c86426";
+exports.containerDefaultBorderColour1NeutralInverseBlue = "#d3d3d3";
+exports.containerDefaultBorderColour1NeutralInverseGreen = "#d3d3d3";
+exports.containerDefaultBorderColour1NeutralInverseRed = "#d3d3d3";
+exports.containerDefaultBorderColour1NeutralInverseYellow = "#d3d3d3";
+exports.containerDefaultBorderColour2NeutralBlue = "#d3d3d3";
+exports.containerDefaultBorderColour2NeutralGreen = "#d3d3d3";
+exports.containerDefaultBorderColour2NeutralRed = "#d3d3d3";
+exports.containerDefaultBorderColour2NeutralYellow = "#d3d3d3";
+exports.containerDefaultBorderColour2SubtleBlue = "#001d6e";
+exports.containerDefaultBorderColour2SubtleGreen = "#01312e";
+exports.containerDefaultBorderColour2SubtleRed = "#940824";
+exports.containerDefaultBorderColour2SubtleYellow = "#c86426";
+exports.containerDefaultBorderColour2BoldBlue = "#f4f4f4";
+exports.containerDefaultBorderColour2BoldGreen = "#f4f4f4";
+exports.containerDefaultBorderColour2BoldRed = "#f4f4f4";
+exports.containerDefaultBorderColour2BoldYellow = "#1d1d1b";
+exports.containerDefaultBorderColour2NeutralInverseBlue = "#d3d3d3";
+exports.containerDefaultBorderColour2NeutralInverseGreen = "#d3d3d3";
+exports.containerDefaultBorderColour2NeutralInverseRed = "#d3d3d3";
+exports.containerDefaultBorderColour2NeutralInverseYellow = "#d3d3d3";
+exports.containerDefaultBorderColour3NeutralBlue = "#4d4f4f";
+exports.containerDefaultBorderColour3NeutralGreen = "#4d4f4f";
+exports.containerDefaultBorderColour3NeutralRed = "#4d4f4f";
+exports.containerDefaultBorderColour3NeutralYellow = "#4d4f4f";
+exports.containerDefaultBorderColour3SubtleBlue = "#4d4f4f";
+exports.containerDefaultBorderColour3SubtleGreen = "#4d4f4f";
+exports.containerDefaultBorderColour3SubtleRed = "#4d4f4f";
+exports.containerDefaultBorderColour3SubtleYellow = "#4d4f4f";
+exports.containerDefaultBorderColour3BoldBlue = "#4d4f4f";
+exports.containerDefaultBorderColour3BoldGreen = "#4d4f4f";
+exports.containerDefaultBorderColour3BoldRed = "#4d4f4f";
+exports.containerDefaultBorderColour3BoldYellow = "#4d4f4f";
+exports.containerDefaultBorderColour3NeutralInverseBlue = "#4d4f4f";
+exports.containerDefaultBorderColour3NeutralInverseGreen = "#4d4f4f";
+exports.containerDefaultBorderColour3NeutralInverseRed = "#4d4f4f";
+exports.containerDefaultBorderColour3NeutralInverseYellow = "#4d4f4f";
+exports.containerDefaultBorderColour4NeutralBlue = "#f4f4f4";
+exports.containerDefaultBorderColour4NeutralGreen = "#f4f4f4";
+exports.containerDefaultBorderColour4NeutralRed = "#f4f4f4";
+exports.containerDefaultBorderColour4NeutralYellow = "#1d1d1b";
+exports.containerDefaultBorderColour4SubtleBlue = "#42aeea";
+exports.containerDefaultBorderColour4SubtleGreen = "#43af6e";
+exports.containerDefaultBorderColour4SubtleRed = "#ff3e51";
+exports.containerDefaultBorderColour4SubtleYellow = "#ffe969";
+exports.containerDefaultBorderColour4BoldBlue = "#001d6e";
+exports.containerDefaultBorderColour4BoldGreen = "#01312e";
+exports.containerDefaultBorderColour4BoldRed = "#940824";
+exports.containerDefaultBorderColour4BoldYellow = "#c86426";
+exports.containerDefaultBorderColour4NeutralInverseBlue = "#ffffff";
+exports.containerDefaultBorderColour4NeutralInverseGreen = "#ffffff";
+exports.containerDefaultBorderColour4NeutralInverseRed = "#ffffff";
+exports.containerDefaultBorderColour4NeutralInverseYellow = "#ffffff";
+exports.containerDefaultFocusIndicatorColourNeutralBlue = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourNeutralGreen = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourNeutralRed = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourNeutralYellow = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourSubtleBlue = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourSubtleGreen = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourSubtleRed = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourSubtleYellow = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourBoldBlue = "#ffffff";
+exports.containerDefaultFocusIndicatorColourBoldGreen = "#ffffff";
+exports.containerDefaultFocusIndicatorColourBoldRed = "#ffffff";
+exports.containerDefaultFocusIndicatorColourBoldYellow = "#ffffff";
+exports.containerDefaultFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+exports.containerDefaultFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+exports.containerStatusSubtleBackgroundColourNeutralInfo = "#aee1f7";
+exports.containerStatusSubtleBackgroundColourNeutralSuccess = "#caeedd";
+exports.containerStatusSubtleBackgroundColourNeutralWarning = "#fff9c7";
+exports.containerStatusSubtleBackgroundColourNeutralError = "#ffc2bd";
+exports.containerStatusSubtleBackgroundColourNeutralGeneric = "#f4f4f4";
+exports.containerStatusSubtleBackgroundColourSubtleInfo = "#ffffff";
+exports.containerStatusSubtleBackgroundColourSubtleSuccess = "#ffffff";
+exports.containerStatusSubtleBackgroundColourSubtleWarning = "#ffffff";
+exports.containerStatusSubtleBackgroundColourSubtleError = "#ffffff";
+exports.containerStatusSubtleBackgroundColourSubtleGeneric = "#ffffff";
+exports.containerStatusSubtleBackgroundColourBoldInfo = "#ffffff";
+exports.containerStatusSubtleBackgroundColourBoldSuccess = "#ffffff";
+exports.containerStatusSubtleBackgroundColourBoldWarning = "#ffffff";
+exports.containerStatusSubtleBackgroundColourBoldError = "#ffffff";
+exports.containerStatusSubtleBackgroundColourBoldGeneric = "#ffffff";
+exports.containerStatusSubtleBackgroundColourNeutralInverseInfo = "#aee1f7";
+exports.containerStatusSubtleBackgroundColourNeutralInverseSuccess = "#caeedd";
+exports.containerStatusSubtleBackgroundColourNeutralInverseWarning = "#fff9c7";
+exports.containerStatusSubtleBackgroundColourNeutralInverseError = "#ffc2bd";
+exports.containerStatusSubtleBackgroundColourNeutralInverseGeneric = "#ffffff";
+exports.containerStatusSubtleFocusIndicatorColourNeutralBlue = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourNeutralGreen = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourNeutralRed = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourNeutralYellow = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourSubtleBlue = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourSubtleGreen = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourSubtleRed = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourSubtleYellow = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourBoldBlue = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourBoldGreen = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourBoldRed = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourBoldYellow = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+exports.containerStatusSubtleFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+exports.containerStatusBoldBackgroundColourNeutralInfo = "#005dba";
+exports.containerStatusBoldBackgroundColourNeutralSuccess = "#00633d";
+exports.containerStatusBoldBackgroundColourNeutralWarning = "#ffb600";
+exports.containerStatusBoldBackgroundColourNeutralError = "#c50b30";
+exports.containerStatusBoldBackgroundColourNeutralGeneric = "#4d4f4f";
+exports.containerStatusBoldBackgroundColourSubtleInfo = "#005dba";
+exports.containerStatusBoldBackgroundColourSubtleSuccess = "#00633d";
+exports.containerStatusBoldBackgroundColourSubtleWarning = "#ffb600";
+exports.containerStatusBoldBackgroundColourSubtleError = "#c50b30";
+exports.containerStatusBoldBackgroundColourSubtleGeneric = "#4d4f4f";
+exports.containerStatusBoldBackgroundColourBoldInfo = "#005dba";
+exports.containerStatusBoldBackgroundColourBoldSuccess = "#00633d";
+exports.containerStatusBoldBackgroundColourBoldWarning = "#ffb600";
+exports.containerStatusBoldBackgroundColourBoldError = "#c50b30";
+exports.containerStatusBoldBackgroundColourBoldGeneric = "#4d4f4f";
+exports.containerStatusBoldBackgroundColourNeutralInverseInfo = "#005dba";
+exports.containerStatusBoldBackgroundColourNeutralInverseSuccess = "#00633d";
+exports.containerStatusBoldBackgroundColourNeutralInverseWarning = "#ffb600";
+exports.containerStatusBoldBackgroundColourNeutralInverseError = "#c50b30";
+exports.containerStatusBoldBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+exports.inputCommonBorderRadiusXsNeutralBlue = 4;
+exports.inputCommonBorderRadiusXsNeutralGreen = 4;
+exports.inputCommonBorderRadiusXsNeutralRed = 4;
+exports.inputCommonBorderRadiusXsNeutralYellow = 4;
+exports.inputCommonBorderRadiusXsSubtleBlue = 4;
+exports.inputCommonBorderRadiusXsSubtleGreen = 4;
+exports.inputCommonBorderRadiusXsSubtleRed = 4;
+exports.inputCommonBorderRadiusXsSubtleYellow = 4;
+exports.inputCommonBorderRadiusXsBoldBlue = 4;
+exports.inputCommonBorderRadiusXsBoldGreen = 4;
+exports.inputCommonBorderRadiusXsBoldRed = 4;
+exports.inputCommonBorderRadiusXsBoldYellow = 4;
+exports.inputCommonBorderRadiusXsNeutralInverseBlue = 4;
+exports.inputCommonBorderRadiusXsNeutralInverseGreen = 4;
+exports.inputCommonBorderRadiusXsNeutralInverseRed = 4;
+exports.inputCommonBorderRadiusXsNeutralInverseYellow = 4;
+exports.inputCommonBorderRadiusSmNeutralBlue = 8;
+exports.inputCommonBorderRadiusSmNeutralGreen = 8;
+exports.inputCommonBorderRadiusSmNeutralRed = 8;
+exports.inputCommonBorderRadiusSmNeutralYellow = 8;
+exports.inputCommonBorderRadiusSmSubtleBlue = 8;
+exports.inputCommonBorderRadiusSmSubtleGreen = 8;
+exports.inputCommonBorderRadiusSmSubtleRed = 8;
+exports.inputCommonBorderRadiusSmSubtleYellow = 8;
+exports.inputCommonBorderRadiusSmBoldBlue = 8;
+exports.inputCommonBorderRadiusSmBoldGreen = 8;
+exports.inputCommonBorderRadiusSmBoldRed = 8;
+exports.inputCommonBorderRadiusSmBoldYellow = 8;
+exports.inputCommonBorderRadiusSmNeutralInverseBlue = 8;
+exports.inputCommonBorderRadiusSmNeutralInverseGreen = 8;
+exports.inputCommonBorderRadiusSmNeutralInverseRed = 8;
+exports.inputCommonBorderRadiusSmNeutralInverseYellow = 8;
+exports.inputCommonBorderRadiusMdNeutralBlue = 12;
+exports.inputCommonBorderRadiusMdNeutralGreen = 12;
+exports.inputCommonBorderRadiusMdNeutralRed = 12;
+exports.inputCommonBorderRadiusMdNeutralYellow = 12;
+exports.inputCommonBorderRadiusMdSubtleBlue = 12;
+exports.inputCommonBorderRadiusMdSubtleGreen = 12;
+exports.inputCommonBorderRadiusMdSubtleRed = 12;
+exports.inputCommonBorderRadiusMdSubtleYellow = 12;
+exports.inputCommonBorderRadiusMdBoldBlue = 12;
+exports.inputCommonBorderRadiusMdBoldGreen = 12;
+exports.inputCommonBorderRadiusMdBoldRed = 12;
+exports.inputCommonBorderRadiusMdBoldYellow = 12;
+exports.inputCommonBorderRadiusMdNeutralInverseBlue = 12;
+exports.inputCommonBorderRadiusMdNeutralInverseGreen = 12;
+exports.inputCommonBorderRadiusMdNeutralInverseRed = 12;
+exports.inputCommonBorderRadiusMdNeutralInverseYellow = 12;
+exports.inputCommonBorderRadiusLgNeutralBlue = 16;
+exports.inputCommonBorderRadiusLgNeutralGreen = 16;
+exports.inputCommonBorderRadiusLgNeutralRed = 16;
+exports.inputCommonBorderRadiusLgNeutralYellow = 16;
+exports.inputCommonBorderRadiusLgSubtleBlue = 16;
+exports.inputCommonBorderRadiusLgSubtleGreen = 16;
+exports.inputCommonBorderRadiusLgSubtleRed = 16;
+exports.inputCommonBorderRadiusLgSubtleYellow = 16;
+exports.inputCommonBorderRadiusLgBoldBlue = 16;
+exports.inputCommonBorderRadiusLgBoldGreen = 16;
+exports.inputCommonBorderRadiusLgBoldRed = 16;
+exports.inputCommonBorderRadiusLgBoldYellow = 16;
+exports.inputCommonBorderRadiusLgNeutralInverseBlue = 16;
+exports.inputCommonBorderRadiusLgNeutralInverseGreen = 16;
+exports.inputCommonBorderRadiusLgNeutralInverseRed = 16;
+exports.inputCommonBorderRadiusLgNeutralInverseYellow = 16;
+exports.inputCommonGapXsNeutralBlue = 4;
+exports.inputCommonGapXsNeutralGreen = 4;
+exports.inputCommonGapXsNeutralRed = 4;
+exports.inputCommonGapXsNeutralYellow = 4;
+exports.inputCommonGapXsSubtleBlue = 4;
+exports.inputCommonGapXsSubtleGreen = 4;
+exports.inputCommonGapXsSubtleRed = 4;
+exports.inputCommonGapXsSubtleYellow = 4;
+exports.inputCommonGapXsBoldBlue = 4;
+exports.inputCommonGapXsBoldGreen = 4;
+exports.inputCommonGapXsBoldRed = 4;
+exports.inputCommonGapXsBoldYellow = 4;
+exports.inputCommonGapXsNeutralInverseBlue = 4;
+exports.inputCommonGapXsNeutralInverseGreen = 4;
+exports.inputCommonGapXsNeutralInverseRed = 4;
+exports.inputCommonGapXsNeutralInverseYellow = 4;
+exports.inputCommonGapSmNeutralBlue = 8;
+exports.inputCommonGapSmNeutralGreen = 8;
+exports.inputCommonGapSmNeutralRed = 8;
+exports.inputCommonGapSmNeutralYellow = 8;
+exports.inputCommonGapSmSubtleBlue = 8;
+exports.inputCommonGapSmSubtleGreen = 8;
+exports.inputCommonGapSmSubtleRed = 8;
+exports.inputCommonGapSmSubtleYellow = 8;
+exports.inputCommonGapSmBoldBlue = 8;
+exports.inputCommonGapSmBoldGreen = 8;
+exports.inputCommonGapSmBoldRed = 8;
+exports.inputCommonGapSmBoldYellow = 8;
+exports.inputCommonGapSmNeutralInverseBlue = 8;
+exports.inputCommonGapSmNeutralInverseGreen = 8;
+exports.inputCommonGapSmNeutralInverseRed = 8;
+exports.inputCommonGapSmNeutralInverseYellow = 8;
+exports.inputCommonGapMdNeutralBlue = 12;
+exports.inputCommonGapMdNeutralGreen = 12;
+exports.inputCommonGapMdNeutralRed = 12;
+exports.inputCommonGapMdNeutralYellow = 12;
+exports.inputCommonGapMdSubtleBlue = 12;
+exports.inputCommonGapMdSubtleGreen = 12;
+exports.inputCommonGapMdSubtleRed = 12;
+exports.inputCommonGapMdSubtleYellow = 12;
+exports.inputCommonGapMdBoldBlue = 12;
+exports.inputCommonGapMdBoldGreen = 12;
+exports.inputCommonGapMdBoldRed = 12;
+exports.inputCommonGapMdBoldYellow = 12;
+exports.inputCommonGapMdNeutralInverseBlue = 12;
+exports.inputCommonGapMdNeutralInverseGreen = 12;
+exports.inputCommonGapMdNeutralInverseRed = 12;
+exports.inputCommonGapMdNeutralInverseYellow = 12;
+exports.inputCommonGapLgNeutralBlue = 16;
+exports.inputCommonGapLgNeutralGreen = 16;
+exports.inputCommonGapLgNeutralRed = 16;
+exports.inputCommonGapLgNeutralYellow = 16;
+exports.inputCommonGapLgSubtleBlue = 16;
+exports.inputCommonGapLgSubtleGreen = 16;
+exports.inputCommonGapLgSubtleRed = 16;
+exports.inputCommonGapLgSubtleYellow = 16;
+exports.inputCommonGapLgBoldBlue = 16;
+exports.inputCommonGapLgBoldGreen = 16;
+exports.inputCommonGapLgBoldRed = 16;
+exports.inputCommonGapLgBoldYellow = 16;
+exports.inputCommonGapLgNeutralInverseBlue = 16;
+exports.inputCommonGapLgNeutralInverseGreen = 16;
+exports.inputCommonGapLgNeutralInverseRed = 16;
+exports.inputCommonGapLgNeutralInverseYellow = 16;
+exports.inputCommonGapXlNeutralBlue = 20;
+exports.inputCommonGapXlNeutralGreen = 20;
+exports.inputCommonGapXlNeutralRed = 20;
+exports.inputCommonGapXlNeutralYellow = 20;
+exports.inputCommonGapXlSubtleBlue = 20;
+exports.inputCommonGapXlSubtleGreen = 20;
+exports.inputCommonGapXlSubtleRed = 20;
+exports.inputCommonGapXlSubtleYellow = 20;
+exports.inputCommonGapXlBoldBlue = 20;
+exports.inputCommonGapXlBoldGreen = 20;
+exports.inputCommonGapXlBoldRed = 20;
+exports.inputCommonGapXlBoldYellow = 20;
+exports.inputCommonGapXlNeutralInverseBlue = 20;
+exports.inputCommonGapXlNeutralInverseGreen = 20;
+exports.inputCommonGapXlNeutralInverseRed = 20;
+exports.inputCommonGapXlNeutralInverseYellow = 20;
+exports.inputCommonGapXxlNeutralBlue = 28;
+exports.inputCommonGapXxlNeutralGreen = 28;
+exports.inputCommonGapXxlNeutralRed = 28;
+exports.inputCommonGapXxlNeutralYellow = 28;
+exports.inputCommonGapXxlSubtleBlue = 28;
+exports.inputCommonGapXxlSubtleGreen = 28;
+exports.inputCommonGapXxlSubtleRed = 28;
+exports.inputCommonGapXxlSubtleYellow = 28;
+exports.inputCommonGapXxlBoldBlue = 28;
+exports.inputCommonGapXxlBoldGreen = 28;
+exports.inputCommonGapXxlBoldRed = 28;
+exports.inputCommonGapXxlBoldYellow = 28;
+exports.inputCommonGapXxlNeutralInverseBlue = 28;
+exports.inputCommonGapXxlNeutralInverseGreen = 28;
+exports.inputCommonGapXxlNeutralInverseRed = 28;
+exports.inputCommonGapXxlNeutralInverseYellow = 28;
+exports.inputCommonGapXxxlNeutralBlue = 36;
+exports.inputCommonGapXxxlNeutralGreen = 36;
+exports.inputCommonGapXxxlNeutralRed = 36;
+exports.inputCommonGapXxxlNeutralYellow = 36;
+exports.inputCommonGapXxxlSubtleBlue = 36;
+exports.inputCommonGapXxxlSubtleGreen = 36;
+exports.inputCommonGapXxxlSubtleRed = 36;
+exports.inputCommonGapXxxlSubtleYellow = 36;
+exports.inputCommonGapXxxlBoldBlue = 36;
+exports.inputCommonGapXxxlBoldGreen = 36;
+exports.inputCommonGapXxxlBoldRed = 36;
+exports.inputCommonGapXxxlBoldYellow = 36;
+exports.inputCommonGapXxxlNeutralInverseBlue = 36;
+exports.inputCommonGapXxxlNeutralInverseGreen = 36;
+exports.inputCommonGapXxxlNeutralInverseRed = 36;
+exports.inputCommonGapXxxlNeutralInverseYellow = 36;
+exports.inputCommonMinWidthNeutralBlue = 232;
+exports.inputCommonMinWidthNeutralGreen = 232;
+exports.inputCommonMinWidthNeutralRed = 232;
+exports.inputCommonMinWidthNeutralYellow = 232;
+exports.inputCommonMinWidthSubtleBlue = 232;
+exports.inputCommonMinWidthSubtleGreen = 232;
+exports.inputCommonMinWidthSubtleRed = 232;
+exports.inputCommonMinWidthSubtleYellow = 232;
+exports.inputCommonMinWidthBoldBlue = 232;
+exports.inputCommonMinWidthBoldGreen = 232;
+exports.inputCommonMinWidthBoldRed = 232;
+exports.inputCommonMinWidthBoldYellow = 232;
+exports.inputCommonMinWidthNeutralInverseBlue = 232;
+exports.inputCommonMinWidthNeutralInverseGreen = 232;
+exports.inputCommonMinWidthNeutralInverseRed = 232;
+exports.inputCommonMinWidthNeutralInverseYellow = 232;
+exports.inputCommonPaddingXsNeutralBlue = 4;
+exports.inputCommonPaddingXsNeutralGreen = 4;
+exports.inputCommonPaddingXsNeutralRed = 4;
+exports.inputCommonPaddingXsNeutralYellow = 4;
+exports.inputCommonPaddingXsSubtleBlue = 4;
+exports.inputCommonPaddingXsSubtleGreen = 4;
+exports.inputCommonPaddingXsSubtleRed = 4;
+exports.inputCommonPaddingXsSubtleYellow = 4;
+exports.inputCommonPaddingXsBoldBlue = 4;
+exports.inputCommonPaddingXsBoldGreen = 4;
+exports.inputCommonPaddingXsBoldRed = 4;
+exports.inputCommonPaddingXsBoldYellow = 4;
+exports.inputCommonPaddingXsNeutralInverseBlue = 4;
+exports.inputCommonPaddingXsNeutralInverseGreen = 4;
+exports.inputCommonPaddingXsNeutralInverseRed = 4;
+exports.inputCommonPaddingXsNeutralInverseYellow = 4;
+exports.inputCommonPaddingSmNeutralBlue = 8;
+exports.inputCommonPaddingSmNeutralGreen = 8;
+exports.inputCommonPaddingSmNeutralRed = 8;
+exports.inputCommonPaddingSmNeutralYellow = 8;
+exports.inputCommonPaddingSmSubtleBlue = 8;
+exports.inputCommonPaddingSmSubtleGreen = 8;
+exports.inputCommonPaddingSmSubtleRed = 8;
+exports.inputCommonPaddingSmSubtleYellow = 8;
+exports.inputCommonPaddingSmBoldBlue = 8;
+exports.inputCommonPaddingSmBoldGreen = 8;
+exports.inputCommonPaddingSmBoldRed = 8;
+exports.inputCommonPaddingSmBoldYellow = 8;
+exports.inputCommonPaddingSmNeutralInverseBlue = 8;
+exports.inputCommonPaddingSmNeutralInverseGreen = 8;
+exports.inputCommonPaddingSmNeutralInverseRed = 8;
+exports.inputCommonPaddingSmNeutralInverseYellow = 8;
+exports.inputCommonPaddingMdNeutralBlue = 12;
+exports.inputCommonPaddingMdNeutralGreen = 12;
+exports.inputCommonPaddingMdNeutralRed = 12;
+exports.inputCommonPaddingMdNeutralYellow = 12;
+exports.inputCommonPaddingMdSubtleBlue = 12;
+exports.inputCommonPaddingMdSubtleGreen = 12;
+exports.inputCommonPaddingMdSubtleRed = 12;
+exports.inputCommonPaddingMdSubtleYellow = 12;
+exports.inputCommonPaddingMdBoldBlue = 12;
+exports.inputCommonPaddingMdBoldGreen = 12;
+exports.inputCommonPaddingMdBoldRed = 12;
+exports.inputCommonPaddingMdBoldYellow = 12;
+exports.inputCommonPaddingMdNeutralInverseBlue = 12;
+exports.inputCommonPaddingMdNeutralInverseGreen = 12;
+exports.inputCommonPaddingMdNeutralInverseRed = 12;
+exports.inputCommonPaddingMdNeutralInverseYellow = 12;
+exports.inputCommonPaddingLgNeutralBlue = 16;
+exports.inputCommonPaddingLgNeutralGreen = 16;
+exports.inputCommonPaddingLgNeutralRed = 16;
+exports.inputCommonPaddingLgNeutralYellow = 16;
+exports.inputCommonPaddingLgSubtleBlue = 16;
+exports.inputCommonPaddingLgSubtleGreen = 16;
+exports.inputCommonPaddingLgSubtleRed = 16;
+exports.inputCommonPaddingLgSubtleYellow = 16;
+exports.inputCommonPaddingLgBoldBlue = 16;
+exports.inputCommonPaddingLgBoldGreen = 16;
+exports.inputCommonPaddingLgBoldRed = 16;
+exports.inputCommonPaddingLgBoldYellow = 16;
+exports.inputCommonPaddingLgNeutralInverseBlue = 16;
+exports.inputCommonPaddingLgNeutralInverseGreen = 16;
+exports.inputCommonPaddingLgNeutralInverseRed = 16;
+exports.inputCommonPaddingLgNeutralInverseYellow = 16;
+exports.inputCommonScaleXxsNeutralBlue = 8;
+exports.inputCommonScaleXxsNeutralGreen = 8;
+exports.inputCommonScaleXxsNeutralRed = 8;
+exports.inputCommonScaleXxsNeutralYellow = 8;
+exports.inputCommonScaleXxsSubtleBlue = 8;
+exports.inputCommonScaleXxsSubtleGreen = 8;
+exports.inputCommonScaleXxsSubtleRed = 8;
+exports.inputCommonScaleXxsSubtleYellow = 8;
+exports.inputCommonScaleXxsBoldBlue = 8;
+exports.inputCommonScaleXxsBoldGreen = 8;
+exports.inputCommonScaleXxsBoldRed = 8;
+exports.inputCommonScaleXxsBoldYellow = 8;
+exports.inputCommonScaleXxsNeutralInverseBlue = 8;
+exports.inputCommonScaleXxsNeutralInverseGreen = 8;
+exports.inputCommonScaleXxsNeutralInverseRed = 8;
+exports.inputCommonScaleXxsNeutralInverseYellow = 8;
+exports.inputCommonScaleXsNeutralBlue = 12;
+exports.inputCommonScaleXsNeutralGreen = 12;
+exports.inputCommonScaleXsNeutralRed = 12;
+exports.inputCommonScaleXsNeutralYellow = 12;
+exports.inputCommonScaleXsSubtleBlue = 12;
+exports.inputCommonScaleXsSubtleGreen = 12;
+exports.inputCommonScaleXsSubtleRed = 12;
+exports.inputCommonScaleXsSubtleYellow = 12;
+exports.inputCommonScaleXsBoldBlue = 12;
+exports.inputCommonScaleXsBoldGreen = 12;
+exports.inputCommonScaleXsBoldRed = 12;
+exports.inputCommonScaleXsBoldYellow = 12;
+exports.inputCommonScaleXsNeutralInverseBlue = 12;
+exports.inputCommonScaleXsNeutralInverseGreen = 12;
+exports.inputCommonScaleXsNeutralInverseRed = 12;
+exports.inputCommonScaleXsNeutralInverseYellow = 12;
+exports.inputCommonScaleSmNeutralBlue = 16;
+exports.inputCommonScaleSmNeutralGreen = 16;
+exports.inputCommonScaleSmNeutralRed = 16;
+exports.inputCommonScaleSmNeutralYellow = 16;
+exports.inputCommonScaleSmSubtleBlue = 16;
+exports.inputCommonScaleSmSubtleGreen = 16;
+exports.inputCommonScaleSmSubtleRed = 16;
+exports.inputCommonScaleSmSubtleYellow = 16;
+exports.inputCommonScaleSmBoldBlue = 16;
+exports.inputCommonScaleSmBoldGreen = 16;
+exports.inputCommonScaleSmBoldRed = 16;
+exports.inputCommonScaleSmBoldYellow = 16;
+exports.inputCommonScaleSmNeutralInverseBlue = 16;
+exports.inputCommonScaleSmNeutralInverseGreen = 16;
+exports.inputCommonScaleSmNeutralInverseRed = 16;
+exports.inputCommonScaleSmNeutralInverseYellow = 16;
+exports.inputCommonScaleMdNeutralBlue = 20;
+exports.inputCommonScaleMdNeutralGreen = 20;
+exports.inputCommonScaleMdNeutralRed = 20;
+exports.inputCommonScaleMdNeutralYellow = 20;
+exports.inputCommonScaleMdSubtleBlue = 20;
+exports.inputCommonScaleMdSubtleGreen = 20;
+exports.inputCommonScaleMdSubtleRed = 20;
+exports.inputCommonScaleMdSubtleYellow = 20;
+exports.inputCommonScaleMdBoldBlue = 20;
+exports.inputCommonScaleMdBoldGreen = 20;
+exports.inputCommonScaleMdBoldRed = 20;
+exports.inputCommonScaleMdBoldYellow = 20;
+exports.inputCommonScaleMdNeutralInverseBlue = 20;
+exports.inputCommonScaleMdNeutralInverseGreen = 20;
+exports.inputCommonScaleMdNeutralInverseRed = 20;
+exports.inputCommonScaleMdNeutralInverseYellow = 20;
+exports.inputCommonScaleLgNeutralBlue = 28;
+exports.inputCommonScaleLgNeutralGreen = 28;
+exports.inputCommonScaleLgNeutralRed = 28;
+exports.inputCommonScaleLgNeutralYellow = 28;
+exports.inputCommonScaleLgSubtleBlue = 28;
+exports.inputCommonScaleLgSubtleGreen = 28;
+exports.inputCommonScaleLgSubtleRed = 28;
+exports.inputCommonScaleLgSubtleYellow = 28;
+exports.inputCommonScaleLgBoldBlue = 28;
+exports.inputCommonScaleLgBoldGreen = 28;
+exports.inputCommonScaleLgBoldRed = 28;
+exports.inputCommonScaleLgBoldYellow = 28;
+exports.inputCommonScaleLgNeutralInverseBlue = 28;
+exports.inputCommonScaleLgNeutralInverseGreen = 28;
+exports.inputCommonScaleLgNeutralInverseRed = 28;
+exports.inputCommonScaleLgNeutralInverseYellow = 28;
+exports.inputCommonScaleXlNeutralBlue = 36;
+exports.inputCommonScaleXlNeutralGreen = 36;
+exports.inputCommonScaleXlNeutralRed = 36;
+exports.inputCommonScaleXlNeutralYellow = 36;
+exports.inputCommonScaleXlSubtleBlue = 36;
+exports.inputCommonScaleXlSubtleGreen = 36;
+exports.inputCommonScaleXlSubtleRed = 36;
+exports.inputCommonScaleXlSubtleYellow = 36;
+exports.inputCommonScaleXlBoldBlue = 36;
+exports.inputCommonScaleXlBoldGreen = 36;
+exports.inputCommonScaleXlBoldRed = 36;
+exports.inputCommonScaleXlBoldYellow = 36;
+exports.inputCommonScaleXlNeutralInverseBlue = 36;
+exports.inputCommonScaleXlNeutralInverseGreen = 36;
+exports.inputCommonScaleXlNeutralInverseRed = 36;
+exports.inputCommonScaleXlNeutralInverseYellow = 36;
+exports.inputCommonScaleXxlNeutralBlue = 48;
+exports.inputCommonScaleXxlNeutralGreen = 48;
+exports.inputCommonScaleXxlNeutralRed = 48;
+exports.inputCommonScaleXxlNeutralYellow = 48;
+exports.inputCommonScaleXxlSubtleBlue = 48;
+exports.inputCommonScaleXxlSubtleGreen = 48;
+exports.inputCommonScaleXxlSubtleRed = 48;
+exports.inputCommonScaleXxlSubtleYellow = 48;
+exports.inputCommonScaleXxlBoldBlue = 48;
+exports.inputCommonScaleXxlBoldGreen = 48;
+exports.inputCommonScaleXxlBoldRed = 48;
+exports.inputCommonScaleXxlBoldYellow = 48;
+exports.inputCommonScaleXxlNeutralInverseBlue = 48;
+exports.inputCommonScaleXxlNeutralInverseGreen = 48;
+exports.inputCommonScaleXxlNeutralInverseRed = 48;
+exports.inputCommonScaleXxlNeutralInverseYellow = 48;
+exports.inputRestNeutralBackgroundColourNeutralBlue = "#ffffff";
+exports.inputRestNeutralBackgroundColourNeutralGreen = "#ffffff";
+exports.inputRestNeutralBackgroundColourNeutralRed = "#ffffff";
+exports.inputRestNeutralBackgroundColourNeutralYellow = "#ffffff";
+exports.inputRestNeutralBackgroundColourSubtleBlue = "#ffffff";
+exports.inputRestNeutralBackgroundColourSubtleGreen = "#ffffff";
+exports.inputRestNeutralBackgroundColourSubtleRed = "#ffffff";
+exports.inputRestNeutralBackgroundColourSubtleYellow = "#ffffff";
+exports.inputRestNeutralBackgroundColourBoldBlue = "#ffffff";
+exports.inputRestNeutralBackgroundColourBoldGreen = "#ffffff";
+exports.inputRestNeutralBackgroundColourBoldRed = "#ffffff";
+exports.inputRestNeutralBackgroundColourBoldYellow = "#ffffff";
+exports.inputRestNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.inputRestNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.inputRestNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+exports.inputRestNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.inputRestNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.inputRestNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.inputRestIndicatorColourNeutralBlue = "#005dba";
+exports.inputRestIndicatorColourNeutralGreen = "#00633d";
+exports.inputRestIndicatorColourNeutralRed = "#c50b30";
+exports.inputRestIndicatorColourNeutralYellow = "#c86426";
+exports.inputRestIndicatorColourSubtleBlue = "#005dba";
+exports.inputRestIndicatorColourSubtleGreen = "#00633d";
+exports.inputRestIndicatorColourSubtleRed = "#c50b30";
+exports.inputRestIndicatorColourSubtleYellow = "#c86426";
+exports.inputRestIndicatorColourBoldBlue = "#005dba";
+exports.inputRestIndicatorColourBoldGreen = "#00633d";
+exports.inputRestIndicatorColourBoldRed = "#c50b30";
+exports.inputRestIndicatorColourBoldYellow = "#c86426";
+exports.inputRestIndicatorColourNeutralInverseBlue = "#005dba";
+exports.inputRestIndicatorColourNeutralInverseGreen = "#00633d";
+exports.inputRestIndicatorColourNeutralInverseRed = "#c50b30";
+exports.inputRestIndicatorColourNeutralInverseYellow = "#c86426";
+exports.inputRestBorderColourNeutralBlue = "#858686";
+exports.inputRestBorderColourNeutralGreen = "#858686";
+exports.inputRestBorderColourNeutralRed = "#858686";
+exports.inputRestBorderColourNeutralYellow = "#858686";
+exports.inputRestBorderColourSubtleBlue = "#001d6e";
+exports.inputRestBorderColourSubtleGreen = "#01312e";
+exports.inputRestBorderColourSubtleRed = "#940824";
+exports.inputRestBorderColourSubtleYellow = "#c86426";
+exports.inputRestBorderColourBoldBlue = "#001d6e";
+exports.inputRestBorderColourBoldGreen = "#01312e";
+exports.inputRestBorderColourBoldRed = "#940824";
+exports.inputRestBorderColourBoldYellow = "#c86426";
+exports.inputRestBorderColourNeutralInverseBlue = "#858686";
+exports.inputRestBorderColourNeutralInverseGreen = "#858686";
+exports.inputRestBorderColourNeutralInverseRed = "#858686";
+exports.inputRestBorderColourNeutralInverseYellow = "#858686";
+exports.inputRestColourNeutralBlue = "#1d1d1b";
+exports.inputRestColourNeutralGreen = "#1d1d1b";
+exports.inputRestColourNeutralRed = "#1d1d1b";
+exports.inputRestColourNeutralYellow = "#1d1d1b";
+exports.inputRestColourSubtleBlue = "#1d1d1b";
+exports.inputRestColourSubtleGreen = "#1d1d1b";
+exports.inputRestColourSubtleRed = "#1d1d1b";
+exports.inputRestColourSubtleYellow = "#1d1d1b";
+exports.inputRestColourBoldBlue = "#1d1d1b";
+exports.inputRestColourBoldGreen = "#1d1d1b";
+exports.inputRestColourBoldRed = "#1d1d1b";
+exports.inputRestColourBoldYellow = "#1d1d1b";
+exports.inputRestColourNeutralInverseBlue = "#1d1d1b";
+exports.inputRestColourNeutralInverseGreen = "#1d1d1b";
+exports.inputRestColourNeutralInverseRed = "#1d1d1b";
+exports.inputRestColourNeutralInverseYellow = "#1d1d1b";
+exports.inputRestBorderWidthNeutralBlue = 1.5;
+exports.inputRestBorderWidthNeutralGreen = 1.5;
+exports.inputRestBorderWidthNeutralRed = 1.5;
+exports.inputRestBorderWidthNeutralYellow = 1.5;
+exports.inputRestBorderWidthSubtleBlue = 1.5;
+exports.inputRestBorderWidthSubtleGreen = 1.5;
+exports.inputRestBorderWidthSubtleRed = 1.5;
+exports.inputRestBorderWidthSubtleYellow = 1.5;
+exports.inputRestBorderWidthBoldBlue = 1.5;
+exports.inputRestBorderWidthBoldGreen = 1.5;
+exports.inputRestBorderWidthBoldRed = 1.5;
+exports.inputRestBorderWidthBoldYellow = 1.5;
+exports.inputRestBorderWidthNeutralInverseBlue = 1.5;
+exports.inputRestBorderWidthNeutralInverseGreen = 1.5;
+exports.inputRestBorderWidthNeutralInverseRed = 1.5;
+exports.inputRestBorderWidthNeutralInverseYellow = 1.5;
+exports.inputHoverNeutralBackgroundColourNeutralBlue = "#ffffff";
+exports.inputHoverNeutralBackgroundColourNeutralGreen = "#ffffff";
+exports.inputHoverNeutralBackgroundColourNeutralRed = "#ffffff";
+exports.inputHoverNeutralBackgroundColourNeutralYellow = "#ffffff";
+exports.inputHoverNeutralBackgroundColourSubtleBlue = "#ffffff";
+exports.inputHoverNeutralBackgroundColourSubtleGreen = "#ffffff";
+exports.inputHoverNeutralBackgroundColourSubtleRed = "#ffffff";
+exports.inputHoverNeutralBackgroundColourSubtleYellow = "#ffffff";
+exports.inputHoverNeutralBackgroundColourBoldBlue = "#ffffff";
+exports.inputHoverNeutralBackgroundColourBoldGreen = "#ffffff";
+exports.inputHoverNeutralBackgroundColourBoldRed = "#ffffff";
+exports.inputHoverNeutralBackgroundColourBoldYellow = "#ffffff";
+exports.inputHoverNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.inputHoverNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.inputHoverNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+exports.inputHoverNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.inputHoverNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.inputHoverNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.inputHoverIndicatorColourNeutralBlue = "#001d6e";
+exports.inputHoverIndicatorColourNeutralGreen = "#01312e";
+exports.inputHoverIndicatorColourNeutralRed = "#940824";
+exports.inputHoverIndicatorColourNeutralYellow = "#c86426";
+exports.inputHoverIndicatorColourSubtleBlue = "#001d6e";
+exports.inputHoverIndicatorColourSubtleGreen = "#01312e";
+exports.inputHoverIndicatorColourSubtleRed = "#940824";
+exports.inputHoverIndicatorColourSubtleYellow = "#c86426";
+exports.inputHoverIndicatorColourBoldBlue = "#001d6e";
+exports.inputHoverIndicatorColourBoldGreen = "#01312e";
+exports.inputHoverIndicatorColourBoldRed = "#940824";
+exports.inputHoverIndicatorColourBoldYellow = "#c86426";
+exports.inputHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+exports.inputHoverIndicatorColourNeutralInverseGreen = "#01312e";
+exports.inputHoverIndicatorColourNeutralInverseRed = "#940824";
+exports.inputHoverIndicatorColourNeutralInverseYellow = "#c86426";
+exports.inputHoverBorderColourNeutralBlue = "#4d4f4f";
+exports.inputHoverBorderColourNeutralGreen = "#4d4f4f";
+exports.inputHoverBorderColourNeutralRed = "#4d4f4f";
+exports.inputHoverBorderColourNeutralYellow = "#4d4f4f";
+exports.inputHoverBorderColourSubtleBlue = "#1d1d1b";
+exports.inputHoverBorderColourSubtleGreen = "#1d1d1b";
+exports.inputHoverBorderColourSubtleRed = "#1d1d1b";
+exports.inputHoverBorderColourSubtleYellow = "#1d1d1b";
+exports.inputHoverBorderColourBoldBlue = "#1d1d1b";
+exports.inputHoverBorderColourBoldGreen = "#1d1d1b";
+exports.inputHoverBorderColourBoldRed = "#1d1d1b";
+exports.inputHoverBorderColourBoldYellow = "#1d1d1b";
+exports.inputHoverBorderColourNeutralInverseBlue = "#4d4f4f";
+exports.inputHoverBorderColourNeutralInverseGreen = "#4d4f4f";
+exports.inputHoverBorderColourNeutralInverseRed = "#4d4f4f";
+exports.inputHoverBorderColourNeutralInverseYellow = "#4d4f4f";
+exports.inputHoverColourNeutralBlue = "#1d1d1b";
+exports.inputHoverColourNeutralGreen = "#1d1d1b";
+exports.inputHoverColourNeutralRed = "#1d1d1b";
+exports.inputHoverColourNeutralYellow = "#1d1d1b";
+exports.inputHoverColourSubtleBlue = "#1d1d1b";
+exports.inputHoverColourSubtleGreen = "#1d1d1b";
+exports.inputHoverColourSubtleRed = "#1d1d1b";
+exports.inputHoverColourSubtleYellow = "#1d1d1b";
+exports.inputHoverColourBoldBlue = "#1d1d1b";
+exports.inputHoverColourBoldGreen = "#1d1d1b";
+exports.inputHoverColourBoldRed = "#1d1d1b";
+exports.inputHoverColourBoldYellow = "#1d1d1b";
+exports.inputHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.inputHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.inputHoverColourNeutralInverseRed = "#1d1d1b";
+exports.inputHoverColourNeutralInverseYellow = "#1d1d1b";
+exports.inputHoverBorderWidthNeutralBlue = 1.5;
+exports.inputHoverBorderWidthNeutralGreen = 1.5;
+exports.inputHoverBorderWidthNeutralRed = 1.5;
+exports.inputHoverBorderWidthNeutralYellow = 1.5;
+exports.inputHoverBorderWidthSubtleBlue = 1.5;
+exports.inputHoverBorderWidthSubtleGreen = 1.5;
+exports.inputHoverBorderWidthSubtleRed = 1.5;
+exports.inputHoverBorderWidthSubtleYellow = 1.5;
+exports.inputHoverBorderWidthBoldBlue = 1.5;
+exports.inputHoverBorderWidthBoldGreen = 1.5;
+exports.inputHoverBorderWidthBoldRed = 1.5;
+exports.inputHoverBorderWidthBoldYellow = 1.5;
+exports.inputHoverBorderWidthNeutralInverseBlue = 1.5;
+exports.inputHoverBorderWidthNeutralInverseGreen = 1.5;
+exports.inputHoverBorderWidthNeutralInverseRed = 1.5;
+exports.inputHoverBorderWidthNeutralInverseYellow = 1.5;
+exports.inputFocusNeutralBackgroundColourNeutralBlue = "#ffffff";
+exports.inputFocusNeutralBackgroundColourNeutralGreen = "#ffffff";
+exports.inputFocusNeutralBackgroundColourNeutralRed = "#ffffff";
+exports.inputFocusNeutralBackgroundColourNeutralYellow = "#ffffff";
+exports.inputFocusNeutralBackgroundColourSubtleBlue = "#ffffff";
+exports.inputFocusNeutralBackgroundColourSubtleGreen = "#ffffff";
+exports.inputFocusNeutralBackgroundColourSubtleRed = "#ffffff";
+exports.inputFocusNeutralBackgroundColourSubtleYellow = "#ffffff";
+exports.inputFocusNeutralBackgroundColourBoldBlue = "#ffffff";
+exports.inputFocusNeutralBackgroundColourBoldGreen = "#ffffff";
+exports.inputFocusNeutralBackgroundColourBoldRed = "#ffffff";
+exports.inputFocusNeutralBackgroundColourBoldYellow = "#ffffff";
+exports.inputFocusNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.inputFocusNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.inputFocusNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+exports.inputFocusNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.inputFocusNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.inputFocusNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.inputFocusIndicatorColourNeutralBlue = "#005dba";
+exports.inputFocusIndicatorColourNeutralGreen = "#00633d";
+exports.inputFocusIndicatorColourNeutralRed = "#c50b30";
+exports.inputFocusIndicatorColourNeutralYellow = "#c86426";
+exports.inputFocusIndicatorColourSubtleBlue = "#005dba";
+exports.inputFocusIndicatorColourSubtleGreen = "#00633d";
+exports.inputFocusIndicatorColourSubtleRed = "#c50b30";
+exports.inputFocusIndicatorColourSubtleYellow = "#c86426";
+exports.inputFocusIndicatorColourBoldBlue = "#005dba";
+exports.inputFocusIndicatorColourBoldGreen = "#00633d";
+exports.inputFocusIndicatorColourBoldRed = "#c50b30";
+exports.inputFocusIndicatorColourBoldYellow = "#c86426";
+exports.inputFocusIndicatorColourNeutralInverseBlue = "#005dba";
+exports.inputFocusIndicatorColourNeutralInverseGreen = "#00633d";
+exports.inputFocusIndicatorColourNeutralInverseRed = "#c50b30";
+exports.inputFocusIndicatorColourNeutralInverseYellow = "#c86426";
+exports.inputFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.inputFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.inputFocusBorderColourNeutralRed = "#1d1d1b";
+exports.inputFocusBorderColourNeutralYellow = "#1d1d1b";
+exports.inputFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.inputFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.inputFocusBorderColourSubtleRed = "#1d1d1b";
+exports.inputFocusBorderColourSubtleYellow = "#1d1d1b";
+exports.inputFocusBorderColourBoldBlue = "#1d1d1b";
+exports.inputFocusBorderColourBoldGreen = "#1d1d1b";
+exports.inputFocusBorderColourBoldRed = "#1d1d1b";
+exports.inputFocusBorderColourBoldYellow = "#1d1d1b";
+exports.inputFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.inputFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.inputFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.inputFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.inputFocusColourNeutralBlue = "#1d1d1b";
+exports.inputFocusColourNeutralGreen = "#1d1d1b";
+exports.inputFocusColourNeutralRed = "#1d1d1b";
+exports.inputFocusColourNeutralYellow = "#1d1d1b";
+exports.inputFocusColourSubtleBlue = "#1d1d1b";
+exports.inputFocusColourSubtleGreen = "#1d1d1b";
+exports.inputFocusColourSubtleRed = "#1d1d1b";
+exports.inputFocusColourSubtleYellow = "#1d1d1b";
+exports.inputFocusColourBoldBlue = "#1d1d1b";
+exports.inputFocusColourBoldGreen = "#1d1d1b";
+exports.inputFocusColourBoldRed = "#1d1d1b";
+exports.inputFocusColourBoldYellow = "#1d1d1b";
+exports.inputFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.inputFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.inputFocusColourNeutralInverseRed = "#1d1d1b";
+exports.inputFocusColourNeutralInverseYellow = "#1d1d1b";
+exports.inputFocusBorderWidthNeutralBlue = 3;
+exports.inputFocusBorderWidthNeutralGreen = 3;
+exports.inputFocusBorderWidthNeutralRed = 3;
+exports.inputFocusBorderWidthNeutralYellow = 3;
+exports.inputFocusBorderWidthSubtleBlue = 3;
+exports.inputFocusBorderWidthSubtleGreen = 3;
+exports.inputFocusBorderWidthSubtleRed = 3;
+exports.inputFocusBorderWidthSubtleYellow = 3;
+exports.inputFocusBorderWidthBoldBlue = 3;
+exports.inputFocusBorderWidthBoldGreen = 3;
+exports.inputFocusBorderWidthBoldRed = 3;
+exports.inputFocusBorderWidthBoldYellow = 3;
+exports.inputFocusBorderWidthNeutralInverseBlue = 3;
+exports.inputFocusBorderWidthNeutralInverseGreen = 3;
+exports.inputFocusBorderWidthNeutralInverseRed = 3;
+exports.inputFocusBorderWidthNeutralInverseYellow = 3;
+exports.inputErrorNeutralBackgroundColourNeutralBlue = "#ffffff";
+exports.inputErrorNeutralBackgroundColourNeutralGreen = "#ffffff";
+exports.inputErrorNeutralBackgroundColourNeutralRed = "#ffffff";
+exports.inputErrorNeutralBackgroundColourNeutralYellow = "#ffffff";
+exports.inputErrorNeutralBackgroundColourSubtleBlue = "#ffffff";
+exports.inputErrorNeutralBackgroundColourSubtleGreen = "#ffffff";
+exports.inputErrorNeutralBackgroundColourSubtleRed = "#ffffff";
+exports.inputErrorNeutralBackgroundColourSubtleYellow = "#ffffff";
+exports.inputErrorNeutralBackgroundColourBoldBlue = "#ffffff";
+exports.inputErrorNeutralBackgroundColourBoldGreen = "#ffffff";
+exports.inputErrorNeutralBackgroundColourBoldRed = "#ffffff";
+exports.inputErrorNeutralBackgroundColourBoldYellow = "#ffffff";
+exports.inputErrorNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.inputErrorNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.inputErrorNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+exports.inputErrorNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.inputErrorNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.inputErrorNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.inputErrorIndicatorColourNeutralBlue = "#c50b30";
+exports.inputErrorIndicatorColourNeutralGreen = "#c50b30";
+exports.inputErrorIndicatorColourNeutralRed = "#c50b30";
+exports.inputErrorIndicatorColourNeutralYellow = "#c50b30";
+exports.inputErrorIndicatorColourSubtleBlue = "#c50b30";
+exports.inputErrorIndicatorColourSubtleGreen = "#c50b30";
+exports.inputErrorIndicatorColourSubtleRed = "#c50b30";
+exports.inputErrorIndicatorColourSubtleYellow = "#c50b30";
+exports.inputErrorIndicatorColourBoldBlue = "#c50b30";
+exports.inputErrorIndicatorColourBoldGreen = "#c50b30";
+exports.inputErrorIndicatorColourBoldRed = "#c50b30";
+exports.inputErrorIndicatorColourBoldYellow = "#c50b30";
+exports.inputErrorIndicatorColourNeutralInverseBlue = "#c50b30";
+exports.inputErrorIndicatorColourNeutralInverseGreen = "#c50b30";
+exports.inputErrorIndicatorColourNeutralInverseRed = "#c50b30";
+exports.inputErrorIndicatorColourNeutralInverseYellow = "#c50b30";
+exports.inputErrorBorderColourNeutralBlue = "#c50b30";
+exports.inputErrorBorderColourNeutralGreen = "#c50b30";
+exports.inputErrorBorderColourNeutralRed = "#c50b30";
+exports.inputErrorBorderColourNeutralYellow = "#c50b30";
+exports.inputErrorBorderColourSubtleBlue = "#c50b30";
+exports.inputErrorBorderColourSubtleGreen = "#c50b30";
+exports.inputErrorBorderColourSubtleRed = "#c50b30";
+exports.inputErrorBorderColourSubtleYellow = "#c50b30";
+exports.inputErrorBorderColourBoldBlue = "#c50b30";
+exports.inputErrorBorderColourBoldGreen = "#c50b30";
+exports.inputErrorBorderColourBoldRed = "#c50b30";
+exports.inputErrorBorderColourBoldYellow = "#c50b30";
+exports.inputErrorBorderColourNeutralInverseBlue = "#c50b30";
+exports.inputErrorBorderColourNeutralInverseGreen = "#c50b30";
+exports.inputErrorBorderColourNeutralInverseRed = "#c50b30";
+exports.inputErrorBorderColourNeutralInverseYellow = "#c50b30";
+exports.inputErrorColourNeutralBlue = "#1d1d1b";
+exports.inputErrorColourNeutralGreen = "#1d1d1b";
+exports.inputErrorColourNeutralRed = "#1d1d1b";
+exports.inputErrorColourNeutralYellow = "#1d1d1b";
+exports.inputErrorColourSubtleBlue = "#1d1d1b";
+exports.inputErrorColourSubtleGreen = "#1d1d1b";
+exports.inputErrorColourSubtleRed = "#1d1d1b";
+exports.inputErrorColourSubtleYellow = "#1d1d1b";
+exports.inputErrorColourBoldBlue = "#1d1d1b";
+exports.inputErrorColourBoldGreen = "#1d1d1b";
+exports.inputErrorColourBoldRed = "#1d1d1b";
+exports.inputErrorColourBoldYellow = "#1d1d1b";
+exports.inputErrorColourNeutralInverseBlue = "#1d1d1b";
+exports.inputErrorColourNeutralInverseGreen = "#1d1d1b";
+exports.inputErrorColourNeutralInverseRed = "#1d1d1b";
+exports.inputErrorColourNeutralInverseYellow = "#1d1d1b";
+exports.inputErrorBorderWidthNeutralBlue = 1.5;
+exports.inputErrorBorderWidthNeutralGreen = 1.5;
+exports.inputErrorBorderWidthNeutralRed = 1.5;
+exports.inputErrorBorderWidthNeutralYellow = 1.5;
+exports.inputErrorBorderWidthSubtleBlue = 1.5;
+exports.inputErrorBorderWidthSubtleGreen = 1.5;
+exports.inputErrorBorderWidthSubtleRed = 1.5;
+exports.inputErrorBorderWidthSubtleYellow = 1.5;
+exports.inputErrorBorderWidthBoldBlue = 1.5;
+exports.inputErrorBorderWidthBoldGreen = 1.5;
+exports.inputErrorBorderWidthBoldRed = 1.5;
+exports.inputErrorBorderWidthBoldYellow = 1.5;
+exports.inputErrorBorderWidthNeutralInverseBlue = 1.5;
+exports.inputErrorBorderWidthNeutralInverseGreen = 1.5;
+exports.inputErrorBorderWidthNeutralInverseRed = 1.5;
+exports.inputErrorBorderWidthNeutralInverseYellow = 1.5;
+exports.inputErrorFocusBorderWidthNeutralBlue = 3;
+exports.inputErrorFocusBorderWidthNeutralGreen = 3;
+exports.inputErrorFocusBorderWidthNeutralRed = 3;
+exports.inputErrorFocusBorderWidthNeutralYellow = 3;
+exports.inputErrorFocusBorderWidthSubtleBlue = 3;
+exports.inputErrorFocusBorderWidthSubtleGreen = 3;
+exports.inputErrorFocusBorderWidthSubtleRed = 3;
+exports.inputErrorFocusBorderWidthSubtleYellow = 3;
+exports.inputErrorFocusBorderWidthBoldBlue = 3;
+exports.inputErrorFocusBorderWidthBoldGreen = 3;
+exports.inputErrorFocusBorderWidthBoldRed = 3;
+exports.inputErrorFocusBorderWidthBoldYellow = 3;
+exports.inputErrorFocusBorderWidthNeutralInverseBlue = 3;
+exports.inputErrorFocusBorderWidthNeutralInverseGreen = 3;
+exports.inputErrorFocusBorderWidthNeutralInverseRed = 3;
+exports.inputErrorFocusBorderWidthNeutralInverseYellow = 3;
+exports.inputDisabledNeutralBackgroundColourNeutralBlue = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourNeutralGreen = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourNeutralRed = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourNeutralYellow = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourSubtleBlue = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourSubtleGreen = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourSubtleRed = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourSubtleYellow = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourBoldBlue = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourBoldGreen = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourBoldRed = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourBoldYellow = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.inputDisabledNeutralBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.inputDisabledNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.inputDisabledIndicatorColourNeutralBlue = "#d3d3d3";
+exports.inputDisabledIndicatorColourNeutralGreen = "#d3d3d3";
+exports.inputDisabledIndicatorColourNeutralRed = "#d3d3d3";
+exports.inputDisabledIndicatorColourNeutralYellow = "#d3d3d3";
+exports.inputDisabledIndicatorColourSubtleBlue = "#d3d3d3";
+exports.inputDisabledIndicatorColourSubtleGreen = "#d3d3d3";
+exports.inputDisabledIndicatorColourSubtleRed = "#d3d3d3";
+exports.inputDisabledIndicatorColourSubtleYellow = "#d3d3d3";
+exports.inputDisabledIndicatorColourBoldBlue = "#d3d3d3";
+exports.inputDisabledIndicatorColourBoldGreen = "#d3d3d3";
+exports.inputDisabledIndicatorColourBoldRed = "#d3d3d3";
+exports.inputDisabledIndicatorColourBoldYellow = "#d3d3d3";
+exports.inputDisabledIndicatorColourNeutralInverseBlue = "#d3d3d3";
+exports.inputDisabledIndicatorColourNeutralInverseGreen = "#d3d3d3";
+exports.inputDisabledIndicatorColourNeutralInverseRed = "#d3d3d3";
+exports.inputDisabledIndicatorColourNeutralInverseYellow = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.inputDisabledBorderColourSubtleBlue = "#d3d3d3";
+exports.inputDisabledBorderColourSubtleGreen = "#d3d3d3";
+exports.inputDisabledBorderColourSubtleRed = "#d3d3d3";
+exports.inputDisabledBorderColourSubtleYellow = "#d3d3d3";
+exports.inputDisabledBorderColourBoldBlue = "#d3d3d3";
+exports.inputDisabledBorderColourBoldGreen = "#d3d3d3";
+exports.inputDisabledBorderColourBoldRed = "#d3d3d3";
+exports.inputDisabledBorderColourBoldYellow = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.inputDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.inputDisabledColourNeutralBlue = "#a6a7a7";
+exports.inputDisabledColourNeutralGreen = "#a6a7a7";
+exports.inputDisabledColourNeutralRed = "#a6a7a7";
+exports.inputDisabledColourNeutralYellow = "#a6a7a7";
+exports.inputDisabledColourSubtleBlue = "#a6a7a7";
+exports.inputDisabledColourSubtleGreen = "#a6a7a7";
+exports.inputDisabledColourSubtleRed = "#a6a7a7";
+exports.inputDisabledColourSubtleYellow = "#a6a7a7";
+exports.inputDisabledColourBoldBlue = "#a6a7a7";
+exports.inputDisabledColourBoldGreen = "#a6a7a7";
+exports.inputDisabledColourBoldRed = "#a6a7a7";
+exports.inputDisabledColourBoldYellow = "#a6a7a7";
+exports.inputDisabledColourNeutralInverseBlue = "#a6a7a7";
+exports.inputDisabledColourNeutralInverseGreen = "#a6a7a7";
+exports.inputDisabledColourNeutralInverseRed = "#a6a7a7";
+exports.inputDisabledColourNeutralInverseYellow = "#a6a7a7";
+exports.inputDisabledBorderWidthNeutralBlue = 1.5;
+exports.inputDisabledBorderWidthNeutralGreen = 1.5;
+exports.inputDisabledBorderWidthNeutralRed = 1.5;
+exports.inputDisabledBorderWidthNeutralYellow = 1.5;
+exports.inputDisabledBorderWidthSubtleBlue = 1.5;
+exports.inputDisabledBorderWidthSubtleGreen = 1.5;
+exports.inputDisabledBorderWidthSubtleRed = 1.5;
+exports.inputDisabledBorderWidthSubtleYellow = 1.5;
+exports.inputDisabledBorderWidthBoldBlue = 1.5;
+exports.inputDisabledBorderWidthBoldGreen = 1.5;
+exports.inputDisabledBorderWidthBoldRed = 1.5;
+exports.inputDisabledBorderWidthBoldYellow = 1.5;
+exports.inputDisabledBorderWidthNeutralInverseBlue = 1.5;
+exports.inputDisabledBorderWidthNeutralInverseGreen = 1.5;
+exports.inputDisabledBorderWidthNeutralInverseRed = 1.5;
+exports.inputDisabledBorderWidthNeutralInverseYellow = 1.5;
+exports.inputStatusValidationColourNeutralInfo = "#001d6e";
+exports.inputStatusValidationColourNeutralSuccess = "#014a39";
+exports.inputStatusValidationColourNeutralWarning = "#904029";
+exports.inputStatusValidationColourNeutralError = "#940824";
+exports.inputStatusValidationColourNeutralGeneric = "#1d1d1b";
+exports.inputStatusValidationColourSubtleInfo = "#1d1d1b";
+exports.inputStatusValidationColourSubtleSuccess = "#1d1d1b";
+exports.inputStatusValidationColourSubtleWarning = "#1d1d1b";
+exports.inputStatusValidationColourSubtleError = "#1d1d1b";
+exports.inputStatusValidationColourSubtleGeneric = "#1d1d1b";
+exports.inputStatusValidationColourBoldInfo = "#ffffff";
+exports.inputStatusValidationColourBoldSuccess = "#ffffff";
+exports.inputStatusValidationColourBoldWarning = "#1d1d1b";
+exports.inputStatusValidationColourBoldError = "#ffffff";
+exports.inputStatusValidationColourBoldGeneric = "#ffffff";
+exports.inputStatusValidationColourNeutralInverseInfo = "#001d6e";
+exports.inputStatusValidationColourNeutralInverseSuccess = "#014a39";
+exports.inputStatusValidationColourNeutralInverseWarning = "#904029";
+exports.inputStatusValidationColourNeutralInverseError = "#940824";
+exports.inputStatusValidationColourNeutralInverseGeneric = "#1d1d1b";
+exports.contentIconSizeSmNeutralBlue = 24;
+exports.contentIconSizeSmNeutralGreen = 24;
+exports.contentIconSizeSmNeutralRed = 24;
+exports.contentIconSizeSmNeutralYellow = 24;
+exports.contentIconSizeSmSubtleBlue = 24;
+exports.contentIconSizeSmSubtleGreen = 24;
+exports.contentIconSizeSmSubtleRed = 24;
+exports.contentIconSizeSmSubtleYellow = 24;
+exports.contentIconSizeSmBoldBlue = 24;
+exports.contentIconSizeSmBoldGreen = 24;
+exports.contentIconSizeSmBoldRed = 24;
+exports.contentIconSizeSmBoldYellow = 24;
+exports.contentIconSizeSmNeutralInverseBlue = 24;
+exports.contentIconSizeSmNeutralInverseGreen = 24;
+exports.contentIconSizeSmNeutralInverseRed = 24;
+exports.contentIconSizeSmNeutralInverseYellow = 24;
+exports.contentIconBrandPrimaryColourNeutralBlue = "#005dba";
+exports.contentIconBrandPrimaryColourNeutralGreen = "#00633d";
+exports.contentIconBrandPrimaryColourNeutralRed = "#c50b30";
+exports.contentIconBrandPrimaryColourNeutralYellow = "#ffb600";
+exports.contentIconBrandPrimaryColourSubtleBlue = "#001d6e";
+exports.contentIconBrandPrimaryColourSubtleGreen = "#01312e";
+exports.contentIconBrandPrimaryColourSubtleRed = "#940824";
+exports.contentIconBrandPrimaryColourSubtleYellow = "#904029";
+exports.contentIconBrandPrimaryColourBoldBlue = "#ffffff";
+exports.contentIconBrandPrimaryColourBoldGreen = "#ffffff";
+exports.contentIconBrandPrimaryColourBoldRed = "#ffffff";
+exports.contentIconBrandPrimaryColourBoldYellow = "#1d1d1b";
+exports.contentIconBrandPrimaryColourNeutralInverseBlue = "#005dba";
+exports.contentIconBrandPrimaryColourNeutralInverseGreen = "#00633d";
+exports.contentIconBrandPrimaryColourNeutralInverseRed = "#c50b30";
+exports.contentIconBrandPrimaryColourNeutralInverseYellow = "#ffb600";
+exports.contentIconPositiveColourNeutralBlue = "#00633d";
+exports.contentIconPositiveColourNeutralGreen = "#00633d";
+exports.contentIconPositiveColourNeutralRed = "#00633d";
+exports.contentIconPositiveColourNeutralYellow = "#00633d";
+exports.contentIconPositiveColourSubtleBlue = "#1d1d1b";
+exports.contentIconPositiveColourSubtleGreen = "#1d1d1b";
+exports.contentIconPositiveColourSubtleRed = "#1d1d1b";
+exports.contentIconPositiveColourSubtleYellow = "#1d1d1b";
+exports.contentIconPositiveColourBoldBlue = "#ffffff";
+exports.contentIconPositiveColourBoldGreen = "#ffffff";
+exports.contentIconPositiveColourBoldRed = "#ffffff";
+exports.contentIconPositiveColourBoldYellow = "#1d1d1b";
+exports.contentIconPositiveColourNeutralInverseBlue = "#00633d";
+exports.contentIconPositiveColourNeutralInverseGreen = "#00633d";
+exports.contentIconPositiveColourNeutralInverseRed = "#00633d";
+exports.contentIconPositiveColourNeutralInverseYellow = "#00633d";
+exports.contentIconNegativeColourNeutralBlue = "#c50b30";
+exports.contentIconNegativeColourNeutralGreen = "#c50b30";
+exports.contentIconNegativeColourNeutralRed = "#c50b30";
+exports.contentIconNegativeColourNeutralYellow = "#c50b30";
+exports.contentIconNegativeColourSubtleBlue = "#1d1d1b";
+exports.contentIconNegativeColourSubtleGreen = "#1d1d1b";
+exports.contentIconNegativeColourSubtleRed = "#1d1d1b";
+exports.contentIconNegativeColourSubtleYellow = "#1d1d1b";
+exports.contentIconNegativeColourBoldBlue = "#ffffff";
+exports.contentIconNegativeColourBoldGreen = "#ffffff";
+exports.contentIconNegativeColourBoldRed = "#ffffff";
+exports.contentIconNegativeColourBoldYellow = "#1d1d1b";
+exports.contentIconNegativeColourNeutralInverseBlue = "#c50b30";
+exports.contentIconNegativeColourNeutralInverseGreen = "#c50b30";
+exports.contentIconNegativeColourNeutralInverseRed = "#c50b30";
+exports.contentIconNegativeColourNeutralInverseYellow = "#c50b30";
+exports.contentSeperatorColourNeutralBlue = "#d3d3d3";
+exports.contentSeperatorColourNeutralGreen = "#d3d3d3";
+exports.contentSeperatorColourNeutralRed = "#d3d3d3";
+exports.contentSeperatorColourNeutralYellow = "#d3d3d3";
+exports.contentSeperatorColourSubtleBlue = "#d3d3d3";
+exports.contentSeperatorColourSubtleGreen = "#d3d3d3";
+exports.contentSeperatorColourSubtleRed = "#d3d3d3";
+exports.contentSeperatorColourSubtleYellow = "#d3d3d3";
+exports.contentSeperatorColourBoldBlue = "#f4f4f4";
+exports.contentSeperatorColourBoldGreen = "#f4f4f4";
+exports.contentSeperatorColourBoldRed = "#f4f4f4";
+exports.contentSeperatorColourBoldYellow = "#1d1d1b";
+exports.contentSeperatorColourNeutralInverseBlue = "#d3d3d3";
+exports.contentSeperatorColourNeutralInverseGreen = "#d3d3d3";
+exports.contentSeperatorColourNeutralInverseRed = "#d3d3d3";
+exports.contentSeperatorColourNeutralInverseYellow = "#d3d3d3";
+exports.contentSeperatorBorderWidthXsNeutralBlue = 1;
+exports.contentSeperatorBorderWidthXsNeutralGreen = 1;
+exports.contentSeperatorBorderWidthXsNeutralRed = 1;
+exports.contentSeperatorBorderWidthXsNeutralYellow = 1;
+exports.contentSeperatorBorderWidthXsSubtleBlue = 1;
+exports.contentSeperatorBorderWidthXsSubtleGreen = 1;
+exports.contentSeperatorBorderWidthXsSubtleRed = 1;
+exports.contentSeperatorBorderWidthXsSubtleYellow = 1;
+exports.contentSeperatorBorderWidthXsBoldBlue = 1;
+exports.contentSeperatorBorderWidthXsBoldGreen = 1;
+exports.contentSeperatorBorderWidthXsBoldRed = 1;
+exports.contentSeperatorBorderWidthXsBoldYellow = 1;
+exports.contentSeperatorBorderWidthXsNeutralInverseBlue = 1;
+exports.contentSeperatorBorderWidthXsNeutralInverseGreen = 1;
+exports.contentSeperatorBorderWidthXsNeutralInverseRed = 1;
+exports.contentSeperatorBorderWidthXsNeutralInverseYellow = 1;
+exports.contentSeperatorBorderWidthSmNeutralBlue = 1.5;
+exports.contentSeperatorBorderWidthSmNeutralGreen = 1.5;
+exports.contentSeperatorBorderWidthSmNeutralRed = 1.5;
+exports.contentSeperatorBorderWidthSmNeutralYellow = 1.5;
+exports.contentSeperatorBorderWidthSmSubtleBlue = 1.5;
+exports.contentSeperatorBorderWidthSmSubtleGreen = 1.5;
+exports.contentSeperatorBorderWidthSmSubtleRed = 1.5;
+exports.contentSeperatorBorderWidthSmSubtleYellow = 1.5;
+exports.contentSeperatorBorderWidthSmBoldBlue = 1.5;
+exports.contentSeperatorBorderWidthSmBoldGreen = 1.5;
+exports.contentSeperatorBorderWidthSmBoldRed = 1.5;
+exports.contentSeperatorBorderWidthSmBoldYellow = 1.5;
+exports.contentSeperatorBorderWidthSmNeutralInverseBlue = 1.5;
+exports.contentSeperatorBorderWidthSmNeutralInverseGreen = 1.5;
+exports.contentSeperatorBorderWidthSmNeutralInverseRed = 1.5;
+exports.contentSeperatorBorderWidthSmNeutralInverseYellow = 1.5;
+exports.contentIndicatorBoldBackgroundColourNeutralBlue = "#005dba";
+exports.contentIndicatorBoldBackgroundColourNeutralGreen = "#00633d";
+exports.contentIndicatorBoldBackgroundColourNeutralRed = "#c50b30";
+exports.contentIndicatorBoldBackgroundColourNeutralYellow = "#ffb600";
+exports.contentIndicatorBoldBackgroundColourSubtleBlue = "#005dba";
+exports.contentIndicatorBoldBackgroundColourSubtleGreen = "#00633d";
+exports.contentIndicatorBoldBackgroundColourSubtleRed = "#c50b30";
+exports.contentIndicatorBoldBackgroundColourSubtleYellow = "#ffb600";
+exports.contentIndicatorBoldBackgroundColourBoldBlue = "#ffffff";
+exports.contentIndicatorBoldBackgroundColourBoldGreen = "#ffffff";
+exports.contentIndicatorBoldBackgroundColourBoldRed = "#ffffff";
+exports.contentIndicatorBoldBackgroundColourBoldYellow = "#ffffff";
+exports.contentIndicatorBoldBackgroundColourNeutralInverseBlue = "#005dba";
+exports.contentIndicatorBoldBackgroundColourNeutralInverseGreen = "#00633d";
+exports.contentIndicatorBoldBackgroundColourNeutralInverseRed = "#c50b30";
+exports.contentIndicatorBoldBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.contentIndicatorBoldBorderRadiusNeutralBlue = 16;
+exports.contentIndicatorBoldBorderRadiusNeutralGreen = 16;
+exports.contentIndicatorBoldBorderRadiusNeutralRed = 16;
+exports.contentIndicatorBoldBorderRadiusNeutralYellow = 16;
+exports.contentIndicatorBoldBorderRadiusSubtleBlue = 16;
+exports.contentIndicatorBoldBorderRadiusSubtleGreen = 16;
+exports.contentIndicatorBoldBorderRadiusSubtleRed = 16;
+exports.contentIndicatorBoldBorderRadiusSubtleYellow = 16;
+exports.contentIndicatorBoldBorderRadiusBoldBlue = 16;
+exports.contentIndicatorBoldBorderRadiusBoldGreen = 16;
+exports.contentIndicatorBoldBorderRadiusBoldRed = 16;
+exports.contentIndicatorBoldBorderRadiusBoldYellow = 16;
+exports.contentIndicatorBoldBorderRadiusNeutralInverseBlue = 16;
+exports.contentIndicatorBoldBorderRadiusNeutralInverseGreen = 16;
+exports.contentIndicatorBoldBorderRadiusNeutralInverseRed = 16;
+exports.contentIndicatorBoldBorderRadiusNeutralInverseYellow = 16;
+exports.contentIndicatorBoldColourNeutralBlue = "#ffffff";
+exports.contentIndicatorBoldColourNeutralGreen = "#ffffff";
+exports.contentIndicatorBoldColourNeutralRed = "#ffffff";
+exports.contentIndicatorBoldColourNeutralYellow = "#1d1d1b";
+exports.contentIndicatorBoldColourSubtleBlue = "#ffffff";
+exports.contentIndicatorBoldColourSubtleGreen = "#ffffff";
+exports.contentIndicatorBoldColourSubtleRed = "#ffffff";
+exports.contentIndicatorBoldColourSubtleYellow = "#1d1d1b";
+exports.contentIndicatorBoldColourBoldBlue = "#1d1d1b";
+exports.contentIndicatorBoldColourBoldGreen = "#1d1d1b";
+exports.contentIndicatorBoldColourBoldRed = "#1d1d1b";
+exports.contentIndicatorBoldColourBoldYellow = "#1d1d1b";
+exports.contentIndicatorBoldColourNeutralInverseBlue = "#ffffff";
+exports.contentIndicatorBoldColourNeutralInverseGreen = "#ffffff";
+exports.contentIndicatorBoldColourNeutralInverseRed = "#ffffff";
+exports.contentIndicatorBoldColourNeutralInverseYellow = "#1d1d1b";
+exports.contentIndicatorBoldPaddingNeutralBlue = 4;
+exports.contentIndicatorBoldPaddingNeutralGreen = 4;
+exports.contentIndicatorBoldPaddingNeutralRed = 4;
+exports.contentIndicatorBoldPaddingNeutralYellow = 4;
+exports.contentIndicatorBoldPaddingSubtleBlue = 4;
+exports.contentIndicatorBoldPaddingSubtleGreen = 4;
+exports.contentIndicatorBoldPaddingSubtleRed = 4;
+exports.contentIndicatorBoldPaddingSubtleYellow = 4;
+exports.contentIndicatorBoldPaddingBoldBlue = 4;
+exports.contentIndicatorBoldPaddingBoldGreen = 4;
+exports.contentIndicatorBoldPaddingBoldRed = 4;
+exports.contentIndicatorBoldPaddingBoldYellow = 4;
+exports.contentIndicatorBoldPaddingNeutralInverseBlue = 4;
+exports.contentIndicatorBoldPaddingNeutralInverseGreen = 4;
+exports.contentIndicatorBoldPaddingNeutralInverseRed = 4;
+exports.contentIndicatorBoldPaddingNeutralInverseYellow = 4;
+exports.contentIndicatorBoldSizeNeutralBlue = 16;
+exports.contentIndicatorBoldSizeNeutralGreen = 16;
+exports.contentIndicatorBoldSizeNeutralRed = 16;
+exports.contentIndicatorBoldSizeNeutralYellow = 16;
+exports.contentIndicatorBoldSizeSubtleBlue = 16;
+exports.contentIndicatorBoldSizeSubtleGreen = 16;
+exports.contentIndicatorBoldSizeSubtleRed = 16;
+exports.contentIndicatorBoldSizeSubtleYellow = 16;
+exports.contentIndicatorBoldSizeBoldBlue = 16;
+exports.contentIndicatorBoldSizeBoldGreen = 16;
+exports.contentIndicatorBoldSizeBoldRed = 16;
+exports.contentIndicatorBoldSizeBoldYellow = 16;
+exports.contentIndicatorBoldSizeNeutralInverseBlue = 16;
+exports.contentIndicatorBoldSizeNeutralInverseGreen = 16;
+exports.contentIndicatorBoldSizeNeutralInverseRed = 16;
+exports.contentIndicatorBoldSizeNeutralInverseYellow = 16;
+exports.contentIndicatorProgressBackgroundColourNeutralBlue = "#42aeea";
+exports.contentIndicatorProgressBackgroundColourNeutralGreen = "#43af6e";
+exports.contentIndicatorProgressBackgroundColourNeutralRed = "#ff3e51";
+exports.contentIndicatorProgressBackgroundColourNeutralYellow = "#ffe969";
+exports.contentIndicatorProgressBackgroundColourSubtleBlue = "#005dba";
+exports.contentIndicatorProgressBackgroundColourSubtleGreen = "#00633d";
+exports.contentIndicatorProgressBackgroundColourSubtleRed = "#c50b30";
+exports.contentIndicatorProgressBackgroundColourSubtleYellow = "#ffb600";
+exports.contentIndicatorProgressBackgroundColourBoldBlue = "#d2effb";
+exports.contentIndicatorProgressBackgroundColourBoldGreen = "#dff6eb";
+exports.contentIndicatorProgressBackgroundColourBoldRed = "#ffd5d2";
+exports.contentIndicatorProgressBackgroundColourBoldYellow = "#fffbdc";
+exports.contentIndicatorProgressBackgroundColourNeutralInverseBlue = "#42aeea";
+exports.contentIndicatorProgressBackgroundColourNeutralInverseGreen = "#43af6e";
+exports.contentIndicatorProgressBackgroundColourNeutralInverseRed = "#ff3e51";
+exports.contentIndicatorProgressBackgroundColourNeutralInverseYellow = "#ffe969";
+exports.contentIndicatorProgressColourNeutralBlue = "#001d6e";
+exports.contentIndicatorProgressColourNeutralGreen = "#01312e";
+exports.contentIndicatorProgressColourNeutralRed = "#940824";
+exports.contentIndicatorProgressColourNeutralYellow = "#c86426";
+exports.contentIndicatorProgressColourSubtleBlue = "#001d6e";
+exports.contentIndicatorProgressColourSubtleGreen = "#01312e";
+exports.contentIndicatorProgressColourSubtleRed = "#940824";
+exports.contentIndicatorProgressColourSubtleYellow = "#c86426";
+exports.contentIndicatorProgressColourBoldBlue = "#000039";
+exports.contentIndicatorProgressColourBoldGreen = "#011b1f";
+exports.contentIndicatorProgressColourBoldRed = "#480411";
+exports.contentIndicatorProgressColourBoldYellow = "#572722";
+exports.contentIndicatorProgressColourNeutralInverseBlue = "#001d6e";
+exports.contentIndicatorProgressColourNeutralInverseGreen = "#01312e";
+exports.contentIndicatorProgressColourNeutralInverseRed = "#940824";
+exports.contentIndicatorProgressColourNeutralInverseYellow = "#c86426";
+exports.contentIndicatorProgressSizeNeutralBlue = 4;
+exports.contentIndicatorProgressSizeNeutralGreen = 4;
+exports.contentIndicatorProgressSizeNeutralRed = 4;
+exports.contentIndicatorProgressSizeNeutralYellow = 4;
+exports.contentIndicatorProgressSizeSubtleBlue = 4;
+exports.contentIndicatorProgressSizeSubtleGreen = 4;
+exports.contentIndicatorProgressSizeSubtleRed = 4;
+exports.contentIndicatorProgressSizeSubtleYellow = 4;
+exports.contentIndicatorProgressSizeBoldBlue = 4;
+exports.contentIndicatorProgressSizeBoldGreen = 4;
+exports.contentIndicatorProgressSizeBoldRed = 4;
+exports.contentIndicatorProgressSizeBoldYellow = 4;
+exports.contentIndicatorProgressSizeNeutralInverseBlue = 4;
+exports.contentIndicatorProgressSizeNeutralInverseGreen = 4;
+exports.contentIndicatorProgressSizeNeutralInverseRed = 4;
+exports.contentIndicatorProgressSizeNeutralInverseYellow = 4;
+exports.contentStatusSubtleColourNeutralInfo = "#001d6e";
+exports.contentStatusSubtleColourNeutralSuccess = "#01312e";
+exports.contentStatusSubtleColourNeutralWarning = "#904029";
+exports.contentStatusSubtleColourNeutralError = "#940824";
+exports.contentStatusSubtleColourNeutralGeneric = "#1d1d1b";
+exports.contentStatusSubtleColourSubtleInfo = "#001d6e";
+exports.contentStatusSubtleColourSubtleSuccess = "#01312e";
+exports.contentStatusSubtleColourSubtleWarning = "#904029";
+exports.contentStatusSubtleColourSubtleError = "#940824";
+exports.contentStatusSubtleColourSubtleGeneric = "#1d1d1b";
+exports.contentStatusSubtleColourBoldInfo = "#001d6e";
+exports.contentStatusSubtleColourBoldSuccess = "#01312e";
+exports.contentStatusSubtleColourBoldWarning = "#904029";
+exports.contentStatusSubtleColourBoldError = "#940824";
+exports.contentStatusSubtleColourBoldGeneric = "#1d1d1b";
+exports.contentStatusSubtleColourNeutralInverseInfo = "#001d6e";
+exports.contentStatusSubtleColourNeutralInverseSuccess = "#01312e";
+exports.contentStatusSubtleColourNeutralInverseWarning = "#904029";
+exports.contentStatusSubtleColourNeutralInverseError = "#940824";
+exports.contentStatusSubtleColourNeutralInverseGeneric = "#1d1d1b";
+exports.contentStatusBoldColourNeutralInfo = "#ffffff";
+exports.contentStatusBoldColourNeutralSuccess = "#ffffff";
+exports.contentStatusBoldColourNeutralWarning = "#1d1d1b";
+exports.contentStatusBoldColourNeutralError = "#ffffff";
+exports.contentStatusBoldColourNeutralGeneric = "#ffffff";
+exports.contentStatusBoldColourSubtleInfo = "#ffffff";
+exports.contentStatusBoldColourSubtleSuccess = "#ffffff";
+exports.contentStatusBoldColourSubtleWarning = "#1d1d1b";
+exports.contentStatusBoldColourSubtleError = "#ffffff";
+exports.contentStatusBoldColourSubtleGeneric = "#ffffff";
+exports.contentStatusBoldColourBoldInfo = "#ffffff";
+exports.contentStatusBoldColourBoldSuccess = "#ffffff";
+exports.contentStatusBoldColourBoldWarning = "#1d1d1b";
+exports.contentStatusBoldColourBoldError = "#ffffff";
+exports.contentStatusBoldColourBoldGeneric = "#ffffff";
+exports.contentStatusBoldColourNeutralInverseInfo = "#ffffff";
+exports.contentStatusBoldColourNeutralInverseSuccess = "#ffffff";
+exports.contentStatusBoldColourNeutralInverseWarning = "#1d1d1b";
+exports.contentStatusBoldColourNeutralInverseError = "#ffffff";
+exports.contentStatusBoldColourNeutralInverseGeneric = "#ffffff";
+exports.contentStatusPictogramStatusFillNeutralInfo = "#42aeea";
+exports.contentStatusPictogramStatusFillNeutralSuccess = "#43af6e";
+exports.contentStatusPictogramStatusFillNeutralWarning = "#ffe969";
+exports.contentStatusPictogramStatusFillNeutralError = "#ff3e51";
+exports.contentStatusPictogramStatusFillNeutralGeneric = "#d3d3d3";
+exports.contentStatusPictogramStatusFillSubtleInfo = "#42aeea";
+exports.contentStatusPictogramStatusFillSubtleSuccess = "#43af6e";
+exports.contentStatusPictogramStatusFillSubtleWarning = "#ffe969";
+exports.contentStatusPictogramStatusFillSubtleError = "#ff3e51";
+exports.contentStatusPictogramStatusFillSubtleGeneric = "#d3d3d3";
+exports.contentStatusPictogramStatusFillBoldInfo = "#42aeea";
+exports.contentStatusPictogramStatusFillBoldSuccess = "#43af6e";
+exports.contentStatusPictogramStatusFillBoldWarning = "#ffe969";
+exports.contentStatusPictogramStatusFillBoldError = "#ff3e51";
+exports.contentStatusPictogramStatusFillBoldGeneric = "#d3d3d3";
+exports.contentStatusPictogramStatusFillNeutralInverseInfo = "#42aeea";
+exports.contentStatusPictogramStatusFillNeutralInverseSuccess = "#43af6e";
+exports.contentStatusPictogramStatusFillNeutralInverseWarning = "#ffe969";
+exports.contentStatusPictogramStatusFillNeutralInverseError = "#ff3e51";
+exports.contentStatusPictogramStatusFillNeutralInverseGeneric = "#d3d3d3";
+exports.contentGapColumnXsNeutralBlue = 16;
+exports.contentGapColumnXsNeutralGreen = 16;
+exports.contentGapColumnXsNeutralRed = 16;
+exports.contentGapColumnXsNeutralYellow = 16;
+exports.contentGapColumnXsSubtleBlue = 16;
+exports.contentGapColumnXsSubtleGreen = 16;
+exports.contentGapColumnXsSubtleRed = 16;
+exports.contentGapColumnXsSubtleYellow = 16;
+exports.contentGapColumnXsBoldBlue = 16;
+exports.contentGapColumnXsBoldGreen = 16;
+exports.contentGapColumnXsBoldRed = 16;
+exports.contentGapColumnXsBoldYellow = 16;
+exports.contentGapColumnXsNeutralInverseBlue = 16;
+exports.contentGapColumnXsNeutralInverseGreen = 16;
+exports.contentGapColumnXsNeutralInverseRed = 16;
+exports.contentGapColumnXsNeutralInverseYellow = 16;
+exports.contentGapColumnSmNeutralBlue = 20;
+exports.contentGapColumnSmNeutralGreen = 20;
+exports.contentGapColumnSmNeutralRed = 20;
+exports.contentGapColumnSmNeutralYellow = 20;
+exports.contentGapColumnSmSubtleBlue = 20;
+exports.contentGapColumnSmSubtleGreen = 20;
+exports.contentGapColumnSmSubtleRed = 20;
+exports.contentGapColumnSmSubtleYellow = 20;
+exports.contentGapColumnSmBoldBlue = 8;
+exports.contentGapColumnSmBoldGreen = 8;
+exports.contentGapColumnSmBoldRed = 8;
+exports.contentGapColumnSmBoldYellow = 8;
+exports.contentGapColumnSmNeutralInverseBlue = 20;
+exports.contentGapColumnSmNeutralInverseGreen = 20;
+exports.contentGapColumnSmNeutralInverseRed = 20;
+exports.contentGapColumnSmNeutralInverseYellow = 20;
+exports.contentGapColumnMdNeutralBlue = 28;
+exports.contentGapColumnMdNeutralGreen = 28;
+exports.contentGapColumnMdNeutralRed = 28;
+exports.contentGapColumnMdNeutralYellow = 28;
+exports.contentGapColumnMdSubtleBlue = 28;
+exports.contentGapColumnMdSubtleGreen = 28;
+exports.contentGapColumnMdSubtleRed = 28;
+exports.contentGapColumnMdSubtleYellow = 28;
+exports.contentGapColumnMdBoldBlue = 28;
+exports.contentGapColumnMdBoldGreen = 28;
+exports.contentGapColumnMdBoldRed = 28;
+exports.contentGapColumnMdBoldYellow = 28;
+exports.contentGapColumnMdNeutralInverseBlue = 28;
+exports.contentGapColumnMdNeutralInverseGreen = 28;
+exports.contentGapColumnMdNeutralInverseRed = 28;
+exports.contentGapColumnMdNeutralInverseYellow = 28;
+exports.contentGapColumnLgNeutralBlue = 36;
+exports.contentGapColumnLgNeutralGreen = 36;
+exports.contentGapColumnLgNeutralRed = 36;
+exports.contentGapColumnLgNeutralYellow = 36;
+exports.contentGapColumnLgSubtleBlue = 36;
+exports.contentGapColumnLgSubtleGreen = 36;
+exports.contentGapColumnLgSubtleRed = 36;
+exports.contentGapColumnLgSubtleYellow = 36;
+exports.contentGapColumnLgBoldBlue = 36;
+exports.contentGapColumnLgBoldGreen = 36;
+exports.contentGapColumnLgBoldRed = 36;
+exports.contentGapColumnLgBoldYellow = 36;
+exports.contentGapColumnLgNeutralInverseBlue = 36;
+exports.contentGapColumnLgNeutralInverseGreen = 36;
+exports.contentGapColumnLgNeutralInverseRed = 36;
+exports.contentGapColumnLgNeutralInverseYellow = 36;
+exports.contentGapColumnXlNeutralBlue = 48;
+exports.contentGapColumnXlNeutralGreen = 48;
+exports.contentGapColumnXlNeutralRed = 48;
+exports.contentGapColumnXlNeutralYellow = 48;
+exports.contentGapColumnXlSubtleBlue = 48;
+exports.contentGapColumnXlSubtleGreen = 48;
+exports.contentGapColumnXlSubtleRed = 48;
+exports.contentGapColumnXlSubtleYellow = 48;
+exports.contentGapColumnXlBoldBlue = 48;
+exports.contentGapColumnXlBoldGreen = 48;
+exports.contentGapColumnXlBoldRed = 48;
+exports.contentGapColumnXlBoldYellow = 48;
+exports.contentGapColumnXlNeutralInverseBlue = 48;
+exports.contentGapColumnXlNeutralInverseGreen = 48;
+exports.contentGapColumnXlNeutralInverseRed = 48;
+exports.contentGapColumnXlNeutralInverseYellow = 48;
+exports.contentGapInsideXsNeutralBlue = 4;
+exports.contentGapInsideXsNeutralGreen = 4;
+exports.contentGapInsideXsNeutralRed = 4;
+exports.contentGapInsideXsNeutralYellow = 4;
+exports.contentGapInsideXsSubtleBlue = 4;
+exports.contentGapInsideXsSubtleGreen = 4;
+exports.contentGapInsideXsSubtleRed = 4;
+exports.contentGapInsideXsSubtleYellow = 4;
+exports.contentGapInsideXsBoldBlue = 4;
+exports.contentGapInsideXsBoldGreen = 4;
+exports.contentGapInsideXsBoldRed = 4;
+exports.contentGapInsideXsBoldYellow = 4;
+exports.contentGapInsideXsNeutralInverseBlue = 4;
+exports.contentGapInsideXsNeutralInverseGreen = 4;
+exports.contentGapInsideXsNeutralInverseRed = 4;
+exports.contentGapInsideXsNeutralInverseYellow = 4;
+exports.contentGapInsideSmNeutralBlue = 8;
+exports.contentGapInsideSmNeutralGreen = 8;
+exports.contentGapInsideSmNeutralRed = 8;
+exports.contentGapInsideSmNeutralYellow = 8;
+exports.contentGapInsideSmSubtleBlue = 8;
+exports.contentGapInsideSmSubtleGreen = 8;
+exports.contentGapInsideSmSubtleRed = 8;
+exports.contentGapInsideSmSubtleYellow = 8;
+exports.contentGapInsideSmBoldBlue = 8;
+exports.contentGapInsideSmBoldGreen = 8;
+exports.contentGapInsideSmBoldRed = 8;
+exports.contentGapInsideSmBoldYellow = 8;
+exports.contentGapInsideSmNeutralInverseBlue = 8;
+exports.contentGapInsideSmNeutralInverseGreen = 8;
+exports.contentGapInsideSmNeutralInverseRed = 8;
+exports.contentGapInsideSmNeutralInverseYellow = 8;
+exports.contentGapInsideMdNeutralBlue = 12;
+exports.contentGapInsideMdNeutralGreen = 12;
+exports.contentGapInsideMdNeutralRed = 12;
+exports.contentGapInsideMdNeutralYellow = 12;
+exports.contentGapInsideMdSubtleBlue = 12;
+exports.contentGapInsideMdSubtleGreen = 12;
+exports.contentGapInsideMdSubtleRed = 12;
+exports.contentGapInsideMdSubtleYellow = 12;
+exports.contentGapInsideMdBoldBlue = 12;
+exports.contentGapInsideMdBoldGreen = 12;
+exports.contentGapInsideMdBoldRed = 12;
+exports.contentGapInsideMdBoldYellow = 12;
+exports.contentGapInsideMdNeutralInverseBlue = 12;
+exports.contentGapInsideMdNeutralInverseGreen = 12;
+exports.contentGapInsideMdNeutralInverseRed = 12;
+exports.contentGapInsideMdNeutralInverseYellow = 12;
+exports.contentGapInsideLgNeutralBlue = 16;
+exports.contentGapInsideLgNeutralGreen = 16;
+exports.contentGapInsideLgNeutralRed = 16;
+exports.contentGapInsideLgNeutralYellow = 16;
+exports.contentGapInsideLgSubtleBlue = 16;
+exports.contentGapInsideLgSubtleGreen = 16;
+exports.contentGapInsideLgSubtleRed = 16;
+exports.contentGapInsideLgSubtleYellow = 16;
+exports.contentGapInsideLgBoldBlue = 16;
+exports.contentGapInsideLgBoldGreen = 16;
+exports.contentGapInsideLgBoldRed = 16;
+exports.contentGapInsideLgBoldYellow = 16;
+exports.contentGapInsideLgNeutralInverseBlue = 16;
+exports.contentGapInsideLgNeutralInverseGreen = 16;
+exports.contentGapInsideLgNeutralInverseRed = 16;
+exports.contentGapInsideLgNeutralInverseYellow = 16;
+exports.contentGapInsideXlNeutralBlue = 20;
+exports.contentGapInsideXlNeutralGreen = 20;
+exports.contentGapInsideXlNeutralRed = 20;
+exports.contentGapInsideXlNeutralYellow = 20;
+exports.contentGapInsideXlSubtleBlue = 20;
+exports.contentGapInsideXlSubtleGreen = 20;
+exports.contentGapInsideXlSubtleRed = 20;
+exports.contentGapInsideXlSubtleYellow = 20;
+exports.contentGapInsideXlBoldBlue = 20;
+exports.contentGapInsideXlBoldGreen = 20;
+exports.contentGapInsideXlBoldRed = 20;
+exports.contentGapInsideXlBoldYellow = 20;
+exports.contentGapInsideXlNeutralInverseBlue = 20;
+exports.contentGapInsideXlNeutralInverseGreen = 20;
+exports.contentGapInsideXlNeutralInverseRed = 20;
+exports.contentGapInsideXlNeutralInverseYellow = 20;
+exports.contentGapRowXsNeutralBlue = 16;
+exports.contentGapRowXsNeutralGreen = 16;
+exports.contentGapRowXsNeutralRed = 16;
+exports.contentGapRowXsNeutralYellow = 16;
+exports.contentGapRowXsSubtleBlue = 16;
+exports.contentGapRowXsSubtleGreen = 16;
+exports.contentGapRowXsSubtleRed = 16;
+exports.contentGapRowXsSubtleYellow = 16;
+exports.contentGapRowXsBoldBlue = 16;
+exports.contentGapRowXsBoldGreen = 16;
+exports.contentGapRowXsBoldRed = 16;
+exports.contentGapRowXsBoldYellow = 16;
+exports.contentGapRowXsNeutralInverseBlue = 16;
+exports.contentGapRowXsNeutralInverseGreen = 16;
+exports.contentGapRowXsNeutralInverseRed = 16;
+exports.contentGapRowXsNeutralInverseYellow = 16;
+exports.contentGapRowSmNeutralBlue = 20;
+exports.contentGapRowSmNeutralGreen = 20;
+exports.contentGapRowSmNeutralRed = 20;
+exports.contentGapRowSmNeutralYellow = 20;
+exports.contentGapRowSmSubtleBlue = 20;
+exports.contentGapRowSmSubtleGreen = 20;
+exports.contentGapRowSmSubtleRed = 20;
+exports.contentGapRowSmSubtleYellow = 20;
+exports.contentGapRowSmBoldBlue = 20;
+exports.contentGapRowSmBoldGreen = 20;
+exports.contentGapRowSmBoldRed = 20;
+exports.contentGapRowSmBoldYellow = 20;
+exports.contentGapRowSmNeutralInverseBlue = 20;
+exports.contentGapRowSmNeutralInverseGreen = 20;
+exports.contentGapRowSmNeutralInverseRed = 20;
+exports.contentGapRowSmNeutralInverseYellow = 20;
+exports.contentGapRowMdNeutralBlue = 28;
+exports.contentGapRowMdNeutralGreen = 28;
+exports.contentGapRowMdNeutralRed = 28;
+exports.contentGapRowMdNeutralYellow = 28;
+exports.contentGapRowMdSubtleBlue = 28;
+exports.contentGapRowMdSubtleGreen = 28;
+exports.contentGapRowMdSubtleRed = 28;
+exports.contentGapRowMdSubtleYellow = 28;
+exports.contentGapRowMdBoldBlue = 28;
+exports.contentGapRowMdBoldGreen = 28;
+exports.contentGapRowMdBoldRed = 28;
+exports.contentGapRowMdBoldYellow = 28;
+exports.contentGapRowMdNeutralInverseBlue = 28;
+exports.contentGapRowMdNeutralInverseGreen = 28;
+exports.contentGapRowMdNeutralInverseRed = 28;
+exports.contentGapRowMdNeutralInverseYellow = 28;
+exports.contentGapRowLgNeutralBlue = 36;
+exports.contentGapRowLgNeutralGreen = 36;
+exports.contentGapRowLgNeutralRed = 36;
+exports.contentGapRowLgNeutralYellow = 36;
+exports.contentGapRowLgSubtleBlue = 36;
+exports.contentGapRowLgSubtleGreen = 36;
+exports.contentGapRowLgSubtleRed = 36;
+exports.contentGapRowLgSubtleYellow = 36;
+exports.contentGapRowLgBoldBlue = 36;
+exports.contentGapRowLgBoldGreen = 36;
+exports.contentGapRowLgBoldRed = 36;
+exports.contentGapRowLgBoldYellow = 36;
+exports.contentGapRowLgNeutralInverseBlue = 36;
+exports.contentGapRowLgNeutralInverseGreen = 36;
+exports.contentGapRowLgNeutralInverseRed = 36;
+exports.contentGapRowLgNeutralInverseYellow = 36;
+exports.contentGapRowXlNeutralBlue = 48;
+exports.contentGapRowXlNeutralGreen = 48;
+exports.contentGapRowXlNeutralRed = 48;
+exports.contentGapRowXlNeutralYellow = 48;
+exports.contentGapRowXlSubtleBlue = 48;
+exports.contentGapRowXlSubtleGreen = 48;
+exports.contentGapRowXlSubtleRed = 48;
+exports.contentGapRowXlSubtleYellow = 48;
+exports.contentGapRowXlBoldBlue = 48;
+exports.contentGapRowXlBoldGreen = 48;
+exports.contentGapRowXlBoldRed = 48;
+exports.contentGapRowXlBoldYellow = 48;
+exports.contentGapRowXlNeutralInverseBlue = 48;
+exports.contentGapRowXlNeutralInverseGreen = 48;
+exports.contentGapRowXlNeutralInverseRed = 48;
+exports.contentGapRowXlNeutralInverseYellow = 48;
+exports.contentPictogramOutlineNeutralBlue = "#1d1d1b";
+exports.contentPictogramOutlineNeutralGreen = "#1d1d1b";
+exports.contentPictogramOutlineNeutralRed = "#1d1d1b";
+exports.contentPictogramOutlineNeutralYellow = "#1d1d1b";
+exports.contentPictogramOutlineSubtleBlue = "#1d1d1b";
+exports.contentPictogramOutlineSubtleGreen = "#1d1d1b";
+exports.contentPictogramOutlineSubtleRed = "#1d1d1b";
+exports.contentPictogramOutlineSubtleYellow = "#1d1d1b";
+exports.contentPictogramOutlineBoldBlue = "#f4f4f4";
+exports.contentPictogramOutlineBoldGreen = "#f4f4f4";
+exports.contentPictogramOutlineBoldRed = "#f4f4f4";
+exports.contentPictogramOutlineBoldYellow = "#1d1d1b";
+exports.contentPictogramOutlineNeutralInverseBlue = "#1d1d1b";
+exports.contentPictogramOutlineNeutralInverseGreen = "#1d1d1b";
+exports.contentPictogramOutlineNeutralInverseRed = "#1d1d1b";
+exports.contentPictogramOutlineNeutralInverseYellow = "#1d1d1b";
+exports.contentPictogramFillNeutralBlue = "#42aeea";
+exports.contentPictogramFillNeutralGreen = "#42aeea";
+exports.contentPictogramFillNeutralRed = "#42aeea";
+exports.contentPictogramFillNeutralYellow = "#42aeea";
+exports.contentPictogramFillSubtleBlue = "#aee1f7";
+exports.contentPictogramFillSubtleGreen = "#aee1f7";
+exports.contentPictogramFillSubtleRed = "#aee1f7";
+exports.contentPictogramFillSubtleYellow = "#aee1f7";
+exports.contentPictogramFillBoldBlue = "#005dba";
+exports.contentPictogramFillBoldGreen = "#005dba";
+exports.contentPictogramFillBoldRed = "#005dba";
+exports.contentPictogramFillBoldYellow = "#005dba";
+exports.contentPictogramFillNeutralInverseBlue = "#42aeea";
+exports.contentPictogramFillNeutralInverseGreen = "#42aeea";
+exports.contentPictogramFillNeutralInverseRed = "#42aeea";
+exports.contentPictogramFillNeutralInverseYellow = "#42aeea";
+exports.contentPictogramHasFillNeutralBlue = true;
+exports.contentPictogramHasFillNeutralGreen = false;
+exports.contentPictogramHasFillNeutralRed = false;
+exports.contentPictogramHasFillNeutralYellow = false;
+exports.contentPictogramHasFillSubtleBlue = false;
+exports.contentPictogramHasFillSubtleGreen = false;
+exports.contentPictogramHasFillSubtleRed = false;
+exports.contentPictogramHasFillSubtleYellow = false;
+exports.contentPictogramHasFillBoldBlue = false;
+exports.contentPictogramHasFillBoldGreen = false;
+exports.contentPictogramHasFillBoldRed = false;
+exports.contentPictogramHasFillBoldYellow = false;
+exports.contentPictogramHasFillNeutralInverseBlue = true;
+exports.contentPictogramHasFillNeutralInverseGreen = false;
+exports.contentPictogramHasFillNeutralInverseRed = false;
+exports.contentPictogramHasFillNeutralInverseYellow = false;
+exports.contentPictogramSizeMdNeutralBlue = 32;
+exports.contentPictogramSizeMdNeutralGreen = 32;
+exports.contentPictogramSizeMdNeutralRed = 32;
+exports.contentPictogramSizeMdNeutralYellow = 32;
+exports.contentPictogramSizeMdSubtleBlue = 32;
+exports.contentPictogramSizeMdSubtleGreen = 32;
+exports.contentPictogramSizeMdSubtleRed = 32;
+exports.contentPictogramSizeMdSubtleYellow = 32;
+exports.contentPictogramSizeMdBoldBlue = 32;
+exports.contentPictogramSizeMdBoldGreen = 32;
+exports.contentPictogramSizeMdBoldRed = 32;
+exports.contentPictogramSizeMdBoldYellow = 32;
+exports.contentPictogramSizeMdNeutralInverseBlue = 32;
+exports.contentPictogramSizeMdNeutralInverseGreen = 32;
+exports.contentPictogramSizeMdNeutralInverseRed = 32;
+exports.contentPictogramSizeMdNeutralInverseYellow = 32;
+exports.contentPictogramSizeLgNeutralBlue = 80;
+exports.contentPictogramSizeLgNeutralGreen = 80;
+exports.contentPictogramSizeLgNeutralRed = 80;
+exports.contentPictogramSizeLgNeutralYellow = 80;
+exports.contentPictogramSizeLgSubtleBlue = 80;
+exports.contentPictogramSizeLgSubtleGreen = 80;
+exports.contentPictogramSizeLgSubtleRed = 80;
+exports.contentPictogramSizeLgSubtleYellow = 80;
+exports.contentPictogramSizeLgBoldBlue = 80;
+exports.contentPictogramSizeLgBoldGreen = 80;
+exports.contentPictogramSizeLgBoldRed = 80;
+exports.contentPictogramSizeLgBoldYellow = 80;
+exports.contentPictogramSizeLgNeutralInverseBlue = 80;
+exports.contentPictogramSizeLgNeutralInverseGreen = 80;
+exports.contentPictogramSizeLgNeutralInverseRed = 80;
+exports.contentPictogramSizeLgNeutralInverseYellow = 80;
+exports.contentPictogramSizeXlNeutralBlue = 160;
+exports.contentPictogramSizeXlNeutralGreen = 160;
+exports.contentPictogramSizeXlNeutralRed = 160;
+exports.contentPictogramSizeXlNeutralYellow = 160;
+exports.contentPictogramSizeXlSubtleBlue = 160;
+exports.contentPictogramSizeXlSubtleGreen = 160;
+exports.contentPictogramSizeXlSubtleRed = 160;
+exports.contentPictogramSizeXlSubtleYellow = 160;
+exports.contentPictogramSizeXlBoldBlue = 160;
+exports.contentPictogramSizeXlBoldGreen = 160;
+exports.contentPictogramSizeXlBoldRed = 160;
+exports.contentPictogramSizeXlBoldYellow = 160;
+exports.contentPictogramSizeXlNeutralInverseBlue = 160;
+exports.contentPictogramSizeXlNeutralInverseGreen = 160;
+exports.contentPictogramSizeXlNeutralInverseRed = 160;
+exports.contentPictogramSizeXlNeutralInverseYellow = 160;
+exports.buttonBorderRadiusNeutralBlue = 12;
+exports.buttonBorderRadiusNeutralGreen = 12;
+exports.buttonBorderRadiusNeutralRed = 12;
+exports.buttonBorderRadiusNeutralYellow = 12;
+exports.buttonBorderRadiusNeutralInverseBlue = 12;
+exports.buttonBorderRadiusNeutralInverseGreen = 12;
+exports.buttonBorderRadiusNeutralInverseRed = 12;
+exports.buttonBorderRadiusNeutralInverseYellow = 12;
+exports.buttonBorderRadiusSubtleBlue = 12;
+exports.buttonBorderRadiusSubtleGreen = 12;
+exports.buttonBorderRadiusSubtleRed = 12;
+exports.buttonBorderRadiusSubtleYellow = 12;
+exports.buttonBorderRadiusBoldBlue = 12;
+exports.buttonBorderRadiusBoldGreen = 12;
+exports.buttonBorderRadiusBoldRed = 12;
+exports.buttonBorderRadiusBoldYellow = 12;
+exports.buttonBorderWidthNeutralBlue = 1.5;
+exports.buttonBorderWidthNeutralGreen = 1.5;
+exports.buttonBorderWidthNeutralRed = 1.5;
+exports.buttonBorderWidthNeutralYellow = 1.5;
+exports.buttonBorderWidthNeutralInverseBlue = 1.5;
+exports.buttonBorderWidthNeutralInverseGreen = 1.5;
+exports.buttonBorderWidthNeutralInverseRed = 1.5;
+exports.buttonBorderWidthNeutralInverseYellow = 1.5;
+exports.buttonBorderWidthSubtleBlue = 1.5;
+exports.buttonBorderWidthSubtleGreen = 1.5;
+exports.buttonBorderWidthSubtleRed = 1.5;
+exports.buttonBorderWidthSubtleYellow = 1.5;
+exports.buttonBorderWidthBoldBlue = 1.5;
+exports.buttonBorderWidthBoldGreen = 1.5;
+exports.buttonBorderWidthBoldRed = 1.5;
+exports.buttonBorderWidthBoldYellow = 1.5;
+exports.buttonBorderWidthFocusNeutralBlue = 3;
+exports.buttonBorderWidthFocusNeutralGreen = 3;
+exports.buttonBorderWidthFocusNeutralRed = 3;
+exports.buttonBorderWidthFocusNeutralYellow = 3;
+exports.buttonBorderWidthFocusNeutralInverseBlue = 3;
+exports.buttonBorderWidthFocusNeutralInverseGreen = 3;
+exports.buttonBorderWidthFocusNeutralInverseRed = 3;
+exports.buttonBorderWidthFocusNeutralInverseYellow = 3;
+exports.buttonBorderWidthFocusSubtleBlue = 3;
+exports.buttonBorderWidthFocusSubtleGreen = 3;
+exports.buttonBorderWidthFocusSubtleRed = 3;
+exports.buttonBorderWidthFocusSubtleYellow = 3;
+exports.buttonBorderWidthFocusBoldBlue = 3;
+exports.buttonBorderWidthFocusBoldGreen = 3;
+exports.buttonBorderWidthFocusBoldRed = 3;
+exports.buttonBorderWidthFocusBoldYellow = 3;
+exports.buttonGapNeutralBlue = 8;
+exports.buttonGapNeutralGreen = 8;
+exports.buttonGapNeutralRed = 8;
+exports.buttonGapNeutralYellow = 8;
+exports.buttonGapNeutralInverseBlue = 8;
+exports.buttonGapNeutralInverseGreen = 8;
+exports.buttonGapNeutralInverseRed = 8;
+exports.buttonGapNeutralInverseYellow = 8;
+exports.buttonGapSubtleBlue = 8;
+exports.buttonGapSubtleGreen = 8;
+exports.buttonGapSubtleRed = 8;
+exports.buttonGapSubtleYellow = 8;
+exports.buttonGapBoldBlue = 8;
+exports.buttonGapBoldGreen = 8;
+exports.buttonGapBoldRed = 8;
+exports.buttonGapBoldYellow = 8;
+exports.buttonCommonLabelledMinHeightNeutralBlue = 48;
+exports.buttonCommonLabelledMinHeightNeutralGreen = 48;
+exports.buttonCommonLabelledMinHeightNeutralRed = 48;
+exports.buttonCommonLabelledMinHeightNeutralYellow = 48;
+exports.buttonCommonLabelledMinHeightNeutralInverseBlue = 48;
+exports.buttonCommonLabelledMinHeightNeutralInverseGreen = 48;
+exports.buttonCommonLabelledMinHeightNeutralInverseRed = 48;
+exports.buttonCommonLabelledMinHeightNeutralInverseYellow = 48;
+exports.buttonCommonLabelledMinHeightSubtleBlue = 48;
+exports.buttonCommonLabelledMinHeightSubtleGreen = 48;
+exports.buttonCommonLabelledMinHeightSubtleRed = 48;
+exports.buttonCommonLabelledMinHeightSubtleYellow = 48;
+exports.buttonCommonLabelledMinHeightBoldBlue = 48;
+exports.buttonCommonLabelledMinHeightBoldGreen = 48;
+exports.buttonCommonLabelledMinHeightBoldRed = 48;
+exports.buttonCommonLabelledMinHeightBoldYellow = 48;
+exports.buttonCommonLabelledMinWidthNeutralBlue = 48;
+exports.buttonCommonLabelledMinWidthNeutralGreen = 48;
+exports.buttonCommonLabelledMinWidthNeutralRed = 48;
+exports.buttonCommonLabelledMinWidthNeutralYellow = 48;
+exports.buttonCommonLabelledMinWidthNeutralInverseBlue = 48;
+exports.buttonCommonLabelledMinWidthNeutralInverseGreen = 48;
+exports.buttonCommonLabelledMinWidthNeutralInverseRed = 48;
+exports.buttonCommonLabelledMinWidthNeutralInverseYellow = 48;
+exports.buttonCommonLabelledMinWidthSubtleBlue = 48;
+exports.buttonCommonLabelledMinWidthSubtleGreen = 48;
+exports.buttonCommonLabelledMinWidthSubtleRed = 48;
+exports.buttonCommonLabelledMinWidthSubtleYellow = 48;
+exports.buttonCommonLabelledMinWidthBoldBlue = 48;
+exports.buttonCommonLabelledMinWidthBoldGreen = 48;
+exports.buttonCommonLabelledMinWidthBoldRed = 48;
+exports.buttonCommonLabelledMinWidthBoldYellow = 48;
+exports.buttonCommonLabelledPaddingXNeutralBlue = 16;
+exports.buttonCommonLabelledPaddingXNeutralGreen = 16;
+exports.buttonCommonLabelledPaddingXNeutralRed = 16;
+exports.buttonCommonLabelledPaddingXNeutralYellow = 16;
+exports.buttonCommonLabelledPaddingXNeutralInverseBlue = 16;
+exports.buttonCommonLabelledPaddingXNeutralInverseGreen = 16;
+exports.buttonCommonLabelledPaddingXNeutralInverseRed = 16;
+exports.buttonCommonLabelledPaddingXNeutralInverseYellow = 16;
+exports.buttonCommonLabelledPaddingXSubtleBlue = 16;
+exports.buttonCommonLabelledPaddingXSubtleGreen = 16;
+exports.buttonCommonLabelledPaddingXSubtleRed = 16;
+exports.buttonCommonLabelledPaddingXSubtleYellow = 16;
+exports.buttonCommonLabelledPaddingXBoldBlue = 16;
+exports.buttonCommonLabelledPaddingXBoldGreen = 16;
+exports.buttonCommonLabelledPaddingXBoldRed = 16;
+exports.buttonCommonLabelledPaddingXBoldYellow = 16;
+exports.buttonCommonLabelledPaddingYNeutralBlue = 12;
+exports.buttonCommonLabelledPaddingYNeutralGreen = 12;
+exports.buttonCommonLabelledPaddingYNeutralRed = 12;
+exports.buttonCommonLabelledPaddingYNeutralYellow = 12;
+exports.buttonCommonLabelledPaddingYNeutralInverseBlue = 12;
+exports.buttonCommonLabelledPaddingYNeutralInverseGreen = 12;
+exports.buttonCommonLabelledPaddingYNeutralInverseRed = 12;
+exports.buttonCommonLabelledPaddingYNeutralInverseYellow = 12;
+exports.buttonCommonLabelledPaddingYSubtleBlue = 12;
+exports.buttonCommonLabelledPaddingYSubtleGreen = 12;
+exports.buttonCommonLabelledPaddingYSubtleRed = 12;
+exports.buttonCommonLabelledPaddingYSubtleYellow = 12;
+exports.buttonCommonLabelledPaddingYBoldBlue = 12;
+exports.buttonCommonLabelledPaddingYBoldGreen = 12;
+exports.buttonCommonLabelledPaddingYBoldRed = 12;
+exports.buttonCommonLabelledPaddingYBoldYellow = 12;
+exports.buttonCommonIconOnlyMinHeightNeutralBlue = 48;
+exports.buttonCommonIconOnlyMinHeightNeutralGreen = 48;
+exports.buttonCommonIconOnlyMinHeightNeutralRed = 48;
+exports.buttonCommonIconOnlyMinHeightNeutralYellow = 48;
+exports.buttonCommonIconOnlyMinHeightNeutralInverseBlue = 48;
+exports.buttonCommonIconOnlyMinHeightNeutralInverseGreen = 48;
+exports.buttonCommonIconOnlyMinHeightNeutralInverseRed = 48;
+exports.buttonCommonIconOnlyMinHeightNeutralInverseYellow = 48;
+exports.buttonCommonIconOnlyMinHeightSubtleBlue = 48;
+exports.buttonCommonIconOnlyMinHeightSubtleGreen = 48;
+exports.buttonCommonIconOnlyMinHeightSubtleRed = 48;
+exports.buttonCommonIconOnlyMinHeightSubtleYellow = 48;
+exports.buttonCommonIconOnlyMinHeightBoldBlue = 48;
+exports.buttonCommonIconOnlyMinHeightBoldGreen = 48;
+exports.buttonCommonIconOnlyMinHeightBoldRed = 48;
+exports.buttonCommonIconOnlyMinHeightBoldYellow = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralBlue = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralGreen = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralRed = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralYellow = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralInverseBlue = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralInverseGreen = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralInverseRed = 48;
+exports.buttonCommonIconOnlyMinWidthNeutralInverseYellow = 48;
+exports.buttonCommonIconOnlyMinWidthSubtleBlue = 48;
+exports.buttonCommonIconOnlyMinWidthSubtleGreen = 48;
+exports.buttonCommonIconOnlyMinWidthSubtleRed = 48;
+exports.buttonCommonIconOnlyMinWidthSubtleYellow = 48;
+exports.buttonCommonIconOnlyMinWidthBoldBlue = 48;
+exports.buttonCommonIconOnlyMinWidthBoldGreen = 48;
+exports.buttonCommonIconOnlyMinWidthBoldRed = 48;
+exports.buttonCommonIconOnlyMinWidthBoldYellow = 48;
+exports.buttonCommonIconOnlyPaddingXNeutralBlue = 12;
+exports.buttonCommonIconOnlyPaddingXNeutralGreen = 12;
+exports.buttonCommonIconOnlyPaddingXNeutralRed = 12;
+exports.buttonCommonIconOnlyPaddingXNeutralYellow = 12;
+exports.buttonCommonIconOnlyPaddingXNeutralInverseBlue = 12;
+exports.buttonCommonIconOnlyPaddingXNeutralInverseGreen = 12;
+exports.buttonCommonIconOnlyPaddingXNeutralInverseRed = 12;
+exports.buttonCommonIconOnlyPaddingXNeutralInverseYellow = 12;
+exports.buttonCommonIconOnlyPaddingXSubtleBlue = 12;
+exports.buttonCommonIconOnlyPaddingXSubtleGreen = 12;
+exports.buttonCommonIconOnlyPaddingXSubtleRed = 12;
+exports.buttonCommonIconOnlyPaddingXSubtleYellow = 12;
+exports.buttonCommonIconOnlyPaddingXBoldBlue = 12;
+exports.buttonCommonIconOnlyPaddingXBoldGreen = 12;
+exports.buttonCommonIconOnlyPaddingXBoldRed = 12;
+exports.buttonCommonIconOnlyPaddingXBoldYellow = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralBlue = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralGreen = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralRed = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralYellow = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralInverseBlue = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralInverseGreen = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralInverseRed = 12;
+exports.buttonCommonIconOnlyPaddingYNeutralInverseYellow = 12;
+exports.buttonCommonIconOnlyPaddingYSubtleBlue = 12;
+exports.buttonCommonIconOnlyPaddingYSubtleGreen = 12;
+exports.buttonCommonIconOnlyPaddingYSubtleRed = 12;
+exports.buttonCommonIconOnlyPaddingYSubtleYellow = 12;
+exports.buttonCommonIconOnlyPaddingYBoldBlue = 12;
+exports.buttonCommonIconOnlyPaddingYBoldGreen = 12;
+exports.buttonCommonIconOnlyPaddingYBoldRed = 12;
+exports.buttonCommonIconOnlyPaddingYBoldYellow = 12;
+exports.buttonPrimaryRestBackgroundColourNeutralBlue = "#005dba";
+exports.buttonPrimaryRestBackgroundColourNeutralGreen = "#00633d";
+exports.buttonPrimaryRestBackgroundColourNeutralRed = "#c50b30";
+exports.buttonPrimaryRestBackgroundColourNeutralYellow = "#ffb600";
+exports.buttonPrimaryRestBackgroundColourNeutralInverseBlue = "#005dba";
+exports.buttonPrimaryRestBackgroundColourNeutralInverseGreen = "#00633d";
+exports.buttonPrimaryRestBackgroundColourNeutralInverseRed = "#c50b30";
+exports.buttonPrimaryRestBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.buttonPrimaryRestBackgroundColourSubtleBlue = "#005dba";
+exports.buttonPrimaryRestBackgroundColourSubtleGreen = "#00633d";
+exports.buttonPrimaryRestBackgroundColourSubtleRed = "#c50b30";
+exports.buttonPrimaryRestBackgroundColourSubtleYellow = "#ffb600";
+exports.buttonPrimaryRestBackgroundColourBoldBlue = "#ffffff";
+exports.buttonPrimaryRestBackgroundColourBoldGreen = "#ffffff";
+exports.buttonPrimaryRestBackgroundColourBoldRed = "#ffffff";
+exports.buttonPrimaryRestBackgroundColourBoldYellow = "#1d1d1b";
+exports.buttonPrimaryRestBorderColourNeutralBlue = "#005dba";
+exports.buttonPrimaryRestBorderColourNeutralGreen = "#00633d";
+exports.buttonPrimaryRestBorderColourNeutralRed = "#c50b30";
+exports.buttonPrimaryRestBorderColourNeutralYellow = "#ffb600";
+exports.buttonPrimaryRestBorderColourNeutralInverseBlue = "#005dba";
+exports.buttonPrimaryRestBorderColourNeutralInverseGreen = "#00633d";
+exports.buttonPrimaryRestBorderColourNeutralInverseRed = "#c50b30";
+exports.buttonPrimaryRestBorderColourNeutralInverseYellow = "#ffb600";
+exports.buttonPrimaryRestBorderColourSubtleBlue = "#005dba";
+exports.buttonPrimaryRestBorderColourSubtleGreen = "#00633d";
+exports.buttonPrimaryRestBorderColourSubtleRed = "#c50b30";
+exports.buttonPrimaryRestBorderColourSubtleYellow = "#ffb600";
+exports.buttonPrimaryRestBorderColourBoldBlue = "#ffffff";
+exports.buttonPrimaryRestBorderColourBoldGreen = "#ffffff";
+exports.buttonPrimaryRestBorderColourBoldRed = "#ffffff";
+exports.buttonPrimaryRestBorderColourBoldYellow = "#1d1d1b";
+exports.buttonPrimaryRestColourNeutralBlue = "#ffffff";
+exports.buttonPrimaryRestColourNeutralGreen = "#ffffff";
+exports.buttonPrimaryRestColourNeutralRed = "#ffffff";
+exports.buttonPrimaryRestColourNeutralYellow = "#1d1d1b";
+exports.buttonPrimaryRestColourNeutralInverseBlue = "#ffffff";
+exports.buttonPrimaryRestColourNeutralInverseGreen = "#ffffff";
+exports.buttonPrimaryRestColourNeutralInverseRed = "#ffffff";
+exports.buttonPrimaryRestColourNeutralInverseYellow = "#1d1d1b";
+exports.buttonPrimaryRestColourSubtleBlue = "#ffffff";
+exports.buttonPrimaryRestColourSubtleGreen = "#ffffff";
+exports.buttonPrimaryRestColourSubtleRed = "#ffffff";
+exports.buttonPrimaryRestColourSubtleYellow = "#1d1d1b";
+exports.buttonPrimaryRestColourBoldBlue = "#1d1d1b";
+exports.buttonPrimaryRestColourBoldGreen = "#1d1d1b";
+exports.buttonPrimaryRestColourBoldRed = "#1d1d1b";
+exports.buttonPrimaryRestColourBoldYellow = "#f4f4f4";
+exports.buttonPrimaryHoverBackgroundColourNeutralBlue = "#001d6e";
+exports.buttonPrimaryHoverBackgroundColourNeutralGreen = "#01312e";
+exports.buttonPrimaryHoverBackgroundColourNeutralRed = "#940824";
+exports.buttonPrimaryHoverBackgroundColourNeutralYellow = "#904029";
+exports.buttonPrimaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+exports.buttonPrimaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+exports.buttonPrimaryHoverBackgroundColourNeutralInverseRed = "#940824";
+exports.buttonPrimaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+exports.buttonPrimaryHoverBackgroundColourSubtleBlue = "#001d6e";
+exports.buttonPrimaryHoverBackgroundColourSubtleGreen = "#01312e";
+exports.buttonPrimaryHoverBackgroundColourSubtleRed = "#940824";
+exports.buttonPrimaryHoverBackgroundColourSubtleYellow = "#904029";
+exports.buttonPrimaryHoverBackgroundColourBoldBlue = "#001d6e";
+exports.buttonPrimaryHoverBackgroundColourBoldGreen = "#01312e";
+exports.buttonPrimaryHoverBackgroundColourBoldRed = "#940824";
+exports.buttonPrimaryHoverBackgroundColourBoldYellow = "#ffe969";
+exports.buttonPrimaryHoverBorderColourNeutralBlue = "#001d6e";
+exports.buttonPrimaryHoverBorderColourNeutralGreen = "#01312e";
+exports.buttonPrimaryHoverBorderColourNeutralRed = "#940824";
+exports.buttonPrimaryHoverBorderColourNeutralYellow = "#904029";
+exports.buttonPrimaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+exports.buttonPrimaryHoverBorderColourNeutralInverseGreen = "#01312e";
+exports.buttonPrimaryHoverBorderColourNeutralInverseRed = "#940824";
+exports.buttonPrimaryHoverBorderColourNeutralInverseYellow = "#904029";
+exports.buttonPrimaryHoverBorderColourSubtleBlue = "#001d6e";
+exports.buttonPrimaryHoverBorderColourSubtleGreen = "#01312e";
+exports.buttonPrimaryHoverBorderColourSubtleRed = "#940824";
+exports.buttonPrimaryHoverBorderColourSubtleYellow = "#904029";
+exports.buttonPrimaryHoverBorderColourBoldBlue = "#ffffff";
+exports.buttonPrimaryHoverBorderColourBoldGreen = "#ffffff";
+exports.buttonPrimaryHoverBorderColourBoldRed = "#ffffff";
+exports.buttonPrimaryHoverBorderColourBoldYellow = "#1d1d1b";
+exports.buttonPrimaryHoverColourNeutralBlue = "#ffffff";
+exports.buttonPrimaryHoverColourNeutralGreen = "#ffffff";
+exports.buttonPrimaryHoverColourNeutralRed = "#ffffff";
+exports.buttonPrimaryHoverColourNeutralYellow = "#ffffff";
+exports.buttonPrimaryHoverColourNeutralInverseBlue = "#ffffff";
+exports.buttonPrimaryHoverColourNeutralInverseGreen = "#ffffff";
+exports.buttonPrimaryHoverColourNeutralInverseRed = "#ffffff";
+exports.buttonPrimaryHoverColourNeutralInverseYellow = "#ffffff";
+exports.buttonPrimaryHoverColourSubtleBlue = "#ffffff";
+exports.buttonPrimaryHoverColourSubtleGreen = "#ffffff";
+exports.buttonPrimaryHoverColourSubtleRed = "#ffffff";
+exports.buttonPrimaryHoverColourSubtleYellow = "#ffffff";
+exports.buttonPrimaryHoverColourBoldBlue = "#ffffff";
+exports.buttonPrimaryHoverColourBoldGreen = "#ffffff";
+exports.buttonPrimaryHoverColourBoldRed = "#ffffff";
+exports.buttonPrimaryHoverColourBoldYellow = "#1d1d1b";
+exports.buttonPrimaryActiveBackgroundColourNeutralBlue = "#000039";
+exports.buttonPrimaryActiveBackgroundColourNeutralGreen = "#011b1f";
+exports.buttonPrimaryActiveBackgroundColourNeutralRed = "#480411";
+exports.buttonPrimaryActiveBackgroundColourNeutralYellow = "#572722";
+exports.buttonPrimaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+exports.buttonPrimaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+exports.buttonPrimaryActiveBackgroundColourNeutralInverseRed = "#480411";
+exports.buttonPrimaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+exports.buttonPrimaryActiveBackgroundColourSubtleBlue = "#000039";
+exports.buttonPrimaryActiveBackgroundColourSubtleGreen = "#011b1f";
+exports.buttonPrimaryActiveBackgroundColourSubtleRed = "#480411";
+exports.buttonPrimaryActiveBackgroundColourSubtleYellow = "#572722";
+exports.buttonPrimaryActiveBackgroundColourBoldBlue = "#000039";
+exports.buttonPrimaryActiveBackgroundColourBoldGreen = "#011b1f";
+exports.buttonPrimaryActiveBackgroundColourBoldRed = "#480411";
+exports.buttonPrimaryActiveBackgroundColourBoldYellow = "#fffbdc";
+exports.buttonPrimaryActiveBorderColourNeutralBlue = "#000039";
+exports.buttonPrimaryActiveBorderColourNeutralGreen = "#011b1f";
+exports.buttonPrimaryActiveBorderColourNeutralRed = "#480411";
+exports.buttonPrimaryActiveBorderColourNeutralYellow = "#572722";
+exports.buttonPrimaryActiveBorderColourNeutralInverseBlue = "#000039";
+exports.buttonPrimaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+exports.buttonPrimaryActiveBorderColourNeutralInverseRed = "#480411";
+exports.buttonPrimaryActiveBorderColourNeutralInverseYellow = "#572722";
+exports.buttonPrimaryActiveBorderColourSubtleBlue = "#000039";
+exports.buttonPrimaryActiveBorderColourSubtleGreen = "#011b1f";
+exports.buttonPrimaryActiveBorderColourSubtleRed = "#480411";
+exports.buttonPrimaryActiveBorderColourSubtleYellow = "#572722";
+exports.buttonPrimaryActiveBorderColourBoldBlue = "#ffffff";
+exports.buttonPrimaryActiveBorderColourBoldGreen = "#ffffff";
+exports.buttonPrimaryActiveBorderColourBoldRed = "#ffffff";
+exports.buttonPrimaryActiveBorderColourBoldYellow = "#1d1d1b";
+exports.buttonPrimaryActiveColourNeutralBlue = "#ffffff";
+exports.buttonPrimaryActiveColourNeutralGreen = "#ffffff";
+exports.buttonPrimaryActiveColourNeutralRed = "#ffffff";
+exports.buttonPrimaryActiveColourNeutralYellow = "#ffffff";
+exports.buttonPrimaryActiveColourNeutralInverseBlue = "#ffffff";
+exports.buttonPrimaryActiveColourNeutralInverseGreen = "#ffffff";
+exports.buttonPrimaryActiveColourNeutralInverseRed = "#ffffff";
+exports.buttonPrimaryActiveColourNeutralInverseYellow = "#ffffff";
+exports.buttonPrimaryActiveColourSubtleBlue = "#ffffff";
+exports.buttonPrimaryActiveColourSubtleGreen = "#ffffff";
+exports.buttonPrimaryActiveColourSubtleRed = "#ffffff";
+exports.buttonPrimaryActiveColourSubtleYellow = "#ffffff";
+exports.buttonPrimaryActiveColourBoldBlue = "#ffffff";
+exports.buttonPrimaryActiveColourBoldGreen = "#ffffff";
+exports.buttonPrimaryActiveColourBoldRed = "#ffffff";
+exports.buttonPrimaryActiveColourBoldYellow = "#1d1d1b";
+exports.buttonPrimaryFocusBackgroundColourNeutralBlue = "#005dba";
+exports.buttonPrimaryFocusBackgroundColourNeutralGreen = "#00633d";
+exports.buttonPrimaryFocusBackgroundColourNeutralRed = "#c50b30";
+exports.buttonPrimaryFocusBackgroundColourNeutralYellow = "#ffb600";
+exports.buttonPrimaryFocusBackgroundColourNeutralInverseBlue = "#005dba";
+exports.buttonPrimaryFocusBackgroundColourNeutralInverseGreen = "#00633d";
+exports.buttonPrimaryFocusBackgroundColourNeutralInverseRed = "#c50b30";
+exports.buttonPrimaryFocusBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.buttonPrimaryFocusBackgroundColourSubtleBlue = "#005dba";
+exports.buttonPrimaryFocusBackgroundColourSubtleGreen = "#00633d";
+exports.buttonPrimaryFocusBackgroundColourSubtleRed = "#c50b30";
+exports.buttonPrimaryFocusBackgroundColourSubtleYellow = "#ffb600";
+exports.buttonPrimaryFocusBackgroundColourBoldBlue = "#ffffff";
+exports.buttonPrimaryFocusBackgroundColourBoldGreen = "#ffffff";
+exports.buttonPrimaryFocusBackgroundColourBoldRed = "#ffffff";
+exports.buttonPrimaryFocusBackgroundColourBoldYellow = "#1d1d1b";
+exports.buttonPrimaryFocusColourNeutralBlue = "#ffffff";
+exports.buttonPrimaryFocusColourNeutralGreen = "#ffffff";
+exports.buttonPrimaryFocusColourNeutralRed = "#ffffff";
+exports.buttonPrimaryFocusColourNeutralYellow = "#1d1d1b";
+exports.buttonPrimaryFocusColourNeutralInverseBlue = "#ffffff";
+exports.buttonPrimaryFocusColourNeutralInverseGreen = "#ffffff";
+exports.buttonPrimaryFocusColourNeutralInverseRed = "#ffffff";
+exports.buttonPrimaryFocusColourNeutralInverseYellow = "#1d1d1b";
+exports.buttonPrimaryFocusColourSubtleBlue = "#ffffff";
+exports.buttonPrimaryFocusColourSubtleGreen = "#ffffff";
+exports.buttonPrimaryFocusColourSubtleRed = "#ffffff";
+exports.buttonPrimaryFocusColourSubtleYellow = "#1d1d1b";
+exports.buttonPrimaryFocusColourBoldBlue = "#1d1d1b";
+exports.buttonPrimaryFocusColourBoldGreen = "#1d1d1b";
+exports.buttonPrimaryFocusColourBoldRed = "#1d1d1b";
+exports.buttonPrimaryFocusColourBoldYellow = "#f4f4f4";
+exports.buttonPrimaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+exports.buttonPrimaryDisabledBackgroundColourSubtleBlue = "#76c8f1";
+exports.buttonPrimaryDisabledBackgroundColourSubtleGreen = "#7fce9f";
+exports.buttonPrimaryDisabledBackgroundColourSubtleRed = "#ff7e7e";
+exports.buttonPrimaryDisabledBackgroundColourSubtleYellow = "#ffe969";
+exports.buttonPrimaryDisabledBackgroundColourBoldBlue = "#1e84d2";
+exports.buttonPrimaryDisabledBackgroundColourBoldGreen = "#1a8952";
+exports.buttonPrimaryDisabledBackgroundColourBoldRed = "#ff3e51";
+exports.buttonPrimaryDisabledBackgroundColourBoldYellow = "#e48616";
+exports.buttonPrimaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.buttonPrimaryDisabledBorderColourSubtleBlue = "#76c8f1";
+exports.buttonPrimaryDisabledBorderColourSubtleGreen = "#7fce9f";
+exports.buttonPrimaryDisabledBorderColourSubtleRed = "#ff7e7e";
+exports.buttonPrimaryDisabledBorderColourSubtleYellow = "#ffe969";
+exports.buttonPrimaryDisabledBorderColourBoldBlue = "#1e84d2";
+exports.buttonPrimaryDisabledBorderColourBoldGreen = "#1a8952";
+exports.buttonPrimaryDisabledBorderColourBoldRed = "#ff3e51";
+exports.buttonPrimaryDisabledBorderColourBoldYellow = "#e48616";
+exports.buttonPrimaryDisabledColourNeutralBlue = "#7a7b7b";
+exports.buttonPrimaryDisabledColourNeutralGreen = "#7a7b7b";
+exports.buttonPrimaryDisabledColourNeutralRed = "#7a7b7b";
+exports.buttonPrimaryDisabledColourNeutralYellow = "#7a7b7b";
+exports.buttonPrimaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+exports.buttonPrimaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+exports.buttonPrimaryDisabledColourNeutralInverseRed = "#7a7b7b";
+exports.buttonPrimaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+exports.buttonPrimaryDisabledColourSubtleBlue = "#1e84d2";
+exports.buttonPrimaryDisabledColourSubtleGreen = "#1a8952";
+exports.buttonPrimaryDisabledColourSubtleRed = "#e2223e";
+exports.buttonPrimaryDisabledColourSubtleYellow = "#ffb600";
+exports.buttonPrimaryDisabledColourBoldBlue = "#001d6e";
+exports.buttonPrimaryDisabledColourBoldGreen = "#014a39";
+exports.buttonPrimaryDisabledColourBoldRed = "#940824";
+exports.buttonPrimaryDisabledColourBoldYellow = "#c86426";
+exports.buttonIconWidthNeutralBlue = 24;
+exports.buttonIconWidthNeutralGreen = 24;
+exports.buttonIconWidthNeutralRed = 24;
+exports.buttonIconWidthNeutralYellow = 24;
+exports.buttonIconWidthNeutralInverseBlue = 24;
+exports.buttonIconWidthNeutralInverseGreen = 24;
+exports.buttonIconWidthNeutralInverseRed = 24;
+exports.buttonIconWidthNeutralInverseYellow = 24;
+exports.buttonIconWidthSubtleBlue = 24;
+exports.buttonIconWidthSubtleGreen = 24;
+exports.buttonIconWidthSubtleRed = 24;
+exports.buttonIconWidthSubtleYellow = 24;
+exports.buttonIconWidthBoldBlue = 24;
+exports.buttonIconWidthBoldGreen = 24;
+exports.buttonIconWidthBoldRed = 24;
+exports.buttonIconWidthBoldYellow = 24;
+exports.buttonSecondaryRestBackgroundColourNeutralBlue = "#ffffff";
+exports.buttonSecondaryRestBackgroundColourNeutralGreen = "#ffffff";
+exports.buttonSecondaryRestBackgroundColourNeutralRed = "#ffffff";
+exports.buttonSecondaryRestBackgroundColourNeutralYellow = "#ffffff";
+exports.buttonSecondaryRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.buttonSecondaryRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.buttonSecondaryRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.buttonSecondaryRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.buttonSecondaryRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.buttonSecondaryRestBackgroundColourSubtleGreen = "#caeedd";
+exports.buttonSecondaryRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.buttonSecondaryRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.buttonSecondaryRestBackgroundColourBoldBlue = "#005dba";
+exports.buttonSecondaryRestBackgroundColourBoldGreen = "#00633d";
+exports.buttonSecondaryRestBackgroundColourBoldRed = "#c50b30";
+exports.buttonSecondaryRestBackgroundColourBoldYellow = "#ffb600";
+exports.buttonSecondaryRestBorderColourNeutralBlue = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourNeutralGreen = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourNeutralRed = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourNeutralYellow = "#000000";
+exports.buttonSecondaryRestBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourNeutralInverseRed = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourNeutralInverseYellow = "#000000";
+exports.buttonSecondaryRestBorderColourSubtleBlue = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourSubtleGreen = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourSubtleRed = "#1d1d1b";
+exports.buttonSecondaryRestBorderColourSubtleYellow = "#000000";
+exports.buttonSecondaryRestBorderColourBoldBlue = "#ffffff";
+exports.buttonSecondaryRestBorderColourBoldGreen = "#ffffff";
+exports.buttonSecondaryRestBorderColourBoldRed = "#ffffff";
+exports.buttonSecondaryRestBorderColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryRestColourNeutralBlue = "#1d1d1b";
+exports.buttonSecondaryRestColourNeutralGreen = "#1d1d1b";
+exports.buttonSecondaryRestColourNeutralRed = "#1d1d1b";
+exports.buttonSecondaryRestColourNeutralYellow = "#000000";
+exports.buttonSecondaryRestColourNeutralInverseBlue = "#1d1d1b";
+exports.buttonSecondaryRestColourNeutralInverseGreen = "#1d1d1b";
+exports.buttonSecondaryRestColourNeutralInverseRed = "#1d1d1b";
+exports.buttonSecondaryRestColourNeutralInverseYellow = "#000000";
+exports.buttonSecondaryRestColourSubtleBlue = "#1d1d1b";
+exports.buttonSecondaryRestColourSubtleGreen = "#1d1d1b";
+exports.buttonSecondaryRestColourSubtleRed = "#1d1d1b";
+exports.buttonSecondaryRestColourSubtleYellow = "#000000";
+exports.buttonSecondaryRestColourBoldBlue = "#ffffff";
+exports.buttonSecondaryRestColourBoldGreen = "#ffffff";
+exports.buttonSecondaryRestColourBoldRed = "#ffffff";
+exports.buttonSecondaryRestColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryHoverBackgroundColourNeutralBlue = "#001d6e";
+exports.buttonSecondaryHoverBackgroundColourNeutralGreen = "#01312e";
+exports.buttonSecondaryHoverBackgroundColourNeutralRed = "#940824";
+exports.buttonSecondaryHoverBackgroundColourNeutralYellow = "#904029";
+exports.buttonSecondaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+exports.buttonSecondaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+exports.buttonSecondaryHoverBackgroundColourNeutralInverseRed = "#940824";
+exports.buttonSecondaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+exports.buttonSecondaryHoverBackgroundColourSubtleBlue = "#001d6e";
+exports.buttonSecondaryHoverBackgroundColourSubtleGreen = "#01312e";
+exports.buttonSecondaryHoverBackgroundColourSubtleRed = "#940824";
+exports.buttonSecondaryHoverBackgroundColourSubtleYellow = "#904029";
+exports.buttonSecondaryHoverBackgroundColourBoldBlue = "#001d6e";
+exports.buttonSecondaryHoverBackgroundColourBoldGreen = "#01312e";
+exports.buttonSecondaryHoverBackgroundColourBoldRed = "#940824";
+exports.buttonSecondaryHoverBackgroundColourBoldYellow = "#ffe969";
+exports.buttonSecondaryHoverBorderColourNeutralBlue = "#001d6e";
+exports.buttonSecondaryHoverBorderColourNeutralGreen = "#01312e";
+exports.buttonSecondaryHoverBorderColourNeutralRed = "#940824";
+exports.buttonSecondaryHoverBorderColourNeutralYellow = "#904029";
+exports.buttonSecondaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+exports.buttonSecondaryHoverBorderColourNeutralInverseGreen = "#01312e";
+exports.buttonSecondaryHoverBorderColourNeutralInverseRed = "#940824";
+exports.buttonSecondaryHoverBorderColourNeutralInverseYellow = "#904029";
+exports.buttonSecondaryHoverBorderColourSubtleBlue = "#001d6e";
+exports.buttonSecondaryHoverBorderColourSubtleGreen = "#01312e";
+exports.buttonSecondaryHoverBorderColourSubtleRed = "#940824";
+exports.buttonSecondaryHoverBorderColourSubtleYellow = "#904029";
+exports.buttonSecondaryHoverBorderColourBoldBlue = "#ffffff";
+exports.buttonSecondaryHoverBorderColourBoldGreen = "#ffffff";
+exports.buttonSecondaryHoverBorderColourBoldRed = "#ffffff";
+exports.buttonSecondaryHoverBorderColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryHoverColourNeutralBlue = "#ffffff";
+exports.buttonSecondaryHoverColourNeutralGreen = "#ffffff";
+exports.buttonSecondaryHoverColourNeutralRed = "#ffffff";
+exports.buttonSecondaryHoverColourNeutralYellow = "#ffffff";
+exports.buttonSecondaryHoverColourNeutralInverseBlue = "#ffffff";
+exports.buttonSecondaryHoverColourNeutralInverseGreen = "#ffffff";
+exports.buttonSecondaryHoverColourNeutralInverseRed = "#ffffff";
+exports.buttonSecondaryHoverColourNeutralInverseYellow = "#ffffff";
+exports.buttonSecondaryHoverColourSubtleBlue = "#ffffff";
+exports.buttonSecondaryHoverColourSubtleGreen = "#ffffff";
+exports.buttonSecondaryHoverColourSubtleRed = "#ffffff";
+exports.buttonSecondaryHoverColourSubtleYellow = "#ffffff";
+exports.buttonSecondaryHoverColourBoldBlue = "#ffffff";
+exports.buttonSecondaryHoverColourBoldGreen = "#ffffff";
+exports.buttonSecondaryHoverColourBoldRed = "#ffffff";
+exports.buttonSecondaryHoverColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryActiveBackgroundColourNeutralBlue = "#000039";
+exports.buttonSecondaryActiveBackgroundColourNeutralGreen = "#011b1f";
+exports.buttonSecondaryActiveBackgroundColourNeutralRed = "#480411";
+exports.buttonSecondaryActiveBackgroundColourNeutralYellow = "#572722";
+exports.buttonSecondaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+exports.buttonSecondaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+exports.buttonSecondaryActiveBackgroundColourNeutralInverseRed = "#480411";
+exports.buttonSecondaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+exports.buttonSecondaryActiveBackgroundColourSubtleBlue = "#000039";
+exports.buttonSecondaryActiveBackgroundColourSubtleGreen = "#011b1f";
+exports.buttonSecondaryActiveBackgroundColourSubtleRed = "#480411";
+exports.buttonSecondaryActiveBackgroundColourSubtleYellow = "#572722";
+exports.buttonSecondaryActiveBackgroundColourBoldBlue = "#000039";
+exports.buttonSecondaryActiveBackgroundColourBoldGreen = "#011b1f";
+exports.buttonSecondaryActiveBackgroundColourBoldRed = "#480411";
+exports.buttonSecondaryActiveBackgroundColourBoldYellow = "#fffbdc";
+exports.buttonSecondaryActiveBorderColourNeutralBlue = "#000039";
+exports.buttonSecondaryActiveBorderColourNeutralGreen = "#011b1f";
+exports.buttonSecondaryActiveBorderColourNeutralRed = "#480411";
+exports.buttonSecondaryActiveBorderColourNeutralYellow = "#572722";
+exports.buttonSecondaryActiveBorderColourNeutralInverseBlue = "#000039";
+exports.buttonSecondaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+exports.buttonSecondaryActiveBorderColourNeutralInverseRed = "#480411";
+exports.buttonSecondaryActiveBorderColourNeutralInverseYellow = "#572722";
+exports.buttonSecondaryActiveBorderColourSubtleBlue = "#000039";
+exports.buttonSecondaryActiveBorderColourSubtleGreen = "#011b1f";
+exports.buttonSecondaryActiveBorderColourSubtleRed = "#480411";
+exports.buttonSecondaryActiveBorderColourSubtleYellow = "#572722";
+exports.buttonSecondaryActiveBorderColourBoldBlue = "#ffffff";
+exports.buttonSecondaryActiveBorderColourBoldGreen = "#ffffff";
+exports.buttonSecondaryActiveBorderColourBoldRed = "#ffffff";
+exports.buttonSecondaryActiveBorderColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryActiveColourNeutralBlue = "#ffffff";
+exports.buttonSecondaryActiveColourNeutralGreen = "#ffffff";
+exports.buttonSecondaryActiveColourNeutralRed = "#ffffff";
+exports.buttonSecondaryActiveColourNeutralYellow = "#ffffff";
+exports.buttonSecondaryActiveColourNeutralInverseBlue = "#ffffff";
+exports.buttonSecondaryActiveColourNeutralInverseGreen = "#ffffff";
+exports.buttonSecondaryActiveColourNeutralInverseRed = "#ffffff";
+exports.buttonSecondaryActiveColourNeutralInverseYellow = "#ffffff";
+exports.buttonSecondaryActiveColourSubtleBlue = "#ffffff";
+exports.buttonSecondaryActiveColourSubtleGreen = "#ffffff";
+exports.buttonSecondaryActiveColourSubtleRed = "#ffffff";
+exports.buttonSecondaryActiveColourSubtleYellow = "#ffffff";
+exports.buttonSecondaryActiveColourBoldBlue = "#ffffff";
+exports.buttonSecondaryActiveColourBoldGreen = "#ffffff";
+exports.buttonSecondaryActiveColourBoldRed = "#ffffff";
+exports.buttonSecondaryActiveColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.buttonSecondaryFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.buttonSecondaryFocusBackgroundColourNeutralRed = "#ffffff";
+exports.buttonSecondaryFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.buttonSecondaryFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.buttonSecondaryFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.buttonSecondaryFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.buttonSecondaryFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.buttonSecondaryFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.buttonSecondaryFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.buttonSecondaryFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.buttonSecondaryFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.buttonSecondaryFocusBackgroundColourBoldBlue = "#005dba";
+exports.buttonSecondaryFocusBackgroundColourBoldGreen = "#00633d";
+exports.buttonSecondaryFocusBackgroundColourBoldRed = "#c50b30";
+exports.buttonSecondaryFocusBackgroundColourBoldYellow = "#ffb600";
+exports.buttonSecondaryFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourNeutralRed = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourNeutralYellow = "#000000";
+exports.buttonSecondaryFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourNeutralInverseYellow = "#000000";
+exports.buttonSecondaryFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourSubtleRed = "#1d1d1b";
+exports.buttonSecondaryFocusBorderColourSubtleYellow = "#000000";
+exports.buttonSecondaryFocusBorderColourBoldBlue = "#ffffff";
+exports.buttonSecondaryFocusBorderColourBoldGreen = "#ffffff";
+exports.buttonSecondaryFocusBorderColourBoldRed = "#ffffff";
+exports.buttonSecondaryFocusBorderColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryFocusColourNeutralBlue = "#1d1d1b";
+exports.buttonSecondaryFocusColourNeutralGreen = "#1d1d1b";
+exports.buttonSecondaryFocusColourNeutralRed = "#1d1d1b";
+exports.buttonSecondaryFocusColourNeutralYellow = "#000000";
+exports.buttonSecondaryFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.buttonSecondaryFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.buttonSecondaryFocusColourNeutralInverseRed = "#1d1d1b";
+exports.buttonSecondaryFocusColourNeutralInverseYellow = "#000000";
+exports.buttonSecondaryFocusColourSubtleBlue = "#1d1d1b";
+exports.buttonSecondaryFocusColourSubtleGreen = "#1d1d1b";
+exports.buttonSecondaryFocusColourSubtleRed = "#1d1d1b";
+exports.buttonSecondaryFocusColourSubtleYellow = "#000000";
+exports.buttonSecondaryFocusColourBoldBlue = "#ffffff";
+exports.buttonSecondaryFocusColourBoldGreen = "#ffffff";
+exports.buttonSecondaryFocusColourBoldRed = "#ffffff";
+exports.buttonSecondaryFocusColourBoldYellow = "#1d1d1b";
+exports.buttonSecondaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+exports.buttonSecondaryDisabledBackgroundColourSubtleBlue = "#aee1f7";
+exports.buttonSecondaryDisabledBackgroundColourSubtleGreen = "#caeedd";
+exports.buttonSecondaryDisabledBackgroundColourSubtleRed = "#ffd5d2";
+exports.buttonSecondaryDisabledBackgroundColourSubtleYellow = "#fff9c7";
+exports.buttonSecondaryDisabledBackgroundColourBoldBlue = "#005dba";
+exports.buttonSecondaryDisabledBackgroundColourBoldGreen = "#00633d";
+exports.buttonSecondaryDisabledBackgroundColourBoldRed = "#c50b30";
+exports.buttonSecondaryDisabledBackgroundColourBoldYellow = "#ffb600";
+exports.buttonSecondaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.buttonSecondaryDisabledBorderColourSubtleBlue = "#76c8f1";
+exports.buttonSecondaryDisabledBorderColourSubtleGreen = "#7fce9f";
+exports.buttonSecondaryDisabledBorderColourSubtleRed = "#ff7e7e";
+exports.buttonSecondaryDisabledBorderColourSubtleYellow = "#ffe969";
+exports.buttonSecondaryDisabledBorderColourBoldBlue = "#001d6e";
+exports.buttonSecondaryDisabledBorderColourBoldGreen = "#014a39";
+exports.buttonSecondaryDisabledBorderColourBoldRed = "#940824";
+exports.buttonSecondaryDisabledBorderColourBoldYellow = "#c86426";
+exports.buttonSecondaryDisabledColourNeutralBlue = "#7a7b7b";
+exports.buttonSecondaryDisabledColourNeutralGreen = "#7a7b7b";
+exports.buttonSecondaryDisabledColourNeutralRed = "#7a7b7b";
+exports.buttonSecondaryDisabledColourNeutralYellow = "#7a7b7b";
+exports.buttonSecondaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+exports.buttonSecondaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+exports.buttonSecondaryDisabledColourNeutralInverseRed = "#7a7b7b";
+exports.buttonSecondaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+exports.buttonSecondaryDisabledColourSubtleBlue = "#1e84d2";
+exports.buttonSecondaryDisabledColourSubtleGreen = "#1a8952";
+exports.buttonSecondaryDisabledColourSubtleRed = "#e2223e";
+exports.buttonSecondaryDisabledColourSubtleYellow = "#ffb600";
+exports.buttonSecondaryDisabledColourBoldBlue = "#001d6e";
+exports.buttonSecondaryDisabledColourBoldGreen = "#014a39";
+exports.buttonSecondaryDisabledColourBoldRed = "#940824";
+exports.buttonSecondaryDisabledColourBoldYellow = "#c86426";
+exports.buttonStatusRestBackgroundColourNeutralInfo = "#005dba";
+exports.buttonStatusRestBackgroundColourNeutralSuccess = "#00633d";
+exports.buttonStatusRestBackgroundColourNeutralWarning = "#ffb600";
+exports.buttonStatusRestBackgroundColourNeutralError = "#c50b30";
+exports.buttonStatusRestBackgroundColourNeutralGeneric = "#4d4f4f";
+exports.buttonStatusRestBackgroundColourNeutralInverseInfo = "#005dba";
+exports.buttonStatusRestBackgroundColourNeutralInverseSuccess = "#00633d";
+exports.buttonStatusRestBackgroundColourNeutralInverseWarning = "#ffb600";
+exports.buttonStatusRestBackgroundColourNeutralInverseError = "#c50b30";
+exports.buttonStatusRestBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+exports.buttonStatusRestBackgroundColourSubtleInfo = "#005dba";
+exports.buttonStatusRestBackgroundColourSubtleSuccess = "#00633d";
+exports.buttonStatusRestBackgroundColourSubtleWarning = "#ffb600";
+exports.buttonStatusRestBackgroundColourSubtleError = "#c50b30";
+exports.buttonStatusRestBackgroundColourSubtleGeneric = "#4d4f4f";
+exports.buttonStatusRestBackgroundColourBoldInfo = "#005dba";
+exports.buttonStatusRestBackgroundColourBoldSuccess = "#00633d";
+exports.buttonStatusRestBackgroundColourBoldWarning = "#ffb600";
+exports.buttonStatusRestBackgroundColourBoldError = "#c50b30";
+exports.buttonStatusRestBackgroundColourBoldGeneric = "#4d4f4f";
+exports.buttonStatusRestBorderColourNeutralInfo = "#005dba";
+exports.buttonStatusRestBorderColourNeutralSuccess = "#00633d";
+exports.buttonStatusRestBorderColourNeutralWarning = "#ffb600";
+exports.buttonStatusRestBorderColourNeutralError = "#c50b30";
+exports.buttonStatusRestBorderColourNeutralGeneric = "#4d4f4f";
+exports.buttonStatusRestBorderColourNeutralInverseInfo = "#005dba";
+exports.buttonStatusRestBorderColourNeutralInverseSuccess = "#00633d";
+exports.buttonStatusRestBorderColourNeutralInverseWarning = "#ffb600";
+exports.buttonStatusRestBorderColourNeutralInverseError = "#c50b30";
+exports.buttonStatusRestBorderColourNeutralInverseGeneric = "#4d4f4f";
+exports.buttonStatusRestBorderColourSubtleInfo = "#005dba";
+exports.buttonStatusRestBorderColourSubtleSuccess = "#00633d";
+exports.buttonStatusRestBorderColourSubtleWarning = "#ffb600";
+exports.buttonStatusRestBorderColourSubtleError = "#c50b30";
+exports.buttonStatusRestBorderColourSubtleGeneric = "#4d4f4f";
+exports.buttonStatusRestBorderColourBoldInfo = "#005dba";
+exports.buttonStatusRestBorderColourBoldSuccess = "#00633d";
+exports.buttonStatusRestBorderColourBoldWarning = "#ffb600";
+exports.buttonStatusRestBorderColourBoldError = "#c50b30";
+exports.buttonStatusRestBorderColourBoldGeneric = "#4d4f4f";
+exports.buttonStatusRestColourNeutralInfo = "#ffffff";
+exports.buttonStatusRestColourNeutralSuccess = "#ffffff";
+exports.buttonStatusRestColourNeutralWarning = "#1d1d1b";
+exports.buttonStatusRestColourNeutralError = "#ffffff";
+exports.buttonStatusRestColourNeutralGeneric = "#ffffff";
+exports.buttonStatusRestColourNeutralInverseInfo = "#ffffff";
+exports.buttonStatusRestColourNeutralInverseSuccess = "#ffffff";
+exports.buttonStatusRestColourNeutralInverseWarning = "#1d1d1b";
+exports.buttonStatusRestColourNeutralInverseError = "#ffffff";
+exports.buttonStatusRestColourNeutralInverseGeneric = "#ffffff";
+exports.buttonStatusRestColourSubtleInfo = "#ffffff";
+exports.buttonStatusRestColourSubtleSuccess = "#ffffff";
+exports.buttonStatusRestColourSubtleWarning = "#1d1d1b";
+exports.buttonStatusRestColourSubtleError = "#ffffff";
+exports.buttonStatusRestColourSubtleGeneric = "#ffffff";
+exports.buttonStatusRestColourBoldInfo = "#ffffff";
+exports.buttonStatusRestColourBoldSuccess = "#ffffff";
+exports.buttonStatusRestColourBoldWarning = "#1d1d1b";
+exports.buttonStatusRestColourBoldError = "#ffffff";
+exports.buttonStatusRestColourBoldGeneric = "#ffffff";
+exports.buttonStatusHoverBackgroundColourNeutralInfo = "#001d6e";
+exports.buttonStatusHoverBackgroundColourNeutralSuccess = "#01312e";
+exports.buttonStatusHoverBackgroundColourNeutralWarning = "#904029";
+exports.buttonStatusHoverBackgroundColourNeutralError = "#940824";
+exports.buttonStatusHoverBackgroundColourNeutralGeneric = "#343634";
+exports.buttonStatusHoverBackgroundColourNeutralInverseInfo = "#001d6e";
+exports.buttonStatusHoverBackgroundColourNeutralInverseSuccess = "#01312e";
+exports.buttonStatusHoverBackgroundColourNeutralInverseWarning = "#904029";
+exports.buttonStatusHoverBackgroundColourNeutralInverseError = "#940824";
+exports.buttonStatusHoverBackgroundColourNeutralInverseGeneric = "#343634";
+exports.buttonStatusHoverBackgroundColourSubtleInfo = "#001d6e";
+exports.buttonStatusHoverBackgroundColourSubtleSuccess = "#01312e";
+exports.buttonStatusHoverBackgroundColourSubtleWarning = "#904029";
+exports.buttonStatusHoverBackgroundColourSubtleError = "#940824";
+exports.buttonStatusHoverBackgroundColourSubtleGeneric = "#343634";
+exports.buttonStatusHoverBackgroundColourBoldInfo = "#001d6e";
+exports.buttonStatusHoverBackgroundColourBoldSuccess = "#01312e";
+exports.buttonStatusHoverBackgroundColourBoldWarning = "#904029";
+exports.buttonStatusHoverBackgroundColourBoldError = "#940824";
+exports.buttonStatusHoverBackgroundColourBoldGeneric = "#343634";
+exports.buttonStatusHoverBorderColourNeutralInfo = "#001d6e";
+exports.buttonStatusHoverBorderColourNeutralSuccess = "#01312e";
+exports.buttonStatusHoverBorderColourNeutralWarning = "#904029";
+exports.buttonStatusHoverBorderColourNeutralError = "#940824";
+exports.buttonStatusHoverBorderColourNeutralGeneric = "#343634";
+exports.buttonStatusHoverBorderColourNeutralInverseInfo = "#001d6e";
+exports.buttonStatusHoverBorderColourNeutralInverseSuccess = "#01312e";
+exports.buttonStatusHoverBorderColourNeutralInverseWarning = "#904029";
+exports.buttonStatusHoverBorderColourNeutralInverseError = "#940824";
+exports.buttonStatusHoverBorderColourNeutralInverseGeneric = "#343634";
+exports.buttonStatusHoverBorderColourSubtleInfo = "#001d6e";
+exports.buttonStatusHoverBorderColourSubtleSuccess = "#01312e";
+exports.buttonStatusHoverBorderColourSubtleWarning = "#904029";
+exports.buttonStatusHoverBorderColourSubtleError = "#940824";
+exports.buttonStatusHoverBorderColourSubtleGeneric = "#343634";
+exports.buttonStatusHoverBorderColourBoldInfo = "#001d6e";
+exports.buttonStatusHoverBorderColourBoldSuccess = "#01312e";
+exports.buttonStatusHoverBorderColourBoldWarning = "#904029";
+exports.buttonStatusHoverBorderColourBoldError = "#940824";
+exports.buttonStatusHoverBorderColourBoldGeneric = "#343634";
+exports.buttonStatusHoverColourNeutralInfo = "#ffffff";
+exports.buttonStatusHoverColourNeutralSuccess = "#ffffff";
+exports.buttonStatusHoverColourNeutralWarning = "#ffffff";
+exports.buttonStatusHoverColourNeutralError = "#ffffff";
+exports.buttonStatusHoverColourNeutralGeneric = "#ffffff";
+exports.buttonStatusHoverColourNeutralInverseInfo = "#ffffff";
+exports.buttonStatusHoverColourNeutralInverseSuccess = "#ffffff";
+exports.buttonStatusHoverColourNeutralInverseWarning = "#ffffff";
+exports.buttonStatusHoverColourNeutralInverseError = "#ffffff";
+exports.buttonStatusHoverColourNeutralInverseGeneric = "#ffffff";
+exports.buttonStatusHoverColourSubtleInfo = "#ffffff";
+exports.buttonStatusHoverColourSubtleSuccess = "#ffffff";
+exports.buttonStatusHoverColourSubtleWarning = "#ffffff";
+exports.buttonStatusHoverColourSubtleError = "#ffffff";
+exports.buttonStatusHoverColourSubtleGeneric = "#ffffff";
+exports.buttonStatusHoverColourBoldInfo = "#ffffff";
+exports.buttonStatusHoverColourBoldSuccess = "#ffffff";
+exports.buttonStatusHoverColourBoldWarning = "#ffffff";
+exports.buttonStatusHoverColourBoldError = "#ffffff";
+exports.buttonStatusHoverColourBoldGeneric = "#ffffff";
+exports.buttonStatusActiveBackgroundColourNeutralInfo = "#000a52";
+exports.buttonStatusActiveBackgroundColourNeutralSuccess = "#012425";
+exports.buttonStatusActiveBackgroundColourNeutralWarning = "#572722";
+exports.buttonStatusActiveBackgroundColourNeutralError = "#6e061b";
+exports.buttonStatusActiveBackgroundColourNeutralGeneric = "#1d1d1b";
+exports.buttonStatusActiveBackgroundColourNeutralInverseInfo = "#000a52";
+exports.buttonStatusActiveBackgroundColourNeutralInverseSuccess = "#012425";
+exports.buttonStatusActiveBackgroundColourNeutralInverseWarning = "#572722";
+exports.buttonStatusActiveBackgroundColourNeutralInverseError = "#6e061b";
+exports.buttonStatusActiveBackgroundColourNeutralInverseGeneric = "#1d1d1b";
+exports.buttonStatusActiveBackgroundColourSubtleInfo = "#000a52";
+exports.buttonStatusActiveBackgroundColourSubtleSuccess = "#012425";
+exports.buttonStatusActiveBackgroundColourSubtleWarning = "#572722";
+exports.buttonStatusActiveBackgroundColourSubtleError = "#6e061b";
+exports.buttonStatusActiveBackgroundColourSubtleGeneric = "#1d1d1b";
+exports.buttonStatusActiveBackgroundColourBoldInfo = "#000a52";
+exports.buttonStatusActiveBackgroundColourBoldSuccess = "#012425";
+exports.buttonStatusActiveBackgroundColourBoldWarning = "#572722";
+exports.buttonStatusActiveBackgroundColourBoldError = "#6e061b";
+exports.buttonStatusActiveBackgroundColourBoldGeneric = "#1d1d1b";
+exports.buttonStatusActiveBorderColourNeutralInfo = "#000a52";
+exports.buttonStatusActiveBorderColourNeutralSuccess = "#012425";
+exports.buttonStatusActiveBorderColourNeutralWarning = "#572722";
+exports.buttonStatusActiveBorderColourNeutralError = "#6e061b";
+exports.buttonStatusActiveBorderColourNeutralGeneric = "#1d1d1b";
+exports.buttonStatusActiveBorderColourNeutralInverseInfo = "#000a52";
+exports.buttonStatusActiveBorderColourNeutralInverseSuccess = "#012425";
+exports.buttonStatusActiveBorderColourNeutralInverseWarning = "#572722";
+exports.buttonStatusActiveBorderColourNeutralInverseError = "#6e061b";
+exports.buttonStatusActiveBorderColourNeutralInverseGeneric = "#1d1d1b";
+exports.buttonStatusActiveBorderColourSubtleInfo = "#000a52";
+exports.buttonStatusActiveBorderColourSubtleSuccess = "#012425";
+exports.buttonStatusActiveBorderColourSubtleWarning = "#572722";
+exports.buttonStatusActiveBorderColourSubtleError = "#6e061b";
+exports.buttonStatusActiveBorderColourSubtleGeneric = "#1d1d1b";
+exports.buttonStatusActiveBorderColourBoldInfo = "#000a52";
+exports.buttonStatusActiveBorderColourBoldSuccess = "#012425";
+exports.buttonStatusActiveBorderColourBoldWarning = "#572722";
+exports.buttonStatusActiveBorderColourBoldError = "#6e061b";
+exports.buttonStatusActiveBorderColourBoldGeneric = "#1d1d1b";
+exports.buttonStatusActiveColourNeutralInfo = "#ffffff";
+exports.buttonStatusActiveColourNeutralSuccess = "#ffffff";
+exports.buttonStatusActiveColourNeutralWarning = "#ffffff";
+exports.buttonStatusActiveColourNeutralError = "#ffffff";
+exports.buttonStatusActiveColourNeutralGeneric = "#ffffff";
+exports.buttonStatusActiveColourNeutralInverseInfo = "#ffffff";
+exports.buttonStatusActiveColourNeutralInverseSuccess = "#ffffff";
+exports.buttonStatusActiveColourNeutralInverseWarning = "#ffffff";
+exports.buttonStatusActiveColourNeutralInverseError = "#ffffff";
+exports.buttonStatusActiveColourNeutralInverseGeneric = "#ffffff";
+exports.buttonStatusActiveColourSubtleInfo = "#ffffff";
+exports.buttonStatusActiveColourSubtleSuccess = "#ffffff";
+exports.buttonStatusActiveColourSubtleWarning = "#ffffff";
+exports.buttonStatusActiveColourSubtleError = "#ffffff";
+exports.buttonStatusActiveColourSubtleGeneric = "#ffffff";
+exports.buttonStatusActiveColourBoldInfo = "#ffffff";
+exports.buttonStatusActiveColourBoldSuccess = "#ffffff";
+exports.buttonStatusActiveColourBoldWarning = "#ffffff";
+exports.buttonStatusActiveColourBoldError = "#ffffff";
+exports.buttonStatusActiveColourBoldGeneric = "#ffffff";
+exports.buttonStatusFocusBackgroundColourNeutralInfo = "#005dba";
+exports.buttonStatusFocusBackgroundColourNeutralSuccess = "#00633d";
+exports.buttonStatusFocusBackgroundColourNeutralWarning = "#ffb600";
+exports.buttonStatusFocusBackgroundColourNeutralError = "#c50b30";
+exports.buttonStatusFocusBackgroundColourNeutralGeneric = "#4d4f4f";
+exports.buttonStatusFocusBackgroundColourNeutralInverseInfo = "#005dba";
+exports.buttonStatusFocusBackgroundColourNeutralInverseSuccess = "#00633d";
+exports.buttonStatusFocusBackgroundColourNeutralInverseWarning = "#ffb600";
+exports.buttonStatusFocusBackgroundColourNeutralInverseError = "#c50b30";
+exports.buttonStatusFocusBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+exports.buttonStatusFocusBackgroundColourSubtleInfo = "#005dba";
+exports.buttonStatusFocusBackgroundColourSubtleSuccess = "#00633d";
+exports.buttonStatusFocusBackgroundColourSubtleWarning = "#ffb600";
+exports.buttonStatusFocusBackgroundColourSubtleError = "#c50b30";
+exports.buttonStatusFocusBackgroundColourSubtleGeneric = "#4d4f4f";
+exports.buttonStatusFocusBackgroundColourBoldInfo = "#005dba";
+exports.buttonStatusFocusBackgroundColourBoldSuccess = "#00633d";
+exports.buttonStatusFocusBackgroundColourBoldWarning = "#ffb600";
+exports.buttonStatusFocusBackgroundColourBoldError = "#c50b30";
+exports.buttonStatusFocusBackgroundColourBoldGeneric = "#4d4f4f";
+exports.buttonStatusFocusColourNeutralInfo = "#ffffff";
+exports.buttonStatusFocusColourNeutralSuccess = "#ffffff";
+exports.buttonStatusFocusColourNeutralWarning = "#1d1d1b";
+exports.buttonStatusFocusColourNeutralError = "#ffffff";
+exports.buttonStatusFocusColourNeutralGeneric = "#ffffff";
+exports.buttonStatusFocusColourNeutralInverseInfo = "#ffffff";
+exports.buttonStatusFocusColourNeutralInverseSuccess = "#ffffff";
+exports.buttonStatusFocusColourNeutralInverseWarning = "#1d1d1b";
+exports.buttonStatusFocusColourNeutralInverseError = "#ffffff";
+exports.buttonStatusFocusColourNeutralInverseGeneric = "#ffffff";
+exports.buttonStatusFocusColourSubtleInfo = "#ffffff";
+exports.buttonStatusFocusColourSubtleSuccess = "#ffffff";
+exports.buttonStatusFocusColourSubtleWarning = "#1d1d1b";
+exports.buttonStatusFocusColourSubtleError = "#ffffff";
+exports.buttonStatusFocusColourSubtleGeneric = "#ffffff";
+exports.buttonStatusFocusColourBoldInfo = "#ffffff";
+exports.buttonStatusFocusColourBoldSuccess = "#ffffff";
+exports.buttonStatusFocusColourBoldWarning = "#1d1d1b";
+exports.buttonStatusFocusColourBoldError = "#ffffff";
+exports.buttonStatusFocusColourBoldGeneric = "#ffffff";
+exports.buttonStatusDisabledBackgroundColourNeutralInfo = "#76c8f1";
+exports.buttonStatusDisabledBackgroundColourNeutralSuccess = "#7fce9f";
+exports.buttonStatusDisabledBackgroundColourNeutralWarning = "#ffe969";
+exports.buttonStatusDisabledBackgroundColourNeutralError = "#ff7e7e";
+exports.buttonStatusDisabledBackgroundColourNeutralGeneric = "#bcbdbd";
+exports.buttonStatusDisabledBackgroundColourNeutralInverseInfo = "#76c8f1";
+exports.buttonStatusDisabledBackgroundColourNeutralInverseSuccess = "#7fce9f";
+exports.buttonStatusDisabledBackgroundColourNeutralInverseWarning = "#ffe969";
+exports.buttonStatusDisabledBackgroundColourNeutralInverseError = "#ff7e7e";
+exports.buttonStatusDisabledBackgroundColourNeutralInverseGeneric = "#bcbdbd";
+exports.buttonStatusDisabledBackgroundColourSubtleInfo = "#76c8f1";
+exports.buttonStatusDisabledBackgroundColourSubtleSuccess = "#7fce9f";
+exports.buttonStatusDisabledBackgroundColourSubtleWarning = "#ffe969";
+exports.buttonStatusDisabledBackgroundColourSubtleError = "#ff7e7e";
+exports.buttonStatusDisabledBackgroundColourSubtleGeneric = "#bcbdbd";
+exports.buttonStatusDisabledBackgroundColourBoldInfo = "#76c8f1";
+exports.buttonStatusDisabledBackgroundColourBoldSuccess = "#7fce9f";
+exports.buttonStatusDisabledBackgroundColourBoldWarning = "#ffe969";
+exports.buttonStatusDisabledBackgroundColourBoldError = "#ff7e7e";
+exports.buttonStatusDisabledBackgroundColourBoldGeneric = "#bcbdbd";
+exports.buttonStatusDisabledBorderColourNeutralInfo = "#76c8f1";
+exports.buttonStatusDisabledBorderColourNeutralSuccess = "#7fce9f";
+exports.buttonStatusDisabledBorderColourNeutralWarning = "#ffe969";
+exports.buttonStatusDisabledBorderColourNeutralError = "#ff7e7e";
+exports.buttonStatusDisabledBorderColourNeutralGeneric = "#bcbdbd";
+exports.buttonStatusDisabledBorderColourNeutralInverseInfo = "#76c8f1";
+exports.buttonStatusDisabledBorderColourNeutralInverseSuccess = "#7fce9f";
+exports.buttonStatusDisabledBorderColourNeutralInverseWarning = "#ffe969";
+exports.buttonStatusDisabledBorderColourNeutralInverseError = "#ff7e7e";
+exports.buttonStatusDisabledBorderColourNeutralInverseGeneric = "#bcbdbd";
+exports.buttonStatusDisabledBorderColourSubtleInfo = "#76c8f1";
+exports.buttonStatusDisabledBorderColourSubtleSuccess = "#7fce9f";
+exports.buttonStatusDisabledBorderColourSubtleWarning = "#ffe969";
+exports.buttonStatusDisabledBorderColourSubtleError = "#ff7e7e";
+exports.buttonStatusDisabledBorderColourSubtleGeneric = "#bcbdbd";
+exports.buttonStatusDisabledBorderColourBoldInfo = "#76c8f1";
+exports.buttonStatusDisabledBorderColourBoldSuccess = "#7fce9f";
+exports.buttonStatusDisabledBorderColourBoldWarning = "#ffe969";
+exports.buttonStatusDisabledBorderColourBoldError = "#ff7e7e";
+exports.buttonStatusDisabledBorderColourBoldGeneric = "#bcbdbd";
+exports.buttonStatusDisabledColourNeutralInfo = "#1e84d2";
+exports.buttonStatusDisabledColourNeutralSuccess = "#1a8952";
+exports.buttonStatusDisabledColourNeutralWarning = "#ffb600";
+exports.buttonStatusDisabledColourNeutralError = "#e2223e";
+exports.buttonStatusDisabledColourNeutralGeneric = "#858686";
+exports.buttonStatusDisabledColourNeutralInverseInfo = "#1e84d2";
+exports.buttonStatusDisabledColourNeutralInverseSuccess = "#1a8952";
+exports.buttonStatusDisabledColourNeutralInverseWarning = "#ffb600";
+exports.buttonStatusDisabledColourNeutralInverseError = "#e2223e";
+exports.buttonStatusDisabledColourNeutralInverseGeneric = "#858686";
+exports.buttonStatusDisabledColourSubtleInfo = "#1e84d2";
+exports.buttonStatusDisabledColourSubtleSuccess = "#1a8952";
+exports.buttonStatusDisabledColourSubtleWarning = "#ffb600";
+exports.buttonStatusDisabledColourSubtleError = "#e2223e";
+exports.buttonStatusDisabledColourSubtleGeneric = "#858686";
+exports.buttonStatusDisabledColourBoldInfo = "#1e84d2";
+exports.buttonStatusDisabledColourBoldSuccess = "#1a8952";
+exports.buttonStatusDisabledColourBoldWarning = "#ffb600";
+exports.buttonStatusDisabledColourBoldError = "#e2223e";
+exports.buttonStatusDisabledColourBoldGeneric = "#858686";
+exports.buttonGroupGapNeutralBlue = 16;
+exports.buttonGroupGapNeutralGreen = 16;
+exports.buttonGroupGapNeutralRed = 16;
+exports.buttonGroupGapNeutralYellow = 16;
+exports.buttonGroupGapNeutralInverseBlue = 16;
+exports.buttonGroupGapNeutralInverseGreen = 16;
+exports.buttonGroupGapNeutralInverseRed = 16;
+exports.buttonGroupGapNeutralInverseYellow = 16;
+exports.buttonGroupGapSubtleBlue = 16;
+exports.buttonGroupGapSubtleGreen = 16;
+exports.buttonGroupGapSubtleRed = 16;
+exports.buttonGroupGapSubtleYellow = 16;
+exports.buttonGroupGapBoldBlue = 16;
+exports.buttonGroupGapBoldGreen = 16;
+exports.buttonGroupGapBoldRed = 16;
+exports.buttonGroupGapBoldYellow = 16;
+exports.paginationColourNeutralBlue = "#1d1d1b";
+exports.paginationColourNeutralGreen = "#1d1d1b";
+exports.paginationColourNeutralRed = "#1d1d1b";
+exports.paginationColourNeutralYellow = "#1d1d1b";
+exports.paginationColourNeutralInverseBlue = "#1d1d1b";
+exports.paginationColourNeutralInverseGreen = "#1d1d1b";
+exports.paginationColourNeutralInverseRed = "#1d1d1b";
+exports.paginationColourNeutralInverseYellow = "#1d1d1b";
+exports.paginationColourSubtleBlue = "#1d1d1b";
+exports.paginationColourSubtleGreen = "#1d1d1b";
+exports.paginationColourSubtleRed = "#1d1d1b";
+exports.paginationColourSubtleYellow = "#1d1d1b";
+exports.paginationColourBoldBlue = "#ffffff";
+exports.paginationColourBoldGreen = "#ffffff";
+exports.paginationColourBoldRed = "#ffffff";
+exports.paginationColourBoldYellow = "#1d1d1b";
+exports.paginationInsideGapNeutralBlue = 8;
+exports.paginationInsideGapNeutralGreen = 8;
+exports.paginationInsideGapNeutralRed = 8;
+exports.paginationInsideGapNeutralYellow = 8;
+exports.paginationInsideGapNeutralInverseBlue = 8;
+exports.paginationInsideGapNeutralInverseGreen = 8;
+exports.paginationInsideGapNeutralInverseRed = 8;
+exports.paginationInsideGapNeutralInverseYellow = 8;
+exports.paginationInsideGapSubtleBlue = 8;
+exports.paginationInsideGapSubtleGreen = 8;
+exports.paginationInsideGapSubtleRed = 8;
+exports.paginationInsideGapSubtleYellow = 8;
+exports.paginationInsideGapBoldBlue = 8;
+exports.paginationInsideGapBoldGreen = 8;
+exports.paginationInsideGapBoldRed = 8;
+exports.paginationInsideGapBoldYellow = 8;
+exports.paginationVerticalGapNeutralBlue = 16;
+exports.paginationVerticalGapNeutralGreen = 16;
+exports.paginationVerticalGapNeutralRed = 16;
+exports.paginationVerticalGapNeutralYellow = 16;
+exports.paginationVerticalGapNeutralInverseBlue = 16;
+exports.paginationVerticalGapNeutralInverseGreen = 16;
+exports.paginationVerticalGapNeutralInverseRed = 16;
+exports.paginationVerticalGapNeutralInverseYellow = 16;
+exports.paginationVerticalGapSubtleBlue = 16;
+exports.paginationVerticalGapSubtleGreen = 16;
+exports.paginationVerticalGapSubtleRed = 16;
+exports.paginationVerticalGapSubtleYellow = 16;
+exports.paginationVerticalGapBoldBlue = 16;
+exports.paginationVerticalGapBoldGreen = 16;
+exports.paginationVerticalGapBoldRed = 16;
+exports.paginationVerticalGapBoldYellow = 16;
+exports.paginationHorizontalGapNeutralBlue = 28;
+exports.paginationHorizontalGapNeutralGreen = 28;
+exports.paginationHorizontalGapNeutralRed = 28;
+exports.paginationHorizontalGapNeutralYellow = 28;
+exports.paginationHorizontalGapNeutralInverseBlue = 28;
+exports.paginationHorizontalGapNeutralInverseGreen = 28;
+exports.paginationHorizontalGapNeutralInverseRed = 28;
+exports.paginationHorizontalGapNeutralInverseYellow = 28;
+exports.paginationHorizontalGapSubtleBlue = 28;
+exports.paginationHorizontalGapSubtleGreen = 28;
+exports.paginationHorizontalGapSubtleRed = 28;
+exports.paginationHorizontalGapSubtleYellow = 28;
+exports.paginationHorizontalGapBoldBlue = 28;
+exports.paginationHorizontalGapBoldGreen = 28;
+exports.paginationHorizontalGapBoldRed = 28;
+exports.paginationHorizontalGapBoldYellow = 28;
+exports.paginationPageCommonHoverIndicatorWidthNeutralBlue = 2;
+exports.paginationPageCommonHoverIndicatorWidthNeutralGreen = 2;
+exports.paginationPageCommonHoverIndicatorWidthNeutralRed = 2;
+exports.paginationPageCommonHoverIndicatorWidthNeutralYellow = 2;
+exports.paginationPageCommonHoverIndicatorWidthNeutralInverseBlue = 2;
+exports.paginationPageCommonHoverIndicatorWidthNeutralInverseGreen = 2;
+exports.paginationPageCommonHoverIndicatorWidthNeutralInverseRed = 2;
+exports.paginationPageCommonHoverIndicatorWidthNeutralInverseYellow = 2;
+exports.paginationPageCommonHoverIndicatorWidthSubtleBlue = 2;
+exports.paginationPageCommonHoverIndicatorWidthSubtleGreen = 2;
+exports.paginationPageCommonHoverIndicatorWidthSubtleRed = 2;
+exports.paginationPageCommonHoverIndicatorWidthSubtleYellow = 2;
+exports.paginationPageCommonHoverIndicatorWidthBoldBlue = 2;
+exports.paginationPageCommonHoverIndicatorWidthBoldGreen = 2;
+exports.paginationPageCommonHoverIndicatorWidthBoldRed = 2;
+exports.paginationPageCommonHoverIndicatorWidthBoldYellow = 2;
+exports.paginationPageRestBackgroundColourNeutralBlue = "#ffffff";
+exports.paginationPageRestBackgroundColourNeutralGreen = "#ffffff";
+exports.paginationPageRestBackgroundColourNeutralRed = "#ffffff";
+exports.paginationPageRestBackgroundColourNeutralYellow = "#ffffff";
+exports.paginationPageRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.paginationPageRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.paginationPageRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.paginationPageRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.paginationPageRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.paginationPageRestBackgroundColourSubtleGreen = "#caeedd";
+exports.paginationPageRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.paginationPageRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.paginationPageRestBackgroundColourBoldBlue = "#005dba";
+exports.paginationPageRestBackgroundColourBoldGreen = "#00633d";
+exports.paginationPageRestBackgroundColourBoldRed = "#c50b30";
+exports.paginationPageRestBackgroundColourBoldYellow = "#ffb600";
+exports.paginationPageRestColourNeutralBlue = "#1d1d1b";
+exports.paginationPageRestColourNeutralGreen = "#1d1d1b";
+exports.paginationPageRestColourNeutralRed = "#1d1d1b";
+exports.paginationPageRestColourNeutralYellow = "#000000";
+exports.paginationPageRestColourNeutralInverseBlue = "#1d1d1b";
+exports.paginationPageRestColourNeutralInverseGreen = "#1d1d1b";
+exports.paginationPageRestColourNeutralInverseRed = "#1d1d1b";
+exports.paginationPageRestColourNeutralInverseYellow = "#000000";
+exports.paginationPageRestColourSubtleBlue = "#1d1d1b";
+exports.paginationPageRestColourSubtleGreen = "#1d1d1b";
+exports.paginationPageRestColourSubtleRed = "#1d1d1b";
+exports.paginationPageRestColourSubtleYellow = "#000000";
+exports.paginationPageRestColourBoldBlue = "#ffffff";
+exports.paginationPageRestColourBoldGreen = "#ffffff";
+exports.paginationPageRestColourBoldRed = "#ffffff";
+exports.paginationPageRestColourBoldYellow = "#1d1d1b";
+exports.paginationPageRestHoverIndicatorColourNeutralBlue = "#ffffff";
+exports.paginationPageRestHoverIndicatorColourNeutralGreen = "#ffffff";
+exports.paginationPageRestHoverIndicatorColourNeutralRed = "#ffffff";
+exports.paginationPageRestHoverIndicatorColourNeutralYellow = "#ffffff";
+exports.paginationPageRestHoverIndicatorColourNeutralInverseBlue = "#f4f4f4";
+exports.paginationPageRestHoverIndicatorColourNeutralInverseGreen = "#f4f4f4";
+exports.paginationPageRestHoverIndicatorColourNeutralInverseRed = "#f4f4f4";
+exports.paginationPageRestHoverIndicatorColourNeutralInverseYellow = "#f4f4f4";
+exports.paginationPageRestHoverIndicatorColourSubtleBlue = "#aee1f7";
+exports.paginationPageRestHoverIndicatorColourSubtleGreen = "#caeedd";
+exports.paginationPageRestHoverIndicatorColourSubtleRed = "#ffd5d2";
+exports.paginationPageRestHoverIndicatorColourSubtleYellow = "#fff9c7";
+exports.paginationPageRestHoverIndicatorColourBoldBlue = "#005dba";
+exports.paginationPageRestHoverIndicatorColourBoldGreen = "#00633d";
+exports.paginationPageRestHoverIndicatorColourBoldRed = "#c50b30";
+exports.paginationPageRestHoverIndicatorColourBoldYellow = "#ffb600";
+exports.paginationPageHoverBackgroundColourNeutralBlue = "#aee1f7";
+exports.paginationPageHoverBackgroundColourNeutralGreen = "#caeedd";
+exports.paginationPageHoverBackgroundColourNeutralRed = "#ffd5d2";
+exports.paginationPageHoverBackgroundColourNeutralYellow = "#fff9c7";
+exports.paginationPageHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.paginationPageHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.paginationPageHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.paginationPageHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.paginationPageHoverBackgroundColourSubtleBlue = "#42aeea";
+exports.paginationPageHoverBackgroundColourSubtleGreen = "#43af6e";
+exports.paginationPageHoverBackgroundColourSubtleRed = "#ff3e51";
+exports.paginationPageHoverBackgroundColourSubtleYellow = "#ffe969";
+exports.paginationPageHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.paginationPageHoverBackgroundColourBoldGreen = "#caeedd";
+exports.paginationPageHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.paginationPageHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.paginationPageHoverHoverIndicatorColourNeutralBlue = "#001d6e";
+exports.paginationPageHoverHoverIndicatorColourNeutralGreen = "#01312e";
+exports.paginationPageHoverHoverIndicatorColourNeutralRed = "#480411";
+exports.paginationPageHoverHoverIndicatorColourNeutralYellow = "#572722";
+exports.paginationPageHoverHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+exports.paginationPageHoverHoverIndicatorColourNeutralInverseGreen = "#01312e";
+exports.paginationPageHoverHoverIndicatorColourNeutralInverseRed = "#480411";
+exports.paginationPageHoverHoverIndicatorColourNeutralInverseYellow = "#572722";
+exports.paginationPageHoverHoverIndicatorColourSubtleBlue = "#001d6e";
+exports.paginationPageHoverHoverIndicatorColourSubtleGreen = "#01312e";
+exports.paginationPageHoverHoverIndicatorColourSubtleRed = "#480411";
+exports.paginationPageHoverHoverIndicatorColourSubtleYellow = "#572722";
+exports.paginationPageHoverHoverIndicatorColourBoldBlue = "#001d6e";
+exports.paginationPageHoverHoverIndicatorColourBoldGreen = "#01312e";
+exports.paginationPageHoverHoverIndicatorColourBoldRed = "#480411";
+exports.paginationPageHoverHoverIndicatorColourBoldYellow = "#572722";
+exports.paginationPageHoverColourNeutralBlue = "#1d1d1b";
+exports.paginationPageHoverColourNeutralGreen = "#1d1d1b";
+exports.paginationPageHoverColourNeutralRed = "#1d1d1b";
+exports.paginationPageHoverColourNeutralYellow = "#000000";
+exports.paginationPageHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.paginationPageHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.paginationPageHoverColourNeutralInverseRed = "#1d1d1b";
+exports.paginationPageHoverColourNeutralInverseYellow = "#000000";
+exports.paginationPageHoverColourSubtleBlue = "#1d1d1b";
+exports.paginationPageHoverColourSubtleGreen = "#1d1d1b";
+exports.paginationPageHoverColourSubtleRed = "#1d1d1b";
+exports.paginationPageHoverColourSubtleYellow = "#000000";
+exports.paginationPageHoverColourBoldBlue = "#ffffff";
+exports.paginationPageHoverColourBoldGreen = "#ffffff";
+exports.paginationPageHoverColourBoldRed = "#ffffff";
+exports.paginationPageHoverColourBoldYellow = "#1d1d1b";
+exports.paginationPageActiveBackgroundColourNeutralBlue = "#005dba";
+exports.paginationPageActiveBackgroundColourNeutralGreen = "#00633d";
+exports.paginationPageActiveBackgroundColourNeutralRed = "#c50b30";
+exports.paginationPageActiveBackgroundColourNeutralYellow = "#ffb600";
+exports.paginationPageActiveBackgroundColourNeutralInverseBlue = "#005dba";
+exports.paginationPageActiveBackgroundColourNeutralInverseGreen = "#00633d";
+exports.paginationPageActiveBackgroundColourNeutralInverseRed = "#c50b30";
+exports.paginationPageActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.paginationPageActiveBackgroundColourSubtleBlue = "#005dba";
+exports.paginationPageActiveBackgroundColourSubtleGreen = "#00633d";
+exports.paginationPageActiveBackgroundColourSubtleRed = "#c50b30";
+exports.paginationPageActiveBackgroundColourSubtleYellow = "#ffb600";
+exports.paginationPageActiveBackgroundColourBoldBlue = "#ffffff";
+exports.paginationPageActiveBackgroundColourBoldGreen = "#ffffff";
+exports.paginationPageActiveBackgroundColourBoldRed = "#ffffff";
+exports.paginationPageActiveBackgroundColourBoldYellow = "#ffffff";
+exports.paginationPageActiveColourNeutralBlue = "#ffffff";
+exports.paginationPageActiveColourNeutralGreen = "#ffffff";
+exports.paginationPageActiveColourNeutralRed = "#ffffff";
+exports.paginationPageActiveColourNeutralYellow = "#1d1d1b";
+exports.paginationPageActiveColourNeutralInverseBlue = "#ffffff";
+exports.paginationPageActiveColourNeutralInverseGreen = "#ffffff";
+exports.paginationPageActiveColourNeutralInverseRed = "#ffffff";
+exports.paginationPageActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.paginationPageActiveColourSubtleBlue = "#ffffff";
+exports.paginationPageActiveColourSubtleGreen = "#ffffff";
+exports.paginationPageActiveColourSubtleRed = "#ffffff";
+exports.paginationPageActiveColourSubtleYellow = "#1d1d1b";
+exports.paginationPageActiveColourBoldBlue = "#1d1d1b";
+exports.paginationPageActiveColourBoldGreen = "#1d1d1b";
+exports.paginationPageActiveColourBoldRed = "#1d1d1b";
+exports.paginationPageActiveColourBoldYellow = "#000000";
+exports.paginationPageActiveHoverIndicatorColourNeutralBlue = "#005dba";
+exports.paginationPageActiveHoverIndicatorColourNeutralGreen = "#00633d";
+exports.paginationPageActiveHoverIndicatorColourNeutralRed = "#c50b30";
+exports.paginationPageActiveHoverIndicatorColourNeutralYellow = "#ffb600";
+exports.paginationPageActiveHoverIndicatorColourNeutralInverseBlue = "#005dba";
+exports.paginationPageActiveHoverIndicatorColourNeutralInverseGreen = "#00633d";
+exports.paginationPageActiveHoverIndicatorColourNeutralInverseRed = "#c50b30";
+exports.paginationPageActiveHoverIndicatorColourNeutralInverseYellow = "#ffb600";
+exports.paginationPageActiveHoverIndicatorColourSubtleBlue = "#005dba";
+exports.paginationPageActiveHoverIndicatorColourSubtleGreen = "#00633d";
+exports.paginationPageActiveHoverIndicatorColourSubtleRed = "#c50b30";
+exports.paginationPageActiveHoverIndicatorColourSubtleYellow = "#ffb600";
+exports.paginationPageActiveHoverIndicatorColourBoldBlue = "#ffffff";
+exports.paginationPageActiveHoverIndicatorColourBoldGreen = "#ffffff";
+exports.paginationPageActiveHoverIndicatorColourBoldRed = "#ffffff";
+exports.paginationPageActiveHoverIndicatorColourBoldYellow = "#ffffff";
+exports.paginationPageFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.paginationPageFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.paginationPageFocusBackgroundColourNeutralRed = "#ffffff";
+exports.paginationPageFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.paginationPageFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.paginationPageFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.paginationPageFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.paginationPageFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.paginationPageFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.paginationPageFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.paginationPageFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.paginationPageFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.paginationPageFocusBackgroundColourBoldBlue = "#005dba";
+exports.paginationPageFocusBackgroundColourBoldGreen = "#00633d";
+exports.paginationPageFocusBackgroundColourBoldRed = "#c50b30";
+exports.paginationPageFocusBackgroundColourBoldYellow = "#ffb600";
+exports.paginationPageFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.paginationPageFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.paginationPageFocusBorderColourNeutralRed = "#1d1d1b";
+exports.paginationPageFocusBorderColourNeutralYellow = "#000000";
+exports.paginationPageFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.paginationPageFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.paginationPageFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.paginationPageFocusBorderColourNeutralInverseYellow = "#000000";
+exports.paginationPageFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.paginationPageFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.paginationPageFocusBorderColourSubtleRed = "#1d1d1b";
+exports.paginationPageFocusBorderColourSubtleYellow = "#000000";
+exports.paginationPageFocusBorderColourBoldBlue = "#ffffff";
+exports.paginationPageFocusBorderColourBoldGreen = "#ffffff";
+exports.paginationPageFocusBorderColourBoldRed = "#ffffff";
+exports.paginationPageFocusBorderColourBoldYellow = "#1d1d1b";
+exports.paginationPageFocusBorderWidthNeutralBlue = 3;
+exports.paginationPageFocusBorderWidthNeutralGreen = 3;
+exports.paginationPageFocusBorderWidthNeutralRed = 3;
+exports.paginationPageFocusBorderWidthNeutralYellow = 3;
+exports.paginationPageFocusBorderWidthNeutralInverseBlue = 3;
+exports.paginationPageFocusBorderWidthNeutralInverseGreen = 3;
+exports.paginationPageFocusBorderWidthNeutralInverseRed = 3;
+exports.paginationPageFocusBorderWidthNeutralInverseYellow = 3;
+exports.paginationPageFocusBorderWidthSubtleBlue = 3;
+exports.paginationPageFocusBorderWidthSubtleGreen = 3;
+exports.paginationPageFocusBorderWidthSubtleRed = 3;
+exports.paginationPageFocusBorderWidthSubtleYellow = 3;
+exports.paginationPageFocusBorderWidthBoldBlue = 3;
+exports.paginationPageFocusBorderWidthBoldGreen = 3;
+exports.paginationPageFocusBorderWidthBoldRed = 3;
+exports.paginationPageFocusBorderWidthBoldYellow = 3;
+exports.paginationPageFocusColourNeutralBlue = "#1d1d1b";
+exports.paginationPageFocusColourNeutralGreen = "#1d1d1b";
+exports.paginationPageFocusColourNeutralRed = "#1d1d1b";
+exports.paginationPageFocusColourNeutralYellow = "#000000";
+exports.paginationPageFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.paginationPageFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.paginationPageFocusColourNeutralInverseRed = "#1d1d1b";
+exports.paginationPageFocusColourNeutralInverseYellow = "#000000";
+exports.paginationPageFocusColourSubtleBlue = "#1d1d1b";
+exports.paginationPageFocusColourSubtleGreen = "#1d1d1b";
+exports.paginationPageFocusColourSubtleRed = "#1d1d1b";
+exports.paginationPageFocusColourSubtleYellow = "#000000";
+exports.paginationPageFocusColourBoldBlue = "#ffffff";
+exports.paginationPageFocusColourBoldGreen = "#ffffff";
+exports.paginationPageFocusColourBoldRed = "#ffffff";
+exports.paginationPageFocusColourBoldYellow = "#1d1d1b";
+exports.paginationPageFocusHoverIndicatorColourNeutralBlue = "#ffffff";
+exports.paginationPageFocusHoverIndicatorColourNeutralGreen = "#ffffff";
+exports.paginationPageFocusHoverIndicatorColourNeutralRed = "#ffffff";
+exports.paginationPageFocusHoverIndicatorColourNeutralYellow = "#ffffff";
+exports.paginationPageFocusHoverIndicatorColourNeutralInverseBlue = "#f4f4f4";
+exports.paginationPageFocusHoverIndicatorColourNeutralInverseGreen = "#f4f4f4";
+exports.paginationPageFocusHoverIndicatorColourNeutralInverseRed = "#f4f4f4";
+exports.paginationPageFocusHoverIndicatorColourNeutralInverseYellow = "#f4f4f4";
+exports.paginationPageFocusHoverIndicatorColourSubtleBlue = "#aee1f7";
+exports.paginationPageFocusHoverIndicatorColourSubtleGreen = "#caeedd";
+exports.paginationPageFocusHoverIndicatorColourSubtleRed = "#ffd5d2";
+exports.paginationPageFocusHoverIndicatorColourSubtleYellow = "#fff9c7";
+exports.paginationPageFocusHoverIndicatorColourBoldBlue = "#005dba";
+exports.paginationPageFocusHoverIndicatorColourBoldGreen = "#00633d";
+exports.paginationPageFocusHoverIndicatorColourBoldRed = "#c50b30";
+exports.paginationPageFocusHoverIndicatorColourBoldYellow = "#ffb600";
+exports.paginationPageDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourNeutralRed = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.paginationPageDisabledBackgroundColourSubtleBlue = "#d2effb";
+exports.paginationPageDisabledBackgroundColourSubtleGreen = "#dff6eb";
+exports.paginationPageDisabledBackgroundColourSubtleRed = "#ffd5d2";
+exports.paginationPageDisabledBackgroundColourSubtleYellow = "#fffbdc";
+exports.paginationPageDisabledBackgroundColourBoldBlue = "#d2effb";
+exports.paginationPageDisabledBackgroundColourBoldGreen = "#dff6eb";
+exports.paginationPageDisabledBackgroundColourBoldRed = "#ffd5d2";
+exports.paginationPageDisabledBackgroundColourBoldYellow = "#fffbdc";
+exports.paginationPageDisabledColourNeutralBlue = "#d3d3d3";
+exports.paginationPageDisabledColourNeutralGreen = "#d3d3d3";
+exports.paginationPageDisabledColourNeutralRed = "#d3d3d3";
+exports.paginationPageDisabledColourNeutralYellow = "#d3d3d3";
+exports.paginationPageDisabledColourNeutralInverseBlue = "#d3d3d3";
+exports.paginationPageDisabledColourNeutralInverseGreen = "#d3d3d3";
+exports.paginationPageDisabledColourNeutralInverseRed = "#d3d3d3";
+exports.paginationPageDisabledColourNeutralInverseYellow = "#d3d3d3";
+exports.paginationPageDisabledColourSubtleBlue = "#76c8f1";
+exports.paginationPageDisabledColourSubtleGreen = "#7fce9f";
+exports.paginationPageDisabledColourSubtleRed = "#ff7e7e";
+exports.paginationPageDisabledColourSubtleYellow = "#ffe969";
+exports.paginationPageDisabledColourBoldBlue = "#76c8f1";
+exports.paginationPageDisabledColourBoldGreen = "#7fce9f";
+exports.paginationPageDisabledColourBoldRed = "#ff7e7e";
+exports.paginationPageDisabledColourBoldYellow = "#ffe969";
+exports.paginationPageDisabledHoverIndicatorColourNeutralBlue = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourNeutralGreen = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourNeutralRed = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourNeutralYellow = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourNeutralInverseBlue = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourNeutralInverseGreen = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourNeutralInverseRed = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourNeutralInverseYellow = "#f4f4f4";
+exports.paginationPageDisabledHoverIndicatorColourSubtleBlue = "#d2effb";
+exports.paginationPageDisabledHoverIndicatorColourSubtleGreen = "#dff6eb";
+exports.paginationPageDisabledHoverIndicatorColourSubtleRed = "#ffd5d2";
+exports.paginationPageDisabledHoverIndicatorColourSubtleYellow = "#fffbdc";
+exports.paginationPageDisabledHoverIndicatorColourBoldBlue = "#d2effb";
+exports.paginationPageDisabledHoverIndicatorColourBoldGreen = "#dff6eb";
+exports.paginationPageDisabledHoverIndicatorColourBoldRed = "#ffd5d2";
+exports.paginationPageDisabledHoverIndicatorColourBoldYellow = "#fffbdc";
+exports.contentAreaPaddingXNeutralBlue = 28;
+exports.contentAreaPaddingXNeutralGreen = 28;
+exports.contentAreaPaddingXNeutralRed = 28;
+exports.contentAreaPaddingXNeutralYellow = 28;
+exports.contentAreaPaddingXNeutralInverseBlue = 28;
+exports.contentAreaPaddingXNeutralInverseGreen = 28;
+exports.contentAreaPaddingXNeutralInverseRed = 28;
+exports.contentAreaPaddingXNeutralInverseYellow = 28;
+exports.contentAreaPaddingXSubtleBlue = 28;
+exports.contentAreaPaddingXSubtleGreen = 28;
+exports.contentAreaPaddingXSubtleRed = 28;
+exports.contentAreaPaddingXSubtleYellow = 28;
+exports.contentAreaPaddingXBoldBlue = 28;
+exports.contentAreaPaddingXBoldGreen = 28;
+exports.contentAreaPaddingXBoldRed = 28;
+exports.contentAreaPaddingXBoldYellow = 28;
+exports.contentAreaPaddingYNeutralBlue = 20;
+exports.contentAreaPaddingYNeutralGreen = 20;
+exports.contentAreaPaddingYNeutralRed = 20;
+exports.contentAreaPaddingYNeutralYellow = 20;
+exports.contentAreaPaddingYNeutralInverseBlue = 20;
+exports.contentAreaPaddingYNeutralInverseGreen = 20;
+exports.contentAreaPaddingYNeutralInverseRed = 20;
+exports.contentAreaPaddingYNeutralInverseYellow = 20;
+exports.contentAreaPaddingYSubtleBlue = 20;
+exports.contentAreaPaddingYSubtleGreen = 20;
+exports.contentAreaPaddingYSubtleRed = 20;
+exports.contentAreaPaddingYSubtleYellow = 20;
+exports.contentAreaPaddingYBoldBlue = 20;
+exports.contentAreaPaddingYBoldGreen = 20;
+exports.contentAreaPaddingYBoldRed = 20;
+exports.contentAreaPaddingYBoldYellow = 20;
+exports.contentAreaBorderRadiusNeutralBlue = 28;
+exports.contentAreaBorderRadiusNeutralGreen = 28;
+exports.contentAreaBorderRadiusNeutralRed = 28;
+exports.contentAreaBorderRadiusNeutralYellow = 28;
+exports.contentAreaBorderRadiusNeutralInverseBlue = 28;
+exports.contentAreaBorderRadiusNeutralInverseGreen = 28;
+exports.contentAreaBorderRadiusNeutralInverseRed = 28;
+exports.contentAreaBorderRadiusNeutralInverseYellow = 28;
+exports.contentAreaBorderRadiusSubtleBlue = 28;
+exports.contentAreaBorderRadiusSubtleGreen = 28;
+exports.contentAreaBorderRadiusSubtleRed = 28;
+exports.contentAreaBorderRadiusSubtleYellow = 28;
+exports.contentAreaBorderRadiusBoldBlue = 28;
+exports.contentAreaBorderRadiusBoldGreen = 28;
+exports.contentAreaBorderRadiusBoldRed = 28;
+exports.contentAreaBorderRadiusBoldYellow = 28;
+exports.contentAreaBackgroundColourNeutralBlue = "#ffffff";
+exports.contentAreaBackgroundColourNeutralGreen = "#ffffff";
+exports.contentAreaBackgroundColourNeutralRed = "#ffffff";
+exports.contentAreaBackgroundColourNeutralYellow = "#ffffff";
+exports.contentAreaBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.contentAreaBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.contentAreaBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.contentAreaBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.contentAreaBackgroundColourSubtleBlue = "#aee1f7";
+exports.contentAreaBackgroundColourSubtleGreen = "#caeedd";
+exports.contentAreaBackgroundColourSubtleRed = "#ffd5d2";
+exports.contentAreaBackgroundColourSubtleYellow = "#fff9c7";
+exports.contentAreaBackgroundColourBoldBlue = "#005dba";
+exports.contentAreaBackgroundColourBoldGreen = "#00633d";
+exports.contentAreaBackgroundColourBoldRed = "#c50b30";
+exports.contentAreaBackgroundColourBoldYellow = "#ffb600";
+exports.contentAreaBorderColourNeutralBlue = "#d3d3d3";
+exports.contentAreaBorderColourNeutralGreen = "#d3d3d3";
+exports.contentAreaBorderColourNeutralRed = "#d3d3d3";
+exports.contentAreaBorderColourNeutralYellow = "#d3d3d3";
+exports.contentAreaBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.contentAreaBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.contentAreaBorderColourNeutralInverseRed = "#d3d3d3";
+exports.contentAreaBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.contentAreaBorderColourSubtleBlue = "#42aeea";
+exports.contentAreaBorderColourSubtleGreen = "#43af6e";
+exports.contentAreaBorderColourSubtleRed = "#ff3e51";
+exports.contentAreaBorderColourSubtleYellow = "#ffe969";
+exports.contentAreaBorderColourBoldBlue = "#001d6e";
+exports.contentAreaBorderColourBoldGreen = "#01312e";
+exports.contentAreaBorderColourBoldRed = "#940824";
+exports.contentAreaBorderColourBoldYellow = "#c86426";
+exports.contentAreaBorderWidthNeutralBlue = 1;
+exports.contentAreaBorderWidthNeutralGreen = 1;
+exports.contentAreaBorderWidthNeutralRed = 1;
+exports.contentAreaBorderWidthNeutralYellow = 1;
+exports.contentAreaBorderWidthNeutralInverseBlue = 1;
+exports.contentAreaBorderWidthNeutralInverseGreen = 1;
+exports.contentAreaBorderWidthNeutralInverseRed = 1;
+exports.contentAreaBorderWidthNeutralInverseYellow = 1;
+exports.contentAreaBorderWidthSubtleBlue = 1;
+exports.contentAreaBorderWidthSubtleGreen = 1;
+exports.contentAreaBorderWidthSubtleRed = 1;
+exports.contentAreaBorderWidthSubtleYellow = 1;
+exports.contentAreaBorderWidthBoldBlue = 1;
+exports.contentAreaBorderWidthBoldGreen = 1;
+exports.contentAreaBorderWidthBoldRed = 1;
+exports.contentAreaBorderWidthBoldYellow = 1;
+exports.contentAreaColourNeutralBlue = "#1d1d1b";
+exports.contentAreaColourNeutralGreen = "#1d1d1b";
+exports.contentAreaColourNeutralRed = "#1d1d1b";
+exports.contentAreaColourNeutralYellow = "#1d1d1b";
+exports.contentAreaColourNeutralInverseBlue = "#1d1d1b";
+exports.contentAreaColourNeutralInverseGreen = "#1d1d1b";
+exports.contentAreaColourNeutralInverseRed = "#1d1d1b";
+exports.contentAreaColourNeutralInverseYellow = "#1d1d1b";
+exports.contentAreaColourSubtleBlue = "#1d1d1b";
+exports.contentAreaColourSubtleGreen = "#1d1d1b";
+exports.contentAreaColourSubtleRed = "#1d1d1b";
+exports.contentAreaColourSubtleYellow = "#1d1d1b";
+exports.contentAreaColourBoldBlue = "#ffffff";
+exports.contentAreaColourBoldGreen = "#ffffff";
+exports.contentAreaColourBoldRed = "#ffffff";
+exports.contentAreaColourBoldYellow = "#1d1d1b";
+exports.contentAreaGapNeutralBlue = 28;
+exports.contentAreaGapNeutralGreen = 28;
+exports.contentAreaGapNeutralRed = 28;
+exports.contentAreaGapNeutralYellow = 28;
+exports.contentAreaGapNeutralInverseBlue = 28;
+exports.contentAreaGapNeutralInverseGreen = 28;
+exports.contentAreaGapNeutralInverseRed = 28;
+exports.contentAreaGapNeutralInverseYellow = 28;
+exports.contentAreaGapSubtleBlue = 28;
+exports.contentAreaGapSubtleGreen = 28;
+exports.contentAreaGapSubtleRed = 28;
+exports.contentAreaGapSubtleYellow = 28;
+exports.contentAreaGapBoldBlue = 28;
+exports.contentAreaGapBoldGreen = 28;
+exports.contentAreaGapBoldRed = 28;
+exports.contentAreaGapBoldYellow = 28;
+exports.cardBackgroundColourNeutralBlue = "#ffffff";
+exports.cardBackgroundColourNeutralGreen = "#ffffff";
+exports.cardBackgroundColourNeutralRed = "#ffffff";
+exports.cardBackgroundColourNeutralYellow = "#ffffff";
+exports.cardBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.cardBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.cardBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.cardBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.cardBackgroundColourSubtleBlue = "#aee1f7";
+exports.cardBackgroundColourSubtleGreen = "#caeedd";
+exports.cardBackgroundColourSubtleRed = "#ffd5d2";
+exports.cardBackgroundColourSubtleYellow = "#fff9c7";
+exports.cardBackgroundColourBoldBlue = "#005dba";
+exports.cardBackgroundColourBoldGreen = "#00633d";
+exports.cardBackgroundColourBoldRed = "#c50b30";
+exports.cardBackgroundColourBoldYellow = "#ffb600";
+exports.cardBorderColourNeutralBlue = "#d3d3d3";
+exports.cardBorderColourNeutralGreen = "#d3d3d3";
+exports.cardBorderColourNeutralRed = "#d3d3d3";
+exports.cardBorderColourNeutralYellow = "#d3d3d3";
+exports.cardBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.cardBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.cardBorderColourNeutralInverseRed = "#d3d3d3";
+exports.cardBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.cardBorderColourSubtleBlue = "#42aeea";
+exports.cardBorderColourSubtleGreen = "#43af6e";
+exports.cardBorderColourSubtleRed = "#ff3e51";
+exports.cardBorderColourSubtleYellow = "#ffe969";
+exports.cardBorderColourBoldBlue = "#001d6e";
+exports.cardBorderColourBoldGreen = "#01312e";
+exports.cardBorderColourBoldRed = "#940824";
+exports.cardBorderColourBoldYellow = "#c86426";
+exports.cardBorderRadiusNeutralBlue = 28;
+exports.cardBorderRadiusNeutralGreen = 28;
+exports.cardBorderRadiusNeutralRed = 28;
+exports.cardBorderRadiusNeutralYellow = 28;
+exports.cardBorderRadiusNeutralInverseBlue = 28;
+exports.cardBorderRadiusNeutralInverseGreen = 28;
+exports.cardBorderRadiusNeutralInverseRed = 28;
+exports.cardBorderRadiusNeutralInverseYellow = 28;
+exports.cardBorderRadiusSubtleBlue = 28;
+exports.cardBorderRadiusSubtleGreen = 28;
+exports.cardBorderRadiusSubtleRed = 28;
+exports.cardBorderRadiusSubtleYellow = 28;
+exports.cardBorderRadiusBoldBlue = 28;
+exports.cardBorderRadiusBoldGreen = 28;
+exports.cardBorderRadiusBoldRed = 28;
+exports.cardBorderRadiusBoldYellow = 28;
+exports.cardBorderWidthNeutralBlue = 1;
+exports.cardBorderWidthNeutralGreen = 1;
+exports.cardBorderWidthNeutralRed = 1;
+exports.cardBorderWidthNeutralYellow = 1;
+exports.cardBorderWidthNeutralInverseBlue = 1;
+exports.cardBorderWidthNeutralInverseGreen = 1;
+exports.cardBorderWidthNeutralInverseRed = 1;
+exports.cardBorderWidthNeutralInverseYellow = 1;
+exports.cardBorderWidthSubtleBlue = 1;
+exports.cardBorderWidthSubtleGreen = 1;
+exports.cardBorderWidthSubtleRed = 1;
+exports.cardBorderWidthSubtleYellow = 1;
+exports.cardBorderWidthBoldBlue = 1;
+exports.cardBorderWidthBoldGreen = 1;
+exports.cardBorderWidthBoldRed = 1;
+exports.cardBorderWidthBoldYellow = 1;
+exports.cardColourNeutralBlue = "#1d1d1b";
+exports.cardColourNeutralGreen = "#1d1d1b";
+exports.cardColourNeutralRed = "#1d1d1b";
+exports.cardColourNeutralYellow = "#1d1d1b";
+exports.cardColourNeutralInverseBlue = "#1d1d1b";
+exports.cardColourNeutralInverseGreen = "#1d1d1b";
+exports.cardColourNeutralInverseRed = "#1d1d1b";
+exports.cardColourNeutralInverseYellow = "#1d1d1b";
+exports.cardColourSubtleBlue = "#1d1d1b";
+exports.cardColourSubtleGreen = "#1d1d1b";
+exports.cardColourSubtleRed = "#1d1d1b";
+exports.cardColourSubtleYellow = "#1d1d1b";
+exports.cardColourBoldBlue = "#ffffff";
+exports.cardColourBoldGreen = "#ffffff";
+exports.cardColourBoldRed = "#ffffff";
+exports.cardColourBoldYellow = "#1d1d1b";
+exports.cardGapNeutralBlue = 20;
+exports.cardGapNeutralGreen = 20;
+exports.cardGapNeutralRed = 20;
+exports.cardGapNeutralYellow = 20;
+exports.cardGapNeutralInverseBlue = 20;
+exports.cardGapNeutralInverseGreen = 20;
+exports.cardGapNeutralInverseRed = 20;
+exports.cardGapNeutralInverseYellow = 20;
+exports.cardGapSubtleBlue = 20;
+exports.cardGapSubtleGreen = 20;
+exports.cardGapSubtleRed = 20;
+exports.cardGapSubtleYellow = 20;
+exports.cardGapBoldBlue = 20;
+exports.cardGapBoldGreen = 20;
+exports.cardGapBoldRed = 20;
+exports.cardGapBoldYellow = 20;
+exports.cardMinWidthNeutralBlue = 288;
+exports.cardMinWidthNeutralGreen = 288;
+exports.cardMinWidthNeutralRed = 288;
+exports.cardMinWidthNeutralYellow = 288;
+exports.cardMinWidthNeutralInverseBlue = 288;
+exports.cardMinWidthNeutralInverseGreen = 288;
+exports.cardMinWidthNeutralInverseRed = 288;
+exports.cardMinWidthNeutralInverseYellow = 288;
+exports.cardMinWidthSubtleBlue = 288;
+exports.cardMinWidthSubtleGreen = 288;
+exports.cardMinWidthSubtleRed = 288;
+exports.cardMinWidthSubtleYellow = 288;
+exports.cardMinWidthBoldBlue = 288;
+exports.cardMinWidthBoldGreen = 288;
+exports.cardMinWidthBoldRed = 288;
+exports.cardMinWidthBoldYellow = 288;
+exports.cardPaddingXNeutralBlue = 28;
+exports.cardPaddingXNeutralGreen = 28;
+exports.cardPaddingXNeutralRed = 28;
+exports.cardPaddingXNeutralYellow = 28;
+exports.cardPaddingXNeutralInverseBlue = 28;
+exports.cardPaddingXNeutralInverseGreen = 28;
+exports.cardPaddingXNeutralInverseRed = 28;
+exports.cardPaddingXNeutralInverseYellow = 28;
+exports.cardPaddingXSubtleBlue = 28;
+exports.cardPaddingXSubtleGreen = 28;
+exports.cardPaddingXSubtleRed = 28;
+exports.cardPaddingXSubtleYellow = 28;
+exports.cardPaddingXBoldBlue = 28;
+exports.cardPaddingXBoldGreen = 28;
+exports.cardPaddingXBoldRed = 28;
+exports.cardPaddingXBoldYellow = 28;
+exports.cardPaddingYNeutralBlue = 20;
+exports.cardPaddingYNeutralGreen = 20;
+exports.cardPaddingYNeutralRed = 20;
+exports.cardPaddingYNeutralYellow = 20;
+exports.cardPaddingYNeutralInverseBlue = 20;
+exports.cardPaddingYNeutralInverseGreen = 20;
+exports.cardPaddingYNeutralInverseRed = 20;
+exports.cardPaddingYNeutralInverseYellow = 20;
+exports.cardPaddingYSubtleBlue = 20;
+exports.cardPaddingYSubtleGreen = 20;
+exports.cardPaddingYSubtleRed = 20;
+exports.cardPaddingYSubtleYellow = 20;
+exports.cardPaddingYBoldBlue = 20;
+exports.cardPaddingYBoldGreen = 20;
+exports.cardPaddingYBoldRed = 20;
+exports.cardPaddingYBoldYellow = 20;
+exports.cardInteractiveRestColourNeutralBlue = "#005dba";
+exports.cardInteractiveRestColourNeutralGreen = "#00633d";
+exports.cardInteractiveRestColourNeutralRed = "#c50b30";
+exports.cardInteractiveRestColourNeutralYellow = "#1d1d1b";
+exports.cardInteractiveRestColourNeutralInverseBlue = "#005dba";
+exports.cardInteractiveRestColourNeutralInverseGreen = "#00633d";
+exports.cardInteractiveRestColourNeutralInverseRed = "#c50b30";
+exports.cardInteractiveRestColourNeutralInverseYellow = "#1d1d1b";
+exports.cardInteractiveRestColourSubtleBlue = "#005dba";
+exports.cardInteractiveRestColourSubtleGreen = "#00633d";
+exports.cardInteractiveRestColourSubtleRed = "#c50b30";
+exports.cardInteractiveRestColourSubtleYellow = "#1d1d1b";
+exports.cardInteractiveRestColourBoldBlue = "#f4f4f4";
+exports.cardInteractiveRestColourBoldGreen = "#f4f4f4";
+exports.cardInteractiveRestColourBoldRed = "#f4f4f4";
+exports.cardInteractiveRestColourBoldYellow = "#1d1d1b";
+exports.cardInteractiveRestBackgroundColourNeutralBlue = "#ffffff";
+exports.cardInteractiveRestBackgroundColourNeutralGreen = "#ffffff";
+exports.cardInteractiveRestBackgroundColourNeutralRed = "#ffffff";
+exports.cardInteractiveRestBackgroundColourNeutralYellow = "#ffffff";
+exports.cardInteractiveRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.cardInteractiveRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.cardInteractiveRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.cardInteractiveRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.cardInteractiveRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.cardInteractiveRestBackgroundColourSubtleGreen = "#caeedd";
+exports.cardInteractiveRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.cardInteractiveRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.cardInteractiveRestBackgroundColourBoldBlue = "#005dba";
+exports.cardInteractiveRestBackgroundColourBoldGreen = "#00633d";
+exports.cardInteractiveRestBackgroundColourBoldRed = "#c50b30";
+exports.cardInteractiveRestBackgroundColourBoldYellow = "#ffb600";
+exports.cardInteractiveRestBorderColourNeutralBlue = "#d3d3d3";
+exports.cardInteractiveRestBorderColourNeutralGreen = "#d3d3d3";
+exports.cardInteractiveRestBorderColourNeutralRed = "#d3d3d3";
+exports.cardInteractiveRestBorderColourNeutralYellow = "#d3d3d3";
+exports.cardInteractiveRestBorderColourNeutralInverseBlue = "#858686";
+exports.cardInteractiveRestBorderColourNeutralInverseGreen = "#858686";
+exports.cardInteractiveRestBorderColourNeutralInverseRed = "#858686";
+exports.cardInteractiveRestBorderColourNeutralInverseYellow = "#858686";
+exports.cardInteractiveRestBorderColourSubtleBlue = "#1d1d1b";
+exports.cardInteractiveRestBorderColourSubtleGreen = "#1d1d1b";
+exports.cardInteractiveRestBorderColourSubtleRed = "#1d1d1b";
+exports.cardInteractiveRestBorderColourSubtleYellow = "#1d1d1b";
+exports.cardInteractiveRestBorderColourBoldBlue = "#f4f4f4";
+exports.cardInteractiveRestBorderColourBoldGreen = "#f4f4f4";
+exports.cardInteractiveRestBorderColourBoldRed = "#f4f4f4";
+exports.cardInteractiveRestBorderColourBoldYellow = "#1d1d1b";
+exports.cardInteractiveRestBorderWidthNeutralBlue = 1;
+exports.cardInteractiveRestBorderWidthNeutralGreen = 1;
+exports.cardInteractiveRestBorderWidthNeutralRed = 1;
+exports.cardInteractiveRestBorderWidthNeutralYellow = 1;
+exports.cardInteractiveRestBorderWidthNeutralInverseBlue = 1;
+exports.cardInteractiveRestBorderWidthNeutralInverseGreen = 1;
+exports.cardInteractiveRestBorderWidthNeutralInverseRed = 1;
+exports.cardInteractiveRestBorderWidthNeutralInverseYellow = 1;
+exports.cardInteractiveRestBorderWidthSubtleBlue = 1;
+exports.cardInteractiveRestBorderWidthSubtleGreen = 1;
+exports.cardInteractiveRestBorderWidthSubtleRed = 1;
+exports.cardInteractiveRestBorderWidthSubtleYellow = 1;
+exports.cardInteractiveRestBorderWidthBoldBlue = 1;
+exports.cardInteractiveRestBorderWidthBoldGreen = 1;
+exports.cardInteractiveRestBorderWidthBoldRed = 1;
+exports.cardInteractiveRestBorderWidthBoldYellow = 1;
+exports.cardInteractiveHoverColourNeutralBlue = "#1d1d1b";
+exports.cardInteractiveHoverColourNeutralGreen = "#1d1d1b";
+exports.cardInteractiveHoverColourNeutralRed = "#1d1d1b";
+exports.cardInteractiveHoverColourNeutralYellow = "#000000";
+exports.cardInteractiveHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.cardInteractiveHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.cardInteractiveHoverColourNeutralInverseRed = "#1d1d1b";
+exports.cardInteractiveHoverColourNeutralInverseYellow = "#000000";
+exports.cardInteractiveHoverColourSubtleBlue = "#1d1d1b";
+exports.cardInteractiveHoverColourSubtleGreen = "#1d1d1b";
+exports.cardInteractiveHoverColourSubtleRed = "#1d1d1b";
+exports.cardInteractiveHoverColourSubtleYellow = "#000000";
+exports.cardInteractiveHoverColourBoldBlue = "#1d1d1b";
+exports.cardInteractiveHoverColourBoldGreen = "#1d1d1b";
+exports.cardInteractiveHoverColourBoldRed = "#1d1d1b";
+exports.cardInteractiveHoverColourBoldYellow = "#000000";
+exports.cardInteractiveHoverBackgroundColourNeutralBlue = "#aee1f7";
+exports.cardInteractiveHoverBackgroundColourNeutralGreen = "#caeedd";
+exports.cardInteractiveHoverBackgroundColourNeutralRed = "#ffd5d2";
+exports.cardInteractiveHoverBackgroundColourNeutralYellow = "#fff9c7";
+exports.cardInteractiveHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.cardInteractiveHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.cardInteractiveHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.cardInteractiveHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.cardInteractiveHoverBackgroundColourSubtleBlue = "#42aeea";
+exports.cardInteractiveHoverBackgroundColourSubtleGreen = "#43af6e";
+exports.cardInteractiveHoverBackgroundColourSubtleRed = "#ff3e51";
+exports.cardInteractiveHoverBackgroundColourSubtleYellow = "#ffe969";
+exports.cardInteractiveHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.cardInteractiveHoverBackgroundColourBoldGreen = "#caeedd";
+exports.cardInteractiveHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.cardInteractiveHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.cardInteractiveHoverBorderColourNeutralBlue = "#001d6e";
+exports.cardInteractiveHoverBorderColourNeutralGreen = "#01312e";
+exports.cardInteractiveHoverBorderColourNeutralRed = "#480411";
+exports.cardInteractiveHoverBorderColourNeutralYellow = "#572722";
+exports.cardInteractiveHoverBorderColourNeutralInverseBlue = "#001d6e";
+exports.cardInteractiveHoverBorderColourNeutralInverseGreen = "#01312e";
+exports.cardInteractiveHoverBorderColourNeutralInverseRed = "#480411";
+exports.cardInteractiveHoverBorderColourNeutralInverseYellow = "#572722";
+exports.cardInteractiveHoverBorderColourSubtleBlue = "#001d6e";
+exports.cardInteractiveHoverBorderColourSubtleGreen = "#01312e";
+exports.cardInteractiveHoverBorderColourSubtleRed = "#480411";
+exports.cardInteractiveHoverBorderColourSubtleYellow = "#572722";
+exports.cardInteractiveHoverBorderColourBoldBlue = "#001d6e";
+exports.cardInteractiveHoverBorderColourBoldGreen = "#01312e";
+exports.cardInteractiveHoverBorderColourBoldRed = "#480411";
+exports.cardInteractiveHoverBorderColourBoldYellow = "#572722";
+exports.cardInteractiveHoverBorderWidthNeutralBlue = 3;
+exports.cardInteractiveHoverBorderWidthNeutralGreen = 3;
+exports.cardInteractiveHoverBorderWidthNeutralRed = 3;
+exports.cardInteractiveHoverBorderWidthNeutralYellow = 3;
+exports.cardInteractiveHoverBorderWidthNeutralInverseBlue = 3;
+exports.cardInteractiveHoverBorderWidthNeutralInverseGreen = 3;
+exports.cardInteractiveHoverBorderWidthNeutralInverseRed = 3;
+exports.cardInteractiveHoverBorderWidthNeutralInverseYellow = 3;
+exports.cardInteractiveHoverBorderWidthSubtleBlue = 3;
+exports.cardInteractiveHoverBorderWidthSubtleGreen = 3;
+exports.cardInteractiveHoverBorderWidthSubtleRed = 3;
+exports.cardInteractiveHoverBorderWidthSubtleYellow = 3;
+exports.cardInteractiveHoverBorderWidthBoldBlue = 3;
+exports.cardInteractiveHoverBorderWidthBoldGreen = 3;
+exports.cardInteractiveHoverBorderWidthBoldRed = 3;
+exports.cardInteractiveHoverBorderWidthBoldYellow = 3;
+exports.cardInteractiveHoverPaddingRightNeutralBlue = 20;
+exports.cardInteractiveHoverPaddingRightNeutralGreen = 20;
+exports.cardInteractiveHoverPaddingRightNeutralRed = 20;
+exports.cardInteractiveHoverPaddingRightNeutralYellow = 20;
+exports.cardInteractiveHoverPaddingRightNeutralInverseBlue = 20;
+exports.cardInteractiveHoverPaddingRightNeutralInverseGreen = 20;
+exports.cardInteractiveHoverPaddingRightNeutralInverseRed = 20;
+exports.cardInteractiveHoverPaddingRightNeutralInverseYellow = 20;
+exports.cardInteractiveHoverPaddingRightSubtleBlue = 20;
+exports.cardInteractiveHoverPaddingRightSubtleGreen = 20;
+exports.cardInteractiveHoverPaddingRightSubtleRed = 20;
+exports.cardInteractiveHoverPaddingRightSubtleYellow = 20;
+exports.cardInteractiveHoverPaddingRightBoldBlue = 20;
+exports.cardInteractiveHoverPaddingRightBoldGreen = 20;
+exports.cardInteractiveHoverPaddingRightBoldRed = 20;
+exports.cardInteractiveHoverPaddingRightBoldYellow = 20;
+exports.cardInteractiveActiveColourNeutralBlue = "#ffffff";
+exports.cardInteractiveActiveColourNeutralGreen = "#ffffff";
+exports.cardInteractiveActiveColourNeutralRed = "#ffffff";
+exports.cardInteractiveActiveColourNeutralYellow = "#1d1d1b";
+exports.cardInteractiveActiveColourNeutralInverseBlue = "#ffffff";
+exports.cardInteractiveActiveColourNeutralInverseGreen = "#ffffff";
+exports.cardInteractiveActiveColourNeutralInverseRed = "#ffffff";
+exports.cardInteractiveActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.cardInteractiveActiveColourSubtleBlue = "#ffffff";
+exports.cardInteractiveActiveColourSubtleGreen = "#ffffff";
+exports.cardInteractiveActiveColourSubtleRed = "#ffffff";
+exports.cardInteractiveActiveColourSubtleYellow = "#1d1d1b";
+exports.cardInteractiveActiveColourBoldBlue = "#1d1d1b";
+exports.cardInteractiveActiveColourBoldGreen = "#1d1d1b";
+exports.cardInteractiveActiveColourBoldRed = "#1d1d1b";
+exports.cardInteractiveActiveColourBoldYellow = "#000000";
+exports.cardInteractiveActiveBackgroundColourNeutralBlue = "#005dba";
+exports.cardInteractiveActiveBackgroundColourNeutralGreen = "#00633d";
+exports.cardInteractiveActiveBackgroundColourNeutralRed = "#c50b30";
+exports.cardInteractiveActiveBackgroundColourNeutralYellow = "#ffb600";
+exports.cardInteractiveActiveBackgroundColourNeutralInverseBlue = "#005dba";
+exports.cardInteractiveActiveBackgroundColourNeutralInverseGreen = "#00633d";
+exports.cardInteractiveActiveBackgroundColourNeutralInverseRed = "#c50b30";
+exports.cardInteractiveActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.cardInteractiveActiveBackgroundColourSubtleBlue = "#005dba";
+exports.cardInteractiveActiveBackgroundColourSubtleGreen = "#00633d";
+exports.cardInteractiveActiveBackgroundColourSubtleRed = "#c50b30";
+exports.cardInteractiveActiveBackgroundColourSubtleYellow = "#ffb600";
+exports.cardInteractiveActiveBackgroundColourBoldBlue = "#ffffff";
+exports.cardInteractiveActiveBackgroundColourBoldGreen = "#ffffff";
+exports.cardInteractiveActiveBackgroundColourBoldRed = "#ffffff";
+exports.cardInteractiveActiveBackgroundColourBoldYellow = "#ffffff";
+exports.cardInteractiveActiveBorderColourNeutralBlue = "#005dba";
+exports.cardInteractiveActiveBorderColourNeutralGreen = "#00633d";
+exports.cardInteractiveActiveBorderColourNeutralRed = "#c50b30";
+exports.cardInteractiveActiveBorderColourNeutralYellow = "#ffb600";
+exports.cardInteractiveActiveBorderColourNeutralInverseBlue = "#005dba";
+exports.cardInteractiveActiveBorderColourNeutralInverseGreen = "#00633d";
+exports.cardInteractiveActiveBorderColourNeutralInverseRed = "#c50b30";
+exports.cardInteractiveActiveBorderColourNeutralInverseYellow = "#ffb600";
+exports.cardInteractiveActiveBorderColourSubtleBlue = "#005dba";
+exports.cardInteractiveActiveBorderColourSubtleGreen = "#00633d";
+exports.cardInteractiveActiveBorderColourSubtleRed = "#c50b30";
+exports.cardInteractiveActiveBorderColourSubtleYellow = "#ffb600";
+exports.cardInteractiveActiveBorderColourBoldBlue = "#ffffff";
+exports.cardInteractiveActiveBorderColourBoldGreen = "#ffffff";
+exports.cardInteractiveActiveBorderColourBoldRed = "#ffffff";
+exports.cardInteractiveActiveBorderColourBoldYellow = "#ffffff";
+exports.cardInteractiveActiveBorderWidthNeutralBlue = 3;
+exports.cardInteractiveActiveBorderWidthNeutralGreen = 3;
+exports.cardInteractiveActiveBorderWidthNeutralRed = 3;
+exports.cardInteractiveActiveBorderWidthNeutralYellow = 3;
+exports.cardInteractiveActiveBorderWidthNeutralInverseBlue = 3;
+exports.cardInteractiveActiveBorderWidthNeutralInverseGreen = 3;
+exports.cardInteractiveActiveBorderWidthNeutralInverseRed = 3;
+exports.cardInteractiveActiveBorderWidthNeutralInverseYellow = 3;
+exports.cardInteractiveActiveBorderWidthSubtleBlue = 3;
+exports.cardInteractiveActiveBorderWidthSubtleGreen = 3;
+exports.cardInteractiveActiveBorderWidthSubtleRed = 3;
+exports.cardInteractiveActiveBorderWidthSubtleYellow = 3;
+exports.cardInteractiveActiveBorderWidthBoldBlue = 3;
+exports.cardInteractiveActiveBorderWidthBoldGreen = 3;
+exports.cardInteractiveActiveBorderWidthBoldRed = 3;
+exports.cardInteractiveActiveBorderWidthBoldYellow = 3;
+exports.cardInteractiveActivePaddingRightNeutralBlue = 20;
+exports.cardInteractiveActivePaddingRightNeutralGreen = 20;
+exports.cardInteractiveActivePaddingRightNeutralRed = 20;
+exports.cardInteractiveActivePaddingRightNeutralYellow = 20;
+exports.cardInteractiveActivePaddingRightNeutralInverseBlue = 20;
+exports.cardInteractiveActivePaddingRightNeutralInverseGreen = 20;
+exports.cardInteractiveActivePaddingRightNeutralInverseRed = 20;
+exports.cardInteractiveActivePaddingRightNeutralInverseYellow = 20;
+exports.cardInteractiveActivePaddingRightSubtleBlue = 20;
+exports.cardInteractiveActivePaddingRightSubtleGreen = 20;
+exports.cardInteractiveActivePaddingRightSubtleRed = 20;
+exports.cardInteractiveActivePaddingRightSubtleYellow = 20;
+exports.cardInteractiveActivePaddingRightBoldBlue = 20;
+exports.cardInteractiveActivePaddingRightBoldGreen = 20;
+exports.cardInteractiveActivePaddingRightBoldRed = 20;
+exports.cardInteractiveActivePaddingRightBoldYellow = 20;
+exports.cardInteractiveFocusColourNeutralBlue = "#005dba";
+exports.cardInteractiveFocusColourNeutralGreen = "#00633d";
+exports.cardInteractiveFocusColourNeutralRed = "#c50b30";
+exports.cardInteractiveFocusColourNeutralYellow = "#1d1d1b";
+exports.cardInteractiveFocusColourNeutralInverseBlue = "#005dba";
+exports.cardInteractiveFocusColourNeutralInverseGreen = "#00633d";
+exports.cardInteractiveFocusColourNeutralInverseRed = "#c50b30";
+exports.cardInteractiveFocusColourNeutralInverseYellow = "#1d1d1b";
+exports.cardInteractiveFocusColourSubtleBlue = "#005dba";
+exports.cardInteractiveFocusColourSubtleGreen = "#00633d";
+exports.cardInteractiveFocusColourSubtleRed = "#c50b30";
+exports.cardInteractiveFocusColourSubtleYellow = "#1d1d1b";
+exports.cardInteractiveFocusColourBoldBlue = "#f4f4f4";
+exports.cardInteractiveFocusColourBoldGreen = "#f4f4f4";
+exports.cardInteractiveFocusColourBoldRed = "#f4f4f4";
+exports.cardInteractiveFocusColourBoldYellow = "#1d1d1b";
+exports.cardInteractiveFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.cardInteractiveFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.cardInteractiveFocusBackgroundColourNeutralRed = "#ffffff";
+exports.cardInteractiveFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.cardInteractiveFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.cardInteractiveFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.cardInteractiveFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.cardInteractiveFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.cardInteractiveFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.cardInteractiveFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.cardInteractiveFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.cardInteractiveFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.cardInteractiveFocusBackgroundColourBoldBlue = "#005dba";
+exports.cardInteractiveFocusBackgroundColourBoldGreen = "#00633d";
+exports.cardInteractiveFocusBackgroundColourBoldRed = "#c50b30";
+exports.cardInteractiveFocusBackgroundColourBoldYellow = "#ffb600";
+exports.cardInteractiveFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourNeutralRed = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourNeutralYellow = "#000000";
+exports.cardInteractiveFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourNeutralInverseYellow = "#000000";
+exports.cardInteractiveFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourSubtleRed = "#1d1d1b";
+exports.cardInteractiveFocusBorderColourSubtleYellow = "#000000";
+exports.cardInteractiveFocusBorderColourBoldBlue = "#ffffff";
+exports.cardInteractiveFocusBorderColourBoldGreen = "#ffffff";
+exports.cardInteractiveFocusBorderColourBoldRed = "#ffffff";
+exports.cardInteractiveFocusBorderColourBoldYellow = "#1d1d1b";
+exports.cardInteractiveFocusBorderWidthNeutralBlue = 3;
+exports.cardInteractiveFocusBorderWidthNeutralGreen = 3;
+exports.cardInteractiveFocusBorderWidthNeutralRed = 3;
+exports.cardInteractiveFocusBorderWidthNeutralYellow = 3;
+exports.cardInteractiveFocusBorderWidthNeutralInverseBlue = 3;
+exports.cardInteractiveFocusBorderWidthNeutralInverseGreen = 3;
+exports.cardInteractiveFocusBorderWidthNeutralInverseRed = 3;
+exports.cardInteractiveFocusBorderWidthNeutralInverseYellow = 3;
+exports.cardInteractiveFocusBorderWidthSubtleBlue = 3;
+exports.cardInteractiveFocusBorderWidthSubtleGreen = 3;
+exports.cardInteractiveFocusBorderWidthSubtleRed = 3;
+exports.cardInteractiveFocusBorderWidthSubtleYellow = 3;
+exports.cardInteractiveFocusBorderWidthBoldBlue = 3;
+exports.cardInteractiveFocusBorderWidthBoldGreen = 3;
+exports.cardInteractiveFocusBorderWidthBoldRed = 3;
+exports.cardInteractiveFocusBorderWidthBoldYellow = 3;
+exports.headerContainerBackgroundColourNeutralBlue = "#ffffff";
+exports.headerContainerBackgroundColourNeutralGreen = "#ffffff";
+exports.headerContainerBackgroundColourNeutralRed = "#ffffff";
+exports.headerContainerBackgroundColourNeutralYellow = "#ffffff";
+exports.headerContainerBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.headerContainerBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.headerContainerBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.headerContainerBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.headerContainerBackgroundColourSubtleBlue = "#aee1f7";
+exports.headerContainerBackgroundColourSubtleGreen = "#caeedd";
+exports.headerContainerBackgroundColourSubtleRed = "#ffd5d2";
+exports.headerContainerBackgroundColourSubtleYellow = "#fff9c7";
+exports.headerContainerBackgroundColourBoldBlue = "#005dba";
+exports.headerContainerBackgroundColourBoldGreen = "#00633d";
+exports.headerContainerBackgroundColourBoldRed = "#c50b30";
+exports.headerContainerBackgroundColourBoldYellow = "#ffb600";
+exports.headerContainerGapNeutralBlue = 28;
+exports.headerContainerGapNeutralGreen = 28;
+exports.headerContainerGapNeutralRed = 28;
+exports.headerContainerGapNeutralYellow = 28;
+exports.headerContainerGapNeutralInverseBlue = 28;
+exports.headerContainerGapNeutralInverseGreen = 28;
+exports.headerContainerGapNeutralInverseRed = 28;
+exports.headerContainerGapNeutralInverseYellow = 28;
+exports.headerContainerGapSubtleBlue = 28;
+exports.headerContainerGapSubtleGreen = 28;
+exports.headerContainerGapSubtleRed = 28;
+exports.headerContainerGapSubtleYellow = 28;
+exports.headerContainerGapBoldBlue = 28;
+exports.headerContainerGapBoldGreen = 28;
+exports.headerContainerGapBoldRed = 28;
+exports.headerContainerGapBoldYellow = 28;
+exports.headerContainerLogoGapSmNeutralBlue = 16;
+exports.headerContainerLogoGapSmNeutralGreen = 16;
+exports.headerContainerLogoGapSmNeutralRed = 16;
+exports.headerContainerLogoGapSmNeutralYellow = 16;
+exports.headerContainerLogoGapSmNeutralInverseBlue = 16;
+exports.headerContainerLogoGapSmNeutralInverseGreen = 16;
+exports.headerContainerLogoGapSmNeutralInverseRed = 16;
+exports.headerContainerLogoGapSmNeutralInverseYellow = 16;
+exports.headerContainerLogoGapSmSubtleBlue = 16;
+exports.headerContainerLogoGapSmSubtleGreen = 16;
+exports.headerContainerLogoGapSmSubtleRed = 16;
+exports.headerContainerLogoGapSmSubtleYellow = 16;
+exports.headerContainerLogoGapSmBoldBlue = 16;
+exports.headerContainerLogoGapSmBoldGreen = 16;
+exports.headerContainerLogoGapSmBoldRed = 16;
+exports.headerContainerLogoGapSmBoldYellow = 16;
+exports.headerContainerLogoGapLgNeutralBlue = 20;
+exports.headerContainerLogoGapLgNeutralGreen = 20;
+exports.headerContainerLogoGapLgNeutralRed = 20;
+exports.headerContainerLogoGapLgNeutralYellow = 20;
+exports.headerContainerLogoGapLgNeutralInverseBlue = 20;
+exports.headerContainerLogoGapLgNeutralInverseGreen = 20;
+exports.headerContainerLogoGapLgNeutralInverseRed = 20;
+exports.headerContainerLogoGapLgNeutralInverseYellow = 20;
+exports.headerContainerLogoGapLgSubtleBlue = 20;
+exports.headerContainerLogoGapLgSubtleGreen = 20;
+exports.headerContainerLogoGapLgSubtleRed = 20;
+exports.headerContainerLogoGapLgSubtleYellow = 20;
+exports.headerContainerLogoGapLgBoldBlue = 20;
+exports.headerContainerLogoGapLgBoldGreen = 20;
+exports.headerContainerLogoGapLgBoldRed = 20;
+exports.headerContainerLogoGapLgBoldYellow = 20;
+exports.headerContainerMinWidthNeutralBlue = 320;
+exports.headerContainerMinWidthNeutralGreen = 320;
+exports.headerContainerMinWidthNeutralRed = 320;
+exports.headerContainerMinWidthNeutralYellow = 320;
+exports.headerContainerMinWidthNeutralInverseBlue = 320;
+exports.headerContainerMinWidthNeutralInverseGreen = 320;
+exports.headerContainerMinWidthNeutralInverseRed = 320;
+exports.headerContainerMinWidthNeutralInverseYellow = 320;
+exports.headerContainerMinWidthSubtleBlue = 320;
+exports.headerContainerMinWidthSubtleGreen = 320;
+exports.headerContainerMinWidthSubtleRed = 320;
+exports.headerContainerMinWidthSubtleYellow = 320;
+exports.headerContainerMinWidthBoldBlue = 320;
+exports.headerContainerMinWidthBoldGreen = 320;
+exports.headerContainerMinWidthBoldRed = 320;
+exports.headerContainerMinWidthBoldYellow = 320;
+exports.headerContainerPaddingXNeutralBlue = 16;
+exports.headerContainerPaddingXNeutralGreen = 16;
+exports.headerContainerPaddingXNeutralRed = 16;
+exports.headerContainerPaddingXNeutralYellow = 16;
+exports.headerContainerPaddingXNeutralInverseBlue = 16;
+exports.headerContainerPaddingXNeutralInverseGreen = 16;
+exports.headerContainerPaddingXNeutralInverseRed = 16;
+exports.headerContainerPaddingXNeutralInverseYellow = 16;
+exports.headerContainerPaddingXSubtleBlue = 16;
+exports.headerContainerPaddingXSubtleGreen = 16;
+exports.headerContainerPaddingXSubtleRed = 16;
+exports.headerContainerPaddingXSubtleYellow = 16;
+exports.headerContainerPaddingXBoldBlue = 16;
+exports.headerContainerPaddingXBoldGreen = 16;
+exports.headerContainerPaddingXBoldRed = 16;
+exports.headerContainerPaddingXBoldYellow = 16;
+exports.headerContainerPaddingYNeutralBlue = 8;
+exports.headerContainerPaddingYNeutralGreen = 8;
+exports.headerContainerPaddingYNeutralRed = 8;
+exports.headerContainerPaddingYNeutralYellow = 8;
+exports.headerContainerPaddingYNeutralInverseBlue = 8;
+exports.headerContainerPaddingYNeutralInverseGreen = 8;
+exports.headerContainerPaddingYNeutralInverseRed = 8;
+exports.headerContainerPaddingYNeutralInverseYellow = 8;
+exports.headerContainerPaddingYSubtleBlue = 8;
+exports.headerContainerPaddingYSubtleGreen = 8;
+exports.headerContainerPaddingYSubtleRed = 8;
+exports.headerContainerPaddingYSubtleYellow = 8;
+exports.headerContainerPaddingYBoldBlue = 8;
+exports.headerContainerPaddingYBoldGreen = 8;
+exports.headerContainerPaddingYBoldRed = 8;
+exports.headerContainerPaddingYBoldYellow = 8;
+exports.headerContainerMaxHeightNeutralBlue = 89;
+exports.headerContainerMaxHeightNeutralGreen = 89;
+exports.headerContainerMaxHeightNeutralRed = 89;
+exports.headerContainerMaxHeightNeutralYellow = 89;
+exports.headerContainerMaxHeightNeutralInverseBlue = 89;
+exports.headerContainerMaxHeightNeutralInverseGreen = 89;
+exports.headerContainerMaxHeightNeutralInverseRed = 89;
+exports.headerContainerMaxHeightNeutralInverseYellow = 89;
+exports.headerContainerMaxHeightSubtleBlue = 89;
+exports.headerContainerMaxHeightSubtleGreen = 89;
+exports.headerContainerMaxHeightSubtleRed = 89;
+exports.headerContainerMaxHeightSubtleYellow = 89;
+exports.headerContainerMaxHeightBoldBlue = 89;
+exports.headerContainerMaxHeightBoldGreen = 89;
+exports.headerContainerMaxHeightBoldRed = 89;
+exports.headerContainerMaxHeightBoldYellow = 89;
+exports.headerLogoContainerMaxWidthSmNeutralBlue = 165;
+exports.headerLogoContainerMaxWidthSmNeutralGreen = 165;
+exports.headerLogoContainerMaxWidthSmNeutralRed = 165;
+exports.headerLogoContainerMaxWidthSmNeutralYellow = 165;
+exports.headerLogoContainerMaxWidthSmNeutralInverseBlue = 165;
+exports.headerLogoContainerMaxWidthSmNeutralInverseGreen = 165;
+exports.headerLogoContainerMaxWidthSmNeutralInverseRed = 165;
+exports.headerLogoContainerMaxWidthSmNeutralInverseYellow = 165;
+exports.headerLogoContainerMaxWidthSmSubtleBlue = 165;
+exports.headerLogoContainerMaxWidthSmSubtleGreen = 165;
+exports.headerLogoContainerMaxWidthSmSubtleRed = 165;
+exports.headerLogoContainerMaxWidthSmSubtleYellow = 165;
+exports.headerLogoContainerMaxWidthSmBoldBlue = 165;
+exports.headerLogoContainerMaxWidthSmBoldGreen = 165;
+exports.headerLogoContainerMaxWidthSmBoldRed = 165;
+exports.headerLogoContainerMaxWidthSmBoldYellow = 165;
+exports.headerLogoContainerMaxHeightSmNeutralBlue = 44;
+exports.headerLogoContainerMaxHeightSmNeutralGreen = 44;
+exports.headerLogoContainerMaxHeightSmNeutralRed = 44;
+exports.headerLogoContainerMaxHeightSmNeutralYellow = 44;
+exports.headerLogoContainerMaxHeightSmNeutralInverseBlue = 44;
+exports.headerLogoContainerMaxHeightSmNeutralInverseGreen = 44;
+exports.headerLogoContainerMaxHeightSmNeutralInverseRed = 44;
+exports.headerLogoContainerMaxHeightSmNeutralInverseYellow = 44;
+exports.headerLogoContainerMaxHeightSmSubtleBlue = 44;
+exports.headerLogoContainerMaxHeightSmSubtleGreen = 44;
+exports.headerLogoContainerMaxHeightSmSubtleRed = 44;
+exports.headerLogoContainerMaxHeightSmSubtleYellow = 44;
+exports.headerLogoContainerMaxHeightSmBoldBlue = 44;
+exports.headerLogoContainerMaxHeightSmBoldGreen = 44;
+exports.headerLogoContainerMaxHeightSmBoldRed = 44;
+exports.headerLogoContainerMaxHeightSmBoldYellow = 44;
+exports.headerLogoContainerMaxHeightLgNeutralBlue = 64;
+exports.headerLogoContainerMaxHeightLgNeutralGreen = 64;
+exports.headerLogoContainerMaxHeightLgNeutralRed = 64;
+exports.headerLogoContainerMaxHeightLgNeutralYellow = 64;
+exports.headerLogoContainerMaxHeightLgNeutralInverseBlue = 64;
+exports.headerLogoContainerMaxHeightLgNeutralInverseGreen = 64;
+exports.headerLogoContainerMaxHeightLgNeutralInverseRed = 64;
+exports.headerLogoContainerMaxHeightLgNeutralInverseYellow = 64;
+exports.headerLogoContainerMaxHeightLgSubtleBlue = 64;
+exports.headerLogoContainerMaxHeightLgSubtleGreen = 64;
+exports.headerLogoContainerMaxHeightLgSubtleRed = 64;
+exports.headerLogoContainerMaxHeightLgSubtleYellow = 64;
+exports.headerLogoContainerMaxHeightLgBoldBlue = 64;
+exports.headerLogoContainerMaxHeightLgBoldGreen = 64;
+exports.headerLogoContainerMaxHeightLgBoldRed = 64;
+exports.headerLogoContainerMaxHeightLgBoldYellow = 64;
+exports.headerLogoContainerMaxWidthLgNeutralBlue = 232;
+exports.headerLogoContainerMaxWidthLgNeutralGreen = 232;
+exports.headerLogoContainerMaxWidthLgNeutralRed = 232;
+exports.headerLogoContainerMaxWidthLgNeutralYellow = 232;
+exports.headerLogoContainerMaxWidthLgNeutralInverseBlue = 232;
+exports.headerLogoContainerMaxWidthLgNeutralInverseGreen = 232;
+exports.headerLogoContainerMaxWidthLgNeutralInverseRed = 232;
+exports.headerLogoContainerMaxWidthLgNeutralInverseYellow = 232;
+exports.headerLogoContainerMaxWidthLgSubtleBlue = 232;
+exports.headerLogoContainerMaxWidthLgSubtleGreen = 232;
+exports.headerLogoContainerMaxWidthLgSubtleRed = 232;
+exports.headerLogoContainerMaxWidthLgSubtleYellow = 232;
+exports.headerLogoContainerMaxWidthLgBoldBlue = 232;
+exports.headerLogoContainerMaxWidthLgBoldGreen = 232;
+exports.headerLogoContainerMaxWidthLgBoldRed = 232;
+exports.headerLogoContainerMaxWidthLgBoldYellow = 232;
+exports.headerLogoContainerPaddingBottomLgNeutralBlue = 12;
+exports.headerLogoContainerPaddingBottomLgNeutralGreen = 12;
+exports.headerLogoContainerPaddingBottomLgNeutralRed = 12;
+exports.headerLogoContainerPaddingBottomLgNeutralYellow = 12;
+exports.headerLogoContainerPaddingBottomLgNeutralInverseBlue = 12;
+exports.headerLogoContainerPaddingBottomLgNeutralInverseGreen = 12;
+exports.headerLogoContainerPaddingBottomLgNeutralInverseRed = 12;
+exports.headerLogoContainerPaddingBottomLgNeutralInverseYellow = 12;
+exports.headerLogoContainerPaddingBottomLgSubtleBlue = 12;
+exports.headerLogoContainerPaddingBottomLgSubtleGreen = 12;
+exports.headerLogoContainerPaddingBottomLgSubtleRed = 12;
+exports.headerLogoContainerPaddingBottomLgSubtleYellow = 12;
+exports.headerLogoContainerPaddingBottomLgBoldBlue = 12;
+exports.headerLogoContainerPaddingBottomLgBoldGreen = 12;
+exports.headerLogoContainerPaddingBottomLgBoldRed = 12;
+exports.headerLogoContainerPaddingBottomLgBoldYellow = 12;
+exports.headerLogoContainerPaddingBottomSmNeutralBlue = 8;
+exports.headerLogoContainerPaddingBottomSmNeutralGreen = 8;
+exports.headerLogoContainerPaddingBottomSmNeutralRed = 8;
+exports.headerLogoContainerPaddingBottomSmNeutralYellow = 8;
+exports.headerLogoContainerPaddingBottomSmNeutralInverseBlue = 8;
+exports.headerLogoContainerPaddingBottomSmNeutralInverseGreen = 8;
+exports.headerLogoContainerPaddingBottomSmNeutralInverseRed = 8;
+exports.headerLogoContainerPaddingBottomSmNeutralInverseYellow = 8;
+exports.headerLogoContainerPaddingBottomSmSubtleBlue = 8;
+exports.headerLogoContainerPaddingBottomSmSubtleGreen = 8;
+exports.headerLogoContainerPaddingBottomSmSubtleRed = 8;
+exports.headerLogoContainerPaddingBottomSmSubtleYellow = 8;
+exports.headerLogoContainerPaddingBottomSmBoldBlue = 8;
+exports.headerLogoContainerPaddingBottomSmBoldGreen = 8;
+exports.headerLogoContainerPaddingBottomSmBoldRed = 8;
+exports.headerLogoContainerPaddingBottomSmBoldYellow = 8;
+exports.headerLogoPrimaryMaxHeightSmNeutralBlue = 36;
+exports.headerLogoPrimaryMaxHeightSmNeutralGreen = 36;
+exports.headerLogoPrimaryMaxHeightSmNeutralRed = 36;
+exports.headerLogoPrimaryMaxHeightSmNeutralYellow = 36;
+exports.headerLogoPrimaryMaxHeightSmNeutralInverseBlue = 36;
+exports.headerLogoPrimaryMaxHeightSmNeutralInverseGreen = 36;
+exports.headerLogoPrimaryMaxHeightSmNeutralInverseRed = 36;
+exports.headerLogoPrimaryMaxHeightSmNeutralInverseYellow = 36;
+exports.headerLogoPrimaryMaxHeightSmSubtleBlue = 36;
+exports.headerLogoPrimaryMaxHeightSmSubtleGreen = 36;
+exports.headerLogoPrimaryMaxHeightSmSubtleRed = 36;
+exports.headerLogoPrimaryMaxHeightSmSubtleYellow = 36;
+exports.headerLogoPrimaryMaxHeightSmBoldBlue = 36;
+exports.headerLogoPrimaryMaxHeightSmBoldGreen = 36;
+exports.headerLogoPrimaryMaxHeightSmBoldRed = 36;
+exports.headerLogoPrimaryMaxHeightSmBoldYellow = 36;
+exports.headerLogoPrimaryMaxHeightLgNeutralBlue = 52;
+exports.headerLogoPrimaryMaxHeightLgNeutralGreen = 52;
+exports.headerLogoPrimaryMaxHeightLgNeutralRed = 52;
+exports.headerLogoPrimaryMaxHeightLgNeutralYellow = 52;
+exports.headerLogoPrimaryMaxHeightLgNeutralInverseBlue = 52;
+exports.headerLogoPrimaryMaxHeightLgNeutralInverseGreen = 52;
+exports.headerLogoPrimaryMaxHeightLgNeutralInverseRed = 52;
+exports.headerLogoPrimaryMaxHeightLgNeutralInverseYellow = 52;
+exports.headerLogoPrimaryMaxHeightLgSubtleBlue = 52;
+exports.headerLogoPrimaryMaxHeightLgSubtleGreen = 52;
+exports.headerLogoPrimaryMaxHeightLgSubtleRed = 52;
+exports.headerLogoPrimaryMaxHeightLgSubtleYellow = 52;
+exports.headerLogoPrimaryMaxHeightLgBoldBlue = 52;
+exports.headerLogoPrimaryMaxHeightLgBoldGreen = 52;
+exports.headerLogoPrimaryMaxHeightLgBoldRed = 52;
+exports.headerLogoPrimaryMaxHeightLgBoldYellow = 52;
+exports.headerLogoSecondaryHeightSmNeutralBlue = 25;
+exports.headerLogoSecondaryHeightSmNeutralGreen = 25;
+exports.headerLogoSecondaryHeightSmNeutralRed = 25;
+exports.headerLogoSecondaryHeightSmNeutralYellow = 25;
+exports.headerLogoSecondaryHeightSmNeutralInverseBlue = 25;
+exports.headerLogoSecondaryHeightSmNeutralInverseGreen = 25;
+exports.headerLogoSecondaryHeightSmNeutralInverseRed = 25;
+exports.headerLogoSecondaryHeightSmNeutralInverseYellow = 25;
+exports.headerLogoSecondaryHeightSmSubtleBlue = 25;
+exports.headerLogoSecondaryHeightSmSubtleGreen = 25;
+exports.headerLogoSecondaryHeightSmSubtleRed = 25;
+exports.headerLogoSecondaryHeightSmSubtleYellow = 25;
+exports.headerLogoSecondaryHeightSmBoldBlue = 25;
+exports.headerLogoSecondaryHeightSmBoldGreen = 25;
+exports.headerLogoSecondaryHeightSmBoldRed = 25;
+exports.headerLogoSecondaryHeightSmBoldYellow = 25;
+exports.headerLogoSecondaryHeightLgNeutralBlue = 36;
+exports.headerLogoSecondaryHeightLgNeutralGreen = 36;
+exports.headerLogoSecondaryHeightLgNeutralRed = 36;
+exports.headerLogoSecondaryHeightLgNeutralYellow = 36;
+exports.headerLogoSecondaryHeightLgNeutralInverseBlue = 36;
+exports.headerLogoSecondaryHeightLgNeutralInverseGreen = 36;
+exports.headerLogoSecondaryHeightLgNeutralInverseRed = 36;
+exports.headerLogoSecondaryHeightLgNeutralInverseYellow = 36;
+exports.headerLogoSecondaryHeightLgSubtleBlue = 36;
+exports.headerLogoSecondaryHeightLgSubtleGreen = 36;
+exports.headerLogoSecondaryHeightLgSubtleRed = 36;
+exports.headerLogoSecondaryHeightLgSubtleYellow = 36;
+exports.headerLogoSecondaryHeightLgBoldBlue = 36;
+exports.headerLogoSecondaryHeightLgBoldGreen = 36;
+exports.headerLogoSecondaryHeightLgBoldRed = 36;
+exports.headerLogoSecondaryHeightLgBoldYellow = 36;
+exports.headerLogoSecondaryMaxWidthSmNeutralBlue = 84;
+exports.headerLogoSecondaryMaxWidthSmNeutralGreen = 84;
+exports.headerLogoSecondaryMaxWidthSmNeutralRed = 84;
+exports.headerLogoSecondaryMaxWidthSmNeutralYellow = 84;
+exports.headerLogoSecondaryMaxWidthSmNeutralInverseBlue = 84;
+exports.headerLogoSecondaryMaxWidthSmNeutralInverseGreen = 84;
+exports.headerLogoSecondaryMaxWidthSmNeutralInverseRed = 84;
+exports.headerLogoSecondaryMaxWidthSmNeutralInverseYellow = 84;
+exports.headerLogoSecondaryMaxWidthSmSubtleBlue = 84;
+exports.headerLogoSecondaryMaxWidthSmSubtleGreen = 84;
+exports.headerLogoSecondaryMaxWidthSmSubtleRed = 84;
+exports.headerLogoSecondaryMaxWidthSmSubtleYellow = 84;
+exports.headerLogoSecondaryMaxWidthSmBoldBlue = 84;
+exports.headerLogoSecondaryMaxWidthSmBoldGreen = 84;
+exports.headerLogoSecondaryMaxWidthSmBoldRed = 84;
+exports.headerLogoSecondaryMaxWidthSmBoldYellow = 84;
+exports.headerLogoSecondaryMaxWidthLgNeutralBlue = 120;
+exports.headerLogoSecondaryMaxWidthLgNeutralGreen = 120;
+exports.headerLogoSecondaryMaxWidthLgNeutralRed = 120;
+exports.headerLogoSecondaryMaxWidthLgNeutralYellow = 120;
+exports.headerLogoSecondaryMaxWidthLgNeutralInverseBlue = 120;
+exports.headerLogoSecondaryMaxWidthLgNeutralInverseGreen = 120;
+exports.headerLogoSecondaryMaxWidthLgNeutralInverseRed = 120;
+exports.headerLogoSecondaryMaxWidthLgNeutralInverseYellow = 120;
+exports.headerLogoSecondaryMaxWidthLgSubtleBlue = 120;
+exports.headerLogoSecondaryMaxWidthLgSubtleGreen = 120;
+exports.headerLogoSecondaryMaxWidthLgSubtleRed = 120;
+exports.headerLogoSecondaryMaxWidthLgSubtleYellow = 120;
+exports.headerLogoSecondaryMaxWidthLgBoldBlue = 120;
+exports.headerLogoSecondaryMaxWidthLgBoldGreen = 120;
+exports.headerLogoSecondaryMaxWidthLgBoldRed = 120;
+exports.headerLogoSecondaryMaxWidthLgBoldYellow = 120;
+exports.headerButtonPaddingDefaultXNeutralBlue = 12;
+exports.headerButtonPaddingDefaultXNeutralGreen = 12;
+exports.headerButtonPaddingDefaultXNeutralRed = 12;
+exports.headerButtonPaddingDefaultXNeutralYellow = 12;
+exports.headerButtonPaddingDefaultXNeutralInverseBlue = 12;
+exports.headerButtonPaddingDefaultXNeutralInverseGreen = 12;
+exports.headerButtonPaddingDefaultXNeutralInverseRed = 12;
+exports.headerButtonPaddingDefaultXNeutralInverseYellow = 12;
+exports.headerButtonPaddingDefaultXSubtleBlue = 12;
+exports.headerButtonPaddingDefaultXSubtleGreen = 12;
+exports.headerButtonPaddingDefaultXSubtleRed = 12;
+exports.headerButtonPaddingDefaultXSubtleYellow = 12;
+exports.headerButtonPaddingDefaultXBoldBlue = 12;
+exports.headerButtonPaddingDefaultXBoldGreen = 12;
+exports.headerButtonPaddingDefaultXBoldRed = 12;
+exports.headerButtonPaddingDefaultXBoldYellow = 12;
+exports.headerButtonPaddingSmallXNeutralBlue = 8;
+exports.headerButtonPaddingSmallXNeutralGreen = 8;
+exports.headerButtonPaddingSmallXNeutralRed = 8;
+exports.headerButtonPaddingSmallXNeutralYellow = 8;
+exports.headerButtonPaddingSmallXNeutralInverseBlue = 8;
+exports.headerButtonPaddingSmallXNeutralInverseGreen = 8;
+exports.headerButtonPaddingSmallXNeutralInverseRed = 8;
+exports.headerButtonPaddingSmallXNeutralInverseYellow = 8;
+exports.headerButtonPaddingSmallXSubtleBlue = 8;
+exports.headerButtonPaddingSmallXSubtleGreen = 8;
+exports.headerButtonPaddingSmallXSubtleRed = 8;
+exports.headerButtonPaddingSmallXSubtleYellow = 8;
+exports.headerButtonPaddingSmallXBoldBlue = 8;
+exports.headerButtonPaddingSmallXBoldGreen = 8;
+exports.headerButtonPaddingSmallXBoldRed = 8;
+exports.headerButtonPaddingSmallXBoldYellow = 8;
+exports.headerButtonPaddingYNeutralBlue = 12;
+exports.headerButtonPaddingYNeutralGreen = 12;
+exports.headerButtonPaddingYNeutralRed = 12;
+exports.headerButtonPaddingYNeutralYellow = 12;
+exports.headerButtonPaddingYNeutralInverseBlue = 12;
+exports.headerButtonPaddingYNeutralInverseGreen = 12;
+exports.headerButtonPaddingYNeutralInverseRed = 12;
+exports.headerButtonPaddingYNeutralInverseYellow = 12;
+exports.headerButtonPaddingYSubtleBlue = 12;
+exports.headerButtonPaddingYSubtleGreen = 12;
+exports.headerButtonPaddingYSubtleRed = 12;
+exports.headerButtonPaddingYSubtleYellow = 12;
+exports.headerButtonPaddingYBoldBlue = 12;
+exports.headerButtonPaddingYBoldGreen = 12;
+exports.headerButtonPaddingYBoldRed = 12;
+exports.headerButtonPaddingYBoldYellow = 12;
+exports.headerButtonBorderRadiusNeutralBlue = 12;
+exports.headerButtonBorderRadiusNeutralGreen = 12;
+exports.headerButtonBorderRadiusNeutralRed = 12;
+exports.headerButtonBorderRadiusNeutralYellow = 12;
+exports.headerButtonBorderRadiusNeutralInverseBlue = 12;
+exports.headerButtonBorderRadiusNeutralInverseGreen = 12;
+exports.headerButtonBorderRadiusNeutralInverseRed = 12;
+exports.headerButtonBorderRadiusNeutralInverseYellow = 12;
+exports.headerButtonBorderRadiusSubtleBlue = 12;
+exports.headerButtonBorderRadiusSubtleGreen = 12;
+exports.headerButtonBorderRadiusSubtleRed = 12;
+exports.headerButtonBorderRadiusSubtleYellow = 12;
+exports.headerButtonBorderRadiusBoldBlue = 12;
+exports.headerButtonBorderRadiusBoldGreen = 12;
+exports.headerButtonBorderRadiusBoldRed = 12;
+exports.headerButtonBorderRadiusBoldYellow = 12;
+exports.headerButtonBorderWidthFocusNeutralBlue = 3;
+exports.headerButtonBorderWidthFocusNeutralGreen = 3;
+exports.headerButtonBorderWidthFocusNeutralRed = 3;
+exports.headerButtonBorderWidthFocusNeutralYellow = 3;
+exports.headerButtonBorderWidthFocusNeutralInverseBlue = 3;
+exports.headerButtonBorderWidthFocusNeutralInverseGreen = 3;
+exports.headerButtonBorderWidthFocusNeutralInverseRed = 3;
+exports.headerButtonBorderWidthFocusNeutralInverseYellow = 3;
+exports.headerButtonBorderWidthFocusSubtleBlue = 3;
+exports.headerButtonBorderWidthFocusSubtleGreen = 3;
+exports.headerButtonBorderWidthFocusSubtleRed = 3;
+exports.headerButtonBorderWidthFocusSubtleYellow = 3;
+exports.headerButtonBorderWidthFocusBoldBlue = 3;
+exports.headerButtonBorderWidthFocusBoldGreen = 3;
+exports.headerButtonBorderWidthFocusBoldRed = 3;
+exports.headerButtonBorderWidthFocusBoldYellow = 3;
+exports.headerButtonIconSizeNeutralBlue = 24;
+exports.headerButtonIconSizeNeutralGreen = 24;
+exports.headerButtonIconSizeNeutralRed = 24;
+exports.headerButtonIconSizeNeutralYellow = 24;
+exports.headerButtonIconSizeNeutralInverseBlue = 24;
+exports.headerButtonIconSizeNeutralInverseGreen = 24;
+exports.headerButtonIconSizeNeutralInverseRed = 24;
+exports.headerButtonIconSizeNeutralInverseYellow = 24;
+exports.headerButtonIconSizeSubtleBlue = 24;
+exports.headerButtonIconSizeSubtleGreen = 24;
+exports.headerButtonIconSizeSubtleRed = 24;
+exports.headerButtonIconSizeSubtleYellow = 24;
+exports.headerButtonIconSizeBoldBlue = 24;
+exports.headerButtonIconSizeBoldGreen = 24;
+exports.headerButtonIconSizeBoldRed = 24;
+exports.headerButtonIconSizeBoldYellow = 24;
+exports.headerButtonGapNeutralBlue = 8;
+exports.headerButtonGapNeutralGreen = 8;
+exports.headerButtonGapNeutralRed = 8;
+exports.headerButtonGapNeutralYellow = 8;
+exports.headerButtonGapNeutralInverseBlue = 8;
+exports.headerButtonGapNeutralInverseGreen = 8;
+exports.headerButtonGapNeutralInverseRed = 8;
+exports.headerButtonGapNeutralInverseYellow = 8;
+exports.headerButtonGapSubtleBlue = 8;
+exports.headerButtonGapSubtleGreen = 8;
+exports.headerButtonGapSubtleRed = 8;
+exports.headerButtonGapSubtleYellow = 8;
+exports.headerButtonGapBoldBlue = 8;
+exports.headerButtonGapBoldGreen = 8;
+exports.headerButtonGapBoldRed = 8;
+exports.headerButtonGapBoldYellow = 8;
+exports.headerButtonTextLabelHeightNeutralBlue = 22;
+exports.headerButtonTextLabelHeightNeutralGreen = 22;
+exports.headerButtonTextLabelHeightNeutralRed = 22;
+exports.headerButtonTextLabelHeightNeutralYellow = 22;
+exports.headerButtonTextLabelHeightNeutralInverseBlue = 22;
+exports.headerButtonTextLabelHeightNeutralInverseGreen = 22;
+exports.headerButtonTextLabelHeightNeutralInverseRed = 22;
+exports.headerButtonTextLabelHeightNeutralInverseYellow = 22;
+exports.headerButtonTextLabelHeightSubtleBlue = 22;
+exports.headerButtonTextLabelHeightSubtleGreen = 22;
+exports.headerButtonTextLabelHeightSubtleRed = 22;
+exports.headerButtonTextLabelHeightSubtleYellow = 22;
+exports.headerButtonTextLabelHeightBoldBlue = 22;
+exports.headerButtonTextLabelHeightBoldGreen = 22;
+exports.headerButtonTextLabelHeightBoldRed = 22;
+exports.headerButtonTextLabelHeightBoldYellow = 22;
+exports.headerButtonTextIconLabelHeightNeutralBlue = 14;
+exports.headerButtonTextIconLabelHeightNeutralGreen = 14;
+exports.headerButtonTextIconLabelHeightNeutralRed = 14;
+exports.headerButtonTextIconLabelHeightNeutralYellow = 14;
+exports.headerButtonTextIconLabelHeightNeutralInverseBlue = 14;
+exports.headerButtonTextIconLabelHeightNeutralInverseGreen = 14;
+exports.headerButtonTextIconLabelHeightNeutralInverseRed = 14;
+exports.headerButtonTextIconLabelHeightNeutralInverseYellow = 14;
+exports.headerButtonTextIconLabelHeightSubtleBlue = 14;
+exports.headerButtonTextIconLabelHeightSubtleGreen = 14;
+exports.headerButtonTextIconLabelHeightSubtleRed = 14;
+exports.headerButtonTextIconLabelHeightSubtleYellow = 14;
+exports.headerButtonTextIconLabelHeightBoldBlue = 14;
+exports.headerButtonTextIconLabelHeightBoldGreen = 14;
+exports.headerButtonTextIconLabelHeightBoldRed = 14;
+exports.headerButtonTextIconLabelHeightBoldYellow = 14;
+exports.headerButtonMinHeightNeutralBlue = 48;
+exports.headerButtonMinHeightNeutralGreen = 48;
+exports.headerButtonMinHeightNeutralRed = 48;
+exports.headerButtonMinHeightNeutralYellow = 48;
+exports.headerButtonMinHeightNeutralInverseBlue = 48;
+exports.headerButtonMinHeightNeutralInverseGreen = 48;
+exports.headerButtonMinHeightNeutralInverseRed = 48;
+exports.headerButtonMinHeightNeutralInverseYellow = 48;
+exports.headerButtonMinHeightSubtleBlue = 48;
+exports.headerButtonMinHeightSubtleGreen = 48;
+exports.headerButtonMinHeightSubtleRed = 48;
+exports.headerButtonMinHeightSubtleYellow = 48;
+exports.headerButtonMinHeightBoldBlue = 48;
+exports.headerButtonMinHeightBoldGreen = 48;
+exports.headerButtonMinHeightBoldRed = 48;
+exports.headerButtonMinHeightBoldYellow = 48;
+exports.headerButtonMinWidthNeutralBlue = 48;
+exports.headerButtonMinWidthNeutralGreen = 48;
+exports.headerButtonMinWidthNeutralRed = 48;
+exports.headerButtonMinWidthNeutralYellow = 48;
+exports.headerButtonMinWidthNeutralInverseBlue = 48;
+exports.headerButtonMinWidthNeutralInverseGreen = 48;
+exports.headerButtonMinWidthNeutralInverseRed = 48;
+exports.headerButtonMinWidthNeutralInverseYellow = 48;
+exports.headerButtonMinWidthSubtleBlue = 48;
+exports.headerButtonMinWidthSubtleGreen = 48;
+exports.headerButtonMinWidthSubtleRed = 48;
+exports.headerButtonMinWidthSubtleYellow = 48;
+exports.headerButtonMinWidthBoldBlue = 48;
+exports.headerButtonMinWidthBoldGreen = 48;
+exports.headerButtonMinWidthBoldRed = 48;
+exports.headerButtonMinWidthBoldYellow = 48;
+exports.headerButtonRestBackgroundColourNeutralBlue = "#ffffff";
+exports.headerButtonRestBackgroundColourNeutralGreen = "#ffffff";
+exports.headerButtonRestBackgroundColourNeutralRed = "#ffffff";
+exports.headerButtonRestBackgroundColourNeutralYellow = "#ffffff";
+exports.headerButtonRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.headerButtonRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.headerButtonRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.headerButtonRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.headerButtonRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.headerButtonRestBackgroundColourSubtleGreen = "#caeedd";
+exports.headerButtonRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.headerButtonRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.headerButtonRestBackgroundColourBoldBlue = "#005dba";
+exports.headerButtonRestBackgroundColourBoldGreen = "#00633d";
+exports.headerButtonRestBackgroundColourBoldRed = "#c50b30";
+exports.headerButtonRestBackgroundColourBoldYellow = "#ffb600";
+exports.headerButtonRestColourNeutralBlue = "#1d1d1b";
+exports.headerButtonRestColourNeutralGreen = "#1d1d1b";
+exports.headerButtonRestColourNeutralRed = "#1d1d1b";
+exports.headerButtonRestColourNeutralYellow = "#000000";
+exports.headerButtonRestColourNeutralInverseBlue = "#1d1d1b";
+exports.headerButtonRestColourNeutralInverseGreen = "#1d1d1b";
+exports.headerButtonRestColourNeutralInverseRed = "#1d1d1b";
+exports.headerButtonRestColourNeutralInverseYellow = "#000000";
+exports.headerButtonRestColourSubtleBlue = "#1d1d1b";
+exports.headerButtonRestColourSubtleGreen = "#1d1d1b";
+exports.headerButtonRestColourSubtleRed = "#1d1d1b";
+exports.headerButtonRestColourSubtleYellow = "#000000";
+exports.headerButtonRestColourBoldBlue = "#ffffff";
+exports.headerButtonRestColourBoldGreen = "#ffffff";
+exports.headerButtonRestColourBoldRed = "#ffffff";
+exports.headerButtonRestColourBoldYellow = "#1d1d1b";
+exports.headerButtonRestHoverIndicatorNeutralBlue = "#ffffff";
+exports.headerButtonRestHoverIndicatorNeutralGreen = "#ffffff";
+exports.headerButtonRestHoverIndicatorNeutralRed = "#ffffff";
+exports.headerButtonRestHoverIndicatorNeutralYellow = "#ffffff";
+exports.headerButtonRestHoverIndicatorNeutralInverseBlue = "#f4f4f4";
+exports.headerButtonRestHoverIndicatorNeutralInverseGreen = "#f4f4f4";
+exports.headerButtonRestHoverIndicatorNeutralInverseRed = "#f4f4f4";
+exports.headerButtonRestHoverIndicatorNeutralInverseYellow = "#f4f4f4";
+exports.headerButtonRestHoverIndicatorSubtleBlue = "#aee1f7";
+exports.headerButtonRestHoverIndicatorSubtleGreen = "#caeedd";
+exports.headerButtonRestHoverIndicatorSubtleRed = "#ffd5d2";
+exports.headerButtonRestHoverIndicatorSubtleYellow = "#fff9c7";
+exports.headerButtonRestHoverIndicatorBoldBlue = "#005dba";
+exports.headerButtonRestHoverIndicatorBoldGreen = "#00633d";
+exports.headerButtonRestHoverIndicatorBoldRed = "#c50b30";
+exports.headerButtonRestHoverIndicatorBoldYellow = "#ffb600";
+exports.headerButtonHoverBackgroundColourNeutralBlue = "#aee1f7";
+exports.headerButtonHoverBackgroundColourNeutralGreen = "#caeedd";
+exports.headerButtonHoverBackgroundColourNeutralRed = "#ffd5d2";
+exports.headerButtonHoverBackgroundColourNeutralYellow = "#fff9c7";
+exports.headerButtonHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.headerButtonHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.headerButtonHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.headerButtonHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.headerButtonHoverBackgroundColourSubtleBlue = "#42aeea";
+exports.headerButtonHoverBackgroundColourSubtleGreen = "#43af6e";
+exports.headerButtonHoverBackgroundColourSubtleRed = "#ff3e51";
+exports.headerButtonHoverBackgroundColourSubtleYellow = "#ffe969";
+exports.headerButtonHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.headerButtonHoverBackgroundColourBoldGreen = "#caeedd";
+exports.headerButtonHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.headerButtonHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.headerButtonHoverColourNeutralBlue = "#1d1d1b";
+exports.headerButtonHoverColourNeutralGreen = "#1d1d1b";
+exports.headerButtonHoverColourNeutralRed = "#1d1d1b";
+exports.headerButtonHoverColourNeutralYellow = "#000000";
+exports.headerButtonHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.headerButtonHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.headerButtonHoverColourNeutralInverseRed = "#1d1d1b";
+exports.headerButtonHoverColourNeutralInverseYellow = "#000000";
+exports.headerButtonHoverColourSubtleBlue = "#1d1d1b";
+exports.headerButtonHoverColourSubtleGreen = "#1d1d1b";
+exports.headerButtonHoverColourSubtleRed = "#1d1d1b";
+exports.headerButtonHoverColourSubtleYellow = "#000000";
+exports.headerButtonHoverColourBoldBlue = "#1d1d1b";
+exports.headerButtonHoverColourBoldGreen = "#1d1d1b";
+exports.headerButtonHoverColourBoldRed = "#1d1d1b";
+exports.headerButtonHoverColourBoldYellow = "#000000";
+exports.headerButtonHoverHoverIndicatorNeutralBlue = "#001d6e";
+exports.headerButtonHoverHoverIndicatorNeutralGreen = "#01312e";
+exports.headerButtonHoverHoverIndicatorNeutralRed = "#480411";
+exports.headerButtonHoverHoverIndicatorNeutralYellow = "#572722";
+exports.headerButtonHoverHoverIndicatorNeutralInverseBlue = "#001d6e";
+exports.headerButtonHoverHoverIndicatorNeutralInverseGreen = "#01312e";
+exports.headerButtonHoverHoverIndicatorNeutralInverseRed = "#480411";
+exports.headerButtonHoverHoverIndicatorNeutralInverseYellow = "#572722";
+exports.headerButtonHoverHoverIndicatorSubtleBlue = "#001d6e";
+exports.headerButtonHoverHoverIndicatorSubtleGreen = "#01312e";
+exports.headerButtonHoverHoverIndicatorSubtleRed = "#480411";
+exports.headerButtonHoverHoverIndicatorSubtleYellow = "#572722";
+exports.headerButtonHoverHoverIndicatorBoldBlue = "#001d6e";
+exports.headerButtonHoverHoverIndicatorBoldGreen = "#01312e";
+exports.headerButtonHoverHoverIndicatorBoldRed = "#480411";
+exports.headerButtonHoverHoverIndicatorBoldYellow = "#572722";
+exports.headerButtonActiveBackgroundColourNeutralBlue = "#005dba";
+exports.headerButtonActiveBackgroundColourNeutralGreen = "#00633d";
+exports.headerButtonActiveBackgroundColourNeutralRed = "#c50b30";
+exports.headerButtonActiveBackgroundColourNeutralYellow = "#ffb600";
+exports.headerButtonActiveBackgroundColourNeutralInverseBlue = "#005dba";
+exports.headerButtonActiveBackgroundColourNeutralInverseGreen = "#00633d";
+exports.headerButtonActiveBackgroundColourNeutralInverseRed = "#c50b30";
+exports.headerButtonActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.headerButtonActiveBackgroundColourSubtleBlue = "#005dba";
+exports.headerButtonActiveBackgroundColourSubtleGreen = "#00633d";
+exports.headerButtonActiveBackgroundColourSubtleRed = "#c50b30";
+exports.headerButtonActiveBackgroundColourSubtleYellow = "#ffb600";
+exports.headerButtonActiveBackgroundColourBoldBlue = "#ffffff";
+exports.headerButtonActiveBackgroundColourBoldGreen = "#ffffff";
+exports.headerButtonActiveBackgroundColourBoldRed = "#ffffff";
+exports.headerButtonActiveBackgroundColourBoldYellow = "#ffffff";
+exports.headerButtonActiveColourNeutralBlue = "#ffffff";
+exports.headerButtonActiveColourNeutralGreen = "#ffffff";
+exports.headerButtonActiveColourNeutralRed = "#ffffff";
+exports.headerButtonActiveColourNeutralYellow = "#1d1d1b";
+exports.headerButtonActiveColourNeutralInverseBlue = "#ffffff";
+exports.headerButtonActiveColourNeutralInverseGreen = "#ffffff";
+exports.headerButtonActiveColourNeutralInverseRed = "#ffffff";
+exports.headerButtonActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.headerButtonActiveColourSubtleBlue = "#ffffff";
+exports.headerButtonActiveColourSubtleGreen = "#ffffff";
+exports.headerButtonActiveColourSubtleRed = "#ffffff";
+exports.headerButtonActiveColourSubtleYellow = "#1d1d1b";
+exports.headerButtonActiveColourBoldBlue = "#1d1d1b";
+exports.headerButtonActiveColourBoldGreen = "#1d1d1b";
+exports.headerButtonActiveColourBoldRed = "#1d1d1b";
+exports.headerButtonActiveColourBoldYellow = "#000000";
+exports.headerButtonActiveHoverIndicatorNeutralBlue = "#005dba";
+exports.headerButtonActiveHoverIndicatorNeutralGreen = "#00633d";
+exports.headerButtonActiveHoverIndicatorNeutralRed = "#c50b30";
+exports.headerButtonActiveHoverIndicatorNeutralYellow = "#ffb600";
+exports.headerButtonActiveHoverIndicatorNeutralInverseBlue = "#005dba";
+exports.headerButtonActiveHoverIndicatorNeutralInverseGreen = "#00633d";
+exports.headerButtonActiveHoverIndicatorNeutralInverseRed = "#c50b30";
+exports.headerButtonActiveHoverIndicatorNeutralInverseYellow = "#ffb600";
+exports.headerButtonActiveHoverIndicatorSubtleBlue = "#005dba";
+exports.headerButtonActiveHoverIndicatorSubtleGreen = "#00633d";
+exports.headerButtonActiveHoverIndicatorSubtleRed = "#c50b30";
+exports.headerButtonActiveHoverIndicatorSubtleYellow = "#ffb600";
+exports.headerButtonActiveHoverIndicatorBoldBlue = "#ffffff";
+exports.headerButtonActiveHoverIndicatorBoldGreen = "#ffffff";
+exports.headerButtonActiveHoverIndicatorBoldRed = "#ffffff";
+exports.headerButtonActiveHoverIndicatorBoldYellow = "#ffffff";
+exports.headerButtonFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.headerButtonFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.headerButtonFocusBackgroundColourNeutralRed = "#ffffff";
+exports.headerButtonFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.headerButtonFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.headerButtonFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.headerButtonFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.headerButtonFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.headerButtonFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.headerButtonFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.headerButtonFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.headerButtonFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.headerButtonFocusBackgroundColourBoldBlue = "#005dba";
+exports.headerButtonFocusBackgroundColourBoldGreen = "#00633d";
+exports.headerButtonFocusBackgroundColourBoldRed = "#c50b30";
+exports.headerButtonFocusBackgroundColourBoldYellow = "#ffb600";
+exports.headerButtonFocusBorderColourNeutralBlue = "#ffffff";
+exports.headerButtonFocusBorderColourNeutralGreen = "#ffffff";
+exports.headerButtonFocusBorderColourNeutralRed = "#ffffff";
+exports.headerButtonFocusBorderColourNeutralYellow = "#ffffff";
+exports.headerButtonFocusBorderColourNeutralInverseBlue = "#f4f4f4";
+exports.headerButtonFocusBorderColourNeutralInverseGreen = "#f4f4f4";
+exports.headerButtonFocusBorderColourNeutralInverseRed = "#f4f4f4";
+exports.headerButtonFocusBorderColourNeutralInverseYellow = "#f4f4f4";
+exports.headerButtonFocusBorderColourSubtleBlue = "#aee1f7";
+exports.headerButtonFocusBorderColourSubtleGreen = "#caeedd";
+exports.headerButtonFocusBorderColourSubtleRed = "#ffd5d2";
+exports.headerButtonFocusBorderColourSubtleYellow = "#fff9c7";
+exports.headerButtonFocusBorderColourBoldBlue = "#005dba";
+exports.headerButtonFocusBorderColourBoldGreen = "#00633d";
+exports.headerButtonFocusBorderColourBoldRed = "#c50b30";
+exports.headerButtonFocusBorderColourBoldYellow = "#ffb600";
+exports.headerButtonFocusColourNeutralBlue = "#1d1d1b";
+exports.headerButtonFocusColourNeutralGreen = "#1d1d1b";
+exports.headerButtonFocusColourNeutralRed = "#1d1d1b";
+exports.headerButtonFocusColourNeutralYellow = "#000000";
+exports.headerButtonFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.headerButtonFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.headerButtonFocusColourNeutralInverseRed = "#1d1d1b";
+exports.headerButtonFocusColourNeutralInverseYellow = "#000000";
+exports.headerButtonFocusColourSubtleBlue = "#1d1d1b";
+exports.headerButtonFocusColourSubtleGreen = "#1d1d1b";
+exports.headerButtonFocusColourSubtleRed = "#1d1d1b";
+exports.headerButtonFocusColourSubtleYellow = "#000000";
+exports.headerButtonFocusColourBoldBlue = "#ffffff";
+exports.headerButtonFocusColourBoldGreen = "#ffffff";
+exports.headerButtonFocusColourBoldRed = "#ffffff";
+exports.headerButtonFocusColourBoldYellow = "#1d1d1b";
+exports.notificationBadgeBackgroundColourNeutralBlue = "#005dba";
+exports.notificationBadgeBackgroundColourNeutralGreen = "#00633d";
+exports.notificationBadgeBackgroundColourNeutralRed = "#c50b30";
+exports.notificationBadgeBackgroundColourNeutralYellow = "#ffb600";
+exports.notificationBadgeBackgroundColourNeutralInverseBlue = "#005dba";
+exports.notificationBadgeBackgroundColourNeutralInverseGreen = "#00633d";
+exports.notificationBadgeBackgroundColourNeutralInverseRed = "#c50b30";
+exports.notificationBadgeBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.notificationBadgeBackgroundColourSubtleBlue = "#005dba";
+exports.notificationBadgeBackgroundColourSubtleGreen = "#00633d";
+exports.notificationBadgeBackgroundColourSubtleRed = "#c50b30";
+exports.notificationBadgeBackgroundColourSubtleYellow = "#ffb600";
+exports.notificationBadgeBackgroundColourBoldBlue = "#ffffff";
+exports.notificationBadgeBackgroundColourBoldGreen = "#ffffff";
+exports.notificationBadgeBackgroundColourBoldRed = "#ffffff";
+exports.notificationBadgeBackgroundColourBoldYellow = "#ffffff";
+exports.notificationBadgeColourNeutralBlue = "#ffffff";
+exports.notificationBadgeColourNeutralGreen = "#ffffff";
+exports.notificationBadgeColourNeutralRed = "#ffffff";
+exports.notificationBadgeColourNeutralYellow = "#1d1d1b";
+exports.notificationBadgeColourNeutralInverseBlue = "#ffffff";
+exports.notificationBadgeColourNeutralInverseGreen = "#ffffff";
+exports.notificationBadgeColourNeutralInverseRed = "#ffffff";
+exports.notificationBadgeColourNeutralInverseYellow = "#1d1d1b";
+exports.notificationBadgeColourSubtleBlue = "#ffffff";
+exports.notificationBadgeColourSubtleGreen = "#ffffff";
+exports.notificationBadgeColourSubtleRed = "#ffffff";
+exports.notificationBadgeColourSubtleYellow = "#1d1d1b";
+exports.notificationBadgeColourBoldBlue = "#1d1d1b";
+exports.notificationBadgeColourBoldGreen = "#1d1d1b";
+exports.notificationBadgeColourBoldRed = "#1d1d1b";
+exports.notificationBadgeColourBoldYellow = "#1d1d1b";
+exports.notificationBadgeBorderRadiusNeutralBlue = 16;
+exports.notificationBadgeBorderRadiusNeutralGreen = 16;
+exports.notificationBadgeBorderRadiusNeutralRed = 16;
+exports.notificationBadgeBorderRadiusNeutralYellow = 16;
+exports.notificationBadgeBorderRadiusNeutralInverseBlue = 16;
+exports.notificationBadgeBorderRadiusNeutralInverseGreen = 16;
+exports.notificationBadgeBorderRadiusNeutralInverseRed = 16;
+exports.notificationBadgeBorderRadiusNeutralInverseYellow = 16;
+exports.notificationBadgeBorderRadiusSubtleBlue = 16;
+exports.notificationBadgeBorderRadiusSubtleGreen = 16;
+exports.notificationBadgeBorderRadiusSubtleRed = 16;
+exports.notificationBadgeBorderRadiusSubtleYellow = 16;
+exports.notificationBadgeBorderRadiusBoldBlue = 16;
+exports.notificationBadgeBorderRadiusBoldGreen = 16;
+exports.notificationBadgeBorderRadiusBoldRed = 16;
+exports.notificationBadgeBorderRadiusBoldYellow = 16;
+exports.notificationBadgeHeightNeutralBlue = 16;
+exports.notificationBadgeHeightNeutralGreen = 16;
+exports.notificationBadgeHeightNeutralRed = 16;
+exports.notificationBadgeHeightNeutralYellow = 16;
+exports.notificationBadgeHeightNeutralInverseBlue = 16;
+exports.notificationBadgeHeightNeutralInverseGreen = 16;
+exports.notificationBadgeHeightNeutralInverseRed = 16;
+exports.notificationBadgeHeightNeutralInverseYellow = 16;
+exports.notificationBadgeHeightSubtleBlue = 16;
+exports.notificationBadgeHeightSubtleGreen = 16;
+exports.notificationBadgeHeightSubtleRed = 16;
+exports.notificationBadgeHeightSubtleYellow = 16;
+exports.notificationBadgeHeightBoldBlue = 16;
+exports.notificationBadgeHeightBoldGreen = 16;
+exports.notificationBadgeHeightBoldRed = 16;
+exports.notificationBadgeHeightBoldYellow = 16;
+exports.notificationBadgeMinWidthNeutralBlue = 16;
+exports.notificationBadgeMinWidthNeutralGreen = 16;
+exports.notificationBadgeMinWidthNeutralRed = 16;
+exports.notificationBadgeMinWidthNeutralYellow = 16;
+exports.notificationBadgeMinWidthNeutralInverseBlue = 16;
+exports.notificationBadgeMinWidthNeutralInverseGreen = 16;
+exports.notificationBadgeMinWidthNeutralInverseRed = 16;
+exports.notificationBadgeMinWidthNeutralInverseYellow = 16;
+exports.notificationBadgeMinWidthSubtleBlue = 16;
+exports.notificationBadgeMinWidthSubtleGreen = 16;
+exports.notificationBadgeMinWidthSubtleRed = 16;
+exports.notificationBadgeMinWidthSubtleYellow = 16;
+exports.notificationBadgeMinWidthBoldBlue = 16;
+exports.notificationBadgeMinWidthBoldGreen = 16;
+exports.notificationBadgeMinWidthBoldRed = 16;
+exports.notificationBadgeMinWidthBoldYellow = 16;
+exports.notificationBadgePaddingNeutralBlue = 4;
+exports.notificationBadgePaddingNeutralGreen = 4;
+exports.notificationBadgePaddingNeutralRed = 4;
+exports.notificationBadgePaddingNeutralYellow = 4;
+exports.notificationBadgePaddingNeutralInverseBlue = 4;
+exports.notificationBadgePaddingNeutralInverseGreen = 4;
+exports.notificationBadgePaddingNeutralInverseRed = 4;
+exports.notificationBadgePaddingNeutralInverseYellow = 4;
+exports.notificationBadgePaddingSubtleBlue = 4;
+exports.notificationBadgePaddingSubtleGreen = 4;
+exports.notificationBadgePaddingSubtleRed = 4;
+exports.notificationBadgePaddingSubtleYellow = 4;
+exports.notificationBadgePaddingBoldBlue = 4;
+exports.notificationBadgePaddingBoldGreen = 4;
+exports.notificationBadgePaddingBoldRed = 4;
+exports.notificationBadgePaddingBoldYellow = 4;
+exports.dataPointGapNeutralBlue = 4;
+exports.dataPointGapNeutralGreen = 4;
+exports.dataPointGapNeutralRed = 4;
+exports.dataPointGapNeutralYellow = 4;
+exports.dataPointGapNeutralInverseBlue = 4;
+exports.dataPointGapNeutralInverseGreen = 4;
+exports.dataPointGapNeutralInverseRed = 4;
+exports.dataPointGapNeutralInverseYellow = 4;
+exports.dataPointGapSubtleBlue = 4;
+exports.dataPointGapSubtleGreen = 4;
+exports.dataPointGapSubtleRed = 4;
+exports.dataPointGapSubtleYellow = 4;
+exports.dataPointGapBoldBlue = 4;
+exports.dataPointGapBoldGreen = 4;
+exports.dataPointGapBoldRed = 4;
+exports.dataPointGapBoldYellow = 4;
+exports.dataPointLabelColourNeutralBlue = "#4d4f4f";
+exports.dataPointLabelColourNeutralGreen = "#4d4f4f";
+exports.dataPointLabelColourNeutralRed = "#4d4f4f";
+exports.dataPointLabelColourNeutralYellow = "#4d4f4f";
+exports.dataPointLabelColourNeutralInverseBlue = "#4d4f4f";
+exports.dataPointLabelColourNeutralInverseGreen = "#4d4f4f";
+exports.dataPointLabelColourNeutralInverseRed = "#4d4f4f";
+exports.dataPointLabelColourNeutralInverseYellow = "#4d4f4f";
+exports.dataPointLabelColourSubtleBlue = "#1d1d1b";
+exports.dataPointLabelColourSubtleGreen = "#1d1d1b";
+exports.dataPointLabelColourSubtleRed = "#1d1d1b";
+exports.dataPointLabelColourSubtleYellow = "#1d1d1b";
+exports.dataPointLabelColourBoldBlue = "#d2effb";
+exports.dataPointLabelColourBoldGreen = "#dff6eb";
+exports.dataPointLabelColourBoldRed = "#ffd5d2";
+exports.dataPointLabelColourBoldYellow = "#572722";
+exports.dataPointValueColourNeutralBlue = "#1d1d1b";
+exports.dataPointValueColourNeutralGreen = "#1d1d1b";
+exports.dataPointValueColourNeutralRed = "#1d1d1b";
+exports.dataPointValueColourNeutralYellow = "#1d1d1b";
+exports.dataPointValueColourNeutralInverseBlue = "#1d1d1b";
+exports.dataPointValueColourNeutralInverseGreen = "#1d1d1b";
+exports.dataPointValueColourNeutralInverseRed = "#1d1d1b";
+exports.dataPointValueColourNeutralInverseYellow = "#1d1d1b";
+exports.dataPointValueColourSubtleBlue = "#1d1d1b";
+exports.dataPointValueColourSubtleGreen = "#1d1d1b";
+exports.dataPointValueColourSubtleRed = "#1d1d1b";
+exports.dataPointValueColourSubtleYellow = "#1d1d1b";
+exports.dataPointValueColourBoldBlue = "#ffffff";
+exports.dataPointValueColourBoldGreen = "#ffffff";
+exports.dataPointValueColourBoldRed = "#ffffff";
+exports.dataPointValueColourBoldYellow = "#1d1d1b";
+exports.dataPointGroupColumnGapNeutralBlue = 36;
+exports.dataPointGroupColumnGapNeutralGreen = 36;
+exports.dataPointGroupColumnGapNeutralRed = 36;
+exports.dataPointGroupColumnGapNeutralYellow = 36;
+exports.dataPointGroupColumnGapNeutralInverseBlue = 36;
+exports.dataPointGroupColumnGapNeutralInverseGreen = 36;
+exports.dataPointGroupColumnGapNeutralInverseRed = 36;
+exports.dataPointGroupColumnGapNeutralInverseYellow = 36;
+exports.dataPointGroupColumnGapSubtleBlue = 36;
+exports.dataPointGroupColumnGapSubtleGreen = 36;
+exports.dataPointGroupColumnGapSubtleRed = 36;
+exports.dataPointGroupColumnGapSubtleYellow = 36;
+exports.dataPointGroupColumnGapBoldBlue = 36;
+exports.dataPointGroupColumnGapBoldGreen = 36;
+exports.dataPointGroupColumnGapBoldRed = 36;
+exports.dataPointGroupColumnGapBoldYellow = 36;
+exports.dataPointGroupRowGapNeutralBlue = 36;
+exports.dataPointGroupRowGapNeutralGreen = 36;
+exports.dataPointGroupRowGapNeutralRed = 36;
+exports.dataPointGroupRowGapNeutralYellow = 36;
+exports.dataPointGroupRowGapNeutralInverseBlue = 36;
+exports.dataPointGroupRowGapNeutralInverseGreen = 36;
+exports.dataPointGroupRowGapNeutralInverseRed = 36;
+exports.dataPointGroupRowGapNeutralInverseYellow = 36;
+exports.dataPointGroupRowGapSubtleBlue = 36;
+exports.dataPointGroupRowGapSubtleGreen = 36;
+exports.dataPointGroupRowGapSubtleRed = 36;
+exports.dataPointGroupRowGapSubtleYellow = 36;
+exports.dataPointGroupRowGapBoldBlue = 36;
+exports.dataPointGroupRowGapBoldGreen = 36;
+exports.dataPointGroupRowGapBoldRed = 36;
+exports.dataPointGroupRowGapBoldYellow = 36;
+exports.filterButtonRestColourNeutralBlue = "#001d6e";
+exports.filterButtonRestColourNeutralGreen = "#01312e";
+exports.filterButtonRestColourNeutralRed = "#480411";
+exports.filterButtonRestColourNeutralYellow = "#572722";
+exports.filterButtonRestColourNeutralInverseBlue = "#001d6e";
+exports.filterButtonRestColourNeutralInverseGreen = "#01312e";
+exports.filterButtonRestColourNeutralInverseRed = "#480411";
+exports.filterButtonRestColourNeutralInverseYellow = "#572722";
+exports.filterButtonRestColourSubtleBlue = "#001d6e";
+exports.filterButtonRestColourSubtleGreen = "#01312e";
+exports.filterButtonRestColourSubtleRed = "#480411";
+exports.filterButtonRestColourSubtleYellow = "#572722";
+exports.filterButtonRestColourBoldBlue = "#1d1d1b";
+exports.filterButtonRestColourBoldGreen = "#1d1d1b";
+exports.filterButtonRestColourBoldRed = "#1d1d1b";
+exports.filterButtonRestColourBoldYellow = "#000000";
+exports.filterButtonRestBackgroundColourNeutralBlue = "#aee1f7";
+exports.filterButtonRestBackgroundColourNeutralGreen = "#caeedd";
+exports.filterButtonRestBackgroundColourNeutralRed = "#ffd5d2";
+exports.filterButtonRestBackgroundColourNeutralYellow = "#fff9c7";
+exports.filterButtonRestBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.filterButtonRestBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.filterButtonRestBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.filterButtonRestBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.filterButtonRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.filterButtonRestBackgroundColourSubtleGreen = "#caeedd";
+exports.filterButtonRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.filterButtonRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.filterButtonRestBackgroundColourBoldBlue = "#42aeea";
+exports.filterButtonRestBackgroundColourBoldGreen = "#43af6e";
+exports.filterButtonRestBackgroundColourBoldRed = "#ff3e51";
+exports.filterButtonRestBackgroundColourBoldYellow = "#ffe969";
+exports.filterButtonRestBorderColourNeutralBlue = "#001d6e";
+exports.filterButtonRestBorderColourNeutralGreen = "#01312e";
+exports.filterButtonRestBorderColourNeutralRed = "#940824";
+exports.filterButtonRestBorderColourNeutralYellow = "#c86426";
+exports.filterButtonRestBorderColourNeutralInverseBlue = "#001d6e";
+exports.filterButtonRestBorderColourNeutralInverseGreen = "#01312e";
+exports.filterButtonRestBorderColourNeutralInverseRed = "#940824";
+exports.filterButtonRestBorderColourNeutralInverseYellow = "#c86426";
+exports.filterButtonRestBorderColourSubtleBlue = "#001d6e";
+exports.filterButtonRestBorderColourSubtleGreen = "#01312e";
+exports.filterButtonRestBorderColourSubtleRed = "#940824";
+exports.filterButtonRestBorderColourSubtleYellow = "#c86426";
+exports.filterButtonRestBorderColourBoldBlue = "#1d1d1b";
+exports.filterButtonRestBorderColourBoldGreen = "#1d1d1b";
+exports.filterButtonRestBorderColourBoldRed = "#1d1d1b";
+exports.filterButtonRestBorderColourBoldYellow = "#000000";
+exports.filterButtonHoverColourNeutralBlue = "#ffffff";
+exports.filterButtonHoverColourNeutralGreen = "#ffffff";
+exports.filterButtonHoverColourNeutralRed = "#ffffff";
+exports.filterButtonHoverColourNeutralYellow = "#1d1d1b";
+exports.filterButtonHoverColourNeutralInverseBlue = "#ffffff";
+exports.filterButtonHoverColourNeutralInverseGreen = "#ffffff";
+exports.filterButtonHoverColourNeutralInverseRed = "#ffffff";
+exports.filterButtonHoverColourNeutralInverseYellow = "#1d1d1b";
+exports.filterButtonHoverColourSubtleBlue = "#ffffff";
+exports.filterButtonHoverColourSubtleGreen = "#ffffff";
+exports.filterButtonHoverColourSubtleRed = "#ffffff";
+exports.filterButtonHoverColourSubtleYellow = "#1d1d1b";
+exports.filterButtonHoverColourBoldBlue = "#1d1d1b";
+exports.filterButtonHoverColourBoldGreen = "#1d1d1b";
+exports.filterButtonHoverColourBoldRed = "#1d1d1b";
+exports.filterButtonHoverColourBoldYellow = "#000000";
+exports.filterButtonHoverBackgroundColourNeutralBlue = "#005dba";
+exports.filterButtonHoverBackgroundColourNeutralGreen = "#00633d";
+exports.filterButtonHoverBackgroundColourNeutralRed = "#c50b30";
+exports.filterButtonHoverBackgroundColourNeutralYellow = "#ffb600";
+exports.filterButtonHoverBackgroundColourNeutralInverseBlue = "#005dba";
+exports.filterButtonHoverBackgroundColourNeutralInverseGreen = "#00633d";
+exports.filterButtonHoverBackgroundColourNeutralInverseRed = "#c50b30";
+exports.filterButtonHoverBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.filterButtonHoverBackgroundColourSubtleBlue = "#005dba";
+exports.filterButtonHoverBackgroundColourSubtleGreen = "#00633d";
+exports.filterButtonHoverBackgroundColourSubtleRed = "#c50b30";
+exports.filterButtonHoverBackgroundColourSubtleYellow = "#ffb600";
+exports.filterButtonHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.filterButtonHoverBackgroundColourBoldGreen = "#caeedd";
+exports.filterButtonHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.filterButtonHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.filterButtonHoverBorderColourNeutralBlue = "#005dba";
+exports.filterButtonHoverBorderColourNeutralGreen = "#00633d";
+exports.filterButtonHoverBorderColourNeutralRed = "#c50b30";
+exports.filterButtonHoverBorderColourNeutralYellow = "#ffb600";
+exports.filterButtonHoverBorderColourNeutralInverseBlue = "#005dba";
+exports.filterButtonHoverBorderColourNeutralInverseGreen = "#00633d";
+exports.filterButtonHoverBorderColourNeutralInverseRed = "#c50b30";
+exports.filterButtonHoverBorderColourNeutralInverseYellow = "#ffb600";
+exports.filterButtonHoverBorderColourSubtleBlue = "#1d1d1b";
+exports.filterButtonHoverBorderColourSubtleGreen = "#1d1d1b";
+exports.filterButtonHoverBorderColourSubtleRed = "#1d1d1b";
+exports.filterButtonHoverBorderColourSubtleYellow = "#000000";
+exports.filterButtonHoverBorderColourBoldBlue = "#1d1d1b";
+exports.filterButtonHoverBorderColourBoldGreen = "#1d1d1b";
+exports.filterButtonHoverBorderColourBoldRed = "#1d1d1b";
+exports.filterButtonHoverBorderColourBoldYellow = "#000000";
+exports.filterButtonActiveColourNeutralBlue = "#ffffff";
+exports.filterButtonActiveColourNeutralGreen = "#ffffff";
+exports.filterButtonActiveColourNeutralRed = "#ffffff";
+exports.filterButtonActiveColourNeutralYellow = "#ffffff";
+exports.filterButtonActiveColourNeutralInverseBlue = "#ffffff";
+exports.filterButtonActiveColourNeutralInverseGreen = "#ffffff";
+exports.filterButtonActiveColourNeutralInverseRed = "#ffffff";
+exports.filterButtonActiveColourNeutralInverseYellow = "#ffffff";
+exports.filterButtonActiveColourSubtleBlue = "#ffffff";
+exports.filterButtonActiveColourSubtleGreen = "#ffffff";
+exports.filterButtonActiveColourSubtleRed = "#ffffff";
+exports.filterButtonActiveColourSubtleYellow = "#ffffff";
+exports.filterButtonActiveColourBoldBlue = "#1d1d1b";
+exports.filterButtonActiveColourBoldGreen = "#1d1d1b";
+exports.filterButtonActiveColourBoldRed = "#1d1d1b";
+exports.filterButtonActiveColourBoldYellow = "#000000";
+exports.filterButtonActiveBackgroundColourNeutralBlue = "#001d6e";
+exports.filterButtonActiveBackgroundColourNeutralGreen = "#01312e";
+exports.filterButtonActiveBackgroundColourNeutralRed = "#480411";
+exports.filterButtonActiveBackgroundColourNeutralYellow = "#572722";
+exports.filterButtonActiveBackgroundColourNeutralInverseBlue = "#001d6e";
+exports.filterButtonActiveBackgroundColourNeutralInverseGreen = "#01312e";
+exports.filterButtonActiveBackgroundColourNeutralInverseRed = "#480411";
+exports.filterButtonActiveBackgroundColourNeutralInverseYellow = "#572722";
+exports.filterButtonActiveBackgroundColourSubtleBlue = "#001d6e";
+exports.filterButtonActiveBackgroundColourSubtleGreen = "#01312e";
+exports.filterButtonActiveBackgroundColourSubtleRed = "#480411";
+exports.filterButtonActiveBackgroundColourSubtleYellow = "#572722";
+exports.filterButtonActiveBackgroundColourBoldBlue = "#ffffff";
+exports.filterButtonActiveBackgroundColourBoldGreen = "#ffffff";
+exports.filterButtonActiveBackgroundColourBoldRed = "#ffffff";
+exports.filterButtonActiveBackgroundColourBoldYellow = "#ffffff";
+exports.filterButtonActiveBorderColourNeutralBlue = "#001d6e";
+exports.filterButtonActiveBorderColourNeutralGreen = "#01312e";
+exports.filterButtonActiveBorderColourNeutralRed = "#480411";
+exports.filterButtonActiveBorderColourNeutralYellow = "#572722";
+exports.filterButtonActiveBorderColourNeutralInverseBlue = "#001d6e";
+exports.filterButtonActiveBorderColourNeutralInverseGreen = "#01312e";
+exports.filterButtonActiveBorderColourNeutralInverseRed = "#480411";
+exports.filterButtonActiveBorderColourNeutralInverseYellow = "#572722";
+exports.filterButtonActiveBorderColourSubtleBlue = "#001d6e";
+exports.filterButtonActiveBorderColourSubtleGreen = "#01312e";
+exports.filterButtonActiveBorderColourSubtleRed = "#480411";
+exports.filterButtonActiveBorderColourSubtleYellow = "#572722";
+exports.filterButtonActiveBorderColourBoldBlue = "#ffffff";
+exports.filterButtonActiveBorderColourBoldGreen = "#ffffff";
+exports.filterButtonActiveBorderColourBoldRed = "#ffffff";
+exports.filterButtonActiveBorderColourBoldYellow = "#ffffff";
+exports.filterButtonFocusColourNeutralBlue = "#001d6e";
+exports.filterButtonFocusColourNeutralGreen = "#01312e";
+exports.filterButtonFocusColourNeutralRed = "#480411";
+exports.filterButtonFocusColourNeutralYellow = "#572722";
+exports.filterButtonFocusColourNeutralInverseBlue = "#001d6e";
+exports.filterButtonFocusColourNeutralInverseGreen = "#01312e";
+exports.filterButtonFocusColourNeutralInverseRed = "#480411";
+exports.filterButtonFocusColourNeutralInverseYellow = "#572722";
+exports.filterButtonFocusColourSubtleBlue = "#001d6e";
+exports.filterButtonFocusColourSubtleGreen = "#01312e";
+exports.filterButtonFocusColourSubtleRed = "#480411";
+exports.filterButtonFocusColourSubtleYellow = "#572722";
+exports.filterButtonFocusColourBoldBlue = "#1d1d1b";
+exports.filterButtonFocusColourBoldGreen = "#1d1d1b";
+exports.filterButtonFocusColourBoldRed = "#1d1d1b";
+exports.filterButtonFocusColourBoldYellow = "#000000";
+exports.filterButtonFocusBackgroundColourNeutralBlue = "#aee1f7";
+exports.filterButtonFocusBackgroundColourNeutralGreen = "#caeedd";
+exports.filterButtonFocusBackgroundColourNeutralRed = "#ffd5d2";
+exports.filterButtonFocusBackgroundColourNeutralYellow = "#fff9c7";
+exports.filterButtonFocusBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.filterButtonFocusBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.filterButtonFocusBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.filterButtonFocusBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.filterButtonFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.filterButtonFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.filterButtonFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.filterButtonFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.filterButtonFocusBackgroundColourBoldBlue = "#42aeea";
+exports.filterButtonFocusBackgroundColourBoldGreen = "#43af6e";
+exports.filterButtonFocusBackgroundColourBoldRed = "#ff3e51";
+exports.filterButtonFocusBackgroundColourBoldYellow = "#ffe969";
+exports.filterButtonFocusBorderColourNeutralBlue = "#001d6e";
+exports.filterButtonFocusBorderColourNeutralGreen = "#01312e";
+exports.filterButtonFocusBorderColourNeutralRed = "#940824";
+exports.filterButtonFocusBorderColourNeutralYellow = "#c86426";
+exports.filterButtonFocusBorderColourNeutralInverseBlue = "#001d6e";
+exports.filterButtonFocusBorderColourNeutralInverseGreen = "#01312e";
+exports.filterButtonFocusBorderColourNeutralInverseRed = "#940824";
+exports.filterButtonFocusBorderColourNeutralInverseYellow = "#c86426";
+exports.filterButtonFocusBorderColourSubtleBlue = "#001d6e";
+exports.filterButtonFocusBorderColourSubtleGreen = "#01312e";
+exports.filterButtonFocusBorderColourSubtleRed = "#940824";
+exports.filterButtonFocusBorderColourSubtleYellow = "#c86426";
+exports.filterButtonFocusBorderColourBoldBlue = "#1d1d1b";
+exports.filterButtonFocusBorderColourBoldGreen = "#1d1d1b";
+exports.filterButtonFocusBorderColourBoldRed = "#1d1d1b";
+exports.filterButtonFocusBorderColourBoldYellow = "#000000";
+exports.filterButtonBorderRadiusNeutralBlue = 28;
+exports.filterButtonBorderRadiusNeutralGreen = 28;
+exports.filterButtonBorderRadiusNeutralRed = 28;
+exports.filterButtonBorderRadiusNeutralYellow = 28;
+exports.filterButtonBorderRadiusNeutralInverseBlue = 28;
+exports.filterButtonBorderRadiusNeutralInverseGreen = 28;
+exports.filterButtonBorderRadiusNeutralInverseRed = 28;
+exports.filterButtonBorderRadiusNeutralInverseYellow = 28;
+exports.filterButtonBorderRadiusSubtleBlue = 28;
+exports.filterButtonBorderRadiusSubtleGreen = 28;
+exports.filterButtonBorderRadiusSubtleRed = 28;
+exports.filterButtonBorderRadiusSubtleYellow = 28;
+exports.filterButtonBorderRadiusBoldBlue = 28;
+exports.filterButtonBorderRadiusBoldGreen = 28;
+exports.filterButtonBorderRadiusBoldRed = 28;
+exports.filterButtonBorderRadiusBoldYellow = 28;
+exports.filterButtonBorderWidthNeutralBlue = 1.5;
+exports.filterButtonBorderWidthNeutralGreen = 1.5;
+exports.filterButtonBorderWidthNeutralRed = 1.5;
+exports.filterButtonBorderWidthNeutralYellow = 1.5;
+exports.filterButtonBorderWidthNeutralInverseBlue = 1.5;
+exports.filterButtonBorderWidthNeutralInverseGreen = 1.5;
+exports.filterButtonBorderWidthNeutralInverseRed = 1.5;
+exports.filterButtonBorderWidthNeutralInverseYellow = 1.5;
+exports.filterButtonBorderWidthSubtleBlue = 1.5;
+exports.filterButtonBorderWidthSubtleGreen = 1.5;
+exports.filterButtonBorderWidthSubtleRed = 1.5;
+exports.filterButtonBorderWidthSubtleYellow = 1.5;
+exports.filterButtonBorderWidthBoldBlue = 1.5;
+exports.filterButtonBorderWidthBoldGreen = 1.5;
+exports.filterButtonBorderWidthBoldRed = 1.5;
+exports.filterButtonBorderWidthBoldYellow = 1.5;
+exports.filterButtonBorderWidthFocusNeutralBlue = 3;
+exports.filterButtonBorderWidthFocusNeutralGreen = 3;
+exports.filterButtonBorderWidthFocusNeutralRed = 3;
+exports.filterButtonBorderWidthFocusNeutralYellow = 3;
+exports.filterButtonBorderWidthFocusNeutralInverseBlue = 3;
+exports.filterButtonBorderWidthFocusNeutralInverseGreen = 3;
+exports.filterButtonBorderWidthFocusNeutralInverseRed = 3;
+exports.filterButtonBorderWidthFocusNeutralInverseYellow = 3;
+exports.filterButtonBorderWidthFocusSubtleBlue = 3;
+exports.filterButtonBorderWidthFocusSubtleGreen = 3;
+exports.filterButtonBorderWidthFocusSubtleRed = 3;
+exports.filterButtonBorderWidthFocusSubtleYellow = 3;
+exports.filterButtonBorderWidthFocusBoldBlue = 3;
+exports.filterButtonBorderWidthFocusBoldGreen = 3;
+exports.filterButtonBorderWidthFocusBoldRed = 3;
+exports.filterButtonBorderWidthFocusBoldYellow = 3;
+exports.filterButtonMinHeightNeutralBlue = 48;
+exports.filterButtonMinHeightNeutralGreen = 48;
+exports.filterButtonMinHeightNeutralRed = 48;
+exports.filterButtonMinHeightNeutralYellow = 48;
+exports.filterButtonMinHeightNeutralInverseBlue = 48;
+exports.filterButtonMinHeightNeutralInverseGreen = 48;
+exports.filterButtonMinHeightNeutralInverseRed = 48;
+exports.filterButtonMinHeightNeutralInverseYellow = 48;
+exports.filterButtonMinHeightSubtleBlue = 48;
+exports.filterButtonMinHeightSubtleGreen = 48;
+exports.filterButtonMinHeightSubtleRed = 48;
+exports.filterButtonMinHeightSubtleYellow = 48;
+exports.filterButtonMinHeightBoldBlue = 48;
+exports.filterButtonMinHeightBoldGreen = 48;
+exports.filterButtonMinHeightBoldRed = 48;
+exports.filterButtonMinHeightBoldYellow = 48;
+exports.filterButtonPaddingXNeutralBlue = 16;
+exports.filterButtonPaddingXNeutralGreen = 16;
+exports.filterButtonPaddingXNeutralRed = 16;
+exports.filterButtonPaddingXNeutralYellow = 16;
+exports.filterButtonPaddingXNeutralInverseBlue = 16;
+exports.filterButtonPaddingXNeutralInverseGreen = 16;
+exports.filterButtonPaddingXNeutralInverseRed = 16;
+exports.filterButtonPaddingXNeutralInverseYellow = 16;
+exports.filterButtonPaddingXSubtleBlue = 16;
+exports.filterButtonPaddingXSubtleGreen = 16;
+exports.filterButtonPaddingXSubtleRed = 16;
+exports.filterButtonPaddingXSubtleYellow = 16;
+exports.filterButtonPaddingXBoldBlue = 16;
+exports.filterButtonPaddingXBoldGreen = 16;
+exports.filterButtonPaddingXBoldRed = 16;
+exports.filterButtonPaddingXBoldYellow = 16;
+exports.filterButtonGapNeutralBlue = 8;
+exports.filterButtonGapNeutralGreen = 8;
+exports.filterButtonGapNeutralRed = 8;
+exports.filterButtonGapNeutralYellow = 8;
+exports.filterButtonGapNeutralInverseBlue = 8;
+exports.filterButtonGapNeutralInverseGreen = 8;
+exports.filterButtonGapNeutralInverseRed = 8;
+exports.filterButtonGapNeutralInverseYellow = 8;
+exports.filterButtonGapSubtleBlue = 8;
+exports.filterButtonGapSubtleGreen = 8;
+exports.filterButtonGapSubtleRed = 8;
+exports.filterButtonGapSubtleYellow = 8;
+exports.filterButtonGapBoldBlue = 8;
+exports.filterButtonGapBoldGreen = 8;
+exports.filterButtonGapBoldRed = 8;
+exports.filterButtonGapBoldYellow = 8;
+exports.filterButtonDisabledColourNeutralBlue = "#d3d3d3";
+exports.filterButtonDisabledColourNeutralGreen = "#d3d3d3";
+exports.filterButtonDisabledColourNeutralRed = "#d3d3d3";
+exports.filterButtonDisabledColourNeutralYellow = "#d3d3d3";
+exports.filterButtonDisabledColourNeutralInverseBlue = "#d3d3d3";
+exports.filterButtonDisabledColourNeutralInverseGreen = "#d3d3d3";
+exports.filterButtonDisabledColourNeutralInverseRed = "#d3d3d3";
+exports.filterButtonDisabledColourNeutralInverseYellow = "#d3d3d3";
+exports.filterButtonDisabledColourSubtleBlue = "#76c8f1";
+exports.filterButtonDisabledColourSubtleGreen = "#7fce9f";
+exports.filterButtonDisabledColourSubtleRed = "#ff7e7e";
+exports.filterButtonDisabledColourSubtleYellow = "#ffe969";
+exports.filterButtonDisabledColourBoldBlue = "#76c8f1";
+exports.filterButtonDisabledColourBoldGreen = "#7fce9f";
+exports.filterButtonDisabledColourBoldRed = "#ff7e7e";
+exports.filterButtonDisabledColourBoldYellow = "#ffe969";
+exports.filterButtonDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourNeutralRed = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.filterButtonDisabledBackgroundColourSubtleBlue = "#d2effb";
+exports.filterButtonDisabledBackgroundColourSubtleGreen = "#dff6eb";
+exports.filterButtonDisabledBackgroundColourSubtleRed = "#ffd5d2";
+exports.filterButtonDisabledBackgroundColourSubtleYellow = "#fffbdc";
+exports.filterButtonDisabledBackgroundColourBoldBlue = "#d2effb";
+exports.filterButtonDisabledBackgroundColourBoldGreen = "#dff6eb";
+exports.filterButtonDisabledBackgroundColourBoldRed = "#ffd5d2";
+exports.filterButtonDisabledBackgroundColourBoldYellow = "#fffbdc";
+exports.filterButtonDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.filterButtonDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.filterButtonDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.filterButtonDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.filterButtonDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.filterButtonDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.filterButtonDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.filterButtonDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.filterButtonDisabledBorderColourSubtleBlue = "#d3d3d3";
+exports.filterButtonDisabledBorderColourSubtleGreen = "#d3d3d3";
+exports.filterButtonDisabledBorderColourSubtleRed = "#d3d3d3";
+exports.filterButtonDisabledBorderColourSubtleYellow = "#d3d3d3";
+exports.filterButtonDisabledBorderColourBoldBlue = "#d3d3d3";
+exports.filterButtonDisabledBorderColourBoldGreen = "#d3d3d3";
+exports.filterButtonDisabledBorderColourBoldRed = "#d3d3d3";
+exports.filterButtonDisabledBorderColourBoldYellow = "#d3d3d3";
+exports.filterButtonGroupGapNeutralBlue = 16;
+exports.filterButtonGroupGapNeutralGreen = 16;
+exports.filterButtonGroupGapNeutralRed = 16;
+exports.filterButtonGroupGapNeutralYellow = 16;
+exports.filterButtonGroupGapNeutralInverseBlue = 16;
+exports.filterButtonGroupGapNeutralInverseGreen = 16;
+exports.filterButtonGroupGapNeutralInverseRed = 16;
+exports.filterButtonGroupGapNeutralInverseYellow = 16;
+exports.filterButtonGroupGapSubtleBlue = 16;
+exports.filterButtonGroupGapSubtleGreen = 16;
+exports.filterButtonGroupGapSubtleRed = 16;
+exports.filterButtonGroupGapSubtleYellow = 16;
+exports.filterButtonGroupGapBoldBlue = 16;
+exports.filterButtonGroupGapBoldGreen = 16;
+exports.filterButtonGroupGapBoldRed = 16;
+exports.filterButtonGroupGapBoldYellow = 16;
+exports.linkMenuBorderColourNeutralBlue = "#d3d3d3";
+exports.linkMenuBorderColourNeutralGreen = "#d3d3d3";
+exports.linkMenuBorderColourNeutralRed = "#d3d3d3";
+exports.linkMenuBorderColourNeutralYellow = "#d3d3d3";
+exports.linkMenuBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.linkMenuBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.linkMenuBorderColourNeutralInverseRed = "#d3d3d3";
+exports.linkMenuBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.linkMenuBorderColourSubtleBlue = "#001d6e";
+exports.linkMenuBorderColourSubtleGreen = "#01312e";
+exports.linkMenuBorderColourSubtleRed = "#940824";
+exports.linkMenuBorderColourSubtleYellow = "#c86426";
+exports.linkMenuBorderColourBoldBlue = "#f4f4f4";
+exports.linkMenuBorderColourBoldGreen = "#f4f4f4";
+exports.linkMenuBorderColourBoldRed = "#f4f4f4";
+exports.linkMenuBorderColourBoldYellow = "#1d1d1b";
+exports.linkMenuBorderWidthNeutralBlue = 1;
+exports.linkMenuBorderWidthNeutralGreen = 1;
+exports.linkMenuBorderWidthNeutralRed = 1;
+exports.linkMenuBorderWidthNeutralYellow = 1;
+exports.linkMenuBorderWidthNeutralInverseBlue = 1;
+exports.linkMenuBorderWidthNeutralInverseGreen = 1;
+exports.linkMenuBorderWidthNeutralInverseRed = 1;
+exports.linkMenuBorderWidthNeutralInverseYellow = 1;
+exports.linkMenuBorderWidthSubtleBlue = 1;
+exports.linkMenuBorderWidthSubtleGreen = 1;
+exports.linkMenuBorderWidthSubtleRed = 1;
+exports.linkMenuBorderWidthSubtleYellow = 1;
+exports.linkMenuBorderWidthBoldBlue = 1;
+exports.linkMenuBorderWidthBoldGreen = 1;
+exports.linkMenuBorderWidthBoldRed = 1;
+exports.linkMenuBorderWidthBoldYellow = 1;
+exports.linkMenuBorderRadiusNeutralBlue = 16;
+exports.linkMenuBorderRadiusNeutralGreen = 16;
+exports.linkMenuBorderRadiusNeutralRed = 16;
+exports.linkMenuBorderRadiusNeutralYellow = 16;
+exports.linkMenuBorderRadiusNeutralInverseBlue = 16;
+exports.linkMenuBorderRadiusNeutralInverseGreen = 16;
+exports.linkMenuBorderRadiusNeutralInverseRed = 16;
+exports.linkMenuBorderRadiusNeutralInverseYellow = 16;
+exports.linkMenuBorderRadiusSubtleBlue = 16;
+exports.linkMenuBorderRadiusSubtleGreen = 16;
+exports.linkMenuBorderRadiusSubtleRed = 16;
+exports.linkMenuBorderRadiusSubtleYellow = 16;
+exports.linkMenuBorderRadiusBoldBlue = 16;
+exports.linkMenuBorderRadiusBoldGreen = 16;
+exports.linkMenuBorderRadiusBoldRed = 16;
+exports.linkMenuBorderRadiusBoldYellow = 16;
+exports.linkMenuItemPaddingTopNeutralBlue = 16;
+exports.linkMenuItemPaddingTopNeutralGreen = 16;
+exports.linkMenuItemPaddingTopNeutralRed = 16;
+exports.linkMenuItemPaddingTopNeutralYellow = 16;
+exports.linkMenuItemPaddingTopNeutralInverseBlue = 16;
+exports.linkMenuItemPaddingTopNeutralInverseGreen = 16;
+exports.linkMenuItemPaddingTopNeutralInverseRed = 16;
+exports.linkMenuItemPaddingTopNeutralInverseYellow = 16;
+exports.linkMenuItemPaddingTopSubtleBlue = 16;
+exports.linkMenuItemPaddingTopSubtleGreen = 16;
+exports.linkMenuItemPaddingTopSubtleRed = 16;
+exports.linkMenuItemPaddingTopSubtleYellow = 16;
+exports.linkMenuItemPaddingTopBoldBlue = 16;
+exports.linkMenuItemPaddingTopBoldGreen = 16;
+exports.linkMenuItemPaddingTopBoldRed = 16;
+exports.linkMenuItemPaddingTopBoldYellow = 16;
+exports.linkMenuItemPaddingBottomNeutralBlue = 16;
+exports.linkMenuItemPaddingBottomNeutralGreen = 16;
+exports.linkMenuItemPaddingBottomNeutralRed = 16;
+exports.linkMenuItemPaddingBottomNeutralYellow = 16;
+exports.linkMenuItemPaddingBottomNeutralInverseBlue = 16;
+exports.linkMenuItemPaddingBottomNeutralInverseGreen = 16;
+exports.linkMenuItemPaddingBottomNeutralInverseRed = 16;
+exports.linkMenuItemPaddingBottomNeutralInverseYellow = 16;
+exports.linkMenuItemPaddingBottomSubtleBlue = 16;
+exports.linkMenuItemPaddingBottomSubtleGreen = 16;
+exports.linkMenuItemPaddingBottomSubtleRed = 16;
+exports.linkMenuItemPaddingBottomSubtleYellow = 16;
+exports.linkMenuItemPaddingBottomBoldBlue = 16;
+exports.linkMenuItemPaddingBottomBoldGreen = 16;
+exports.linkMenuItemPaddingBottomBoldRed = 16;
+exports.linkMenuItemPaddingBottomBoldYellow = 16;
+exports.linkMenuItemPaddingLeftNeutralBlue = 16;
+exports.linkMenuItemPaddingLeftNeutralGreen = 16;
+exports.linkMenuItemPaddingLeftNeutralRed = 16;
+exports.linkMenuItemPaddingLeftNeutralYellow = 16;
+exports.linkMenuItemPaddingLeftNeutralInverseBlue = 16;
+exports.linkMenuItemPaddingLeftNeutralInverseGreen = 16;
+exports.linkMenuItemPaddingLeftNeutralInverseRed = 16;
+exports.linkMenuItemPaddingLeftNeutralInverseYellow = 16;
+exports.linkMenuItemPaddingLeftSubtleBlue = 16;
+exports.linkMenuItemPaddingLeftSubtleGreen = 16;
+exports.linkMenuItemPaddingLeftSubtleRed = 16;
+exports.linkMenuItemPaddingLeftSubtleYellow = 16;
+exports.linkMenuItemPaddingLeftBoldBlue = 16;
+exports.linkMenuItemPaddingLeftBoldGreen = 16;
+exports.linkMenuItemPaddingLeftBoldRed = 16;
+exports.linkMenuItemPaddingLeftBoldYellow = 16;
+exports.linkMenuItemPaddingRightNeutralBlue = 8;
+exports.linkMenuItemPaddingRightNeutralGreen = 8;
+exports.linkMenuItemPaddingRightNeutralRed = 8;
+exports.linkMenuItemPaddingRightNeutralYellow = 8;
+exports.linkMenuItemPaddingRightNeutralInverseBlue = 8;
+exports.linkMenuItemPaddingRightNeutralInverseGreen = 8;
+exports.linkMenuItemPaddingRightNeutralInverseRed = 8;
+exports.linkMenuItemPaddingRightNeutralInverseYellow = 8;
+exports.linkMenuItemPaddingRightSubtleBlue = 8;
+exports.linkMenuItemPaddingRightSubtleGreen = 8;
+exports.linkMenuItemPaddingRightSubtleRed = 8;
+exports.linkMenuItemPaddingRightSubtleYellow = 8;
+exports.linkMenuItemPaddingRightBoldBlue = 8;
+exports.linkMenuItemPaddingRightBoldGreen = 8;
+exports.linkMenuItemPaddingRightBoldRed = 8;
+exports.linkMenuItemPaddingRightBoldYellow = 8;
+exports.linkMenuItemGapNeutralBlue = 12;
+exports.linkMenuItemGapNeutralGreen = 12;
+exports.linkMenuItemGapNeutralRed = 12;
+exports.linkMenuItemGapNeutralYellow = 12;
+exports.linkMenuItemGapNeutralInverseBlue = 12;
+exports.linkMenuItemGapNeutralInverseGreen = 12;
+exports.linkMenuItemGapNeutralInverseRed = 12;
+exports.linkMenuItemGapNeutralInverseYellow = 12;
+exports.linkMenuItemGapSubtleBlue = 12;
+exports.linkMenuItemGapSubtleGreen = 12;
+exports.linkMenuItemGapSubtleRed = 12;
+exports.linkMenuItemGapSubtleYellow = 12;
+exports.linkMenuItemGapBoldBlue = 12;
+exports.linkMenuItemGapBoldGreen = 12;
+exports.linkMenuItemGapBoldRed = 12;
+exports.linkMenuItemGapBoldYellow = 12;
+exports.linkMenuItemRestBorderColourNeutralBlue = "#d3d3d3";
+exports.linkMenuItemRestBorderColourNeutralGreen = "#d3d3d3";
+exports.linkMenuItemRestBorderColourNeutralRed = "#d3d3d3";
+exports.linkMenuItemRestBorderColourNeutralYellow = "#d3d3d3";
+exports.linkMenuItemRestBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.linkMenuItemRestBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.linkMenuItemRestBorderColourNeutralInverseRed = "#d3d3d3";
+exports.linkMenuItemRestBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.linkMenuItemRestBorderColourSubtleBlue = "#001d6e";
+exports.linkMenuItemRestBorderColourSubtleGreen = "#01312e";
+exports.linkMenuItemRestBorderColourSubtleRed = "#940824";
+exports.linkMenuItemRestBorderColourSubtleYellow = "#c86426";
+exports.linkMenuItemRestBorderColourBoldBlue = "#f4f4f4";
+exports.linkMenuItemRestBorderColourBoldGreen = "#f4f4f4";
+exports.linkMenuItemRestBorderColourBoldRed = "#f4f4f4";
+exports.linkMenuItemRestBorderColourBoldYellow = "#1d1d1b";
+exports.linkMenuItemRestBorderWidthBottomNeutralBlue = 1;
+exports.linkMenuItemRestBorderWidthBottomNeutralGreen = 1;
+exports.linkMenuItemRestBorderWidthBottomNeutralRed = 1;
+exports.linkMenuItemRestBorderWidthBottomNeutralYellow = 1;
+exports.linkMenuItemRestBorderWidthBottomNeutralInverseBlue = 1;
+exports.linkMenuItemRestBorderWidthBottomNeutralInverseGreen = 1;
+exports.linkMenuItemRestBorderWidthBottomNeutralInverseRed = 1;
+exports.linkMenuItemRestBorderWidthBottomNeutralInverseYellow = 1;
+exports.linkMenuItemRestBorderWidthBottomSubtleBlue = 1;
+exports.linkMenuItemRestBorderWidthBottomSubtleGreen = 1;
+exports.linkMenuItemRestBorderWidthBottomSubtleRed = 1;
+exports.linkMenuItemRestBorderWidthBottomSubtleYellow = 1;
+exports.linkMenuItemRestBorderWidthBottomBoldBlue = 1;
+exports.linkMenuItemRestBorderWidthBottomBoldGreen = 1;
+exports.linkMenuItemRestBorderWidthBottomBoldRed = 1;
+exports.linkMenuItemRestBorderWidthBottomBoldYellow = 1;
+exports.linkMenuItemRestColourNeutralBlue = "#1d1d1b";
+exports.linkMenuItemRestColourNeutralGreen = "#1d1d1b";
+exports.linkMenuItemRestColourNeutralRed = "#1d1d1b";
+exports.linkMenuItemRestColourNeutralYellow = "#000000";
+exports.linkMenuItemRestColourNeutralInverseBlue = "#1d1d1b";
+exports.linkMenuItemRestColourNeutralInverseGreen = "#1d1d1b";
+exports.linkMenuItemRestColourNeutralInverseRed = "#1d1d1b";
+exports.linkMenuItemRestColourNeutralInverseYellow = "#000000";
+exports.linkMenuItemRestColourSubtleBlue = "#1d1d1b";
+exports.linkMenuItemRestColourSubtleGreen = "#1d1d1b";
+exports.linkMenuItemRestColourSubtleRed = "#1d1d1b";
+exports.linkMenuItemRestColourSubtleYellow = "#000000";
+exports.linkMenuItemRestColourBoldBlue = "#ffffff";
+exports.linkMenuItemRestColourBoldGreen = "#ffffff";
+exports.linkMenuItemRestColourBoldRed = "#ffffff";
+exports.linkMenuItemRestColourBoldYellow = "#1d1d1b";
+exports.linkMenuItemRestColourMutedNeutralBlue = "#4d4f4f";
+exports.linkMenuItemRestColourMutedNeutralGreen = "#4d4f4f";
+exports.linkMenuItemRestColourMutedNeutralRed = "#4d4f4f";
+exports.linkMenuItemRestColourMutedNeutralYellow = "#4d4f4f";
+exports.linkMenuItemRestColourMutedNeutralInverseBlue = "#4d4f4f";
+exports.linkMenuItemRestColourMutedNeutralInverseGreen = "#4d4f4f";
+exports.linkMenuItemRestColourMutedNeutralInverseRed = "#4d4f4f";
+exports.linkMenuItemRestColourMutedNeutralInverseYellow = "#4d4f4f";
+exports.linkMenuItemRestColourMutedSubtleBlue = "#1d1d1b";
+exports.linkMenuItemRestColourMutedSubtleGreen = "#1d1d1b";
+exports.linkMenuItemRestColourMutedSubtleRed = "#1d1d1b";
+exports.linkMenuItemRestColourMutedSubtleYellow = "#000000";
+exports.linkMenuItemRestColourMutedBoldBlue = "#ffffff";
+exports.linkMenuItemRestColourMutedBoldGreen = "#ffffff";
+exports.linkMenuItemRestColourMutedBoldRed = "#ffffff";
+exports.linkMenuItemRestColourMutedBoldYellow = "#1d1d1b";
+exports.linkMenuItemHoverBackgroundColourNeutralBlue = "#aee1f7";
+exports.linkMenuItemHoverBackgroundColourNeutralGreen = "#caeedd";
+exports.linkMenuItemHoverBackgroundColourNeutralRed = "#ffd5d2";
+exports.linkMenuItemHoverBackgroundColourNeutralYellow = "#fff9c7";
+exports.linkMenuItemHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.linkMenuItemHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.linkMenuItemHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.linkMenuItemHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.linkMenuItemHoverBackgroundColourSubtleBlue = "#42aeea";
+exports.linkMenuItemHoverBackgroundColourSubtleGreen = "#43af6e";
+exports.linkMenuItemHoverBackgroundColourSubtleRed = "#ff3e51";
+exports.linkMenuItemHoverBackgroundColourSubtleYellow = "#ffe969";
+exports.linkMenuItemHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.linkMenuItemHoverBackgroundColourBoldGreen = "#caeedd";
+exports.linkMenuItemHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.linkMenuItemHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.linkMenuItemHoverBorderColourNeutralBlue = "#001d6e";
+exports.linkMenuItemHoverBorderColourNeutralGreen = "#01312e";
+exports.linkMenuItemHoverBorderColourNeutralRed = "#480411";
+exports.linkMenuItemHoverBorderColourNeutralYellow = "#572722";
+exports.linkMenuItemHoverBorderColourNeutralInverseBlue = "#001d6e";
+exports.linkMenuItemHoverBorderColourNeutralInverseGreen = "#01312e";
+exports.linkMenuItemHoverBorderColourNeutralInverseRed = "#480411";
+exports.linkMenuItemHoverBorderColourNeutralInverseYellow = "#572722";
+exports.linkMenuItemHoverBorderColourSubtleBlue = "#001d6e";
+exports.linkMenuItemHoverBorderColourSubtleGreen = "#01312e";
+exports.linkMenuItemHoverBorderColourSubtleRed = "#480411";
+exports.linkMenuItemHoverBorderColourSubtleYellow = "#572722";
+exports.linkMenuItemHoverBorderColourBoldBlue = "#001d6e";
+exports.linkMenuItemHoverBorderColourBoldGreen = "#01312e";
+exports.linkMenuItemHoverBorderColourBoldRed = "#480411";
+exports.linkMenuItemHoverBorderColourBoldYellow = "#572722";
+exports.linkMenuItemHoverBorderWidthBottomNeutralBlue = 3;
+exports.linkMenuItemHoverBorderWidthBottomNeutralGreen = 3;
+exports.linkMenuItemHoverBorderWidthBottomNeutralRed = 3;
+exports.linkMenuItemHoverBorderWidthBottomNeutralYellow = 3;
+exports.linkMenuItemHoverBorderWidthBottomNeutralInverseBlue = 3;
+exports.linkMenuItemHoverBorderWidthBottomNeutralInverseGreen = 3;
+exports.linkMenuItemHoverBorderWidthBottomNeutralInverseRed = 3;
+exports.linkMenuItemHoverBorderWidthBottomNeutralInverseYellow = 3;
+exports.linkMenuItemHoverBorderWidthBottomSubtleBlue = 3;
+exports.linkMenuItemHoverBorderWidthBottomSubtleGreen = 3;
+exports.linkMenuItemHoverBorderWidthBottomSubtleRed = 3;
+exports.linkMenuItemHoverBorderWidthBottomSubtleYellow = 3;
+exports.linkMenuItemHoverBorderWidthBottomBoldBlue = 3;
+exports.linkMenuItemHoverBorderWidthBottomBoldGreen = 3;
+exports.linkMenuItemHoverBorderWidthBottomBoldRed = 3;
+exports.linkMenuItemHoverBorderWidthBottomBoldYellow = 3;
+exports.linkMenuItemHoverColourNeutralBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourNeutralGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourNeutralRed = "#1d1d1b";
+exports.linkMenuItemHoverColourNeutralYellow = "#000000";
+exports.linkMenuItemHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourNeutralInverseRed = "#1d1d1b";
+exports.linkMenuItemHoverColourNeutralInverseYellow = "#000000";
+exports.linkMenuItemHoverColourSubtleBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourSubtleGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourSubtleRed = "#1d1d1b";
+exports.linkMenuItemHoverColourSubtleYellow = "#000000";
+exports.linkMenuItemHoverColourBoldBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourBoldGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourBoldRed = "#1d1d1b";
+exports.linkMenuItemHoverColourBoldYellow = "#000000";
+exports.linkMenuItemHoverColourMutedNeutralBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedNeutralGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedNeutralRed = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedNeutralYellow = "#000000";
+exports.linkMenuItemHoverColourMutedNeutralInverseBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedNeutralInverseGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedNeutralInverseRed = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedNeutralInverseYellow = "#000000";
+exports.linkMenuItemHoverColourMutedSubtleBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedSubtleGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedSubtleRed = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedSubtleYellow = "#000000";
+exports.linkMenuItemHoverColourMutedBoldBlue = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedBoldGreen = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedBoldRed = "#1d1d1b";
+exports.linkMenuItemHoverColourMutedBoldYellow = "#000000";
+exports.linkMenuItemHoverPaddingRightNeutralBlue = 8;
+exports.linkMenuItemHoverPaddingRightNeutralGreen = 8;
+exports.linkMenuItemHoverPaddingRightNeutralRed = 8;
+exports.linkMenuItemHoverPaddingRightNeutralYellow = 8;
+exports.linkMenuItemHoverPaddingRightNeutralInverseBlue = 8;
+exports.linkMenuItemHoverPaddingRightNeutralInverseGreen = 8;
+exports.linkMenuItemHoverPaddingRightNeutralInverseRed = 8;
+exports.linkMenuItemHoverPaddingRightNeutralInverseYellow = 8;
+exports.linkMenuItemHoverPaddingRightSubtleBlue = 8;
+exports.linkMenuItemHoverPaddingRightSubtleGreen = 8;
+exports.linkMenuItemHoverPaddingRightSubtleRed = 8;
+exports.linkMenuItemHoverPaddingRightSubtleYellow = 8;
+exports.linkMenuItemHoverPaddingRightBoldBlue = 8;
+exports.linkMenuItemHoverPaddingRightBoldGreen = 8;
+exports.linkMenuItemHoverPaddingRightBoldRed = 8;
+exports.linkMenuItemHoverPaddingRightBoldYellow = 8;
+exports.linkMenuItemActiveBackgroundColourNeutralBlue = "#005dba";
+exports.linkMenuItemActiveBackgroundColourNeutralGreen = "#00633d";
+exports.linkMenuItemActiveBackgroundColourNeutralRed = "#c50b30";
+exports.linkMenuItemActiveBackgroundColourNeutralYellow = "#ffb600";
+exports.linkMenuItemActiveBackgroundColourNeutralInverseBlue = "#005dba";
+exports.linkMenuItemActiveBackgroundColourNeutralInverseGreen = "#00633d";
+exports.linkMenuItemActiveBackgroundColourNeutralInverseRed = "#c50b30";
+exports.linkMenuItemActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.linkMenuItemActiveBackgroundColourSubtleBlue = "#005dba";
+exports.linkMenuItemActiveBackgroundColourSubtleGreen = "#00633d";
+exports.linkMenuItemActiveBackgroundColourSubtleRed = "#c50b30";
+exports.linkMenuItemActiveBackgroundColourSubtleYellow = "#ffb600";
+exports.linkMenuItemActiveBackgroundColourBoldBlue = "#ffffff";
+exports.linkMenuItemActiveBackgroundColourBoldGreen = "#ffffff";
+exports.linkMenuItemActiveBackgroundColourBoldRed = "#ffffff";
+exports.linkMenuItemActiveBackgroundColourBoldYellow = "#ffffff";
+exports.linkMenuItemActiveBorderWidthBottomNeutralBlue = 1;
+exports.linkMenuItemActiveBorderWidthBottomNeutralGreen = 1;
+exports.linkMenuItemActiveBorderWidthBottomNeutralRed = 1;
+exports.linkMenuItemActiveBorderWidthBottomNeutralYellow = 1;
+exports.linkMenuItemActiveBorderWidthBottomNeutralInverseBlue = 1;
+exports.linkMenuItemActiveBorderWidthBottomNeutralInverseGreen = 1;
+exports.linkMenuItemActiveBorderWidthBottomNeutralInverseRed = 1;
+exports.linkMenuItemActiveBorderWidthBottomNeutralInverseYellow = 1;
+exports.linkMenuItemActiveBorderWidthBottomSubtleBlue = 1;
+exports.linkMenuItemActiveBorderWidthBottomSubtleGreen = 1;
+exports.linkMenuItemActiveBorderWidthBottomSubtleRed = 1;
+exports.linkMenuItemActiveBorderWidthBottomSubtleYellow = 1;
+exports.linkMenuItemActiveBorderWidthBottomBoldBlue = 1;
+exports.linkMenuItemActiveBorderWidthBottomBoldGreen = 1;
+exports.linkMenuItemActiveBorderWidthBottomBoldRed = 1;
+exports.linkMenuItemActiveBorderWidthBottomBoldYellow = 1;
+exports.linkMenuItemActiveBorderColourNeutralBlue = "#ffffff";
+exports.linkMenuItemActiveBorderColourNeutralGreen = "#ffffff";
+exports.linkMenuItemActiveBorderColourNeutralRed = "#ffffff";
+exports.linkMenuItemActiveBorderColourNeutralYellow = "#1d1d1b";
+exports.linkMenuItemActiveBorderColourNeutralInverseBlue = "#ffffff";
+exports.linkMenuItemActiveBorderColourNeutralInverseGreen = "#ffffff";
+exports.linkMenuItemActiveBorderColourNeutralInverseRed = "#ffffff";
+exports.linkMenuItemActiveBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.linkMenuItemActiveBorderColourSubtleBlue = "#ffffff";
+exports.linkMenuItemActiveBorderColourSubtleGreen = "#ffffff";
+exports.linkMenuItemActiveBorderColourSubtleRed = "#ffffff";
+exports.linkMenuItemActiveBorderColourSubtleYellow = "#1d1d1b";
+exports.linkMenuItemActiveBorderColourBoldBlue = "#1d1d1b";
+exports.linkMenuItemActiveBorderColourBoldGreen = "#1d1d1b";
+exports.linkMenuItemActiveBorderColourBoldRed = "#1d1d1b";
+exports.linkMenuItemActiveBorderColourBoldYellow = "#000000";
+exports.linkMenuItemActiveColourNeutralBlue = "#ffffff";
+exports.linkMenuItemActiveColourNeutralGreen = "#ffffff";
+exports.linkMenuItemActiveColourNeutralRed = "#ffffff";
+exports.linkMenuItemActiveColourNeutralYellow = "#1d1d1b";
+exports.linkMenuItemActiveColourNeutralInverseBlue = "#ffffff";
+exports.linkMenuItemActiveColourNeutralInverseGreen = "#ffffff";
+exports.linkMenuItemActiveColourNeutralInverseRed = "#ffffff";
+exports.linkMenuItemActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.linkMenuItemActiveColourSubtleBlue = "#ffffff";
+exports.linkMenuItemActiveColourSubtleGreen = "#ffffff";
+exports.linkMenuItemActiveColourSubtleRed = "#ffffff";
+exports.linkMenuItemActiveColourSubtleYellow = "#1d1d1b";
+exports.linkMenuItemActiveColourBoldBlue = "#1d1d1b";
+exports.linkMenuItemActiveColourBoldGreen = "#1d1d1b";
+exports.linkMenuItemActiveColourBoldRed = "#1d1d1b";
+exports.linkMenuItemActiveColourBoldYellow = "#000000";
+exports.linkMenuItemActiveColourMutedNeutralBlue = "#ffffff";
+exports.linkMenuItemActiveColourMutedNeutralGreen = "#ffffff";
+exports.linkMenuItemActiveColourMutedNeutralRed = "#ffffff";
+exports.linkMenuItemActiveColourMutedNeutralYellow = "#1d1d1b";
+exports.linkMenuItemActiveColourMutedNeutralInverseBlue = "#ffffff";
+exports.linkMenuItemActiveColourMutedNeutralInverseGreen = "#ffffff";
+exports.linkMenuItemActiveColourMutedNeutralInverseRed = "#ffffff";
+exports.linkMenuItemActiveColourMutedNeutralInverseYellow = "#1d1d1b";
+exports.linkMenuItemActiveColourMutedSubtleBlue = "#ffffff";
+exports.linkMenuItemActiveColourMutedSubtleGreen = "#ffffff";
+exports.linkMenuItemActiveColourMutedSubtleRed = "#ffffff";
+exports.linkMenuItemActiveColourMutedSubtleYellow = "#1d1d1b";
+exports.linkMenuItemActiveColourMutedBoldBlue = "#4d4f4f";
+exports.linkMenuItemActiveColourMutedBoldGreen = "#4d4f4f";
+exports.linkMenuItemActiveColourMutedBoldRed = "#4d4f4f";
+exports.linkMenuItemActiveColourMutedBoldYellow = "#4d4f4f";
+exports.linkMenuItemFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourNeutralRed = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourNeutralYellow = "#000000";
+exports.linkMenuItemFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourNeutralInverseYellow = "#000000";
+exports.linkMenuItemFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourSubtleRed = "#1d1d1b";
+exports.linkMenuItemFocusBorderColourSubtleYellow = "#000000";
+exports.linkMenuItemFocusBorderColourBoldBlue = "#ffffff";
+exports.linkMenuItemFocusBorderColourBoldGreen = "#ffffff";
+exports.linkMenuItemFocusBorderColourBoldRed = "#ffffff";
+exports.linkMenuItemFocusBorderColourBoldYellow = "#1d1d1b";
+exports.linkMenuItemFocusBorderWidthNeutralBlue = 3;
+exports.linkMenuItemFocusBorderWidthNeutralGreen = 3;
+exports.linkMenuItemFocusBorderWidthNeutralRed = 3;
+exports.linkMenuItemFocusBorderWidthNeutralYellow = 3;
+exports.linkMenuItemFocusBorderWidthNeutralInverseBlue = 3;
+exports.linkMenuItemFocusBorderWidthNeutralInverseGreen = 3;
+exports.linkMenuItemFocusBorderWidthNeutralInverseRed = 3;
+exports.linkMenuItemFocusBorderWidthNeutralInverseYellow = 3;
+exports.linkMenuItemFocusBorderWidthSubtleBlue = 3;
+exports.linkMenuItemFocusBorderWidthSubtleGreen = 3;
+exports.linkMenuItemFocusBorderWidthSubtleRed = 3;
+exports.linkMenuItemFocusBorderWidthSubtleYellow = 3;
+exports.linkMenuItemFocusBorderWidthBoldBlue = 3;
+exports.linkMenuItemFocusBorderWidthBoldGreen = 3;
+exports.linkMenuItemFocusBorderWidthBoldRed = 3;
+exports.linkMenuItemFocusBorderWidthBoldYellow = 3;
+exports.linkMenuItemFocusColourNeutralBlue = "#1d1d1b";
+exports.linkMenuItemFocusColourNeutralGreen = "#1d1d1b";
+exports.linkMenuItemFocusColourNeutralRed = "#1d1d1b";
+exports.linkMenuItemFocusColourNeutralYellow = "#000000";
+exports.linkMenuItemFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.linkMenuItemFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.linkMenuItemFocusColourNeutralInverseRed = "#1d1d1b";
+exports.linkMenuItemFocusColourNeutralInverseYellow = "#000000";
+exports.linkMenuItemFocusColourSubtleBlue = "#1d1d1b";
+exports.linkMenuItemFocusColourSubtleGreen = "#1d1d1b";
+exports.linkMenuItemFocusColourSubtleRed = "#1d1d1b";
+exports.linkMenuItemFocusColourSubtleYellow = "#000000";
+exports.linkMenuItemFocusColourBoldBlue = "#ffffff";
+exports.linkMenuItemFocusColourBoldGreen = "#ffffff";
+exports.linkMenuItemFocusColourBoldRed = "#ffffff";
+exports.linkMenuItemFocusColourBoldYellow = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedNeutralBlue = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedNeutralGreen = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedNeutralRed = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedNeutralYellow = "#000000";
+exports.linkMenuItemFocusColourMutedNeutralInverseBlue = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedNeutralInverseGreen = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedNeutralInverseRed = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedNeutralInverseYellow = "#000000";
+exports.linkMenuItemFocusColourMutedSubtleBlue = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedSubtleGreen = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedSubtleRed = "#1d1d1b";
+exports.linkMenuItemFocusColourMutedSubtleYellow = "#000000";
+exports.linkMenuItemFocusColourMutedBoldBlue = "#ffffff";
+exports.linkMenuItemFocusColourMutedBoldGreen = "#ffffff";
+exports.linkMenuItemFocusColourMutedBoldRed = "#ffffff";
+exports.linkMenuItemFocusColourMutedBoldYellow = "#1d1d1b";
+exports.formFieldGapNeutralBlue = 16;
+exports.formFieldGapNeutralGreen = 16;
+exports.formFieldGapNeutralRed = 16;
+exports.formFieldGapNeutralYellow = 16;
+exports.formFieldGapNeutralInverseBlue = 16;
+exports.formFieldGapNeutralInverseGreen = 16;
+exports.formFieldGapNeutralInverseRed = 16;
+exports.formFieldGapNeutralInverseYellow = 16;
+exports.formFieldGapSubtleBlue = 16;
+exports.formFieldGapSubtleGreen = 16;
+exports.formFieldGapSubtleRed = 16;
+exports.formFieldGapSubtleYellow = 16;
+exports.formFieldGapBoldBlue = 16;
+exports.formFieldGapBoldGreen = 16;
+exports.formFieldGapBoldRed = 16;
+exports.formFieldGapBoldYellow = 16;
+exports.labelAndHintGapNeutralBlue = 4;
+exports.labelAndHintGapNeutralGreen = 4;
+exports.labelAndHintGapNeutralRed = 4;
+exports.labelAndHintGapNeutralYellow = 4;
+exports.labelAndHintGapNeutralInverseBlue = 4;
+exports.labelAndHintGapNeutralInverseGreen = 4;
+exports.labelAndHintGapNeutralInverseRed = 4;
+exports.labelAndHintGapNeutralInverseYellow = 4;
+exports.labelAndHintGapSubtleBlue = 4;
+exports.labelAndHintGapSubtleGreen = 4;
+exports.labelAndHintGapSubtleRed = 4;
+exports.labelAndHintGapSubtleYellow = 4;
+exports.labelAndHintGapBoldBlue = 4;
+exports.labelAndHintGapBoldGreen = 4;
+exports.labelAndHintGapBoldRed = 4;
+exports.labelAndHintGapBoldYellow = 4;
+exports.labelAndHintLabelColourNeutralBlue = "#1d1d1b";
+exports.labelAndHintLabelColourNeutralGreen = "#1d1d1b";
+exports.labelAndHintLabelColourNeutralRed = "#1d1d1b";
+exports.labelAndHintLabelColourNeutralYellow = "#1d1d1b";
+exports.labelAndHintLabelColourNeutralInverseBlue = "#1d1d1b";
+exports.labelAndHintLabelColourNeutralInverseGreen = "#1d1d1b";
+exports.labelAndHintLabelColourNeutralInverseRed = "#1d1d1b";
+exports.labelAndHintLabelColourNeutralInverseYellow = "#1d1d1b";
+exports.labelAndHintLabelColourSubtleBlue = "#1d1d1b";
+exports.labelAndHintLabelColourSubtleGreen = "#1d1d1b";
+exports.labelAndHintLabelColourSubtleRed = "#1d1d1b";
+exports.labelAndHintLabelColourSubtleYellow = "#1d1d1b";
+exports.labelAndHintLabelColourBoldBlue = "#ffffff";
+exports.labelAndHintLabelColourBoldGreen = "#ffffff";
+exports.labelAndHintLabelColourBoldRed = "#ffffff";
+exports.labelAndHintLabelColourBoldYellow = "#1d1d1b";
+exports.labelAndHintHintColourNeutralBlue = "#4d4f4f";
+exports.labelAndHintHintColourNeutralGreen = "#4d4f4f";
+exports.labelAndHintHintColourNeutralRed = "#4d4f4f";
+exports.labelAndHintHintColourNeutralYellow = "#4d4f4f";
+exports.labelAndHintHintColourNeutralInverseBlue = "#4d4f4f";
+exports.labelAndHintHintColourNeutralInverseGreen = "#4d4f4f";
+exports.labelAndHintHintColourNeutralInverseRed = "#4d4f4f";
+exports.labelAndHintHintColourNeutralInverseYellow = "#4d4f4f";
+exports.labelAndHintHintColourSubtleBlue = "#1d1d1b";
+exports.labelAndHintHintColourSubtleGreen = "#1d1d1b";
+exports.labelAndHintHintColourSubtleRed = "#1d1d1b";
+exports.labelAndHintHintColourSubtleYellow = "#000000";
+exports.labelAndHintHintColourBoldBlue = "#ffffff";
+exports.labelAndHintHintColourBoldGreen = "#ffffff";
+exports.labelAndHintHintColourBoldRed = "#ffffff";
+exports.labelAndHintHintColourBoldYellow = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourNeutralInfo = "#001d6e";
+exports.labelAndHintStatusValidationMessageColourNeutralSuccess = "#014a39";
+exports.labelAndHintStatusValidationMessageColourNeutralWarning = "#904029";
+exports.labelAndHintStatusValidationMessageColourNeutralError = "#940824";
+exports.labelAndHintStatusValidationMessageColourNeutralGeneric = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourNeutralInverseInfo = "#001d6e";
+exports.labelAndHintStatusValidationMessageColourNeutralInverseSuccess = "#014a39";
+exports.labelAndHintStatusValidationMessageColourNeutralInverseWarning = "#904029";
+exports.labelAndHintStatusValidationMessageColourNeutralInverseError = "#940824";
+exports.labelAndHintStatusValidationMessageColourNeutralInverseGeneric = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourSubtleInfo = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourSubtleSuccess = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourSubtleWarning = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourSubtleError = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourSubtleGeneric = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourBoldInfo = "#ffffff";
+exports.labelAndHintStatusValidationMessageColourBoldSuccess = "#ffffff";
+exports.labelAndHintStatusValidationMessageColourBoldWarning = "#1d1d1b";
+exports.labelAndHintStatusValidationMessageColourBoldError = "#ffffff";
+exports.labelAndHintStatusValidationMessageColourBoldGeneric = "#ffffff";
+exports.textInputCommonBorderRadiusNeutralBlue = 12;
+exports.textInputCommonBorderRadiusNeutralGreen = 12;
+exports.textInputCommonBorderRadiusNeutralRed = 12;
+exports.textInputCommonBorderRadiusNeutralYellow = 12;
+exports.textInputCommonBorderRadiusNeutralInverseBlue = 12;
+exports.textInputCommonBorderRadiusNeutralInverseGreen = 12;
+exports.textInputCommonBorderRadiusNeutralInverseRed = 12;
+exports.textInputCommonBorderRadiusNeutralInverseYellow = 12;
+exports.textInputCommonBorderRadiusSubtleBlue = 12;
+exports.textInputCommonBorderRadiusSubtleGreen = 12;
+exports.textInputCommonBorderRadiusSubtleRed = 12;
+exports.textInputCommonBorderRadiusSubtleYellow = 12;
+exports.textInputCommonBorderRadiusBoldBlue = 12;
+exports.textInputCommonBorderRadiusBoldGreen = 12;
+exports.textInputCommonBorderRadiusBoldRed = 12;
+exports.textInputCommonBorderRadiusBoldYellow = 12;
+exports.textInputCommonHeightNeutralBlue = 48;
+exports.textInputCommonHeightNeutralGreen = 48;
+exports.textInputCommonHeightNeutralRed = 48;
+exports.textInputCommonHeightNeutralYellow = 48;
+exports.textInputCommonHeightNeutralInverseBlue = 48;
+exports.textInputCommonHeightNeutralInverseGreen = 48;
+exports.textInputCommonHeightNeutralInverseRed = 48;
+exports.textInputCommonHeightNeutralInverseYellow = 48;
+exports.textInputCommonHeightSubtleBlue = 48;
+exports.textInputCommonHeightSubtleGreen = 48;
+exports.textInputCommonHeightSubtleRed = 48;
+exports.textInputCommonHeightSubtleYellow = 48;
+exports.textInputCommonHeightBoldBlue = 48;
+exports.textInputCommonHeightBoldGreen = 48;
+exports.textInputCommonHeightBoldRed = 48;
+exports.textInputCommonHeightBoldYellow = 48;
+exports.textInputCommonPaddingXNeutralBlue = 16;
+exports.textInputCommonPaddingXNeutralGreen = 16;
+exports.textInputCommonPaddingXNeutralRed = 16;
+exports.textInputCommonPaddingXNeutralYellow = 16;
+exports.textInputCommonPaddingXNeutralInverseBlue = 16;
+exports.textInputCommonPaddingXNeutralInverseGreen = 16;
+exports.textInputCommonPaddingXNeutralInverseRed = 16;
+exports.textInputCommonPaddingXNeutralInverseYellow = 16;
+exports.textInputCommonPaddingXSubtleBlue = 16;
+exports.textInputCommonPaddingXSubtleGreen = 16;
+exports.textInputCommonPaddingXSubtleRed = 16;
+exports.textInputCommonPaddingXSubtleYellow = 16;
+exports.textInputCommonPaddingXBoldBlue = 16;
+exports.textInputCommonPaddingXBoldGreen = 16;
+exports.textInputCommonPaddingXBoldRed = 16;
+exports.textInputCommonPaddingXBoldYellow = 16;
+exports.textInputCommonPaddingYNeutralBlue = 8;
+exports.textInputCommonPaddingYNeutralGreen = 8;
+exports.textInputCommonPaddingYNeutralRed = 8;
+exports.textInputCommonPaddingYNeutralYellow = 8;
+exports.textInputCommonPaddingYNeutralInverseBlue = 8;
+exports.textInputCommonPaddingYNeutralInverseGreen = 8;
+exports.textInputCommonPaddingYNeutralInverseRed = 8;
+exports.textInputCommonPaddingYNeutralInverseYellow = 8;
+exports.textInputCommonPaddingYSubtleBlue = 8;
+exports.textInputCommonPaddingYSubtleGreen = 8;
+exports.textInputCommonPaddingYSubtleRed = 8;
+exports.textInputCommonPaddingYSubtleYellow = 8;
+exports.textInputCommonPaddingYBoldBlue = 8;
+exports.textInputCommonPaddingYBoldGreen = 8;
+exports.textInputCommonPaddingYBoldRed = 8;
+exports.textInputCommonPaddingYBoldYellow = 8;
+exports.textInputCommonTextGapNeutralBlue = 8;
+exports.textInputCommonTextGapNeutralGreen = 8;
+exports.textInputCommonTextGapNeutralRed = 8;
+exports.textInputCommonTextGapNeutralYellow = 8;
+exports.textInputCommonTextGapNeutralInverseBlue = 8;
+exports.textInputCommonTextGapNeutralInverseGreen = 8;
+exports.textInputCommonTextGapNeutralInverseRed = 8;
+exports.textInputCommonTextGapNeutralInverseYellow = 8;
+exports.textInputCommonTextGapSubtleBlue = 8;
+exports.textInputCommonTextGapSubtleGreen = 8;
+exports.textInputCommonTextGapSubtleRed = 8;
+exports.textInputCommonTextGapSubtleYellow = 8;
+exports.textInputCommonTextGapBoldBlue = 8;
+exports.textInputCommonTextGapBoldGreen = 8;
+exports.textInputCommonTextGapBoldRed = 8;
+exports.textInputCommonTextGapBoldYellow = 8;
+exports.textInputCommonButtonGapNeutralBlue = 8;
+exports.textInputCommonButtonGapNeutralGreen = 8;
+exports.textInputCommonButtonGapNeutralRed = 8;
+exports.textInputCommonButtonGapNeutralYellow = 8;
+exports.textInputCommonButtonGapNeutralInverseBlue = 8;
+exports.textInputCommonButtonGapNeutralInverseGreen = 8;
+exports.textInputCommonButtonGapNeutralInverseRed = 8;
+exports.textInputCommonButtonGapNeutralInverseYellow = 8;
+exports.textInputCommonButtonGapSubtleBlue = 8;
+exports.textInputCommonButtonGapSubtleGreen = 8;
+exports.textInputCommonButtonGapSubtleRed = 8;
+exports.textInputCommonButtonGapSubtleYellow = 8;
+exports.textInputCommonButtonGapBoldBlue = 8;
+exports.textInputCommonButtonGapBoldGreen = 8;
+exports.textInputCommonButtonGapBoldRed = 8;
+exports.textInputCommonButtonGapBoldYellow = 8;
+exports.textInputCommonAddonButtonGapNeutralBlue = 16;
+exports.textInputCommonAddonButtonGapNeutralGreen = 16;
+exports.textInputCommonAddonButtonGapNeutralRed = 16;
+exports.textInputCommonAddonButtonGapNeutralYellow = 16;
+exports.textInputCommonAddonButtonGapNeutralInverseBlue = 16;
+exports.textInputCommonAddonButtonGapNeutralInverseGreen = 16;
+exports.textInputCommonAddonButtonGapNeutralInverseRed = 16;
+exports.textInputCommonAddonButtonGapNeutralInverseYellow = 16;
+exports.textInputCommonAddonButtonGapSubtleBlue = 16;
+exports.textInputCommonAddonButtonGapSubtleGreen = 16;
+exports.textInputCommonAddonButtonGapSubtleRed = 16;
+exports.textInputCommonAddonButtonGapSubtleYellow = 16;
+exports.textInputCommonAddonButtonGapBoldBlue = 16;
+exports.textInputCommonAddonButtonGapBoldGreen = 16;
+exports.textInputCommonAddonButtonGapBoldRed = 16;
+exports.textInputCommonAddonButtonGapBoldYellow = 16;
+exports.textInputRestBackgroundColourNeutralBlue = "#ffffff";
+exports.textInputRestBackgroundColourNeutralGreen = "#ffffff";
+exports.textInputRestBackgroundColourNeutralRed = "#ffffff";
+exports.textInputRestBackgroundColourNeutralYellow = "#ffffff";
+exports.textInputRestBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.textInputRestBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.textInputRestBackgroundColourNeutralInverseRed = "#ffffff";
+exports.textInputRestBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.textInputRestBackgroundColourSubtleBlue = "#ffffff";
+exports.textInputRestBackgroundColourSubtleGreen = "#ffffff";
+exports.textInputRestBackgroundColourSubtleRed = "#ffffff";
+exports.textInputRestBackgroundColourSubtleYellow = "#ffffff";
+exports.textInputRestBackgroundColourBoldBlue = "#ffffff";
+exports.textInputRestBackgroundColourBoldGreen = "#ffffff";
+exports.textInputRestBackgroundColourBoldRed = "#ffffff";
+exports.textInputRestBackgroundColourBoldYellow = "#ffffff";
+exports.textInputRestBorderColourNeutralBlue = "#858686";
+exports.textInputRestBorderColourNeutralGreen = "#858686";
+exports.textInputRestBorderColourNeutralRed = "#858686";
+exports.textInputRestBorderColourNeutralYellow = "#858686";
+exports.textInputRestBorderColourNeutralInverseBlue = "#858686";
+exports.textInputRestBorderColourNeutralInverseGreen = "#858686";
+exports.textInputRestBorderColourNeutralInverseRed = "#858686";
+exports.textInputRestBorderColourNeutralInverseYellow = "#858686";
+exports.textInputRestBorderColourSubtleBlue = "#001d6e";
+exports.textInputRestBorderColourSubtleGreen = "#01312e";
+exports.textInputRestBorderColourSubtleRed = "#940824";
+exports.textInputRestBorderColourSubtleYellow = "#c86426";
+exports.textInputRestBorderColourBoldBlue = "#001d6e";
+exports.textInputRestBorderColourBoldGreen = "#01312e";
+exports.textInputRestBorderColourBoldRed = "#940824";
+exports.textInputRestBorderColourBoldYellow = "#c86426";
+exports.textInputRestColourNeutralBlue = "#1d1d1b";
+exports.textInputRestColourNeutralGreen = "#1d1d1b";
+exports.textInputRestColourNeutralRed = "#1d1d1b";
+exports.textInputRestColourNeutralYellow = "#1d1d1b";
+exports.textInputRestColourNeutralInverseBlue = "#1d1d1b";
+exports.textInputRestColourNeutralInverseGreen = "#1d1d1b";
+exports.textInputRestColourNeutralInverseRed = "#1d1d1b";
+exports.textInputRestColourNeutralInverseYellow = "#1d1d1b";
+exports.textInputRestColourSubtleBlue = "#1d1d1b";
+exports.textInputRestColourSubtleGreen = "#1d1d1b";
+exports.textInputRestColourSubtleRed = "#1d1d1b";
+exports.textInputRestColourSubtleYellow = "#1d1d1b";
+exports.textInputRestColourBoldBlue = "#1d1d1b";
+exports.textInputRestColourBoldGreen = "#1d1d1b";
+exports.textInputRestColourBoldRed = "#1d1d1b";
+exports.textInputRestColourBoldYellow = "#1d1d1b";
+exports.textInputRestBorderWidthNeutralBlue = 1.5;
+exports.textInputRestBorderWidthNeutralGreen = 1.5;
+exports.textInputRestBorderWidthNeutralRed = 1.5;
+exports.textInputRestBorderWidthNeutralYellow = 1.5;
+exports.textInputRestBorderWidthNeutralInverseBlue = 1.5;
+exports.textInputRestBorderWidthNeutralInverseGreen = 1.5;
+exports.textInputRestBorderWidthNeutralInverseRed = 1.5;
+exports.textInputRestBorderWidthNeutralInverseYellow = 1.5;
+exports.textInputRestBorderWidthSubtleBlue = 1.5;
+exports.textInputRestBorderWidthSubtleGreen = 1.5;
+exports.textInputRestBorderWidthSubtleRed = 1.5;
+exports.textInputRestBorderWidthSubtleYellow = 1.5;
+exports.textInputRestBorderWidthBoldBlue = 1.5;
+exports.textInputRestBorderWidthBoldGreen = 1.5;
+exports.textInputRestBorderWidthBoldRed = 1.5;
+exports.textInputRestBorderWidthBoldYellow = 1.5;
+exports.textInputHoverBackgroundColourNeutralBlue = "#ffffff";
+exports.textInputHoverBackgroundColourNeutralGreen = "#ffffff";
+exports.textInputHoverBackgroundColourNeutralRed = "#ffffff";
+exports.textInputHoverBackgroundColourNeutralYellow = "#ffffff";
+exports.textInputHoverBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.textInputHoverBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.textInputHoverBackgroundColourNeutralInverseRed = "#ffffff";
+exports.textInputHoverBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.textInputHoverBackgroundColourSubtleBlue = "#ffffff";
+exports.textInputHoverBackgroundColourSubtleGreen = "#ffffff";
+exports.textInputHoverBackgroundColourSubtleRed = "#ffffff";
+exports.textInputHoverBackgroundColourSubtleYellow = "#ffffff";
+exports.textInputHoverBackgroundColourBoldBlue = "#ffffff";
+exports.textInputHoverBackgroundColourBoldGreen = "#ffffff";
+exports.textInputHoverBackgroundColourBoldRed = "#ffffff";
+exports.textInputHoverBackgroundColourBoldYellow = "#ffffff";
+exports.textInputHoverBorderColourNeutralBlue = "#4d4f4f";
+exports.textInputHoverBorderColourNeutralGreen = "#4d4f4f";
+exports.textInputHoverBorderColourNeutralRed = "#4d4f4f";
+exports.textInputHoverBorderColourNeutralYellow = "#4d4f4f";
+exports.textInputHoverBorderColourNeutralInverseBlue = "#4d4f4f";
+exports.textInputHoverBorderColourNeutralInverseGreen = "#4d4f4f";
+exports.textInputHoverBorderColourNeutralInverseRed = "#4d4f4f";
+exports.textInputHoverBorderColourNeutralInverseYellow = "#4d4f4f";
+exports.textInputHoverBorderColourSubtleBlue = "#1d1d1b";
+exports.textInputHoverBorderColourSubtleGreen = "#1d1d1b";
+exports.textInputHoverBorderColourSubtleRed = "#1d1d1b";
+exports.textInputHoverBorderColourSubtleYellow = "#1d1d1b";
+exports.textInputHoverBorderColourBoldBlue = "#1d1d1b";
+exports.textInputHoverBorderColourBoldGreen = "#1d1d1b";
+exports.textInputHoverBorderColourBoldRed = "#1d1d1b";
+exports.textInputHoverBorderColourBoldYellow = "#1d1d1b";
+exports.textInputHoverColourNeutralBlue = "#1d1d1b";
+exports.textInputHoverColourNeutralGreen = "#1d1d1b";
+exports.textInputHoverColourNeutralRed = "#1d1d1b";
+exports.textInputHoverColourNeutralYellow = "#1d1d1b";
+exports.textInputHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.textInputHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.textInputHoverColourNeutralInverseRed = "#1d1d1b";
+exports.textInputHoverColourNeutralInverseYellow = "#1d1d1b";
+exports.textInputHoverColourSubtleBlue = "#1d1d1b";
+exports.textInputHoverColourSubtleGreen = "#1d1d1b";
+exports.textInputHoverColourSubtleRed = "#1d1d1b";
+exports.textInputHoverColourSubtleYellow = "#1d1d1b";
+exports.textInputHoverColourBoldBlue = "#1d1d1b";
+exports.textInputHoverColourBoldGreen = "#1d1d1b";
+exports.textInputHoverColourBoldRed = "#1d1d1b";
+exports.textInputHoverColourBoldYellow = "#1d1d1b";
+exports.textInputHoverBorderWidthNeutralBlue = 1.5;
+exports.textInputHoverBorderWidthNeutralGreen = 1.5;
+exports.textInputHoverBorderWidthNeutralRed = 1.5;
+exports.textInputHoverBorderWidthNeutralYellow = 1.5;
+exports.textInputHoverBorderWidthNeutralInverseBlue = 1.5;
+exports.textInputHoverBorderWidthNeutralInverseGreen = 1.5;
+exports.textInputHoverBorderWidthNeutralInverseRed = 1.5;
+exports.textInputHoverBorderWidthNeutralInverseYellow = 1.5;
+exports.textInputHoverBorderWidthSubtleBlue = 1.5;
+exports.textInputHoverBorderWidthSubtleGreen = 1.5;
+exports.textInputHoverBorderWidthSubtleRed = 1.5;
+exports.textInputHoverBorderWidthSubtleYellow = 1.5;
+exports.textInputHoverBorderWidthBoldBlue = 1.5;
+exports.textInputHoverBorderWidthBoldGreen = 1.5;
+exports.textInputHoverBorderWidthBoldRed = 1.5;
+exports.textInputHoverBorderWidthBoldYellow = 1.5;
+exports.textInputFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.textInputFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.textInputFocusBackgroundColourNeutralRed = "#ffffff";
+exports.textInputFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.textInputFocusBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.textInputFocusBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.textInputFocusBackgroundColourNeutralInverseRed = "#ffffff";
+exports.textInputFocusBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.textInputFocusBackgroundColourSubtleBlue = "#ffffff";
+exports.textInputFocusBackgroundColourSubtleGreen = "#ffffff";
+exports.textInputFocusBackgroundColourSubtleRed = "#ffffff";
+exports.textInputFocusBackgroundColourSubtleYellow = "#ffffff";
+exports.textInputFocusBackgroundColourBoldBlue = "#ffffff";
+exports.textInputFocusBackgroundColourBoldGreen = "#ffffff";
+exports.textInputFocusBackgroundColourBoldRed = "#ffffff";
+exports.textInputFocusBackgroundColourBoldYellow = "#ffffff";
+exports.textInputFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.textInputFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.textInputFocusBorderColourNeutralRed = "#1d1d1b";
+exports.textInputFocusBorderColourNeutralYellow = "#1d1d1b";
+exports.textInputFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.textInputFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.textInputFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.textInputFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.textInputFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.textInputFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.textInputFocusBorderColourSubtleRed = "#1d1d1b";
+exports.textInputFocusBorderColourSubtleYellow = "#1d1d1b";
+exports.textInputFocusBorderColourBoldBlue = "#1d1d1b";
+exports.textInputFocusBorderColourBoldGreen = "#1d1d1b";
+exports.textInputFocusBorderColourBoldRed = "#1d1d1b";
+exports.textInputFocusBorderColourBoldYellow = "#1d1d1b";
+exports.textInputFocusColourNeutralBlue = "#1d1d1b";
+exports.textInputFocusColourNeutralGreen = "#1d1d1b";
+exports.textInputFocusColourNeutralRed = "#1d1d1b";
+exports.textInputFocusColourNeutralYellow = "#1d1d1b";
+exports.textInputFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.textInputFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.textInputFocusColourNeutralInverseRed = "#1d1d1b";
+exports.textInputFocusColourNeutralInverseYellow = "#1d1d1b";
+exports.textInputFocusColourSubtleBlue = "#1d1d1b";
+exports.textInputFocusColourSubtleGreen = "#1d1d1b";
+exports.textInputFocusColourSubtleRed = "#1d1d1b";
+exports.textInputFocusColourSubtleYellow = "#1d1d1b";
+exports.textInputFocusColourBoldBlue = "#1d1d1b";
+exports.textInputFocusColourBoldGreen = "#1d1d1b";
+exports.textInputFocusColourBoldRed = "#1d1d1b";
+exports.textInputFocusColourBoldYellow = "#1d1d1b";
+exports.textInputFocusBorderWidthNeutralBlue = 3;
+exports.textInputFocusBorderWidthNeutralGreen = 3;
+exports.textInputFocusBorderWidthNeutralRed = 3;
+exports.textInputFocusBorderWidthNeutralYellow = 3;
+exports.textInputFocusBorderWidthNeutralInverseBlue = 3;
+exports.textInputFocusBorderWidthNeutralInverseGreen = 3;
+exports.textInputFocusBorderWidthNeutralInverseRed = 3;
+exports.textInputFocusBorderWidthNeutralInverseYellow = 3;
+exports.textInputFocusBorderWidthSubtleBlue = 3;
+exports.textInputFocusBorderWidthSubtleGreen = 3;
+exports.textInputFocusBorderWidthSubtleRed = 3;
+exports.textInputFocusBorderWidthSubtleYellow = 3;
+exports.textInputFocusBorderWidthBoldBlue = 3;
+exports.textInputFocusBorderWidthBoldGreen = 3;
+exports.textInputFocusBorderWidthBoldRed = 3;
+exports.textInputFocusBorderWidthBoldYellow = 3;
+exports.textInputErrorBackgroundColourNeutralBlue = "#ffffff";
+exports.textInputErrorBackgroundColourNeutralGreen = "#ffffff";
+exports.textInputErrorBackgroundColourNeutralRed = "#ffffff";
+exports.textInputErrorBackgroundColourNeutralYellow = "#ffffff";
+exports.textInputErrorBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.textInputErrorBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.textInputErrorBackgroundColourNeutralInverseRed = "#ffffff";
+exports.textInputErrorBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.textInputErrorBackgroundColourSubtleBlue = "#ffffff";
+exports.textInputErrorBackgroundColourSubtleGreen = "#ffffff";
+exports.textInputErrorBackgroundColourSubtleRed = "#ffffff";
+exports.textInputErrorBackgroundColourSubtleYellow = "#ffffff";
+exports.textInputErrorBackgroundColourBoldBlue = "#ffffff";
+exports.textInputErrorBackgroundColourBoldGreen = "#ffffff";
+exports.textInputErrorBackgroundColourBoldRed = "#ffffff";
+exports.textInputErrorBackgroundColourBoldYellow = "#ffffff";
+exports.textInputErrorBorderColourNeutralBlue = "#c50b30";
+exports.textInputErrorBorderColourNeutralGreen = "#c50b30";
+exports.textInputErrorBorderColourNeutralRed = "#c50b30";
+exports.textInputErrorBorderColourNeutralYellow = "#c50b30";
+exports.textInputErrorBorderColourNeutralInverseBlue = "#c50b30";
+exports.textInputErrorBorderColourNeutralInverseGreen = "#c50b30";
+exports.textInputErrorBorderColourNeutralInverseRed = "#c50b30";
+exports.textInputErrorBorderColourNeutralInverseYellow = "#c50b30";
+exports.textInputErrorBorderColourSubtleBlue = "#c50b30";
+exports.textInputErrorBorderColourSubtleGreen = "#c50b30";
+exports.textInputErrorBorderColourSubtleRed = "#c50b30";
+exports.textInputErrorBorderColourSubtleYellow = "#c50b30";
+exports.textInputErrorBorderColourBoldBlue = "#c50b30";
+exports.textInputErrorBorderColourBoldGreen = "#c50b30";
+exports.textInputErrorBorderColourBoldRed = "#c50b30";
+exports.textInputErrorBorderColourBoldYellow = "#c50b30";
+exports.textInputErrorColourNeutralBlue = "#1d1d1b";
+exports.textInputErrorColourNeutralGreen = "#1d1d1b";
+exports.textInputErrorColourNeutralRed = "#1d1d1b";
+exports.textInputErrorColourNeutralYellow = "#1d1d1b";
+exports.textInputErrorColourNeutralInverseBlue = "#1d1d1b";
+exports.textInputErrorColourNeutralInverseGreen = "#1d1d1b";
+exports.textInputErrorColourNeutralInverseRed = "#1d1d1b";
+exports.textInputErrorColourNeutralInverseYellow = "#1d1d1b";
+exports.textInputErrorColourSubtleBlue = "#1d1d1b";
+exports.textInputErrorColourSubtleGreen = "#1d1d1b";
+exports.textInputErrorColourSubtleRed = "#1d1d1b";
+exports.textInputErrorColourSubtleYellow = "#1d1d1b";
+exports.textInputErrorColourBoldBlue = "#1d1d1b";
+exports.textInputErrorColourBoldGreen = "#1d1d1b";
+exports.textInputErrorColourBoldRed = "#1d1d1b";
+exports.textInputErrorColourBoldYellow = "#1d1d1b";
+exports.textInputErrorBorderWidthNeutralBlue = 1.5;
+exports.textInputErrorBorderWidthNeutralGreen = 1.5;
+exports.textInputErrorBorderWidthNeutralRed = 1.5;
+exports.textInputErrorBorderWidthNeutralYellow = 1.5;
+exports.textInputErrorBorderWidthNeutralInverseBlue = 1.5;
+exports.textInputErrorBorderWidthNeutralInverseGreen = 1.5;
+exports.textInputErrorBorderWidthNeutralInverseRed = 1.5;
+exports.textInputErrorBorderWidthNeutralInverseYellow = 1.5;
+exports.textInputErrorBorderWidthSubtleBlue = 1.5;
+exports.textInputErrorBorderWidthSubtleGreen = 1.5;
+exports.textInputErrorBorderWidthSubtleRed = 1.5;
+exports.textInputErrorBorderWidthSubtleYellow = 1.5;
+exports.textInputErrorBorderWidthBoldBlue = 1.5;
+exports.textInputErrorBorderWidthBoldGreen = 1.5;
+exports.textInputErrorBorderWidthBoldRed = 1.5;
+exports.textInputErrorBorderWidthBoldYellow = 1.5;
+exports.textInputErrorFocusBorderWidthNeutralBlue = 3;
+exports.textInputErrorFocusBorderWidthNeutralGreen = 3;
+exports.textInputErrorFocusBorderWidthNeutralRed = 3;
+exports.textInputErrorFocusBorderWidthNeutralYellow = 3;
+exports.textInputErrorFocusBorderWidthNeutralInverseBlue = 3;
+exports.textInputErrorFocusBorderWidthNeutralInverseGreen = 3;
+exports.textInputErrorFocusBorderWidthNeutralInverseRed = 3;
+exports.textInputErrorFocusBorderWidthNeutralInverseYellow = 3;
+exports.textInputErrorFocusBorderWidthSubtleBlue = 3;
+exports.textInputErrorFocusBorderWidthSubtleGreen = 3;
+exports.textInputErrorFocusBorderWidthSubtleRed = 3;
+exports.textInputErrorFocusBorderWidthSubtleYellow = 3;
+exports.textInputErrorFocusBorderWidthBoldBlue = 3;
+exports.textInputErrorFocusBorderWidthBoldGreen = 3;
+exports.textInputErrorFocusBorderWidthBoldRed = 3;
+exports.textInputErrorFocusBorderWidthBoldYellow = 3;
+exports.textInputDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+exports.textInputDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+exports.textInputDisabledBackgroundColourNeutralRed = "#f4f4f4";
+exports.textInputDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+exports.textInputDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.textInputDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.textInputDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.textInputDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.textInputDisabledBackgroundColourSubtleBlue = "#f4f4f4";
+exports.textInputDisabledBackgroundColourSubtleGreen = "#f4f4f4";
+exports.textInputDisabledBackgroundColourSubtleRed = "#f4f4f4";
+exports.textInputDisabledBackgroundColourSubtleYellow = "#f4f4f4";
+exports.textInputDisabledBackgroundColourBoldBlue = "#f4f4f4";
+exports.textInputDisabledBackgroundColourBoldGreen = "#f4f4f4";
+exports.textInputDisabledBackgroundColourBoldRed = "#f4f4f4";
+exports.textInputDisabledBackgroundColourBoldYellow = "#f4f4f4";
+exports.textInputDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.textInputDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.textInputDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.textInputDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.textInputDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.textInputDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.textInputDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.textInputDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.textInputDisabledBorderColourSubtleBlue = "#d3d3d3";
+exports.textInputDisabledBorderColourSubtleGreen = "#d3d3d3";
+exports.textInputDisabledBorderColourSubtleRed = "#d3d3d3";
+exports.textInputDisabledBorderColourSubtleYellow = "#d3d3d3";
+exports.textInputDisabledBorderColourBoldBlue = "#d3d3d3";
+exports.textInputDisabledBorderColourBoldGreen = "#d3d3d3";
+exports.textInputDisabledBorderColourBoldRed = "#d3d3d3";
+exports.textInputDisabledBorderColourBoldYellow = "#d3d3d3";
+exports.textInputDisabledColourNeutralBlue = "#a6a7a7";
+exports.textInputDisabledColourNeutralGreen = "#a6a7a7";
+exports.textInputDisabledColourNeutralRed = "#a6a7a7";
+exports.textInputDisabledColourNeutralYellow = "#a6a7a7";
+exports.textInputDisabledColourNeutralInverseBlue = "#a6a7a7";
+exports.textInputDisabledColourNeutralInverseGreen = "#a6a7a7";
+exports.textInputDisabledColourNeutralInverseRed = "#a6a7a7";
+exports.textInputDisabledColourNeutralInverseYellow = "#a6a7a7";
+exports.textInputDisabledColourSubtleBlue = "#a6a7a7";
+exports.textInputDisabledColourSubtleGreen = "#a6a7a7";
+exports.textInputDisabledColourSubtleRed = "#a6a7a7";
+exports.textInputDisabledColourSubtleYellow = "#a6a7a7";
+exports.textInputDisabledColourBoldBlue = "#a6a7a7";
+exports.textInputDisabledColourBoldGreen = "#a6a7a7";
+exports.textInputDisabledColourBoldRed = "#a6a7a7";
+exports.textInputDisabledColourBoldYellow = "#a6a7a7";
+exports.textInputDisabledBorderWidthNeutralBlue = 1.5;
+exports.textInputDisabledBorderWidthNeutralGreen = 1.5;
+exports.textInputDisabledBorderWidthNeutralRed = 1.5;
+exports.textInputDisabledBorderWidthNeutralYellow = 1.5;
+exports.textInputDisabledBorderWidthNeutralInverseBlue = 1.5;
+exports.textInputDisabledBorderWidthNeutralInverseGreen = 1.5;
+exports.textInputDisabledBorderWidthNeutralInverseRed = 1.5;
+exports.textInputDisabledBorderWidthNeutralInverseYellow = 1.5;
+exports.textInputDisabledBorderWidthSubtleBlue = 1.5;
+exports.textInputDisabledBorderWidthSubtleGreen = 1.5;
+exports.textInputDisabledBorderWidthSubtleRed = 1.5;
+exports.textInputDisabledBorderWidthSubtleYellow = 1.5;
+exports.textInputDisabledBorderWidthBoldBlue = 1.5;
+exports.textInputDisabledBorderWidthBoldGreen = 1.5;
+exports.textInputDisabledBorderWidthBoldRed = 1.5;
+exports.textInputDisabledBorderWidthBoldYellow = 1.5;
+exports.selectCommonBorderRadiusNeutralBlue = 12;
+exports.selectCommonBorderRadiusNeutralGreen = 12;
+exports.selectCommonBorderRadiusNeutralRed = 12;
+exports.selectCommonBorderRadiusNeutralYellow = 12;
+exports.selectCommonBorderRadiusNeutralInverseBlue = 12;
+exports.selectCommonBorderRadiusNeutralInverseGreen = 12;
+exports.selectCommonBorderRadiusNeutralInverseRed = 12;
+exports.selectCommonBorderRadiusNeutralInverseYellow = 12;
+exports.selectCommonBorderRadiusSubtleBlue = 12;
+exports.selectCommonBorderRadiusSubtleGreen = 12;
+exports.selectCommonBorderRadiusSubtleRed = 12;
+exports.selectCommonBorderRadiusSubtleYellow = 12;
+exports.selectCommonBorderRadiusBoldBlue = 12;
+exports.selectCommonBorderRadiusBoldGreen = 12;
+exports.selectCommonBorderRadiusBoldRed = 12;
+exports.selectCommonBorderRadiusBoldYellow = 12;
+exports.selectCommonHeightNeutralBlue = 48;
+exports.selectCommonHeightNeutralGreen = 48;
+exports.selectCommonHeightNeutralRed = 48;
+exports.selectCommonHeightNeutralYellow = 48;
+exports.selectCommonHeightNeutralInverseBlue = 48;
+exports.selectCommonHeightNeutralInverseGreen = 48;
+exports.selectCommonHeightNeutralInverseRed = 48;
+exports.selectCommonHeightNeutralInverseYellow = 48;
+exports.selectCommonHeightSubtleBlue = 48;
+exports.selectCommonHeightSubtleGreen = 48;
+exports.selectCommonHeightSubtleRed = 48;
+exports.selectCommonHeightSubtleYellow = 48;
+exports.selectCommonHeightBoldBlue = 48;
+exports.selectCommonHeightBoldGreen = 48;
+exports.selectCommonHeightBoldRed = 48;
+exports.selectCommonHeightBoldYellow = 48;
+exports.selectCommonPaddingXNeutralBlue = 16;
+exports.selectCommonPaddingXNeutralGreen = 16;
+exports.selectCommonPaddingXNeutralRed = 16;
+exports.selectCommonPaddingXNeutralYellow = 16;
+exports.selectCommonPaddingXNeutralInverseBlue = 16;
+exports.selectCommonPaddingXNeutralInverseGreen = 16;
+exports.selectCommonPaddingXNeutralInverseRed = 16;
+exports.selectCommonPaddingXNeutralInverseYellow = 16;
+exports.selectCommonPaddingXSubtleBlue = 16;
+exports.selectCommonPaddingXSubtleGreen = 16;
+exports.selectCommonPaddingXSubtleRed = 16;
+exports.selectCommonPaddingXSubtleYellow = 16;
+exports.selectCommonPaddingXBoldBlue = 16;
+exports.selectCommonPaddingXBoldGreen = 16;
+exports.selectCommonPaddingXBoldRed = 16;
+exports.selectCommonPaddingXBoldYellow = 16;
+exports.selectCommonPaddingYNeutralBlue = 8;
+exports.selectCommonPaddingYNeutralGreen = 8;
+exports.selectCommonPaddingYNeutralRed = 8;
+exports.selectCommonPaddingYNeutralYellow = 8;
+exports.selectCommonPaddingYNeutralInverseBlue = 8;
+exports.selectCommonPaddingYNeutralInverseGreen = 8;
+exports.selectCommonPaddingYNeutralInverseRed = 8;
+exports.selectCommonPaddingYNeutralInverseYellow = 8;
+exports.selectCommonPaddingYSubtleBlue = 8;
+exports.selectCommonPaddingYSubtleGreen = 8;
+exports.selectCommonPaddingYSubtleRed = 8;
+exports.selectCommonPaddingYSubtleYellow = 8;
+exports.selectCommonPaddingYBoldBlue = 8;
+exports.selectCommonPaddingYBoldGreen = 8;
+exports.selectCommonPaddingYBoldRed = 8;
+exports.selectCommonPaddingYBoldYellow = 8;
+exports.selectCommonTextGapNeutralBlue = 8;
+exports.selectCommonTextGapNeutralGreen = 8;
+exports.selectCommonTextGapNeutralRed = 8;
+exports.selectCommonTextGapNeutralYellow = 8;
+exports.selectCommonTextGapNeutralInverseBlue = 8;
+exports.selectCommonTextGapNeutralInverseGreen = 8;
+exports.selectCommonTextGapNeutralInverseRed = 8;
+exports.selectCommonTextGapNeutralInverseYellow = 8;
+exports.selectCommonTextGapSubtleBlue = 8;
+exports.selectCommonTextGapSubtleGreen = 8;
+exports.selectCommonTextGapSubtleRed = 8;
+exports.selectCommonTextGapSubtleYellow = 8;
+exports.selectCommonTextGapBoldBlue = 8;
+exports.selectCommonTextGapBoldGreen = 8;
+exports.selectCommonTextGapBoldRed = 8;
+exports.selectCommonTextGapBoldYellow = 8;
+exports.selectCommonButtonGapNeutralBlue = 16;
+exports.selectCommonButtonGapNeutralGreen = 16;
+exports.selectCommonButtonGapNeutralRed = 16;
+exports.selectCommonButtonGapNeutralYellow = 16;
+exports.selectCommonButtonGapNeutralInverseBlue = 16;
+exports.selectCommonButtonGapNeutralInverseGreen = 16;
+exports.selectCommonButtonGapNeutralInverseRed = 16;
+exports.selectCommonButtonGapNeutralInverseYellow = 16;
+exports.selectCommonButtonGapSubtleBlue = 16;
+exports.selectCommonButtonGapSubtleGreen = 16;
+exports.selectCommonButtonGapSubtleRed = 16;
+exports.selectCommonButtonGapSubtleYellow = 16;
+exports.selectCommonButtonGapBoldBlue = 16;
+exports.selectCommonButtonGapBoldGreen = 16;
+exports.selectCommonButtonGapBoldRed = 16;
+exports.selectCommonButtonGapBoldYellow = 16;
+exports.selectRestBackgroundColourNeutralBlue = "#ffffff";
+exports.selectRestBackgroundColourNeutralGreen = "#ffffff";
+exports.selectRestBackgroundColourNeutralRed = "#ffffff";
+exports.selectRestBackgroundColourNeutralYellow = "#ffffff";
+exports.selectRestBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.selectRestBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.selectRestBackgroundColourNeutralInverseRed = "#ffffff";
+exports.selectRestBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.selectRestBackgroundColourSubtleBlue = "#ffffff";
+exports.selectRestBackgroundColourSubtleGreen = "#ffffff";
+exports.selectRestBackgroundColourSubtleRed = "#ffffff";
+exports.selectRestBackgroundColourSubtleYellow = "#ffffff";
+exports.selectRestBackgroundColourBoldBlue = "#ffffff";
+exports.selectRestBackgroundColourBoldGreen = "#ffffff";
+exports.selectRestBackgroundColourBoldRed = "#ffffff";
+exports.selectRestBackgroundColourBoldYellow = "#ffffff";
+exports.selectRestBorderColourNeutralBlue = "#858686";
+exports.selectRestBorderColourNeutralGreen = "#858686";
+exports.selectRestBorderColourNeutralRed = "#858686";
+exports.selectRestBorderColourNeutralYellow = "#858686";
+exports.selectRestBorderColourNeutralInverseBlue = "#858686";
+exports.selectRestBorderColourNeutralInverseGreen = "#858686";
+exports.selectRestBorderColourNeutralInverseRed = "#858686";
+exports.selectRestBorderColourNeutralInverseYellow = "#858686";
+exports.selectRestBorderColourSubtleBlue = "#001d6e";
+exports.selectRestBorderColourSubtleGreen = "#01312e";
+exports.selectRestBorderColourSubtleRed = "#940824";
+exports.selectRestBorderColourSubtleYellow = "#c86426";
+exports.selectRestBorderColourBoldBlue = "#001d6e";
+exports.selectRestBorderColourBoldGreen = "#01312e";
+exports.selectRestBorderColourBoldRed = "#940824";
+exports.selectRestBorderColourBoldYellow = "#c86426";
+exports.selectRestColourNeutralBlue = "#1d1d1b";
+exports.selectRestColourNeutralGreen = "#1d1d1b";
+exports.selectRestColourNeutralRed = "#1d1d1b";
+exports.selectRestColourNeutralYellow = "#1d1d1b";
+exports.selectRestColourNeutralInverseBlue = "#1d1d1b";
+exports.selectRestColourNeutralInverseGreen = "#1d1d1b";
+exports.selectRestColourNeutralInverseRed = "#1d1d1b";
+exports.selectRestColourNeutralInverseYellow = "#1d1d1b";
+exports.selectRestColourSubtleBlue = "#1d1d1b";
+exports.selectRestColourSubtleGreen = "#1d1d1b";
+exports.selectRestColourSubtleRed = "#1d1d1b";
+exports.selectRestColourSubtleYellow = "#1d1d1b";
+exports.selectRestColourBoldBlue = "#1d1d1b";
+exports.selectRestColourBoldGreen = "#1d1d1b";
+exports.selectRestColourBoldRed = "#1d1d1b";
+exports.selectRestColourBoldYellow = "#1d1d1b";
+exports.selectRestBorderWidthNeutralBlue = 1.5;
+exports.selectRestBorderWidthNeutralGreen = 1.5;
+exports.selectRestBorderWidthNeutralRed = 1.5;
+exports.selectRestBorderWidthNeutralYellow = 1.5;
+exports.selectRestBorderWidthNeutralInverseBlue = 1.5;
+exports.selectRestBorderWidthNeutralInverseGreen = 1.5;
+exports.selectRestBorderWidthNeutralInverseRed = 1.5;
+exports.selectRestBorderWidthNeutralInverseYellow = 1.5;
+exports.selectRestBorderWidthSubtleBlue = 1.5;
+exports.selectRestBorderWidthSubtleGreen = 1.5;
+exports.selectRestBorderWidthSubtleRed = 1.5;
+exports.selectRestBorderWidthSubtleYellow = 1.5;
+exports.selectRestBorderWidthBoldBlue = 1.5;
+exports.selectRestBorderWidthBoldGreen = 1.5;
+exports.selectRestBorderWidthBoldRed = 1.5;
+exports.selectRestBorderWidthBoldYellow = 1.5;
+exports.selectHoverBackgroundColourNeutralBlue = "#ffffff";
+exports.selectHoverBackgroundColourNeutralGreen = "#ffffff";
+exports.selectHoverBackgroundColourNeutralRed = "#ffffff";
+exports.selectHoverBackgroundColourNeutralYellow = "#ffffff";
+exports.selectHoverBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.selectHoverBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.selectHoverBackgroundColourNeutralInverseRed = "#ffffff";
+exports.selectHoverBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.selectHoverBackgroundColourSubtleBlue = "#ffffff";
+exports.selectHoverBackgroundColourSubtleGreen = "#ffffff";
+exports.selectHoverBackgroundColourSubtleRed = "#ffffff";
+exports.selectHoverBackgroundColourSubtleYellow = "#ffffff";
+exports.selectHoverBackgroundColourBoldBlue = "#ffffff";
+exports.selectHoverBackgroundColourBoldGreen = "#ffffff";
+exports.selectHoverBackgroundColourBoldRed = "#ffffff";
+exports.selectHoverBackgroundColourBoldYellow = "#ffffff";
+exports.selectHoverBorderColourNeutralBlue = "#4d4f4f";
+exports.selectHoverBorderColourNeutralGreen = "#4d4f4f";
+exports.selectHoverBorderColourNeutralRed = "#4d4f4f";
+exports.selectHoverBorderColourNeutralYellow = "#4d4f4f";
+exports.selectHoverBorderColourNeutralInverseBlue = "#4d4f4f";
+exports.selectHoverBorderColourNeutralInverseGreen = "#4d4f4f";
+exports.selectHoverBorderColourNeutralInverseRed = "#4d4f4f";
+exports.selectHoverBorderColourNeutralInverseYellow = "#4d4f4f";
+exports.selectHoverBorderColourSubtleBlue = "#1d1d1b";
+exports.selectHoverBorderColourSubtleGreen = "#1d1d1b";
+exports.selectHoverBorderColourSubtleRed = "#1d1d1b";
+exports.selectHoverBorderColourSubtleYellow = "#1d1d1b";
+exports.selectHoverBorderColourBoldBlue = "#1d1d1b";
+exports.selectHoverBorderColourBoldGreen = "#1d1d1b";
+exports.selectHoverBorderColourBoldRed = "#1d1d1b";
+exports.selectHoverBorderColourBoldYellow = "#1d1d1b";
+exports.selectHoverColourNeutralBlue = "#1d1d1b";
+exports.selectHoverColourNeutralGreen = "#1d1d1b";
+exports.selectHoverColourNeutralRed = "#1d1d1b";
+exports.selectHoverColourNeutralYellow = "#1d1d1b";
+exports.selectHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.selectHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.selectHoverColourNeutralInverseRed = "#1d1d1b";
+exports.selectHoverColourNeutralInverseYellow = "#1d1d1b";
+exports.selectHoverColourSubtleBlue = "#1d1d1b";
+exports.selectHoverColourSubtleGreen = "#1d1d1b";
+exports.selectHoverColourSubtleRed = "#1d1d1b";
+exports.selectHoverColourSubtleYellow = "#1d1d1b";
+exports.selectHoverColourBoldBlue = "#1d1d1b";
+exports.selectHoverColourBoldGreen = "#1d1d1b";
+exports.selectHoverColourBoldRed = "#1d1d1b";
+exports.selectHoverColourBoldYellow = "#1d1d1b";
+exports.selectHoverBorderWidthNeutralBlue = 1.5;
+exports.selectHoverBorderWidthNeutralGreen = 1.5;
+exports.selectHoverBorderWidthNeutralRed = 1.5;
+exports.selectHoverBorderWidthNeutralYellow = 1.5;
+exports.selectHoverBorderWidthNeutralInverseBlue = 1.5;
+exports.selectHoverBorderWidthNeutralInverseGreen = 1.5;
+exports.selectHoverBorderWidthNeutralInverseRed = 1.5;
+exports.selectHoverBorderWidthNeutralInverseYellow = 1.5;
+exports.selectHoverBorderWidthSubtleBlue = 1.5;
+exports.selectHoverBorderWidthSubtleGreen = 1.5;
+exports.selectHoverBorderWidthSubtleRed = 1.5;
+exports.selectHoverBorderWidthSubtleYellow = 1.5;
+exports.selectHoverBorderWidthBoldBlue = 1.5;
+exports.selectHoverBorderWidthBoldGreen = 1.5;
+exports.selectHoverBorderWidthBoldRed = 1.5;
+exports.selectHoverBorderWidthBoldYellow = 1.5;
+exports.selectFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.selectFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.selectFocusBackgroundColourNeutralRed = "#ffffff";
+exports.selectFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.selectFocusBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.selectFocusBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.selectFocusBackgroundColourNeutralInverseRed = "#ffffff";
+exports.selectFocusBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.selectFocusBackgroundColourSubtleBlue = "#ffffff";
+exports.selectFocusBackgroundColourSubtleGreen = "#ffffff";
+exports.selectFocusBackgroundColourSubtleRed = "#ffffff";
+exports.selectFocusBackgroundColourSubtleYellow = "#ffffff";
+exports.selectFocusBackgroundColourBoldBlue = "#ffffff";
+exports.selectFocusBackgroundColourBoldGreen = "#ffffff";
+exports.selectFocusBackgroundColourBoldRed = "#ffffff";
+exports.selectFocusBackgroundColourBoldYellow = "#ffffff";
+exports.selectFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.selectFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.selectFocusBorderColourNeutralRed = "#1d1d1b";
+exports.selectFocusBorderColourNeutralYellow = "#1d1d1b";
+exports.selectFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.selectFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.selectFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.selectFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.selectFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.selectFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.selectFocusBorderColourSubtleRed = "#1d1d1b";
+exports.selectFocusBorderColourSubtleYellow = "#1d1d1b";
+exports.selectFocusBorderColourBoldBlue = "#1d1d1b";
+exports.selectFocusBorderColourBoldGreen = "#1d1d1b";
+exports.selectFocusBorderColourBoldRed = "#1d1d1b";
+exports.selectFocusBorderColourBoldYellow = "#1d1d1b";
+exports.selectFocusColourNeutralBlue = "#1d1d1b";
+exports.selectFocusColourNeutralGreen = "#1d1d1b";
+exports.selectFocusColourNeutralRed = "#1d1d1b";
+exports.selectFocusColourNeutralYellow = "#1d1d1b";
+exports.selectFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.selectFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.selectFocusColourNeutralInverseRed = "#1d1d1b";
+exports.selectFocusColourNeutralInverseYellow = "#1d1d1b";
+exports.selectFocusColourSubtleBlue = "#1d1d1b";
+exports.selectFocusColourSubtleGreen = "#1d1d1b";
+exports.selectFocusColourSubtleRed = "#1d1d1b";
+exports.selectFocusColourSubtleYellow = "#1d1d1b";
+exports.selectFocusColourBoldBlue = "#1d1d1b";
+exports.selectFocusColourBoldGreen = "#1d1d1b";
+exports.selectFocusColourBoldRed = "#1d1d1b";
+exports.selectFocusColourBoldYellow = "#1d1d1b";
+exports.selectFocusBorderWidthNeutralBlue = 3;
+exports.selectFocusBorderWidthNeutralGreen = 3;
+exports.selectFocusBorderWidthNeutralRed = 3;
+exports.selectFocusBorderWidthNeutralYellow = 3;
+exports.selectFocusBorderWidthNeutralInverseBlue = 3;
+exports.selectFocusBorderWidthNeutralInverseGreen = 3;
+exports.selectFocusBorderWidthNeutralInverseRed = 3;
+exports.selectFocusBorderWidthNeutralInverseYellow = 3;
+exports.selectFocusBorderWidthSubtleBlue = 3;
+exports.selectFocusBorderWidthSubtleGreen = 3;
+exports.selectFocusBorderWidthSubtleRed = 3;
+exports.selectFocusBorderWidthSubtleYellow = 3;
+exports.selectFocusBorderWidthBoldBlue = 3;
+exports.selectFocusBorderWidthBoldGreen = 3;
+exports.selectFocusBorderWidthBoldRed = 3;
+exports.selectFocusBorderWidthBoldYellow = 3;
+exports.selectErrorBackgroundColourNeutralBlue = "#ffffff";
+exports.selectErrorBackgroundColourNeutralGreen = "#ffffff";
+exports.selectErrorBackgroundColourNeutralRed = "#ffffff";
+exports.selectErrorBackgroundColourNeutralYellow = "#ffffff";
+exports.selectErrorBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.selectErrorBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.selectErrorBackgroundColourNeutralInverseRed = "#ffffff";
+exports.selectErrorBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.selectErrorBackgroundColourSubtleBlue = "#ffffff";
+exports.selectErrorBackgroundColourSubtleGreen = "#ffffff";
+exports.selectErrorBackgroundColourSubtleRed = "#ffffff";
+exports.selectErrorBackgroundColourSubtleYellow = "#ffffff";
+exports.selectErrorBackgroundColourBoldBlue = "#ffffff";
+exports.selectErrorBackgroundColourBoldGreen = "#ffffff";
+exports.selectErrorBackgroundColourBoldRed = "#ffffff";
+exports.selectErrorBackgroundColourBoldYellow = "#ffffff";
+exports.selectErrorBorderColourNeutralBlue = "#c50b30";
+exports.selectErrorBorderColourNeutralGreen = "#c50b30";
+exports.selectErrorBorderColourNeutralRed = "#c50b30";
+exports.selectErrorBorderColourNeutralYellow = "#c50b30";
+exports.selectErrorBorderColourNeutralInverseBlue = "#c50b30";
+exports.selectErrorBorderColourNeutralInverseGreen = "#c50b30";
+exports.selectErrorBorderColourNeutralInverseRed = "#c50b30";
+exports.selectErrorBorderColourNeutralInverseYellow = "#c50b30";
+exports.selectErrorBorderColourSubtleBlue = "#c50b30";
+exports.selectErrorBorderColourSubtleGreen = "#c50b30";
+exports.selectErrorBorderColourSubtleRed = "#c50b30";
+exports.selectErrorBorderColourSubtleYellow = "#c50b30";
+exports.selectErrorBorderColourBoldBlue = "#c50b30";
+exports.selectErrorBorderColourBoldGreen = "#c50b30";
+exports.selectErrorBorderColourBoldRed = "#c50b30";
+exports.selectErrorBorderColourBoldYellow = "#c50b30";
+exports.selectErrorColourNeutralBlue = "#1d1d1b";
+exports.selectErrorColourNeutralGreen = "#1d1d1b";
+exports.selectErrorColourNeutralRed = "#1d1d1b";
+exports.selectErrorColourNeutralYellow = "#1d1d1b";
+exports.selectErrorColourNeutralInverseBlue = "#1d1d1b";
+exports.selectErrorColourNeutralInverseGreen = "#1d1d1b";
+exports.selectErrorColourNeutralInverseRed = "#1d1d1b";
+exports.selectErrorColourNeutralInverseYellow = "#1d1d1b";
+exports.selectErrorColourSubtleBlue = "#1d1d1b";
+exports.selectErrorColourSubtleGreen = "#1d1d1b";
+exports.selectErrorColourSubtleRed = "#1d1d1b";
+exports.selectErrorColourSubtleYellow = "#1d1d1b";
+exports.selectErrorColourBoldBlue = "#1d1d1b";
+exports.selectErrorColourBoldGreen = "#1d1d1b";
+exports.selectErrorColourBoldRed = "#1d1d1b";
+exports.selectErrorColourBoldYellow = "#1d1d1b";
+exports.selectErrorBorderWidthNeutralBlue = 1.5;
+exports.selectErrorBorderWidthNeutralGreen = 1.5;
+exports.selectErrorBorderWidthNeutralRed = 1.5;
+exports.selectErrorBorderWidthNeutralYellow = 1.5;
+exports.selectErrorBorderWidthNeutralInverseBlue = 1.5;
+exports.selectErrorBorderWidthNeutralInverseGreen = 1.5;
+exports.selectErrorBorderWidthNeutralInverseRed = 1.5;
+exports.selectErrorBorderWidthNeutralInverseYellow = 1.5;
+exports.selectErrorBorderWidthSubtleBlue = 1.5;
+exports.selectErrorBorderWidthSubtleGreen = 1.5;
+exports.selectErrorBorderWidthSubtleRed = 1.5;
+exports.selectErrorBorderWidthSubtleYellow = 1.5;
+exports.selectErrorBorderWidthBoldBlue = 1.5;
+exports.selectErrorBorderWidthBoldGreen = 1.5;
+exports.selectErrorBorderWidthBoldRed = 1.5;
+exports.selectErrorBorderWidthBoldYellow = 1.5;
+exports.selectErrorFocusBorderWidthNeutralBlue = 3;
+exports.selectErrorFocusBorderWidthNeutralGreen = 3;
+exports.selectErrorFocusBorderWidthNeutralRed = 3;
+exports.selectErrorFocusBorderWidthNeutralYellow = 3;
+exports.selectErrorFocusBorderWidthNeutralInverseBlue = 3;
+exports.selectErrorFocusBorderWidthNeutralInverseGreen = 3;
+exports.selectErrorFocusBorderWidthNeutralInverseRed = 3;
+exports.selectErrorFocusBorderWidthNeutralInverseYellow = 3;
+exports.selectErrorFocusBorderWidthSubtleBlue = 3;
+exports.selectErrorFocusBorderWidthSubtleGreen = 3;
+exports.selectErrorFocusBorderWidthSubtleRed = 3;
+exports.selectErrorFocusBorderWidthSubtleYellow = 3;
+exports.selectErrorFocusBorderWidthBoldBlue = 3;
+exports.selectErrorFocusBorderWidthBoldGreen = 3;
+exports.selectErrorFocusBorderWidthBoldRed = 3;
+exports.selectErrorFocusBorderWidthBoldYellow = 3;
+exports.selectDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+exports.selectDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+exports.selectDisabledBackgroundColourNeutralRed = "#f4f4f4";
+exports.selectDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+exports.selectDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.selectDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.selectDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.selectDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.selectDisabledBackgroundColourSubtleBlue = "#f4f4f4";
+exports.selectDisabledBackgroundColourSubtleGreen = "#f4f4f4";
+exports.selectDisabledBackgroundColourSubtleRed = "#f4f4f4";
+exports.selectDisabledBackgroundColourSubtleYellow = "#f4f4f4";
+exports.selectDisabledBackgroundColourBoldBlue = "#f4f4f4";
+exports.selectDisabledBackgroundColourBoldGreen = "#f4f4f4";
+exports.selectDisabledBackgroundColourBoldRed = "#f4f4f4";
+exports.selectDisabledBackgroundColourBoldYellow = "#f4f4f4";
+exports.selectDisabledBorderColourNeutralBlue = "#d3d3d3";
+exports.selectDisabledBorderColourNeutralGreen = "#d3d3d3";
+exports.selectDisabledBorderColourNeutralRed = "#d3d3d3";
+exports.selectDisabledBorderColourNeutralYellow = "#d3d3d3";
+exports.selectDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.selectDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.selectDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+exports.selectDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.selectDisabledBorderColourSubtleBlue = "#d3d3d3";
+exports.selectDisabledBorderColourSubtleGreen = "#d3d3d3";
+exports.selectDisabledBorderColourSubtleRed = "#d3d3d3";
+exports.selectDisabledBorderColourSubtleYellow = "#d3d3d3";
+exports.selectDisabledBorderColourBoldBlue = "#d3d3d3";
+exports.selectDisabledBorderColourBoldGreen = "#d3d3d3";
+exports.selectDisabledBorderColourBoldRed = "#d3d3d3";
+exports.selectDisabledBorderColourBoldYellow = "#d3d3d3";
+exports.selectDisabledColourNeutralBlue = "#a6a7a7";
+exports.selectDisabledColourNeutralGreen = "#a6a7a7";
+exports.selectDisabledColourNeutralRed = "#a6a7a7";
+exports.selectDisabledColourNeutralYellow = "#a6a7a7";
+exports.selectDisabledColourNeutralInverseBlue = "#a6a7a7";
+exports.selectDisabledColourNeutralInverseGreen = "#a6a7a7";
+exports.selectDisabledColourNeutralInverseRed = "#a6a7a7";
+exports.selectDisabledColourNeutralInverseYellow = "#a6a7a7";
+exports.selectDisabledColourSubtleBlue = "#a6a7a7";
+exports.selectDisabledColourSubtleGreen = "#a6a7a7";
+exports.selectDisabledColourSubtleRed = "#a6a7a7";
+exports.selectDisabledColourSubtleYellow = "#a6a7a7";
+exports.selectDisabledColourBoldBlue = "#a6a7a7";
+exports.selectDisabledColourBoldGreen = "#a6a7a7";
+exports.selectDisabledColourBoldRed = "#a6a7a7";
+exports.selectDisabledColourBoldYellow = "#a6a7a7";
+exports.selectDisabledBorderWidthNeutralBlue = 1.5;
+exports.selectDisabledBorderWidthNeutralGreen = 1.5;
+exports.selectDisabledBorderWidthNeutralRed = 1.5;
+exports.selectDisabledBorderWidthNeutralYellow = 1.5;
+exports.selectDisabledBorderWidthNeutralInverseBlue = 1.5;
+exports.selectDisabledBorderWidthNeutralInverseGreen = 1.5;
+exports.selectDisabledBorderWidthNeutralInverseRed = 1.5;
+exports.selectDisabledBorderWidthNeutralInverseYellow = 1.5;
+exports.selectDisabledBorderWidthSubtleBlue = 1.5;
+exports.selectDisabledBorderWidthSubtleGreen = 1.5;
+exports.selectDisabledBorderWidthSubtleRed = 1.5;
+exports.selectDisabledBorderWidthSubtleYellow = 1.5;
+exports.selectDisabledBorderWidthBoldBlue = 1.5;
+exports.selectDisabledBorderWidthBoldGreen = 1.5;
+exports.selectDisabledBorderWidthBoldRed = 1.5;
+exports.selectDisabledBorderWidthBoldYellow = 1.5;
+exports.addOnButtonRestColourNeutralBlue = "#858686";
+exports.addOnButtonRestColourNeutralGreen = "#858686";
+exports.addOnButtonRestColourNeutralRed = "#858686";
+exports.addOnButtonRestColourNeutralYellow = "#858686";
+exports.addOnButtonRestColourNeutralInverseBlue = "#858686";
+exports.addOnButtonRestColourNeutralInverseGreen = "#858686";
+exports.addOnButtonRestColourNeutralInverseRed = "#858686";
+exports.addOnButtonRestColourNeutralInverseYellow = "#858686";
+exports.addOnButtonRestColourSubtleBlue = "#858686";
+exports.addOnButtonRestColourSubtleGreen = "#858686";
+exports.addOnButtonRestColourSubtleRed = "#858686";
+exports.addOnButtonRestColourSubtleYellow = "#858686";
+exports.addOnButtonRestColourBoldBlue = "#858686";
+exports.addOnButtonRestColourBoldGreen = "#858686";
+exports.addOnButtonRestColourBoldRed = "#858686";
+exports.addOnButtonRestColourBoldYellow = "#858686";
+exports.addOnButtonHoverColourNeutralBlue = "#4d4f4f";
+exports.addOnButtonHoverColourNeutralGreen = "#4d4f4f";
+exports.addOnButtonHoverColourNeutralRed = "#4d4f4f";
+exports.addOnButtonHoverColourNeutralYellow = "#4d4f4f";
+exports.addOnButtonHoverColourNeutralInverseBlue = "#4d4f4f";
+exports.addOnButtonHoverColourNeutralInverseGreen = "#4d4f4f";
+exports.addOnButtonHoverColourNeutralInverseRed = "#4d4f4f";
+exports.addOnButtonHoverColourNeutralInverseYellow = "#4d4f4f";
+exports.addOnButtonHoverColourSubtleBlue = "#4d4f4f";
+exports.addOnButtonHoverColourSubtleGreen = "#4d4f4f";
+exports.addOnButtonHoverColourSubtleRed = "#4d4f4f";
+exports.addOnButtonHoverColourSubtleYellow = "#4d4f4f";
+exports.addOnButtonHoverColourBoldBlue = "#4d4f4f";
+exports.addOnButtonHoverColourBoldGreen = "#4d4f4f";
+exports.addOnButtonHoverColourBoldRed = "#4d4f4f";
+exports.addOnButtonHoverColourBoldYellow = "#4d4f4f";
+exports.addOnButtonActiveColourNeutralBlue = "#1d1d1b";
+exports.addOnButtonActiveColourNeutralGreen = "#1d1d1b";
+exports.addOnButtonActiveColourNeutralRed = "#1d1d1b";
+exports.addOnButtonActiveColourNeutralYellow = "#1d1d1b";
+exports.addOnButtonActiveColourNeutralInverseBlue = "#1d1d1b";
+exports.addOnButtonActiveColourNeutralInverseGreen = "#1d1d1b";
+exports.addOnButtonActiveColourNeutralInverseRed = "#1d1d1b";
+exports.addOnButtonActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.addOnButtonActiveColourSubtleBlue = "#1d1d1b";
+exports.addOnButtonActiveColourSubtleGreen = "#1d1d1b";
+exports.addOnButtonActiveColourSubtleRed = "#1d1d1b";
+exports.addOnButtonActiveColourSubtleYellow = "#1d1d1b";
+exports.addOnButtonActiveColourBoldBlue = "#1d1d1b";
+exports.addOnButtonActiveColourBoldGreen = "#1d1d1b";
+exports.addOnButtonActiveColourBoldRed = "#1d1d1b";
+exports.addOnButtonActiveColourBoldYellow = "#1d1d1b";
+exports.addOnButtonFocusColourNeutralBlue = "#858686";
+exports.addOnButtonFocusColourNeutralGreen = "#858686";
+exports.addOnButtonFocusColourNeutralRed = "#858686";
+exports.addOnButtonFocusColourNeutralYellow = "#858686";
+exports.addOnButtonFocusColourNeutralInverseBlue = "#858686";
+exports.addOnButtonFocusColourNeutralInverseGreen = "#858686";
+exports.addOnButtonFocusColourNeutralInverseRed = "#858686";
+exports.addOnButtonFocusColourNeutralInverseYellow = "#858686";
+exports.addOnButtonFocusColourSubtleBlue = "#858686";
+exports.addOnButtonFocusColourSubtleGreen = "#858686";
+exports.addOnButtonFocusColourSubtleRed = "#858686";
+exports.addOnButtonFocusColourSubtleYellow = "#858686";
+exports.addOnButtonFocusColourBoldBlue = "#858686";
+exports.addOnButtonFocusColourBoldGreen = "#858686";
+exports.addOnButtonFocusColourBoldRed = "#858686";
+exports.addOnButtonFocusColourBoldYellow = "#858686";
+exports.addOnButtonFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.addOnButtonFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.addOnButtonFocusBorderColourNeutralRed = "#1d1d1b";
+exports.addOnButtonFocusBorderColourNeutralYellow = "#1d1d1b";
+exports.addOnButtonFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.addOnButtonFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.addOnButtonFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.addOnButtonFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.addOnButtonFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.addOnButtonFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.addOnButtonFocusBorderColourSubtleRed = "#1d1d1b";
+exports.addOnButtonFocusBorderColourSubtleYellow = "#1d1d1b";
+exports.addOnButtonFocusBorderColourBoldBlue = "#1d1d1b";
+exports.addOnButtonFocusBorderColourBoldGreen = "#1d1d1b";
+exports.addOnButtonFocusBorderColourBoldRed = "#1d1d1b";
+exports.addOnButtonFocusBorderColourBoldYellow = "#1d1d1b";
+exports.addOnButtonFocusBorderWidthNeutralBlue = 3;
+exports.addOnButtonFocusBorderWidthNeutralGreen = 3;
+exports.addOnButtonFocusBorderWidthNeutralRed = 3;
+exports.addOnButtonFocusBorderWidthNeutralYellow = 3;
+exports.addOnButtonFocusBorderWidthNeutralInverseBlue = 3;
+exports.addOnButtonFocusBorderWidthNeutralInverseGreen = 3;
+exports.addOnButtonFocusBorderWidthNeutralInverseRed = 3;
+exports.addOnButtonFocusBorderWidthNeutralInverseYellow = 3;
+exports.addOnButtonFocusBorderWidthSubtleBlue = 3;
+exports.addOnButtonFocusBorderWidthSubtleGreen = 3;
+exports.addOnButtonFocusBorderWidthSubtleRed = 3;
+exports.addOnButtonFocusBorderWidthSubtleYellow = 3;
+exports.addOnButtonFocusBorderWidthBoldBlue = 3;
+exports.addOnButtonFocusBorderWidthBoldGreen = 3;
+exports.addOnButtonFocusBorderWidthBoldRed = 3;
+exports.addOnButtonFocusBorderWidthBoldYellow = 3;
+exports.addOnButtonFocusBorderRadiusNeutralBlue = 12;
+exports.addOnButtonFocusBorderRadiusNeutralGreen = 12;
+exports.addOnButtonFocusBorderRadiusNeutralRed = 12;
+exports.addOnButtonFocusBorderRadiusNeutralYellow = 12;
+exports.addOnButtonFocusBorderRadiusNeutralInverseBlue = 12;
+exports.addOnButtonFocusBorderRadiusNeutralInverseGreen = 12;
+exports.addOnButtonFocusBorderRadiusNeutralInverseRed = 12;
+exports.addOnButtonFocusBorderRadiusNeutralInverseYellow = 12;
+exports.addOnButtonFocusBorderRadiusSubtleBlue = 12;
+exports.addOnButtonFocusBorderRadiusSubtleGreen = 12;
+exports.addOnButtonFocusBorderRadiusSubtleRed = 12;
+exports.addOnButtonFocusBorderRadiusSubtleYellow = 12;
+exports.addOnButtonFocusBorderRadiusBoldBlue = 12;
+exports.addOnButtonFocusBorderRadiusBoldGreen = 12;
+exports.addOnButtonFocusBorderRadiusBoldRed = 12;
+exports.addOnButtonFocusBorderRadiusBoldYellow = 12;
+exports.addOnButtonDisabledColourNeutralBlue = "#d3d3d3";
+exports.addOnButtonDisabledColourNeutralGreen = "#d3d3d3";
+exports.addOnButtonDisabledColourNeutralRed = "#d3d3d3";
+exports.addOnButtonDisabledColourNeutralYellow = "#d3d3d3";
+exports.addOnButtonDisabledColourNeutralInverseBlue = "#d3d3d3";
+exports.addOnButtonDisabledColourNeutralInverseGreen = "#d3d3d3";
+exports.addOnButtonDisabledColourNeutralInverseRed = "#d3d3d3";
+exports.addOnButtonDisabledColourNeutralInverseYellow = "#d3d3d3";
+exports.addOnButtonDisabledColourSubtleBlue = "#d3d3d3";
+exports.addOnButtonDisabledColourSubtleGreen = "#d3d3d3";
+exports.addOnButtonDisabledColourSubtleRed = "#d3d3d3";
+exports.addOnButtonDisabledColourSubtleYellow = "#d3d3d3";
+exports.addOnButtonDisabledColourBoldBlue = "#d3d3d3";
+exports.addOnButtonDisabledColourBoldGreen = "#d3d3d3";
+exports.addOnButtonDisabledColourBoldRed = "#d3d3d3";
+exports.addOnButtonDisabledColourBoldYellow = "#d3d3d3";
+exports.radioScaleSmControlSizeNeutralBlue = 16;
+exports.radioScaleSmControlSizeNeutralGreen = 16;
+exports.radioScaleSmControlSizeNeutralRed = 16;
+exports.radioScaleSmControlSizeNeutralYellow = 16;
+exports.radioScaleSmControlSizeNeutralInverseBlue = 16;
+exports.radioScaleSmControlSizeNeutralInverseGreen = 16;
+exports.radioScaleSmControlSizeNeutralInverseRed = 16;
+exports.radioScaleSmControlSizeNeutralInverseYellow = 16;
+exports.radioScaleSmControlSizeSubtleBlue = 16;
+exports.radioScaleSmControlSizeSubtleGreen = 16;
+exports.radioScaleSmControlSizeSubtleRed = 16;
+exports.radioScaleSmControlSizeSubtleYellow = 16;
+exports.radioScaleSmControlSizeBoldBlue = 16;
+exports.radioScaleSmControlSizeBoldGreen = 16;
+exports.radioScaleSmControlSizeBoldRed = 16;
+exports.radioScaleSmControlSizeBoldYellow = 16;
+exports.radioScaleSmGapNeutralBlue = 28;
+exports.radioScaleSmGapNeutralGreen = 28;
+exports.radioScaleSmGapNeutralRed = 28;
+exports.radioScaleSmGapNeutralYellow = 28;
+exports.radioScaleSmGapNeutralInverseBlue = 28;
+exports.radioScaleSmGapNeutralInverseGreen = 28;
+exports.radioScaleSmGapNeutralInverseRed = 28;
+exports.radioScaleSmGapNeutralInverseYellow = 28;
+exports.radioScaleSmGapSubtleBlue = 28;
+exports.radioScaleSmGapSubtleGreen = 28;
+exports.radioScaleSmGapSubtleRed = 28;
+exports.radioScaleSmGapSubtleYellow = 28;
+exports.radioScaleSmGapBoldBlue = 28;
+exports.radioScaleSmGapBoldGreen = 28;
+exports.radioScaleSmGapBoldRed = 28;
+exports.radioScaleSmGapBoldYellow = 28;
+exports.radioScaleSmIndicatorSizeNeutralBlue = 8;
+exports.radioScaleSmIndicatorSizeNeutralGreen = 8;
+exports.radioScaleSmIndicatorSizeNeutralRed = 8;
+exports.radioScaleSmIndicatorSizeNeutralYellow = 8;
+exports.radioScaleSmIndicatorSizeNeutralInverseBlue = 8;
+exports.radioScaleSmIndicatorSizeNeutralInverseGreen = 8;
+exports.radioScaleSmIndicatorSizeNeutralInverseRed = 8;
+exports.radioScaleSmIndicatorSizeNeutralInverseYellow = 8;
+exports.radioScaleSmIndicatorSizeSubtleBlue = 8;
+exports.radioScaleSmIndicatorSizeSubtleGreen = 8;
+exports.radioScaleSmIndicatorSizeSubtleRed = 8;
+exports.radioScaleSmIndicatorSizeSubtleYellow = 8;
+exports.radioScaleSmIndicatorSizeBoldBlue = 8;
+exports.radioScaleSmIndicatorSizeBoldGreen = 8;
+exports.radioScaleSmIndicatorSizeBoldRed = 8;
+exports.radioScaleSmIndicatorSizeBoldYellow = 8;
+exports.radioScaleLgGapNeutralBlue = 36;
+exports.radioScaleLgGapNeutralGreen = 36;
+exports.radioScaleLgGapNeutralRed = 36;
+exports.radioScaleLgGapNeutralYellow = 36;
+exports.radioScaleLgGapNeutralInverseBlue = 36;
+exports.radioScaleLgGapNeutralInverseGreen = 36;
+exports.radioScaleLgGapNeutralInverseRed = 36;
+exports.radioScaleLgGapNeutralInverseYellow = 36;
+exports.radioScaleLgGapSubtleBlue = 36;
+exports.radioScaleLgGapSubtleGreen = 36;
+exports.radioScaleLgGapSubtleRed = 36;
+exports.radioScaleLgGapSubtleYellow = 36;
+exports.radioScaleLgGapBoldBlue = 36;
+exports.radioScaleLgGapBoldGreen = 36;
+exports.radioScaleLgGapBoldRed = 36;
+exports.radioScaleLgGapBoldYellow = 36;
+exports.radioScaleLgControlSizeNeutralBlue = 28;
+exports.radioScaleLgControlSizeNeutralGreen = 28;
+exports.radioScaleLgControlSizeNeutralRed = 28;
+exports.radioScaleLgControlSizeNeutralYellow = 28;
+exports.radioScaleLgControlSizeNeutralInverseBlue = 28;
+exports.radioScaleLgControlSizeNeutralInverseGreen = 28;
+exports.radioScaleLgControlSizeNeutralInverseRed = 28;
+exports.radioScaleLgControlSizeNeutralInverseYellow = 28;
+exports.radioScaleLgControlSizeSubtleBlue = 28;
+exports.radioScaleLgControlSizeSubtleGreen = 28;
+exports.radioScaleLgControlSizeSubtleRed = 28;
+exports.radioScaleLgControlSizeSubtleYellow = 28;
+exports.radioScaleLgControlSizeBoldBlue = 28;
+exports.radioScaleLgControlSizeBoldGreen = 28;
+exports.radioScaleLgControlSizeBoldRed = 28;
+exports.radioScaleLgControlSizeBoldYellow = 28;
+exports.radioScaleLgIndicatorSizeNeutralBlue = 16;
+exports.radioScaleLgIndicatorSizeNeutralGreen = 16;
+exports.radioScaleLgIndicatorSizeNeutralRed = 16;
+exports.radioScaleLgIndicatorSizeNeutralYellow = 16;
+exports.radioScaleLgIndicatorSizeNeutralInverseBlue = 16;
+exports.radioScaleLgIndicatorSizeNeutralInverseGreen = 16;
+exports.radioScaleLgIndicatorSizeNeutralInverseRed = 16;
+exports.radioScaleLgIndicatorSizeNeutralInverseYellow = 16;
+exports.radioScaleLgIndicatorSizeSubtleBlue = 16;
+exports.radioScaleLgIndicatorSizeSubtleGreen = 16;
+exports.radioScaleLgIndicatorSizeSubtleRed = 16;
+exports.radioScaleLgIndicatorSizeSubtleYellow = 16;
+exports.radioScaleLgIndicatorSizeBoldBlue = 16;
+exports.radioScaleLgIndicatorSizeBoldGreen = 16;
+exports.radioScaleLgIndicatorSizeBoldRed = 16;
+exports.radioScaleLgIndicatorSizeBoldYellow = 16;
+exports.radioRestControlBackgroundColourNeutralBlue = "#ffffff";
+exports.radioRestControlBackgroundColourNeutralGreen = "#ffffff";
+exports.radioRestControlBackgroundColourNeutralRed = "#ffffff";
+exports.radioRestControlBackgroundColourNeutralYellow = "#ffffff";
+exports.radioRestControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.radioRestControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.radioRestControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.radioRestControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.radioRestControlBackgroundColourSubtleBlue = "#ffffff";
+exports.radioRestControlBackgroundColourSubtleGreen = "#ffffff";
+exports.radioRestControlBackgroundColourSubtleRed = "#ffffff";
+exports.radioRestControlBackgroundColourSubtleYellow = "#ffffff";
+exports.radioRestControlBackgroundColourBoldBlue = "#ffffff";
+exports.radioRestControlBackgroundColourBoldGreen = "#ffffff";
+exports.radioRestControlBackgroundColourBoldRed = "#ffffff";
+exports.radioRestControlBackgroundColourBoldYellow = "#ffffff";
+exports.radioRestControlBorderColourNeutralBlue = "#858686";
+exports.radioRestControlBorderColourNeutralGreen = "#858686";
+exports.radioRestControlBorderColourNeutralRed = "#858686";
+exports.radioRestControlBorderColourNeutralYellow = "#858686";
+exports.radioRestControlBorderColourNeutralInverseBlue = "#858686";
+exports.radioRestControlBorderColourNeutralInverseGreen = "#858686";
+exports.radioRestControlBorderColourNeutralInverseRed = "#858686";
+exports.radioRestControlBorderColourNeutralInverseYellow = "#858686";
+exports.radioRestControlBorderColourSubtleBlue = "#001d6e";
+exports.radioRestControlBorderColourSubtleGreen = "#01312e";
+exports.radioRestControlBorderColourSubtleRed = "#940824";
+exports.radioRestControlBorderColourSubtleYellow = "#c86426";
+exports.radioRestControlBorderColourBoldBlue = "#001d6e";
+exports.radioRestControlBorderColourBoldGreen = "#01312e";
+exports.radioRestControlBorderColourBoldRed = "#940824";
+exports.radioRestControlBorderColourBoldYellow = "#c86426";
+exports.radioRestControlBorderWidthNeutralBlue = 1.5;
+exports.radioRestControlBorderWidthNeutralGreen = 1.5;
+exports.radioRestControlBorderWidthNeutralRed = 1.5;
+exports.radioRestControlBorderWidthNeutralYellow = 1.5;
+exports.radioRestControlBorderWidthNeutralInverseBlue = 1.5;
+exports.radioRestControlBorderWidthNeutralInverseGreen = 1.5;
+exports.radioRestControlBorderWidthNeutralInverseRed = 1.5;
+exports.radioRestControlBorderWidthNeutralInverseYellow = 1.5;
+exports.radioRestControlBorderWidthSubtleBlue = 1.5;
+exports.radioRestControlBorderWidthSubtleGreen = 1.5;
+exports.radioRestControlBorderWidthSubtleRed = 1.5;
+exports.radioRestControlBorderWidthSubtleYellow = 1.5;
+exports.radioRestControlBorderWidthBoldBlue = 1.5;
+exports.radioRestControlBorderWidthBoldGreen = 1.5;
+exports.radioRestControlBorderWidthBoldRed = 1.5;
+exports.radioRestControlBorderWidthBoldYellow = 1.5;
+exports.radioRestIndicatorColourNeutralBlue = "#005dba";
+exports.radioRestIndicatorColourNeutralGreen = "#00633d";
+exports.radioRestIndicatorColourNeutralRed = "#c50b30";
+exports.radioRestIndicatorColourNeutralYellow = "#c86426";
+exports.radioRestIndicatorColourNeutralInverseBlue = "#005dba";
+exports.radioRestIndicatorColourNeutralInverseGreen = "#00633d";
+exports.radioRestIndicatorColourNeutralInverseRed = "#c50b30";
+exports.radioRestIndicatorColourNeutralInverseYellow = "#c86426";
+exports.radioRestIndicatorColourSubtleBlue = "#005dba";
+exports.radioRestIndicatorColourSubtleGreen = "#00633d";
+exports.radioRestIndicatorColourSubtleRed = "#c50b30";
+exports.radioRestIndicatorColourSubtleYellow = "#c86426";
+exports.radioRestIndicatorColourBoldBlue = "#005dba";
+exports.radioRestIndicatorColourBoldGreen = "#00633d";
+exports.radioRestIndicatorColourBoldRed = "#c50b30";
+exports.radioRestIndicatorColourBoldYellow = "#c86426";
+exports.radioHoverControlBackgroundColourNeutralBlue = "#ffffff";
+exports.radioHoverControlBackgroundColourNeutralGreen = "#ffffff";
+exports.radioHoverControlBackgroundColourNeutralRed = "#ffffff";
+exports.radioHoverControlBackgroundColourNeutralYellow = "#ffffff";
+exports.radioHoverControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.radioHoverControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.radioHoverControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.radioHoverControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.radioHoverControlBackgroundColourSubtleBlue = "#ffffff";
+exports.radioHoverControlBackgroundColourSubtleGreen = "#ffffff";
+exports.radioHoverControlBackgroundColourSubtleRed = "#ffffff";
+exports.radioHoverControlBackgroundColourSubtleYellow = "#ffffff";
+exports.radioHoverControlBackgroundColourBoldBlue = "#ffffff";
+exports.radioHoverControlBackgroundColourBoldGreen = "#ffffff";
+exports.radioHoverControlBackgroundColourBoldRed = "#ffffff";
+exports.radioHoverControlBackgroundColourBoldYellow = "#ffffff";
+exports.radioHoverControlBorderColourNeutralBlue = "#4d4f4f";
+exports.radioHoverControlBorderColourNeutralGreen = "#4d4f4f";
+exports.radioHoverControlBorderColourNeutralRed = "#4d4f4f";
+exports.radioHoverControlBorderColourNeutralYellow = "#4d4f4f";
+exports.radioHoverControlBorderColourNeutralInverseBlue = "#4d4f4f";
+exports.radioHoverControlBorderColourNeutralInverseGreen = "#4d4f4f";
+exports.radioHoverControlBorderColourNeutralInverseRed = "#4d4f4f";
+exports.radioHoverControlBorderColourNeutralInverseYellow = "#4d4f4f";
+exports.radioHoverControlBorderColourSubtleBlue = "#1d1d1b";
+exports.radioHoverControlBorderColourSubtleGreen = "#1d1d1b";
+exports.radioHoverControlBorderColourSubtleRed = "#1d1d1b";
+exports.radioHoverControlBorderColourSubtleYellow = "#1d1d1b";
+exports.radioHoverControlBorderColourBoldBlue = "#1d1d1b";
+exports.radioHoverControlBorderColourBoldGreen = "#1d1d1b";
+exports.radioHoverControlBorderColourBoldRed = "#1d1d1b";
+exports.radioHoverControlBorderColourBoldYellow = "#1d1d1b";
+exports.radioHoverControlBorderWidthNeutralBlue = 1.5;
+exports.radioHoverControlBorderWidthNeutralGreen = 1.5;
+exports.radioHoverControlBorderWidthNeutralRed = 1.5;
+exports.radioHoverControlBorderWidthNeutralYellow = 1.5;
+exports.radioHoverControlBorderWidthNeutralInverseBlue = 1.5;
+exports.radioHoverControlBorderWidthNeutralInverseGreen = 1.5;
+exports.radioHoverControlBorderWidthNeutralInverseRed = 1.5;
+exports.radioHoverControlBorderWidthNeutralInverseYellow = 1.5;
+exports.radioHoverControlBorderWidthSubtleBlue = 1.5;
+exports.radioHoverControlBorderWidthSubtleGreen = 1.5;
+exports.radioHoverControlBorderWidthSubtleRed = 1.5;
+exports.radioHoverControlBorderWidthSubtleYellow = 1.5;
+exports.radioHoverControlBorderWidthBoldBlue = 1.5;
+exports.radioHoverControlBorderWidthBoldGreen = 1.5;
+exports.radioHoverControlBorderWidthBoldRed = 1.5;
+exports.radioHoverControlBorderWidthBoldYellow = 1.5;
+exports.radioHoverIndicatorColourNeutralBlue = "#001d6e";
+exports.radioHoverIndicatorColourNeutralGreen = "#01312e";
+exports.radioHoverIndicatorColourNeutralRed = "#940824";
+exports.radioHoverIndicatorColourNeutralYellow = "#c86426";
+exports.radioHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+exports.radioHoverIndicatorColourNeutralInverseGreen = "#01312e";
+exports.radioHoverIndicatorColourNeutralInverseRed = "#940824";
+exports.radioHoverIndicatorColourNeutralInverseYellow = "#c86426";
+exports.radioHoverIndicatorColourSubtleBlue = "#001d6e";
+exports.radioHoverIndicatorColourSubtleGreen = "#01312e";
+exports.radioHoverIndicatorColourSubtleRed = "#940824";
+exports.radioHoverIndicatorColourSubtleYellow = "#c86426";
+exports.radioHoverIndicatorColourBoldBlue = "#001d6e";
+exports.radioHoverIndicatorColourBoldGreen = "#01312e";
+exports.radioHoverIndicatorColourBoldRed = "#940824";
+exports.radioHoverIndicatorColourBoldYellow = "#c86426";
+exports.radioCommonColourNeutralBlue = "#1d1d1b";
+exports.radioCommonColourNeutralGreen = "#1d1d1b";
+exports.radioCommonColourNeutralRed = "#1d1d1b";
+exports.radioCommonColourNeutralYellow = "#1d1d1b";
+exports.radioCommonColourNeutralInverseBlue = "#1d1d1b";
+exports.radioCommonColourNeutralInverseGreen = "#1d1d1b";
+exports.radioCommonColourNeutralInverseRed = "#1d1d1b";
+exports.radioCommonColourNeutralInverseYellow = "#1d1d1b";
+exports.radioCommonColourSubtleBlue = "#1d1d1b";
+exports.radioCommonColourSubtleGreen = "#1d1d1b";
+exports.radioCommonColourSubtleRed = "#1d1d1b";
+exports.radioCommonColourSubtleYellow = "#1d1d1b";
+exports.radioCommonColourBoldBlue = "#ffffff";
+exports.radioCommonColourBoldGreen = "#ffffff";
+exports.radioCommonColourBoldRed = "#ffffff";
+exports.radioCommonColourBoldYellow = "#1d1d1b";
+exports.radioCommonBorderRadiusNeutralBlue = 16;
+exports.radioCommonBorderRadiusNeutralGreen = 16;
+exports.radioCommonBorderRadiusNeutralRed = 16;
+exports.radioCommonBorderRadiusNeutralYellow = 16;
+exports.radioCommonBorderRadiusNeutralInverseBlue = 16;
+exports.radioCommonBorderRadiusNeutralInverseGreen = 16;
+exports.radioCommonBorderRadiusNeutralInverseRed = 16;
+exports.radioCommonBorderRadiusNeutralInverseYellow = 16;
+exports.radioCommonBorderRadiusSubtleBlue = 16;
+exports.radioCommonBorderRadiusSubtleGreen = 16;
+exports.radioCommonBorderRadiusSubtleRed = 16;
+exports.radioCommonBorderRadiusSubtleYellow = 16;
+exports.radioCommonBorderRadiusBoldBlue = 16;
+exports.radioCommonBorderRadiusBoldGreen = 16;
+exports.radioCommonBorderRadiusBoldRed = 16;
+exports.radioCommonBorderRadiusBoldYellow = 16;
+exports.radioFocusControlBackgroundColourNeutralBlue = "#ffffff";
+exports.radioFocusControlBackgroundColourNeutralGreen = "#ffffff";
+exports.radioFocusControlBackgroundColourNeutralRed = "#ffffff";
+exports.radioFocusControlBackgroundColourNeutralYellow = "#ffffff";
+exports.radioFocusControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.radioFocusControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.radioFocusControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.radioFocusControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.radioFocusControlBackgroundColourSubtleBlue = "#ffffff";
+exports.radioFocusControlBackgroundColourSubtleGreen = "#ffffff";
+exports.radioFocusControlBackgroundColourSubtleRed = "#ffffff";
+exports.radioFocusControlBackgroundColourSubtleYellow = "#ffffff";
+exports.radioFocusControlBackgroundColourBoldBlue = "#ffffff";
+exports.radioFocusControlBackgroundColourBoldGreen = "#ffffff";
+exports.radioFocusControlBackgroundColourBoldRed = "#ffffff";
+exports.radioFocusControlBackgroundColourBoldYellow = "#ffffff";
+exports.radioFocusControlBorderColourNeutralBlue = "#1d1d1b";
+exports.radioFocusControlBorderColourNeutralGreen = "#1d1d1b";
+exports.radioFocusControlBorderColourNeutralRed = "#1d1d1b";
+exports.radioFocusControlBorderColourNeutralYellow = "#1d1d1b";
+exports.radioFocusControlBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.radioFocusControlBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.radioFocusControlBorderColourNeutralInverseRed = "#1d1d1b";
+exports.radioFocusControlBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.radioFocusControlBorderColourSubtleBlue = "#1d1d1b";
+exports.radioFocusControlBorderColourSubtleGreen = "#1d1d1b";
+exports.radioFocusControlBorderColourSubtleRed = "#1d1d1b";
+exports.radioFocusControlBorderColourSubtleYellow = "#1d1d1b";
+exports.radioFocusControlBorderColourBoldBlue = "#1d1d1b";
+exports.radioFocusControlBorderColourBoldGreen = "#1d1d1b";
+exports.radioFocusControlBorderColourBoldRed = "#1d1d1b";
+exports.radioFocusControlBorderColourBoldYellow = "#1d1d1b";
+exports.radioFocusControlBorderWidthNeutralBlue = 3;
+exports.radioFocusControlBorderWidthNeutralGreen = 3;
+exports.radioFocusControlBorderWidthNeutralRed = 3;
+exports.radioFocusControlBorderWidthNeutralYellow = 3;
+exports.radioFocusControlBorderWidthNeutralInverseBlue = 3;
+exports.radioFocusControlBorderWidthNeutralInverseGreen = 3;
+exports.radioFocusControlBorderWidthNeutralInverseRed = 3;
+exports.radioFocusControlBorderWidthNeutralInverseYellow = 3;
+exports.radioFocusControlBorderWidthSubtleBlue = 3;
+exports.radioFocusControlBorderWidthSubtleGreen = 3;
+exports.radioFocusControlBorderWidthSubtleRed = 3;
+exports.radioFocusControlBorderWidthSubtleYellow = 3;
+exports.radioFocusControlBorderWidthBoldBlue = 3;
+exports.radioFocusControlBorderWidthBoldGreen = 3;
+exports.radioFocusControlBorderWidthBoldRed = 3;
+exports.radioFocusControlBorderWidthBoldYellow = 3;
+exports.radioFocusIndicatorColourNeutralBlue = "#005dba";
+exports.radioFocusIndicatorColourNeutralGreen = "#00633d";
+exports.radioFocusIndicatorColourNeutralRed = "#c50b30";
+exports.radioFocusIndicatorColourNeutralYellow = "#c86426";
+exports.radioFocusIndicatorColourNeutralInverseBlue = "#005dba";
+exports.radioFocusIndicatorColourNeutralInverseGreen = "#00633d";
+exports.radioFocusIndicatorColourNeutralInverseRed = "#c50b30";
+exports.radioFocusIndicatorColourNeutralInverseYellow = "#c86426";
+exports.radioFocusIndicatorColourSubtleBlue = "#005dba";
+exports.radioFocusIndicatorColourSubtleGreen = "#00633d";
+exports.radioFocusIndicatorColourSubtleRed = "#c50b30";
+exports.radioFocusIndicatorColourSubtleYellow = "#c86426";
+exports.radioFocusIndicatorColourBoldBlue = "#005dba";
+exports.radioFocusIndicatorColourBoldGreen = "#00633d";
+exports.radioFocusIndicatorColourBoldRed = "#c50b30";
+exports.radioFocusIndicatorColourBoldYellow = "#c86426";
+exports.radioErrorControlBackgroundColourNeutralBlue = "#ffffff";
+exports.radioErrorControlBackgroundColourNeutralGreen = "#ffffff";
+exports.radioErrorControlBackgroundColourNeutralRed = "#ffffff";
+exports.radioErrorControlBackgroundColourNeutralYellow = "#ffffff";
+exports.radioErrorControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.radioErrorControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.radioErrorControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.radioErrorControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.radioErrorControlBackgroundColourSubtleBlue = "#ffffff";
+exports.radioErrorControlBackgroundColourSubtleGreen = "#ffffff";
+exports.radioErrorControlBackgroundColourSubtleRed = "#ffffff";
+exports.radioErrorControlBackgroundColourSubtleYellow = "#ffffff";
+exports.radioErrorControlBackgroundColourBoldBlue = "#ffffff";
+exports.radioErrorControlBackgroundColourBoldGreen = "#ffffff";
+exports.radioErrorControlBackgroundColourBoldRed = "#ffffff";
+exports.radioErrorControlBackgroundColourBoldYellow = "#ffffff";
+exports.radioErrorControlBorderColourNeutralBlue = "#c50b30";
+exports.radioErrorControlBorderColourNeutralGreen = "#c50b30";
+exports.radioErrorControlBorderColourNeutralRed = "#c50b30";
+exports.radioErrorControlBorderColourNeutralYellow = "#c50b30";
+exports.radioErrorControlBorderColourNeutralInverseBlue = "#c50b30";
+exports.radioErrorControlBorderColourNeutralInverseGreen = "#c50b30";
+exports.radioErrorControlBorderColourNeutralInverseRed = "#c50b30";
+exports.radioErrorControlBorderColourNeutralInverseYellow = "#c50b30";
+exports.radioErrorControlBorderColourSubtleBlue = "#c50b30";
+exports.radioErrorControlBorderColourSubtleGreen = "#c50b30";
+exports.radioErrorControlBorderColourSubtleRed = "#c50b30";
+exports.radioErrorControlBorderColourSubtleYellow = "#c50b30";
+exports.radioErrorControlBorderColourBoldBlue = "#c50b30";
+exports.radioErrorControlBorderColourBoldGreen = "#c50b30";
+exports.radioErrorControlBorderColourBoldRed = "#c50b30";
+exports.radioErrorControlBorderColourBoldYellow = "#c50b30";
+exports.radioErrorControlBorderWidthNeutralBlue = 1.5;
+exports.radioErrorControlBorderWidthNeutralGreen = 1.5;
+exports.radioErrorControlBorderWidthNeutralRed = 1.5;
+exports.radioErrorControlBorderWidthNeutralYellow = 1.5;
+exports.radioErrorControlBorderWidthNeutralInverseBlue = 1.5;
+exports.radioErrorControlBorderWidthNeutralInverseGreen = 1.5;
+exports.radioErrorControlBorderWidthNeutralInverseRed = 1.5;
+exports.radioErrorControlBorderWidthNeutralInverseYellow = 1.5;
+exports.radioErrorControlBorderWidthSubtleBlue = 1.5;
+exports.radioErrorControlBorderWidthSubtleGreen = 1.5;
+exports.radioErrorControlBorderWidthSubtleRed = 1.5;
+exports.radioErrorControlBorderWidthSubtleYellow = 1.5;
+exports.radioErrorControlBorderWidthBoldBlue = 1.5;
+exports.radioErrorControlBorderWidthBoldGreen = 1.5;
+exports.radioErrorControlBorderWidthBoldRed = 1.5;
+exports.radioErrorControlBorderWidthBoldYellow = 1.5;
+exports.radioErrorControlFocusBorderWidthNeutralBlue = 3;
+exports.radioErrorControlFocusBorderWidthNeutralGreen = 3;
+exports.radioErrorControlFocusBorderWidthNeutralRed = 3;
+exports.radioErrorControlFocusBorderWidthNeutralYellow = 3;
+exports.radioErrorControlFocusBorderWidthNeutralInverseBlue = 3;
+exports.radioErrorControlFocusBorderWidthNeutralInverseGreen = 3;
+exports.radioErrorControlFocusBorderWidthNeutralInverseRed = 3;
+exports.radioErrorControlFocusBorderWidthNeutralInverseYellow = 3;
+exports.radioErrorControlFocusBorderWidthSubtleBlue = 3;
+exports.radioErrorControlFocusBorderWidthSubtleGreen = 3;
+exports.radioErrorControlFocusBorderWidthSubtleRed = 3;
+exports.radioErrorControlFocusBorderWidthSubtleYellow = 3;
+exports.radioErrorControlFocusBorderWidthBoldBlue = 3;
+exports.radioErrorControlFocusBorderWidthBoldGreen = 3;
+exports.radioErrorControlFocusBorderWidthBoldRed = 3;
+exports.radioErrorControlFocusBorderWidthBoldYellow = 3;
+exports.radioErrorIndicatorColourNeutralBlue = "#c50b30";
+exports.radioErrorIndicatorColourNeutralGreen = "#c50b30";
+exports.radioErrorIndicatorColourNeutralRed = "#c50b30";
+exports.radioErrorIndicatorColourNeutralYellow = "#c50b30";
+exports.radioErrorIndicatorColourNeutralInverseBlue = "#c50b30";
+exports.radioErrorIndicatorColourNeutralInverseGreen = "#c50b30";
+exports.radioErrorIndicatorColourNeutralInverseRed = "#c50b30";
+exports.radioErrorIndicatorColourNeutralInverseYellow = "#c50b30";
+exports.radioErrorIndicatorColourSubtleBlue = "#c50b30";
+exports.radioErrorIndicatorColourSubtleGreen = "#c50b30";
+exports.radioErrorIndicatorColourSubtleRed = "#c50b30";
+exports.radioErrorIndicatorColourSubtleYellow = "#c50b30";
+exports.radioErrorIndicatorColourBoldBlue = "#c50b30";
+exports.radioErrorIndicatorColourBoldGreen = "#c50b30";
+exports.radioErrorIndicatorColourBoldRed = "#c50b30";
+exports.radioErrorIndicatorColourBoldYellow = "#c50b30";
+exports.radioDisabledLabelColourNeutralBlue = "#a6a7a7";
+exports.radioDisabledLabelColourNeutralGreen = "#a6a7a7";
+exports.radioDisabledLabelColourNeutralRed = "#a6a7a7";
+exports.radioDisabledLabelColourNeutralYellow = "#a6a7a7";
+exports.radioDisabledLabelColourNeutralInverseBlue = "#a6a7a7";
+exports.radioDisabledLabelColourNeutralInverseGreen = "#a6a7a7";
+exports.radioDisabledLabelColourNeutralInverseRed = "#a6a7a7";
+exports.radioDisabledLabelColourNeutralInverseYellow = "#a6a7a7";
+exports.radioDisabledLabelColourSubtleBlue = "#a6a7a7";
+exports.radioDisabledLabelColourSubtleGreen = "#a6a7a7";
+exports.radioDisabledLabelColourSubtleRed = "#a6a7a7";
+exports.radioDisabledLabelColourSubtleYellow = "#a6a7a7";
+exports.radioDisabledLabelColourBoldBlue = "#a6a7a7";
+exports.radioDisabledLabelColourBoldGreen = "#a6a7a7";
+exports.radioDisabledLabelColourBoldRed = "#a6a7a7";
+exports.radioDisabledLabelColourBoldYellow = "#a6a7a7";
+exports.radioDisabledControlBackgroundColourNeutralBlue = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourNeutralGreen = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourNeutralRed = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourNeutralYellow = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourSubtleBlue = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourSubtleGreen = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourSubtleRed = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourSubtleYellow = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourBoldBlue = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourBoldGreen = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourBoldRed = "#f4f4f4";
+exports.radioDisabledControlBackgroundColourBoldYellow = "#f4f4f4";
+exports.radioDisabledControlBorderColourNeutralBlue = "#d3d3d3";
+exports.radioDisabledControlBorderColourNeutralGreen = "#d3d3d3";
+exports.radioDisabledControlBorderColourNeutralRed = "#d3d3d3";
+exports.radioDisabledControlBorderColourNeutralYellow = "#d3d3d3";
+exports.radioDisabledControlBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.radioDisabledControlBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.radioDisabledControlBorderColourNeutralInverseRed = "#d3d3d3";
+exports.radioDisabledControlBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.radioDisabledControlBorderColourSubtleBlue = "#d3d3d3";
+exports.radioDisabledControlBorderColourSubtleGreen = "#d3d3d3";
+exports.radioDisabledControlBorderColourSubtleRed = "#d3d3d3";
+exports.radioDisabledControlBorderColourSubtleYellow = "#d3d3d3";
+exports.radioDisabledControlBorderColourBoldBlue = "#d3d3d3";
+exports.radioDisabledControlBorderColourBoldGreen = "#d3d3d3";
+exports.radioDisabledControlBorderColourBoldRed = "#d3d3d3";
+exports.radioDisabledControlBorderColourBoldYellow = "#d3d3d3";
+exports.radioDisabledControlBorderWidthNeutralBlue = 1.5;
+exports.radioDisabledControlBorderWidthNeutralGreen = 1.5;
+exports.radioDisabledControlBorderWidthNeutralRed = 1.5;
+exports.radioDisabledControlBorderWidthNeutralYellow = 1.5;
+exports.radioDisabledControlBorderWidthNeutralInverseBlue = 1.5;
+exports.radioDisabledControlBorderWidthNeutralInverseGreen = 1.5;
+exports.radioDisabledControlBorderWidthNeutralInverseRed = 1.5;
+exports.radioDisabledControlBorderWidthNeutralInverseYellow = 1.5;
+exports.radioDisabledControlBorderWidthSubtleBlue = 1.5;
+exports.radioDisabledControlBorderWidthSubtleGreen = 1.5;
+exports.radioDisabledControlBorderWidthSubtleRed = 1.5;
+exports.radioDisabledControlBorderWidthSubtleYellow = 1.5;
+exports.radioDisabledControlBorderWidthBoldBlue = 1.5;
+exports.radioDisabledControlBorderWidthBoldGreen = 1.5;
+exports.radioDisabledControlBorderWidthBoldRed = 1.5;
+exports.radioDisabledControlBorderWidthBoldYellow = 1.5;
+exports.radioDisabledIndicatorColourNeutralBlue = "#d3d3d3";
+exports.radioDisabledIndicatorColourNeutralGreen = "#d3d3d3";
+exports.radioDisabledIndicatorColourNeutralRed = "#d3d3d3";
+exports.radioDisabledIndicatorColourNeutralYellow = "#d3d3d3";
+exports.radioDisabledIndicatorColourNeutralInverseBlue = "#d3d3d3";
+exports.radioDisabledIndicatorColourNeutralInverseGreen = "#d3d3d3";
+exports.radioDisabledIndicatorColourNeutralInverseRed = "#d3d3d3";
+exports.radioDisabledIndicatorColourNeutralInverseYellow = "#d3d3d3";
+exports.radioDisabledIndicatorColourSubtleBlue = "#d3d3d3";
+exports.radioDisabledIndicatorColourSubtleGreen = "#d3d3d3";
+exports.radioDisabledIndicatorColourSubtleRed = "#d3d3d3";
+exports.radioDisabledIndicatorColourSubtleYellow = "#d3d3d3";
+exports.radioDisabledIndicatorColourBoldBlue = "#d3d3d3";
+exports.radioDisabledIndicatorColourBoldGreen = "#d3d3d3";
+exports.radioDisabledIndicatorColourBoldRed = "#d3d3d3";
+exports.radioDisabledIndicatorColourBoldYellow = "#d3d3d3";
+exports.radioGroupSmGapNeutralBlue = 16;
+exports.radioGroupSmGapNeutralGreen = 16;
+exports.radioGroupSmGapNeutralRed = 16;
+exports.radioGroupSmGapNeutralYellow = 16;
+exports.radioGroupSmGapNeutralInverseBlue = 16;
+exports.radioGroupSmGapNeutralInverseGreen = 16;
+exports.radioGroupSmGapNeutralInverseRed = 16;
+exports.radioGroupSmGapNeutralInverseYellow = 16;
+exports.radioGroupSmGapSubtleBlue = 16;
+exports.radioGroupSmGapSubtleGreen = 16;
+exports.radioGroupSmGapSubtleRed = 16;
+exports.radioGroupSmGapSubtleYellow = 16;
+exports.radioGroupSmGapBoldBlue = 16;
+exports.radioGroupSmGapBoldGreen = 16;
+exports.radioGroupSmGapBoldRed = 16;
+exports.radioGroupSmGapBoldYellow = 16;
+exports.radioGroupLgGapNeutralBlue = 20;
+exports.radioGroupLgGapNeutralGreen = 20;
+exports.radioGroupLgGapNeutralRed = 20;
+exports.radioGroupLgGapNeutralYellow = 20;
+exports.radioGroupLgGapNeutralInverseBlue = 20;
+exports.radioGroupLgGapNeutralInverseGreen = 20;
+exports.radioGroupLgGapNeutralInverseRed = 20;
+exports.radioGroupLgGapNeutralInverseYellow = 20;
+exports.radioGroupLgGapSubtleBlue = 20;
+exports.radioGroupLgGapSubtleGreen = 20;
+exports.radioGroupLgGapSubtleRed = 20;
+exports.radioGroupLgGapSubtleYellow = 20;
+exports.radioGroupLgGapBoldBlue = 20;
+exports.radioGroupLgGapBoldGreen = 20;
+exports.radioGroupLgGapBoldRed = 20;
+exports.radioGroupLgGapBoldYellow = 20;
+exports.checkboxScaleSmGapNeutralBlue = 28;
+exports.checkboxScaleSmGapNeutralGreen = 28;
+exports.checkboxScaleSmGapNeutralRed = 28;
+exports.checkboxScaleSmGapNeutralYellow = 28;
+exports.checkboxScaleSmGapNeutralInverseBlue = 28;
+exports.checkboxScaleSmGapNeutralInverseGreen = 28;
+exports.checkboxScaleSmGapNeutralInverseRed = 28;
+exports.checkboxScaleSmGapNeutralInverseYellow = 28;
+exports.checkboxScaleSmGapSubtleBlue = 28;
+exports.checkboxScaleSmGapSubtleGreen = 28;
+exports.checkboxScaleSmGapSubtleRed = 28;
+exports.checkboxScaleSmGapSubtleYellow = 28;
+exports.checkboxScaleSmGapBoldBlue = 28;
+exports.checkboxScaleSmGapBoldGreen = 28;
+exports.checkboxScaleSmGapBoldRed = 28;
+exports.checkboxScaleSmGapBoldYellow = 28;
+exports.checkboxScaleSmControlSizeNeutralBlue = 16;
+exports.checkboxScaleSmControlSizeNeutralGreen = 16;
+exports.checkboxScaleSmControlSizeNeutralRed = 16;
+exports.checkboxScaleSmControlSizeNeutralYellow = 16;
+exports.checkboxScaleSmControlSizeNeutralInverseBlue = 16;
+exports.checkboxScaleSmControlSizeNeutralInverseGreen = 16;
+exports.checkboxScaleSmControlSizeNeutralInverseRed = 16;
+exports.checkboxScaleSmControlSizeNeutralInverseYellow = 16;
+exports.checkboxScaleSmControlSizeSubtleBlue = 16;
+exports.checkboxScaleSmControlSizeSubtleGreen = 16;
+exports.checkboxScaleSmControlSizeSubtleRed = 16;
+exports.checkboxScaleSmControlSizeSubtleYellow = 16;
+exports.checkboxScaleSmControlSizeBoldBlue = 16;
+exports.checkboxScaleSmControlSizeBoldGreen = 16;
+exports.checkboxScaleSmControlSizeBoldRed = 16;
+exports.checkboxScaleSmControlSizeBoldYellow = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralBlue = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralGreen = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralRed = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralYellow = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralInverseBlue = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralInverseGreen = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralInverseRed = 16;
+exports.checkboxScaleSmIndicatorSizeNeutralInverseYellow = 16;
+exports.checkboxScaleSmIndicatorSizeSubtleBlue = 16;
+exports.checkboxScaleSmIndicatorSizeSubtleGreen = 16;
+exports.checkboxScaleSmIndicatorSizeSubtleRed = 16;
+exports.checkboxScaleSmIndicatorSizeSubtleYellow = 16;
+exports.checkboxScaleSmIndicatorSizeBoldBlue = 16;
+exports.checkboxScaleSmIndicatorSizeBoldGreen = 16;
+exports.checkboxScaleSmIndicatorSizeBoldRed = 16;
+exports.checkboxScaleSmIndicatorSizeBoldYellow = 16;
+exports.checkboxScaleLgGapNeutralBlue = 36;
+exports.checkboxScaleLgGapNeutralGreen = 36;
+exports.checkboxScaleLgGapNeutralRed = 36;
+exports.checkboxScaleLgGapNeutralYellow = 36;
+exports.checkboxScaleLgGapNeutralInverseBlue = 36;
+exports.checkboxScaleLgGapNeutralInverseGreen = 36;
+exports.checkboxScaleLgGapNeutralInverseRed = 36;
+exports.checkboxScaleLgGapNeutralInverseYellow = 36;
+exports.checkboxScaleLgGapSubtleBlue = 36;
+exports.checkboxScaleLgGapSubtleGreen = 36;
+exports.checkboxScaleLgGapSubtleRed = 36;
+exports.checkboxScaleLgGapSubtleYellow = 36;
+exports.checkboxScaleLgGapBoldBlue = 36;
+exports.checkboxScaleLgGapBoldGreen = 36;
+exports.checkboxScaleLgGapBoldRed = 36;
+exports.checkboxScaleLgGapBoldYellow = 36;
+exports.checkboxScaleLgControlSizeNeutralBlue = 28;
+exports.checkboxScaleLgControlSizeNeutralGreen = 28;
+exports.checkboxScaleLgControlSizeNeutralRed = 28;
+exports.checkboxScaleLgControlSizeNeutralYellow = 28;
+exports.checkboxScaleLgControlSizeNeutralInverseBlue = 28;
+exports.checkboxScaleLgControlSizeNeutralInverseGreen = 28;
+exports.checkboxScaleLgControlSizeNeutralInverseRed = 28;
+exports.checkboxScaleLgControlSizeNeutralInverseYellow = 28;
+exports.checkboxScaleLgControlSizeSubtleBlue = 28;
+exports.checkboxScaleLgControlSizeSubtleGreen = 28;
+exports.checkboxScaleLgControlSizeSubtleRed = 28;
+exports.checkboxScaleLgControlSizeSubtleYellow = 28;
+exports.checkboxScaleLgControlSizeBoldBlue = 28;
+exports.checkboxScaleLgControlSizeBoldGreen = 28;
+exports.checkboxScaleLgControlSizeBoldRed = 28;
+exports.checkboxScaleLgControlSizeBoldYellow = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralBlue = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralGreen = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralRed = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralYellow = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralInverseBlue = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralInverseGreen = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralInverseRed = 28;
+exports.checkboxScaleLgIndicatorSizeNeutralInverseYellow = 28;
+exports.checkboxScaleLgIndicatorSizeSubtleBlue = 28;
+exports.checkboxScaleLgIndicatorSizeSubtleGreen = 28;
+exports.checkboxScaleLgIndicatorSizeSubtleRed = 28;
+exports.checkboxScaleLgIndicatorSizeSubtleYellow = 28;
+exports.checkboxScaleLgIndicatorSizeBoldBlue = 28;
+exports.checkboxScaleLgIndicatorSizeBoldGreen = 28;
+exports.checkboxScaleLgIndicatorSizeBoldRed = 28;
+exports.checkboxScaleLgIndicatorSizeBoldYellow = 28;
+exports.checkboxCommonGapNeutralBlue = 12;
+exports.checkboxCommonGapNeutralGreen = 12;
+exports.checkboxCommonGapNeutralRed = 12;
+exports.checkboxCommonGapNeutralYellow = 12;
+exports.checkboxCommonGapNeutralInverseBlue = 12;
+exports.checkboxCommonGapNeutralInverseGreen = 12;
+exports.checkboxCommonGapNeutralInverseRed = 12;
+exports.checkboxCommonGapNeutralInverseYellow = 12;
+exports.checkboxCommonGapSubtleBlue = 12;
+exports.checkboxCommonGapSubtleGreen = 12;
+exports.checkboxCommonGapSubtleRed = 12;
+exports.checkboxCommonGapSubtleYellow = 12;
+exports.checkboxCommonGapBoldBlue = 12;
+exports.checkboxCommonGapBoldGreen = 12;
+exports.checkboxCommonGapBoldRed = 12;
+exports.checkboxCommonGapBoldYellow = 12;
+exports.checkboxCommonColourNeutralBlue = "#1d1d1b";
+exports.checkboxCommonColourNeutralGreen = "#1d1d1b";
+exports.checkboxCommonColourNeutralRed = "#1d1d1b";
+exports.checkboxCommonColourNeutralYellow = "#1d1d1b";
+exports.checkboxCommonColourNeutralInverseBlue = "#1d1d1b";
+exports.checkboxCommonColourNeutralInverseGreen = "#1d1d1b";
+exports.checkboxCommonColourNeutralInverseRed = "#1d1d1b";
+exports.checkboxCommonColourNeutralInverseYellow = "#1d1d1b";
+exports.checkboxCommonColourSubtleBlue = "#1d1d1b";
+exports.checkboxCommonColourSubtleGreen = "#1d1d1b";
+exports.checkboxCommonColourSubtleRed = "#1d1d1b";
+exports.checkboxCommonColourSubtleYellow = "#1d1d1b";
+exports.checkboxCommonColourBoldBlue = "#ffffff";
+exports.checkboxCommonColourBoldGreen = "#ffffff";
+exports.checkboxCommonColourBoldRed = "#ffffff";
+exports.checkboxCommonColourBoldYellow = "#1d1d1b";
+exports.checkboxCommonBorderRadiusNeutralBlue = 4;
+exports.checkboxCommonBorderRadiusNeutralGreen = 4;
+exports.checkboxCommonBorderRadiusNeutralRed = 4;
+exports.checkboxCommonBorderRadiusNeutralYellow = 4;
+exports.checkboxCommonBorderRadiusNeutralInverseBlue = 4;
+exports.checkboxCommonBorderRadiusNeutralInverseGreen = 4;
+exports.checkboxCommonBorderRadiusNeutralInverseRed = 4;
+exports.checkboxCommonBorderRadiusNeutralInverseYellow = 4;
+exports.checkboxCommonBorderRadiusSubtleBlue = 4;
+exports.checkboxCommonBorderRadiusSubtleGreen = 4;
+exports.checkboxCommonBorderRadiusSubtleRed = 4;
+exports.checkboxCommonBorderRadiusSubtleYellow = 4;
+exports.checkboxCommonBorderRadiusBoldBlue = 4;
+exports.checkboxCommonBorderRadiusBoldGreen = 4;
+exports.checkboxCommonBorderRadiusBoldRed = 4;
+exports.checkboxCommonBorderRadiusBoldYellow = 4;
+exports.checkboxRestControlBackgroundColourNeutralBlue = "#ffffff";
+exports.checkboxRestControlBackgroundColourNeutralGreen = "#ffffff";
+exports.checkboxRestControlBackgroundColourNeutralRed = "#ffffff";
+exports.checkboxRestControlBackgroundColourNeutralYellow = "#ffffff";
+exports.checkboxRestControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.checkboxRestControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.checkboxRestControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.checkboxRestControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.checkboxRestControlBackgroundColourSubtleBlue = "#ffffff";
+exports.checkboxRestControlBackgroundColourSubtleGreen = "#ffffff";
+exports.checkboxRestControlBackgroundColourSubtleRed = "#ffffff";
+exports.checkboxRestControlBackgroundColourSubtleYellow = "#ffffff";
+exports.checkboxRestControlBackgroundColourBoldBlue = "#ffffff";
+exports.checkboxRestControlBackgroundColourBoldGreen = "#ffffff";
+exports.checkboxRestControlBackgroundColourBoldRed = "#ffffff";
+exports.checkboxRestControlBackgroundColourBoldYellow = "#ffffff";
+exports.checkboxRestControlBorderColourNeutralBlue = "#858686";
+exports.checkboxRestControlBorderColourNeutralGreen = "#858686";
+exports.checkboxRestControlBorderColourNeutralRed = "#858686";
+exports.checkboxRestControlBorderColourNeutralYellow = "#858686";
+exports.checkboxRestControlBorderColourNeutralInverseBlue = "#858686";
+exports.checkboxRestControlBorderColourNeutralInverseGreen = "#858686";
+exports.checkboxRestControlBorderColourNeutralInverseRed = "#858686";
+exports.checkboxRestControlBorderColourNeutralInverseYellow = "#858686";
+exports.checkboxRestControlBorderColourSubtleBlue = "#001d6e";
+exports.checkboxRestControlBorderColourSubtleGreen = "#01312e";
+exports.checkboxRestControlBorderColourSubtleRed = "#940824";
+exports.checkboxRestControlBorderColourSubtleYellow = "#c86426";
+exports.checkboxRestControlBorderColourBoldBlue = "#001d6e";
+exports.checkboxRestControlBorderColourBoldGreen = "#01312e";
+exports.checkboxRestControlBorderColourBoldRed = "#940824";
+exports.checkboxRestControlBorderColourBoldYellow = "#c86426";
+exports.checkboxRestControlBorderWidthNeutralBlue = 1.5;
+exports.checkboxRestControlBorderWidthNeutralGreen = 1.5;
+exports.checkboxRestControlBorderWidthNeutralRed = 1.5;
+exports.checkboxRestControlBorderWidthNeutralYellow = 1.5;
+exports.checkboxRestControlBorderWidthNeutralInverseBlue = 1.5;
+exports.checkboxRestControlBorderWidthNeutralInverseGreen = 1.5;
+exports.checkboxRestControlBorderWidthNeutralInverseRed = 1.5;
+exports.checkboxRestControlBorderWidthNeutralInverseYellow = 1.5;
+exports.checkboxRestControlBorderWidthSubtleBlue = 1.5;
+exports.checkboxRestControlBorderWidthSubtleGreen = 1.5;
+exports.checkboxRestControlBorderWidthSubtleRed = 1.5;
+exports.checkboxRestControlBorderWidthSubtleYellow = 1.5;
+exports.checkboxRestControlBorderWidthBoldBlue = 1.5;
+exports.checkboxRestControlBorderWidthBoldGreen = 1.5;
+exports.checkboxRestControlBorderWidthBoldRed = 1.5;
+exports.checkboxRestControlBorderWidthBoldYellow = 1.5;
+exports.checkboxRestIndicatorColourNeutralBlue = "#005dba";
+exports.checkboxRestIndicatorColourNeutralGreen = "#00633d";
+exports.checkboxRestIndicatorColourNeutralRed = "#c50b30";
+exports.checkboxRestIndicatorColourNeutralYellow = "#c86426";
+exports.checkboxRestIndicatorColourNeutralInverseBlue = "#005dba";
+exports.checkboxRestIndicatorColourNeutralInverseGreen = "#00633d";
+exports.checkboxRestIndicatorColourNeutralInverseRed = "#c50b30";
+exports.checkboxRestIndicatorColourNeutralInverseYellow = "#c86426";
+exports.checkboxRestIndicatorColourSubtleBlue = "#005dba";
+exports.checkboxRestIndicatorColourSubtleGreen = "#00633d";
+exports.checkboxRestIndicatorColourSubtleRed = "#c50b30";
+exports.checkboxRestIndicatorColourSubtleYellow = "#c86426";
+exports.checkboxRestIndicatorColourBoldBlue = "#005dba";
+exports.checkboxRestIndicatorColourBoldGreen = "#00633d";
+exports.checkboxRestIndicatorColourBoldRed = "#c50b30";
+exports.checkboxRestIndicatorColourBoldYellow = "#c86426";
+exports.checkboxHoverControlBackgroundColourNeutralBlue = "#ffffff";
+exports.checkboxHoverControlBackgroundColourNeutralGreen = "#ffffff";
+exports.checkboxHoverControlBackgroundColourNeutralRed = "#ffffff";
+exports.checkboxHoverControlBackgroundColourNeutralYellow = "#ffffff";
+exports.checkboxHoverControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.checkboxHoverControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.checkboxHoverControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.checkboxHoverControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.checkboxHoverControlBackgroundColourSubtleBlue = "#ffffff";
+exports.checkboxHoverControlBackgroundColourSubtleGreen = "#ffffff";
+exports.checkboxHoverControlBackgroundColourSubtleRed = "#ffffff";
+exports.checkboxHoverControlBackgroundColourSubtleYellow = "#ffffff";
+exports.checkboxHoverControlBackgroundColourBoldBlue = "#ffffff";
+exports.checkboxHoverControlBackgroundColourBoldGreen = "#ffffff";
+exports.checkboxHoverControlBackgroundColourBoldRed = "#ffffff";
+exports.checkboxHoverControlBackgroundColourBoldYellow = "#ffffff";
+exports.checkboxHoverControlBorderColourNeutralBlue = "#4d4f4f";
+exports.checkboxHoverControlBorderColourNeutralGreen = "#4d4f4f";
+exports.checkboxHoverControlBorderColourNeutralRed = "#4d4f4f";
+exports.checkboxHoverControlBorderColourNeutralYellow = "#4d4f4f";
+exports.checkboxHoverControlBorderColourNeutralInverseBlue = "#4d4f4f";
+exports.checkboxHoverControlBorderColourNeutralInverseGreen = "#4d4f4f";
+exports.checkboxHoverControlBorderColourNeutralInverseRed = "#4d4f4f";
+exports.checkboxHoverControlBorderColourNeutralInverseYellow = "#4d4f4f";
+exports.checkboxHoverControlBorderColourSubtleBlue = "#1d1d1b";
+exports.checkboxHoverControlBorderColourSubtleGreen = "#1d1d1b";
+exports.checkboxHoverControlBorderColourSubtleRed = "#1d1d1b";
+exports.checkboxHoverControlBorderColourSubtleYellow = "#1d1d1b";
+exports.checkboxHoverControlBorderColourBoldBlue = "#1d1d1b";
+exports.checkboxHoverControlBorderColourBoldGreen = "#1d1d1b";
+exports.checkboxHoverControlBorderColourBoldRed = "#1d1d1b";
+exports.checkboxHoverControlBorderColourBoldYellow = "#1d1d1b";
+exports.checkboxHoverControlBorderWidthNeutralBlue = 1.5;
+exports.checkboxHoverControlBorderWidthNeutralGreen = 1.5;
+exports.checkboxHoverControlBorderWidthNeutralRed = 1.5;
+exports.checkboxHoverControlBorderWidthNeutralYellow = 1.5;
+exports.checkboxHoverControlBorderWidthNeutralInverseBlue = 1.5;
+exports.checkboxHoverControlBorderWidthNeutralInverseGreen = 1.5;
+exports.checkboxHoverControlBorderWidthNeutralInverseRed = 1.5;
+exports.checkboxHoverControlBorderWidthNeutralInverseYellow = 1.5;
+exports.checkboxHoverControlBorderWidthSubtleBlue = 1.5;
+exports.checkboxHoverControlBorderWidthSubtleGreen = 1.5;
+exports.checkboxHoverControlBorderWidthSubtleRed = 1.5;
+exports.checkboxHoverControlBorderWidthSubtleYellow = 1.5;
+exports.checkboxHoverControlBorderWidthBoldBlue = 1.5;
+exports.checkboxHoverControlBorderWidthBoldGreen = 1.5;
+exports.checkboxHoverControlBorderWidthBoldRed = 1.5;
+exports.checkboxHoverControlBorderWidthBoldYellow = 1.5;
+exports.checkboxHoverIndicatorColourNeutralBlue = "#001d6e";
+exports.checkboxHoverIndicatorColourNeutralGreen = "#01312e";
+exports.checkboxHoverIndicatorColourNeutralRed = "#940824";
+exports.checkboxHoverIndicatorColourNeutralYellow = "#c86426";
+exports.checkboxHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+exports.checkboxHoverIndicatorColourNeutralInverseGreen = "#01312e";
+exports.checkboxHoverIndicatorColourNeutralInverseRed = "#940824";
+exports.checkboxHoverIndicatorColourNeutralInverseYellow = "#c86426";
+exports.checkboxHoverIndicatorColourSubtleBlue = "#001d6e";
+exports.checkboxHoverIndicatorColourSubtleGreen = "#01312e";
+exports.checkboxHoverIndicatorColourSubtleRed = "#940824";
+exports.checkboxHoverIndicatorColourSubtleYellow = "#c86426";
+exports.checkboxHoverIndicatorColourBoldBlue = "#001d6e";
+exports.checkboxHoverIndicatorColourBoldGreen = "#01312e";
+exports.checkboxHoverIndicatorColourBoldRed = "#940824";
+exports.checkboxHoverIndicatorColourBoldYellow = "#c86426";
+exports.checkboxFocusControlBackgroundColourNeutralBlue = "#ffffff";
+exports.checkboxFocusControlBackgroundColourNeutralGreen = "#ffffff";
+exports.checkboxFocusControlBackgroundColourNeutralRed = "#ffffff";
+exports.checkboxFocusControlBackgroundColourNeutralYellow = "#ffffff";
+exports.checkboxFocusControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.checkboxFocusControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.checkboxFocusControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.checkboxFocusControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.checkboxFocusControlBackgroundColourSubtleBlue = "#ffffff";
+exports.checkboxFocusControlBackgroundColourSubtleGreen = "#ffffff";
+exports.checkboxFocusControlBackgroundColourSubtleRed = "#ffffff";
+exports.checkboxFocusControlBackgroundColourSubtleYellow = "#ffffff";
+exports.checkboxFocusControlBackgroundColourBoldBlue = "#ffffff";
+exports.checkboxFocusControlBackgroundColourBoldGreen = "#ffffff";
+exports.checkboxFocusControlBackgroundColourBoldRed = "#ffffff";
+exports.checkboxFocusControlBackgroundColourBoldYellow = "#ffffff";
+exports.checkboxFocusControlBorderColourNeutralBlue = "#1d1d1b";
+exports.checkboxFocusControlBorderColourNeutralGreen = "#1d1d1b";
+exports.checkboxFocusControlBorderColourNeutralRed = "#1d1d1b";
+exports.checkboxFocusControlBorderColourNeutralYellow = "#1d1d1b";
+exports.checkboxFocusControlBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.checkboxFocusControlBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.checkboxFocusControlBorderColourNeutralInverseRed = "#1d1d1b";
+exports.checkboxFocusControlBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.checkboxFocusControlBorderColourSubtleBlue = "#1d1d1b";
+exports.checkboxFocusControlBorderColourSubtleGreen = "#1d1d1b";
+exports.checkboxFocusControlBorderColourSubtleRed = "#1d1d1b";
+exports.checkboxFocusControlBorderColourSubtleYellow = "#1d1d1b";
+exports.checkboxFocusControlBorderColourBoldBlue = "#1d1d1b";
+exports.checkboxFocusControlBorderColourBoldGreen = "#1d1d1b";
+exports.checkboxFocusControlBorderColourBoldRed = "#1d1d1b";
+exports.checkboxFocusControlBorderColourBoldYellow = "#1d1d1b";
+exports.checkboxFocusControlBorderWidthNeutralBlue = 3;
+exports.checkboxFocusControlBorderWidthNeutralGreen = 3;
+exports.checkboxFocusControlBorderWidthNeutralRed = 3;
+exports.checkboxFocusControlBorderWidthNeutralYellow = 3;
+exports.checkboxFocusControlBorderWidthNeutralInverseBlue = 3;
+exports.checkboxFocusControlBorderWidthNeutralInverseGreen = 3;
+exports.checkboxFocusControlBorderWidthNeutralInverseRed = 3;
+exports.checkboxFocusControlBorderWidthNeutralInverseYellow = 3;
+exports.checkboxFocusControlBorderWidthSubtleBlue = 3;
+exports.checkboxFocusControlBorderWidthSubtleGreen = 3;
+exports.checkboxFocusControlBorderWidthSubtleRed = 3;
+exports.checkboxFocusControlBorderWidthSubtleYellow = 3;
+exports.checkboxFocusControlBorderWidthBoldBlue = 3;
+exports.checkboxFocusControlBorderWidthBoldGreen = 3;
+exports.checkboxFocusControlBorderWidthBoldRed = 3;
+exports.checkboxFocusControlBorderWidthBoldYellow = 3;
+exports.checkboxFocusIndicatorColourNeutralBlue = "#005dba";
+exports.checkboxFocusIndicatorColourNeutralGreen = "#00633d";
+exports.checkboxFocusIndicatorColourNeutralRed = "#c50b30";
+exports.checkboxFocusIndicatorColourNeutralYellow = "#c86426";
+exports.checkboxFocusIndicatorColourNeutralInverseBlue = "#005dba";
+exports.checkboxFocusIndicatorColourNeutralInverseGreen = "#00633d";
+exports.checkboxFocusIndicatorColourNeutralInverseRed = "#c50b30";
+exports.checkboxFocusIndicatorColourNeutralInverseYellow = "#c86426";
+exports.checkboxFocusIndicatorColourSubtleBlue = "#005dba";
+exports.checkboxFocusIndicatorColourSubtleGreen = "#00633d";
+exports.checkboxFocusIndicatorColourSubtleRed = "#c50b30";
+exports.checkboxFocusIndicatorColourSubtleYellow = "#c86426";
+exports.checkboxFocusIndicatorColourBoldBlue = "#005dba";
+exports.checkboxFocusIndicatorColourBoldGreen = "#00633d";
+exports.checkboxFocusIndicatorColourBoldRed = "#c50b30";
+exports.checkboxFocusIndicatorColourBoldYellow = "#c86426";
+exports.checkboxErrorControlBackgroundColourNeutralBlue = "#ffffff";
+exports.checkboxErrorControlBackgroundColourNeutralGreen = "#ffffff";
+exports.checkboxErrorControlBackgroundColourNeutralRed = "#ffffff";
+exports.checkboxErrorControlBackgroundColourNeutralYellow = "#ffffff";
+exports.checkboxErrorControlBackgroundColourNeutralInverseBlue = "#ffffff";
+exports.checkboxErrorControlBackgroundColourNeutralInverseGreen = "#ffffff";
+exports.checkboxErrorControlBackgroundColourNeutralInverseRed = "#ffffff";
+exports.checkboxErrorControlBackgroundColourNeutralInverseYellow = "#ffffff";
+exports.checkboxErrorControlBackgroundColourSubtleBlue = "#ffffff";
+exports.checkboxErrorControlBackgroundColourSubtleGreen = "#ffffff";
+exports.checkboxErrorControlBackgroundColourSubtleRed = "#ffffff";
+exports.checkboxErrorControlBackgroundColourSubtleYellow = "#ffffff";
+exports.checkboxErrorControlBackgroundColourBoldBlue = "#ffffff";
+exports.checkboxErrorControlBackgroundColourBoldGreen = "#ffffff";
+exports.checkboxErrorControlBackgroundColourBoldRed = "#ffffff";
+exports.checkboxErrorControlBackgroundColourBoldYellow = "#ffffff";
+exports.checkboxErrorControlBorderColourNeutralBlue = "#c50b30";
+exports.checkboxErrorControlBorderColourNeutralGreen = "#c50b30";
+exports.checkboxErrorControlBorderColourNeutralRed = "#c50b30";
+exports.checkboxErrorControlBorderColourNeutralYellow = "#c50b30";
+exports.checkboxErrorControlBorderColourNeutralInverseBlue = "#c50b30";
+exports.checkboxErrorControlBorderColourNeutralInverseGreen = "#c50b30";
+exports.checkboxErrorControlBorderColourNeutralInverseRed = "#c50b30";
+exports.checkboxErrorControlBorderColourNeutralInverseYellow = "#c50b30";
+exports.checkboxErrorControlBorderColourSubtleBlue = "#c50b30";
+exports.checkboxErrorControlBorderColourSubtleGreen = "#c50b30";
+exports.checkboxErrorControlBorderColourSubtleRed = "#c50b30";
+exports.checkboxErrorControlBorderColourSubtleYellow = "#c50b30";
+exports.checkboxErrorControlBorderColourBoldBlue = "#c50b30";
+exports.checkboxErrorControlBorderColourBoldGreen = "#c50b30";
+exports.checkboxErrorControlBorderColourBoldRed = "#c50b30";
+exports.checkboxErrorControlBorderColourBoldYellow = "#c50b30";
+exports.checkboxErrorControlBorderWidthNeutralBlue = 1.5;
+exports.checkboxErrorControlBorderWidthNeutralGreen = 1.5;
+exports.checkboxErrorControlBorderWidthNeutralRed = 1.5;
+exports.checkboxErrorControlBorderWidthNeutralYellow = 1.5;
+exports.checkboxErrorControlBorderWidthNeutralInverseBlue = 1.5;
+exports.checkboxErrorControlBorderWidthNeutralInverseGreen = 1.5;
+exports.checkboxErrorControlBorderWidthNeutralInverseRed = 1.5;
+exports.checkboxErrorControlBorderWidthNeutralInverseYellow = 1.5;
+exports.checkboxErrorControlBorderWidthSubtleBlue = 1.5;
+exports.checkboxErrorControlBorderWidthSubtleGreen = 1.5;
+exports.checkboxErrorControlBorderWidthSubtleRed = 1.5;
+exports.checkboxErrorControlBorderWidthSubtleYellow = 1.5;
+exports.checkboxErrorControlBorderWidthBoldBlue = 1.5;
+exports.checkboxErrorControlBorderWidthBoldGreen = 1.5;
+exports.checkboxErrorControlBorderWidthBoldRed = 1.5;
+exports.checkboxErrorControlBorderWidthBoldYellow = 1.5;
+exports.checkboxErrorControlFocusBorderWidthNeutralBlue = 3;
+exports.checkboxErrorControlFocusBorderWidthNeutralGreen = 3;
+exports.checkboxErrorControlFocusBorderWidthNeutralRed = 3;
+exports.checkboxErrorControlFocusBorderWidthNeutralYellow = 3;
+exports.checkboxErrorControlFocusBorderWidthNeutralInverseBlue = 3;
+exports.checkboxErrorControlFocusBorderWidthNeutralInverseGreen = 3;
+exports.checkboxErrorControlFocusBorderWidthNeutralInverseRed = 3;
+exports.checkboxErrorControlFocusBorderWidthNeutralInverseYellow = 3;
+exports.checkboxErrorControlFocusBorderWidthSubtleBlue = 3;
+exports.checkboxErrorControlFocusBorderWidthSubtleGreen = 3;
+exports.checkboxErrorControlFocusBorderWidthSubtleRed = 3;
+exports.checkboxErrorControlFocusBorderWidthSubtleYellow = 3;
+exports.checkboxErrorControlFocusBorderWidthBoldBlue = 3;
+exports.checkboxErrorControlFocusBorderWidthBoldGreen = 3;
+exports.checkboxErrorControlFocusBorderWidthBoldRed = 3;
+exports.checkboxErrorControlFocusBorderWidthBoldYellow = 3;
+exports.checkboxErrorIndicatorColourNeutralBlue = "#c50b30";
+exports.checkboxErrorIndicatorColourNeutralGreen = "#c50b30";
+exports.checkboxErrorIndicatorColourNeutralRed = "#c50b30";
+exports.checkboxErrorIndicatorColourNeutralYellow = "#c50b30";
+exports.checkboxErrorIndicatorColourNeutralInverseBlue = "#c50b30";
+exports.checkboxErrorIndicatorColourNeutralInverseGreen = "#c50b30";
+exports.checkboxErrorIndicatorColourNeutralInverseRed = "#c50b30";
+exports.checkboxErrorIndicatorColourNeutralInverseYellow = "#c50b30";
+exports.checkboxErrorIndicatorColourSubtleBlue = "#c50b30";
+exports.checkboxErrorIndicatorColourSubtleGreen = "#c50b30";
+exports.checkboxErrorIndicatorColourSubtleRed = "#c50b30";
+exports.checkboxErrorIndicatorColourSubtleYellow = "#c50b30";
+exports.checkboxErrorIndicatorColourBoldBlue = "#c50b30";
+exports.checkboxErrorIndicatorColourBoldGreen = "#c50b30";
+exports.checkboxErrorIndicatorColourBoldRed = "#c50b30";
+exports.checkboxErrorIndicatorColourBoldYellow = "#c50b30";
+exports.checkboxDisabledLabelColourNeutralBlue = "#a6a7a7";
+exports.checkboxDisabledLabelColourNeutralGreen = "#a6a7a7";
+exports.checkboxDisabledLabelColourNeutralRed = "#a6a7a7";
+exports.checkboxDisabledLabelColourNeutralYellow = "#a6a7a7";
+exports.checkboxDisabledLabelColourNeutralInverseBlue = "#a6a7a7";
+exports.checkboxDisabledLabelColourNeutralInverseGreen = "#a6a7a7";
+exports.checkboxDisabledLabelColourNeutralInverseRed = "#a6a7a7";
+exports.checkboxDisabledLabelColourNeutralInverseYellow = "#a6a7a7";
+exports.checkboxDisabledLabelColourSubtleBlue = "#a6a7a7";
+exports.checkboxDisabledLabelColourSubtleGreen = "#a6a7a7";
+exports.checkboxDisabledLabelColourSubtleRed = "#a6a7a7";
+exports.checkboxDisabledLabelColourSubtleYellow = "#a6a7a7";
+exports.checkboxDisabledLabelColourBoldBlue = "#a6a7a7";
+exports.checkboxDisabledLabelColourBoldGreen = "#a6a7a7";
+exports.checkboxDisabledLabelColourBoldRed = "#a6a7a7";
+exports.checkboxDisabledLabelColourBoldYellow = "#a6a7a7";
+exports.checkboxDisabledControlBackgroundColourNeutralBlue = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourNeutralGreen = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourNeutralRed = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourNeutralYellow = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourSubtleBlue = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourSubtleGreen = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourSubtleRed = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourSubtleYellow = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourBoldBlue = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourBoldGreen = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourBoldRed = "#f4f4f4";
+exports.checkboxDisabledControlBackgroundColourBoldYellow = "#f4f4f4";
+exports.checkboxDisabledControlBorderColourNeutralBlue = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourNeutralGreen = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourNeutralRed = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourNeutralYellow = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourNeutralInverseRed = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourSubtleBlue = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourSubtleGreen = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourSubtleRed = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourSubtleYellow = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourBoldBlue = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourBoldGreen = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourBoldRed = "#d3d3d3";
+exports.checkboxDisabledControlBorderColourBoldYellow = "#d3d3d3";
+exports.checkboxDisabledControlBorderWidthNeutralBlue = 1.5;
+exports.checkboxDisabledControlBorderWidthNeutralGreen = 1.5;
+exports.checkboxDisabledControlBorderWidthNeutralRed = 1.5;
+exports.checkboxDisabledControlBorderWidthNeutralYellow = 1.5;
+exports.checkboxDisabledControlBorderWidthNeutralInverseBlue = 1.5;
+exports.checkboxDisabledControlBorderWidthNeutralInverseGreen = 1.5;
+exports.checkboxDisabledControlBorderWidthNeutralInverseRed = 1.5;
+exports.checkboxDisabledControlBorderWidthNeutralInverseYellow = 1.5;
+exports.checkboxDisabledControlBorderWidthSubtleBlue = 1.5;
+exports.checkboxDisabledControlBorderWidthSubtleGreen = 1.5;
+exports.checkboxDisabledControlBorderWidthSubtleRed = 1.5;
+exports.checkboxDisabledControlBorderWidthSubtleYellow = 1.5;
+exports.checkboxDisabledControlBorderWidthBoldBlue = 1.5;
+exports.checkboxDisabledControlBorderWidthBoldGreen = 1.5;
+exports.checkboxDisabledControlBorderWidthBoldRed = 1.5;
+exports.checkboxDisabledControlBorderWidthBoldYellow = 1.5;
+exports.checkboxDisabledIndicatorColourNeutralBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourNeutralGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourNeutralRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourNeutralYellow = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourNeutralInverseBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourNeutralInverseGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourNeutralInverseRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourNeutralInverseYellow = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourSubtleBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourSubtleGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourSubtleRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourSubtleYellow = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourBoldBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourBoldGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourBoldRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorColourBoldYellow = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralYellow = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralInverseBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralInverseGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralInverseRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourNeutralInverseYellow = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourSubtleBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourSubtleGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourSubtleRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourSubtleYellow = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourBoldBlue = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourBoldGreen = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourBoldRed = "#d3d3d3";
+exports.checkboxDisabledIndicatorBackgroundColourBoldYellow = "#d3d3d3";
+exports.checkboxGroupSmGapNeutralBlue = 16;
+exports.checkboxGroupSmGapNeutralGreen = 16;
+exports.checkboxGroupSmGapNeutralRed = 16;
+exports.checkboxGroupSmGapNeutralYellow = 16;
+exports.checkboxGroupSmGapNeutralInverseBlue = 16;
+exports.checkboxGroupSmGapNeutralInverseGreen = 16;
+exports.checkboxGroupSmGapNeutralInverseRed = 16;
+exports.checkboxGroupSmGapNeutralInverseYellow = 16;
+exports.checkboxGroupSmGapSubtleBlue = 16;
+exports.checkboxGroupSmGapSubtleGreen = 16;
+exports.checkboxGroupSmGapSubtleRed = 16;
+exports.checkboxGroupSmGapSubtleYellow = 16;
+exports.checkboxGroupSmGapBoldBlue = 16;
+exports.checkboxGroupSmGapBoldGreen = 16;
+exports.checkboxGroupSmGapBoldRed = 16;
+exports.checkboxGroupSmGapBoldYellow = 16;
+exports.checkboxGroupLgGapNeutralBlue = 20;
+exports.checkboxGroupLgGapNeutralGreen = 20;
+exports.checkboxGroupLgGapNeutralRed = 20;
+exports.checkboxGroupLgGapNeutralYellow = 20;
+exports.checkboxGroupLgGapNeutralInverseBlue = 20;
+exports.checkboxGroupLgGapNeutralInverseGreen = 20;
+exports.checkboxGroupLgGapNeutralInverseRed = 20;
+exports.checkboxGroupLgGapNeutralInverseYellow = 20;
+exports.checkboxGroupLgGapSubtleBlue = 20;
+exports.checkboxGroupLgGapSubtleGreen = 20;
+exports.checkboxGroupLgGapSubtleRed = 20;
+exports.checkboxGroupLgGapSubtleYellow = 20;
+exports.checkboxGroupLgGapBoldBlue = 20;
+exports.checkboxGroupLgGapBoldGreen = 20;
+exports.checkboxGroupLgGapBoldRed = 20;
+exports.checkboxGroupLgGapBoldYellow = 20;
+exports.segmentControlCommonBackgroundColourNeutralBlue = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourNeutralGreen = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourNeutralRed = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourNeutralYellow = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourSubtleBlue = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourSubtleGreen = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourSubtleRed = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourSubtleYellow = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourBoldBlue = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourBoldGreen = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourBoldRed = "#f4f4f4";
+exports.segmentControlCommonBackgroundColourBoldYellow = "#f4f4f4";
+exports.segmentControlCommonBorderColourNeutralBlue = "#858686";
+exports.segmentControlCommonBorderColourNeutralGreen = "#858686";
+exports.segmentControlCommonBorderColourNeutralRed = "#858686";
+exports.segmentControlCommonBorderColourNeutralYellow = "#858686";
+exports.segmentControlCommonBorderColourNeutralInverseBlue = "#858686";
+exports.segmentControlCommonBorderColourNeutralInverseGreen = "#858686";
+exports.segmentControlCommonBorderColourNeutralInverseRed = "#858686";
+exports.segmentControlCommonBorderColourNeutralInverseYellow = "#858686";
+exports.segmentControlCommonBorderColourSubtleBlue = "#001d6e";
+exports.segmentControlCommonBorderColourSubtleGreen = "#01312e";
+exports.segmentControlCommonBorderColourSubtleRed = "#940824";
+exports.segmentControlCommonBorderColourSubtleYellow = "#c86426";
+exports.segmentControlCommonBorderColourBoldBlue = "#001d6e";
+exports.segmentControlCommonBorderColourBoldGreen = "#01312e";
+exports.segmentControlCommonBorderColourBoldRed = "#940824";
+exports.segmentControlCommonBorderColourBoldYellow = "#c86426";
+exports.segmentControlCommonBorderRadiusNeutralBlue = 12;
+exports.segmentControlCommonBorderRadiusNeutralGreen = 12;
+exports.segmentControlCommonBorderRadiusNeutralRed = 12;
+exports.segmentControlCommonBorderRadiusNeutralYellow = 12;
+exports.segmentControlCommonBorderRadiusNeutralInverseBlue = 12;
+exports.segmentControlCommonBorderRadiusNeutralInverseGreen = 12;
+exports.segmentControlCommonBorderRadiusNeutralInverseRed = 12;
+exports.segmentControlCommonBorderRadiusNeutralInverseYellow = 12;
+exports.segmentControlCommonBorderRadiusSubtleBlue = 12;
+exports.segmentControlCommonBorderRadiusSubtleGreen = 12;
+exports.segmentControlCommonBorderRadiusSubtleRed = 12;
+exports.segmentControlCommonBorderRadiusSubtleYellow = 12;
+exports.segmentControlCommonBorderRadiusBoldBlue = 12;
+exports.segmentControlCommonBorderRadiusBoldGreen = 12;
+exports.segmentControlCommonBorderRadiusBoldRed = 12;
+exports.segmentControlCommonBorderRadiusBoldYellow = 12;
+exports.segmentControlCommonBorderWidthNeutralBlue = 1.5;
+exports.segmentControlCommonBorderWidthNeutralGreen = 1.5;
+exports.segmentControlCommonBorderWidthNeutralRed = 1.5;
+exports.segmentControlCommonBorderWidthNeutralYellow = 1.5;
+exports.segmentControlCommonBorderWidthNeutralInverseBlue = 1.5;
+exports.segmentControlCommonBorderWidthNeutralInverseGreen = 1.5;
+exports.segmentControlCommonBorderWidthNeutralInverseRed = 1.5;
+exports.segmentControlCommonBorderWidthNeutralInverseYellow = 1.5;
+exports.segmentControlCommonBorderWidthSubtleBlue = 1.5;
+exports.segmentControlCommonBorderWidthSubtleGreen = 1.5;
+exports.segmentControlCommonBorderWidthSubtleRed = 1.5;
+exports.segmentControlCommonBorderWidthSubtleYellow = 1.5;
+exports.segmentControlCommonBorderWidthBoldBlue = 1.5;
+exports.segmentControlCommonBorderWidthBoldGreen = 1.5;
+exports.segmentControlCommonBorderWidthBoldRed = 1.5;
+exports.segmentControlCommonBorderWidthBoldYellow = 1.5;
+exports.segmentControlCommonGapNeutralBlue = 4;
+exports.segmentControlCommonGapNeutralGreen = 4;
+exports.segmentControlCommonGapNeutralRed = 4;
+exports.segmentControlCommonGapNeutralYellow = 4;
+exports.segmentControlCommonGapNeutralInverseBlue = 4;
+exports.segmentControlCommonGapNeutralInverseGreen = 4;
+exports.segmentControlCommonGapNeutralInverseRed = 4;
+exports.segmentControlCommonGapNeutralInverseYellow = 4;
+exports.segmentControlCommonGapSubtleBlue = 4;
+exports.segmentControlCommonGapSubtleGreen = 4;
+exports.segmentControlCommonGapSubtleRed = 4;
+exports.segmentControlCommonGapSubtleYellow = 4;
+exports.segmentControlCommonGapBoldBlue = 4;
+exports.segmentControlCommonGapBoldGreen = 4;
+exports.segmentControlCommonGapBoldRed = 4;
+exports.segmentControlCommonGapBoldYellow = 4;
+exports.segmentControlCommonMinWidthNeutralBlue = 232;
+exports.segmentControlCommonMinWidthNeutralGreen = 232;
+exports.segmentControlCommonMinWidthNeutralRed = 232;
+exports.segmentControlCommonMinWidthNeutralYellow = 232;
+exports.segmentControlCommonMinWidthNeutralInverseBlue = 232;
+exports.segmentControlCommonMinWidthNeutralInverseGreen = 232;
+exports.segmentControlCommonMinWidthNeutralInverseRed = 232;
+exports.segmentControlCommonMinWidthNeutralInverseYellow = 232;
+exports.segmentControlCommonMinWidthSubtleBlue = 232;
+exports.segmentControlCommonMinWidthSubtleGreen = 232;
+exports.segmentControlCommonMinWidthSubtleRed = 232;
+exports.segmentControlCommonMinWidthSubtleYellow = 232;
+exports.segmentControlCommonMinWidthBoldBlue = 232;
+exports.segmentControlCommonMinWidthBoldGreen = 232;
+exports.segmentControlCommonMinWidthBoldRed = 232;
+exports.segmentControlCommonMinWidthBoldYellow = 232;
+exports.segmentControlCommonPaddingXNeutralBlue = 4;
+exports.segmentControlCommonPaddingXNeutralGreen = 4;
+exports.segmentControlCommonPaddingXNeutralRed = 4;
+exports.segmentControlCommonPaddingXNeutralYellow = 4;
+exports.segmentControlCommonPaddingXNeutralInverseBlue = 4;
+exports.segmentControlCommonPaddingXNeutralInverseGreen = 4;
+exports.segmentControlCommonPaddingXNeutralInverseRed = 4;
+exports.segmentControlCommonPaddingXNeutralInverseYellow = 4;
+exports.segmentControlCommonPaddingXSubtleBlue = 4;
+exports.segmentControlCommonPaddingXSubtleGreen = 4;
+exports.segmentControlCommonPaddingXSubtleRed = 4;
+exports.segmentControlCommonPaddingXSubtleYellow = 4;
+exports.segmentControlCommonPaddingXBoldBlue = 4;
+exports.segmentControlCommonPaddingXBoldGreen = 4;
+exports.segmentControlCommonPaddingXBoldRed = 4;
+exports.segmentControlCommonPaddingXBoldYellow = 4;
+exports.segmentControlCommonPaddingYNeutralBlue = 4;
+exports.segmentControlCommonPaddingYNeutralGreen = 4;
+exports.segmentControlCommonPaddingYNeutralRed = 4;
+exports.segmentControlCommonPaddingYNeutralYellow = 4;
+exports.segmentControlCommonPaddingYNeutralInverseBlue = 4;
+exports.segmentControlCommonPaddingYNeutralInverseGreen = 4;
+exports.segmentControlCommonPaddingYNeutralInverseRed = 4;
+exports.segmentControlCommonPaddingYNeutralInverseYellow = 4;
+exports.segmentControlCommonPaddingYSubtleBlue = 4;
+exports.segmentControlCommonPaddingYSubtleGreen = 4;
+exports.segmentControlCommonPaddingYSubtleRed = 4;
+exports.segmentControlCommonPaddingYSubtleYellow = 4;
+exports.segmentControlCommonPaddingYBoldBlue = 4;
+exports.segmentControlCommonPaddingYBoldGreen = 4;
+exports.segmentControlCommonPaddingYBoldRed = 4;
+exports.segmentControlCommonPaddingYBoldYellow = 4;
+exports.segmentControlFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.segmentControlFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.segmentControlFocusBorderColourNeutralRed = "#1d1d1b";
+exports.segmentControlFocusBorderColourNeutralYellow = "#1d1d1b";
+exports.segmentControlFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.segmentControlFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.segmentControlFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.segmentControlFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+exports.segmentControlFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.segmentControlFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.segmentControlFocusBorderColourSubtleRed = "#1d1d1b";
+exports.segmentControlFocusBorderColourSubtleYellow = "#1d1d1b";
+exports.segmentControlFocusBorderColourBoldBlue = "#1d1d1b";
+exports.segmentControlFocusBorderColourBoldGreen = "#1d1d1b";
+exports.segmentControlFocusBorderColourBoldRed = "#1d1d1b";
+exports.segmentControlFocusBorderColourBoldYellow = "#1d1d1b";
+exports.segmentControlFocusBorderWidthNeutralBlue = 3;
+exports.segmentControlFocusBorderWidthNeutralGreen = 3;
+exports.segmentControlFocusBorderWidthNeutralRed = 3;
+exports.segmentControlFocusBorderWidthNeutralYellow = 3;
+exports.segmentControlFocusBorderWidthNeutralInverseBlue = 3;
+exports.segmentControlFocusBorderWidthNeutralInverseGreen = 3;
+exports.segmentControlFocusBorderWidthNeutralInverseRed = 3;
+exports.segmentControlFocusBorderWidthNeutralInverseYellow = 3;
+exports.segmentControlFocusBorderWidthSubtleBlue = 3;
+exports.segmentControlFocusBorderWidthSubtleGreen = 3;
+exports.segmentControlFocusBorderWidthSubtleRed = 3;
+exports.segmentControlFocusBorderWidthSubtleYellow = 3;
+exports.segmentControlFocusBorderWidthBoldBlue = 3;
+exports.segmentControlFocusBorderWidthBoldGreen = 3;
+exports.segmentControlFocusBorderWidthBoldRed = 3;
+exports.segmentControlFocusBorderWidthBoldYellow = 3;
+exports.segmentControlErrorBorderColourNeutralBlue = "#c50b30";
+exports.segmentControlErrorBorderColourNeutralGreen = "#c50b30";
+exports.segmentControlErrorBorderColourNeutralRed = "#c50b30";
+exports.segmentControlErrorBorderColourNeutralYellow = "#c50b30";
+exports.segmentControlErrorBorderColourNeutralInverseBlue = "#c50b30";
+exports.segmentControlErrorBorderColourNeutralInverseGreen = "#c50b30";
+exports.segmentControlErrorBorderColourNeutralInverseRed = "#c50b30";
+exports.segmentControlErrorBorderColourNeutralInverseYellow = "#c50b30";
+exports.segmentControlErrorBorderColourSubtleBlue = "#c50b30";
+exports.segmentControlErrorBorderColourSubtleGreen = "#c50b30";
+exports.segmentControlErrorBorderColourSubtleRed = "#c50b30";
+exports.segmentControlErrorBorderColourSubtleYellow = "#c50b30";
+exports.segmentControlErrorBorderColourBoldBlue = "#c50b30";
+exports.segmentControlErrorBorderColourBoldGreen = "#c50b30";
+exports.segmentControlErrorBorderColourBoldRed = "#c50b30";
+exports.segmentControlErrorBorderColourBoldYellow = "#c50b30";
+exports.segmentControlErrorBorderWidthNeutralBlue = 1.5;
+exports.segmentControlErrorBorderWidthNeutralGreen = 1.5;
+exports.segmentControlErrorBorderWidthNeutralRed = 1.5;
+exports.segmentControlErrorBorderWidthNeutralYellow = 1.5;
+exports.segmentControlErrorBorderWidthNeutralInverseBlue = 1.5;
+exports.segmentControlErrorBorderWidthNeutralInverseGreen = 1.5;
+exports.segmentControlErrorBorderWidthNeutralInverseRed = 1.5;
+exports.segmentControlErrorBorderWidthNeutralInverseYellow = 1.5;
+exports.segmentControlErrorBorderWidthSubtleBlue = 1.5;
+exports.segmentControlErrorBorderWidthSubtleGreen = 1.5;
+exports.segmentControlErrorBorderWidthSubtleRed = 1.5;
+exports.segmentControlErrorBorderWidthSubtleYellow = 1.5;
+exports.segmentControlErrorBorderWidthBoldBlue = 1.5;
+exports.segmentControlErrorBorderWidthBoldGreen = 1.5;
+exports.segmentControlErrorBorderWidthBoldRed = 1.5;
+exports.segmentControlErrorBorderWidthBoldYellow = 1.5;
+exports.segmentControlErrorFocusBorderWidthNeutralBlue = 3;
+exports.segmentControlErrorFocusBorderWidthNeutralGreen = 3;
+exports.segmentControlErrorFocusBorderWidthNeutralRed = 3;
+exports.segmentControlErrorFocusBorderWidthNeutralYellow = 3;
+exports.segmentControlErrorFocusBorderWidthNeutralInverseBlue = 3;
+exports.segmentControlErrorFocusBorderWidthNeutralInverseGreen = 3;
+exports.segmentControlErrorFocusBorderWidthNeutralInverseRed = 3;
+exports.segmentControlErrorFocusBorderWidthNeutralInverseYellow = 3;
+exports.segmentControlErrorFocusBorderWidthSubtleBlue = 3;
+exports.segmentControlErrorFocusBorderWidthSubtleGreen = 3;
+exports.segmentControlErrorFocusBorderWidthSubtleRed = 3;
+exports.segmentControlErrorFocusBorderWidthSubtleYellow = 3;
+exports.segmentControlErrorFocusBorderWidthBoldBlue = 3;
+exports.segmentControlErrorFocusBorderWidthBoldGreen = 3;
+exports.segmentControlErrorFocusBorderWidthBoldRed = 3;
+exports.segmentControlErrorFocusBorderWidthBoldYellow = 3;
+exports.segmentButtonCommonPaddingXNeutralBlue = 8;
+exports.segmentButtonCommonPaddingXNeutralGreen = 8;
+exports.segmentButtonCommonPaddingXNeutralRed = 8;
+exports.segmentButtonCommonPaddingXNeutralYellow = 8;
+exports.segmentButtonCommonPaddingXNeutralInverseBlue = 8;
+exports.segmentButtonCommonPaddingXNeutralInverseGreen = 8;
+exports.segmentButtonCommonPaddingXNeutralInverseRed = 8;
+exports.segmentButtonCommonPaddingXNeutralInverseYellow = 8;
+exports.segmentButtonCommonPaddingXSubtleBlue = 8;
+exports.segmentButtonCommonPaddingXSubtleGreen = 8;
+exports.segmentButtonCommonPaddingXSubtleRed = 8;
+exports.segmentButtonCommonPaddingXSubtleYellow = 8;
+exports.segmentButtonCommonPaddingXBoldBlue = 8;
+exports.segmentButtonCommonPaddingXBoldGreen = 8;
+exports.segmentButtonCommonPaddingXBoldRed = 8;
+exports.segmentButtonCommonPaddingXBoldYellow = 8;
+exports.segmentButtonCommonPaddingYNeutralBlue = 8;
+exports.segmentButtonCommonPaddingYNeutralGreen = 8;
+exports.segmentButtonCommonPaddingYNeutralRed = 8;
+exports.segmentButtonCommonPaddingYNeutralYellow = 8;
+exports.segmentButtonCommonPaddingYNeutralInverseBlue = 8;
+exports.segmentButtonCommonPaddingYNeutralInverseGreen = 8;
+exports.segmentButtonCommonPaddingYNeutralInverseRed = 8;
+exports.segmentButtonCommonPaddingYNeutralInverseYellow = 8;
+exports.segmentButtonCommonPaddingYSubtleBlue = 8;
+exports.segmentButtonCommonPaddingYSubtleGreen = 8;
+exports.segmentButtonCommonPaddingYSubtleRed = 8;
+exports.segmentButtonCommonPaddingYSubtleYellow = 8;
+exports.segmentButtonCommonPaddingYBoldBlue = 8;
+exports.segmentButtonCommonPaddingYBoldGreen = 8;
+exports.segmentButtonCommonPaddingYBoldRed = 8;
+exports.segmentButtonCommonPaddingYBoldYellow = 8;
+exports.segmentButtonCommonBorderRadiusNeutralBlue = 8;
+exports.segmentButtonCommonBorderRadiusNeutralGreen = 8;
+exports.segmentButtonCommonBorderRadiusNeutralRed = 8;
+exports.segmentButtonCommonBorderRadiusNeutralYellow = 8;
+exports.segmentButtonCommonBorderRadiusNeutralInverseBlue = 8;
+exports.segmentButtonCommonBorderRadiusNeutralInverseGreen = 8;
+exports.segmentButtonCommonBorderRadiusNeutralInverseRed = 8;
+exports.segmentButtonCommonBorderRadiusNeutralInverseYellow = 8;
+exports.segmentButtonCommonBorderRadiusSubtleBlue = 8;
+exports.segmentButtonCommonBorderRadiusSubtleGreen = 8;
+exports.segmentButtonCommonBorderRadiusSubtleRed = 8;
+exports.segmentButtonCommonBorderRadiusSubtleYellow = 8;
+exports.segmentButtonCommonBorderRadiusBoldBlue = 8;
+exports.segmentButtonCommonBorderRadiusBoldGreen = 8;
+exports.segmentButtonCommonBorderRadiusBoldRed = 8;
+exports.segmentButtonCommonBorderRadiusBoldYellow = 8;
+exports.segmentButtonCommonMinHeightNeutralBlue = 36;
+exports.segmentButtonCommonMinHeightNeutralGreen = 36;
+exports.segmentButtonCommonMinHeightNeutralRed = 36;
+exports.segmentButtonCommonMinHeightNeutralYellow = 36;
+exports.segmentButtonCommonMinHeightNeutralInverseBlue = 36;
+exports.segmentButtonCommonMinHeightNeutralInverseGreen = 36;
+exports.segmentButtonCommonMinHeightNeutralInverseRed = 36;
+exports.segmentButtonCommonMinHeightNeutralInverseYellow = 36;
+exports.segmentButtonCommonMinHeightSubtleBlue = 36;
+exports.segmentButtonCommonMinHeightSubtleGreen = 36;
+exports.segmentButtonCommonMinHeightSubtleRed = 36;
+exports.segmentButtonCommonMinHeightSubtleYellow = 36;
+exports.segmentButtonCommonMinHeightBoldBlue = 36;
+exports.segmentButtonCommonMinHeightBoldGreen = 36;
+exports.segmentButtonCommonMinHeightBoldRed = 36;
+exports.segmentButtonCommonMinHeightBoldYellow = 36;
+exports.segmentButtonRestBackgroundColourNeutralBlue = "#ffffff";
+exports.segmentButtonRestBackgroundColourNeutralGreen = "#ffffff";
+exports.segmentButtonRestBackgroundColourNeutralRed = "#ffffff";
+exports.segmentButtonRestBackgroundColourNeutralYellow = "#ffffff";
+exports.segmentButtonRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.segmentButtonRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.segmentButtonRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.segmentButtonRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.segmentButtonRestBackgroundColourSubtleBlue = "#aee1f7";
+exports.segmentButtonRestBackgroundColourSubtleGreen = "#caeedd";
+exports.segmentButtonRestBackgroundColourSubtleRed = "#ffd5d2";
+exports.segmentButtonRestBackgroundColourSubtleYellow = "#fff9c7";
+exports.segmentButtonRestBackgroundColourBoldBlue = "#005dba";
+exports.segmentButtonRestBackgroundColourBoldGreen = "#00633d";
+exports.segmentButtonRestBackgroundColourBoldRed = "#c50b30";
+exports.segmentButtonRestBackgroundColourBoldYellow = "#ffb600";
+exports.segmentButtonRestColourNeutralBlue = "#1d1d1b";
+exports.segmentButtonRestColourNeutralGreen = "#1d1d1b";
+exports.segmentButtonRestColourNeutralRed = "#1d1d1b";
+exports.segmentButtonRestColourNeutralYellow = "#000000";
+exports.segmentButtonRestColourNeutralInverseBlue = "#1d1d1b";
+exports.segmentButtonRestColourNeutralInverseGreen = "#1d1d1b";
+exports.segmentButtonRestColourNeutralInverseRed = "#1d1d1b";
+exports.segmentButtonRestColourNeutralInverseYellow = "#000000";
+exports.segmentButtonRestColourSubtleBlue = "#1d1d1b";
+exports.segmentButtonRestColourSubtleGreen = "#1d1d1b";
+exports.segmentButtonRestColourSubtleRed = "#1d1d1b";
+exports.segmentButtonRestColourSubtleYellow = "#000000";
+exports.segmentButtonRestColourBoldBlue = "#ffffff";
+exports.segmentButtonRestColourBoldGreen = "#ffffff";
+exports.segmentButtonRestColourBoldRed = "#ffffff";
+exports.segmentButtonRestColourBoldYellow = "#1d1d1b";
+exports.segmentButtonHoverBackgroundColourNeutralBlue = "#aee1f7";
+exports.segmentButtonHoverBackgroundColourNeutralGreen = "#caeedd";
+exports.segmentButtonHoverBackgroundColourNeutralRed = "#ffd5d2";
+exports.segmentButtonHoverBackgroundColourNeutralYellow = "#fff9c7";
+exports.segmentButtonHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+exports.segmentButtonHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+exports.segmentButtonHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+exports.segmentButtonHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+exports.segmentButtonHoverBackgroundColourSubtleBlue = "#42aeea";
+exports.segmentButtonHoverBackgroundColourSubtleGreen = "#43af6e";
+exports.segmentButtonHoverBackgroundColourSubtleRed = "#ff3e51";
+exports.segmentButtonHoverBackgroundColourSubtleYellow = "#ffe969";
+exports.segmentButtonHoverBackgroundColourBoldBlue = "#aee1f7";
+exports.segmentButtonHoverBackgroundColourBoldGreen = "#caeedd";
+exports.segmentButtonHoverBackgroundColourBoldRed = "#ffd5d2";
+exports.segmentButtonHoverBackgroundColourBoldYellow = "#fff9c7";
+exports.segmentButtonHoverColourNeutralBlue = "#1d1d1b";
+exports.segmentButtonHoverColourNeutralGreen = "#1d1d1b";
+exports.segmentButtonHoverColourNeutralRed = "#1d1d1b";
+exports.segmentButtonHoverColourNeutralYellow = "#000000";
+exports.segmentButtonHoverColourNeutralInverseBlue = "#1d1d1b";
+exports.segmentButtonHoverColourNeutralInverseGreen = "#1d1d1b";
+exports.segmentButtonHoverColourNeutralInverseRed = "#1d1d1b";
+exports.segmentButtonHoverColourNeutralInverseYellow = "#000000";
+exports.segmentButtonHoverColourSubtleBlue = "#1d1d1b";
+exports.segmentButtonHoverColourSubtleGreen = "#1d1d1b";
+exports.segmentButtonHoverColourSubtleRed = "#1d1d1b";
+exports.segmentButtonHoverColourSubtleYellow = "#000000";
+exports.segmentButtonHoverColourBoldBlue = "#1d1d1b";
+exports.segmentButtonHoverColourBoldGreen = "#1d1d1b";
+exports.segmentButtonHoverColourBoldRed = "#1d1d1b";
+exports.segmentButtonHoverColourBoldYellow = "#000000";
+exports.segmentButtonActiveBackgroundColourNeutralBlue = "#005dba";
+exports.segmentButtonActiveBackgroundColourNeutralGreen = "#00633d";
+exports.segmentButtonActiveBackgroundColourNeutralRed = "#c50b30";
+exports.segmentButtonActiveBackgroundColourNeutralYellow = "#ffb600";
+exports.segmentButtonActiveBackgroundColourNeutralInverseBlue = "#005dba";
+exports.segmentButtonActiveBackgroundColourNeutralInverseGreen = "#00633d";
+exports.segmentButtonActiveBackgroundColourNeutralInverseRed = "#c50b30";
+exports.segmentButtonActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+exports.segmentButtonActiveBackgroundColourSubtleBlue = "#005dba";
+exports.segmentButtonActiveBackgroundColourSubtleGreen = "#00633d";
+exports.segmentButtonActiveBackgroundColourSubtleRed = "#c50b30";
+exports.segmentButtonActiveBackgroundColourSubtleYellow = "#ffb600";
+exports.segmentButtonActiveBackgroundColourBoldBlue = "#ffffff";
+exports.segmentButtonActiveBackgroundColourBoldGreen = "#ffffff";
+exports.segmentButtonActiveBackgroundColourBoldRed = "#ffffff";
+exports.segmentButtonActiveBackgroundColourBoldYellow = "#ffffff";
+exports.segmentButtonActiveColourNeutralBlue = "#ffffff";
+exports.segmentButtonActiveColourNeutralGreen = "#ffffff";
+exports.segmentButtonActiveColourNeutralRed = "#ffffff";
+exports.segmentButtonActiveColourNeutralYellow = "#1d1d1b";
+exports.segmentButtonActiveColourNeutralInverseBlue = "#ffffff";
+exports.segmentButtonActiveColourNeutralInverseGreen = "#ffffff";
+exports.segmentButtonActiveColourNeutralInverseRed = "#ffffff";
+exports.segmentButtonActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.segmentButtonActiveColourSubtleBlue = "#ffffff";
+exports.segmentButtonActiveColourSubtleGreen = "#ffffff";
+exports.segmentButtonActiveColourSubtleRed = "#ffffff";
+exports.segmentButtonActiveColourSubtleYellow = "#1d1d1b";
+exports.segmentButtonActiveColourBoldBlue = "#1d1d1b";
+exports.segmentButtonActiveColourBoldGreen = "#1d1d1b";
+exports.segmentButtonActiveColourBoldRed = "#1d1d1b";
+exports.segmentButtonActiveColourBoldYellow = "#000000";
+exports.segmentButtonFocusBackgroundColourNeutralBlue = "#ffffff";
+exports.segmentButtonFocusBackgroundColourNeutralGreen = "#ffffff";
+exports.segmentButtonFocusBackgroundColourNeutralRed = "#ffffff";
+exports.segmentButtonFocusBackgroundColourNeutralYellow = "#ffffff";
+exports.segmentButtonFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.segmentButtonFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.segmentButtonFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.segmentButtonFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.segmentButtonFocusBackgroundColourSubtleBlue = "#aee1f7";
+exports.segmentButtonFocusBackgroundColourSubtleGreen = "#caeedd";
+exports.segmentButtonFocusBackgroundColourSubtleRed = "#ffd5d2";
+exports.segmentButtonFocusBackgroundColourSubtleYellow = "#fff9c7";
+exports.segmentButtonFocusBackgroundColourBoldBlue = "#005dba";
+exports.segmentButtonFocusBackgroundColourBoldGreen = "#00633d";
+exports.segmentButtonFocusBackgroundColourBoldRed = "#c50b30";
+exports.segmentButtonFocusBackgroundColourBoldYellow = "#ffb600";
+exports.segmentButtonFocusColourNeutralBlue = "#1d1d1b";
+exports.segmentButtonFocusColourNeutralGreen = "#1d1d1b";
+exports.segmentButtonFocusColourNeutralRed = "#1d1d1b";
+exports.segmentButtonFocusColourNeutralYellow = "#000000";
+exports.segmentButtonFocusColourNeutralInverseBlue = "#1d1d1b";
+exports.segmentButtonFocusColourNeutralInverseGreen = "#1d1d1b";
+exports.segmentButtonFocusColourNeutralInverseRed = "#1d1d1b";
+exports.segmentButtonFocusColourNeutralInverseYellow = "#000000";
+exports.segmentButtonFocusColourSubtleBlue = "#1d1d1b";
+exports.segmentButtonFocusColourSubtleGreen = "#1d1d1b";
+exports.segmentButtonFocusColourSubtleRed = "#1d1d1b";
+exports.segmentButtonFocusColourSubtleYellow = "#000000";
+exports.segmentButtonFocusColourBoldBlue = "#ffffff";
+exports.segmentButtonFocusColourBoldGreen = "#ffffff";
+exports.segmentButtonFocusColourBoldRed = "#ffffff";
+exports.segmentButtonFocusColourBoldYellow = "#1d1d1b";
+exports.segmentButtonFocusBorderColourNeutralBlue = "#1d1d1b";
+exports.segmentButtonFocusBorderColourNeutralGreen = "#1d1d1b";
+exports.segmentButtonFocusBorderColourNeutralRed = "#1d1d1b";
+exports.segmentButtonFocusBorderColourNeutralYellow = "#000000";
+exports.segmentButtonFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+exports.segmentButtonFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+exports.segmentButtonFocusBorderColourNeutralInverseRed = "#1d1d1b";
+exports.segmentButtonFocusBorderColourNeutralInverseYellow = "#000000";
+exports.segmentButtonFocusBorderColourSubtleBlue = "#1d1d1b";
+exports.segmentButtonFocusBorderColourSubtleGreen = "#1d1d1b";
+exports.segmentButtonFocusBorderColourSubtleRed = "#1d1d1b";
+exports.segmentButtonFocusBorderColourSubtleYellow = "#000000";
+exports.segmentButtonFocusBorderColourBoldBlue = "#ffffff";
+exports.segmentButtonFocusBorderColourBoldGreen = "#ffffff";
+exports.segmentButtonFocusBorderColourBoldRed = "#ffffff";
+exports.segmentButtonFocusBorderColourBoldYellow = "#1d1d1b";
+exports.segmentButtonFocusBorderWidthNeutralBlue = 3;
+exports.segmentButtonFocusBorderWidthNeutralGreen = 3;
+exports.segmentButtonFocusBorderWidthNeutralRed = 3;
+exports.segmentButtonFocusBorderWidthNeutralYellow = 3;
+exports.segmentButtonFocusBorderWidthNeutralInverseBlue = 3;
+exports.segmentButtonFocusBorderWidthNeutralInverseGreen = 3;
+exports.segmentButtonFocusBorderWidthNeutralInverseRed = 3;
+exports.segmentButtonFocusBorderWidthNeutralInverseYellow = 3;
+exports.segmentButtonFocusBorderWidthSubtleBlue = 3;
+exports.segmentButtonFocusBorderWidthSubtleGreen = 3;
+exports.segmentButtonFocusBorderWidthSubtleRed = 3;
+exports.segmentButtonFocusBorderWidthSubtleYellow = 3;
+exports.segmentButtonFocusBorderWidthBoldBlue = 3;
+exports.segmentButtonFocusBorderWidthBoldGreen = 3;
+exports.segmentButtonFocusBorderWidthBoldRed = 3;
+exports.segmentButtonFocusBorderWidthBoldYellow = 3;
+exports.segmentButtonStatusErrorBackgroundColourNeutralInfo = "#005dba";
+exports.segmentButtonStatusErrorBackgroundColourNeutralSuccess = "#00633d";
+exports.segmentButtonStatusErrorBackgroundColourNeutralWarning = "#ffb600";
+exports.segmentButtonStatusErrorBackgroundColourNeutralError = "#c50b30";
+exports.segmentButtonStatusErrorBackgroundColourNeutralGeneric = "#4d4f4f";
+exports.segmentButtonStatusErrorBackgroundColourNeutralInverseInfo = "#005dba";
+exports.segmentButtonStatusErrorBackgroundColourNeutralInverseSuccess = "#00633d";
+exports.segmentButtonStatusErrorBackgroundColourNeutralInverseWarning = "#ffb600";
+exports.segmentButtonStatusErrorBackgroundColourNeutralInverseError = "#c50b30";
+exports.segmentButtonStatusErrorBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+exports.segmentButtonStatusErrorBackgroundColourSubtleInfo = "#005dba";
+exports.segmentButtonStatusErrorBackgroundColourSubtleSuccess = "#00633d";
+exports.segmentButtonStatusErrorBackgroundColourSubtleWarning = "#ffb600";
+exports.segmentButtonStatusErrorBackgroundColourSubtleError = "#c50b30";
+exports.segmentButtonStatusErrorBackgroundColourSubtleGeneric = "#4d4f4f";
+exports.segmentButtonStatusErrorBackgroundColourBoldInfo = "#005dba";
+exports.segmentButtonStatusErrorBackgroundColourBoldSuccess = "#00633d";
+exports.segmentButtonStatusErrorBackgroundColourBoldWarning = "#ffb600";
+exports.segmentButtonStatusErrorBackgroundColourBoldError = "#c50b30";
+exports.segmentButtonStatusErrorBackgroundColourBoldGeneric = "#4d4f4f";
+exports.segmentButtonDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourNeutralRed = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourSubtleBlue = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourSubtleGreen = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourSubtleRed = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourSubtleYellow = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourBoldBlue = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourBoldGreen = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourBoldRed = "#d3d3d3";
+exports.segmentButtonDisabledBackgroundColourBoldYellow = "#d3d3d3";
+exports.segmentButtonDisabledColourNeutralBlue = "#a6a7a7";
+exports.segmentButtonDisabledColourNeutralGreen = "#a6a7a7";
+exports.segmentButtonDisabledColourNeutralRed = "#a6a7a7";
+exports.segmentButtonDisabledColourNeutralYellow = "#a6a7a7";
+exports.segmentButtonDisabledColourNeutralInverseBlue = "#a6a7a7";
+exports.segmentButtonDisabledColourNeutralInverseGreen = "#a6a7a7";
+exports.segmentButtonDisabledColourNeutralInverseRed = "#a6a7a7";
+exports.segmentButtonDisabledColourNeutralInverseYellow = "#a6a7a7";
+exports.segmentButtonDisabledColourSubtleBlue = "#a6a7a7";
+exports.segmentButtonDisabledColourSubtleGreen = "#a6a7a7";
+exports.segmentButtonDisabledColourSubtleRed = "#a6a7a7";
+exports.segmentButtonDisabledColourSubtleYellow = "#a6a7a7";
+exports.segmentButtonDisabledColourBoldBlue = "#a6a7a7";
+exports.segmentButtonDisabledColourBoldGreen = "#a6a7a7";
+exports.segmentButtonDisabledColourBoldRed = "#a6a7a7";
+exports.segmentButtonDisabledColourBoldYellow = "#a6a7a7";
+exports.inlineMessagePaddingXNeutralBlue = 12;
+exports.inlineMessagePaddingXNeutralGreen = 12;
+exports.inlineMessagePaddingXNeutralRed = 12;
+exports.inlineMessagePaddingXNeutralYellow = 12;
+exports.inlineMessagePaddingXNeutralInverseBlue = 12;
+exports.inlineMessagePaddingXNeutralInverseGreen = 12;
+exports.inlineMessagePaddingXNeutralInverseRed = 12;
+exports.inlineMessagePaddingXNeutralInverseYellow = 12;
+exports.inlineMessagePaddingXSubtleBlue = 12;
+exports.inlineMessagePaddingXSubtleGreen = 12;
+exports.inlineMessagePaddingXSubtleRed = 12;
+exports.inlineMessagePaddingXSubtleYellow = 12;
+exports.inlineMessagePaddingXBoldBlue = 12;
+exports.inlineMessagePaddingXBoldGreen = 12;
+exports.inlineMessagePaddingXBoldRed = 12;
+exports.inlineMessagePaddingXBoldYellow = 12;
+exports.inlineMessagePaddingYNeutralBlue = 12;
+exports.inlineMessagePaddingYNeutralGreen = 12;
+exports.inlineMessagePaddingYNeutralRed = 12;
+exports.inlineMessagePaddingYNeutralYellow = 12;
+exports.inlineMessagePaddingYNeutralInverseBlue = 12;
+exports.inlineMessagePaddingYNeutralInverseGreen = 12;
+exports.inlineMessagePaddingYNeutralInverseRed = 12;
+exports.inlineMessagePaddingYNeutralInverseYellow = 12;
+exports.inlineMessagePaddingYSubtleBlue = 12;
+exports.inlineMessagePaddingYSubtleGreen = 12;
+exports.inlineMessagePaddingYSubtleRed = 12;
+exports.inlineMessagePaddingYSubtleYellow = 12;
+exports.inlineMessagePaddingYBoldBlue = 12;
+exports.inlineMessagePaddingYBoldGreen = 12;
+exports.inlineMessagePaddingYBoldRed = 12;
+exports.inlineMessagePaddingYBoldYellow = 12;
+exports.inlineMessageBorderRadiusNeutralBlue = 12;
+exports.inlineMessageBorderRadiusNeutralGreen = 12;
+exports.inlineMessageBorderRadiusNeutralRed = 12;
+exports.inlineMessageBorderRadiusNeutralYellow = 12;
+exports.inlineMessageBorderRadiusNeutralInverseBlue = 12;
+exports.inlineMessageBorderRadiusNeutralInverseGreen = 12;
+exports.inlineMessageBorderRadiusNeutralInverseRed = 12;
+exports.inlineMessageBorderRadiusNeutralInverseYellow = 12;
+exports.inlineMessageBorderRadiusSubtleBlue = 12;
+exports.inlineMessageBorderRadiusSubtleGreen = 12;
+exports.inlineMessageBorderRadiusSubtleRed = 12;
+exports.inlineMessageBorderRadiusSubtleYellow = 12;
+exports.inlineMessageBorderRadiusBoldBlue = 12;
+exports.inlineMessageBorderRadiusBoldGreen = 12;
+exports.inlineMessageBorderRadiusBoldRed = 12;
+exports.inlineMessageBorderRadiusBoldYellow = 12;
+exports.inlineMessageStatusTextColourNeutralInfo = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralSuccess = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralWarning = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralError = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralGeneric = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralInverseInfo = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralInverseSuccess = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralInverseWarning = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralInverseError = "#1d1d1b";
+exports.inlineMessageStatusTextColourNeutralInverseGeneric = "#1d1d1b";
+exports.inlineMessageStatusTextColourSubtleInfo = "#1d1d1b";
+exports.inlineMessageStatusTextColourSubtleSuccess = "#1d1d1b";
+exports.inlineMessageStatusTextColourSubtleWarning = "#1d1d1b";
+exports.inlineMessageStatusTextColourSubtleError = "#1d1d1b";
+exports.inlineMessageStatusTextColourSubtleGeneric = "#1d1d1b";
+exports.inlineMessageStatusTextColourBoldInfo = "#1d1d1b";
+exports.inlineMessageStatusTextColourBoldSuccess = "#1d1d1b";
+exports.inlineMessageStatusTextColourBoldWarning = "#1d1d1b";
+exports.inlineMessageStatusTextColourBoldError = "#1d1d1b";
+exports.inlineMessageStatusTextColourBoldGeneric = "#1d1d1b";
+exports.inlineMessageStatusBackgroundColourNeutralInfo = "#aee1f7";
+exports.inlineMessageStatusBackgroundColourNeutralSuccess = "#caeedd";
+exports.inlineMessageStatusBackgroundColourNeutralWarning = "#fff9c7";
+exports.inlineMessageStatusBackgroundColourNeutralError = "#ffc2bd";
+exports.inlineMessageStatusBackgroundColourNeutralGeneric = "#f4f4f4";
+exports.inlineMessageStatusBackgroundColourNeutralInverseInfo = "#aee1f7";
+exports.inlineMessageStatusBackgroundColourNeutralInverseSuccess = "#caeedd";
+exports.inlineMessageStatusBackgroundColourNeutralInverseWarning = "#fff9c7";
+exports.inlineMessageStatusBackgroundColourNeutralInverseError = "#ffc2bd";
+exports.inlineMessageStatusBackgroundColourNeutralInverseGeneric = "#ffffff";
+exports.inlineMessageStatusBackgroundColourSubtleInfo = "#ffffff";
+exports.inlineMessageStatusBackgroundColourSubtleSuccess = "#ffffff";
+exports.inlineMessageStatusBackgroundColourSubtleWarning = "#ffffff";
+exports.inlineMessageStatusBackgroundColourSubtleError = "#ffffff";
+exports.inlineMessageStatusBackgroundColourSubtleGeneric = "#ffffff";
+exports.inlineMessageStatusBackgroundColourBoldInfo = "#ffffff";
+exports.inlineMessageStatusBackgroundColourBoldSuccess = "#ffffff";
+exports.inlineMessageStatusBackgroundColourBoldWarning = "#ffffff";
+exports.inlineMessageStatusBackgroundColourBoldError = "#ffffff";
+exports.inlineMessageStatusBackgroundColourBoldGeneric = "#ffffff";
+exports.inlineMessageStatusIconColourNeutralInfo = "#001d6e";
+exports.inlineMessageStatusIconColourNeutralSuccess = "#01312e";
+exports.inlineMessageStatusIconColourNeutralWarning = "#904029";
+exports.inlineMessageStatusIconColourNeutralError = "#940824";
+exports.inlineMessageStatusIconColourNeutralGeneric = "#1d1d1b";
+exports.inlineMessageStatusIconColourNeutralInverseInfo = "#001d6e";
+exports.inlineMessageStatusIconColourNeutralInverseSuccess = "#01312e";
+exports.inlineMessageStatusIconColourNeutralInverseWarning = "#904029";
+exports.inlineMessageStatusIconColourNeutralInverseError = "#940824";
+exports.inlineMessageStatusIconColourNeutralInverseGeneric = "#1d1d1b";
+exports.inlineMessageStatusIconColourSubtleInfo = "#001d6e";
+exports.inlineMessageStatusIconColourSubtleSuccess = "#01312e";
+exports.inlineMessageStatusIconColourSubtleWarning = "#904029";
+exports.inlineMessageStatusIconColourSubtleError = "#940824";
+exports.inlineMessageStatusIconColourSubtleGeneric = "#1d1d1b";
+exports.inlineMessageStatusIconColourBoldInfo = "#001d6e";
+exports.inlineMessageStatusIconColourBoldSuccess = "#01312e";
+exports.inlineMessageStatusIconColourBoldWarning = "#904029";
+exports.inlineMessageStatusIconColourBoldError = "#940824";
+exports.inlineMessageStatusIconColourBoldGeneric = "#1d1d1b";
+exports.inlineMessageGapNeutralBlue = 12;
+exports.inlineMessageGapNeutralGreen = 12;
+exports.inlineMessageGapNeutralRed = 12;
+exports.inlineMessageGapNeutralYellow = 12;
+exports.inlineMessageGapNeutralInverseBlue = 12;
+exports.inlineMessageGapNeutralInverseGreen = 12;
+exports.inlineMessageGapNeutralInverseRed = 12;
+exports.inlineMessageGapNeutralInverseYellow = 12;
+exports.inlineMessageGapSubtleBlue = 12;
+exports.inlineMessageGapSubtleGreen = 12;
+exports.inlineMessageGapSubtleRed = 12;
+exports.inlineMessageGapSubtleYellow = 12;
+exports.inlineMessageGapBoldBlue = 12;
+exports.inlineMessageGapBoldGreen = 12;
+exports.inlineMessageGapBoldRed = 12;
+exports.inlineMessageGapBoldYellow = 12;
+exports.tableCellCommonColourNeutralBlue = "#1d1d1b";
+exports.tableCellCommonColourNeutralGreen = "#1d1d1b";
+exports.tableCellCommonColourNeutralRed = "#1d1d1b";
+exports.tableCellCommonColourNeutralYellow = "#1d1d1b";
+exports.tableCellCommonColourNeutralInverseBlue = "#1d1d1b";
+exports.tableCellCommonColourNeutralInverseGreen = "#1d1d1b";
+exports.tableCellCommonColourNeutralInverseRed = "#1d1d1b";
+exports.tableCellCommonColourNeutralInverseYellow = "#1d1d1b";
+exports.tableCellCommonColourSubtleBlue = "#1d1d1b";
+exports.tableCellCommonColourSubtleGreen = "#1d1d1b";
+exports.tableCellCommonColourSubtleRed = "#1d1d1b";
+exports.tableCellCommonColourSubtleYellow = "#1d1d1b";
+exports.tableCellCommonColourBoldBlue = "#ffffff";
+exports.tableCellCommonColourBoldGreen = "#ffffff";
+exports.tableCellCommonColourBoldRed = "#ffffff";
+exports.tableCellCommonColourBoldYellow = "#1d1d1b";
+exports.tableCellCommonBackgroundColourNeutralBlue = "#ffffff";
+exports.tableCellCommonBackgroundColourNeutralGreen = "#ffffff";
+exports.tableCellCommonBackgroundColourNeutralRed = "#ffffff";
+exports.tableCellCommonBackgroundColourNeutralYellow = "#ffffff";
+exports.tableCellCommonBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.tableCellCommonBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.tableCellCommonBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.tableCellCommonBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.tableCellCommonBackgroundColourSubtleBlue = "#aee1f7";
+exports.tableCellCommonBackgroundColourSubtleGreen = "#caeedd";
+exports.tableCellCommonBackgroundColourSubtleRed = "#ffd5d2";
+exports.tableCellCommonBackgroundColourSubtleYellow = "#fff9c7";
+exports.tableCellCommonBackgroundColourBoldBlue = "#005dba";
+exports.tableCellCommonBackgroundColourBoldGreen = "#00633d";
+exports.tableCellCommonBackgroundColourBoldRed = "#c50b30";
+exports.tableCellCommonBackgroundColourBoldYellow = "#ffb600";
+exports.tableCellCommonBorderColourNeutralBlue = "#d3d3d3";
+exports.tableCellCommonBorderColourNeutralGreen = "#d3d3d3";
+exports.tableCellCommonBorderColourNeutralRed = "#d3d3d3";
+exports.tableCellCommonBorderColourNeutralYellow = "#d3d3d3";
+exports.tableCellCommonBorderColourNeutralInverseBlue = "#858686";
+exports.tableCellCommonBorderColourNeutralInverseGreen = "#858686";
+exports.tableCellCommonBorderColourNeutralInverseRed = "#858686";
+exports.tableCellCommonBorderColourNeutralInverseYellow = "#858686";
+exports.tableCellCommonBorderColourSubtleBlue = "#1d1d1b";
+exports.tableCellCommonBorderColourSubtleGreen = "#1d1d1b";
+exports.tableCellCommonBorderColourSubtleRed = "#1d1d1b";
+exports.tableCellCommonBorderColourSubtleYellow = "#1d1d1b";
+exports.tableCellCommonBorderColourBoldBlue = "#f4f4f4";
+exports.tableCellCommonBorderColourBoldGreen = "#f4f4f4";
+exports.tableCellCommonBorderColourBoldRed = "#f4f4f4";
+exports.tableCellCommonBorderColourBoldYellow = "#1d1d1b";
+exports.tableCellCommonBackgroundColourEvenNeutralBlue = "#ffffff";
+exports.tableCellCommonBackgroundColourEvenNeutralGreen = "#ffffff";
+exports.tableCellCommonBackgroundColourEvenNeutralRed = "#ffffff";
+exports.tableCellCommonBackgroundColourEvenNeutralYellow = "#ffffff";
+exports.tableCellCommonBackgroundColourEvenNeutralInverseBlue = "#f4f4f4";
+exports.tableCellCommonBackgroundColourEvenNeutralInverseGreen = "#f4f4f4";
+exports.tableCellCommonBackgroundColourEvenNeutralInverseRed = "#f4f4f4";
+exports.tableCellCommonBackgroundColourEvenNeutralInverseYellow = "#f4f4f4";
+exports.tableCellCommonBackgroundColourEvenSubtleBlue = "#aee1f7";
+exports.tableCellCommonBackgroundColourEvenSubtleGreen = "#caeedd";
+exports.tableCellCommonBackgroundColourEvenSubtleRed = "#ffd5d2";
+exports.tableCellCommonBackgroundColourEvenSubtleYellow = "#fff9c7";
+exports.tableCellCommonBackgroundColourEvenBoldBlue = "#005dba";
+exports.tableCellCommonBackgroundColourEvenBoldGreen = "#00633d";
+exports.tableCellCommonBackgroundColourEvenBoldRed = "#c50b30";
+exports.tableCellCommonBackgroundColourEvenBoldYellow = "#ffb600";
+exports.tableCellCommonBorderWidthNeutralBlue = 1;
+exports.tableCellCommonBorderWidthNeutralGreen = 1;
+exports.tableCellCommonBorderWidthNeutralRed = 1;
+exports.tableCellCommonBorderWidthNeutralYellow = 1;
+exports.tableCellCommonBorderWidthNeutralInverseBlue = 1;
+exports.tableCellCommonBorderWidthNeutralInverseGreen = 1;
+exports.tableCellCommonBorderWidthNeutralInverseRed = 1;
+exports.tableCellCommonBorderWidthNeutralInverseYellow = 1;
+exports.tableCellCommonBorderWidthSubtleBlue = 1;
+exports.tableCellCommonBorderWidthSubtleGreen = 1;
+exports.tableCellCommonBorderWidthSubtleRed = 1;
+exports.tableCellCommonBorderWidthSubtleYellow = 1;
+exports.tableCellCommonBorderWidthBoldBlue = 1;
+exports.tableCellCommonBorderWidthBoldGreen = 1;
+exports.tableCellCommonBorderWidthBoldRed = 1;
+exports.tableCellCommonBorderWidthBoldYellow = 1;
+exports.tableCellCommonPaddingXNeutralBlue = 16;
+exports.tableCellCommonPaddingXNeutralGreen = 16;
+exports.tableCellCommonPaddingXNeutralRed = 16;
+exports.tableCellCommonPaddingXNeutralYellow = 16;
+exports.tableCellCommonPaddingXNeutralInverseBlue = 16;
+exports.tableCellCommonPaddingXNeutralInverseGreen = 16;
+exports.tableCellCommonPaddingXNeutralInverseRed = 16;
+exports.tableCellCommonPaddingXNeutralInverseYellow = 16;
+exports.tableCellCommonPaddingXSubtleBlue = 16;
+exports.tableCellCommonPaddingXSubtleGreen = 16;
+exports.tableCellCommonPaddingXSubtleRed = 16;
+exports.tableCellCommonPaddingXSubtleYellow = 16;
+exports.tableCellCommonPaddingXBoldBlue = 16;
+exports.tableCellCommonPaddingXBoldGreen = 16;
+exports.tableCellCommonPaddingXBoldRed = 16;
+exports.tableCellCommonPaddingXBoldYellow = 16;
+exports.tableCellCommonPaddingYLgNeutralBlue = 16;
+exports.tableCellCommonPaddingYLgNeutralGreen = 16;
+exports.tableCellCommonPaddingYLgNeutralRed = 16;
+exports.tableCellCommonPaddingYLgNeutralYellow = 16;
+exports.tableCellCommonPaddingYLgNeutralInverseBlue = 16;
+exports.tableCellCommonPaddingYLgNeutralInverseGreen = 16;
+exports.tableCellCommonPaddingYLgNeutralInverseRed = 16;
+exports.tableCellCommonPaddingYLgNeutralInverseYellow = 16;
+exports.tableCellCommonPaddingYLgSubtleBlue = 16;
+exports.tableCellCommonPaddingYLgSubtleGreen = 16;
+exports.tableCellCommonPaddingYLgSubtleRed = 16;
+exports.tableCellCommonPaddingYLgSubtleYellow = 16;
+exports.tableCellCommonPaddingYLgBoldBlue = 16;
+exports.tableCellCommonPaddingYLgBoldGreen = 16;
+exports.tableCellCommonPaddingYLgBoldRed = 16;
+exports.tableCellCommonPaddingYLgBoldYellow = 16;
+exports.tableCellCommonPaddingYSmNeutralBlue = 12;
+exports.tableCellCommonPaddingYSmNeutralGreen = 12;
+exports.tableCellCommonPaddingYSmNeutralRed = 12;
+exports.tableCellCommonPaddingYSmNeutralYellow = 12;
+exports.tableCellCommonPaddingYSmNeutralInverseBlue = 12;
+exports.tableCellCommonPaddingYSmNeutralInverseGreen = 12;
+exports.tableCellCommonPaddingYSmNeutralInverseRed = 12;
+exports.tableCellCommonPaddingYSmNeutralInverseYellow = 12;
+exports.tableCellCommonPaddingYSmSubtleBlue = 12;
+exports.tableCellCommonPaddingYSmSubtleGreen = 12;
+exports.tableCellCommonPaddingYSmSubtleRed = 12;
+exports.tableCellCommonPaddingYSmSubtleYellow = 12;
+exports.tableCellCommonPaddingYSmBoldBlue = 12;
+exports.tableCellCommonPaddingYSmBoldGreen = 12;
+exports.tableCellCommonPaddingYSmBoldRed = 12;
+exports.tableCellCommonPaddingYSmBoldYellow = 12;
+exports.tableCellHeaderBorderColourNeutralBlue = "#4d4f4f";
+exports.tableCellHeaderBorderColourNeutralGreen = "#4d4f4f";
+exports.tableCellHeaderBorderColourNeutralRed = "#4d4f4f";
+exports.tableCellHeaderBorderColourNeutralYellow = "#4d4f4f";
+exports.tableCellHeaderBorderColourNeutralInverseBlue = "#4d4f4f";
+exports.tableCellHeaderBorderColourNeutralInverseGreen = "#4d4f4f";
+exports.tableCellHeaderBorderColourNeutralInverseRed = "#4d4f4f";
+exports.tableCellHeaderBorderColourNeutralInverseYellow = "#4d4f4f";
+exports.tableCellHeaderBorderColourSubtleBlue = "#4d4f4f";
+exports.tableCellHeaderBorderColourSubtleGreen = "#4d4f4f";
+exports.tableCellHeaderBorderColourSubtleRed = "#4d4f4f";
+exports.tableCellHeaderBorderColourSubtleYellow = "#4d4f4f";
+exports.tableCellHeaderBorderColourBoldBlue = "#4d4f4f";
+exports.tableCellHeaderBorderColourBoldGreen = "#4d4f4f";
+exports.tableCellHeaderBorderColourBoldRed = "#4d4f4f";
+exports.tableCellHeaderBorderColourBoldYellow = "#4d4f4f";
+exports.tableCellHeaderBorderWidthNeutralBlue = 2;
+exports.tableCellHeaderBorderWidthNeutralGreen = 2;
+exports.tableCellHeaderBorderWidthNeutralRed = 2;
+exports.tableCellHeaderBorderWidthNeutralYellow = 2;
+exports.tableCellHeaderBorderWidthNeutralInverseBlue = 2;
+exports.tableCellHeaderBorderWidthNeutralInverseGreen = 2;
+exports.tableCellHeaderBorderWidthNeutralInverseRed = 2;
+exports.tableCellHeaderBorderWidthNeutralInverseYellow = 2;
+exports.tableCellHeaderBorderWidthSubtleBlue = 2;
+exports.tableCellHeaderBorderWidthSubtleGreen = 2;
+exports.tableCellHeaderBorderWidthSubtleRed = 2;
+exports.tableCellHeaderBorderWidthSubtleYellow = 2;
+exports.tableCellHeaderBorderWidthBoldBlue = 2;
+exports.tableCellHeaderBorderWidthBoldGreen = 2;
+exports.tableCellHeaderBorderWidthBoldRed = 2;
+exports.tableCellHeaderBorderWidthBoldYellow = 2;
+exports.tableCellHighlightBackgroundColourNeutralBlue = "#ffffff";
+exports.tableCellHighlightBackgroundColourNeutralGreen = "#ffffff";
+exports.tableCellHighlightBackgroundColourNeutralRed = "#ffffff";
+exports.tableCellHighlightBackgroundColourNeutralYellow = "#ffffff";
+exports.tableCellHighlightBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.tableCellHighlightBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.tableCellHighlightBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.tableCellHighlightBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.tableCellHighlightBackgroundColourSubtleBlue = "#aee1f7";
+exports.tableCellHighlightBackgroundColourSubtleGreen = "#caeedd";
+exports.tableCellHighlightBackgroundColourSubtleRed = "#ffd5d2";
+exports.tableCellHighlightBackgroundColourSubtleYellow = "#fff9c7";
+exports.tableCellHighlightBackgroundColourBoldBlue = "#005dba";
+exports.tableCellHighlightBackgroundColourBoldGreen = "#00633d";
+exports.tableCellHighlightBackgroundColourBoldRed = "#c50b30";
+exports.tableCellHighlightBackgroundColourBoldYellow = "#ffb600";
+exports.tableStatusCellErrorBackgroundColourNeutralInfo = "#aee1f7";
+exports.tableStatusCellErrorBackgroundColourNeutralSuccess = "#caeedd";
+exports.tableStatusCellErrorBackgroundColourNeutralWarning = "#fff9c7";
+exports.tableStatusCellErrorBackgroundColourNeutralError = "#ffc2bd";
+exports.tableStatusCellErrorBackgroundColourNeutralGeneric = "#f4f4f4";
+exports.tableStatusCellErrorBackgroundColourNeutralInverseInfo = "#aee1f7";
+exports.tableStatusCellErrorBackgroundColourNeutralInverseSuccess = "#caeedd";
+exports.tableStatusCellErrorBackgroundColourNeutralInverseWarning = "#fff9c7";
+exports.tableStatusCellErrorBackgroundColourNeutralInverseError = "#ffc2bd";
+exports.tableStatusCellErrorBackgroundColourNeutralInverseGeneric = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourSubtleInfo = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourSubtleSuccess = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourSubtleWarning = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourSubtleError = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourSubtleGeneric = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourBoldInfo = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourBoldSuccess = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourBoldWarning = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourBoldError = "#ffffff";
+exports.tableStatusCellErrorBackgroundColourBoldGeneric = "#ffffff";
+exports.tableBorderRadiusNeutralBlue = 16;
+exports.tableBorderRadiusNeutralGreen = 16;
+exports.tableBorderRadiusNeutralRed = 16;
+exports.tableBorderRadiusNeutralYellow = 16;
+exports.tableBorderRadiusNeutralInverseBlue = 16;
+exports.tableBorderRadiusNeutralInverseGreen = 16;
+exports.tableBorderRadiusNeutralInverseRed = 16;
+exports.tableBorderRadiusNeutralInverseYellow = 16;
+exports.tableBorderRadiusSubtleBlue = 16;
+exports.tableBorderRadiusSubtleGreen = 16;
+exports.tableBorderRadiusSubtleRed = 16;
+exports.tableBorderRadiusSubtleYellow = 16;
+exports.tableBorderRadiusBoldBlue = 16;
+exports.tableBorderRadiusBoldGreen = 16;
+exports.tableBorderRadiusBoldRed = 16;
+exports.tableBorderRadiusBoldYellow = 16;
+exports.tableBackgroundColourNeutralBlue = "#ffffff";
+exports.tableBackgroundColourNeutralGreen = "#ffffff";
+exports.tableBackgroundColourNeutralRed = "#ffffff";
+exports.tableBackgroundColourNeutralYellow = "#ffffff";
+exports.tableBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.tableBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.tableBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.tableBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.tableBackgroundColourSubtleBlue = "#aee1f7";
+exports.tableBackgroundColourSubtleGreen = "#caeedd";
+exports.tableBackgroundColourSubtleRed = "#ffd5d2";
+exports.tableBackgroundColourSubtleYellow = "#fff9c7";
+exports.tableBackgroundColourBoldBlue = "#005dba";
+exports.tableBackgroundColourBoldGreen = "#00633d";
+exports.tableBackgroundColourBoldRed = "#c50b30";
+exports.tableBackgroundColourBoldYellow = "#ffb600";
+exports.tableBorderColourNeutralBlue = "#d3d3d3";
+exports.tableBorderColourNeutralGreen = "#d3d3d3";
+exports.tableBorderColourNeutralRed = "#d3d3d3";
+exports.tableBorderColourNeutralYellow = "#d3d3d3";
+exports.tableBorderColourNeutralInverseBlue = "#858686";
+exports.tableBorderColourNeutralInverseGreen = "#858686";
+exports.tableBorderColourNeutralInverseRed = "#858686";
+exports.tableBorderColourNeutralInverseYellow = "#858686";
+exports.tableBorderColourSubtleBlue = "#1d1d1b";
+exports.tableBorderColourSubtleGreen = "#1d1d1b";
+exports.tableBorderColourSubtleRed = "#1d1d1b";
+exports.tableBorderColourSubtleYellow = "#1d1d1b";
+exports.tableBorderColourBoldBlue = "#f4f4f4";
+exports.tableBorderColourBoldGreen = "#f4f4f4";
+exports.tableBorderColourBoldRed = "#f4f4f4";
+exports.tableBorderColourBoldYellow = "#1d1d1b";
+exports.tableRowVerticalGapNeutralBlue = 16;
+exports.tableRowVerticalGapNeutralGreen = 16;
+exports.tableRowVerticalGapNeutralRed = 16;
+exports.tableRowVerticalGapNeutralYellow = 16;
+exports.tableRowVerticalGapNeutralInverseBlue = 16;
+exports.tableRowVerticalGapNeutralInverseGreen = 16;
+exports.tableRowVerticalGapNeutralInverseRed = 16;
+exports.tableRowVerticalGapNeutralInverseYellow = 16;
+exports.tableRowVerticalGapSubtleBlue = 16;
+exports.tableRowVerticalGapSubtleGreen = 16;
+exports.tableRowVerticalGapSubtleRed = 16;
+exports.tableRowVerticalGapSubtleYellow = 16;
+exports.tableRowVerticalGapBoldBlue = 16;
+exports.tableRowVerticalGapBoldGreen = 16;
+exports.tableRowVerticalGapBoldRed = 16;
+exports.tableRowVerticalGapBoldYellow = 16;
+exports.progressIndicatorGapNeutralBlue = 8;
+exports.progressIndicatorGapNeutralGreen = 8;
+exports.progressIndicatorGapNeutralRed = 8;
+exports.progressIndicatorGapNeutralYellow = 8;
+exports.progressIndicatorGapNeutralInverseBlue = 8;
+exports.progressIndicatorGapNeutralInverseGreen = 8;
+exports.progressIndicatorGapNeutralInverseRed = 8;
+exports.progressIndicatorGapNeutralInverseYellow = 8;
+exports.progressIndicatorGapSubtleBlue = 8;
+exports.progressIndicatorGapSubtleGreen = 8;
+exports.progressIndicatorGapSubtleRed = 8;
+exports.progressIndicatorGapSubtleYellow = 8;
+exports.progressIndicatorGapBoldBlue = 8;
+exports.progressIndicatorGapBoldGreen = 8;
+exports.progressIndicatorGapBoldRed = 8;
+exports.progressIndicatorGapBoldYellow = 8;
+exports.progressHeaderColourNeutralBlue = "#001d6e";
+exports.progressHeaderColourNeutralGreen = "#01312e";
+exports.progressHeaderColourNeutralRed = "#940824";
+exports.progressHeaderColourNeutralYellow = "#904029";
+exports.progressHeaderColourNeutralInverseBlue = "#001d6e";
+exports.progressHeaderColourNeutralInverseGreen = "#01312e";
+exports.progressHeaderColourNeutralInverseRed = "#940824";
+exports.progressHeaderColourNeutralInverseYellow = "#904029";
+exports.progressHeaderColourSubtleBlue = "#001d6e";
+exports.progressHeaderColourSubtleGreen = "#01312e";
+exports.progressHeaderColourSubtleRed = "#940824";
+exports.progressHeaderColourSubtleYellow = "#904029";
+exports.progressHeaderColourBoldBlue = "#ffffff";
+exports.progressHeaderColourBoldGreen = "#ffffff";
+exports.progressHeaderColourBoldRed = "#ffffff";
+exports.progressHeaderColourBoldYellow = "#1d1d1b";
+exports.progressJourneyColourNeutralBlue = "#4d4f4f";
+exports.progressJourneyColourNeutralGreen = "#4d4f4f";
+exports.progressJourneyColourNeutralRed = "#4d4f4f";
+exports.progressJourneyColourNeutralYellow = "#4d4f4f";
+exports.progressJourneyColourNeutralInverseBlue = "#4d4f4f";
+exports.progressJourneyColourNeutralInverseGreen = "#4d4f4f";
+exports.progressJourneyColourNeutralInverseRed = "#4d4f4f";
+exports.progressJourneyColourNeutralInverseYellow = "#4d4f4f";
+exports.progressJourneyColourSubtleBlue = "#1d1d1b";
+exports.progressJourneyColourSubtleGreen = "#1d1d1b";
+exports.progressJourneyColourSubtleRed = "#1d1d1b";
+exports.progressJourneyColourSubtleYellow = "#1d1d1b";
+exports.progressJourneyColourBoldBlue = "#d2effb";
+exports.progressJourneyColourBoldGreen = "#dff6eb";
+exports.progressJourneyColourBoldRed = "#ffd5d2";
+exports.progressJourneyColourBoldYellow = "#572722";
+exports.progressJourneyGapNeutralBlue = 16;
+exports.progressJourneyGapNeutralGreen = 16;
+exports.progressJourneyGapNeutralRed = 16;
+exports.progressJourneyGapNeutralYellow = 16;
+exports.progressJourneyGapNeutralInverseBlue = 16;
+exports.progressJourneyGapNeutralInverseGreen = 16;
+exports.progressJourneyGapNeutralInverseRed = 16;
+exports.progressJourneyGapNeutralInverseYellow = 16;
+exports.progressJourneyGapSubtleBlue = 16;
+exports.progressJourneyGapSubtleGreen = 16;
+exports.progressJourneyGapSubtleRed = 16;
+exports.progressJourneyGapSubtleYellow = 16;
+exports.progressJourneyGapBoldBlue = 16;
+exports.progressJourneyGapBoldGreen = 16;
+exports.progressJourneyGapBoldRed = 16;
+exports.progressJourneyGapBoldYellow = 16;
+exports.progressBarBackgroundColourNeutralBlue = "#42aeea";
+exports.progressBarBackgroundColourNeutralGreen = "#43af6e";
+exports.progressBarBackgroundColourNeutralRed = "#ff3e51";
+exports.progressBarBackgroundColourNeutralYellow = "#ffe969";
+exports.progressBarBackgroundColourNeutralInverseBlue = "#42aeea";
+exports.progressBarBackgroundColourNeutralInverseGreen = "#43af6e";
+exports.progressBarBackgroundColourNeutralInverseRed = "#ff3e51";
+exports.progressBarBackgroundColourNeutralInverseYellow = "#ffe969";
+exports.progressBarBackgroundColourSubtleBlue = "#005dba";
+exports.progressBarBackgroundColourSubtleGreen = "#00633d";
+exports.progressBarBackgroundColourSubtleRed = "#c50b30";
+exports.progressBarBackgroundColourSubtleYellow = "#ffb600";
+exports.progressBarBackgroundColourBoldBlue = "#d2effb";
+exports.progressBarBackgroundColourBoldGreen = "#dff6eb";
+exports.progressBarBackgroundColourBoldRed = "#ffd5d2";
+exports.progressBarBackgroundColourBoldYellow = "#fffbdc";
+exports.progressBarColourNeutralBlue = "#001d6e";
+exports.progressBarColourNeutralGreen = "#01312e";
+exports.progressBarColourNeutralRed = "#940824";
+exports.progressBarColourNeutralYellow = "#c86426";
+exports.progressBarColourNeutralInverseBlue = "#001d6e";
+exports.progressBarColourNeutralInverseGreen = "#01312e";
+exports.progressBarColourNeutralInverseRed = "#940824";
+exports.progressBarColourNeutralInverseYellow = "#c86426";
+exports.progressBarColourSubtleBlue = "#001d6e";
+exports.progressBarColourSubtleGreen = "#01312e";
+exports.progressBarColourSubtleRed = "#940824";
+exports.progressBarColourSubtleYellow = "#c86426";
+exports.progressBarColourBoldBlue = "#000039";
+exports.progressBarColourBoldGreen = "#011b1f";
+exports.progressBarColourBoldRed = "#480411";
+exports.progressBarColourBoldYellow = "#572722";
+exports.progressBarGapNeutralBlue = 8;
+exports.progressBarGapNeutralGreen = 8;
+exports.progressBarGapNeutralRed = 8;
+exports.progressBarGapNeutralYellow = 8;
+exports.progressBarGapNeutralInverseBlue = 8;
+exports.progressBarGapNeutralInverseGreen = 8;
+exports.progressBarGapNeutralInverseRed = 8;
+exports.progressBarGapNeutralInverseYellow = 8;
+exports.progressBarGapSubtleBlue = 8;
+exports.progressBarGapSubtleGreen = 8;
+exports.progressBarGapSubtleRed = 8;
+exports.progressBarGapSubtleYellow = 8;
+exports.progressBarGapBoldBlue = 8;
+exports.progressBarGapBoldGreen = 8;
+exports.progressBarGapBoldRed = 8;
+exports.progressBarGapBoldYellow = 8;
+exports.progressBarBorderRadiusNeutralBlue = 16;
+exports.progressBarBorderRadiusNeutralGreen = 16;
+exports.progressBarBorderRadiusNeutralRed = 16;
+exports.progressBarBorderRadiusNeutralYellow = 16;
+exports.progressBarBorderRadiusNeutralInverseBlue = 16;
+exports.progressBarBorderRadiusNeutralInverseGreen = 16;
+exports.progressBarBorderRadiusNeutralInverseRed = 16;
+exports.progressBarBorderRadiusNeutralInverseYellow = 16;
+exports.progressBarBorderRadiusSubtleBlue = 16;
+exports.progressBarBorderRadiusSubtleGreen = 16;
+exports.progressBarBorderRadiusSubtleRed = 16;
+exports.progressBarBorderRadiusSubtleYellow = 16;
+exports.progressBarBorderRadiusBoldBlue = 16;
+exports.progressBarBorderRadiusBoldGreen = 16;
+exports.progressBarBorderRadiusBoldRed = 16;
+exports.progressBarBorderRadiusBoldYellow = 16;
+exports.progressBarHeightNeutralBlue = 4;
+exports.progressBarHeightNeutralGreen = 4;
+exports.progressBarHeightNeutralRed = 4;
+exports.progressBarHeightNeutralYellow = 4;
+exports.progressBarHeightNeutralInverseBlue = 4;
+exports.progressBarHeightNeutralInverseGreen = 4;
+exports.progressBarHeightNeutralInverseRed = 4;
+exports.progressBarHeightNeutralInverseYellow = 4;
+exports.progressBarHeightSubtleBlue = 4;
+exports.progressBarHeightSubtleGreen = 4;
+exports.progressBarHeightSubtleRed = 4;
+exports.progressBarHeightSubtleYellow = 4;
+exports.progressBarHeightBoldBlue = 4;
+exports.progressBarHeightBoldGreen = 4;
+exports.progressBarHeightBoldRed = 4;
+exports.progressBarHeightBoldYellow = 4;
+exports.heroTitleBlockColourNeutralBlue = "#001d6e";
+exports.heroTitleBlockColourNeutralGreen = "#01312e";
+exports.heroTitleBlockColourNeutralRed = "#940824";
+exports.heroTitleBlockColourNeutralYellow = "#904029";
+exports.heroTitleBlockColourNeutralInverseBlue = "#001d6e";
+exports.heroTitleBlockColourNeutralInverseGreen = "#01312e";
+exports.heroTitleBlockColourNeutralInverseRed = "#940824";
+exports.heroTitleBlockColourNeutralInverseYellow = "#904029";
+exports.heroTitleBlockColourSubtleBlue = "#001d6e";
+exports.heroTitleBlockColourSubtleGreen = "#01312e";
+exports.heroTitleBlockColourSubtleRed = "#940824";
+exports.heroTitleBlockColourSubtleYellow = "#904029";
+exports.heroTitleBlockColourBoldBlue = "#ffffff";
+exports.heroTitleBlockColourBoldGreen = "#ffffff";
+exports.heroTitleBlockColourBoldRed = "#ffffff";
+exports.heroTitleBlockColourBoldYellow = "#1d1d1b";
+exports.heroTitleBlockGapNeutralBlue = 12;
+exports.heroTitleBlockGapNeutralGreen = 12;
+exports.heroTitleBlockGapNeutralRed = 12;
+exports.heroTitleBlockGapNeutralYellow = 12;
+exports.heroTitleBlockGapNeutralInverseBlue = 12;
+exports.heroTitleBlockGapNeutralInverseGreen = 12;
+exports.heroTitleBlockGapNeutralInverseRed = 12;
+exports.heroTitleBlockGapNeutralInverseYellow = 12;
+exports.heroTitleBlockGapSubtleBlue = 12;
+exports.heroTitleBlockGapSubtleGreen = 12;
+exports.heroTitleBlockGapSubtleRed = 12;
+exports.heroTitleBlockGapSubtleYellow = 12;
+exports.heroTitleBlockGapBoldBlue = 12;
+exports.heroTitleBlockGapBoldGreen = 12;
+exports.heroTitleBlockGapBoldRed = 12;
+exports.heroTitleBlockGapBoldYellow = 12;
+exports.heroSubheadingsColourNeutralBlue = "#4d4f4f";
+exports.heroSubheadingsColourNeutralGreen = "#4d4f4f";
+exports.heroSubheadingsColourNeutralRed = "#4d4f4f";
+exports.heroSubheadingsColourNeutralYellow = "#4d4f4f";
+exports.heroSubheadingsColourNeutralInverseBlue = "#4d4f4f";
+exports.heroSubheadingsColourNeutralInverseGreen = "#4d4f4f";
+exports.heroSubheadingsColourNeutralInverseRed = "#4d4f4f";
+exports.heroSubheadingsColourNeutralInverseYellow = "#4d4f4f";
+exports.heroSubheadingsColourSubtleBlue = "#1d1d1b";
+exports.heroSubheadingsColourSubtleGreen = "#1d1d1b";
+exports.heroSubheadingsColourSubtleRed = "#1d1d1b";
+exports.heroSubheadingsColourSubtleYellow = "#1d1d1b";
+exports.heroSubheadingsColourBoldBlue = "#d2effb";
+exports.heroSubheadingsColourBoldGreen = "#dff6eb";
+exports.heroSubheadingsColourBoldRed = "#ffd5d2";
+exports.heroSubheadingsColourBoldYellow = "#572722";
+exports.heroSubheadingsGapNeutralBlue = 4;
+exports.heroSubheadingsGapNeutralGreen = 4;
+exports.heroSubheadingsGapNeutralRed = 4;
+exports.heroSubheadingsGapNeutralYellow = 4;
+exports.heroSubheadingsGapNeutralInverseBlue = 4;
+exports.heroSubheadingsGapNeutralInverseGreen = 4;
+exports.heroSubheadingsGapNeutralInverseRed = 4;
+exports.heroSubheadingsGapNeutralInverseYellow = 4;
+exports.heroSubheadingsGapSubtleBlue = 4;
+exports.heroSubheadingsGapSubtleGreen = 4;
+exports.heroSubheadingsGapSubtleRed = 4;
+exports.heroSubheadingsGapSubtleYellow = 4;
+exports.heroSubheadingsGapBoldBlue = 4;
+exports.heroSubheadingsGapBoldGreen = 4;
+exports.heroSubheadingsGapBoldRed = 4;
+exports.heroSubheadingsGapBoldYellow = 4;
+exports.heroGapNeutralBlue = 36;
+exports.heroGapNeutralGreen = 36;
+exports.heroGapNeutralRed = 36;
+exports.heroGapNeutralYellow = 36;
+exports.heroGapNeutralInverseBlue = 36;
+exports.heroGapNeutralInverseGreen = 36;
+exports.heroGapNeutralInverseRed = 36;
+exports.heroGapNeutralInverseYellow = 36;
+exports.heroGapSubtleBlue = 36;
+exports.heroGapSubtleGreen = 36;
+exports.heroGapSubtleRed = 36;
+exports.heroGapSubtleYellow = 36;
+exports.heroGapBoldBlue = 36;
+exports.heroGapBoldGreen = 36;
+exports.heroGapBoldRed = 36;
+exports.heroGapBoldYellow = 36;
+exports.heroPaddingXNeutralBlue = 16;
+exports.heroPaddingXNeutralGreen = 16;
+exports.heroPaddingXNeutralRed = 16;
+exports.heroPaddingXNeutralYellow = 16;
+exports.heroPaddingXNeutralInverseBlue = 16;
+exports.heroPaddingXNeutralInverseGreen = 16;
+exports.heroPaddingXNeutralInverseRed = 16;
+exports.heroPaddingXNeutralInverseYellow = 16;
+exports.heroPaddingXSubtleBlue = 16;
+exports.heroPaddingXSubtleGreen = 16;
+exports.heroPaddingXSubtleRed = 16;
+exports.heroPaddingXSubtleYellow = 16;
+exports.heroPaddingXBoldBlue = 16;
+exports.heroPaddingXBoldGreen = 16;
+exports.heroPaddingXBoldRed = 16;
+exports.heroPaddingXBoldYellow = 16;
+exports.heroPaddingYNeutralBlue = 36;
+exports.heroPaddingYNeutralGreen = 36;
+exports.heroPaddingYNeutralRed = 36;
+exports.heroPaddingYNeutralYellow = 36;
+exports.heroPaddingYNeutralInverseBlue = 36;
+exports.heroPaddingYNeutralInverseGreen = 36;
+exports.heroPaddingYNeutralInverseRed = 36;
+exports.heroPaddingYNeutralInverseYellow = 36;
+exports.heroPaddingYSubtleBlue = 36;
+exports.heroPaddingYSubtleGreen = 36;
+exports.heroPaddingYSubtleRed = 36;
+exports.heroPaddingYSubtleYellow = 36;
+exports.heroPaddingYBoldBlue = 36;
+exports.heroPaddingYBoldGreen = 36;
+exports.heroPaddingYBoldRed = 36;
+exports.heroPaddingYBoldYellow = 36;
+exports.heroWidthNeutralBlue = 288;
+exports.heroWidthNeutralGreen = 288;
+exports.heroWidthNeutralRed = 288;
+exports.heroWidthNeutralYellow = 288;
+exports.heroWidthNeutralInverseBlue = 288;
+exports.heroWidthNeutralInverseGreen = 288;
+exports.heroWidthNeutralInverseRed = 288;
+exports.heroWidthNeutralInverseYellow = 288;
+exports.heroWidthSubtleBlue = 288;
+exports.heroWidthSubtleGreen = 288;
+exports.heroWidthSubtleRed = 288;
+exports.heroWidthSubtleYellow = 288;
+exports.heroWidthBoldBlue = 288;
+exports.heroWidthBoldGreen = 288;
+exports.heroWidthBoldRed = 288;
+exports.heroWidthBoldYellow = 288;
+exports.detailsActivePaddingBottomNeutralBlue = 16;
+exports.detailsActivePaddingBottomNeutralGreen = 16;
+exports.detailsActivePaddingBottomNeutralRed = 16;
+exports.detailsActivePaddingBottomNeutralYellow = 16;
+exports.detailsActivePaddingBottomNeutralInverseBlue = 16;
+exports.detailsActivePaddingBottomNeutralInverseGreen = 16;
+exports.detailsActivePaddingBottomNeutralInverseRed = 16;
+exports.detailsActivePaddingBottomNeutralInverseYellow = 16;
+exports.detailsActivePaddingBottomSubtleBlue = 16;
+exports.detailsActivePaddingBottomSubtleGreen = 16;
+exports.detailsActivePaddingBottomSubtleRed = 16;
+exports.detailsActivePaddingBottomSubtleYellow = 16;
+exports.detailsActivePaddingBottomBoldBlue = 16;
+exports.detailsActivePaddingBottomBoldGreen = 16;
+exports.detailsActivePaddingBottomBoldRed = 16;
+exports.detailsActivePaddingBottomBoldYellow = 16;
+exports.detailsBorderRadiusNeutralBlue = 12;
+exports.detailsBorderRadiusNeutralGreen = 12;
+exports.detailsBorderRadiusNeutralRed = 12;
+exports.detailsBorderRadiusNeutralYellow = 12;
+exports.detailsBorderRadiusNeutralInverseBlue = 12;
+exports.detailsBorderRadiusNeutralInverseGreen = 12;
+exports.detailsBorderRadiusNeutralInverseRed = 12;
+exports.detailsBorderRadiusNeutralInverseYellow = 12;
+exports.detailsBorderRadiusSubtleBlue = 12;
+exports.detailsBorderRadiusSubtleGreen = 12;
+exports.detailsBorderRadiusSubtleRed = 12;
+exports.detailsBorderRadiusSubtleYellow = 12;
+exports.detailsBorderRadiusBoldBlue = 12;
+exports.detailsBorderRadiusBoldGreen = 12;
+exports.detailsBorderRadiusBoldRed = 12;
+exports.detailsBorderRadiusBoldYellow = 12;
+exports.detailsFocusIndicatorColourNeutralBlue = "#1d1d1b";
+exports.detailsFocusIndicatorColourNeutralGreen = "#1d1d1b";
+exports.detailsFocusIndicatorColourNeutralRed = "#1d1d1b";
+exports.detailsFocusIndicatorColourNeutralYellow = "#1d1d1b";
+exports.detailsFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+exports.detailsFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+exports.detailsFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+exports.detailsFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+exports.detailsFocusIndicatorColourSubtleBlue = "#1d1d1b";
+exports.detailsFocusIndicatorColourSubtleGreen = "#1d1d1b";
+exports.detailsFocusIndicatorColourSubtleRed = "#1d1d1b";
+exports.detailsFocusIndicatorColourSubtleYellow = "#1d1d1b";
+exports.detailsFocusIndicatorColourBoldBlue = "#1d1d1b";
+exports.detailsFocusIndicatorColourBoldGreen = "#1d1d1b";
+exports.detailsFocusIndicatorColourBoldRed = "#1d1d1b";
+exports.detailsFocusIndicatorColourBoldYellow = "#1d1d1b";
+exports.detailsFocusIndicatorBorderWidthNeutralBlue = 3;
+exports.detailsFocusIndicatorBorderWidthNeutralGreen = 3;
+exports.detailsFocusIndicatorBorderWidthNeutralRed = 3;
+exports.detailsFocusIndicatorBorderWidthNeutralYellow = 3;
+exports.detailsFocusIndicatorBorderWidthNeutralInverseBlue = 3;
+exports.detailsFocusIndicatorBorderWidthNeutralInverseGreen = 3;
+exports.detailsFocusIndicatorBorderWidthNeutralInverseRed = 3;
+exports.detailsFocusIndicatorBorderWidthNeutralInverseYellow = 3;
+exports.detailsFocusIndicatorBorderWidthSubtleBlue = 3;
+exports.detailsFocusIndicatorBorderWidthSubtleGreen = 3;
+exports.detailsFocusIndicatorBorderWidthSubtleRed = 3;
+exports.detailsFocusIndicatorBorderWidthSubtleYellow = 3;
+exports.detailsFocusIndicatorBorderWidthBoldBlue = 3;
+exports.detailsFocusIndicatorBorderWidthBoldGreen = 3;
+exports.detailsFocusIndicatorBorderWidthBoldRed = 3;
+exports.detailsFocusIndicatorBorderWidthBoldYellow = 3;
+exports.detailsFocusIndicatorBorderRadiusNeutralBlue = 8;
+exports.detailsFocusIndicatorBorderRadiusNeutralGreen = 8;
+exports.detailsFocusIndicatorBorderRadiusNeutralRed = 8;
+exports.detailsFocusIndicatorBorderRadiusNeutralYellow = 8;
+exports.detailsFocusIndicatorBorderRadiusNeutralInverseBlue = 8;
+exports.detailsFocusIndicatorBorderRadiusNeutralInverseGreen = 8;
+exports.detailsFocusIndicatorBorderRadiusNeutralInverseRed = 8;
+exports.detailsFocusIndicatorBorderRadiusNeutralInverseYellow = 8;
+exports.detailsFocusIndicatorBorderRadiusSubtleBlue = 8;
+exports.detailsFocusIndicatorBorderRadiusSubtleGreen = 8;
+exports.detailsFocusIndicatorBorderRadiusSubtleRed = 8;
+exports.detailsFocusIndicatorBorderRadiusSubtleYellow = 8;
+exports.detailsFocusIndicatorBorderRadiusBoldBlue = 8;
+exports.detailsFocusIndicatorBorderRadiusBoldGreen = 8;
+exports.detailsFocusIndicatorBorderRadiusBoldRed = 8;
+exports.detailsFocusIndicatorBorderRadiusBoldYellow = 8;
+exports.detailsGapNeutralBlue = 12;
+exports.detailsGapNeutralGreen = 12;
+exports.detailsGapNeutralRed = 12;
+exports.detailsGapNeutralYellow = 12;
+exports.detailsGapNeutralInverseBlue = 12;
+exports.detailsGapNeutralInverseGreen = 12;
+exports.detailsGapNeutralInverseRed = 12;
+exports.detailsGapNeutralInverseYellow = 12;
+exports.detailsGapSubtleBlue = 12;
+exports.detailsGapSubtleGreen = 12;
+exports.detailsGapSubtleRed = 12;
+exports.detailsGapSubtleYellow = 12;
+exports.detailsGapBoldBlue = 12;
+exports.detailsGapBoldGreen = 12;
+exports.detailsGapBoldRed = 12;
+exports.detailsGapBoldYellow = 12;
+exports.detailsPaddingXNeutralBlue = 12;
+exports.detailsPaddingXNeutralGreen = 12;
+exports.detailsPaddingXNeutralRed = 12;
+exports.detailsPaddingXNeutralYellow = 12;
+exports.detailsPaddingXNeutralInverseBlue = 12;
+exports.detailsPaddingXNeutralInverseGreen = 12;
+exports.detailsPaddingXNeutralInverseRed = 12;
+exports.detailsPaddingXNeutralInverseYellow = 12;
+exports.detailsPaddingXSubtleBlue = 12;
+exports.detailsPaddingXSubtleGreen = 12;
+exports.detailsPaddingXSubtleRed = 12;
+exports.detailsPaddingXSubtleYellow = 12;
+exports.detailsPaddingXBoldBlue = 12;
+exports.detailsPaddingXBoldGreen = 12;
+exports.detailsPaddingXBoldRed = 12;
+exports.detailsPaddingXBoldYellow = 12;
+exports.detailsPaddingYNeutralBlue = 12;
+exports.detailsPaddingYNeutralGreen = 12;
+exports.detailsPaddingYNeutralRed = 12;
+exports.detailsPaddingYNeutralYellow = 12;
+exports.detailsPaddingYNeutralInverseBlue = 12;
+exports.detailsPaddingYNeutralInverseGreen = 12;
+exports.detailsPaddingYNeutralInverseRed = 12;
+exports.detailsPaddingYNeutralInverseYellow = 12;
+exports.detailsPaddingYSubtleBlue = 12;
+exports.detailsPaddingYSubtleGreen = 12;
+exports.detailsPaddingYSubtleRed = 12;
+exports.detailsPaddingYSubtleYellow = 12;
+exports.detailsPaddingYBoldBlue = 12;
+exports.detailsPaddingYBoldGreen = 12;
+exports.detailsPaddingYBoldRed = 12;
+exports.detailsPaddingYBoldYellow = 12;
+exports.detailsStatusBackgroundColourNeutralInfo = "#aee1f7";
+exports.detailsStatusBackgroundColourNeutralSuccess = "#caeedd";
+exports.detailsStatusBackgroundColourNeutralWarning = "#fff9c7";
+exports.detailsStatusBackgroundColourNeutralError = "#ffc2bd";
+exports.detailsStatusBackgroundColourNeutralGeneric = "#f4f4f4";
+exports.detailsStatusBackgroundColourNeutralInverseInfo = "#aee1f7";
+exports.detailsStatusBackgroundColourNeutralInverseSuccess = "#caeedd";
+exports.detailsStatusBackgroundColourNeutralInverseWarning = "#fff9c7";
+exports.detailsStatusBackgroundColourNeutralInverseError = "#ffc2bd";
+exports.detailsStatusBackgroundColourNeutralInverseGeneric = "#ffffff";
+exports.detailsStatusBackgroundColourSubtleInfo = "#ffffff";
+exports.detailsStatusBackgroundColourSubtleSuccess = "#ffffff";
+exports.detailsStatusBackgroundColourSubtleWarning = "#ffffff";
+exports.detailsStatusBackgroundColourSubtleError = "#ffffff";
+exports.detailsStatusBackgroundColourSubtleGeneric = "#ffffff";
+exports.detailsStatusBackgroundColourBoldInfo = "#ffffff";
+exports.detailsStatusBackgroundColourBoldSuccess = "#ffffff";
+exports.detailsStatusBackgroundColourBoldWarning = "#ffffff";
+exports.detailsStatusBackgroundColourBoldError = "#ffffff";
+exports.detailsStatusBackgroundColourBoldGeneric = "#ffffff";
+exports.detailsStatusIconColourNeutralInfo = "#001d6e";
+exports.detailsStatusIconColourNeutralSuccess = "#01312e";
+exports.detailsStatusIconColourNeutralWarning = "#904029";
+exports.detailsStatusIconColourNeutralError = "#940824";
+exports.detailsStatusIconColourNeutralGeneric = "#1d1d1b";
+exports.detailsStatusIconColourNeutralInverseInfo = "#001d6e";
+exports.detailsStatusIconColourNeutralInverseSuccess = "#01312e";
+exports.detailsStatusIconColourNeutralInverseWarning = "#904029";
+exports.detailsStatusIconColourNeutralInverseError = "#940824";
+exports.detailsStatusIconColourNeutralInverseGeneric = "#1d1d1b";
+exports.detailsStatusIconColourSubtleInfo = "#001d6e";
+exports.detailsStatusIconColourSubtleSuccess = "#01312e";
+exports.detailsStatusIconColourSubtleWarning = "#904029";
+exports.detailsStatusIconColourSubtleError = "#940824";
+exports.detailsStatusIconColourSubtleGeneric = "#1d1d1b";
+exports.detailsStatusIconColourBoldInfo = "#001d6e";
+exports.detailsStatusIconColourBoldSuccess = "#01312e";
+exports.detailsStatusIconColourBoldWarning = "#904029";
+exports.detailsStatusIconColourBoldError = "#940824";
+exports.detailsStatusIconColourBoldGeneric = "#1d1d1b";
+exports.detailsStatusTextColourNeutralInfo = "#1d1d1b";
+exports.detailsStatusTextColourNeutralSuccess = "#1d1d1b";
+exports.detailsStatusTextColourNeutralWarning = "#1d1d1b";
+exports.detailsStatusTextColourNeutralError = "#1d1d1b";
+exports.detailsStatusTextColourNeutralGeneric = "#1d1d1b";
+exports.detailsStatusTextColourNeutralInverseInfo = "#1d1d1b";
+exports.detailsStatusTextColourNeutralInverseSuccess = "#1d1d1b";
+exports.detailsStatusTextColourNeutralInverseWarning = "#1d1d1b";
+exports.detailsStatusTextColourNeutralInverseError = "#1d1d1b";
+exports.detailsStatusTextColourNeutralInverseGeneric = "#1d1d1b";
+exports.detailsStatusTextColourSubtleInfo = "#1d1d1b";
+exports.detailsStatusTextColourSubtleSuccess = "#1d1d1b";
+exports.detailsStatusTextColourSubtleWarning = "#1d1d1b";
+exports.detailsStatusTextColourSubtleError = "#1d1d1b";
+exports.detailsStatusTextColourSubtleGeneric = "#1d1d1b";
+exports.detailsStatusTextColourBoldInfo = "#1d1d1b";
+exports.detailsStatusTextColourBoldSuccess = "#1d1d1b";
+exports.detailsStatusTextColourBoldWarning = "#1d1d1b";
+exports.detailsStatusTextColourBoldError = "#1d1d1b";
+exports.detailsStatusTextColourBoldGeneric = "#1d1d1b";
+exports.seperatorBorderColourNeutralBlue = "#d3d3d3";
+exports.seperatorBorderColourNeutralGreen = "#d3d3d3";
+exports.seperatorBorderColourNeutralRed = "#d3d3d3";
+exports.seperatorBorderColourNeutralYellow = "#d3d3d3";
+exports.seperatorBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.seperatorBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.seperatorBorderColourNeutralInverseRed = "#d3d3d3";
+exports.seperatorBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.seperatorBorderColourSubtleBlue = "#d3d3d3";
+exports.seperatorBorderColourSubtleGreen = "#d3d3d3";
+exports.seperatorBorderColourSubtleRed = "#d3d3d3";
+exports.seperatorBorderColourSubtleYellow = "#d3d3d3";
+exports.seperatorBorderColourBoldBlue = "#f4f4f4";
+exports.seperatorBorderColourBoldGreen = "#f4f4f4";
+exports.seperatorBorderColourBoldRed = "#f4f4f4";
+exports.seperatorBorderColourBoldYellow = "#1d1d1b";
+exports.seperatorBorderWidthNeutralBlue = 1;
+exports.seperatorBorderWidthNeutralGreen = 1;
+exports.seperatorBorderWidthNeutralRed = 1;
+exports.seperatorBorderWidthNeutralYellow = 1;
+exports.seperatorBorderWidthNeutralInverseBlue = 1;
+exports.seperatorBorderWidthNeutralInverseGreen = 1;
+exports.seperatorBorderWidthNeutralInverseRed = 1;
+exports.seperatorBorderWidthNeutralInverseYellow = 1;
+exports.seperatorBorderWidthSubtleBlue = 1;
+exports.seperatorBorderWidthSubtleGreen = 1;
+exports.seperatorBorderWidthSubtleRed = 1;
+exports.seperatorBorderWidthSubtleYellow = 1;
+exports.seperatorBorderWidthBoldBlue = 1;
+exports.seperatorBorderWidthBoldGreen = 1;
+exports.seperatorBorderWidthBoldRed = 1;
+exports.seperatorBorderWidthBoldYellow = 1;
+exports.footerBackgroundColourNeutralBlue = "#ffffff";
+exports.footerBackgroundColourNeutralGreen = "#ffffff";
+exports.footerBackgroundColourNeutralRed = "#ffffff";
+exports.footerBackgroundColourNeutralYellow = "#ffffff";
+exports.footerBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.footerBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.footerBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.footerBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.footerBackgroundColourSubtleBlue = "#aee1f7";
+exports.footerBackgroundColourSubtleGreen = "#caeedd";
+exports.footerBackgroundColourSubtleRed = "#ffd5d2";
+exports.footerBackgroundColourSubtleYellow = "#fff9c7";
+exports.footerBackgroundColourBoldBlue = "#005dba";
+exports.footerBackgroundColourBoldGreen = "#00633d";
+exports.footerBackgroundColourBoldRed = "#c50b30";
+exports.footerBackgroundColourBoldYellow = "#ffb600";
+exports.footerBorderColourNeutralBlue = "#d3d3d3";
+exports.footerBorderColourNeutralGreen = "#d3d3d3";
+exports.footerBorderColourNeutralRed = "#d3d3d3";
+exports.footerBorderColourNeutralYellow = "#d3d3d3";
+exports.footerBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.footerBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.footerBorderColourNeutralInverseRed = "#d3d3d3";
+exports.footerBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.footerBorderColourSubtleBlue = "#42aeea";
+exports.footerBorderColourSubtleGreen = "#43af6e";
+exports.footerBorderColourSubtleRed = "#ff3e51";
+exports.footerBorderColourSubtleYellow = "#ffe969";
+exports.footerBorderColourBoldBlue = "#001d6e";
+exports.footerBorderColourBoldGreen = "#01312e";
+exports.footerBorderColourBoldRed = "#940824";
+exports.footerBorderColourBoldYellow = "#c86426";
+exports.footerBorderWidthNeutralBlue = 1;
+exports.footerBorderWidthNeutralGreen = 1;
+exports.footerBorderWidthNeutralRed = 1;
+exports.footerBorderWidthNeutralYellow = 1;
+exports.footerBorderWidthNeutralInverseBlue = 1;
+exports.footerBorderWidthNeutralInverseGreen = 1;
+exports.footerBorderWidthNeutralInverseRed = 1;
+exports.footerBorderWidthNeutralInverseYellow = 1;
+exports.footerBorderWidthSubtleBlue = 1;
+exports.footerBorderWidthSubtleGreen = 1;
+exports.footerBorderWidthSubtleRed = 1;
+exports.footerBorderWidthSubtleYellow = 1;
+exports.footerBorderWidthBoldBlue = 1;
+exports.footerBorderWidthBoldGreen = 1;
+exports.footerBorderWidthBoldRed = 1;
+exports.footerBorderWidthBoldYellow = 1;
+exports.footerGapNeutralBlue = 28;
+exports.footerGapNeutralGreen = 28;
+exports.footerGapNeutralRed = 28;
+exports.footerGapNeutralYellow = 28;
+exports.footerGapNeutralInverseBlue = 28;
+exports.footerGapNeutralInverseGreen = 28;
+exports.footerGapNeutralInverseRed = 28;
+exports.footerGapNeutralInverseYellow = 28;
+exports.footerGapSubtleBlue = 28;
+exports.footerGapSubtleGreen = 28;
+exports.footerGapSubtleRed = 28;
+exports.footerGapSubtleYellow = 28;
+exports.footerGapBoldBlue = 28;
+exports.footerGapBoldGreen = 28;
+exports.footerGapBoldRed = 28;
+exports.footerGapBoldYellow = 28;
+exports.footerLogoGapNeutralBlue = 36;
+exports.footerLogoGapNeutralGreen = 36;
+exports.footerLogoGapNeutralRed = 36;
+exports.footerLogoGapNeutralYellow = 36;
+exports.footerLogoGapNeutralInverseBlue = 36;
+exports.footerLogoGapNeutralInverseGreen = 36;
+exports.footerLogoGapNeutralInverseRed = 36;
+exports.footerLogoGapNeutralInverseYellow = 36;
+exports.footerLogoGapSubtleBlue = 36;
+exports.footerLogoGapSubtleGreen = 36;
+exports.footerLogoGapSubtleRed = 36;
+exports.footerLogoGapSubtleYellow = 36;
+exports.footerLogoGapBoldBlue = 36;
+exports.footerLogoGapBoldGreen = 36;
+exports.footerLogoGapBoldRed = 36;
+exports.footerLogoGapBoldYellow = 36;
+exports.footerLogoSizeNeutralBlue = 80;
+exports.footerLogoSizeNeutralGreen = 80;
+exports.footerLogoSizeNeutralRed = 80;
+exports.footerLogoSizeNeutralYellow = 80;
+exports.footerLogoSizeNeutralInverseBlue = 80;
+exports.footerLogoSizeNeutralInverseGreen = 80;
+exports.footerLogoSizeNeutralInverseRed = 80;
+exports.footerLogoSizeNeutralInverseYellow = 80;
+exports.footerLogoSizeSubtleBlue = 80;
+exports.footerLogoSizeSubtleGreen = 80;
+exports.footerLogoSizeSubtleRed = 80;
+exports.footerLogoSizeSubtleYellow = 80;
+exports.footerLogoSizeBoldBlue = 80;
+exports.footerLogoSizeBoldGreen = 80;
+exports.footerLogoSizeBoldRed = 80;
+exports.footerLogoSizeBoldYellow = 80;
+exports.footerMinWidthNeutralBlue = 320;
+exports.footerMinWidthNeutralGreen = 320;
+exports.footerMinWidthNeutralRed = 320;
+exports.footerMinWidthNeutralYellow = 320;
+exports.footerMinWidthNeutralInverseBlue = 320;
+exports.footerMinWidthNeutralInverseGreen = 320;
+exports.footerMinWidthNeutralInverseRed = 320;
+exports.footerMinWidthNeutralInverseYellow = 320;
+exports.footerMinWidthSubtleBlue = 320;
+exports.footerMinWidthSubtleGreen = 320;
+exports.footerMinWidthSubtleRed = 320;
+exports.footerMinWidthSubtleYellow = 320;
+exports.footerMinWidthBoldBlue = 320;
+exports.footerMinWidthBoldGreen = 320;
+exports.footerMinWidthBoldRed = 320;
+exports.footerMinWidthBoldYellow = 320;
+exports.footerPaddingXNeutralBlue = 16;
+exports.footerPaddingXNeutralGreen = 16;
+exports.footerPaddingXNeutralRed = 16;
+exports.footerPaddingXNeutralYellow = 16;
+exports.footerPaddingXNeutralInverseBlue = 16;
+exports.footerPaddingXNeutralInverseGreen = 16;
+exports.footerPaddingXNeutralInverseRed = 16;
+exports.footerPaddingXNeutralInverseYellow = 16;
+exports.footerPaddingXSubtleBlue = 16;
+exports.footerPaddingXSubtleGreen = 16;
+exports.footerPaddingXSubtleRed = 16;
+exports.footerPaddingXSubtleYellow = 16;
+exports.footerPaddingXBoldBlue = 16;
+exports.footerPaddingXBoldGreen = 16;
+exports.footerPaddingXBoldRed = 16;
+exports.footerPaddingXBoldYellow = 16;
+exports.footerPaddingYNeutralBlue = 28;
+exports.footerPaddingYNeutralGreen = 28;
+exports.footerPaddingYNeutralRed = 28;
+exports.footerPaddingYNeutralYellow = 28;
+exports.footerPaddingYNeutralInverseBlue = 28;
+exports.footerPaddingYNeutralInverseGreen = 28;
+exports.footerPaddingYNeutralInverseRed = 28;
+exports.footerPaddingYNeutralInverseYellow = 28;
+exports.footerPaddingYSubtleBlue = 28;
+exports.footerPaddingYSubtleGreen = 28;
+exports.footerPaddingYSubtleRed = 28;
+exports.footerPaddingYSubtleYellow = 28;
+exports.footerPaddingYBoldBlue = 28;
+exports.footerPaddingYBoldGreen = 28;
+exports.footerPaddingYBoldRed = 28;
+exports.footerPaddingYBoldYellow = 28;
+exports.footerLinkGroupSocialGapNeutralBlue = 12;
+exports.footerLinkGroupSocialGapNeutralGreen = 12;
+exports.footerLinkGroupSocialGapNeutralRed = 12;
+exports.footerLinkGroupSocialGapNeutralYellow = 12;
+exports.footerLinkGroupSocialGapNeutralInverseBlue = 12;
+exports.footerLinkGroupSocialGapNeutralInverseGreen = 12;
+exports.footerLinkGroupSocialGapNeutralInverseRed = 12;
+exports.footerLinkGroupSocialGapNeutralInverseYellow = 12;
+exports.footerLinkGroupSocialGapSubtleBlue = 12;
+exports.footerLinkGroupSocialGapSubtleGreen = 12;
+exports.footerLinkGroupSocialGapSubtleRed = 12;
+exports.footerLinkGroupSocialGapSubtleYellow = 12;
+exports.footerLinkGroupSocialGapBoldBlue = 12;
+exports.footerLinkGroupSocialGapBoldGreen = 12;
+exports.footerLinkGroupSocialGapBoldRed = 12;
+exports.footerLinkGroupSocialGapBoldYellow = 12;
+exports.footerLinkGroupLinkGapNeutralBlue = 16;
+exports.footerLinkGroupLinkGapNeutralGreen = 16;
+exports.footerLinkGroupLinkGapNeutralRed = 16;
+exports.footerLinkGroupLinkGapNeutralYellow = 16;
+exports.footerLinkGroupLinkGapNeutralInverseBlue = 16;
+exports.footerLinkGroupLinkGapNeutralInverseGreen = 16;
+exports.footerLinkGroupLinkGapNeutralInverseRed = 16;
+exports.footerLinkGroupLinkGapNeutralInverseYellow = 16;
+exports.footerLinkGroupLinkGapSubtleBlue = 16;
+exports.footerLinkGroupLinkGapSubtleGreen = 16;
+exports.footerLinkGroupLinkGapSubtleRed = 16;
+exports.footerLinkGroupLinkGapSubtleYellow = 16;
+exports.footerLinkGroupLinkGapBoldBlue = 16;
+exports.footerLinkGroupLinkGapBoldGreen = 16;
+exports.footerLinkGroupLinkGapBoldRed = 16;
+exports.footerLinkGroupLinkGapBoldYellow = 16;
+exports.linkGapNeutralBlue = 8;
+exports.linkGapNeutralGreen = 8;
+exports.linkGapNeutralRed = 8;
+exports.linkGapNeutralYellow = 8;
+exports.linkGapNeutralInverseBlue = 8;
+exports.linkGapNeutralInverseGreen = 8;
+exports.linkGapNeutralInverseRed = 8;
+exports.linkGapNeutralInverseYellow = 8;
+exports.linkGapSubtleBlue = 8;
+exports.linkGapSubtleGreen = 8;
+exports.linkGapSubtleRed = 8;
+exports.linkGapSubtleYellow = 8;
+exports.linkGapBoldBlue = 8;
+exports.linkGapBoldGreen = 8;
+exports.linkGapBoldRed = 8;
+exports.linkGapBoldYellow = 8;
+exports.linkPrimaryRestColourNeutralBlue = "#005dba";
+exports.linkPrimaryRestColourNeutralGreen = "#00633d";
+exports.linkPrimaryRestColourNeutralRed = "#c50b30";
+exports.linkPrimaryRestColourNeutralYellow = "#1d1d1b";
+exports.linkPrimaryRestColourNeutralInverseBlue = "#005dba";
+exports.linkPrimaryRestColourNeutralInverseGreen = "#00633d";
+exports.linkPrimaryRestColourNeutralInverseRed = "#c50b30";
+exports.linkPrimaryRestColourNeutralInverseYellow = "#1d1d1b";
+exports.linkPrimaryRestColourSubtleBlue = "#005dba";
+exports.linkPrimaryRestColourSubtleGreen = "#00633d";
+exports.linkPrimaryRestColourSubtleRed = "#c50b30";
+exports.linkPrimaryRestColourSubtleYellow = "#1d1d1b";
+exports.linkPrimaryRestColourBoldBlue = "#f4f4f4";
+exports.linkPrimaryRestColourBoldGreen = "#f4f4f4";
+exports.linkPrimaryRestColourBoldRed = "#f4f4f4";
+exports.linkPrimaryRestColourBoldYellow = "#1d1d1b";
+exports.linkPrimaryHoverColourNeutralBlue = "#001d6e";
+exports.linkPrimaryHoverColourNeutralGreen = "#01312e";
+exports.linkPrimaryHoverColourNeutralRed = "#940824";
+exports.linkPrimaryHoverColourNeutralYellow = "#1d1d1b";
+exports.linkPrimaryHoverColourNeutralInverseBlue = "#001d6e";
+exports.linkPrimaryHoverColourNeutralInverseGreen = "#01312e";
+exports.linkPrimaryHoverColourNeutralInverseRed = "#940824";
+exports.linkPrimaryHoverColourNeutralInverseYellow = "#1d1d1b";
+exports.linkPrimaryHoverColourSubtleBlue = "#001d6e";
+exports.linkPrimaryHoverColourSubtleGreen = "#01312e";
+exports.linkPrimaryHoverColourSubtleRed = "#940824";
+exports.linkPrimaryHoverColourSubtleYellow = "#1d1d1b";
+exports.linkPrimaryHoverColourBoldBlue = "#f4f4f4";
+exports.linkPrimaryHoverColourBoldGreen = "#f4f4f4";
+exports.linkPrimaryHoverColourBoldRed = "#f4f4f4";
+exports.linkPrimaryHoverColourBoldYellow = "#1d1d1b";
+exports.linkPrimaryActiveColourNeutralBlue = "#000a52";
+exports.linkPrimaryActiveColourNeutralGreen = "#012425";
+exports.linkPrimaryActiveColourNeutralRed = "#6e061b";
+exports.linkPrimaryActiveColourNeutralYellow = "#1d1d1b";
+exports.linkPrimaryActiveColourNeutralInverseBlue = "#000a52";
+exports.linkPrimaryActiveColourNeutralInverseGreen = "#012425";
+exports.linkPrimaryActiveColourNeutralInverseRed = "#6e061b";
+exports.linkPrimaryActiveColourNeutralInverseYellow = "#1d1d1b";
+exports.linkPrimaryActiveColourSubtleBlue = "#000a52";
+exports.linkPrimaryActiveColourSubtleGreen = "#012425";
+exports.linkPrimaryActiveColourSubtleRed = "#6e061b";
+exports.linkPrimaryActiveColourSubtleYellow = "#1d1d1b";
+exports.linkPrimaryActiveColourBoldBlue = "#f4f4f4";
+exports.linkPrimaryActiveColourBoldGreen = "#f4f4f4";
+exports.linkPrimaryActiveColourBoldRed = "#f4f4f4";
+exports.linkPrimaryActiveColourBoldYellow = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralBlue = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralGreen = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralRed = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralYellow = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralInverseBlue = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralInverseGreen = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralInverseRed = "#1d1d1b";
+exports.linkPrimaryVisitedColourNeutralInverseYellow = "#1d1d1b";
+exports.linkPrimaryVisitedColourSubtleBlue = "#1d1d1b";
+exports.linkPrimaryVisitedColourSubtleGreen = "#1d1d1b";
+exports.linkPrimaryVisitedColourSubtleRed = "#1d1d1b";
+exports.linkPrimaryVisitedColourSubtleYellow = "#1d1d1b";
+exports.linkPrimaryVisitedColourBoldBlue = "#ffffff";
+exports.linkPrimaryVisitedColourBoldGreen = "#ffffff";
+exports.linkPrimaryVisitedColourBoldRed = "#ffffff";
+exports.linkPrimaryVisitedColourBoldYellow = "#1d1d1b";
+exports.linkPrimaryFocusColourNeutralBlue = "#005dba";
+exports.linkPrimaryFocusColourNeutralGreen = "#00633d";
+exports.linkPrimaryFocusColourNeutralRed = "#c50b30";
+exports.linkPrimaryFocusColourNeutralYellow = "#1d1d1b";
+exports.linkPrimaryFocusColourNeutralInverseBlue = "#005dba";
+exports.linkPrimaryFocusColourNeutralInverseGreen = "#00633d";
+exports.linkPrimaryFocusColourNeutralInverseRed = "#c50b30";
+exports.linkPrimaryFocusColourNeutralInverseYellow = "#1d1d1b";
+exports.linkPrimaryFocusColourSubtleBlue = "#005dba";
+exports.linkPrimaryFocusColourSubtleGreen = "#00633d";
+exports.linkPrimaryFocusColourSubtleRed = "#c50b30";
+exports.linkPrimaryFocusColourSubtleYellow = "#1d1d1b";
+exports.linkPrimaryFocusColourBoldBlue = "#f4f4f4";
+exports.linkPrimaryFocusColourBoldGreen = "#f4f4f4";
+exports.linkPrimaryFocusColourBoldRed = "#f4f4f4";
+exports.linkPrimaryFocusColourBoldYellow = "#1d1d1b";
+exports.linkPrimaryFocusBorderRadiusNeutralBlue = 4;
+exports.linkPrimaryFocusBorderRadiusNeutralGreen = 4;
+exports.linkPrimaryFocusBorderRadiusNeutralRed = 4;
+exports.linkPrimaryFocusBorderRadiusNeutralYellow = 4;
+exports.linkPrimaryFocusBorderRadiusNeutralInverseBlue = 4;
+exports.linkPrimaryFocusBorderRadiusNeutralInverseGreen = 4;
+exports.linkPrimaryFocusBorderRadiusNeutralInverseRed = 4;
+exports.linkPrimaryFocusBorderRadiusNeutralInverseYellow = 4;
+exports.linkPrimaryFocusBorderRadiusSubtleBlue = 4;
+exports.linkPrimaryFocusBorderRadiusSubtleGreen = 4;
+exports.linkPrimaryFocusBorderRadiusSubtleRed = 4;
+exports.linkPrimaryFocusBorderRadiusSubtleYellow = 4;
+exports.linkPrimaryFocusBorderRadiusBoldBlue = 4;
+exports.linkPrimaryFocusBorderRadiusBoldGreen = 4;
+exports.linkPrimaryFocusBorderRadiusBoldRed = 4;
+exports.linkPrimaryFocusBorderRadiusBoldYellow = 4;
+exports.linkPrimaryFocusBorderWidthNeutralBlue = 1;
+exports.linkPrimaryFocusBorderWidthNeutralGreen = 1;
+exports.linkPrimaryFocusBorderWidthNeutralRed = 1;
+exports.linkPrimaryFocusBorderWidthNeutralYellow = 1;
+exports.linkPrimaryFocusBorderWidthNeutralInverseBlue = 1;
+exports.linkPrimaryFocusBorderWidthNeutralInverseGreen = 1;
+exports.linkPrimaryFocusBorderWidthNeutralInverseRed = 1;
+exports.linkPrimaryFocusBorderWidthNeutralInverseYellow = 1;
+exports.linkPrimaryFocusBorderWidthSubtleBlue = 1;
+exports.linkPrimaryFocusBorderWidthSubtleGreen = 1;
+exports.linkPrimaryFocusBorderWidthSubtleRed = 1;
+exports.linkPrimaryFocusBorderWidthSubtleYellow = 1;
+exports.linkPrimaryFocusBorderWidthBoldBlue = 1;
+exports.linkPrimaryFocusBorderWidthBoldGreen = 1;
+exports.linkPrimaryFocusBorderWidthBoldRed = 1;
+exports.linkPrimaryFocusBorderWidthBoldYellow = 1;
+exports.linkMonoRestColourNeutralBlue = "#000000";
+exports.linkMonoRestColourNeutralGreen = "#000000";
+exports.linkMonoRestColourNeutralRed = "#000000";
+exports.linkMonoRestColourNeutralYellow = "#000000";
+exports.linkMonoRestColourNeutralInverseBlue = "#000000";
+exports.linkMonoRestColourNeutralInverseGreen = "#000000";
+exports.linkMonoRestColourNeutralInverseRed = "#000000";
+exports.linkMonoRestColourNeutralInverseYellow = "#000000";
+exports.linkMonoRestColourSubtleBlue = "#000000";
+exports.linkMonoRestColourSubtleGreen = "#000000";
+exports.linkMonoRestColourSubtleRed = "#000000";
+exports.linkMonoRestColourSubtleYellow = "#000000";
+exports.linkMonoRestColourBoldBlue = "#f4f4f4";
+exports.linkMonoRestColourBoldGreen = "#f4f4f4";
+exports.linkMonoRestColourBoldRed = "#f4f4f4";
+exports.linkMonoRestColourBoldYellow = "#1d1d1b";
+exports.linkMonoHoverColourNeutralBlue = "#000000";
+exports.linkMonoHoverColourNeutralGreen = "#000000";
+exports.linkMonoHoverColourNeutralRed = "#000000";
+exports.linkMonoHoverColourNeutralYellow = "#000000";
+exports.linkMonoHoverColourNeutralInverseBlue = "#000000";
+exports.linkMonoHoverColourNeutralInverseGreen = "#000000";
+exports.linkMonoHoverColourNeutralInverseRed = "#000000";
+exports.linkMonoHoverColourNeutralInverseYellow = "#000000";
+exports.linkMonoHoverColourSubtleBlue = "#000000";
+exports.linkMonoHoverColourSubtleGreen = "#000000";
+exports.linkMonoHoverColourSubtleRed = "#000000";
+exports.linkMonoHoverColourSubtleYellow = "#000000";
+exports.linkMonoHoverColourBoldBlue = "#f4f4f4";
+exports.linkMonoHoverColourBoldGreen = "#f4f4f4";
+exports.linkMonoHoverColourBoldRed = "#f4f4f4";
+exports.linkMonoHoverColourBoldYellow = "#1d1d1b";
+exports.linkMonoActiveColourNeutralBlue = "#000000";
+exports.linkMonoActiveColourNeutralGreen = "#000000";
+exports.linkMonoActiveColourNeutralRed = "#000000";
+exports.linkMonoActiveColourNeutralYellow = "#000000";
+exports.linkMonoActiveColourNeutralInverseBlue = "#000000";
+exports.linkMonoActiveColourNeutralInverseGreen = "#000000";
+exports.linkMonoActiveColourNeutralInverseRed = "#000000";
+exports.linkMonoActiveColourNeutralInverseYellow = "#000000";
+exports.linkMonoActiveColourSubtleBlue = "#000000";
+exports.linkMonoActiveColourSubtleGreen = "#000000";
+exports.linkMonoActiveColourSubtleRed = "#000000";
+exports.linkMonoActiveColourSubtleYellow = "#000000";
+exports.linkMonoActiveColourBoldBlue = "#f4f4f4";
+exports.linkMonoActiveColourBoldGreen = "#f4f4f4";
+exports.linkMonoActiveColourBoldRed = "#f4f4f4";
+exports.linkMonoActiveColourBoldYellow = "#1d1d1b";
+exports.linkMonoFocusColourNeutralBlue = "#000000";
+exports.linkMonoFocusColourNeutralGreen = "#000000";
+exports.linkMonoFocusColourNeutralRed = "#000000";
+exports.linkMonoFocusColourNeutralYellow = "#000000";
+exports.linkMonoFocusColourNeutralInverseBlue = "#000000";
+exports.linkMonoFocusColourNeutralInverseGreen = "#000000";
+exports.linkMonoFocusColourNeutralInverseRed = "#000000";
+exports.linkMonoFocusColourNeutralInverseYellow = "#000000";
+exports.linkMonoFocusColourSubtleBlue = "#000000";
+exports.linkMonoFocusColourSubtleGreen = "#000000";
+exports.linkMonoFocusColourSubtleRed = "#000000";
+exports.linkMonoFocusColourSubtleYellow = "#000000";
+exports.linkMonoFocusColourBoldBlue = "#f4f4f4";
+exports.linkMonoFocusColourBoldGreen = "#f4f4f4";
+exports.linkMonoFocusColourBoldRed = "#f4f4f4";
+exports.linkMonoFocusColourBoldYellow = "#1d1d1b";
+exports.linkMonoFocusBorderRadiusNeutralBlue = 4;
+exports.linkMonoFocusBorderRadiusNeutralGreen = 4;
+exports.linkMonoFocusBorderRadiusNeutralRed = 4;
+exports.linkMonoFocusBorderRadiusNeutralYellow = 4;
+exports.linkMonoFocusBorderRadiusNeutralInverseBlue = 4;
+exports.linkMonoFocusBorderRadiusNeutralInverseGreen = 4;
+exports.linkMonoFocusBorderRadiusNeutralInverseRed = 4;
+exports.linkMonoFocusBorderRadiusNeutralInverseYellow = 4;
+exports.linkMonoFocusBorderRadiusSubtleBlue = 4;
+exports.linkMonoFocusBorderRadiusSubtleGreen = 4;
+exports.linkMonoFocusBorderRadiusSubtleRed = 4;
+exports.linkMonoFocusBorderRadiusSubtleYellow = 4;
+exports.linkMonoFocusBorderRadiusBoldBlue = 4;
+exports.linkMonoFocusBorderRadiusBoldGreen = 4;
+exports.linkMonoFocusBorderRadiusBoldRed = 4;
+exports.linkMonoFocusBorderRadiusBoldYellow = 4;
+exports.linkMonoFocusBorderWidthNeutralBlue = 1;
+exports.linkMonoFocusBorderWidthNeutralGreen = 1;
+exports.linkMonoFocusBorderWidthNeutralRed = 1;
+exports.linkMonoFocusBorderWidthNeutralYellow = 1;
+exports.linkMonoFocusBorderWidthNeutralInverseBlue = 1;
+exports.linkMonoFocusBorderWidthNeutralInverseGreen = 1;
+exports.linkMonoFocusBorderWidthNeutralInverseRed = 1;
+exports.linkMonoFocusBorderWidthNeutralInverseYellow = 1;
+exports.linkMonoFocusBorderWidthSubtleBlue = 1;
+exports.linkMonoFocusBorderWidthSubtleGreen = 1;
+exports.linkMonoFocusBorderWidthSubtleRed = 1;
+exports.linkMonoFocusBorderWidthSubtleYellow = 1;
+exports.linkMonoFocusBorderWidthBoldBlue = 1;
+exports.linkMonoFocusBorderWidthBoldGreen = 1;
+exports.linkMonoFocusBorderWidthBoldRed = 1;
+exports.linkMonoFocusBorderWidthBoldYellow = 1;
+exports.linkMonoVisitedColourNeutralBlue = "#000000";
+exports.linkMonoVisitedColourNeutralGreen = "#000000";
+exports.linkMonoVisitedColourNeutralRed = "#000000";
+exports.linkMonoVisitedColourNeutralYellow = "#000000";
+exports.linkMonoVisitedColourNeutralInverseBlue = "#000000";
+exports.linkMonoVisitedColourNeutralInverseGreen = "#000000";
+exports.linkMonoVisitedColourNeutralInverseRed = "#000000";
+exports.linkMonoVisitedColourNeutralInverseYellow = "#000000";
+exports.linkMonoVisitedColourSubtleBlue = "#000000";
+exports.linkMonoVisitedColourSubtleGreen = "#000000";
+exports.linkMonoVisitedColourSubtleRed = "#000000";
+exports.linkMonoVisitedColourSubtleYellow = "#000000";
+exports.linkMonoVisitedColourBoldBlue = "#f4f4f4";
+exports.linkMonoVisitedColourBoldGreen = "#f4f4f4";
+exports.linkMonoVisitedColourBoldRed = "#f4f4f4";
+exports.linkMonoVisitedColourBoldYellow = "#1d1d1b";
+exports.linkStatusSubtleRestColourNeutralInfo = "#000039";
+exports.linkStatusSubtleRestColourNeutralSuccess = "#011b1f";
+exports.linkStatusSubtleRestColourNeutralWarning = "#000000";
+exports.linkStatusSubtleRestColourNeutralError = "#000000";
+exports.linkStatusSubtleRestColourNeutralGeneric = "#000000";
+exports.linkStatusSubtleRestColourNeutralInverseInfo = "#000039";
+exports.linkStatusSubtleRestColourNeutralInverseSuccess = "#011b1f";
+exports.linkStatusSubtleRestColourNeutralInverseWarning = "#000000";
+exports.linkStatusSubtleRestColourNeutralInverseError = "#000000";
+exports.linkStatusSubtleRestColourNeutralInverseGeneric = "#000000";
+exports.linkStatusSubtleRestColourSubtleInfo = "#000039";
+exports.linkStatusSubtleRestColourSubtleSuccess = "#011b1f";
+exports.linkStatusSubtleRestColourSubtleWarning = "#000000";
+exports.linkStatusSubtleRestColourSubtleError = "#000000";
+exports.linkStatusSubtleRestColourSubtleGeneric = "#000000";
+exports.linkStatusSubtleRestColourBoldInfo = "#000039";
+exports.linkStatusSubtleRestColourBoldSuccess = "#011b1f";
+exports.linkStatusSubtleRestColourBoldWarning = "#000000";
+exports.linkStatusSubtleRestColourBoldError = "#000000";
+exports.linkStatusSubtleRestColourBoldGeneric = "#000000";
+exports.linkStatusSubtleHoverColourNeutralInfo = "#000039";
+exports.linkStatusSubtleHoverColourNeutralSuccess = "#011b1f";
+exports.linkStatusSubtleHoverColourNeutralWarning = "#000000";
+exports.linkStatusSubtleHoverColourNeutralError = "#000000";
+exports.linkStatusSubtleHoverColourNeutralGeneric = "#000000";
+exports.linkStatusSubtleHoverColourNeutralInverseInfo = "#000039";
+exports.linkStatusSubtleHoverColourNeutralInverseSuccess = "#011b1f";
+exports.linkStatusSubtleHoverColourNeutralInverseWarning = "#000000";
+exports.linkStatusSubtleHoverColourNeutralInverseError = "#000000";
+exports.linkStatusSubtleHoverColourNeutralInverseGeneric = "#000000";
+exports.linkStatusSubtleHoverColourSubtleInfo = "#000039";
+exports.linkStatusSubtleHoverColourSubtleSuccess = "#011b1f";
+exports.linkStatusSubtleHoverColourSubtleWarning = "#000000";
+exports.linkStatusSubtleHoverColourSubtleError = "#000000";
+exports.linkStatusSubtleHoverColourSubtleGeneric = "#000000";
+exports.linkStatusSubtleHoverColourBoldInfo = "#000039";
+exports.linkStatusSubtleHoverColourBoldSuccess = "#011b1f";
+exports.linkStatusSubtleHoverColourBoldWarning = "#000000";
+exports.linkStatusSubtleHoverColourBoldError = "#000000";
+exports.linkStatusSubtleHoverColourBoldGeneric = "#000000";
+exports.linkStatusSubtleActiveColourNeutralInfo = "#000039";
+exports.linkStatusSubtleActiveColourNeutralSuccess = "#011b1f";
+exports.linkStatusSubtleActiveColourNeutralWarning = "#000000";
+exports.linkStatusSubtleActiveColourNeutralError = "#000000";
+exports.linkStatusSubtleActiveColourNeutralGeneric = "#000000";
+exports.linkStatusSubtleActiveColourNeutralInverseInfo = "#000039";
+exports.linkStatusSubtleActiveColourNeutralInverseSuccess = "#011b1f";
+exports.linkStatusSubtleActiveColourNeutralInverseWarning = "#000000";
+exports.linkStatusSubtleActiveColourNeutralInverseError = "#000000";
+exports.linkStatusSubtleActiveColourNeutralInverseGeneric = "#000000";
+exports.linkStatusSubtleActiveColourSubtleInfo = "#000039";
+exports.linkStatusSubtleActiveColourSubtleSuccess = "#011b1f";
+exports.linkStatusSubtleActiveColourSubtleWarning = "#000000";
+exports.linkStatusSubtleActiveColourSubtleError = "#000000";
+exports.linkStatusSubtleActiveColourSubtleGeneric = "#000000";
+exports.linkStatusSubtleActiveColourBoldInfo = "#000039";
+exports.linkStatusSubtleActiveColourBoldSuccess = "#011b1f";
+exports.linkStatusSubtleActiveColourBoldWarning = "#000000";
+exports.linkStatusSubtleActiveColourBoldError = "#000000";
+exports.linkStatusSubtleActiveColourBoldGeneric = "#000000";
+exports.linkStatusSubtleVisitedColourNeutralInfo = "#000039";
+exports.linkStatusSubtleVisitedColourNeutralSuccess = "#011b1f";
+exports.linkStatusSubtleVisitedColourNeutralWarning = "#000000";
+exports.linkStatusSubtleVisitedColourNeutralError = "#000000";
+exports.linkStatusSubtleVisitedColourNeutralGeneric = "#000000";
+exports.linkStatusSubtleVisitedColourNeutralInverseInfo = "#000039";
+exports.linkStatusSubtleVisitedColourNeutralInverseSuccess = "#011b1f";
+exports.linkStatusSubtleVisitedColourNeutralInverseWarning = "#000000";
+exports.linkStatusSubtleVisitedColourNeutralInverseError = "#000000";
+exports.linkStatusSubtleVisitedColourNeutralInverseGeneric = "#000000";
+exports.linkStatusSubtleVisitedColourSubtleInfo = "#000039";
+exports.linkStatusSubtleVisitedColourSubtleSuccess = "#011b1f";
+exports.linkStatusSubtleVisitedColourSubtleWarning = "#000000";
+exports.linkStatusSubtleVisitedColourSubtleError = "#000000";
+exports.linkStatusSubtleVisitedColourSubtleGeneric = "#000000";
+exports.linkStatusSubtleVisitedColourBoldInfo = "#000039";
+exports.linkStatusSubtleVisitedColourBoldSuccess = "#011b1f";
+exports.linkStatusSubtleVisitedColourBoldWarning = "#000000";
+exports.linkStatusSubtleVisitedColourBoldError = "#000000";
+exports.linkStatusSubtleVisitedColourBoldGeneric = "#000000";
+exports.linkStatusSubtleFocusColourNeutralInfo = "#000039";
+exports.linkStatusSubtleFocusColourNeutralSuccess = "#011b1f";
+exports.linkStatusSubtleFocusColourNeutralWarning = "#000000";
+exports.linkStatusSubtleFocusColourNeutralError = "#000000";
+exports.linkStatusSubtleFocusColourNeutralGeneric = "#000000";
+exports.linkStatusSubtleFocusColourNeutralInverseInfo = "#000039";
+exports.linkStatusSubtleFocusColourNeutralInverseSuccess = "#011b1f";
+exports.linkStatusSubtleFocusColourNeutralInverseWarning = "#000000";
+exports.linkStatusSubtleFocusColourNeutralInverseError = "#000000";
+exports.linkStatusSubtleFocusColourNeutralInverseGeneric = "#000000";
+exports.linkStatusSubtleFocusColourSubtleInfo = "#000039";
+exports.linkStatusSubtleFocusColourSubtleSuccess = "#011b1f";
+exports.linkStatusSubtleFocusColourSubtleWarning = "#000000";
+exports.linkStatusSubtleFocusColourSubtleError = "#000000";
+exports.linkStatusSubtleFocusColourSubtleGeneric = "#000000";
+exports.linkStatusSubtleFocusColourBoldInfo = "#000039";
+exports.linkStatusSubtleFocusColourBoldSuccess = "#011b1f";
+exports.linkStatusSubtleFocusColourBoldWarning = "#000000";
+exports.linkStatusSubtleFocusColourBoldError = "#000000";
+exports.linkStatusSubtleFocusColourBoldGeneric = "#000000";
+exports.linkStatusSubtleFocusBorderRadiusNeutralInfo = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralSuccess = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralWarning = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralError = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralGeneric = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralInverseInfo = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralInverseSuccess = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralInverseWarning = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralInverseError = 4;
+exports.linkStatusSubtleFocusBorderRadiusNeutralInverseGeneric = 4;
+exports.linkStatusSubtleFocusBorderRadiusSubtleInfo = 4;
+exports.linkStatusSubtleFocusBorderRadiusSubtleSuccess = 4;
+exports.linkStatusSubtleFocusBorderRadiusSubtleWarning = 4;
+exports.linkStatusSubtleFocusBorderRadiusSubtleError = 4;
+exports.linkStatusSubtleFocusBorderRadiusSubtleGeneric = 4;
+exports.linkStatusSubtleFocusBorderRadiusBoldInfo = 4;
+exports.linkStatusSubtleFocusBorderRadiusBoldSuccess = 4;
+exports.linkStatusSubtleFocusBorderRadiusBoldWarning = 4;
+exports.linkStatusSubtleFocusBorderRadiusBoldError = 4;
+exports.linkStatusSubtleFocusBorderRadiusBoldGeneric = 4;
+exports.linkStatusSubtleFocusBorderWidthNeutralInfo = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralSuccess = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralWarning = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralError = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralGeneric = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralInverseInfo = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralInverseSuccess = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralInverseWarning = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralInverseError = 1;
+exports.linkStatusSubtleFocusBorderWidthNeutralInverseGeneric = 1;
+exports.linkStatusSubtleFocusBorderWidthSubtleInfo = 1;
+exports.linkStatusSubtleFocusBorderWidthSubtleSuccess = 1;
+exports.linkStatusSubtleFocusBorderWidthSubtleWarning = 1;
+exports.linkStatusSubtleFocusBorderWidthSubtleError = 1;
+exports.linkStatusSubtleFocusBorderWidthSubtleGeneric = 1;
+exports.linkStatusSubtleFocusBorderWidthBoldInfo = 1;
+exports.linkStatusSubtleFocusBorderWidthBoldSuccess = 1;
+exports.linkStatusSubtleFocusBorderWidthBoldWarning = 1;
+exports.linkStatusSubtleFocusBorderWidthBoldError = 1;
+exports.linkStatusSubtleFocusBorderWidthBoldGeneric = 1;
+exports.linkStatusBoldRestColourNeutralInfo = "#f4f4f4";
+exports.linkStatusBoldRestColourNeutralSuccess = "#f4f4f4";
+exports.linkStatusBoldRestColourNeutralWarning = "#1d1d1b";
+exports.linkStatusBoldRestColourNeutralError = "#f4f4f4";
+exports.linkStatusBoldRestColourNeutralGeneric = "#f4f4f4";
+exports.linkStatusBoldRestColourNeutralInverseInfo = "#f4f4f4";
+exports.linkStatusBoldRestColourNeutralInverseSuccess = "#f4f4f4";
+exports.linkStatusBoldRestColourNeutralInverseWarning = "#1d1d1b";
+exports.linkStatusBoldRestColourNeutralInverseError = "#f4f4f4";
+exports.linkStatusBoldRestColourNeutralInverseGeneric = "#f4f4f4";
+exports.linkStatusBoldRestColourSubtleInfo = "#f4f4f4";
+exports.linkStatusBoldRestColourSubtleSuccess = "#f4f4f4";
+exports.linkStatusBoldRestColourSubtleWarning = "#1d1d1b";
+exports.linkStatusBoldRestColourSubtleError = "#f4f4f4";
+exports.linkStatusBoldRestColourSubtleGeneric = "#f4f4f4";
+exports.linkStatusBoldRestColourBoldInfo = "#f4f4f4";
+exports.linkStatusBoldRestColourBoldSuccess = "#f4f4f4";
+exports.linkStatusBoldRestColourBoldWarning = "#1d1d1b";
+exports.linkStatusBoldRestColourBoldError = "#f4f4f4";
+exports.linkStatusBoldRestColourBoldGeneric = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralInfo = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralSuccess = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralWarning = "#1d1d1b";
+exports.linkStatusBoldHoverColourNeutralError = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralGeneric = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralInverseInfo = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralInverseSuccess = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralInverseWarning = "#1d1d1b";
+exports.linkStatusBoldHoverColourNeutralInverseError = "#f4f4f4";
+exports.linkStatusBoldHoverColourNeutralInverseGeneric = "#f4f4f4";
+exports.linkStatusBoldHoverColourSubtleInfo = "#f4f4f4";
+exports.linkStatusBoldHoverColourSubtleSuccess = "#f4f4f4";
+exports.linkStatusBoldHoverColourSubtleWarning = "#1d1d1b";
+exports.linkStatusBoldHoverColourSubtleError = "#f4f4f4";
+exports.linkStatusBoldHoverColourSubtleGeneric = "#f4f4f4";
+exports.linkStatusBoldHoverColourBoldInfo = "#f4f4f4";
+exports.linkStatusBoldHoverColourBoldSuccess = "#f4f4f4";
+exports.linkStatusBoldHoverColourBoldWarning = "#1d1d1b";
+exports.linkStatusBoldHoverColourBoldError = "#f4f4f4";
+exports.linkStatusBoldHoverColourBoldGeneric = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralInfo = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralSuccess = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralWarning = "#1d1d1b";
+exports.linkStatusBoldActiveColourNeutralError = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralGeneric = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralInverseInfo = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralInverseSuccess = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralInverseWarning = "#1d1d1b";
+exports.linkStatusBoldActiveColourNeutralInverseError = "#f4f4f4";
+exports.linkStatusBoldActiveColourNeutralInverseGeneric = "#f4f4f4";
+exports.linkStatusBoldActiveColourSubtleInfo = "#f4f4f4";
+exports.linkStatusBoldActiveColourSubtleSuccess = "#f4f4f4";
+exports.linkStatusBoldActiveColourSubtleWarning = "#1d1d1b";
+exports.linkStatusBoldActiveColourSubtleError = "#f4f4f4";
+exports.linkStatusBoldActiveColourSubtleGeneric = "#f4f4f4";
+exports.linkStatusBoldActiveColourBoldInfo = "#f4f4f4";
+exports.linkStatusBoldActiveColourBoldSuccess = "#f4f4f4";
+exports.linkStatusBoldActiveColourBoldWarning = "#1d1d1b";
+exports.linkStatusBoldActiveColourBoldError = "#f4f4f4";
+exports.linkStatusBoldActiveColourBoldGeneric = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralInfo = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralSuccess = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralWarning = "#1d1d1b";
+exports.linkStatusBoldVisitedColourNeutralError = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralGeneric = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralInverseInfo = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralInverseSuccess = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralInverseWarning = "#1d1d1b";
+exports.linkStatusBoldVisitedColourNeutralInverseError = "#f4f4f4";
+exports.linkStatusBoldVisitedColourNeutralInverseGeneric = "#f4f4f4";
+exports.linkStatusBoldVisitedColourSubtleInfo = "#f4f4f4";
+exports.linkStatusBoldVisitedColourSubtleSuccess = "#f4f4f4";
+exports.linkStatusBoldVisitedColourSubtleWarning = "#1d1d1b";
+exports.linkStatusBoldVisitedColourSubtleError = "#f4f4f4";
+exports.linkStatusBoldVisitedColourSubtleGeneric = "#f4f4f4";
+exports.linkStatusBoldVisitedColourBoldInfo = "#f4f4f4";
+exports.linkStatusBoldVisitedColourBoldSuccess = "#f4f4f4";
+exports.linkStatusBoldVisitedColourBoldWarning = "#1d1d1b";
+exports.linkStatusBoldVisitedColourBoldError = "#f4f4f4";
+exports.linkStatusBoldVisitedColourBoldGeneric = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralInfo = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralSuccess = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralWarning = "#1d1d1b";
+exports.linkStatusBoldFocusColourNeutralError = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralGeneric = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralInverseInfo = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralInverseSuccess = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralInverseWarning = "#1d1d1b";
+exports.linkStatusBoldFocusColourNeutralInverseError = "#f4f4f4";
+exports.linkStatusBoldFocusColourNeutralInverseGeneric = "#f4f4f4";
+exports.linkStatusBoldFocusColourSubtleInfo = "#f4f4f4";
+exports.linkStatusBoldFocusColourSubtleSuccess = "#f4f4f4";
+exports.linkStatusBoldFocusColourSubtleWarning = "#1d1d1b";
+exports.linkStatusBoldFocusColourSubtleError = "#f4f4f4";
+exports.linkStatusBoldFocusColourSubtleGeneric = "#f4f4f4";
+exports.linkStatusBoldFocusColourBoldInfo = "#f4f4f4";
+exports.linkStatusBoldFocusColourBoldSuccess = "#f4f4f4";
+exports.linkStatusBoldFocusColourBoldWarning = "#1d1d1b";
+exports.linkStatusBoldFocusColourBoldError = "#f4f4f4";
+exports.linkStatusBoldFocusColourBoldGeneric = "#f4f4f4";
+exports.linkStatusBoldFocusBorderRadiusNeutralInfo = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralSuccess = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralWarning = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralError = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralGeneric = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralInverseInfo = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralInverseSuccess = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralInverseWarning = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralInverseError = 4;
+exports.linkStatusBoldFocusBorderRadiusNeutralInverseGeneric = 4;
+exports.linkStatusBoldFocusBorderRadiusSubtleInfo = 4;
+exports.linkStatusBoldFocusBorderRadiusSubtleSuccess = 4;
+exports.linkStatusBoldFocusBorderRadiusSubtleWarning = 4;
+exports.linkStatusBoldFocusBorderRadiusSubtleError = 4;
+exports.linkStatusBoldFocusBorderRadiusSubtleGeneric = 4;
+exports.linkStatusBoldFocusBorderRadiusBoldInfo = 4;
+exports.linkStatusBoldFocusBorderRadiusBoldSuccess = 4;
+exports.linkStatusBoldFocusBorderRadiusBoldWarning = 4;
+exports.linkStatusBoldFocusBorderRadiusBoldError = 4;
+exports.linkStatusBoldFocusBorderRadiusBoldGeneric = 4;
+exports.linkStatusBoldFocusBorderWidthNeutralInfo = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralSuccess = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralWarning = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralError = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralGeneric = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralInverseInfo = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralInverseSuccess = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralInverseWarning = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralInverseError = 1;
+exports.linkStatusBoldFocusBorderWidthNeutralInverseGeneric = 1;
+exports.linkStatusBoldFocusBorderWidthSubtleInfo = 1;
+exports.linkStatusBoldFocusBorderWidthSubtleSuccess = 1;
+exports.linkStatusBoldFocusBorderWidthSubtleWarning = 1;
+exports.linkStatusBoldFocusBorderWidthSubtleError = 1;
+exports.linkStatusBoldFocusBorderWidthSubtleGeneric = 1;
+exports.linkStatusBoldFocusBorderWidthBoldInfo = 1;
+exports.linkStatusBoldFocusBorderWidthBoldSuccess = 1;
+exports.linkStatusBoldFocusBorderWidthBoldWarning = 1;
+exports.linkStatusBoldFocusBorderWidthBoldError = 1;
+exports.linkStatusBoldFocusBorderWidthBoldGeneric = 1;
+exports.linkGroupGapNeutralBlue = 16;
+exports.linkGroupGapNeutralGreen = 16;
+exports.linkGroupGapNeutralRed = 16;
+exports.linkGroupGapNeutralYellow = 16;
+exports.linkGroupGapNeutralInverseBlue = 16;
+exports.linkGroupGapNeutralInverseGreen = 16;
+exports.linkGroupGapNeutralInverseRed = 16;
+exports.linkGroupGapNeutralInverseYellow = 16;
+exports.linkGroupGapSubtleBlue = 16;
+exports.linkGroupGapSubtleGreen = 16;
+exports.linkGroupGapSubtleRed = 16;
+exports.linkGroupGapSubtleYellow = 16;
+exports.linkGroupGapBoldBlue = 16;
+exports.linkGroupGapBoldGreen = 16;
+exports.linkGroupGapBoldRed = 16;
+exports.linkGroupGapBoldYellow = 16;
+exports.accordionGapNeutralBlue = 20;
+exports.accordionGapNeutralGreen = 20;
+exports.accordionGapNeutralRed = 20;
+exports.accordionGapNeutralYellow = 20;
+exports.accordionGapNeutralInverseBlue = 20;
+exports.accordionGapNeutralInverseGreen = 20;
+exports.accordionGapNeutralInverseRed = 20;
+exports.accordionGapNeutralInverseYellow = 20;
+exports.accordionGapSubtleBlue = 20;
+exports.accordionGapSubtleGreen = 20;
+exports.accordionGapSubtleRed = 20;
+exports.accordionGapSubtleYellow = 20;
+exports.accordionGapBoldBlue = 20;
+exports.accordionGapBoldGreen = 20;
+exports.accordionGapBoldRed = 20;
+exports.accordionGapBoldYellow = 20;
+exports.accordionPaddingXNeutralBlue = 20;
+exports.accordionPaddingXNeutralGreen = 20;
+exports.accordionPaddingXNeutralRed = 20;
+exports.accordionPaddingXNeutralYellow = 20;
+exports.accordionPaddingXNeutralInverseBlue = 20;
+exports.accordionPaddingXNeutralInverseGreen = 20;
+exports.accordionPaddingXNeutralInverseRed = 20;
+exports.accordionPaddingXNeutralInverseYellow = 20;
+exports.accordionPaddingXSubtleBlue = 20;
+exports.accordionPaddingXSubtleGreen = 20;
+exports.accordionPaddingXSubtleRed = 20;
+exports.accordionPaddingXSubtleYellow = 20;
+exports.accordionPaddingXBoldBlue = 20;
+exports.accordionPaddingXBoldGreen = 20;
+exports.accordionPaddingXBoldRed = 20;
+exports.accordionPaddingXBoldYellow = 20;
+exports.accordionPaddingYNeutralBlue = 20;
+exports.accordionPaddingYNeutralGreen = 20;
+exports.accordionPaddingYNeutralRed = 20;
+exports.accordionPaddingYNeutralYellow = 20;
+exports.accordionPaddingYNeutralInverseBlue = 20;
+exports.accordionPaddingYNeutralInverseGreen = 20;
+exports.accordionPaddingYNeutralInverseRed = 20;
+exports.accordionPaddingYNeutralInverseYellow = 20;
+exports.accordionPaddingYSubtleBlue = 20;
+exports.accordionPaddingYSubtleGreen = 20;
+exports.accordionPaddingYSubtleRed = 20;
+exports.accordionPaddingYSubtleYellow = 20;
+exports.accordionPaddingYBoldBlue = 20;
+exports.accordionPaddingYBoldGreen = 20;
+exports.accordionPaddingYBoldRed = 20;
+exports.accordionPaddingYBoldYellow = 20;
+exports.accordionBorderRadiusNeutralBlue = 12;
+exports.accordionBorderRadiusNeutralGreen = 12;
+exports.accordionBorderRadiusNeutralRed = 12;
+exports.accordionBorderRadiusNeutralYellow = 12;
+exports.accordionBorderRadiusNeutralInverseBlue = 12;
+exports.accordionBorderRadiusNeutralInverseGreen = 12;
+exports.accordionBorderRadiusNeutralInverseRed = 12;
+exports.accordionBorderRadiusNeutralInverseYellow = 12;
+exports.accordionBorderRadiusSubtleBlue = 12;
+exports.accordionBorderRadiusSubtleGreen = 12;
+exports.accordionBorderRadiusSubtleRed = 12;
+exports.accordionBorderRadiusSubtleYellow = 12;
+exports.accordionBorderRadiusBoldBlue = 12;
+exports.accordionBorderRadiusBoldGreen = 12;
+exports.accordionBorderRadiusBoldRed = 12;
+exports.accordionBorderRadiusBoldYellow = 12;
+exports.accordionBackgroundColourNeutralBlue = "#ffffff";
+exports.accordionBackgroundColourNeutralGreen = "#ffffff";
+exports.accordionBackgroundColourNeutralRed = "#ffffff";
+exports.accordionBackgroundColourNeutralYellow = "#ffffff";
+exports.accordionBackgroundColourNeutralInverseBlue = "#f4f4f4";
+exports.accordionBackgroundColourNeutralInverseGreen = "#f4f4f4";
+exports.accordionBackgroundColourNeutralInverseRed = "#f4f4f4";
+exports.accordionBackgroundColourNeutralInverseYellow = "#f4f4f4";
+exports.accordionBackgroundColourSubtleBlue = "#aee1f7";
+exports.accordionBackgroundColourSubtleGreen = "#caeedd";
+exports.accordionBackgroundColourSubtleRed = "#ffd5d2";
+exports.accordionBackgroundColourSubtleYellow = "#fff9c7";
+exports.accordionBackgroundColourBoldBlue = "#005dba";
+exports.accordionBackgroundColourBoldGreen = "#00633d";
+exports.accordionBackgroundColourBoldRed = "#c50b30";
+exports.accordionBackgroundColourBoldYellow = "#ffb600";
+exports.accordionHeaderGapNeutralBlue = 12;
+exports.accordionHeaderGapNeutralGreen = 12;
+exports.accordionHeaderGapNeutralRed = 12;
+exports.accordionHeaderGapNeutralYellow = 12;
+exports.accordionHeaderGapNeutralInverseBlue = 12;
+exports.accordionHeaderGapNeutralInverseGreen = 12;
+exports.accordionHeaderGapNeutralInverseRed = 12;
+exports.accordionHeaderGapNeutralInverseYellow = 12;
+exports.accordionHeaderGapSubtleBlue = 12;
+exports.accordionHeaderGapSubtleGreen = 12;
+exports.accordionHeaderGapSubtleRed = 12;
+exports.accordionHeaderGapSubtleYellow = 12;
+exports.accordionHeaderGapBoldBlue = 12;
+exports.accordionHeaderGapBoldGreen = 12;
+exports.accordionHeaderGapBoldRed = 12;
+exports.accordionHeaderGapBoldYellow = 12;
+exports.accordionHeaderCustomContentHeightNeutralBlue = 12;
+exports.accordionHeaderCustomContentHeightNeutralGreen = 12;
+exports.accordionHeaderCustomContentHeightNeutralRed = 12;
+exports.accordionHeaderCustomContentHeightNeutralYellow = 12;
+exports.accordionHeaderCustomContentHeightNeutralInverseBlue = 12;
+exports.accordionHeaderCustomContentHeightNeutralInverseGreen = 12;
+exports.accordionHeaderCustomContentHeightNeutralInverseRed = 12;
+exports.accordionHeaderCustomContentHeightNeutralInverseYellow = 12;
+exports.accordionHeaderCustomContentHeightSubtleBlue = 12;
+exports.accordionHeaderCustomContentHeightSubtleGreen = 12;
+exports.accordionHeaderCustomContentHeightSubtleRed = 12;
+exports.accordionHeaderCustomContentHeightSubtleYellow = 12;
+exports.accordionHeaderCustomContentHeightBoldBlue = 12;
+exports.accordionHeaderCustomContentHeightBoldGreen = 12;
+exports.accordionHeaderCustomContentHeightBoldRed = 12;
+exports.accordionHeaderCustomContentHeightBoldYellow = 12;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralBlue = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralGreen = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralRed = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralYellow = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralInverseBlue = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralInverseGreen = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralInverseRed = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusNeutralInverseYellow = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusSubtleBlue = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusSubtleGreen = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusSubtleRed = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusSubtleYellow = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusBoldBlue = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusBoldGreen = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusBoldRed = 8;
+exports.accordionHeaderFocusIndicatorBorderRadiusBoldYellow = 8;
+exports.accordionHeaderFocusIndicatorColourNeutralBlue = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourNeutralGreen = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourNeutralRed = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourNeutralYellow = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourSubtleBlue = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourSubtleGreen = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourSubtleRed = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourSubtleYellow = "#1d1d1b";
+exports.accordionHeaderFocusIndicatorColourBoldBlue = "#ffffff";
+exports.accordionHeaderFocusIndicatorColourBoldGreen = "#ffffff";
+exports.accordionHeaderFocusIndicatorColourBoldRed = "#ffffff";
+exports.accordionHeaderFocusIndicatorColourBoldYellow = "#ffffff";
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralBlue = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralGreen = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralRed = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralYellow = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralInverseBlue = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralInverseGreen = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralInverseRed = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthNeutralInverseYellow = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthSubtleBlue = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthSubtleGreen = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthSubtleRed = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthSubtleYellow = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthBoldBlue = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthBoldGreen = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthBoldRed = 3;
+exports.accordionHeaderFocusIndicatorBorderWidthBoldYellow = 3;
+exports.accordionHeaderLabelMinWidthNeutralBlue = 140;
+exports.accordionHeaderLabelMinWidthNeutralGreen = 140;
+exports.accordionHeaderLabelMinWidthNeutralRed = 140;
+exports.accordionHeaderLabelMinWidthNeutralYellow = 140;
+exports.accordionHeaderLabelMinWidthNeutralInverseBlue = 140;
+exports.accordionHeaderLabelMinWidthNeutralInverseGreen = 140;
+exports.accordionHeaderLabelMinWidthNeutralInverseRed = 140;
+exports.accordionHeaderLabelMinWidthNeutralInverseYellow = 140;
+exports.accordionHeaderLabelMinWidthSubtleBlue = 140;
+exports.accordionHeaderLabelMinWidthSubtleGreen = 140;
+exports.accordionHeaderLabelMinWidthSubtleRed = 140;
+exports.accordionHeaderLabelMinWidthSubtleYellow = 140;
+exports.accordionHeaderLabelMinWidthBoldBlue = 140;
+exports.accordionHeaderLabelMinWidthBoldGreen = 140;
+exports.accordionHeaderLabelMinWidthBoldRed = 140;
+exports.accordionHeaderLabelMinWidthBoldYellow = 140;
+exports.accordionContentGapNeutralBlue = 20;
+exports.accordionContentGapNeutralGreen = 20;
+exports.accordionContentGapNeutralRed = 20;
+exports.accordionContentGapNeutralYellow = 20;
+exports.accordionContentGapNeutralInverseBlue = 20;
+exports.accordionContentGapNeutralInverseGreen = 20;
+exports.accordionContentGapNeutralInverseRed = 20;
+exports.accordionContentGapNeutralInverseYellow = 20;
+exports.accordionContentGapSubtleBlue = 20;
+exports.accordionContentGapSubtleGreen = 20;
+exports.accordionContentGapSubtleRed = 20;
+exports.accordionContentGapSubtleYellow = 20;
+exports.accordionContentGapBoldBlue = 20;
+exports.accordionContentGapBoldGreen = 20;
+exports.accordionContentGapBoldRed = 20;
+exports.accordionContentGapBoldYellow = 20;
+exports.accordionBorderColourNeutralBlue = "#d3d3d3";
+exports.accordionBorderColourNeutralGreen = "#d3d3d3";
+exports.accordionBorderColourNeutralRed = "#d3d3d3";
+exports.accordionBorderColourNeutralYellow = "#d3d3d3";
+exports.accordionBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.accordionBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.accordionBorderColourNeutralInverseRed = "#d3d3d3";
+exports.accordionBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.accordionBorderColourSubtleBlue = "#42aeea";
+exports.accordionBorderColourSubtleGreen = "#43af6e";
+exports.accordionBorderColourSubtleRed = "#ff3e51";
+exports.accordionBorderColourSubtleYellow = "#ffe969";
+exports.accordionBorderColourBoldBlue = "#001d6e";
+exports.accordionBorderColourBoldGreen = "#01312e";
+exports.accordionBorderColourBoldRed = "#940824";
+exports.accordionBorderColourBoldYellow = "#c86426";
+exports.accordionBorderWidthNeutralBlue = 1;
+exports.accordionBorderWidthNeutralGreen = 1;
+exports.accordionBorderWidthNeutralRed = 1;
+exports.accordionBorderWidthNeutralYellow = 1;
+exports.accordionBorderWidthNeutralInverseBlue = 1;
+exports.accordionBorderWidthNeutralInverseGreen = 1;
+exports.accordionBorderWidthNeutralInverseRed = 1;
+exports.accordionBorderWidthNeutralInverseYellow = 1;
+exports.accordionBorderWidthSubtleBlue = 1;
+exports.accordionBorderWidthSubtleGreen = 1;
+exports.accordionBorderWidthSubtleRed = 1;
+exports.accordionBorderWidthSubtleYellow = 1;
+exports.accordionBorderWidthBoldBlue = 1;
+exports.accordionBorderWidthBoldGreen = 1;
+exports.accordionBorderWidthBoldRed = 1;
+exports.accordionBorderWidthBoldYellow = 1;
+exports.accordionGroupGapNeutralBlue = 16;
+exports.accordionGroupGapNeutralGreen = 16;
+exports.accordionGroupGapNeutralRed = 16;
+exports.accordionGroupGapNeutralYellow = 16;
+exports.accordionGroupGapNeutralInverseBlue = 16;
+exports.accordionGroupGapNeutralInverseGreen = 16;
+exports.accordionGroupGapNeutralInverseRed = 16;
+exports.accordionGroupGapNeutralInverseYellow = 16;
+exports.accordionGroupGapSubtleBlue = 16;
+exports.accordionGroupGapSubtleGreen = 16;
+exports.accordionGroupGapSubtleRed = 16;
+exports.accordionGroupGapSubtleYellow = 16;
+exports.accordionGroupGapBoldBlue = 16;
+exports.accordionGroupGapBoldGreen = 16;
+exports.accordionGroupGapBoldRed = 16;
+exports.accordionGroupGapBoldYellow = 16;
+exports.bannerPaddingXNeutralBlue = 16;
+exports.bannerPaddingXNeutralGreen = 16;
+exports.bannerPaddingXNeutralRed = 16;
+exports.bannerPaddingXNeutralYellow = 16;
+exports.bannerPaddingXNeutralInverseBlue = 16;
+exports.bannerPaddingXNeutralInverseGreen = 16;
+exports.bannerPaddingXNeutralInverseRed = 16;
+exports.bannerPaddingXNeutralInverseYellow = 16;
+exports.bannerPaddingXSubtleBlue = 16;
+exports.bannerPaddingXSubtleGreen = 16;
+exports.bannerPaddingXSubtleRed = 16;
+exports.bannerPaddingXSubtleYellow = 16;
+exports.bannerPaddingXBoldBlue = 16;
+exports.bannerPaddingXBoldGreen = 16;
+exports.bannerPaddingXBoldRed = 16;
+exports.bannerPaddingXBoldYellow = 16;
+exports.bannerPaddingYNeutralBlue = 12;
+exports.bannerPaddingYNeutralGreen = 12;
+exports.bannerPaddingYNeutralRed = 12;
+exports.bannerPaddingYNeutralYellow = 12;
+exports.bannerPaddingYNeutralInverseBlue = 12;
+exports.bannerPaddingYNeutralInverseGreen = 12;
+exports.bannerPaddingYNeutralInverseRed = 12;
+exports.bannerPaddingYNeutralInverseYellow = 12;
+exports.bannerPaddingYSubtleBlue = 12;
+exports.bannerPaddingYSubtleGreen = 12;
+exports.bannerPaddingYSubtleRed = 12;
+exports.bannerPaddingYSubtleYellow = 12;
+exports.bannerPaddingYBoldBlue = 12;
+exports.bannerPaddingYBoldGreen = 12;
+exports.bannerPaddingYBoldRed = 12;
+exports.bannerPaddingYBoldYellow = 12;
+exports.bannerStatusBackgroundColourNeutralInfo = "#005dba";
+exports.bannerStatusBackgroundColourNeutralSuccess = "#00633d";
+exports.bannerStatusBackgroundColourNeutralWarning = "#ffb600";
+exports.bannerStatusBackgroundColourNeutralError = "#c50b30";
+exports.bannerStatusBackgroundColourNeutralGeneric = "#4d4f4f";
+exports.bannerStatusBackgroundColourNeutralInverseInfo = "#005dba";
+exports.bannerStatusBackgroundColourNeutralInverseSuccess = "#00633d";
+exports.bannerStatusBackgroundColourNeutralInverseWarning = "#ffb600";
+exports.bannerStatusBackgroundColourNeutralInverseError = "#c50b30";
+exports.bannerStatusBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+exports.bannerStatusBackgroundColourSubtleInfo = "#005dba";
+exports.bannerStatusBackgroundColourSubtleSuccess = "#00633d";
+exports.bannerStatusBackgroundColourSubtleWarning = "#ffb600";
+exports.bannerStatusBackgroundColourSubtleError = "#c50b30";
+exports.bannerStatusBackgroundColourSubtleGeneric = "#4d4f4f";
+exports.bannerStatusBackgroundColourBoldInfo = "#005dba";
+exports.bannerStatusBackgroundColourBoldSuccess = "#00633d";
+exports.bannerStatusBackgroundColourBoldWarning = "#ffb600";
+exports.bannerStatusBackgroundColourBoldError = "#c50b30";
+exports.bannerStatusBackgroundColourBoldGeneric = "#4d4f4f";
+exports.bannerStatusTextColourNeutralInfo = "#ffffff";
+exports.bannerStatusTextColourNeutralSuccess = "#ffffff";
+exports.bannerStatusTextColourNeutralWarning = "#1d1d1b";
+exports.bannerStatusTextColourNeutralError = "#ffffff";
+exports.bannerStatusTextColourNeutralGeneric = "#ffffff";
+exports.bannerStatusTextColourNeutralInverseInfo = "#ffffff";
+exports.bannerStatusTextColourNeutralInverseSuccess = "#ffffff";
+exports.bannerStatusTextColourNeutralInverseWarning = "#1d1d1b";
+exports.bannerStatusTextColourNeutralInverseError = "#ffffff";
+exports.bannerStatusTextColourNeutralInverseGeneric = "#ffffff";
+exports.bannerStatusTextColourSubtleInfo = "#ffffff";
+exports.bannerStatusTextColourSubtleSuccess = "#ffffff";
+exports.bannerStatusTextColourSubtleWarning = "#1d1d1b";
+exports.bannerStatusTextColourSubtleError = "#ffffff";
+exports.bannerStatusTextColourSubtleGeneric = "#ffffff";
+exports.bannerStatusTextColourBoldInfo = "#ffffff";
+exports.bannerStatusTextColourBoldSuccess = "#ffffff";
+exports.bannerStatusTextColourBoldWarning = "#1d1d1b";
+exports.bannerStatusTextColourBoldError = "#ffffff";
+exports.bannerStatusTextColourBoldGeneric = "#ffffff";
+exports.bannerStatusIconColourNeutralInfo = "#ffffff";
+exports.bannerStatusIconColourNeutralSuccess = "#ffffff";
+exports.bannerStatusIconColourNeutralWarning = "#1d1d1b";
+exports.bannerStatusIconColourNeutralError = "#ffffff";
+exports.bannerStatusIconColourNeutralGeneric = "#ffffff";
+exports.bannerStatusIconColourNeutralInverseInfo = "#ffffff";
+exports.bannerStatusIconColourNeutralInverseSuccess = "#ffffff";
+exports.bannerStatusIconColourNeutralInverseWarning = "#1d1d1b";
+exports.bannerStatusIconColourNeutralInverseError = "#ffffff";
+exports.bannerStatusIconColourNeutralInverseGeneric = "#ffffff";
+exports.bannerStatusIconColourSubtleInfo = "#ffffff";
+exports.bannerStatusIconColourSubtleSuccess = "#ffffff";
+exports.bannerStatusIconColourSubtleWarning = "#1d1d1b";
+exports.bannerStatusIconColourSubtleError = "#ffffff";
+exports.bannerStatusIconColourSubtleGeneric = "#ffffff";
+exports.bannerStatusIconColourBoldInfo = "#ffffff";
+exports.bannerStatusIconColourBoldSuccess = "#ffffff";
+exports.bannerStatusIconColourBoldWarning = "#1d1d1b";
+exports.bannerStatusIconColourBoldError = "#ffffff";
+exports.bannerStatusIconColourBoldGeneric = "#ffffff";
+exports.bannerGapNeutralBlue = 12;
+exports.bannerGapNeutralGreen = 12;
+exports.bannerGapNeutralRed = 12;
+exports.bannerGapNeutralYellow = 12;
+exports.bannerGapNeutralInverseBlue = 12;
+exports.bannerGapNeutralInverseGreen = 12;
+exports.bannerGapNeutralInverseRed = 12;
+exports.bannerGapNeutralInverseYellow = 12;
+exports.bannerGapSubtleBlue = 12;
+exports.bannerGapSubtleGreen = 12;
+exports.bannerGapSubtleRed = 12;
+exports.bannerGapSubtleYellow = 12;
+exports.bannerGapBoldBlue = 12;
+exports.bannerGapBoldGreen = 12;
+exports.bannerGapBoldRed = 12;
+exports.bannerGapBoldYellow = 12;
+exports.listItemCommonGapNeutralBlue = 12;
+exports.listItemCommonGapNeutralGreen = 12;
+exports.listItemCommonGapNeutralRed = 12;
+exports.listItemCommonGapNeutralYellow = 12;
+exports.listItemCommonGapNeutralInverseBlue = 12;
+exports.listItemCommonGapNeutralInverseGreen = 12;
+exports.listItemCommonGapNeutralInverseRed = 12;
+exports.listItemCommonGapNeutralInverseYellow = 12;
+exports.listItemCommonGapSubtleBlue = 12;
+exports.listItemCommonGapSubtleGreen = 12;
+exports.listItemCommonGapSubtleRed = 12;
+exports.listItemCommonGapSubtleYellow = 12;
+exports.listItemCommonGapBoldBlue = 12;
+exports.listItemCommonGapBoldGreen = 12;
+exports.listItemCommonGapBoldRed = 12;
+exports.listItemCommonGapBoldYellow = 12;
+exports.listItemCommonPaddingLeftNeutralBlue = 12;
+exports.listItemCommonPaddingLeftNeutralGreen = 12;
+exports.listItemCommonPaddingLeftNeutralRed = 12;
+exports.listItemCommonPaddingLeftNeutralYellow = 12;
+exports.listItemCommonPaddingLeftNeutralInverseBlue = 12;
+exports.listItemCommonPaddingLeftNeutralInverseGreen = 12;
+exports.listItemCommonPaddingLeftNeutralInverseRed = 12;
+exports.listItemCommonPaddingLeftNeutralInverseYellow = 12;
+exports.listItemCommonPaddingLeftSubtleBlue = 12;
+exports.listItemCommonPaddingLeftSubtleGreen = 12;
+exports.listItemCommonPaddingLeftSubtleRed = 12;
+exports.listItemCommonPaddingLeftSubtleYellow = 12;
+exports.listItemCommonPaddingLeftBoldBlue = 12;
+exports.listItemCommonPaddingLeftBoldGreen = 12;
+exports.listItemCommonPaddingLeftBoldRed = 12;
+exports.listItemCommonPaddingLeftBoldYellow = 12;
+exports.listItemPositiveColourNeutralBlue = "#00633d";
+exports.listItemPositiveColourNeutralGreen = "#00633d";
+exports.listItemPositiveColourNeutralRed = "#00633d";
+exports.listItemPositiveColourNeutralYellow = "#00633d";
+exports.listItemPositiveColourNeutralInverseBlue = "#00633d";
+exports.listItemPositiveColourNeutralInverseGreen = "#00633d";
+exports.listItemPositiveColourNeutralInverseRed = "#00633d";
+exports.listItemPositiveColourNeutralInverseYellow = "#00633d";
+exports.listItemPositiveColourSubtleBlue = "#1d1d1b";
+exports.listItemPositiveColourSubtleGreen = "#1d1d1b";
+exports.listItemPositiveColourSubtleRed = "#1d1d1b";
+exports.listItemPositiveColourSubtleYellow = "#1d1d1b";
+exports.listItemPositiveColourBoldBlue = "#ffffff";
+exports.listItemPositiveColourBoldGreen = "#ffffff";
+exports.listItemPositiveColourBoldRed = "#ffffff";
+exports.listItemPositiveColourBoldYellow = "#1d1d1b";
+exports.listItemNegativeColourNeutralBlue = "#c50b30";
+exports.listItemNegativeColourNeutralGreen = "#c50b30";
+exports.listItemNegativeColourNeutralRed = "#c50b30";
+exports.listItemNegativeColourNeutralYellow = "#c50b30";
+exports.listItemNegativeColourNeutralInverseBlue = "#c50b30";
+exports.listItemNegativeColourNeutralInverseGreen = "#c50b30";
+exports.listItemNegativeColourNeutralInverseRed = "#c50b30";
+exports.listItemNegativeColourNeutralInverseYellow = "#c50b30";
+exports.listItemNegativeColourSubtleBlue = "#1d1d1b";
+exports.listItemNegativeColourSubtleGreen = "#1d1d1b";
+exports.listItemNegativeColourSubtleRed = "#1d1d1b";
+exports.listItemNegativeColourSubtleYellow = "#1d1d1b";
+exports.listItemNegativeColourBoldBlue = "#ffffff";
+exports.listItemNegativeColourBoldGreen = "#ffffff";
+exports.listItemNegativeColourBoldRed = "#ffffff";
+exports.listItemNegativeColourBoldYellow = "#1d1d1b";
+exports.listGapNeutralBlue = 20;
+exports.listGapNeutralGreen = 20;
+exports.listGapNeutralRed = 20;
+exports.listGapNeutralYellow = 20;
+exports.listGapNeutralInverseBlue = 20;
+exports.listGapNeutralInverseGreen = 20;
+exports.listGapNeutralInverseRed = 20;
+exports.listGapNeutralInverseYellow = 20;
+exports.listGapSubtleBlue = 20;
+exports.listGapSubtleGreen = 20;
+exports.listGapSubtleRed = 20;
+exports.listGapSubtleYellow = 20;
+exports.listGapBoldBlue = 20;
+exports.listGapBoldGreen = 20;
+exports.listGapBoldRed = 20;
+exports.listGapBoldYellow = 20;
+exports.breadcrumbBorderWidthNeutralBlue = 1;
+exports.breadcrumbBorderWidthNeutralGreen = 1;
+exports.breadcrumbBorderWidthNeutralRed = 1;
+exports.breadcrumbBorderWidthNeutralYellow = 1;
+exports.breadcrumbBorderWidthNeutralInverseBlue = 1;
+exports.breadcrumbBorderWidthNeutralInverseGreen = 1;
+exports.breadcrumbBorderWidthNeutralInverseRed = 1;
+exports.breadcrumbBorderWidthNeutralInverseYellow = 1;
+exports.breadcrumbBorderWidthSubtleBlue = 1;
+exports.breadcrumbBorderWidthSubtleGreen = 1;
+exports.breadcrumbBorderWidthSubtleRed = 1;
+exports.breadcrumbBorderWidthSubtleYellow = 1;
+exports.breadcrumbBorderWidthBoldBlue = 1;
+exports.breadcrumbBorderWidthBoldGreen = 1;
+exports.breadcrumbBorderWidthBoldRed = 1;
+exports.breadcrumbBorderWidthBoldYellow = 1;
+exports.breadcrumbBorderColourNeutralBlue = "#d3d3d3";
+exports.breadcrumbBorderColourNeutralGreen = "#d3d3d3";
+exports.breadcrumbBorderColourNeutralRed = "#d3d3d3";
+exports.breadcrumbBorderColourNeutralYellow = "#d3d3d3";
+exports.breadcrumbBorderColourNeutralInverseBlue = "#d3d3d3";
+exports.breadcrumbBorderColourNeutralInverseGreen = "#d3d3d3";
+exports.breadcrumbBorderColourNeutralInverseRed = "#d3d3d3";
+exports.breadcrumbBorderColourNeutralInverseYellow = "#d3d3d3";
+exports.breadcrumbBorderColourSubtleBlue = "#42aeea";
+exports.breadcrumbBorderColourSubtleGreen = "#43af6e";
+exports.breadcrumbBorderColourSubtleRed = "#ff3e51";
+exports.breadcrumbBorderColourSubtleYellow = "#ffe969";
+exports.breadcrumbBorderColourBoldBlue = "#001d6e";
+exports.breadcrumbBorderColourBoldGreen = "#01312e";
+exports.breadcrumbBorderColourBoldRed = "#940824";
+exports.breadcrumbBorderColourBoldYellow = "#c86426";
+exports.breadcrumbGapNeutralBlue = 8;
+exports.breadcrumbGapNeutralGreen = 8;
+exports.breadcrumbGapNeutralRed = 8;
+exports.breadcrumbGapNeutralYellow = 8;
+exports.breadcrumbGapNeutralInverseBlue = 8;
+exports.breadcrumbGapNeutralInverseGreen = 8;
+exports.breadcrumbGapNeutralInverseRed = 8;
+exports.breadcrumbGapNeutralInverseYellow = 8;
+exports.breadcrumbGapSubtleBlue = 8;
+exports.breadcrumbGapSubtleGreen = 8;
+exports.breadcrumbGapSubtleRed = 8;
+exports.breadcrumbGapSubtleYellow = 8;
+exports.breadcrumbGapBoldBlue = 8;
+exports.breadcrumbGapBoldGreen = 8;
+exports.breadcrumbGapBoldRed = 8;
+exports.breadcrumbGapBoldYellow = 8;
+exports.breadcrumbPaddingXNeutralBlue = 16;
+exports.breadcrumbPaddingXNeutralGreen = 16;
+exports.breadcrumbPaddingXNeutralRed = 16;
+exports.breadcrumbPaddingXNeutralYellow = 16;
+exports.breadcrumbPaddingXNeutralInverseBlue = 16;
+exports.breadcrumbPaddingXNeutralInverseGreen = 16;
+exports.breadcrumbPaddingXNeutralInverseRed = 16;
+exports.breadcrumbPaddingXNeutralInverseYellow = 16;
+exports.breadcrumbPaddingXSubtleBlue = 16;
+exports.breadcrumbPaddingXSubtleGreen = 16;
+exports.breadcrumbPaddingXSubtleRed = 16;
+exports.breadcrumbPaddingXSubtleYellow = 16;
+exports.breadcrumbPaddingXBoldBlue = 16;
+exports.breadcrumbPaddingXBoldGreen = 16;
+exports.breadcrumbPaddingXBoldRed = 16;
+exports.breadcrumbPaddingXBoldYellow = 16;
+exports.breadcrumbPaddingYNeutralBlue = 12;
+exports.breadcrumbPaddingYNeutralGreen = 12;
+exports.breadcrumbPaddingYNeutralRed = 12;
+exports.breadcrumbPaddingYNeutralYellow = 12;
+exports.breadcrumbPaddingYNeutralInverseBlue = 12;
+exports.breadcrumbPaddingYNeutralInverseGreen = 12;
+exports.breadcrumbPaddingYNeutralInverseRed = 12;
+exports.breadcrumbPaddingYNeutralInverseYellow = 12;
+exports.breadcrumbPaddingYSubtleBlue = 12;
+exports.breadcrumbPaddingYSubtleGreen = 12;
+exports.breadcrumbPaddingYSubtleRed = 12;
+exports.breadcrumbPaddingYSubtleYellow = 12;
+exports.breadcrumbPaddingYBoldBlue = 12;
+exports.breadcrumbPaddingYBoldGreen = 12;
+exports.breadcrumbPaddingYBoldRed = 12;
+exports.breadcrumbPaddingYBoldYellow = 12;
+exports.breadcrumbMinWidthNeutralBlue = 320;
+exports.breadcrumbMinWidthNeutralGreen = 320;
+exports.breadcrumbMinWidthNeutralRed = 320;
+exports.breadcrumbMinWidthNeutralYellow = 320;
+exports.breadcrumbMinWidthNeutralInverseBlue = 320;
+exports.breadcrumbMinWidthNeutralInverseGreen = 320;
+exports.breadcrumbMinWidthNeutralInverseRed = 320;
+exports.breadcrumbMinWidthNeutralInverseYellow = 320;
+exports.breadcrumbMinWidthSubtleBlue = 320;
+exports.breadcrumbMinWidthSubtleGreen = 320;
+exports.breadcrumbMinWidthSubtleRed = 320;
+exports.breadcrumbMinWidthSubtleYellow = 320;
+exports.breadcrumbMinWidthBoldBlue = 320;
+exports.breadcrumbMinWidthBoldGreen = 320;
+exports.breadcrumbMinWidthBoldRed = 320;
+exports.breadcrumbMinWidthBoldYellow = 320;
+exports.noticeGapNeutralBlue = 28;
+exports.noticeGapNeutralGreen = 28;
+exports.noticeGapNeutralRed = 28;
+exports.noticeGapNeutralYellow = 28;
+exports.noticeGapNeutralInverseBlue = 28;
+exports.noticeGapNeutralInverseGreen = 28;
+exports.noticeGapNeutralInverseRed = 28;
+exports.noticeGapNeutralInverseYellow = 28;
+exports.noticeGapSubtleBlue = 28;
+exports.noticeGapSubtleGreen = 28;
+exports.noticeGapSubtleRed = 28;
+exports.noticeGapSubtleYellow = 28;
+exports.noticeGapBoldBlue = 28;
+exports.noticeGapBoldGreen = 28;
+exports.noticeGapBoldRed = 28;
+exports.noticeGapBoldYellow = 28;
+exports.noticeContentGapNeutralBlue = 16;
+exports.noticeContentGapNeutralGreen = 16;
+exports.noticeContentGapNeutralRed = 16;
+exports.noticeContentGapNeutralYellow = 16;
+exports.noticeContentGapNeutralInverseBlue = 16;
+exports.noticeContentGapNeutralInverseGreen = 16;
+exports.noticeContentGapNeutralInverseRed = 16;
+exports.noticeContentGapNeutralInverseYellow = 16;
+exports.noticeContentGapSubtleBlue = 16;
+exports.noticeContentGapSubtleGreen = 16;
+exports.noticeContentGapSubtleRed = 16;
+exports.noticeContentGapSubtleYellow = 16;
+exports.noticeContentGapBoldBlue = 16;
+exports.noticeContentGapBoldGreen = 16;
+exports.noticeContentGapBoldRed = 16;
+exports.noticeContentGapBoldYellow = 16;
+/** @deprecated Use `cardPaddingXNeutralBlue` instead. */
+exports.cardPaddingRightNeutralBlue = exports.cardPaddingXNeutralBlue;
+/** @deprecated Use `cardPaddingXNeutralGreen` instead. */
+exports.cardPaddingRightNeutralGreen = exports.cardPaddingXNeutralGreen;
+/** @deprecated Use `cardPaddingXNeutralRed` instead. */
+exports.cardPaddingRightNeutralRed = exports.cardPaddingXNeutralRed;
+/** @deprecated Use `cardPaddingXNeutralYellow` instead. */
+exports.cardPaddingRightNeutralYellow = exports.cardPaddingXNeutralYellow;
+/** @deprecated Use `cardPaddingXNeutralInverseBlue` instead. */
+exports.cardPaddingRightNeutralInverseBlue = exports.cardPaddingXNeutralInverseBlue;
+/** @deprecated Use `cardPaddingXNeutralInverseGreen` instead. */
+exports.cardPaddingRightNeutralInverseGreen = exports.cardPaddingXNeutralInverseGreen;
+/** @deprecated Use `cardPaddingXNeutralInverseRed` instead. */
+exports.cardPaddingRightNeutralInverseRed = exports.cardPaddingXNeutralInverseRed;
+/** @deprecated Use `cardPaddingXNeutralInverseYellow` instead. */
+exports.cardPaddingRightNeutralInverseYellow = exports.cardPaddingXNeutralInverseYellow;
+/** @deprecated Use `cardPaddingXSubtleBlue` instead. */
+exports.cardPaddingRightSubtleBlue = exports.cardPaddingXSubtleBlue;
+/** @deprecated Use `cardPaddingXSubtleGreen` instead. */
+exports.cardPaddingRightSubtleGreen = exports.cardPaddingXSubtleGreen;
+/** @deprecated Use `cardPaddingXSubtleRed` instead. */
+exports.cardPaddingRightSubtleRed = exports.cardPaddingXSubtleRed;
+/** @deprecated Use `cardPaddingXSubtleYellow` instead. */
+exports.cardPaddingRightSubtleYellow = exports.cardPaddingXSubtleYellow;
+/** @deprecated Use `cardPaddingXBoldBlue` instead. */
+exports.cardPaddingRightBoldBlue = exports.cardPaddingXBoldBlue;
+/** @deprecated Use `cardPaddingXBoldGreen` instead. */
+exports.cardPaddingRightBoldGreen = exports.cardPaddingXBoldGreen;
+/** @deprecated Use `cardPaddingXBoldRed` instead. */
+exports.cardPaddingRightBoldRed = exports.cardPaddingXBoldRed;
+/** @deprecated Use `cardPaddingXBoldYellow` instead. */
+exports.cardPaddingRightBoldYellow = exports.cardPaddingXBoldYellow;
+/** @deprecated Use `cardPaddingYNeutralBlue` instead. */
+exports.cardPaddingBottomNeutralBlue = exports.cardPaddingYNeutralBlue;
+/** @deprecated Use `cardPaddingYNeutralGreen` instead. */
+exports.cardPaddingBottomNeutralGreen = exports.cardPaddingYNeutralGreen;
+/** @deprecated Use `cardPaddingYNeutralRed` instead. */
+exports.cardPaddingBottomNeutralRed = exports.cardPaddingYNeutralRed;
+/** @deprecated Use `cardPaddingYNeutralYellow` instead. */
+exports.cardPaddingBottomNeutralYellow = exports.cardPaddingYNeutralYellow;
+/** @deprecated Use `cardPaddingYNeutralInverseBlue` instead. */
+exports.cardPaddingBottomNeutralInverseBlue = exports.cardPaddingYNeutralInverseBlue;
+/** @deprecated Use `cardPaddingYNeutralInverseGreen` instead. */
+exports.cardPaddingBottomNeutralInverseGreen = exports.cardPaddingYNeutralInverseGreen;
+/** @deprecated Use `cardPaddingYNeutralInverseRed` instead. */
+exports.cardPaddingBottomNeutralInverseRed = exports.cardPaddingYNeutralInverseRed;
+/** @deprecated Use `cardPaddingYNeutralInverseYellow` instead. */
+exports.cardPaddingBottomNeutralInverseYellow = exports.cardPaddingYNeutralInverseYellow;
+/** @deprecated Use `cardPaddingYSubtleBlue` instead. */
+exports.cardPaddingBottomSubtleBlue = exports.cardPaddingYSubtleBlue;
+/** @deprecated Use `cardPaddingYSubtleGreen` instead. */
+exports.cardPaddingBottomSubtleGreen = exports.cardPaddingYSubtleGreen;
+/** @deprecated Use `cardPaddingYSubtleRed` instead. */
+exports.cardPaddingBottomSubtleRed = exports.cardPaddingYSubtleRed;
+/** @deprecated Use `cardPaddingYSubtleYellow` instead. */
+exports.cardPaddingBottomSubtleYellow = exports.cardPaddingYSubtleYellow;
+/** @deprecated Use `cardPaddingYBoldBlue` instead. */
+exports.cardPaddingBottomBoldBlue = exports.cardPaddingYBoldBlue;
+/** @deprecated Use `cardPaddingYBoldGreen` instead. */
+exports.cardPaddingBottomBoldGreen = exports.cardPaddingYBoldGreen;
+/** @deprecated Use `cardPaddingYBoldRed` instead. */
+exports.cardPaddingBottomBoldRed = exports.cardPaddingYBoldRed;
+/** @deprecated Use `cardPaddingYBoldYellow` instead. */
+exports.cardPaddingBottomBoldYellow = exports.cardPaddingYBoldYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralBlue` instead. */
+exports.headerButtonPaddingRightNeutralBlue = exports.headerButtonPaddingDefaultXNeutralBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralGreen` instead. */
+exports.headerButtonPaddingRightNeutralGreen = exports.headerButtonPaddingDefaultXNeutralGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralRed` instead. */
+exports.headerButtonPaddingRightNeutralRed = exports.headerButtonPaddingDefaultXNeutralRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralYellow` instead. */
+exports.headerButtonPaddingRightNeutralYellow = exports.headerButtonPaddingDefaultXNeutralYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseBlue` instead. */
+exports.headerButtonPaddingRightNeutralInverseBlue = exports.headerButtonPaddingDefaultXNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseGreen` instead. */
+exports.headerButtonPaddingRightNeutralInverseGreen = exports.headerButtonPaddingDefaultXNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseRed` instead. */
+exports.headerButtonPaddingRightNeutralInverseRed = exports.headerButtonPaddingDefaultXNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseYellow` instead. */
+exports.headerButtonPaddingRightNeutralInverseYellow = exports.headerButtonPaddingDefaultXNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleBlue` instead. */
+exports.headerButtonPaddingRightSubtleBlue = exports.headerButtonPaddingDefaultXSubtleBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleGreen` instead. */
+exports.headerButtonPaddingRightSubtleGreen = exports.headerButtonPaddingDefaultXSubtleGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleRed` instead. */
+exports.headerButtonPaddingRightSubtleRed = exports.headerButtonPaddingDefaultXSubtleRed;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleYellow` instead. */
+exports.headerButtonPaddingRightSubtleYellow = exports.headerButtonPaddingDefaultXSubtleYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldBlue` instead. */
+exports.headerButtonPaddingRightBoldBlue = exports.headerButtonPaddingDefaultXBoldBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldGreen` instead. */
+exports.headerButtonPaddingRightBoldGreen = exports.headerButtonPaddingDefaultXBoldGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldRed` instead. */
+exports.headerButtonPaddingRightBoldRed = exports.headerButtonPaddingDefaultXBoldRed;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldYellow` instead. */
+exports.headerButtonPaddingRightBoldYellow = exports.headerButtonPaddingDefaultXBoldYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralBlue` instead. */
+exports.headerButtonPaddingBottomNeutralBlue = exports.headerButtonPaddingYNeutralBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralGreen` instead. */
+exports.headerButtonPaddingBottomNeutralGreen = exports.headerButtonPaddingYNeutralGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralRed` instead. */
+exports.headerButtonPaddingBottomNeutralRed = exports.headerButtonPaddingYNeutralRed;
+/** @deprecated Use `headerButtonPaddingYNeutralYellow` instead. */
+exports.headerButtonPaddingBottomNeutralYellow = exports.headerButtonPaddingYNeutralYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseBlue` instead. */
+exports.headerButtonPaddingBottomNeutralInverseBlue = exports.headerButtonPaddingYNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseGreen` instead. */
+exports.headerButtonPaddingBottomNeutralInverseGreen = exports.headerButtonPaddingYNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseRed` instead. */
+exports.headerButtonPaddingBottomNeutralInverseRed = exports.headerButtonPaddingYNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseYellow` instead. */
+exports.headerButtonPaddingBottomNeutralInverseYellow = exports.headerButtonPaddingYNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingYSubtleBlue` instead. */
+exports.headerButtonPaddingBottomSubtleBlue = exports.headerButtonPaddingYSubtleBlue;
+/** @deprecated Use `headerButtonPaddingYSubtleGreen` instead. */
+exports.headerButtonPaddingBottomSubtleGreen = exports.headerButtonPaddingYSubtleGreen;
+/** @deprecated Use `headerButtonPaddingYSubtleRed` instead. */
+exports.headerButtonPaddingBottomSubtleRed = exports.headerButtonPaddingYSubtleRed;
+/** @deprecated Use `headerButtonPaddingYSubtleYellow` instead. */
+exports.headerButtonPaddingBottomSubtleYellow = exports.headerButtonPaddingYSubtleYellow;
+/** @deprecated Use `headerButtonPaddingYBoldBlue` instead. */
+exports.headerButtonPaddingBottomBoldBlue = exports.headerButtonPaddingYBoldBlue;
+/** @deprecated Use `headerButtonPaddingYBoldGreen` instead. */
+exports.headerButtonPaddingBottomBoldGreen = exports.headerButtonPaddingYBoldGreen;
+/** @deprecated Use `headerButtonPaddingYBoldRed` instead. */
+exports.headerButtonPaddingBottomBoldRed = exports.headerButtonPaddingYBoldRed;
+/** @deprecated Use `headerButtonPaddingYBoldYellow` instead. */
+exports.headerButtonPaddingBottomBoldYellow = exports.headerButtonPaddingYBoldYellow;
@@ -0,0 +1,12672 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export declare const interactivePrimaryRestBackgroundColourNeutralBlue: "#005dba";
+export declare const interactivePrimaryRestBackgroundColourNeutralGreen: "#00633d";
+export declare const interactivePrimaryRestBackgroundColourNeutralRed: "#c50b30";
+export declare const interactivePrimaryRestBackgroundColourNeutralYellow: "#ffb600";
+export declare const interactivePrimaryRestBackgroundColourSubtleBlue: "#005dba";
+export declare const interactivePrimaryRestBackgroundColourSubtleGreen: "#00633d";
+export declare const interactivePrimaryRestBackgroundColourSubtleRed: "#c50b30";
+export declare const interactivePrimaryRestBackgroundColourSubtleYellow: "#ffb600";
+export declare const interactivePrimaryRestBackgroundColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryRestBackgroundColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryRestBackgroundColourBoldRed: "#ffffff";
+export declare const interactivePrimaryRestBackgroundColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryRestBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryRestBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryRestBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryRestBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryRestBorderColourNeutralBlue: "#005dba";
+export declare const interactivePrimaryRestBorderColourNeutralGreen: "#00633d";
+export declare const interactivePrimaryRestBorderColourNeutralRed: "#c50b30";
+export declare const interactivePrimaryRestBorderColourNeutralYellow: "#ffb600";
+export declare const interactivePrimaryRestBorderColourSubtleBlue: "#005dba";
+export declare const interactivePrimaryRestBorderColourSubtleGreen: "#00633d";
+export declare const interactivePrimaryRestBorderColourSubtleRed: "#c50b30";
+export declare const interactivePrimaryRestBorderColourSubtleYellow: "#ffb600";
+export declare const interactivePrimaryRestBorderColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryRestBorderColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryRestBorderColourBoldRed: "#ffffff";
+export declare const interactivePrimaryRestBorderColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryRestBorderColourNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryRestBorderColourNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryRestBorderColourNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryRestBorderColourNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryRestColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryRestColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryRestColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryRestColourNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryRestColourSubtleBlue: "#ffffff";
+export declare const interactivePrimaryRestColourSubtleGreen: "#ffffff";
+export declare const interactivePrimaryRestColourSubtleRed: "#ffffff";
+export declare const interactivePrimaryRestColourSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryRestColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryRestColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryRestColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryRestColourBoldYellow: "#f4f4f4";
+export declare const interactivePrimaryRestColourNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryRestColourNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryRestColourNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryRestColourNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryHoverBackgroundColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryHoverBackgroundColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryHoverBackgroundColourNeutralRed: "#940824";
+export declare const interactivePrimaryHoverBackgroundColourNeutralYellow: "#904029";
+export declare const interactivePrimaryHoverBackgroundColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryHoverBackgroundColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryHoverBackgroundColourSubtleRed: "#940824";
+export declare const interactivePrimaryHoverBackgroundColourSubtleYellow: "#904029";
+export declare const interactivePrimaryHoverBackgroundColourBoldBlue: "#001d6e";
+export declare const interactivePrimaryHoverBackgroundColourBoldGreen: "#01312e";
+export declare const interactivePrimaryHoverBackgroundColourBoldRed: "#940824";
+export declare const interactivePrimaryHoverBackgroundColourBoldYellow: "#ffe969";
+export declare const interactivePrimaryHoverBackgroundColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryHoverBackgroundColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryHoverBackgroundColourNeutralInverseRed: "#940824";
+export declare const interactivePrimaryHoverBackgroundColourNeutralInverseYellow: "#904029";
+export declare const interactivePrimaryHoverBorderColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryHoverBorderColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryHoverBorderColourNeutralRed: "#940824";
+export declare const interactivePrimaryHoverBorderColourNeutralYellow: "#904029";
+export declare const interactivePrimaryHoverBorderColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryHoverBorderColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryHoverBorderColourSubtleRed: "#940824";
+export declare const interactivePrimaryHoverBorderColourSubtleYellow: "#904029";
+export declare const interactivePrimaryHoverBorderColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryHoverBorderColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryHoverBorderColourBoldRed: "#ffffff";
+export declare const interactivePrimaryHoverBorderColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryHoverBorderColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryHoverBorderColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryHoverBorderColourNeutralInverseRed: "#940824";
+export declare const interactivePrimaryHoverBorderColourNeutralInverseYellow: "#904029";
+export declare const interactivePrimaryHoverColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryHoverColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryHoverColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryHoverColourNeutralYellow: "#ffffff";
+export declare const interactivePrimaryHoverColourSubtleBlue: "#ffffff";
+export declare const interactivePrimaryHoverColourSubtleGreen: "#ffffff";
+export declare const interactivePrimaryHoverColourSubtleRed: "#ffffff";
+export declare const interactivePrimaryHoverColourSubtleYellow: "#ffffff";
+export declare const interactivePrimaryHoverColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryHoverColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryHoverColourBoldRed: "#ffffff";
+export declare const interactivePrimaryHoverColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryHoverColourNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryHoverColourNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryHoverColourNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryHoverColourNeutralInverseYellow: "#ffffff";
+export declare const interactivePrimaryActiveBackgroundColourNeutralBlue: "#000039";
+export declare const interactivePrimaryActiveBackgroundColourNeutralGreen: "#011b1f";
+export declare const interactivePrimaryActiveBackgroundColourNeutralRed: "#480411";
+export declare const interactivePrimaryActiveBackgroundColourNeutralYellow: "#572722";
+export declare const interactivePrimaryActiveBackgroundColourSubtleBlue: "#000039";
+export declare const interactivePrimaryActiveBackgroundColourSubtleGreen: "#011b1f";
+export declare const interactivePrimaryActiveBackgroundColourSubtleRed: "#480411";
+export declare const interactivePrimaryActiveBackgroundColourSubtleYellow: "#572722";
+export declare const interactivePrimaryActiveBackgroundColourBoldBlue: "#000039";
+export declare const interactivePrimaryActiveBackgroundColourBoldGreen: "#011b1f";
+export declare const interactivePrimaryActiveBackgroundColourBoldRed: "#480411";
+export declare const interactivePrimaryActiveBackgroundColourBoldYellow: "#fffbdc";
+export declare const interactivePrimaryActiveBackgroundColourNeutralInverseBlue: "#000039";
+export declare const interactivePrimaryActiveBackgroundColourNeutralInverseGreen: "#011b1f";
+export declare const interactivePrimaryActiveBackgroundColourNeutralInverseRed: "#480411";
+export declare const interactivePrimaryActiveBackgroundColourNeutralInverseYellow: "#572722";
+export declare const interactivePrimaryActiveBorderColourNeutralBlue: "#000039";
+export declare const interactivePrimaryActiveBorderColourNeutralGreen: "#011b1f";
+export declare const interactivePrimaryActiveBorderColourNeutralRed: "#480411";
+export declare const interactivePrimaryActiveBorderColourNeutralYellow: "#572722";
+export declare const interactivePrimaryActiveBorderColourSubtleBlue: "#000039";
+export declare const interactivePrimaryActiveBorderColourSubtleGreen: "#011b1f";
+export declare const interactivePrimaryActiveBorderColourSubtleRed: "#480411";
+export declare const interactivePrimaryActiveBorderColourSubtleYellow: "#572722";
+export declare const interactivePrimaryActiveBorderColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryActiveBorderColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryActiveBorderColourBoldRed: "#ffffff";
+export declare const interactivePrimaryActiveBorderColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryActiveBorderColourNeutralInverseBlue: "#000039";
+export declare const interactivePrimaryActiveBorderColourNeutralInverseGreen: "#011b1f";
+export declare const interactivePrimaryActiveBorderColourNeutralInverseRed: "#480411";
+export declare const interactivePrimaryActiveBorderColourNeutralInverseYellow: "#572722";
+export declare const interactivePrimaryActiveColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryActiveColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryActiveColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryActiveColourNeutralYellow: "#ffffff";
+export declare const interactivePrimaryActiveColourSubtleBlue: "#ffffff";
+export declare const interactivePrimaryActiveColourSubtleGreen: "#ffffff";
+export declare const interactivePrimaryActiveColourSubtleRed: "#ffffff";
+export declare const interactivePrimaryActiveColourSubtleYellow: "#ffffff";
+export declare const interactivePrimaryActiveColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryActiveColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryActiveColourBoldRed: "#ffffff";
+export declare const interactivePrimaryActiveColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryActiveColourNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryActiveColourNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryActiveColourNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryActiveColourNeutralInverseYellow: "#ffffff";
+export declare const interactivePrimaryFocusBackgroundColourNeutralBlue: "#005dba";
+export declare const interactivePrimaryFocusBackgroundColourNeutralGreen: "#00633d";
+export declare const interactivePrimaryFocusBackgroundColourNeutralRed: "#c50b30";
+export declare const interactivePrimaryFocusBackgroundColourNeutralYellow: "#ffb600";
+export declare const interactivePrimaryFocusBackgroundColourSubtleBlue: "#005dba";
+export declare const interactivePrimaryFocusBackgroundColourSubtleGreen: "#00633d";
+export declare const interactivePrimaryFocusBackgroundColourSubtleRed: "#c50b30";
+export declare const interactivePrimaryFocusBackgroundColourSubtleYellow: "#ffb600";
+export declare const interactivePrimaryFocusBackgroundColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryFocusBackgroundColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryFocusBackgroundColourBoldRed: "#ffffff";
+export declare const interactivePrimaryFocusBackgroundColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryFocusBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryFocusBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryFocusBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryFocusBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryFocusBorderColourNeutralBlue: "#005dba";
+export declare const interactivePrimaryFocusBorderColourNeutralGreen: "#00633d";
+export declare const interactivePrimaryFocusBorderColourNeutralRed: "#c50b30";
+export declare const interactivePrimaryFocusBorderColourNeutralYellow: "#ffb600";
+export declare const interactivePrimaryFocusBorderColourSubtleBlue: "#005dba";
+export declare const interactivePrimaryFocusBorderColourSubtleGreen: "#00633d";
+export declare const interactivePrimaryFocusBorderColourSubtleRed: "#c50b30";
+export declare const interactivePrimaryFocusBorderColourSubtleYellow: "#ffb600";
+export declare const interactivePrimaryFocusBorderColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryFocusBorderColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryFocusBorderColourBoldRed: "#ffffff";
+export declare const interactivePrimaryFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryFocusBorderColourNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryFocusBorderColourNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryFocusBorderColourNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryFocusBorderColourNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryFocusColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryFocusColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryFocusColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryFocusColourNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryFocusColourSubtleBlue: "#ffffff";
+export declare const interactivePrimaryFocusColourSubtleGreen: "#ffffff";
+export declare const interactivePrimaryFocusColourSubtleRed: "#ffffff";
+export declare const interactivePrimaryFocusColourSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryFocusColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryFocusColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryFocusColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryFocusColourBoldYellow: "#f4f4f4";
+export declare const interactivePrimaryFocusColourNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryFocusColourNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryFocusColourNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryFocusColourNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralBlue: "#d3d3d3";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralGreen: "#d3d3d3";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralRed: "#d3d3d3";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralYellow: "#d3d3d3";
+export declare const interactivePrimaryDisabledBackgroundColourSubtleBlue: "#76c8f1";
+export declare const interactivePrimaryDisabledBackgroundColourSubtleGreen: "#7fce9f";
+export declare const interactivePrimaryDisabledBackgroundColourSubtleRed: "#ff7e7e";
+export declare const interactivePrimaryDisabledBackgroundColourSubtleYellow: "#ffe969";
+export declare const interactivePrimaryDisabledBackgroundColourBoldBlue: "#1e84d2";
+export declare const interactivePrimaryDisabledBackgroundColourBoldGreen: "#1a8952";
+export declare const interactivePrimaryDisabledBackgroundColourBoldRed: "#ff3e51";
+export declare const interactivePrimaryDisabledBackgroundColourBoldYellow: "#e48616";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralInverseRed: "#d3d3d3";
+export declare const interactivePrimaryDisabledBackgroundColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourSubtleBlue: "#76c8f1";
+export declare const interactivePrimaryDisabledBorderColourSubtleGreen: "#7fce9f";
+export declare const interactivePrimaryDisabledBorderColourSubtleRed: "#ff7e7e";
+export declare const interactivePrimaryDisabledBorderColourSubtleYellow: "#ffe969";
+export declare const interactivePrimaryDisabledBorderColourBoldBlue: "#1e84d2";
+export declare const interactivePrimaryDisabledBorderColourBoldGreen: "#1a8952";
+export declare const interactivePrimaryDisabledBorderColourBoldRed: "#ff3e51";
+export declare const interactivePrimaryDisabledBorderColourBoldYellow: "#e48616";
+export declare const interactivePrimaryDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const interactivePrimaryDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactivePrimaryDisabledColourNeutralBlue: "#7a7b7b";
+export declare const interactivePrimaryDisabledColourNeutralGreen: "#7a7b7b";
+export declare const interactivePrimaryDisabledColourNeutralRed: "#7a7b7b";
+export declare const interactivePrimaryDisabledColourNeutralYellow: "#7a7b7b";
+export declare const interactivePrimaryDisabledColourSubtleBlue: "#1e84d2";
+export declare const interactivePrimaryDisabledColourSubtleGreen: "#1a8952";
+export declare const interactivePrimaryDisabledColourSubtleRed: "#e2223e";
+export declare const interactivePrimaryDisabledColourSubtleYellow: "#ffb600";
+export declare const interactivePrimaryDisabledColourBoldBlue: "#001d6e";
+export declare const interactivePrimaryDisabledColourBoldGreen: "#014a39";
+export declare const interactivePrimaryDisabledColourBoldRed: "#940824";
+export declare const interactivePrimaryDisabledColourBoldYellow: "#c86426";
+export declare const interactivePrimaryDisabledColourNeutralInverseBlue: "#7a7b7b";
+export declare const interactivePrimaryDisabledColourNeutralInverseGreen: "#7a7b7b";
+export declare const interactivePrimaryDisabledColourNeutralInverseRed: "#7a7b7b";
+export declare const interactivePrimaryDisabledColourNeutralInverseYellow: "#7a7b7b";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const interactivePrimaryReversedRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const interactivePrimaryReversedRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const interactivePrimaryReversedRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactivePrimaryReversedRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const interactivePrimaryReversedRestBackgroundColourBoldBlue: "#005dba";
+export declare const interactivePrimaryReversedRestBackgroundColourBoldGreen: "#00633d";
+export declare const interactivePrimaryReversedRestBackgroundColourBoldRed: "#c50b30";
+export declare const interactivePrimaryReversedRestBackgroundColourBoldYellow: "#ffb600";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralRed: "#d3d3d3";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedRestBorderColourLightSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourLightSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourLightSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourLightSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourLightBoldBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBorderColourLightBoldGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBorderColourLightBoldRed: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBorderColourLightBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralInverseBlue: "#858686";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralInverseGreen: "#858686";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralInverseRed: "#858686";
+export declare const interactivePrimaryReversedRestBorderColourLightNeutralInverseYellow: "#858686";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkBoldBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBorderColourDarkBoldGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBorderColourDarkBoldRed: "#f4f4f4";
+export declare const interactivePrimaryReversedRestBorderColourDarkBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralInverseBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralInverseGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralInverseRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestBorderColourDarkNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralYellow: "#000000";
+export declare const interactivePrimaryReversedRestColourSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourSubtleYellow: "#000000";
+export declare const interactivePrimaryReversedRestColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedRestColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedRestColourBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedRestColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralInverseRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourNeutralInverseYellow: "#000000";
+export declare const interactivePrimaryReversedRestColourMutedNeutralBlue: "#4d4f4f";
+export declare const interactivePrimaryReversedRestColourMutedNeutralGreen: "#4d4f4f";
+export declare const interactivePrimaryReversedRestColourMutedNeutralRed: "#4d4f4f";
+export declare const interactivePrimaryReversedRestColourMutedNeutralYellow: "#4d4f4f";
+export declare const interactivePrimaryReversedRestColourMutedSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourMutedSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourMutedSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourMutedSubtleYellow: "#000000";
+export declare const interactivePrimaryReversedRestColourMutedBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedRestColourMutedBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedRestColourMutedBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedRestColourMutedBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedRestColourMutedNeutralInverseBlue: "#4d4f4f";
+export declare const interactivePrimaryReversedRestColourMutedNeutralInverseGreen: "#4d4f4f";
+export declare const interactivePrimaryReversedRestColourMutedNeutralInverseRed: "#4d4f4f";
+export declare const interactivePrimaryReversedRestColourMutedNeutralInverseYellow: "#4d4f4f";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralBlue: "#aee1f7";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralGreen: "#caeedd";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralRed: "#ffd5d2";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralYellow: "#fff9c7";
+export declare const interactivePrimaryReversedHoverBackgroundColourSubtleBlue: "#42aeea";
+export declare const interactivePrimaryReversedHoverBackgroundColourSubtleGreen: "#43af6e";
+export declare const interactivePrimaryReversedHoverBackgroundColourSubtleRed: "#ff3e51";
+export declare const interactivePrimaryReversedHoverBackgroundColourSubtleYellow: "#ffe969";
+export declare const interactivePrimaryReversedHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const interactivePrimaryReversedHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const interactivePrimaryReversedHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const interactivePrimaryReversedHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const interactivePrimaryReversedHoverBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralBlue: "#001d6e";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralGreen: "#01312e";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralRed: "#480411";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralYellow: "#572722";
+export declare const interactivePrimaryReversedHoverBorderColourLightSubtleBlue: "#001d6e";
+export declare const interactivePrimaryReversedHoverBorderColourLightSubtleGreen: "#01312e";
+export declare const interactivePrimaryReversedHoverBorderColourLightSubtleRed: "#480411";
+export declare const interactivePrimaryReversedHoverBorderColourLightSubtleYellow: "#572722";
+export declare const interactivePrimaryReversedHoverBorderColourLightBoldBlue: "#001d6e";
+export declare const interactivePrimaryReversedHoverBorderColourLightBoldGreen: "#01312e";
+export declare const interactivePrimaryReversedHoverBorderColourLightBoldRed: "#480411";
+export declare const interactivePrimaryReversedHoverBorderColourLightBoldYellow: "#572722";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralInverseRed: "#480411";
+export declare const interactivePrimaryReversedHoverBorderColourLightNeutralInverseYellow: "#572722";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourNeutralBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourNeutralGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourNeutralRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourNeutralYellow: "#000000";
+export declare const interactivePrimaryReversedHoverColourSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourSubtleYellow: "#000000";
+export declare const interactivePrimaryReversedHoverColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourNeutralInverseYellow: "#000000";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralYellow: "#000000";
+export declare const interactivePrimaryReversedHoverColourMutedSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedSubtleYellow: "#000000";
+export declare const interactivePrimaryReversedHoverColourMutedBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedBoldYellow: "#000000";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralInverseBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralInverseGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralInverseRed: "#1d1d1b";
+export declare const interactivePrimaryReversedHoverColourMutedNeutralInverseYellow: "#000000";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralBlue: "#005dba";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralGreen: "#00633d";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralRed: "#c50b30";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralYellow: "#ffb600";
+export declare const interactivePrimaryReversedActiveBackgroundColourSubtleBlue: "#005dba";
+export declare const interactivePrimaryReversedActiveBackgroundColourSubtleGreen: "#00633d";
+export declare const interactivePrimaryReversedActiveBackgroundColourSubtleRed: "#c50b30";
+export declare const interactivePrimaryReversedActiveBackgroundColourSubtleYellow: "#ffb600";
+export declare const interactivePrimaryReversedActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveBackgroundColourBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryReversedActiveBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveBorderColourLightSubtleBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightSubtleGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightSubtleRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveBorderColourLightBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveBorderColourLightBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveBorderColourLightBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveBorderColourLightBoldYellow: "#000000";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourLightNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralBlue: "#005dba";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralGreen: "#00633d";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralRed: "#c50b30";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralYellow: "#ffb600";
+export declare const interactivePrimaryReversedActiveBorderColourDarkSubtleBlue: "#005dba";
+export declare const interactivePrimaryReversedActiveBorderColourDarkSubtleGreen: "#00633d";
+export declare const interactivePrimaryReversedActiveBorderColourDarkSubtleRed: "#c50b30";
+export declare const interactivePrimaryReversedActiveBorderColourDarkSubtleYellow: "#ffb600";
+export declare const interactivePrimaryReversedActiveBorderColourDarkBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourDarkBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourDarkBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourDarkBoldYellow: "#ffffff";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryReversedActiveColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourSubtleBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourSubtleGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourSubtleRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedActiveColourNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourMutedSubtleBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedSubtleGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedSubtleRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedActiveColourMutedBoldBlue: "#4d4f4f";
+export declare const interactivePrimaryReversedActiveColourMutedBoldGreen: "#4d4f4f";
+export declare const interactivePrimaryReversedActiveColourMutedBoldRed: "#4d4f4f";
+export declare const interactivePrimaryReversedActiveColourMutedBoldYellow: "#4d4f4f";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryReversedActiveColourMutedNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const interactivePrimaryReversedFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const interactivePrimaryReversedFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const interactivePrimaryReversedFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactivePrimaryReversedFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const interactivePrimaryReversedFocusBackgroundColourBoldBlue: "#005dba";
+export declare const interactivePrimaryReversedFocusBackgroundColourBoldGreen: "#00633d";
+export declare const interactivePrimaryReversedFocusBackgroundColourBoldRed: "#c50b30";
+export declare const interactivePrimaryReversedFocusBackgroundColourBoldYellow: "#ffb600";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralYellow: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourLightSubtleBlue: "#aee1f7";
+export declare const interactivePrimaryReversedFocusBorderColourLightSubtleGreen: "#caeedd";
+export declare const interactivePrimaryReversedFocusBorderColourLightSubtleRed: "#ffd5d2";
+export declare const interactivePrimaryReversedFocusBorderColourLightSubtleYellow: "#fff9c7";
+export declare const interactivePrimaryReversedFocusBorderColourLightBoldBlue: "#005dba";
+export declare const interactivePrimaryReversedFocusBorderColourLightBoldGreen: "#00633d";
+export declare const interactivePrimaryReversedFocusBorderColourLightBoldRed: "#c50b30";
+export declare const interactivePrimaryReversedFocusBorderColourLightBoldYellow: "#ffb600";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralInverseBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralInverseGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralInverseRed: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourLightNeutralInverseYellow: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralYellow: "#ffffff";
+export declare const interactivePrimaryReversedFocusBorderColourDarkSubtleBlue: "#aee1f7";
+export declare const interactivePrimaryReversedFocusBorderColourDarkSubtleGreen: "#caeedd";
+export declare const interactivePrimaryReversedFocusBorderColourDarkSubtleRed: "#ffd5d2";
+export declare const interactivePrimaryReversedFocusBorderColourDarkSubtleYellow: "#fff9c7";
+export declare const interactivePrimaryReversedFocusBorderColourDarkBoldBlue: "#005dba";
+export declare const interactivePrimaryReversedFocusBorderColourDarkBoldGreen: "#00633d";
+export declare const interactivePrimaryReversedFocusBorderColourDarkBoldRed: "#c50b30";
+export declare const interactivePrimaryReversedFocusBorderColourDarkBoldYellow: "#ffb600";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseRed: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseYellow: "#f4f4f4";
+export declare const interactivePrimaryReversedFocusColourNeutralBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourNeutralGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourNeutralRed: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourNeutralYellow: "#000000";
+export declare const interactivePrimaryReversedFocusColourSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourSubtleYellow: "#000000";
+export declare const interactivePrimaryReversedFocusColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedFocusColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedFocusColourBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedFocusColourBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourNeutralInverseYellow: "#000000";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralRed: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralYellow: "#000000";
+export declare const interactivePrimaryReversedFocusColourMutedSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedSubtleYellow: "#000000";
+export declare const interactivePrimaryReversedFocusColourMutedBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedFocusColourMutedBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedFocusColourMutedBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedFocusColourMutedBoldYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralInverseBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralInverseGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralInverseRed: "#1d1d1b";
+export declare const interactivePrimaryReversedFocusColourMutedNeutralInverseYellow: "#000000";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralRed: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBackgroundColourSubtleBlue: "#d2effb";
+export declare const interactivePrimaryReversedDisabledBackgroundColourSubtleGreen: "#dff6eb";
+export declare const interactivePrimaryReversedDisabledBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactivePrimaryReversedDisabledBackgroundColourSubtleYellow: "#fffbdc";
+export declare const interactivePrimaryReversedDisabledBackgroundColourBoldBlue: "#d2effb";
+export declare const interactivePrimaryReversedDisabledBackgroundColourBoldGreen: "#dff6eb";
+export declare const interactivePrimaryReversedDisabledBackgroundColourBoldRed: "#ffd5d2";
+export declare const interactivePrimaryReversedDisabledBackgroundColourBoldYellow: "#fffbdc";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourSubtleBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourSubtleGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourSubtleRed: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourSubtleYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourBoldBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourBoldGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourBoldRed: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourBoldYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourNeutralBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourNeutralGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourNeutralRed: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourNeutralYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourSubtleBlue: "#76c8f1";
+export declare const interactivePrimaryReversedDisabledColourSubtleGreen: "#7fce9f";
+export declare const interactivePrimaryReversedDisabledColourSubtleRed: "#ff7e7e";
+export declare const interactivePrimaryReversedDisabledColourSubtleYellow: "#ffe969";
+export declare const interactivePrimaryReversedDisabledColourBoldBlue: "#76c8f1";
+export declare const interactivePrimaryReversedDisabledColourBoldGreen: "#7fce9f";
+export declare const interactivePrimaryReversedDisabledColourBoldRed: "#ff7e7e";
+export declare const interactivePrimaryReversedDisabledColourBoldYellow: "#ffe969";
+export declare const interactivePrimaryReversedDisabledColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourNeutralInverseRed: "#d3d3d3";
+export declare const interactivePrimaryReversedDisabledColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactivePaddingXsNeutralBlue: 8;
+export declare const interactivePaddingXsNeutralGreen: 8;
+export declare const interactivePaddingXsNeutralRed: 8;
+export declare const interactivePaddingXsNeutralYellow: 8;
+export declare const interactivePaddingXsSubtleBlue: 8;
+export declare const interactivePaddingXsSubtleGreen: 8;
+export declare const interactivePaddingXsSubtleRed: 8;
+export declare const interactivePaddingXsSubtleYellow: 8;
+export declare const interactivePaddingXsBoldBlue: 8;
+export declare const interactivePaddingXsBoldGreen: 8;
+export declare const interactivePaddingXsBoldRed: 8;
+export declare const interactivePaddingXsBoldYellow: 8;
+export declare const interactivePaddingXsNeutralInverseBlue: 8;
+export declare const interactivePaddingXsNeutralInverseGreen: 8;
+export declare const interactivePaddingXsNeutralInverseRed: 8;
+export declare const interactivePaddingXsNeutralInverseYellow: 8;
+export declare const interactivePaddingSmNeutralBlue: 12;
+export declare const interactivePaddingSmNeutralGreen: 12;
+export declare const interactivePaddingSmNeutralRed: 12;
+export declare const interactivePaddingSmNeutralYellow: 12;
+export declare const interactivePaddingSmSubtleBlue: 12;
+export declare const interactivePaddingSmSubtleGreen: 12;
+export declare const interactivePaddingSmSubtleRed: 12;
+export declare const interactivePaddingSmSubtleYellow: 12;
+export declare const interactivePaddingSmBoldBlue: 12;
+export declare const interactivePaddingSmBoldGreen: 12;
+export declare const interactivePaddingSmBoldRed: 12;
+export declare const interactivePaddingSmBoldYellow: 12;
+export declare const interactivePaddingSmNeutralInverseBlue: 12;
+export declare const interactivePaddingSmNeutralInverseGreen: 12;
+export declare const interactivePaddingSmNeutralInverseRed: 12;
+export declare const interactivePaddingSmNeutralInverseYellow: 12;
+export declare const interactivePaddingMdNeutralBlue: 16;
+export declare const interactivePaddingMdNeutralGreen: 16;
+export declare const interactivePaddingMdNeutralRed: 16;
+export declare const interactivePaddingMdNeutralYellow: 16;
+export declare const interactivePaddingMdSubtleBlue: 16;
+export declare const interactivePaddingMdSubtleGreen: 16;
+export declare const interactivePaddingMdSubtleRed: 16;
+export declare const interactivePaddingMdSubtleYellow: 16;
+export declare const interactivePaddingMdBoldBlue: 16;
+export declare const interactivePaddingMdBoldGreen: 16;
+export declare const interactivePaddingMdBoldRed: 16;
+export declare const interactivePaddingMdBoldYellow: 16;
+export declare const interactivePaddingMdNeutralInverseBlue: 16;
+export declare const interactivePaddingMdNeutralInverseGreen: 16;
+export declare const interactivePaddingMdNeutralInverseRed: 16;
+export declare const interactivePaddingMdNeutralInverseYellow: 16;
+export declare const interactivePaddingLgNeutralBlue: 20;
+export declare const interactivePaddingLgNeutralGreen: 20;
+export declare const interactivePaddingLgNeutralRed: 20;
+export declare const interactivePaddingLgNeutralYellow: 20;
+export declare const interactivePaddingLgSubtleBlue: 20;
+export declare const interactivePaddingLgSubtleGreen: 20;
+export declare const interactivePaddingLgSubtleRed: 20;
+export declare const interactivePaddingLgSubtleYellow: 20;
+export declare const interactivePaddingLgBoldBlue: 20;
+export declare const interactivePaddingLgBoldGreen: 20;
+export declare const interactivePaddingLgBoldRed: 20;
+export declare const interactivePaddingLgBoldYellow: 20;
+export declare const interactivePaddingLgNeutralInverseBlue: 20;
+export declare const interactivePaddingLgNeutralInverseGreen: 20;
+export declare const interactivePaddingLgNeutralInverseRed: 20;
+export declare const interactivePaddingLgNeutralInverseYellow: 20;
+export declare const interactiveBorderWidthXsNeutralBlue: 1;
+export declare const interactiveBorderWidthXsNeutralGreen: 1;
+export declare const interactiveBorderWidthXsNeutralRed: 1;
+export declare const interactiveBorderWidthXsNeutralYellow: 1;
+export declare const interactiveBorderWidthXsSubtleBlue: 1;
+export declare const interactiveBorderWidthXsSubtleGreen: 1;
+export declare const interactiveBorderWidthXsSubtleRed: 1;
+export declare const interactiveBorderWidthXsSubtleYellow: 1;
+export declare const interactiveBorderWidthXsBoldBlue: 1;
+export declare const interactiveBorderWidthXsBoldGreen: 1;
+export declare const interactiveBorderWidthXsBoldRed: 1;
+export declare const interactiveBorderWidthXsBoldYellow: 1;
+export declare const interactiveBorderWidthXsNeutralInverseBlue: 1;
+export declare const interactiveBorderWidthXsNeutralInverseGreen: 1;
+export declare const interactiveBorderWidthXsNeutralInverseRed: 1;
+export declare const interactiveBorderWidthXsNeutralInverseYellow: 1;
+export declare const interactiveBorderWidthSmNeutralBlue: 1.5;
+export declare const interactiveBorderWidthSmNeutralGreen: 1.5;
+export declare const interactiveBorderWidthSmNeutralRed: 1.5;
+export declare const interactiveBorderWidthSmNeutralYellow: 1.5;
+export declare const interactiveBorderWidthSmSubtleBlue: 1.5;
+export declare const interactiveBorderWidthSmSubtleGreen: 1.5;
+export declare const interactiveBorderWidthSmSubtleRed: 1.5;
+export declare const interactiveBorderWidthSmSubtleYellow: 1.5;
+export declare const interactiveBorderWidthSmBoldBlue: 1.5;
+export declare const interactiveBorderWidthSmBoldGreen: 1.5;
+export declare const interactiveBorderWidthSmBoldRed: 1.5;
+export declare const interactiveBorderWidthSmBoldYellow: 1.5;
+export declare const interactiveBorderWidthSmNeutralInverseBlue: 1.5;
+export declare const interactiveBorderWidthSmNeutralInverseGreen: 1.5;
+export declare const interactiveBorderWidthSmNeutralInverseRed: 1.5;
+export declare const interactiveBorderWidthSmNeutralInverseYellow: 1.5;
+export declare const interactiveUnderlineBorderWidthNeutralBlue: 2;
+export declare const interactiveUnderlineBorderWidthNeutralGreen: 2;
+export declare const interactiveUnderlineBorderWidthNeutralRed: 2;
+export declare const interactiveUnderlineBorderWidthNeutralYellow: 2;
+export declare const interactiveUnderlineBorderWidthSubtleBlue: 2;
+export declare const interactiveUnderlineBorderWidthSubtleGreen: 2;
+export declare const interactiveUnderlineBorderWidthSubtleRed: 2;
+export declare const interactiveUnderlineBorderWidthSubtleYellow: 2;
+export declare const interactiveUnderlineBorderWidthBoldBlue: 2;
+export declare const interactiveUnderlineBorderWidthBoldGreen: 2;
+export declare const interactiveUnderlineBorderWidthBoldRed: 2;
+export declare const interactiveUnderlineBorderWidthBoldYellow: 2;
+export declare const interactiveUnderlineBorderWidthNeutralInverseBlue: 2;
+export declare const interactiveUnderlineBorderWidthNeutralInverseGreen: 2;
+export declare const interactiveUnderlineBorderWidthNeutralInverseRed: 2;
+export declare const interactiveUnderlineBorderWidthNeutralInverseYellow: 2;
+export declare const interactiveBorderWidthLgNeutralBlue: 3;
+export declare const interactiveBorderWidthLgNeutralGreen: 3;
+export declare const interactiveBorderWidthLgNeutralRed: 3;
+export declare const interactiveBorderWidthLgNeutralYellow: 3;
+export declare const interactiveBorderWidthLgSubtleBlue: 3;
+export declare const interactiveBorderWidthLgSubtleGreen: 3;
+export declare const interactiveBorderWidthLgSubtleRed: 3;
+export declare const interactiveBorderWidthLgSubtleYellow: 3;
+export declare const interactiveBorderWidthLgBoldBlue: 3;
+export declare const interactiveBorderWidthLgBoldGreen: 3;
+export declare const interactiveBorderWidthLgBoldRed: 3;
+export declare const interactiveBorderWidthLgBoldYellow: 3;
+export declare const interactiveBorderWidthLgNeutralInverseBlue: 3;
+export declare const interactiveBorderWidthLgNeutralInverseGreen: 3;
+export declare const interactiveBorderWidthLgNeutralInverseRed: 3;
+export declare const interactiveBorderWidthLgNeutralInverseYellow: 3;
+export declare const interactiveFocusBorderWidthNeutralBlue: 3;
+export declare const interactiveFocusBorderWidthNeutralGreen: 3;
+export declare const interactiveFocusBorderWidthNeutralRed: 3;
+export declare const interactiveFocusBorderWidthNeutralYellow: 3;
+export declare const interactiveFocusBorderWidthSubtleBlue: 3;
+export declare const interactiveFocusBorderWidthSubtleGreen: 3;
+export declare const interactiveFocusBorderWidthSubtleRed: 3;
+export declare const interactiveFocusBorderWidthSubtleYellow: 3;
+export declare const interactiveFocusBorderWidthBoldBlue: 3;
+export declare const interactiveFocusBorderWidthBoldGreen: 3;
+export declare const interactiveFocusBorderWidthBoldRed: 3;
+export declare const interactiveFocusBorderWidthBoldYellow: 3;
+export declare const interactiveFocusBorderWidthNeutralInverseBlue: 3;
+export declare const interactiveFocusBorderWidthNeutralInverseGreen: 3;
+export declare const interactiveFocusBorderWidthNeutralInverseRed: 3;
+export declare const interactiveFocusBorderWidthNeutralInverseYellow: 3;
+export declare const interactiveBorderRadiusDefaultNeutralBlue: 12;
+export declare const interactiveBorderRadiusDefaultNeutralGreen: 12;
+export declare const interactiveBorderRadiusDefaultNeutralRed: 12;
+export declare const interactiveBorderRadiusDefaultNeutralYellow: 12;
+export declare const interactiveBorderRadiusDefaultSubtleBlue: 12;
+export declare const interactiveBorderRadiusDefaultSubtleGreen: 12;
+export declare const interactiveBorderRadiusDefaultSubtleRed: 12;
+export declare const interactiveBorderRadiusDefaultSubtleYellow: 12;
+export declare const interactiveBorderRadiusDefaultBoldBlue: 12;
+export declare const interactiveBorderRadiusDefaultBoldGreen: 12;
+export declare const interactiveBorderRadiusDefaultBoldRed: 12;
+export declare const interactiveBorderRadiusDefaultBoldYellow: 12;
+export declare const interactiveBorderRadiusDefaultNeutralInverseBlue: 12;
+export declare const interactiveBorderRadiusDefaultNeutralInverseGreen: 12;
+export declare const interactiveBorderRadiusDefaultNeutralInverseRed: 12;
+export declare const interactiveBorderRadiusDefaultNeutralInverseYellow: 12;
+export declare const interactiveBorderRadiusPillNeutralBlue: 28;
+export declare const interactiveBorderRadiusPillNeutralGreen: 28;
+export declare const interactiveBorderRadiusPillNeutralRed: 28;
+export declare const interactiveBorderRadiusPillNeutralYellow: 28;
+export declare const interactiveBorderRadiusPillSubtleBlue: 28;
+export declare const interactiveBorderRadiusPillSubtleGreen: 28;
+export declare const interactiveBorderRadiusPillSubtleRed: 28;
+export declare const interactiveBorderRadiusPillSubtleYellow: 28;
+export declare const interactiveBorderRadiusPillBoldBlue: 28;
+export declare const interactiveBorderRadiusPillBoldGreen: 28;
+export declare const interactiveBorderRadiusPillBoldRed: 28;
+export declare const interactiveBorderRadiusPillBoldYellow: 28;
+export declare const interactiveBorderRadiusPillNeutralInverseBlue: 28;
+export declare const interactiveBorderRadiusPillNeutralInverseGreen: 28;
+export declare const interactiveBorderRadiusPillNeutralInverseRed: 28;
+export declare const interactiveBorderRadiusPillNeutralInverseYellow: 28;
+export declare const interactiveGapNeutralBlue: 8;
+export declare const interactiveGapNeutralGreen: 8;
+export declare const interactiveGapNeutralRed: 8;
+export declare const interactiveGapNeutralYellow: 8;
+export declare const interactiveGapSubtleBlue: 8;
+export declare const interactiveGapSubtleGreen: 8;
+export declare const interactiveGapSubtleRed: 8;
+export declare const interactiveGapSubtleYellow: 8;
+export declare const interactiveGapBoldBlue: 8;
+export declare const interactiveGapBoldGreen: 8;
+export declare const interactiveGapBoldRed: 8;
+export declare const interactiveGapBoldYellow: 8;
+export declare const interactiveGapNeutralInverseBlue: 8;
+export declare const interactiveGapNeutralInverseGreen: 8;
+export declare const interactiveGapNeutralInverseRed: 8;
+export declare const interactiveGapNeutralInverseYellow: 8;
+export declare const interactiveMinHeightNeutralBlue: 48;
+export declare const interactiveMinHeightNeutralGreen: 48;
+export declare const interactiveMinHeightNeutralRed: 48;
+export declare const interactiveMinHeightNeutralYellow: 48;
+export declare const interactiveMinHeightSubtleBlue: 48;
+export declare const interactiveMinHeightSubtleGreen: 48;
+export declare const interactiveMinHeightSubtleRed: 48;
+export declare const interactiveMinHeightSubtleYellow: 48;
+export declare const interactiveMinHeightBoldBlue: 48;
+export declare const interactiveMinHeightBoldGreen: 48;
+export declare const interactiveMinHeightBoldRed: 48;
+export declare const interactiveMinHeightBoldYellow: 48;
+export declare const interactiveMinHeightNeutralInverseBlue: 48;
+export declare const interactiveMinHeightNeutralInverseGreen: 48;
+export declare const interactiveMinHeightNeutralInverseRed: 48;
+export declare const interactiveMinHeightNeutralInverseYellow: 48;
+export declare const interactiveMinWidthNeutralBlue: 48;
+export declare const interactiveMinWidthNeutralGreen: 48;
+export declare const interactiveMinWidthNeutralRed: 48;
+export declare const interactiveMinWidthNeutralYellow: 48;
+export declare const interactiveMinWidthSubtleBlue: 48;
+export declare const interactiveMinWidthSubtleGreen: 48;
+export declare const interactiveMinWidthSubtleRed: 48;
+export declare const interactiveMinWidthSubtleYellow: 48;
+export declare const interactiveMinWidthBoldBlue: 48;
+export declare const interactiveMinWidthBoldGreen: 48;
+export declare const interactiveMinWidthBoldRed: 48;
+export declare const interactiveMinWidthBoldYellow: 48;
+export declare const interactiveMinWidthNeutralInverseBlue: 48;
+export declare const interactiveMinWidthNeutralInverseGreen: 48;
+export declare const interactiveMinWidthNeutralInverseRed: 48;
+export declare const interactiveMinWidthNeutralInverseYellow: 48;
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralBlue: "#aee1f7";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralGreen: "#caeedd";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralRed: "#ffd5d2";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralYellow: "#fff9c7";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourBoldBlue: "#42aeea";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourBoldGreen: "#43af6e";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourBoldRed: "#ff3e51";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourBoldYellow: "#ffe969";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralRed: "#940824";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralYellow: "#c86426";
+export declare const interactivePrimaryReversedSubtleRestBorderColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleRestBorderColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleRestBorderColourSubtleRed: "#940824";
+export declare const interactivePrimaryReversedSubtleRestBorderColourSubtleYellow: "#c86426";
+export declare const interactivePrimaryReversedSubtleRestBorderColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleRestBorderColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleRestBorderColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleRestBorderColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseRed: "#940824";
+export declare const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseYellow: "#c86426";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralRed: "#480411";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleRestColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleRestColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleRestColourSubtleRed: "#480411";
+export declare const interactivePrimaryReversedSubtleRestColourSubtleYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleRestColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleRestColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleRestColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleRestColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralInverseRed: "#480411";
+export declare const interactivePrimaryReversedSubtleRestColourNeutralInverseYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralBlue: "#005dba";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralGreen: "#00633d";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralRed: "#c50b30";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralYellow: "#ffb600";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleBlue: "#005dba";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleGreen: "#00633d";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleRed: "#c50b30";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleYellow: "#ffb600";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralBlue: "#005dba";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralGreen: "#00633d";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralRed: "#c50b30";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralYellow: "#ffb600";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourSubtleBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourSubtleGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourSubtleRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourSubtleYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseBlue: "#005dba";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseGreen: "#00633d";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseRed: "#c50b30";
+export declare const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseYellow: "#ffb600";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverColourSubtleBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourSubtleGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourSubtleRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourSubtleYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleHoverColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleHoverColourNeutralInverseYellow: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralRed: "#480411";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleRed: "#480411";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseRed: "#480411";
+export declare const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralRed: "#480411";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourSubtleRed: "#480411";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourSubtleYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourBoldBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourBoldGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourBoldRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourBoldYellow: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseRed: "#480411";
+export declare const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralYellow: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourSubtleBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourSubtleGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourSubtleRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourSubtleYellow: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleActiveColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleActiveColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleActiveColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralInverseBlue: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralInverseGreen: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralInverseRed: "#ffffff";
+export declare const interactivePrimaryReversedSubtleActiveColourNeutralInverseYellow: "#ffffff";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralBlue: "#aee1f7";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralGreen: "#caeedd";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralRed: "#ffd5d2";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralYellow: "#fff9c7";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourBoldBlue: "#42aeea";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourBoldGreen: "#43af6e";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourBoldRed: "#ff3e51";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourBoldYellow: "#ffe969";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralRed: "#940824";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralYellow: "#c86426";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourSubtleRed: "#940824";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourSubtleYellow: "#c86426";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseRed: "#940824";
+export declare const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseYellow: "#c86426";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralRed: "#480411";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleFocusColourSubtleBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleFocusColourSubtleGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleFocusColourSubtleRed: "#480411";
+export declare const interactivePrimaryReversedSubtleFocusColourSubtleYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleFocusColourBoldBlue: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleFocusColourBoldGreen: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleFocusColourBoldRed: "#1d1d1b";
+export declare const interactivePrimaryReversedSubtleFocusColourBoldYellow: "#000000";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralInverseBlue: "#001d6e";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralInverseGreen: "#01312e";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralInverseRed: "#480411";
+export declare const interactivePrimaryReversedSubtleFocusColourNeutralInverseYellow: "#572722";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourSubtleBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourSubtleGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourSubtleRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourSubtleYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourBoldBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourBoldGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourBoldRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourBoldYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralBlue: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralGreen: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralRed: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralYellow: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourSubtleBlue: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourSubtleGreen: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourSubtleRed: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourSubtleYellow: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourBoldBlue: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourBoldGreen: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourBoldRed: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourBoldYellow: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralInverseBlue: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralInverseGreen: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralInverseRed: "#7a7b7b";
+export declare const interactivePrimaryReversedSubtleDisabledColourNeutralInverseYellow: "#7a7b7b";
+export declare const interactiveSecondaryRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const interactiveSecondaryRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const interactiveSecondaryRestBackgroundColourNeutralRed: "#ffffff";
+export declare const interactiveSecondaryRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const interactiveSecondaryRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const interactiveSecondaryRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const interactiveSecondaryRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactiveSecondaryRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const interactiveSecondaryRestBackgroundColourBoldBlue: "#005dba";
+export declare const interactiveSecondaryRestBackgroundColourBoldGreen: "#00633d";
+export declare const interactiveSecondaryRestBackgroundColourBoldRed: "#c50b30";
+export declare const interactiveSecondaryRestBackgroundColourBoldYellow: "#ffb600";
+export declare const interactiveSecondaryRestBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const interactiveSecondaryRestBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const interactiveSecondaryRestBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const interactiveSecondaryRestBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const interactiveSecondaryRestBorderColourNeutralBlue: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourNeutralGreen: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourNeutralRed: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourNeutralYellow: "#000000";
+export declare const interactiveSecondaryRestBorderColourSubtleBlue: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourSubtleGreen: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourSubtleRed: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourSubtleYellow: "#000000";
+export declare const interactiveSecondaryRestBorderColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryRestBorderColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryRestBorderColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryRestBorderColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const interactiveSecondaryRestBorderColourNeutralInverseYellow: "#000000";
+export declare const interactiveSecondaryRestColourNeutralBlue: "#1d1d1b";
+export declare const interactiveSecondaryRestColourNeutralGreen: "#1d1d1b";
+export declare const interactiveSecondaryRestColourNeutralRed: "#1d1d1b";
+export declare const interactiveSecondaryRestColourNeutralYellow: "#000000";
+export declare const interactiveSecondaryRestColourSubtleBlue: "#1d1d1b";
+export declare const interactiveSecondaryRestColourSubtleGreen: "#1d1d1b";
+export declare const interactiveSecondaryRestColourSubtleRed: "#1d1d1b";
+export declare const interactiveSecondaryRestColourSubtleYellow: "#000000";
+export declare const interactiveSecondaryRestColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryRestColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryRestColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryRestColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactiveSecondaryRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactiveSecondaryRestColourNeutralInverseRed: "#1d1d1b";
+export declare const interactiveSecondaryRestColourNeutralInverseYellow: "#000000";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralBlue: "#001d6e";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralGreen: "#01312e";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralRed: "#940824";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralYellow: "#904029";
+export declare const interactiveSecondaryHoverBackgroundColourSubtleBlue: "#001d6e";
+export declare const interactiveSecondaryHoverBackgroundColourSubtleGreen: "#01312e";
+export declare const interactiveSecondaryHoverBackgroundColourSubtleRed: "#940824";
+export declare const interactiveSecondaryHoverBackgroundColourSubtleYellow: "#904029";
+export declare const interactiveSecondaryHoverBackgroundColourBoldBlue: "#001d6e";
+export declare const interactiveSecondaryHoverBackgroundColourBoldGreen: "#01312e";
+export declare const interactiveSecondaryHoverBackgroundColourBoldRed: "#940824";
+export declare const interactiveSecondaryHoverBackgroundColourBoldYellow: "#ffe969";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralInverseBlue: "#001d6e";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralInverseGreen: "#01312e";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralInverseRed: "#940824";
+export declare const interactiveSecondaryHoverBackgroundColourNeutralInverseYellow: "#904029";
+export declare const interactiveSecondaryHoverBorderColourNeutralBlue: "#001d6e";
+export declare const interactiveSecondaryHoverBorderColourNeutralGreen: "#01312e";
+export declare const interactiveSecondaryHoverBorderColourNeutralRed: "#940824";
+export declare const interactiveSecondaryHoverBorderColourNeutralYellow: "#904029";
+export declare const interactiveSecondaryHoverBorderColourSubtleBlue: "#001d6e";
+export declare const interactiveSecondaryHoverBorderColourSubtleGreen: "#01312e";
+export declare const interactiveSecondaryHoverBorderColourSubtleRed: "#940824";
+export declare const interactiveSecondaryHoverBorderColourSubtleYellow: "#904029";
+export declare const interactiveSecondaryHoverBorderColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryHoverBorderColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryHoverBorderColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryHoverBorderColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryHoverBorderColourNeutralInverseBlue: "#001d6e";
+export declare const interactiveSecondaryHoverBorderColourNeutralInverseGreen: "#01312e";
+export declare const interactiveSecondaryHoverBorderColourNeutralInverseRed: "#940824";
+export declare const interactiveSecondaryHoverBorderColourNeutralInverseYellow: "#904029";
+export declare const interactiveSecondaryHoverColourNeutralBlue: "#ffffff";
+export declare const interactiveSecondaryHoverColourNeutralGreen: "#ffffff";
+export declare const interactiveSecondaryHoverColourNeutralRed: "#ffffff";
+export declare const interactiveSecondaryHoverColourNeutralYellow: "#ffffff";
+export declare const interactiveSecondaryHoverColourSubtleBlue: "#ffffff";
+export declare const interactiveSecondaryHoverColourSubtleGreen: "#ffffff";
+export declare const interactiveSecondaryHoverColourSubtleRed: "#ffffff";
+export declare const interactiveSecondaryHoverColourSubtleYellow: "#ffffff";
+export declare const interactiveSecondaryHoverColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryHoverColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryHoverColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryHoverColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryHoverColourNeutralInverseBlue: "#ffffff";
+export declare const interactiveSecondaryHoverColourNeutralInverseGreen: "#ffffff";
+export declare const interactiveSecondaryHoverColourNeutralInverseRed: "#ffffff";
+export declare const interactiveSecondaryHoverColourNeutralInverseYellow: "#ffffff";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralBlue: "#000039";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralGreen: "#011b1f";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralRed: "#480411";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralYellow: "#572722";
+export declare const interactiveSecondaryActiveBackgroundColourSubtleBlue: "#000039";
+export declare const interactiveSecondaryActiveBackgroundColourSubtleGreen: "#011b1f";
+export declare const interactiveSecondaryActiveBackgroundColourSubtleRed: "#480411";
+export declare const interactiveSecondaryActiveBackgroundColourSubtleYellow: "#572722";
+export declare const interactiveSecondaryActiveBackgroundColourBoldBlue: "#000039";
+export declare const interactiveSecondaryActiveBackgroundColourBoldGreen: "#011b1f";
+export declare const interactiveSecondaryActiveBackgroundColourBoldRed: "#480411";
+export declare const interactiveSecondaryActiveBackgroundColourBoldYellow: "#fffbdc";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralInverseBlue: "#000039";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralInverseGreen: "#011b1f";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralInverseRed: "#480411";
+export declare const interactiveSecondaryActiveBackgroundColourNeutralInverseYellow: "#572722";
+export declare const interactiveSecondaryActiveBorderColourNeutralBlue: "#000039";
+export declare const interactiveSecondaryActiveBorderColourNeutralGreen: "#011b1f";
+export declare const interactiveSecondaryActiveBorderColourNeutralRed: "#480411";
+export declare const interactiveSecondaryActiveBorderColourNeutralYellow: "#572722";
+export declare const interactiveSecondaryActiveBorderColourSubtleBlue: "#000039";
+export declare const interactiveSecondaryActiveBorderColourSubtleGreen: "#011b1f";
+export declare const interactiveSecondaryActiveBorderColourSubtleRed: "#480411";
+export declare const interactiveSecondaryActiveBorderColourSubtleYellow: "#572722";
+export declare const interactiveSecondaryActiveBorderColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryActiveBorderColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryActiveBorderColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryActiveBorderColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryActiveBorderColourNeutralInverseBlue: "#000039";
+export declare const interactiveSecondaryActiveBorderColourNeutralInverseGreen: "#011b1f";
+export declare const interactiveSecondaryActiveBorderColourNeutralInverseRed: "#480411";
+export declare const interactiveSecondaryActiveBorderColourNeutralInverseYellow: "#572722";
+export declare const interactiveSecondaryActiveColourNeutralBlue: "#ffffff";
+export declare const interactiveSecondaryActiveColourNeutralGreen: "#ffffff";
+export declare const interactiveSecondaryActiveColourNeutralRed: "#ffffff";
+export declare const interactiveSecondaryActiveColourNeutralYellow: "#ffffff";
+export declare const interactiveSecondaryActiveColourSubtleBlue: "#ffffff";
+export declare const interactiveSecondaryActiveColourSubtleGreen: "#ffffff";
+export declare const interactiveSecondaryActiveColourSubtleRed: "#ffffff";
+export declare const interactiveSecondaryActiveColourSubtleYellow: "#ffffff";
+export declare const interactiveSecondaryActiveColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryActiveColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryActiveColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryActiveColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryActiveColourNeutralInverseBlue: "#ffffff";
+export declare const interactiveSecondaryActiveColourNeutralInverseGreen: "#ffffff";
+export declare const interactiveSecondaryActiveColourNeutralInverseRed: "#ffffff";
+export declare const interactiveSecondaryActiveColourNeutralInverseYellow: "#ffffff";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const interactiveSecondaryFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const interactiveSecondaryFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const interactiveSecondaryFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactiveSecondaryFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const interactiveSecondaryFocusBackgroundColourBoldBlue: "#005dba";
+export declare const interactiveSecondaryFocusBackgroundColourBoldGreen: "#00633d";
+export declare const interactiveSecondaryFocusBackgroundColourBoldRed: "#c50b30";
+export declare const interactiveSecondaryFocusBackgroundColourBoldYellow: "#ffb600";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const interactiveSecondaryFocusBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const interactiveSecondaryFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourNeutralYellow: "#000000";
+export declare const interactiveSecondaryFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourSubtleYellow: "#000000";
+export declare const interactiveSecondaryFocusBorderColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryFocusBorderColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryFocusBorderColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const interactiveSecondaryFocusBorderColourNeutralInverseYellow: "#000000";
+export declare const interactiveSecondaryFocusColourNeutralBlue: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourNeutralGreen: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourNeutralRed: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourNeutralYellow: "#000000";
+export declare const interactiveSecondaryFocusColourSubtleBlue: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourSubtleGreen: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourSubtleRed: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourSubtleYellow: "#000000";
+export declare const interactiveSecondaryFocusColourBoldBlue: "#ffffff";
+export declare const interactiveSecondaryFocusColourBoldGreen: "#ffffff";
+export declare const interactiveSecondaryFocusColourBoldRed: "#ffffff";
+export declare const interactiveSecondaryFocusColourBoldYellow: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const interactiveSecondaryFocusColourNeutralInverseYellow: "#000000";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralBlue: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralGreen: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralRed: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralYellow: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBackgroundColourSubtleBlue: "#aee1f7";
+export declare const interactiveSecondaryDisabledBackgroundColourSubtleGreen: "#caeedd";
+export declare const interactiveSecondaryDisabledBackgroundColourSubtleRed: "#ffd5d2";
+export declare const interactiveSecondaryDisabledBackgroundColourSubtleYellow: "#fff9c7";
+export declare const interactiveSecondaryDisabledBackgroundColourBoldBlue: "#005dba";
+export declare const interactiveSecondaryDisabledBackgroundColourBoldGreen: "#00633d";
+export declare const interactiveSecondaryDisabledBackgroundColourBoldRed: "#c50b30";
+export declare const interactiveSecondaryDisabledBackgroundColourBoldYellow: "#ffb600";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralInverseRed: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBackgroundColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourSubtleBlue: "#76c8f1";
+export declare const interactiveSecondaryDisabledBorderColourSubtleGreen: "#7fce9f";
+export declare const interactiveSecondaryDisabledBorderColourSubtleRed: "#ff7e7e";
+export declare const interactiveSecondaryDisabledBorderColourSubtleYellow: "#ffe969";
+export declare const interactiveSecondaryDisabledBorderColourBoldBlue: "#001d6e";
+export declare const interactiveSecondaryDisabledBorderColourBoldGreen: "#014a39";
+export declare const interactiveSecondaryDisabledBorderColourBoldRed: "#940824";
+export declare const interactiveSecondaryDisabledBorderColourBoldYellow: "#c86426";
+export declare const interactiveSecondaryDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const interactiveSecondaryDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const interactiveSecondaryDisabledColourNeutralBlue: "#7a7b7b";
+export declare const interactiveSecondaryDisabledColourNeutralGreen: "#7a7b7b";
+export declare const interactiveSecondaryDisabledColourNeutralRed: "#7a7b7b";
+export declare const interactiveSecondaryDisabledColourNeutralYellow: "#7a7b7b";
+export declare const interactiveSecondaryDisabledColourSubtleBlue: "#1e84d2";
+export declare const interactiveSecondaryDisabledColourSubtleGreen: "#1a8952";
+export declare const interactiveSecondaryDisabledColourSubtleRed: "#e2223e";
+export declare const interactiveSecondaryDisabledColourSubtleYellow: "#ffb600";
+export declare const interactiveSecondaryDisabledColourBoldBlue: "#001d6e";
+export declare const interactiveSecondaryDisabledColourBoldGreen: "#014a39";
+export declare const interactiveSecondaryDisabledColourBoldRed: "#940824";
+export declare const interactiveSecondaryDisabledColourBoldYellow: "#c86426";
+export declare const interactiveSecondaryDisabledColourNeutralInverseBlue: "#7a7b7b";
+export declare const interactiveSecondaryDisabledColourNeutralInverseGreen: "#7a7b7b";
+export declare const interactiveSecondaryDisabledColourNeutralInverseRed: "#7a7b7b";
+export declare const interactiveSecondaryDisabledColourNeutralInverseYellow: "#7a7b7b";
+export declare const interactiveStatusRestBackgroundColourNeutralInfo: "#005dba";
+export declare const interactiveStatusRestBackgroundColourNeutralSuccess: "#00633d";
+export declare const interactiveStatusRestBackgroundColourNeutralWarning: "#ffb600";
+export declare const interactiveStatusRestBackgroundColourNeutralError: "#c50b30";
+export declare const interactiveStatusRestBackgroundColourNeutralGeneric: "#4d4f4f";
+export declare const interactiveStatusRestBackgroundColourSubtleInfo: "#005dba";
+export declare const interactiveStatusRestBackgroundColourSubtleSuccess: "#00633d";
+export declare const interactiveStatusRestBackgroundColourSubtleWarning: "#ffb600";
+export declare const interactiveStatusRestBackgroundColourSubtleError: "#c50b30";
+export declare const interactiveStatusRestBackgroundColourSubtleGeneric: "#4d4f4f";
+export declare const interactiveStatusRestBackgroundColourBoldInfo: "#005dba";
+export declare const interactiveStatusRestBackgroundColourBoldSuccess: "#00633d";
+export declare const interactiveStatusRestBackgroundColourBoldWarning: "#ffb600";
+export declare const interactiveStatusRestBackgroundColourBoldError: "#c50b30";
+export declare const interactiveStatusRestBackgroundColourBoldGeneric: "#4d4f4f";
+export declare const interactiveStatusRestBackgroundColourNeutralInverseInfo: "#005dba";
+export declare const interactiveStatusRestBackgroundColourNeutralInverseSuccess: "#00633d";
+export declare const interactiveStatusRestBackgroundColourNeutralInverseWarning: "#ffb600";
+export declare const interactiveStatusRestBackgroundColourNeutralInverseError: "#c50b30";
+export declare const interactiveStatusRestBackgroundColourNeutralInverseGeneric: "#4d4f4f";
+export declare const interactiveStatusRestBorderColourNeutralInfo: "#005dba";
+export declare const interactiveStatusRestBorderColourNeutralSuccess: "#00633d";
+export declare const interactiveStatusRestBorderColourNeutralWarning: "#ffb600";
+export declare const interactiveStatusRestBorderColourNeutralError: "#c50b30";
+export declare const interactiveStatusRestBorderColourNeutralGeneric: "#4d4f4f";
+export declare const interactiveStatusRestBorderColourSubtleInfo: "#005dba";
+export declare const interactiveStatusRestBorderColourSubtleSuccess: "#00633d";
+export declare const interactiveStatusRestBorderColourSubtleWarning: "#ffb600";
+export declare const interactiveStatusRestBorderColourSubtleError: "#c50b30";
+export declare const interactiveStatusRestBorderColourSubtleGeneric: "#4d4f4f";
+export declare const interactiveStatusRestBorderColourBoldInfo: "#005dba";
+export declare const interactiveStatusRestBorderColourBoldSuccess: "#00633d";
+export declare const interactiveStatusRestBorderColourBoldWarning: "#ffb600";
+export declare const interactiveStatusRestBorderColourBoldError: "#c50b30";
+export declare const interactiveStatusRestBorderColourBoldGeneric: "#4d4f4f";
+export declare const interactiveStatusRestBorderColourNeutralInverseInfo: "#005dba";
+export declare const interactiveStatusRestBorderColourNeutralInverseSuccess: "#00633d";
+export declare const interactiveStatusRestBorderColourNeutralInverseWarning: "#ffb600";
+export declare const interactiveStatusRestBorderColourNeutralInverseError: "#c50b30";
+export declare const interactiveStatusRestBorderColourNeutralInverseGeneric: "#4d4f4f";
+export declare const interactiveStatusRestColourNeutralInfo: "#ffffff";
+export declare const interactiveStatusRestColourNeutralSuccess: "#ffffff";
+export declare const interactiveStatusRestColourNeutralWarning: "#1d1d1b";
+export declare const interactiveStatusRestColourNeutralError: "#ffffff";
+export declare const interactiveStatusRestColourNeutralGeneric: "#ffffff";
+export declare const interactiveStatusRestColourSubtleInfo: "#ffffff";
+export declare const interactiveStatusRestColourSubtleSuccess: "#ffffff";
+export declare const interactiveStatusRestColourSubtleWarning: "#1d1d1b";
+export declare const interactiveStatusRestColourSubtleError: "#ffffff";
+export declare const interactiveStatusRestColourSubtleGeneric: "#ffffff";
+export declare const interactiveStatusRestColourBoldInfo: "#ffffff";
+export declare const interactiveStatusRestColourBoldSuccess: "#ffffff";
+export declare const interactiveStatusRestColourBoldWarning: "#1d1d1b";
+export declare const interactiveStatusRestColourBoldError: "#ffffff";
+export declare const interactiveStatusRestColourBoldGeneric: "#ffffff";
+export declare const interactiveStatusRestColourNeutralInverseInfo: "#ffffff";
+export declare const interactiveStatusRestColourNeutralInverseSuccess: "#ffffff";
+export declare const interactiveStatusRestColourNeutralInverseWarning: "#1d1d1b";
+export declare const interactiveStatusRestColourNeutralInverseError: "#ffffff";
+export declare const interactiveStatusRestColourNeutralInverseGeneric: "#ffffff";
+export declare const interactiveStatusHoverBackgroundColourNeutralInfo: "#001d6e";
+export declare const interactiveStatusHoverBackgroundColourNeutralSuccess: "#01312e";
+export declare const interactiveStatusHoverBackgroundColourNeutralWarning: "#904029";
+export declare const interactiveStatusHoverBackgroundColourNeutralError: "#940824";
+export declare const interactiveStatusHoverBackgroundColourNeutralGeneric: "#343634";
+export declare const interactiveStatusHoverBackgroundColourSubtleInfo: "#001d6e";
+export declare const interactiveStatusHoverBackgroundColourSubtleSuccess: "#01312e";
+export declare const interactiveStatusHoverBackgroundColourSubtleWarning: "#904029";
+export declare const interactiveStatusHoverBackgroundColourSubtleError: "#940824";
+export declare const interactiveStatusHoverBackgroundColourSubtleGeneric: "#343634";
+export declare const interactiveStatusHoverBackgroundColourBoldInfo: "#001d6e";
+export declare const interactiveStatusHoverBackgroundColourBoldSuccess: "#01312e";
+export declare const interactiveStatusHoverBackgroundColourBoldWarning: "#904029";
+export declare const interactiveStatusHoverBackgroundColourBoldError: "#940824";
+export declare const interactiveStatusHoverBackgroundColourBoldGeneric: "#343634";
+export declare const interactiveStatusHoverBackgroundColourNeutralInverseInfo: "#001d6e";
+export declare const interactiveStatusHoverBackgroundColourNeutralInverseSuccess: "#01312e";
+export declare const interactiveStatusHoverBackgroundColourNeutralInverseWarning: "#904029";
+export declare const interactiveStatusHoverBackgroundColourNeutralInverseError: "#940824";
+export declare const interactiveStatusHoverBackgroundColourNeutralInverseGeneric: "#343634";
+export declare const interactiveStatusHoverBorderColourNeutralInfo: "#001d6e";
+export declare const interactiveStatusHoverBorderColourNeutralSuccess: "#01312e";
+export declare const interactiveStatusHoverBorderColourNeutralWarning: "#904029";
+export declare const interactiveStatusHoverBorderColourNeutralError: "#940824";
+export declare const interactiveStatusHoverBorderColourNeutralGeneric: "#343634";
+export declare const interactiveStatusHoverBorderColourSubtleInfo: "#001d6e";
+export declare const interactiveStatusHoverBorderColourSubtleSuccess: "#01312e";
+export declare const interactiveStatusHoverBorderColourSubtleWarning: "#904029";
+export declare const interactiveStatusHoverBorderColourSubtleError: "#940824";
+export declare const interactiveStatusHoverBorderColourSubtleGeneric: "#343634";
+export declare const interactiveStatusHoverBorderColourBoldInfo: "#001d6e";
+export declare const interactiveStatusHoverBorderColourBoldSuccess: "#01312e";
+export declare const interactiveStatusHoverBorderColourBoldWarning: "#904029";
+export declare const interactiveStatusHoverBorderColourBoldError: "#940824";
+export declare const interactiveStatusHoverBorderColourBoldGeneric: "#343634";
+export declare const interactiveStatusHoverBorderColourNeutralInverseInfo: "#001d6e";
+export declare const interactiveStatusHoverBorderColourNeutralInverseSuccess: "#01312e";
+export declare const interactiveStatusHoverBorderColourNeutralInverseWarning: "#904029";
+export declare const interactiveStatusHoverBorderColourNeutralInverseError: "#940824";
+export declare const interactiveStatusHoverBorderColourNeutralInverseGeneric: "#343634";
+export declare const interactiveStatusHoverColourNeutralInfo: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralSuccess: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralWarning: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralError: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralGeneric: "#ffffff";
+export declare const interactiveStatusHoverColourSubtleInfo: "#ffffff";
+export declare const interactiveStatusHoverColourSubtleSuccess: "#ffffff";
+export declare const interactiveStatusHoverColourSubtleWarning: "#ffffff";
+export declare const interactiveStatusHoverColourSubtleError: "#ffffff";
+export declare const interactiveStatusHoverColourSubtleGeneric: "#ffffff";
+export declare const interactiveStatusHoverColourBoldInfo: "#ffffff";
+export declare const interactiveStatusHoverColourBoldSuccess: "#ffffff";
+export declare const interactiveStatusHoverColourBoldWarning: "#ffffff";
+export declare const interactiveStatusHoverColourBoldError: "#ffffff";
+export declare const interactiveStatusHoverColourBoldGeneric: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralInverseInfo: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralInverseSuccess: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralInverseWarning: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralInverseError: "#ffffff";
+export declare const interactiveStatusHoverColourNeutralInverseGeneric: "#ffffff";
+export declare const interactiveStatusActiveBackgroundColourNeutralInfo: "#000a52";
+export declare const interactiveStatusActiveBackgroundColourNeutralSuccess: "#012425";
+export declare const interactiveStatusActiveBackgroundColourNeutralWarning: "#572722";
+export declare const interactiveStatusActiveBackgroundColourNeutralError: "#6e061b";
+export declare const interactiveStatusActiveBackgroundColourNeutralGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveBackgroundColourSubtleInfo: "#000a52";
+export declare const interactiveStatusActiveBackgroundColourSubtleSuccess: "#012425";
+export declare const interactiveStatusActiveBackgroundColourSubtleWarning: "#572722";
+export declare const interactiveStatusActiveBackgroundColourSubtleError: "#6e061b";
+export declare const interactiveStatusActiveBackgroundColourSubtleGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveBackgroundColourBoldInfo: "#000a52";
+export declare const interactiveStatusActiveBackgroundColourBoldSuccess: "#012425";
+export declare const interactiveStatusActiveBackgroundColourBoldWarning: "#572722";
+export declare const interactiveStatusActiveBackgroundColourBoldError: "#6e061b";
+export declare const interactiveStatusActiveBackgroundColourBoldGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveBackgroundColourNeutralInverseInfo: "#000a52";
+export declare const interactiveStatusActiveBackgroundColourNeutralInverseSuccess: "#012425";
+export declare const interactiveStatusActiveBackgroundColourNeutralInverseWarning: "#572722";
+export declare const interactiveStatusActiveBackgroundColourNeutralInverseError: "#6e061b";
+export declare const interactiveStatusActiveBackgroundColourNeutralInverseGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveBorderColourNeutralInfo: "#000a52";
+export declare const interactiveStatusActiveBorderColourNeutralSuccess: "#012425";
+export declare const interactiveStatusActiveBorderColourNeutralWarning: "#572722";
+export declare const interactiveStatusActiveBorderColourNeutralError: "#6e061b";
+export declare const interactiveStatusActiveBorderColourNeutralGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveBorderColourSubtleInfo: "#000a52";
+export declare const interactiveStatusActiveBorderColourSubtleSuccess: "#012425";
+export declare const interactiveStatusActiveBorderColourSubtleWarning: "#572722";
+export declare const interactiveStatusActiveBorderColourSubtleError: "#6e061b";
+export declare const interactiveStatusActiveBorderColourSubtleGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveBorderColourBoldInfo: "#000a52";
+export declare const interactiveStatusActiveBorderColourBoldSuccess: "#012425";
+export declare const interactiveStatusActiveBorderColourBoldWarning: "#572722";
+export declare const interactiveStatusActiveBorderColourBoldError: "#6e061b";
+export declare const interactiveStatusActiveBorderColourBoldGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveBorderColourNeutralInverseInfo: "#000a52";
+export declare const interactiveStatusActiveBorderColourNeutralInverseSuccess: "#012425";
+export declare const interactiveStatusActiveBorderColourNeutralInverseWarning: "#572722";
+export declare const interactiveStatusActiveBorderColourNeutralInverseError: "#6e061b";
+export declare const interactiveStatusActiveBorderColourNeutralInverseGeneric: "#1d1d1b";
+export declare const interactiveStatusActiveColourNeutralInfo: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralSuccess: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralWarning: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralError: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralGeneric: "#ffffff";
+export declare const interactiveStatusActiveColourSubtleInfo: "#ffffff";
+export declare const interactiveStatusActiveColourSubtleSuccess: "#ffffff";
+export declare const interactiveStatusActiveColourSubtleWarning: "#ffffff";
+export declare const interactiveStatusActiveColourSubtleError: "#ffffff";
+export declare const interactiveStatusActiveColourSubtleGeneric: "#ffffff";
+export declare const interactiveStatusActiveColourBoldInfo: "#ffffff";
+export declare const interactiveStatusActiveColourBoldSuccess: "#ffffff";
+export declare const interactiveStatusActiveColourBoldWarning: "#ffffff";
+export declare const interactiveStatusActiveColourBoldError: "#ffffff";
+export declare const interactiveStatusActiveColourBoldGeneric: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralInverseInfo: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralInverseSuccess: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralInverseWarning: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralInverseError: "#ffffff";
+export declare const interactiveStatusActiveColourNeutralInverseGeneric: "#ffffff";
+export declare const interactiveStatusFocusBackgroundColourNeutralInfo: "#005dba";
+export declare const interactiveStatusFocusBackgroundColourNeutralSuccess: "#00633d";
+export declare const interactiveStatusFocusBackgroundColourNeutralWarning: "#ffb600";
+export declare const interactiveStatusFocusBackgroundColourNeutralError: "#c50b30";
+export declare const interactiveStatusFocusBackgroundColourNeutralGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusBackgroundColourSubtleInfo: "#005dba";
+export declare const interactiveStatusFocusBackgroundColourSubtleSuccess: "#00633d";
+export declare const interactiveStatusFocusBackgroundColourSubtleWarning: "#ffb600";
+export declare const interactiveStatusFocusBackgroundColourSubtleError: "#c50b30";
+export declare const interactiveStatusFocusBackgroundColourSubtleGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusBackgroundColourBoldInfo: "#005dba";
+export declare const interactiveStatusFocusBackgroundColourBoldSuccess: "#00633d";
+export declare const interactiveStatusFocusBackgroundColourBoldWarning: "#ffb600";
+export declare const interactiveStatusFocusBackgroundColourBoldError: "#c50b30";
+export declare const interactiveStatusFocusBackgroundColourBoldGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusBackgroundColourNeutralInverseInfo: "#005dba";
+export declare const interactiveStatusFocusBackgroundColourNeutralInverseSuccess: "#00633d";
+export declare const interactiveStatusFocusBackgroundColourNeutralInverseWarning: "#ffb600";
+export declare const interactiveStatusFocusBackgroundColourNeutralInverseError: "#c50b30";
+export declare const interactiveStatusFocusBackgroundColourNeutralInverseGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusBorderColourNeutralInfo: "#005dba";
+export declare const interactiveStatusFocusBorderColourNeutralSuccess: "#00633d";
+export declare const interactiveStatusFocusBorderColourNeutralWarning: "#ffb600";
+export declare const interactiveStatusFocusBorderColourNeutralError: "#c50b30";
+export declare const interactiveStatusFocusBorderColourNeutralGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusBorderColourSubtleInfo: "#005dba";
+export declare const interactiveStatusFocusBorderColourSubtleSuccess: "#00633d";
+export declare const interactiveStatusFocusBorderColourSubtleWarning: "#ffb600";
+export declare const interactiveStatusFocusBorderColourSubtleError: "#c50b30";
+export declare const interactiveStatusFocusBorderColourSubtleGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusBorderColourBoldInfo: "#005dba";
+export declare const interactiveStatusFocusBorderColourBoldSuccess: "#00633d";
+export declare const interactiveStatusFocusBorderColourBoldWarning: "#ffb600";
+export declare const interactiveStatusFocusBorderColourBoldError: "#c50b30";
+export declare const interactiveStatusFocusBorderColourBoldGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusBorderColourNeutralInverseInfo: "#005dba";
+export declare const interactiveStatusFocusBorderColourNeutralInverseSuccess: "#00633d";
+export declare const interactiveStatusFocusBorderColourNeutralInverseWarning: "#ffb600";
+export declare const interactiveStatusFocusBorderColourNeutralInverseError: "#c50b30";
+export declare const interactiveStatusFocusBorderColourNeutralInverseGeneric: "#4d4f4f";
+export declare const interactiveStatusFocusColourNeutralInfo: "#ffffff";
+export declare const interactiveStatusFocusColourNeutralSuccess: "#ffffff";
+export declare const interactiveStatusFocusColourNeutralWarning: "#1d1d1b";
+export declare const interactiveStatusFocusColourNeutralError: "#ffffff";
+export declare const interactiveStatusFocusColourNeutralGeneric: "#ffffff";
+export declare const interactiveStatusFocusColourSubtleInfo: "#ffffff";
+export declare const interactiveStatusFocusColourSubtleSuccess: "#ffffff";
+export declare const interactiveStatusFocusColourSubtleWarning: "#1d1d1b";
+export declare const interactiveStatusFocusColourSubtleError: "#ffffff";
+export declare const interactiveStatusFocusColourSubtleGeneric: "#ffffff";
+export declare const interactiveStatusFocusColourBoldInfo: "#ffffff";
+export declare const interactiveStatusFocusColourBoldSuccess: "#ffffff";
+export declare const interactiveStatusFocusColourBoldWarning: "#1d1d1b";
+export declare const interactiveStatusFocusColourBoldError: "#ffffff";
+export declare const interactiveStatusFocusColourBoldGeneric: "#ffffff";
+export declare const interactiveStatusFocusColourNeutralInverseInfo: "#ffffff";
+export declare const interactiveStatusFocusColourNeutralInverseSuccess: "#ffffff";
+export declare const interactiveStatusFocusColourNeutralInverseWarning: "#1d1d1b";
+export declare const interactiveStatusFocusColourNeutralInverseError: "#ffffff";
+export declare const interactiveStatusFocusColourNeutralInverseGeneric: "#ffffff";
+export declare const interactiveStatusDisabledBackgroundColourNeutralInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBackgroundColourNeutralSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBackgroundColourNeutralWarning: "#ffe969";
+export declare const interactiveStatusDisabledBackgroundColourNeutralError: "#ff7e7e";
+export declare const interactiveStatusDisabledBackgroundColourNeutralGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledBackgroundColourSubtleInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBackgroundColourSubtleSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBackgroundColourSubtleWarning: "#ffe969";
+export declare const interactiveStatusDisabledBackgroundColourSubtleError: "#ff7e7e";
+export declare const interactiveStatusDisabledBackgroundColourSubtleGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledBackgroundColourBoldInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBackgroundColourBoldSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBackgroundColourBoldWarning: "#ffe969";
+export declare const interactiveStatusDisabledBackgroundColourBoldError: "#ff7e7e";
+export declare const interactiveStatusDisabledBackgroundColourBoldGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledBackgroundColourNeutralInverseInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBackgroundColourNeutralInverseSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBackgroundColourNeutralInverseWarning: "#ffe969";
+export declare const interactiveStatusDisabledBackgroundColourNeutralInverseError: "#ff7e7e";
+export declare const interactiveStatusDisabledBackgroundColourNeutralInverseGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledBorderColourNeutralInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBorderColourNeutralSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBorderColourNeutralWarning: "#ffe969";
+export declare const interactiveStatusDisabledBorderColourNeutralError: "#ff7e7e";
+export declare const interactiveStatusDisabledBorderColourNeutralGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledBorderColourSubtleInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBorderColourSubtleSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBorderColourSubtleWarning: "#ffe969";
+export declare const interactiveStatusDisabledBorderColourSubtleError: "#ff7e7e";
+export declare const interactiveStatusDisabledBorderColourSubtleGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledBorderColourBoldInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBorderColourBoldSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBorderColourBoldWarning: "#ffe969";
+export declare const interactiveStatusDisabledBorderColourBoldError: "#ff7e7e";
+export declare const interactiveStatusDisabledBorderColourBoldGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledBorderColourNeutralInverseInfo: "#76c8f1";
+export declare const interactiveStatusDisabledBorderColourNeutralInverseSuccess: "#7fce9f";
+export declare const interactiveStatusDisabledBorderColourNeutralInverseWarning: "#ffe969";
+export declare const interactiveStatusDisabledBorderColourNeutralInverseError: "#ff7e7e";
+export declare const interactiveStatusDisabledBorderColourNeutralInverseGeneric: "#bcbdbd";
+export declare const interactiveStatusDisabledColourNeutralInfo: "#1e84d2";
+export declare const interactiveStatusDisabledColourNeutralSuccess: "#1a8952";
+export declare const interactiveStatusDisabledColourNeutralWarning: "#ffb600";
+export declare const interactiveStatusDisabledColourNeutralError: "#e2223e";
+export declare const interactiveStatusDisabledColourNeutralGeneric: "#858686";
+export declare const interactiveStatusDisabledColourSubtleInfo: "#1e84d2";
+export declare const interactiveStatusDisabledColourSubtleSuccess: "#1a8952";
+export declare const interactiveStatusDisabledColourSubtleWarning: "#ffb600";
+export declare const interactiveStatusDisabledColourSubtleError: "#e2223e";
+export declare const interactiveStatusDisabledColourSubtleGeneric: "#858686";
+export declare const interactiveStatusDisabledColourBoldInfo: "#1e84d2";
+export declare const interactiveStatusDisabledColourBoldSuccess: "#1a8952";
+export declare const interactiveStatusDisabledColourBoldWarning: "#ffb600";
+export declare const interactiveStatusDisabledColourBoldError: "#e2223e";
+export declare const interactiveStatusDisabledColourBoldGeneric: "#858686";
+export declare const interactiveStatusDisabledColourNeutralInverseInfo: "#1e84d2";
+export declare const interactiveStatusDisabledColourNeutralInverseSuccess: "#1a8952";
+export declare const interactiveStatusDisabledColourNeutralInverseWarning: "#ffb600";
+export declare const interactiveStatusDisabledColourNeutralInverseError: "#e2223e";
+export declare const interactiveStatusDisabledColourNeutralInverseGeneric: "#858686";
+export declare const interactiveTextDefaultRestNeutralBlue: "#005dba";
+export declare const interactiveTextDefaultRestNeutralGreen: "#00633d";
+export declare const interactiveTextDefaultRestNeutralRed: "#c50b30";
+export declare const interactiveTextDefaultRestNeutralYellow: "#1d1d1b";
+export declare const interactiveTextDefaultRestSubtleBlue: "#005dba";
+export declare const interactiveTextDefaultRestSubtleGreen: "#00633d";
+export declare const interactiveTextDefaultRestSubtleRed: "#c50b30";
+export declare const interactiveTextDefaultRestSubtleYellow: "#1d1d1b";
+export declare const interactiveTextDefaultRestBoldBlue: "#f4f4f4";
+export declare const interactiveTextDefaultRestBoldGreen: "#f4f4f4";
+export declare const interactiveTextDefaultRestBoldRed: "#f4f4f4";
+export declare const interactiveTextDefaultRestBoldYellow: "#1d1d1b";
+export declare const interactiveTextDefaultRestNeutralInverseBlue: "#005dba";
+export declare const interactiveTextDefaultRestNeutralInverseGreen: "#00633d";
+export declare const interactiveTextDefaultRestNeutralInverseRed: "#c50b30";
+export declare const interactiveTextDefaultRestNeutralInverseYellow: "#1d1d1b";
+export declare const interactiveTextDefaultHoverNeutralBlue: "#001d6e";
+export declare const interactiveTextDefaultHoverNeutralGreen: "#01312e";
+export declare const interactiveTextDefaultHoverNeutralRed: "#940824";
+export declare const interactiveTextDefaultHoverNeutralYellow: "#1d1d1b";
+export declare const interactiveTextDefaultHoverSubtleBlue: "#001d6e";
+export declare const interactiveTextDefaultHoverSubtleGreen: "#01312e";
+export declare const interactiveTextDefaultHoverSubtleRed: "#940824";
+export declare const interactiveTextDefaultHoverSubtleYellow: "#1d1d1b";
+export declare const interactiveTextDefaultHoverBoldBlue: "#f4f4f4";
+export declare const interactiveTextDefaultHoverBoldGreen: "#f4f4f4";
+export declare const interactiveTextDefaultHoverBoldRed: "#f4f4f4";
+export declare const interactiveTextDefaultHoverBoldYellow: "#1d1d1b";
+export declare const interactiveTextDefaultHoverNeutralInverseBlue: "#001d6e";
+export declare const interactiveTextDefaultHoverNeutralInverseGreen: "#01312e";
+export declare const interactiveTextDefaultHoverNeutralInverseRed: "#940824";
+export declare const interactiveTextDefaultHoverNeutralInverseYellow: "#1d1d1b";
+export declare const interactiveTextDefaultActiveNeutralBlue: "#000a52";
+export declare const interactiveTextDefaultActiveNeutralGreen: "#012425";
+export declare const interactiveTextDefaultActiveNeutralRed: "#6e061b";
+export declare const interactiveTextDefaultActiveNeutralYellow: "#1d1d1b";
+export declare const interactiveTextDefaultActiveSubtleBlue: "#000a52";
+export declare const interactiveTextDefaultActiveSubtleGreen: "#012425";
+export declare const interactiveTextDefaultActiveSubtleRed: "#6e061b";
+export declare const interactiveTextDefaultActiveSubtleYellow: "#1d1d1b";
+export declare const interactiveTextDefaultActiveBoldBlue: "#f4f4f4";
+export declare const interactiveTextDefaultActiveBoldGreen: "#f4f4f4";
+export declare const interactiveTextDefaultActiveBoldRed: "#f4f4f4";
+export declare const interactiveTextDefaultActiveBoldYellow: "#1d1d1b";
+export declare const interactiveTextDefaultActiveNeutralInverseBlue: "#000a52";
+export declare const interactiveTextDefaultActiveNeutralInverseGreen: "#012425";
+export declare const interactiveTextDefaultActiveNeutralInverseRed: "#6e061b";
+export declare const interactiveTextDefaultActiveNeutralInverseYellow: "#1d1d1b";
+export declare const interactiveTextDefaultVisitedNeutralBlue: "#005dba";
+export declare const interactiveTextDefaultVisitedNeutralGreen: "#00633d";
+export declare const interactiveTextDefaultVisitedNeutralRed: "#c50b30";
+export declare const interactiveTextDefaultVisitedNeutralYellow: "#1d1d1b";
+export declare const interactiveTextDefaultVisitedSubtleBlue: "#005dba";
+export declare const interactiveTextDefaultVisitedSubtleGreen: "#00633d";
+export declare const interactiveTextDefaultVisitedSubtleRed: "#c50b30";
+export declare const interactiveTextDefaultVisitedSubtleYellow: "#1d1d1b";
+export declare const interactiveTextDefaultVisitedBoldBlue: "#f4f4f4";
+export declare const interactiveTextDefaultVisitedBoldGreen: "#f4f4f4";
+export declare const interactiveTextDefaultVisitedBoldRed: "#f4f4f4";
+export declare const interactiveTextDefaultVisitedBoldYellow: "#1d1d1b";
+export declare const interactiveTextDefaultVisitedNeutralInverseBlue: "#005dba";
+export declare const interactiveTextDefaultVisitedNeutralInverseGreen: "#00633d";
+export declare const interactiveTextDefaultVisitedNeutralInverseRed: "#c50b30";
+export declare const interactiveTextDefaultVisitedNeutralInverseYellow: "#1d1d1b";
+export declare const interactiveTextDefaultFocusNeutralBlue: "#005dba";
+export declare const interactiveTextDefaultFocusNeutralGreen: "#00633d";
+export declare const interactiveTextDefaultFocusNeutralRed: "#c50b30";
+export declare const interactiveTextDefaultFocusNeutralYellow: "#1d1d1b";
+export declare const interactiveTextDefaultFocusSubtleBlue: "#005dba";
+export declare const interactiveTextDefaultFocusSubtleGreen: "#00633d";
+export declare const interactiveTextDefaultFocusSubtleRed: "#c50b30";
+export declare const interactiveTextDefaultFocusSubtleYellow: "#1d1d1b";
+export declare const interactiveTextDefaultFocusBoldBlue: "#f4f4f4";
+export declare const interactiveTextDefaultFocusBoldGreen: "#f4f4f4";
+export declare const interactiveTextDefaultFocusBoldRed: "#f4f4f4";
+export declare const interactiveTextDefaultFocusBoldYellow: "#1d1d1b";
+export declare const interactiveTextDefaultFocusNeutralInverseBlue: "#005dba";
+export declare const interactiveTextDefaultFocusNeutralInverseGreen: "#00633d";
+export declare const interactiveTextDefaultFocusNeutralInverseRed: "#c50b30";
+export declare const interactiveTextDefaultFocusNeutralInverseYellow: "#1d1d1b";
+export declare const interactiveTextFocusBorderWidthNeutralBlue: 1;
+export declare const interactiveTextFocusBorderWidthNeutralGreen: 1;
+export declare const interactiveTextFocusBorderWidthNeutralRed: 1;
+export declare const interactiveTextFocusBorderWidthNeutralYellow: 1;
+export declare const interactiveTextFocusBorderWidthSubtleBlue: 1;
+export declare const interactiveTextFocusBorderWidthSubtleGreen: 1;
+export declare const interactiveTextFocusBorderWidthSubtleRed: 1;
+export declare const interactiveTextFocusBorderWidthSubtleYellow: 1;
+export declare const interactiveTextFocusBorderWidthBoldBlue: 1;
+export declare const interactiveTextFocusBorderWidthBoldGreen: 1;
+export declare const interactiveTextFocusBorderWidthBoldRed: 1;
+export declare const interactiveTextFocusBorderWidthBoldYellow: 1;
+export declare const interactiveTextFocusBorderWidthNeutralInverseBlue: 1;
+export declare const interactiveTextFocusBorderWidthNeutralInverseGreen: 1;
+export declare const interactiveTextFocusBorderWidthNeutralInverseRed: 1;
+export declare const interactiveTextFocusBorderWidthNeutralInverseYellow: 1;
+export declare const interactiveTextFocusBorderRadiusNeutralBlue: 4;
+export declare const interactiveTextFocusBorderRadiusNeutralGreen: 4;
+export declare const interactiveTextFocusBorderRadiusNeutralRed: 4;
+export declare const interactiveTextFocusBorderRadiusNeutralYellow: 4;
+export declare const interactiveTextFocusBorderRadiusSubtleBlue: 4;
+export declare const interactiveTextFocusBorderRadiusSubtleGreen: 4;
+export declare const interactiveTextFocusBorderRadiusSubtleRed: 4;
+export declare const interactiveTextFocusBorderRadiusSubtleYellow: 4;
+export declare const interactiveTextFocusBorderRadiusBoldBlue: 4;
+export declare const interactiveTextFocusBorderRadiusBoldGreen: 4;
+export declare const interactiveTextFocusBorderRadiusBoldRed: 4;
+export declare const interactiveTextFocusBorderRadiusBoldYellow: 4;
+export declare const interactiveTextFocusBorderRadiusNeutralInverseBlue: 4;
+export declare const interactiveTextFocusBorderRadiusNeutralInverseGreen: 4;
+export declare const interactiveTextFocusBorderRadiusNeutralInverseRed: 4;
+export declare const interactiveTextFocusBorderRadiusNeutralInverseYellow: 4;
+export declare const interactiveTextMonoRestNeutralBlue: "#000000";
+export declare const interactiveTextMonoRestNeutralGreen: "#000000";
+export declare const interactiveTextMonoRestNeutralRed: "#000000";
+export declare const interactiveTextMonoRestNeutralYellow: "#000000";
+export declare const interactiveTextMonoRestSubtleBlue: "#000000";
+export declare const interactiveTextMonoRestSubtleGreen: "#000000";
+export declare const interactiveTextMonoRestSubtleRed: "#000000";
+export declare const interactiveTextMonoRestSubtleYellow: "#000000";
+export declare const interactiveTextMonoRestBoldBlue: "#f4f4f4";
+export declare const interactiveTextMonoRestBoldGreen: "#f4f4f4";
+export declare const interactiveTextMonoRestBoldRed: "#f4f4f4";
+export declare const interactiveTextMonoRestBoldYellow: "#1d1d1b";
+export declare const interactiveTextMonoRestNeutralInverseBlue: "#000000";
+export declare const interactiveTextMonoRestNeutralInverseGreen: "#000000";
+export declare const interactiveTextMonoRestNeutralInverseRed: "#000000";
+export declare const interactiveTextMonoRestNeutralInverseYellow: "#000000";
+export declare const interactiveTextMonoHoverNeutralBlue: "#000000";
+export declare const interactiveTextMonoHoverNeutralGreen: "#000000";
+export declare const interactiveTextMonoHoverNeutralRed: "#000000";
+export declare const interactiveTextMonoHoverNeutralYellow: "#000000";
+export declare const interactiveTextMonoHoverSubtleBlue: "#000000";
+export declare const interactiveTextMonoHoverSubtleGreen: "#000000";
+export declare const interactiveTextMonoHoverSubtleRed: "#000000";
+export declare const interactiveTextMonoHoverSubtleYellow: "#000000";
+export declare const interactiveTextMonoHoverBoldBlue: "#f4f4f4";
+export declare const interactiveTextMonoHoverBoldGreen: "#f4f4f4";
+export declare const interactiveTextMonoHoverBoldRed: "#f4f4f4";
+export declare const interactiveTextMonoHoverBoldYellow: "#1d1d1b";
+export declare const interactiveTextMonoHoverNeutralInverseBlue: "#000000";
+export declare const interactiveTextMonoHoverNeutralInverseGreen: "#000000";
+export declare const interactiveTextMonoHoverNeutralInverseRed: "#000000";
+export declare const interactiveTextMonoHoverNeutralInverseYellow: "#000000";
+export declare const interactiveTextMonoActiveNeutralBlue: "#000000";
+export declare const interactiveTextMonoActiveNeutralGreen: "#000000";
+export declare const interactiveTextMonoActiveNeutralRed: "#000000";
+export declare const interactiveTextMonoActiveNeutralYellow: "#000000";
+export declare const interactiveTextMonoActiveSubtleBlue: "#000000";
+export declare const interactiveTextMonoActiveSubtleGreen: "#000000";
+export declare const interactiveTextMonoActiveSubtleRed: "#000000";
+export declare const interactiveTextMonoActiveSubtleYellow: "#000000";
+export declare const interactiveTextMonoActiveBoldBlue: "#f4f4f4";
+export declare const interactiveTextMonoActiveBoldGreen: "#f4f4f4";
+export declare const interactiveTextMonoActiveBoldRed: "#f4f4f4";
+export declare const interactiveTextMonoActiveBoldYellow: "#1d1d1b";
+export declare const interactiveTextMonoActiveNeutralInverseBlue: "#000000";
+export declare const interactiveTextMonoActiveNeutralInverseGreen: "#000000";
+export declare const interactiveTextMonoActiveNeutralInverseRed: "#000000";
+export declare const interactiveTextMonoActiveNeutralInverseYellow: "#000000";
+export declare const interactiveTextMonoVisitedNeutralBlue: "#000000";
+export declare const interactiveTextMonoVisitedNeutralGreen: "#000000";
+export declare const interactiveTextMonoVisitedNeutralRed: "#000000";
+export declare const interactiveTextMonoVisitedNeutralYellow: "#000000";
+export declare const interactiveTextMonoVisitedSubtleBlue: "#000000";
+export declare const interactiveTextMonoVisitedSubtleGreen: "#000000";
+export declare const interactiveTextMonoVisitedSubtleRed: "#000000";
+export declare const interactiveTextMonoVisitedSubtleYellow: "#000000";
+export declare const interactiveTextMonoVisitedBoldBlue: "#f4f4f4";
+export declare const interactiveTextMonoVisitedBoldGreen: "#f4f4f4";
+export declare const interactiveTextMonoVisitedBoldRed: "#f4f4f4";
+export declare const interactiveTextMonoVisitedBoldYellow: "#1d1d1b";
+export declare const interactiveTextMonoVisitedNeutralInverseBlue: "#000000";
+export declare const interactiveTextMonoVisitedNeutralInverseGreen: "#000000";
+export declare const interactiveTextMonoVisitedNeutralInverseRed: "#000000";
+export declare const interactiveTextMonoVisitedNeutralInverseYellow: "#000000";
+export declare const interactiveTextMonoFocusNeutralBlue: "#000000";
+export declare const interactiveTextMonoFocusNeutralGreen: "#000000";
+export declare const interactiveTextMonoFocusNeutralRed: "#000000";
+export declare const interactiveTextMonoFocusNeutralYellow: "#000000";
+export declare const interactiveTextMonoFocusSubtleBlue: "#000000";
+export declare const interactiveTextMonoFocusSubtleGreen: "#000000";
+export declare const interactiveTextMonoFocusSubtleRed: "#000000";
+export declare const interactiveTextMonoFocusSubtleYellow: "#000000";
+export declare const interactiveTextMonoFocusBoldBlue: "#f4f4f4";
+export declare const interactiveTextMonoFocusBoldGreen: "#f4f4f4";
+export declare const interactiveTextMonoFocusBoldRed: "#f4f4f4";
+export declare const interactiveTextMonoFocusBoldYellow: "#1d1d1b";
+export declare const interactiveTextMonoFocusNeutralInverseBlue: "#000000";
+export declare const interactiveTextMonoFocusNeutralInverseGreen: "#000000";
+export declare const interactiveTextMonoFocusNeutralInverseRed: "#000000";
+export declare const interactiveTextMonoFocusNeutralInverseYellow: "#000000";
+export declare const interactiveTextStatusSubtleRestNeutralInfo: "#000039";
+export declare const interactiveTextStatusSubtleRestNeutralSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleRestNeutralWarning: "#000000";
+export declare const interactiveTextStatusSubtleRestNeutralError: "#000000";
+export declare const interactiveTextStatusSubtleRestNeutralGeneric: "#000000";
+export declare const interactiveTextStatusSubtleRestSubtleInfo: "#000039";
+export declare const interactiveTextStatusSubtleRestSubtleSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleRestSubtleWarning: "#000000";
+export declare const interactiveTextStatusSubtleRestSubtleError: "#000000";
+export declare const interactiveTextStatusSubtleRestSubtleGeneric: "#000000";
+export declare const interactiveTextStatusSubtleRestBoldInfo: "#000039";
+export declare const interactiveTextStatusSubtleRestBoldSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleRestBoldWarning: "#000000";
+export declare const interactiveTextStatusSubtleRestBoldError: "#000000";
+export declare const interactiveTextStatusSubtleRestBoldGeneric: "#000000";
+export declare const interactiveTextStatusSubtleRestNeutralInverseInfo: "#000039";
+export declare const interactiveTextStatusSubtleRestNeutralInverseSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleRestNeutralInverseWarning: "#000000";
+export declare const interactiveTextStatusSubtleRestNeutralInverseError: "#000000";
+export declare const interactiveTextStatusSubtleRestNeutralInverseGeneric: "#000000";
+export declare const interactiveTextStatusSubtleHoverNeutralInfo: "#000039";
+export declare const interactiveTextStatusSubtleHoverNeutralSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleHoverNeutralWarning: "#000000";
+export declare const interactiveTextStatusSubtleHoverNeutralError: "#000000";
+export declare const interactiveTextStatusSubtleHoverNeutralGeneric: "#000000";
+export declare const interactiveTextStatusSubtleHoverSubtleInfo: "#000039";
+export declare const interactiveTextStatusSubtleHoverSubtleSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleHoverSubtleWarning: "#000000";
+export declare const interactiveTextStatusSubtleHoverSubtleError: "#000000";
+export declare const interactiveTextStatusSubtleHoverSubtleGeneric: "#000000";
+export declare const interactiveTextStatusSubtleHoverBoldInfo: "#000039";
+export declare const interactiveTextStatusSubtleHoverBoldSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleHoverBoldWarning: "#000000";
+export declare const interactiveTextStatusSubtleHoverBoldError: "#000000";
+export declare const interactiveTextStatusSubtleHoverBoldGeneric: "#000000";
+export declare const interactiveTextStatusSubtleHoverNeutralInverseInfo: "#000039";
+export declare const interactiveTextStatusSubtleHoverNeutralInverseSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleHoverNeutralInverseWarning: "#000000";
+export declare const interactiveTextStatusSubtleHoverNeutralInverseError: "#000000";
+export declare const interactiveTextStatusSubtleHoverNeutralInverseGeneric: "#000000";
+export declare const interactiveTextStatusSubtleActiveNeutralInfo: "#000039";
+export declare const interactiveTextStatusSubtleActiveNeutralSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleActiveNeutralWarning: "#000000";
+export declare const interactiveTextStatusSubtleActiveNeutralError: "#000000";
+export declare const interactiveTextStatusSubtleActiveNeutralGeneric: "#000000";
+export declare const interactiveTextStatusSubtleActiveSubtleInfo: "#000039";
+export declare const interactiveTextStatusSubtleActiveSubtleSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleActiveSubtleWarning: "#000000";
+export declare const interactiveTextStatusSubtleActiveSubtleError: "#000000";
+export declare const interactiveTextStatusSubtleActiveSubtleGeneric: "#000000";
+export declare const interactiveTextStatusSubtleActiveBoldInfo: "#000039";
+export declare const interactiveTextStatusSubtleActiveBoldSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleActiveBoldWarning: "#000000";
+export declare const interactiveTextStatusSubtleActiveBoldError: "#000000";
+export declare const interactiveTextStatusSubtleActiveBoldGeneric: "#000000";
+export declare const interactiveTextStatusSubtleActiveNeutralInverseInfo: "#000039";
+export declare const interactiveTextStatusSubtleActiveNeutralInverseSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleActiveNeutralInverseWarning: "#000000";
+export declare const interactiveTextStatusSubtleActiveNeutralInverseError: "#000000";
+export declare const interactiveTextStatusSubtleActiveNeutralInverseGeneric: "#000000";
+export declare const interactiveTextStatusSubtleVisitedNeutralInfo: "#000039";
+export declare const interactiveTextStatusSubtleVisitedNeutralSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleVisitedNeutralWarning: "#000000";
+export declare const interactiveTextStatusSubtleVisitedNeutralError: "#000000";
+export declare const interactiveTextStatusSubtleVisitedNeutralGeneric: "#000000";
+export declare const interactiveTextStatusSubtleVisitedSubtleInfo: "#000039";
+export declare const interactiveTextStatusSubtleVisitedSubtleSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleVisitedSubtleWarning: "#000000";
+export declare const interactiveTextStatusSubtleVisitedSubtleError: "#000000";
+export declare const interactiveTextStatusSubtleVisitedSubtleGeneric: "#000000";
+export declare const interactiveTextStatusSubtleVisitedBoldInfo: "#000039";
+export declare const interactiveTextStatusSubtleVisitedBoldSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleVisitedBoldWarning: "#000000";
+export declare const interactiveTextStatusSubtleVisitedBoldError: "#000000";
+export declare const interactiveTextStatusSubtleVisitedBoldGeneric: "#000000";
+export declare const interactiveTextStatusSubtleVisitedNeutralInverseInfo: "#000039";
+export declare const interactiveTextStatusSubtleVisitedNeutralInverseSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleVisitedNeutralInverseWarning: "#000000";
+export declare const interactiveTextStatusSubtleVisitedNeutralInverseError: "#000000";
+export declare const interactiveTextStatusSubtleVisitedNeutralInverseGeneric: "#000000";
+export declare const interactiveTextStatusSubtleFocusNeutralInfo: "#000039";
+export declare const interactiveTextStatusSubtleFocusNeutralSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleFocusNeutralWarning: "#000000";
+export declare const interactiveTextStatusSubtleFocusNeutralError: "#000000";
+export declare const interactiveTextStatusSubtleFocusNeutralGeneric: "#000000";
+export declare const interactiveTextStatusSubtleFocusSubtleInfo: "#000039";
+export declare const interactiveTextStatusSubtleFocusSubtleSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleFocusSubtleWarning: "#000000";
+export declare const interactiveTextStatusSubtleFocusSubtleError: "#000000";
+export declare const interactiveTextStatusSubtleFocusSubtleGeneric: "#000000";
+export declare const interactiveTextStatusSubtleFocusBoldInfo: "#000039";
+export declare const interactiveTextStatusSubtleFocusBoldSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleFocusBoldWarning: "#000000";
+export declare const interactiveTextStatusSubtleFocusBoldError: "#000000";
+export declare const interactiveTextStatusSubtleFocusBoldGeneric: "#000000";
+export declare const interactiveTextStatusSubtleFocusNeutralInverseInfo: "#000039";
+export declare const interactiveTextStatusSubtleFocusNeutralInverseSuccess: "#011b1f";
+export declare const interactiveTextStatusSubtleFocusNeutralInverseWarning: "#000000";
+export declare const interactiveTextStatusSubtleFocusNeutralInverseError: "#000000";
+export declare const interactiveTextStatusSubtleFocusNeutralInverseGeneric: "#000000";
+export declare const interactiveTextStatusBoldRestNeutralInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestNeutralSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestNeutralWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldRestNeutralError: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestNeutralGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestSubtleInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestSubtleSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestSubtleWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldRestSubtleError: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestSubtleGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestBoldInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestBoldSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestBoldWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldRestBoldError: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestBoldGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestNeutralInverseInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestNeutralInverseSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestNeutralInverseWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldRestNeutralInverseError: "#f4f4f4";
+export declare const interactiveTextStatusBoldRestNeutralInverseGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldHoverNeutralError: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverSubtleInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverSubtleSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverSubtleWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldHoverSubtleError: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverSubtleGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverBoldInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverBoldSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverBoldWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldHoverBoldError: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverBoldGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralInverseInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralInverseSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralInverseWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldHoverNeutralInverseError: "#f4f4f4";
+export declare const interactiveTextStatusBoldHoverNeutralInverseGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldActiveNeutralError: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveSubtleInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveSubtleSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveSubtleWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldActiveSubtleError: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveSubtleGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveBoldInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveBoldSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveBoldWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldActiveBoldError: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveBoldGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralInverseInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralInverseSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralInverseWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldActiveNeutralInverseError: "#f4f4f4";
+export declare const interactiveTextStatusBoldActiveNeutralInverseGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldVisitedNeutralError: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedSubtleInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedSubtleSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedSubtleWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldVisitedSubtleError: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedSubtleGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedBoldInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedBoldSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedBoldWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldVisitedBoldError: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedBoldGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralInverseInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralInverseSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralInverseWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldVisitedNeutralInverseError: "#f4f4f4";
+export declare const interactiveTextStatusBoldVisitedNeutralInverseGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldFocusNeutralError: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusSubtleInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusSubtleSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusSubtleWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldFocusSubtleError: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusSubtleGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusBoldInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusBoldSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusBoldWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldFocusBoldError: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusBoldGeneric: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralInverseInfo: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralInverseSuccess: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralInverseWarning: "#1d1d1b";
+export declare const interactiveTextStatusBoldFocusNeutralInverseError: "#f4f4f4";
+export declare const interactiveTextStatusBoldFocusNeutralInverseGeneric: "#f4f4f4";
+export declare const interactiveAddOnRestColourNeutralBlue: "#858686";
+export declare const interactiveAddOnRestColourNeutralGreen: "#858686";
+export declare const interactiveAddOnRestColourNeutralRed: "#858686";
+export declare const interactiveAddOnRestColourNeutralYellow: "#858686";
+export declare const interactiveAddOnRestColourSubtleBlue: "#858686";
+export declare const interactiveAddOnRestColourSubtleGreen: "#858686";
+export declare const interactiveAddOnRestColourSubtleRed: "#858686";
+export declare const interactiveAddOnRestColourSubtleYellow: "#858686";
+export declare const interactiveAddOnRestColourBoldBlue: "#858686";
+export declare const interactiveAddOnRestColourBoldGreen: "#858686";
+export declare const interactiveAddOnRestColourBoldRed: "#858686";
+export declare const interactiveAddOnRestColourBoldYellow: "#858686";
+export declare const interactiveAddOnRestColourNeutralInverseBlue: "#858686";
+export declare const interactiveAddOnRestColourNeutralInverseGreen: "#858686";
+export declare const interactiveAddOnRestColourNeutralInverseRed: "#858686";
+export declare const interactiveAddOnRestColourNeutralInverseYellow: "#858686";
+export declare const interactiveAddOnHoverColourNeutralBlue: "#4d4f4f";
+export declare const interactiveAddOnHoverColourNeutralGreen: "#4d4f4f";
+export declare const interactiveAddOnHoverColourNeutralRed: "#4d4f4f";
+export declare const interactiveAddOnHoverColourNeutralYellow: "#4d4f4f";
+export declare const interactiveAddOnHoverColourSubtleBlue: "#4d4f4f";
+export declare const interactiveAddOnHoverColourSubtleGreen: "#4d4f4f";
+export declare const interactiveAddOnHoverColourSubtleRed: "#4d4f4f";
+export declare const interactiveAddOnHoverColourSubtleYellow: "#4d4f4f";
+export declare const interactiveAddOnHoverColourBoldBlue: "#4d4f4f";
+export declare const interactiveAddOnHoverColourBoldGreen: "#4d4f4f";
+export declare const interactiveAddOnHoverColourBoldRed: "#4d4f4f";
+export declare const interactiveAddOnHoverColourBoldYellow: "#4d4f4f";
+export declare const interactiveAddOnHoverColourNeutralInverseBlue: "#4d4f4f";
+export declare const interactiveAddOnHoverColourNeutralInverseGreen: "#4d4f4f";
+export declare const interactiveAddOnHoverColourNeutralInverseRed: "#4d4f4f";
+export declare const interactiveAddOnHoverColourNeutralInverseYellow: "#4d4f4f";
+export declare const interactiveAddOnActiveColourNeutralBlue: "#1d1d1b";
+export declare const interactiveAddOnActiveColourNeutralGreen: "#1d1d1b";
+export declare const interactiveAddOnActiveColourNeutralRed: "#1d1d1b";
+export declare const interactiveAddOnActiveColourNeutralYellow: "#1d1d1b";
+export declare const interactiveAddOnActiveColourSubtleBlue: "#1d1d1b";
+export declare const interactiveAddOnActiveColourSubtleGreen: "#1d1d1b";
+export declare const interactiveAddOnActiveColourSubtleRed: "#1d1d1b";
+export declare const interactiveAddOnActiveColourSubtleYellow: "#1d1d1b";
+export declare const interactiveAddOnActiveColourBoldBlue: "#1d1d1b";
+export declare const interactiveAddOnActiveColourBoldGreen: "#1d1d1b";
+export declare const interactiveAddOnActiveColourBoldRed: "#1d1d1b";
+export declare const interactiveAddOnActiveColourBoldYellow: "#1d1d1b";
+export declare const interactiveAddOnActiveColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactiveAddOnActiveColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactiveAddOnActiveColourNeutralInverseRed: "#1d1d1b";
+export declare const interactiveAddOnActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralYellow: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourSubtleYellow: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourBoldRed: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const interactiveAddOnFocusBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const interactiveAddOnFocusColourNeutralBlue: "#858686";
+export declare const interactiveAddOnFocusColourNeutralGreen: "#858686";
+export declare const interactiveAddOnFocusColourNeutralRed: "#858686";
+export declare const interactiveAddOnFocusColourNeutralYellow: "#858686";
+export declare const interactiveAddOnFocusColourSubtleBlue: "#858686";
+export declare const interactiveAddOnFocusColourSubtleGreen: "#858686";
+export declare const interactiveAddOnFocusColourSubtleRed: "#858686";
+export declare const interactiveAddOnFocusColourSubtleYellow: "#858686";
+export declare const interactiveAddOnFocusColourBoldBlue: "#858686";
+export declare const interactiveAddOnFocusColourBoldGreen: "#858686";
+export declare const interactiveAddOnFocusColourBoldRed: "#858686";
+export declare const interactiveAddOnFocusColourBoldYellow: "#858686";
+export declare const interactiveAddOnFocusColourNeutralInverseBlue: "#858686";
+export declare const interactiveAddOnFocusColourNeutralInverseGreen: "#858686";
+export declare const interactiveAddOnFocusColourNeutralInverseRed: "#858686";
+export declare const interactiveAddOnFocusColourNeutralInverseYellow: "#858686";
+export declare const interactiveAddOnDisabledColourNeutralBlue: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourNeutralGreen: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourNeutralRed: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourNeutralYellow: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourSubtleBlue: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourSubtleGreen: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourSubtleRed: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourSubtleYellow: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourBoldBlue: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourBoldGreen: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourBoldRed: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourBoldYellow: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourNeutralInverseBlue: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourNeutralInverseGreen: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourNeutralInverseRed: "#d3d3d3";
+export declare const interactiveAddOnDisabledColourNeutralInverseYellow: "#d3d3d3";
+export declare const textDefaultPrimaryColourNeutralBlue: "#1d1d1b";
+export declare const textDefaultPrimaryColourNeutralGreen: "#1d1d1b";
+export declare const textDefaultPrimaryColourNeutralRed: "#1d1d1b";
+export declare const textDefaultPrimaryColourNeutralYellow: "#1d1d1b";
+export declare const textDefaultPrimaryColourSubtleBlue: "#1d1d1b";
+export declare const textDefaultPrimaryColourSubtleGreen: "#1d1d1b";
+export declare const textDefaultPrimaryColourSubtleRed: "#1d1d1b";
+export declare const textDefaultPrimaryColourSubtleYellow: "#1d1d1b";
+export declare const textDefaultPrimaryColourBoldBlue: "#ffffff";
+export declare const textDefaultPrimaryColourBoldGreen: "#ffffff";
+export declare const textDefaultPrimaryColourBoldRed: "#ffffff";
+export declare const textDefaultPrimaryColourBoldYellow: "#1d1d1b";
+export declare const textDefaultPrimaryColourNeutralInverseBlue: "#1d1d1b";
+export declare const textDefaultPrimaryColourNeutralInverseGreen: "#1d1d1b";
+export declare const textDefaultPrimaryColourNeutralInverseRed: "#1d1d1b";
+export declare const textDefaultPrimaryColourNeutralInverseYellow: "#1d1d1b";
+export declare const textDefaultSecondaryColourNeutralBlue: "#4d4f4f";
+export declare const textDefaultSecondaryColourNeutralGreen: "#4d4f4f";
+export declare const textDefaultSecondaryColourNeutralRed: "#4d4f4f";
+export declare const textDefaultSecondaryColourNeutralYellow: "#4d4f4f";
+export declare const textDefaultSecondaryColourSubtleBlue: "#1d1d1b";
+export declare const textDefaultSecondaryColourSubtleGreen: "#1d1d1b";
+export declare const textDefaultSecondaryColourSubtleRed: "#1d1d1b";
+export declare const textDefaultSecondaryColourSubtleYellow: "#1d1d1b";
+export declare const textDefaultSecondaryColourBoldBlue: "#d2effb";
+export declare const textDefaultSecondaryColourBoldGreen: "#dff6eb";
+export declare const textDefaultSecondaryColourBoldRed: "#ffd5d2";
+export declare const textDefaultSecondaryColourBoldYellow: "#572722";
+export declare const textDefaultSecondaryColourNeutralInverseBlue: "#4d4f4f";
+export declare const textDefaultSecondaryColourNeutralInverseGreen: "#4d4f4f";
+export declare const textDefaultSecondaryColourNeutralInverseRed: "#4d4f4f";
+export declare const textDefaultSecondaryColourNeutralInverseYellow: "#4d4f4f";
+export declare const textDefaultAccentColourNeutralBlue: "#001d6e";
+export declare const textDefaultAccentColourNeutralGreen: "#01312e";
+export declare const textDefaultAccentColourNeutralRed: "#940824";
+export declare const textDefaultAccentColourNeutralYellow: "#904029";
+export declare const textDefaultAccentColourSubtleBlue: "#001d6e";
+export declare const textDefaultAccentColourSubtleGreen: "#01312e";
+export declare const textDefaultAccentColourSubtleRed: "#940824";
+export declare const textDefaultAccentColourSubtleYellow: "#904029";
+export declare const textDefaultAccentColourBoldBlue: "#ffffff";
+export declare const textDefaultAccentColourBoldGreen: "#ffffff";
+export declare const textDefaultAccentColourBoldRed: "#ffffff";
+export declare const textDefaultAccentColourBoldYellow: "#1d1d1b";
+export declare const textDefaultAccentColourNeutralInverseBlue: "#001d6e";
+export declare const textDefaultAccentColourNeutralInverseGreen: "#01312e";
+export declare const textDefaultAccentColourNeutralInverseRed: "#940824";
+export declare const textDefaultAccentColourNeutralInverseYellow: "#904029";
+export declare const textStatusSubtlePrimaryColourNeutralInfo: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralSuccess: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralWarning: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralError: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralGeneric: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourSubtleInfo: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourSubtleSuccess: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourSubtleWarning: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourSubtleError: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourSubtleGeneric: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourBoldInfo: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourBoldSuccess: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourBoldWarning: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourBoldError: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourBoldGeneric: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralInverseInfo: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralInverseSuccess: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralInverseWarning: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralInverseError: "#1d1d1b";
+export declare const textStatusSubtlePrimaryColourNeutralInverseGeneric: "#1d1d1b";
+export declare const textStatusSubtleSecondaryColourNeutralInfo: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralSuccess: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralWarning: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralError: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralGeneric: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourSubtleInfo: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourSubtleSuccess: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourSubtleWarning: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourSubtleError: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourSubtleGeneric: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourBoldInfo: "#ffffff";
+export declare const textStatusSubtleSecondaryColourBoldSuccess: "#ffffff";
+export declare const textStatusSubtleSecondaryColourBoldWarning: "#1d1d1b";
+export declare const textStatusSubtleSecondaryColourBoldError: "#ffffff";
+export declare const textStatusSubtleSecondaryColourBoldGeneric: "#ffffff";
+export declare const textStatusSubtleSecondaryColourNeutralInverseInfo: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralInverseSuccess: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralInverseWarning: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralInverseError: "#4d4f4f";
+export declare const textStatusSubtleSecondaryColourNeutralInverseGeneric: "#4d4f4f";
+export declare const textStatusBoldPrimaryColourNeutralInfo: "#ffffff";
+export declare const textStatusBoldPrimaryColourNeutralSuccess: "#ffffff";
+export declare const textStatusBoldPrimaryColourNeutralWarning: "#1d1d1b";
+export declare const textStatusBoldPrimaryColourNeutralError: "#ffffff";
+export declare const textStatusBoldPrimaryColourNeutralGeneric: "#ffffff";
+export declare const textStatusBoldPrimaryColourSubtleInfo: "#ffffff";
+export declare const textStatusBoldPrimaryColourSubtleSuccess: "#ffffff";
+export declare const textStatusBoldPrimaryColourSubtleWarning: "#1d1d1b";
+export declare const textStatusBoldPrimaryColourSubtleError: "#ffffff";
+export declare const textStatusBoldPrimaryColourSubtleGeneric: "#ffffff";
+export declare const textStatusBoldPrimaryColourBoldInfo: "#ffffff";
+export declare const textStatusBoldPrimaryColourBoldSuccess: "#ffffff";
+export declare const textStatusBoldPrimaryColourBoldWarning: "#1d1d1b";
+export declare const textStatusBoldPrimaryColourBoldError: "#ffffff";
+export declare const textStatusBoldPrimaryColourBoldGeneric: "#ffffff";
+export declare const textStatusBoldPrimaryColourNeutralInverseInfo: "#ffffff";
+export declare const textStatusBoldPrimaryColourNeutralInverseSuccess: "#ffffff";
+export declare const textStatusBoldPrimaryColourNeutralInverseWarning: "#1d1d1b";
+export declare const textStatusBoldPrimaryColourNeutralInverseError: "#ffffff";
+export declare const textStatusBoldPrimaryColourNeutralInverseGeneric: "#ffffff";
+export declare const textStatusBoldSecondaryColourNeutralInfo: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralSuccess: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralWarning: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralError: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralGeneric: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourSubtleInfo: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourSubtleSuccess: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourSubtleWarning: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourSubtleError: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourSubtleGeneric: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourBoldInfo: "#ffffff";
+export declare const textStatusBoldSecondaryColourBoldSuccess: "#ffffff";
+export declare const textStatusBoldSecondaryColourBoldWarning: "#1d1d1b";
+export declare const textStatusBoldSecondaryColourBoldError: "#ffffff";
+export declare const textStatusBoldSecondaryColourBoldGeneric: "#ffffff";
+export declare const textStatusBoldSecondaryColourNeutralInverseInfo: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralInverseSuccess: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralInverseWarning: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralInverseError: "#4d4f4f";
+export declare const textStatusBoldSecondaryColourNeutralInverseGeneric: "#4d4f4f";
+export declare const bodyDefaultBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourNeutralRed: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourSubtleRed: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourBoldBlue: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourBoldGreen: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourBoldRed: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourBoldYellow: "#f4f4f4";
+export declare const bodyDefaultBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const bodyDefaultBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const bodyDefaultBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const bodyDefaultBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const bodySubtleBackgroundColourNeutralBlue: "#42aeea";
+export declare const bodySubtleBackgroundColourNeutralGreen: "#43af6e";
+export declare const bodySubtleBackgroundColourNeutralRed: "#ff3e51";
+export declare const bodySubtleBackgroundColourNeutralYellow: "#ffe969";
+export declare const bodySubtleBackgroundColourSubtleBlue: "#aee1f7";
+export declare const bodySubtleBackgroundColourSubtleGreen: "#caeedd";
+export declare const bodySubtleBackgroundColourSubtleRed: "#ffd5d2";
+export declare const bodySubtleBackgroundColourSubtleYellow: "#fff9c7";
+export declare const bodySubtleBackgroundColourBoldBlue: "#aee1f7";
+export declare const bodySubtleBackgroundColourBoldGreen: "#caeedd";
+export declare const bodySubtleBackgroundColourBoldRed: "#ffd5d2";
+export declare const bodySubtleBackgroundColourBoldYellow: "#fff9c7";
+export declare const bodySubtleBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const bodySubtleBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const bodySubtleBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const bodySubtleBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const bodyBoldBackgroundColourNeutralBlue: "#005dba";
+export declare const bodyBoldBackgroundColourNeutralGreen: "#00633d";
+export declare const bodyBoldBackgroundColourNeutralRed: "#c50b30";
+export declare const bodyBoldBackgroundColourNeutralYellow: "#ffb600";
+export declare const bodyBoldBackgroundColourSubtleBlue: "#005dba";
+export declare const bodyBoldBackgroundColourSubtleGreen: "#00633d";
+export declare const bodyBoldBackgroundColourSubtleRed: "#c50b30";
+export declare const bodyBoldBackgroundColourSubtleYellow: "#ffb600";
+export declare const bodyBoldBackgroundColourBoldBlue: "#005dba";
+export declare const bodyBoldBackgroundColourBoldGreen: "#00633d";
+export declare const bodyBoldBackgroundColourBoldRed: "#c50b30";
+export declare const bodyBoldBackgroundColourBoldYellow: "#ffb600";
+export declare const bodyBoldBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const bodyBoldBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const bodyBoldBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const bodyBoldBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const bodyRegalBackgroundColourNeutralBlue: "#001d6e";
+export declare const bodyRegalBackgroundColourNeutralGreen: "#01312e";
+export declare const bodyRegalBackgroundColourNeutralRed: "#940824";
+export declare const bodyRegalBackgroundColourNeutralYellow: "#c86426";
+export declare const bodyRegalBackgroundColourSubtleBlue: "#001d6e";
+export declare const bodyRegalBackgroundColourSubtleGreen: "#01312e";
+export declare const bodyRegalBackgroundColourSubtleRed: "#940824";
+export declare const bodyRegalBackgroundColourSubtleYellow: "#c86426";
+export declare const bodyRegalBackgroundColourBoldBlue: "#001d6e";
+export declare const bodyRegalBackgroundColourBoldGreen: "#01312e";
+export declare const bodyRegalBackgroundColourBoldRed: "#940824";
+export declare const bodyRegalBackgroundColourBoldYellow: "#c86426";
+export declare const bodyRegalBackgroundColourNeutralInverseBlue: "#001d6e";
+export declare const bodyRegalBackgroundColourNeutralInverseGreen: "#01312e";
+export declare const bodyRegalBackgroundColourNeutralInverseRed: "#940824";
+export declare const bodyRegalBackgroundColourNeutralInverseYellow: "#c86426";
+export declare const containerCommonMinWidthNeutralBlue: 288;
+export declare const containerCommonMinWidthNeutralGreen: 288;
+export declare const containerCommonMinWidthNeutralRed: 288;
+export declare const containerCommonMinWidthNeutralYellow: 288;
+export declare const containerCommonMinWidthSubtleBlue: 288;
+export declare const containerCommonMinWidthSubtleGreen: 288;
+export declare const containerCommonMinWidthSubtleRed: 288;
+export declare const containerCommonMinWidthSubtleYellow: 288;
+export declare const containerCommonMinWidthBoldBlue: 288;
+export declare const containerCommonMinWidthBoldGreen: 288;
+export declare const containerCommonMinWidthBoldRed: 288;
+export declare const containerCommonMinWidthBoldYellow: 288;
+export declare const containerCommonMinWidthNeutralInverseBlue: 288;
+export declare const containerCommonMinWidthNeutralInverseGreen: 288;
+export declare const containerCommonMinWidthNeutralInverseRed: 288;
+export declare const containerCommonMinWidthNeutralInverseYellow: 288;
+export declare const containerCommonPaddingXsNeutralBlue: 12;
+export declare const containerCommonPaddingXsNeutralGreen: 12;
+export declare const containerCommonPaddingXsNeutralRed: 12;
+export declare const containerCommonPaddingXsNeutralYellow: 12;
+export declare const containerCommonPaddingXsSubtleBlue: 12;
+export declare const containerCommonPaddingXsSubtleGreen: 12;
+export declare const containerCommonPaddingXsSubtleRed: 12;
+export declare const containerCommonPaddingXsSubtleYellow: 12;
+export declare const containerCommonPaddingXsBoldBlue: 12;
+export declare const containerCommonPaddingXsBoldGreen: 12;
+export declare const containerCommonPaddingXsBoldRed: 12;
+export declare const containerCommonPaddingXsBoldYellow: 12;
+export declare const containerCommonPaddingXsNeutralInverseBlue: 12;
+export declare const containerCommonPaddingXsNeutralInverseGreen: 12;
+export declare const containerCommonPaddingXsNeutralInverseRed: 12;
+export declare const containerCommonPaddingXsNeutralInverseYellow: 12;
+export declare const containerCommonPaddingSmNeutralBlue: 16;
+export declare const containerCommonPaddingSmNeutralGreen: 16;
+export declare const containerCommonPaddingSmNeutralRed: 16;
+export declare const containerCommonPaddingSmNeutralYellow: 16;
+export declare const containerCommonPaddingSmSubtleBlue: 16;
+export declare const containerCommonPaddingSmSubtleGreen: 16;
+export declare const containerCommonPaddingSmSubtleRed: 16;
+export declare const containerCommonPaddingSmSubtleYellow: 16;
+export declare const containerCommonPaddingSmBoldBlue: 16;
+export declare const containerCommonPaddingSmBoldGreen: 16;
+export declare const containerCommonPaddingSmBoldRed: 16;
+export declare const containerCommonPaddingSmBoldYellow: 16;
+export declare const containerCommonPaddingSmNeutralInverseBlue: 16;
+export declare const containerCommonPaddingSmNeutralInverseGreen: 16;
+export declare const containerCommonPaddingSmNeutralInverseRed: 16;
+export declare const containerCommonPaddingSmNeutralInverseYellow: 16;
+export declare const containerCommonPaddingMdNeutralBlue: 20;
+export declare const containerCommonPaddingMdNeutralGreen: 20;
+export declare const containerCommonPaddingMdNeutralRed: 20;
+export declare const containerCommonPaddingMdNeutralYellow: 20;
+export declare const containerCommonPaddingMdSubtleBlue: 20;
+export declare const containerCommonPaddingMdSubtleGreen: 20;
+export declare const containerCommonPaddingMdSubtleRed: 20;
+export declare const containerCommonPaddingMdSubtleYellow: 20;
+export declare const containerCommonPaddingMdBoldBlue: 20;
+export declare const containerCommonPaddingMdBoldGreen: 20;
+export declare const containerCommonPaddingMdBoldRed: 20;
+export declare const containerCommonPaddingMdBoldYellow: 20;
+export declare const containerCommonPaddingMdNeutralInverseBlue: 20;
+export declare const containerCommonPaddingMdNeutralInverseGreen: 20;
+export declare const containerCommonPaddingMdNeutralInverseRed: 20;
+export declare const containerCommonPaddingMdNeutralInverseYellow: 20;
+export declare const containerCommonPaddingLgNeutralBlue: 28;
+export declare const containerCommonPaddingLgNeutralGreen: 28;
+export declare const containerCommonPaddingLgNeutralRed: 28;
+export declare const containerCommonPaddingLgNeutralYellow: 28;
+export declare const containerCommonPaddingLgSubtleBlue: 28;
+export declare const containerCommonPaddingLgSubtleGreen: 28;
+export declare const containerCommonPaddingLgSubtleRed: 28;
+export declare const containerCommonPaddingLgSubtleYellow: 28;
+export declare const containerCommonPaddingLgBoldBlue: 28;
+export declare const containerCommonPaddingLgBoldGreen: 28;
+export declare const containerCommonPaddingLgBoldRed: 28;
+export declare const containerCommonPaddingLgBoldYellow: 28;
+export declare const containerCommonPaddingLgNeutralInverseBlue: 28;
+export declare const containerCommonPaddingLgNeutralInverseGreen: 28;
+export declare const containerCommonPaddingLgNeutralInverseRed: 28;
+export declare const containerCommonPaddingLgNeutralInverseYellow: 28;
+export declare const containerCommonBorderRadiusXsNeutralBlue: 12;
+export declare const containerCommonBorderRadiusXsNeutralGreen: 12;
+export declare const containerCommonBorderRadiusXsNeutralRed: 12;
+export declare const containerCommonBorderRadiusXsNeutralYellow: 12;
+export declare const containerCommonBorderRadiusXsSubtleBlue: 12;
+export declare const containerCommonBorderRadiusXsSubtleGreen: 12;
+export declare const containerCommonBorderRadiusXsSubtleRed: 12;
+export declare const containerCommonBorderRadiusXsSubtleYellow: 12;
+export declare const containerCommonBorderRadiusXsBoldBlue: 12;
+export declare const containerCommonBorderRadiusXsBoldGreen: 12;
+export declare const containerCommonBorderRadiusXsBoldRed: 12;
+export declare const containerCommonBorderRadiusXsBoldYellow: 12;
+export declare const containerCommonBorderRadiusXsNeutralInverseBlue: 12;
+export declare const containerCommonBorderRadiusXsNeutralInverseGreen: 12;
+export declare const containerCommonBorderRadiusXsNeutralInverseRed: 12;
+export declare const containerCommonBorderRadiusXsNeutralInverseYellow: 12;
+export declare const containerCommonBorderRadiusSmNeutralBlue: 16;
+export declare const containerCommonBorderRadiusSmNeutralGreen: 16;
+export declare const containerCommonBorderRadiusSmNeutralRed: 16;
+export declare const containerCommonBorderRadiusSmNeutralYellow: 16;
+export declare const containerCommonBorderRadiusSmSubtleBlue: 16;
+export declare const containerCommonBorderRadiusSmSubtleGreen: 16;
+export declare const containerCommonBorderRadiusSmSubtleRed: 16;
+export declare const containerCommonBorderRadiusSmSubtleYellow: 16;
+export declare const containerCommonBorderRadiusSmBoldBlue: 16;
+export declare const containerCommonBorderRadiusSmBoldGreen: 16;
+export declare const containerCommonBorderRadiusSmBoldRed: 16;
+export declare const containerCommonBorderRadiusSmBoldYellow: 16;
+export declare const containerCommonBorderRadiusSmNeutralInverseBlue: 16;
+export declare const containerCommonBorderRadiusSmNeutralInverseGreen: 16;
+export declare const containerCommonBorderRadiusSmNeutralInverseRed: 16;
+export declare const containerCommonBorderRadiusSmNeutralInverseYellow: 16;
+export declare const containerCommonBorderRadiusMdNeutralBlue: 20;
+export declare const containerCommonBorderRadiusMdNeutralGreen: 20;
+export declare const containerCommonBorderRadiusMdNeutralRed: 20;
+export declare const containerCommonBorderRadiusMdNeutralYellow: 20;
+export declare const containerCommonBorderRadiusMdSubtleBlue: 20;
+export declare const containerCommonBorderRadiusMdSubtleGreen: 20;
+export declare const containerCommonBorderRadiusMdSubtleRed: 20;
+export declare const containerCommonBorderRadiusMdSubtleYellow: 20;
+export declare const containerCommonBorderRadiusMdBoldBlue: 20;
+export declare const containerCommonBorderRadiusMdBoldGreen: 20;
+export declare const containerCommonBorderRadiusMdBoldRed: 20;
+export declare const containerCommonBorderRadiusMdBoldYellow: 20;
+export declare const containerCommonBorderRadiusMdNeutralInverseBlue: 20;
+export declare const containerCommonBorderRadiusMdNeutralInverseGreen: 20;
+export declare const containerCommonBorderRadiusMdNeutralInverseRed: 20;
+export declare const containerCommonBorderRadiusMdNeutralInverseYellow: 20;
+export declare const containerCommonBorderRadiusLgNeutralBlue: 28;
+export declare const containerCommonBorderRadiusLgNeutralGreen: 28;
+export declare const containerCommonBorderRadiusLgNeutralRed: 28;
+export declare const containerCommonBorderRadiusLgNeutralYellow: 28;
+export declare const containerCommonBorderRadiusLgSubtleBlue: 28;
+export declare const containerCommonBorderRadiusLgSubtleGreen: 28;
+export declare const containerCommonBorderRadiusLgSubtleRed: 28;
+export declare const containerCommonBorderRadiusLgSubtleYellow: 28;
+export declare const containerCommonBorderRadiusLgBoldBlue: 28;
+export declare const containerCommonBorderRadiusLgBoldGreen: 28;
+export declare const containerCommonBorderRadiusLgBoldRed: 28;
+export declare const containerCommonBorderRadiusLgBoldYellow: 28;
+export declare const containerCommonBorderRadiusLgNeutralInverseBlue: 28;
+export declare const containerCommonBorderRadiusLgNeutralInverseGreen: 28;
+export declare const containerCommonBorderRadiusLgNeutralInverseRed: 28;
+export declare const containerCommonBorderRadiusLgNeutralInverseYellow: 28;
+export declare const containerCommonBorderWidthXsNeutralBlue: 1;
+export declare const containerCommonBorderWidthXsNeutralGreen: 1;
+export declare const containerCommonBorderWidthXsNeutralRed: 1;
+export declare const containerCommonBorderWidthXsNeutralYellow: 1;
+export declare const containerCommonBorderWidthXsSubtleBlue: 1;
+export declare const containerCommonBorderWidthXsSubtleGreen: 1;
+export declare const containerCommonBorderWidthXsSubtleRed: 1;
+export declare const containerCommonBorderWidthXsSubtleYellow: 1;
+export declare const containerCommonBorderWidthXsBoldBlue: 1;
+export declare const containerCommonBorderWidthXsBoldGreen: 1;
+export declare const containerCommonBorderWidthXsBoldRed: 1;
+export declare const containerCommonBorderWidthXsBoldYellow: 1;
+export declare const containerCommonBorderWidthXsNeutralInverseBlue: 1;
+export declare const containerCommonBorderWidthXsNeutralInverseGreen: 1;
+export declare const containerCommonBorderWidthXsNeutralInverseRed: 1;
+export declare const containerCommonBorderWidthXsNeutralInverseYellow: 1;
+export declare const containerCommonBorderWidthMdNeutralBlue: 2;
+export declare const containerCommonBorderWidthMdNeutralGreen: 2;
+export declare const containerCommonBorderWidthMdNeutralRed: 2;
+export declare const containerCommonBorderWidthMdNeutralYellow: 2;
+export declare const containerCommonBorderWidthMdSubtleBlue: 2;
+export declare const containerCommonBorderWidthMdSubtleGreen: 2;
+export declare const containerCommonBorderWidthMdSubtleRed: 2;
+export declare const containerCommonBorderWidthMdSubtleYellow: 2;
+export declare const containerCommonBorderWidthMdBoldBlue: 2;
+export declare const containerCommonBorderWidthMdBoldGreen: 2;
+export declare const containerCommonBorderWidthMdBoldRed: 2;
+export declare const containerCommonBorderWidthMdBoldYellow: 2;
+export declare const containerCommonBorderWidthMdNeutralInverseBlue: 2;
+export declare const containerCommonBorderWidthMdNeutralInverseGreen: 2;
+export declare const containerCommonBorderWidthMdNeutralInverseRed: 2;
+export declare const containerCommonBorderWidthMdNeutralInverseYellow: 2;
+export declare const containerCommonSizeXsNeutralBlue: 16;
+export declare const containerCommonSizeXsNeutralGreen: 16;
+export declare const containerCommonSizeXsNeutralRed: 16;
+export declare const containerCommonSizeXsNeutralYellow: 16;
+export declare const containerCommonSizeXsSubtleBlue: 16;
+export declare const containerCommonSizeXsSubtleGreen: 16;
+export declare const containerCommonSizeXsSubtleRed: 16;
+export declare const containerCommonSizeXsSubtleYellow: 16;
+export declare const containerCommonSizeXsBoldBlue: 16;
+export declare const containerCommonSizeXsBoldGreen: 16;
+export declare const containerCommonSizeXsBoldRed: 16;
+export declare const containerCommonSizeXsBoldYellow: 16;
+export declare const containerCommonSizeXsNeutralInverseBlue: 16;
+export declare const containerCommonSizeXsNeutralInverseGreen: 16;
+export declare const containerCommonSizeXsNeutralInverseRed: 16;
+export declare const containerCommonSizeXsNeutralInverseYellow: 16;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralBlue: 3;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralGreen: 3;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralRed: 3;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralYellow: 3;
+export declare const containerCommonFocusIndicatorBorderWidthSubtleBlue: 3;
+export declare const containerCommonFocusIndicatorBorderWidthSubtleGreen: 3;
+export declare const containerCommonFocusIndicatorBorderWidthSubtleRed: 3;
+export declare const containerCommonFocusIndicatorBorderWidthSubtleYellow: 3;
+export declare const containerCommonFocusIndicatorBorderWidthBoldBlue: 3;
+export declare const containerCommonFocusIndicatorBorderWidthBoldGreen: 3;
+export declare const containerCommonFocusIndicatorBorderWidthBoldRed: 3;
+export declare const containerCommonFocusIndicatorBorderWidthBoldYellow: 3;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralInverseBlue: 3;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralInverseGreen: 3;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralInverseRed: 3;
+export declare const containerCommonFocusIndicatorBorderWidthNeutralInverseYellow: 3;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralBlue: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralGreen: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralRed: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralYellow: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmSubtleBlue: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmSubtleGreen: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmSubtleRed: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmSubtleYellow: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmBoldBlue: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmBoldGreen: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmBoldRed: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmBoldYellow: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseBlue: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseGreen: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseRed: 8;
+export declare const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseYellow: 8;
+export declare const containerDefaultBackgroundColourNeutralBlue: "#ffffff";
+export declare const containerDefaultBackgroundColourNeutralGreen: "#ffffff";
+export declare const containerDefaultBackgroundColourNeutralRed: "#ffffff";
+export declare const containerDefaultBackgroundColourNeutralYellow: "#ffffff";
+export declare const containerDefaultBackgroundColourSubtleBlue: "#aee1f7";
+export declare const containerDefaultBackgroundColourSubtleGreen: "#caeedd";
+export declare const containerDefaultBackgroundColourSubtleRed: "#ffd5d2";
+export declare const containerDefaultBackgroundColourSubtleYellow: "#fff9c7";
+export declare const containerDefaultBackgroundColourBoldBlue: "#005dba";
+export declare const containerDefaultBackgroundColourBoldGreen: "#00633d";
+export declare const containerDefaultBackgroundColourBoldRed: "#c50b30";
+export declare const containerDefaultBackgroundColourBoldYellow: "#ffb600";
+export declare const containerDefaultBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const containerDefaultBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const containerDefaultBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const containerDefaultBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const containerDefaultBackgroundColourReversedNeutralBlue: "#f4f4f4";
+export declare const containerDefaultBackgroundColourReversedNeutralGreen: "#f4f4f4";
+export declare const containerDefaultBackgroundColourReversedNeutralRed: "#f4f4f4";
+export declare const containerDefaultBackgroundColourReversedNeutralYellow: "#f4f4f4";
+export declare const containerDefaultBackgroundColourReversedSubtleBlue: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedSubtleGreen: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedSubtleRed: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedSubtleYellow: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedBoldBlue: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedBoldGreen: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedBoldRed: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedBoldYellow: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedNeutralInverseBlue: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedNeutralInverseGreen: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedNeutralInverseRed: "#ffffff";
+export declare const containerDefaultBackgroundColourReversedNeutralInverseYellow: "#ffffff";
+export declare const containerDefaultAccent1NeutralBlue: "#42aeea";
+export declare const containerDefaultAccent1NeutralGreen: "#43af6e";
+export declare const containerDefaultAccent1NeutralRed: "#ff3e51";
+export declare const containerDefaultAccent1NeutralYellow: "#ffe969";
+export declare const containerDefaultAccent1SubtleBlue: "#005dba";
+export declare const containerDefaultAccent1SubtleGreen: "#00633d";
+export declare const containerDefaultAccent1SubtleRed: "#c50b30";
+export declare const containerDefaultAccent1SubtleYellow: "#ffb600";
+export declare const containerDefaultAccent1BoldBlue: "#001d6e";
+export declare const containerDefaultAccent1BoldGreen: "#01312e";
+export declare const containerDefaultAccent1BoldRed: "#940824";
+export declare const containerDefaultAccent1BoldYellow: "#c86426";
+export declare const containerDefaultAccent1NeutralInverseBlue: "#42aeea";
+export declare const containerDefaultAccent1NeutralInverseGreen: "#43af6e";
+export declare const containerDefaultAccent1NeutralInverseRed: "#ff3e51";
+export declare const containerDefaultAccent1NeutralInverseYellow: "#ffe969";
+export declare const containerDefaultAccent2NeutralBlue: "#005dba";
+export declare const containerDefaultAccent2NeutralGreen: "#00633d";
+export declare const containerDefaultAccent2NeutralRed: "#c50b30";
+export declare const containerDefaultAccent2NeutralYellow: "#ffb600";
+export declare const containerDefaultAccent2SubtleBlue: "#001d6e";
+export declare const containerDefaultAccent2SubtleGreen: "#01312e";
+export declare const containerDefaultAccent2SubtleRed: "#940824";
+export declare const containerDefaultAccent2SubtleYellow: "#c86426";
+export declare const containerDefaultAccent2BoldBlue: "#ffffff";
+export declare const containerDefaultAccent2BoldGreen: "#ffffff";
+export declare const containerDefaultAccent2BoldRed: "#ffffff";
+export declare const containerDefaultAccent2BoldYellow: "#ffffff";
+export declare const containerDefaultAccent2NeutralInverseBlue: "#005dba";
+export declare const containerDefaultAccent2NeutralInverseGreen: "#00633d";
+export declare const containerDefaultAccent2NeutralInverseRed: "#c50b30";
+export declare const containerDefaultAccent2NeutralInverseYellow: "#ffb600";
+export declare const containerDefaultBorderColour1NeutralBlue: "#d3d3d3";
+export declare const containerDefaultBorderColour1NeutralGreen: "#d3d3d3";
+export declare const containerDefaultBorderColour1NeutralRed: "#d3d3d3";
+export declare const containerDefaultBorderColour1NeutralYellow: "#d3d3d3";
+export declare const containerDefaultBorderColour1SubtleBlue: "#42aeea";
+export declare const containerDefaultBorderColour1SubtleGreen: "#43af6e";
+export declare const containerDefaultBorderColour1SubtleRed: "#ff3e51";
+export declare const containerDefaultBorderColour1SubtleYellow: "#ffe969";
+export declare const containerDefaultBorderColour1BoldBlue: "#001d6e";
+export declare const containerDefaultBorderColour1BoldGreen: "#01312e";
+export declare const containerDefaultBorderColour1BoldRed: "#940824";
+export declare const containerDefaultBorderColour1BoldYellow: "#c86426";
+export declare const containerDefaultBorderColour1NeutralInverseBlue: "#d3d3d3";
+export declare const containerDefaultBorderColour1NeutralInverseGreen: "#d3d3d3";
+export declare const containerDefaultBorderColour1NeutralInverseRed: "#d3d3d3";
+export declare const containerDefaultBorderColour1NeutralInverseYellow: "#d3d3d3";
+export declare const containerDefaultBorderColour2NeutralBlue: "#d3d3d3";
+export declare const containerDefaultBorderColour2NeutralGreen: "#d3d3d3";
+export declare const containerDefaultBorderColour2NeutralRed: "#d3d3d3";
+export declare const containerDefaultBorderColour2NeutralYellow: "#d3d3d3";
+export declare const containerDefaultBorderColour2SubtleBlue: "#001d6e";
+export declare const containerDefaultBorderColour2SubtleGreen: "#01312e";
+export declare const containerDefaultBorderColour2SubtleRed: "#940824";
+export declare const containerDefaultBorderColour2SubtleYellow: "#c86426";
+export declare const containerDefaultBorderColour2BoldBlue: "#f4f4f4";
+export declare const containerDefaultBorderColour2BoldGreen: "#f4f4f4";
+export declare const containerDefaultBorderColour2BoldRed: "#f4f4f4";
+export declare const containerDefaultBorderColour2BoldYellow: "#1d1d1b";
+export declare const containerDefaultBorderColour2NeutralInverseBlue: "#d3d3d3";
+export declare const containerDefaultBorderColour2NeutralInverseGreen: "#d3d3d3";
+export declare const containerDefaultBorderColour2NeutralInverseRed: "#d3d3d3";
+export declare const containerDefaultBorderColour2NeutralInverseYellow: "#d3d3d3";
+export declare const containerDefaultBorderColour3NeutralBlue: "#4d4f4f";
+export declare const containerDefaultBorderColour3NeutralGreen: "#4d4f4f";
+export declare const containerDefaultBorderColour3NeutralRed: "#4d4f4f";
+export declare const containerDefaultBorderColour3NeutralYellow: "#4d4f4f";
+export declare const containerDefaultBorderColour3SubtleBlue: "#4d4f4f";
+export declare const containerDefaultBorderColour3SubtleGreen: "#4d4f4f";
+export declare const containerDefaultBorderColour3SubtleRed: "#4d4f4f";
+export declare const containerDefaultBorderColour3SubtleYellow: "#4d4f4f";
+export declare const containerDefaultBorderColour3BoldBlue: "#4d4f4f";
+export declare const containerDefaultBorderColour3BoldGreen: "#4d4f4f";
+export declare const containerDefaultBorderColour3BoldRed: "#4d4f4f";
+export declare const containerDefaultBorderColour3BoldYellow: "#4d4f4f";
+export declare const containerDefaultBorderColour3NeutralInverseBlue: "#4d4f4f";
+export declare const containerDefaultBorderColour3NeutralInverseGreen: "#4d4f4f";
+export declare const containerDefaultBorderColour3NeutralInverseRed: "#4d4f4f";
+export declare const containerDefaultBorderColour3NeutralInverseYellow: "#4d4f4f";
+export declare const containerDefaultBorderColour4NeutralBlue: "#f4f4f4";
+export declare const containerDefaultBorderColour4NeutralGreen: "#f4f4f4";
+export declare const containerDefaultBorderColour4NeutralRed: "#f4f4f4";
+export declare const containerDefaultBorderColour4NeutralYellow: "#1d1d1b";
+export declare const containerDefaultBorderColour4SubtleBlue: "#42aeea";
+export declare const containerDefaultBorderColour4SubtleGreen: "#43af6e";
+export declare const containerDefaultBorderColour4SubtleRed: "#ff3e51";
+export declare const containerDefaultBorderColour4SubtleYellow: "#ffe969";
+export declare const containerDefaultBorderColour4BoldBlue: "#001d6e";
+export declare const containerDefaultBorderColour4BoldGreen: "#01312e";
+export declare const containerDefaultBorderColour4BoldRed: "#940824";
+export declare const containerDefaultBorderColour4BoldYellow: "#c86426";
+export declare const containerDefaultBorderColour4NeutralInverseBlue: "#ffffff";
+export declare const containerDefaultBorderColour4NeutralInverseGreen: "#ffffff";
+export declare const containerDefaultBorderColour4NeutralInverseRed: "#ffffff";
+export declare const containerDefaultBorderColour4NeutralInverseYellow: "#ffffff";
+export declare const containerDefaultFocusIndicatorColourNeutralBlue: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourNeutralGreen: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourNeutralRed: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourNeutralYellow: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourSubtleBlue: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourSubtleGreen: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourSubtleRed: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourSubtleYellow: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourBoldBlue: "#ffffff";
+export declare const containerDefaultFocusIndicatorColourBoldGreen: "#ffffff";
+export declare const containerDefaultFocusIndicatorColourBoldRed: "#ffffff";
+export declare const containerDefaultFocusIndicatorColourBoldYellow: "#ffffff";
+export declare const containerDefaultFocusIndicatorColourNeutralInverseBlue: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourNeutralInverseGreen: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourNeutralInverseRed: "#1d1d1b";
+export declare const containerDefaultFocusIndicatorColourNeutralInverseYellow: "#1d1d1b";
+export declare const containerStatusSubtleBackgroundColourNeutralInfo: "#aee1f7";
+export declare const containerStatusSubtleBackgroundColourNeutralSuccess: "#caeedd";
+export declare const containerStatusSubtleBackgroundColourNeutralWarning: "#fff9c7";
+export declare const containerStatusSubtleBackgroundColourNeutralError: "#ffc2bd";
+export declare const containerStatusSubtleBackgroundColourNeutralGeneric: "#f4f4f4";
+export declare const containerStatusSubtleBackgroundColourSubtleInfo: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourSubtleSuccess: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourSubtleWarning: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourSubtleError: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourSubtleGeneric: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourBoldInfo: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourBoldSuccess: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourBoldWarning: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourBoldError: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourBoldGeneric: "#ffffff";
+export declare const containerStatusSubtleBackgroundColourNeutralInverseInfo: "#aee1f7";
+export declare const containerStatusSubtleBackgroundColourNeutralInverseSuccess: "#caeedd";
+export declare const containerStatusSubtleBackgroundColourNeutralInverseWarning: "#fff9c7";
+export declare const containerStatusSubtleBackgroundColourNeutralInverseError: "#ffc2bd";
+export declare const containerStatusSubtleBackgroundColourNeutralInverseGeneric: "#ffffff";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralBlue: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralGreen: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralRed: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralYellow: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourSubtleBlue: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourSubtleGreen: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourSubtleRed: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourSubtleYellow: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourBoldBlue: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourBoldGreen: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourBoldRed: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourBoldYellow: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralInverseBlue: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralInverseGreen: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralInverseRed: "#1d1d1b";
+export declare const containerStatusSubtleFocusIndicatorColourNeutralInverseYellow: "#1d1d1b";
+export declare const containerStatusBoldBackgroundColourNeutralInfo: "#005dba";
+export declare const containerStatusBoldBackgroundColourNeutralSuccess: "#00633d";
+export declare const containerStatusBoldBackgroundColourNeutralWarning: "#ffb600";
+export declare const containerStatusBoldBackgroundColourNeutralError: "#c50b30";
+export declare const containerStatusBoldBackgroundColourNeutralGeneric: "#4d4f4f";
+export declare const containerStatusBoldBackgroundColourSubtleInfo: "#005dba";
+export declare const containerStatusBoldBackgroundColourSubtleSuccess: "#00633d";
+export declare const containerStatusBoldBackgroundColourSubtleWarning: "#ffb600";
+export declare const containerStatusBoldBackgroundColourSubtleError: "#c50b30";
+export declare const containerStatusBoldBackgroundColourSubtleGeneric: "#4d4f4f";
+export declare const containerStatusBoldBackgroundColourBoldInfo: "#005dba";
+export declare const containerStatusBoldBackgroundColourBoldSuccess: "#00633d";
+export declare const containerStatusBoldBackgroundColourBoldWarning: "#ffb600";
+export declare const containerStatusBoldBackgroundColourBoldError: "#c50b30";
+export declare const containerStatusBoldBackgroundColourBoldGeneric: "#4d4f4f";
+export declare const containerStatusBoldBackgroundColourNeutralInverseInfo: "#005dba";
+export declare const containerStatusBoldBackgroundColourNeutralInverseSuccess: "#00633d";
+export declare const containerStatusBoldBackgroundColourNeutralInverseWarning: "#ffb600";
+export declare const containerStatusBoldBackgroundColourNeutralInverseError: "#c50b30";
+export declare const containerStatusBoldBackgroundColourNeutralInverseGeneric: "#4d4f4f";
+export declare const inputCommonBorderRadiusXsNeutralBlue: 4;
+export declare const inputCommonBorderRadiusXsNeutralGreen: 4;
+export declare const inputCommonBorderRadiusXsNeutralRed: 4;
+export declare const inputCommonBorderRadiusXsNeutralYellow: 4;
+export declare const inputCommonBorderRadiusXsSubtleBlue: 4;
+export declare const inputCommonBorderRadiusXsSubtleGreen: 4;
+export declare const inputCommonBorderRadiusXsSubtleRed: 4;
+export declare const inputCommonBorderRadiusXsSubtleYellow: 4;
+export declare const inputCommonBorderRadiusXsBoldBlue: 4;
+export declare const inputCommonBorderRadiusXsBoldGreen: 4;
+export declare const inputCommonBorderRadiusXsBoldRed: 4;
+export declare const inputCommonBorderRadiusXsBoldYellow: 4;
+export declare const inputCommonBorderRadiusXsNeutralInverseBlue: 4;
+export declare const inputCommonBorderRadiusXsNeutralInverseGreen: 4;
+export declare const inputCommonBorderRadiusXsNeutralInverseRed: 4;
+export declare const inputCommonBorderRadiusXsNeutralInverseYellow: 4;
+export declare const inputCommonBorderRadiusSmNeutralBlue: 8;
+export declare const inputCommonBorderRadiusSmNeutralGreen: 8;
+export declare const inputCommonBorderRadiusSmNeutralRed: 8;
+export declare const inputCommonBorderRadiusSmNeutralYellow: 8;
+export declare const inputCommonBorderRadiusSmSubtleBlue: 8;
+export declare const inputCommonBorderRadiusSmSubtleGreen: 8;
+export declare const inputCommonBorderRadiusSmSubtleRed: 8;
+export declare const inputCommonBorderRadiusSmSubtleYellow: 8;
+export declare const inputCommonBorderRadiusSmBoldBlue: 8;
+export declare const inputCommonBorderRadiusSmBoldGreen: 8;
+export declare const inputCommonBorderRadiusSmBoldRed: 8;
+export declare const inputCommonBorderRadiusSmBoldYellow: 8;
+export declare const inputCommonBorderRadiusSmNeutralInverseBlue: 8;
+export declare const inputCommonBorderRadiusSmNeutralInverseGreen: 8;
+export declare const inputCommonBorderRadiusSmNeutralInverseRed: 8;
+export declare const inputCommonBorderRadiusSmNeutralInverseYellow: 8;
+export declare const inputCommonBorderRadiusMdNeutralBlue: 12;
+export declare const inputCommonBorderRadiusMdNeutralGreen: 12;
+export declare const inputCommonBorderRadiusMdNeutralRed: 12;
+export declare const inputCommonBorderRadiusMdNeutralYellow: 12;
+export declare const inputCommonBorderRadiusMdSubtleBlue: 12;
+export declare const inputCommonBorderRadiusMdSubtleGreen: 12;
+export declare const inputCommonBorderRadiusMdSubtleRed: 12;
+export declare const inputCommonBorderRadiusMdSubtleYellow: 12;
+export declare const inputCommonBorderRadiusMdBoldBlue: 12;
+export declare const inputCommonBorderRadiusMdBoldGreen: 12;
+export declare const inputCommonBorderRadiusMdBoldRed: 12;
+export declare const inputCommonBorderRadiusMdBoldYellow: 12;
+export declare const inputCommonBorderRadiusMdNeutralInverseBlue: 12;
+export declare const inputCommonBorderRadiusMdNeutralInverseGreen: 12;
+export declare const inputCommonBorderRadiusMdNeutralInverseRed: 12;
+export declare const inputCommonBorderRadiusMdNeutralInverseYellow: 12;
+export declare const inputCommonBorderRadiusLgNeutralBlue: 16;
+export declare const inputCommonBorderRadiusLgNeutralGreen: 16;
+export declare const inputCommonBorderRadiusLgNeutralRed: 16;
+export declare const inputCommonBorderRadiusLgNeutralYellow: 16;
+export declare const inputCommonBorderRadiusLgSubtleBlue: 16;
+export declare const inputCommonBorderRadiusLgSubtleGreen: 16;
+export declare const inputCommonBorderRadiusLgSubtleRed: 16;
+export declare const inputCommonBorderRadiusLgSubtleYellow: 16;
+export declare const inputCommonBorderRadiusLgBoldBlue: 16;
+export declare const inputCommonBorderRadiusLgBoldGreen: 16;
+export declare const inputCommonBorderRadiusLgBoldRed: 16;
+export declare const inputCommonBorderRadiusLgBoldYellow: 16;
+export declare const inputCommonBorderRadiusLgNeutralInverseBlue: 16;
+export declare const inputCommonBorderRadiusLgNeutralInverseGreen: 16;
+export declare const inputCommonBorderRadiusLgNeutralInverseRed: 16;
+export declare const inputCommonBorderRadiusLgNeutralInverseYellow: 16;
+export declare const inputCommonGapXsNeutralBlue: 4;
+export declare const inputCommonGapXsNeutralGreen: 4;
+export declare const inputCommonGapXsNeutralRed: 4;
+export declare const inputCommonGapXsNeutralYellow: 4;
+export declare const inputCommonGapXsSubtleBlue: 4;
+export declare const inputCommonGapXsSubtleGreen: 4;
+export declare const inputCommonGapXsSubtleRed: 4;
+export declare const inputCommonGapXsSubtleYellow: 4;
+export declare const inputCommonGapXsBoldBlue: 4;
+export declare const inputCommonGapXsBoldGreen: 4;
+export declare const inputCommonGapXsBoldRed: 4;
+export declare const inputCommonGapXsBoldYellow: 4;
+export declare const inputCommonGapXsNeutralInverseBlue: 4;
+export declare const inputCommonGapXsNeutralInverseGreen: 4;
+export declare const inputCommonGapXsNeutralInverseRed: 4;
+export declare const inputCommonGapXsNeutralInverseYellow: 4;
+export declare const inputCommonGapSmNeutralBlue: 8;
+export declare const inputCommonGapSmNeutralGreen: 8;
+export declare const inputCommonGapSmNeutralRed: 8;
+export declare const inputCommonGapSmNeutralYellow: 8;
+export declare const inputCommonGapSmSubtleBlue: 8;
+export declare const inputCommonGapSmSubtleGreen: 8;
+export declare const inputCommonGapSmSubtleRed: 8;
+export declare const inputCommonGapSmSubtleYellow: 8;
+export declare const inputCommonGapSmBoldBlue: 8;
+export declare const inputCommonGapSmBoldGreen: 8;
+export declare const inputCommonGapSmBoldRed: 8;
+export declare const inputCommonGapSmBoldYellow: 8;
+export declare const inputCommonGapSmNeutralInverseBlue: 8;
+export declare const inputCommonGapSmNeutralInverseGreen: 8;
+export declare const inputCommonGapSmNeutralInverseRed: 8;
+export declare const inputCommonGapSmNeutralInverseYellow: 8;
+export declare const inputCommonGapMdNeutralBlue: 12;
+export declare const inputCommonGapMdNeutralGreen: 12;
+export declare const inputCommonGapMdNeutralRed: 12;
+export declare const inputCommonGapMdNeutralYellow: 12;
+export declare const inputCommonGapMdSubtleBlue: 12;
+export declare const inputCommonGapMdSubtleGreen: 12;
+export declare const inputCommonGapMdSubtleRed: 12;
+export declare const inputCommonGapMdSubtleYellow: 12;
+export declare const inputCommonGapMdBoldBlue: 12;
+export declare const inputCommonGapMdBoldGreen: 12;
+export declare const inputCommonGapMdBoldRed: 12;
+export declare const inputCommonGapMdBoldYellow: 12;
+export declare const inputCommonGapMdNeutralInverseBlue: 12;
+export declare const inputCommonGapMdNeutralInverseGreen: 12;
+export declare const inputCommonGapMdNeutralInverseRed: 12;
+export declare const inputCommonGapMdNeutralInverseYellow: 12;
+export declare const inputCommonGapLgNeutralBlue: 16;
+export declare const inputCommonGapLgNeutralGreen: 16;
+export declare const inputCommonGapLgNeutralRed: 16;
+export declare const inputCommonGapLgNeutralYellow: 16;
+export declare const inputCommonGapLgSubtleBlue: 16;
+export declare const inputCommonGapLgSubtleGreen: 16;
+export declare const inputCommonGapLgSubtleRed: 16;
+export declare const inputCommonGapLgSubtleYellow: 16;
+export declare const inputCommonGapLgBoldBlue: 16;
+export declare const inputCommonGapLgBoldGreen: 16;
+export declare const inputCommonGapLgBoldRed: 16;
+export declare const inputCommonGapLgBoldYellow: 16;
+export declare const inputCommonGapLgNeutralInverseBlue: 16;
+export declare const inputCommonGapLgNeutralInverseGreen: 16;
+export declare const inputCommonGapLgNeutralInverseRed: 16;
+export declare const inputCommonGapLgNeutralInverseYellow: 16;
+export declare const inputCommonGapXlNeutralBlue: 20;
+export declare const inputCommonGapXlNeutralGreen: 20;
+export declare const inputCommonGapXlNeutralRed: 20;
+export declare const inputCommonGapXlNeutralYellow: 20;
+export declare const inputCommonGapXlSubtleBlue: 20;
+export declare const inputCommonGapXlSubtleGreen: 20;
+export declare const inputCommonGapXlSubtleRed: 20;
+export declare const inputCommonGapXlSubtleYellow: 20;
+export declare const inputCommonGapXlBoldBlue: 20;
+export declare const inputCommonGapXlBoldGreen: 20;
+export declare const inputCommonGapXlBoldRed: 20;
+export declare const inputCommonGapXlBoldYellow: 20;
+export declare const inputCommonGapXlNeutralInverseBlue: 20;
+export declare const inputCommonGapXlNeutralInverseGreen: 20;
+export declare const inputCommonGapXlNeutralInverseRed: 20;
+export declare const inputCommonGapXlNeutralInverseYellow: 20;
+export declare const inputCommonGapXxlNeutralBlue: 28;
+export declare const inputCommonGapXxlNeutralGreen: 28;
+export declare const inputCommonGapXxlNeutralRed: 28;
+export declare const inputCommonGapXxlNeutralYellow: 28;
+export declare const inputCommonGapXxlSubtleBlue: 28;
+export declare const inputCommonGapXxlSubtleGreen: 28;
+export declare const inputCommonGapXxlSubtleRed: 28;
+export declare const inputCommonGapXxlSubtleYellow: 28;
+export declare const inputCommonGapXxlBoldBlue: 28;
+export declare const inputCommonGapXxlBoldGreen: 28;
+export declare const inputCommonGapXxlBoldRed: 28;
+export declare const inputCommonGapXxlBoldYellow: 28;
+export declare const inputCommonGapXxlNeutralInverseBlue: 28;
+export declare const inputCommonGapXxlNeutralInverseGreen: 28;
+export declare const inputCommonGapXxlNeutralInverseRed: 28;
+export declare const inputCommonGapXxlNeutralInverseYellow: 28;
+export declare const inputCommonGapXxxlNeutralBlue: 36;
+export declare const inputCommonGapXxxlNeutralGreen: 36;
+export declare const inputCommonGapXxxlNeutralRed: 36;
+export declare const inputCommonGapXxxlNeutralYellow: 36;
+export declare const inputCommonGapXxxlSubtleBlue: 36;
+export declare const inputCommonGapXxxlSubtleGreen: 36;
+export declare const inputCommonGapXxxlSubtleRed: 36;
+export declare const inputCommonGapXxxlSubtleYellow: 36;
+export declare const inputCommonGapXxxlBoldBlue: 36;
+export declare const inputCommonGapXxxlBoldGreen: 36;
+export declare const inputCommonGapXxxlBoldRed: 36;
+export declare const inputCommonGapXxxlBoldYellow: 36;
+export declare const inputCommonGapXxxlNeutralInverseBlue: 36;
+export declare const inputCommonGapXxxlNeutralInverseGreen: 36;
+export declare const inputCommonGapXxxlNeutralInverseRed: 36;
+export declare const inputCommonGapXxxlNeutralInverseYellow: 36;
+export declare const inputCommonMinWidthNeutralBlue: 232;
+export declare const inputCommonMinWidthNeutralGreen: 232;
+export declare const inputCommonMinWidthNeutralRed: 232;
+export declare const inputCommonMinWidthNeutralYellow: 232;
+export declare const inputCommonMinWidthSubtleBlue: 232;
+export declare const inputCommonMinWidthSubtleGreen: 232;
+export declare const inputCommonMinWidthSubtleRed: 232;
+export declare const inputCommonMinWidthSubtleYellow: 232;
+export declare const inputCommonMinWidthBoldBlue: 232;
+export declare const inputCommonMinWidthBoldGreen: 232;
+export declare const inputCommonMinWidthBoldRed: 232;
+export declare const inputCommonMinWidthBoldYellow: 232;
+export declare const inputCommonMinWidthNeutralInverseBlue: 232;
+export declare const inputCommonMinWidthNeutralInverseGreen: 232;
+export declare const inputCommonMinWidthNeutralInverseRed: 232;
+export declare const inputCommonMinWidthNeutralInverseYellow: 232;
+export declare const inputCommonPaddingXsNeutralBlue: 4;
+export declare const inputCommonPaddingXsNeutralGreen: 4;
+export declare const inputCommonPaddingXsNeutralRed: 4;
+export declare const inputCommonPaddingXsNeutralYellow: 4;
+export declare const inputCommonPaddingXsSubtleBlue: 4;
+export declare const inputCommonPaddingXsSubtleGreen: 4;
+export declare const inputCommonPaddingXsSubtleRed: 4;
+export declare const inputCommonPaddingXsSubtleYellow: 4;
+export declare const inputCommonPaddingXsBoldBlue: 4;
+export declare const inputCommonPaddingXsBoldGreen: 4;
+export declare const inputCommonPaddingXsBoldRed: 4;
+export declare const inputCommonPaddingXsBoldYellow: 4;
+export declare const inputCommonPaddingXsNeutralInverseBlue: 4;
+export declare const inputCommonPaddingXsNeutralInverseGreen: 4;
+export declare const inputCommonPaddingXsNeutralInverseRed: 4;
+export declare const inputCommonPaddingXsNeutralInverseYellow: 4;
+export declare const inputCommonPaddingSmNeutralBlue: 8;
+export declare const inputCommonPaddingSmNeutralGreen: 8;
+export declare const inputCommonPaddingSmNeutralRed: 8;
+export declare const inputCommonPaddingSmNeutralYellow: 8;
+export declare const inputCommonPaddingSmSubtleBlue: 8;
+export declare const inputCommonPaddingSmSubtleGreen: 8;
+export declare const inputCommonPaddingSmSubtleRed: 8;
+export declare const inputCommonPaddingSmSubtleYellow: 8;
+export declare const inputCommonPaddingSmBoldBlue: 8;
+export declare const inputCommonPaddingSmBoldGreen: 8;
+export declare const inputCommonPaddingSmBoldRed: 8;
+export declare const inputCommonPaddingSmBoldYellow: 8;
+export declare const inputCommonPaddingSmNeutralInverseBlue: 8;
+export declare const inputCommonPaddingSmNeutralInverseGreen: 8;
+export declare const inputCommonPaddingSmNeutralInverseRed: 8;
+export declare const inputCommonPaddingSmNeutralInverseYellow: 8;
+export declare const inputCommonPaddingMdNeutralBlue: 12;
+export declare const inputCommonPaddingMdNeutralGreen: 12;
+export declare const inputCommonPaddingMdNeutralRed: 12;
+export declare const inputCommonPaddingMdNeutralYellow: 12;
+export declare const inputCommonPaddingMdSubtleBlue: 12;
+export declare const inputCommonPaddingMdSubtleGreen: 12;
+export declare const inputCommonPaddingMdSubtleRed: 12;
+export declare const inputCommonPaddingMdSubtleYellow: 12;
+export declare const inputCommonPaddingMdBoldBlue: 12;
+export declare const inputCommonPaddingMdBoldGreen: 12;
+export declare const inputCommonPaddingMdBoldRed: 12;
+export declare const inputCommonPaddingMdBoldYellow: 12;
+export declare const inputCommonPaddingMdNeutralInverseBlue: 12;
+export declare const inputCommonPaddingMdNeutralInverseGreen: 12;
+export declare const inputCommonPaddingMdNeutralInverseRed: 12;
+export declare const inputCommonPaddingMdNeutralInverseYellow: 12;
+export declare const inputCommonPaddingLgNeutralBlue: 16;
+export declare const inputCommonPaddingLgNeutralGreen: 16;
+export declare const inputCommonPaddingLgNeutralRed: 16;
+export declare const inputCommonPaddingLgNeutralYellow: 16;
+export declare const inputCommonPaddingLgSubtleBlue: 16;
+export declare const inputCommonPaddingLgSubtleGreen: 16;
+export declare const inputCommonPaddingLgSubtleRed: 16;
+export declare const inputCommonPaddingLgSubtleYellow: 16;
+export declare const inputCommonPaddingLgBoldBlue: 16;
+export declare const inputCommonPaddingLgBoldGreen: 16;
+export declare const inputCommonPaddingLgBoldRed: 16;
+export declare const inputCommonPaddingLgBoldYellow: 16;
+export declare const inputCommonPaddingLgNeutralInverseBlue: 16;
+export declare const inputCommonPaddingLgNeutralInverseGreen: 16;
+export declare const inputCommonPaddingLgNeutralInverseRed: 16;
+export declare const inputCommonPaddingLgNeutralInverseYellow: 16;
+export declare const inputCommonScaleXxsNeutralBlue: 8;
+export declare const inputCommonScaleXxsNeutralGreen: 8;
+export declare const inputCommonScaleXxsNeutralRed: 8;
+export declare const inputCommonScaleXxsNeutralYellow: 8;
+export declare const inputCommonScaleXxsSubtleBlue: 8;
+export declare const inputCommonScaleXxsSubtleGreen: 8;
+export declare const inputCommonScaleXxsSubtleRed: 8;
+export declare const inputCommonScaleXxsSubtleYellow: 8;
+export declare const inputCommonScaleXxsBoldBlue: 8;
+export declare const inputCommonScaleXxsBoldGreen: 8;
+export declare const inputCommonScaleXxsBoldRed: 8;
+export declare const inputCommonScaleXxsBoldYellow: 8;
+export declare const inputCommonScaleXxsNeutralInverseBlue: 8;
+export declare const inputCommonScaleXxsNeutralInverseGreen: 8;
+export declare const inputCommonScaleXxsNeutralInverseRed: 8;
+export declare const inputCommonScaleXxsNeutralInverseYellow: 8;
+export declare const inputCommonScaleXsNeutralBlue: 12;
+export declare const inputCommonScaleXsNeutralGreen: 12;
+export declare const inputCommonScaleXsNeutralRed: 12;
+export declare const inputCommonScaleXsNeutralYellow: 12;
+export declare const inputCommonScaleXsSubtleBlue: 12;
+export declare const inputCommonScaleXsSubtleGreen: 12;
+export declare const inputCommonScaleXsSubtleRed: 12;
+export declare const inputCommonScaleXsSubtleYellow: 12;
+export declare const inputCommonScaleXsBoldBlue: 12;
+export declare const inputCommonScaleXsBoldGreen: 12;
+export declare const inputCommonScaleXsBoldRed: 12;
+export declare const inputCommonScaleXsBoldYellow: 12;
+export declare const inputCommonScaleXsNeutralInverseBlue: 12;
+export declare const inputCommonScaleXsNeutralInverseGreen: 12;
+export declare const inputCommonScaleXsNeutralInverseRed: 12;
+export declare const inputCommonScaleXsNeutralInverseYellow: 12;
+export declare const inputCommonScaleSmNeutralBlue: 16;
+export declare const inputCommonScaleSmNeutralGreen: 16;
+export declare const inputCommonScaleSmNeutralRed: 16;
+export declare const inputCommonScaleSmNeutralYellow: 16;
+export declare const inputCommonScaleSmSubtleBlue: 16;
+export declare const inputCommonScaleSmSubtleGreen: 16;
+export declare const inputCommonScaleSmSubtleRed: 16;
+export declare const inputCommonScaleSmSubtleYellow: 16;
+export declare const inputCommonScaleSmBoldBlue: 16;
+export declare const inputCommonScaleSmBoldGreen: 16;
+export declare const inputCommonScaleSmBoldRed: 16;
+export declare const inputCommonScaleSmBoldYellow: 16;
+export declare const inputCommonScaleSmNeutralInverseBlue: 16;
+export declare const inputCommonScaleSmNeutralInverseGreen: 16;
+export declare const inputCommonScaleSmNeutralInverseRed: 16;
+export declare const inputCommonScaleSmNeutralInverseYellow: 16;
+export declare const inputCommonScaleMdNeutralBlue: 20;
+export declare const inputCommonScaleMdNeutralGreen: 20;
+export declare const inputCommonScaleMdNeutralRed: 20;
+export declare const inputCommonScaleMdNeutralYellow: 20;
+export declare const inputCommonScaleMdSubtleBlue: 20;
+export declare const inputCommonScaleMdSubtleGreen: 20;
+export declare const inputCommonScaleMdSubtleRed: 20;
+export declare const inputCommonScaleMdSubtleYellow: 20;
+export declare const inputCommonScaleMdBoldBlue: 20;
+export declare const inputCommonScaleMdBoldGreen: 20;
+export declare const inputCommonScaleMdBoldRed: 20;
+export declare const inputCommonScaleMdBoldYellow: 20;
+export declare const inputCommonScaleMdNeutralInverseBlue: 20;
+export declare const inputCommonScaleMdNeutralInverseGreen: 20;
+export declare const inputCommonScaleMdNeutralInverseRed: 20;
+export declare const inputCommonScaleMdNeutralInverseYellow: 20;
+export declare const inputCommonScaleLgNeutralBlue: 28;
+export declare const inputCommonScaleLgNeutralGreen: 28;
+export declare const inputCommonScaleLgNeutralRed: 28;
+export declare const inputCommonScaleLgNeutralYellow: 28;
+export declare const inputCommonScaleLgSubtleBlue: 28;
+export declare const inputCommonScaleLgSubtleGreen: 28;
+export declare const inputCommonScaleLgSubtleRed: 28;
+export declare const inputCommonScaleLgSubtleYellow: 28;
+export declare const inputCommonScaleLgBoldBlue: 28;
+export declare const inputCommonScaleLgBoldGreen: 28;
+export declare const inputCommonScaleLgBoldRed: 28;
+export declare const inputCommonScaleLgBoldYellow: 28;
+export declare const inputCommonScaleLgNeutralInverseBlue: 28;
+export declare const inputCommonScaleLgNeutralInverseGreen: 28;
+export declare const inputCommonScaleLgNeutralInverseRed: 28;
+export declare const inputCommonScaleLgNeutralInverseYellow: 28;
+export declare const inputCommonScaleXlNeutralBlue: 36;
+export declare const inputCommonScaleXlNeutralGreen: 36;
+export declare const inputCommonScaleXlNeutralRed: 36;
+export declare const inputCommonScaleXlNeutralYellow: 36;
+export declare const inputCommonScaleXlSubtleBlue: 36;
+export declare const inputCommonScaleXlSubtleGreen: 36;
+export declare const inputCommonScaleXlSubtleRed: 36;
+export declare const inputCommonScaleXlSubtleYellow: 36;
+export declare const inputCommonScaleXlBoldBlue: 36;
+export declare const inputCommonScaleXlBoldGreen: 36;
+export declare const inputCommonScaleXlBoldRed: 36;
+export declare const inputCommonScaleXlBoldYellow: 36;
+export declare const inputCommonScaleXlNeutralInverseBlue: 36;
+export declare const inputCommonScaleXlNeutralInverseGreen: 36;
+export declare const inputCommonScaleXlNeutralInverseRed: 36;
+export declare const inputCommonScaleXlNeutralInverseYellow: 36;
+export declare const inputCommonScaleXxlNeutralBlue: 48;
+export declare const inputCommonScaleXxlNeutralGreen: 48;
+export declare const inputCommonScaleXxlNeutralRed: 48;
+export declare const inputCommonScaleXxlNeutralYellow: 48;
+export declare const inputCommonScaleXxlSubtleBlue: 48;
+export declare const inputCommonScaleXxlSubtleGreen: 48;
+export declare const inputCommonScaleXxlSubtleRed: 48;
+export declare const inputCommonScaleXxlSubtleYellow: 48;
+export declare const inputCommonScaleXxlBoldBlue: 48;
+export declare const inputCommonScaleXxlBoldGreen: 48;
+export declare const inputCommonScaleXxlBoldRed: 48;
+export declare const inputCommonScaleXxlBoldYellow: 48;
+export declare const inputCommonScaleXxlNeutralInverseBlue: 48;
+export declare const inputCommonScaleXxlNeutralInverseGreen: 48;
+export declare const inputCommonScaleXxlNeutralInverseRed: 48;
+export declare const inputCommonScaleXxlNeutralInverseYellow: 48;
+export declare const inputRestNeutralBackgroundColourNeutralBlue: "#ffffff";
+export declare const inputRestNeutralBackgroundColourNeutralGreen: "#ffffff";
+export declare const inputRestNeutralBackgroundColourNeutralRed: "#ffffff";
+export declare const inputRestNeutralBackgroundColourNeutralYellow: "#ffffff";
+export declare const inputRestNeutralBackgroundColourSubtleBlue: "#ffffff";
+export declare const inputRestNeutralBackgroundColourSubtleGreen: "#ffffff";
+export declare const inputRestNeutralBackgroundColourSubtleRed: "#ffffff";
+export declare const inputRestNeutralBackgroundColourSubtleYellow: "#ffffff";
+export declare const inputRestNeutralBackgroundColourBoldBlue: "#ffffff";
+export declare const inputRestNeutralBackgroundColourBoldGreen: "#ffffff";
+export declare const inputRestNeutralBackgroundColourBoldRed: "#ffffff";
+export declare const inputRestNeutralBackgroundColourBoldYellow: "#ffffff";
+export declare const inputRestNeutralBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const inputRestNeutralBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const inputRestNeutralBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const inputRestNeutralBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const inputRestNeutralReverseBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourNeutralRed: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourSubtleRed: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourBoldBlue: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourBoldGreen: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourBoldRed: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourBoldYellow: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const inputRestNeutralReverseBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const inputRestIndicatorColourNeutralBlue: "#005dba";
+export declare const inputRestIndicatorColourNeutralGreen: "#00633d";
+export declare const inputRestIndicatorColourNeutralRed: "#c50b30";
+export declare const inputRestIndicatorColourNeutralYellow: "#c86426";
+export declare const inputRestIndicatorColourSubtleBlue: "#005dba";
+export declare const inputRestIndicatorColourSubtleGreen: "#00633d";
+export declare const inputRestIndicatorColourSubtleRed: "#c50b30";
+export declare const inputRestIndicatorColourSubtleYellow: "#c86426";
+export declare const inputRestIndicatorColourBoldBlue: "#005dba";
+export declare const inputRestIndicatorColourBoldGreen: "#00633d";
+export declare const inputRestIndicatorColourBoldRed: "#c50b30";
+export declare const inputRestIndicatorColourBoldYellow: "#c86426";
+export declare const inputRestIndicatorColourNeutralInverseBlue: "#005dba";
+export declare const inputRestIndicatorColourNeutralInverseGreen: "#00633d";
+export declare const inputRestIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const inputRestIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const inputRestBorderColourNeutralBlue: "#858686";
+export declare const inputRestBorderColourNeutralGreen: "#858686";
+export declare const inputRestBorderColourNeutralRed: "#858686";
+export declare const inputRestBorderColourNeutralYellow: "#858686";
+export declare const inputRestBorderColourSubtleBlue: "#001d6e";
+export declare const inputRestBorderColourSubtleGreen: "#01312e";
+export declare const inputRestBorderColourSubtleRed: "#940824";
+export declare const inputRestBorderColourSubtleYellow: "#c86426";
+export declare const inputRestBorderColourBoldBlue: "#001d6e";
+export declare const inputRestBorderColourBoldGreen: "#01312e";
+export declare const inputRestBorderColourBoldRed: "#940824";
+export declare const inputRestBorderColourBoldYellow: "#c86426";
+export declare const inputRestBorderColourNeutralInverseBlue: "#858686";
+export declare const inputRestBorderColourNeutralInverseGreen: "#858686";
+export declare const inputRestBorderColourNeutralInverseRed: "#858686";
+export declare const inputRestBorderColourNeutralInverseYellow: "#858686";
+export declare const inputRestColourNeutralBlue: "#1d1d1b";
+export declare const inputRestColourNeutralGreen: "#1d1d1b";
+export declare const inputRestColourNeutralRed: "#1d1d1b";
+export declare const inputRestColourNeutralYellow: "#1d1d1b";
+export declare const inputRestColourSubtleBlue: "#1d1d1b";
+export declare const inputRestColourSubtleGreen: "#1d1d1b";
+export declare const inputRestColourSubtleRed: "#1d1d1b";
+export declare const inputRestColourSubtleYellow: "#1d1d1b";
+export declare const inputRestColourBoldBlue: "#1d1d1b";
+export declare const inputRestColourBoldGreen: "#1d1d1b";
+export declare const inputRestColourBoldRed: "#1d1d1b";
+export declare const inputRestColourBoldYellow: "#1d1d1b";
+export declare const inputRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const inputRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const inputRestColourNeutralInverseRed: "#1d1d1b";
+export declare const inputRestColourNeutralInverseYellow: "#1d1d1b";
+export declare const inputRestBorderWidthNeutralBlue: 1.5;
+export declare const inputRestBorderWidthNeutralGreen: 1.5;
+export declare const inputRestBorderWidthNeutralRed: 1.5;
+export declare const inputRestBorderWidthNeutralYellow: 1.5;
+export declare const inputRestBorderWidthSubtleBlue: 1.5;
+export declare const inputRestBorderWidthSubtleGreen: 1.5;
+export declare const inputRestBorderWidthSubtleRed: 1.5;
+export declare const inputRestBorderWidthSubtleYellow: 1.5;
+export declare const inputRestBorderWidthBoldBlue: 1.5;
+export declare const inputRestBorderWidthBoldGreen: 1.5;
+export declare const inputRestBorderWidthBoldRed: 1.5;
+export declare const inputRestBorderWidthBoldYellow: 1.5;
+export declare const inputRestBorderWidthNeutralInverseBlue: 1.5;
+export declare const inputRestBorderWidthNeutralInverseGreen: 1.5;
+export declare const inputRestBorderWidthNeutralInverseRed: 1.5;
+export declare const inputRestBorderWidthNeutralInverseYellow: 1.5;
+export declare const inputHoverNeutralBackgroundColourNeutralBlue: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourNeutralGreen: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourNeutralRed: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourNeutralYellow: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourSubtleBlue: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourSubtleGreen: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourSubtleRed: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourSubtleYellow: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourBoldBlue: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourBoldGreen: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourBoldRed: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourBoldYellow: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const inputHoverNeutralBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralRed: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourSubtleRed: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourBoldBlue: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourBoldGreen: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourBoldRed: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourBoldYellow: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const inputHoverNeutralReverseBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const inputHoverIndicatorColourNeutralBlue: "#001d6e";
+export declare const inputHoverIndicatorColourNeutralGreen: "#01312e";
+export declare const inputHoverIndicatorColourNeutralRed: "#940824";
+export declare const inputHoverIndicatorColourNeutralYellow: "#c86426";
+export declare const inputHoverIndicatorColourSubtleBlue: "#001d6e";
+export declare const inputHoverIndicatorColourSubtleGreen: "#01312e";
+export declare const inputHoverIndicatorColourSubtleRed: "#940824";
+export declare const inputHoverIndicatorColourSubtleYellow: "#c86426";
+export declare const inputHoverIndicatorColourBoldBlue: "#001d6e";
+export declare const inputHoverIndicatorColourBoldGreen: "#01312e";
+export declare const inputHoverIndicatorColourBoldRed: "#940824";
+export declare const inputHoverIndicatorColourBoldYellow: "#c86426";
+export declare const inputHoverIndicatorColourNeutralInverseBlue: "#001d6e";
+export declare const inputHoverIndicatorColourNeutralInverseGreen: "#01312e";
+export declare const inputHoverIndicatorColourNeutralInverseRed: "#940824";
+export declare const inputHoverIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const inputHoverBorderColourNeutralBlue: "#4d4f4f";
+export declare const inputHoverBorderColourNeutralGreen: "#4d4f4f";
+export declare const inputHoverBorderColourNeutralRed: "#4d4f4f";
+export declare const inputHoverBorderColourNeutralYellow: "#4d4f4f";
+export declare const inputHoverBorderColourSubtleBlue: "#1d1d1b";
+export declare const inputHoverBorderColourSubtleGreen: "#1d1d1b";
+export declare const inputHoverBorderColourSubtleRed: "#1d1d1b";
+export declare const inputHoverBorderColourSubtleYellow: "#1d1d1b";
+export declare const inputHoverBorderColourBoldBlue: "#1d1d1b";
+export declare const inputHoverBorderColourBoldGreen: "#1d1d1b";
+export declare const inputHoverBorderColourBoldRed: "#1d1d1b";
+export declare const inputHoverBorderColourBoldYellow: "#1d1d1b";
+export declare const inputHoverBorderColourNeutralInverseBlue: "#4d4f4f";
+export declare const inputHoverBorderColourNeutralInverseGreen: "#4d4f4f";
+export declare const inputHoverBorderColourNeutralInverseRed: "#4d4f4f";
+export declare const inputHoverBorderColourNeutralInverseYellow: "#4d4f4f";
+export declare const inputHoverColourNeutralBlue: "#1d1d1b";
+export declare const inputHoverColourNeutralGreen: "#1d1d1b";
+export declare const inputHoverColourNeutralRed: "#1d1d1b";
+export declare const inputHoverColourNeutralYellow: "#1d1d1b";
+export declare const inputHoverColourSubtleBlue: "#1d1d1b";
+export declare const inputHoverColourSubtleGreen: "#1d1d1b";
+export declare const inputHoverColourSubtleRed: "#1d1d1b";
+export declare const inputHoverColourSubtleYellow: "#1d1d1b";
+export declare const inputHoverColourBoldBlue: "#1d1d1b";
+export declare const inputHoverColourBoldGreen: "#1d1d1b";
+export declare const inputHoverColourBoldRed: "#1d1d1b";
+export declare const inputHoverColourBoldYellow: "#1d1d1b";
+export declare const inputHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const inputHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const inputHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const inputHoverColourNeutralInverseYellow: "#1d1d1b";
+export declare const inputHoverBorderWidthNeutralBlue: 1.5;
+export declare const inputHoverBorderWidthNeutralGreen: 1.5;
+export declare const inputHoverBorderWidthNeutralRed: 1.5;
+export declare const inputHoverBorderWidthNeutralYellow: 1.5;
+export declare const inputHoverBorderWidthSubtleBlue: 1.5;
+export declare const inputHoverBorderWidthSubtleGreen: 1.5;
+export declare const inputHoverBorderWidthSubtleRed: 1.5;
+export declare const inputHoverBorderWidthSubtleYellow: 1.5;
+export declare const inputHoverBorderWidthBoldBlue: 1.5;
+export declare const inputHoverBorderWidthBoldGreen: 1.5;
+export declare const inputHoverBorderWidthBoldRed: 1.5;
+export declare const inputHoverBorderWidthBoldYellow: 1.5;
+export declare const inputHoverBorderWidthNeutralInverseBlue: 1.5;
+export declare const inputHoverBorderWidthNeutralInverseGreen: 1.5;
+export declare const inputHoverBorderWidthNeutralInverseRed: 1.5;
+export declare const inputHoverBorderWidthNeutralInverseYellow: 1.5;
+export declare const inputFocusNeutralBackgroundColourNeutralBlue: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourNeutralGreen: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourNeutralRed: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourNeutralYellow: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourSubtleBlue: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourSubtleGreen: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourSubtleRed: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourSubtleYellow: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourBoldBlue: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourBoldGreen: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourBoldRed: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourBoldYellow: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const inputFocusNeutralBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralRed: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourSubtleRed: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourBoldBlue: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourBoldGreen: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourBoldRed: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourBoldYellow: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const inputFocusNeutralReverseBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const inputFocusIndicatorColourNeutralBlue: "#005dba";
+export declare const inputFocusIndicatorColourNeutralGreen: "#00633d";
+export declare const inputFocusIndicatorColourNeutralRed: "#c50b30";
+export declare const inputFocusIndicatorColourNeutralYellow: "#c86426";
+export declare const inputFocusIndicatorColourSubtleBlue: "#005dba";
+export declare const inputFocusIndicatorColourSubtleGreen: "#00633d";
+export declare const inputFocusIndicatorColourSubtleRed: "#c50b30";
+export declare const inputFocusIndicatorColourSubtleYellow: "#c86426";
+export declare const inputFocusIndicatorColourBoldBlue: "#005dba";
+export declare const inputFocusIndicatorColourBoldGreen: "#00633d";
+export declare const inputFocusIndicatorColourBoldRed: "#c50b30";
+export declare const inputFocusIndicatorColourBoldYellow: "#c86426";
+export declare const inputFocusIndicatorColourNeutralInverseBlue: "#005dba";
+export declare const inputFocusIndicatorColourNeutralInverseGreen: "#00633d";
+export declare const inputFocusIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const inputFocusIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const inputFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const inputFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const inputFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const inputFocusBorderColourNeutralYellow: "#1d1d1b";
+export declare const inputFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const inputFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const inputFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const inputFocusBorderColourSubtleYellow: "#1d1d1b";
+export declare const inputFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const inputFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const inputFocusBorderColourBoldRed: "#1d1d1b";
+export declare const inputFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const inputFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const inputFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const inputFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const inputFocusBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const inputFocusColourNeutralBlue: "#1d1d1b";
+export declare const inputFocusColourNeutralGreen: "#1d1d1b";
+export declare const inputFocusColourNeutralRed: "#1d1d1b";
+export declare const inputFocusColourNeutralYellow: "#1d1d1b";
+export declare const inputFocusColourSubtleBlue: "#1d1d1b";
+export declare const inputFocusColourSubtleGreen: "#1d1d1b";
+export declare const inputFocusColourSubtleRed: "#1d1d1b";
+export declare const inputFocusColourSubtleYellow: "#1d1d1b";
+export declare const inputFocusColourBoldBlue: "#1d1d1b";
+export declare const inputFocusColourBoldGreen: "#1d1d1b";
+export declare const inputFocusColourBoldRed: "#1d1d1b";
+export declare const inputFocusColourBoldYellow: "#1d1d1b";
+export declare const inputFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const inputFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const inputFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const inputFocusColourNeutralInverseYellow: "#1d1d1b";
+export declare const inputFocusBorderWidthNeutralBlue: 3;
+export declare const inputFocusBorderWidthNeutralGreen: 3;
+export declare const inputFocusBorderWidthNeutralRed: 3;
+export declare const inputFocusBorderWidthNeutralYellow: 3;
+export declare const inputFocusBorderWidthSubtleBlue: 3;
+export declare const inputFocusBorderWidthSubtleGreen: 3;
+export declare const inputFocusBorderWidthSubtleRed: 3;
+export declare const inputFocusBorderWidthSubtleYellow: 3;
+export declare const inputFocusBorderWidthBoldBlue: 3;
+export declare const inputFocusBorderWidthBoldGreen: 3;
+export declare const inputFocusBorderWidthBoldRed: 3;
+export declare const inputFocusBorderWidthBoldYellow: 3;
+export declare const inputFocusBorderWidthNeutralInverseBlue: 3;
+export declare const inputFocusBorderWidthNeutralInverseGreen: 3;
+export declare const inputFocusBorderWidthNeutralInverseRed: 3;
+export declare const inputFocusBorderWidthNeutralInverseYellow: 3;
+export declare const inputErrorNeutralBackgroundColourNeutralBlue: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourNeutralGreen: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourNeutralRed: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourNeutralYellow: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourSubtleBlue: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourSubtleGreen: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourSubtleRed: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourSubtleYellow: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourBoldBlue: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourBoldGreen: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourBoldRed: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourBoldYellow: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const inputErrorNeutralBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralRed: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourSubtleRed: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourBoldBlue: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourBoldGreen: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourBoldRed: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourBoldYellow: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const inputErrorNeutralReverseBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const inputErrorIndicatorColourNeutralBlue: "#c50b30";
+export declare const inputErrorIndicatorColourNeutralGreen: "#c50b30";
+export declare const inputErrorIndicatorColourNeutralRed: "#c50b30";
+export declare const inputErrorIndicatorColourNeutralYellow: "#c50b30";
+export declare const inputErrorIndicatorColourSubtleBlue: "#c50b30";
+export declare const inputErrorIndicatorColourSubtleGreen: "#c50b30";
+export declare const inputErrorIndicatorColourSubtleRed: "#c50b30";
+export declare const inputErrorIndicatorColourSubtleYellow: "#c50b30";
+export declare const inputErrorIndicatorColourBoldBlue: "#c50b30";
+export declare const inputErrorIndicatorColourBoldGreen: "#c50b30";
+export declare const inputErrorIndicatorColourBoldRed: "#c50b30";
+export declare const inputErrorIndicatorColourBoldYellow: "#c50b30";
+export declare const inputErrorIndicatorColourNeutralInverseBlue: "#c50b30";
+export declare const inputErrorIndicatorColourNeutralInverseGreen: "#c50b30";
+export declare const inputErrorIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const inputErrorIndicatorColourNeutralInverseYellow: "#c50b30";
+export declare const inputErrorBorderColourNeutralBlue: "#c50b30";
+export declare const inputErrorBorderColourNeutralGreen: "#c50b30";
+export declare const inputErrorBorderColourNeutralRed: "#c50b30";
+export declare const inputErrorBorderColourNeutralYellow: "#c50b30";
+export declare const inputErrorBorderColourSubtleBlue: "#c50b30";
+export declare const inputErrorBorderColourSubtleGreen: "#c50b30";
+export declare const inputErrorBorderColourSubtleRed: "#c50b30";
+export declare const inputErrorBorderColourSubtleYellow: "#c50b30";
+export declare const inputErrorBorderColourBoldBlue: "#c50b30";
+export declare const inputErrorBorderColourBoldGreen: "#c50b30";
+export declare const inputErrorBorderColourBoldRed: "#c50b30";
+export declare const inputErrorBorderColourBoldYellow: "#c50b30";
+export declare const inputErrorBorderColourNeutralInverseBlue: "#c50b30";
+export declare const inputErrorBorderColourNeutralInverseGreen: "#c50b30";
+export declare const inputErrorBorderColourNeutralInverseRed: "#c50b30";
+export declare const inputErrorBorderColourNeutralInverseYellow: "#c50b30";
+export declare const inputErrorColourNeutralBlue: "#1d1d1b";
+export declare const inputErrorColourNeutralGreen: "#1d1d1b";
+export declare const inputErrorColourNeutralRed: "#1d1d1b";
+export declare const inputErrorColourNeutralYellow: "#1d1d1b";
+export declare const inputErrorColourSubtleBlue: "#1d1d1b";
+export declare const inputErrorColourSubtleGreen: "#1d1d1b";
+export declare const inputErrorColourSubtleRed: "#1d1d1b";
+export declare const inputErrorColourSubtleYellow: "#1d1d1b";
+export declare const inputErrorColourBoldBlue: "#1d1d1b";
+export declare const inputErrorColourBoldGreen: "#1d1d1b";
+export declare const inputErrorColourBoldRed: "#1d1d1b";
+export declare const inputErrorColourBoldYellow: "#1d1d1b";
+export declare const inputErrorColourNeutralInverseBlue: "#1d1d1b";
+export declare const inputErrorColourNeutralInverseGreen: "#1d1d1b";
+export declare const inputErrorColourNeutralInverseRed: "#1d1d1b";
+export declare const inputErrorColourNeutralInverseYellow: "#1d1d1b";
+export declare const inputErrorBorderWidthNeutralBlue: 1.5;
+export declare const inputErrorBorderWidthNeutralGreen: 1.5;
+export declare const inputErrorBorderWidthNeutralRed: 1.5;
+export declare const inputErrorBorderWidthNeutralYellow: 1.5;
+export declare const inputErrorBorderWidthSubtleBlue: 1.5;
+export declare const inputErrorBorderWidthSubtleGreen: 1.5;
+export declare const inputErrorBorderWidthSubtleRed: 1.5;
+export declare const inputErrorBorderWidthSubtleYellow: 1.5;
+export declare const inputErrorBorderWidthBoldBlue: 1.5;
+export declare const inputErrorBorderWidthBoldGreen: 1.5;
+export declare const inputErrorBorderWidthBoldRed: 1.5;
+export declare const inputErrorBorderWidthBoldYellow: 1.5;
+export declare const inputErrorBorderWidthNeutralInverseBlue: 1.5;
+export declare const inputErrorBorderWidthNeutralInverseGreen: 1.5;
+export declare const inputErrorBorderWidthNeutralInverseRed: 1.5;
+export declare const inputErrorBorderWidthNeutralInverseYellow: 1.5;
+export declare const inputErrorFocusBorderWidthNeutralBlue: 3;
+export declare const inputErrorFocusBorderWidthNeutralGreen: 3;
+export declare const inputErrorFocusBorderWidthNeutralRed: 3;
+export declare const inputErrorFocusBorderWidthNeutralYellow: 3;
+export declare const inputErrorFocusBorderWidthSubtleBlue: 3;
+export declare const inputErrorFocusBorderWidthSubtleGreen: 3;
+export declare const inputErrorFocusBorderWidthSubtleRed: 3;
+export declare const inputErrorFocusBorderWidthSubtleYellow: 3;
+export declare const inputErrorFocusBorderWidthBoldBlue: 3;
+export declare const inputErrorFocusBorderWidthBoldGreen: 3;
+export declare const inputErrorFocusBorderWidthBoldRed: 3;
+export declare const inputErrorFocusBorderWidthBoldYellow: 3;
+export declare const inputErrorFocusBorderWidthNeutralInverseBlue: 3;
+export declare const inputErrorFocusBorderWidthNeutralInverseGreen: 3;
+export declare const inputErrorFocusBorderWidthNeutralInverseRed: 3;
+export declare const inputErrorFocusBorderWidthNeutralInverseYellow: 3;
+export declare const inputDisabledNeutralBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourNeutralRed: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourSubtleRed: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourBoldBlue: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourBoldGreen: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourBoldRed: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourBoldYellow: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const inputDisabledNeutralBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralRed: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourSubtleRed: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourBoldBlue: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourBoldGreen: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourBoldRed: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourBoldYellow: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const inputDisabledNeutralReverseBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const inputDisabledIndicatorColourNeutralBlue: "#d3d3d3";
+export declare const inputDisabledIndicatorColourNeutralGreen: "#d3d3d3";
+export declare const inputDisabledIndicatorColourNeutralRed: "#d3d3d3";
+export declare const inputDisabledIndicatorColourNeutralYellow: "#d3d3d3";
+export declare const inputDisabledIndicatorColourSubtleBlue: "#d3d3d3";
+export declare const inputDisabledIndicatorColourSubtleGreen: "#d3d3d3";
+export declare const inputDisabledIndicatorColourSubtleRed: "#d3d3d3";
+export declare const inputDisabledIndicatorColourSubtleYellow: "#d3d3d3";
+export declare const inputDisabledIndicatorColourBoldBlue: "#d3d3d3";
+export declare const inputDisabledIndicatorColourBoldGreen: "#d3d3d3";
+export declare const inputDisabledIndicatorColourBoldRed: "#d3d3d3";
+export declare const inputDisabledIndicatorColourBoldYellow: "#d3d3d3";
+export declare const inputDisabledIndicatorColourNeutralInverseBlue: "#d3d3d3";
+export declare const inputDisabledIndicatorColourNeutralInverseGreen: "#d3d3d3";
+export declare const inputDisabledIndicatorColourNeutralInverseRed: "#d3d3d3";
+export declare const inputDisabledIndicatorColourNeutralInverseYellow: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const inputDisabledBorderColourSubtleBlue: "#d3d3d3";
+export declare const inputDisabledBorderColourSubtleGreen: "#d3d3d3";
+export declare const inputDisabledBorderColourSubtleRed: "#d3d3d3";
+export declare const inputDisabledBorderColourSubtleYellow: "#d3d3d3";
+export declare const inputDisabledBorderColourBoldBlue: "#d3d3d3";
+export declare const inputDisabledBorderColourBoldGreen: "#d3d3d3";
+export declare const inputDisabledBorderColourBoldRed: "#d3d3d3";
+export declare const inputDisabledBorderColourBoldYellow: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const inputDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const inputDisabledColourNeutralBlue: "#a6a7a7";
+export declare const inputDisabledColourNeutralGreen: "#a6a7a7";
+export declare const inputDisabledColourNeutralRed: "#a6a7a7";
+export declare const inputDisabledColourNeutralYellow: "#a6a7a7";
+export declare const inputDisabledColourSubtleBlue: "#a6a7a7";
+export declare const inputDisabledColourSubtleGreen: "#a6a7a7";
+export declare const inputDisabledColourSubtleRed: "#a6a7a7";
+export declare const inputDisabledColourSubtleYellow: "#a6a7a7";
+export declare const inputDisabledColourBoldBlue: "#a6a7a7";
+export declare const inputDisabledColourBoldGreen: "#a6a7a7";
+export declare const inputDisabledColourBoldRed: "#a6a7a7";
+export declare const inputDisabledColourBoldYellow: "#a6a7a7";
+export declare const inputDisabledColourNeutralInverseBlue: "#a6a7a7";
+export declare const inputDisabledColourNeutralInverseGreen: "#a6a7a7";
+export declare const inputDisabledColourNeutralInverseRed: "#a6a7a7";
+export declare const inputDisabledColourNeutralInverseYellow: "#a6a7a7";
+export declare const inputDisabledBorderWidthNeutralBlue: 1.5;
+export declare const inputDisabledBorderWidthNeutralGreen: 1.5;
+export declare const inputDisabledBorderWidthNeutralRed: 1.5;
+export declare const inputDisabledBorderWidthNeutralYellow: 1.5;
+export declare const inputDisabledBorderWidthSubtleBlue: 1.5;
+export declare const inputDisabledBorderWidthSubtleGreen: 1.5;
+export declare const inputDisabledBorderWidthSubtleRed: 1.5;
+export declare const inputDisabledBorderWidthSubtleYellow: 1.5;
+export declare const inputDisabledBorderWidthBoldBlue: 1.5;
+export declare const inputDisabledBorderWidthBoldGreen: 1.5;
+export declare const inputDisabledBorderWidthBoldRed: 1.5;
+export declare const inputDisabledBorderWidthBoldYellow: 1.5;
+export declare const inputDisabledBorderWidthNeutralInverseBlue: 1.5;
+export declare const inputDisabledBorderWidthNeutralInverseGreen: 1.5;
+export declare const inputDisabledBorderWidthNeutralInverseRed: 1.5;
+export declare const inputDisabledBorderWidthNeutralInverseYellow: 1.5;
+export declare const inputStatusValidationColourNeutralInfo: "#001d6e";
+export declare const inputStatusValidationColourNeutralSuccess: "#014a39";
+export declare const inputStatusValidationColourNeutralWarning: "#904029";
+export declare const inputStatusValidationColourNeutralError: "#940824";
+export declare const inputStatusValidationColourNeutralGeneric: "#1d1d1b";
+export declare const inputStatusValidationColourSubtleInfo: "#1d1d1b";
+export declare const inputStatusValidationColourSubtleSuccess: "#1d1d1b";
+export declare const inputStatusValidationColourSubtleWarning: "#1d1d1b";
+export declare const inputStatusValidationColourSubtleError: "#1d1d1b";
+export declare const inputStatusValidationColourSubtleGeneric: "#1d1d1b";
+export declare const inputStatusValidationColourBoldInfo: "#ffffff";
+export declare const inputStatusValidationColourBoldSuccess: "#ffffff";
+export declare const inputStatusValidationColourBoldWarning: "#1d1d1b";
+export declare const inputStatusValidationColourBoldError: "#ffffff";
+export declare const inputStatusValidationColourBoldGeneric: "#ffffff";
+export declare const inputStatusValidationColourNeutralInverseInfo: "#001d6e";
+export declare const inputStatusValidationColourNeutralInverseSuccess: "#014a39";
+export declare const inputStatusValidationColourNeutralInverseWarning: "#904029";
+export declare const inputStatusValidationColourNeutralInverseError: "#940824";
+export declare const inputStatusValidationColourNeutralInverseGeneric: "#1d1d1b";
+export declare const contentIconSizeSmNeutralBlue: 24;
+export declare const contentIconSizeSmNeutralGreen: 24;
+export declare const contentIconSizeSmNeutralRed: 24;
+export declare const contentIconSizeSmNeutralYellow: 24;
+export declare const contentIconSizeSmSubtleBlue: 24;
+export declare const contentIconSizeSmSubtleGreen: 24;
+export declare const contentIconSizeSmSubtleRed: 24;
+export declare const contentIconSizeSmSubtleYellow: 24;
+export declare const contentIconSizeSmBoldBlue: 24;
+export declare const contentIconSizeSmBoldGreen: 24;
+export declare const contentIconSizeSmBoldRed: 24;
+export declare const contentIconSizeSmBoldYellow: 24;
+export declare const contentIconSizeSmNeutralInverseBlue: 24;
+export declare const contentIconSizeSmNeutralInverseGreen: 24;
+export declare const contentIconSizeSmNeutralInverseRed: 24;
+export declare const contentIconSizeSmNeutralInverseYellow: 24;
+export declare const contentIconBrandPrimaryColourNeutralBlue: "#005dba";
+export declare const contentIconBrandPrimaryColourNeutralGreen: "#00633d";
+export declare const contentIconBrandPrimaryColourNeutralRed: "#c50b30";
+export declare const contentIconBrandPrimaryColourNeutralYellow: "#ffb600";
+export declare const contentIconBrandPrimaryColourSubtleBlue: "#001d6e";
+export declare const contentIconBrandPrimaryColourSubtleGreen: "#01312e";
+export declare const contentIconBrandPrimaryColourSubtleRed: "#940824";
+export declare const contentIconBrandPrimaryColourSubtleYellow: "#904029";
+export declare const contentIconBrandPrimaryColourBoldBlue: "#ffffff";
+export declare const contentIconBrandPrimaryColourBoldGreen: "#ffffff";
+export declare const contentIconBrandPrimaryColourBoldRed: "#ffffff";
+export declare const contentIconBrandPrimaryColourBoldYellow: "#1d1d1b";
+export declare const contentIconBrandPrimaryColourNeutralInverseBlue: "#005dba";
+export declare const contentIconBrandPrimaryColourNeutralInverseGreen: "#00633d";
+export declare const contentIconBrandPrimaryColourNeutralInverseRed: "#c50b30";
+export declare const contentIconBrandPrimaryColourNeutralInverseYellow: "#ffb600";
+export declare const contentIconPositiveColourNeutralBlue: "#00633d";
+export declare const contentIconPositiveColourNeutralGreen: "#00633d";
+export declare const contentIconPositiveColourNeutralRed: "#00633d";
+export declare const contentIconPositiveColourNeutralYellow: "#00633d";
+export declare const contentIconPositiveColourSubtleBlue: "#1d1d1b";
+export declare const contentIconPositiveColourSubtleGreen: "#1d1d1b";
+export declare const contentIconPositiveColourSubtleRed: "#1d1d1b";
+export declare const contentIconPositiveColourSubtleYellow: "#1d1d1b";
+export declare const contentIconPositiveColourBoldBlue: "#ffffff";
+export declare const contentIconPositiveColourBoldGreen: "#ffffff";
+export declare const contentIconPositiveColourBoldRed: "#ffffff";
+export declare const contentIconPositiveColourBoldYellow: "#1d1d1b";
+export declare const contentIconPositiveColourNeutralInverseBlue: "#00633d";
+export declare const contentIconPositiveColourNeutralInverseGreen: "#00633d";
+export declare const contentIconPositiveColourNeutralInverseRed: "#00633d";
+export declare const contentIconPositiveColourNeutralInverseYellow: "#00633d";
+export declare const contentIconNegativeColourNeutralBlue: "#c50b30";
+export declare const contentIconNegativeColourNeutralGreen: "#c50b30";
+export declare const contentIconNegativeColourNeutralRed: "#c50b30";
+export declare const contentIconNegativeColourNeutralYellow: "#c50b30";
+export declare const contentIconNegativeColourSubtleBlue: "#1d1d1b";
+export declare const contentIconNegativeColourSubtleGreen: "#1d1d1b";
+export declare const contentIconNegativeColourSubtleRed: "#1d1d1b";
+export declare const contentIconNegativeColourSubtleYellow: "#1d1d1b";
+export declare const contentIconNegativeColourBoldBlue: "#ffffff";
+export declare const contentIconNegativeColourBoldGreen: "#ffffff";
+export declare const contentIconNegativeColourBoldRed: "#ffffff";
+export declare const contentIconNegativeColourBoldYellow: "#1d1d1b";
+export declare const contentIconNegativeColourNeutralInverseBlue: "#c50b30";
+export declare const contentIconNegativeColourNeutralInverseGreen: "#c50b30";
+export declare const contentIconNegativeColourNeutralInverseRed: "#c50b30";
+export declare const contentIconNegativeColourNeutralInverseYellow: "#c50b30";
+export declare const contentSeperatorColourNeutralBlue: "#d3d3d3";
+export declare const contentSeperatorColourNeutralGreen: "#d3d3d3";
+export declare const contentSeperatorColourNeutralRed: "#d3d3d3";
+export declare const contentSeperatorColourNeutralYellow: "#d3d3d3";
+export declare const contentSeperatorColourSubtleBlue: "#d3d3d3";
+export declare const contentSeperatorColourSubtleGreen: "#d3d3d3";
+export declare const contentSeperatorColourSubtleRed: "#d3d3d3";
+export declare const contentSeperatorColourSubtleYellow: "#d3d3d3";
+export declare const contentSeperatorColourBoldBlue: "#f4f4f4";
+export declare const contentSeperatorColourBoldGreen: "#f4f4f4";
+export declare const contentSeperatorColourBoldRed: "#f4f4f4";
+export declare const contentSeperatorColourBoldYellow: "#1d1d1b";
+export declare const contentSeperatorColourNeutralInverseBlue: "#d3d3d3";
+export declare const contentSeperatorColourNeutralInverseGreen: "#d3d3d3";
+export declare const contentSeperatorColourNeutralInverseRed: "#d3d3d3";
+export declare const contentSeperatorColourNeutralInverseYellow: "#d3d3d3";
+export declare const contentSeperatorBorderWidthXsNeutralBlue: 1;
+export declare const contentSeperatorBorderWidthXsNeutralGreen: 1;
+export declare const contentSeperatorBorderWidthXsNeutralRed: 1;
+export declare const contentSeperatorBorderWidthXsNeutralYellow: 1;
+export declare const contentSeperatorBorderWidthXsSubtleBlue: 1;
+export declare const contentSeperatorBorderWidthXsSubtleGreen: 1;
+export declare const contentSeperatorBorderWidthXsSubtleRed: 1;
+export declare const contentSeperatorBorderWidthXsSubtleYellow: 1;
+export declare const contentSeperatorBorderWidthXsBoldBlue: 1;
+export declare const contentSeperatorBorderWidthXsBoldGreen: 1;
+export declare const contentSeperatorBorderWidthXsBoldRed: 1;
+export declare const contentSeperatorBorderWidthXsBoldYellow: 1;
+export declare const contentSeperatorBorderWidthXsNeutralInverseBlue: 1;
+export declare const contentSeperatorBorderWidthXsNeutralInverseGreen: 1;
+export declare const contentSeperatorBorderWidthXsNeutralInverseRed: 1;
+export declare const contentSeperatorBorderWidthXsNeutralInverseYellow: 1;
+export declare const contentSeperatorBorderWidthSmNeutralBlue: 1.5;
+export declare const contentSeperatorBorderWidthSmNeutralGreen: 1.5;
+export declare const contentSeperatorBorderWidthSmNeutralRed: 1.5;
+export declare const contentSeperatorBorderWidthSmNeutralYellow: 1.5;
+export declare const contentSeperatorBorderWidthSmSubtleBlue: 1.5;
+export declare const contentSeperatorBorderWidthSmSubtleGreen: 1.5;
+export declare const contentSeperatorBorderWidthSmSubtleRed: 1.5;
+export declare const contentSeperatorBorderWidthSmSubtleYellow: 1.5;
+export declare const contentSeperatorBorderWidthSmBoldBlue: 1.5;
+export declare const contentSeperatorBorderWidthSmBoldGreen: 1.5;
+export declare const contentSeperatorBorderWidthSmBoldRed: 1.5;
+export declare const contentSeperatorBorderWidthSmBoldYellow: 1.5;
+export declare const contentSeperatorBorderWidthSmNeutralInverseBlue: 1.5;
+export declare const contentSeperatorBorderWidthSmNeutralInverseGreen: 1.5;
+export declare const contentSeperatorBorderWidthSmNeutralInverseRed: 1.5;
+export declare const contentSeperatorBorderWidthSmNeutralInverseYellow: 1.5;
+export declare const contentIndicatorBoldBackgroundColourNeutralBlue: "#005dba";
+export declare const contentIndicatorBoldBackgroundColourNeutralGreen: "#00633d";
+export declare const contentIndicatorBoldBackgroundColourNeutralRed: "#c50b30";
+export declare const contentIndicatorBoldBackgroundColourNeutralYellow: "#ffb600";
+export declare const contentIndicatorBoldBackgroundColourSubtleBlue: "#005dba";
+export declare const contentIndicatorBoldBackgroundColourSubtleGreen: "#00633d";
+export declare const contentIndicatorBoldBackgroundColourSubtleRed: "#c50b30";
+export declare const contentIndicatorBoldBackgroundColourSubtleYellow: "#ffb600";
+export declare const contentIndicatorBoldBackgroundColourBoldBlue: "#ffffff";
+export declare const contentIndicatorBoldBackgroundColourBoldGreen: "#ffffff";
+export declare const contentIndicatorBoldBackgroundColourBoldRed: "#ffffff";
+export declare const contentIndicatorBoldBackgroundColourBoldYellow: "#ffffff";
+export declare const contentIndicatorBoldBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const contentIndicatorBoldBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const contentIndicatorBoldBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const contentIndicatorBoldBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const contentIndicatorBoldBorderRadiusNeutralBlue: 16;
+export declare const contentIndicatorBoldBorderRadiusNeutralGreen: 16;
+export declare const contentIndicatorBoldBorderRadiusNeutralRed: 16;
+export declare const contentIndicatorBoldBorderRadiusNeutralYellow: 16;
+export declare const contentIndicatorBoldBorderRadiusSubtleBlue: 16;
+export declare const contentIndicatorBoldBorderRadiusSubtleGreen: 16;
+export declare const contentIndicatorBoldBorderRadiusSubtleRed: 16;
+export declare const contentIndicatorBoldBorderRadiusSubtleYellow: 16;
+export declare const contentIndicatorBoldBorderRadiusBoldBlue: 16;
+export declare const contentIndicatorBoldBorderRadiusBoldGreen: 16;
+export declare const contentIndicatorBoldBorderRadiusBoldRed: 16;
+export declare const contentIndicatorBoldBorderRadiusBoldYellow: 16;
+export declare const contentIndicatorBoldBorderRadiusNeutralInverseBlue: 16;
+export declare const contentIndicatorBoldBorderRadiusNeutralInverseGreen: 16;
+export declare const contentIndicatorBoldBorderRadiusNeutralInverseRed: 16;
+export declare const contentIndicatorBoldBorderRadiusNeutralInverseYellow: 16;
+export declare const contentIndicatorBoldColourNeutralBlue: "#ffffff";
+export declare const contentIndicatorBoldColourNeutralGreen: "#ffffff";
+export declare const contentIndicatorBoldColourNeutralRed: "#ffffff";
+export declare const contentIndicatorBoldColourNeutralYellow: "#1d1d1b";
+export declare const contentIndicatorBoldColourSubtleBlue: "#ffffff";
+export declare const contentIndicatorBoldColourSubtleGreen: "#ffffff";
+export declare const contentIndicatorBoldColourSubtleRed: "#ffffff";
+export declare const contentIndicatorBoldColourSubtleYellow: "#1d1d1b";
+export declare const contentIndicatorBoldColourBoldBlue: "#1d1d1b";
+export declare const contentIndicatorBoldColourBoldGreen: "#1d1d1b";
+export declare const contentIndicatorBoldColourBoldRed: "#1d1d1b";
+export declare const contentIndicatorBoldColourBoldYellow: "#1d1d1b";
+export declare const contentIndicatorBoldColourNeutralInverseBlue: "#ffffff";
+export declare const contentIndicatorBoldColourNeutralInverseGreen: "#ffffff";
+export declare const contentIndicatorBoldColourNeutralInverseRed: "#ffffff";
+export declare const contentIndicatorBoldColourNeutralInverseYellow: "#1d1d1b";
+export declare const contentIndicatorBoldPaddingNeutralBlue: 4;
+export declare const contentIndicatorBoldPaddingNeutralGreen: 4;
+export declare const contentIndicatorBoldPaddingNeutralRed: 4;
+export declare const contentIndicatorBoldPaddingNeutralYellow: 4;
+export declare const contentIndicatorBoldPaddingSubtleBlue: 4;
+export declare const contentIndicatorBoldPaddingSubtleGreen: 4;
+export declare const contentIndicatorBoldPaddingSubtleRed: 4;
+export declare const contentIndicatorBoldPaddingSubtleYellow: 4;
+export declare const contentIndicatorBoldPaddingBoldBlue: 4;
+export declare const contentIndicatorBoldPaddingBoldGreen: 4;
+export declare const contentIndicatorBoldPaddingBoldRed: 4;
+export declare const contentIndicatorBoldPaddingBoldYellow: 4;
+export declare const contentIndicatorBoldPaddingNeutralInverseBlue: 4;
+export declare const contentIndicatorBoldPaddingNeutralInverseGreen: 4;
+export declare const contentIndicatorBoldPaddingNeutralInverseRed: 4;
+export declare const contentIndicatorBoldPaddingNeutralInverseYellow: 4;
+export declare const contentIndicatorBoldSizeNeutralBlue: 16;
+export declare const contentIndicatorBoldSizeNeutralGreen: 16;
+export declare const contentIndicatorBoldSizeNeutralRed: 16;
+export declare const contentIndicatorBoldSizeNeutralYellow: 16;
+export declare const contentIndicatorBoldSizeSubtleBlue: 16;
+export declare const contentIndicatorBoldSizeSubtleGreen: 16;
+export declare const contentIndicatorBoldSizeSubtleRed: 16;
+export declare const contentIndicatorBoldSizeSubtleYellow: 16;
+export declare const contentIndicatorBoldSizeBoldBlue: 16;
+export declare const contentIndicatorBoldSizeBoldGreen: 16;
+export declare const contentIndicatorBoldSizeBoldRed: 16;
+export declare const contentIndicatorBoldSizeBoldYellow: 16;
+export declare const contentIndicatorBoldSizeNeutralInverseBlue: 16;
+export declare const contentIndicatorBoldSizeNeutralInverseGreen: 16;
+export declare const contentIndicatorBoldSizeNeutralInverseRed: 16;
+export declare const contentIndicatorBoldSizeNeutralInverseYellow: 16;
+export declare const contentIndicatorProgressBackgroundColourNeutralBlue: "#42aeea";
+export declare const contentIndicatorProgressBackgroundColourNeutralGreen: "#43af6e";
+export declare const contentIndicatorProgressBackgroundColourNeutralRed: "#ff3e51";
+export declare const contentIndicatorProgressBackgroundColourNeutralYellow: "#ffe969";
+export declare const contentIndicatorProgressBackgroundColourSubtleBlue: "#005dba";
+export declare const contentIndicatorProgressBackgroundColourSubtleGreen: "#00633d";
+export declare const contentIndicatorProgressBackgroundColourSubtleRed: "#c50b30";
+export declare const contentIndicatorProgressBackgroundColourSubtleYellow: "#ffb600";
+export declare const contentIndicatorProgressBackgroundColourBoldBlue: "#d2effb";
+export declare const contentIndicatorProgressBackgroundColourBoldGreen: "#dff6eb";
+export declare const contentIndicatorProgressBackgroundColourBoldRed: "#ffd5d2";
+export declare const contentIndicatorProgressBackgroundColourBoldYellow: "#fffbdc";
+export declare const contentIndicatorProgressBackgroundColourNeutralInverseBlue: "#42aeea";
+export declare const contentIndicatorProgressBackgroundColourNeutralInverseGreen: "#43af6e";
+export declare const contentIndicatorProgressBackgroundColourNeutralInverseRed: "#ff3e51";
+export declare const contentIndicatorProgressBackgroundColourNeutralInverseYellow: "#ffe969";
+export declare const contentIndicatorProgressColourNeutralBlue: "#001d6e";
+export declare const contentIndicatorProgressColourNeutralGreen: "#01312e";
+export declare const contentIndicatorProgressColourNeutralRed: "#940824";
+export declare const contentIndicatorProgressColourNeutralYellow: "#c86426";
+export declare const contentIndicatorProgressColourSubtleBlue: "#001d6e";
+export declare const contentIndicatorProgressColourSubtleGreen: "#01312e";
+export declare const contentIndicatorProgressColourSubtleRed: "#940824";
+export declare const contentIndicatorProgressColourSubtleYellow: "#c86426";
+export declare const contentIndicatorProgressColourBoldBlue: "#000039";
+export declare const contentIndicatorProgressColourBoldGreen: "#011b1f";
+export declare const contentIndicatorProgressColourBoldRed: "#480411";
+export declare const contentIndicatorProgressColourBoldYellow: "#572722";
+export declare const contentIndicatorProgressColourNeutralInverseBlue: "#001d6e";
+export declare const contentIndicatorProgressColourNeutralInverseGreen: "#01312e";
+export declare const contentIndicatorProgressColourNeutralInverseRed: "#940824";
+export declare const contentIndicatorProgressColourNeutralInverseYellow: "#c86426";
+export declare const contentIndicatorProgressSizeNeutralBlue: 4;
+export declare const contentIndicatorProgressSizeNeutralGreen: 4;
+export declare const contentIndicatorProgressSizeNeutralRed: 4;
+export declare const contentIndicatorProgressSizeNeutralYellow: 4;
+export declare const contentIndicatorProgressSizeSubtleBlue: 4;
+export declare const contentIndicatorProgressSizeSubtleGreen: 4;
+export declare const contentIndicatorProgressSizeSubtleRed: 4;
+export declare const contentIndicatorProgressSizeSubtleYellow: 4;
+export declare const contentIndicatorProgressSizeBoldBlue: 4;
+export declare const contentIndicatorProgressSizeBoldGreen: 4;
+export declare const contentIndicatorProgressSizeBoldRed: 4;
+export declare const contentIndicatorProgressSizeBoldYellow: 4;
+export declare const contentIndicatorProgressSizeNeutralInverseBlue: 4;
+export declare const contentIndicatorProgressSizeNeutralInverseGreen: 4;
+export declare const contentIndicatorProgressSizeNeutralInverseRed: 4;
+export declare const contentIndicatorProgressSizeNeutralInverseYellow: 4;
+export declare const contentStatusSubtleColourNeutralInfo: "#001d6e";
+export declare const contentStatusSubtleColourNeutralSuccess: "#01312e";
+export declare const contentStatusSubtleColourNeutralWarning: "#904029";
+export declare const contentStatusSubtleColourNeutralError: "#940824";
+export declare const contentStatusSubtleColourNeutralGeneric: "#1d1d1b";
+export declare const contentStatusSubtleColourSubtleInfo: "#001d6e";
+export declare const contentStatusSubtleColourSubtleSuccess: "#01312e";
+export declare const contentStatusSubtleColourSubtleWarning: "#904029";
+export declare const contentStatusSubtleColourSubtleError: "#940824";
+export declare const contentStatusSubtleColourSubtleGeneric: "#1d1d1b";
+export declare const contentStatusSubtleColourBoldInfo: "#001d6e";
+export declare const contentStatusSubtleColourBoldSuccess: "#01312e";
+export declare const contentStatusSubtleColourBoldWarning: "#904029";
+export declare const contentStatusSubtleColourBoldError: "#940824";
+export declare const contentStatusSubtleColourBoldGeneric: "#1d1d1b";
+export declare const contentStatusSubtleColourNeutralInverseInfo: "#001d6e";
+export declare const contentStatusSubtleColourNeutralInverseSuccess: "#01312e";
+export declare const contentStatusSubtleColourNeutralInverseWarning: "#904029";
+export declare const contentStatusSubtleColourNeutralInverseError: "#940824";
+export declare const contentStatusSubtleColourNeutralInverseGeneric: "#1d1d1b";
+export declare const contentStatusBoldColourNeutralInfo: "#ffffff";
+export declare const contentStatusBoldColourNeutralSuccess: "#ffffff";
+export declare const contentStatusBoldColourNeutralWarning: "#1d1d1b";
+export declare const contentStatusBoldColourNeutralError: "#ffffff";
+export declare const contentStatusBoldColourNeutralGeneric: "#ffffff";
+export declare const contentStatusBoldColourSubtleInfo: "#ffffff";
+export declare const contentStatusBoldColourSubtleSuccess: "#ffffff";
+export declare const contentStatusBoldColourSubtleWarning: "#1d1d1b";
+export declare const contentStatusBoldColourSubtleError: "#ffffff";
+export declare const contentStatusBoldColourSubtleGeneric: "#ffffff";
+export declare const contentStatusBoldColourBoldInfo: "#ffffff";
+export declare const contentStatusBoldColourBoldSuccess: "#ffffff";
+export declare const contentStatusBoldColourBoldWarning: "#1d1d1b";
+export declare const contentStatusBoldColourBoldError: "#ffffff";
+export declare const contentStatusBoldColourBoldGeneric: "#ffffff";
+export declare const contentStatusBoldColourNeutralInverseInfo: "#ffffff";
+export declare const contentStatusBoldColourNeutralInverseSuccess: "#ffffff";
+export declare const contentStatusBoldColourNeutralInverseWarning: "#1d1d1b";
+export declare const contentStatusBoldColourNeutralInverseError: "#ffffff";
+export declare const contentStatusBoldColourNeutralInverseGeneric: "#ffffff";
+export declare const contentStatusPictogramStatusFillNeutralInfo: "#42aeea";
+export declare const contentStatusPictogramStatusFillNeutralSuccess: "#43af6e";
+export declare const contentStatusPictogramStatusFillNeutralWarning: "#ffe969";
+export declare const contentStatusPictogramStatusFillNeutralError: "#ff3e51";
+export declare const contentStatusPictogramStatusFillNeutralGeneric: "#d3d3d3";
+export declare const contentStatusPictogramStatusFillSubtleInfo: "#42aeea";
+export declare const contentStatusPictogramStatusFillSubtleSuccess: "#43af6e";
+export declare const contentStatusPictogramStatusFillSubtleWarning: "#ffe969";
+export declare const contentStatusPictogramStatusFillSubtleError: "#ff3e51";
+export declare const contentStatusPictogramStatusFillSubtleGeneric: "#d3d3d3";
+export declare const contentStatusPictogramStatusFillBoldInfo: "#42aeea";
+export declare const contentStatusPictogramStatusFillBoldSuccess: "#43af6e";
+export declare const contentStatusPictogramStatusFillBoldWarning: "#ffe969";
+export declare const contentStatusPictogramStatusFillBoldError: "#ff3e51";
+export declare const contentStatusPictogramStatusFillBoldGeneric: "#d3d3d3";
+export declare const contentStatusPictogramStatusFillNeutralInverseInfo: "#42aeea";
+export declare const contentStatusPictogramStatusFillNeutralInverseSuccess: "#43af6e";
+export declare const contentStatusPictogramStatusFillNeutralInverseWarning: "#ffe969";
+export declare const contentStatusPictogramStatusFillNeutralInverseError: "#ff3e51";
+export declare const contentStatusPictogramStatusFillNeutralInverseGeneric: "#d3d3d3";
+export declare const contentGapColumnXsNeutralBlue: 16;
+export declare const contentGapColumnXsNeutralGreen: 16;
+export declare const contentGapColumnXsNeutralRed: 16;
+export declare const contentGapColumnXsNeutralYellow: 16;
+export declare const contentGapColumnXsSubtleBlue: 16;
+export declare const contentGapColumnXsSubtleGreen: 16;
+export declare const contentGapColumnXsSubtleRed: 16;
+export declare const contentGapColumnXsSubtleYellow: 16;
+export declare const contentGapColumnXsBoldBlue: 16;
+export declare const contentGapColumnXsBoldGreen: 16;
+export declare const contentGapColumnXsBoldRed: 16;
+export declare const contentGapColumnXsBoldYellow: 16;
+export declare const contentGapColumnXsNeutralInverseBlue: 16;
+export declare const contentGapColumnXsNeutralInverseGreen: 16;
+export declare const contentGapColumnXsNeutralInverseRed: 16;
+export declare const contentGapColumnXsNeutralInverseYellow: 16;
+export declare const contentGapColumnSmNeutralBlue: 20;
+export declare const contentGapColumnSmNeutralGreen: 20;
+export declare const contentGapColumnSmNeutralRed: 20;
+export declare const contentGapColumnSmNeutralYellow: 20;
+export declare const contentGapColumnSmSubtleBlue: 20;
+export declare const contentGapColumnSmSubtleGreen: 20;
+export declare const contentGapColumnSmSubtleRed: 20;
+export declare const contentGapColumnSmSubtleYellow: 20;
+export declare const contentGapColumnSmBoldBlue: 8;
+export declare const contentGapColumnSmBoldGreen: 8;
+export declare const contentGapColumnSmBoldRed: 8;
+export declare const contentGapColumnSmBoldYellow: 8;
+export declare const contentGapColumnSmNeutralInverseBlue: 20;
+export declare const contentGapColumnSmNeutralInverseGreen: 20;
+export declare const contentGapColumnSmNeutralInverseRed: 20;
+export declare const contentGapColumnSmNeutralInverseYellow: 20;
+export declare const contentGapColumnMdNeutralBlue: 28;
+export declare const contentGapColumnMdNeutralGreen: 28;
+export declare const contentGapColumnMdNeutralRed: 28;
+export declare const contentGapColumnMdNeutralYellow: 28;
+export declare const contentGapColumnMdSubtleBlue: 28;
+export declare const contentGapColumnMdSubtleGreen: 28;
+export declare const contentGapColumnMdSubtleRed: 28;
+export declare const contentGapColumnMdSubtleYellow: 28;
+export declare const contentGapColumnMdBoldBlue: 28;
+export declare const contentGapColumnMdBoldGreen: 28;
+export declare const contentGapColumnMdBoldRed: 28;
+export declare const contentGapColumnMdBoldYellow: 28;
+export declare const contentGapColumnMdNeutralInverseBlue: 28;
+export declare const contentGapColumnMdNeutralInverseGreen: 28;
+export declare const contentGapColumnMdNeutralInverseRed: 28;
+export declare const contentGapColumnMdNeutralInverseYellow: 28;
+export declare const contentGapColumnLgNeutralBlue: 36;
+export declare const contentGapColumnLgNeutralGreen: 36;
+export declare const contentGapColumnLgNeutralRed: 36;
+export declare const contentGapColumnLgNeutralYellow: 36;
+export declare const contentGapColumnLgSubtleBlue: 36;
+export declare const contentGapColumnLgSubtleGreen: 36;
+export declare const contentGapColumnLgSubtleRed: 36;
+export declare const contentGapColumnLgSubtleYellow: 36;
+export declare const contentGapColumnLgBoldBlue: 36;
+export declare const contentGapColumnLgBoldGreen: 36;
+export declare const contentGapColumnLgBoldRed: 36;
+export declare const contentGapColumnLgBoldYellow: 36;
+export declare const contentGapColumnLgNeutralInverseBlue: 36;
+export declare const contentGapColumnLgNeutralInverseGreen: 36;
+export declare const contentGapColumnLgNeutralInverseRed: 36;
+export declare const contentGapColumnLgNeutralInverseYellow: 36;
+export declare const contentGapColumnXlNeutralBlue: 48;
+export declare const contentGapColumnXlNeutralGreen: 48;
+export declare const contentGapColumnXlNeutralRed: 48;
+export declare const contentGapColumnXlNeutralYellow: 48;
+export declare const contentGapColumnXlSubtleBlue: 48;
+export declare const contentGapColumnXlSubtleGreen: 48;
+export declare const contentGapColumnXlSubtleRed: 48;
+export declare const contentGapColumnXlSubtleYellow: 48;
+export declare const contentGapColumnXlBoldBlue: 48;
+export declare const contentGapColumnXlBoldGreen: 48;
+export declare const contentGapColumnXlBoldRed: 48;
+export declare const contentGapColumnXlBoldYellow: 48;
+export declare const contentGapColumnXlNeutralInverseBlue: 48;
+export declare const contentGapColumnXlNeutralInverseGreen: 48;
+export declare const contentGapColumnXlNeutralInverseRed: 48;
+export declare const contentGapColumnXlNeutralInverseYellow: 48;
+export declare const contentGapInsideXsNeutralBlue: 4;
+export declare const contentGapInsideXsNeutralGreen: 4;
+export declare const contentGapInsideXsNeutralRed: 4;
+export declare const contentGapInsideXsNeutralYellow: 4;
+export declare const contentGapInsideXsSubtleBlue: 4;
+export declare const contentGapInsideXsSubtleGreen: 4;
+export declare const contentGapInsideXsSubtleRed: 4;
+export declare const contentGapInsideXsSubtleYellow: 4;
+export declare const contentGapInsideXsBoldBlue: 4;
+export declare const contentGapInsideXsBoldGreen: 4;
+export declare const contentGapInsideXsBoldRed: 4;
+export declare const contentGapInsideXsBoldYellow: 4;
+export declare const contentGapInsideXsNeutralInverseBlue: 4;
+export declare const contentGapInsideXsNeutralInverseGreen: 4;
+export declare const contentGapInsideXsNeutralInverseRed: 4;
+export declare const contentGapInsideXsNeutralInverseYellow: 4;
+export declare const contentGapInsideSmNeutralBlue: 8;
+export declare const contentGapInsideSmNeutralGreen: 8;
+export declare const contentGapInsideSmNeutralRed: 8;
+export declare const contentGapInsideSmNeutralYellow: 8;
+export declare const contentGapInsideSmSubtleBlue: 8;
+export declare const contentGapInsideSmSubtleGreen: 8;
+export declare const contentGapInsideSmSubtleRed: 8;
+export declare const contentGapInsideSmSubtleYellow: 8;
+export declare const contentGapInsideSmBoldBlue: 8;
+export declare const contentGapInsideSmBoldGreen: 8;
+export declare const contentGapInsideSmBoldRed: 8;
+export declare const contentGapInsideSmBoldYellow: 8;
+export declare const contentGapInsideSmNeutralInverseBlue: 8;
+export declare const contentGapInsideSmNeutralInverseGreen: 8;
+export declare const contentGapInsideSmNeutralInverseRed: 8;
+export declare const contentGapInsideSmNeutralInverseYellow: 8;
+export declare const contentGapInsideMdNeutralBlue: 12;
+export declare const contentGapInsideMdNeutralGreen: 12;
+export declare const contentGapInsideMdNeutralRed: 12;
+export declare const contentGapInsideMdNeutralYellow: 12;
+export declare const contentGapInsideMdSubtleBlue: 12;
+export declare const contentGapInsideMdSubtleGreen: 12;
+export declare const contentGapInsideMdSubtleRed: 12;
+export declare const contentGapInsideMdSubtleYellow: 12;
+export declare const contentGapInsideMdBoldBlue: 12;
+export declare const contentGapInsideMdBoldGreen: 12;
+export declare const contentGapInsideMdBoldRed: 12;
+export declare const contentGapInsideMdBoldYellow: 12;
+export declare const contentGapInsideMdNeutralInverseBlue: 12;
+export declare const contentGapInsideMdNeutralInverseGreen: 12;
+export declare const contentGapInsideMdNeutralInverseRed: 12;
+export declare const contentGapInsideMdNeutralInverseYellow: 12;
+export declare const contentGapInsideLgNeutralBlue: 16;
+export declare const contentGapInsideLgNeutralGreen: 16;
+export declare const contentGapInsideLgNeutralRed: 16;
+export declare const contentGapInsideLgNeutralYellow: 16;
+export declare const contentGapInsideLgSubtleBlue: 16;
+export declare const contentGapInsideLgSubtleGreen: 16;
+export declare const contentGapInsideLgSubtleRed: 16;
+export declare const contentGapInsideLgSubtleYellow: 16;
+export declare const contentGapInsideLgBoldBlue: 16;
+export declare const contentGapInsideLgBoldGreen: 16;
+export declare const contentGapInsideLgBoldRed: 16;
+export declare const contentGapInsideLgBoldYellow: 16;
+export declare const contentGapInsideLgNeutralInverseBlue: 16;
+export declare const contentGapInsideLgNeutralInverseGreen: 16;
+export declare const contentGapInsideLgNeutralInverseRed: 16;
+export declare const contentGapInsideLgNeutralInverseYellow: 16;
+export declare const contentGapInsideXlNeutralBlue: 20;
+export declare const contentGapInsideXlNeutralGreen: 20;
+export declare const contentGapInsideXlNeutralRed: 20;
+export declare const contentGapInsideXlNeutralYellow: 20;
+export declare const contentGapInsideXlSubtleBlue: 20;
+export declare const contentGapInsideXlSubtleGreen: 20;
+export declare const contentGapInsideXlSubtleRed: 20;
+export declare const contentGapInsideXlSubtleYellow: 20;
+export declare const contentGapInsideXlBoldBlue: 20;
+export declare const contentGapInsideXlBoldGreen: 20;
+export declare const contentGapInsideXlBoldRed: 20;
+export declare const contentGapInsideXlBoldYellow: 20;
+export declare const contentGapInsideXlNeutralInverseBlue: 20;
+export declare const contentGapInsideXlNeutralInverseGreen: 20;
+export declare const contentGapInsideXlNeutralInverseRed: 20;
+export declare const contentGapInsideXlNeutralInverseYellow: 20;
+export declare const contentGapRowXsNeutralBlue: 16;
+export declare const contentGapRowXsNeutralGreen: 16;
+export declare const contentGapRowXsNeutralRed: 16;
+export declare const contentGapRowXsNeutralYellow: 16;
+export declare const contentGapRowXsSubtleBlue: 16;
+export declare const contentGapRowXsSubtleGreen: 16;
+export declare const contentGapRowXsSubtleRed: 16;
+export declare const contentGapRowXsSubtleYellow: 16;
+export declare const contentGapRowXsBoldBlue: 16;
+export declare const contentGapRowXsBoldGreen: 16;
+export declare const contentGapRowXsBoldRed: 16;
+export declare const contentGapRowXsBoldYellow: 16;
+export declare const contentGapRowXsNeutralInverseBlue: 16;
+export declare const contentGapRowXsNeutralInverseGreen: 16;
+export declare const contentGapRowXsNeutralInverseRed: 16;
+export declare const contentGapRowXsNeutralInverseYellow: 16;
+export declare const contentGapRowSmNeutralBlue: 20;
+export declare const contentGapRowSmNeutralGreen: 20;
+export declare const contentGapRowSmNeutralRed: 20;
+export declare const contentGapRowSmNeutralYellow: 20;
+export declare const contentGapRowSmSubtleBlue: 20;
+export declare const contentGapRowSmSubtleGreen: 20;
+export declare const contentGapRowSmSubtleRed: 20;
+export declare const contentGapRowSmSubtleYellow: 20;
+export declare const contentGapRowSmBoldBlue: 20;
+export declare const contentGapRowSmBoldGreen: 20;
+export declare const contentGapRowSmBoldRed: 20;
+export declare const contentGapRowSmBoldYellow: 20;
+export declare const contentGapRowSmNeutralInverseBlue: 20;
+export declare const contentGapRowSmNeutralInverseGreen: 20;
+export declare const contentGapRowSmNeutralInverseRed: 20;
+export declare const contentGapRowSmNeutralInverseYellow: 20;
+export declare const contentGapRowMdNeutralBlue: 28;
+export declare const contentGapRowMdNeutralGreen: 28;
+export declare const contentGapRowMdNeutralRed: 28;
+export declare const contentGapRowMdNeutralYellow: 28;
+export declare const contentGapRowMdSubtleBlue: 28;
+export declare const contentGapRowMdSubtleGreen: 28;
+export declare const contentGapRowMdSubtleRed: 28;
+export declare const contentGapRowMdSubtleYellow: 28;
+export declare const contentGapRowMdBoldBlue: 28;
+export declare const contentGapRowMdBoldGreen: 28;
+export declare const contentGapRowMdBoldRed: 28;
+export declare const contentGapRowMdBoldYellow: 28;
+export declare const contentGapRowMdNeutralInverseBlue: 28;
+export declare const contentGapRowMdNeutralInverseGreen: 28;
+export declare const contentGapRowMdNeutralInverseRed: 28;
+export declare const contentGapRowMdNeutralInverseYellow: 28;
+export declare const contentGapRowLgNeutralBlue: 36;
+export declare const contentGapRowLgNeutralGreen: 36;
+export declare const contentGapRowLgNeutralRed: 36;
+export declare const contentGapRowLgNeutralYellow: 36;
+export declare const contentGapRowLgSubtleBlue: 36;
+export declare const contentGapRowLgSubtleGreen: 36;
+export declare const contentGapRowLgSubtleRed: 36;
+export declare const contentGapRowLgSubtleYellow: 36;
+export declare const contentGapRowLgBoldBlue: 36;
+export declare const contentGapRowLgBoldGreen: 36;
+export declare const contentGapRowLgBoldRed: 36;
+export declare const contentGapRowLgBoldYellow: 36;
+export declare const contentGapRowLgNeutralInverseBlue: 36;
+export declare const contentGapRowLgNeutralInverseGreen: 36;
+export declare const contentGapRowLgNeutralInverseRed: 36;
+export declare const contentGapRowLgNeutralInverseYellow: 36;
+export declare const contentGapRowXlNeutralBlue: 48;
+export declare const contentGapRowXlNeutralGreen: 48;
+export declare const contentGapRowXlNeutralRed: 48;
+export declare const contentGapRowXlNeutralYellow: 48;
+export declare const contentGapRowXlSubtleBlue: 48;
+export declare const contentGapRowXlSubtleGreen: 48;
+export declare const contentGapRowXlSubtleRed: 48;
+export declare const contentGapRowXlSubtleYellow: 48;
+export declare const contentGapRowXlBoldBlue: 48;
+export declare const contentGapRowXlBoldGreen: 48;
+export declare const contentGapRowXlBoldRed: 48;
+export declare const contentGapRowXlBoldYellow: 48;
+export declare const contentGapRowXlNeutralInverseBlue: 48;
+export declare const contentGapRowXlNeutralInverseGreen: 48;
+export declare const contentGapRowXlNeutralInverseRed: 48;
+export declare const contentGapRowXlNeutralInverseYellow: 48;
+export declare const contentPictogramOutlineNeutralBlue: "#1d1d1b";
+export declare const contentPictogramOutlineNeutralGreen: "#1d1d1b";
+export declare const contentPictogramOutlineNeutralRed: "#1d1d1b";
+export declare const contentPictogramOutlineNeutralYellow: "#1d1d1b";
+export declare const contentPictogramOutlineSubtleBlue: "#1d1d1b";
+export declare const contentPictogramOutlineSubtleGreen: "#1d1d1b";
+export declare const contentPictogramOutlineSubtleRed: "#1d1d1b";
+export declare const contentPictogramOutlineSubtleYellow: "#1d1d1b";
+export declare const contentPictogramOutlineBoldBlue: "#f4f4f4";
+export declare const contentPictogramOutlineBoldGreen: "#f4f4f4";
+export declare const contentPictogramOutlineBoldRed: "#f4f4f4";
+export declare const contentPictogramOutlineBoldYellow: "#1d1d1b";
+export declare const contentPictogramOutlineNeutralInverseBlue: "#1d1d1b";
+export declare const contentPictogramOutlineNeutralInverseGreen: "#1d1d1b";
+export declare const contentPictogramOutlineNeutralInverseRed: "#1d1d1b";
+export declare const contentPictogramOutlineNeutralInverseYellow: "#1d1d1b";
+export declare const contentPictogramFillNeutralBlue: "#42aeea";
+export declare const contentPictogramFillNeutralGreen: "#42aeea";
+export declare const contentPictogramFillNeutralRed: "#42aeea";
+export declare const contentPictogramFillNeutralYellow: "#42aeea";
+export declare const contentPictogramFillSubtleBlue: "#aee1f7";
+export declare const contentPictogramFillSubtleGreen: "#aee1f7";
+export declare const contentPictogramFillSubtleRed: "#aee1f7";
+export declare const contentPictogramFillSubtleYellow: "#aee1f7";
+export declare const contentPictogramFillBoldBlue: "#005dba";
+export declare const contentPictogramFillBoldGreen: "#005dba";
+export declare const contentPictogramFillBoldRed: "#005dba";
+export declare const contentPictogramFillBoldYellow: "#005dba";
+export declare const contentPictogramFillNeutralInverseBlue: "#42aeea";
+export declare const contentPictogramFillNeutralInverseGreen: "#42aeea";
+export declare const contentPictogramFillNeutralInverseRed: "#42aeea";
+export declare const contentPictogramFillNeutralInverseYellow: "#42aeea";
+export declare const contentPictogramHasFillNeutralBlue: true;
+export declare const contentPictogramHasFillNeutralGreen: false;
+export declare const contentPictogramHasFillNeutralRed: false;
+export declare const contentPictogramHasFillNeutralYellow: false;
+export declare const contentPictogramHasFillSubtleBlue: false;
+export declare const contentPictogramHasFillSubtleGreen: false;
+export declare const contentPictogramHasFillSubtleRed: false;
+export declare const contentPictogramHasFillSubtleYellow: false;
+export declare const contentPictogramHasFillBoldBlue: false;
+export declare const contentPictogramHasFillBoldGreen: false;
+export declare const contentPictogramHasFillBoldRed: false;
+export declare const contentPictogramHasFillBoldYellow: false;
+export declare const contentPictogramHasFillNeutralInverseBlue: true;
+export declare const contentPictogramHasFillNeutralInverseGreen: false;
+export declare const contentPictogramHasFillNeutralInverseRed: false;
+export declare const contentPictogramHasFillNeutralInverseYellow: false;
+export declare const contentPictogramSizeMdNeutralBlue: 32;
+export declare const contentPictogramSizeMdNeutralGreen: 32;
+export declare const contentPictogramSizeMdNeutralRed: 32;
+export declare const contentPictogramSizeMdNeutralYellow: 32;
+export declare const contentPictogramSizeMdSubtleBlue: 32;
+export declare const contentPictogramSizeMdSubtleGreen: 32;
+export declare const contentPictogramSizeMdSubtleRed: 32;
+export declare const contentPictogramSizeMdSubtleYellow: 32;
+export declare const contentPictogramSizeMdBoldBlue: 32;
+export declare const contentPictogramSizeMdBoldGreen: 32;
+export declare const contentPictogramSizeMdBoldRed: 32;
+export declare const contentPictogramSizeMdBoldYellow: 32;
+export declare const contentPictogramSizeMdNeutralInverseBlue: 32;
+export declare const contentPictogramSizeMdNeutralInverseGreen: 32;
+export declare const contentPictogramSizeMdNeutralInverseRed: 32;
+export declare const contentPictogramSizeMdNeutralInverseYellow: 32;
+export declare const contentPictogramSizeLgNeutralBlue: 80;
+export declare const contentPictogramSizeLgNeutralGreen: 80;
+export declare const contentPictogramSizeLgNeutralRed: 80;
+export declare const contentPictogramSizeLgNeutralYellow: 80;
+export declare const contentPictogramSizeLgSubtleBlue: 80;
+export declare const contentPictogramSizeLgSubtleGreen: 80;
+export declare const contentPictogramSizeLgSubtleRed: 80;
+export declare const contentPictogramSizeLgSubtleYellow: 80;
+export declare const contentPictogramSizeLgBoldBlue: 80;
+export declare const contentPictogramSizeLgBoldGreen: 80;
+export declare const contentPictogramSizeLgBoldRed: 80;
+export declare const contentPictogramSizeLgBoldYellow: 80;
+export declare const contentPictogramSizeLgNeutralInverseBlue: 80;
+export declare const contentPictogramSizeLgNeutralInverseGreen: 80;
+export declare const contentPictogramSizeLgNeutralInverseRed: 80;
+export declare const contentPictogramSizeLgNeutralInverseYellow: 80;
+export declare const contentPictogramSizeXlNeutralBlue: 160;
+export declare const contentPictogramSizeXlNeutralGreen: 160;
+export declare const contentPictogramSizeXlNeutralRed: 160;
+export declare const contentPictogramSizeXlNeutralYellow: 160;
+export declare const contentPictogramSizeXlSubtleBlue: 160;
+export declare const contentPictogramSizeXlSubtleGreen: 160;
+export declare const contentPictogramSizeXlSubtleRed: 160;
+export declare const contentPictogramSizeXlSubtleYellow: 160;
+export declare const contentPictogramSizeXlBoldBlue: 160;
+export declare const contentPictogramSizeXlBoldGreen: 160;
+export declare const contentPictogramSizeXlBoldRed: 160;
+export declare const contentPictogramSizeXlBoldYellow: 160;
+export declare const contentPictogramSizeXlNeutralInverseBlue: 160;
+export declare const contentPictogramSizeXlNeutralInverseGreen: 160;
+export declare const contentPictogramSizeXlNeutralInverseRed: 160;
+export declare const contentPictogramSizeXlNeutralInverseYellow: 160;
+export declare const buttonBorderRadiusNeutralBlue: 12;
+export declare const buttonBorderRadiusNeutralGreen: 12;
+export declare const buttonBorderRadiusNeutralRed: 12;
+export declare const buttonBorderRadiusNeutralYellow: 12;
+export declare const buttonBorderRadiusNeutralInverseBlue: 12;
+export declare const buttonBorderRadiusNeutralInverseGreen: 12;
+export declare const buttonBorderRadiusNeutralInverseRed: 12;
+export declare const buttonBorderRadiusNeutralInverseYellow: 12;
+export declare const buttonBorderRadiusSubtleBlue: 12;
+export declare const buttonBorderRadiusSubtleGreen: 12;
+export declare const buttonBorderRadiusSubtleRed: 12;
+export declare const buttonBorderRadiusSubtleYellow: 12;
+export declare const buttonBorderRadiusBoldBlue: 12;
+export declare const buttonBorderRadiusBoldGreen: 12;
+export declare const buttonBorderRadiusBoldRed: 12;
+export declare const buttonBorderRadiusBoldYellow: 12;
+export declare const buttonBorderWidthNeutralBlue: 1.5;
+export declare const buttonBorderWidthNeutralGreen: 1.5;
+export declare const buttonBorderWidthNeutralRed: 1.5;
+export declare const buttonBorderWidthNeutralYellow: 1.5;
+export declare const buttonBorderWidthNeutralInverseBlue: 1.5;
+export declare const buttonBorderWidthNeutralInverseGreen: 1.5;
+export declare const buttonBorderWidthNeutralInverseRed: 1.5;
+export declare const buttonBorderWidthNeutralInverseYellow: 1.5;
+export declare const buttonBorderWidthSubtleBlue: 1.5;
+export declare const buttonBorderWidthSubtleGreen: 1.5;
+export declare const buttonBorderWidthSubtleRed: 1.5;
+export declare const buttonBorderWidthSubtleYellow: 1.5;
+export declare const buttonBorderWidthBoldBlue: 1.5;
+export declare const buttonBorderWidthBoldGreen: 1.5;
+export declare const buttonBorderWidthBoldRed: 1.5;
+export declare const buttonBorderWidthBoldYellow: 1.5;
+export declare const buttonBorderWidthFocusNeutralBlue: 3;
+export declare const buttonBorderWidthFocusNeutralGreen: 3;
+export declare const buttonBorderWidthFocusNeutralRed: 3;
+export declare const buttonBorderWidthFocusNeutralYellow: 3;
+export declare const buttonBorderWidthFocusNeutralInverseBlue: 3;
+export declare const buttonBorderWidthFocusNeutralInverseGreen: 3;
+export declare const buttonBorderWidthFocusNeutralInverseRed: 3;
+export declare const buttonBorderWidthFocusNeutralInverseYellow: 3;
+export declare const buttonBorderWidthFocusSubtleBlue: 3;
+export declare const buttonBorderWidthFocusSubtleGreen: 3;
+export declare const buttonBorderWidthFocusSubtleRed: 3;
+export declare const buttonBorderWidthFocusSubtleYellow: 3;
+export declare const buttonBorderWidthFocusBoldBlue: 3;
+export declare const buttonBorderWidthFocusBoldGreen: 3;
+export declare const buttonBorderWidthFocusBoldRed: 3;
+export declare const buttonBorderWidthFocusBoldYellow: 3;
+export declare const buttonGapNeutralBlue: 8;
+export declare const buttonGapNeutralGreen: 8;
+export declare const buttonGapNeutralRed: 8;
+export declare const buttonGapNeutralYellow: 8;
+export declare const buttonGapNeutralInverseBlue: 8;
+export declare const buttonGapNeutralInverseGreen: 8;
+export declare const buttonGapNeutralInverseRed: 8;
+export declare const buttonGapNeutralInverseYellow: 8;
+export declare const buttonGapSubtleBlue: 8;
+export declare const buttonGapSubtleGreen: 8;
+export declare const buttonGapSubtleRed: 8;
+export declare const buttonGapSubtleYellow: 8;
+export declare const buttonGapBoldBlue: 8;
+export declare const buttonGapBoldGreen: 8;
+export declare const buttonGapBoldRed: 8;
+export declare const buttonGapBoldYellow: 8;
+export declare const buttonCommonLabelledMinHeightNeutralBlue: 48;
+export declare const buttonCommonLabelledMinHeightNeutralGreen: 48;
+export declare const buttonCommonLabelledMinHeightNeutralRed: 48;
+export declare const buttonCommonLabelledMinHeightNeutralYellow: 48;
+export declare const buttonCommonLabelledMinHeightNeutralInverseBlue: 48;
+export declare const buttonCommonLabelledMinHeightNeutralInverseGreen: 48;
+export declare const buttonCommonLabelledMinHeightNeutralInverseRed: 48;
+export declare const buttonCommonLabelledMinHeightNeutralInverseYellow: 48;
+export declare const buttonCommonLabelledMinHeightSubtleBlue: 48;
+export declare const buttonCommonLabelledMinHeightSubtleGreen: 48;
+export declare const buttonCommonLabelledMinHeightSubtleRed: 48;
+export declare const buttonCommonLabelledMinHeightSubtleYellow: 48;
+export declare const buttonCommonLabelledMinHeightBoldBlue: 48;
+export declare const buttonCommonLabelledMinHeightBoldGreen: 48;
+export declare const buttonCommonLabelledMinHeightBoldRed: 48;
+export declare const buttonCommonLabelledMinHeightBoldYellow: 48;
+export declare const buttonCommonLabelledMinWidthNeutralBlue: 48;
+export declare const buttonCommonLabelledMinWidthNeutralGreen: 48;
+export declare const buttonCommonLabelledMinWidthNeutralRed: 48;
+export declare const buttonCommonLabelledMinWidthNeutralYellow: 48;
+export declare const buttonCommonLabelledMinWidthNeutralInverseBlue: 48;
+export declare const buttonCommonLabelledMinWidthNeutralInverseGreen: 48;
+export declare const buttonCommonLabelledMinWidthNeutralInverseRed: 48;
+export declare const buttonCommonLabelledMinWidthNeutralInverseYellow: 48;
+export declare const buttonCommonLabelledMinWidthSubtleBlue: 48;
+export declare const buttonCommonLabelledMinWidthSubtleGreen: 48;
+export declare const buttonCommonLabelledMinWidthSubtleRed: 48;
+export declare const buttonCommonLabelledMinWidthSubtleYellow: 48;
+export declare const buttonCommonLabelledMinWidthBoldBlue: 48;
+export declare const buttonCommonLabelledMinWidthBoldGreen: 48;
+export declare const buttonCommonLabelledMinWidthBoldRed: 48;
+export declare const buttonCommonLabelledMinWidthBoldYellow: 48;
+export declare const buttonCommonLabelledPaddingXNeutralBlue: 16;
+export declare const buttonCommonLabelledPaddingXNeutralGreen: 16;
+export declare const buttonCommonLabelledPaddingXNeutralRed: 16;
+export declare const buttonCommonLabelledPaddingXNeutralYellow: 16;
+export declare const buttonCommonLabelledPaddingXNeutralInverseBlue: 16;
+export declare const buttonCommonLabelledPaddingXNeutralInverseGreen: 16;
+export declare const buttonCommonLabelledPaddingXNeutralInverseRed: 16;
+export declare const buttonCommonLabelledPaddingXNeutralInverseYellow: 16;
+export declare const buttonCommonLabelledPaddingXSubtleBlue: 16;
+export declare const buttonCommonLabelledPaddingXSubtleGreen: 16;
+export declare const buttonCommonLabelledPaddingXSubtleRed: 16;
+export declare const buttonCommonLabelledPaddingXSubtleYellow: 16;
+export declare const buttonCommonLabelledPaddingXBoldBlue: 16;
+export declare const buttonCommonLabelledPaddingXBoldGreen: 16;
+export declare const buttonCommonLabelledPaddingXBoldRed: 16;
+export declare const buttonCommonLabelledPaddingXBoldYellow: 16;
+export declare const buttonCommonLabelledPaddingYNeutralBlue: 12;
+export declare const buttonCommonLabelledPaddingYNeutralGreen: 12;
+export declare const buttonCommonLabelledPaddingYNeutralRed: 12;
+export declare const buttonCommonLabelledPaddingYNeutralYellow: 12;
+export declare const buttonCommonLabelledPaddingYNeutralInverseBlue: 12;
+export declare const buttonCommonLabelledPaddingYNeutralInverseGreen: 12;
+export declare const buttonCommonLabelledPaddingYNeutralInverseRed: 12;
+export declare const buttonCommonLabelledPaddingYNeutralInverseYellow: 12;
+export declare const buttonCommonLabelledPaddingYSubtleBlue: 12;
+export declare const buttonCommonLabelledPaddingYSubtleGreen: 12;
+export declare const buttonCommonLabelledPaddingYSubtleRed: 12;
+export declare const buttonCommonLabelledPaddingYSubtleYellow: 12;
+export declare const buttonCommonLabelledPaddingYBoldBlue: 12;
+export declare const buttonCommonLabelledPaddingYBoldGreen: 12;
+export declare const buttonCommonLabelledPaddingYBoldRed: 12;
+export declare const buttonCommonLabelledPaddingYBoldYellow: 12;
+export declare const buttonCommonIconOnlyMinHeightNeutralBlue: 48;
+export declare const buttonCommonIconOnlyMinHeightNeutralGreen: 48;
+export declare const buttonCommonIconOnlyMinHeightNeutralRed: 48;
+export declare const buttonCommonIconOnlyMinHeightNeutralYellow: 48;
+export declare const buttonCommonIconOnlyMinHeightNeutralInverseBlue: 48;
+export declare const buttonCommonIconOnlyMinHeightNeutralInverseGreen: 48;
+export declare const buttonCommonIconOnlyMinHeightNeutralInverseRed: 48;
+export declare const buttonCommonIconOnlyMinHeightNeutralInverseYellow: 48;
+export declare const buttonCommonIconOnlyMinHeightSubtleBlue: 48;
+export declare const buttonCommonIconOnlyMinHeightSubtleGreen: 48;
+export declare const buttonCommonIconOnlyMinHeightSubtleRed: 48;
+export declare const buttonCommonIconOnlyMinHeightSubtleYellow: 48;
+export declare const buttonCommonIconOnlyMinHeightBoldBlue: 48;
+export declare const buttonCommonIconOnlyMinHeightBoldGreen: 48;
+export declare const buttonCommonIconOnlyMinHeightBoldRed: 48;
+export declare const buttonCommonIconOnlyMinHeightBoldYellow: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralBlue: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralGreen: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralRed: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralYellow: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralInverseBlue: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralInverseGreen: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralInverseRed: 48;
+export declare const buttonCommonIconOnlyMinWidthNeutralInverseYellow: 48;
+export declare const buttonCommonIconOnlyMinWidthSubtleBlue: 48;
+export declare const buttonCommonIconOnlyMinWidthSubtleGreen: 48;
+export declare const buttonCommonIconOnlyMinWidthSubtleRed: 48;
+export declare const buttonCommonIconOnlyMinWidthSubtleYellow: 48;
+export declare const buttonCommonIconOnlyMinWidthBoldBlue: 48;
+export declare const buttonCommonIconOnlyMinWidthBoldGreen: 48;
+export declare const buttonCommonIconOnlyMinWidthBoldRed: 48;
+export declare const buttonCommonIconOnlyMinWidthBoldYellow: 48;
+export declare const buttonCommonIconOnlyPaddingXNeutralBlue: 12;
+export declare const buttonCommonIconOnlyPaddingXNeutralGreen: 12;
+export declare const buttonCommonIconOnlyPaddingXNeutralRed: 12;
+export declare const buttonCommonIconOnlyPaddingXNeutralYellow: 12;
+export declare const buttonCommonIconOnlyPaddingXNeutralInverseBlue: 12;
+export declare const buttonCommonIconOnlyPaddingXNeutralInverseGreen: 12;
+export declare const buttonCommonIconOnlyPaddingXNeutralInverseRed: 12;
+export declare const buttonCommonIconOnlyPaddingXNeutralInverseYellow: 12;
+export declare const buttonCommonIconOnlyPaddingXSubtleBlue: 12;
+export declare const buttonCommonIconOnlyPaddingXSubtleGreen: 12;
+export declare const buttonCommonIconOnlyPaddingXSubtleRed: 12;
+export declare const buttonCommonIconOnlyPaddingXSubtleYellow: 12;
+export declare const buttonCommonIconOnlyPaddingXBoldBlue: 12;
+export declare const buttonCommonIconOnlyPaddingXBoldGreen: 12;
+export declare const buttonCommonIconOnlyPaddingXBoldRed: 12;
+export declare const buttonCommonIconOnlyPaddingXBoldYellow: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralBlue: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralGreen: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralRed: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralYellow: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralInverseBlue: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralInverseGreen: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralInverseRed: 12;
+export declare const buttonCommonIconOnlyPaddingYNeutralInverseYellow: 12;
+export declare const buttonCommonIconOnlyPaddingYSubtleBlue: 12;
+export declare const buttonCommonIconOnlyPaddingYSubtleGreen: 12;
+export declare const buttonCommonIconOnlyPaddingYSubtleRed: 12;
+export declare const buttonCommonIconOnlyPaddingYSubtleYellow: 12;
+export declare const buttonCommonIconOnlyPaddingYBoldBlue: 12;
+export declare const buttonCommonIconOnlyPaddingYBoldGreen: 12;
+export declare const buttonCommonIconOnlyPaddingYBoldRed: 12;
+export declare const buttonCommonIconOnlyPaddingYBoldYellow: 12;
+export declare const buttonPrimaryRestBackgroundColourNeutralBlue: "#005dba";
+export declare const buttonPrimaryRestBackgroundColourNeutralGreen: "#00633d";
+export declare const buttonPrimaryRestBackgroundColourNeutralRed: "#c50b30";
+export declare const buttonPrimaryRestBackgroundColourNeutralYellow: "#ffb600";
+export declare const buttonPrimaryRestBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const buttonPrimaryRestBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const buttonPrimaryRestBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const buttonPrimaryRestBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const buttonPrimaryRestBackgroundColourSubtleBlue: "#005dba";
+export declare const buttonPrimaryRestBackgroundColourSubtleGreen: "#00633d";
+export declare const buttonPrimaryRestBackgroundColourSubtleRed: "#c50b30";
+export declare const buttonPrimaryRestBackgroundColourSubtleYellow: "#ffb600";
+export declare const buttonPrimaryRestBackgroundColourBoldBlue: "#ffffff";
+export declare const buttonPrimaryRestBackgroundColourBoldGreen: "#ffffff";
+export declare const buttonPrimaryRestBackgroundColourBoldRed: "#ffffff";
+export declare const buttonPrimaryRestBackgroundColourBoldYellow: "#1d1d1b";
+export declare const buttonPrimaryRestBorderColourNeutralBlue: "#005dba";
+export declare const buttonPrimaryRestBorderColourNeutralGreen: "#00633d";
+export declare const buttonPrimaryRestBorderColourNeutralRed: "#c50b30";
+export declare const buttonPrimaryRestBorderColourNeutralYellow: "#ffb600";
+export declare const buttonPrimaryRestBorderColourNeutralInverseBlue: "#005dba";
+export declare const buttonPrimaryRestBorderColourNeutralInverseGreen: "#00633d";
+export declare const buttonPrimaryRestBorderColourNeutralInverseRed: "#c50b30";
+export declare const buttonPrimaryRestBorderColourNeutralInverseYellow: "#ffb600";
+export declare const buttonPrimaryRestBorderColourSubtleBlue: "#005dba";
+export declare const buttonPrimaryRestBorderColourSubtleGreen: "#00633d";
+export declare const buttonPrimaryRestBorderColourSubtleRed: "#c50b30";
+export declare const buttonPrimaryRestBorderColourSubtleYellow: "#ffb600";
+export declare const buttonPrimaryRestBorderColourBoldBlue: "#ffffff";
+export declare const buttonPrimaryRestBorderColourBoldGreen: "#ffffff";
+export declare const buttonPrimaryRestBorderColourBoldRed: "#ffffff";
+export declare const buttonPrimaryRestBorderColourBoldYellow: "#1d1d1b";
+export declare const buttonPrimaryRestColourNeutralBlue: "#ffffff";
+export declare const buttonPrimaryRestColourNeutralGreen: "#ffffff";
+export declare const buttonPrimaryRestColourNeutralRed: "#ffffff";
+export declare const buttonPrimaryRestColourNeutralYellow: "#1d1d1b";
+export declare const buttonPrimaryRestColourNeutralInverseBlue: "#ffffff";
+export declare const buttonPrimaryRestColourNeutralInverseGreen: "#ffffff";
+export declare const buttonPrimaryRestColourNeutralInverseRed: "#ffffff";
+export declare const buttonPrimaryRestColourNeutralInverseYellow: "#1d1d1b";
+export declare const buttonPrimaryRestColourSubtleBlue: "#ffffff";
+export declare const buttonPrimaryRestColourSubtleGreen: "#ffffff";
+export declare const buttonPrimaryRestColourSubtleRed: "#ffffff";
+export declare const buttonPrimaryRestColourSubtleYellow: "#1d1d1b";
+export declare const buttonPrimaryRestColourBoldBlue: "#1d1d1b";
+export declare const buttonPrimaryRestColourBoldGreen: "#1d1d1b";
+export declare const buttonPrimaryRestColourBoldRed: "#1d1d1b";
+export declare const buttonPrimaryRestColourBoldYellow: "#f4f4f4";
+export declare const buttonPrimaryHoverBackgroundColourNeutralBlue: "#001d6e";
+export declare const buttonPrimaryHoverBackgroundColourNeutralGreen: "#01312e";
+export declare const buttonPrimaryHoverBackgroundColourNeutralRed: "#940824";
+export declare const buttonPrimaryHoverBackgroundColourNeutralYellow: "#904029";
+export declare const buttonPrimaryHoverBackgroundColourNeutralInverseBlue: "#001d6e";
+export declare const buttonPrimaryHoverBackgroundColourNeutralInverseGreen: "#01312e";
+export declare const buttonPrimaryHoverBackgroundColourNeutralInverseRed: "#940824";
+export declare const buttonPrimaryHoverBackgroundColourNeutralInverseYellow: "#904029";
+export declare const buttonPrimaryHoverBackgroundColourSubtleBlue: "#001d6e";
+export declare const buttonPrimaryHoverBackgroundColourSubtleGreen: "#01312e";
+export declare const buttonPrimaryHoverBackgroundColourSubtleRed: "#940824";
+export declare const buttonPrimaryHoverBackgroundColourSubtleYellow: "#904029";
+export declare const buttonPrimaryHoverBackgroundColourBoldBlue: "#001d6e";
+export declare const buttonPrimaryHoverBackgroundColourBoldGreen: "#01312e";
+export declare const buttonPrimaryHoverBackgroundColourBoldRed: "#940824";
+export declare const buttonPrimaryHoverBackgroundColourBoldYellow: "#ffe969";
+export declare const buttonPrimaryHoverBorderColourNeutralBlue: "#001d6e";
+export declare const buttonPrimaryHoverBorderColourNeutralGreen: "#01312e";
+export declare const buttonPrimaryHoverBorderColourNeutralRed: "#940824";
+export declare const buttonPrimaryHoverBorderColourNeutralYellow: "#904029";
+export declare const buttonPrimaryHoverBorderColourNeutralInverseBlue: "#001d6e";
+export declare const buttonPrimaryHoverBorderColourNeutralInverseGreen: "#01312e";
+export declare const buttonPrimaryHoverBorderColourNeutralInverseRed: "#940824";
+export declare const buttonPrimaryHoverBorderColourNeutralInverseYellow: "#904029";
+export declare const buttonPrimaryHoverBorderColourSubtleBlue: "#001d6e";
+export declare const buttonPrimaryHoverBorderColourSubtleGreen: "#01312e";
+export declare const buttonPrimaryHoverBorderColourSubtleRed: "#940824";
+export declare const buttonPrimaryHoverBorderColourSubtleYellow: "#904029";
+export declare const buttonPrimaryHoverBorderColourBoldBlue: "#ffffff";
+export declare const buttonPrimaryHoverBorderColourBoldGreen: "#ffffff";
+export declare const buttonPrimaryHoverBorderColourBoldRed: "#ffffff";
+export declare const buttonPrimaryHoverBorderColourBoldYellow: "#1d1d1b";
+export declare const buttonPrimaryHoverColourNeutralBlue: "#ffffff";
+export declare const buttonPrimaryHoverColourNeutralGreen: "#ffffff";
+export declare const buttonPrimaryHoverColourNeutralRed: "#ffffff";
+export declare const buttonPrimaryHoverColourNeutralYellow: "#ffffff";
+export declare const buttonPrimaryHoverColourNeutralInverseBlue: "#ffffff";
+export declare const buttonPrimaryHoverColourNeutralInverseGreen: "#ffffff";
+export declare const buttonPrimaryHoverColourNeutralInverseRed: "#ffffff";
+export declare const buttonPrimaryHoverColourNeutralInverseYellow: "#ffffff";
+export declare const buttonPrimaryHoverColourSubtleBlue: "#ffffff";
+export declare const buttonPrimaryHoverColourSubtleGreen: "#ffffff";
+export declare const buttonPrimaryHoverColourSubtleRed: "#ffffff";
+export declare const buttonPrimaryHoverColourSubtleYellow: "#ffffff";
+export declare const buttonPrimaryHoverColourBoldBlue: "#ffffff";
+export declare const buttonPrimaryHoverColourBoldGreen: "#ffffff";
+export declare const buttonPrimaryHoverColourBoldRed: "#ffffff";
+export declare const buttonPrimaryHoverColourBoldYellow: "#1d1d1b";
+export declare const buttonPrimaryActiveBackgroundColourNeutralBlue: "#000039";
+export declare const buttonPrimaryActiveBackgroundColourNeutralGreen: "#011b1f";
+export declare const buttonPrimaryActiveBackgroundColourNeutralRed: "#480411";
+export declare const buttonPrimaryActiveBackgroundColourNeutralYellow: "#572722";
+export declare const buttonPrimaryActiveBackgroundColourNeutralInverseBlue: "#000039";
+export declare const buttonPrimaryActiveBackgroundColourNeutralInverseGreen: "#011b1f";
+export declare const buttonPrimaryActiveBackgroundColourNeutralInverseRed: "#480411";
+export declare const buttonPrimaryActiveBackgroundColourNeutralInverseYellow: "#572722";
+export declare const buttonPrimaryActiveBackgroundColourSubtleBlue: "#000039";
+export declare const buttonPrimaryActiveBackgroundColourSubtleGreen: "#011b1f";
+export declare const buttonPrimaryActiveBackgroundColourSubtleRed: "#480411";
+export declare const buttonPrimaryActiveBackgroundColourSubtleYellow: "#572722";
+export declare const buttonPrimaryActiveBackgroundColourBoldBlue: "#000039";
+export declare const buttonPrimaryActiveBackgroundColourBoldGreen: "#011b1f";
+export declare const buttonPrimaryActiveBackgroundColourBoldRed: "#480411";
+export declare const buttonPrimaryActiveBackgroundColourBoldYellow: "#fffbdc";
+export declare const buttonPrimaryActiveBorderColourNeutralBlue: "#000039";
+export declare const buttonPrimaryActiveBorderColourNeutralGreen: "#011b1f";
+export declare const buttonPrimaryActiveBorderColourNeutralRed: "#480411";
+export declare const buttonPrimaryActiveBorderColourNeutralYellow: "#572722";
+export declare const buttonPrimaryActiveBorderColourNeutralInverseBlue: "#000039";
+export declare const buttonPrimaryActiveBorderColourNeutralInverseGreen: "#011b1f";
+export declare const buttonPrimaryActiveBorderColourNeutralInverseRed: "#480411";
+export declare const buttonPrimaryActiveBorderColourNeutralInverseYellow: "#572722";
+export declare const buttonPrimaryActiveBorderColourSubtleBlue: "#000039";
+export declare const buttonPrimaryActiveBorderColourSubtleGreen: "#011b1f";
+export declare const buttonPrimaryActiveBorderColourSubtleRed: "#480411";
+export declare const buttonPrimaryActiveBorderColourSubtleYellow: "#572722";
+export declare const buttonPrimaryActiveBorderColourBoldBlue: "#ffffff";
+export declare const buttonPrimaryActiveBorderColourBoldGreen: "#ffffff";
+export declare const buttonPrimaryActiveBorderColourBoldRed: "#ffffff";
+export declare const buttonPrimaryActiveBorderColourBoldYellow: "#1d1d1b";
+export declare const buttonPrimaryActiveColourNeutralBlue: "#ffffff";
+export declare const buttonPrimaryActiveColourNeutralGreen: "#ffffff";
+export declare const buttonPrimaryActiveColourNeutralRed: "#ffffff";
+export declare const buttonPrimaryActiveColourNeutralYellow: "#ffffff";
+export declare const buttonPrimaryActiveColourNeutralInverseBlue: "#ffffff";
+export declare const buttonPrimaryActiveColourNeutralInverseGreen: "#ffffff";
+export declare const buttonPrimaryActiveColourNeutralInverseRed: "#ffffff";
+export declare const buttonPrimaryActiveColourNeutralInverseYellow: "#ffffff";
+export declare const buttonPrimaryActiveColourSubtleBlue: "#ffffff";
+export declare const buttonPrimaryActiveColourSubtleGreen: "#ffffff";
+export declare const buttonPrimaryActiveColourSubtleRed: "#ffffff";
+export declare const buttonPrimaryActiveColourSubtleYellow: "#ffffff";
+export declare const buttonPrimaryActiveColourBoldBlue: "#ffffff";
+export declare const buttonPrimaryActiveColourBoldGreen: "#ffffff";
+export declare const buttonPrimaryActiveColourBoldRed: "#ffffff";
+export declare const buttonPrimaryActiveColourBoldYellow: "#1d1d1b";
+export declare const buttonPrimaryFocusBackgroundColourNeutralBlue: "#005dba";
+export declare const buttonPrimaryFocusBackgroundColourNeutralGreen: "#00633d";
+export declare const buttonPrimaryFocusBackgroundColourNeutralRed: "#c50b30";
+export declare const buttonPrimaryFocusBackgroundColourNeutralYellow: "#ffb600";
+export declare const buttonPrimaryFocusBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const buttonPrimaryFocusBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const buttonPrimaryFocusBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const buttonPrimaryFocusBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const buttonPrimaryFocusBackgroundColourSubtleBlue: "#005dba";
+export declare const buttonPrimaryFocusBackgroundColourSubtleGreen: "#00633d";
+export declare const buttonPrimaryFocusBackgroundColourSubtleRed: "#c50b30";
+export declare const buttonPrimaryFocusBackgroundColourSubtleYellow: "#ffb600";
+export declare const buttonPrimaryFocusBackgroundColourBoldBlue: "#ffffff";
+export declare const buttonPrimaryFocusBackgroundColourBoldGreen: "#ffffff";
+export declare const buttonPrimaryFocusBackgroundColourBoldRed: "#ffffff";
+export declare const buttonPrimaryFocusBackgroundColourBoldYellow: "#1d1d1b";
+export declare const buttonPrimaryFocusColourNeutralBlue: "#ffffff";
+export declare const buttonPrimaryFocusColourNeutralGreen: "#ffffff";
+export declare const buttonPrimaryFocusColourNeutralRed: "#ffffff";
+export declare const buttonPrimaryFocusColourNeutralYellow: "#1d1d1b";
+export declare const buttonPrimaryFocusColourNeutralInverseBlue: "#ffffff";
+export declare const buttonPrimaryFocusColourNeutralInverseGreen: "#ffffff";
+export declare const buttonPrimaryFocusColourNeutralInverseRed: "#ffffff";
+export declare const buttonPrimaryFocusColourNeutralInverseYellow: "#1d1d1b";
+export declare const buttonPrimaryFocusColourSubtleBlue: "#ffffff";
+export declare const buttonPrimaryFocusColourSubtleGreen: "#ffffff";
+export declare const buttonPrimaryFocusColourSubtleRed: "#ffffff";
+export declare const buttonPrimaryFocusColourSubtleYellow: "#1d1d1b";
+export declare const buttonPrimaryFocusColourBoldBlue: "#1d1d1b";
+export declare const buttonPrimaryFocusColourBoldGreen: "#1d1d1b";
+export declare const buttonPrimaryFocusColourBoldRed: "#1d1d1b";
+export declare const buttonPrimaryFocusColourBoldYellow: "#f4f4f4";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralBlue: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralGreen: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralRed: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralYellow: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralInverseBlue: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralInverseGreen: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralInverseRed: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourNeutralInverseYellow: "#d3d3d3";
+export declare const buttonPrimaryDisabledBackgroundColourSubtleBlue: "#76c8f1";
+export declare const buttonPrimaryDisabledBackgroundColourSubtleGreen: "#7fce9f";
+export declare const buttonPrimaryDisabledBackgroundColourSubtleRed: "#ff7e7e";
+export declare const buttonPrimaryDisabledBackgroundColourSubtleYellow: "#ffe969";
+export declare const buttonPrimaryDisabledBackgroundColourBoldBlue: "#1e84d2";
+export declare const buttonPrimaryDisabledBackgroundColourBoldGreen: "#1a8952";
+export declare const buttonPrimaryDisabledBackgroundColourBoldRed: "#ff3e51";
+export declare const buttonPrimaryDisabledBackgroundColourBoldYellow: "#e48616";
+export declare const buttonPrimaryDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const buttonPrimaryDisabledBorderColourSubtleBlue: "#76c8f1";
+export declare const buttonPrimaryDisabledBorderColourSubtleGreen: "#7fce9f";
+export declare const buttonPrimaryDisabledBorderColourSubtleRed: "#ff7e7e";
+export declare const buttonPrimaryDisabledBorderColourSubtleYellow: "#ffe969";
+export declare const buttonPrimaryDisabledBorderColourBoldBlue: "#1e84d2";
+export declare const buttonPrimaryDisabledBorderColourBoldGreen: "#1a8952";
+export declare const buttonPrimaryDisabledBorderColourBoldRed: "#ff3e51";
+export declare const buttonPrimaryDisabledBorderColourBoldYellow: "#e48616";
+export declare const buttonPrimaryDisabledColourNeutralBlue: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourNeutralGreen: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourNeutralRed: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourNeutralYellow: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourNeutralInverseBlue: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourNeutralInverseGreen: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourNeutralInverseRed: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourNeutralInverseYellow: "#7a7b7b";
+export declare const buttonPrimaryDisabledColourSubtleBlue: "#1e84d2";
+export declare const buttonPrimaryDisabledColourSubtleGreen: "#1a8952";
+export declare const buttonPrimaryDisabledColourSubtleRed: "#e2223e";
+export declare const buttonPrimaryDisabledColourSubtleYellow: "#ffb600";
+export declare const buttonPrimaryDisabledColourBoldBlue: "#001d6e";
+export declare const buttonPrimaryDisabledColourBoldGreen: "#014a39";
+export declare const buttonPrimaryDisabledColourBoldRed: "#940824";
+export declare const buttonPrimaryDisabledColourBoldYellow: "#c86426";
+export declare const buttonIconWidthNeutralBlue: 24;
+export declare const buttonIconWidthNeutralGreen: 24;
+export declare const buttonIconWidthNeutralRed: 24;
+export declare const buttonIconWidthNeutralYellow: 24;
+export declare const buttonIconWidthNeutralInverseBlue: 24;
+export declare const buttonIconWidthNeutralInverseGreen: 24;
+export declare const buttonIconWidthNeutralInverseRed: 24;
+export declare const buttonIconWidthNeutralInverseYellow: 24;
+export declare const buttonIconWidthSubtleBlue: 24;
+export declare const buttonIconWidthSubtleGreen: 24;
+export declare const buttonIconWidthSubtleRed: 24;
+export declare const buttonIconWidthSubtleYellow: 24;
+export declare const buttonIconWidthBoldBlue: 24;
+export declare const buttonIconWidthBoldGreen: 24;
+export declare const buttonIconWidthBoldRed: 24;
+export declare const buttonIconWidthBoldYellow: 24;
+export declare const buttonSecondaryRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const buttonSecondaryRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const buttonSecondaryRestBackgroundColourNeutralRed: "#ffffff";
+export declare const buttonSecondaryRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const buttonSecondaryRestBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const buttonSecondaryRestBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const buttonSecondaryRestBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const buttonSecondaryRestBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const buttonSecondaryRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const buttonSecondaryRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const buttonSecondaryRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const buttonSecondaryRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const buttonSecondaryRestBackgroundColourBoldBlue: "#005dba";
+export declare const buttonSecondaryRestBackgroundColourBoldGreen: "#00633d";
+export declare const buttonSecondaryRestBackgroundColourBoldRed: "#c50b30";
+export declare const buttonSecondaryRestBackgroundColourBoldYellow: "#ffb600";
+export declare const buttonSecondaryRestBorderColourNeutralBlue: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourNeutralGreen: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourNeutralRed: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourNeutralYellow: "#000000";
+export declare const buttonSecondaryRestBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourNeutralInverseYellow: "#000000";
+export declare const buttonSecondaryRestBorderColourSubtleBlue: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourSubtleGreen: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourSubtleRed: "#1d1d1b";
+export declare const buttonSecondaryRestBorderColourSubtleYellow: "#000000";
+export declare const buttonSecondaryRestBorderColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryRestBorderColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryRestBorderColourBoldRed: "#ffffff";
+export declare const buttonSecondaryRestBorderColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryRestColourNeutralBlue: "#1d1d1b";
+export declare const buttonSecondaryRestColourNeutralGreen: "#1d1d1b";
+export declare const buttonSecondaryRestColourNeutralRed: "#1d1d1b";
+export declare const buttonSecondaryRestColourNeutralYellow: "#000000";
+export declare const buttonSecondaryRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const buttonSecondaryRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const buttonSecondaryRestColourNeutralInverseRed: "#1d1d1b";
+export declare const buttonSecondaryRestColourNeutralInverseYellow: "#000000";
+export declare const buttonSecondaryRestColourSubtleBlue: "#1d1d1b";
+export declare const buttonSecondaryRestColourSubtleGreen: "#1d1d1b";
+export declare const buttonSecondaryRestColourSubtleRed: "#1d1d1b";
+export declare const buttonSecondaryRestColourSubtleYellow: "#000000";
+export declare const buttonSecondaryRestColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryRestColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryRestColourBoldRed: "#ffffff";
+export declare const buttonSecondaryRestColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryHoverBackgroundColourNeutralBlue: "#001d6e";
+export declare const buttonSecondaryHoverBackgroundColourNeutralGreen: "#01312e";
+export declare const buttonSecondaryHoverBackgroundColourNeutralRed: "#940824";
+export declare const buttonSecondaryHoverBackgroundColourNeutralYellow: "#904029";
+export declare const buttonSecondaryHoverBackgroundColourNeutralInverseBlue: "#001d6e";
+export declare const buttonSecondaryHoverBackgroundColourNeutralInverseGreen: "#01312e";
+export declare const buttonSecondaryHoverBackgroundColourNeutralInverseRed: "#940824";
+export declare const buttonSecondaryHoverBackgroundColourNeutralInverseYellow: "#904029";
+export declare const buttonSecondaryHoverBackgroundColourSubtleBlue: "#001d6e";
+export declare const buttonSecondaryHoverBackgroundColourSubtleGreen: "#01312e";
+export declare const buttonSecondaryHoverBackgroundColourSubtleRed: "#940824";
+export declare const buttonSecondaryHoverBackgroundColourSubtleYellow: "#904029";
+export declare const buttonSecondaryHoverBackgroundColourBoldBlue: "#001d6e";
+export declare const buttonSecondaryHoverBackgroundColourBoldGreen: "#01312e";
+export declare const buttonSecondaryHoverBackgroundColourBoldRed: "#940824";
+export declare const buttonSecondaryHoverBackgroundColourBoldYellow: "#ffe969";
+export declare const buttonSecondaryHoverBorderColourNeutralBlue: "#001d6e";
+export declare const buttonSecondaryHoverBorderColourNeutralGreen: "#01312e";
+export declare const buttonSecondaryHoverBorderColourNeutralRed: "#940824";
+export declare const buttonSecondaryHoverBorderColourNeutralYellow: "#904029";
+export declare const buttonSecondaryHoverBorderColourNeutralInverseBlue: "#001d6e";
+export declare const buttonSecondaryHoverBorderColourNeutralInverseGreen: "#01312e";
+export declare const buttonSecondaryHoverBorderColourNeutralInverseRed: "#940824";
+export declare const buttonSecondaryHoverBorderColourNeutralInverseYellow: "#904029";
+export declare const buttonSecondaryHoverBorderColourSubtleBlue: "#001d6e";
+export declare const buttonSecondaryHoverBorderColourSubtleGreen: "#01312e";
+export declare const buttonSecondaryHoverBorderColourSubtleRed: "#940824";
+export declare const buttonSecondaryHoverBorderColourSubtleYellow: "#904029";
+export declare const buttonSecondaryHoverBorderColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryHoverBorderColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryHoverBorderColourBoldRed: "#ffffff";
+export declare const buttonSecondaryHoverBorderColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryHoverColourNeutralBlue: "#ffffff";
+export declare const buttonSecondaryHoverColourNeutralGreen: "#ffffff";
+export declare const buttonSecondaryHoverColourNeutralRed: "#ffffff";
+export declare const buttonSecondaryHoverColourNeutralYellow: "#ffffff";
+export declare const buttonSecondaryHoverColourNeutralInverseBlue: "#ffffff";
+export declare const buttonSecondaryHoverColourNeutralInverseGreen: "#ffffff";
+export declare const buttonSecondaryHoverColourNeutralInverseRed: "#ffffff";
+export declare const buttonSecondaryHoverColourNeutralInverseYellow: "#ffffff";
+export declare const buttonSecondaryHoverColourSubtleBlue: "#ffffff";
+export declare const buttonSecondaryHoverColourSubtleGreen: "#ffffff";
+export declare const buttonSecondaryHoverColourSubtleRed: "#ffffff";
+export declare const buttonSecondaryHoverColourSubtleYellow: "#ffffff";
+export declare const buttonSecondaryHoverColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryHoverColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryHoverColourBoldRed: "#ffffff";
+export declare const buttonSecondaryHoverColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryActiveBackgroundColourNeutralBlue: "#000039";
+export declare const buttonSecondaryActiveBackgroundColourNeutralGreen: "#011b1f";
+export declare const buttonSecondaryActiveBackgroundColourNeutralRed: "#480411";
+export declare const buttonSecondaryActiveBackgroundColourNeutralYellow: "#572722";
+export declare const buttonSecondaryActiveBackgroundColourNeutralInverseBlue: "#000039";
+export declare const buttonSecondaryActiveBackgroundColourNeutralInverseGreen: "#011b1f";
+export declare const buttonSecondaryActiveBackgroundColourNeutralInverseRed: "#480411";
+export declare const buttonSecondaryActiveBackgroundColourNeutralInverseYellow: "#572722";
+export declare const buttonSecondaryActiveBackgroundColourSubtleBlue: "#000039";
+export declare const buttonSecondaryActiveBackgroundColourSubtleGreen: "#011b1f";
+export declare const buttonSecondaryActiveBackgroundColourSubtleRed: "#480411";
+export declare const buttonSecondaryActiveBackgroundColourSubtleYellow: "#572722";
+export declare const buttonSecondaryActiveBackgroundColourBoldBlue: "#000039";
+export declare const buttonSecondaryActiveBackgroundColourBoldGreen: "#011b1f";
+export declare const buttonSecondaryActiveBackgroundColourBoldRed: "#480411";
+export declare const buttonSecondaryActiveBackgroundColourBoldYellow: "#fffbdc";
+export declare const buttonSecondaryActiveBorderColourNeutralBlue: "#000039";
+export declare const buttonSecondaryActiveBorderColourNeutralGreen: "#011b1f";
+export declare const buttonSecondaryActiveBorderColourNeutralRed: "#480411";
+export declare const buttonSecondaryActiveBorderColourNeutralYellow: "#572722";
+export declare const buttonSecondaryActiveBorderColourNeutralInverseBlue: "#000039";
+export declare const buttonSecondaryActiveBorderColourNeutralInverseGreen: "#011b1f";
+export declare const buttonSecondaryActiveBorderColourNeutralInverseRed: "#480411";
+export declare const buttonSecondaryActiveBorderColourNeutralInverseYellow: "#572722";
+export declare const buttonSecondaryActiveBorderColourSubtleBlue: "#000039";
+export declare const buttonSecondaryActiveBorderColourSubtleGreen: "#011b1f";
+export declare const buttonSecondaryActiveBorderColourSubtleRed: "#480411";
+export declare const buttonSecondaryActiveBorderColourSubtleYellow: "#572722";
+export declare const buttonSecondaryActiveBorderColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryActiveBorderColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryActiveBorderColourBoldRed: "#ffffff";
+export declare const buttonSecondaryActiveBorderColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryActiveColourNeutralBlue: "#ffffff";
+export declare const buttonSecondaryActiveColourNeutralGreen: "#ffffff";
+export declare const buttonSecondaryActiveColourNeutralRed: "#ffffff";
+export declare const buttonSecondaryActiveColourNeutralYellow: "#ffffff";
+export declare const buttonSecondaryActiveColourNeutralInverseBlue: "#ffffff";
+export declare const buttonSecondaryActiveColourNeutralInverseGreen: "#ffffff";
+export declare const buttonSecondaryActiveColourNeutralInverseRed: "#ffffff";
+export declare const buttonSecondaryActiveColourNeutralInverseYellow: "#ffffff";
+export declare const buttonSecondaryActiveColourSubtleBlue: "#ffffff";
+export declare const buttonSecondaryActiveColourSubtleGreen: "#ffffff";
+export declare const buttonSecondaryActiveColourSubtleRed: "#ffffff";
+export declare const buttonSecondaryActiveColourSubtleYellow: "#ffffff";
+export declare const buttonSecondaryActiveColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryActiveColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryActiveColourBoldRed: "#ffffff";
+export declare const buttonSecondaryActiveColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const buttonSecondaryFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const buttonSecondaryFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const buttonSecondaryFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const buttonSecondaryFocusBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const buttonSecondaryFocusBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const buttonSecondaryFocusBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const buttonSecondaryFocusBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const buttonSecondaryFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const buttonSecondaryFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const buttonSecondaryFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const buttonSecondaryFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const buttonSecondaryFocusBackgroundColourBoldBlue: "#005dba";
+export declare const buttonSecondaryFocusBackgroundColourBoldGreen: "#00633d";
+export declare const buttonSecondaryFocusBackgroundColourBoldRed: "#c50b30";
+export declare const buttonSecondaryFocusBackgroundColourBoldYellow: "#ffb600";
+export declare const buttonSecondaryFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourNeutralYellow: "#000000";
+export declare const buttonSecondaryFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourNeutralInverseYellow: "#000000";
+export declare const buttonSecondaryFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const buttonSecondaryFocusBorderColourSubtleYellow: "#000000";
+export declare const buttonSecondaryFocusBorderColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryFocusBorderColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryFocusBorderColourBoldRed: "#ffffff";
+export declare const buttonSecondaryFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryFocusColourNeutralBlue: "#1d1d1b";
+export declare const buttonSecondaryFocusColourNeutralGreen: "#1d1d1b";
+export declare const buttonSecondaryFocusColourNeutralRed: "#1d1d1b";
+export declare const buttonSecondaryFocusColourNeutralYellow: "#000000";
+export declare const buttonSecondaryFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const buttonSecondaryFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const buttonSecondaryFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const buttonSecondaryFocusColourNeutralInverseYellow: "#000000";
+export declare const buttonSecondaryFocusColourSubtleBlue: "#1d1d1b";
+export declare const buttonSecondaryFocusColourSubtleGreen: "#1d1d1b";
+export declare const buttonSecondaryFocusColourSubtleRed: "#1d1d1b";
+export declare const buttonSecondaryFocusColourSubtleYellow: "#000000";
+export declare const buttonSecondaryFocusColourBoldBlue: "#ffffff";
+export declare const buttonSecondaryFocusColourBoldGreen: "#ffffff";
+export declare const buttonSecondaryFocusColourBoldRed: "#ffffff";
+export declare const buttonSecondaryFocusColourBoldYellow: "#1d1d1b";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralBlue: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralGreen: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralRed: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralYellow: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralInverseBlue: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralInverseGreen: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralInverseRed: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourNeutralInverseYellow: "#d3d3d3";
+export declare const buttonSecondaryDisabledBackgroundColourSubtleBlue: "#aee1f7";
+export declare const buttonSecondaryDisabledBackgroundColourSubtleGreen: "#caeedd";
+export declare const buttonSecondaryDisabledBackgroundColourSubtleRed: "#ffd5d2";
+export declare const buttonSecondaryDisabledBackgroundColourSubtleYellow: "#fff9c7";
+export declare const buttonSecondaryDisabledBackgroundColourBoldBlue: "#005dba";
+export declare const buttonSecondaryDisabledBackgroundColourBoldGreen: "#00633d";
+export declare const buttonSecondaryDisabledBackgroundColourBoldRed: "#c50b30";
+export declare const buttonSecondaryDisabledBackgroundColourBoldYellow: "#ffb600";
+export declare const buttonSecondaryDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const buttonSecondaryDisabledBorderColourSubtleBlue: "#76c8f1";
+export declare const buttonSecondaryDisabledBorderColourSubtleGreen: "#7fce9f";
+export declare const buttonSecondaryDisabledBorderColourSubtleRed: "#ff7e7e";
+export declare const buttonSecondaryDisabledBorderColourSubtleYellow: "#ffe969";
+export declare const buttonSecondaryDisabledBorderColourBoldBlue: "#001d6e";
+export declare const buttonSecondaryDisabledBorderColourBoldGreen: "#014a39";
+export declare const buttonSecondaryDisabledBorderColourBoldRed: "#940824";
+export declare const buttonSecondaryDisabledBorderColourBoldYellow: "#c86426";
+export declare const buttonSecondaryDisabledColourNeutralBlue: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourNeutralGreen: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourNeutralRed: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourNeutralYellow: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourNeutralInverseBlue: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourNeutralInverseGreen: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourNeutralInverseRed: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourNeutralInverseYellow: "#7a7b7b";
+export declare const buttonSecondaryDisabledColourSubtleBlue: "#1e84d2";
+export declare const buttonSecondaryDisabledColourSubtleGreen: "#1a8952";
+export declare const buttonSecondaryDisabledColourSubtleRed: "#e2223e";
+export declare const buttonSecondaryDisabledColourSubtleYellow: "#ffb600";
+export declare const buttonSecondaryDisabledColourBoldBlue: "#001d6e";
+export declare const buttonSecondaryDisabledColourBoldGreen: "#014a39";
+export declare const buttonSecondaryDisabledColourBoldRed: "#940824";
+export declare const buttonSecondaryDisabledColourBoldYellow: "#c86426";
+export declare const buttonStatusRestBackgroundColourNeutralInfo: "#005dba";
+export declare const buttonStatusRestBackgroundColourNeutralSuccess: "#00633d";
+export declare const buttonStatusRestBackgroundColourNeutralWarning: "#ffb600";
+export declare const buttonStatusRestBackgroundColourNeutralError: "#c50b30";
+export declare const buttonStatusRestBackgroundColourNeutralGeneric: "#4d4f4f";
+export declare const buttonStatusRestBackgroundColourNeutralInverseInfo: "#005dba";
+export declare const buttonStatusRestBackgroundColourNeutralInverseSuccess: "#00633d";
+export declare const buttonStatusRestBackgroundColourNeutralInverseWarning: "#ffb600";
+export declare const buttonStatusRestBackgroundColourNeutralInverseError: "#c50b30";
+export declare const buttonStatusRestBackgroundColourNeutralInverseGeneric: "#4d4f4f";
+export declare const buttonStatusRestBackgroundColourSubtleInfo: "#005dba";
+export declare const buttonStatusRestBackgroundColourSubtleSuccess: "#00633d";
+export declare const buttonStatusRestBackgroundColourSubtleWarning: "#ffb600";
+export declare const buttonStatusRestBackgroundColourSubtleError: "#c50b30";
+export declare const buttonStatusRestBackgroundColourSubtleGeneric: "#4d4f4f";
+export declare const buttonStatusRestBackgroundColourBoldInfo: "#005dba";
+export declare const buttonStatusRestBackgroundColourBoldSuccess: "#00633d";
+export declare const buttonStatusRestBackgroundColourBoldWarning: "#ffb600";
+export declare const buttonStatusRestBackgroundColourBoldError: "#c50b30";
+export declare const buttonStatusRestBackgroundColourBoldGeneric: "#4d4f4f";
+export declare const buttonStatusRestBorderColourNeutralInfo: "#005dba";
+export declare const buttonStatusRestBorderColourNeutralSuccess: "#00633d";
+export declare const buttonStatusRestBorderColourNeutralWarning: "#ffb600";
+export declare const buttonStatusRestBorderColourNeutralError: "#c50b30";
+export declare const buttonStatusRestBorderColourNeutralGeneric: "#4d4f4f";
+export declare const buttonStatusRestBorderColourNeutralInverseInfo: "#005dba";
+export declare const buttonStatusRestBorderColourNeutralInverseSuccess: "#00633d";
+export declare const buttonStatusRestBorderColourNeutralInverseWarning: "#ffb600";
+export declare const buttonStatusRestBorderColourNeutralInverseError: "#c50b30";
+export declare const buttonStatusRestBorderColourNeutralInverseGeneric: "#4d4f4f";
+export declare const buttonStatusRestBorderColourSubtleInfo: "#005dba";
+export declare const buttonStatusRestBorderColourSubtleSuccess: "#00633d";
+export declare const buttonStatusRestBorderColourSubtleWarning: "#ffb600";
+export declare const buttonStatusRestBorderColourSubtleError: "#c50b30";
+export declare const buttonStatusRestBorderColourSubtleGeneric: "#4d4f4f";
+export declare const buttonStatusRestBorderColourBoldInfo: "#005dba";
+export declare const buttonStatusRestBorderColourBoldSuccess: "#00633d";
+export declare const buttonStatusRestBorderColourBoldWarning: "#ffb600";
+export declare const buttonStatusRestBorderColourBoldError: "#c50b30";
+export declare const buttonStatusRestBorderColourBoldGeneric: "#4d4f4f";
+export declare const buttonStatusRestColourNeutralInfo: "#ffffff";
+export declare const buttonStatusRestColourNeutralSuccess: "#ffffff";
+export declare const buttonStatusRestColourNeutralWarning: "#1d1d1b";
+export declare const buttonStatusRestColourNeutralError: "#ffffff";
+export declare const buttonStatusRestColourNeutralGeneric: "#ffffff";
+export declare const buttonStatusRestColourNeutralInverseInfo: "#ffffff";
+export declare const buttonStatusRestColourNeutralInverseSuccess: "#ffffff";
+export declare const buttonStatusRestColourNeutralInverseWarning: "#1d1d1b";
+export declare const buttonStatusRestColourNeutralInverseError: "#ffffff";
+export declare const buttonStatusRestColourNeutralInverseGeneric: "#ffffff";
+export declare const buttonStatusRestColourSubtleInfo: "#ffffff";
+export declare const buttonStatusRestColourSubtleSuccess: "#ffffff";
+export declare const buttonStatusRestColourSubtleWarning: "#1d1d1b";
+export declare const buttonStatusRestColourSubtleError: "#ffffff";
+export declare const buttonStatusRestColourSubtleGeneric: "#ffffff";
+export declare const buttonStatusRestColourBoldInfo: "#ffffff";
+export declare const buttonStatusRestColourBoldSuccess: "#ffffff";
+export declare const buttonStatusRestColourBoldWarning: "#1d1d1b";
+export declare const buttonStatusRestColourBoldError: "#ffffff";
+export declare const buttonStatusRestColourBoldGeneric: "#ffffff";
+export declare const buttonStatusHoverBackgroundColourNeutralInfo: "#001d6e";
+export declare const buttonStatusHoverBackgroundColourNeutralSuccess: "#01312e";
+export declare const buttonStatusHoverBackgroundColourNeutralWarning: "#904029";
+export declare const buttonStatusHoverBackgroundColourNeutralError: "#940824";
+export declare const buttonStatusHoverBackgroundColourNeutralGeneric: "#343634";
+export declare const buttonStatusHoverBackgroundColourNeutralInverseInfo: "#001d6e";
+export declare const buttonStatusHoverBackgroundColourNeutralInverseSuccess: "#01312e";
+export declare const buttonStatusHoverBackgroundColourNeutralInverseWarning: "#904029";
+export declare const buttonStatusHoverBackgroundColourNeutralInverseError: "#940824";
+export declare const buttonStatusHoverBackgroundColourNeutralInverseGeneric: "#343634";
+export declare const buttonStatusHoverBackgroundColourSubtleInfo: "#001d6e";
+export declare const buttonStatusHoverBackgroundColourSubtleSuccess: "#01312e";
+export declare const buttonStatusHoverBackgroundColourSubtleWarning: "#904029";
+export declare const buttonStatusHoverBackgroundColourSubtleError: "#940824";
+export declare const buttonStatusHoverBackgroundColourSubtleGeneric: "#343634";
+export declare const buttonStatusHoverBackgroundColourBoldInfo: "#001d6e";
+export declare const buttonStatusHoverBackgroundColourBoldSuccess: "#01312e";
+export declare const buttonStatusHoverBackgroundColourBoldWarning: "#904029";
+export declare const buttonStatusHoverBackgroundColourBoldError: "#940824";
+export declare const buttonStatusHoverBackgroundColourBoldGeneric: "#343634";
+export declare const buttonStatusHoverBorderColourNeutralInfo: "#001d6e";
+export declare const buttonStatusHoverBorderColourNeutralSuccess: "#01312e";
+export declare const buttonStatusHoverBorderColourNeutralWarning: "#904029";
+export declare const buttonStatusHoverBorderColourNeutralError: "#940824";
+export declare const buttonStatusHoverBorderColourNeutralGeneric: "#343634";
+export declare const buttonStatusHoverBorderColourNeutralInverseInfo: "#001d6e";
+export declare const buttonStatusHoverBorderColourNeutralInverseSuccess: "#01312e";
+export declare const buttonStatusHoverBorderColourNeutralInverseWarning: "#904029";
+export declare const buttonStatusHoverBorderColourNeutralInverseError: "#940824";
+export declare const buttonStatusHoverBorderColourNeutralInverseGeneric: "#343634";
+export declare const buttonStatusHoverBorderColourSubtleInfo: "#001d6e";
+export declare const buttonStatusHoverBorderColourSubtleSuccess: "#01312e";
+export declare const buttonStatusHoverBorderColourSubtleWarning: "#904029";
+export declare const buttonStatusHoverBorderColourSubtleError: "#940824";
+export declare const buttonStatusHoverBorderColourSubtleGeneric: "#343634";
+export declare const buttonStatusHoverBorderColourBoldInfo: "#001d6e";
+export declare const buttonStatusHoverBorderColourBoldSuccess: "#01312e";
+export declare const buttonStatusHoverBorderColourBoldWarning: "#904029";
+export declare const buttonStatusHoverBorderColourBoldError: "#940824";
+export declare const buttonStatusHoverBorderColourBoldGeneric: "#343634";
+export declare const buttonStatusHoverColourNeutralInfo: "#ffffff";
+export declare const buttonStatusHoverColourNeutralSuccess: "#ffffff";
+export declare const buttonStatusHoverColourNeutralWarning: "#ffffff";
+export declare const buttonStatusHoverColourNeutralError: "#ffffff";
+export declare const buttonStatusHoverColourNeutralGeneric: "#ffffff";
+export declare const buttonStatusHoverColourNeutralInverseInfo: "#ffffff";
+export declare const buttonStatusHoverColourNeutralInverseSuccess: "#ffffff";
+export declare const buttonStatusHoverColourNeutralInverseWarning: "#ffffff";
+export declare const buttonStatusHoverColourNeutralInverseError: "#ffffff";
+export declare const buttonStatusHoverColourNeutralInverseGeneric: "#ffffff";
+export declare const buttonStatusHoverColourSubtleInfo: "#ffffff";
+export declare const buttonStatusHoverColourSubtleSuccess: "#ffffff";
+export declare const buttonStatusHoverColourSubtleWarning: "#ffffff";
+export declare const buttonStatusHoverColourSubtleError: "#ffffff";
+export declare const buttonStatusHoverColourSubtleGeneric: "#ffffff";
+export declare const buttonStatusHoverColourBoldInfo: "#ffffff";
+export declare const buttonStatusHoverColourBoldSuccess: "#ffffff";
+export declare const buttonStatusHoverColourBoldWarning: "#ffffff";
+export declare const buttonStatusHoverColourBoldError: "#ffffff";
+export declare const buttonStatusHoverColourBoldGeneric: "#ffffff";
+export declare const buttonStatusActiveBackgroundColourNeutralInfo: "#000a52";
+export declare const buttonStatusActiveBackgroundColourNeutralSuccess: "#012425";
+export declare const buttonStatusActiveBackgroundColourNeutralWarning: "#572722";
+export declare const buttonStatusActiveBackgroundColourNeutralError: "#6e061b";
+export declare const buttonStatusActiveBackgroundColourNeutralGeneric: "#1d1d1b";
+export declare const buttonStatusActiveBackgroundColourNeutralInverseInfo: "#000a52";
+export declare const buttonStatusActiveBackgroundColourNeutralInverseSuccess: "#012425";
+export declare const buttonStatusActiveBackgroundColourNeutralInverseWarning: "#572722";
+export declare const buttonStatusActiveBackgroundColourNeutralInverseError: "#6e061b";
+export declare const buttonStatusActiveBackgroundColourNeutralInverseGeneric: "#1d1d1b";
+export declare const buttonStatusActiveBackgroundColourSubtleInfo: "#000a52";
+export declare const buttonStatusActiveBackgroundColourSubtleSuccess: "#012425";
+export declare const buttonStatusActiveBackgroundColourSubtleWarning: "#572722";
+export declare const buttonStatusActiveBackgroundColourSubtleError: "#6e061b";
+export declare const buttonStatusActiveBackgroundColourSubtleGeneric: "#1d1d1b";
+export declare const buttonStatusActiveBackgroundColourBoldInfo: "#000a52";
+export declare const buttonStatusActiveBackgroundColourBoldSuccess: "#012425";
+export declare const buttonStatusActiveBackgroundColourBoldWarning: "#572722";
+export declare const buttonStatusActiveBackgroundColourBoldError: "#6e061b";
+export declare const buttonStatusActiveBackgroundColourBoldGeneric: "#1d1d1b";
+export declare const buttonStatusActiveBorderColourNeutralInfo: "#000a52";
+export declare const buttonStatusActiveBorderColourNeutralSuccess: "#012425";
+export declare const buttonStatusActiveBorderColourNeutralWarning: "#572722";
+export declare const buttonStatusActiveBorderColourNeutralError: "#6e061b";
+export declare const buttonStatusActiveBorderColourNeutralGeneric: "#1d1d1b";
+export declare const buttonStatusActiveBorderColourNeutralInverseInfo: "#000a52";
+export declare const buttonStatusActiveBorderColourNeutralInverseSuccess: "#012425";
+export declare const buttonStatusActiveBorderColourNeutralInverseWarning: "#572722";
+export declare const buttonStatusActiveBorderColourNeutralInverseError: "#6e061b";
+export declare const buttonStatusActiveBorderColourNeutralInverseGeneric: "#1d1d1b";
+export declare const buttonStatusActiveBorderColourSubtleInfo: "#000a52";
+export declare const buttonStatusActiveBorderColourSubtleSuccess: "#012425";
+export declare const buttonStatusActiveBorderColourSubtleWarning: "#572722";
+export declare const buttonStatusActiveBorderColourSubtleError: "#6e061b";
+export declare const buttonStatusActiveBorderColourSubtleGeneric: "#1d1d1b";
+export declare const buttonStatusActiveBorderColourBoldInfo: "#000a52";
+export declare const buttonStatusActiveBorderColourBoldSuccess: "#012425";
+export declare const buttonStatusActiveBorderColourBoldWarning: "#572722";
+export declare const buttonStatusActiveBorderColourBoldError: "#6e061b";
+export declare const buttonStatusActiveBorderColourBoldGeneric: "#1d1d1b";
+export declare const buttonStatusActiveColourNeutralInfo: "#ffffff";
+export declare const buttonStatusActiveColourNeutralSuccess: "#ffffff";
+export declare const buttonStatusActiveColourNeutralWarning: "#ffffff";
+export declare const buttonStatusActiveColourNeutralError: "#ffffff";
+export declare const buttonStatusActiveColourNeutralGeneric: "#ffffff";
+export declare const buttonStatusActiveColourNeutralInverseInfo: "#ffffff";
+export declare const buttonStatusActiveColourNeutralInverseSuccess: "#ffffff";
+export declare const buttonStatusActiveColourNeutralInverseWarning: "#ffffff";
+export declare const buttonStatusActiveColourNeutralInverseError: "#ffffff";
+export declare const buttonStatusActiveColourNeutralInverseGeneric: "#ffffff";
+export declare const buttonStatusActiveColourSubtleInfo: "#ffffff";
+export declare const buttonStatusActiveColourSubtleSuccess: "#ffffff";
+export declare const buttonStatusActiveColourSubtleWarning: "#ffffff";
+export declare const buttonStatusActiveColourSubtleError: "#ffffff";
+export declare const buttonStatusActiveColourSubtleGeneric: "#ffffff";
+export declare const buttonStatusActiveColourBoldInfo: "#ffffff";
+export declare const buttonStatusActiveColourBoldSuccess: "#ffffff";
+export declare const buttonStatusActiveColourBoldWarning: "#ffffff";
+export declare const buttonStatusActiveColourBoldError: "#ffffff";
+export declare const buttonStatusActiveColourBoldGeneric: "#ffffff";
+export declare const buttonStatusFocusBackgroundColourNeutralInfo: "#005dba";
+export declare const buttonStatusFocusBackgroundColourNeutralSuccess: "#00633d";
+export declare const buttonStatusFocusBackgroundColourNeutralWarning: "#ffb600";
+export declare const buttonStatusFocusBackgroundColourNeutralError: "#c50b30";
+export declare const buttonStatusFocusBackgroundColourNeutralGeneric: "#4d4f4f";
+export declare const buttonStatusFocusBackgroundColourNeutralInverseInfo: "#005dba";
+export declare const buttonStatusFocusBackgroundColourNeutralInverseSuccess: "#00633d";
+export declare const buttonStatusFocusBackgroundColourNeutralInverseWarning: "#ffb600";
+export declare const buttonStatusFocusBackgroundColourNeutralInverseError: "#c50b30";
+export declare const buttonStatusFocusBackgroundColourNeutralInverseGeneric: "#4d4f4f";
+export declare const buttonStatusFocusBackgroundColourSubtleInfo: "#005dba";
+export declare const buttonStatusFocusBackgroundColourSubtleSuccess: "#00633d";
+export declare const buttonStatusFocusBackgroundColourSubtleWarning: "#ffb600";
+export declare const buttonStatusFocusBackgroundColourSubtleError: "#c50b30";
+export declare const buttonStatusFocusBackgroundColourSubtleGeneric: "#4d4f4f";
+export declare const buttonStatusFocusBackgroundColourBoldInfo: "#005dba";
+export declare const buttonStatusFocusBackgroundColourBoldSuccess: "#00633d";
+export declare const buttonStatusFocusBackgroundColourBoldWarning: "#ffb600";
+export declare const buttonStatusFocusBackgroundColourBoldError: "#c50b30";
+export declare const buttonStatusFocusBackgroundColourBoldGeneric: "#4d4f4f";
+export declare const buttonStatusFocusColourNeutralInfo: "#ffffff";
+export declare const buttonStatusFocusColourNeutralSuccess: "#ffffff";
+export declare const buttonStatusFocusColourNeutralWarning: "#1d1d1b";
+export declare const buttonStatusFocusColourNeutralError: "#ffffff";
+export declare const buttonStatusFocusColourNeutralGeneric: "#ffffff";
+export declare const buttonStatusFocusColourNeutralInverseInfo: "#ffffff";
+export declare const buttonStatusFocusColourNeutralInverseSuccess: "#ffffff";
+export declare const buttonStatusFocusColourNeutralInverseWarning: "#1d1d1b";
+export declare const buttonStatusFocusColourNeutralInverseError: "#ffffff";
+export declare const buttonStatusFocusColourNeutralInverseGeneric: "#ffffff";
+export declare const buttonStatusFocusColourSubtleInfo: "#ffffff";
+export declare const buttonStatusFocusColourSubtleSuccess: "#ffffff";
+export declare const buttonStatusFocusColourSubtleWarning: "#1d1d1b";
+export declare const buttonStatusFocusColourSubtleError: "#ffffff";
+export declare const buttonStatusFocusColourSubtleGeneric: "#ffffff";
+export declare const buttonStatusFocusColourBoldInfo: "#ffffff";
+export declare const buttonStatusFocusColourBoldSuccess: "#ffffff";
+export declare const buttonStatusFocusColourBoldWarning: "#1d1d1b";
+export declare const buttonStatusFocusColourBoldError: "#ffffff";
+export declare const buttonStatusFocusColourBoldGeneric: "#ffffff";
+export declare const buttonStatusDisabledBackgroundColourNeutralInfo: "#76c8f1";
+export declare const buttonStatusDisabledBackgroundColourNeutralSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBackgroundColourNeutralWarning: "#ffe969";
+export declare const buttonStatusDisabledBackgroundColourNeutralError: "#ff7e7e";
+export declare const buttonStatusDisabledBackgroundColourNeutralGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledBackgroundColourNeutralInverseInfo: "#76c8f1";
+export declare const buttonStatusDisabledBackgroundColourNeutralInverseSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBackgroundColourNeutralInverseWarning: "#ffe969";
+export declare const buttonStatusDisabledBackgroundColourNeutralInverseError: "#ff7e7e";
+export declare const buttonStatusDisabledBackgroundColourNeutralInverseGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledBackgroundColourSubtleInfo: "#76c8f1";
+export declare const buttonStatusDisabledBackgroundColourSubtleSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBackgroundColourSubtleWarning: "#ffe969";
+export declare const buttonStatusDisabledBackgroundColourSubtleError: "#ff7e7e";
+export declare const buttonStatusDisabledBackgroundColourSubtleGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledBackgroundColourBoldInfo: "#76c8f1";
+export declare const buttonStatusDisabledBackgroundColourBoldSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBackgroundColourBoldWarning: "#ffe969";
+export declare const buttonStatusDisabledBackgroundColourBoldError: "#ff7e7e";
+export declare const buttonStatusDisabledBackgroundColourBoldGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledBorderColourNeutralInfo: "#76c8f1";
+export declare const buttonStatusDisabledBorderColourNeutralSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBorderColourNeutralWarning: "#ffe969";
+export declare const buttonStatusDisabledBorderColourNeutralError: "#ff7e7e";
+export declare const buttonStatusDisabledBorderColourNeutralGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledBorderColourNeutralInverseInfo: "#76c8f1";
+export declare const buttonStatusDisabledBorderColourNeutralInverseSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBorderColourNeutralInverseWarning: "#ffe969";
+export declare const buttonStatusDisabledBorderColourNeutralInverseError: "#ff7e7e";
+export declare const buttonStatusDisabledBorderColourNeutralInverseGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledBorderColourSubtleInfo: "#76c8f1";
+export declare const buttonStatusDisabledBorderColourSubtleSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBorderColourSubtleWarning: "#ffe969";
+export declare const buttonStatusDisabledBorderColourSubtleError: "#ff7e7e";
+export declare const buttonStatusDisabledBorderColourSubtleGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledBorderColourBoldInfo: "#76c8f1";
+export declare const buttonStatusDisabledBorderColourBoldSuccess: "#7fce9f";
+export declare const buttonStatusDisabledBorderColourBoldWarning: "#ffe969";
+export declare const buttonStatusDisabledBorderColourBoldError: "#ff7e7e";
+export declare const buttonStatusDisabledBorderColourBoldGeneric: "#bcbdbd";
+export declare const buttonStatusDisabledColourNeutralInfo: "#1e84d2";
+export declare const buttonStatusDisabledColourNeutralSuccess: "#1a8952";
+export declare const buttonStatusDisabledColourNeutralWarning: "#ffb600";
+export declare const buttonStatusDisabledColourNeutralError: "#e2223e";
+export declare const buttonStatusDisabledColourNeutralGeneric: "#858686";
+export declare const buttonStatusDisabledColourNeutralInverseInfo: "#1e84d2";
+export declare const buttonStatusDisabledColourNeutralInverseSuccess: "#1a8952";
+export declare const buttonStatusDisabledColourNeutralInverseWarning: "#ffb600";
+export declare const buttonStatusDisabledColourNeutralInverseError: "#e2223e";
+export declare const buttonStatusDisabledColourNeutralInverseGeneric: "#858686";
+export declare const buttonStatusDisabledColourSubtleInfo: "#1e84d2";
+export declare const buttonStatusDisabledColourSubtleSuccess: "#1a8952";
+export declare const buttonStatusDisabledColourSubtleWarning: "#ffb600";
+export declare const buttonStatusDisabledColourSubtleError: "#e2223e";
+export declare const buttonStatusDisabledColourSubtleGeneric: "#858686";
+export declare const buttonStatusDisabledColourBoldInfo: "#1e84d2";
+export declare const buttonStatusDisabledColourBoldSuccess: "#1a8952";
+export declare const buttonStatusDisabledColourBoldWarning: "#ffb600";
+export declare const buttonStatusDisabledColourBoldError: "#e2223e";
+export declare const buttonStatusDisabledColourBoldGeneric: "#858686";
+export declare const buttonGroupGapNeutralBlue: 16;
+export declare const buttonGroupGapNeutralGreen: 16;
+export declare const buttonGroupGapNeutralRed: 16;
+export declare const buttonGroupGapNeutralYellow: 16;
+export declare const buttonGroupGapNeutralInverseBlue: 16;
+export declare const buttonGroupGapNeutralInverseGreen: 16;
+export declare const buttonGroupGapNeutralInverseRed: 16;
+export declare const buttonGroupGapNeutralInverseYellow: 16;
+export declare const buttonGroupGapSubtleBlue: 16;
+export declare const buttonGroupGapSubtleGreen: 16;
+export declare const buttonGroupGapSubtleRed: 16;
+export declare const buttonGroupGapSubtleYellow: 16;
+export declare const buttonGroupGapBoldBlue: 16;
+export declare const buttonGroupGapBoldGreen: 16;
+export declare const buttonGroupGapBoldRed: 16;
+export declare const buttonGroupGapBoldYellow: 16;
+export declare const paginationColourNeutralBlue: "#1d1d1b";
+export declare const paginationColourNeutralGreen: "#1d1d1b";
+export declare const paginationColourNeutralRed: "#1d1d1b";
+export declare const paginationColourNeutralYellow: "#1d1d1b";
+export declare const paginationColourNeutralInverseBlue: "#1d1d1b";
+export declare const paginationColourNeutralInverseGreen: "#1d1d1b";
+export declare const paginationColourNeutralInverseRed: "#1d1d1b";
+export declare const paginationColourNeutralInverseYellow: "#1d1d1b";
+export declare const paginationColourSubtleBlue: "#1d1d1b";
+export declare const paginationColourSubtleGreen: "#1d1d1b";
+export declare const paginationColourSubtleRed: "#1d1d1b";
+export declare const paginationColourSubtleYellow: "#1d1d1b";
+export declare const paginationColourBoldBlue: "#ffffff";
+export declare const paginationColourBoldGreen: "#ffffff";
+export declare const paginationColourBoldRed: "#ffffff";
+export declare const paginationColourBoldYellow: "#1d1d1b";
+export declare const paginationInsideGapNeutralBlue: 8;
+export declare const paginationInsideGapNeutralGreen: 8;
+export declare const paginationInsideGapNeutralRed: 8;
+export declare const paginationInsideGapNeutralYellow: 8;
+export declare const paginationInsideGapNeutralInverseBlue: 8;
+export declare const paginationInsideGapNeutralInverseGreen: 8;
+export declare const paginationInsideGapNeutralInverseRed: 8;
+export declare const paginationInsideGapNeutralInverseYellow: 8;
+export declare const paginationInsideGapSubtleBlue: 8;
+export declare const paginationInsideGapSubtleGreen: 8;
+export declare const paginationInsideGapSubtleRed: 8;
+export declare const paginationInsideGapSubtleYellow: 8;
+export declare const paginationInsideGapBoldBlue: 8;
+export declare const paginationInsideGapBoldGreen: 8;
+export declare const paginationInsideGapBoldRed: 8;
+export declare const paginationInsideGapBoldYellow: 8;
+export declare const paginationVerticalGapNeutralBlue: 16;
+export declare const paginationVerticalGapNeutralGreen: 16;
+export declare const paginationVerticalGapNeutralRed: 16;
+export declare const paginationVerticalGapNeutralYellow: 16;
+export declare const paginationVerticalGapNeutralInverseBlue: 16;
+export declare const paginationVerticalGapNeutralInverseGreen: 16;
+export declare const paginationVerticalGapNeutralInverseRed: 16;
+export declare const paginationVerticalGapNeutralInverseYellow: 16;
+export declare const paginationVerticalGapSubtleBlue: 16;
+export declare const paginationVerticalGapSubtleGreen: 16;
+export declare const paginationVerticalGapSubtleRed: 16;
+export declare const paginationVerticalGapSubtleYellow: 16;
+export declare const paginationVerticalGapBoldBlue: 16;
+export declare const paginationVerticalGapBoldGreen: 16;
+export declare const paginationVerticalGapBoldRed: 16;
+export declare const paginationVerticalGapBoldYellow: 16;
+export declare const paginationHorizontalGapNeutralBlue: 28;
+export declare const paginationHorizontalGapNeutralGreen: 28;
+export declare const paginationHorizontalGapNeutralRed: 28;
+export declare const paginationHorizontalGapNeutralYellow: 28;
+export declare const paginationHorizontalGapNeutralInverseBlue: 28;
+export declare const paginationHorizontalGapNeutralInverseGreen: 28;
+export declare const paginationHorizontalGapNeutralInverseRed: 28;
+export declare const paginationHorizontalGapNeutralInverseYellow: 28;
+export declare const paginationHorizontalGapSubtleBlue: 28;
+export declare const paginationHorizontalGapSubtleGreen: 28;
+export declare const paginationHorizontalGapSubtleRed: 28;
+export declare const paginationHorizontalGapSubtleYellow: 28;
+export declare const paginationHorizontalGapBoldBlue: 28;
+export declare const paginationHorizontalGapBoldGreen: 28;
+export declare const paginationHorizontalGapBoldRed: 28;
+export declare const paginationHorizontalGapBoldYellow: 28;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralBlue: 2;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralGreen: 2;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralRed: 2;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralYellow: 2;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralInverseBlue: 2;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralInverseGreen: 2;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralInverseRed: 2;
+export declare const paginationPageCommonHoverIndicatorWidthNeutralInverseYellow: 2;
+export declare const paginationPageCommonHoverIndicatorWidthSubtleBlue: 2;
+export declare const paginationPageCommonHoverIndicatorWidthSubtleGreen: 2;
+export declare const paginationPageCommonHoverIndicatorWidthSubtleRed: 2;
+export declare const paginationPageCommonHoverIndicatorWidthSubtleYellow: 2;
+export declare const paginationPageCommonHoverIndicatorWidthBoldBlue: 2;
+export declare const paginationPageCommonHoverIndicatorWidthBoldGreen: 2;
+export declare const paginationPageCommonHoverIndicatorWidthBoldRed: 2;
+export declare const paginationPageCommonHoverIndicatorWidthBoldYellow: 2;
+export declare const paginationPageRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const paginationPageRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const paginationPageRestBackgroundColourNeutralRed: "#ffffff";
+export declare const paginationPageRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const paginationPageRestBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const paginationPageRestBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const paginationPageRestBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const paginationPageRestBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const paginationPageRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const paginationPageRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const paginationPageRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const paginationPageRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const paginationPageRestBackgroundColourBoldBlue: "#005dba";
+export declare const paginationPageRestBackgroundColourBoldGreen: "#00633d";
+export declare const paginationPageRestBackgroundColourBoldRed: "#c50b30";
+export declare const paginationPageRestBackgroundColourBoldYellow: "#ffb600";
+export declare const paginationPageRestColourNeutralBlue: "#1d1d1b";
+export declare const paginationPageRestColourNeutralGreen: "#1d1d1b";
+export declare const paginationPageRestColourNeutralRed: "#1d1d1b";
+export declare const paginationPageRestColourNeutralYellow: "#000000";
+export declare const paginationPageRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const paginationPageRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const paginationPageRestColourNeutralInverseRed: "#1d1d1b";
+export declare const paginationPageRestColourNeutralInverseYellow: "#000000";
+export declare const paginationPageRestColourSubtleBlue: "#1d1d1b";
+export declare const paginationPageRestColourSubtleGreen: "#1d1d1b";
+export declare const paginationPageRestColourSubtleRed: "#1d1d1b";
+export declare const paginationPageRestColourSubtleYellow: "#000000";
+export declare const paginationPageRestColourBoldBlue: "#ffffff";
+export declare const paginationPageRestColourBoldGreen: "#ffffff";
+export declare const paginationPageRestColourBoldRed: "#ffffff";
+export declare const paginationPageRestColourBoldYellow: "#1d1d1b";
+export declare const paginationPageRestHoverIndicatorColourNeutralBlue: "#ffffff";
+export declare const paginationPageRestHoverIndicatorColourNeutralGreen: "#ffffff";
+export declare const paginationPageRestHoverIndicatorColourNeutralRed: "#ffffff";
+export declare const paginationPageRestHoverIndicatorColourNeutralYellow: "#ffffff";
+export declare const paginationPageRestHoverIndicatorColourNeutralInverseBlue: "#f4f4f4";
+export declare const paginationPageRestHoverIndicatorColourNeutralInverseGreen: "#f4f4f4";
+export declare const paginationPageRestHoverIndicatorColourNeutralInverseRed: "#f4f4f4";
+export declare const paginationPageRestHoverIndicatorColourNeutralInverseYellow: "#f4f4f4";
+export declare const paginationPageRestHoverIndicatorColourSubtleBlue: "#aee1f7";
+export declare const paginationPageRestHoverIndicatorColourSubtleGreen: "#caeedd";
+export declare const paginationPageRestHoverIndicatorColourSubtleRed: "#ffd5d2";
+export declare const paginationPageRestHoverIndicatorColourSubtleYellow: "#fff9c7";
+export declare const paginationPageRestHoverIndicatorColourBoldBlue: "#005dba";
+export declare const paginationPageRestHoverIndicatorColourBoldGreen: "#00633d";
+export declare const paginationPageRestHoverIndicatorColourBoldRed: "#c50b30";
+export declare const paginationPageRestHoverIndicatorColourBoldYellow: "#ffb600";
+export declare const paginationPageHoverBackgroundColourNeutralBlue: "#aee1f7";
+export declare const paginationPageHoverBackgroundColourNeutralGreen: "#caeedd";
+export declare const paginationPageHoverBackgroundColourNeutralRed: "#ffd5d2";
+export declare const paginationPageHoverBackgroundColourNeutralYellow: "#fff9c7";
+export declare const paginationPageHoverBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const paginationPageHoverBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const paginationPageHoverBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const paginationPageHoverBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const paginationPageHoverBackgroundColourSubtleBlue: "#42aeea";
+export declare const paginationPageHoverBackgroundColourSubtleGreen: "#43af6e";
+export declare const paginationPageHoverBackgroundColourSubtleRed: "#ff3e51";
+export declare const paginationPageHoverBackgroundColourSubtleYellow: "#ffe969";
+export declare const paginationPageHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const paginationPageHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const paginationPageHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const paginationPageHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const paginationPageHoverHoverIndicatorColourNeutralBlue: "#001d6e";
+export declare const paginationPageHoverHoverIndicatorColourNeutralGreen: "#01312e";
+export declare const paginationPageHoverHoverIndicatorColourNeutralRed: "#480411";
+export declare const paginationPageHoverHoverIndicatorColourNeutralYellow: "#572722";
+export declare const paginationPageHoverHoverIndicatorColourNeutralInverseBlue: "#001d6e";
+export declare const paginationPageHoverHoverIndicatorColourNeutralInverseGreen: "#01312e";
+export declare const paginationPageHoverHoverIndicatorColourNeutralInverseRed: "#480411";
+export declare const paginationPageHoverHoverIndicatorColourNeutralInverseYellow: "#572722";
+export declare const paginationPageHoverHoverIndicatorColourSubtleBlue: "#001d6e";
+export declare const paginationPageHoverHoverIndicatorColourSubtleGreen: "#01312e";
+export declare const paginationPageHoverHoverIndicatorColourSubtleRed: "#480411";
+export declare const paginationPageHoverHoverIndicatorColourSubtleYellow: "#572722";
+export declare const paginationPageHoverHoverIndicatorColourBoldBlue: "#001d6e";
+export declare const paginationPageHoverHoverIndicatorColourBoldGreen: "#01312e";
+export declare const paginationPageHoverHoverIndicatorColourBoldRed: "#480411";
+export declare const paginationPageHoverHoverIndicatorColourBoldYellow: "#572722";
+export declare const paginationPageHoverColourNeutralBlue: "#1d1d1b";
+export declare const paginationPageHoverColourNeutralGreen: "#1d1d1b";
+export declare const paginationPageHoverColourNeutralRed: "#1d1d1b";
+export declare const paginationPageHoverColourNeutralYellow: "#000000";
+export declare const paginationPageHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const paginationPageHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const paginationPageHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const paginationPageHoverColourNeutralInverseYellow: "#000000";
+export declare const paginationPageHoverColourSubtleBlue: "#1d1d1b";
+export declare const paginationPageHoverColourSubtleGreen: "#1d1d1b";
+export declare const paginationPageHoverColourSubtleRed: "#1d1d1b";
+export declare const paginationPageHoverColourSubtleYellow: "#000000";
+export declare const paginationPageHoverColourBoldBlue: "#ffffff";
+export declare const paginationPageHoverColourBoldGreen: "#ffffff";
+export declare const paginationPageHoverColourBoldRed: "#ffffff";
+export declare const paginationPageHoverColourBoldYellow: "#1d1d1b";
+export declare const paginationPageActiveBackgroundColourNeutralBlue: "#005dba";
+export declare const paginationPageActiveBackgroundColourNeutralGreen: "#00633d";
+export declare const paginationPageActiveBackgroundColourNeutralRed: "#c50b30";
+export declare const paginationPageActiveBackgroundColourNeutralYellow: "#ffb600";
+export declare const paginationPageActiveBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const paginationPageActiveBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const paginationPageActiveBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const paginationPageActiveBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const paginationPageActiveBackgroundColourSubtleBlue: "#005dba";
+export declare const paginationPageActiveBackgroundColourSubtleGreen: "#00633d";
+export declare const paginationPageActiveBackgroundColourSubtleRed: "#c50b30";
+export declare const paginationPageActiveBackgroundColourSubtleYellow: "#ffb600";
+export declare const paginationPageActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const paginationPageActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const paginationPageActiveBackgroundColourBoldRed: "#ffffff";
+export declare const paginationPageActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const paginationPageActiveColourNeutralBlue: "#ffffff";
+export declare const paginationPageActiveColourNeutralGreen: "#ffffff";
+export declare const paginationPageActiveColourNeutralRed: "#ffffff";
+export declare const paginationPageActiveColourNeutralYellow: "#1d1d1b";
+export declare const paginationPageActiveColourNeutralInverseBlue: "#ffffff";
+export declare const paginationPageActiveColourNeutralInverseGreen: "#ffffff";
+export declare const paginationPageActiveColourNeutralInverseRed: "#ffffff";
+export declare const paginationPageActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const paginationPageActiveColourSubtleBlue: "#ffffff";
+export declare const paginationPageActiveColourSubtleGreen: "#ffffff";
+export declare const paginationPageActiveColourSubtleRed: "#ffffff";
+export declare const paginationPageActiveColourSubtleYellow: "#1d1d1b";
+export declare const paginationPageActiveColourBoldBlue: "#1d1d1b";
+export declare const paginationPageActiveColourBoldGreen: "#1d1d1b";
+export declare const paginationPageActiveColourBoldRed: "#1d1d1b";
+export declare const paginationPageActiveColourBoldYellow: "#000000";
+export declare const paginationPageActiveHoverIndicatorColourNeutralBlue: "#005dba";
+export declare const paginationPageActiveHoverIndicatorColourNeutralGreen: "#00633d";
+export declare const paginationPageActiveHoverIndicatorColourNeutralRed: "#c50b30";
+export declare const paginationPageActiveHoverIndicatorColourNeutralYellow: "#ffb600";
+export declare const paginationPageActiveHoverIndicatorColourNeutralInverseBlue: "#005dba";
+export declare const paginationPageActiveHoverIndicatorColourNeutralInverseGreen: "#00633d";
+export declare const paginationPageActiveHoverIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const paginationPageActiveHoverIndicatorColourNeutralInverseYellow: "#ffb600";
+export declare const paginationPageActiveHoverIndicatorColourSubtleBlue: "#005dba";
+export declare const paginationPageActiveHoverIndicatorColourSubtleGreen: "#00633d";
+export declare const paginationPageActiveHoverIndicatorColourSubtleRed: "#c50b30";
+export declare const paginationPageActiveHoverIndicatorColourSubtleYellow: "#ffb600";
+export declare const paginationPageActiveHoverIndicatorColourBoldBlue: "#ffffff";
+export declare const paginationPageActiveHoverIndicatorColourBoldGreen: "#ffffff";
+export declare const paginationPageActiveHoverIndicatorColourBoldRed: "#ffffff";
+export declare const paginationPageActiveHoverIndicatorColourBoldYellow: "#ffffff";
+export declare const paginationPageFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const paginationPageFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const paginationPageFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const paginationPageFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const paginationPageFocusBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const paginationPageFocusBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const paginationPageFocusBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const paginationPageFocusBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const paginationPageFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const paginationPageFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const paginationPageFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const paginationPageFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const paginationPageFocusBackgroundColourBoldBlue: "#005dba";
+export declare const paginationPageFocusBackgroundColourBoldGreen: "#00633d";
+export declare const paginationPageFocusBackgroundColourBoldRed: "#c50b30";
+export declare const paginationPageFocusBackgroundColourBoldYellow: "#ffb600";
+export declare const paginationPageFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const paginationPageFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const paginationPageFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const paginationPageFocusBorderColourNeutralYellow: "#000000";
+export declare const paginationPageFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const paginationPageFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const paginationPageFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const paginationPageFocusBorderColourNeutralInverseYellow: "#000000";
+export declare const paginationPageFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const paginationPageFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const paginationPageFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const paginationPageFocusBorderColourSubtleYellow: "#000000";
+export declare const paginationPageFocusBorderColourBoldBlue: "#ffffff";
+export declare const paginationPageFocusBorderColourBoldGreen: "#ffffff";
+export declare const paginationPageFocusBorderColourBoldRed: "#ffffff";
+export declare const paginationPageFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const paginationPageFocusBorderWidthNeutralBlue: 3;
+export declare const paginationPageFocusBorderWidthNeutralGreen: 3;
+export declare const paginationPageFocusBorderWidthNeutralRed: 3;
+export declare const paginationPageFocusBorderWidthNeutralYellow: 3;
+export declare const paginationPageFocusBorderWidthNeutralInverseBlue: 3;
+export declare const paginationPageFocusBorderWidthNeutralInverseGreen: 3;
+export declare const paginationPageFocusBorderWidthNeutralInverseRed: 3;
+export declare const paginationPageFocusBorderWidthNeutralInverseYellow: 3;
+export declare const paginationPageFocusBorderWidthSubtleBlue: 3;
+export declare const paginationPageFocusBorderWidthSubtleGreen: 3;
+export declare const paginationPageFocusBorderWidthSubtleRed: 3;
+export declare const paginationPageFocusBorderWidthSubtleYellow: 3;
+export declare const paginationPageFocusBorderWidthBoldBlue: 3;
+export declare const paginationPageFocusBorderWidthBoldGreen: 3;
+export declare const paginationPageFocusBorderWidthBoldRed: 3;
+export declare const paginationPageFocusBorderWidthBoldYellow: 3;
+export declare const paginationPageFocusColourNeutralBlue: "#1d1d1b";
+export declare const paginationPageFocusColourNeutralGreen: "#1d1d1b";
+export declare const paginationPageFocusColourNeutralRed: "#1d1d1b";
+export declare const paginationPageFocusColourNeutralYellow: "#000000";
+export declare const paginationPageFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const paginationPageFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const paginationPageFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const paginationPageFocusColourNeutralInverseYellow: "#000000";
+export declare const paginationPageFocusColourSubtleBlue: "#1d1d1b";
+export declare const paginationPageFocusColourSubtleGreen: "#1d1d1b";
+export declare const paginationPageFocusColourSubtleRed: "#1d1d1b";
+export declare const paginationPageFocusColourSubtleYellow: "#000000";
+export declare const paginationPageFocusColourBoldBlue: "#ffffff";
+export declare const paginationPageFocusColourBoldGreen: "#ffffff";
+export declare const paginationPageFocusColourBoldRed: "#ffffff";
+export declare const paginationPageFocusColourBoldYellow: "#1d1d1b";
+export declare const paginationPageFocusHoverIndicatorColourNeutralBlue: "#ffffff";
+export declare const paginationPageFocusHoverIndicatorColourNeutralGreen: "#ffffff";
+export declare const paginationPageFocusHoverIndicatorColourNeutralRed: "#ffffff";
+export declare const paginationPageFocusHoverIndicatorColourNeutralYellow: "#ffffff";
+export declare const paginationPageFocusHoverIndicatorColourNeutralInverseBlue: "#f4f4f4";
+export declare const paginationPageFocusHoverIndicatorColourNeutralInverseGreen: "#f4f4f4";
+export declare const paginationPageFocusHoverIndicatorColourNeutralInverseRed: "#f4f4f4";
+export declare const paginationPageFocusHoverIndicatorColourNeutralInverseYellow: "#f4f4f4";
+export declare const paginationPageFocusHoverIndicatorColourSubtleBlue: "#aee1f7";
+export declare const paginationPageFocusHoverIndicatorColourSubtleGreen: "#caeedd";
+export declare const paginationPageFocusHoverIndicatorColourSubtleRed: "#ffd5d2";
+export declare const paginationPageFocusHoverIndicatorColourSubtleYellow: "#fff9c7";
+export declare const paginationPageFocusHoverIndicatorColourBoldBlue: "#005dba";
+export declare const paginationPageFocusHoverIndicatorColourBoldGreen: "#00633d";
+export declare const paginationPageFocusHoverIndicatorColourBoldRed: "#c50b30";
+export declare const paginationPageFocusHoverIndicatorColourBoldYellow: "#ffb600";
+export declare const paginationPageDisabledBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourNeutralRed: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const paginationPageDisabledBackgroundColourSubtleBlue: "#d2effb";
+export declare const paginationPageDisabledBackgroundColourSubtleGreen: "#dff6eb";
+export declare const paginationPageDisabledBackgroundColourSubtleRed: "#ffd5d2";
+export declare const paginationPageDisabledBackgroundColourSubtleYellow: "#fffbdc";
+export declare const paginationPageDisabledBackgroundColourBoldBlue: "#d2effb";
+export declare const paginationPageDisabledBackgroundColourBoldGreen: "#dff6eb";
+export declare const paginationPageDisabledBackgroundColourBoldRed: "#ffd5d2";
+export declare const paginationPageDisabledBackgroundColourBoldYellow: "#fffbdc";
+export declare const paginationPageDisabledColourNeutralBlue: "#d3d3d3";
+export declare const paginationPageDisabledColourNeutralGreen: "#d3d3d3";
+export declare const paginationPageDisabledColourNeutralRed: "#d3d3d3";
+export declare const paginationPageDisabledColourNeutralYellow: "#d3d3d3";
+export declare const paginationPageDisabledColourNeutralInverseBlue: "#d3d3d3";
+export declare const paginationPageDisabledColourNeutralInverseGreen: "#d3d3d3";
+export declare const paginationPageDisabledColourNeutralInverseRed: "#d3d3d3";
+export declare const paginationPageDisabledColourNeutralInverseYellow: "#d3d3d3";
+export declare const paginationPageDisabledColourSubtleBlue: "#76c8f1";
+export declare const paginationPageDisabledColourSubtleGreen: "#7fce9f";
+export declare const paginationPageDisabledColourSubtleRed: "#ff7e7e";
+export declare const paginationPageDisabledColourSubtleYellow: "#ffe969";
+export declare const paginationPageDisabledColourBoldBlue: "#76c8f1";
+export declare const paginationPageDisabledColourBoldGreen: "#7fce9f";
+export declare const paginationPageDisabledColourBoldRed: "#ff7e7e";
+export declare const paginationPageDisabledColourBoldYellow: "#ffe969";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralBlue: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralGreen: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralRed: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralYellow: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralInverseBlue: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralInverseGreen: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralInverseRed: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourNeutralInverseYellow: "#f4f4f4";
+export declare const paginationPageDisabledHoverIndicatorColourSubtleBlue: "#d2effb";
+export declare const paginationPageDisabledHoverIndicatorColourSubtleGreen: "#dff6eb";
+export declare const paginationPageDisabledHoverIndicatorColourSubtleRed: "#ffd5d2";
+export declare const paginationPageDisabledHoverIndicatorColourSubtleYellow: "#fffbdc";
+export declare const paginationPageDisabledHoverIndicatorColourBoldBlue: "#d2effb";
+export declare const paginationPageDisabledHoverIndicatorColourBoldGreen: "#dff6eb";
+export declare const paginationPageDisabledHoverIndicatorColourBoldRed: "#ffd5d2";
+export declare const paginationPageDisabledHoverIndicatorColourBoldYellow: "#fffbdc";
+export declare const contentAreaPaddingXNeutralBlue: 28;
+export declare const contentAreaPaddingXNeutralGreen: 28;
+export declare const contentAreaPaddingXNeutralRed: 28;
+export declare const contentAreaPaddingXNeutralYellow: 28;
+export declare const contentAreaPaddingXNeutralInverseBlue: 28;
+export declare const contentAreaPaddingXNeutralInverseGreen: 28;
+export declare const contentAreaPaddingXNeutralInverseRed: 28;
+export declare const contentAreaPaddingXNeutralInverseYellow: 28;
+export declare const contentAreaPaddingXSubtleBlue: 28;
+export declare const contentAreaPaddingXSubtleGreen: 28;
+export declare const contentAreaPaddingXSubtleRed: 28;
+export declare const contentAreaPaddingXSubtleYellow: 28;
+export declare const contentAreaPaddingXBoldBlue: 28;
+export declare const contentAreaPaddingXBoldGreen: 28;
+export declare const contentAreaPaddingXBoldRed: 28;
+export declare const contentAreaPaddingXBoldYellow: 28;
+export declare const contentAreaPaddingYNeutralBlue: 20;
+export declare const contentAreaPaddingYNeutralGreen: 20;
+export declare const contentAreaPaddingYNeutralRed: 20;
+export declare const contentAreaPaddingYNeutralYellow: 20;
+export declare const contentAreaPaddingYNeutralInverseBlue: 20;
+export declare const contentAreaPaddingYNeutralInverseGreen: 20;
+export declare const contentAreaPaddingYNeutralInverseRed: 20;
+export declare const contentAreaPaddingYNeutralInverseYellow: 20;
+export declare const contentAreaPaddingYSubtleBlue: 20;
+export declare const contentAreaPaddingYSubtleGreen: 20;
+export declare const contentAreaPaddingYSubtleRed: 20;
+export declare const contentAreaPaddingYSubtleYellow: 20;
+export declare const contentAreaPaddingYBoldBlue: 20;
+export declare const contentAreaPaddingYBoldGreen: 20;
+export declare const contentAreaPaddingYBoldRed: 20;
+export declare const contentAreaPaddingYBoldYellow: 20;
+export declare const contentAreaBorderRadiusNeutralBlue: 28;
+export declare const contentAreaBorderRadiusNeutralGreen: 28;
+export declare const contentAreaBorderRadiusNeutralRed: 28;
+export declare const contentAreaBorderRadiusNeutralYellow: 28;
+export declare const contentAreaBorderRadiusNeutralInverseBlue: 28;
+export declare const contentAreaBorderRadiusNeutralInverseGreen: 28;
+export declare const contentAreaBorderRadiusNeutralInverseRed: 28;
+export declare const contentAreaBorderRadiusNeutralInverseYellow: 28;
+export declare const contentAreaBorderRadiusSubtleBlue: 28;
+export declare const contentAreaBorderRadiusSubtleGreen: 28;
+export declare const contentAreaBorderRadiusSubtleRed: 28;
+export declare const contentAreaBorderRadiusSubtleYellow: 28;
+export declare const contentAreaBorderRadiusBoldBlue: 28;
+export declare const contentAreaBorderRadiusBoldGreen: 28;
+export declare const contentAreaBorderRadiusBoldRed: 28;
+export declare const contentAreaBorderRadiusBoldYellow: 28;
+export declare const contentAreaBackgroundColourNeutralBlue: "#ffffff";
+export declare const contentAreaBackgroundColourNeutralGreen: "#ffffff";
+export declare const contentAreaBackgroundColourNeutralRed: "#ffffff";
+export declare const contentAreaBackgroundColourNeutralYellow: "#ffffff";
+export declare const contentAreaBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const contentAreaBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const contentAreaBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const contentAreaBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const contentAreaBackgroundColourSubtleBlue: "#aee1f7";
+export declare const contentAreaBackgroundColourSubtleGreen: "#caeedd";
+export declare const contentAreaBackgroundColourSubtleRed: "#ffd5d2";
+export declare const contentAreaBackgroundColourSubtleYellow: "#fff9c7";
+export declare const contentAreaBackgroundColourBoldBlue: "#005dba";
+export declare const contentAreaBackgroundColourBoldGreen: "#00633d";
+export declare const contentAreaBackgroundColourBoldRed: "#c50b30";
+export declare const contentAreaBackgroundColourBoldYellow: "#ffb600";
+export declare const contentAreaBorderColourNeutralBlue: "#d3d3d3";
+export declare const contentAreaBorderColourNeutralGreen: "#d3d3d3";
+export declare const contentAreaBorderColourNeutralRed: "#d3d3d3";
+export declare const contentAreaBorderColourNeutralYellow: "#d3d3d3";
+export declare const contentAreaBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const contentAreaBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const contentAreaBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const contentAreaBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const contentAreaBorderColourSubtleBlue: "#42aeea";
+export declare const contentAreaBorderColourSubtleGreen: "#43af6e";
+export declare const contentAreaBorderColourSubtleRed: "#ff3e51";
+export declare const contentAreaBorderColourSubtleYellow: "#ffe969";
+export declare const contentAreaBorderColourBoldBlue: "#001d6e";
+export declare const contentAreaBorderColourBoldGreen: "#01312e";
+export declare const contentAreaBorderColourBoldRed: "#940824";
+export declare const contentAreaBorderColourBoldYellow: "#c86426";
+export declare const contentAreaBorderWidthNeutralBlue: 1;
+export declare const contentAreaBorderWidthNeutralGreen: 1;
+export declare const contentAreaBorderWidthNeutralRed: 1;
+export declare const contentAreaBorderWidthNeutralYellow: 1;
+export declare const contentAreaBorderWidthNeutralInverseBlue: 1;
+export declare const contentAreaBorderWidthNeutralInverseGreen: 1;
+export declare const contentAreaBorderWidthNeutralInverseRed: 1;
+export declare const contentAreaBorderWidthNeutralInverseYellow: 1;
+export declare const contentAreaBorderWidthSubtleBlue: 1;
+export declare const contentAreaBorderWidthSubtleGreen: 1;
+export declare const contentAreaBorderWidthSubtleRed: 1;
+export declare const contentAreaBorderWidthSubtleYellow: 1;
+export declare const contentAreaBorderWidthBoldBlue: 1;
+export declare const contentAreaBorderWidthBoldGreen: 1;
+export declare const contentAreaBorderWidthBoldRed: 1;
+export declare const contentAreaBorderWidthBoldYellow: 1;
+export declare const contentAreaColourNeutralBlue: "#1d1d1b";
+export declare const contentAreaColourNeutralGreen: "#1d1d1b";
+export declare const contentAreaColourNeutralRed: "#1d1d1b";
+export declare const contentAreaColourNeutralYellow: "#1d1d1b";
+export declare const contentAreaColourNeutralInverseBlue: "#1d1d1b";
+export declare const contentAreaColourNeutralInverseGreen: "#1d1d1b";
+export declare const contentAreaColourNeutralInverseRed: "#1d1d1b";
+export declare const contentAreaColourNeutralInverseYellow: "#1d1d1b";
+export declare const contentAreaColourSubtleBlue: "#1d1d1b";
+export declare const contentAreaColourSubtleGreen: "#1d1d1b";
+export declare const contentAreaColourSubtleRed: "#1d1d1b";
+export declare const contentAreaColourSubtleYellow: "#1d1d1b";
+export declare const contentAreaColourBoldBlue: "#ffffff";
+export declare const contentAreaColourBoldGreen: "#ffffff";
+export declare const contentAreaColourBoldRed: "#ffffff";
+export declare const contentAreaColourBoldYellow: "#1d1d1b";
+export declare const contentAreaGapNeutralBlue: 28;
+export declare const contentAreaGapNeutralGreen: 28;
+export declare const contentAreaGapNeutralRed: 28;
+export declare const contentAreaGapNeutralYellow: 28;
+export declare const contentAreaGapNeutralInverseBlue: 28;
+export declare const contentAreaGapNeutralInverseGreen: 28;
+export declare const contentAreaGapNeutralInverseRed: 28;
+export declare const contentAreaGapNeutralInverseYellow: 28;
+export declare const contentAreaGapSubtleBlue: 28;
+export declare const contentAreaGapSubtleGreen: 28;
+export declare const contentAreaGapSubtleRed: 28;
+export declare const contentAreaGapSubtleYellow: 28;
+export declare const contentAreaGapBoldBlue: 28;
+export declare const contentAreaGapBoldGreen: 28;
+export declare const contentAreaGapBoldRed: 28;
+export declare const contentAreaGapBoldYellow: 28;
+export declare const cardBackgroundColourNeutralBlue: "#ffffff";
+export declare const cardBackgroundColourNeutralGreen: "#ffffff";
+export declare const cardBackgroundColourNeutralRed: "#ffffff";
+export declare const cardBackgroundColourNeutralYellow: "#ffffff";
+export declare const cardBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const cardBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const cardBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const cardBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const cardBackgroundColourSubtleBlue: "#aee1f7";
+export declare const cardBackgroundColourSubtleGreen: "#caeedd";
+export declare const cardBackgroundColourSubtleRed: "#ffd5d2";
+export declare const cardBackgroundColourSubtleYellow: "#fff9c7";
+export declare const cardBackgroundColourBoldBlue: "#005dba";
+export declare const cardBackgroundColourBoldGreen: "#00633d";
+export declare const cardBackgroundColourBoldRed: "#c50b30";
+export declare const cardBackgroundColourBoldYellow: "#ffb600";
+export declare const cardBorderColourNeutralBlue: "#d3d3d3";
+export declare const cardBorderColourNeutralGreen: "#d3d3d3";
+export declare const cardBorderColourNeutralRed: "#d3d3d3";
+export declare const cardBorderColourNeutralYellow: "#d3d3d3";
+export declare const cardBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const cardBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const cardBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const cardBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const cardBorderColourSubtleBlue: "#42aeea";
+export declare const cardBorderColourSubtleGreen: "#43af6e";
+export declare const cardBorderColourSubtleRed: "#ff3e51";
+export declare const cardBorderColourSubtleYellow: "#ffe969";
+export declare const cardBorderColourBoldBlue: "#001d6e";
+export declare const cardBorderColourBoldGreen: "#01312e";
+export declare const cardBorderColourBoldRed: "#940824";
+export declare const cardBorderColourBoldYellow: "#c86426";
+export declare const cardBorderRadiusNeutralBlue: 28;
+export declare const cardBorderRadiusNeutralGreen: 28;
+export declare const cardBorderRadiusNeutralRed: 28;
+export declare const cardBorderRadiusNeutralYellow: 28;
+export declare const cardBorderRadiusNeutralInverseBlue: 28;
+export declare const cardBorderRadiusNeutralInverseGreen: 28;
+export declare const cardBorderRadiusNeutralInverseRed: 28;
+export declare const cardBorderRadiusNeutralInverseYellow: 28;
+export declare const cardBorderRadiusSubtleBlue: 28;
+export declare const cardBorderRadiusSubtleGreen: 28;
+export declare const cardBorderRadiusSubtleRed: 28;
+export declare const cardBorderRadiusSubtleYellow: 28;
+export declare const cardBorderRadiusBoldBlue: 28;
+export declare const cardBorderRadiusBoldGreen: 28;
+export declare const cardBorderRadiusBoldRed: 28;
+export declare const cardBorderRadiusBoldYellow: 28;
+export declare const cardBorderWidthNeutralBlue: 1;
+export declare const cardBorderWidthNeutralGreen: 1;
+export declare const cardBorderWidthNeutralRed: 1;
+export declare const cardBorderWidthNeutralYellow: 1;
+export declare const cardBorderWidthNeutralInverseBlue: 1;
+export declare const cardBorderWidthNeutralInverseGreen: 1;
+export declare const cardBorderWidthNeutralInverseRed: 1;
+export declare const cardBorderWidthNeutralInverseYellow: 1;
+export declare const cardBorderWidthSubtleBlue: 1;
+export declare const cardBorderWidthSubtleGreen: 1;
+export declare const cardBorderWidthSubtleRed: 1;
+export declare const cardBorderWidthSubtleYellow: 1;
+export declare const cardBorderWidthBoldBlue: 1;
+export declare const cardBorderWidthBoldGreen: 1;
+export declare const cardBorderWidthBoldRed: 1;
+export declare const cardBorderWidthBoldYellow: 1;
+export declare const cardColourNeutralBlue: "#1d1d1b";
+export declare const cardColourNeutralGreen: "#1d1d1b";
+export declare const cardColourNeutralRed: "#1d1d1b";
+export declare const cardColourNeutralYellow: "#1d1d1b";
+export declare const cardColourNeutralInverseBlue: "#1d1d1b";
+export declare const cardColourNeutralInverseGreen: "#1d1d1b";
+export declare const cardColourNeutralInverseRed: "#1d1d1b";
+export declare const cardColourNeutralInverseYellow: "#1d1d1b";
+export declare const cardColourSubtleBlue: "#1d1d1b";
+export declare const cardColourSubtleGreen: "#1d1d1b";
+export declare const cardColourSubtleRed: "#1d1d1b";
+export declare const cardColourSubtleYellow: "#1d1d1b";
+export declare const cardColourBoldBlue: "#ffffff";
+export declare const cardColourBoldGreen: "#ffffff";
+export declare const cardColourBoldRed: "#ffffff";
+export declare const cardColourBoldYellow: "#1d1d1b";
+export declare const cardGapNeutralBlue: 20;
+export declare const cardGapNeutralGreen: 20;
+export declare const cardGapNeutralRed: 20;
+export declare const cardGapNeutralYellow: 20;
+export declare const cardGapNeutralInverseBlue: 20;
+export declare const cardGapNeutralInverseGreen: 20;
+export declare const cardGapNeutralInverseRed: 20;
+export declare const cardGapNeutralInverseYellow: 20;
+export declare const cardGapSubtleBlue: 20;
+export declare const cardGapSubtleGreen: 20;
+export declare const cardGapSubtleRed: 20;
+export declare const cardGapSubtleYellow: 20;
+export declare const cardGapBoldBlue: 20;
+export declare const cardGapBoldGreen: 20;
+export declare const cardGapBoldRed: 20;
+export declare const cardGapBoldYellow: 20;
+export declare const cardMinWidthNeutralBlue: 288;
+export declare const cardMinWidthNeutralGreen: 288;
+export declare const cardMinWidthNeutralRed: 288;
+export declare const cardMinWidthNeutralYellow: 288;
+export declare const cardMinWidthNeutralInverseBlue: 288;
+export declare const cardMinWidthNeutralInverseGreen: 288;
+export declare const cardMinWidthNeutralInverseRed: 288;
+export declare const cardMinWidthNeutralInverseYellow: 288;
+export declare const cardMinWidthSubtleBlue: 288;
+export declare const cardMinWidthSubtleGreen: 288;
+export declare const cardMinWidthSubtleRed: 288;
+export declare const cardMinWidthSubtleYellow: 288;
+export declare const cardMinWidthBoldBlue: 288;
+export declare const cardMinWidthBoldGreen: 288;
+export declare const cardMinWidthBoldRed: 288;
+export declare const cardMinWidthBoldYellow: 288;
+export declare const cardPaddingXNeutralBlue: 28;
+export declare const cardPaddingXNeutralGreen: 28;
+export declare const cardPaddingXNeutralRed: 28;
+export declare const cardPaddingXNeutralYellow: 28;
+export declare const cardPaddingXNeutralInverseBlue: 28;
+export declare const cardPaddingXNeutralInverseGreen: 28;
+export declare const cardPaddingXNeutralInverseRed: 28;
+export declare const cardPaddingXNeutralInverseYellow: 28;
+export declare const cardPaddingXSubtleBlue: 28;
+export declare const cardPaddingXSubtleGreen: 28;
+export declare const cardPaddingXSubtleRed: 28;
+export declare const cardPaddingXSubtleYellow: 28;
+export declare const cardPaddingXBoldBlue: 28;
+export declare const cardPaddingXBoldGreen: 28;
+export declare const cardPaddingXBoldRed: 28;
+export declare const cardPaddingXBoldYellow: 28;
+export declare const cardPaddingYNeutralBlue: 20;
+export declare const cardPaddingYNeutralGreen: 20;
+export declare const cardPaddingYNeutralRed: 20;
+export declare const cardPaddingYNeutralYellow: 20;
+export declare const cardPaddingYNeutralInverseBlue: 20;
+export declare const cardPaddingYNeutralInverseGreen: 20;
+export declare const cardPaddingYNeutralInverseRed: 20;
+export declare const cardPaddingYNeutralInverseYellow: 20;
+export declare const cardPaddingYSubtleBlue: 20;
+export declare const cardPaddingYSubtleGreen: 20;
+export declare const cardPaddingYSubtleRed: 20;
+export declare const cardPaddingYSubtleYellow: 20;
+export declare const cardPaddingYBoldBlue: 20;
+export declare const cardPaddingYBoldGreen: 20;
+export declare const cardPaddingYBoldRed: 20;
+export declare const cardPaddingYBoldYellow: 20;
+export declare const cardInteractiveRestColourNeutralBlue: "#005dba";
+export declare const cardInteractiveRestColourNeutralGreen: "#00633d";
+export declare const cardInteractiveRestColourNeutralRed: "#c50b30";
+export declare const cardInteractiveRestColourNeutralYellow: "#1d1d1b";
+export declare const cardInteractiveRestColourNeutralInverseBlue: "#005dba";
+export declare const cardInteractiveRestColourNeutralInverseGreen: "#00633d";
+export declare const cardInteractiveRestColourNeutralInverseRed: "#c50b30";
+export declare const cardInteractiveRestColourNeutralInverseYellow: "#1d1d1b";
+export declare const cardInteractiveRestColourSubtleBlue: "#005dba";
+export declare const cardInteractiveRestColourSubtleGreen: "#00633d";
+export declare const cardInteractiveRestColourSubtleRed: "#c50b30";
+export declare const cardInteractiveRestColourSubtleYellow: "#1d1d1b";
+export declare const cardInteractiveRestColourBoldBlue: "#f4f4f4";
+export declare const cardInteractiveRestColourBoldGreen: "#f4f4f4";
+export declare const cardInteractiveRestColourBoldRed: "#f4f4f4";
+export declare const cardInteractiveRestColourBoldYellow: "#1d1d1b";
+export declare const cardInteractiveRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const cardInteractiveRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const cardInteractiveRestBackgroundColourNeutralRed: "#ffffff";
+export declare const cardInteractiveRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const cardInteractiveRestBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const cardInteractiveRestBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const cardInteractiveRestBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const cardInteractiveRestBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const cardInteractiveRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const cardInteractiveRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const cardInteractiveRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const cardInteractiveRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const cardInteractiveRestBackgroundColourBoldBlue: "#005dba";
+export declare const cardInteractiveRestBackgroundColourBoldGreen: "#00633d";
+export declare const cardInteractiveRestBackgroundColourBoldRed: "#c50b30";
+export declare const cardInteractiveRestBackgroundColourBoldYellow: "#ffb600";
+export declare const cardInteractiveRestBorderColourNeutralBlue: "#d3d3d3";
+export declare const cardInteractiveRestBorderColourNeutralGreen: "#d3d3d3";
+export declare const cardInteractiveRestBorderColourNeutralRed: "#d3d3d3";
+export declare const cardInteractiveRestBorderColourNeutralYellow: "#d3d3d3";
+export declare const cardInteractiveRestBorderColourNeutralInverseBlue: "#858686";
+export declare const cardInteractiveRestBorderColourNeutralInverseGreen: "#858686";
+export declare const cardInteractiveRestBorderColourNeutralInverseRed: "#858686";
+export declare const cardInteractiveRestBorderColourNeutralInverseYellow: "#858686";
+export declare const cardInteractiveRestBorderColourSubtleBlue: "#1d1d1b";
+export declare const cardInteractiveRestBorderColourSubtleGreen: "#1d1d1b";
+export declare const cardInteractiveRestBorderColourSubtleRed: "#1d1d1b";
+export declare const cardInteractiveRestBorderColourSubtleYellow: "#1d1d1b";
+export declare const cardInteractiveRestBorderColourBoldBlue: "#f4f4f4";
+export declare const cardInteractiveRestBorderColourBoldGreen: "#f4f4f4";
+export declare const cardInteractiveRestBorderColourBoldRed: "#f4f4f4";
+export declare const cardInteractiveRestBorderColourBoldYellow: "#1d1d1b";
+export declare const cardInteractiveRestBorderWidthNeutralBlue: 1;
+export declare const cardInteractiveRestBorderWidthNeutralGreen: 1;
+export declare const cardInteractiveRestBorderWidthNeutralRed: 1;
+export declare const cardInteractiveRestBorderWidthNeutralYellow: 1;
+export declare const cardInteractiveRestBorderWidthNeutralInverseBlue: 1;
+export declare const cardInteractiveRestBorderWidthNeutralInverseGreen: 1;
+export declare const cardInteractiveRestBorderWidthNeutralInverseRed: 1;
+export declare const cardInteractiveRestBorderWidthNeutralInverseYellow: 1;
+export declare const cardInteractiveRestBorderWidthSubtleBlue: 1;
+export declare const cardInteractiveRestBorderWidthSubtleGreen: 1;
+export declare const cardInteractiveRestBorderWidthSubtleRed: 1;
+export declare const cardInteractiveRestBorderWidthSubtleYellow: 1;
+export declare const cardInteractiveRestBorderWidthBoldBlue: 1;
+export declare const cardInteractiveRestBorderWidthBoldGreen: 1;
+export declare const cardInteractiveRestBorderWidthBoldRed: 1;
+export declare const cardInteractiveRestBorderWidthBoldYellow: 1;
+export declare const cardInteractiveHoverColourNeutralBlue: "#1d1d1b";
+export declare const cardInteractiveHoverColourNeutralGreen: "#1d1d1b";
+export declare const cardInteractiveHoverColourNeutralRed: "#1d1d1b";
+export declare const cardInteractiveHoverColourNeutralYellow: "#000000";
+export declare const cardInteractiveHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const cardInteractiveHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const cardInteractiveHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const cardInteractiveHoverColourNeutralInverseYellow: "#000000";
+export declare const cardInteractiveHoverColourSubtleBlue: "#1d1d1b";
+export declare const cardInteractiveHoverColourSubtleGreen: "#1d1d1b";
+export declare const cardInteractiveHoverColourSubtleRed: "#1d1d1b";
+export declare const cardInteractiveHoverColourSubtleYellow: "#000000";
+export declare const cardInteractiveHoverColourBoldBlue: "#1d1d1b";
+export declare const cardInteractiveHoverColourBoldGreen: "#1d1d1b";
+export declare const cardInteractiveHoverColourBoldRed: "#1d1d1b";
+export declare const cardInteractiveHoverColourBoldYellow: "#000000";
+export declare const cardInteractiveHoverBackgroundColourNeutralBlue: "#aee1f7";
+export declare const cardInteractiveHoverBackgroundColourNeutralGreen: "#caeedd";
+export declare const cardInteractiveHoverBackgroundColourNeutralRed: "#ffd5d2";
+export declare const cardInteractiveHoverBackgroundColourNeutralYellow: "#fff9c7";
+export declare const cardInteractiveHoverBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const cardInteractiveHoverBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const cardInteractiveHoverBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const cardInteractiveHoverBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const cardInteractiveHoverBackgroundColourSubtleBlue: "#42aeea";
+export declare const cardInteractiveHoverBackgroundColourSubtleGreen: "#43af6e";
+export declare const cardInteractiveHoverBackgroundColourSubtleRed: "#ff3e51";
+export declare const cardInteractiveHoverBackgroundColourSubtleYellow: "#ffe969";
+export declare const cardInteractiveHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const cardInteractiveHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const cardInteractiveHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const cardInteractiveHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const cardInteractiveHoverBorderColourNeutralBlue: "#001d6e";
+export declare const cardInteractiveHoverBorderColourNeutralGreen: "#01312e";
+export declare const cardInteractiveHoverBorderColourNeutralRed: "#480411";
+export declare const cardInteractiveHoverBorderColourNeutralYellow: "#572722";
+export declare const cardInteractiveHoverBorderColourNeutralInverseBlue: "#001d6e";
+export declare const cardInteractiveHoverBorderColourNeutralInverseGreen: "#01312e";
+export declare const cardInteractiveHoverBorderColourNeutralInverseRed: "#480411";
+export declare const cardInteractiveHoverBorderColourNeutralInverseYellow: "#572722";
+export declare const cardInteractiveHoverBorderColourSubtleBlue: "#001d6e";
+export declare const cardInteractiveHoverBorderColourSubtleGreen: "#01312e";
+export declare const cardInteractiveHoverBorderColourSubtleRed: "#480411";
+export declare const cardInteractiveHoverBorderColourSubtleYellow: "#572722";
+export declare const cardInteractiveHoverBorderColourBoldBlue: "#001d6e";
+export declare const cardInteractiveHoverBorderColourBoldGreen: "#01312e";
+export declare const cardInteractiveHoverBorderColourBoldRed: "#480411";
+export declare const cardInteractiveHoverBorderColourBoldYellow: "#572722";
+export declare const cardInteractiveHoverBorderWidthNeutralBlue: 3;
+export declare const cardInteractiveHoverBorderWidthNeutralGreen: 3;
+export declare const cardInteractiveHoverBorderWidthNeutralRed: 3;
+export declare const cardInteractiveHoverBorderWidthNeutralYellow: 3;
+export declare const cardInteractiveHoverBorderWidthNeutralInverseBlue: 3;
+export declare const cardInteractiveHoverBorderWidthNeutralInverseGreen: 3;
+export declare const cardInteractiveHoverBorderWidthNeutralInverseRed: 3;
+export declare const cardInteractiveHoverBorderWidthNeutralInverseYellow: 3;
+export declare const cardInteractiveHoverBorderWidthSubtleBlue: 3;
+export declare const cardInteractiveHoverBorderWidthSubtleGreen: 3;
+export declare const cardInteractiveHoverBorderWidthSubtleRed: 3;
+export declare const cardInteractiveHoverBorderWidthSubtleYellow: 3;
+export declare const cardInteractiveHoverBorderWidthBoldBlue: 3;
+export declare const cardInteractiveHoverBorderWidthBoldGreen: 3;
+export declare const cardInteractiveHoverBorderWidthBoldRed: 3;
+export declare const cardInteractiveHoverBorderWidthBoldYellow: 3;
+export declare const cardInteractiveHoverPaddingRightNeutralBlue: 20;
+export declare const cardInteractiveHoverPaddingRightNeutralGreen: 20;
+export declare const cardInteractiveHoverPaddingRightNeutralRed: 20;
+export declare const cardInteractiveHoverPaddingRightNeutralYellow: 20;
+export declare const cardInteractiveHoverPaddingRightNeutralInverseBlue: 20;
+export declare const cardInteractiveHoverPaddingRightNeutralInverseGreen: 20;
+export declare const cardInteractiveHoverPaddingRightNeutralInverseRed: 20;
+export declare const cardInteractiveHoverPaddingRightNeutralInverseYellow: 20;
+export declare const cardInteractiveHoverPaddingRightSubtleBlue: 20;
+export declare const cardInteractiveHoverPaddingRightSubtleGreen: 20;
+export declare const cardInteractiveHoverPaddingRightSubtleRed: 20;
+export declare const cardInteractiveHoverPaddingRightSubtleYellow: 20;
+export declare const cardInteractiveHoverPaddingRightBoldBlue: 20;
+export declare const cardInteractiveHoverPaddingRightBoldGreen: 20;
+export declare const cardInteractiveHoverPaddingRightBoldRed: 20;
+export declare const cardInteractiveHoverPaddingRightBoldYellow: 20;
+export declare const cardInteractiveActiveColourNeutralBlue: "#ffffff";
+export declare const cardInteractiveActiveColourNeutralGreen: "#ffffff";
+export declare const cardInteractiveActiveColourNeutralRed: "#ffffff";
+export declare const cardInteractiveActiveColourNeutralYellow: "#1d1d1b";
+export declare const cardInteractiveActiveColourNeutralInverseBlue: "#ffffff";
+export declare const cardInteractiveActiveColourNeutralInverseGreen: "#ffffff";
+export declare const cardInteractiveActiveColourNeutralInverseRed: "#ffffff";
+export declare const cardInteractiveActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const cardInteractiveActiveColourSubtleBlue: "#ffffff";
+export declare const cardInteractiveActiveColourSubtleGreen: "#ffffff";
+export declare const cardInteractiveActiveColourSubtleRed: "#ffffff";
+export declare const cardInteractiveActiveColourSubtleYellow: "#1d1d1b";
+export declare const cardInteractiveActiveColourBoldBlue: "#1d1d1b";
+export declare const cardInteractiveActiveColourBoldGreen: "#1d1d1b";
+export declare const cardInteractiveActiveColourBoldRed: "#1d1d1b";
+export declare const cardInteractiveActiveColourBoldYellow: "#000000";
+export declare const cardInteractiveActiveBackgroundColourNeutralBlue: "#005dba";
+export declare const cardInteractiveActiveBackgroundColourNeutralGreen: "#00633d";
+export declare const cardInteractiveActiveBackgroundColourNeutralRed: "#c50b30";
+export declare const cardInteractiveActiveBackgroundColourNeutralYellow: "#ffb600";
+export declare const cardInteractiveActiveBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const cardInteractiveActiveBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const cardInteractiveActiveBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const cardInteractiveActiveBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const cardInteractiveActiveBackgroundColourSubtleBlue: "#005dba";
+export declare const cardInteractiveActiveBackgroundColourSubtleGreen: "#00633d";
+export declare const cardInteractiveActiveBackgroundColourSubtleRed: "#c50b30";
+export declare const cardInteractiveActiveBackgroundColourSubtleYellow: "#ffb600";
+export declare const cardInteractiveActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const cardInteractiveActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const cardInteractiveActiveBackgroundColourBoldRed: "#ffffff";
+export declare const cardInteractiveActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const cardInteractiveActiveBorderColourNeutralBlue: "#005dba";
+export declare const cardInteractiveActiveBorderColourNeutralGreen: "#00633d";
+export declare const cardInteractiveActiveBorderColourNeutralRed: "#c50b30";
+export declare const cardInteractiveActiveBorderColourNeutralYellow: "#ffb600";
+export declare const cardInteractiveActiveBorderColourNeutralInverseBlue: "#005dba";
+export declare const cardInteractiveActiveBorderColourNeutralInverseGreen: "#00633d";
+export declare const cardInteractiveActiveBorderColourNeutralInverseRed: "#c50b30";
+export declare const cardInteractiveActiveBorderColourNeutralInverseYellow: "#ffb600";
+export declare const cardInteractiveActiveBorderColourSubtleBlue: "#005dba";
+export declare const cardInteractiveActiveBorderColourSubtleGreen: "#00633d";
+export declare const cardInteractiveActiveBorderColourSubtleRed: "#c50b30";
+export declare const cardInteractiveActiveBorderColourSubtleYellow: "#ffb600";
+export declare const cardInteractiveActiveBorderColourBoldBlue: "#ffffff";
+export declare const cardInteractiveActiveBorderColourBoldGreen: "#ffffff";
+export declare const cardInteractiveActiveBorderColourBoldRed: "#ffffff";
+export declare const cardInteractiveActiveBorderColourBoldYellow: "#ffffff";
+export declare const cardInteractiveActiveBorderWidthNeutralBlue: 3;
+export declare const cardInteractiveActiveBorderWidthNeutralGreen: 3;
+export declare const cardInteractiveActiveBorderWidthNeutralRed: 3;
+export declare const cardInteractiveActiveBorderWidthNeutralYellow: 3;
+export declare const cardInteractiveActiveBorderWidthNeutralInverseBlue: 3;
+export declare const cardInteractiveActiveBorderWidthNeutralInverseGreen: 3;
+export declare const cardInteractiveActiveBorderWidthNeutralInverseRed: 3;
+export declare const cardInteractiveActiveBorderWidthNeutralInverseYellow: 3;
+export declare const cardInteractiveActiveBorderWidthSubtleBlue: 3;
+export declare const cardInteractiveActiveBorderWidthSubtleGreen: 3;
+export declare const cardInteractiveActiveBorderWidthSubtleRed: 3;
+export declare const cardInteractiveActiveBorderWidthSubtleYellow: 3;
+export declare const cardInteractiveActiveBorderWidthBoldBlue: 3;
+export declare const cardInteractiveActiveBorderWidthBoldGreen: 3;
+export declare const cardInteractiveActiveBorderWidthBoldRed: 3;
+export declare const cardInteractiveActiveBorderWidthBoldYellow: 3;
+export declare const cardInteractiveActivePaddingRightNeutralBlue: 20;
+export declare const cardInteractiveActivePaddingRightNeutralGreen: 20;
+export declare const cardInteractiveActivePaddingRightNeutralRed: 20;
+export declare const cardInteractiveActivePaddingRightNeutralYellow: 20;
+export declare const cardInteractiveActivePaddingRightNeutralInverseBlue: 20;
+export declare const cardInteractiveActivePaddingRightNeutralInverseGreen: 20;
+export declare const cardInteractiveActivePaddingRightNeutralInverseRed: 20;
+export declare const cardInteractiveActivePaddingRightNeutralInverseYellow: 20;
+export declare const cardInteractiveActivePaddingRightSubtleBlue: 20;
+export declare const cardInteractiveActivePaddingRightSubtleGreen: 20;
+export declare const cardInteractiveActivePaddingRightSubtleRed: 20;
+export declare const cardInteractiveActivePaddingRightSubtleYellow: 20;
+export declare const cardInteractiveActivePaddingRightBoldBlue: 20;
+export declare const cardInteractiveActivePaddingRightBoldGreen: 20;
+export declare const cardInteractiveActivePaddingRightBoldRed: 20;
+export declare const cardInteractiveActivePaddingRightBoldYellow: 20;
+export declare const cardInteractiveFocusColourNeutralBlue: "#005dba";
+export declare const cardInteractiveFocusColourNeutralGreen: "#00633d";
+export declare const cardInteractiveFocusColourNeutralRed: "#c50b30";
+export declare const cardInteractiveFocusColourNeutralYellow: "#1d1d1b";
+export declare const cardInteractiveFocusColourNeutralInverseBlue: "#005dba";
+export declare const cardInteractiveFocusColourNeutralInverseGreen: "#00633d";
+export declare const cardInteractiveFocusColourNeutralInverseRed: "#c50b30";
+export declare const cardInteractiveFocusColourNeutralInverseYellow: "#1d1d1b";
+export declare const cardInteractiveFocusColourSubtleBlue: "#005dba";
+export declare const cardInteractiveFocusColourSubtleGreen: "#00633d";
+export declare const cardInteractiveFocusColourSubtleRed: "#c50b30";
+export declare const cardInteractiveFocusColourSubtleYellow: "#1d1d1b";
+export declare const cardInteractiveFocusColourBoldBlue: "#f4f4f4";
+export declare const cardInteractiveFocusColourBoldGreen: "#f4f4f4";
+export declare const cardInteractiveFocusColourBoldRed: "#f4f4f4";
+export declare const cardInteractiveFocusColourBoldYellow: "#1d1d1b";
+export declare const cardInteractiveFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const cardInteractiveFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const cardInteractiveFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const cardInteractiveFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const cardInteractiveFocusBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const cardInteractiveFocusBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const cardInteractiveFocusBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const cardInteractiveFocusBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const cardInteractiveFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const cardInteractiveFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const cardInteractiveFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const cardInteractiveFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const cardInteractiveFocusBackgroundColourBoldBlue: "#005dba";
+export declare const cardInteractiveFocusBackgroundColourBoldGreen: "#00633d";
+export declare const cardInteractiveFocusBackgroundColourBoldRed: "#c50b30";
+export declare const cardInteractiveFocusBackgroundColourBoldYellow: "#ffb600";
+export declare const cardInteractiveFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourNeutralYellow: "#000000";
+export declare const cardInteractiveFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourNeutralInverseYellow: "#000000";
+export declare const cardInteractiveFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const cardInteractiveFocusBorderColourSubtleYellow: "#000000";
+export declare const cardInteractiveFocusBorderColourBoldBlue: "#ffffff";
+export declare const cardInteractiveFocusBorderColourBoldGreen: "#ffffff";
+export declare const cardInteractiveFocusBorderColourBoldRed: "#ffffff";
+export declare const cardInteractiveFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const cardInteractiveFocusBorderWidthNeutralBlue: 3;
+export declare const cardInteractiveFocusBorderWidthNeutralGreen: 3;
+export declare const cardInteractiveFocusBorderWidthNeutralRed: 3;
+export declare const cardInteractiveFocusBorderWidthNeutralYellow: 3;
+export declare const cardInteractiveFocusBorderWidthNeutralInverseBlue: 3;
+export declare const cardInteractiveFocusBorderWidthNeutralInverseGreen: 3;
+export declare const cardInteractiveFocusBorderWidthNeutralInverseRed: 3;
+export declare const cardInteractiveFocusBorderWidthNeutralInverseYellow: 3;
+export declare const cardInteractiveFocusBorderWidthSubtleBlue: 3;
+export declare const cardInteractiveFocusBorderWidthSubtleGreen: 3;
+export declare const cardInteractiveFocusBorderWidthSubtleRed: 3;
+export declare const cardInteractiveFocusBorderWidthSubtleYellow: 3;
+export declare const cardInteractiveFocusBorderWidthBoldBlue: 3;
+export declare const cardInteractiveFocusBorderWidthBoldGreen: 3;
+export declare const cardInteractiveFocusBorderWidthBoldRed: 3;
+export declare const cardInteractiveFocusBorderWidthBoldYellow: 3;
+export declare const headerContainerBackgroundColourNeutralBlue: "#ffffff";
+export declare const headerContainerBackgroundColourNeutralGreen: "#ffffff";
+export declare const headerContainerBackgroundColourNeutralRed: "#ffffff";
+export declare const headerContainerBackgroundColourNeutralYellow: "#ffffff";
+export declare const headerContainerBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const headerContainerBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const headerContainerBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const headerContainerBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const headerContainerBackgroundColourSubtleBlue: "#aee1f7";
+export declare const headerContainerBackgroundColourSubtleGreen: "#caeedd";
+export declare const headerContainerBackgroundColourSubtleRed: "#ffd5d2";
+export declare const headerContainerBackgroundColourSubtleYellow: "#fff9c7";
+export declare const headerContainerBackgroundColourBoldBlue: "#005dba";
+export declare const headerContainerBackgroundColourBoldGreen: "#00633d";
+export declare const headerContainerBackgroundColourBoldRed: "#c50b30";
+export declare const headerContainerBackgroundColourBoldYellow: "#ffb600";
+export declare const headerContainerGapNeutralBlue: 28;
+export declare const headerContainerGapNeutralGreen: 28;
+export declare const headerContainerGapNeutralRed: 28;
+export declare const headerContainerGapNeutralYellow: 28;
+export declare const headerContainerGapNeutralInverseBlue: 28;
+export declare const headerContainerGapNeutralInverseGreen: 28;
+export declare const headerContainerGapNeutralInverseRed: 28;
+export declare const headerContainerGapNeutralInverseYellow: 28;
+export declare const headerContainerGapSubtleBlue: 28;
+export declare const headerContainerGapSubtleGreen: 28;
+export declare const headerContainerGapSubtleRed: 28;
+export declare const headerContainerGapSubtleYellow: 28;
+export declare const headerContainerGapBoldBlue: 28;
+export declare const headerContainerGapBoldGreen: 28;
+export declare const headerContainerGapBoldRed: 28;
+export declare const headerContainerGapBoldYellow: 28;
+export declare const headerContainerLogoGapSmNeutralBlue: 16;
+export declare const headerContainerLogoGapSmNeutralGreen: 16;
+export declare const headerContainerLogoGapSmNeutralRed: 16;
+export declare const headerContainerLogoGapSmNeutralYellow: 16;
+export declare const headerContainerLogoGapSmNeutralInverseBlue: 16;
+export declare const headerContainerLogoGapSmNeutralInverseGreen: 16;
+export declare const headerContainerLogoGapSmNeutralInverseRed: 16;
+export declare const headerContainerLogoGapSmNeutralInverseYellow: 16;
+export declare const headerContainerLogoGapSmSubtleBlue: 16;
+export declare const headerContainerLogoGapSmSubtleGreen: 16;
+export declare const headerContainerLogoGapSmSubtleRed: 16;
+export declare const headerContainerLogoGapSmSubtleYellow: 16;
+export declare const headerContainerLogoGapSmBoldBlue: 16;
+export declare const headerContainerLogoGapSmBoldGreen: 16;
+export declare const headerContainerLogoGapSmBoldRed: 16;
+export declare const headerContainerLogoGapSmBoldYellow: 16;
+export declare const headerContainerLogoGapLgNeutralBlue: 20;
+export declare const headerContainerLogoGapLgNeutralGreen: 20;
+export declare const headerContainerLogoGapLgNeutralRed: 20;
+export declare const headerContainerLogoGapLgNeutralYellow: 20;
+export declare const headerContainerLogoGapLgNeutralInverseBlue: 20;
+export declare const headerContainerLogoGapLgNeutralInverseGreen: 20;
+export declare const headerContainerLogoGapLgNeutralInverseRed: 20;
+export declare const headerContainerLogoGapLgNeutralInverseYellow: 20;
+export declare const headerContainerLogoGapLgSubtleBlue: 20;
+export declare const headerContainerLogoGapLgSubtleGreen: 20;
+export declare const headerContainerLogoGapLgSubtleRed: 20;
+export declare const headerContainerLogoGapLgSubtleYellow: 20;
+export declare const headerContainerLogoGapLgBoldBlue: 20;
+export declare const headerContainerLogoGapLgBoldGreen: 20;
+export declare const headerContainerLogoGapLgBoldRed: 20;
+export declare const headerContainerLogoGapLgBoldYellow: 20;
+export declare const headerContainerMinWidthNeutralBlue: 320;
+export declare const headerContainerMinWidthNeutralGreen: 320;
+export declare const headerContainerMinWidthNeutralRed: 320;
+export declare const headerContainerMinWidthNeutralYellow: 320;
+export declare const headerContainerMinWidthNeutralInverseBlue: 320;
+export declare const headerContainerMinWidthNeutralInverseGreen: 320;
+export declare const headerContainerMinWidthNeutralInverseRed: 320;
+export declare const headerContainerMinWidthNeutralInverseYellow: 320;
+export declare const headerContainerMinWidthSubtleBlue: 320;
+export declare const headerContainerMinWidthSubtleGreen: 320;
+export declare const headerContainerMinWidthSubtleRed: 320;
+export declare const headerContainerMinWidthSubtleYellow: 320;
+export declare const headerContainerMinWidthBoldBlue: 320;
+export declare const headerContainerMinWidthBoldGreen: 320;
+export declare const headerContainerMinWidthBoldRed: 320;
+export declare const headerContainerMinWidthBoldYellow: 320;
+export declare const headerContainerPaddingXNeutralBlue: 16;
+export declare const headerContainerPaddingXNeutralGreen: 16;
+export declare const headerContainerPaddingXNeutralRed: 16;
+export declare const headerContainerPaddingXNeutralYellow: 16;
+export declare const headerContainerPaddingXNeutralInverseBlue: 16;
+export declare const headerContainerPaddingXNeutralInverseGreen: 16;
+export declare const headerContainerPaddingXNeutralInverseRed: 16;
+export declare const headerContainerPaddingXNeutralInverseYellow: 16;
+export declare const headerContainerPaddingXSubtleBlue: 16;
+export declare const headerContainerPaddingXSubtleGreen: 16;
+export declare const headerContainerPaddingXSubtleRed: 16;
+export declare const headerContainerPaddingXSubtleYellow: 16;
+export declare const headerContainerPaddingXBoldBlue: 16;
+export declare const headerContainerPaddingXBoldGreen: 16;
+export declare const headerContainerPaddingXBoldRed: 16;
+export declare const headerContainerPaddingXBoldYellow: 16;
+export declare const headerContainerPaddingYNeutralBlue: 8;
+export declare const headerContainerPaddingYNeutralGreen: 8;
+export declare const headerContainerPaddingYNeutralRed: 8;
+export declare const headerContainerPaddingYNeutralYellow: 8;
+export declare const headerContainerPaddingYNeutralInverseBlue: 8;
+export declare const headerContainerPaddingYNeutralInverseGreen: 8;
+export declare const headerContainerPaddingYNeutralInverseRed: 8;
+export declare const headerContainerPaddingYNeutralInverseYellow: 8;
+export declare const headerContainerPaddingYSubtleBlue: 8;
+export declare const headerContainerPaddingYSubtleGreen: 8;
+export declare const headerContainerPaddingYSubtleRed: 8;
+export declare const headerContainerPaddingYSubtleYellow: 8;
+export declare const headerContainerPaddingYBoldBlue: 8;
+export declare const headerContainerPaddingYBoldGreen: 8;
+export declare const headerContainerPaddingYBoldRed: 8;
+export declare const headerContainerPaddingYBoldYellow: 8;
+export declare const headerContainerMaxHeightNeutralBlue: 89;
+export declare const headerContainerMaxHeightNeutralGreen: 89;
+export declare const headerContainerMaxHeightNeutralRed: 89;
+export declare const headerContainerMaxHeightNeutralYellow: 89;
+export declare const headerContainerMaxHeightNeutralInverseBlue: 89;
+export declare const headerContainerMaxHeightNeutralInverseGreen: 89;
+export declare const headerContainerMaxHeightNeutralInverseRed: 89;
+export declare const headerContainerMaxHeightNeutralInverseYellow: 89;
+export declare const headerContainerMaxHeightSubtleBlue: 89;
+export declare const headerContainerMaxHeightSubtleGreen: 89;
+export declare const headerContainerMaxHeightSubtleRed: 89;
+export declare const headerContainerMaxHeightSubtleYellow: 89;
+export declare const headerContainerMaxHeightBoldBlue: 89;
+export declare const headerContainerMaxHeightBoldGreen: 89;
+export declare const headerContainerMaxHeightBoldRed: 89;
+export declare const headerContainerMaxHeightBoldYellow: 89;
+export declare const headerLogoContainerMaxWidthSmNeutralBlue: 165;
+export declare const headerLogoContainerMaxWidthSmNeutralGreen: 165;
+export declare const headerLogoContainerMaxWidthSmNeutralRed: 165;
+export declare const headerLogoContainerMaxWidthSmNeutralYellow: 165;
+export declare const headerLogoContainerMaxWidthSmNeutralInverseBlue: 165;
+export declare const headerLogoContainerMaxWidthSmNeutralInverseGreen: 165;
+export declare const headerLogoContainerMaxWidthSmNeutralInverseRed: 165;
+export declare const headerLogoContainerMaxWidthSmNeutralInverseYellow: 165;
+export declare const headerLogoContainerMaxWidthSmSubtleBlue: 165;
+export declare const headerLogoContainerMaxWidthSmSubtleGreen: 165;
+export declare const headerLogoContainerMaxWidthSmSubtleRed: 165;
+export declare const headerLogoContainerMaxWidthSmSubtleYellow: 165;
+export declare const headerLogoContainerMaxWidthSmBoldBlue: 165;
+export declare const headerLogoContainerMaxWidthSmBoldGreen: 165;
+export declare const headerLogoContainerMaxWidthSmBoldRed: 165;
+export declare const headerLogoContainerMaxWidthSmBoldYellow: 165;
+export declare const headerLogoContainerMaxHeightSmNeutralBlue: 44;
+export declare const headerLogoContainerMaxHeightSmNeutralGreen: 44;
+export declare const headerLogoContainerMaxHeightSmNeutralRed: 44;
+export declare const headerLogoContainerMaxHeightSmNeutralYellow: 44;
+export declare const headerLogoContainerMaxHeightSmNeutralInverseBlue: 44;
+export declare const headerLogoContainerMaxHeightSmNeutralInverseGreen: 44;
+export declare const headerLogoContainerMaxHeightSmNeutralInverseRed: 44;
+export declare const headerLogoContainerMaxHeightSmNeutralInverseYellow: 44;
+export declare const headerLogoContainerMaxHeightSmSubtleBlue: 44;
+export declare const headerLogoContainerMaxHeightSmSubtleGreen: 44;
+export declare const headerLogoContainerMaxHeightSmSubtleRed: 44;
+export declare const headerLogoContainerMaxHeightSmSubtleYellow: 44;
+export declare const headerLogoContainerMaxHeightSmBoldBlue: 44;
+export declare const headerLogoContainerMaxHeightSmBoldGreen: 44;
+export declare const headerLogoContainerMaxHeightSmBoldRed: 44;
+export declare const headerLogoContainerMaxHeightSmBoldYellow: 44;
+export declare const headerLogoContainerMaxHeightLgNeutralBlue: 64;
+export declare const headerLogoContainerMaxHeightLgNeutralGreen: 64;
+export declare const headerLogoContainerMaxHeightLgNeutralRed: 64;
+export declare const headerLogoContainerMaxHeightLgNeutralYellow: 64;
+export declare const headerLogoContainerMaxHeightLgNeutralInverseBlue: 64;
+export declare const headerLogoContainerMaxHeightLgNeutralInverseGreen: 64;
+export declare const headerLogoContainerMaxHeightLgNeutralInverseRed: 64;
+export declare const headerLogoContainerMaxHeightLgNeutralInverseYellow: 64;
+export declare const headerLogoContainerMaxHeightLgSubtleBlue: 64;
+export declare const headerLogoContainerMaxHeightLgSubtleGreen: 64;
+export declare const headerLogoContainerMaxHeightLgSubtleRed: 64;
+export declare const headerLogoContainerMaxHeightLgSubtleYellow: 64;
+export declare const headerLogoContainerMaxHeightLgBoldBlue: 64;
+export declare const headerLogoContainerMaxHeightLgBoldGreen: 64;
+export declare const headerLogoContainerMaxHeightLgBoldRed: 64;
+export declare const headerLogoContainerMaxHeightLgBoldYellow: 64;
+export declare const headerLogoContainerMaxWidthLgNeutralBlue: 232;
+export declare const headerLogoContainerMaxWidthLgNeutralGreen: 232;
+export declare const headerLogoContainerMaxWidthLgNeutralRed: 232;
+export declare const headerLogoContainerMaxWidthLgNeutralYellow: 232;
+export declare const headerLogoContainerMaxWidthLgNeutralInverseBlue: 232;
+export declare const headerLogoContainerMaxWidthLgNeutralInverseGreen: 232;
+export declare const headerLogoContainerMaxWidthLgNeutralInverseRed: 232;
+export declare const headerLogoContainerMaxWidthLgNeutralInverseYellow: 232;
+export declare const headerLogoContainerMaxWidthLgSubtleBlue: 232;
+export declare const headerLogoContainerMaxWidthLgSubtleGreen: 232;
+export declare const headerLogoContainerMaxWidthLgSubtleRed: 232;
+export declare const headerLogoContainerMaxWidthLgSubtleYellow: 232;
+export declare const headerLogoContainerMaxWidthLgBoldBlue: 232;
+export declare const headerLogoContainerMaxWidthLgBoldGreen: 232;
+export declare const headerLogoContainerMaxWidthLgBoldRed: 232;
+export declare const headerLogoContainerMaxWidthLgBoldYellow: 232;
+export declare const headerLogoContainerPaddingBottomLgNeutralBlue: 12;
+export declare const headerLogoContainerPaddingBottomLgNeutralGreen: 12;
+export declare const headerLogoContainerPaddingBottomLgNeutralRed: 12;
+export declare const headerLogoContainerPaddingBottomLgNeutralYellow: 12;
+export declare const headerLogoContainerPaddingBottomLgNeutralInverseBlue: 12;
+export declare const headerLogoContainerPaddingBottomLgNeutralInverseGreen: 12;
+export declare const headerLogoContainerPaddingBottomLgNeutralInverseRed: 12;
+export declare const headerLogoContainerPaddingBottomLgNeutralInverseYellow: 12;
+export declare const headerLogoContainerPaddingBottomLgSubtleBlue: 12;
+export declare const headerLogoContainerPaddingBottomLgSubtleGreen: 12;
+export declare const headerLogoContainerPaddingBottomLgSubtleRed: 12;
+export declare const headerLogoContainerPaddingBottomLgSubtleYellow: 12;
+export declare const headerLogoContainerPaddingBottomLgBoldBlue: 12;
+export declare const headerLogoContainerPaddingBottomLgBoldGreen: 12;
+export declare const headerLogoContainerPaddingBottomLgBoldRed: 12;
+export declare const headerLogoContainerPaddingBottomLgBoldYellow: 12;
+export declare const headerLogoContainerPaddingBottomSmNeutralBlue: 8;
+export declare const headerLogoContainerPaddingBottomSmNeutralGreen: 8;
+export declare const headerLogoContainerPaddingBottomSmNeutralRed: 8;
+export declare const headerLogoContainerPaddingBottomSmNeutralYellow: 8;
+export declare const headerLogoContainerPaddingBottomSmNeutralInverseBlue: 8;
+export declare const headerLogoContainerPaddingBottomSmNeutralInverseGreen: 8;
+export declare const headerLogoContainerPaddingBottomSmNeutralInverseRed: 8;
+export declare const headerLogoContainerPaddingBottomSmNeutralInverseYellow: 8;
+export declare const headerLogoContainerPaddingBottomSmSubtleBlue: 8;
+export declare const headerLogoContainerPaddingBottomSmSubtleGreen: 8;
+export declare const headerLogoContainerPaddingBottomSmSubtleRed: 8;
+export declare const headerLogoContainerPaddingBottomSmSubtleYellow: 8;
+export declare const headerLogoContainerPaddingBottomSmBoldBlue: 8;
+export declare const headerLogoContainerPaddingBottomSmBoldGreen: 8;
+export declare const headerLogoContainerPaddingBottomSmBoldRed: 8;
+export declare const headerLogoContainerPaddingBottomSmBoldYellow: 8;
+export declare const headerLogoPrimaryMaxHeightSmNeutralBlue: 36;
+export declare const headerLogoPrimaryMaxHeightSmNeutralGreen: 36;
+export declare const headerLogoPrimaryMaxHeightSmNeutralRed: 36;
+export declare const headerLogoPrimaryMaxHeightSmNeutralYellow: 36;
+export declare const headerLogoPrimaryMaxHeightSmNeutralInverseBlue: 36;
+export declare const headerLogoPrimaryMaxHeightSmNeutralInverseGreen: 36;
+export declare const headerLogoPrimaryMaxHeightSmNeutralInverseRed: 36;
+export declare const headerLogoPrimaryMaxHeightSmNeutralInverseYellow: 36;
+export declare const headerLogoPrimaryMaxHeightSmSubtleBlue: 36;
+export declare const headerLogoPrimaryMaxHeightSmSubtleGreen: 36;
+export declare const headerLogoPrimaryMaxHeightSmSubtleRed: 36;
+export declare const headerLogoPrimaryMaxHeightSmSubtleYellow: 36;
+export declare const headerLogoPrimaryMaxHeightSmBoldBlue: 36;
+export declare const headerLogoPrimaryMaxHeightSmBoldGreen: 36;
+export declare const headerLogoPrimaryMaxHeightSmBoldRed: 36;
+export declare const headerLogoPrimaryMaxHeightSmBoldYellow: 36;
+export declare const headerLogoPrimaryMaxHeightLgNeutralBlue: 52;
+export declare const headerLogoPrimaryMaxHeightLgNeutralGreen: 52;
+export declare const headerLogoPrimaryMaxHeightLgNeutralRed: 52;
+export declare const headerLogoPrimaryMaxHeightLgNeutralYellow: 52;
+export declare const headerLogoPrimaryMaxHeightLgNeutralInverseBlue: 52;
+export declare const headerLogoPrimaryMaxHeightLgNeutralInverseGreen: 52;
+export declare const headerLogoPrimaryMaxHeightLgNeutralInverseRed: 52;
+export declare const headerLogoPrimaryMaxHeightLgNeutralInverseYellow: 52;
+export declare const headerLogoPrimaryMaxHeightLgSubtleBlue: 52;
+export declare const headerLogoPrimaryMaxHeightLgSubtleGreen: 52;
+export declare const headerLogoPrimaryMaxHeightLgSubtleRed: 52;
+export declare const headerLogoPrimaryMaxHeightLgSubtleYellow: 52;
+export declare const headerLogoPrimaryMaxHeightLgBoldBlue: 52;
+export declare const headerLogoPrimaryMaxHeightLgBoldGreen: 52;
+export declare const headerLogoPrimaryMaxHeightLgBoldRed: 52;
+export declare const headerLogoPrimaryMaxHeightLgBoldYellow: 52;
+export declare const headerLogoSecondaryHeightSmNeutralBlue: 25;
+export declare const headerLogoSecondaryHeightSmNeutralGreen: 25;
+export declare const headerLogoSecondaryHeightSmNeutralRed: 25;
+export declare const headerLogoSecondaryHeightSmNeutralYellow: 25;
+export declare const headerLogoSecondaryHeightSmNeutralInverseBlue: 25;
+export declare const headerLogoSecondaryHeightSmNeutralInverseGreen: 25;
+export declare const headerLogoSecondaryHeightSmNeutralInverseRed: 25;
+export declare const headerLogoSecondaryHeightSmNeutralInverseYellow: 25;
+export declare const headerLogoSecondaryHeightSmSubtleBlue: 25;
+export declare const headerLogoSecondaryHeightSmSubtleGreen: 25;
+export declare const headerLogoSecondaryHeightSmSubtleRed: 25;
+export declare const headerLogoSecondaryHeightSmSubtleYellow: 25;
+export declare const headerLogoSecondaryHeightSmBoldBlue: 25;
+export declare const headerLogoSecondaryHeightSmBoldGreen: 25;
+export declare const headerLogoSecondaryHeightSmBoldRed: 25;
+export declare const headerLogoSecondaryHeightSmBoldYellow: 25;
+export declare const headerLogoSecondaryHeightLgNeutralBlue: 36;
+export declare const headerLogoSecondaryHeightLgNeutralGreen: 36;
+export declare const headerLogoSecondaryHeightLgNeutralRed: 36;
+export declare const headerLogoSecondaryHeightLgNeutralYellow: 36;
+export declare const headerLogoSecondaryHeightLgNeutralInverseBlue: 36;
+export declare const headerLogoSecondaryHeightLgNeutralInverseGreen: 36;
+export declare const headerLogoSecondaryHeightLgNeutralInverseRed: 36;
+export declare const headerLogoSecondaryHeightLgNeutralInverseYellow: 36;
+export declare const headerLogoSecondaryHeightLgSubtleBlue: 36;
+export declare const headerLogoSecondaryHeightLgSubtleGreen: 36;
+export declare const headerLogoSecondaryHeightLgSubtleRed: 36;
+export declare const headerLogoSecondaryHeightLgSubtleYellow: 36;
+export declare const headerLogoSecondaryHeightLgBoldBlue: 36;
+export declare const headerLogoSecondaryHeightLgBoldGreen: 36;
+export declare const headerLogoSecondaryHeightLgBoldRed: 36;
+export declare const headerLogoSecondaryHeightLgBoldYellow: 36;
+export declare const headerLogoSecondaryMaxWidthSmNeutralBlue: 84;
+export declare const headerLogoSecondaryMaxWidthSmNeutralGreen: 84;
+export declare const headerLogoSecondaryMaxWidthSmNeutralRed: 84;
+export declare const headerLogoSecondaryMaxWidthSmNeutralYellow: 84;
+export declare const headerLogoSecondaryMaxWidthSmNeutralInverseBlue: 84;
+export declare const headerLogoSecondaryMaxWidthSmNeutralInverseGreen: 84;
+export declare const headerLogoSecondaryMaxWidthSmNeutralInverseRed: 84;
+export declare const headerLogoSecondaryMaxWidthSmNeutralInverseYellow: 84;
+export declare const headerLogoSecondaryMaxWidthSmSubtleBlue: 84;
+export declare const headerLogoSecondaryMaxWidthSmSubtleGreen: 84;
+export declare const headerLogoSecondaryMaxWidthSmSubtleRed: 84;
+export declare const headerLogoSecondaryMaxWidthSmSubtleYellow: 84;
+export declare const headerLogoSecondaryMaxWidthSmBoldBlue: 84;
+export declare const headerLogoSecondaryMaxWidthSmBoldGreen: 84;
+export declare const headerLogoSecondaryMaxWidthSmBoldRed: 84;
+export declare const headerLogoSecondaryMaxWidthSmBoldYellow: 84;
+export declare const headerLogoSecondaryMaxWidthLgNeutralBlue: 120;
+export declare const headerLogoSecondaryMaxWidthLgNeutralGreen: 120;
+export declare const headerLogoSecondaryMaxWidthLgNeutralRed: 120;
+export declare const headerLogoSecondaryMaxWidthLgNeutralYellow: 120;
+export declare const headerLogoSecondaryMaxWidthLgNeutralInverseBlue: 120;
+export declare const headerLogoSecondaryMaxWidthLgNeutralInverseGreen: 120;
+export declare const headerLogoSecondaryMaxWidthLgNeutralInverseRed: 120;
+export declare const headerLogoSecondaryMaxWidthLgNeutralInverseYellow: 120;
+export declare const headerLogoSecondaryMaxWidthLgSubtleBlue: 120;
+export declare const headerLogoSecondaryMaxWidthLgSubtleGreen: 120;
+export declare const headerLogoSecondaryMaxWidthLgSubtleRed: 120;
+export declare const headerLogoSecondaryMaxWidthLgSubtleYellow: 120;
+export declare const headerLogoSecondaryMaxWidthLgBoldBlue: 120;
+export declare const headerLogoSecondaryMaxWidthLgBoldGreen: 120;
+export declare const headerLogoSecondaryMaxWidthLgBoldRed: 120;
+export declare const headerLogoSecondaryMaxWidthLgBoldYellow: 120;
+export declare const headerButtonPaddingDefaultXNeutralBlue: 12;
+export declare const headerButtonPaddingDefaultXNeutralGreen: 12;
+export declare const headerButtonPaddingDefaultXNeutralRed: 12;
+export declare const headerButtonPaddingDefaultXNeutralYellow: 12;
+export declare const headerButtonPaddingDefaultXNeutralInverseBlue: 12;
+export declare const headerButtonPaddingDefaultXNeutralInverseGreen: 12;
+export declare const headerButtonPaddingDefaultXNeutralInverseRed: 12;
+export declare const headerButtonPaddingDefaultXNeutralInverseYellow: 12;
+export declare const headerButtonPaddingDefaultXSubtleBlue: 12;
+export declare const headerButtonPaddingDefaultXSubtleGreen: 12;
+export declare const headerButtonPaddingDefaultXSubtleRed: 12;
+export declare const headerButtonPaddingDefaultXSubtleYellow: 12;
+export declare const headerButtonPaddingDefaultXBoldBlue: 12;
+export declare const headerButtonPaddingDefaultXBoldGreen: 12;
+export declare const headerButtonPaddingDefaultXBoldRed: 12;
+export declare const headerButtonPaddingDefaultXBoldYellow: 12;
+export declare const headerButtonPaddingSmallXNeutralBlue: 8;
+export declare const headerButtonPaddingSmallXNeutralGreen: 8;
+export declare const headerButtonPaddingSmallXNeutralRed: 8;
+export declare const headerButtonPaddingSmallXNeutralYellow: 8;
+export declare const headerButtonPaddingSmallXNeutralInverseBlue: 8;
+export declare const headerButtonPaddingSmallXNeutralInverseGreen: 8;
+export declare const headerButtonPaddingSmallXNeutralInverseRed: 8;
+export declare const headerButtonPaddingSmallXNeutralInverseYellow: 8;
+export declare const headerButtonPaddingSmallXSubtleBlue: 8;
+export declare const headerButtonPaddingSmallXSubtleGreen: 8;
+export declare const headerButtonPaddingSmallXSubtleRed: 8;
+export declare const headerButtonPaddingSmallXSubtleYellow: 8;
+export declare const headerButtonPaddingSmallXBoldBlue: 8;
+export declare const headerButtonPaddingSmallXBoldGreen: 8;
+export declare const headerButtonPaddingSmallXBoldRed: 8;
+export declare const headerButtonPaddingSmallXBoldYellow: 8;
+export declare const headerButtonPaddingYNeutralBlue: 12;
+export declare const headerButtonPaddingYNeutralGreen: 12;
+export declare const headerButtonPaddingYNeutralRed: 12;
+export declare const headerButtonPaddingYNeutralYellow: 12;
+export declare const headerButtonPaddingYNeutralInverseBlue: 12;
+export declare const headerButtonPaddingYNeutralInverseGreen: 12;
+export declare const headerButtonPaddingYNeutralInverseRed: 12;
+export declare const headerButtonPaddingYNeutralInverseYellow: 12;
+export declare const headerButtonPaddingYSubtleBlue: 12;
+export declare const headerButtonPaddingYSubtleGreen: 12;
+export declare const headerButtonPaddingYSubtleRed: 12;
+export declare const headerButtonPaddingYSubtleYellow: 12;
+export declare const headerButtonPaddingYBoldBlue: 12;
+export declare const headerButtonPaddingYBoldGreen: 12;
+export declare const headerButtonPaddingYBoldRed: 12;
+export declare const headerButtonPaddingYBoldYellow: 12;
+export declare const headerButtonBorderRadiusNeutralBlue: 12;
+export declare const headerButtonBorderRadiusNeutralGreen: 12;
+export declare const headerButtonBorderRadiusNeutralRed: 12;
+export declare const headerButtonBorderRadiusNeutralYellow: 12;
+export declare const headerButtonBorderRadiusNeutralInverseBlue: 12;
+export declare const headerButtonBorderRadiusNeutralInverseGreen: 12;
+export declare const headerButtonBorderRadiusNeutralInverseRed: 12;
+export declare const headerButtonBorderRadiusNeutralInverseYellow: 12;
+export declare const headerButtonBorderRadiusSubtleBlue: 12;
+export declare const headerButtonBorderRadiusSubtleGreen: 12;
+export declare const headerButtonBorderRadiusSubtleRed: 12;
+export declare const headerButtonBorderRadiusSubtleYellow: 12;
+export declare const headerButtonBorderRadiusBoldBlue: 12;
+export declare const headerButtonBorderRadiusBoldGreen: 12;
+export declare const headerButtonBorderRadiusBoldRed: 12;
+export declare const headerButtonBorderRadiusBoldYellow: 12;
+export declare const headerButtonBorderWidthFocusNeutralBlue: 3;
+export declare const headerButtonBorderWidthFocusNeutralGreen: 3;
+export declare const headerButtonBorderWidthFocusNeutralRed: 3;
+export declare const headerButtonBorderWidthFocusNeutralYellow: 3;
+export declare const headerButtonBorderWidthFocusNeutralInverseBlue: 3;
+export declare const headerButtonBorderWidthFocusNeutralInverseGreen: 3;
+export declare const headerButtonBorderWidthFocusNeutralInverseRed: 3;
+export declare const headerButtonBorderWidthFocusNeutralInverseYellow: 3;
+export declare const headerButtonBorderWidthFocusSubtleBlue: 3;
+export declare const headerButtonBorderWidthFocusSubtleGreen: 3;
+export declare const headerButtonBorderWidthFocusSubtleRed: 3;
+export declare const headerButtonBorderWidthFocusSubtleYellow: 3;
+export declare const headerButtonBorderWidthFocusBoldBlue: 3;
+export declare const headerButtonBorderWidthFocusBoldGreen: 3;
+export declare const headerButtonBorderWidthFocusBoldRed: 3;
+export declare const headerButtonBorderWidthFocusBoldYellow: 3;
+export declare const headerButtonIconSizeNeutralBlue: 24;
+export declare const headerButtonIconSizeNeutralGreen: 24;
+export declare const headerButtonIconSizeNeutralRed: 24;
+export declare const headerButtonIconSizeNeutralYellow: 24;
+export declare const headerButtonIconSizeNeutralInverseBlue: 24;
+export declare const headerButtonIconSizeNeutralInverseGreen: 24;
+export declare const headerButtonIconSizeNeutralInverseRed: 24;
+export declare const headerButtonIconSizeNeutralInverseYellow: 24;
+export declare const headerButtonIconSizeSubtleBlue: 24;
+export declare const headerButtonIconSizeSubtleGreen: 24;
+export declare const headerButtonIconSizeSubtleRed: 24;
+export declare const headerButtonIconSizeSubtleYellow: 24;
+export declare const headerButtonIconSizeBoldBlue: 24;
+export declare const headerButtonIconSizeBoldGreen: 24;
+export declare const headerButtonIconSizeBoldRed: 24;
+export declare const headerButtonIconSizeBoldYellow: 24;
+export declare const headerButtonGapNeutralBlue: 8;
+export declare const headerButtonGapNeutralGreen: 8;
+export declare const headerButtonGapNeutralRed: 8;
+export declare const headerButtonGapNeutralYellow: 8;
+export declare const headerButtonGapNeutralInverseBlue: 8;
+export declare const headerButtonGapNeutralInverseGreen: 8;
+export declare const headerButtonGapNeutralInverseRed: 8;
+export declare const headerButtonGapNeutralInverseYellow: 8;
+export declare const headerButtonGapSubtleBlue: 8;
+export declare const headerButtonGapSubtleGreen: 8;
+export declare const headerButtonGapSubtleRed: 8;
+export declare const headerButtonGapSubtleYellow: 8;
+export declare const headerButtonGapBoldBlue: 8;
+export declare const headerButtonGapBoldGreen: 8;
+export declare const headerButtonGapBoldRed: 8;
+export declare const headerButtonGapBoldYellow: 8;
+export declare const headerButtonTextLabelHeightNeutralBlue: 22;
+export declare const headerButtonTextLabelHeightNeutralGreen: 22;
+export declare const headerButtonTextLabelHeightNeutralRed: 22;
+export declare const headerButtonTextLabelHeightNeutralYellow: 22;
+export declare const headerButtonTextLabelHeightNeutralInverseBlue: 22;
+export declare const headerButtonTextLabelHeightNeutralInverseGreen: 22;
+export declare const headerButtonTextLabelHeightNeutralInverseRed: 22;
+export declare const headerButtonTextLabelHeightNeutralInverseYellow: 22;
+export declare const headerButtonTextLabelHeightSubtleBlue: 22;
+export declare const headerButtonTextLabelHeightSubtleGreen: 22;
+export declare const headerButtonTextLabelHeightSubtleRed: 22;
+export declare const headerButtonTextLabelHeightSubtleYellow: 22;
+export declare const headerButtonTextLabelHeightBoldBlue: 22;
+export declare const headerButtonTextLabelHeightBoldGreen: 22;
+export declare const headerButtonTextLabelHeightBoldRed: 22;
+export declare const headerButtonTextLabelHeightBoldYellow: 22;
+export declare const headerButtonTextIconLabelHeightNeutralBlue: 14;
+export declare const headerButtonTextIconLabelHeightNeutralGreen: 14;
+export declare const headerButtonTextIconLabelHeightNeutralRed: 14;
+export declare const headerButtonTextIconLabelHeightNeutralYellow: 14;
+export declare const headerButtonTextIconLabelHeightNeutralInverseBlue: 14;
+export declare const headerButtonTextIconLabelHeightNeutralInverseGreen: 14;
+export declare const headerButtonTextIconLabelHeightNeutralInverseRed: 14;
+export declare const headerButtonTextIconLabelHeightNeutralInverseYellow: 14;
+export declare const headerButtonTextIconLabelHeightSubtleBlue: 14;
+export declare const headerButtonTextIconLabelHeightSubtleGreen: 14;
+export declare const headerButtonTextIconLabelHeightSubtleRed: 14;
+export declare const headerButtonTextIconLabelHeightSubtleYellow: 14;
+export declare const headerButtonTextIconLabelHeightBoldBlue: 14;
+export declare const headerButtonTextIconLabelHeightBoldGreen: 14;
+export declare const headerButtonTextIconLabelHeightBoldRed: 14;
+export declare const headerButtonTextIconLabelHeightBoldYellow: 14;
+export declare const headerButtonMinHeightNeutralBlue: 48;
+export declare const headerButtonMinHeightNeutralGreen: 48;
+export declare const headerButtonMinHeightNeutralRed: 48;
+export declare const headerButtonMinHeightNeutralYellow: 48;
+export declare const headerButtonMinHeightNeutralInverseBlue: 48;
+export declare const headerButtonMinHeightNeutralInverseGreen: 48;
+export declare const headerButtonMinHeightNeutralInverseRed: 48;
+export declare const headerButtonMinHeightNeutralInverseYellow: 48;
+export declare const headerButtonMinHeightSubtleBlue: 48;
+export declare const headerButtonMinHeightSubtleGreen: 48;
+export declare const headerButtonMinHeightSubtleRed: 48;
+export declare const headerButtonMinHeightSubtleYellow: 48;
+export declare const headerButtonMinHeightBoldBlue: 48;
+export declare const headerButtonMinHeightBoldGreen: 48;
+export declare const headerButtonMinHeightBoldRed: 48;
+export declare const headerButtonMinHeightBoldYellow: 48;
+export declare const headerButtonMinWidthNeutralBlue: 48;
+export declare const headerButtonMinWidthNeutralGreen: 48;
+export declare const headerButtonMinWidthNeutralRed: 48;
+export declare const headerButtonMinWidthNeutralYellow: 48;
+export declare const headerButtonMinWidthNeutralInverseBlue: 48;
+export declare const headerButtonMinWidthNeutralInverseGreen: 48;
+export declare const headerButtonMinWidthNeutralInverseRed: 48;
+export declare const headerButtonMinWidthNeutralInverseYellow: 48;
+export declare const headerButtonMinWidthSubtleBlue: 48;
+export declare const headerButtonMinWidthSubtleGreen: 48;
+export declare const headerButtonMinWidthSubtleRed: 48;
+export declare const headerButtonMinWidthSubtleYellow: 48;
+export declare const headerButtonMinWidthBoldBlue: 48;
+export declare const headerButtonMinWidthBoldGreen: 48;
+export declare const headerButtonMinWidthBoldRed: 48;
+export declare const headerButtonMinWidthBoldYellow: 48;
+export declare const headerButtonRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const headerButtonRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const headerButtonRestBackgroundColourNeutralRed: "#ffffff";
+export declare const headerButtonRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const headerButtonRestBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const headerButtonRestBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const headerButtonRestBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const headerButtonRestBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const headerButtonRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const headerButtonRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const headerButtonRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const headerButtonRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const headerButtonRestBackgroundColourBoldBlue: "#005dba";
+export declare const headerButtonRestBackgroundColourBoldGreen: "#00633d";
+export declare const headerButtonRestBackgroundColourBoldRed: "#c50b30";
+export declare const headerButtonRestBackgroundColourBoldYellow: "#ffb600";
+export declare const headerButtonRestColourNeutralBlue: "#1d1d1b";
+export declare const headerButtonRestColourNeutralGreen: "#1d1d1b";
+export declare const headerButtonRestColourNeutralRed: "#1d1d1b";
+export declare const headerButtonRestColourNeutralYellow: "#000000";
+export declare const headerButtonRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const headerButtonRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const headerButtonRestColourNeutralInverseRed: "#1d1d1b";
+export declare const headerButtonRestColourNeutralInverseYellow: "#000000";
+export declare const headerButtonRestColourSubtleBlue: "#1d1d1b";
+export declare const headerButtonRestColourSubtleGreen: "#1d1d1b";
+export declare const headerButtonRestColourSubtleRed: "#1d1d1b";
+export declare const headerButtonRestColourSubtleYellow: "#000000";
+export declare const headerButtonRestColourBoldBlue: "#ffffff";
+export declare const headerButtonRestColourBoldGreen: "#ffffff";
+export declare const headerButtonRestColourBoldRed: "#ffffff";
+export declare const headerButtonRestColourBoldYellow: "#1d1d1b";
+export declare const headerButtonRestHoverIndicatorNeutralBlue: "#ffffff";
+export declare const headerButtonRestHoverIndicatorNeutralGreen: "#ffffff";
+export declare const headerButtonRestHoverIndicatorNeutralRed: "#ffffff";
+export declare const headerButtonRestHoverIndicatorNeutralYellow: "#ffffff";
+export declare const headerButtonRestHoverIndicatorNeutralInverseBlue: "#f4f4f4";
+export declare const headerButtonRestHoverIndicatorNeutralInverseGreen: "#f4f4f4";
+export declare const headerButtonRestHoverIndicatorNeutralInverseRed: "#f4f4f4";
+export declare const headerButtonRestHoverIndicatorNeutralInverseYellow: "#f4f4f4";
+export declare const headerButtonRestHoverIndicatorSubtleBlue: "#aee1f7";
+export declare const headerButtonRestHoverIndicatorSubtleGreen: "#caeedd";
+export declare const headerButtonRestHoverIndicatorSubtleRed: "#ffd5d2";
+export declare const headerButtonRestHoverIndicatorSubtleYellow: "#fff9c7";
+export declare const headerButtonRestHoverIndicatorBoldBlue: "#005dba";
+export declare const headerButtonRestHoverIndicatorBoldGreen: "#00633d";
+export declare const headerButtonRestHoverIndicatorBoldRed: "#c50b30";
+export declare const headerButtonRestHoverIndicatorBoldYellow: "#ffb600";
+export declare const headerButtonHoverBackgroundColourNeutralBlue: "#aee1f7";
+export declare const headerButtonHoverBackgroundColourNeutralGreen: "#caeedd";
+export declare const headerButtonHoverBackgroundColourNeutralRed: "#ffd5d2";
+export declare const headerButtonHoverBackgroundColourNeutralYellow: "#fff9c7";
+export declare const headerButtonHoverBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const headerButtonHoverBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const headerButtonHoverBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const headerButtonHoverBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const headerButtonHoverBackgroundColourSubtleBlue: "#42aeea";
+export declare const headerButtonHoverBackgroundColourSubtleGreen: "#43af6e";
+export declare const headerButtonHoverBackgroundColourSubtleRed: "#ff3e51";
+export declare const headerButtonHoverBackgroundColourSubtleYellow: "#ffe969";
+export declare const headerButtonHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const headerButtonHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const headerButtonHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const headerButtonHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const headerButtonHoverColourNeutralBlue: "#1d1d1b";
+export declare const headerButtonHoverColourNeutralGreen: "#1d1d1b";
+export declare const headerButtonHoverColourNeutralRed: "#1d1d1b";
+export declare const headerButtonHoverColourNeutralYellow: "#000000";
+export declare const headerButtonHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const headerButtonHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const headerButtonHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const headerButtonHoverColourNeutralInverseYellow: "#000000";
+export declare const headerButtonHoverColourSubtleBlue: "#1d1d1b";
+export declare const headerButtonHoverColourSubtleGreen: "#1d1d1b";
+export declare const headerButtonHoverColourSubtleRed: "#1d1d1b";
+export declare const headerButtonHoverColourSubtleYellow: "#000000";
+export declare const headerButtonHoverColourBoldBlue: "#1d1d1b";
+export declare const headerButtonHoverColourBoldGreen: "#1d1d1b";
+export declare const headerButtonHoverColourBoldRed: "#1d1d1b";
+export declare const headerButtonHoverColourBoldYellow: "#000000";
+export declare const headerButtonHoverHoverIndicatorNeutralBlue: "#001d6e";
+export declare const headerButtonHoverHoverIndicatorNeutralGreen: "#01312e";
+export declare const headerButtonHoverHoverIndicatorNeutralRed: "#480411";
+export declare const headerButtonHoverHoverIndicatorNeutralYellow: "#572722";
+export declare const headerButtonHoverHoverIndicatorNeutralInverseBlue: "#001d6e";
+export declare const headerButtonHoverHoverIndicatorNeutralInverseGreen: "#01312e";
+export declare const headerButtonHoverHoverIndicatorNeutralInverseRed: "#480411";
+export declare const headerButtonHoverHoverIndicatorNeutralInverseYellow: "#572722";
+export declare const headerButtonHoverHoverIndicatorSubtleBlue: "#001d6e";
+export declare const headerButtonHoverHoverIndicatorSubtleGreen: "#01312e";
+export declare const headerButtonHoverHoverIndicatorSubtleRed: "#480411";
+export declare const headerButtonHoverHoverIndicatorSubtleYellow: "#572722";
+export declare const headerButtonHoverHoverIndicatorBoldBlue: "#001d6e";
+export declare const headerButtonHoverHoverIndicatorBoldGreen: "#01312e";
+export declare const headerButtonHoverHoverIndicatorBoldRed: "#480411";
+export declare const headerButtonHoverHoverIndicatorBoldYellow: "#572722";
+export declare const headerButtonActiveBackgroundColourNeutralBlue: "#005dba";
+export declare const headerButtonActiveBackgroundColourNeutralGreen: "#00633d";
+export declare const headerButtonActiveBackgroundColourNeutralRed: "#c50b30";
+export declare const headerButtonActiveBackgroundColourNeutralYellow: "#ffb600";
+export declare const headerButtonActiveBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const headerButtonActiveBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const headerButtonActiveBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const headerButtonActiveBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const headerButtonActiveBackgroundColourSubtleBlue: "#005dba";
+export declare const headerButtonActiveBackgroundColourSubtleGreen: "#00633d";
+export declare const headerButtonActiveBackgroundColourSubtleRed: "#c50b30";
+export declare const headerButtonActiveBackgroundColourSubtleYellow: "#ffb600";
+export declare const headerButtonActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const headerButtonActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const headerButtonActiveBackgroundColourBoldRed: "#ffffff";
+export declare const headerButtonActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const headerButtonActiveColourNeutralBlue: "#ffffff";
+export declare const headerButtonActiveColourNeutralGreen: "#ffffff";
+export declare const headerButtonActiveColourNeutralRed: "#ffffff";
+export declare const headerButtonActiveColourNeutralYellow: "#1d1d1b";
+export declare const headerButtonActiveColourNeutralInverseBlue: "#ffffff";
+export declare const headerButtonActiveColourNeutralInverseGreen: "#ffffff";
+export declare const headerButtonActiveColourNeutralInverseRed: "#ffffff";
+export declare const headerButtonActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const headerButtonActiveColourSubtleBlue: "#ffffff";
+export declare const headerButtonActiveColourSubtleGreen: "#ffffff";
+export declare const headerButtonActiveColourSubtleRed: "#ffffff";
+export declare const headerButtonActiveColourSubtleYellow: "#1d1d1b";
+export declare const headerButtonActiveColourBoldBlue: "#1d1d1b";
+export declare const headerButtonActiveColourBoldGreen: "#1d1d1b";
+export declare const headerButtonActiveColourBoldRed: "#1d1d1b";
+export declare const headerButtonActiveColourBoldYellow: "#000000";
+export declare const headerButtonActiveHoverIndicatorNeutralBlue: "#005dba";
+export declare const headerButtonActiveHoverIndicatorNeutralGreen: "#00633d";
+export declare const headerButtonActiveHoverIndicatorNeutralRed: "#c50b30";
+export declare const headerButtonActiveHoverIndicatorNeutralYellow: "#ffb600";
+export declare const headerButtonActiveHoverIndicatorNeutralInverseBlue: "#005dba";
+export declare const headerButtonActiveHoverIndicatorNeutralInverseGreen: "#00633d";
+export declare const headerButtonActiveHoverIndicatorNeutralInverseRed: "#c50b30";
+export declare const headerButtonActiveHoverIndicatorNeutralInverseYellow: "#ffb600";
+export declare const headerButtonActiveHoverIndicatorSubtleBlue: "#005dba";
+export declare const headerButtonActiveHoverIndicatorSubtleGreen: "#00633d";
+export declare const headerButtonActiveHoverIndicatorSubtleRed: "#c50b30";
+export declare const headerButtonActiveHoverIndicatorSubtleYellow: "#ffb600";
+export declare const headerButtonActiveHoverIndicatorBoldBlue: "#ffffff";
+export declare const headerButtonActiveHoverIndicatorBoldGreen: "#ffffff";
+export declare const headerButtonActiveHoverIndicatorBoldRed: "#ffffff";
+export declare const headerButtonActiveHoverIndicatorBoldYellow: "#ffffff";
+export declare const headerButtonFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const headerButtonFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const headerButtonFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const headerButtonFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const headerButtonFocusBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const headerButtonFocusBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const headerButtonFocusBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const headerButtonFocusBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const headerButtonFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const headerButtonFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const headerButtonFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const headerButtonFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const headerButtonFocusBackgroundColourBoldBlue: "#005dba";
+export declare const headerButtonFocusBackgroundColourBoldGreen: "#00633d";
+export declare const headerButtonFocusBackgroundColourBoldRed: "#c50b30";
+export declare const headerButtonFocusBackgroundColourBoldYellow: "#ffb600";
+export declare const headerButtonFocusBorderColourNeutralBlue: "#ffffff";
+export declare const headerButtonFocusBorderColourNeutralGreen: "#ffffff";
+export declare const headerButtonFocusBorderColourNeutralRed: "#ffffff";
+export declare const headerButtonFocusBorderColourNeutralYellow: "#ffffff";
+export declare const headerButtonFocusBorderColourNeutralInverseBlue: "#f4f4f4";
+export declare const headerButtonFocusBorderColourNeutralInverseGreen: "#f4f4f4";
+export declare const headerButtonFocusBorderColourNeutralInverseRed: "#f4f4f4";
+export declare const headerButtonFocusBorderColourNeutralInverseYellow: "#f4f4f4";
+export declare const headerButtonFocusBorderColourSubtleBlue: "#aee1f7";
+export declare const headerButtonFocusBorderColourSubtleGreen: "#caeedd";
+export declare const headerButtonFocusBorderColourSubtleRed: "#ffd5d2";
+export declare const headerButtonFocusBorderColourSubtleYellow: "#fff9c7";
+export declare const headerButtonFocusBorderColourBoldBlue: "#005dba";
+export declare const headerButtonFocusBorderColourBoldGreen: "#00633d";
+export declare const headerButtonFocusBorderColourBoldRed: "#c50b30";
+export declare const headerButtonFocusBorderColourBoldYellow: "#ffb600";
+export declare const headerButtonFocusColourNeutralBlue: "#1d1d1b";
+export declare const headerButtonFocusColourNeutralGreen: "#1d1d1b";
+export declare const headerButtonFocusColourNeutralRed: "#1d1d1b";
+export declare const headerButtonFocusColourNeutralYellow: "#000000";
+export declare const headerButtonFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const headerButtonFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const headerButtonFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const headerButtonFocusColourNeutralInverseYellow: "#000000";
+export declare const headerButtonFocusColourSubtleBlue: "#1d1d1b";
+export declare const headerButtonFocusColourSubtleGreen: "#1d1d1b";
+export declare const headerButtonFocusColourSubtleRed: "#1d1d1b";
+export declare const headerButtonFocusColourSubtleYellow: "#000000";
+export declare const headerButtonFocusColourBoldBlue: "#ffffff";
+export declare const headerButtonFocusColourBoldGreen: "#ffffff";
+export declare const headerButtonFocusColourBoldRed: "#ffffff";
+export declare const headerButtonFocusColourBoldYellow: "#1d1d1b";
+export declare const notificationBadgeBackgroundColourNeutralBlue: "#005dba";
+export declare const notificationBadgeBackgroundColourNeutralGreen: "#00633d";
+export declare const notificationBadgeBackgroundColourNeutralRed: "#c50b30";
+export declare const notificationBadgeBackgroundColourNeutralYellow: "#ffb600";
+export declare const notificationBadgeBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const notificationBadgeBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const notificationBadgeBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const notificationBadgeBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const notificationBadgeBackgroundColourSubtleBlue: "#005dba";
+export declare const notificationBadgeBackgroundColourSubtleGreen: "#00633d";
+export declare const notificationBadgeBackgroundColourSubtleRed: "#c50b30";
+export declare const notificationBadgeBackgroundColourSubtleYellow: "#ffb600";
+export declare const notificationBadgeBackgroundColourBoldBlue: "#ffffff";
+export declare const notificationBadgeBackgroundColourBoldGreen: "#ffffff";
+export declare const notificationBadgeBackgroundColourBoldRed: "#ffffff";
+export declare const notificationBadgeBackgroundColourBoldYellow: "#ffffff";
+export declare const notificationBadgeColourNeutralBlue: "#ffffff";
+export declare const notificationBadgeColourNeutralGreen: "#ffffff";
+export declare const notificationBadgeColourNeutralRed: "#ffffff";
+export declare const notificationBadgeColourNeutralYellow: "#1d1d1b";
+export declare const notificationBadgeColourNeutralInverseBlue: "#ffffff";
+export declare const notificationBadgeColourNeutralInverseGreen: "#ffffff";
+export declare const notificationBadgeColourNeutralInverseRed: "#ffffff";
+export declare const notificationBadgeColourNeutralInverseYellow: "#1d1d1b";
+export declare const notificationBadgeColourSubtleBlue: "#ffffff";
+export declare const notificationBadgeColourSubtleGreen: "#ffffff";
+export declare const notificationBadgeColourSubtleRed: "#ffffff";
+export declare const notificationBadgeColourSubtleYellow: "#1d1d1b";
+export declare const notificationBadgeColourBoldBlue: "#1d1d1b";
+export declare const notificationBadgeColourBoldGreen: "#1d1d1b";
+export declare const notificationBadgeColourBoldRed: "#1d1d1b";
+export declare const notificationBadgeColourBoldYellow: "#1d1d1b";
+export declare const notificationBadgeBorderRadiusNeutralBlue: 16;
+export declare const notificationBadgeBorderRadiusNeutralGreen: 16;
+export declare const notificationBadgeBorderRadiusNeutralRed: 16;
+export declare const notificationBadgeBorderRadiusNeutralYellow: 16;
+export declare const notificationBadgeBorderRadiusNeutralInverseBlue: 16;
+export declare const notificationBadgeBorderRadiusNeutralInverseGreen: 16;
+export declare const notificationBadgeBorderRadiusNeutralInverseRed: 16;
+export declare const notificationBadgeBorderRadiusNeutralInverseYellow: 16;
+export declare const notificationBadgeBorderRadiusSubtleBlue: 16;
+export declare const notificationBadgeBorderRadiusSubtleGreen: 16;
+export declare const notificationBadgeBorderRadiusSubtleRed: 16;
+export declare const notificationBadgeBorderRadiusSubtleYellow: 16;
+export declare const notificationBadgeBorderRadiusBoldBlue: 16;
+export declare const notificationBadgeBorderRadiusBoldGreen: 16;
+export declare const notificationBadgeBorderRadiusBoldRed: 16;
+export declare const notificationBadgeBorderRadiusBoldYellow: 16;
+export declare const notificationBadgeHeightNeutralBlue: 16;
+export declare const notificationBadgeHeightNeutralGreen: 16;
+export declare const notificationBadgeHeightNeutralRed: 16;
+export declare const notificationBadgeHeightNeutralYellow: 16;
+export declare const notificationBadgeHeightNeutralInverseBlue: 16;
+export declare const notificationBadgeHeightNeutralInverseGreen: 16;
+export declare const notificationBadgeHeightNeutralInverseRed: 16;
+export declare const notificationBadgeHeightNeutralInverseYellow: 16;
+export declare const notificationBadgeHeightSubtleBlue: 16;
+export declare const notificationBadgeHeightSubtleGreen: 16;
+export declare const notificationBadgeHeightSubtleRed: 16;
+export declare const notificationBadgeHeightSubtleYellow: 16;
+export declare const notificationBadgeHeightBoldBlue: 16;
+export declare const notificationBadgeHeightBoldGreen: 16;
+export declare const notificationBadgeHeightBoldRed: 16;
+export declare const notificationBadgeHeightBoldYellow: 16;
+export declare const notificationBadgeMinWidthNeutralBlue: 16;
+export declare const notificationBadgeMinWidthNeutralGreen: 16;
+export declare const notificationBadgeMinWidthNeutralRed: 16;
+export declare const notificationBadgeMinWidthNeutralYellow: 16;
+export declare const notificationBadgeMinWidthNeutralInverseBlue: 16;
+export declare const notificationBadgeMinWidthNeutralInverseGreen: 16;
+export declare const notificationBadgeMinWidthNeutralInverseRed: 16;
+export declare const notificationBadgeMinWidthNeutralInverseYellow: 16;
+export declare const notificationBadgeMinWidthSubtleBlue: 16;
+export declare const notificationBadgeMinWidthSubtleGreen: 16;
+export declare const notificationBadgeMinWidthSubtleRed: 16;
+export declare const notificationBadgeMinWidthSubtleYellow: 16;
+export declare const notificationBadgeMinWidthBoldBlue: 16;
+export declare const notificationBadgeMinWidthBoldGreen: 16;
+export declare const notificationBadgeMinWidthBoldRed: 16;
+export declare const notificationBadgeMinWidthBoldYellow: 16;
+export declare const notificationBadgePaddingNeutralBlue: 4;
+export declare const notificationBadgePaddingNeutralGreen: 4;
+export declare const notificationBadgePaddingNeutralRed: 4;
+export declare const notificationBadgePaddingNeutralYellow: 4;
+export declare const notificationBadgePaddingNeutralInverseBlue: 4;
+export declare const notificationBadgePaddingNeutralInverseGreen: 4;
+export declare const notificationBadgePaddingNeutralInverseRed: 4;
+export declare const notificationBadgePaddingNeutralInverseYellow: 4;
+export declare const notificationBadgePaddingSubtleBlue: 4;
+export declare const notificationBadgePaddingSubtleGreen: 4;
+export declare const notificationBadgePaddingSubtleRed: 4;
+export declare const notificationBadgePaddingSubtleYellow: 4;
+export declare const notificationBadgePaddingBoldBlue: 4;
+export declare const notificationBadgePaddingBoldGreen: 4;
+export declare const notificationBadgePaddingBoldRed: 4;
+export declare const notificationBadgePaddingBoldYellow: 4;
+export declare const dataPointGapNeutralBlue: 4;
+export declare const dataPointGapNeutralGreen: 4;
+export declare const dataPointGapNeutralRed: 4;
+export declare const dataPointGapNeutralYellow: 4;
+export declare const dataPointGapNeutralInverseBlue: 4;
+export declare const dataPointGapNeutralInverseGreen: 4;
+export declare const dataPointGapNeutralInverseRed: 4;
+export declare const dataPointGapNeutralInverseYellow: 4;
+export declare const dataPointGapSubtleBlue: 4;
+export declare const dataPointGapSubtleGreen: 4;
+export declare const dataPointGapSubtleRed: 4;
+export declare const dataPointGapSubtleYellow: 4;
+export declare const dataPointGapBoldBlue: 4;
+export declare const dataPointGapBoldGreen: 4;
+export declare const dataPointGapBoldRed: 4;
+export declare const dataPointGapBoldYellow: 4;
+export declare const dataPointLabelColourNeutralBlue: "#4d4f4f";
+export declare const dataPointLabelColourNeutralGreen: "#4d4f4f";
+export declare const dataPointLabelColourNeutralRed: "#4d4f4f";
+export declare const dataPointLabelColourNeutralYellow: "#4d4f4f";
+export declare const dataPointLabelColourNeutralInverseBlue: "#4d4f4f";
+export declare const dataPointLabelColourNeutralInverseGreen: "#4d4f4f";
+export declare const dataPointLabelColourNeutralInverseRed: "#4d4f4f";
+export declare const dataPointLabelColourNeutralInverseYellow: "#4d4f4f";
+export declare const dataPointLabelColourSubtleBlue: "#1d1d1b";
+export declare const dataPointLabelColourSubtleGreen: "#1d1d1b";
+export declare const dataPointLabelColourSubtleRed: "#1d1d1b";
+export declare const dataPointLabelColourSubtleYellow: "#1d1d1b";
+export declare const dataPointLabelColourBoldBlue: "#d2effb";
+export declare const dataPointLabelColourBoldGreen: "#dff6eb";
+export declare const dataPointLabelColourBoldRed: "#ffd5d2";
+export declare const dataPointLabelColourBoldYellow: "#572722";
+export declare const dataPointValueColourNeutralBlue: "#1d1d1b";
+export declare const dataPointValueColourNeutralGreen: "#1d1d1b";
+export declare const dataPointValueColourNeutralRed: "#1d1d1b";
+export declare const dataPointValueColourNeutralYellow: "#1d1d1b";
+export declare const dataPointValueColourNeutralInverseBlue: "#1d1d1b";
+export declare const dataPointValueColourNeutralInverseGreen: "#1d1d1b";
+export declare const dataPointValueColourNeutralInverseRed: "#1d1d1b";
+export declare const dataPointValueColourNeutralInverseYellow: "#1d1d1b";
+export declare const dataPointValueColourSubtleBlue: "#1d1d1b";
+export declare const dataPointValueColourSubtleGreen: "#1d1d1b";
+export declare const dataPointValueColourSubtleRed: "#1d1d1b";
+export declare const dataPointValueColourSubtleYellow: "#1d1d1b";
+export declare const dataPointValueColourBoldBlue: "#ffffff";
+export declare const dataPointValueColourBoldGreen: "#ffffff";
+export declare const dataPointValueColourBoldRed: "#ffffff";
+export declare const dataPointValueColourBoldYellow: "#1d1d1b";
+export declare const dataPointGroupColumnGapNeutralBlue: 36;
+export declare const dataPointGroupColumnGapNeutralGreen: 36;
+export declare const dataPointGroupColumnGapNeutralRed: 36;
+export declare const dataPointGroupColumnGapNeutralYellow: 36;
+export declare const dataPointGroupColumnGapNeutralInverseBlue: 36;
+export declare const dataPointGroupColumnGapNeutralInverseGreen: 36;
+export declare const dataPointGroupColumnGapNeutralInverseRed: 36;
+export declare const dataPointGroupColumnGapNeutralInverseYellow: 36;
+export declare const dataPointGroupColumnGapSubtleBlue: 36;
+export declare const dataPointGroupColumnGapSubtleGreen: 36;
+export declare const dataPointGroupColumnGapSubtleRed: 36;
+export declare const dataPointGroupColumnGapSubtleYellow: 36;
+export declare const dataPointGroupColumnGapBoldBlue: 36;
+export declare const dataPointGroupColumnGapBoldGreen: 36;
+export declare const dataPointGroupColumnGapBoldRed: 36;
+export declare const dataPointGroupColumnGapBoldYellow: 36;
+export declare const dataPointGroupRowGapNeutralBlue: 36;
+export declare const dataPointGroupRowGapNeutralGreen: 36;
+export declare const dataPointGroupRowGapNeutralRed: 36;
+export declare const dataPointGroupRowGapNeutralYellow: 36;
+export declare const dataPointGroupRowGapNeutralInverseBlue: 36;
+export declare const dataPointGroupRowGapNeutralInverseGreen: 36;
+export declare const dataPointGroupRowGapNeutralInverseRed: 36;
+export declare const dataPointGroupRowGapNeutralInverseYellow: 36;
+export declare const dataPointGroupRowGapSubtleBlue: 36;
+export declare const dataPointGroupRowGapSubtleGreen: 36;
+export declare const dataPointGroupRowGapSubtleRed: 36;
+export declare const dataPointGroupRowGapSubtleYellow: 36;
+export declare const dataPointGroupRowGapBoldBlue: 36;
+export declare const dataPointGroupRowGapBoldGreen: 36;
+export declare const dataPointGroupRowGapBoldRed: 36;
+export declare const dataPointGroupRowGapBoldYellow: 36;
+export declare const filterButtonRestColourNeutralBlue: "#001d6e";
+export declare const filterButtonRestColourNeutralGreen: "#01312e";
+export declare const filterButtonRestColourNeutralRed: "#480411";
+export declare const filterButtonRestColourNeutralYellow: "#572722";
+export declare const filterButtonRestColourNeutralInverseBlue: "#001d6e";
+export declare const filterButtonRestColourNeutralInverseGreen: "#01312e";
+export declare const filterButtonRestColourNeutralInverseRed: "#480411";
+export declare const filterButtonRestColourNeutralInverseYellow: "#572722";
+export declare const filterButtonRestColourSubtleBlue: "#001d6e";
+export declare const filterButtonRestColourSubtleGreen: "#01312e";
+export declare const filterButtonRestColourSubtleRed: "#480411";
+export declare const filterButtonRestColourSubtleYellow: "#572722";
+export declare const filterButtonRestColourBoldBlue: "#1d1d1b";
+export declare const filterButtonRestColourBoldGreen: "#1d1d1b";
+export declare const filterButtonRestColourBoldRed: "#1d1d1b";
+export declare const filterButtonRestColourBoldYellow: "#000000";
+export declare const filterButtonRestBackgroundColourNeutralBlue: "#aee1f7";
+export declare const filterButtonRestBackgroundColourNeutralGreen: "#caeedd";
+export declare const filterButtonRestBackgroundColourNeutralRed: "#ffd5d2";
+export declare const filterButtonRestBackgroundColourNeutralYellow: "#fff9c7";
+export declare const filterButtonRestBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const filterButtonRestBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const filterButtonRestBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const filterButtonRestBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const filterButtonRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const filterButtonRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const filterButtonRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const filterButtonRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const filterButtonRestBackgroundColourBoldBlue: "#42aeea";
+export declare const filterButtonRestBackgroundColourBoldGreen: "#43af6e";
+export declare const filterButtonRestBackgroundColourBoldRed: "#ff3e51";
+export declare const filterButtonRestBackgroundColourBoldYellow: "#ffe969";
+export declare const filterButtonRestBorderColourNeutralBlue: "#001d6e";
+export declare const filterButtonRestBorderColourNeutralGreen: "#01312e";
+export declare const filterButtonRestBorderColourNeutralRed: "#940824";
+export declare const filterButtonRestBorderColourNeutralYellow: "#c86426";
+export declare const filterButtonRestBorderColourNeutralInverseBlue: "#001d6e";
+export declare const filterButtonRestBorderColourNeutralInverseGreen: "#01312e";
+export declare const filterButtonRestBorderColourNeutralInverseRed: "#940824";
+export declare const filterButtonRestBorderColourNeutralInverseYellow: "#c86426";
+export declare const filterButtonRestBorderColourSubtleBlue: "#001d6e";
+export declare const filterButtonRestBorderColourSubtleGreen: "#01312e";
+export declare const filterButtonRestBorderColourSubtleRed: "#940824";
+export declare const filterButtonRestBorderColourSubtleYellow: "#c86426";
+export declare const filterButtonRestBorderColourBoldBlue: "#1d1d1b";
+export declare const filterButtonRestBorderColourBoldGreen: "#1d1d1b";
+export declare const filterButtonRestBorderColourBoldRed: "#1d1d1b";
+export declare const filterButtonRestBorderColourBoldYellow: "#000000";
+export declare const filterButtonHoverColourNeutralBlue: "#ffffff";
+export declare const filterButtonHoverColourNeutralGreen: "#ffffff";
+export declare const filterButtonHoverColourNeutralRed: "#ffffff";
+export declare const filterButtonHoverColourNeutralYellow: "#1d1d1b";
+export declare const filterButtonHoverColourNeutralInverseBlue: "#ffffff";
+export declare const filterButtonHoverColourNeutralInverseGreen: "#ffffff";
+export declare const filterButtonHoverColourNeutralInverseRed: "#ffffff";
+export declare const filterButtonHoverColourNeutralInverseYellow: "#1d1d1b";
+export declare const filterButtonHoverColourSubtleBlue: "#ffffff";
+export declare const filterButtonHoverColourSubtleGreen: "#ffffff";
+export declare const filterButtonHoverColourSubtleRed: "#ffffff";
+export declare const filterButtonHoverColourSubtleYellow: "#1d1d1b";
+export declare const filterButtonHoverColourBoldBlue: "#1d1d1b";
+export declare const filterButtonHoverColourBoldGreen: "#1d1d1b";
+export declare const filterButtonHoverColourBoldRed: "#1d1d1b";
+export declare const filterButtonHoverColourBoldYellow: "#000000";
+export declare const filterButtonHoverBackgroundColourNeutralBlue: "#005dba";
+export declare const filterButtonHoverBackgroundColourNeutralGreen: "#00633d";
+export declare const filterButtonHoverBackgroundColourNeutralRed: "#c50b30";
+export declare const filterButtonHoverBackgroundColourNeutralYellow: "#ffb600";
+export declare const filterButtonHoverBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const filterButtonHoverBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const filterButtonHoverBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const filterButtonHoverBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const filterButtonHoverBackgroundColourSubtleBlue: "#005dba";
+export declare const filterButtonHoverBackgroundColourSubtleGreen: "#00633d";
+export declare const filterButtonHoverBackgroundColourSubtleRed: "#c50b30";
+export declare const filterButtonHoverBackgroundColourSubtleYellow: "#ffb600";
+export declare const filterButtonHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const filterButtonHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const filterButtonHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const filterButtonHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const filterButtonHoverBorderColourNeutralBlue: "#005dba";
+export declare const filterButtonHoverBorderColourNeutralGreen: "#00633d";
+export declare const filterButtonHoverBorderColourNeutralRed: "#c50b30";
+export declare const filterButtonHoverBorderColourNeutralYellow: "#ffb600";
+export declare const filterButtonHoverBorderColourNeutralInverseBlue: "#005dba";
+export declare const filterButtonHoverBorderColourNeutralInverseGreen: "#00633d";
+export declare const filterButtonHoverBorderColourNeutralInverseRed: "#c50b30";
+export declare const filterButtonHoverBorderColourNeutralInverseYellow: "#ffb600";
+export declare const filterButtonHoverBorderColourSubtleBlue: "#1d1d1b";
+export declare const filterButtonHoverBorderColourSubtleGreen: "#1d1d1b";
+export declare const filterButtonHoverBorderColourSubtleRed: "#1d1d1b";
+export declare const filterButtonHoverBorderColourSubtleYellow: "#000000";
+export declare const filterButtonHoverBorderColourBoldBlue: "#1d1d1b";
+export declare const filterButtonHoverBorderColourBoldGreen: "#1d1d1b";
+export declare const filterButtonHoverBorderColourBoldRed: "#1d1d1b";
+export declare const filterButtonHoverBorderColourBoldYellow: "#000000";
+export declare const filterButtonActiveColourNeutralBlue: "#ffffff";
+export declare const filterButtonActiveColourNeutralGreen: "#ffffff";
+export declare const filterButtonActiveColourNeutralRed: "#ffffff";
+export declare const filterButtonActiveColourNeutralYellow: "#ffffff";
+export declare const filterButtonActiveColourNeutralInverseBlue: "#ffffff";
+export declare const filterButtonActiveColourNeutralInverseGreen: "#ffffff";
+export declare const filterButtonActiveColourNeutralInverseRed: "#ffffff";
+export declare const filterButtonActiveColourNeutralInverseYellow: "#ffffff";
+export declare const filterButtonActiveColourSubtleBlue: "#ffffff";
+export declare const filterButtonActiveColourSubtleGreen: "#ffffff";
+export declare const filterButtonActiveColourSubtleRed: "#ffffff";
+export declare const filterButtonActiveColourSubtleYellow: "#ffffff";
+export declare const filterButtonActiveColourBoldBlue: "#1d1d1b";
+export declare const filterButtonActiveColourBoldGreen: "#1d1d1b";
+export declare const filterButtonActiveColourBoldRed: "#1d1d1b";
+export declare const filterButtonActiveColourBoldYellow: "#000000";
+export declare const filterButtonActiveBackgroundColourNeutralBlue: "#001d6e";
+export declare const filterButtonActiveBackgroundColourNeutralGreen: "#01312e";
+export declare const filterButtonActiveBackgroundColourNeutralRed: "#480411";
+export declare const filterButtonActiveBackgroundColourNeutralYellow: "#572722";
+export declare const filterButtonActiveBackgroundColourNeutralInverseBlue: "#001d6e";
+export declare const filterButtonActiveBackgroundColourNeutralInverseGreen: "#01312e";
+export declare const filterButtonActiveBackgroundColourNeutralInverseRed: "#480411";
+export declare const filterButtonActiveBackgroundColourNeutralInverseYellow: "#572722";
+export declare const filterButtonActiveBackgroundColourSubtleBlue: "#001d6e";
+export declare const filterButtonActiveBackgroundColourSubtleGreen: "#01312e";
+export declare const filterButtonActiveBackgroundColourSubtleRed: "#480411";
+export declare const filterButtonActiveBackgroundColourSubtleYellow: "#572722";
+export declare const filterButtonActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const filterButtonActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const filterButtonActiveBackgroundColourBoldRed: "#ffffff";
+export declare const filterButtonActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const filterButtonActiveBorderColourNeutralBlue: "#001d6e";
+export declare const filterButtonActiveBorderColourNeutralGreen: "#01312e";
+export declare const filterButtonActiveBorderColourNeutralRed: "#480411";
+export declare const filterButtonActiveBorderColourNeutralYellow: "#572722";
+export declare const filterButtonActiveBorderColourNeutralInverseBlue: "#001d6e";
+export declare const filterButtonActiveBorderColourNeutralInverseGreen: "#01312e";
+export declare const filterButtonActiveBorderColourNeutralInverseRed: "#480411";
+export declare const filterButtonActiveBorderColourNeutralInverseYellow: "#572722";
+export declare const filterButtonActiveBorderColourSubtleBlue: "#001d6e";
+export declare const filterButtonActiveBorderColourSubtleGreen: "#01312e";
+export declare const filterButtonActiveBorderColourSubtleRed: "#480411";
+export declare const filterButtonActiveBorderColourSubtleYellow: "#572722";
+export declare const filterButtonActiveBorderColourBoldBlue: "#ffffff";
+export declare const filterButtonActiveBorderColourBoldGreen: "#ffffff";
+export declare const filterButtonActiveBorderColourBoldRed: "#ffffff";
+export declare const filterButtonActiveBorderColourBoldYellow: "#ffffff";
+export declare const filterButtonFocusColourNeutralBlue: "#001d6e";
+export declare const filterButtonFocusColourNeutralGreen: "#01312e";
+export declare const filterButtonFocusColourNeutralRed: "#480411";
+export declare const filterButtonFocusColourNeutralYellow: "#572722";
+export declare const filterButtonFocusColourNeutralInverseBlue: "#001d6e";
+export declare const filterButtonFocusColourNeutralInverseGreen: "#01312e";
+export declare const filterButtonFocusColourNeutralInverseRed: "#480411";
+export declare const filterButtonFocusColourNeutralInverseYellow: "#572722";
+export declare const filterButtonFocusColourSubtleBlue: "#001d6e";
+export declare const filterButtonFocusColourSubtleGreen: "#01312e";
+export declare const filterButtonFocusColourSubtleRed: "#480411";
+export declare const filterButtonFocusColourSubtleYellow: "#572722";
+export declare const filterButtonFocusColourBoldBlue: "#1d1d1b";
+export declare const filterButtonFocusColourBoldGreen: "#1d1d1b";
+export declare const filterButtonFocusColourBoldRed: "#1d1d1b";
+export declare const filterButtonFocusColourBoldYellow: "#000000";
+export declare const filterButtonFocusBackgroundColourNeutralBlue: "#aee1f7";
+export declare const filterButtonFocusBackgroundColourNeutralGreen: "#caeedd";
+export declare const filterButtonFocusBackgroundColourNeutralRed: "#ffd5d2";
+export declare const filterButtonFocusBackgroundColourNeutralYellow: "#fff9c7";
+export declare const filterButtonFocusBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const filterButtonFocusBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const filterButtonFocusBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const filterButtonFocusBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const filterButtonFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const filterButtonFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const filterButtonFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const filterButtonFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const filterButtonFocusBackgroundColourBoldBlue: "#42aeea";
+export declare const filterButtonFocusBackgroundColourBoldGreen: "#43af6e";
+export declare const filterButtonFocusBackgroundColourBoldRed: "#ff3e51";
+export declare const filterButtonFocusBackgroundColourBoldYellow: "#ffe969";
+export declare const filterButtonFocusBorderColourNeutralBlue: "#001d6e";
+export declare const filterButtonFocusBorderColourNeutralGreen: "#01312e";
+export declare const filterButtonFocusBorderColourNeutralRed: "#940824";
+export declare const filterButtonFocusBorderColourNeutralYellow: "#c86426";
+export declare const filterButtonFocusBorderColourNeutralInverseBlue: "#001d6e";
+export declare const filterButtonFocusBorderColourNeutralInverseGreen: "#01312e";
+export declare const filterButtonFocusBorderColourNeutralInverseRed: "#940824";
+export declare const filterButtonFocusBorderColourNeutralInverseYellow: "#c86426";
+export declare const filterButtonFocusBorderColourSubtleBlue: "#001d6e";
+export declare const filterButtonFocusBorderColourSubtleGreen: "#01312e";
+export declare const filterButtonFocusBorderColourSubtleRed: "#940824";
+export declare const filterButtonFocusBorderColourSubtleYellow: "#c86426";
+export declare const filterButtonFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const filterButtonFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const filterButtonFocusBorderColourBoldRed: "#1d1d1b";
+export declare const filterButtonFocusBorderColourBoldYellow: "#000000";
+export declare const filterButtonBorderRadiusNeutralBlue: 28;
+export declare const filterButtonBorderRadiusNeutralGreen: 28;
+export declare const filterButtonBorderRadiusNeutralRed: 28;
+export declare const filterButtonBorderRadiusNeutralYellow: 28;
+export declare const filterButtonBorderRadiusNeutralInverseBlue: 28;
+export declare const filterButtonBorderRadiusNeutralInverseGreen: 28;
+export declare const filterButtonBorderRadiusNeutralInverseRed: 28;
+export declare const filterButtonBorderRadiusNeutralInverseYellow: 28;
+export declare const filterButtonBorderRadiusSubtleBlue: 28;
+export declare const filterButtonBorderRadiusSubtleGreen: 28;
+export declare const filterButtonBorderRadiusSubtleRed: 28;
+export declare const filterButtonBorderRadiusSubtleYellow: 28;
+export declare const filterButtonBorderRadiusBoldBlue: 28;
+export declare const filterButtonBorderRadiusBoldGreen: 28;
+export declare const filterButtonBorderRadiusBoldRed: 28;
+export declare const filterButtonBorderRadiusBoldYellow: 28;
+export declare const filterButtonBorderWidthNeutralBlue: 1.5;
+export declare const filterButtonBorderWidthNeutralGreen: 1.5;
+export declare const filterButtonBorderWidthNeutralRed: 1.5;
+export declare const filterButtonBorderWidthNeutralYellow: 1.5;
+export declare const filterButtonBorderWidthNeutralInverseBlue: 1.5;
+export declare const filterButtonBorderWidthNeutralInverseGreen: 1.5;
+export declare const filterButtonBorderWidthNeutralInverseRed: 1.5;
+export declare const filterButtonBorderWidthNeutralInverseYellow: 1.5;
+export declare const filterButtonBorderWidthSubtleBlue: 1.5;
+export declare const filterButtonBorderWidthSubtleGreen: 1.5;
+export declare const filterButtonBorderWidthSubtleRed: 1.5;
+export declare const filterButtonBorderWidthSubtleYellow: 1.5;
+export declare const filterButtonBorderWidthBoldBlue: 1.5;
+export declare const filterButtonBorderWidthBoldGreen: 1.5;
+export declare const filterButtonBorderWidthBoldRed: 1.5;
+export declare const filterButtonBorderWidthBoldYellow: 1.5;
+export declare const filterButtonBorderWidthFocusNeutralBlue: 3;
+export declare const filterButtonBorderWidthFocusNeutralGreen: 3;
+export declare const filterButtonBorderWidthFocusNeutralRed: 3;
+export declare const filterButtonBorderWidthFocusNeutralYellow: 3;
+export declare const filterButtonBorderWidthFocusNeutralInverseBlue: 3;
+export declare const filterButtonBorderWidthFocusNeutralInverseGreen: 3;
+export declare const filterButtonBorderWidthFocusNeutralInverseRed: 3;
+export declare const filterButtonBorderWidthFocusNeutralInverseYellow: 3;
+export declare const filterButtonBorderWidthFocusSubtleBlue: 3;
+export declare const filterButtonBorderWidthFocusSubtleGreen: 3;
+export declare const filterButtonBorderWidthFocusSubtleRed: 3;
+export declare const filterButtonBorderWidthFocusSubtleYellow: 3;
+export declare const filterButtonBorderWidthFocusBoldBlue: 3;
+export declare const filterButtonBorderWidthFocusBoldGreen: 3;
+export declare const filterButtonBorderWidthFocusBoldRed: 3;
+export declare const filterButtonBorderWidthFocusBoldYellow: 3;
+export declare const filterButtonMinHeightNeutralBlue: 48;
+export declare const filterButtonMinHeightNeutralGreen: 48;
+export declare const filterButtonMinHeightNeutralRed: 48;
+export declare const filterButtonMinHeightNeutralYellow: 48;
+export declare const filterButtonMinHeightNeutralInverseBlue: 48;
+export declare const filterButtonMinHeightNeutralInverseGreen: 48;
+export declare const filterButtonMinHeightNeutralInverseRed: 48;
+export declare const filterButtonMinHeightNeutralInverseYellow: 48;
+export declare const filterButtonMinHeightSubtleBlue: 48;
+export declare const filterButtonMinHeightSubtleGreen: 48;
+export declare const filterButtonMinHeightSubtleRed: 48;
+export declare const filterButtonMinHeightSubtleYellow: 48;
+export declare const filterButtonMinHeightBoldBlue: 48;
+export declare const filterButtonMinHeightBoldGreen: 48;
+export declare const filterButtonMinHeightBoldRed: 48;
+export declare const filterButtonMinHeightBoldYellow: 48;
+export declare const filterButtonPaddingXNeutralBlue: 16;
+export declare const filterButtonPaddingXNeutralGreen: 16;
+export declare const filterButtonPaddingXNeutralRed: 16;
+export declare const filterButtonPaddingXNeutralYellow: 16;
+export declare const filterButtonPaddingXNeutralInverseBlue: 16;
+export declare const filterButtonPaddingXNeutralInverseGreen: 16;
+export declare const filterButtonPaddingXNeutralInverseRed: 16;
+export declare const filterButtonPaddingXNeutralInverseYellow: 16;
+export declare const filterButtonPaddingXSubtleBlue: 16;
+export declare const filterButtonPaddingXSubtleGreen: 16;
+export declare const filterButtonPaddingXSubtleRed: 16;
+export declare const filterButtonPaddingXSubtleYellow: 16;
+export declare const filterButtonPaddingXBoldBlue: 16;
+export declare const filterButtonPaddingXBoldGreen: 16;
+export declare const filterButtonPaddingXBoldRed: 16;
+export declare const filterButtonPaddingXBoldYellow: 16;
+export declare const filterButtonGapNeutralBlue: 8;
+export declare const filterButtonGapNeutralGreen: 8;
+export declare const filterButtonGapNeutralRed: 8;
+export declare const filterButtonGapNeutralYellow: 8;
+export declare const filterButtonGapNeutralInverseBlue: 8;
+export declare const filterButtonGapNeutralInverseGreen: 8;
+export declare const filterButtonGapNeutralInverseRed: 8;
+export declare const filterButtonGapNeutralInverseYellow: 8;
+export declare const filterButtonGapSubtleBlue: 8;
+export declare const filterButtonGapSubtleGreen: 8;
+export declare const filterButtonGapSubtleRed: 8;
+export declare const filterButtonGapSubtleYellow: 8;
+export declare const filterButtonGapBoldBlue: 8;
+export declare const filterButtonGapBoldGreen: 8;
+export declare const filterButtonGapBoldRed: 8;
+export declare const filterButtonGapBoldYellow: 8;
+export declare const filterButtonDisabledColourNeutralBlue: "#d3d3d3";
+export declare const filterButtonDisabledColourNeutralGreen: "#d3d3d3";
+export declare const filterButtonDisabledColourNeutralRed: "#d3d3d3";
+export declare const filterButtonDisabledColourNeutralYellow: "#d3d3d3";
+export declare const filterButtonDisabledColourNeutralInverseBlue: "#d3d3d3";
+export declare const filterButtonDisabledColourNeutralInverseGreen: "#d3d3d3";
+export declare const filterButtonDisabledColourNeutralInverseRed: "#d3d3d3";
+export declare const filterButtonDisabledColourNeutralInverseYellow: "#d3d3d3";
+export declare const filterButtonDisabledColourSubtleBlue: "#76c8f1";
+export declare const filterButtonDisabledColourSubtleGreen: "#7fce9f";
+export declare const filterButtonDisabledColourSubtleRed: "#ff7e7e";
+export declare const filterButtonDisabledColourSubtleYellow: "#ffe969";
+export declare const filterButtonDisabledColourBoldBlue: "#76c8f1";
+export declare const filterButtonDisabledColourBoldGreen: "#7fce9f";
+export declare const filterButtonDisabledColourBoldRed: "#ff7e7e";
+export declare const filterButtonDisabledColourBoldYellow: "#ffe969";
+export declare const filterButtonDisabledBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourNeutralRed: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const filterButtonDisabledBackgroundColourSubtleBlue: "#d2effb";
+export declare const filterButtonDisabledBackgroundColourSubtleGreen: "#dff6eb";
+export declare const filterButtonDisabledBackgroundColourSubtleRed: "#ffd5d2";
+export declare const filterButtonDisabledBackgroundColourSubtleYellow: "#fffbdc";
+export declare const filterButtonDisabledBackgroundColourBoldBlue: "#d2effb";
+export declare const filterButtonDisabledBackgroundColourBoldGreen: "#dff6eb";
+export declare const filterButtonDisabledBackgroundColourBoldRed: "#ffd5d2";
+export declare const filterButtonDisabledBackgroundColourBoldYellow: "#fffbdc";
+export declare const filterButtonDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourSubtleBlue: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourSubtleGreen: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourSubtleRed: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourSubtleYellow: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourBoldBlue: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourBoldGreen: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourBoldRed: "#d3d3d3";
+export declare const filterButtonDisabledBorderColourBoldYellow: "#d3d3d3";
+export declare const filterButtonGroupGapNeutralBlue: 16;
+export declare const filterButtonGroupGapNeutralGreen: 16;
+export declare const filterButtonGroupGapNeutralRed: 16;
+export declare const filterButtonGroupGapNeutralYellow: 16;
+export declare const filterButtonGroupGapNeutralInverseBlue: 16;
+export declare const filterButtonGroupGapNeutralInverseGreen: 16;
+export declare const filterButtonGroupGapNeutralInverseRed: 16;
+export declare const filterButtonGroupGapNeutralInverseYellow: 16;
+export declare const filterButtonGroupGapSubtleBlue: 16;
+export declare const filterButtonGroupGapSubtleGreen: 16;
+export declare const filterButtonGroupGapSubtleRed: 16;
+export declare const filterButtonGroupGapSubtleYellow: 16;
+export declare const filterButtonGroupGapBoldBlue: 16;
+export declare const filterButtonGroupGapBoldGreen: 16;
+export declare const filterButtonGroupGapBoldRed: 16;
+export declare const filterButtonGroupGapBoldYellow: 16;
+export declare const linkMenuBorderColourNeutralBlue: "#d3d3d3";
+export declare const linkMenuBorderColourNeutralGreen: "#d3d3d3";
+export declare const linkMenuBorderColourNeutralRed: "#d3d3d3";
+export declare const linkMenuBorderColourNeutralYellow: "#d3d3d3";
+export declare const linkMenuBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const linkMenuBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const linkMenuBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const linkMenuBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const linkMenuBorderColourSubtleBlue: "#001d6e";
+export declare const linkMenuBorderColourSubtleGreen: "#01312e";
+export declare const linkMenuBorderColourSubtleRed: "#940824";
+export declare const linkMenuBorderColourSubtleYellow: "#c86426";
+export declare const linkMenuBorderColourBoldBlue: "#f4f4f4";
+export declare const linkMenuBorderColourBoldGreen: "#f4f4f4";
+export declare const linkMenuBorderColourBoldRed: "#f4f4f4";
+export declare const linkMenuBorderColourBoldYellow: "#1d1d1b";
+export declare const linkMenuBorderWidthNeutralBlue: 1;
+export declare const linkMenuBorderWidthNeutralGreen: 1;
+export declare const linkMenuBorderWidthNeutralRed: 1;
+export declare const linkMenuBorderWidthNeutralYellow: 1;
+export declare const linkMenuBorderWidthNeutralInverseBlue: 1;
+export declare const linkMenuBorderWidthNeutralInverseGreen: 1;
+export declare const linkMenuBorderWidthNeutralInverseRed: 1;
+export declare const linkMenuBorderWidthNeutralInverseYellow: 1;
+export declare const linkMenuBorderWidthSubtleBlue: 1;
+export declare const linkMenuBorderWidthSubtleGreen: 1;
+export declare const linkMenuBorderWidthSubtleRed: 1;
+export declare const linkMenuBorderWidthSubtleYellow: 1;
+export declare const linkMenuBorderWidthBoldBlue: 1;
+export declare const linkMenuBorderWidthBoldGreen: 1;
+export declare const linkMenuBorderWidthBoldRed: 1;
+export declare const linkMenuBorderWidthBoldYellow: 1;
+export declare const linkMenuBorderRadiusNeutralBlue: 16;
+export declare const linkMenuBorderRadiusNeutralGreen: 16;
+export declare const linkMenuBorderRadiusNeutralRed: 16;
+export declare const linkMenuBorderRadiusNeutralYellow: 16;
+export declare const linkMenuBorderRadiusNeutralInverseBlue: 16;
+export declare const linkMenuBorderRadiusNeutralInverseGreen: 16;
+export declare const linkMenuBorderRadiusNeutralInverseRed: 16;
+export declare const linkMenuBorderRadiusNeutralInverseYellow: 16;
+export declare const linkMenuBorderRadiusSubtleBlue: 16;
+export declare const linkMenuBorderRadiusSubtleGreen: 16;
+export declare const linkMenuBorderRadiusSubtleRed: 16;
+export declare const linkMenuBorderRadiusSubtleYellow: 16;
+export declare const linkMenuBorderRadiusBoldBlue: 16;
+export declare const linkMenuBorderRadiusBoldGreen: 16;
+export declare const linkMenuBorderRadiusBoldRed: 16;
+export declare const linkMenuBorderRadiusBoldYellow: 16;
+export declare const linkMenuItemPaddingTopNeutralBlue: 16;
+export declare const linkMenuItemPaddingTopNeutralGreen: 16;
+export declare const linkMenuItemPaddingTopNeutralRed: 16;
+export declare const linkMenuItemPaddingTopNeutralYellow: 16;
+export declare const linkMenuItemPaddingTopNeutralInverseBlue: 16;
+export declare const linkMenuItemPaddingTopNeutralInverseGreen: 16;
+export declare const linkMenuItemPaddingTopNeutralInverseRed: 16;
+export declare const linkMenuItemPaddingTopNeutralInverseYellow: 16;
+export declare const linkMenuItemPaddingTopSubtleBlue: 16;
+export declare const linkMenuItemPaddingTopSubtleGreen: 16;
+export declare const linkMenuItemPaddingTopSubtleRed: 16;
+export declare const linkMenuItemPaddingTopSubtleYellow: 16;
+export declare const linkMenuItemPaddingTopBoldBlue: 16;
+export declare const linkMenuItemPaddingTopBoldGreen: 16;
+export declare const linkMenuItemPaddingTopBoldRed: 16;
+export declare const linkMenuItemPaddingTopBoldYellow: 16;
+export declare const linkMenuItemPaddingBottomNeutralBlue: 16;
+export declare const linkMenuItemPaddingBottomNeutralGreen: 16;
+export declare const linkMenuItemPaddingBottomNeutralRed: 16;
+export declare const linkMenuItemPaddingBottomNeutralYellow: 16;
+export declare const linkMenuItemPaddingBottomNeutralInverseBlue: 16;
+export declare const linkMenuItemPaddingBottomNeutralInverseGreen: 16;
+export declare const linkMenuItemPaddingBottomNeutralInverseRed: 16;
+export declare const linkMenuItemPaddingBottomNeutralInverseYellow: 16;
+export declare const linkMenuItemPaddingBottomSubtleBlue: 16;
+export declare const linkMenuItemPaddingBottomSubtleGreen: 16;
+export declare const linkMenuItemPaddingBottomSubtleRed: 16;
+export declare const linkMenuItemPaddingBottomSubtleYellow: 16;
+export declare const linkMenuItemPaddingBottomBoldBlue: 16;
+export declare const linkMenuItemPaddingBottomBoldGreen: 16;
+export declare const linkMenuItemPaddingBottomBoldRed: 16;
+export declare const linkMenuItemPaddingBottomBoldYellow: 16;
+export declare const linkMenuItemPaddingLeftNeutralBlue: 16;
+export declare const linkMenuItemPaddingLeftNeutralGreen: 16;
+export declare const linkMenuItemPaddingLeftNeutralRed: 16;
+export declare const linkMenuItemPaddingLeftNeutralYellow: 16;
+export declare const linkMenuItemPaddingLeftNeutralInverseBlue: 16;
+export declare const linkMenuItemPaddingLeftNeutralInverseGreen: 16;
+export declare const linkMenuItemPaddingLeftNeutralInverseRed: 16;
+export declare const linkMenuItemPaddingLeftNeutralInverseYellow: 16;
+export declare const linkMenuItemPaddingLeftSubtleBlue: 16;
+export declare const linkMenuItemPaddingLeftSubtleGreen: 16;
+export declare const linkMenuItemPaddingLeftSubtleRed: 16;
+export declare const linkMenuItemPaddingLeftSubtleYellow: 16;
+export declare const linkMenuItemPaddingLeftBoldBlue: 16;
+export declare const linkMenuItemPaddingLeftBoldGreen: 16;
+export declare const linkMenuItemPaddingLeftBoldRed: 16;
+export declare const linkMenuItemPaddingLeftBoldYellow: 16;
+export declare const linkMenuItemPaddingRightNeutralBlue: 8;
+export declare const linkMenuItemPaddingRightNeutralGreen: 8;
+export declare const linkMenuItemPaddingRightNeutralRed: 8;
+export declare const linkMenuItemPaddingRightNeutralYellow: 8;
+export declare const linkMenuItemPaddingRightNeutralInverseBlue: 8;
+export declare const linkMenuItemPaddingRightNeutralInverseGreen: 8;
+export declare const linkMenuItemPaddingRightNeutralInverseRed: 8;
+export declare const linkMenuItemPaddingRightNeutralInverseYellow: 8;
+export declare const linkMenuItemPaddingRightSubtleBlue: 8;
+export declare const linkMenuItemPaddingRightSubtleGreen: 8;
+export declare const linkMenuItemPaddingRightSubtleRed: 8;
+export declare const linkMenuItemPaddingRightSubtleYellow: 8;
+export declare const linkMenuItemPaddingRightBoldBlue: 8;
+export declare const linkMenuItemPaddingRightBoldGreen: 8;
+export declare const linkMenuItemPaddingRightBoldRed: 8;
+export declare const linkMenuItemPaddingRightBoldYellow: 8;
+export declare const linkMenuItemGapNeutralBlue: 12;
+export declare const linkMenuItemGapNeutralGreen: 12;
+export declare const linkMenuItemGapNeutralRed: 12;
+export declare const linkMenuItemGapNeutralYellow: 12;
+export declare const linkMenuItemGapNeutralInverseBlue: 12;
+export declare const linkMenuItemGapNeutralInverseGreen: 12;
+export declare const linkMenuItemGapNeutralInverseRed: 12;
+export declare const linkMenuItemGapNeutralInverseYellow: 12;
+export declare const linkMenuItemGapSubtleBlue: 12;
+export declare const linkMenuItemGapSubtleGreen: 12;
+export declare const linkMenuItemGapSubtleRed: 12;
+export declare const linkMenuItemGapSubtleYellow: 12;
+export declare const linkMenuItemGapBoldBlue: 12;
+export declare const linkMenuItemGapBoldGreen: 12;
+export declare const linkMenuItemGapBoldRed: 12;
+export declare const linkMenuItemGapBoldYellow: 12;
+export declare const linkMenuItemRestBorderColourNeutralBlue: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourNeutralGreen: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourNeutralRed: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourNeutralYellow: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const linkMenuItemRestBorderColourSubtleBlue: "#001d6e";
+export declare const linkMenuItemRestBorderColourSubtleGreen: "#01312e";
+export declare const linkMenuItemRestBorderColourSubtleRed: "#940824";
+export declare const linkMenuItemRestBorderColourSubtleYellow: "#c86426";
+export declare const linkMenuItemRestBorderColourBoldBlue: "#f4f4f4";
+export declare const linkMenuItemRestBorderColourBoldGreen: "#f4f4f4";
+export declare const linkMenuItemRestBorderColourBoldRed: "#f4f4f4";
+export declare const linkMenuItemRestBorderColourBoldYellow: "#1d1d1b";
+export declare const linkMenuItemRestBorderWidthBottomNeutralBlue: 1;
+export declare const linkMenuItemRestBorderWidthBottomNeutralGreen: 1;
+export declare const linkMenuItemRestBorderWidthBottomNeutralRed: 1;
+export declare const linkMenuItemRestBorderWidthBottomNeutralYellow: 1;
+export declare const linkMenuItemRestBorderWidthBottomNeutralInverseBlue: 1;
+export declare const linkMenuItemRestBorderWidthBottomNeutralInverseGreen: 1;
+export declare const linkMenuItemRestBorderWidthBottomNeutralInverseRed: 1;
+export declare const linkMenuItemRestBorderWidthBottomNeutralInverseYellow: 1;
+export declare const linkMenuItemRestBorderWidthBottomSubtleBlue: 1;
+export declare const linkMenuItemRestBorderWidthBottomSubtleGreen: 1;
+export declare const linkMenuItemRestBorderWidthBottomSubtleRed: 1;
+export declare const linkMenuItemRestBorderWidthBottomSubtleYellow: 1;
+export declare const linkMenuItemRestBorderWidthBottomBoldBlue: 1;
+export declare const linkMenuItemRestBorderWidthBottomBoldGreen: 1;
+export declare const linkMenuItemRestBorderWidthBottomBoldRed: 1;
+export declare const linkMenuItemRestBorderWidthBottomBoldYellow: 1;
+export declare const linkMenuItemRestColourNeutralBlue: "#1d1d1b";
+export declare const linkMenuItemRestColourNeutralGreen: "#1d1d1b";
+export declare const linkMenuItemRestColourNeutralRed: "#1d1d1b";
+export declare const linkMenuItemRestColourNeutralYellow: "#000000";
+export declare const linkMenuItemRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const linkMenuItemRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const linkMenuItemRestColourNeutralInverseRed: "#1d1d1b";
+export declare const linkMenuItemRestColourNeutralInverseYellow: "#000000";
+export declare const linkMenuItemRestColourSubtleBlue: "#1d1d1b";
+export declare const linkMenuItemRestColourSubtleGreen: "#1d1d1b";
+export declare const linkMenuItemRestColourSubtleRed: "#1d1d1b";
+export declare const linkMenuItemRestColourSubtleYellow: "#000000";
+export declare const linkMenuItemRestColourBoldBlue: "#ffffff";
+export declare const linkMenuItemRestColourBoldGreen: "#ffffff";
+export declare const linkMenuItemRestColourBoldRed: "#ffffff";
+export declare const linkMenuItemRestColourBoldYellow: "#1d1d1b";
+export declare const linkMenuItemRestColourMutedNeutralBlue: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedNeutralGreen: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedNeutralRed: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedNeutralYellow: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedNeutralInverseBlue: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedNeutralInverseGreen: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedNeutralInverseRed: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedNeutralInverseYellow: "#4d4f4f";
+export declare const linkMenuItemRestColourMutedSubtleBlue: "#1d1d1b";
+export declare const linkMenuItemRestColourMutedSubtleGreen: "#1d1d1b";
+export declare const linkMenuItemRestColourMutedSubtleRed: "#1d1d1b";
+export declare const linkMenuItemRestColourMutedSubtleYellow: "#000000";
+export declare const linkMenuItemRestColourMutedBoldBlue: "#ffffff";
+export declare const linkMenuItemRestColourMutedBoldGreen: "#ffffff";
+export declare const linkMenuItemRestColourMutedBoldRed: "#ffffff";
+export declare const linkMenuItemRestColourMutedBoldYellow: "#1d1d1b";
+export declare const linkMenuItemHoverBackgroundColourNeutralBlue: "#aee1f7";
+export declare const linkMenuItemHoverBackgroundColourNeutralGreen: "#caeedd";
+export declare const linkMenuItemHoverBackgroundColourNeutralRed: "#ffd5d2";
+export declare const linkMenuItemHoverBackgroundColourNeutralYellow: "#fff9c7";
+export declare const linkMenuItemHoverBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const linkMenuItemHoverBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const linkMenuItemHoverBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const linkMenuItemHoverBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const linkMenuItemHoverBackgroundColourSubtleBlue: "#42aeea";
+export declare const linkMenuItemHoverBackgroundColourSubtleGreen: "#43af6e";
+export declare const linkMenuItemHoverBackgroundColourSubtleRed: "#ff3e51";
+export declare const linkMenuItemHoverBackgroundColourSubtleYellow: "#ffe969";
+export declare const linkMenuItemHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const linkMenuItemHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const linkMenuItemHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const linkMenuItemHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const linkMenuItemHoverBorderColourNeutralBlue: "#001d6e";
+export declare const linkMenuItemHoverBorderColourNeutralGreen: "#01312e";
+export declare const linkMenuItemHoverBorderColourNeutralRed: "#480411";
+export declare const linkMenuItemHoverBorderColourNeutralYellow: "#572722";
+export declare const linkMenuItemHoverBorderColourNeutralInverseBlue: "#001d6e";
+export declare const linkMenuItemHoverBorderColourNeutralInverseGreen: "#01312e";
+export declare const linkMenuItemHoverBorderColourNeutralInverseRed: "#480411";
+export declare const linkMenuItemHoverBorderColourNeutralInverseYellow: "#572722";
+export declare const linkMenuItemHoverBorderColourSubtleBlue: "#001d6e";
+export declare const linkMenuItemHoverBorderColourSubtleGreen: "#01312e";
+export declare const linkMenuItemHoverBorderColourSubtleRed: "#480411";
+export declare const linkMenuItemHoverBorderColourSubtleYellow: "#572722";
+export declare const linkMenuItemHoverBorderColourBoldBlue: "#001d6e";
+export declare const linkMenuItemHoverBorderColourBoldGreen: "#01312e";
+export declare const linkMenuItemHoverBorderColourBoldRed: "#480411";
+export declare const linkMenuItemHoverBorderColourBoldYellow: "#572722";
+export declare const linkMenuItemHoverBorderWidthBottomNeutralBlue: 3;
+export declare const linkMenuItemHoverBorderWidthBottomNeutralGreen: 3;
+export declare const linkMenuItemHoverBorderWidthBottomNeutralRed: 3;
+export declare const linkMenuItemHoverBorderWidthBottomNeutralYellow: 3;
+export declare const linkMenuItemHoverBorderWidthBottomNeutralInverseBlue: 3;
+export declare const linkMenuItemHoverBorderWidthBottomNeutralInverseGreen: 3;
+export declare const linkMenuItemHoverBorderWidthBottomNeutralInverseRed: 3;
+export declare const linkMenuItemHoverBorderWidthBottomNeutralInverseYellow: 3;
+export declare const linkMenuItemHoverBorderWidthBottomSubtleBlue: 3;
+export declare const linkMenuItemHoverBorderWidthBottomSubtleGreen: 3;
+export declare const linkMenuItemHoverBorderWidthBottomSubtleRed: 3;
+export declare const linkMenuItemHoverBorderWidthBottomSubtleYellow: 3;
+export declare const linkMenuItemHoverBorderWidthBottomBoldBlue: 3;
+export declare const linkMenuItemHoverBorderWidthBottomBoldGreen: 3;
+export declare const linkMenuItemHoverBorderWidthBottomBoldRed: 3;
+export declare const linkMenuItemHoverBorderWidthBottomBoldYellow: 3;
+export declare const linkMenuItemHoverColourNeutralBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourNeutralGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourNeutralRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourNeutralYellow: "#000000";
+export declare const linkMenuItemHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourNeutralInverseYellow: "#000000";
+export declare const linkMenuItemHoverColourSubtleBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourSubtleGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourSubtleRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourSubtleYellow: "#000000";
+export declare const linkMenuItemHoverColourBoldBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourBoldGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourBoldRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourBoldYellow: "#000000";
+export declare const linkMenuItemHoverColourMutedNeutralBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedNeutralGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedNeutralRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedNeutralYellow: "#000000";
+export declare const linkMenuItemHoverColourMutedNeutralInverseBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedNeutralInverseGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedNeutralInverseRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedNeutralInverseYellow: "#000000";
+export declare const linkMenuItemHoverColourMutedSubtleBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedSubtleGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedSubtleRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedSubtleYellow: "#000000";
+export declare const linkMenuItemHoverColourMutedBoldBlue: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedBoldGreen: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedBoldRed: "#1d1d1b";
+export declare const linkMenuItemHoverColourMutedBoldYellow: "#000000";
+export declare const linkMenuItemHoverPaddingRightNeutralBlue: 8;
+export declare const linkMenuItemHoverPaddingRightNeutralGreen: 8;
+export declare const linkMenuItemHoverPaddingRightNeutralRed: 8;
+export declare const linkMenuItemHoverPaddingRightNeutralYellow: 8;
+export declare const linkMenuItemHoverPaddingRightNeutralInverseBlue: 8;
+export declare const linkMenuItemHoverPaddingRightNeutralInverseGreen: 8;
+export declare const linkMenuItemHoverPaddingRightNeutralInverseRed: 8;
+export declare const linkMenuItemHoverPaddingRightNeutralInverseYellow: 8;
+export declare const linkMenuItemHoverPaddingRightSubtleBlue: 8;
+export declare const linkMenuItemHoverPaddingRightSubtleGreen: 8;
+export declare const linkMenuItemHoverPaddingRightSubtleRed: 8;
+export declare const linkMenuItemHoverPaddingRightSubtleYellow: 8;
+export declare const linkMenuItemHoverPaddingRightBoldBlue: 8;
+export declare const linkMenuItemHoverPaddingRightBoldGreen: 8;
+export declare const linkMenuItemHoverPaddingRightBoldRed: 8;
+export declare const linkMenuItemHoverPaddingRightBoldYellow: 8;
+export declare const linkMenuItemActiveBackgroundColourNeutralBlue: "#005dba";
+export declare const linkMenuItemActiveBackgroundColourNeutralGreen: "#00633d";
+export declare const linkMenuItemActiveBackgroundColourNeutralRed: "#c50b30";
+export declare const linkMenuItemActiveBackgroundColourNeutralYellow: "#ffb600";
+export declare const linkMenuItemActiveBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const linkMenuItemActiveBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const linkMenuItemActiveBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const linkMenuItemActiveBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const linkMenuItemActiveBackgroundColourSubtleBlue: "#005dba";
+export declare const linkMenuItemActiveBackgroundColourSubtleGreen: "#00633d";
+export declare const linkMenuItemActiveBackgroundColourSubtleRed: "#c50b30";
+export declare const linkMenuItemActiveBackgroundColourSubtleYellow: "#ffb600";
+export declare const linkMenuItemActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const linkMenuItemActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const linkMenuItemActiveBackgroundColourBoldRed: "#ffffff";
+export declare const linkMenuItemActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const linkMenuItemActiveBorderWidthBottomNeutralBlue: 1;
+export declare const linkMenuItemActiveBorderWidthBottomNeutralGreen: 1;
+export declare const linkMenuItemActiveBorderWidthBottomNeutralRed: 1;
+export declare const linkMenuItemActiveBorderWidthBottomNeutralYellow: 1;
+export declare const linkMenuItemActiveBorderWidthBottomNeutralInverseBlue: 1;
+export declare const linkMenuItemActiveBorderWidthBottomNeutralInverseGreen: 1;
+export declare const linkMenuItemActiveBorderWidthBottomNeutralInverseRed: 1;
+export declare const linkMenuItemActiveBorderWidthBottomNeutralInverseYellow: 1;
+export declare const linkMenuItemActiveBorderWidthBottomSubtleBlue: 1;
+export declare const linkMenuItemActiveBorderWidthBottomSubtleGreen: 1;
+export declare const linkMenuItemActiveBorderWidthBottomSubtleRed: 1;
+export declare const linkMenuItemActiveBorderWidthBottomSubtleYellow: 1;
+export declare const linkMenuItemActiveBorderWidthBottomBoldBlue: 1;
+export declare const linkMenuItemActiveBorderWidthBottomBoldGreen: 1;
+export declare const linkMenuItemActiveBorderWidthBottomBoldRed: 1;
+export declare const linkMenuItemActiveBorderWidthBottomBoldYellow: 1;
+export declare const linkMenuItemActiveBorderColourNeutralBlue: "#ffffff";
+export declare const linkMenuItemActiveBorderColourNeutralGreen: "#ffffff";
+export declare const linkMenuItemActiveBorderColourNeutralRed: "#ffffff";
+export declare const linkMenuItemActiveBorderColourNeutralYellow: "#1d1d1b";
+export declare const linkMenuItemActiveBorderColourNeutralInverseBlue: "#ffffff";
+export declare const linkMenuItemActiveBorderColourNeutralInverseGreen: "#ffffff";
+export declare const linkMenuItemActiveBorderColourNeutralInverseRed: "#ffffff";
+export declare const linkMenuItemActiveBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const linkMenuItemActiveBorderColourSubtleBlue: "#ffffff";
+export declare const linkMenuItemActiveBorderColourSubtleGreen: "#ffffff";
+export declare const linkMenuItemActiveBorderColourSubtleRed: "#ffffff";
+export declare const linkMenuItemActiveBorderColourSubtleYellow: "#1d1d1b";
+export declare const linkMenuItemActiveBorderColourBoldBlue: "#1d1d1b";
+export declare const linkMenuItemActiveBorderColourBoldGreen: "#1d1d1b";
+export declare const linkMenuItemActiveBorderColourBoldRed: "#1d1d1b";
+export declare const linkMenuItemActiveBorderColourBoldYellow: "#000000";
+export declare const linkMenuItemActiveColourNeutralBlue: "#ffffff";
+export declare const linkMenuItemActiveColourNeutralGreen: "#ffffff";
+export declare const linkMenuItemActiveColourNeutralRed: "#ffffff";
+export declare const linkMenuItemActiveColourNeutralYellow: "#1d1d1b";
+export declare const linkMenuItemActiveColourNeutralInverseBlue: "#ffffff";
+export declare const linkMenuItemActiveColourNeutralInverseGreen: "#ffffff";
+export declare const linkMenuItemActiveColourNeutralInverseRed: "#ffffff";
+export declare const linkMenuItemActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const linkMenuItemActiveColourSubtleBlue: "#ffffff";
+export declare const linkMenuItemActiveColourSubtleGreen: "#ffffff";
+export declare const linkMenuItemActiveColourSubtleRed: "#ffffff";
+export declare const linkMenuItemActiveColourSubtleYellow: "#1d1d1b";
+export declare const linkMenuItemActiveColourBoldBlue: "#1d1d1b";
+export declare const linkMenuItemActiveColourBoldGreen: "#1d1d1b";
+export declare const linkMenuItemActiveColourBoldRed: "#1d1d1b";
+export declare const linkMenuItemActiveColourBoldYellow: "#000000";
+export declare const linkMenuItemActiveColourMutedNeutralBlue: "#ffffff";
+export declare const linkMenuItemActiveColourMutedNeutralGreen: "#ffffff";
+export declare const linkMenuItemActiveColourMutedNeutralRed: "#ffffff";
+export declare const linkMenuItemActiveColourMutedNeutralYellow: "#1d1d1b";
+export declare const linkMenuItemActiveColourMutedNeutralInverseBlue: "#ffffff";
+export declare const linkMenuItemActiveColourMutedNeutralInverseGreen: "#ffffff";
+export declare const linkMenuItemActiveColourMutedNeutralInverseRed: "#ffffff";
+export declare const linkMenuItemActiveColourMutedNeutralInverseYellow: "#1d1d1b";
+export declare const linkMenuItemActiveColourMutedSubtleBlue: "#ffffff";
+export declare const linkMenuItemActiveColourMutedSubtleGreen: "#ffffff";
+export declare const linkMenuItemActiveColourMutedSubtleRed: "#ffffff";
+export declare const linkMenuItemActiveColourMutedSubtleYellow: "#1d1d1b";
+export declare const linkMenuItemActiveColourMutedBoldBlue: "#4d4f4f";
+export declare const linkMenuItemActiveColourMutedBoldGreen: "#4d4f4f";
+export declare const linkMenuItemActiveColourMutedBoldRed: "#4d4f4f";
+export declare const linkMenuItemActiveColourMutedBoldYellow: "#4d4f4f";
+export declare const linkMenuItemFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourNeutralYellow: "#000000";
+export declare const linkMenuItemFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourNeutralInverseYellow: "#000000";
+export declare const linkMenuItemFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const linkMenuItemFocusBorderColourSubtleYellow: "#000000";
+export declare const linkMenuItemFocusBorderColourBoldBlue: "#ffffff";
+export declare const linkMenuItemFocusBorderColourBoldGreen: "#ffffff";
+export declare const linkMenuItemFocusBorderColourBoldRed: "#ffffff";
+export declare const linkMenuItemFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const linkMenuItemFocusBorderWidthNeutralBlue: 3;
+export declare const linkMenuItemFocusBorderWidthNeutralGreen: 3;
+export declare const linkMenuItemFocusBorderWidthNeutralRed: 3;
+export declare const linkMenuItemFocusBorderWidthNeutralYellow: 3;
+export declare const linkMenuItemFocusBorderWidthNeutralInverseBlue: 3;
+export declare const linkMenuItemFocusBorderWidthNeutralInverseGreen: 3;
+export declare const linkMenuItemFocusBorderWidthNeutralInverseRed: 3;
+export declare const linkMenuItemFocusBorderWidthNeutralInverseYellow: 3;
+export declare const linkMenuItemFocusBorderWidthSubtleBlue: 3;
+export declare const linkMenuItemFocusBorderWidthSubtleGreen: 3;
+export declare const linkMenuItemFocusBorderWidthSubtleRed: 3;
+export declare const linkMenuItemFocusBorderWidthSubtleYellow: 3;
+export declare const linkMenuItemFocusBorderWidthBoldBlue: 3;
+export declare const linkMenuItemFocusBorderWidthBoldGreen: 3;
+export declare const linkMenuItemFocusBorderWidthBoldRed: 3;
+export declare const linkMenuItemFocusBorderWidthBoldYellow: 3;
+export declare const linkMenuItemFocusColourNeutralBlue: "#1d1d1b";
+export declare const linkMenuItemFocusColourNeutralGreen: "#1d1d1b";
+export declare const linkMenuItemFocusColourNeutralRed: "#1d1d1b";
+export declare const linkMenuItemFocusColourNeutralYellow: "#000000";
+export declare const linkMenuItemFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const linkMenuItemFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const linkMenuItemFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const linkMenuItemFocusColourNeutralInverseYellow: "#000000";
+export declare const linkMenuItemFocusColourSubtleBlue: "#1d1d1b";
+export declare const linkMenuItemFocusColourSubtleGreen: "#1d1d1b";
+export declare const linkMenuItemFocusColourSubtleRed: "#1d1d1b";
+export declare const linkMenuItemFocusColourSubtleYellow: "#000000";
+export declare const linkMenuItemFocusColourBoldBlue: "#ffffff";
+export declare const linkMenuItemFocusColourBoldGreen: "#ffffff";
+export declare const linkMenuItemFocusColourBoldRed: "#ffffff";
+export declare const linkMenuItemFocusColourBoldYellow: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedNeutralBlue: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedNeutralGreen: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedNeutralRed: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedNeutralYellow: "#000000";
+export declare const linkMenuItemFocusColourMutedNeutralInverseBlue: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedNeutralInverseGreen: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedNeutralInverseRed: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedNeutralInverseYellow: "#000000";
+export declare const linkMenuItemFocusColourMutedSubtleBlue: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedSubtleGreen: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedSubtleRed: "#1d1d1b";
+export declare const linkMenuItemFocusColourMutedSubtleYellow: "#000000";
+export declare const linkMenuItemFocusColourMutedBoldBlue: "#ffffff";
+export declare const linkMenuItemFocusColourMutedBoldGreen: "#ffffff";
+export declare const linkMenuItemFocusColourMutedBoldRed: "#ffffff";
+export declare const linkMenuItemFocusColourMutedBoldYellow: "#1d1d1b";
+export declare const formFieldGapNeutralBlue: 16;
+export declare const formFieldGapNeutralGreen: 16;
+export declare const formFieldGapNeutralRed: 16;
+export declare const formFieldGapNeutralYellow: 16;
+export declare const formFieldGapNeutralInverseBlue: 16;
+export declare const formFieldGapNeutralInverseGreen: 16;
+export declare const formFieldGapNeutralInverseRed: 16;
+export declare const formFieldGapNeutralInverseYellow: 16;
+export declare const formFieldGapSubtleBlue: 16;
+export declare const formFieldGapSubtleGreen: 16;
+export declare const formFieldGapSubtleRed: 16;
+export declare const formFieldGapSubtleYellow: 16;
+export declare const formFieldGapBoldBlue: 16;
+export declare const formFieldGapBoldGreen: 16;
+export declare const formFieldGapBoldRed: 16;
+export declare const formFieldGapBoldYellow: 16;
+export declare const labelAndHintGapNeutralBlue: 4;
+export declare const labelAndHintGapNeutralGreen: 4;
+export declare const labelAndHintGapNeutralRed: 4;
+export declare const labelAndHintGapNeutralYellow: 4;
+export declare const labelAndHintGapNeutralInverseBlue: 4;
+export declare const labelAndHintGapNeutralInverseGreen: 4;
+export declare const labelAndHintGapNeutralInverseRed: 4;
+export declare const labelAndHintGapNeutralInverseYellow: 4;
+export declare const labelAndHintGapSubtleBlue: 4;
+export declare const labelAndHintGapSubtleGreen: 4;
+export declare const labelAndHintGapSubtleRed: 4;
+export declare const labelAndHintGapSubtleYellow: 4;
+export declare const labelAndHintGapBoldBlue: 4;
+export declare const labelAndHintGapBoldGreen: 4;
+export declare const labelAndHintGapBoldRed: 4;
+export declare const labelAndHintGapBoldYellow: 4;
+export declare const labelAndHintLabelColourNeutralBlue: "#1d1d1b";
+export declare const labelAndHintLabelColourNeutralGreen: "#1d1d1b";
+export declare const labelAndHintLabelColourNeutralRed: "#1d1d1b";
+export declare const labelAndHintLabelColourNeutralYellow: "#1d1d1b";
+export declare const labelAndHintLabelColourNeutralInverseBlue: "#1d1d1b";
+export declare const labelAndHintLabelColourNeutralInverseGreen: "#1d1d1b";
+export declare const labelAndHintLabelColourNeutralInverseRed: "#1d1d1b";
+export declare const labelAndHintLabelColourNeutralInverseYellow: "#1d1d1b";
+export declare const labelAndHintLabelColourSubtleBlue: "#1d1d1b";
+export declare const labelAndHintLabelColourSubtleGreen: "#1d1d1b";
+export declare const labelAndHintLabelColourSubtleRed: "#1d1d1b";
+export declare const labelAndHintLabelColourSubtleYellow: "#1d1d1b";
+export declare const labelAndHintLabelColourBoldBlue: "#ffffff";
+export declare const labelAndHintLabelColourBoldGreen: "#ffffff";
+export declare const labelAndHintLabelColourBoldRed: "#ffffff";
+export declare const labelAndHintLabelColourBoldYellow: "#1d1d1b";
+export declare const labelAndHintHintColourNeutralBlue: "#4d4f4f";
+export declare const labelAndHintHintColourNeutralGreen: "#4d4f4f";
+export declare const labelAndHintHintColourNeutralRed: "#4d4f4f";
+export declare const labelAndHintHintColourNeutralYellow: "#4d4f4f";
+export declare const labelAndHintHintColourNeutralInverseBlue: "#4d4f4f";
+export declare const labelAndHintHintColourNeutralInverseGreen: "#4d4f4f";
+export declare const labelAndHintHintColourNeutralInverseRed: "#4d4f4f";
+export declare const labelAndHintHintColourNeutralInverseYellow: "#4d4f4f";
+export declare const labelAndHintHintColourSubtleBlue: "#1d1d1b";
+export declare const labelAndHintHintColourSubtleGreen: "#1d1d1b";
+export declare const labelAndHintHintColourSubtleRed: "#1d1d1b";
+export declare const labelAndHintHintColourSubtleYellow: "#000000";
+export declare const labelAndHintHintColourBoldBlue: "#ffffff";
+export declare const labelAndHintHintColourBoldGreen: "#ffffff";
+export declare const labelAndHintHintColourBoldRed: "#ffffff";
+export declare const labelAndHintHintColourBoldYellow: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourNeutralInfo: "#001d6e";
+export declare const labelAndHintStatusValidationMessageColourNeutralSuccess: "#014a39";
+export declare const labelAndHintStatusValidationMessageColourNeutralWarning: "#904029";
+export declare const labelAndHintStatusValidationMessageColourNeutralError: "#940824";
+export declare const labelAndHintStatusValidationMessageColourNeutralGeneric: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourNeutralInverseInfo: "#001d6e";
+export declare const labelAndHintStatusValidationMessageColourNeutralInverseSuccess: "#014a39";
+export declare const labelAndHintStatusValidationMessageColourNeutralInverseWarning: "#904029";
+export declare const labelAndHintStatusValidationMessageColourNeutralInverseError: "#940824";
+export declare const labelAndHintStatusValidationMessageColourNeutralInverseGeneric: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourSubtleInfo: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourSubtleSuccess: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourSubtleWarning: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourSubtleError: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourSubtleGeneric: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourBoldInfo: "#ffffff";
+export declare const labelAndHintStatusValidationMessageColourBoldSuccess: "#ffffff";
+export declare const labelAndHintStatusValidationMessageColourBoldWarning: "#1d1d1b";
+export declare const labelAndHintStatusValidationMessageColourBoldError: "#ffffff";
+export declare const labelAndHintStatusValidationMessageColourBoldGeneric: "#ffffff";
+export declare const textInputCommonBorderRadiusNeutralBlue: 12;
+export declare const textInputCommonBorderRadiusNeutralGreen: 12;
+export declare const textInputCommonBorderRadiusNeutralRed: 12;
+export declare const textInputCommonBorderRadiusNeutralYellow: 12;
+export declare const textInputCommonBorderRadiusNeutralInverseBlue: 12;
+export declare const textInputCommonBorderRadiusNeutralInverseGreen: 12;
+export declare const textInputCommonBorderRadiusNeutralInverseRed: 12;
+export declare const textInputCommonBorderRadiusNeutralInverseYellow: 12;
+export declare const textInputCommonBorderRadiusSubtleBlue: 12;
+export declare const textInputCommonBorderRadiusSubtleGreen: 12;
+export declare const textInputCommonBorderRadiusSubtleRed: 12;
+export declare const textInputCommonBorderRadiusSubtleYellow: 12;
+export declare const textInputCommonBorderRadiusBoldBlue: 12;
+export declare const textInputCommonBorderRadiusBoldGreen: 12;
+export declare const textInputCommonBorderRadiusBoldRed: 12;
+export declare const textInputCommonBorderRadiusBoldYellow: 12;
+export declare const textInputCommonHeightNeutralBlue: 48;
+export declare const textInputCommonHeightNeutralGreen: 48;
+export declare const textInputCommonHeightNeutralRed: 48;
+export declare const textInputCommonHeightNeutralYellow: 48;
+export declare const textInputCommonHeightNeutralInverseBlue: 48;
+export declare const textInputCommonHeightNeutralInverseGreen: 48;
+export declare const textInputCommonHeightNeutralInverseRed: 48;
+export declare const textInputCommonHeightNeutralInverseYellow: 48;
+export declare const textInputCommonHeightSubtleBlue: 48;
+export declare const textInputCommonHeightSubtleGreen: 48;
+export declare const textInputCommonHeightSubtleRed: 48;
+export declare const textInputCommonHeightSubtleYellow: 48;
+export declare const textInputCommonHeightBoldBlue: 48;
+export declare const textInputCommonHeightBoldGreen: 48;
+export declare const textInputCommonHeightBoldRed: 48;
+export declare const textInputCommonHeightBoldYellow: 48;
+export declare const textInputCommonPaddingXNeutralBlue: 16;
+export declare const textInputCommonPaddingXNeutralGreen: 16;
+export declare const textInputCommonPaddingXNeutralRed: 16;
+export declare const textInputCommonPaddingXNeutralYellow: 16;
+export declare const textInputCommonPaddingXNeutralInverseBlue: 16;
+export declare const textInputCommonPaddingXNeutralInverseGreen: 16;
+export declare const textInputCommonPaddingXNeutralInverseRed: 16;
+export declare const textInputCommonPaddingXNeutralInverseYellow: 16;
+export declare const textInputCommonPaddingXSubtleBlue: 16;
+export declare const textInputCommonPaddingXSubtleGreen: 16;
+export declare const textInputCommonPaddingXSubtleRed: 16;
+export declare const textInputCommonPaddingXSubtleYellow: 16;
+export declare const textInputCommonPaddingXBoldBlue: 16;
+export declare const textInputCommonPaddingXBoldGreen: 16;
+export declare const textInputCommonPaddingXBoldRed: 16;
+export declare const textInputCommonPaddingXBoldYellow: 16;
+export declare const textInputCommonPaddingYNeutralBlue: 8;
+export declare const textInputCommonPaddingYNeutralGreen: 8;
+export declare const textInputCommonPaddingYNeutralRed: 8;
+export declare const textInputCommonPaddingYNeutralYellow: 8;
+export declare const textInputCommonPaddingYNeutralInverseBlue: 8;
+export declare const textInputCommonPaddingYNeutralInverseGreen: 8;
+export declare const textInputCommonPaddingYNeutralInverseRed: 8;
+export declare const textInputCommonPaddingYNeutralInverseYellow: 8;
+export declare const textInputCommonPaddingYSubtleBlue: 8;
+export declare const textInputCommonPaddingYSubtleGreen: 8;
+export declare const textInputCommonPaddingYSubtleRed: 8;
+export declare const textInputCommonPaddingYSubtleYellow: 8;
+export declare const textInputCommonPaddingYBoldBlue: 8;
+export declare const textInputCommonPaddingYBoldGreen: 8;
+export declare const textInputCommonPaddingYBoldRed: 8;
+export declare const textInputCommonPaddingYBoldYellow: 8;
+export declare const textInputCommonTextGapNeutralBlue: 8;
+export declare const textInputCommonTextGapNeutralGreen: 8;
+export declare const textInputCommonTextGapNeutralRed: 8;
+export declare const textInputCommonTextGapNeutralYellow: 8;
+export declare const textInputCommonTextGapNeutralInverseBlue: 8;
+export declare const textInputCommonTextGapNeutralInverseGreen: 8;
+export declare const textInputCommonTextGapNeutralInverseRed: 8;
+export declare const textInputCommonTextGapNeutralInverseYellow: 8;
+export declare const textInputCommonTextGapSubtleBlue: 8;
+export declare const textInputCommonTextGapSubtleGreen: 8;
+export declare const textInputCommonTextGapSubtleRed: 8;
+export declare const textInputCommonTextGapSubtleYellow: 8;
+export declare const textInputCommonTextGapBoldBlue: 8;
+export declare const textInputCommonTextGapBoldGreen: 8;
+export declare const textInputCommonTextGapBoldRed: 8;
+export declare const textInputCommonTextGapBoldYellow: 8;
+export declare const textInputCommonButtonGapNeutralBlue: 8;
+export declare const textInputCommonButtonGapNeutralGreen: 8;
+export declare const textInputCommonButtonGapNeutralRed: 8;
+export declare const textInputCommonButtonGapNeutralYellow: 8;
+export declare const textInputCommonButtonGapNeutralInverseBlue: 8;
+export declare const textInputCommonButtonGapNeutralInverseGreen: 8;
+export declare const textInputCommonButtonGapNeutralInverseRed: 8;
+export declare const textInputCommonButtonGapNeutralInverseYellow: 8;
+export declare const textInputCommonButtonGapSubtleBlue: 8;
+export declare const textInputCommonButtonGapSubtleGreen: 8;
+export declare const textInputCommonButtonGapSubtleRed: 8;
+export declare const textInputCommonButtonGapSubtleYellow: 8;
+export declare const textInputCommonButtonGapBoldBlue: 8;
+export declare const textInputCommonButtonGapBoldGreen: 8;
+export declare const textInputCommonButtonGapBoldRed: 8;
+export declare const textInputCommonButtonGapBoldYellow: 8;
+export declare const textInputCommonAddonButtonGapNeutralBlue: 16;
+export declare const textInputCommonAddonButtonGapNeutralGreen: 16;
+export declare const textInputCommonAddonButtonGapNeutralRed: 16;
+export declare const textInputCommonAddonButtonGapNeutralYellow: 16;
+export declare const textInputCommonAddonButtonGapNeutralInverseBlue: 16;
+export declare const textInputCommonAddonButtonGapNeutralInverseGreen: 16;
+export declare const textInputCommonAddonButtonGapNeutralInverseRed: 16;
+export declare const textInputCommonAddonButtonGapNeutralInverseYellow: 16;
+export declare const textInputCommonAddonButtonGapSubtleBlue: 16;
+export declare const textInputCommonAddonButtonGapSubtleGreen: 16;
+export declare const textInputCommonAddonButtonGapSubtleRed: 16;
+export declare const textInputCommonAddonButtonGapSubtleYellow: 16;
+export declare const textInputCommonAddonButtonGapBoldBlue: 16;
+export declare const textInputCommonAddonButtonGapBoldGreen: 16;
+export declare const textInputCommonAddonButtonGapBoldRed: 16;
+export declare const textInputCommonAddonButtonGapBoldYellow: 16;
+export declare const textInputRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const textInputRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const textInputRestBackgroundColourNeutralRed: "#ffffff";
+export declare const textInputRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const textInputRestBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const textInputRestBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const textInputRestBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const textInputRestBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const textInputRestBackgroundColourSubtleBlue: "#ffffff";
+export declare const textInputRestBackgroundColourSubtleGreen: "#ffffff";
+export declare const textInputRestBackgroundColourSubtleRed: "#ffffff";
+export declare const textInputRestBackgroundColourSubtleYellow: "#ffffff";
+export declare const textInputRestBackgroundColourBoldBlue: "#ffffff";
+export declare const textInputRestBackgroundColourBoldGreen: "#ffffff";
+export declare const textInputRestBackgroundColourBoldRed: "#ffffff";
+export declare const textInputRestBackgroundColourBoldYellow: "#ffffff";
+export declare const textInputRestBorderColourNeutralBlue: "#858686";
+export declare const textInputRestBorderColourNeutralGreen: "#858686";
+export declare const textInputRestBorderColourNeutralRed: "#858686";
+export declare const textInputRestBorderColourNeutralYellow: "#858686";
+export declare const textInputRestBorderColourNeutralInverseBlue: "#858686";
+export declare const textInputRestBorderColourNeutralInverseGreen: "#858686";
+export declare const textInputRestBorderColourNeutralInverseRed: "#858686";
+export declare const textInputRestBorderColourNeutralInverseYellow: "#858686";
+export declare const textInputRestBorderColourSubtleBlue: "#001d6e";
+export declare const textInputRestBorderColourSubtleGreen: "#01312e";
+export declare const textInputRestBorderColourSubtleRed: "#940824";
+export declare const textInputRestBorderColourSubtleYellow: "#c86426";
+export declare const textInputRestBorderColourBoldBlue: "#001d6e";
+export declare const textInputRestBorderColourBoldGreen: "#01312e";
+export declare const textInputRestBorderColourBoldRed: "#940824";
+export declare const textInputRestBorderColourBoldYellow: "#c86426";
+export declare const textInputRestColourNeutralBlue: "#1d1d1b";
+export declare const textInputRestColourNeutralGreen: "#1d1d1b";
+export declare const textInputRestColourNeutralRed: "#1d1d1b";
+export declare const textInputRestColourNeutralYellow: "#1d1d1b";
+export declare const textInputRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const textInputRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const textInputRestColourNeutralInverseRed: "#1d1d1b";
+export declare const textInputRestColourNeutralInverseYellow: "#1d1d1b";
+export declare const textInputRestColourSubtleBlue: "#1d1d1b";
+export declare const textInputRestColourSubtleGreen: "#1d1d1b";
+export declare const textInputRestColourSubtleRed: "#1d1d1b";
+export declare const textInputRestColourSubtleYellow: "#1d1d1b";
+export declare const textInputRestColourBoldBlue: "#1d1d1b";
+export declare const textInputRestColourBoldGreen: "#1d1d1b";
+export declare const textInputRestColourBoldRed: "#1d1d1b";
+export declare const textInputRestColourBoldYellow: "#1d1d1b";
+export declare const textInputRestBorderWidthNeutralBlue: 1.5;
+export declare const textInputRestBorderWidthNeutralGreen: 1.5;
+export declare const textInputRestBorderWidthNeutralRed: 1.5;
+export declare const textInputRestBorderWidthNeutralYellow: 1.5;
+export declare const textInputRestBorderWidthNeutralInverseBlue: 1.5;
+export declare const textInputRestBorderWidthNeutralInverseGreen: 1.5;
+export declare const textInputRestBorderWidthNeutralInverseRed: 1.5;
+export declare const textInputRestBorderWidthNeutralInverseYellow: 1.5;
+export declare const textInputRestBorderWidthSubtleBlue: 1.5;
+export declare const textInputRestBorderWidthSubtleGreen: 1.5;
+export declare const textInputRestBorderWidthSubtleRed: 1.5;
+export declare const textInputRestBorderWidthSubtleYellow: 1.5;
+export declare const textInputRestBorderWidthBoldBlue: 1.5;
+export declare const textInputRestBorderWidthBoldGreen: 1.5;
+export declare const textInputRestBorderWidthBoldRed: 1.5;
+export declare const textInputRestBorderWidthBoldYellow: 1.5;
+export declare const textInputHoverBackgroundColourNeutralBlue: "#ffffff";
+export declare const textInputHoverBackgroundColourNeutralGreen: "#ffffff";
+export declare const textInputHoverBackgroundColourNeutralRed: "#ffffff";
+export declare const textInputHoverBackgroundColourNeutralYellow: "#ffffff";
+export declare const textInputHoverBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const textInputHoverBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const textInputHoverBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const textInputHoverBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const textInputHoverBackgroundColourSubtleBlue: "#ffffff";
+export declare const textInputHoverBackgroundColourSubtleGreen: "#ffffff";
+export declare const textInputHoverBackgroundColourSubtleRed: "#ffffff";
+export declare const textInputHoverBackgroundColourSubtleYellow: "#ffffff";
+export declare const textInputHoverBackgroundColourBoldBlue: "#ffffff";
+export declare const textInputHoverBackgroundColourBoldGreen: "#ffffff";
+export declare const textInputHoverBackgroundColourBoldRed: "#ffffff";
+export declare const textInputHoverBackgroundColourBoldYellow: "#ffffff";
+export declare const textInputHoverBorderColourNeutralBlue: "#4d4f4f";
+export declare const textInputHoverBorderColourNeutralGreen: "#4d4f4f";
+export declare const textInputHoverBorderColourNeutralRed: "#4d4f4f";
+export declare const textInputHoverBorderColourNeutralYellow: "#4d4f4f";
+export declare const textInputHoverBorderColourNeutralInverseBlue: "#4d4f4f";
+export declare const textInputHoverBorderColourNeutralInverseGreen: "#4d4f4f";
+export declare const textInputHoverBorderColourNeutralInverseRed: "#4d4f4f";
+export declare const textInputHoverBorderColourNeutralInverseYellow: "#4d4f4f";
+export declare const textInputHoverBorderColourSubtleBlue: "#1d1d1b";
+export declare const textInputHoverBorderColourSubtleGreen: "#1d1d1b";
+export declare const textInputHoverBorderColourSubtleRed: "#1d1d1b";
+export declare const textInputHoverBorderColourSubtleYellow: "#1d1d1b";
+export declare const textInputHoverBorderColourBoldBlue: "#1d1d1b";
+export declare const textInputHoverBorderColourBoldGreen: "#1d1d1b";
+export declare const textInputHoverBorderColourBoldRed: "#1d1d1b";
+export declare const textInputHoverBorderColourBoldYellow: "#1d1d1b";
+export declare const textInputHoverColourNeutralBlue: "#1d1d1b";
+export declare const textInputHoverColourNeutralGreen: "#1d1d1b";
+export declare const textInputHoverColourNeutralRed: "#1d1d1b";
+export declare const textInputHoverColourNeutralYellow: "#1d1d1b";
+export declare const textInputHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const textInputHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const textInputHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const textInputHoverColourNeutralInverseYellow: "#1d1d1b";
+export declare const textInputHoverColourSubtleBlue: "#1d1d1b";
+export declare const textInputHoverColourSubtleGreen: "#1d1d1b";
+export declare const textInputHoverColourSubtleRed: "#1d1d1b";
+export declare const textInputHoverColourSubtleYellow: "#1d1d1b";
+export declare const textInputHoverColourBoldBlue: "#1d1d1b";
+export declare const textInputHoverColourBoldGreen: "#1d1d1b";
+export declare const textInputHoverColourBoldRed: "#1d1d1b";
+export declare const textInputHoverColourBoldYellow: "#1d1d1b";
+export declare const textInputHoverBorderWidthNeutralBlue: 1.5;
+export declare const textInputHoverBorderWidthNeutralGreen: 1.5;
+export declare const textInputHoverBorderWidthNeutralRed: 1.5;
+export declare const textInputHoverBorderWidthNeutralYellow: 1.5;
+export declare const textInputHoverBorderWidthNeutralInverseBlue: 1.5;
+export declare const textInputHoverBorderWidthNeutralInverseGreen: 1.5;
+export declare const textInputHoverBorderWidthNeutralInverseRed: 1.5;
+export declare const textInputHoverBorderWidthNeutralInverseYellow: 1.5;
+export declare const textInputHoverBorderWidthSubtleBlue: 1.5;
+export declare const textInputHoverBorderWidthSubtleGreen: 1.5;
+export declare const textInputHoverBorderWidthSubtleRed: 1.5;
+export declare const textInputHoverBorderWidthSubtleYellow: 1.5;
+export declare const textInputHoverBorderWidthBoldBlue: 1.5;
+export declare const textInputHoverBorderWidthBoldGreen: 1.5;
+export declare const textInputHoverBorderWidthBoldRed: 1.5;
+export declare const textInputHoverBorderWidthBoldYellow: 1.5;
+export declare const textInputFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const textInputFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const textInputFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const textInputFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const textInputFocusBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const textInputFocusBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const textInputFocusBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const textInputFocusBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const textInputFocusBackgroundColourSubtleBlue: "#ffffff";
+export declare const textInputFocusBackgroundColourSubtleGreen: "#ffffff";
+export declare const textInputFocusBackgroundColourSubtleRed: "#ffffff";
+export declare const textInputFocusBackgroundColourSubtleYellow: "#ffffff";
+export declare const textInputFocusBackgroundColourBoldBlue: "#ffffff";
+export declare const textInputFocusBackgroundColourBoldGreen: "#ffffff";
+export declare const textInputFocusBackgroundColourBoldRed: "#ffffff";
+export declare const textInputFocusBackgroundColourBoldYellow: "#ffffff";
+export declare const textInputFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const textInputFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const textInputFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const textInputFocusBorderColourNeutralYellow: "#1d1d1b";
+export declare const textInputFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const textInputFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const textInputFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const textInputFocusBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const textInputFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const textInputFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const textInputFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const textInputFocusBorderColourSubtleYellow: "#1d1d1b";
+export declare const textInputFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const textInputFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const textInputFocusBorderColourBoldRed: "#1d1d1b";
+export declare const textInputFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const textInputFocusColourNeutralBlue: "#1d1d1b";
+export declare const textInputFocusColourNeutralGreen: "#1d1d1b";
+export declare const textInputFocusColourNeutralRed: "#1d1d1b";
+export declare const textInputFocusColourNeutralYellow: "#1d1d1b";
+export declare const textInputFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const textInputFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const textInputFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const textInputFocusColourNeutralInverseYellow: "#1d1d1b";
+export declare const textInputFocusColourSubtleBlue: "#1d1d1b";
+export declare const textInputFocusColourSubtleGreen: "#1d1d1b";
+export declare const textInputFocusColourSubtleRed: "#1d1d1b";
+export declare const textInputFocusColourSubtleYellow: "#1d1d1b";
+export declare const textInputFocusColourBoldBlue: "#1d1d1b";
+export declare const textInputFocusColourBoldGreen: "#1d1d1b";
+export declare const textInputFocusColourBoldRed: "#1d1d1b";
+export declare const textInputFocusColourBoldYellow: "#1d1d1b";
+export declare const textInputFocusBorderWidthNeutralBlue: 3;
+export declare const textInputFocusBorderWidthNeutralGreen: 3;
+export declare const textInputFocusBorderWidthNeutralRed: 3;
+export declare const textInputFocusBorderWidthNeutralYellow: 3;
+export declare const textInputFocusBorderWidthNeutralInverseBlue: 3;
+export declare const textInputFocusBorderWidthNeutralInverseGreen: 3;
+export declare const textInputFocusBorderWidthNeutralInverseRed: 3;
+export declare const textInputFocusBorderWidthNeutralInverseYellow: 3;
+export declare const textInputFocusBorderWidthSubtleBlue: 3;
+export declare const textInputFocusBorderWidthSubtleGreen: 3;
+export declare const textInputFocusBorderWidthSubtleRed: 3;
+export declare const textInputFocusBorderWidthSubtleYellow: 3;
+export declare const textInputFocusBorderWidthBoldBlue: 3;
+export declare const textInputFocusBorderWidthBoldGreen: 3;
+export declare const textInputFocusBorderWidthBoldRed: 3;
+export declare const textInputFocusBorderWidthBoldYellow: 3;
+export declare const textInputErrorBackgroundColourNeutralBlue: "#ffffff";
+export declare const textInputErrorBackgroundColourNeutralGreen: "#ffffff";
+export declare const textInputErrorBackgroundColourNeutralRed: "#ffffff";
+export declare const textInputErrorBackgroundColourNeutralYellow: "#ffffff";
+export declare const textInputErrorBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const textInputErrorBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const textInputErrorBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const textInputErrorBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const textInputErrorBackgroundColourSubtleBlue: "#ffffff";
+export declare const textInputErrorBackgroundColourSubtleGreen: "#ffffff";
+export declare const textInputErrorBackgroundColourSubtleRed: "#ffffff";
+export declare const textInputErrorBackgroundColourSubtleYellow: "#ffffff";
+export declare const textInputErrorBackgroundColourBoldBlue: "#ffffff";
+export declare const textInputErrorBackgroundColourBoldGreen: "#ffffff";
+export declare const textInputErrorBackgroundColourBoldRed: "#ffffff";
+export declare const textInputErrorBackgroundColourBoldYellow: "#ffffff";
+export declare const textInputErrorBorderColourNeutralBlue: "#c50b30";
+export declare const textInputErrorBorderColourNeutralGreen: "#c50b30";
+export declare const textInputErrorBorderColourNeutralRed: "#c50b30";
+export declare const textInputErrorBorderColourNeutralYellow: "#c50b30";
+export declare const textInputErrorBorderColourNeutralInverseBlue: "#c50b30";
+export declare const textInputErrorBorderColourNeutralInverseGreen: "#c50b30";
+export declare const textInputErrorBorderColourNeutralInverseRed: "#c50b30";
+export declare const textInputErrorBorderColourNeutralInverseYellow: "#c50b30";
+export declare const textInputErrorBorderColourSubtleBlue: "#c50b30";
+export declare const textInputErrorBorderColourSubtleGreen: "#c50b30";
+export declare const textInputErrorBorderColourSubtleRed: "#c50b30";
+export declare const textInputErrorBorderColourSubtleYellow: "#c50b30";
+export declare const textInputErrorBorderColourBoldBlue: "#c50b30";
+export declare const textInputErrorBorderColourBoldGreen: "#c50b30";
+export declare const textInputErrorBorderColourBoldRed: "#c50b30";
+export declare const textInputErrorBorderColourBoldYellow: "#c50b30";
+export declare const textInputErrorColourNeutralBlue: "#1d1d1b";
+export declare const textInputErrorColourNeutralGreen: "#1d1d1b";
+export declare const textInputErrorColourNeutralRed: "#1d1d1b";
+export declare const textInputErrorColourNeutralYellow: "#1d1d1b";
+export declare const textInputErrorColourNeutralInverseBlue: "#1d1d1b";
+export declare const textInputErrorColourNeutralInverseGreen: "#1d1d1b";
+export declare const textInputErrorColourNeutralInverseRed: "#1d1d1b";
+export declare const textInputErrorColourNeutralInverseYellow: "#1d1d1b";
+export declare const textInputErrorColourSubtleBlue: "#1d1d1b";
+export declare const textInputErrorColourSubtleGreen: "#1d1d1b";
+export declare const textInputErrorColourSubtleRed: "#1d1d1b";
+export declare const textInputErrorColourSubtleYellow: "#1d1d1b";
+export declare const textInputErrorColourBoldBlue: "#1d1d1b";
+export declare const textInputErrorColourBoldGreen: "#1d1d1b";
+export declare const textInputErrorColourBoldRed: "#1d1d1b";
+export declare const textInputErrorColourBoldYellow: "#1d1d1b";
+export declare const textInputErrorBorderWidthNeutralBlue: 1.5;
+export declare const textInputErrorBorderWidthNeutralGreen: 1.5;
+export declare const textInputErrorBorderWidthNeutralRed: 1.5;
+export declare const textInputErrorBorderWidthNeutralYellow: 1.5;
+export declare const textInputErrorBorderWidthNeutralInverseBlue: 1.5;
+export declare const textInputErrorBorderWidthNeutralInverseGreen: 1.5;
+export declare const textInputErrorBorderWidthNeutralInverseRed: 1.5;
+export declare const textInputErrorBorderWidthNeutralInverseYellow: 1.5;
+export declare const textInputErrorBorderWidthSubtleBlue: 1.5;
+export declare const textInputErrorBorderWidthSubtleGreen: 1.5;
+export declare const textInputErrorBorderWidthSubtleRed: 1.5;
+export declare const textInputErrorBorderWidthSubtleYellow: 1.5;
+export declare const textInputErrorBorderWidthBoldBlue: 1.5;
+export declare const textInputErrorBorderWidthBoldGreen: 1.5;
+export declare const textInputErrorBorderWidthBoldRed: 1.5;
+export declare const textInputErrorBorderWidthBoldYellow: 1.5;
+export declare const textInputErrorFocusBorderWidthNeutralBlue: 3;
+export declare const textInputErrorFocusBorderWidthNeutralGreen: 3;
+export declare const textInputErrorFocusBorderWidthNeutralRed: 3;
+export declare const textInputErrorFocusBorderWidthNeutralYellow: 3;
+export declare const textInputErrorFocusBorderWidthNeutralInverseBlue: 3;
+export declare const textInputErrorFocusBorderWidthNeutralInverseGreen: 3;
+export declare const textInputErrorFocusBorderWidthNeutralInverseRed: 3;
+export declare const textInputErrorFocusBorderWidthNeutralInverseYellow: 3;
+export declare const textInputErrorFocusBorderWidthSubtleBlue: 3;
+export declare const textInputErrorFocusBorderWidthSubtleGreen: 3;
+export declare const textInputErrorFocusBorderWidthSubtleRed: 3;
+export declare const textInputErrorFocusBorderWidthSubtleYellow: 3;
+export declare const textInputErrorFocusBorderWidthBoldBlue: 3;
+export declare const textInputErrorFocusBorderWidthBoldGreen: 3;
+export declare const textInputErrorFocusBorderWidthBoldRed: 3;
+export declare const textInputErrorFocusBorderWidthBoldYellow: 3;
+export declare const textInputDisabledBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourNeutralRed: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourSubtleRed: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourBoldBlue: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourBoldGreen: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourBoldRed: "#f4f4f4";
+export declare const textInputDisabledBackgroundColourBoldYellow: "#f4f4f4";
+export declare const textInputDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const textInputDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const textInputDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const textInputDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const textInputDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const textInputDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const textInputDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const textInputDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const textInputDisabledBorderColourSubtleBlue: "#d3d3d3";
+export declare const textInputDisabledBorderColourSubtleGreen: "#d3d3d3";
+export declare const textInputDisabledBorderColourSubtleRed: "#d3d3d3";
+export declare const textInputDisabledBorderColourSubtleYellow: "#d3d3d3";
+export declare const textInputDisabledBorderColourBoldBlue: "#d3d3d3";
+export declare const textInputDisabledBorderColourBoldGreen: "#d3d3d3";
+export declare const textInputDisabledBorderColourBoldRed: "#d3d3d3";
+export declare const textInputDisabledBorderColourBoldYellow: "#d3d3d3";
+export declare const textInputDisabledColourNeutralBlue: "#a6a7a7";
+export declare const textInputDisabledColourNeutralGreen: "#a6a7a7";
+export declare const textInputDisabledColourNeutralRed: "#a6a7a7";
+export declare const textInputDisabledColourNeutralYellow: "#a6a7a7";
+export declare const textInputDisabledColourNeutralInverseBlue: "#a6a7a7";
+export declare const textInputDisabledColourNeutralInverseGreen: "#a6a7a7";
+export declare const textInputDisabledColourNeutralInverseRed: "#a6a7a7";
+export declare const textInputDisabledColourNeutralInverseYellow: "#a6a7a7";
+export declare const textInputDisabledColourSubtleBlue: "#a6a7a7";
+export declare const textInputDisabledColourSubtleGreen: "#a6a7a7";
+export declare const textInputDisabledColourSubtleRed: "#a6a7a7";
+export declare const textInputDisabledColourSubtleYellow: "#a6a7a7";
+export declare const textInputDisabledColourBoldBlue: "#a6a7a7";
+export declare const textInputDisabledColourBoldGreen: "#a6a7a7";
+export declare const textInputDisabledColourBoldRed: "#a6a7a7";
+export declare const textInputDisabledColourBoldYellow: "#a6a7a7";
+export declare const textInputDisabledBorderWidthNeutralBlue: 1.5;
+export declare const textInputDisabledBorderWidthNeutralGreen: 1.5;
+export declare const textInputDisabledBorderWidthNeutralRed: 1.5;
+export declare const textInputDisabledBorderWidthNeutralYellow: 1.5;
+export declare const textInputDisabledBorderWidthNeutralInverseBlue: 1.5;
+export declare const textInputDisabledBorderWidthNeutralInverseGreen: 1.5;
+export declare const textInputDisabledBorderWidthNeutralInverseRed: 1.5;
+export declare const textInputDisabledBorderWidthNeutralInverseYellow: 1.5;
+export declare const textInputDisabledBorderWidthSubtleBlue: 1.5;
+export declare const textInputDisabledBorderWidthSubtleGreen: 1.5;
+export declare const textInputDisabledBorderWidthSubtleRed: 1.5;
+export declare const textInputDisabledBorderWidthSubtleYellow: 1.5;
+export declare const textInputDisabledBorderWidthBoldBlue: 1.5;
+export declare const textInputDisabledBorderWidthBoldGreen: 1.5;
+export declare const textInputDisabledBorderWidthBoldRed: 1.5;
+export declare const textInputDisabledBorderWidthBoldYellow: 1.5;
+export declare const selectCommonBorderRadiusNeutralBlue: 12;
+export declare const selectCommonBorderRadiusNeutralGreen: 12;
+export declare const selectCommonBorderRadiusNeutralRed: 12;
+export declare const selectCommonBorderRadiusNeutralYellow: 12;
+export declare const selectCommonBorderRadiusNeutralInverseBlue: 12;
+export declare const selectCommonBorderRadiusNeutralInverseGreen: 12;
+export declare const selectCommonBorderRadiusNeutralInverseRed: 12;
+export declare const selectCommonBorderRadiusNeutralInverseYellow: 12;
+export declare const selectCommonBorderRadiusSubtleBlue: 12;
+export declare const selectCommonBorderRadiusSubtleGreen: 12;
+export declare const selectCommonBorderRadiusSubtleRed: 12;
+export declare const selectCommonBorderRadiusSubtleYellow: 12;
+export declare const selectCommonBorderRadiusBoldBlue: 12;
+export declare const selectCommonBorderRadiusBoldGreen: 12;
+export declare const selectCommonBorderRadiusBoldRed: 12;
+export declare const selectCommonBorderRadiusBoldYellow: 12;
+export declare const selectCommonHeightNeutralBlue: 48;
+export declare const selectCommonHeightNeutralGreen: 48;
+export declare const selectCommonHeightNeutralRed: 48;
+export declare const selectCommonHeightNeutralYellow: 48;
+export declare const selectCommonHeightNeutralInverseBlue: 48;
+export declare const selectCommonHeightNeutralInverseGreen: 48;
+export declare const selectCommonHeightNeutralInverseRed: 48;
+export declare const selectCommonHeightNeutralInverseYellow: 48;
+export declare const selectCommonHeightSubtleBlue: 48;
+export declare const selectCommonHeightSubtleGreen: 48;
+export declare const selectCommonHeightSubtleRed: 48;
+export declare const selectCommonHeightSubtleYellow: 48;
+export declare const selectCommonHeightBoldBlue: 48;
+export declare const selectCommonHeightBoldGreen: 48;
+export declare const selectCommonHeightBoldRed: 48;
+export declare const selectCommonHeightBoldYellow: 48;
+export declare const selectCommonPaddingXNeutralBlue: 16;
+export declare const selectCommonPaddingXNeutralGreen: 16;
+export declare const selectCommonPaddingXNeutralRed: 16;
+export declare const selectCommonPaddingXNeutralYellow: 16;
+export declare const selectCommonPaddingXNeutralInverseBlue: 16;
+export declare const selectCommonPaddingXNeutralInverseGreen: 16;
+export declare const selectCommonPaddingXNeutralInverseRed: 16;
+export declare const selectCommonPaddingXNeutralInverseYellow: 16;
+export declare const selectCommonPaddingXSubtleBlue: 16;
+export declare const selectCommonPaddingXSubtleGreen: 16;
+export declare const selectCommonPaddingXSubtleRed: 16;
+export declare const selectCommonPaddingXSubtleYellow: 16;
+export declare const selectCommonPaddingXBoldBlue: 16;
+export declare const selectCommonPaddingXBoldGreen: 16;
+export declare const selectCommonPaddingXBoldRed: 16;
+export declare const selectCommonPaddingXBoldYellow: 16;
+export declare const selectCommonPaddingYNeutralBlue: 8;
+export declare const selectCommonPaddingYNeutralGreen: 8;
+export declare const selectCommonPaddingYNeutralRed: 8;
+export declare const selectCommonPaddingYNeutralYellow: 8;
+export declare const selectCommonPaddingYNeutralInverseBlue: 8;
+export declare const selectCommonPaddingYNeutralInverseGreen: 8;
+export declare const selectCommonPaddingYNeutralInverseRed: 8;
+export declare const selectCommonPaddingYNeutralInverseYellow: 8;
+export declare const selectCommonPaddingYSubtleBlue: 8;
+export declare const selectCommonPaddingYSubtleGreen: 8;
+export declare const selectCommonPaddingYSubtleRed: 8;
+export declare const selectCommonPaddingYSubtleYellow: 8;
+export declare const selectCommonPaddingYBoldBlue: 8;
+export declare const selectCommonPaddingYBoldGreen: 8;
+export declare const selectCommonPaddingYBoldRed: 8;
+export declare const selectCommonPaddingYBoldYellow: 8;
+export declare const selectCommonTextGapNeutralBlue: 8;
+export declare const selectCommonTextGapNeutralGreen: 8;
+export declare const selectCommonTextGapNeutralRed: 8;
+export declare const selectCommonTextGapNeutralYellow: 8;
+export declare const selectCommonTextGapNeutralInverseBlue: 8;
+export declare const selectCommonTextGapNeutralInverseGreen: 8;
+export declare const selectCommonTextGapNeutralInverseRed: 8;
+export declare const selectCommonTextGapNeutralInverseYellow: 8;
+export declare const selectCommonTextGapSubtleBlue: 8;
+export declare const selectCommonTextGapSubtleGreen: 8;
+export declare const selectCommonTextGapSubtleRed: 8;
+export declare const selectCommonTextGapSubtleYellow: 8;
+export declare const selectCommonTextGapBoldBlue: 8;
+export declare const selectCommonTextGapBoldGreen: 8;
+export declare const selectCommonTextGapBoldRed: 8;
+export declare const selectCommonTextGapBoldYellow: 8;
+export declare const selectCommonButtonGapNeutralBlue: 16;
+export declare const selectCommonButtonGapNeutralGreen: 16;
+export declare const selectCommonButtonGapNeutralRed: 16;
+export declare const selectCommonButtonGapNeutralYellow: 16;
+export declare const selectCommonButtonGapNeutralInverseBlue: 16;
+export declare const selectCommonButtonGapNeutralInverseGreen: 16;
+export declare const selectCommonButtonGapNeutralInverseRed: 16;
+export declare const selectCommonButtonGapNeutralInverseYellow: 16;
+export declare const selectCommonButtonGapSubtleBlue: 16;
+export declare const selectCommonButtonGapSubtleGreen: 16;
+export declare const selectCommonButtonGapSubtleRed: 16;
+export declare const selectCommonButtonGapSubtleYellow: 16;
+export declare const selectCommonButtonGapBoldBlue: 16;
+export declare const selectCommonButtonGapBoldGreen: 16;
+export declare const selectCommonButtonGapBoldRed: 16;
+export declare const selectCommonButtonGapBoldYellow: 16;
+export declare const selectRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const selectRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const selectRestBackgroundColourNeutralRed: "#ffffff";
+export declare const selectRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const selectRestBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const selectRestBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const selectRestBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const selectRestBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const selectRestBackgroundColourSubtleBlue: "#ffffff";
+export declare const selectRestBackgroundColourSubtleGreen: "#ffffff";
+export declare const selectRestBackgroundColourSubtleRed: "#ffffff";
+export declare const selectRestBackgroundColourSubtleYellow: "#ffffff";
+export declare const selectRestBackgroundColourBoldBlue: "#ffffff";
+export declare const selectRestBackgroundColourBoldGreen: "#ffffff";
+export declare const selectRestBackgroundColourBoldRed: "#ffffff";
+export declare const selectRestBackgroundColourBoldYellow: "#ffffff";
+export declare const selectRestBorderColourNeutralBlue: "#858686";
+export declare const selectRestBorderColourNeutralGreen: "#858686";
+export declare const selectRestBorderColourNeutralRed: "#858686";
+export declare const selectRestBorderColourNeutralYellow: "#858686";
+export declare const selectRestBorderColourNeutralInverseBlue: "#858686";
+export declare const selectRestBorderColourNeutralInverseGreen: "#858686";
+export declare const selectRestBorderColourNeutralInverseRed: "#858686";
+export declare const selectRestBorderColourNeutralInverseYellow: "#858686";
+export declare const selectRestBorderColourSubtleBlue: "#001d6e";
+export declare const selectRestBorderColourSubtleGreen: "#01312e";
+export declare const selectRestBorderColourSubtleRed: "#940824";
+export declare const selectRestBorderColourSubtleYellow: "#c86426";
+export declare const selectRestBorderColourBoldBlue: "#001d6e";
+export declare const selectRestBorderColourBoldGreen: "#01312e";
+export declare const selectRestBorderColourBoldRed: "#940824";
+export declare const selectRestBorderColourBoldYellow: "#c86426";
+export declare const selectRestColourNeutralBlue: "#1d1d1b";
+export declare const selectRestColourNeutralGreen: "#1d1d1b";
+export declare const selectRestColourNeutralRed: "#1d1d1b";
+export declare const selectRestColourNeutralYellow: "#1d1d1b";
+export declare const selectRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const selectRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const selectRestColourNeutralInverseRed: "#1d1d1b";
+export declare const selectRestColourNeutralInverseYellow: "#1d1d1b";
+export declare const selectRestColourSubtleBlue: "#1d1d1b";
+export declare const selectRestColourSubtleGreen: "#1d1d1b";
+export declare const selectRestColourSubtleRed: "#1d1d1b";
+export declare const selectRestColourSubtleYellow: "#1d1d1b";
+export declare const selectRestColourBoldBlue: "#1d1d1b";
+export declare const selectRestColourBoldGreen: "#1d1d1b";
+export declare const selectRestColourBoldRed: "#1d1d1b";
+export declare const selectRestColourBoldYellow: "#1d1d1b";
+export declare const selectRestBorderWidthNeutralBlue: 1.5;
+export declare const selectRestBorderWidthNeutralGreen: 1.5;
+export declare const selectRestBorderWidthNeutralRed: 1.5;
+export declare const selectRestBorderWidthNeutralYellow: 1.5;
+export declare const selectRestBorderWidthNeutralInverseBlue: 1.5;
+export declare const selectRestBorderWidthNeutralInverseGreen: 1.5;
+export declare const selectRestBorderWidthNeutralInverseRed: 1.5;
+export declare const selectRestBorderWidthNeutralInverseYellow: 1.5;
+export declare const selectRestBorderWidthSubtleBlue: 1.5;
+export declare const selectRestBorderWidthSubtleGreen: 1.5;
+export declare const selectRestBorderWidthSubtleRed: 1.5;
+export declare const selectRestBorderWidthSubtleYellow: 1.5;
+export declare const selectRestBorderWidthBoldBlue: 1.5;
+export declare const selectRestBorderWidthBoldGreen: 1.5;
+export declare const selectRestBorderWidthBoldRed: 1.5;
+export declare const selectRestBorderWidthBoldYellow: 1.5;
+export declare const selectHoverBackgroundColourNeutralBlue: "#ffffff";
+export declare const selectHoverBackgroundColourNeutralGreen: "#ffffff";
+export declare const selectHoverBackgroundColourNeutralRed: "#ffffff";
+export declare const selectHoverBackgroundColourNeutralYellow: "#ffffff";
+export declare const selectHoverBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const selectHoverBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const selectHoverBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const selectHoverBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const selectHoverBackgroundColourSubtleBlue: "#ffffff";
+export declare const selectHoverBackgroundColourSubtleGreen: "#ffffff";
+export declare const selectHoverBackgroundColourSubtleRed: "#ffffff";
+export declare const selectHoverBackgroundColourSubtleYellow: "#ffffff";
+export declare const selectHoverBackgroundColourBoldBlue: "#ffffff";
+export declare const selectHoverBackgroundColourBoldGreen: "#ffffff";
+export declare const selectHoverBackgroundColourBoldRed: "#ffffff";
+export declare const selectHoverBackgroundColourBoldYellow: "#ffffff";
+export declare const selectHoverBorderColourNeutralBlue: "#4d4f4f";
+export declare const selectHoverBorderColourNeutralGreen: "#4d4f4f";
+export declare const selectHoverBorderColourNeutralRed: "#4d4f4f";
+export declare const selectHoverBorderColourNeutralYellow: "#4d4f4f";
+export declare const selectHoverBorderColourNeutralInverseBlue: "#4d4f4f";
+export declare const selectHoverBorderColourNeutralInverseGreen: "#4d4f4f";
+export declare const selectHoverBorderColourNeutralInverseRed: "#4d4f4f";
+export declare const selectHoverBorderColourNeutralInverseYellow: "#4d4f4f";
+export declare const selectHoverBorderColourSubtleBlue: "#1d1d1b";
+export declare const selectHoverBorderColourSubtleGreen: "#1d1d1b";
+export declare const selectHoverBorderColourSubtleRed: "#1d1d1b";
+export declare const selectHoverBorderColourSubtleYellow: "#1d1d1b";
+export declare const selectHoverBorderColourBoldBlue: "#1d1d1b";
+export declare const selectHoverBorderColourBoldGreen: "#1d1d1b";
+export declare const selectHoverBorderColourBoldRed: "#1d1d1b";
+export declare const selectHoverBorderColourBoldYellow: "#1d1d1b";
+export declare const selectHoverColourNeutralBlue: "#1d1d1b";
+export declare const selectHoverColourNeutralGreen: "#1d1d1b";
+export declare const selectHoverColourNeutralRed: "#1d1d1b";
+export declare const selectHoverColourNeutralYellow: "#1d1d1b";
+export declare const selectHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const selectHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const selectHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const selectHoverColourNeutralInverseYellow: "#1d1d1b";
+export declare const selectHoverColourSubtleBlue: "#1d1d1b";
+export declare const selectHoverColourSubtleGreen: "#1d1d1b";
+export declare const selectHoverColourSubtleRed: "#1d1d1b";
+export declare const selectHoverColourSubtleYellow: "#1d1d1b";
+export declare const selectHoverColourBoldBlue: "#1d1d1b";
+export declare const selectHoverColourBoldGreen: "#1d1d1b";
+export declare const selectHoverColourBoldRed: "#1d1d1b";
+export declare const selectHoverColourBoldYellow: "#1d1d1b";
+export declare const selectHoverBorderWidthNeutralBlue: 1.5;
+export declare const selectHoverBorderWidthNeutralGreen: 1.5;
+export declare const selectHoverBorderWidthNeutralRed: 1.5;
+export declare const selectHoverBorderWidthNeutralYellow: 1.5;
+export declare const selectHoverBorderWidthNeutralInverseBlue: 1.5;
+export declare const selectHoverBorderWidthNeutralInverseGreen: 1.5;
+export declare const selectHoverBorderWidthNeutralInverseRed: 1.5;
+export declare const selectHoverBorderWidthNeutralInverseYellow: 1.5;
+export declare const selectHoverBorderWidthSubtleBlue: 1.5;
+export declare const selectHoverBorderWidthSubtleGreen: 1.5;
+export declare const selectHoverBorderWidthSubtleRed: 1.5;
+export declare const selectHoverBorderWidthSubtleYellow: 1.5;
+export declare const selectHoverBorderWidthBoldBlue: 1.5;
+export declare const selectHoverBorderWidthBoldGreen: 1.5;
+export declare const selectHoverBorderWidthBoldRed: 1.5;
+export declare const selectHoverBorderWidthBoldYellow: 1.5;
+export declare const selectFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const selectFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const selectFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const selectFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const selectFocusBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const selectFocusBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const selectFocusBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const selectFocusBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const selectFocusBackgroundColourSubtleBlue: "#ffffff";
+export declare const selectFocusBackgroundColourSubtleGreen: "#ffffff";
+export declare const selectFocusBackgroundColourSubtleRed: "#ffffff";
+export declare const selectFocusBackgroundColourSubtleYellow: "#ffffff";
+export declare const selectFocusBackgroundColourBoldBlue: "#ffffff";
+export declare const selectFocusBackgroundColourBoldGreen: "#ffffff";
+export declare const selectFocusBackgroundColourBoldRed: "#ffffff";
+export declare const selectFocusBackgroundColourBoldYellow: "#ffffff";
+export declare const selectFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const selectFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const selectFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const selectFocusBorderColourNeutralYellow: "#1d1d1b";
+export declare const selectFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const selectFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const selectFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const selectFocusBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const selectFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const selectFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const selectFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const selectFocusBorderColourSubtleYellow: "#1d1d1b";
+export declare const selectFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const selectFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const selectFocusBorderColourBoldRed: "#1d1d1b";
+export declare const selectFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const selectFocusColourNeutralBlue: "#1d1d1b";
+export declare const selectFocusColourNeutralGreen: "#1d1d1b";
+export declare const selectFocusColourNeutralRed: "#1d1d1b";
+export declare const selectFocusColourNeutralYellow: "#1d1d1b";
+export declare const selectFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const selectFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const selectFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const selectFocusColourNeutralInverseYellow: "#1d1d1b";
+export declare const selectFocusColourSubtleBlue: "#1d1d1b";
+export declare const selectFocusColourSubtleGreen: "#1d1d1b";
+export declare const selectFocusColourSubtleRed: "#1d1d1b";
+export declare const selectFocusColourSubtleYellow: "#1d1d1b";
+export declare const selectFocusColourBoldBlue: "#1d1d1b";
+export declare const selectFocusColourBoldGreen: "#1d1d1b";
+export declare const selectFocusColourBoldRed: "#1d1d1b";
+export declare const selectFocusColourBoldYellow: "#1d1d1b";
+export declare const selectFocusBorderWidthNeutralBlue: 3;
+export declare const selectFocusBorderWidthNeutralGreen: 3;
+export declare const selectFocusBorderWidthNeutralRed: 3;
+export declare const selectFocusBorderWidthNeutralYellow: 3;
+export declare const selectFocusBorderWidthNeutralInverseBlue: 3;
+export declare const selectFocusBorderWidthNeutralInverseGreen: 3;
+export declare const selectFocusBorderWidthNeutralInverseRed: 3;
+export declare const selectFocusBorderWidthNeutralInverseYellow: 3;
+export declare const selectFocusBorderWidthSubtleBlue: 3;
+export declare const selectFocusBorderWidthSubtleGreen: 3;
+export declare const selectFocusBorderWidthSubtleRed: 3;
+export declare const selectFocusBorderWidthSubtleYellow: 3;
+export declare const selectFocusBorderWidthBoldBlue: 3;
+export declare const selectFocusBorderWidthBoldGreen: 3;
+export declare const selectFocusBorderWidthBoldRed: 3;
+export declare const selectFocusBorderWidthBoldYellow: 3;
+export declare const selectErrorBackgroundColourNeutralBlue: "#ffffff";
+export declare const selectErrorBackgroundColourNeutralGreen: "#ffffff";
+export declare const selectErrorBackgroundColourNeutralRed: "#ffffff";
+export declare const selectErrorBackgroundColourNeutralYellow: "#ffffff";
+export declare const selectErrorBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const selectErrorBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const selectErrorBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const selectErrorBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const selectErrorBackgroundColourSubtleBlue: "#ffffff";
+export declare const selectErrorBackgroundColourSubtleGreen: "#ffffff";
+export declare const selectErrorBackgroundColourSubtleRed: "#ffffff";
+export declare const selectErrorBackgroundColourSubtleYellow: "#ffffff";
+export declare const selectErrorBackgroundColourBoldBlue: "#ffffff";
+export declare const selectErrorBackgroundColourBoldGreen: "#ffffff";
+export declare const selectErrorBackgroundColourBoldRed: "#ffffff";
+export declare const selectErrorBackgroundColourBoldYellow: "#ffffff";
+export declare const selectErrorBorderColourNeutralBlue: "#c50b30";
+export declare const selectErrorBorderColourNeutralGreen: "#c50b30";
+export declare const selectErrorBorderColourNeutralRed: "#c50b30";
+export declare const selectErrorBorderColourNeutralYellow: "#c50b30";
+export declare const selectErrorBorderColourNeutralInverseBlue: "#c50b30";
+export declare const selectErrorBorderColourNeutralInverseGreen: "#c50b30";
+export declare const selectErrorBorderColourNeutralInverseRed: "#c50b30";
+export declare const selectErrorBorderColourNeutralInverseYellow: "#c50b30";
+export declare const selectErrorBorderColourSubtleBlue: "#c50b30";
+export declare const selectErrorBorderColourSubtleGreen: "#c50b30";
+export declare const selectErrorBorderColourSubtleRed: "#c50b30";
+export declare const selectErrorBorderColourSubtleYellow: "#c50b30";
+export declare const selectErrorBorderColourBoldBlue: "#c50b30";
+export declare const selectErrorBorderColourBoldGreen: "#c50b30";
+export declare const selectErrorBorderColourBoldRed: "#c50b30";
+export declare const selectErrorBorderColourBoldYellow: "#c50b30";
+export declare const selectErrorColourNeutralBlue: "#1d1d1b";
+export declare const selectErrorColourNeutralGreen: "#1d1d1b";
+export declare const selectErrorColourNeutralRed: "#1d1d1b";
+export declare const selectErrorColourNeutralYellow: "#1d1d1b";
+export declare const selectErrorColourNeutralInverseBlue: "#1d1d1b";
+export declare const selectErrorColourNeutralInverseGreen: "#1d1d1b";
+export declare const selectErrorColourNeutralInverseRed: "#1d1d1b";
+export declare const selectErrorColourNeutralInverseYellow: "#1d1d1b";
+export declare const selectErrorColourSubtleBlue: "#1d1d1b";
+export declare const selectErrorColourSubtleGreen: "#1d1d1b";
+export declare const selectErrorColourSubtleRed: "#1d1d1b";
+export declare const selectErrorColourSubtleYellow: "#1d1d1b";
+export declare const selectErrorColourBoldBlue: "#1d1d1b";
+export declare const selectErrorColourBoldGreen: "#1d1d1b";
+export declare const selectErrorColourBoldRed: "#1d1d1b";
+export declare const selectErrorColourBoldYellow: "#1d1d1b";
+export declare const selectErrorBorderWidthNeutralBlue: 1.5;
+export declare const selectErrorBorderWidthNeutralGreen: 1.5;
+export declare const selectErrorBorderWidthNeutralRed: 1.5;
+export declare const selectErrorBorderWidthNeutralYellow: 1.5;
+export declare const selectErrorBorderWidthNeutralInverseBlue: 1.5;
+export declare const selectErrorBorderWidthNeutralInverseGreen: 1.5;
+export declare const selectErrorBorderWidthNeutralInverseRed: 1.5;
+export declare const selectErrorBorderWidthNeutralInverseYellow: 1.5;
+export declare const selectErrorBorderWidthSubtleBlue: 1.5;
+export declare const selectErrorBorderWidthSubtleGreen: 1.5;
+export declare const selectErrorBorderWidthSubtleRed: 1.5;
+export declare const selectErrorBorderWidthSubtleYellow: 1.5;
+export declare const selectErrorBorderWidthBoldBlue: 1.5;
+export declare const selectErrorBorderWidthBoldGreen: 1.5;
+export declare const selectErrorBorderWidthBoldRed: 1.5;
+export declare const selectErrorBorderWidthBoldYellow: 1.5;
+export declare const selectErrorFocusBorderWidthNeutralBlue: 3;
+export declare const selectErrorFocusBorderWidthNeutralGreen: 3;
+export declare const selectErrorFocusBorderWidthNeutralRed: 3;
+export declare const selectErrorFocusBorderWidthNeutralYellow: 3;
+export declare const selectErrorFocusBorderWidthNeutralInverseBlue: 3;
+export declare const selectErrorFocusBorderWidthNeutralInverseGreen: 3;
+export declare const selectErrorFocusBorderWidthNeutralInverseRed: 3;
+export declare const selectErrorFocusBorderWidthNeutralInverseYellow: 3;
+export declare const selectErrorFocusBorderWidthSubtleBlue: 3;
+export declare const selectErrorFocusBorderWidthSubtleGreen: 3;
+export declare const selectErrorFocusBorderWidthSubtleRed: 3;
+export declare const selectErrorFocusBorderWidthSubtleYellow: 3;
+export declare const selectErrorFocusBorderWidthBoldBlue: 3;
+export declare const selectErrorFocusBorderWidthBoldGreen: 3;
+export declare const selectErrorFocusBorderWidthBoldRed: 3;
+export declare const selectErrorFocusBorderWidthBoldYellow: 3;
+export declare const selectDisabledBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const selectDisabledBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const selectDisabledBackgroundColourNeutralRed: "#f4f4f4";
+export declare const selectDisabledBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const selectDisabledBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const selectDisabledBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const selectDisabledBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const selectDisabledBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const selectDisabledBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const selectDisabledBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const selectDisabledBackgroundColourSubtleRed: "#f4f4f4";
+export declare const selectDisabledBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const selectDisabledBackgroundColourBoldBlue: "#f4f4f4";
+export declare const selectDisabledBackgroundColourBoldGreen: "#f4f4f4";
+export declare const selectDisabledBackgroundColourBoldRed: "#f4f4f4";
+export declare const selectDisabledBackgroundColourBoldYellow: "#f4f4f4";
+export declare const selectDisabledBorderColourNeutralBlue: "#d3d3d3";
+export declare const selectDisabledBorderColourNeutralGreen: "#d3d3d3";
+export declare const selectDisabledBorderColourNeutralRed: "#d3d3d3";
+export declare const selectDisabledBorderColourNeutralYellow: "#d3d3d3";
+export declare const selectDisabledBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const selectDisabledBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const selectDisabledBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const selectDisabledBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const selectDisabledBorderColourSubtleBlue: "#d3d3d3";
+export declare const selectDisabledBorderColourSubtleGreen: "#d3d3d3";
+export declare const selectDisabledBorderColourSubtleRed: "#d3d3d3";
+export declare const selectDisabledBorderColourSubtleYellow: "#d3d3d3";
+export declare const selectDisabledBorderColourBoldBlue: "#d3d3d3";
+export declare const selectDisabledBorderColourBoldGreen: "#d3d3d3";
+export declare const selectDisabledBorderColourBoldRed: "#d3d3d3";
+export declare const selectDisabledBorderColourBoldYellow: "#d3d3d3";
+export declare const selectDisabledColourNeutralBlue: "#a6a7a7";
+export declare const selectDisabledColourNeutralGreen: "#a6a7a7";
+export declare const selectDisabledColourNeutralRed: "#a6a7a7";
+export declare const selectDisabledColourNeutralYellow: "#a6a7a7";
+export declare const selectDisabledColourNeutralInverseBlue: "#a6a7a7";
+export declare const selectDisabledColourNeutralInverseGreen: "#a6a7a7";
+export declare const selectDisabledColourNeutralInverseRed: "#a6a7a7";
+export declare const selectDisabledColourNeutralInverseYellow: "#a6a7a7";
+export declare const selectDisabledColourSubtleBlue: "#a6a7a7";
+export declare const selectDisabledColourSubtleGreen: "#a6a7a7";
+export declare const selectDisabledColourSubtleRed: "#a6a7a7";
+export declare const selectDisabledColourSubtleYellow: "#a6a7a7";
+export declare const selectDisabledColourBoldBlue: "#a6a7a7";
+export declare const selectDisabledColourBoldGreen: "#a6a7a7";
+export declare const selectDisabledColourBoldRed: "#a6a7a7";
+export declare const selectDisabledColourBoldYellow: "#a6a7a7";
+export declare const selectDisabledBorderWidthNeutralBlue: 1.5;
+export declare const selectDisabledBorderWidthNeutralGreen: 1.5;
+export declare const selectDisabledBorderWidthNeutralRed: 1.5;
+export declare const selectDisabledBorderWidthNeutralYellow: 1.5;
+export declare const selectDisabledBorderWidthNeutralInverseBlue: 1.5;
+export declare const selectDisabledBorderWidthNeutralInverseGreen: 1.5;
+export declare const selectDisabledBorderWidthNeutralInverseRed: 1.5;
+export declare const selectDisabledBorderWidthNeutralInverseYellow: 1.5;
+export declare const selectDisabledBorderWidthSubtleBlue: 1.5;
+export declare const selectDisabledBorderWidthSubtleGreen: 1.5;
+export declare const selectDisabledBorderWidthSubtleRed: 1.5;
+export declare const selectDisabledBorderWidthSubtleYellow: 1.5;
+export declare const selectDisabledBorderWidthBoldBlue: 1.5;
+export declare const selectDisabledBorderWidthBoldGreen: 1.5;
+export declare const selectDisabledBorderWidthBoldRed: 1.5;
+export declare const selectDisabledBorderWidthBoldYellow: 1.5;
+export declare const addOnButtonRestColourNeutralBlue: "#858686";
+export declare const addOnButtonRestColourNeutralGreen: "#858686";
+export declare const addOnButtonRestColourNeutralRed: "#858686";
+export declare const addOnButtonRestColourNeutralYellow: "#858686";
+export declare const addOnButtonRestColourNeutralInverseBlue: "#858686";
+export declare const addOnButtonRestColourNeutralInverseGreen: "#858686";
+export declare const addOnButtonRestColourNeutralInverseRed: "#858686";
+export declare const addOnButtonRestColourNeutralInverseYellow: "#858686";
+export declare const addOnButtonRestColourSubtleBlue: "#858686";
+export declare const addOnButtonRestColourSubtleGreen: "#858686";
+export declare const addOnButtonRestColourSubtleRed: "#858686";
+export declare const addOnButtonRestColourSubtleYellow: "#858686";
+export declare const addOnButtonRestColourBoldBlue: "#858686";
+export declare const addOnButtonRestColourBoldGreen: "#858686";
+export declare const addOnButtonRestColourBoldRed: "#858686";
+export declare const addOnButtonRestColourBoldYellow: "#858686";
+export declare const addOnButtonHoverColourNeutralBlue: "#4d4f4f";
+export declare const addOnButtonHoverColourNeutralGreen: "#4d4f4f";
+export declare const addOnButtonHoverColourNeutralRed: "#4d4f4f";
+export declare const addOnButtonHoverColourNeutralYellow: "#4d4f4f";
+export declare const addOnButtonHoverColourNeutralInverseBlue: "#4d4f4f";
+export declare const addOnButtonHoverColourNeutralInverseGreen: "#4d4f4f";
+export declare const addOnButtonHoverColourNeutralInverseRed: "#4d4f4f";
+export declare const addOnButtonHoverColourNeutralInverseYellow: "#4d4f4f";
+export declare const addOnButtonHoverColourSubtleBlue: "#4d4f4f";
+export declare const addOnButtonHoverColourSubtleGreen: "#4d4f4f";
+export declare const addOnButtonHoverColourSubtleRed: "#4d4f4f";
+export declare const addOnButtonHoverColourSubtleYellow: "#4d4f4f";
+export declare const addOnButtonHoverColourBoldBlue: "#4d4f4f";
+export declare const addOnButtonHoverColourBoldGreen: "#4d4f4f";
+export declare const addOnButtonHoverColourBoldRed: "#4d4f4f";
+export declare const addOnButtonHoverColourBoldYellow: "#4d4f4f";
+export declare const addOnButtonActiveColourNeutralBlue: "#1d1d1b";
+export declare const addOnButtonActiveColourNeutralGreen: "#1d1d1b";
+export declare const addOnButtonActiveColourNeutralRed: "#1d1d1b";
+export declare const addOnButtonActiveColourNeutralYellow: "#1d1d1b";
+export declare const addOnButtonActiveColourNeutralInverseBlue: "#1d1d1b";
+export declare const addOnButtonActiveColourNeutralInverseGreen: "#1d1d1b";
+export declare const addOnButtonActiveColourNeutralInverseRed: "#1d1d1b";
+export declare const addOnButtonActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const addOnButtonActiveColourSubtleBlue: "#1d1d1b";
+export declare const addOnButtonActiveColourSubtleGreen: "#1d1d1b";
+export declare const addOnButtonActiveColourSubtleRed: "#1d1d1b";
+export declare const addOnButtonActiveColourSubtleYellow: "#1d1d1b";
+export declare const addOnButtonActiveColourBoldBlue: "#1d1d1b";
+export declare const addOnButtonActiveColourBoldGreen: "#1d1d1b";
+export declare const addOnButtonActiveColourBoldRed: "#1d1d1b";
+export declare const addOnButtonActiveColourBoldYellow: "#1d1d1b";
+export declare const addOnButtonFocusColourNeutralBlue: "#858686";
+export declare const addOnButtonFocusColourNeutralGreen: "#858686";
+export declare const addOnButtonFocusColourNeutralRed: "#858686";
+export declare const addOnButtonFocusColourNeutralYellow: "#858686";
+export declare const addOnButtonFocusColourNeutralInverseBlue: "#858686";
+export declare const addOnButtonFocusColourNeutralInverseGreen: "#858686";
+export declare const addOnButtonFocusColourNeutralInverseRed: "#858686";
+export declare const addOnButtonFocusColourNeutralInverseYellow: "#858686";
+export declare const addOnButtonFocusColourSubtleBlue: "#858686";
+export declare const addOnButtonFocusColourSubtleGreen: "#858686";
+export declare const addOnButtonFocusColourSubtleRed: "#858686";
+export declare const addOnButtonFocusColourSubtleYellow: "#858686";
+export declare const addOnButtonFocusColourBoldBlue: "#858686";
+export declare const addOnButtonFocusColourBoldGreen: "#858686";
+export declare const addOnButtonFocusColourBoldRed: "#858686";
+export declare const addOnButtonFocusColourBoldYellow: "#858686";
+export declare const addOnButtonFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourNeutralYellow: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourSubtleYellow: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourBoldRed: "#1d1d1b";
+export declare const addOnButtonFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const addOnButtonFocusBorderWidthNeutralBlue: 3;
+export declare const addOnButtonFocusBorderWidthNeutralGreen: 3;
+export declare const addOnButtonFocusBorderWidthNeutralRed: 3;
+export declare const addOnButtonFocusBorderWidthNeutralYellow: 3;
+export declare const addOnButtonFocusBorderWidthNeutralInverseBlue: 3;
+export declare const addOnButtonFocusBorderWidthNeutralInverseGreen: 3;
+export declare const addOnButtonFocusBorderWidthNeutralInverseRed: 3;
+export declare const addOnButtonFocusBorderWidthNeutralInverseYellow: 3;
+export declare const addOnButtonFocusBorderWidthSubtleBlue: 3;
+export declare const addOnButtonFocusBorderWidthSubtleGreen: 3;
+export declare const addOnButtonFocusBorderWidthSubtleRed: 3;
+export declare const addOnButtonFocusBorderWidthSubtleYellow: 3;
+export declare const addOnButtonFocusBorderWidthBoldBlue: 3;
+export declare const addOnButtonFocusBorderWidthBoldGreen: 3;
+export declare const addOnButtonFocusBorderWidthBoldRed: 3;
+export declare const addOnButtonFocusBorderWidthBoldYellow: 3;
+export declare const addOnButtonFocusBorderRadiusNeutralBlue: 12;
+export declare const addOnButtonFocusBorderRadiusNeutralGreen: 12;
+export declare const addOnButtonFocusBorderRadiusNeutralRed: 12;
+export declare const addOnButtonFocusBorderRadiusNeutralYellow: 12;
+export declare const addOnButtonFocusBorderRadiusNeutralInverseBlue: 12;
+export declare const addOnButtonFocusBorderRadiusNeutralInverseGreen: 12;
+export declare const addOnButtonFocusBorderRadiusNeutralInverseRed: 12;
+export declare const addOnButtonFocusBorderRadiusNeutralInverseYellow: 12;
+export declare const addOnButtonFocusBorderRadiusSubtleBlue: 12;
+export declare const addOnButtonFocusBorderRadiusSubtleGreen: 12;
+export declare const addOnButtonFocusBorderRadiusSubtleRed: 12;
+export declare const addOnButtonFocusBorderRadiusSubtleYellow: 12;
+export declare const addOnButtonFocusBorderRadiusBoldBlue: 12;
+export declare const addOnButtonFocusBorderRadiusBoldGreen: 12;
+export declare const addOnButtonFocusBorderRadiusBoldRed: 12;
+export declare const addOnButtonFocusBorderRadiusBoldYellow: 12;
+export declare const addOnButtonDisabledColourNeutralBlue: "#d3d3d3";
+export declare const addOnButtonDisabledColourNeutralGreen: "#d3d3d3";
+export declare const addOnButtonDisabledColourNeutralRed: "#d3d3d3";
+export declare const addOnButtonDisabledColourNeutralYellow: "#d3d3d3";
+export declare const addOnButtonDisabledColourNeutralInverseBlue: "#d3d3d3";
+export declare const addOnButtonDisabledColourNeutralInverseGreen: "#d3d3d3";
+export declare const addOnButtonDisabledColourNeutralInverseRed: "#d3d3d3";
+export declare const addOnButtonDisabledColourNeutralInverseYellow: "#d3d3d3";
+export declare const addOnButtonDisabledColourSubtleBlue: "#d3d3d3";
+export declare const addOnButtonDisabledColourSubtleGreen: "#d3d3d3";
+export declare const addOnButtonDisabledColourSubtleRed: "#d3d3d3";
+export declare const addOnButtonDisabledColourSubtleYellow: "#d3d3d3";
+export declare const addOnButtonDisabledColourBoldBlue: "#d3d3d3";
+export declare const addOnButtonDisabledColourBoldGreen: "#d3d3d3";
+export declare const addOnButtonDisabledColourBoldRed: "#d3d3d3";
+export declare const addOnButtonDisabledColourBoldYellow: "#d3d3d3";
+export declare const radioScaleSmControlSizeNeutralBlue: 16;
+export declare const radioScaleSmControlSizeNeutralGreen: 16;
+export declare const radioScaleSmControlSizeNeutralRed: 16;
+export declare const radioScaleSmControlSizeNeutralYellow: 16;
+export declare const radioScaleSmControlSizeNeutralInverseBlue: 16;
+export declare const radioScaleSmControlSizeNeutralInverseGreen: 16;
+export declare const radioScaleSmControlSizeNeutralInverseRed: 16;
+export declare const radioScaleSmControlSizeNeutralInverseYellow: 16;
+export declare const radioScaleSmControlSizeSubtleBlue: 16;
+export declare const radioScaleSmControlSizeSubtleGreen: 16;
+export declare const radioScaleSmControlSizeSubtleRed: 16;
+export declare const radioScaleSmControlSizeSubtleYellow: 16;
+export declare const radioScaleSmControlSizeBoldBlue: 16;
+export declare const radioScaleSmControlSizeBoldGreen: 16;
+export declare const radioScaleSmControlSizeBoldRed: 16;
+export declare const radioScaleSmControlSizeBoldYellow: 16;
+export declare const radioScaleSmGapNeutralBlue: 28;
+export declare const radioScaleSmGapNeutralGreen: 28;
+export declare const radioScaleSmGapNeutralRed: 28;
+export declare const radioScaleSmGapNeutralYellow: 28;
+export declare const radioScaleSmGapNeutralInverseBlue: 28;
+export declare const radioScaleSmGapNeutralInverseGreen: 28;
+export declare const radioScaleSmGapNeutralInverseRed: 28;
+export declare const radioScaleSmGapNeutralInverseYellow: 28;
+export declare const radioScaleSmGapSubtleBlue: 28;
+export declare const radioScaleSmGapSubtleGreen: 28;
+export declare const radioScaleSmGapSubtleRed: 28;
+export declare const radioScaleSmGapSubtleYellow: 28;
+export declare const radioScaleSmGapBoldBlue: 28;
+export declare const radioScaleSmGapBoldGreen: 28;
+export declare const radioScaleSmGapBoldRed: 28;
+export declare const radioScaleSmGapBoldYellow: 28;
+export declare const radioScaleSmIndicatorSizeNeutralBlue: 8;
+export declare const radioScaleSmIndicatorSizeNeutralGreen: 8;
+export declare const radioScaleSmIndicatorSizeNeutralRed: 8;
+export declare const radioScaleSmIndicatorSizeNeutralYellow: 8;
+export declare const radioScaleSmIndicatorSizeNeutralInverseBlue: 8;
+export declare const radioScaleSmIndicatorSizeNeutralInverseGreen: 8;
+export declare const radioScaleSmIndicatorSizeNeutralInverseRed: 8;
+export declare const radioScaleSmIndicatorSizeNeutralInverseYellow: 8;
+export declare const radioScaleSmIndicatorSizeSubtleBlue: 8;
+export declare const radioScaleSmIndicatorSizeSubtleGreen: 8;
+export declare const radioScaleSmIndicatorSizeSubtleRed: 8;
+export declare const radioScaleSmIndicatorSizeSubtleYellow: 8;
+export declare const radioScaleSmIndicatorSizeBoldBlue: 8;
+export declare const radioScaleSmIndicatorSizeBoldGreen: 8;
+export declare const radioScaleSmIndicatorSizeBoldRed: 8;
+export declare const radioScaleSmIndicatorSizeBoldYellow: 8;
+export declare const radioScaleLgGapNeutralBlue: 36;
+export declare const radioScaleLgGapNeutralGreen: 36;
+export declare const radioScaleLgGapNeutralRed: 36;
+export declare const radioScaleLgGapNeutralYellow: 36;
+export declare const radioScaleLgGapNeutralInverseBlue: 36;
+export declare const radioScaleLgGapNeutralInverseGreen: 36;
+export declare const radioScaleLgGapNeutralInverseRed: 36;
+export declare const radioScaleLgGapNeutralInverseYellow: 36;
+export declare const radioScaleLgGapSubtleBlue: 36;
+export declare const radioScaleLgGapSubtleGreen: 36;
+export declare const radioScaleLgGapSubtleRed: 36;
+export declare const radioScaleLgGapSubtleYellow: 36;
+export declare const radioScaleLgGapBoldBlue: 36;
+export declare const radioScaleLgGapBoldGreen: 36;
+export declare const radioScaleLgGapBoldRed: 36;
+export declare const radioScaleLgGapBoldYellow: 36;
+export declare const radioScaleLgControlSizeNeutralBlue: 28;
+export declare const radioScaleLgControlSizeNeutralGreen: 28;
+export declare const radioScaleLgControlSizeNeutralRed: 28;
+export declare const radioScaleLgControlSizeNeutralYellow: 28;
+export declare const radioScaleLgControlSizeNeutralInverseBlue: 28;
+export declare const radioScaleLgControlSizeNeutralInverseGreen: 28;
+export declare const radioScaleLgControlSizeNeutralInverseRed: 28;
+export declare const radioScaleLgControlSizeNeutralInverseYellow: 28;
+export declare const radioScaleLgControlSizeSubtleBlue: 28;
+export declare const radioScaleLgControlSizeSubtleGreen: 28;
+export declare const radioScaleLgControlSizeSubtleRed: 28;
+export declare const radioScaleLgControlSizeSubtleYellow: 28;
+export declare const radioScaleLgControlSizeBoldBlue: 28;
+export declare const radioScaleLgControlSizeBoldGreen: 28;
+export declare const radioScaleLgControlSizeBoldRed: 28;
+export declare const radioScaleLgControlSizeBoldYellow: 28;
+export declare const radioScaleLgIndicatorSizeNeutralBlue: 16;
+export declare const radioScaleLgIndicatorSizeNeutralGreen: 16;
+export declare const radioScaleLgIndicatorSizeNeutralRed: 16;
+export declare const radioScaleLgIndicatorSizeNeutralYellow: 16;
+export declare const radioScaleLgIndicatorSizeNeutralInverseBlue: 16;
+export declare const radioScaleLgIndicatorSizeNeutralInverseGreen: 16;
+export declare const radioScaleLgIndicatorSizeNeutralInverseRed: 16;
+export declare const radioScaleLgIndicatorSizeNeutralInverseYellow: 16;
+export declare const radioScaleLgIndicatorSizeSubtleBlue: 16;
+export declare const radioScaleLgIndicatorSizeSubtleGreen: 16;
+export declare const radioScaleLgIndicatorSizeSubtleRed: 16;
+export declare const radioScaleLgIndicatorSizeSubtleYellow: 16;
+export declare const radioScaleLgIndicatorSizeBoldBlue: 16;
+export declare const radioScaleLgIndicatorSizeBoldGreen: 16;
+export declare const radioScaleLgIndicatorSizeBoldRed: 16;
+export declare const radioScaleLgIndicatorSizeBoldYellow: 16;
+export declare const radioRestControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const radioRestControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const radioRestControlBackgroundColourNeutralRed: "#ffffff";
+export declare const radioRestControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const radioRestControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const radioRestControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const radioRestControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const radioRestControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const radioRestControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const radioRestControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const radioRestControlBackgroundColourSubtleRed: "#ffffff";
+export declare const radioRestControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const radioRestControlBackgroundColourBoldBlue: "#ffffff";
+export declare const radioRestControlBackgroundColourBoldGreen: "#ffffff";
+export declare const radioRestControlBackgroundColourBoldRed: "#ffffff";
+export declare const radioRestControlBackgroundColourBoldYellow: "#ffffff";
+export declare const radioRestControlBorderColourNeutralBlue: "#858686";
+export declare const radioRestControlBorderColourNeutralGreen: "#858686";
+export declare const radioRestControlBorderColourNeutralRed: "#858686";
+export declare const radioRestControlBorderColourNeutralYellow: "#858686";
+export declare const radioRestControlBorderColourNeutralInverseBlue: "#858686";
+export declare const radioRestControlBorderColourNeutralInverseGreen: "#858686";
+export declare const radioRestControlBorderColourNeutralInverseRed: "#858686";
+export declare const radioRestControlBorderColourNeutralInverseYellow: "#858686";
+export declare const radioRestControlBorderColourSubtleBlue: "#001d6e";
+export declare const radioRestControlBorderColourSubtleGreen: "#01312e";
+export declare const radioRestControlBorderColourSubtleRed: "#940824";
+export declare const radioRestControlBorderColourSubtleYellow: "#c86426";
+export declare const radioRestControlBorderColourBoldBlue: "#001d6e";
+export declare const radioRestControlBorderColourBoldGreen: "#01312e";
+export declare const radioRestControlBorderColourBoldRed: "#940824";
+export declare const radioRestControlBorderColourBoldYellow: "#c86426";
+export declare const radioRestControlBorderWidthNeutralBlue: 1.5;
+export declare const radioRestControlBorderWidthNeutralGreen: 1.5;
+export declare const radioRestControlBorderWidthNeutralRed: 1.5;
+export declare const radioRestControlBorderWidthNeutralYellow: 1.5;
+export declare const radioRestControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const radioRestControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const radioRestControlBorderWidthNeutralInverseRed: 1.5;
+export declare const radioRestControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const radioRestControlBorderWidthSubtleBlue: 1.5;
+export declare const radioRestControlBorderWidthSubtleGreen: 1.5;
+export declare const radioRestControlBorderWidthSubtleRed: 1.5;
+export declare const radioRestControlBorderWidthSubtleYellow: 1.5;
+export declare const radioRestControlBorderWidthBoldBlue: 1.5;
+export declare const radioRestControlBorderWidthBoldGreen: 1.5;
+export declare const radioRestControlBorderWidthBoldRed: 1.5;
+export declare const radioRestControlBorderWidthBoldYellow: 1.5;
+export declare const radioRestIndicatorColourNeutralBlue: "#005dba";
+export declare const radioRestIndicatorColourNeutralGreen: "#00633d";
+export declare const radioRestIndicatorColourNeutralRed: "#c50b30";
+export declare const radioRestIndicatorColourNeutralYellow: "#c86426";
+export declare const radioRestIndicatorColourNeutralInverseBlue: "#005dba";
+export declare const radioRestIndicatorColourNeutralInverseGreen: "#00633d";
+export declare const radioRestIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const radioRestIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const radioRestIndicatorColourSubtleBlue: "#005dba";
+export declare const radioRestIndicatorColourSubtleGreen: "#00633d";
+export declare const radioRestIndicatorColourSubtleRed: "#c50b30";
+export declare const radioRestIndicatorColourSubtleYellow: "#c86426";
+export declare const radioRestIndicatorColourBoldBlue: "#005dba";
+export declare const radioRestIndicatorColourBoldGreen: "#00633d";
+export declare const radioRestIndicatorColourBoldRed: "#c50b30";
+export declare const radioRestIndicatorColourBoldYellow: "#c86426";
+export declare const radioHoverControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const radioHoverControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const radioHoverControlBackgroundColourNeutralRed: "#ffffff";
+export declare const radioHoverControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const radioHoverControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const radioHoverControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const radioHoverControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const radioHoverControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const radioHoverControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const radioHoverControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const radioHoverControlBackgroundColourSubtleRed: "#ffffff";
+export declare const radioHoverControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const radioHoverControlBackgroundColourBoldBlue: "#ffffff";
+export declare const radioHoverControlBackgroundColourBoldGreen: "#ffffff";
+export declare const radioHoverControlBackgroundColourBoldRed: "#ffffff";
+export declare const radioHoverControlBackgroundColourBoldYellow: "#ffffff";
+export declare const radioHoverControlBorderColourNeutralBlue: "#4d4f4f";
+export declare const radioHoverControlBorderColourNeutralGreen: "#4d4f4f";
+export declare const radioHoverControlBorderColourNeutralRed: "#4d4f4f";
+export declare const radioHoverControlBorderColourNeutralYellow: "#4d4f4f";
+export declare const radioHoverControlBorderColourNeutralInverseBlue: "#4d4f4f";
+export declare const radioHoverControlBorderColourNeutralInverseGreen: "#4d4f4f";
+export declare const radioHoverControlBorderColourNeutralInverseRed: "#4d4f4f";
+export declare const radioHoverControlBorderColourNeutralInverseYellow: "#4d4f4f";
+export declare const radioHoverControlBorderColourSubtleBlue: "#1d1d1b";
+export declare const radioHoverControlBorderColourSubtleGreen: "#1d1d1b";
+export declare const radioHoverControlBorderColourSubtleRed: "#1d1d1b";
+export declare const radioHoverControlBorderColourSubtleYellow: "#1d1d1b";
+export declare const radioHoverControlBorderColourBoldBlue: "#1d1d1b";
+export declare const radioHoverControlBorderColourBoldGreen: "#1d1d1b";
+export declare const radioHoverControlBorderColourBoldRed: "#1d1d1b";
+export declare const radioHoverControlBorderColourBoldYellow: "#1d1d1b";
+export declare const radioHoverControlBorderWidthNeutralBlue: 1.5;
+export declare const radioHoverControlBorderWidthNeutralGreen: 1.5;
+export declare const radioHoverControlBorderWidthNeutralRed: 1.5;
+export declare const radioHoverControlBorderWidthNeutralYellow: 1.5;
+export declare const radioHoverControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const radioHoverControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const radioHoverControlBorderWidthNeutralInverseRed: 1.5;
+export declare const radioHoverControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const radioHoverControlBorderWidthSubtleBlue: 1.5;
+export declare const radioHoverControlBorderWidthSubtleGreen: 1.5;
+export declare const radioHoverControlBorderWidthSubtleRed: 1.5;
+export declare const radioHoverControlBorderWidthSubtleYellow: 1.5;
+export declare const radioHoverControlBorderWidthBoldBlue: 1.5;
+export declare const radioHoverControlBorderWidthBoldGreen: 1.5;
+export declare const radioHoverControlBorderWidthBoldRed: 1.5;
+export declare const radioHoverControlBorderWidthBoldYellow: 1.5;
+export declare const radioHoverIndicatorColourNeutralBlue: "#001d6e";
+export declare const radioHoverIndicatorColourNeutralGreen: "#01312e";
+export declare const radioHoverIndicatorColourNeutralRed: "#940824";
+export declare const radioHoverIndicatorColourNeutralYellow: "#c86426";
+export declare const radioHoverIndicatorColourNeutralInverseBlue: "#001d6e";
+export declare const radioHoverIndicatorColourNeutralInverseGreen: "#01312e";
+export declare const radioHoverIndicatorColourNeutralInverseRed: "#940824";
+export declare const radioHoverIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const radioHoverIndicatorColourSubtleBlue: "#001d6e";
+export declare const radioHoverIndicatorColourSubtleGreen: "#01312e";
+export declare const radioHoverIndicatorColourSubtleRed: "#940824";
+export declare const radioHoverIndicatorColourSubtleYellow: "#c86426";
+export declare const radioHoverIndicatorColourBoldBlue: "#001d6e";
+export declare const radioHoverIndicatorColourBoldGreen: "#01312e";
+export declare const radioHoverIndicatorColourBoldRed: "#940824";
+export declare const radioHoverIndicatorColourBoldYellow: "#c86426";
+export declare const radioCommonColourNeutralBlue: "#1d1d1b";
+export declare const radioCommonColourNeutralGreen: "#1d1d1b";
+export declare const radioCommonColourNeutralRed: "#1d1d1b";
+export declare const radioCommonColourNeutralYellow: "#1d1d1b";
+export declare const radioCommonColourNeutralInverseBlue: "#1d1d1b";
+export declare const radioCommonColourNeutralInverseGreen: "#1d1d1b";
+export declare const radioCommonColourNeutralInverseRed: "#1d1d1b";
+export declare const radioCommonColourNeutralInverseYellow: "#1d1d1b";
+export declare const radioCommonColourSubtleBlue: "#1d1d1b";
+export declare const radioCommonColourSubtleGreen: "#1d1d1b";
+export declare const radioCommonColourSubtleRed: "#1d1d1b";
+export declare const radioCommonColourSubtleYellow: "#1d1d1b";
+export declare const radioCommonColourBoldBlue: "#ffffff";
+export declare const radioCommonColourBoldGreen: "#ffffff";
+export declare const radioCommonColourBoldRed: "#ffffff";
+export declare const radioCommonColourBoldYellow: "#1d1d1b";
+export declare const radioCommonBorderRadiusNeutralBlue: 16;
+export declare const radioCommonBorderRadiusNeutralGreen: 16;
+export declare const radioCommonBorderRadiusNeutralRed: 16;
+export declare const radioCommonBorderRadiusNeutralYellow: 16;
+export declare const radioCommonBorderRadiusNeutralInverseBlue: 16;
+export declare const radioCommonBorderRadiusNeutralInverseGreen: 16;
+export declare const radioCommonBorderRadiusNeutralInverseRed: 16;
+export declare const radioCommonBorderRadiusNeutralInverseYellow: 16;
+export declare const radioCommonBorderRadiusSubtleBlue: 16;
+export declare const radioCommonBorderRadiusSubtleGreen: 16;
+export declare const radioCommonBorderRadiusSubtleRed: 16;
+export declare const radioCommonBorderRadiusSubtleYellow: 16;
+export declare const radioCommonBorderRadiusBoldBlue: 16;
+export declare const radioCommonBorderRadiusBoldGreen: 16;
+export declare const radioCommonBorderRadiusBoldRed: 16;
+export declare const radioCommonBorderRadiusBoldYellow: 16;
+export declare const radioFocusControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const radioFocusControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const radioFocusControlBackgroundColourNeutralRed: "#ffffff";
+export declare const radioFocusControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const radioFocusControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const radioFocusControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const radioFocusControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const radioFocusControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const radioFocusControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const radioFocusControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const radioFocusControlBackgroundColourSubtleRed: "#ffffff";
+export declare const radioFocusControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const radioFocusControlBackgroundColourBoldBlue: "#ffffff";
+export declare const radioFocusControlBackgroundColourBoldGreen: "#ffffff";
+export declare const radioFocusControlBackgroundColourBoldRed: "#ffffff";
+export declare const radioFocusControlBackgroundColourBoldYellow: "#ffffff";
+export declare const radioFocusControlBorderColourNeutralBlue: "#1d1d1b";
+export declare const radioFocusControlBorderColourNeutralGreen: "#1d1d1b";
+export declare const radioFocusControlBorderColourNeutralRed: "#1d1d1b";
+export declare const radioFocusControlBorderColourNeutralYellow: "#1d1d1b";
+export declare const radioFocusControlBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const radioFocusControlBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const radioFocusControlBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const radioFocusControlBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const radioFocusControlBorderColourSubtleBlue: "#1d1d1b";
+export declare const radioFocusControlBorderColourSubtleGreen: "#1d1d1b";
+export declare const radioFocusControlBorderColourSubtleRed: "#1d1d1b";
+export declare const radioFocusControlBorderColourSubtleYellow: "#1d1d1b";
+export declare const radioFocusControlBorderColourBoldBlue: "#1d1d1b";
+export declare const radioFocusControlBorderColourBoldGreen: "#1d1d1b";
+export declare const radioFocusControlBorderColourBoldRed: "#1d1d1b";
+export declare const radioFocusControlBorderColourBoldYellow: "#1d1d1b";
+export declare const radioFocusControlBorderWidthNeutralBlue: 3;
+export declare const radioFocusControlBorderWidthNeutralGreen: 3;
+export declare const radioFocusControlBorderWidthNeutralRed: 3;
+export declare const radioFocusControlBorderWidthNeutralYellow: 3;
+export declare const radioFocusControlBorderWidthNeutralInverseBlue: 3;
+export declare const radioFocusControlBorderWidthNeutralInverseGreen: 3;
+export declare const radioFocusControlBorderWidthNeutralInverseRed: 3;
+export declare const radioFocusControlBorderWidthNeutralInverseYellow: 3;
+export declare const radioFocusControlBorderWidthSubtleBlue: 3;
+export declare const radioFocusControlBorderWidthSubtleGreen: 3;
+export declare const radioFocusControlBorderWidthSubtleRed: 3;
+export declare const radioFocusControlBorderWidthSubtleYellow: 3;
+export declare const radioFocusControlBorderWidthBoldBlue: 3;
+export declare const radioFocusControlBorderWidthBoldGreen: 3;
+export declare const radioFocusControlBorderWidthBoldRed: 3;
+export declare const radioFocusControlBorderWidthBoldYellow: 3;
+export declare const radioFocusIndicatorColourNeutralBlue: "#005dba";
+export declare const radioFocusIndicatorColourNeutralGreen: "#00633d";
+export declare const radioFocusIndicatorColourNeutralRed: "#c50b30";
+export declare const radioFocusIndicatorColourNeutralYellow: "#c86426";
+export declare const radioFocusIndicatorColourNeutralInverseBlue: "#005dba";
+export declare const radioFocusIndicatorColourNeutralInverseGreen: "#00633d";
+export declare const radioFocusIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const radioFocusIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const radioFocusIndicatorColourSubtleBlue: "#005dba";
+export declare const radioFocusIndicatorColourSubtleGreen: "#00633d";
+export declare const radioFocusIndicatorColourSubtleRed: "#c50b30";
+export declare const radioFocusIndicatorColourSubtleYellow: "#c86426";
+export declare const radioFocusIndicatorColourBoldBlue: "#005dba";
+export declare const radioFocusIndicatorColourBoldGreen: "#00633d";
+export declare const radioFocusIndicatorColourBoldRed: "#c50b30";
+export declare const radioFocusIndicatorColourBoldYellow: "#c86426";
+export declare const radioErrorControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const radioErrorControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const radioErrorControlBackgroundColourNeutralRed: "#ffffff";
+export declare const radioErrorControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const radioErrorControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const radioErrorControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const radioErrorControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const radioErrorControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const radioErrorControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const radioErrorControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const radioErrorControlBackgroundColourSubtleRed: "#ffffff";
+export declare const radioErrorControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const radioErrorControlBackgroundColourBoldBlue: "#ffffff";
+export declare const radioErrorControlBackgroundColourBoldGreen: "#ffffff";
+export declare const radioErrorControlBackgroundColourBoldRed: "#ffffff";
+export declare const radioErrorControlBackgroundColourBoldYellow: "#ffffff";
+export declare const radioErrorControlBorderColourNeutralBlue: "#c50b30";
+export declare const radioErrorControlBorderColourNeutralGreen: "#c50b30";
+export declare const radioErrorControlBorderColourNeutralRed: "#c50b30";
+export declare const radioErrorControlBorderColourNeutralYellow: "#c50b30";
+export declare const radioErrorControlBorderColourNeutralInverseBlue: "#c50b30";
+export declare const radioErrorControlBorderColourNeutralInverseGreen: "#c50b30";
+export declare const radioErrorControlBorderColourNeutralInverseRed: "#c50b30";
+export declare const radioErrorControlBorderColourNeutralInverseYellow: "#c50b30";
+export declare const radioErrorControlBorderColourSubtleBlue: "#c50b30";
+export declare const radioErrorControlBorderColourSubtleGreen: "#c50b30";
+export declare const radioErrorControlBorderColourSubtleRed: "#c50b30";
+export declare const radioErrorControlBorderColourSubtleYellow: "#c50b30";
+export declare const radioErrorControlBorderColourBoldBlue: "#c50b30";
+export declare const radioErrorControlBorderColourBoldGreen: "#c50b30";
+export declare const radioErrorControlBorderColourBoldRed: "#c50b30";
+export declare const radioErrorControlBorderColourBoldYellow: "#c50b30";
+export declare const radioErrorControlBorderWidthNeutralBlue: 1.5;
+export declare const radioErrorControlBorderWidthNeutralGreen: 1.5;
+export declare const radioErrorControlBorderWidthNeutralRed: 1.5;
+export declare const radioErrorControlBorderWidthNeutralYellow: 1.5;
+export declare const radioErrorControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const radioErrorControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const radioErrorControlBorderWidthNeutralInverseRed: 1.5;
+export declare const radioErrorControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const radioErrorControlBorderWidthSubtleBlue: 1.5;
+export declare const radioErrorControlBorderWidthSubtleGreen: 1.5;
+export declare const radioErrorControlBorderWidthSubtleRed: 1.5;
+export declare const radioErrorControlBorderWidthSubtleYellow: 1.5;
+export declare const radioErrorControlBorderWidthBoldBlue: 1.5;
+export declare const radioErrorControlBorderWidthBoldGreen: 1.5;
+export declare const radioErrorControlBorderWidthBoldRed: 1.5;
+export declare const radioErrorControlBorderWidthBoldYellow: 1.5;
+export declare const radioErrorControlFocusBorderWidthNeutralBlue: 3;
+export declare const radioErrorControlFocusBorderWidthNeutralGreen: 3;
+export declare const radioErrorControlFocusBorderWidthNeutralRed: 3;
+export declare const radioErrorControlFocusBorderWidthNeutralYellow: 3;
+export declare const radioErrorControlFocusBorderWidthNeutralInverseBlue: 3;
+export declare const radioErrorControlFocusBorderWidthNeutralInverseGreen: 3;
+export declare const radioErrorControlFocusBorderWidthNeutralInverseRed: 3;
+export declare const radioErrorControlFocusBorderWidthNeutralInverseYellow: 3;
+export declare const radioErrorControlFocusBorderWidthSubtleBlue: 3;
+export declare const radioErrorControlFocusBorderWidthSubtleGreen: 3;
+export declare const radioErrorControlFocusBorderWidthSubtleRed: 3;
+export declare const radioErrorControlFocusBorderWidthSubtleYellow: 3;
+export declare const radioErrorControlFocusBorderWidthBoldBlue: 3;
+export declare const radioErrorControlFocusBorderWidthBoldGreen: 3;
+export declare const radioErrorControlFocusBorderWidthBoldRed: 3;
+export declare const radioErrorControlFocusBorderWidthBoldYellow: 3;
+export declare const radioErrorIndicatorColourNeutralBlue: "#c50b30";
+export declare const radioErrorIndicatorColourNeutralGreen: "#c50b30";
+export declare const radioErrorIndicatorColourNeutralRed: "#c50b30";
+export declare const radioErrorIndicatorColourNeutralYellow: "#c50b30";
+export declare const radioErrorIndicatorColourNeutralInverseBlue: "#c50b30";
+export declare const radioErrorIndicatorColourNeutralInverseGreen: "#c50b30";
+export declare const radioErrorIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const radioErrorIndicatorColourNeutralInverseYellow: "#c50b30";
+export declare const radioErrorIndicatorColourSubtleBlue: "#c50b30";
+export declare const radioErrorIndicatorColourSubtleGreen: "#c50b30";
+export declare const radioErrorIndicatorColourSubtleRed: "#c50b30";
+export declare const radioErrorIndicatorColourSubtleYellow: "#c50b30";
+export declare const radioErrorIndicatorColourBoldBlue: "#c50b30";
+export declare const radioErrorIndicatorColourBoldGreen: "#c50b30";
+export declare const radioErrorIndicatorColourBoldRed: "#c50b30";
+export declare const radioErrorIndicatorColourBoldYellow: "#c50b30";
+export declare const radioDisabledLabelColourNeutralBlue: "#a6a7a7";
+export declare const radioDisabledLabelColourNeutralGreen: "#a6a7a7";
+export declare const radioDisabledLabelColourNeutralRed: "#a6a7a7";
+export declare const radioDisabledLabelColourNeutralYellow: "#a6a7a7";
+export declare const radioDisabledLabelColourNeutralInverseBlue: "#a6a7a7";
+export declare const radioDisabledLabelColourNeutralInverseGreen: "#a6a7a7";
+export declare const radioDisabledLabelColourNeutralInverseRed: "#a6a7a7";
+export declare const radioDisabledLabelColourNeutralInverseYellow: "#a6a7a7";
+export declare const radioDisabledLabelColourSubtleBlue: "#a6a7a7";
+export declare const radioDisabledLabelColourSubtleGreen: "#a6a7a7";
+export declare const radioDisabledLabelColourSubtleRed: "#a6a7a7";
+export declare const radioDisabledLabelColourSubtleYellow: "#a6a7a7";
+export declare const radioDisabledLabelColourBoldBlue: "#a6a7a7";
+export declare const radioDisabledLabelColourBoldGreen: "#a6a7a7";
+export declare const radioDisabledLabelColourBoldRed: "#a6a7a7";
+export declare const radioDisabledLabelColourBoldYellow: "#a6a7a7";
+export declare const radioDisabledControlBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourNeutralRed: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourSubtleRed: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourBoldBlue: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourBoldGreen: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourBoldRed: "#f4f4f4";
+export declare const radioDisabledControlBackgroundColourBoldYellow: "#f4f4f4";
+export declare const radioDisabledControlBorderColourNeutralBlue: "#d3d3d3";
+export declare const radioDisabledControlBorderColourNeutralGreen: "#d3d3d3";
+export declare const radioDisabledControlBorderColourNeutralRed: "#d3d3d3";
+export declare const radioDisabledControlBorderColourNeutralYellow: "#d3d3d3";
+export declare const radioDisabledControlBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const radioDisabledControlBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const radioDisabledControlBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const radioDisabledControlBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const radioDisabledControlBorderColourSubtleBlue: "#d3d3d3";
+export declare const radioDisabledControlBorderColourSubtleGreen: "#d3d3d3";
+export declare const radioDisabledControlBorderColourSubtleRed: "#d3d3d3";
+export declare const radioDisabledControlBorderColourSubtleYellow: "#d3d3d3";
+export declare const radioDisabledControlBorderColourBoldBlue: "#d3d3d3";
+export declare const radioDisabledControlBorderColourBoldGreen: "#d3d3d3";
+export declare const radioDisabledControlBorderColourBoldRed: "#d3d3d3";
+export declare const radioDisabledControlBorderColourBoldYellow: "#d3d3d3";
+export declare const radioDisabledControlBorderWidthNeutralBlue: 1.5;
+export declare const radioDisabledControlBorderWidthNeutralGreen: 1.5;
+export declare const radioDisabledControlBorderWidthNeutralRed: 1.5;
+export declare const radioDisabledControlBorderWidthNeutralYellow: 1.5;
+export declare const radioDisabledControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const radioDisabledControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const radioDisabledControlBorderWidthNeutralInverseRed: 1.5;
+export declare const radioDisabledControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const radioDisabledControlBorderWidthSubtleBlue: 1.5;
+export declare const radioDisabledControlBorderWidthSubtleGreen: 1.5;
+export declare const radioDisabledControlBorderWidthSubtleRed: 1.5;
+export declare const radioDisabledControlBorderWidthSubtleYellow: 1.5;
+export declare const radioDisabledControlBorderWidthBoldBlue: 1.5;
+export declare const radioDisabledControlBorderWidthBoldGreen: 1.5;
+export declare const radioDisabledControlBorderWidthBoldRed: 1.5;
+export declare const radioDisabledControlBorderWidthBoldYellow: 1.5;
+export declare const radioDisabledIndicatorColourNeutralBlue: "#d3d3d3";
+export declare const radioDisabledIndicatorColourNeutralGreen: "#d3d3d3";
+export declare const radioDisabledIndicatorColourNeutralRed: "#d3d3d3";
+export declare const radioDisabledIndicatorColourNeutralYellow: "#d3d3d3";
+export declare const radioDisabledIndicatorColourNeutralInverseBlue: "#d3d3d3";
+export declare const radioDisabledIndicatorColourNeutralInverseGreen: "#d3d3d3";
+export declare const radioDisabledIndicatorColourNeutralInverseRed: "#d3d3d3";
+export declare const radioDisabledIndicatorColourNeutralInverseYellow: "#d3d3d3";
+export declare const radioDisabledIndicatorColourSubtleBlue: "#d3d3d3";
+export declare const radioDisabledIndicatorColourSubtleGreen: "#d3d3d3";
+export declare const radioDisabledIndicatorColourSubtleRed: "#d3d3d3";
+export declare const radioDisabledIndicatorColourSubtleYellow: "#d3d3d3";
+export declare const radioDisabledIndicatorColourBoldBlue: "#d3d3d3";
+export declare const radioDisabledIndicatorColourBoldGreen: "#d3d3d3";
+export declare const radioDisabledIndicatorColourBoldRed: "#d3d3d3";
+export declare const radioDisabledIndicatorColourBoldYellow: "#d3d3d3";
+export declare const radioGroupSmGapNeutralBlue: 16;
+export declare const radioGroupSmGapNeutralGreen: 16;
+export declare const radioGroupSmGapNeutralRed: 16;
+export declare const radioGroupSmGapNeutralYellow: 16;
+export declare const radioGroupSmGapNeutralInverseBlue: 16;
+export declare const radioGroupSmGapNeutralInverseGreen: 16;
+export declare const radioGroupSmGapNeutralInverseRed: 16;
+export declare const radioGroupSmGapNeutralInverseYellow: 16;
+export declare const radioGroupSmGapSubtleBlue: 16;
+export declare const radioGroupSmGapSubtleGreen: 16;
+export declare const radioGroupSmGapSubtleRed: 16;
+export declare const radioGroupSmGapSubtleYellow: 16;
+export declare const radioGroupSmGapBoldBlue: 16;
+export declare const radioGroupSmGapBoldGreen: 16;
+export declare const radioGroupSmGapBoldRed: 16;
+export declare const radioGroupSmGapBoldYellow: 16;
+export declare const radioGroupLgGapNeutralBlue: 20;
+export declare const radioGroupLgGapNeutralGreen: 20;
+export declare const radioGroupLgGapNeutralRed: 20;
+export declare const radioGroupLgGapNeutralYellow: 20;
+export declare const radioGroupLgGapNeutralInverseBlue: 20;
+export declare const radioGroupLgGapNeutralInverseGreen: 20;
+export declare const radioGroupLgGapNeutralInverseRed: 20;
+export declare const radioGroupLgGapNeutralInverseYellow: 20;
+export declare const radioGroupLgGapSubtleBlue: 20;
+export declare const radioGroupLgGapSubtleGreen: 20;
+export declare const radioGroupLgGapSubtleRed: 20;
+export declare const radioGroupLgGapSubtleYellow: 20;
+export declare const radioGroupLgGapBoldBlue: 20;
+export declare const radioGroupLgGapBoldGreen: 20;
+export declare const radioGroupLgGapBoldRed: 20;
+export declare const radioGroupLgGapBoldYellow: 20;
+export declare const checkboxScaleSmGapNeutralBlue: 28;
+export declare const checkboxScaleSmGapNeutralGreen: 28;
+export declare const checkboxScaleSmGapNeutralRed: 28;
+export declare const checkboxScaleSmGapNeutralYellow: 28;
+export declare const checkboxScaleSmGapNeutralInverseBlue: 28;
+export declare const checkboxScaleSmGapNeutralInverseGreen: 28;
+export declare const checkboxScaleSmGapNeutralInverseRed: 28;
+export declare const checkboxScaleSmGapNeutralInverseYellow: 28;
+export declare const checkboxScaleSmGapSubtleBlue: 28;
+export declare const checkboxScaleSmGapSubtleGreen: 28;
+export declare const checkboxScaleSmGapSubtleRed: 28;
+export declare const checkboxScaleSmGapSubtleYellow: 28;
+export declare const checkboxScaleSmGapBoldBlue: 28;
+export declare const checkboxScaleSmGapBoldGreen: 28;
+export declare const checkboxScaleSmGapBoldRed: 28;
+export declare const checkboxScaleSmGapBoldYellow: 28;
+export declare const checkboxScaleSmControlSizeNeutralBlue: 16;
+export declare const checkboxScaleSmControlSizeNeutralGreen: 16;
+export declare const checkboxScaleSmControlSizeNeutralRed: 16;
+export declare const checkboxScaleSmControlSizeNeutralYellow: 16;
+export declare const checkboxScaleSmControlSizeNeutralInverseBlue: 16;
+export declare const checkboxScaleSmControlSizeNeutralInverseGreen: 16;
+export declare const checkboxScaleSmControlSizeNeutralInverseRed: 16;
+export declare const checkboxScaleSmControlSizeNeutralInverseYellow: 16;
+export declare const checkboxScaleSmControlSizeSubtleBlue: 16;
+export declare const checkboxScaleSmControlSizeSubtleGreen: 16;
+export declare const checkboxScaleSmControlSizeSubtleRed: 16;
+export declare const checkboxScaleSmControlSizeSubtleYellow: 16;
+export declare const checkboxScaleSmControlSizeBoldBlue: 16;
+export declare const checkboxScaleSmControlSizeBoldGreen: 16;
+export declare const checkboxScaleSmControlSizeBoldRed: 16;
+export declare const checkboxScaleSmControlSizeBoldYellow: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralBlue: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralGreen: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralRed: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralYellow: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralInverseBlue: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralInverseGreen: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralInverseRed: 16;
+export declare const checkboxScaleSmIndicatorSizeNeutralInverseYellow: 16;
+export declare const checkboxScaleSmIndicatorSizeSubtleBlue: 16;
+export declare const checkboxScaleSmIndicatorSizeSubtleGreen: 16;
+export declare const checkboxScaleSmIndicatorSizeSubtleRed: 16;
+export declare const checkboxScaleSmIndicatorSizeSubtleYellow: 16;
+export declare const checkboxScaleSmIndicatorSizeBoldBlue: 16;
+export declare const checkboxScaleSmIndicatorSizeBoldGreen: 16;
+export declare const checkboxScaleSmIndicatorSizeBoldRed: 16;
+export declare const checkboxScaleSmIndicatorSizeBoldYellow: 16;
+export declare const checkboxScaleLgGapNeutralBlue: 36;
+export declare const checkboxScaleLgGapNeutralGreen: 36;
+export declare const checkboxScaleLgGapNeutralRed: 36;
+export declare const checkboxScaleLgGapNeutralYellow: 36;
+export declare const checkboxScaleLgGapNeutralInverseBlue: 36;
+export declare const checkboxScaleLgGapNeutralInverseGreen: 36;
+export declare const checkboxScaleLgGapNeutralInverseRed: 36;
+export declare const checkboxScaleLgGapNeutralInverseYellow: 36;
+export declare const checkboxScaleLgGapSubtleBlue: 36;
+export declare const checkboxScaleLgGapSubtleGreen: 36;
+export declare const checkboxScaleLgGapSubtleRed: 36;
+export declare const checkboxScaleLgGapSubtleYellow: 36;
+export declare const checkboxScaleLgGapBoldBlue: 36;
+export declare const checkboxScaleLgGapBoldGreen: 36;
+export declare const checkboxScaleLgGapBoldRed: 36;
+export declare const checkboxScaleLgGapBoldYellow: 36;
+export declare const checkboxScaleLgControlSizeNeutralBlue: 28;
+export declare const checkboxScaleLgControlSizeNeutralGreen: 28;
+export declare const checkboxScaleLgControlSizeNeutralRed: 28;
+export declare const checkboxScaleLgControlSizeNeutralYellow: 28;
+export declare const checkboxScaleLgControlSizeNeutralInverseBlue: 28;
+export declare const checkboxScaleLgControlSizeNeutralInverseGreen: 28;
+export declare const checkboxScaleLgControlSizeNeutralInverseRed: 28;
+export declare const checkboxScaleLgControlSizeNeutralInverseYellow: 28;
+export declare const checkboxScaleLgControlSizeSubtleBlue: 28;
+export declare const checkboxScaleLgControlSizeSubtleGreen: 28;
+export declare const checkboxScaleLgControlSizeSubtleRed: 28;
+export declare const checkboxScaleLgControlSizeSubtleYellow: 28;
+export declare const checkboxScaleLgControlSizeBoldBlue: 28;
+export declare const checkboxScaleLgControlSizeBoldGreen: 28;
+export declare const checkboxScaleLgControlSizeBoldRed: 28;
+export declare const checkboxScaleLgControlSizeBoldYellow: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralBlue: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralGreen: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralRed: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralYellow: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralInverseBlue: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralInverseGreen: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralInverseRed: 28;
+export declare const checkboxScaleLgIndicatorSizeNeutralInverseYellow: 28;
+export declare const checkboxScaleLgIndicatorSizeSubtleBlue: 28;
+export declare const checkboxScaleLgIndicatorSizeSubtleGreen: 28;
+export declare const checkboxScaleLgIndicatorSizeSubtleRed: 28;
+export declare const checkboxScaleLgIndicatorSizeSubtleYellow: 28;
+export declare const checkboxScaleLgIndicatorSizeBoldBlue: 28;
+export declare const checkboxScaleLgIndicatorSizeBoldGreen: 28;
+export declare const checkboxScaleLgIndicatorSizeBoldRed: 28;
+export declare const checkboxScaleLgIndicatorSizeBoldYellow: 28;
+export declare const checkboxCommonGapNeutralBlue: 12;
+export declare const checkboxCommonGapNeutralGreen: 12;
+export declare const checkboxCommonGapNeutralRed: 12;
+export declare const checkboxCommonGapNeutralYellow: 12;
+export declare const checkboxCommonGapNeutralInverseBlue: 12;
+export declare const checkboxCommonGapNeutralInverseGreen: 12;
+export declare const checkboxCommonGapNeutralInverseRed: 12;
+export declare const checkboxCommonGapNeutralInverseYellow: 12;
+export declare const checkboxCommonGapSubtleBlue: 12;
+export declare const checkboxCommonGapSubtleGreen: 12;
+export declare const checkboxCommonGapSubtleRed: 12;
+export declare const checkboxCommonGapSubtleYellow: 12;
+export declare const checkboxCommonGapBoldBlue: 12;
+export declare const checkboxCommonGapBoldGreen: 12;
+export declare const checkboxCommonGapBoldRed: 12;
+export declare const checkboxCommonGapBoldYellow: 12;
+export declare const checkboxCommonColourNeutralBlue: "#1d1d1b";
+export declare const checkboxCommonColourNeutralGreen: "#1d1d1b";
+export declare const checkboxCommonColourNeutralRed: "#1d1d1b";
+export declare const checkboxCommonColourNeutralYellow: "#1d1d1b";
+export declare const checkboxCommonColourNeutralInverseBlue: "#1d1d1b";
+export declare const checkboxCommonColourNeutralInverseGreen: "#1d1d1b";
+export declare const checkboxCommonColourNeutralInverseRed: "#1d1d1b";
+export declare const checkboxCommonColourNeutralInverseYellow: "#1d1d1b";
+export declare const checkboxCommonColourSubtleBlue: "#1d1d1b";
+export declare const checkboxCommonColourSubtleGreen: "#1d1d1b";
+export declare const checkboxCommonColourSubtleRed: "#1d1d1b";
+export declare const checkboxCommonColourSubtleYellow: "#1d1d1b";
+export declare const checkboxCommonColourBoldBlue: "#ffffff";
+export declare const checkboxCommonColourBoldGreen: "#ffffff";
+export declare const checkboxCommonColourBoldRed: "#ffffff";
+export declare const checkboxCommonColourBoldYellow: "#1d1d1b";
+export declare const checkboxCommonBorderRadiusNeutralBlue: 4;
+export declare const checkboxCommonBorderRadiusNeutralGreen: 4;
+export declare const checkboxCommonBorderRadiusNeutralRed: 4;
+export declare const checkboxCommonBorderRadiusNeutralYellow: 4;
+export declare const checkboxCommonBorderRadiusNeutralInverseBlue: 4;
+export declare const checkboxCommonBorderRadiusNeutralInverseGreen: 4;
+export declare const checkboxCommonBorderRadiusNeutralInverseRed: 4;
+export declare const checkboxCommonBorderRadiusNeutralInverseYellow: 4;
+export declare const checkboxCommonBorderRadiusSubtleBlue: 4;
+export declare const checkboxCommonBorderRadiusSubtleGreen: 4;
+export declare const checkboxCommonBorderRadiusSubtleRed: 4;
+export declare const checkboxCommonBorderRadiusSubtleYellow: 4;
+export declare const checkboxCommonBorderRadiusBoldBlue: 4;
+export declare const checkboxCommonBorderRadiusBoldGreen: 4;
+export declare const checkboxCommonBorderRadiusBoldRed: 4;
+export declare const checkboxCommonBorderRadiusBoldYellow: 4;
+export declare const checkboxRestControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const checkboxRestControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const checkboxRestControlBackgroundColourNeutralRed: "#ffffff";
+export declare const checkboxRestControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const checkboxRestControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const checkboxRestControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const checkboxRestControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const checkboxRestControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const checkboxRestControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const checkboxRestControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const checkboxRestControlBackgroundColourSubtleRed: "#ffffff";
+export declare const checkboxRestControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const checkboxRestControlBackgroundColourBoldBlue: "#ffffff";
+export declare const checkboxRestControlBackgroundColourBoldGreen: "#ffffff";
+export declare const checkboxRestControlBackgroundColourBoldRed: "#ffffff";
+export declare const checkboxRestControlBackgroundColourBoldYellow: "#ffffff";
+export declare const checkboxRestControlBorderColourNeutralBlue: "#858686";
+export declare const checkboxRestControlBorderColourNeutralGreen: "#858686";
+export declare const checkboxRestControlBorderColourNeutralRed: "#858686";
+export declare const checkboxRestControlBorderColourNeutralYellow: "#858686";
+export declare const checkboxRestControlBorderColourNeutralInverseBlue: "#858686";
+export declare const checkboxRestControlBorderColourNeutralInverseGreen: "#858686";
+export declare const checkboxRestControlBorderColourNeutralInverseRed: "#858686";
+export declare const checkboxRestControlBorderColourNeutralInverseYellow: "#858686";
+export declare const checkboxRestControlBorderColourSubtleBlue: "#001d6e";
+export declare const checkboxRestControlBorderColourSubtleGreen: "#01312e";
+export declare const checkboxRestControlBorderColourSubtleRed: "#940824";
+export declare const checkboxRestControlBorderColourSubtleYellow: "#c86426";
+export declare const checkboxRestControlBorderColourBoldBlue: "#001d6e";
+export declare const checkboxRestControlBorderColourBoldGreen: "#01312e";
+export declare const checkboxRestControlBorderColourBoldRed: "#940824";
+export declare const checkboxRestControlBorderColourBoldYellow: "#c86426";
+export declare const checkboxRestControlBorderWidthNeutralBlue: 1.5;
+export declare const checkboxRestControlBorderWidthNeutralGreen: 1.5;
+export declare const checkboxRestControlBorderWidthNeutralRed: 1.5;
+export declare const checkboxRestControlBorderWidthNeutralYellow: 1.5;
+export declare const checkboxRestControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const checkboxRestControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const checkboxRestControlBorderWidthNeutralInverseRed: 1.5;
+export declare const checkboxRestControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const checkboxRestControlBorderWidthSubtleBlue: 1.5;
+export declare const checkboxRestControlBorderWidthSubtleGreen: 1.5;
+export declare const checkboxRestControlBorderWidthSubtleRed: 1.5;
+export declare const checkboxRestControlBorderWidthSubtleYellow: 1.5;
+export declare const checkboxRestControlBorderWidthBoldBlue: 1.5;
+export declare const checkboxRestControlBorderWidthBoldGreen: 1.5;
+export declare const checkboxRestControlBorderWidthBoldRed: 1.5;
+export declare const checkboxRestControlBorderWidthBoldYellow: 1.5;
+export declare const checkboxRestIndicatorColourNeutralBlue: "#005dba";
+export declare const checkboxRestIndicatorColourNeutralGreen: "#00633d";
+export declare const checkboxRestIndicatorColourNeutralRed: "#c50b30";
+export declare const checkboxRestIndicatorColourNeutralYellow: "#c86426";
+export declare const checkboxRestIndicatorColourNeutralInverseBlue: "#005dba";
+export declare const checkboxRestIndicatorColourNeutralInverseGreen: "#00633d";
+export declare const checkboxRestIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const checkboxRestIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const checkboxRestIndicatorColourSubtleBlue: "#005dba";
+export declare const checkboxRestIndicatorColourSubtleGreen: "#00633d";
+export declare const checkboxRestIndicatorColourSubtleRed: "#c50b30";
+export declare const checkboxRestIndicatorColourSubtleYellow: "#c86426";
+export declare const checkboxRestIndicatorColourBoldBlue: "#005dba";
+export declare const checkboxRestIndicatorColourBoldGreen: "#00633d";
+export declare const checkboxRestIndicatorColourBoldRed: "#c50b30";
+export declare const checkboxRestIndicatorColourBoldYellow: "#c86426";
+export declare const checkboxHoverControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourNeutralRed: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourSubtleRed: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourBoldBlue: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourBoldGreen: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourBoldRed: "#ffffff";
+export declare const checkboxHoverControlBackgroundColourBoldYellow: "#ffffff";
+export declare const checkboxHoverControlBorderColourNeutralBlue: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourNeutralGreen: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourNeutralRed: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourNeutralYellow: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourNeutralInverseBlue: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourNeutralInverseGreen: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourNeutralInverseRed: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourNeutralInverseYellow: "#4d4f4f";
+export declare const checkboxHoverControlBorderColourSubtleBlue: "#1d1d1b";
+export declare const checkboxHoverControlBorderColourSubtleGreen: "#1d1d1b";
+export declare const checkboxHoverControlBorderColourSubtleRed: "#1d1d1b";
+export declare const checkboxHoverControlBorderColourSubtleYellow: "#1d1d1b";
+export declare const checkboxHoverControlBorderColourBoldBlue: "#1d1d1b";
+export declare const checkboxHoverControlBorderColourBoldGreen: "#1d1d1b";
+export declare const checkboxHoverControlBorderColourBoldRed: "#1d1d1b";
+export declare const checkboxHoverControlBorderColourBoldYellow: "#1d1d1b";
+export declare const checkboxHoverControlBorderWidthNeutralBlue: 1.5;
+export declare const checkboxHoverControlBorderWidthNeutralGreen: 1.5;
+export declare const checkboxHoverControlBorderWidthNeutralRed: 1.5;
+export declare const checkboxHoverControlBorderWidthNeutralYellow: 1.5;
+export declare const checkboxHoverControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const checkboxHoverControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const checkboxHoverControlBorderWidthNeutralInverseRed: 1.5;
+export declare const checkboxHoverControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const checkboxHoverControlBorderWidthSubtleBlue: 1.5;
+export declare const checkboxHoverControlBorderWidthSubtleGreen: 1.5;
+export declare const checkboxHoverControlBorderWidthSubtleRed: 1.5;
+export declare const checkboxHoverControlBorderWidthSubtleYellow: 1.5;
+export declare const checkboxHoverControlBorderWidthBoldBlue: 1.5;
+export declare const checkboxHoverControlBorderWidthBoldGreen: 1.5;
+export declare const checkboxHoverControlBorderWidthBoldRed: 1.5;
+export declare const checkboxHoverControlBorderWidthBoldYellow: 1.5;
+export declare const checkboxHoverIndicatorColourNeutralBlue: "#001d6e";
+export declare const checkboxHoverIndicatorColourNeutralGreen: "#01312e";
+export declare const checkboxHoverIndicatorColourNeutralRed: "#940824";
+export declare const checkboxHoverIndicatorColourNeutralYellow: "#c86426";
+export declare const checkboxHoverIndicatorColourNeutralInverseBlue: "#001d6e";
+export declare const checkboxHoverIndicatorColourNeutralInverseGreen: "#01312e";
+export declare const checkboxHoverIndicatorColourNeutralInverseRed: "#940824";
+export declare const checkboxHoverIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const checkboxHoverIndicatorColourSubtleBlue: "#001d6e";
+export declare const checkboxHoverIndicatorColourSubtleGreen: "#01312e";
+export declare const checkboxHoverIndicatorColourSubtleRed: "#940824";
+export declare const checkboxHoverIndicatorColourSubtleYellow: "#c86426";
+export declare const checkboxHoverIndicatorColourBoldBlue: "#001d6e";
+export declare const checkboxHoverIndicatorColourBoldGreen: "#01312e";
+export declare const checkboxHoverIndicatorColourBoldRed: "#940824";
+export declare const checkboxHoverIndicatorColourBoldYellow: "#c86426";
+export declare const checkboxFocusControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourNeutralRed: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourSubtleRed: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourBoldBlue: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourBoldGreen: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourBoldRed: "#ffffff";
+export declare const checkboxFocusControlBackgroundColourBoldYellow: "#ffffff";
+export declare const checkboxFocusControlBorderColourNeutralBlue: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourNeutralGreen: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourNeutralRed: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourNeutralYellow: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourSubtleBlue: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourSubtleGreen: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourSubtleRed: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourSubtleYellow: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourBoldBlue: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourBoldGreen: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourBoldRed: "#1d1d1b";
+export declare const checkboxFocusControlBorderColourBoldYellow: "#1d1d1b";
+export declare const checkboxFocusControlBorderWidthNeutralBlue: 3;
+export declare const checkboxFocusControlBorderWidthNeutralGreen: 3;
+export declare const checkboxFocusControlBorderWidthNeutralRed: 3;
+export declare const checkboxFocusControlBorderWidthNeutralYellow: 3;
+export declare const checkboxFocusControlBorderWidthNeutralInverseBlue: 3;
+export declare const checkboxFocusControlBorderWidthNeutralInverseGreen: 3;
+export declare const checkboxFocusControlBorderWidthNeutralInverseRed: 3;
+export declare const checkboxFocusControlBorderWidthNeutralInverseYellow: 3;
+export declare const checkboxFocusControlBorderWidthSubtleBlue: 3;
+export declare const checkboxFocusControlBorderWidthSubtleGreen: 3;
+export declare const checkboxFocusControlBorderWidthSubtleRed: 3;
+export declare const checkboxFocusControlBorderWidthSubtleYellow: 3;
+export declare const checkboxFocusControlBorderWidthBoldBlue: 3;
+export declare const checkboxFocusControlBorderWidthBoldGreen: 3;
+export declare const checkboxFocusControlBorderWidthBoldRed: 3;
+export declare const checkboxFocusControlBorderWidthBoldYellow: 3;
+export declare const checkboxFocusIndicatorColourNeutralBlue: "#005dba";
+export declare const checkboxFocusIndicatorColourNeutralGreen: "#00633d";
+export declare const checkboxFocusIndicatorColourNeutralRed: "#c50b30";
+export declare const checkboxFocusIndicatorColourNeutralYellow: "#c86426";
+export declare const checkboxFocusIndicatorColourNeutralInverseBlue: "#005dba";
+export declare const checkboxFocusIndicatorColourNeutralInverseGreen: "#00633d";
+export declare const checkboxFocusIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const checkboxFocusIndicatorColourNeutralInverseYellow: "#c86426";
+export declare const checkboxFocusIndicatorColourSubtleBlue: "#005dba";
+export declare const checkboxFocusIndicatorColourSubtleGreen: "#00633d";
+export declare const checkboxFocusIndicatorColourSubtleRed: "#c50b30";
+export declare const checkboxFocusIndicatorColourSubtleYellow: "#c86426";
+export declare const checkboxFocusIndicatorColourBoldBlue: "#005dba";
+export declare const checkboxFocusIndicatorColourBoldGreen: "#00633d";
+export declare const checkboxFocusIndicatorColourBoldRed: "#c50b30";
+export declare const checkboxFocusIndicatorColourBoldYellow: "#c86426";
+export declare const checkboxErrorControlBackgroundColourNeutralBlue: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourNeutralGreen: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourNeutralRed: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourNeutralYellow: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourNeutralInverseBlue: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourNeutralInverseGreen: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourNeutralInverseRed: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourNeutralInverseYellow: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourSubtleBlue: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourSubtleGreen: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourSubtleRed: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourSubtleYellow: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourBoldBlue: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourBoldGreen: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourBoldRed: "#ffffff";
+export declare const checkboxErrorControlBackgroundColourBoldYellow: "#ffffff";
+export declare const checkboxErrorControlBorderColourNeutralBlue: "#c50b30";
+export declare const checkboxErrorControlBorderColourNeutralGreen: "#c50b30";
+export declare const checkboxErrorControlBorderColourNeutralRed: "#c50b30";
+export declare const checkboxErrorControlBorderColourNeutralYellow: "#c50b30";
+export declare const checkboxErrorControlBorderColourNeutralInverseBlue: "#c50b30";
+export declare const checkboxErrorControlBorderColourNeutralInverseGreen: "#c50b30";
+export declare const checkboxErrorControlBorderColourNeutralInverseRed: "#c50b30";
+export declare const checkboxErrorControlBorderColourNeutralInverseYellow: "#c50b30";
+export declare const checkboxErrorControlBorderColourSubtleBlue: "#c50b30";
+export declare const checkboxErrorControlBorderColourSubtleGreen: "#c50b30";
+export declare const checkboxErrorControlBorderColourSubtleRed: "#c50b30";
+export declare const checkboxErrorControlBorderColourSubtleYellow: "#c50b30";
+export declare const checkboxErrorControlBorderColourBoldBlue: "#c50b30";
+export declare const checkboxErrorControlBorderColourBoldGreen: "#c50b30";
+export declare const checkboxErrorControlBorderColourBoldRed: "#c50b30";
+export declare const checkboxErrorControlBorderColourBoldYellow: "#c50b30";
+export declare const checkboxErrorControlBorderWidthNeutralBlue: 1.5;
+export declare const checkboxErrorControlBorderWidthNeutralGreen: 1.5;
+export declare const checkboxErrorControlBorderWidthNeutralRed: 1.5;
+export declare const checkboxErrorControlBorderWidthNeutralYellow: 1.5;
+export declare const checkboxErrorControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const checkboxErrorControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const checkboxErrorControlBorderWidthNeutralInverseRed: 1.5;
+export declare const checkboxErrorControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const checkboxErrorControlBorderWidthSubtleBlue: 1.5;
+export declare const checkboxErrorControlBorderWidthSubtleGreen: 1.5;
+export declare const checkboxErrorControlBorderWidthSubtleRed: 1.5;
+export declare const checkboxErrorControlBorderWidthSubtleYellow: 1.5;
+export declare const checkboxErrorControlBorderWidthBoldBlue: 1.5;
+export declare const checkboxErrorControlBorderWidthBoldGreen: 1.5;
+export declare const checkboxErrorControlBorderWidthBoldRed: 1.5;
+export declare const checkboxErrorControlBorderWidthBoldYellow: 1.5;
+export declare const checkboxErrorControlFocusBorderWidthNeutralBlue: 3;
+export declare const checkboxErrorControlFocusBorderWidthNeutralGreen: 3;
+export declare const checkboxErrorControlFocusBorderWidthNeutralRed: 3;
+export declare const checkboxErrorControlFocusBorderWidthNeutralYellow: 3;
+export declare const checkboxErrorControlFocusBorderWidthNeutralInverseBlue: 3;
+export declare const checkboxErrorControlFocusBorderWidthNeutralInverseGreen: 3;
+export declare const checkboxErrorControlFocusBorderWidthNeutralInverseRed: 3;
+export declare const checkboxErrorControlFocusBorderWidthNeutralInverseYellow: 3;
+export declare const checkboxErrorControlFocusBorderWidthSubtleBlue: 3;
+export declare const checkboxErrorControlFocusBorderWidthSubtleGreen: 3;
+export declare const checkboxErrorControlFocusBorderWidthSubtleRed: 3;
+export declare const checkboxErrorControlFocusBorderWidthSubtleYellow: 3;
+export declare const checkboxErrorControlFocusBorderWidthBoldBlue: 3;
+export declare const checkboxErrorControlFocusBorderWidthBoldGreen: 3;
+export declare const checkboxErrorControlFocusBorderWidthBoldRed: 3;
+export declare const checkboxErrorControlFocusBorderWidthBoldYellow: 3;
+export declare const checkboxErrorIndicatorColourNeutralBlue: "#c50b30";
+export declare const checkboxErrorIndicatorColourNeutralGreen: "#c50b30";
+export declare const checkboxErrorIndicatorColourNeutralRed: "#c50b30";
+export declare const checkboxErrorIndicatorColourNeutralYellow: "#c50b30";
+export declare const checkboxErrorIndicatorColourNeutralInverseBlue: "#c50b30";
+export declare const checkboxErrorIndicatorColourNeutralInverseGreen: "#c50b30";
+export declare const checkboxErrorIndicatorColourNeutralInverseRed: "#c50b30";
+export declare const checkboxErrorIndicatorColourNeutralInverseYellow: "#c50b30";
+export declare const checkboxErrorIndicatorColourSubtleBlue: "#c50b30";
+export declare const checkboxErrorIndicatorColourSubtleGreen: "#c50b30";
+export declare const checkboxErrorIndicatorColourSubtleRed: "#c50b30";
+export declare const checkboxErrorIndicatorColourSubtleYellow: "#c50b30";
+export declare const checkboxErrorIndicatorColourBoldBlue: "#c50b30";
+export declare const checkboxErrorIndicatorColourBoldGreen: "#c50b30";
+export declare const checkboxErrorIndicatorColourBoldRed: "#c50b30";
+export declare const checkboxErrorIndicatorColourBoldYellow: "#c50b30";
+export declare const checkboxDisabledLabelColourNeutralBlue: "#a6a7a7";
+export declare const checkboxDisabledLabelColourNeutralGreen: "#a6a7a7";
+export declare const checkboxDisabledLabelColourNeutralRed: "#a6a7a7";
+export declare const checkboxDisabledLabelColourNeutralYellow: "#a6a7a7";
+export declare const checkboxDisabledLabelColourNeutralInverseBlue: "#a6a7a7";
+export declare const checkboxDisabledLabelColourNeutralInverseGreen: "#a6a7a7";
+export declare const checkboxDisabledLabelColourNeutralInverseRed: "#a6a7a7";
+export declare const checkboxDisabledLabelColourNeutralInverseYellow: "#a6a7a7";
+export declare const checkboxDisabledLabelColourSubtleBlue: "#a6a7a7";
+export declare const checkboxDisabledLabelColourSubtleGreen: "#a6a7a7";
+export declare const checkboxDisabledLabelColourSubtleRed: "#a6a7a7";
+export declare const checkboxDisabledLabelColourSubtleYellow: "#a6a7a7";
+export declare const checkboxDisabledLabelColourBoldBlue: "#a6a7a7";
+export declare const checkboxDisabledLabelColourBoldGreen: "#a6a7a7";
+export declare const checkboxDisabledLabelColourBoldRed: "#a6a7a7";
+export declare const checkboxDisabledLabelColourBoldYellow: "#a6a7a7";
+export declare const checkboxDisabledControlBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourNeutralRed: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourSubtleRed: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourBoldBlue: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourBoldGreen: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourBoldRed: "#f4f4f4";
+export declare const checkboxDisabledControlBackgroundColourBoldYellow: "#f4f4f4";
+export declare const checkboxDisabledControlBorderColourNeutralBlue: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourNeutralGreen: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourNeutralRed: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourNeutralYellow: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourSubtleBlue: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourSubtleGreen: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourSubtleRed: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourSubtleYellow: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourBoldBlue: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourBoldGreen: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourBoldRed: "#d3d3d3";
+export declare const checkboxDisabledControlBorderColourBoldYellow: "#d3d3d3";
+export declare const checkboxDisabledControlBorderWidthNeutralBlue: 1.5;
+export declare const checkboxDisabledControlBorderWidthNeutralGreen: 1.5;
+export declare const checkboxDisabledControlBorderWidthNeutralRed: 1.5;
+export declare const checkboxDisabledControlBorderWidthNeutralYellow: 1.5;
+export declare const checkboxDisabledControlBorderWidthNeutralInverseBlue: 1.5;
+export declare const checkboxDisabledControlBorderWidthNeutralInverseGreen: 1.5;
+export declare const checkboxDisabledControlBorderWidthNeutralInverseRed: 1.5;
+export declare const checkboxDisabledControlBorderWidthNeutralInverseYellow: 1.5;
+export declare const checkboxDisabledControlBorderWidthSubtleBlue: 1.5;
+export declare const checkboxDisabledControlBorderWidthSubtleGreen: 1.5;
+export declare const checkboxDisabledControlBorderWidthSubtleRed: 1.5;
+export declare const checkboxDisabledControlBorderWidthSubtleYellow: 1.5;
+export declare const checkboxDisabledControlBorderWidthBoldBlue: 1.5;
+export declare const checkboxDisabledControlBorderWidthBoldGreen: 1.5;
+export declare const checkboxDisabledControlBorderWidthBoldRed: 1.5;
+export declare const checkboxDisabledControlBorderWidthBoldYellow: 1.5;
+export declare const checkboxDisabledIndicatorColourNeutralBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourNeutralGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourNeutralRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourNeutralYellow: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourNeutralInverseBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourNeutralInverseGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourNeutralInverseRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourNeutralInverseYellow: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourSubtleBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourSubtleGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourSubtleRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourSubtleYellow: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourBoldBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourBoldGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourBoldRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorColourBoldYellow: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralYellow: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralInverseBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralInverseGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralInverseRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourNeutralInverseYellow: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourSubtleBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourSubtleGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourSubtleRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourSubtleYellow: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourBoldBlue: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourBoldGreen: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourBoldRed: "#d3d3d3";
+export declare const checkboxDisabledIndicatorBackgroundColourBoldYellow: "#d3d3d3";
+export declare const checkboxGroupSmGapNeutralBlue: 16;
+export declare const checkboxGroupSmGapNeutralGreen: 16;
+export declare const checkboxGroupSmGapNeutralRed: 16;
+export declare const checkboxGroupSmGapNeutralYellow: 16;
+export declare const checkboxGroupSmGapNeutralInverseBlue: 16;
+export declare const checkboxGroupSmGapNeutralInverseGreen: 16;
+export declare const checkboxGroupSmGapNeutralInverseRed: 16;
+export declare const checkboxGroupSmGapNeutralInverseYellow: 16;
+export declare const checkboxGroupSmGapSubtleBlue: 16;
+export declare const checkboxGroupSmGapSubtleGreen: 16;
+export declare const checkboxGroupSmGapSubtleRed: 16;
+export declare const checkboxGroupSmGapSubtleYellow: 16;
+export declare const checkboxGroupSmGapBoldBlue: 16;
+export declare const checkboxGroupSmGapBoldGreen: 16;
+export declare const checkboxGroupSmGapBoldRed: 16;
+export declare const checkboxGroupSmGapBoldYellow: 16;
+export declare const checkboxGroupLgGapNeutralBlue: 20;
+export declare const checkboxGroupLgGapNeutralGreen: 20;
+export declare const checkboxGroupLgGapNeutralRed: 20;
+export declare const checkboxGroupLgGapNeutralYellow: 20;
+export declare const checkboxGroupLgGapNeutralInverseBlue: 20;
+export declare const checkboxGroupLgGapNeutralInverseGreen: 20;
+export declare const checkboxGroupLgGapNeutralInverseRed: 20;
+export declare const checkboxGroupLgGapNeutralInverseYellow: 20;
+export declare const checkboxGroupLgGapSubtleBlue: 20;
+export declare const checkboxGroupLgGapSubtleGreen: 20;
+export declare const checkboxGroupLgGapSubtleRed: 20;
+export declare const checkboxGroupLgGapSubtleYellow: 20;
+export declare const checkboxGroupLgGapBoldBlue: 20;
+export declare const checkboxGroupLgGapBoldGreen: 20;
+export declare const checkboxGroupLgGapBoldRed: 20;
+export declare const checkboxGroupLgGapBoldYellow: 20;
+export declare const segmentControlCommonBackgroundColourNeutralBlue: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourNeutralGreen: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourNeutralRed: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourNeutralYellow: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourSubtleBlue: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourSubtleGreen: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourSubtleRed: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourSubtleYellow: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourBoldBlue: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourBoldGreen: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourBoldRed: "#f4f4f4";
+export declare const segmentControlCommonBackgroundColourBoldYellow: "#f4f4f4";
+export declare const segmentControlCommonBorderColourNeutralBlue: "#858686";
+export declare const segmentControlCommonBorderColourNeutralGreen: "#858686";
+export declare const segmentControlCommonBorderColourNeutralRed: "#858686";
+export declare const segmentControlCommonBorderColourNeutralYellow: "#858686";
+export declare const segmentControlCommonBorderColourNeutralInverseBlue: "#858686";
+export declare const segmentControlCommonBorderColourNeutralInverseGreen: "#858686";
+export declare const segmentControlCommonBorderColourNeutralInverseRed: "#858686";
+export declare const segmentControlCommonBorderColourNeutralInverseYellow: "#858686";
+export declare const segmentControlCommonBorderColourSubtleBlue: "#001d6e";
+export declare const segmentControlCommonBorderColourSubtleGreen: "#01312e";
+export declare const segmentControlCommonBorderColourSubtleRed: "#940824";
+export declare const segmentControlCommonBorderColourSubtleYellow: "#c86426";
+export declare const segmentControlCommonBorderColourBoldBlue: "#001d6e";
+export declare const segmentControlCommonBorderColourBoldGreen: "#01312e";
+export declare const segmentControlCommonBorderColourBoldRed: "#940824";
+export declare const segmentControlCommonBorderColourBoldYellow: "#c86426";
+export declare const segmentControlCommonBorderRadiusNeutralBlue: 12;
+export declare const segmentControlCommonBorderRadiusNeutralGreen: 12;
+export declare const segmentControlCommonBorderRadiusNeutralRed: 12;
+export declare const segmentControlCommonBorderRadiusNeutralYellow: 12;
+export declare const segmentControlCommonBorderRadiusNeutralInverseBlue: 12;
+export declare const segmentControlCommonBorderRadiusNeutralInverseGreen: 12;
+export declare const segmentControlCommonBorderRadiusNeutralInverseRed: 12;
+export declare const segmentControlCommonBorderRadiusNeutralInverseYellow: 12;
+export declare const segmentControlCommonBorderRadiusSubtleBlue: 12;
+export declare const segmentControlCommonBorderRadiusSubtleGreen: 12;
+export declare const segmentControlCommonBorderRadiusSubtleRed: 12;
+export declare const segmentControlCommonBorderRadiusSubtleYellow: 12;
+export declare const segmentControlCommonBorderRadiusBoldBlue: 12;
+export declare const segmentControlCommonBorderRadiusBoldGreen: 12;
+export declare const segmentControlCommonBorderRadiusBoldRed: 12;
+export declare const segmentControlCommonBorderRadiusBoldYellow: 12;
+export declare const segmentControlCommonBorderWidthNeutralBlue: 1.5;
+export declare const segmentControlCommonBorderWidthNeutralGreen: 1.5;
+export declare const segmentControlCommonBorderWidthNeutralRed: 1.5;
+export declare const segmentControlCommonBorderWidthNeutralYellow: 1.5;
+export declare const segmentControlCommonBorderWidthNeutralInverseBlue: 1.5;
+export declare const segmentControlCommonBorderWidthNeutralInverseGreen: 1.5;
+export declare const segmentControlCommonBorderWidthNeutralInverseRed: 1.5;
+export declare const segmentControlCommonBorderWidthNeutralInverseYellow: 1.5;
+export declare const segmentControlCommonBorderWidthSubtleBlue: 1.5;
+export declare const segmentControlCommonBorderWidthSubtleGreen: 1.5;
+export declare const segmentControlCommonBorderWidthSubtleRed: 1.5;
+export declare const segmentControlCommonBorderWidthSubtleYellow: 1.5;
+export declare const segmentControlCommonBorderWidthBoldBlue: 1.5;
+export declare const segmentControlCommonBorderWidthBoldGreen: 1.5;
+export declare const segmentControlCommonBorderWidthBoldRed: 1.5;
+export declare const segmentControlCommonBorderWidthBoldYellow: 1.5;
+export declare const segmentControlCommonGapNeutralBlue: 4;
+export declare const segmentControlCommonGapNeutralGreen: 4;
+export declare const segmentControlCommonGapNeutralRed: 4;
+export declare const segmentControlCommonGapNeutralYellow: 4;
+export declare const segmentControlCommonGapNeutralInverseBlue: 4;
+export declare const segmentControlCommonGapNeutralInverseGreen: 4;
+export declare const segmentControlCommonGapNeutralInverseRed: 4;
+export declare const segmentControlCommonGapNeutralInverseYellow: 4;
+export declare const segmentControlCommonGapSubtleBlue: 4;
+export declare const segmentControlCommonGapSubtleGreen: 4;
+export declare const segmentControlCommonGapSubtleRed: 4;
+export declare const segmentControlCommonGapSubtleYellow: 4;
+export declare const segmentControlCommonGapBoldBlue: 4;
+export declare const segmentControlCommonGapBoldGreen: 4;
+export declare const segmentControlCommonGapBoldRed: 4;
+export declare const segmentControlCommonGapBoldYellow: 4;
+export declare const segmentControlCommonMinWidthNeutralBlue: 232;
+export declare const segmentControlCommonMinWidthNeutralGreen: 232;
+export declare const segmentControlCommonMinWidthNeutralRed: 232;
+export declare const segmentControlCommonMinWidthNeutralYellow: 232;
+export declare const segmentControlCommonMinWidthNeutralInverseBlue: 232;
+export declare const segmentControlCommonMinWidthNeutralInverseGreen: 232;
+export declare const segmentControlCommonMinWidthNeutralInverseRed: 232;
+export declare const segmentControlCommonMinWidthNeutralInverseYellow: 232;
+export declare const segmentControlCommonMinWidthSubtleBlue: 232;
+export declare const segmentControlCommonMinWidthSubtleGreen: 232;
+export declare const segmentControlCommonMinWidthSubtleRed: 232;
+export declare const segmentControlCommonMinWidthSubtleYellow: 232;
+export declare const segmentControlCommonMinWidthBoldBlue: 232;
+export declare const segmentControlCommonMinWidthBoldGreen: 232;
+export declare const segmentControlCommonMinWidthBoldRed: 232;
+export declare const segmentControlCommonMinWidthBoldYellow: 232;
+export declare const segmentControlCommonPaddingXNeutralBlue: 4;
+export declare const segmentControlCommonPaddingXNeutralGreen: 4;
+export declare const segmentControlCommonPaddingXNeutralRed: 4;
+export declare const segmentControlCommonPaddingXNeutralYellow: 4;
+export declare const segmentControlCommonPaddingXNeutralInverseBlue: 4;
+export declare const segmentControlCommonPaddingXNeutralInverseGreen: 4;
+export declare const segmentControlCommonPaddingXNeutralInverseRed: 4;
+export declare const segmentControlCommonPaddingXNeutralInverseYellow: 4;
+export declare const segmentControlCommonPaddingXSubtleBlue: 4;
+export declare const segmentControlCommonPaddingXSubtleGreen: 4;
+export declare const segmentControlCommonPaddingXSubtleRed: 4;
+export declare const segmentControlCommonPaddingXSubtleYellow: 4;
+export declare const segmentControlCommonPaddingXBoldBlue: 4;
+export declare const segmentControlCommonPaddingXBoldGreen: 4;
+export declare const segmentControlCommonPaddingXBoldRed: 4;
+export declare const segmentControlCommonPaddingXBoldYellow: 4;
+export declare const segmentControlCommonPaddingYNeutralBlue: 4;
+export declare const segmentControlCommonPaddingYNeutralGreen: 4;
+export declare const segmentControlCommonPaddingYNeutralRed: 4;
+export declare const segmentControlCommonPaddingYNeutralYellow: 4;
+export declare const segmentControlCommonPaddingYNeutralInverseBlue: 4;
+export declare const segmentControlCommonPaddingYNeutralInverseGreen: 4;
+export declare const segmentControlCommonPaddingYNeutralInverseRed: 4;
+export declare const segmentControlCommonPaddingYNeutralInverseYellow: 4;
+export declare const segmentControlCommonPaddingYSubtleBlue: 4;
+export declare const segmentControlCommonPaddingYSubtleGreen: 4;
+export declare const segmentControlCommonPaddingYSubtleRed: 4;
+export declare const segmentControlCommonPaddingYSubtleYellow: 4;
+export declare const segmentControlCommonPaddingYBoldBlue: 4;
+export declare const segmentControlCommonPaddingYBoldGreen: 4;
+export declare const segmentControlCommonPaddingYBoldRed: 4;
+export declare const segmentControlCommonPaddingYBoldYellow: 4;
+export declare const segmentControlFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const segmentControlFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const segmentControlFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const segmentControlFocusBorderColourNeutralYellow: "#1d1d1b";
+export declare const segmentControlFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const segmentControlFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const segmentControlFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const segmentControlFocusBorderColourNeutralInverseYellow: "#1d1d1b";
+export declare const segmentControlFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const segmentControlFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const segmentControlFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const segmentControlFocusBorderColourSubtleYellow: "#1d1d1b";
+export declare const segmentControlFocusBorderColourBoldBlue: "#1d1d1b";
+export declare const segmentControlFocusBorderColourBoldGreen: "#1d1d1b";
+export declare const segmentControlFocusBorderColourBoldRed: "#1d1d1b";
+export declare const segmentControlFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const segmentControlFocusBorderWidthNeutralBlue: 3;
+export declare const segmentControlFocusBorderWidthNeutralGreen: 3;
+export declare const segmentControlFocusBorderWidthNeutralRed: 3;
+export declare const segmentControlFocusBorderWidthNeutralYellow: 3;
+export declare const segmentControlFocusBorderWidthNeutralInverseBlue: 3;
+export declare const segmentControlFocusBorderWidthNeutralInverseGreen: 3;
+export declare const segmentControlFocusBorderWidthNeutralInverseRed: 3;
+export declare const segmentControlFocusBorderWidthNeutralInverseYellow: 3;
+export declare const segmentControlFocusBorderWidthSubtleBlue: 3;
+export declare const segmentControlFocusBorderWidthSubtleGreen: 3;
+export declare const segmentControlFocusBorderWidthSubtleRed: 3;
+export declare const segmentControlFocusBorderWidthSubtleYellow: 3;
+export declare const segmentControlFocusBorderWidthBoldBlue: 3;
+export declare const segmentControlFocusBorderWidthBoldGreen: 3;
+export declare const segmentControlFocusBorderWidthBoldRed: 3;
+export declare const segmentControlFocusBorderWidthBoldYellow: 3;
+export declare const segmentControlErrorBorderColourNeutralBlue: "#c50b30";
+export declare const segmentControlErrorBorderColourNeutralGreen: "#c50b30";
+export declare const segmentControlErrorBorderColourNeutralRed: "#c50b30";
+export declare const segmentControlErrorBorderColourNeutralYellow: "#c50b30";
+export declare const segmentControlErrorBorderColourNeutralInverseBlue: "#c50b30";
+export declare const segmentControlErrorBorderColourNeutralInverseGreen: "#c50b30";
+export declare const segmentControlErrorBorderColourNeutralInverseRed: "#c50b30";
+export declare const segmentControlErrorBorderColourNeutralInverseYellow: "#c50b30";
+export declare const segmentControlErrorBorderColourSubtleBlue: "#c50b30";
+export declare const segmentControlErrorBorderColourSubtleGreen: "#c50b30";
+export declare const segmentControlErrorBorderColourSubtleRed: "#c50b30";
+export declare const segmentControlErrorBorderColourSubtleYellow: "#c50b30";
+export declare const segmentControlErrorBorderColourBoldBlue: "#c50b30";
+export declare const segmentControlErrorBorderColourBoldGreen: "#c50b30";
+export declare const segmentControlErrorBorderColourBoldRed: "#c50b30";
+export declare const segmentControlErrorBorderColourBoldYellow: "#c50b30";
+export declare const segmentControlErrorBorderWidthNeutralBlue: 1.5;
+export declare const segmentControlErrorBorderWidthNeutralGreen: 1.5;
+export declare const segmentControlErrorBorderWidthNeutralRed: 1.5;
+export declare const segmentControlErrorBorderWidthNeutralYellow: 1.5;
+export declare const segmentControlErrorBorderWidthNeutralInverseBlue: 1.5;
+export declare const segmentControlErrorBorderWidthNeutralInverseGreen: 1.5;
+export declare const segmentControlErrorBorderWidthNeutralInverseRed: 1.5;
+export declare const segmentControlErrorBorderWidthNeutralInverseYellow: 1.5;
+export declare const segmentControlErrorBorderWidthSubtleBlue: 1.5;
+export declare const segmentControlErrorBorderWidthSubtleGreen: 1.5;
+export declare const segmentControlErrorBorderWidthSubtleRed: 1.5;
+export declare const segmentControlErrorBorderWidthSubtleYellow: 1.5;
+export declare const segmentControlErrorBorderWidthBoldBlue: 1.5;
+export declare const segmentControlErrorBorderWidthBoldGreen: 1.5;
+export declare const segmentControlErrorBorderWidthBoldRed: 1.5;
+export declare const segmentControlErrorBorderWidthBoldYellow: 1.5;
+export declare const segmentControlErrorFocusBorderWidthNeutralBlue: 3;
+export declare const segmentControlErrorFocusBorderWidthNeutralGreen: 3;
+export declare const segmentControlErrorFocusBorderWidthNeutralRed: 3;
+export declare const segmentControlErrorFocusBorderWidthNeutralYellow: 3;
+export declare const segmentControlErrorFocusBorderWidthNeutralInverseBlue: 3;
+export declare const segmentControlErrorFocusBorderWidthNeutralInverseGreen: 3;
+export declare const segmentControlErrorFocusBorderWidthNeutralInverseRed: 3;
+export declare const segmentControlErrorFocusBorderWidthNeutralInverseYellow: 3;
+export declare const segmentControlErrorFocusBorderWidthSubtleBlue: 3;
+export declare const segmentControlErrorFocusBorderWidthSubtleGreen: 3;
+export declare const segmentControlErrorFocusBorderWidthSubtleRed: 3;
+export declare const segmentControlErrorFocusBorderWidthSubtleYellow: 3;
+export declare const segmentControlErrorFocusBorderWidthBoldBlue: 3;
+export declare const segmentControlErrorFocusBorderWidthBoldGreen: 3;
+export declare const segmentControlErrorFocusBorderWidthBoldRed: 3;
+export declare const segmentControlErrorFocusBorderWidthBoldYellow: 3;
+export declare const segmentButtonCommonPaddingXNeutralBlue: 8;
+export declare const segmentButtonCommonPaddingXNeutralGreen: 8;
+export declare const segmentButtonCommonPaddingXNeutralRed: 8;
+export declare const segmentButtonCommonPaddingXNeutralYellow: 8;
+export declare const segmentButtonCommonPaddingXNeutralInverseBlue: 8;
+export declare const segmentButtonCommonPaddingXNeutralInverseGreen: 8;
+export declare const segmentButtonCommonPaddingXNeutralInverseRed: 8;
+export declare const segmentButtonCommonPaddingXNeutralInverseYellow: 8;
+export declare const segmentButtonCommonPaddingXSubtleBlue: 8;
+export declare const segmentButtonCommonPaddingXSubtleGreen: 8;
+export declare const segmentButtonCommonPaddingXSubtleRed: 8;
+export declare const segmentButtonCommonPaddingXSubtleYellow: 8;
+export declare const segmentButtonCommonPaddingXBoldBlue: 8;
+export declare const segmentButtonCommonPaddingXBoldGreen: 8;
+export declare const segmentButtonCommonPaddingXBoldRed: 8;
+export declare const segmentButtonCommonPaddingXBoldYellow: 8;
+export declare const segmentButtonCommonPaddingYNeutralBlue: 8;
+export declare const segmentButtonCommonPaddingYNeutralGreen: 8;
+export declare const segmentButtonCommonPaddingYNeutralRed: 8;
+export declare const segmentButtonCommonPaddingYNeutralYellow: 8;
+export declare const segmentButtonCommonPaddingYNeutralInverseBlue: 8;
+export declare const segmentButtonCommonPaddingYNeutralInverseGreen: 8;
+export declare const segmentButtonCommonPaddingYNeutralInverseRed: 8;
+export declare const segmentButtonCommonPaddingYNeutralInverseYellow: 8;
+export declare const segmentButtonCommonPaddingYSubtleBlue: 8;
+export declare const segmentButtonCommonPaddingYSubtleGreen: 8;
+export declare const segmentButtonCommonPaddingYSubtleRed: 8;
+export declare const segmentButtonCommonPaddingYSubtleYellow: 8;
+export declare const segmentButtonCommonPaddingYBoldBlue: 8;
+export declare const segmentButtonCommonPaddingYBoldGreen: 8;
+export declare const segmentButtonCommonPaddingYBoldRed: 8;
+export declare const segmentButtonCommonPaddingYBoldYellow: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralBlue: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralGreen: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralRed: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralYellow: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralInverseBlue: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralInverseGreen: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralInverseRed: 8;
+export declare const segmentButtonCommonBorderRadiusNeutralInverseYellow: 8;
+export declare const segmentButtonCommonBorderRadiusSubtleBlue: 8;
+export declare const segmentButtonCommonBorderRadiusSubtleGreen: 8;
+export declare const segmentButtonCommonBorderRadiusSubtleRed: 8;
+export declare const segmentButtonCommonBorderRadiusSubtleYellow: 8;
+export declare const segmentButtonCommonBorderRadiusBoldBlue: 8;
+export declare const segmentButtonCommonBorderRadiusBoldGreen: 8;
+export declare const segmentButtonCommonBorderRadiusBoldRed: 8;
+export declare const segmentButtonCommonBorderRadiusBoldYellow: 8;
+export declare const segmentButtonCommonMinHeightNeutralBlue: 36;
+export declare const segmentButtonCommonMinHeightNeutralGreen: 36;
+export declare const segmentButtonCommonMinHeightNeutralRed: 36;
+export declare const segmentButtonCommonMinHeightNeutralYellow: 36;
+export declare const segmentButtonCommonMinHeightNeutralInverseBlue: 36;
+export declare const segmentButtonCommonMinHeightNeutralInverseGreen: 36;
+export declare const segmentButtonCommonMinHeightNeutralInverseRed: 36;
+export declare const segmentButtonCommonMinHeightNeutralInverseYellow: 36;
+export declare const segmentButtonCommonMinHeightSubtleBlue: 36;
+export declare const segmentButtonCommonMinHeightSubtleGreen: 36;
+export declare const segmentButtonCommonMinHeightSubtleRed: 36;
+export declare const segmentButtonCommonMinHeightSubtleYellow: 36;
+export declare const segmentButtonCommonMinHeightBoldBlue: 36;
+export declare const segmentButtonCommonMinHeightBoldGreen: 36;
+export declare const segmentButtonCommonMinHeightBoldRed: 36;
+export declare const segmentButtonCommonMinHeightBoldYellow: 36;
+export declare const segmentButtonRestBackgroundColourNeutralBlue: "#ffffff";
+export declare const segmentButtonRestBackgroundColourNeutralGreen: "#ffffff";
+export declare const segmentButtonRestBackgroundColourNeutralRed: "#ffffff";
+export declare const segmentButtonRestBackgroundColourNeutralYellow: "#ffffff";
+export declare const segmentButtonRestBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const segmentButtonRestBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const segmentButtonRestBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const segmentButtonRestBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const segmentButtonRestBackgroundColourSubtleBlue: "#aee1f7";
+export declare const segmentButtonRestBackgroundColourSubtleGreen: "#caeedd";
+export declare const segmentButtonRestBackgroundColourSubtleRed: "#ffd5d2";
+export declare const segmentButtonRestBackgroundColourSubtleYellow: "#fff9c7";
+export declare const segmentButtonRestBackgroundColourBoldBlue: "#005dba";
+export declare const segmentButtonRestBackgroundColourBoldGreen: "#00633d";
+export declare const segmentButtonRestBackgroundColourBoldRed: "#c50b30";
+export declare const segmentButtonRestBackgroundColourBoldYellow: "#ffb600";
+export declare const segmentButtonRestColourNeutralBlue: "#1d1d1b";
+export declare const segmentButtonRestColourNeutralGreen: "#1d1d1b";
+export declare const segmentButtonRestColourNeutralRed: "#1d1d1b";
+export declare const segmentButtonRestColourNeutralYellow: "#000000";
+export declare const segmentButtonRestColourNeutralInverseBlue: "#1d1d1b";
+export declare const segmentButtonRestColourNeutralInverseGreen: "#1d1d1b";
+export declare const segmentButtonRestColourNeutralInverseRed: "#1d1d1b";
+export declare const segmentButtonRestColourNeutralInverseYellow: "#000000";
+export declare const segmentButtonRestColourSubtleBlue: "#1d1d1b";
+export declare const segmentButtonRestColourSubtleGreen: "#1d1d1b";
+export declare const segmentButtonRestColourSubtleRed: "#1d1d1b";
+export declare const segmentButtonRestColourSubtleYellow: "#000000";
+export declare const segmentButtonRestColourBoldBlue: "#ffffff";
+export declare const segmentButtonRestColourBoldGreen: "#ffffff";
+export declare const segmentButtonRestColourBoldRed: "#ffffff";
+export declare const segmentButtonRestColourBoldYellow: "#1d1d1b";
+export declare const segmentButtonHoverBackgroundColourNeutralBlue: "#aee1f7";
+export declare const segmentButtonHoverBackgroundColourNeutralGreen: "#caeedd";
+export declare const segmentButtonHoverBackgroundColourNeutralRed: "#ffd5d2";
+export declare const segmentButtonHoverBackgroundColourNeutralYellow: "#fff9c7";
+export declare const segmentButtonHoverBackgroundColourNeutralInverseBlue: "#aee1f7";
+export declare const segmentButtonHoverBackgroundColourNeutralInverseGreen: "#caeedd";
+export declare const segmentButtonHoverBackgroundColourNeutralInverseRed: "#ffd5d2";
+export declare const segmentButtonHoverBackgroundColourNeutralInverseYellow: "#fff9c7";
+export declare const segmentButtonHoverBackgroundColourSubtleBlue: "#42aeea";
+export declare const segmentButtonHoverBackgroundColourSubtleGreen: "#43af6e";
+export declare const segmentButtonHoverBackgroundColourSubtleRed: "#ff3e51";
+export declare const segmentButtonHoverBackgroundColourSubtleYellow: "#ffe969";
+export declare const segmentButtonHoverBackgroundColourBoldBlue: "#aee1f7";
+export declare const segmentButtonHoverBackgroundColourBoldGreen: "#caeedd";
+export declare const segmentButtonHoverBackgroundColourBoldRed: "#ffd5d2";
+export declare const segmentButtonHoverBackgroundColourBoldYellow: "#fff9c7";
+export declare const segmentButtonHoverColourNeutralBlue: "#1d1d1b";
+export declare const segmentButtonHoverColourNeutralGreen: "#1d1d1b";
+export declare const segmentButtonHoverColourNeutralRed: "#1d1d1b";
+export declare const segmentButtonHoverColourNeutralYellow: "#000000";
+export declare const segmentButtonHoverColourNeutralInverseBlue: "#1d1d1b";
+export declare const segmentButtonHoverColourNeutralInverseGreen: "#1d1d1b";
+export declare const segmentButtonHoverColourNeutralInverseRed: "#1d1d1b";
+export declare const segmentButtonHoverColourNeutralInverseYellow: "#000000";
+export declare const segmentButtonHoverColourSubtleBlue: "#1d1d1b";
+export declare const segmentButtonHoverColourSubtleGreen: "#1d1d1b";
+export declare const segmentButtonHoverColourSubtleRed: "#1d1d1b";
+export declare const segmentButtonHoverColourSubtleYellow: "#000000";
+export declare const segmentButtonHoverColourBoldBlue: "#1d1d1b";
+export declare const segmentButtonHoverColourBoldGreen: "#1d1d1b";
+export declare const segmentButtonHoverColourBoldRed: "#1d1d1b";
+export declare const segmentButtonHoverColourBoldYellow: "#000000";
+export declare const segmentButtonActiveBackgroundColourNeutralBlue: "#005dba";
+export declare const segmentButtonActiveBackgroundColourNeutralGreen: "#00633d";
+export declare const segmentButtonActiveBackgroundColourNeutralRed: "#c50b30";
+export declare const segmentButtonActiveBackgroundColourNeutralYellow: "#ffb600";
+export declare const segmentButtonActiveBackgroundColourNeutralInverseBlue: "#005dba";
+export declare const segmentButtonActiveBackgroundColourNeutralInverseGreen: "#00633d";
+export declare const segmentButtonActiveBackgroundColourNeutralInverseRed: "#c50b30";
+export declare const segmentButtonActiveBackgroundColourNeutralInverseYellow: "#ffb600";
+export declare const segmentButtonActiveBackgroundColourSubtleBlue: "#005dba";
+export declare const segmentButtonActiveBackgroundColourSubtleGreen: "#00633d";
+export declare const segmentButtonActiveBackgroundColourSubtleRed: "#c50b30";
+export declare const segmentButtonActiveBackgroundColourSubtleYellow: "#ffb600";
+export declare const segmentButtonActiveBackgroundColourBoldBlue: "#ffffff";
+export declare const segmentButtonActiveBackgroundColourBoldGreen: "#ffffff";
+export declare const segmentButtonActiveBackgroundColourBoldRed: "#ffffff";
+export declare const segmentButtonActiveBackgroundColourBoldYellow: "#ffffff";
+export declare const segmentButtonActiveColourNeutralBlue: "#ffffff";
+export declare const segmentButtonActiveColourNeutralGreen: "#ffffff";
+export declare const segmentButtonActiveColourNeutralRed: "#ffffff";
+export declare const segmentButtonActiveColourNeutralYellow: "#1d1d1b";
+export declare const segmentButtonActiveColourNeutralInverseBlue: "#ffffff";
+export declare const segmentButtonActiveColourNeutralInverseGreen: "#ffffff";
+export declare const segmentButtonActiveColourNeutralInverseRed: "#ffffff";
+export declare const segmentButtonActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const segmentButtonActiveColourSubtleBlue: "#ffffff";
+export declare const segmentButtonActiveColourSubtleGreen: "#ffffff";
+export declare const segmentButtonActiveColourSubtleRed: "#ffffff";
+export declare const segmentButtonActiveColourSubtleYellow: "#1d1d1b";
+export declare const segmentButtonActiveColourBoldBlue: "#1d1d1b";
+export declare const segmentButtonActiveColourBoldGreen: "#1d1d1b";
+export declare const segmentButtonActiveColourBoldRed: "#1d1d1b";
+export declare const segmentButtonActiveColourBoldYellow: "#000000";
+export declare const segmentButtonFocusBackgroundColourNeutralBlue: "#ffffff";
+export declare const segmentButtonFocusBackgroundColourNeutralGreen: "#ffffff";
+export declare const segmentButtonFocusBackgroundColourNeutralRed: "#ffffff";
+export declare const segmentButtonFocusBackgroundColourNeutralYellow: "#ffffff";
+export declare const segmentButtonFocusBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const segmentButtonFocusBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const segmentButtonFocusBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const segmentButtonFocusBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const segmentButtonFocusBackgroundColourSubtleBlue: "#aee1f7";
+export declare const segmentButtonFocusBackgroundColourSubtleGreen: "#caeedd";
+export declare const segmentButtonFocusBackgroundColourSubtleRed: "#ffd5d2";
+export declare const segmentButtonFocusBackgroundColourSubtleYellow: "#fff9c7";
+export declare const segmentButtonFocusBackgroundColourBoldBlue: "#005dba";
+export declare const segmentButtonFocusBackgroundColourBoldGreen: "#00633d";
+export declare const segmentButtonFocusBackgroundColourBoldRed: "#c50b30";
+export declare const segmentButtonFocusBackgroundColourBoldYellow: "#ffb600";
+export declare const segmentButtonFocusColourNeutralBlue: "#1d1d1b";
+export declare const segmentButtonFocusColourNeutralGreen: "#1d1d1b";
+export declare const segmentButtonFocusColourNeutralRed: "#1d1d1b";
+export declare const segmentButtonFocusColourNeutralYellow: "#000000";
+export declare const segmentButtonFocusColourNeutralInverseBlue: "#1d1d1b";
+export declare const segmentButtonFocusColourNeutralInverseGreen: "#1d1d1b";
+export declare const segmentButtonFocusColourNeutralInverseRed: "#1d1d1b";
+export declare const segmentButtonFocusColourNeutralInverseYellow: "#000000";
+export declare const segmentButtonFocusColourSubtleBlue: "#1d1d1b";
+export declare const segmentButtonFocusColourSubtleGreen: "#1d1d1b";
+export declare const segmentButtonFocusColourSubtleRed: "#1d1d1b";
+export declare const segmentButtonFocusColourSubtleYellow: "#000000";
+export declare const segmentButtonFocusColourBoldBlue: "#ffffff";
+export declare const segmentButtonFocusColourBoldGreen: "#ffffff";
+export declare const segmentButtonFocusColourBoldRed: "#ffffff";
+export declare const segmentButtonFocusColourBoldYellow: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourNeutralBlue: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourNeutralGreen: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourNeutralRed: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourNeutralYellow: "#000000";
+export declare const segmentButtonFocusBorderColourNeutralInverseBlue: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourNeutralInverseGreen: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourNeutralInverseRed: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourNeutralInverseYellow: "#000000";
+export declare const segmentButtonFocusBorderColourSubtleBlue: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourSubtleGreen: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourSubtleRed: "#1d1d1b";
+export declare const segmentButtonFocusBorderColourSubtleYellow: "#000000";
+export declare const segmentButtonFocusBorderColourBoldBlue: "#ffffff";
+export declare const segmentButtonFocusBorderColourBoldGreen: "#ffffff";
+export declare const segmentButtonFocusBorderColourBoldRed: "#ffffff";
+export declare const segmentButtonFocusBorderColourBoldYellow: "#1d1d1b";
+export declare const segmentButtonFocusBorderWidthNeutralBlue: 3;
+export declare const segmentButtonFocusBorderWidthNeutralGreen: 3;
+export declare const segmentButtonFocusBorderWidthNeutralRed: 3;
+export declare const segmentButtonFocusBorderWidthNeutralYellow: 3;
+export declare const segmentButtonFocusBorderWidthNeutralInverseBlue: 3;
+export declare const segmentButtonFocusBorderWidthNeutralInverseGreen: 3;
+export declare const segmentButtonFocusBorderWidthNeutralInverseRed: 3;
+export declare const segmentButtonFocusBorderWidthNeutralInverseYellow: 3;
+export declare const segmentButtonFocusBorderWidthSubtleBlue: 3;
+export declare const segmentButtonFocusBorderWidthSubtleGreen: 3;
+export declare const segmentButtonFocusBorderWidthSubtleRed: 3;
+export declare const segmentButtonFocusBorderWidthSubtleYellow: 3;
+export declare const segmentButtonFocusBorderWidthBoldBlue: 3;
+export declare const segmentButtonFocusBorderWidthBoldGreen: 3;
+export declare const segmentButtonFocusBorderWidthBoldRed: 3;
+export declare const segmentButtonFocusBorderWidthBoldYellow: 3;
+export declare const segmentButtonStatusErrorBackgroundColourNeutralInfo: "#005dba";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralSuccess: "#00633d";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralWarning: "#ffb600";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralError: "#c50b30";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralGeneric: "#4d4f4f";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralInverseInfo: "#005dba";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralInverseSuccess: "#00633d";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralInverseWarning: "#ffb600";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralInverseError: "#c50b30";
+export declare const segmentButtonStatusErrorBackgroundColourNeutralInverseGeneric: "#4d4f4f";
+export declare const segmentButtonStatusErrorBackgroundColourSubtleInfo: "#005dba";
+export declare const segmentButtonStatusErrorBackgroundColourSubtleSuccess: "#00633d";
+export declare const segmentButtonStatusErrorBackgroundColourSubtleWarning: "#ffb600";
+export declare const segmentButtonStatusErrorBackgroundColourSubtleError: "#c50b30";
+export declare const segmentButtonStatusErrorBackgroundColourSubtleGeneric: "#4d4f4f";
+export declare const segmentButtonStatusErrorBackgroundColourBoldInfo: "#005dba";
+export declare const segmentButtonStatusErrorBackgroundColourBoldSuccess: "#00633d";
+export declare const segmentButtonStatusErrorBackgroundColourBoldWarning: "#ffb600";
+export declare const segmentButtonStatusErrorBackgroundColourBoldError: "#c50b30";
+export declare const segmentButtonStatusErrorBackgroundColourBoldGeneric: "#4d4f4f";
+export declare const segmentButtonDisabledBackgroundColourNeutralBlue: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourNeutralGreen: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourNeutralRed: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourNeutralYellow: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourNeutralInverseBlue: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourNeutralInverseGreen: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourNeutralInverseRed: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourNeutralInverseYellow: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourSubtleBlue: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourSubtleGreen: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourSubtleRed: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourSubtleYellow: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourBoldBlue: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourBoldGreen: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourBoldRed: "#d3d3d3";
+export declare const segmentButtonDisabledBackgroundColourBoldYellow: "#d3d3d3";
+export declare const segmentButtonDisabledColourNeutralBlue: "#a6a7a7";
+export declare const segmentButtonDisabledColourNeutralGreen: "#a6a7a7";
+export declare const segmentButtonDisabledColourNeutralRed: "#a6a7a7";
+export declare const segmentButtonDisabledColourNeutralYellow: "#a6a7a7";
+export declare const segmentButtonDisabledColourNeutralInverseBlue: "#a6a7a7";
+export declare const segmentButtonDisabledColourNeutralInverseGreen: "#a6a7a7";
+export declare const segmentButtonDisabledColourNeutralInverseRed: "#a6a7a7";
+export declare const segmentButtonDisabledColourNeutralInverseYellow: "#a6a7a7";
+export declare const segmentButtonDisabledColourSubtleBlue: "#a6a7a7";
+export declare const segmentButtonDisabledColourSubtleGreen: "#a6a7a7";
+export declare const segmentButtonDisabledColourSubtleRed: "#a6a7a7";
+export declare const segmentButtonDisabledColourSubtleYellow: "#a6a7a7";
+export declare const segmentButtonDisabledColourBoldBlue: "#a6a7a7";
+export declare const segmentButtonDisabledColourBoldGreen: "#a6a7a7";
+export declare const segmentButtonDisabledColourBoldRed: "#a6a7a7";
+export declare const segmentButtonDisabledColourBoldYellow: "#a6a7a7";
+export declare const inlineMessagePaddingXNeutralBlue: 12;
+export declare const inlineMessagePaddingXNeutralGreen: 12;
+export declare const inlineMessagePaddingXNeutralRed: 12;
+export declare const inlineMessagePaddingXNeutralYellow: 12;
+export declare const inlineMessagePaddingXNeutralInverseBlue: 12;
+export declare const inlineMessagePaddingXNeutralInverseGreen: 12;
+export declare const inlineMessagePaddingXNeutralInverseRed: 12;
+export declare const inlineMessagePaddingXNeutralInverseYellow: 12;
+export declare const inlineMessagePaddingXSubtleBlue: 12;
+export declare const inlineMessagePaddingXSubtleGreen: 12;
+export declare const inlineMessagePaddingXSubtleRed: 12;
+export declare const inlineMessagePaddingXSubtleYellow: 12;
+export declare const inlineMessagePaddingXBoldBlue: 12;
+export declare const inlineMessagePaddingXBoldGreen: 12;
+export declare const inlineMessagePaddingXBoldRed: 12;
+export declare const inlineMessagePaddingXBoldYellow: 12;
+export declare const inlineMessagePaddingYNeutralBlue: 12;
+export declare const inlineMessagePaddingYNeutralGreen: 12;
+export declare const inlineMessagePaddingYNeutralRed: 12;
+export declare const inlineMessagePaddingYNeutralYellow: 12;
+export declare const inlineMessagePaddingYNeutralInverseBlue: 12;
+export declare const inlineMessagePaddingYNeutralInverseGreen: 12;
+export declare const inlineMessagePaddingYNeutralInverseRed: 12;
+export declare const inlineMessagePaddingYNeutralInverseYellow: 12;
+export declare const inlineMessagePaddingYSubtleBlue: 12;
+export declare const inlineMessagePaddingYSubtleGreen: 12;
+export declare const inlineMessagePaddingYSubtleRed: 12;
+export declare const inlineMessagePaddingYSubtleYellow: 12;
+export declare const inlineMessagePaddingYBoldBlue: 12;
+export declare const inlineMessagePaddingYBoldGreen: 12;
+export declare const inlineMessagePaddingYBoldRed: 12;
+export declare const inlineMessagePaddingYBoldYellow: 12;
+export declare const inlineMessageBorderRadiusNeutralBlue: 12;
+export declare const inlineMessageBorderRadiusNeutralGreen: 12;
+export declare const inlineMessageBorderRadiusNeutralRed: 12;
+export declare const inlineMessageBorderRadiusNeutralYellow: 12;
+export declare const inlineMessageBorderRadiusNeutralInverseBlue: 12;
+export declare const inlineMessageBorderRadiusNeutralInverseGreen: 12;
+export declare const inlineMessageBorderRadiusNeutralInverseRed: 12;
+export declare const inlineMessageBorderRadiusNeutralInverseYellow: 12;
+export declare const inlineMessageBorderRadiusSubtleBlue: 12;
+export declare const inlineMessageBorderRadiusSubtleGreen: 12;
+export declare const inlineMessageBorderRadiusSubtleRed: 12;
+export declare const inlineMessageBorderRadiusSubtleYellow: 12;
+export declare const inlineMessageBorderRadiusBoldBlue: 12;
+export declare const inlineMessageBorderRadiusBoldGreen: 12;
+export declare const inlineMessageBorderRadiusBoldRed: 12;
+export declare const inlineMessageBorderRadiusBoldYellow: 12;
+export declare const inlineMessageStatusTextColourNeutralInfo: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralSuccess: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralWarning: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralError: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralGeneric: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralInverseInfo: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralInverseSuccess: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralInverseWarning: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralInverseError: "#1d1d1b";
+export declare const inlineMessageStatusTextColourNeutralInverseGeneric: "#1d1d1b";
+export declare const inlineMessageStatusTextColourSubtleInfo: "#1d1d1b";
+export declare const inlineMessageStatusTextColourSubtleSuccess: "#1d1d1b";
+export declare const inlineMessageStatusTextColourSubtleWarning: "#1d1d1b";
+export declare const inlineMessageStatusTextColourSubtleError: "#1d1d1b";
+export declare const inlineMessageStatusTextColourSubtleGeneric: "#1d1d1b";
+export declare const inlineMessageStatusTextColourBoldInfo: "#1d1d1b";
+export declare const inlineMessageStatusTextColourBoldSuccess: "#1d1d1b";
+export declare const inlineMessageStatusTextColourBoldWarning: "#1d1d1b";
+export declare const inlineMessageStatusTextColourBoldError: "#1d1d1b";
+export declare const inlineMessageStatusTextColourBoldGeneric: "#1d1d1b";
+export declare const inlineMessageStatusBackgroundColourNeutralInfo: "#aee1f7";
+export declare const inlineMessageStatusBackgroundColourNeutralSuccess: "#caeedd";
+export declare const inlineMessageStatusBackgroundColourNeutralWarning: "#fff9c7";
+export declare const inlineMessageStatusBackgroundColourNeutralError: "#ffc2bd";
+export declare const inlineMessageStatusBackgroundColourNeutralGeneric: "#f4f4f4";
+export declare const inlineMessageStatusBackgroundColourNeutralInverseInfo: "#aee1f7";
+export declare const inlineMessageStatusBackgroundColourNeutralInverseSuccess: "#caeedd";
+export declare const inlineMessageStatusBackgroundColourNeutralInverseWarning: "#fff9c7";
+export declare const inlineMessageStatusBackgroundColourNeutralInverseError: "#ffc2bd";
+export declare const inlineMessageStatusBackgroundColourNeutralInverseGeneric: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourSubtleInfo: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourSubtleSuccess: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourSubtleWarning: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourSubtleError: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourSubtleGeneric: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourBoldInfo: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourBoldSuccess: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourBoldWarning: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourBoldError: "#ffffff";
+export declare const inlineMessageStatusBackgroundColourBoldGeneric: "#ffffff";
+export declare const inlineMessageStatusIconColourNeutralInfo: "#001d6e";
+export declare const inlineMessageStatusIconColourNeutralSuccess: "#01312e";
+export declare const inlineMessageStatusIconColourNeutralWarning: "#904029";
+export declare const inlineMessageStatusIconColourNeutralError: "#940824";
+export declare const inlineMessageStatusIconColourNeutralGeneric: "#1d1d1b";
+export declare const inlineMessageStatusIconColourNeutralInverseInfo: "#001d6e";
+export declare const inlineMessageStatusIconColourNeutralInverseSuccess: "#01312e";
+export declare const inlineMessageStatusIconColourNeutralInverseWarning: "#904029";
+export declare const inlineMessageStatusIconColourNeutralInverseError: "#940824";
+export declare const inlineMessageStatusIconColourNeutralInverseGeneric: "#1d1d1b";
+export declare const inlineMessageStatusIconColourSubtleInfo: "#001d6e";
+export declare const inlineMessageStatusIconColourSubtleSuccess: "#01312e";
+export declare const inlineMessageStatusIconColourSubtleWarning: "#904029";
+export declare const inlineMessageStatusIconColourSubtleError: "#940824";
+export declare const inlineMessageStatusIconColourSubtleGeneric: "#1d1d1b";
+export declare const inlineMessageStatusIconColourBoldInfo: "#001d6e";
+export declare const inlineMessageStatusIconColourBoldSuccess: "#01312e";
+export declare const inlineMessageStatusIconColourBoldWarning: "#904029";
+export declare const inlineMessageStatusIconColourBoldError: "#940824";
+export declare const inlineMessageStatusIconColourBoldGeneric: "#1d1d1b";
+export declare const inlineMessageGapNeutralBlue: 12;
+export declare const inlineMessageGapNeutralGreen: 12;
+export declare const inlineMessageGapNeutralRed: 12;
+export declare const inlineMessageGapNeutralYellow: 12;
+export declare const inlineMessageGapNeutralInverseBlue: 12;
+export declare const inlineMessageGapNeutralInverseGreen: 12;
+export declare const inlineMessageGapNeutralInverseRed: 12;
+export declare const inlineMessageGapNeutralInverseYellow: 12;
+export declare const inlineMessageGapSubtleBlue: 12;
+export declare const inlineMessageGapSubtleGreen: 12;
+export declare const inlineMessageGapSubtleRed: 12;
+export declare const inlineMessageGapSubtleYellow: 12;
+export declare const inlineMessageGapBoldBlue: 12;
+export declare const inlineMessageGapBoldGreen: 12;
+export declare const inlineMessageGapBoldRed: 12;
+export declare const inlineMessageGapBoldYellow: 12;
+export declare const tableCellCommonColourNeutralBlue: "#1d1d1b";
+export declare const tableCellCommonColourNeutralGreen: "#1d1d1b";
+export declare const tableCellCommonColourNeutralRed: "#1d1d1b";
+export declare const tableCellCommonColourNeutralYellow: "#1d1d1b";
+export declare const tableCellCommonColourNeutralInverseBlue: "#1d1d1b";
+export declare const tableCellCommonColourNeutralInverseGreen: "#1d1d1b";
+export declare const tableCellCommonColourNeutralInverseRed: "#1d1d1b";
+export declare const tableCellCommonColourNeutralInverseYellow: "#1d1d1b";
+export declare const tableCellCommonColourSubtleBlue: "#1d1d1b";
+export declare const tableCellCommonColourSubtleGreen: "#1d1d1b";
+export declare const tableCellCommonColourSubtleRed: "#1d1d1b";
+export declare const tableCellCommonColourSubtleYellow: "#1d1d1b";
+export declare const tableCellCommonColourBoldBlue: "#ffffff";
+export declare const tableCellCommonColourBoldGreen: "#ffffff";
+export declare const tableCellCommonColourBoldRed: "#ffffff";
+export declare const tableCellCommonColourBoldYellow: "#1d1d1b";
+export declare const tableCellCommonBackgroundColourNeutralBlue: "#ffffff";
+export declare const tableCellCommonBackgroundColourNeutralGreen: "#ffffff";
+export declare const tableCellCommonBackgroundColourNeutralRed: "#ffffff";
+export declare const tableCellCommonBackgroundColourNeutralYellow: "#ffffff";
+export declare const tableCellCommonBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourSubtleBlue: "#aee1f7";
+export declare const tableCellCommonBackgroundColourSubtleGreen: "#caeedd";
+export declare const tableCellCommonBackgroundColourSubtleRed: "#ffd5d2";
+export declare const tableCellCommonBackgroundColourSubtleYellow: "#fff9c7";
+export declare const tableCellCommonBackgroundColourBoldBlue: "#005dba";
+export declare const tableCellCommonBackgroundColourBoldGreen: "#00633d";
+export declare const tableCellCommonBackgroundColourBoldRed: "#c50b30";
+export declare const tableCellCommonBackgroundColourBoldYellow: "#ffb600";
+export declare const tableCellCommonBorderColourNeutralBlue: "#d3d3d3";
+export declare const tableCellCommonBorderColourNeutralGreen: "#d3d3d3";
+export declare const tableCellCommonBorderColourNeutralRed: "#d3d3d3";
+export declare const tableCellCommonBorderColourNeutralYellow: "#d3d3d3";
+export declare const tableCellCommonBorderColourNeutralInverseBlue: "#858686";
+export declare const tableCellCommonBorderColourNeutralInverseGreen: "#858686";
+export declare const tableCellCommonBorderColourNeutralInverseRed: "#858686";
+export declare const tableCellCommonBorderColourNeutralInverseYellow: "#858686";
+export declare const tableCellCommonBorderColourSubtleBlue: "#1d1d1b";
+export declare const tableCellCommonBorderColourSubtleGreen: "#1d1d1b";
+export declare const tableCellCommonBorderColourSubtleRed: "#1d1d1b";
+export declare const tableCellCommonBorderColourSubtleYellow: "#1d1d1b";
+export declare const tableCellCommonBorderColourBoldBlue: "#f4f4f4";
+export declare const tableCellCommonBorderColourBoldGreen: "#f4f4f4";
+export declare const tableCellCommonBorderColourBoldRed: "#f4f4f4";
+export declare const tableCellCommonBorderColourBoldYellow: "#1d1d1b";
+export declare const tableCellCommonBackgroundColourEvenNeutralBlue: "#ffffff";
+export declare const tableCellCommonBackgroundColourEvenNeutralGreen: "#ffffff";
+export declare const tableCellCommonBackgroundColourEvenNeutralRed: "#ffffff";
+export declare const tableCellCommonBackgroundColourEvenNeutralYellow: "#ffffff";
+export declare const tableCellCommonBackgroundColourEvenNeutralInverseBlue: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourEvenNeutralInverseGreen: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourEvenNeutralInverseRed: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourEvenNeutralInverseYellow: "#f4f4f4";
+export declare const tableCellCommonBackgroundColourEvenSubtleBlue: "#aee1f7";
+export declare const tableCellCommonBackgroundColourEvenSubtleGreen: "#caeedd";
+export declare const tableCellCommonBackgroundColourEvenSubtleRed: "#ffd5d2";
+export declare const tableCellCommonBackgroundColourEvenSubtleYellow: "#fff9c7";
+export declare const tableCellCommonBackgroundColourEvenBoldBlue: "#005dba";
+export declare const tableCellCommonBackgroundColourEvenBoldGreen: "#00633d";
+export declare const tableCellCommonBackgroundColourEvenBoldRed: "#c50b30";
+export declare const tableCellCommonBackgroundColourEvenBoldYellow: "#ffb600";
+export declare const tableCellCommonBorderWidthNeutralBlue: 1;
+export declare const tableCellCommonBorderWidthNeutralGreen: 1;
+export declare const tableCellCommonBorderWidthNeutralRed: 1;
+export declare const tableCellCommonBorderWidthNeutralYellow: 1;
+export declare const tableCellCommonBorderWidthNeutralInverseBlue: 1;
+export declare const tableCellCommonBorderWidthNeutralInverseGreen: 1;
+export declare const tableCellCommonBorderWidthNeutralInverseRed: 1;
+export declare const tableCellCommonBorderWidthNeutralInverseYellow: 1;
+export declare const tableCellCommonBorderWidthSubtleBlue: 1;
+export declare const tableCellCommonBorderWidthSubtleGreen: 1;
+export declare const tableCellCommonBorderWidthSubtleRed: 1;
+export declare const tableCellCommonBorderWidthSubtleYellow: 1;
+export declare const tableCellCommonBorderWidthBoldBlue: 1;
+export declare const tableCellCommonBorderWidthBoldGreen: 1;
+export declare const tableCellCommonBorderWidthBoldRed: 1;
+export declare const tableCellCommonBorderWidthBoldYellow: 1;
+export declare const tableCellCommonPaddingXNeutralBlue: 16;
+export declare const tableCellCommonPaddingXNeutralGreen: 16;
+export declare const tableCellCommonPaddingXNeutralRed: 16;
+export declare const tableCellCommonPaddingXNeutralYellow: 16;
+export declare const tableCellCommonPaddingXNeutralInverseBlue: 16;
+export declare const tableCellCommonPaddingXNeutralInverseGreen: 16;
+export declare const tableCellCommonPaddingXNeutralInverseRed: 16;
+export declare const tableCellCommonPaddingXNeutralInverseYellow: 16;
+export declare const tableCellCommonPaddingXSubtleBlue: 16;
+export declare const tableCellCommonPaddingXSubtleGreen: 16;
+export declare const tableCellCommonPaddingXSubtleRed: 16;
+export declare const tableCellCommonPaddingXSubtleYellow: 16;
+export declare const tableCellCommonPaddingXBoldBlue: 16;
+export declare const tableCellCommonPaddingXBoldGreen: 16;
+export declare const tableCellCommonPaddingXBoldRed: 16;
+export declare const tableCellCommonPaddingXBoldYellow: 16;
+export declare const tableCellCommonPaddingYLgNeutralBlue: 16;
+export declare const tableCellCommonPaddingYLgNeutralGreen: 16;
+export declare const tableCellCommonPaddingYLgNeutralRed: 16;
+export declare const tableCellCommonPaddingYLgNeutralYellow: 16;
+export declare const tableCellCommonPaddingYLgNeutralInverseBlue: 16;
+export declare const tableCellCommonPaddingYLgNeutralInverseGreen: 16;
+export declare const tableCellCommonPaddingYLgNeutralInverseRed: 16;
+export declare const tableCellCommonPaddingYLgNeutralInverseYellow: 16;
+export declare const tableCellCommonPaddingYLgSubtleBlue: 16;
+export declare const tableCellCommonPaddingYLgSubtleGreen: 16;
+export declare const tableCellCommonPaddingYLgSubtleRed: 16;
+export declare const tableCellCommonPaddingYLgSubtleYellow: 16;
+export declare const tableCellCommonPaddingYLgBoldBlue: 16;
+export declare const tableCellCommonPaddingYLgBoldGreen: 16;
+export declare const tableCellCommonPaddingYLgBoldRed: 16;
+export declare const tableCellCommonPaddingYLgBoldYellow: 16;
+export declare const tableCellCommonPaddingYSmNeutralBlue: 12;
+export declare const tableCellCommonPaddingYSmNeutralGreen: 12;
+export declare const tableCellCommonPaddingYSmNeutralRed: 12;
+export declare const tableCellCommonPaddingYSmNeutralYellow: 12;
+export declare const tableCellCommonPaddingYSmNeutralInverseBlue: 12;
+export declare const tableCellCommonPaddingYSmNeutralInverseGreen: 12;
+export declare const tableCellCommonPaddingYSmNeutralInverseRed: 12;
+export declare const tableCellCommonPaddingYSmNeutralInverseYellow: 12;
+export declare const tableCellCommonPaddingYSmSubtleBlue: 12;
+export declare const tableCellCommonPaddingYSmSubtleGreen: 12;
+export declare const tableCellCommonPaddingYSmSubtleRed: 12;
+export declare const tableCellCommonPaddingYSmSubtleYellow: 12;
+export declare const tableCellCommonPaddingYSmBoldBlue: 12;
+export declare const tableCellCommonPaddingYSmBoldGreen: 12;
+export declare const tableCellCommonPaddingYSmBoldRed: 12;
+export declare const tableCellCommonPaddingYSmBoldYellow: 12;
+export declare const tableCellHeaderBorderColourNeutralBlue: "#4d4f4f";
+export declare const tableCellHeaderBorderColourNeutralGreen: "#4d4f4f";
+export declare const tableCellHeaderBorderColourNeutralRed: "#4d4f4f";
+export declare const tableCellHeaderBorderColourNeutralYellow: "#4d4f4f";
+export declare const tableCellHeaderBorderColourNeutralInverseBlue: "#4d4f4f";
+export declare const tableCellHeaderBorderColourNeutralInverseGreen: "#4d4f4f";
+export declare const tableCellHeaderBorderColourNeutralInverseRed: "#4d4f4f";
+export declare const tableCellHeaderBorderColourNeutralInverseYellow: "#4d4f4f";
+export declare const tableCellHeaderBorderColourSubtleBlue: "#4d4f4f";
+export declare const tableCellHeaderBorderColourSubtleGreen: "#4d4f4f";
+export declare const tableCellHeaderBorderColourSubtleRed: "#4d4f4f";
+export declare const tableCellHeaderBorderColourSubtleYellow: "#4d4f4f";
+export declare const tableCellHeaderBorderColourBoldBlue: "#4d4f4f";
+export declare const tableCellHeaderBorderColourBoldGreen: "#4d4f4f";
+export declare const tableCellHeaderBorderColourBoldRed: "#4d4f4f";
+export declare const tableCellHeaderBorderColourBoldYellow: "#4d4f4f";
+export declare const tableCellHeaderBorderWidthNeutralBlue: 2;
+export declare const tableCellHeaderBorderWidthNeutralGreen: 2;
+export declare const tableCellHeaderBorderWidthNeutralRed: 2;
+export declare const tableCellHeaderBorderWidthNeutralYellow: 2;
+export declare const tableCellHeaderBorderWidthNeutralInverseBlue: 2;
+export declare const tableCellHeaderBorderWidthNeutralInverseGreen: 2;
+export declare const tableCellHeaderBorderWidthNeutralInverseRed: 2;
+export declare const tableCellHeaderBorderWidthNeutralInverseYellow: 2;
+export declare const tableCellHeaderBorderWidthSubtleBlue: 2;
+export declare const tableCellHeaderBorderWidthSubtleGreen: 2;
+export declare const tableCellHeaderBorderWidthSubtleRed: 2;
+export declare const tableCellHeaderBorderWidthSubtleYellow: 2;
+export declare const tableCellHeaderBorderWidthBoldBlue: 2;
+export declare const tableCellHeaderBorderWidthBoldGreen: 2;
+export declare const tableCellHeaderBorderWidthBoldRed: 2;
+export declare const tableCellHeaderBorderWidthBoldYellow: 2;
+export declare const tableCellHighlightBackgroundColourNeutralBlue: "#ffffff";
+export declare const tableCellHighlightBackgroundColourNeutralGreen: "#ffffff";
+export declare const tableCellHighlightBackgroundColourNeutralRed: "#ffffff";
+export declare const tableCellHighlightBackgroundColourNeutralYellow: "#ffffff";
+export declare const tableCellHighlightBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const tableCellHighlightBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const tableCellHighlightBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const tableCellHighlightBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const tableCellHighlightBackgroundColourSubtleBlue: "#aee1f7";
+export declare const tableCellHighlightBackgroundColourSubtleGreen: "#caeedd";
+export declare const tableCellHighlightBackgroundColourSubtleRed: "#ffd5d2";
+export declare const tableCellHighlightBackgroundColourSubtleYellow: "#fff9c7";
+export declare const tableCellHighlightBackgroundColourBoldBlue: "#005dba";
+export declare const tableCellHighlightBackgroundColourBoldGreen: "#00633d";
+export declare const tableCellHighlightBackgroundColourBoldRed: "#c50b30";
+export declare const tableCellHighlightBackgroundColourBoldYellow: "#ffb600";
+export declare const tableStatusCellErrorBackgroundColourNeutralInfo: "#aee1f7";
+export declare const tableStatusCellErrorBackgroundColourNeutralSuccess: "#caeedd";
+export declare const tableStatusCellErrorBackgroundColourNeutralWarning: "#fff9c7";
+export declare const tableStatusCellErrorBackgroundColourNeutralError: "#ffc2bd";
+export declare const tableStatusCellErrorBackgroundColourNeutralGeneric: "#f4f4f4";
+export declare const tableStatusCellErrorBackgroundColourNeutralInverseInfo: "#aee1f7";
+export declare const tableStatusCellErrorBackgroundColourNeutralInverseSuccess: "#caeedd";
+export declare const tableStatusCellErrorBackgroundColourNeutralInverseWarning: "#fff9c7";
+export declare const tableStatusCellErrorBackgroundColourNeutralInverseError: "#ffc2bd";
+export declare const tableStatusCellErrorBackgroundColourNeutralInverseGeneric: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourSubtleInfo: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourSubtleSuccess: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourSubtleWarning: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourSubtleError: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourSubtleGeneric: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourBoldInfo: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourBoldSuccess: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourBoldWarning: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourBoldError: "#ffffff";
+export declare const tableStatusCellErrorBackgroundColourBoldGeneric: "#ffffff";
+export declare const tableBorderRadiusNeutralBlue: 16;
+export declare const tableBorderRadiusNeutralGreen: 16;
+export declare const tableBorderRadiusNeutralRed: 16;
+export declare const tableBorderRadiusNeutralYellow: 16;
+export declare const tableBorderRadiusNeutralInverseBlue: 16;
+export declare const tableBorderRadiusNeutralInverseGreen: 16;
+export declare const tableBorderRadiusNeutralInverseRed: 16;
+export declare const tableBorderRadiusNeutralInverseYellow: 16;
+export declare const tableBorderRadiusSubtleBlue: 16;
+export declare const tableBorderRadiusSubtleGreen: 16;
+export declare const tableBorderRadiusSubtleRed: 16;
+export declare const tableBorderRadiusSubtleYellow: 16;
+export declare const tableBorderRadiusBoldBlue: 16;
+export declare const tableBorderRadiusBoldGreen: 16;
+export declare const tableBorderRadiusBoldRed: 16;
+export declare const tableBorderRadiusBoldYellow: 16;
+export declare const tableBackgroundColourNeutralBlue: "#ffffff";
+export declare const tableBackgroundColourNeutralGreen: "#ffffff";
+export declare const tableBackgroundColourNeutralRed: "#ffffff";
+export declare const tableBackgroundColourNeutralYellow: "#ffffff";
+export declare const tableBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const tableBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const tableBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const tableBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const tableBackgroundColourSubtleBlue: "#aee1f7";
+export declare const tableBackgroundColourSubtleGreen: "#caeedd";
+export declare const tableBackgroundColourSubtleRed: "#ffd5d2";
+export declare const tableBackgroundColourSubtleYellow: "#fff9c7";
+export declare const tableBackgroundColourBoldBlue: "#005dba";
+export declare const tableBackgroundColourBoldGreen: "#00633d";
+export declare const tableBackgroundColourBoldRed: "#c50b30";
+export declare const tableBackgroundColourBoldYellow: "#ffb600";
+export declare const tableBorderColourNeutralBlue: "#d3d3d3";
+export declare const tableBorderColourNeutralGreen: "#d3d3d3";
+export declare const tableBorderColourNeutralRed: "#d3d3d3";
+export declare const tableBorderColourNeutralYellow: "#d3d3d3";
+export declare const tableBorderColourNeutralInverseBlue: "#858686";
+export declare const tableBorderColourNeutralInverseGreen: "#858686";
+export declare const tableBorderColourNeutralInverseRed: "#858686";
+export declare const tableBorderColourNeutralInverseYellow: "#858686";
+export declare const tableBorderColourSubtleBlue: "#1d1d1b";
+export declare const tableBorderColourSubtleGreen: "#1d1d1b";
+export declare const tableBorderColourSubtleRed: "#1d1d1b";
+export declare const tableBorderColourSubtleYellow: "#1d1d1b";
+export declare const tableBorderColourBoldBlue: "#f4f4f4";
+export declare const tableBorderColourBoldGreen: "#f4f4f4";
+export declare const tableBorderColourBoldRed: "#f4f4f4";
+export declare const tableBorderColourBoldYellow: "#1d1d1b";
+export declare const tableRowVerticalGapNeutralBlue: 16;
+export declare const tableRowVerticalGapNeutralGreen: 16;
+export declare const tableRowVerticalGapNeutralRed: 16;
+export declare const tableRowVerticalGapNeutralYellow: 16;
+export declare const tableRowVerticalGapNeutralInverseBlue: 16;
+export declare const tableRowVerticalGapNeutralInverseGreen: 16;
+export declare const tableRowVerticalGapNeutralInverseRed: 16;
+export declare const tableRowVerticalGapNeutralInverseYellow: 16;
+export declare const tableRowVerticalGapSubtleBlue: 16;
+export declare const tableRowVerticalGapSubtleGreen: 16;
+export declare const tableRowVerticalGapSubtleRed: 16;
+export declare const tableRowVerticalGapSubtleYellow: 16;
+export declare const tableRowVerticalGapBoldBlue: 16;
+export declare const tableRowVerticalGapBoldGreen: 16;
+export declare const tableRowVerticalGapBoldRed: 16;
+export declare const tableRowVerticalGapBoldYellow: 16;
+export declare const progressIndicatorGapNeutralBlue: 8;
+export declare const progressIndicatorGapNeutralGreen: 8;
+export declare const progressIndicatorGapNeutralRed: 8;
+export declare const progressIndicatorGapNeutralYellow: 8;
+export declare const progressIndicatorGapNeutralInverseBlue: 8;
+export declare const progressIndicatorGapNeutralInverseGreen: 8;
+export declare const progressIndicatorGapNeutralInverseRed: 8;
+export declare const progressIndicatorGapNeutralInverseYellow: 8;
+export declare const progressIndicatorGapSubtleBlue: 8;
+export declare const progressIndicatorGapSubtleGreen: 8;
+export declare const progressIndicatorGapSubtleRed: 8;
+export declare const progressIndicatorGapSubtleYellow: 8;
+export declare const progressIndicatorGapBoldBlue: 8;
+export declare const progressIndicatorGapBoldGreen: 8;
+export declare const progressIndicatorGapBoldRed: 8;
+export declare const progressIndicatorGapBoldYellow: 8;
+export declare const progressHeaderColourNeutralBlue: "#001d6e";
+export declare const progressHeaderColourNeutralGreen: "#01312e";
+export declare const progressHeaderColourNeutralRed: "#940824";
+export declare const progressHeaderColourNeutralYellow: "#904029";
+export declare const progressHeaderColourNeutralInverseBlue: "#001d6e";
+export declare const progressHeaderColourNeutralInverseGreen: "#01312e";
+export declare const progressHeaderColourNeutralInverseRed: "#940824";
+export declare const progressHeaderColourNeutralInverseYellow: "#904029";
+export declare const progressHeaderColourSubtleBlue: "#001d6e";
+export declare const progressHeaderColourSubtleGreen: "#01312e";
+export declare const progressHeaderColourSubtleRed: "#940824";
+export declare const progressHeaderColourSubtleYellow: "#904029";
+export declare const progressHeaderColourBoldBlue: "#ffffff";
+export declare const progressHeaderColourBoldGreen: "#ffffff";
+export declare const progressHeaderColourBoldRed: "#ffffff";
+export declare const progressHeaderColourBoldYellow: "#1d1d1b";
+export declare const progressJourneyColourNeutralBlue: "#4d4f4f";
+export declare const progressJourneyColourNeutralGreen: "#4d4f4f";
+export declare const progressJourneyColourNeutralRed: "#4d4f4f";
+export declare const progressJourneyColourNeutralYellow: "#4d4f4f";
+export declare const progressJourneyColourNeutralInverseBlue: "#4d4f4f";
+export declare const progressJourneyColourNeutralInverseGreen: "#4d4f4f";
+export declare const progressJourneyColourNeutralInverseRed: "#4d4f4f";
+export declare const progressJourneyColourNeutralInverseYellow: "#4d4f4f";
+export declare const progressJourneyColourSubtleBlue: "#1d1d1b";
+export declare const progressJourneyColourSubtleGreen: "#1d1d1b";
+export declare const progressJourneyColourSubtleRed: "#1d1d1b";
+export declare const progressJourneyColourSubtleYellow: "#1d1d1b";
+export declare const progressJourneyColourBoldBlue: "#d2effb";
+export declare const progressJourneyColourBoldGreen: "#dff6eb";
+export declare const progressJourneyColourBoldRed: "#ffd5d2";
+export declare const progressJourneyColourBoldYellow: "#572722";
+export declare const progressJourneyGapNeutralBlue: 16;
+export declare const progressJourneyGapNeutralGreen: 16;
+export declare const progressJourneyGapNeutralRed: 16;
+export declare const progressJourneyGapNeutralYellow: 16;
+export declare const progressJourneyGapNeutralInverseBlue: 16;
+export declare const progressJourneyGapNeutralInverseGreen: 16;
+export declare const progressJourneyGapNeutralInverseRed: 16;
+export declare const progressJourneyGapNeutralInverseYellow: 16;
+export declare const progressJourneyGapSubtleBlue: 16;
+export declare const progressJourneyGapSubtleGreen: 16;
+export declare const progressJourneyGapSubtleRed: 16;
+export declare const progressJourneyGapSubtleYellow: 16;
+export declare const progressJourneyGapBoldBlue: 16;
+export declare const progressJourneyGapBoldGreen: 16;
+export declare const progressJourneyGapBoldRed: 16;
+export declare const progressJourneyGapBoldYellow: 16;
+export declare const progressBarBackgroundColourNeutralBlue: "#42aeea";
+export declare const progressBarBackgroundColourNeutralGreen: "#43af6e";
+export declare const progressBarBackgroundColourNeutralRed: "#ff3e51";
+export declare const progressBarBackgroundColourNeutralYellow: "#ffe969";
+export declare const progressBarBackgroundColourNeutralInverseBlue: "#42aeea";
+export declare const progressBarBackgroundColourNeutralInverseGreen: "#43af6e";
+export declare const progressBarBackgroundColourNeutralInverseRed: "#ff3e51";
+export declare const progressBarBackgroundColourNeutralInverseYellow: "#ffe969";
+export declare const progressBarBackgroundColourSubtleBlue: "#005dba";
+export declare const progressBarBackgroundColourSubtleGreen: "#00633d";
+export declare const progressBarBackgroundColourSubtleRed: "#c50b30";
+export declare const progressBarBackgroundColourSubtleYellow: "#ffb600";
+export declare const progressBarBackgroundColourBoldBlue: "#d2effb";
+export declare const progressBarBackgroundColourBoldGreen: "#dff6eb";
+export declare const progressBarBackgroundColourBoldRed: "#ffd5d2";
+export declare const progressBarBackgroundColourBoldYellow: "#fffbdc";
+export declare const progressBarColourNeutralBlue: "#001d6e";
+export declare const progressBarColourNeutralGreen: "#01312e";
+export declare const progressBarColourNeutralRed: "#940824";
+export declare const progressBarColourNeutralYellow: "#c86426";
+export declare const progressBarColourNeutralInverseBlue: "#001d6e";
+export declare const progressBarColourNeutralInverseGreen: "#01312e";
+export declare const progressBarColourNeutralInverseRed: "#940824";
+export declare const progressBarColourNeutralInverseYellow: "#c86426";
+export declare const progressBarColourSubtleBlue: "#001d6e";
+export declare const progressBarColourSubtleGreen: "#01312e";
+export declare const progressBarColourSubtleRed: "#940824";
+export declare const progressBarColourSubtleYellow: "#c86426";
+export declare const progressBarColourBoldBlue: "#000039";
+export declare const progressBarColourBoldGreen: "#011b1f";
+export declare const progressBarColourBoldRed: "#480411";
+export declare const progressBarColourBoldYellow: "#572722";
+export declare const progressBarGapNeutralBlue: 8;
+export declare const progressBarGapNeutralGreen: 8;
+export declare const progressBarGapNeutralRed: 8;
+export declare const progressBarGapNeutralYellow: 8;
+export declare const progressBarGapNeutralInverseBlue: 8;
+export declare const progressBarGapNeutralInverseGreen: 8;
+export declare const progressBarGapNeutralInverseRed: 8;
+export declare const progressBarGapNeutralInverseYellow: 8;
+export declare const progressBarGapSubtleBlue: 8;
+export declare const progressBarGapSubtleGreen: 8;
+export declare const progressBarGapSubtleRed: 8;
+export declare const progressBarGapSubtleYellow: 8;
+export declare const progressBarGapBoldBlue: 8;
+export declare const progressBarGapBoldGreen: 8;
+export declare const progressBarGapBoldRed: 8;
+export declare const progressBarGapBoldYellow: 8;
+export declare const progressBarBorderRadiusNeutralBlue: 16;
+export declare const progressBarBorderRadiusNeutralGreen: 16;
+export declare const progressBarBorderRadiusNeutralRed: 16;
+export declare const progressBarBorderRadiusNeutralYellow: 16;
+export declare const progressBarBorderRadiusNeutralInverseBlue: 16;
+export declare const progressBarBorderRadiusNeutralInverseGreen: 16;
+export declare const progressBarBorderRadiusNeutralInverseRed: 16;
+export declare const progressBarBorderRadiusNeutralInverseYellow: 16;
+export declare const progressBarBorderRadiusSubtleBlue: 16;
+export declare const progressBarBorderRadiusSubtleGreen: 16;
+export declare const progressBarBorderRadiusSubtleRed: 16;
+export declare const progressBarBorderRadiusSubtleYellow: 16;
+export declare const progressBarBorderRadiusBoldBlue: 16;
+export declare const progressBarBorderRadiusBoldGreen: 16;
+export declare const progressBarBorderRadiusBoldRed: 16;
+export declare const progressBarBorderRadiusBoldYellow: 16;
+export declare const progressBarHeightNeutralBlue: 4;
+export declare const progressBarHeightNeutralGreen: 4;
+export declare const progressBarHeightNeutralRed: 4;
+export declare const progressBarHeightNeutralYellow: 4;
+export declare const progressBarHeightNeutralInverseBlue: 4;
+export declare const progressBarHeightNeutralInverseGreen: 4;
+export declare const progressBarHeightNeutralInverseRed: 4;
+export declare const progressBarHeightNeutralInverseYellow: 4;
+export declare const progressBarHeightSubtleBlue: 4;
+export declare const progressBarHeightSubtleGreen: 4;
+export declare const progressBarHeightSubtleRed: 4;
+export declare const progressBarHeightSubtleYellow: 4;
+export declare const progressBarHeightBoldBlue: 4;
+export declare const progressBarHeightBoldGreen: 4;
+export declare const progressBarHeightBoldRed: 4;
+export declare const progressBarHeightBoldYellow: 4;
+export declare const heroTitleBlockColourNeutralBlue: "#001d6e";
+export declare const heroTitleBlockColourNeutralGreen: "#01312e";
+export declare const heroTitleBlockColourNeutralRed: "#940824";
+export declare const heroTitleBlockColourNeutralYellow: "#904029";
+export declare const heroTitleBlockColourNeutralInverseBlue: "#001d6e";
+export declare const heroTitleBlockColourNeutralInverseGreen: "#01312e";
+export declare const heroTitleBlockColourNeutralInverseRed: "#940824";
+export declare const heroTitleBlockColourNeutralInverseYellow: "#904029";
+export declare const heroTitleBlockColourSubtleBlue: "#001d6e";
+export declare const heroTitleBlockColourSubtleGreen: "#01312e";
+export declare const heroTitleBlockColourSubtleRed: "#940824";
+export declare const heroTitleBlockColourSubtleYellow: "#904029";
+export declare const heroTitleBlockColourBoldBlue: "#ffffff";
+export declare const heroTitleBlockColourBoldGreen: "#ffffff";
+export declare const heroTitleBlockColourBoldRed: "#ffffff";
+export declare const heroTitleBlockColourBoldYellow: "#1d1d1b";
+export declare const heroTitleBlockGapNeutralBlue: 12;
+export declare const heroTitleBlockGapNeutralGreen: 12;
+export declare const heroTitleBlockGapNeutralRed: 12;
+export declare const heroTitleBlockGapNeutralYellow: 12;
+export declare const heroTitleBlockGapNeutralInverseBlue: 12;
+export declare const heroTitleBlockGapNeutralInverseGreen: 12;
+export declare const heroTitleBlockGapNeutralInverseRed: 12;
+export declare const heroTitleBlockGapNeutralInverseYellow: 12;
+export declare const heroTitleBlockGapSubtleBlue: 12;
+export declare const heroTitleBlockGapSubtleGreen: 12;
+export declare const heroTitleBlockGapSubtleRed: 12;
+export declare const heroTitleBlockGapSubtleYellow: 12;
+export declare const heroTitleBlockGapBoldBlue: 12;
+export declare const heroTitleBlockGapBoldGreen: 12;
+export declare const heroTitleBlockGapBoldRed: 12;
+export declare const heroTitleBlockGapBoldYellow: 12;
+export declare const heroSubheadingsColourNeutralBlue: "#4d4f4f";
+export declare const heroSubheadingsColourNeutralGreen: "#4d4f4f";
+export declare const heroSubheadingsColourNeutralRed: "#4d4f4f";
+export declare const heroSubheadingsColourNeutralYellow: "#4d4f4f";
+export declare const heroSubheadingsColourNeutralInverseBlue: "#4d4f4f";
+export declare const heroSubheadingsColourNeutralInverseGreen: "#4d4f4f";
+export declare const heroSubheadingsColourNeutralInverseRed: "#4d4f4f";
+export declare const heroSubheadingsColourNeutralInverseYellow: "#4d4f4f";
+export declare const heroSubheadingsColourSubtleBlue: "#1d1d1b";
+export declare const heroSubheadingsColourSubtleGreen: "#1d1d1b";
+export declare const heroSubheadingsColourSubtleRed: "#1d1d1b";
+export declare const heroSubheadingsColourSubtleYellow: "#1d1d1b";
+export declare const heroSubheadingsColourBoldBlue: "#d2effb";
+export declare const heroSubheadingsColourBoldGreen: "#dff6eb";
+export declare const heroSubheadingsColourBoldRed: "#ffd5d2";
+export declare const heroSubheadingsColourBoldYellow: "#572722";
+export declare const heroSubheadingsGapNeutralBlue: 4;
+export declare const heroSubheadingsGapNeutralGreen: 4;
+export declare const heroSubheadingsGapNeutralRed: 4;
+export declare const heroSubheadingsGapNeutralYellow: 4;
+export declare const heroSubheadingsGapNeutralInverseBlue: 4;
+export declare const heroSubheadingsGapNeutralInverseGreen: 4;
+export declare const heroSubheadingsGapNeutralInverseRed: 4;
+export declare const heroSubheadingsGapNeutralInverseYellow: 4;
+export declare const heroSubheadingsGapSubtleBlue: 4;
+export declare const heroSubheadingsGapSubtleGreen: 4;
+export declare const heroSubheadingsGapSubtleRed: 4;
+export declare const heroSubheadingsGapSubtleYellow: 4;
+export declare const heroSubheadingsGapBoldBlue: 4;
+export declare const heroSubheadingsGapBoldGreen: 4;
+export declare const heroSubheadingsGapBoldRed: 4;
+export declare const heroSubheadingsGapBoldYellow: 4;
+export declare const heroGapNeutralBlue: 36;
+export declare const heroGapNeutralGreen: 36;
+export declare const heroGapNeutralRed: 36;
+export declare const heroGapNeutralYellow: 36;
+export declare const heroGapNeutralInverseBlue: 36;
+export declare const heroGapNeutralInverseGreen: 36;
+export declare const heroGapNeutralInverseRed: 36;
+export declare const heroGapNeutralInverseYellow: 36;
+export declare const heroGapSubtleBlue: 36;
+export declare const heroGapSubtleGreen: 36;
+export declare const heroGapSubtleRed: 36;
+export declare const heroGapSubtleYellow: 36;
+export declare const heroGapBoldBlue: 36;
+export declare const heroGapBoldGreen: 36;
+export declare const heroGapBoldRed: 36;
+export declare const heroGapBoldYellow: 36;
+export declare const heroPaddingXNeutralBlue: 16;
+export declare const heroPaddingXNeutralGreen: 16;
+export declare const heroPaddingXNeutralRed: 16;
+export declare const heroPaddingXNeutralYellow: 16;
+export declare const heroPaddingXNeutralInverseBlue: 16;
+export declare const heroPaddingXNeutralInverseGreen: 16;
+export declare const heroPaddingXNeutralInverseRed: 16;
+export declare const heroPaddingXNeutralInverseYellow: 16;
+export declare const heroPaddingXSubtleBlue: 16;
+export declare const heroPaddingXSubtleGreen: 16;
+export declare const heroPaddingXSubtleRed: 16;
+export declare const heroPaddingXSubtleYellow: 16;
+export declare const heroPaddingXBoldBlue: 16;
+export declare const heroPaddingXBoldGreen: 16;
+export declare const heroPaddingXBoldRed: 16;
+export declare const heroPaddingXBoldYellow: 16;
+export declare const heroPaddingYNeutralBlue: 36;
+export declare const heroPaddingYNeutralGreen: 36;
+export declare const heroPaddingYNeutralRed: 36;
+export declare const heroPaddingYNeutralYellow: 36;
+export declare const heroPaddingYNeutralInverseBlue: 36;
+export declare const heroPaddingYNeutralInverseGreen: 36;
+export declare const heroPaddingYNeutralInverseRed: 36;
+export declare const heroPaddingYNeutralInverseYellow: 36;
+export declare const heroPaddingYSubtleBlue: 36;
+export declare const heroPaddingYSubtleGreen: 36;
+export declare const heroPaddingYSubtleRed: 36;
+export declare const heroPaddingYSubtleYellow: 36;
+export declare const heroPaddingYBoldBlue: 36;
+export declare const heroPaddingYBoldGreen: 36;
+export declare const heroPaddingYBoldRed: 36;
+export declare const heroPaddingYBoldYellow: 36;
+export declare const heroWidthNeutralBlue: 288;
+export declare const heroWidthNeutralGreen: 288;
+export declare const heroWidthNeutralRed: 288;
+export declare const heroWidthNeutralYellow: 288;
+export declare const heroWidthNeutralInverseBlue: 288;
+export declare const heroWidthNeutralInverseGreen: 288;
+export declare const heroWidthNeutralInverseRed: 288;
+export declare const heroWidthNeutralInverseYellow: 288;
+export declare const heroWidthSubtleBlue: 288;
+export declare const heroWidthSubtleGreen: 288;
+export declare const heroWidthSubtleRed: 288;
+export declare const heroWidthSubtleYellow: 288;
+export declare const heroWidthBoldBlue: 288;
+export declare const heroWidthBoldGreen: 288;
+export declare const heroWidthBoldRed: 288;
+export declare const heroWidthBoldYellow: 288;
+export declare const detailsActivePaddingBottomNeutralBlue: 16;
+export declare const detailsActivePaddingBottomNeutralGreen: 16;
+export declare const detailsActivePaddingBottomNeutralRed: 16;
+export declare const detailsActivePaddingBottomNeutralYellow: 16;
+export declare const detailsActivePaddingBottomNeutralInverseBlue: 16;
+export declare const detailsActivePaddingBottomNeutralInverseGreen: 16;
+export declare const detailsActivePaddingBottomNeutralInverseRed: 16;
+export declare const detailsActivePaddingBottomNeutralInverseYellow: 16;
+export declare const detailsActivePaddingBottomSubtleBlue: 16;
+export declare const detailsActivePaddingBottomSubtleGreen: 16;
+export declare const detailsActivePaddingBottomSubtleRed: 16;
+export declare const detailsActivePaddingBottomSubtleYellow: 16;
+export declare const detailsActivePaddingBottomBoldBlue: 16;
+export declare const detailsActivePaddingBottomBoldGreen: 16;
+export declare const detailsActivePaddingBottomBoldRed: 16;
+export declare const detailsActivePaddingBottomBoldYellow: 16;
+export declare const detailsBorderRadiusNeutralBlue: 12;
+export declare const detailsBorderRadiusNeutralGreen: 12;
+export declare const detailsBorderRadiusNeutralRed: 12;
+export declare const detailsBorderRadiusNeutralYellow: 12;
+export declare const detailsBorderRadiusNeutralInverseBlue: 12;
+export declare const detailsBorderRadiusNeutralInverseGreen: 12;
+export declare const detailsBorderRadiusNeutralInverseRed: 12;
+export declare const detailsBorderRadiusNeutralInverseYellow: 12;
+export declare const detailsBorderRadiusSubtleBlue: 12;
+export declare const detailsBorderRadiusSubtleGreen: 12;
+export declare const detailsBorderRadiusSubtleRed: 12;
+export declare const detailsBorderRadiusSubtleYellow: 12;
+export declare const detailsBorderRadiusBoldBlue: 12;
+export declare const detailsBorderRadiusBoldGreen: 12;
+export declare const detailsBorderRadiusBoldRed: 12;
+export declare const detailsBorderRadiusBoldYellow: 12;
+export declare const detailsFocusIndicatorColourNeutralBlue: "#1d1d1b";
+export declare const detailsFocusIndicatorColourNeutralGreen: "#1d1d1b";
+export declare const detailsFocusIndicatorColourNeutralRed: "#1d1d1b";
+export declare const detailsFocusIndicatorColourNeutralYellow: "#1d1d1b";
+export declare const detailsFocusIndicatorColourNeutralInverseBlue: "#1d1d1b";
+export declare const detailsFocusIndicatorColourNeutralInverseGreen: "#1d1d1b";
+export declare const detailsFocusIndicatorColourNeutralInverseRed: "#1d1d1b";
+export declare const detailsFocusIndicatorColourNeutralInverseYellow: "#1d1d1b";
+export declare const detailsFocusIndicatorColourSubtleBlue: "#1d1d1b";
+export declare const detailsFocusIndicatorColourSubtleGreen: "#1d1d1b";
+export declare const detailsFocusIndicatorColourSubtleRed: "#1d1d1b";
+export declare const detailsFocusIndicatorColourSubtleYellow: "#1d1d1b";
+export declare const detailsFocusIndicatorColourBoldBlue: "#1d1d1b";
+export declare const detailsFocusIndicatorColourBoldGreen: "#1d1d1b";
+export declare const detailsFocusIndicatorColourBoldRed: "#1d1d1b";
+export declare const detailsFocusIndicatorColourBoldYellow: "#1d1d1b";
+export declare const detailsFocusIndicatorBorderWidthNeutralBlue: 3;
+export declare const detailsFocusIndicatorBorderWidthNeutralGreen: 3;
+export declare const detailsFocusIndicatorBorderWidthNeutralRed: 3;
+export declare const detailsFocusIndicatorBorderWidthNeutralYellow: 3;
+export declare const detailsFocusIndicatorBorderWidthNeutralInverseBlue: 3;
+export declare const detailsFocusIndicatorBorderWidthNeutralInverseGreen: 3;
+export declare const detailsFocusIndicatorBorderWidthNeutralInverseRed: 3;
+export declare const detailsFocusIndicatorBorderWidthNeutralInverseYellow: 3;
+export declare const detailsFocusIndicatorBorderWidthSubtleBlue: 3;
+export declare const detailsFocusIndicatorBorderWidthSubtleGreen: 3;
+export declare const detailsFocusIndicatorBorderWidthSubtleRed: 3;
+export declare const detailsFocusIndicatorBorderWidthSubtleYellow: 3;
+export declare const detailsFocusIndicatorBorderWidthBoldBlue: 3;
+export declare const detailsFocusIndicatorBorderWidthBoldGreen: 3;
+export declare const detailsFocusIndicatorBorderWidthBoldRed: 3;
+export declare const detailsFocusIndicatorBorderWidthBoldYellow: 3;
+export declare const detailsFocusIndicatorBorderRadiusNeutralBlue: 8;
+export declare const detailsFocusIndicatorBorderRadiusNeutralGreen: 8;
+export declare const detailsFocusIndicatorBorderRadiusNeutralRed: 8;
+export declare const detailsFocusIndicatorBorderRadiusNeutralYellow: 8;
+export declare const detailsFocusIndicatorBorderRadiusNeutralInverseBlue: 8;
+export declare const detailsFocusIndicatorBorderRadiusNeutralInverseGreen: 8;
+export declare const detailsFocusIndicatorBorderRadiusNeutralInverseRed: 8;
+export declare const detailsFocusIndicatorBorderRadiusNeutralInverseYellow: 8;
+export declare const detailsFocusIndicatorBorderRadiusSubtleBlue: 8;
+export declare const detailsFocusIndicatorBorderRadiusSubtleGreen: 8;
+export declare const detailsFocusIndicatorBorderRadiusSubtleRed: 8;
+export declare const detailsFocusIndicatorBorderRadiusSubtleYellow: 8;
+export declare const detailsFocusIndicatorBorderRadiusBoldBlue: 8;
+export declare const detailsFocusIndicatorBorderRadiusBoldGreen: 8;
+export declare const detailsFocusIndicatorBorderRadiusBoldRed: 8;
+export declare const detailsFocusIndicatorBorderRadiusBoldYellow: 8;
+export declare const detailsGapNeutralBlue: 12;
+export declare const detailsGapNeutralGreen: 12;
+export declare const detailsGapNeutralRed: 12;
+export declare const detailsGapNeutralYellow: 12;
+export declare const detailsGapNeutralInverseBlue: 12;
+export declare const detailsGapNeutralInverseGreen: 12;
+export declare const detailsGapNeutralInverseRed: 12;
+export declare const detailsGapNeutralInverseYellow: 12;
+export declare const detailsGapSubtleBlue: 12;
+export declare const detailsGapSubtleGreen: 12;
+export declare const detailsGapSubtleRed: 12;
+export declare const detailsGapSubtleYellow: 12;
+export declare const detailsGapBoldBlue: 12;
+export declare const detailsGapBoldGreen: 12;
+export declare const detailsGapBoldRed: 12;
+export declare const detailsGapBoldYellow: 12;
+export declare const detailsPaddingXNeutralBlue: 12;
+export declare const detailsPaddingXNeutralGreen: 12;
+export declare const detailsPaddingXNeutralRed: 12;
+export declare const detailsPaddingXNeutralYellow: 12;
+export declare const detailsPaddingXNeutralInverseBlue: 12;
+export declare const detailsPaddingXNeutralInverseGreen: 12;
+export declare const detailsPaddingXNeutralInverseRed: 12;
+export declare const detailsPaddingXNeutralInverseYellow: 12;
+export declare const detailsPaddingXSubtleBlue: 12;
+export declare const detailsPaddingXSubtleGreen: 12;
+export declare const detailsPaddingXSubtleRed: 12;
+export declare const detailsPaddingXSubtleYellow: 12;
+export declare const detailsPaddingXBoldBlue: 12;
+export declare const detailsPaddingXBoldGreen: 12;
+export declare const detailsPaddingXBoldRed: 12;
+export declare const detailsPaddingXBoldYellow: 12;
+export declare const detailsPaddingYNeutralBlue: 12;
+export declare const detailsPaddingYNeutralGreen: 12;
+export declare const detailsPaddingYNeutralRed: 12;
+export declare const detailsPaddingYNeutralYellow: 12;
+export declare const detailsPaddingYNeutralInverseBlue: 12;
+export declare const detailsPaddingYNeutralInverseGreen: 12;
+export declare const detailsPaddingYNeutralInverseRed: 12;
+export declare const detailsPaddingYNeutralInverseYellow: 12;
+export declare const detailsPaddingYSubtleBlue: 12;
+export declare const detailsPaddingYSubtleGreen: 12;
+export declare const detailsPaddingYSubtleRed: 12;
+export declare const detailsPaddingYSubtleYellow: 12;
+export declare const detailsPaddingYBoldBlue: 12;
+export declare const detailsPaddingYBoldGreen: 12;
+export declare const detailsPaddingYBoldRed: 12;
+export declare const detailsPaddingYBoldYellow: 12;
+export declare const detailsStatusBackgroundColourNeutralInfo: "#aee1f7";
+export declare const detailsStatusBackgroundColourNeutralSuccess: "#caeedd";
+export declare const detailsStatusBackgroundColourNeutralWarning: "#fff9c7";
+export declare const detailsStatusBackgroundColourNeutralError: "#ffc2bd";
+export declare const detailsStatusBackgroundColourNeutralGeneric: "#f4f4f4";
+export declare const detailsStatusBackgroundColourNeutralInverseInfo: "#aee1f7";
+export declare const detailsStatusBackgroundColourNeutralInverseSuccess: "#caeedd";
+export declare const detailsStatusBackgroundColourNeutralInverseWarning: "#fff9c7";
+export declare const detailsStatusBackgroundColourNeutralInverseError: "#ffc2bd";
+export declare const detailsStatusBackgroundColourNeutralInverseGeneric: "#ffffff";
+export declare const detailsStatusBackgroundColourSubtleInfo: "#ffffff";
+export declare const detailsStatusBackgroundColourSubtleSuccess: "#ffffff";
+export declare const detailsStatusBackgroundColourSubtleWarning: "#ffffff";
+export declare const detailsStatusBackgroundColourSubtleError: "#ffffff";
+export declare const detailsStatusBackgroundColourSubtleGeneric: "#ffffff";
+export declare const detailsStatusBackgroundColourBoldInfo: "#ffffff";
+export declare const detailsStatusBackgroundColourBoldSuccess: "#ffffff";
+export declare const detailsStatusBackgroundColourBoldWarning: "#ffffff";
+export declare const detailsStatusBackgroundColourBoldError: "#ffffff";
+export declare const detailsStatusBackgroundColourBoldGeneric: "#ffffff";
+export declare const detailsStatusIconColourNeutralInfo: "#001d6e";
+export declare const detailsStatusIconColourNeutralSuccess: "#01312e";
+export declare const detailsStatusIconColourNeutralWarning: "#904029";
+export declare const detailsStatusIconColourNeutralError: "#940824";
+export declare const detailsStatusIconColourNeutralGeneric: "#1d1d1b";
+export declare const detailsStatusIconColourNeutralInverseInfo: "#001d6e";
+export declare const detailsStatusIconColourNeutralInverseSuccess: "#01312e";
+export declare const detailsStatusIconColourNeutralInverseWarning: "#904029";
+export declare const detailsStatusIconColourNeutralInverseError: "#940824";
+export declare const detailsStatusIconColourNeutralInverseGeneric: "#1d1d1b";
+export declare const detailsStatusIconColourSubtleInfo: "#001d6e";
+export declare const detailsStatusIconColourSubtleSuccess: "#01312e";
+export declare const detailsStatusIconColourSubtleWarning: "#904029";
+export declare const detailsStatusIconColourSubtleError: "#940824";
+export declare const detailsStatusIconColourSubtleGeneric: "#1d1d1b";
+export declare const detailsStatusIconColourBoldInfo: "#001d6e";
+export declare const detailsStatusIconColourBoldSuccess: "#01312e";
+export declare const detailsStatusIconColourBoldWarning: "#904029";
+export declare const detailsStatusIconColourBoldError: "#940824";
+export declare const detailsStatusIconColourBoldGeneric: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralInfo: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralSuccess: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralWarning: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralError: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralGeneric: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralInverseInfo: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralInverseSuccess: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralInverseWarning: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralInverseError: "#1d1d1b";
+export declare const detailsStatusTextColourNeutralInverseGeneric: "#1d1d1b";
+export declare const detailsStatusTextColourSubtleInfo: "#1d1d1b";
+export declare const detailsStatusTextColourSubtleSuccess: "#1d1d1b";
+export declare const detailsStatusTextColourSubtleWarning: "#1d1d1b";
+export declare const detailsStatusTextColourSubtleError: "#1d1d1b";
+export declare const detailsStatusTextColourSubtleGeneric: "#1d1d1b";
+export declare const detailsStatusTextColourBoldInfo: "#1d1d1b";
+export declare const detailsStatusTextColourBoldSuccess: "#1d1d1b";
+export declare const detailsStatusTextColourBoldWarning: "#1d1d1b";
+export declare const detailsStatusTextColourBoldError: "#1d1d1b";
+export declare const detailsStatusTextColourBoldGeneric: "#1d1d1b";
+export declare const seperatorBorderColourNeutralBlue: "#d3d3d3";
+export declare const seperatorBorderColourNeutralGreen: "#d3d3d3";
+export declare const seperatorBorderColourNeutralRed: "#d3d3d3";
+export declare const seperatorBorderColourNeutralYellow: "#d3d3d3";
+export declare const seperatorBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const seperatorBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const seperatorBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const seperatorBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const seperatorBorderColourSubtleBlue: "#d3d3d3";
+export declare const seperatorBorderColourSubtleGreen: "#d3d3d3";
+export declare const seperatorBorderColourSubtleRed: "#d3d3d3";
+export declare const seperatorBorderColourSubtleYellow: "#d3d3d3";
+export declare const seperatorBorderColourBoldBlue: "#f4f4f4";
+export declare const seperatorBorderColourBoldGreen: "#f4f4f4";
+export declare const seperatorBorderColourBoldRed: "#f4f4f4";
+export declare const seperatorBorderColourBoldYellow: "#1d1d1b";
+export declare const seperatorBorderWidthNeutralBlue: 1;
+export declare const seperatorBorderWidthNeutralGreen: 1;
+export declare const seperatorBorderWidthNeutralRed: 1;
+export declare const seperatorBorderWidthNeutralYellow: 1;
+export declare const seperatorBorderWidthNeutralInverseBlue: 1;
+export declare const seperatorBorderWidthNeutralInverseGreen: 1;
+export declare const seperatorBorderWidthNeutralInverseRed: 1;
+export declare const seperatorBorderWidthNeutralInverseYellow: 1;
+export declare const seperatorBorderWidthSubtleBlue: 1;
+export declare const seperatorBorderWidthSubtleGreen: 1;
+export declare const seperatorBorderWidthSubtleRed: 1;
+export declare const seperatorBorderWidthSubtleYellow: 1;
+export declare const seperatorBorderWidthBoldBlue: 1;
+export declare const seperatorBorderWidthBoldGreen: 1;
+export declare const seperatorBorderWidthBoldRed: 1;
+export declare const seperatorBorderWidthBoldYellow: 1;
+export declare const footerBackgroundColourNeutralBlue: "#ffffff";
+export declare const footerBackgroundColourNeutralGreen: "#ffffff";
+export declare const footerBackgroundColourNeutralRed: "#ffffff";
+export declare const footerBackgroundColourNeutralYellow: "#ffffff";
+export declare const footerBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const footerBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const footerBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const footerBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const footerBackgroundColourSubtleBlue: "#aee1f7";
+export declare const footerBackgroundColourSubtleGreen: "#caeedd";
+export declare const footerBackgroundColourSubtleRed: "#ffd5d2";
+export declare const footerBackgroundColourSubtleYellow: "#fff9c7";
+export declare const footerBackgroundColourBoldBlue: "#005dba";
+export declare const footerBackgroundColourBoldGreen: "#00633d";
+export declare const footerBackgroundColourBoldRed: "#c50b30";
+export declare const footerBackgroundColourBoldYellow: "#ffb600";
+export declare const footerBorderColourNeutralBlue: "#d3d3d3";
+export declare const footerBorderColourNeutralGreen: "#d3d3d3";
+export declare const footerBorderColourNeutralRed: "#d3d3d3";
+export declare const footerBorderColourNeutralYellow: "#d3d3d3";
+export declare const footerBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const footerBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const footerBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const footerBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const footerBorderColourSubtleBlue: "#42aeea";
+export declare const footerBorderColourSubtleGreen: "#43af6e";
+export declare const footerBorderColourSubtleRed: "#ff3e51";
+export declare const footerBorderColourSubtleYellow: "#ffe969";
+export declare const footerBorderColourBoldBlue: "#001d6e";
+export declare const footerBorderColourBoldGreen: "#01312e";
+export declare const footerBorderColourBoldRed: "#940824";
+export declare const footerBorderColourBoldYellow: "#c86426";
+export declare const footerBorderWidthNeutralBlue: 1;
+export declare const footerBorderWidthNeutralGreen: 1;
+export declare const footerBorderWidthNeutralRed: 1;
+export declare const footerBorderWidthNeutralYellow: 1;
+export declare const footerBorderWidthNeutralInverseBlue: 1;
+export declare const footerBorderWidthNeutralInverseGreen: 1;
+export declare const footerBorderWidthNeutralInverseRed: 1;
+export declare const footerBorderWidthNeutralInverseYellow: 1;
+export declare const footerBorderWidthSubtleBlue: 1;
+export declare const footerBorderWidthSubtleGreen: 1;
+export declare const footerBorderWidthSubtleRed: 1;
+export declare const footerBorderWidthSubtleYellow: 1;
+export declare const footerBorderWidthBoldBlue: 1;
+export declare const footerBorderWidthBoldGreen: 1;
+export declare const footerBorderWidthBoldRed: 1;
+export declare const footerBorderWidthBoldYellow: 1;
+export declare const footerGapNeutralBlue: 28;
+export declare const footerGapNeutralGreen: 28;
+export declare const footerGapNeutralRed: 28;
+export declare const footerGapNeutralYellow: 28;
+export declare const footerGapNeutralInverseBlue: 28;
+export declare const footerGapNeutralInverseGreen: 28;
+export declare const footerGapNeutralInverseRed: 28;
+export declare const footerGapNeutralInverseYellow: 28;
+export declare const footerGapSubtleBlue: 28;
+export declare const footerGapSubtleGreen: 28;
+export declare const footerGapSubtleRed: 28;
+export declare const footerGapSubtleYellow: 28;
+export declare const footerGapBoldBlue: 28;
+export declare const footerGapBoldGreen: 28;
+export declare const footerGapBoldRed: 28;
+export declare const footerGapBoldYellow: 28;
+export declare const footerLogoGapNeutralBlue: 36;
+export declare const footerLogoGapNeutralGreen: 36;
+export declare const footerLogoGapNeutralRed: 36;
+export declare const footerLogoGapNeutralYellow: 36;
+export declare const footerLogoGapNeutralInverseBlue: 36;
+export declare const footerLogoGapNeutralInverseGreen: 36;
+export declare const footerLogoGapNeutralInverseRed: 36;
+export declare const footerLogoGapNeutralInverseYellow: 36;
+export declare const footerLogoGapSubtleBlue: 36;
+export declare const footerLogoGapSubtleGreen: 36;
+export declare const footerLogoGapSubtleRed: 36;
+export declare const footerLogoGapSubtleYellow: 36;
+export declare const footerLogoGapBoldBlue: 36;
+export declare const footerLogoGapBoldGreen: 36;
+export declare const footerLogoGapBoldRed: 36;
+export declare const footerLogoGapBoldYellow: 36;
+export declare const footerLogoSizeNeutralBlue: 80;
+export declare const footerLogoSizeNeutralGreen: 80;
+export declare const footerLogoSizeNeutralRed: 80;
+export declare const footerLogoSizeNeutralYellow: 80;
+export declare const footerLogoSizeNeutralInverseBlue: 80;
+export declare const footerLogoSizeNeutralInverseGreen: 80;
+export declare const footerLogoSizeNeutralInverseRed: 80;
+export declare const footerLogoSizeNeutralInverseYellow: 80;
+export declare const footerLogoSizeSubtleBlue: 80;
+export declare const footerLogoSizeSubtleGreen: 80;
+export declare const footerLogoSizeSubtleRed: 80;
+export declare const footerLogoSizeSubtleYellow: 80;
+export declare const footerLogoSizeBoldBlue: 80;
+export declare const footerLogoSizeBoldGreen: 80;
+export declare const footerLogoSizeBoldRed: 80;
+export declare const footerLogoSizeBoldYellow: 80;
+export declare const footerMinWidthNeutralBlue: 320;
+export declare const footerMinWidthNeutralGreen: 320;
+export declare const footerMinWidthNeutralRed: 320;
+export declare const footerMinWidthNeutralYellow: 320;
+export declare const footerMinWidthNeutralInverseBlue: 320;
+export declare const footerMinWidthNeutralInverseGreen: 320;
+export declare const footerMinWidthNeutralInverseRed: 320;
+export declare const footerMinWidthNeutralInverseYellow: 320;
+export declare const footerMinWidthSubtleBlue: 320;
+export declare const footerMinWidthSubtleGreen: 320;
+export declare const footerMinWidthSubtleRed: 320;
+export declare const footerMinWidthSubtleYellow: 320;
+export declare const footerMinWidthBoldBlue: 320;
+export declare const footerMinWidthBoldGreen: 320;
+export declare const footerMinWidthBoldRed: 320;
+export declare const footerMinWidthBoldYellow: 320;
+export declare const footerPaddingXNeutralBlue: 16;
+export declare const footerPaddingXNeutralGreen: 16;
+export declare const footerPaddingXNeutralRed: 16;
+export declare const footerPaddingXNeutralYellow: 16;
+export declare const footerPaddingXNeutralInverseBlue: 16;
+export declare const footerPaddingXNeutralInverseGreen: 16;
+export declare const footerPaddingXNeutralInverseRed: 16;
+export declare const footerPaddingXNeutralInverseYellow: 16;
+export declare const footerPaddingXSubtleBlue: 16;
+export declare const footerPaddingXSubtleGreen: 16;
+export declare const footerPaddingXSubtleRed: 16;
+export declare const footerPaddingXSubtleYellow: 16;
+export declare const footerPaddingXBoldBlue: 16;
+export declare const footerPaddingXBoldGreen: 16;
+export declare const footerPaddingXBoldRed: 16;
+export declare const footerPaddingXBoldYellow: 16;
+export declare const footerPaddingYNeutralBlue: 28;
+export declare const footerPaddingYNeutralGreen: 28;
+export declare const footerPaddingYNeutralRed: 28;
+export declare const footerPaddingYNeutralYellow: 28;
+export declare const footerPaddingYNeutralInverseBlue: 28;
+export declare const footerPaddingYNeutralInverseGreen: 28;
+export declare const footerPaddingYNeutralInverseRed: 28;
+export declare const footerPaddingYNeutralInverseYellow: 28;
+export declare const footerPaddingYSubtleBlue: 28;
+export declare const footerPaddingYSubtleGreen: 28;
+export declare const footerPaddingYSubtleRed: 28;
+export declare const footerPaddingYSubtleYellow: 28;
+export declare const footerPaddingYBoldBlue: 28;
+export declare const footerPaddingYBoldGreen: 28;
+export declare const footerPaddingYBoldRed: 28;
+export declare const footerPaddingYBoldYellow: 28;
+export declare const footerLinkGroupSocialGapNeutralBlue: 12;
+export declare const footerLinkGroupSocialGapNeutralGreen: 12;
+export declare const footerLinkGroupSocialGapNeutralRed: 12;
+export declare const footerLinkGroupSocialGapNeutralYellow: 12;
+export declare const footerLinkGroupSocialGapNeutralInverseBlue: 12;
+export declare const footerLinkGroupSocialGapNeutralInverseGreen: 12;
+export declare const footerLinkGroupSocialGapNeutralInverseRed: 12;
+export declare const footerLinkGroupSocialGapNeutralInverseYellow: 12;
+export declare const footerLinkGroupSocialGapSubtleBlue: 12;
+export declare const footerLinkGroupSocialGapSubtleGreen: 12;
+export declare const footerLinkGroupSocialGapSubtleRed: 12;
+export declare const footerLinkGroupSocialGapSubtleYellow: 12;
+export declare const footerLinkGroupSocialGapBoldBlue: 12;
+export declare const footerLinkGroupSocialGapBoldGreen: 12;
+export declare const footerLinkGroupSocialGapBoldRed: 12;
+export declare const footerLinkGroupSocialGapBoldYellow: 12;
+export declare const footerLinkGroupLinkGapNeutralBlue: 16;
+export declare const footerLinkGroupLinkGapNeutralGreen: 16;
+export declare const footerLinkGroupLinkGapNeutralRed: 16;
+export declare const footerLinkGroupLinkGapNeutralYellow: 16;
+export declare const footerLinkGroupLinkGapNeutralInverseBlue: 16;
+export declare const footerLinkGroupLinkGapNeutralInverseGreen: 16;
+export declare const footerLinkGroupLinkGapNeutralInverseRed: 16;
+export declare const footerLinkGroupLinkGapNeutralInverseYellow: 16;
+export declare const footerLinkGroupLinkGapSubtleBlue: 16;
+export declare const footerLinkGroupLinkGapSubtleGreen: 16;
+export declare const footerLinkGroupLinkGapSubtleRed: 16;
+export declare const footerLinkGroupLinkGapSubtleYellow: 16;
+export declare const footerLinkGroupLinkGapBoldBlue: 16;
+export declare const footerLinkGroupLinkGapBoldGreen: 16;
+export declare const footerLinkGroupLinkGapBoldRed: 16;
+export declare const footerLinkGroupLinkGapBoldYellow: 16;
+export declare const linkGapNeutralBlue: 8;
+export declare const linkGapNeutralGreen: 8;
+export declare const linkGapNeutralRed: 8;
+export declare const linkGapNeutralYellow: 8;
+export declare const linkGapNeutralInverseBlue: 8;
+export declare const linkGapNeutralInverseGreen: 8;
+export declare const linkGapNeutralInverseRed: 8;
+export declare const linkGapNeutralInverseYellow: 8;
+export declare const linkGapSubtleBlue: 8;
+export declare const linkGapSubtleGreen: 8;
+export declare const linkGapSubtleRed: 8;
+export declare const linkGapSubtleYellow: 8;
+export declare const linkGapBoldBlue: 8;
+export declare const linkGapBoldGreen: 8;
+export declare const linkGapBoldRed: 8;
+export declare const linkGapBoldYellow: 8;
+export declare const linkPrimaryRestColourNeutralBlue: "#005dba";
+export declare const linkPrimaryRestColourNeutralGreen: "#00633d";
+export declare const linkPrimaryRestColourNeutralRed: "#c50b30";
+export declare const linkPrimaryRestColourNeutralYellow: "#1d1d1b";
+export declare const linkPrimaryRestColourNeutralInverseBlue: "#005dba";
+export declare const linkPrimaryRestColourNeutralInverseGreen: "#00633d";
+export declare const linkPrimaryRestColourNeutralInverseRed: "#c50b30";
+export declare const linkPrimaryRestColourNeutralInverseYellow: "#1d1d1b";
+export declare const linkPrimaryRestColourSubtleBlue: "#005dba";
+export declare const linkPrimaryRestColourSubtleGreen: "#00633d";
+export declare const linkPrimaryRestColourSubtleRed: "#c50b30";
+export declare const linkPrimaryRestColourSubtleYellow: "#1d1d1b";
+export declare const linkPrimaryRestColourBoldBlue: "#f4f4f4";
+export declare const linkPrimaryRestColourBoldGreen: "#f4f4f4";
+export declare const linkPrimaryRestColourBoldRed: "#f4f4f4";
+export declare const linkPrimaryRestColourBoldYellow: "#1d1d1b";
+export declare const linkPrimaryHoverColourNeutralBlue: "#001d6e";
+export declare const linkPrimaryHoverColourNeutralGreen: "#01312e";
+export declare const linkPrimaryHoverColourNeutralRed: "#940824";
+export declare const linkPrimaryHoverColourNeutralYellow: "#1d1d1b";
+export declare const linkPrimaryHoverColourNeutralInverseBlue: "#001d6e";
+export declare const linkPrimaryHoverColourNeutralInverseGreen: "#01312e";
+export declare const linkPrimaryHoverColourNeutralInverseRed: "#940824";
+export declare const linkPrimaryHoverColourNeutralInverseYellow: "#1d1d1b";
+export declare const linkPrimaryHoverColourSubtleBlue: "#001d6e";
+export declare const linkPrimaryHoverColourSubtleGreen: "#01312e";
+export declare const linkPrimaryHoverColourSubtleRed: "#940824";
+export declare const linkPrimaryHoverColourSubtleYellow: "#1d1d1b";
+export declare const linkPrimaryHoverColourBoldBlue: "#f4f4f4";
+export declare const linkPrimaryHoverColourBoldGreen: "#f4f4f4";
+export declare const linkPrimaryHoverColourBoldRed: "#f4f4f4";
+export declare const linkPrimaryHoverColourBoldYellow: "#1d1d1b";
+export declare const linkPrimaryActiveColourNeutralBlue: "#000a52";
+export declare const linkPrimaryActiveColourNeutralGreen: "#012425";
+export declare const linkPrimaryActiveColourNeutralRed: "#6e061b";
+export declare const linkPrimaryActiveColourNeutralYellow: "#1d1d1b";
+export declare const linkPrimaryActiveColourNeutralInverseBlue: "#000a52";
+export declare const linkPrimaryActiveColourNeutralInverseGreen: "#012425";
+export declare const linkPrimaryActiveColourNeutralInverseRed: "#6e061b";
+export declare const linkPrimaryActiveColourNeutralInverseYellow: "#1d1d1b";
+export declare const linkPrimaryActiveColourSubtleBlue: "#000a52";
+export declare const linkPrimaryActiveColourSubtleGreen: "#012425";
+export declare const linkPrimaryActiveColourSubtleRed: "#6e061b";
+export declare const linkPrimaryActiveColourSubtleYellow: "#1d1d1b";
+export declare const linkPrimaryActiveColourBoldBlue: "#f4f4f4";
+export declare const linkPrimaryActiveColourBoldGreen: "#f4f4f4";
+export declare const linkPrimaryActiveColourBoldRed: "#f4f4f4";
+export declare const linkPrimaryActiveColourBoldYellow: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralBlue: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralGreen: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralRed: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralYellow: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralInverseBlue: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralInverseGreen: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralInverseRed: "#1d1d1b";
+export declare const linkPrimaryVisitedColourNeutralInverseYellow: "#1d1d1b";
+export declare const linkPrimaryVisitedColourSubtleBlue: "#1d1d1b";
+export declare const linkPrimaryVisitedColourSubtleGreen: "#1d1d1b";
+export declare const linkPrimaryVisitedColourSubtleRed: "#1d1d1b";
+export declare const linkPrimaryVisitedColourSubtleYellow: "#1d1d1b";
+export declare const linkPrimaryVisitedColourBoldBlue: "#ffffff";
+export declare const linkPrimaryVisitedColourBoldGreen: "#ffffff";
+export declare const linkPrimaryVisitedColourBoldRed: "#ffffff";
+export declare const linkPrimaryVisitedColourBoldYellow: "#1d1d1b";
+export declare const linkPrimaryFocusColourNeutralBlue: "#005dba";
+export declare const linkPrimaryFocusColourNeutralGreen: "#00633d";
+export declare const linkPrimaryFocusColourNeutralRed: "#c50b30";
+export declare const linkPrimaryFocusColourNeutralYellow: "#1d1d1b";
+export declare const linkPrimaryFocusColourNeutralInverseBlue: "#005dba";
+export declare const linkPrimaryFocusColourNeutralInverseGreen: "#00633d";
+export declare const linkPrimaryFocusColourNeutralInverseRed: "#c50b30";
+export declare const linkPrimaryFocusColourNeutralInverseYellow: "#1d1d1b";
+export declare const linkPrimaryFocusColourSubtleBlue: "#005dba";
+export declare const linkPrimaryFocusColourSubtleGreen: "#00633d";
+export declare const linkPrimaryFocusColourSubtleRed: "#c50b30";
+export declare const linkPrimaryFocusColourSubtleYellow: "#1d1d1b";
+export declare const linkPrimaryFocusColourBoldBlue: "#f4f4f4";
+export declare const linkPrimaryFocusColourBoldGreen: "#f4f4f4";
+export declare const linkPrimaryFocusColourBoldRed: "#f4f4f4";
+export declare const linkPrimaryFocusColourBoldYellow: "#1d1d1b";
+export declare const linkPrimaryFocusBorderRadiusNeutralBlue: 4;
+export declare const linkPrimaryFocusBorderRadiusNeutralGreen: 4;
+export declare const linkPrimaryFocusBorderRadiusNeutralRed: 4;
+export declare const linkPrimaryFocusBorderRadiusNeutralYellow: 4;
+export declare const linkPrimaryFocusBorderRadiusNeutralInverseBlue: 4;
+export declare const linkPrimaryFocusBorderRadiusNeutralInverseGreen: 4;
+export declare const linkPrimaryFocusBorderRadiusNeutralInverseRed: 4;
+export declare const linkPrimaryFocusBorderRadiusNeutralInverseYellow: 4;
+export declare const linkPrimaryFocusBorderRadiusSubtleBlue: 4;
+export declare const linkPrimaryFocusBorderRadiusSubtleGreen: 4;
+export declare const linkPrimaryFocusBorderRadiusSubtleRed: 4;
+export declare const linkPrimaryFocusBorderRadiusSubtleYellow: 4;
+export declare const linkPrimaryFocusBorderRadiusBoldBlue: 4;
+export declare const linkPrimaryFocusBorderRadiusBoldGreen: 4;
+export declare const linkPrimaryFocusBorderRadiusBoldRed: 4;
+export declare const linkPrimaryFocusBorderRadiusBoldYellow: 4;
+export declare const linkPrimaryFocusBorderWidthNeutralBlue: 1;
+export declare const linkPrimaryFocusBorderWidthNeutralGreen: 1;
+export declare const linkPrimaryFocusBorderWidthNeutralRed: 1;
+export declare const linkPrimaryFocusBorderWidthNeutralYellow: 1;
+export declare const linkPrimaryFocusBorderWidthNeutralInverseBlue: 1;
+export declare const linkPrimaryFocusBorderWidthNeutralInverseGreen: 1;
+export declare const linkPrimaryFocusBorderWidthNeutralInverseRed: 1;
+export declare const linkPrimaryFocusBorderWidthNeutralInverseYellow: 1;
+export declare const linkPrimaryFocusBorderWidthSubtleBlue: 1;
+export declare const linkPrimaryFocusBorderWidthSubtleGreen: 1;
+export declare const linkPrimaryFocusBorderWidthSubtleRed: 1;
+export declare const linkPrimaryFocusBorderWidthSubtleYellow: 1;
+export declare const linkPrimaryFocusBorderWidthBoldBlue: 1;
+export declare const linkPrimaryFocusBorderWidthBoldGreen: 1;
+export declare const linkPrimaryFocusBorderWidthBoldRed: 1;
+export declare const linkPrimaryFocusBorderWidthBoldYellow: 1;
+export declare const linkMonoRestColourNeutralBlue: "#000000";
+export declare const linkMonoRestColourNeutralGreen: "#000000";
+export declare const linkMonoRestColourNeutralRed: "#000000";
+export declare const linkMonoRestColourNeutralYellow: "#000000";
+export declare const linkMonoRestColourNeutralInverseBlue: "#000000";
+export declare const linkMonoRestColourNeutralInverseGreen: "#000000";
+export declare const linkMonoRestColourNeutralInverseRed: "#000000";
+export declare const linkMonoRestColourNeutralInverseYellow: "#000000";
+export declare const linkMonoRestColourSubtleBlue: "#000000";
+export declare const linkMonoRestColourSubtleGreen: "#000000";
+export declare const linkMonoRestColourSubtleRed: "#000000";
+export declare const linkMonoRestColourSubtleYellow: "#000000";
+export declare const linkMonoRestColourBoldBlue: "#f4f4f4";
+export declare const linkMonoRestColourBoldGreen: "#f4f4f4";
+export declare const linkMonoRestColourBoldRed: "#f4f4f4";
+export declare const linkMonoRestColourBoldYellow: "#1d1d1b";
+export declare const linkMonoHoverColourNeutralBlue: "#000000";
+export declare const linkMonoHoverColourNeutralGreen: "#000000";
+export declare const linkMonoHoverColourNeutralRed: "#000000";
+export declare const linkMonoHoverColourNeutralYellow: "#000000";
+export declare const linkMonoHoverColourNeutralInverseBlue: "#000000";
+export declare const linkMonoHoverColourNeutralInverseGreen: "#000000";
+export declare const linkMonoHoverColourNeutralInverseRed: "#000000";
+export declare const linkMonoHoverColourNeutralInverseYellow: "#000000";
+export declare const linkMonoHoverColourSubtleBlue: "#000000";
+export declare const linkMonoHoverColourSubtleGreen: "#000000";
+export declare const linkMonoHoverColourSubtleRed: "#000000";
+export declare const linkMonoHoverColourSubtleYellow: "#000000";
+export declare const linkMonoHoverColourBoldBlue: "#f4f4f4";
+export declare const linkMonoHoverColourBoldGreen: "#f4f4f4";
+export declare const linkMonoHoverColourBoldRed: "#f4f4f4";
+export declare const linkMonoHoverColourBoldYellow: "#1d1d1b";
+export declare const linkMonoActiveColourNeutralBlue: "#000000";
+export declare const linkMonoActiveColourNeutralGreen: "#000000";
+export declare const linkMonoActiveColourNeutralRed: "#000000";
+export declare const linkMonoActiveColourNeutralYellow: "#000000";
+export declare const linkMonoActiveColourNeutralInverseBlue: "#000000";
+export declare const linkMonoActiveColourNeutralInverseGreen: "#000000";
+export declare const linkMonoActiveColourNeutralInverseRed: "#000000";
+export declare const linkMonoActiveColourNeutralInverseYellow: "#000000";
+export declare const linkMonoActiveColourSubtleBlue: "#000000";
+export declare const linkMonoActiveColourSubtleGreen: "#000000";
+export declare const linkMonoActiveColourSubtleRed: "#000000";
+export declare const linkMonoActiveColourSubtleYellow: "#000000";
+export declare const linkMonoActiveColourBoldBlue: "#f4f4f4";
+export declare const linkMonoActiveColourBoldGreen: "#f4f4f4";
+export declare const linkMonoActiveColourBoldRed: "#f4f4f4";
+export declare const linkMonoActiveColourBoldYellow: "#1d1d1b";
+export declare const linkMonoFocusColourNeutralBlue: "#000000";
+export declare const linkMonoFocusColourNeutralGreen: "#000000";
+export declare const linkMonoFocusColourNeutralRed: "#000000";
+export declare const linkMonoFocusColourNeutralYellow: "#000000";
+export declare const linkMonoFocusColourNeutralInverseBlue: "#000000";
+export declare const linkMonoFocusColourNeutralInverseGreen: "#000000";
+export declare const linkMonoFocusColourNeutralInverseRed: "#000000";
+export declare const linkMonoFocusColourNeutralInverseYellow: "#000000";
+export declare const linkMonoFocusColourSubtleBlue: "#000000";
+export declare const linkMonoFocusColourSubtleGreen: "#000000";
+export declare const linkMonoFocusColourSubtleRed: "#000000";
+export declare const linkMonoFocusColourSubtleYellow: "#000000";
+export declare const linkMonoFocusColourBoldBlue: "#f4f4f4";
+export declare const linkMonoFocusColourBoldGreen: "#f4f4f4";
+export declare const linkMonoFocusColourBoldRed: "#f4f4f4";
+export declare const linkMonoFocusColourBoldYellow: "#1d1d1b";
+export declare const linkMonoFocusBorderRadiusNeutralBlue: 4;
+export declare const linkMonoFocusBorderRadiusNeutralGreen: 4;
+export declare const linkMonoFocusBorderRadiusNeutralRed: 4;
+export declare const linkMonoFocusBorderRadiusNeutralYellow: 4;
+export declare const linkMonoFocusBorderRadiusNeutralInverseBlue: 4;
+export declare const linkMonoFocusBorderRadiusNeutralInverseGreen: 4;
+export declare const linkMonoFocusBorderRadiusNeutralInverseRed: 4;
+export declare const linkMonoFocusBorderRadiusNeutralInverseYellow: 4;
+export declare const linkMonoFocusBorderRadiusSubtleBlue: 4;
+export declare const linkMonoFocusBorderRadiusSubtleGreen: 4;
+export declare const linkMonoFocusBorderRadiusSubtleRed: 4;
+export declare const linkMonoFocusBorderRadiusSubtleYellow: 4;
+export declare const linkMonoFocusBorderRadiusBoldBlue: 4;
+export declare const linkMonoFocusBorderRadiusBoldGreen: 4;
+export declare const linkMonoFocusBorderRadiusBoldRed: 4;
+export declare const linkMonoFocusBorderRadiusBoldYellow: 4;
+export declare const linkMonoFocusBorderWidthNeutralBlue: 1;
+export declare const linkMonoFocusBorderWidthNeutralGreen: 1;
+export declare const linkMonoFocusBorderWidthNeutralRed: 1;
+export declare const linkMonoFocusBorderWidthNeutralYellow: 1;
+export declare const linkMonoFocusBorderWidthNeutralInverseBlue: 1;
+export declare const linkMonoFocusBorderWidthNeutralInverseGreen: 1;
+export declare const linkMonoFocusBorderWidthNeutralInverseRed: 1;
+export declare const linkMonoFocusBorderWidthNeutralInverseYellow: 1;
+export declare const linkMonoFocusBorderWidthSubtleBlue: 1;
+export declare const linkMonoFocusBorderWidthSubtleGreen: 1;
+export declare const linkMonoFocusBorderWidthSubtleRed: 1;
+export declare const linkMonoFocusBorderWidthSubtleYellow: 1;
+export declare const linkMonoFocusBorderWidthBoldBlue: 1;
+export declare const linkMonoFocusBorderWidthBoldGreen: 1;
+export declare const linkMonoFocusBorderWidthBoldRed: 1;
+export declare const linkMonoFocusBorderWidthBoldYellow: 1;
+export declare const linkMonoVisitedColourNeutralBlue: "#000000";
+export declare const linkMonoVisitedColourNeutralGreen: "#000000";
+export declare const linkMonoVisitedColourNeutralRed: "#000000";
+export declare const linkMonoVisitedColourNeutralYellow: "#000000";
+export declare const linkMonoVisitedColourNeutralInverseBlue: "#000000";
+export declare const linkMonoVisitedColourNeutralInverseGreen: "#000000";
+export declare const linkMonoVisitedColourNeutralInverseRed: "#000000";
+export declare const linkMonoVisitedColourNeutralInverseYellow: "#000000";
+export declare const linkMonoVisitedColourSubtleBlue: "#000000";
+export declare const linkMonoVisitedColourSubtleGreen: "#000000";
+export declare const linkMonoVisitedColourSubtleRed: "#000000";
+export declare const linkMonoVisitedColourSubtleYellow: "#000000";
+export declare const linkMonoVisitedColourBoldBlue: "#f4f4f4";
+export declare const linkMonoVisitedColourBoldGreen: "#f4f4f4";
+export declare const linkMonoVisitedColourBoldRed: "#f4f4f4";
+export declare const linkMonoVisitedColourBoldYellow: "#1d1d1b";
+export declare const linkStatusSubtleRestColourNeutralInfo: "#000039";
+export declare const linkStatusSubtleRestColourNeutralSuccess: "#011b1f";
+export declare const linkStatusSubtleRestColourNeutralWarning: "#000000";
+export declare const linkStatusSubtleRestColourNeutralError: "#000000";
+export declare const linkStatusSubtleRestColourNeutralGeneric: "#000000";
+export declare const linkStatusSubtleRestColourNeutralInverseInfo: "#000039";
+export declare const linkStatusSubtleRestColourNeutralInverseSuccess: "#011b1f";
+export declare const linkStatusSubtleRestColourNeutralInverseWarning: "#000000";
+export declare const linkStatusSubtleRestColourNeutralInverseError: "#000000";
+export declare const linkStatusSubtleRestColourNeutralInverseGeneric: "#000000";
+export declare const linkStatusSubtleRestColourSubtleInfo: "#000039";
+export declare const linkStatusSubtleRestColourSubtleSuccess: "#011b1f";
+export declare const linkStatusSubtleRestColourSubtleWarning: "#000000";
+export declare const linkStatusSubtleRestColourSubtleError: "#000000";
+export declare const linkStatusSubtleRestColourSubtleGeneric: "#000000";
+export declare const linkStatusSubtleRestColourBoldInfo: "#000039";
+export declare const linkStatusSubtleRestColourBoldSuccess: "#011b1f";
+export declare const linkStatusSubtleRestColourBoldWarning: "#000000";
+export declare const linkStatusSubtleRestColourBoldError: "#000000";
+export declare const linkStatusSubtleRestColourBoldGeneric: "#000000";
+export declare const linkStatusSubtleHoverColourNeutralInfo: "#000039";
+export declare const linkStatusSubtleHoverColourNeutralSuccess: "#011b1f";
+export declare const linkStatusSubtleHoverColourNeutralWarning: "#000000";
+export declare const linkStatusSubtleHoverColourNeutralError: "#000000";
+export declare const linkStatusSubtleHoverColourNeutralGeneric: "#000000";
+export declare const linkStatusSubtleHoverColourNeutralInverseInfo: "#000039";
+export declare const linkStatusSubtleHoverColourNeutralInverseSuccess: "#011b1f";
+export declare const linkStatusSubtleHoverColourNeutralInverseWarning: "#000000";
+export declare const linkStatusSubtleHoverColourNeutralInverseError: "#000000";
+export declare const linkStatusSubtleHoverColourNeutralInverseGeneric: "#000000";
+export declare const linkStatusSubtleHoverColourSubtleInfo: "#000039";
+export declare const linkStatusSubtleHoverColourSubtleSuccess: "#011b1f";
+export declare const linkStatusSubtleHoverColourSubtleWarning: "#000000";
+export declare const linkStatusSubtleHoverColourSubtleError: "#000000";
+export declare const linkStatusSubtleHoverColourSubtleGeneric: "#000000";
+export declare const linkStatusSubtleHoverColourBoldInfo: "#000039";
+export declare const linkStatusSubtleHoverColourBoldSuccess: "#011b1f";
+export declare const linkStatusSubtleHoverColourBoldWarning: "#000000";
+export declare const linkStatusSubtleHoverColourBoldError: "#000000";
+export declare const linkStatusSubtleHoverColourBoldGeneric: "#000000";
+export declare const linkStatusSubtleActiveColourNeutralInfo: "#000039";
+export declare const linkStatusSubtleActiveColourNeutralSuccess: "#011b1f";
+export declare const linkStatusSubtleActiveColourNeutralWarning: "#000000";
+export declare const linkStatusSubtleActiveColourNeutralError: "#000000";
+export declare const linkStatusSubtleActiveColourNeutralGeneric: "#000000";
+export declare const linkStatusSubtleActiveColourNeutralInverseInfo: "#000039";
+export declare const linkStatusSubtleActiveColourNeutralInverseSuccess: "#011b1f";
+export declare const linkStatusSubtleActiveColourNeutralInverseWarning: "#000000";
+export declare const linkStatusSubtleActiveColourNeutralInverseError: "#000000";
+export declare const linkStatusSubtleActiveColourNeutralInverseGeneric: "#000000";
+export declare const linkStatusSubtleActiveColourSubtleInfo: "#000039";
+export declare const linkStatusSubtleActiveColourSubtleSuccess: "#011b1f";
+export declare const linkStatusSubtleActiveColourSubtleWarning: "#000000";
+export declare const linkStatusSubtleActiveColourSubtleError: "#000000";
+export declare const linkStatusSubtleActiveColourSubtleGeneric: "#000000";
+export declare const linkStatusSubtleActiveColourBoldInfo: "#000039";
+export declare const linkStatusSubtleActiveColourBoldSuccess: "#011b1f";
+export declare const linkStatusSubtleActiveColourBoldWarning: "#000000";
+export declare const linkStatusSubtleActiveColourBoldError: "#000000";
+export declare const linkStatusSubtleActiveColourBoldGeneric: "#000000";
+export declare const linkStatusSubtleVisitedColourNeutralInfo: "#000039";
+export declare const linkStatusSubtleVisitedColourNeutralSuccess: "#011b1f";
+export declare const linkStatusSubtleVisitedColourNeutralWarning: "#000000";
+export declare const linkStatusSubtleVisitedColourNeutralError: "#000000";
+export declare const linkStatusSubtleVisitedColourNeutralGeneric: "#000000";
+export declare const linkStatusSubtleVisitedColourNeutralInverseInfo: "#000039";
+export declare const linkStatusSubtleVisitedColourNeutralInverseSuccess: "#011b1f";
+export declare const linkStatusSubtleVisitedColourNeutralInverseWarning: "#000000";
+export declare const linkStatusSubtleVisitedColourNeutralInverseError: "#000000";
+export declare const linkStatusSubtleVisitedColourNeutralInverseGeneric: "#000000";
+export declare const linkStatusSubtleVisitedColourSubtleInfo: "#000039";
+export declare const linkStatusSubtleVisitedColourSubtleSuccess: "#011b1f";
+export declare const linkStatusSubtleVisitedColourSubtleWarning: "#000000";
+export declare const linkStatusSubtleVisitedColourSubtleError: "#000000";
+export declare const linkStatusSubtleVisitedColourSubtleGeneric: "#000000";
+export declare const linkStatusSubtleVisitedColourBoldInfo: "#000039";
+export declare const linkStatusSubtleVisitedColourBoldSuccess: "#011b1f";
+export declare const linkStatusSubtleVisitedColourBoldWarning: "#000000";
+export declare const linkStatusSubtleVisitedColourBoldError: "#000000";
+export declare const linkStatusSubtleVisitedColourBoldGeneric: "#000000";
+export declare const linkStatusSubtleFocusColourNeutralInfo: "#000039";
+export declare const linkStatusSubtleFocusColourNeutralSuccess: "#011b1f";
+export declare const linkStatusSubtleFocusColourNeutralWarning: "#000000";
+export declare const linkStatusSubtleFocusColourNeutralError: "#000000";
+export declare const linkStatusSubtleFocusColourNeutralGeneric: "#000000";
+export declare const linkStatusSubtleFocusColourNeutralInverseInfo: "#000039";
+export declare const linkStatusSubtleFocusColourNeutralInverseSuccess: "#011b1f";
+export declare const linkStatusSubtleFocusColourNeutralInverseWarning: "#000000";
+export declare const linkStatusSubtleFocusColourNeutralInverseError: "#000000";
+export declare const linkStatusSubtleFocusColourNeutralInverseGeneric: "#000000";
+export declare const linkStatusSubtleFocusColourSubtleInfo: "#000039";
+export declare const linkStatusSubtleFocusColourSubtleSuccess: "#011b1f";
+export declare const linkStatusSubtleFocusColourSubtleWarning: "#000000";
+export declare const linkStatusSubtleFocusColourSubtleError: "#000000";
+export declare const linkStatusSubtleFocusColourSubtleGeneric: "#000000";
+export declare const linkStatusSubtleFocusColourBoldInfo: "#000039";
+export declare const linkStatusSubtleFocusColourBoldSuccess: "#011b1f";
+export declare const linkStatusSubtleFocusColourBoldWarning: "#000000";
+export declare const linkStatusSubtleFocusColourBoldError: "#000000";
+export declare const linkStatusSubtleFocusColourBoldGeneric: "#000000";
+export declare const linkStatusSubtleFocusBorderRadiusNeutralInfo: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralSuccess: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralWarning: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralError: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralGeneric: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralInverseInfo: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralInverseSuccess: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralInverseWarning: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralInverseError: 4;
+export declare const linkStatusSubtleFocusBorderRadiusNeutralInverseGeneric: 4;
+export declare const linkStatusSubtleFocusBorderRadiusSubtleInfo: 4;
+export declare const linkStatusSubtleFocusBorderRadiusSubtleSuccess: 4;
+export declare const linkStatusSubtleFocusBorderRadiusSubtleWarning: 4;
+export declare const linkStatusSubtleFocusBorderRadiusSubtleError: 4;
+export declare const linkStatusSubtleFocusBorderRadiusSubtleGeneric: 4;
+export declare const linkStatusSubtleFocusBorderRadiusBoldInfo: 4;
+export declare const linkStatusSubtleFocusBorderRadiusBoldSuccess: 4;
+export declare const linkStatusSubtleFocusBorderRadiusBoldWarning: 4;
+export declare const linkStatusSubtleFocusBorderRadiusBoldError: 4;
+export declare const linkStatusSubtleFocusBorderRadiusBoldGeneric: 4;
+export declare const linkStatusSubtleFocusBorderWidthNeutralInfo: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralSuccess: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralWarning: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralError: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralGeneric: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralInverseInfo: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralInverseSuccess: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralInverseWarning: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralInverseError: 1;
+export declare const linkStatusSubtleFocusBorderWidthNeutralInverseGeneric: 1;
+export declare const linkStatusSubtleFocusBorderWidthSubtleInfo: 1;
+export declare const linkStatusSubtleFocusBorderWidthSubtleSuccess: 1;
+export declare const linkStatusSubtleFocusBorderWidthSubtleWarning: 1;
+export declare const linkStatusSubtleFocusBorderWidthSubtleError: 1;
+export declare const linkStatusSubtleFocusBorderWidthSubtleGeneric: 1;
+export declare const linkStatusSubtleFocusBorderWidthBoldInfo: 1;
+export declare const linkStatusSubtleFocusBorderWidthBoldSuccess: 1;
+export declare const linkStatusSubtleFocusBorderWidthBoldWarning: 1;
+export declare const linkStatusSubtleFocusBorderWidthBoldError: 1;
+export declare const linkStatusSubtleFocusBorderWidthBoldGeneric: 1;
+export declare const linkStatusBoldRestColourNeutralInfo: "#f4f4f4";
+export declare const linkStatusBoldRestColourNeutralSuccess: "#f4f4f4";
+export declare const linkStatusBoldRestColourNeutralWarning: "#1d1d1b";
+export declare const linkStatusBoldRestColourNeutralError: "#f4f4f4";
+export declare const linkStatusBoldRestColourNeutralGeneric: "#f4f4f4";
+export declare const linkStatusBoldRestColourNeutralInverseInfo: "#f4f4f4";
+export declare const linkStatusBoldRestColourNeutralInverseSuccess: "#f4f4f4";
+export declare const linkStatusBoldRestColourNeutralInverseWarning: "#1d1d1b";
+export declare const linkStatusBoldRestColourNeutralInverseError: "#f4f4f4";
+export declare const linkStatusBoldRestColourNeutralInverseGeneric: "#f4f4f4";
+export declare const linkStatusBoldRestColourSubtleInfo: "#f4f4f4";
+export declare const linkStatusBoldRestColourSubtleSuccess: "#f4f4f4";
+export declare const linkStatusBoldRestColourSubtleWarning: "#1d1d1b";
+export declare const linkStatusBoldRestColourSubtleError: "#f4f4f4";
+export declare const linkStatusBoldRestColourSubtleGeneric: "#f4f4f4";
+export declare const linkStatusBoldRestColourBoldInfo: "#f4f4f4";
+export declare const linkStatusBoldRestColourBoldSuccess: "#f4f4f4";
+export declare const linkStatusBoldRestColourBoldWarning: "#1d1d1b";
+export declare const linkStatusBoldRestColourBoldError: "#f4f4f4";
+export declare const linkStatusBoldRestColourBoldGeneric: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralInfo: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralSuccess: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralWarning: "#1d1d1b";
+export declare const linkStatusBoldHoverColourNeutralError: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralGeneric: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralInverseInfo: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralInverseSuccess: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralInverseWarning: "#1d1d1b";
+export declare const linkStatusBoldHoverColourNeutralInverseError: "#f4f4f4";
+export declare const linkStatusBoldHoverColourNeutralInverseGeneric: "#f4f4f4";
+export declare const linkStatusBoldHoverColourSubtleInfo: "#f4f4f4";
+export declare const linkStatusBoldHoverColourSubtleSuccess: "#f4f4f4";
+export declare const linkStatusBoldHoverColourSubtleWarning: "#1d1d1b";
+export declare const linkStatusBoldHoverColourSubtleError: "#f4f4f4";
+export declare const linkStatusBoldHoverColourSubtleGeneric: "#f4f4f4";
+export declare const linkStatusBoldHoverColourBoldInfo: "#f4f4f4";
+export declare const linkStatusBoldHoverColourBoldSuccess: "#f4f4f4";
+export declare const linkStatusBoldHoverColourBoldWarning: "#1d1d1b";
+export declare const linkStatusBoldHoverColourBoldError: "#f4f4f4";
+export declare const linkStatusBoldHoverColourBoldGeneric: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralInfo: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralSuccess: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralWarning: "#1d1d1b";
+export declare const linkStatusBoldActiveColourNeutralError: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralGeneric: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralInverseInfo: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralInverseSuccess: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralInverseWarning: "#1d1d1b";
+export declare const linkStatusBoldActiveColourNeutralInverseError: "#f4f4f4";
+export declare const linkStatusBoldActiveColourNeutralInverseGeneric: "#f4f4f4";
+export declare const linkStatusBoldActiveColourSubtleInfo: "#f4f4f4";
+export declare const linkStatusBoldActiveColourSubtleSuccess: "#f4f4f4";
+export declare const linkStatusBoldActiveColourSubtleWarning: "#1d1d1b";
+export declare const linkStatusBoldActiveColourSubtleError: "#f4f4f4";
+export declare const linkStatusBoldActiveColourSubtleGeneric: "#f4f4f4";
+export declare const linkStatusBoldActiveColourBoldInfo: "#f4f4f4";
+export declare const linkStatusBoldActiveColourBoldSuccess: "#f4f4f4";
+export declare const linkStatusBoldActiveColourBoldWarning: "#1d1d1b";
+export declare const linkStatusBoldActiveColourBoldError: "#f4f4f4";
+export declare const linkStatusBoldActiveColourBoldGeneric: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralInfo: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralSuccess: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralWarning: "#1d1d1b";
+export declare const linkStatusBoldVisitedColourNeutralError: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralGeneric: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralInverseInfo: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralInverseSuccess: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralInverseWarning: "#1d1d1b";
+export declare const linkStatusBoldVisitedColourNeutralInverseError: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourNeutralInverseGeneric: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourSubtleInfo: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourSubtleSuccess: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourSubtleWarning: "#1d1d1b";
+export declare const linkStatusBoldVisitedColourSubtleError: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourSubtleGeneric: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourBoldInfo: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourBoldSuccess: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourBoldWarning: "#1d1d1b";
+export declare const linkStatusBoldVisitedColourBoldError: "#f4f4f4";
+export declare const linkStatusBoldVisitedColourBoldGeneric: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralInfo: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralSuccess: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralWarning: "#1d1d1b";
+export declare const linkStatusBoldFocusColourNeutralError: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralGeneric: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralInverseInfo: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralInverseSuccess: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralInverseWarning: "#1d1d1b";
+export declare const linkStatusBoldFocusColourNeutralInverseError: "#f4f4f4";
+export declare const linkStatusBoldFocusColourNeutralInverseGeneric: "#f4f4f4";
+export declare const linkStatusBoldFocusColourSubtleInfo: "#f4f4f4";
+export declare const linkStatusBoldFocusColourSubtleSuccess: "#f4f4f4";
+export declare const linkStatusBoldFocusColourSubtleWarning: "#1d1d1b";
+export declare const linkStatusBoldFocusColourSubtleError: "#f4f4f4";
+export declare const linkStatusBoldFocusColourSubtleGeneric: "#f4f4f4";
+export declare const linkStatusBoldFocusColourBoldInfo: "#f4f4f4";
+export declare const linkStatusBoldFocusColourBoldSuccess: "#f4f4f4";
+export declare const linkStatusBoldFocusColourBoldWarning: "#1d1d1b";
+export declare const linkStatusBoldFocusColourBoldError: "#f4f4f4";
+export declare const linkStatusBoldFocusColourBoldGeneric: "#f4f4f4";
+export declare const linkStatusBoldFocusBorderRadiusNeutralInfo: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralSuccess: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralWarning: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralError: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralGeneric: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralInverseInfo: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralInverseSuccess: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralInverseWarning: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralInverseError: 4;
+export declare const linkStatusBoldFocusBorderRadiusNeutralInverseGeneric: 4;
+export declare const linkStatusBoldFocusBorderRadiusSubtleInfo: 4;
+export declare const linkStatusBoldFocusBorderRadiusSubtleSuccess: 4;
+export declare const linkStatusBoldFocusBorderRadiusSubtleWarning: 4;
+export declare const linkStatusBoldFocusBorderRadiusSubtleError: 4;
+export declare const linkStatusBoldFocusBorderRadiusSubtleGeneric: 4;
+export declare const linkStatusBoldFocusBorderRadiusBoldInfo: 4;
+export declare const linkStatusBoldFocusBorderRadiusBoldSuccess: 4;
+export declare const linkStatusBoldFocusBorderRadiusBoldWarning: 4;
+export declare const linkStatusBoldFocusBorderRadiusBoldError: 4;
+export declare const linkStatusBoldFocusBorderRadiusBoldGeneric: 4;
+export declare const linkStatusBoldFocusBorderWidthNeutralInfo: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralSuccess: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralWarning: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralError: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralGeneric: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralInverseInfo: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralInverseSuccess: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralInverseWarning: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralInverseError: 1;
+export declare const linkStatusBoldFocusBorderWidthNeutralInverseGeneric: 1;
+export declare const linkStatusBoldFocusBorderWidthSubtleInfo: 1;
+export declare const linkStatusBoldFocusBorderWidthSubtleSuccess: 1;
+export declare const linkStatusBoldFocusBorderWidthSubtleWarning: 1;
+export declare const linkStatusBoldFocusBorderWidthSubtleError: 1;
+export declare const linkStatusBoldFocusBorderWidthSubtleGeneric: 1;
+export declare const linkStatusBoldFocusBorderWidthBoldInfo: 1;
+export declare const linkStatusBoldFocusBorderWidthBoldSuccess: 1;
+export declare const linkStatusBoldFocusBorderWidthBoldWarning: 1;
+export declare const linkStatusBoldFocusBorderWidthBoldError: 1;
+export declare const linkStatusBoldFocusBorderWidthBoldGeneric: 1;
+export declare const linkGroupGapNeutralBlue: 16;
+export declare const linkGroupGapNeutralGreen: 16;
+export declare const linkGroupGapNeutralRed: 16;
+export declare const linkGroupGapNeutralYellow: 16;
+export declare const linkGroupGapNeutralInverseBlue: 16;
+export declare const linkGroupGapNeutralInverseGreen: 16;
+export declare const linkGroupGapNeutralInverseRed: 16;
+export declare const linkGroupGapNeutralInverseYellow: 16;
+export declare const linkGroupGapSubtleBlue: 16;
+export declare const linkGroupGapSubtleGreen: 16;
+export declare const linkGroupGapSubtleRed: 16;
+export declare const linkGroupGapSubtleYellow: 16;
+export declare const linkGroupGapBoldBlue: 16;
+export declare const linkGroupGapBoldGreen: 16;
+export declare const linkGroupGapBoldRed: 16;
+export declare const linkGroupGapBoldYellow: 16;
+export declare const accordionGapNeutralBlue: 20;
+export declare const accordionGapNeutralGreen: 20;
+export declare const accordionGapNeutralRed: 20;
+export declare const accordionGapNeutralYellow: 20;
+export declare const accordionGapNeutralInverseBlue: 20;
+export declare const accordionGapNeutralInverseGreen: 20;
+export declare const accordionGapNeutralInverseRed: 20;
+export declare const accordionGapNeutralInverseYellow: 20;
+export declare const accordionGapSubtleBlue: 20;
+export declare const accordionGapSubtleGreen: 20;
+export declare const accordionGapSubtleRed: 20;
+export declare const accordionGapSubtleYellow: 20;
+export declare const accordionGapBoldBlue: 20;
+export declare const accordionGapBoldGreen: 20;
+export declare const accordionGapBoldRed: 20;
+export declare const accordionGapBoldYellow: 20;
+export declare const accordionPaddingXNeutralBlue: 20;
+export declare const accordionPaddingXNeutralGreen: 20;
+export declare const accordionPaddingXNeutralRed: 20;
+export declare const accordionPaddingXNeutralYellow: 20;
+export declare const accordionPaddingXNeutralInverseBlue: 20;
+export declare const accordionPaddingXNeutralInverseGreen: 20;
+export declare const accordionPaddingXNeutralInverseRed: 20;
+export declare const accordionPaddingXNeutralInverseYellow: 20;
+export declare const accordionPaddingXSubtleBlue: 20;
+export declare const accordionPaddingXSubtleGreen: 20;
+export declare const accordionPaddingXSubtleRed: 20;
+export declare const accordionPaddingXSubtleYellow: 20;
+export declare const accordionPaddingXBoldBlue: 20;
+export declare const accordionPaddingXBoldGreen: 20;
+export declare const accordionPaddingXBoldRed: 20;
+export declare const accordionPaddingXBoldYellow: 20;
+export declare const accordionPaddingYNeutralBlue: 20;
+export declare const accordionPaddingYNeutralGreen: 20;
+export declare const accordionPaddingYNeutralRed: 20;
+export declare const accordionPaddingYNeutralYellow: 20;
+export declare const accordionPaddingYNeutralInverseBlue: 20;
+export declare const accordionPaddingYNeutralInverseGreen: 20;
+export declare const accordionPaddingYNeutralInverseRed: 20;
+export declare const accordionPaddingYNeutralInverseYellow: 20;
+export declare const accordionPaddingYSubtleBlue: 20;
+export declare const accordionPaddingYSubtleGreen: 20;
+export declare const accordionPaddingYSubtleRed: 20;
+export declare const accordionPaddingYSubtleYellow: 20;
+export declare const accordionPaddingYBoldBlue: 20;
+export declare const accordionPaddingYBoldGreen: 20;
+export declare const accordionPaddingYBoldRed: 20;
+export declare const accordionPaddingYBoldYellow: 20;
+export declare const accordionBorderRadiusNeutralBlue: 12;
+export declare const accordionBorderRadiusNeutralGreen: 12;
+export declare const accordionBorderRadiusNeutralRed: 12;
+export declare const accordionBorderRadiusNeutralYellow: 12;
+export declare const accordionBorderRadiusNeutralInverseBlue: 12;
+export declare const accordionBorderRadiusNeutralInverseGreen: 12;
+export declare const accordionBorderRadiusNeutralInverseRed: 12;
+export declare const accordionBorderRadiusNeutralInverseYellow: 12;
+export declare const accordionBorderRadiusSubtleBlue: 12;
+export declare const accordionBorderRadiusSubtleGreen: 12;
+export declare const accordionBorderRadiusSubtleRed: 12;
+export declare const accordionBorderRadiusSubtleYellow: 12;
+export declare const accordionBorderRadiusBoldBlue: 12;
+export declare const accordionBorderRadiusBoldGreen: 12;
+export declare const accordionBorderRadiusBoldRed: 12;
+export declare const accordionBorderRadiusBoldYellow: 12;
+export declare const accordionBackgroundColourNeutralBlue: "#ffffff";
+export declare const accordionBackgroundColourNeutralGreen: "#ffffff";
+export declare const accordionBackgroundColourNeutralRed: "#ffffff";
+export declare const accordionBackgroundColourNeutralYellow: "#ffffff";
+export declare const accordionBackgroundColourNeutralInverseBlue: "#f4f4f4";
+export declare const accordionBackgroundColourNeutralInverseGreen: "#f4f4f4";
+export declare const accordionBackgroundColourNeutralInverseRed: "#f4f4f4";
+export declare const accordionBackgroundColourNeutralInverseYellow: "#f4f4f4";
+export declare const accordionBackgroundColourSubtleBlue: "#aee1f7";
+export declare const accordionBackgroundColourSubtleGreen: "#caeedd";
+export declare const accordionBackgroundColourSubtleRed: "#ffd5d2";
+export declare const accordionBackgroundColourSubtleYellow: "#fff9c7";
+export declare const accordionBackgroundColourBoldBlue: "#005dba";
+export declare const accordionBackgroundColourBoldGreen: "#00633d";
+export declare const accordionBackgroundColourBoldRed: "#c50b30";
+export declare const accordionBackgroundColourBoldYellow: "#ffb600";
+export declare const accordionHeaderGapNeutralBlue: 12;
+export declare const accordionHeaderGapNeutralGreen: 12;
+export declare const accordionHeaderGapNeutralRed: 12;
+export declare const accordionHeaderGapNeutralYellow: 12;
+export declare const accordionHeaderGapNeutralInverseBlue: 12;
+export declare const accordionHeaderGapNeutralInverseGreen: 12;
+export declare const accordionHeaderGapNeutralInverseRed: 12;
+export declare const accordionHeaderGapNeutralInverseYellow: 12;
+export declare const accordionHeaderGapSubtleBlue: 12;
+export declare const accordionHeaderGapSubtleGreen: 12;
+export declare const accordionHeaderGapSubtleRed: 12;
+export declare const accordionHeaderGapSubtleYellow: 12;
+export declare const accordionHeaderGapBoldBlue: 12;
+export declare const accordionHeaderGapBoldGreen: 12;
+export declare const accordionHeaderGapBoldRed: 12;
+export declare const accordionHeaderGapBoldYellow: 12;
+export declare const accordionHeaderCustomContentHeightNeutralBlue: 12;
+export declare const accordionHeaderCustomContentHeightNeutralGreen: 12;
+export declare const accordionHeaderCustomContentHeightNeutralRed: 12;
+export declare const accordionHeaderCustomContentHeightNeutralYellow: 12;
+export declare const accordionHeaderCustomContentHeightNeutralInverseBlue: 12;
+export declare const accordionHeaderCustomContentHeightNeutralInverseGreen: 12;
+export declare const accordionHeaderCustomContentHeightNeutralInverseRed: 12;
+export declare const accordionHeaderCustomContentHeightNeutralInverseYellow: 12;
+export declare const accordionHeaderCustomContentHeightSubtleBlue: 12;
+export declare const accordionHeaderCustomContentHeightSubtleGreen: 12;
+export declare const accordionHeaderCustomContentHeightSubtleRed: 12;
+export declare const accordionHeaderCustomContentHeightSubtleYellow: 12;
+export declare const accordionHeaderCustomContentHeightBoldBlue: 12;
+export declare const accordionHeaderCustomContentHeightBoldGreen: 12;
+export declare const accordionHeaderCustomContentHeightBoldRed: 12;
+export declare const accordionHeaderCustomContentHeightBoldYellow: 12;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralBlue: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralGreen: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralRed: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralYellow: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseBlue: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseGreen: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseRed: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseYellow: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusSubtleBlue: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusSubtleGreen: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusSubtleRed: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusSubtleYellow: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusBoldBlue: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusBoldGreen: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusBoldRed: 8;
+export declare const accordionHeaderFocusIndicatorBorderRadiusBoldYellow: 8;
+export declare const accordionHeaderFocusIndicatorColourNeutralBlue: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourNeutralGreen: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourNeutralRed: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourNeutralYellow: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourNeutralInverseBlue: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourNeutralInverseGreen: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourNeutralInverseRed: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourNeutralInverseYellow: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourSubtleBlue: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourSubtleGreen: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourSubtleRed: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourSubtleYellow: "#1d1d1b";
+export declare const accordionHeaderFocusIndicatorColourBoldBlue: "#ffffff";
+export declare const accordionHeaderFocusIndicatorColourBoldGreen: "#ffffff";
+export declare const accordionHeaderFocusIndicatorColourBoldRed: "#ffffff";
+export declare const accordionHeaderFocusIndicatorColourBoldYellow: "#ffffff";
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralBlue: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralGreen: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralRed: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralYellow: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralInverseBlue: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralInverseGreen: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralInverseRed: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthNeutralInverseYellow: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthSubtleBlue: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthSubtleGreen: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthSubtleRed: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthSubtleYellow: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthBoldBlue: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthBoldGreen: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthBoldRed: 3;
+export declare const accordionHeaderFocusIndicatorBorderWidthBoldYellow: 3;
+export declare const accordionHeaderLabelMinWidthNeutralBlue: 140;
+export declare const accordionHeaderLabelMinWidthNeutralGreen: 140;
+export declare const accordionHeaderLabelMinWidthNeutralRed: 140;
+export declare const accordionHeaderLabelMinWidthNeutralYellow: 140;
+export declare const accordionHeaderLabelMinWidthNeutralInverseBlue: 140;
+export declare const accordionHeaderLabelMinWidthNeutralInverseGreen: 140;
+export declare const accordionHeaderLabelMinWidthNeutralInverseRed: 140;
+export declare const accordionHeaderLabelMinWidthNeutralInverseYellow: 140;
+export declare const accordionHeaderLabelMinWidthSubtleBlue: 140;
+export declare const accordionHeaderLabelMinWidthSubtleGreen: 140;
+export declare const accordionHeaderLabelMinWidthSubtleRed: 140;
+export declare const accordionHeaderLabelMinWidthSubtleYellow: 140;
+export declare const accordionHeaderLabelMinWidthBoldBlue: 140;
+export declare const accordionHeaderLabelMinWidthBoldGreen: 140;
+export declare const accordionHeaderLabelMinWidthBoldRed: 140;
+export declare const accordionHeaderLabelMinWidthBoldYellow: 140;
+export declare const accordionContentGapNeutralBlue: 20;
+export declare const accordionContentGapNeutralGreen: 20;
+export declare const accordionContentGapNeutralRed: 20;
+export declare const accordionContentGapNeutralYellow: 20;
+export declare const accordionContentGapNeutralInverseBlue: 20;
+export declare const accordionContentGapNeutralInverseGreen: 20;
+export declare const accordionContentGapNeutralInverseRed: 20;
+export declare const accordionContentGapNeutralInverseYellow: 20;
+export declare const accordionContentGapSubtleBlue: 20;
+export declare const accordionContentGapSubtleGreen: 20;
+export declare const accordionContentGapSubtleRed: 20;
+export declare const accordionContentGapSubtleYellow: 20;
+export declare const accordionContentGapBoldBlue: 20;
+export declare const accordionContentGapBoldGreen: 20;
+export declare const accordionContentGapBoldRed: 20;
+export declare const accordionContentGapBoldYellow: 20;
+export declare const accordionBorderColourNeutralBlue: "#d3d3d3";
+export declare const accordionBorderColourNeutralGreen: "#d3d3d3";
+export declare const accordionBorderColourNeutralRed: "#d3d3d3";
+export declare const accordionBorderColourNeutralYellow: "#d3d3d3";
+export declare const accordionBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const accordionBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const accordionBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const accordionBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const accordionBorderColourSubtleBlue: "#42aeea";
+export declare const accordionBorderColourSubtleGreen: "#43af6e";
+export declare const accordionBorderColourSubtleRed: "#ff3e51";
+export declare const accordionBorderColourSubtleYellow: "#ffe969";
+export declare const accordionBorderColourBoldBlue: "#001d6e";
+export declare const accordionBorderColourBoldGreen: "#01312e";
+export declare const accordionBorderColourBoldRed: "#940824";
+export declare const accordionBorderColourBoldYellow: "#c86426";
+export declare const accordionBorderWidthNeutralBlue: 1;
+export declare const accordionBorderWidthNeutralGreen: 1;
+export declare const accordionBorderWidthNeutralRed: 1;
+export declare const accordionBorderWidthNeutralYellow: 1;
+export declare const accordionBorderWidthNeutralInverseBlue: 1;
+export declare const accordionBorderWidthNeutralInverseGreen: 1;
+export declare const accordionBorderWidthNeutralInverseRed: 1;
+export declare const accordionBorderWidthNeutralInverseYellow: 1;
+export declare const accordionBorderWidthSubtleBlue: 1;
+export declare const accordionBorderWidthSubtleGreen: 1;
+export declare const accordionBorderWidthSubtleRed: 1;
+export declare const accordionBorderWidthSubtleYellow: 1;
+export declare const accordionBorderWidthBoldBlue: 1;
+export declare const accordionBorderWidthBoldGreen: 1;
+export declare const accordionBorderWidthBoldRed: 1;
+export declare const accordionBorderWidthBoldYellow: 1;
+export declare const accordionGroupGapNeutralBlue: 16;
+export declare const accordionGroupGapNeutralGreen: 16;
+export declare const accordionGroupGapNeutralRed: 16;
+export declare const accordionGroupGapNeutralYellow: 16;
+export declare const accordionGroupGapNeutralInverseBlue: 16;
+export declare const accordionGroupGapNeutralInverseGreen: 16;
+export declare const accordionGroupGapNeutralInverseRed: 16;
+export declare const accordionGroupGapNeutralInverseYellow: 16;
+export declare const accordionGroupGapSubtleBlue: 16;
+export declare const accordionGroupGapSubtleGreen: 16;
+export declare const accordionGroupGapSubtleRed: 16;
+export declare const accordionGroupGapSubtleYellow: 16;
+export declare const accordionGroupGapBoldBlue: 16;
+export declare const accordionGroupGapBoldGreen: 16;
+export declare const accordionGroupGapBoldRed: 16;
+export declare const accordionGroupGapBoldYellow: 16;
+export declare const bannerPaddingXNeutralBlue: 16;
+export declare const bannerPaddingXNeutralGreen: 16;
+export declare const bannerPaddingXNeutralRed: 16;
+export declare const bannerPaddingXNeutralYellow: 16;
+export declare const bannerPaddingXNeutralInverseBlue: 16;
+export declare const bannerPaddingXNeutralInverseGreen: 16;
+export declare const bannerPaddingXNeutralInverseRed: 16;
+export declare const bannerPaddingXNeutralInverseYellow: 16;
+export declare const bannerPaddingXSubtleBlue: 16;
+export declare const bannerPaddingXSubtleGreen: 16;
+export declare const bannerPaddingXSubtleRed: 16;
+export declare const bannerPaddingXSubtleYellow: 16;
+export declare const bannerPaddingXBoldBlue: 16;
+export declare const bannerPaddingXBoldGreen: 16;
+export declare const bannerPaddingXBoldRed: 16;
+export declare const bannerPaddingXBoldYellow: 16;
+export declare const bannerPaddingYNeutralBlue: 12;
+export declare const bannerPaddingYNeutralGreen: 12;
+export declare const bannerPaddingYNeutralRed: 12;
+export declare const bannerPaddingYNeutralYellow: 12;
+export declare const bannerPaddingYNeutralInverseBlue: 12;
+export declare const bannerPaddingYNeutralInverseGreen: 12;
+export declare const bannerPaddingYNeutralInverseRed: 12;
+export declare const bannerPaddingYNeutralInverseYellow: 12;
+export declare const bannerPaddingYSubtleBlue: 12;
+export declare const bannerPaddingYSubtleGreen: 12;
+export declare const bannerPaddingYSubtleRed: 12;
+export declare const bannerPaddingYSubtleYellow: 12;
+export declare const bannerPaddingYBoldBlue: 12;
+export declare const bannerPaddingYBoldGreen: 12;
+export declare const bannerPaddingYBoldRed: 12;
+export declare const bannerPaddingYBoldYellow: 12;
+export declare const bannerStatusBackgroundColourNeutralInfo: "#005dba";
+export declare const bannerStatusBackgroundColourNeutralSuccess: "#00633d";
+export declare const bannerStatusBackgroundColourNeutralWarning: "#ffb600";
+export declare const bannerStatusBackgroundColourNeutralError: "#c50b30";
+export declare const bannerStatusBackgroundColourNeutralGeneric: "#4d4f4f";
+export declare const bannerStatusBackgroundColourNeutralInverseInfo: "#005dba";
+export declare const bannerStatusBackgroundColourNeutralInverseSuccess: "#00633d";
+export declare const bannerStatusBackgroundColourNeutralInverseWarning: "#ffb600";
+export declare const bannerStatusBackgroundColourNeutralInverseError: "#c50b30";
+export declare const bannerStatusBackgroundColourNeutralInverseGeneric: "#4d4f4f";
+export declare const bannerStatusBackgroundColourSubtleInfo: "#005dba";
+export declare const bannerStatusBackgroundColourSubtleSuccess: "#00633d";
+export declare const bannerStatusBackgroundColourSubtleWarning: "#ffb600";
+export declare const bannerStatusBackgroundColourSubtleError: "#c50b30";
+export declare const bannerStatusBackgroundColourSubtleGeneric: "#4d4f4f";
+export declare const bannerStatusBackgroundColourBoldInfo: "#005dba";
+export declare const bannerStatusBackgroundColourBoldSuccess: "#00633d";
+export declare const bannerStatusBackgroundColourBoldWarning: "#ffb600";
+export declare const bannerStatusBackgroundColourBoldError: "#c50b30";
+export declare const bannerStatusBackgroundColourBoldGeneric: "#4d4f4f";
+export declare const bannerStatusTextColourNeutralInfo: "#ffffff";
+export declare const bannerStatusTextColourNeutralSuccess: "#ffffff";
+export declare const bannerStatusTextColourNeutralWarning: "#1d1d1b";
+export declare const bannerStatusTextColourNeutralError: "#ffffff";
+export declare const bannerStatusTextColourNeutralGeneric: "#ffffff";
+export declare const bannerStatusTextColourNeutralInverseInfo: "#ffffff";
+export declare const bannerStatusTextColourNeutralInverseSuccess: "#ffffff";
+export declare const bannerStatusTextColourNeutralInverseWarning: "#1d1d1b";
+export declare const bannerStatusTextColourNeutralInverseError: "#ffffff";
+export declare const bannerStatusTextColourNeutralInverseGeneric: "#ffffff";
+export declare const bannerStatusTextColourSubtleInfo: "#ffffff";
+export declare const bannerStatusTextColourSubtleSuccess: "#ffffff";
+export declare const bannerStatusTextColourSubtleWarning: "#1d1d1b";
+export declare const bannerStatusTextColourSubtleError: "#ffffff";
+export declare const bannerStatusTextColourSubtleGeneric: "#ffffff";
+export declare const bannerStatusTextColourBoldInfo: "#ffffff";
+export declare const bannerStatusTextColourBoldSuccess: "#ffffff";
+export declare const bannerStatusTextColourBoldWarning: "#1d1d1b";
+export declare const bannerStatusTextColourBoldError: "#ffffff";
+export declare const bannerStatusTextColourBoldGeneric: "#ffffff";
+export declare const bannerStatusIconColourNeutralInfo: "#ffffff";
+export declare const bannerStatusIconColourNeutralSuccess: "#ffffff";
+export declare const bannerStatusIconColourNeutralWarning: "#1d1d1b";
+export declare const bannerStatusIconColourNeutralError: "#ffffff";
+export declare const bannerStatusIconColourNeutralGeneric: "#ffffff";
+export declare const bannerStatusIconColourNeutralInverseInfo: "#ffffff";
+export declare const bannerStatusIconColourNeutralInverseSuccess: "#ffffff";
+export declare const bannerStatusIconColourNeutralInverseWarning: "#1d1d1b";
+export declare const bannerStatusIconColourNeutralInverseError: "#ffffff";
+export declare const bannerStatusIconColourNeutralInverseGeneric: "#ffffff";
+export declare const bannerStatusIconColourSubtleInfo: "#ffffff";
+export declare const bannerStatusIconColourSubtleSuccess: "#ffffff";
+export declare const bannerStatusIconColourSubtleWarning: "#1d1d1b";
+export declare const bannerStatusIconColourSubtleError: "#ffffff";
+export declare const bannerStatusIconColourSubtleGeneric: "#ffffff";
+export declare const bannerStatusIconColourBoldInfo: "#ffffff";
+export declare const bannerStatusIconColourBoldSuccess: "#ffffff";
+export declare const bannerStatusIconColourBoldWarning: "#1d1d1b";
+export declare const bannerStatusIconColourBoldError: "#ffffff";
+export declare const bannerStatusIconColourBoldGeneric: "#ffffff";
+export declare const bannerGapNeutralBlue: 12;
+export declare const bannerGapNeutralGreen: 12;
+export declare const bannerGapNeutralRed: 12;
+export declare const bannerGapNeutralYellow: 12;
+export declare const bannerGapNeutralInverseBlue: 12;
+export declare const bannerGapNeutralInverseGreen: 12;
+export declare const bannerGapNeutralInverseRed: 12;
+export declare const bannerGapNeutralInverseYellow: 12;
+export declare const bannerGapSubtleBlue: 12;
+export declare const bannerGapSubtleGreen: 12;
+export declare const bannerGapSubtleRed: 12;
+export declare const bannerGapSubtleYellow: 12;
+export declare const bannerGapBoldBlue: 12;
+export declare const bannerGapBoldGreen: 12;
+export declare const bannerGapBoldRed: 12;
+export declare const bannerGapBoldYellow: 12;
+export declare const listItemCommonGapNeutralBlue: 12;
+export declare const listItemCommonGapNeutralGreen: 12;
+export declare const listItemCommonGapNeutralRed: 12;
+export declare const listItemCommonGapNeutralYellow: 12;
+export declare const listItemCommonGapNeutralInverseBlue: 12;
+export declare const listItemCommonGapNeutralInverseGreen: 12;
+export declare const listItemCommonGapNeutralInverseRed: 12;
+export declare const listItemCommonGapNeutralInverseYellow: 12;
+export declare const listItemCommonGapSubtleBlue: 12;
+export declare const listItemCommonGapSubtleGreen: 12;
+export declare const listItemCommonGapSubtleRed: 12;
+export declare const listItemCommonGapSubtleYellow: 12;
+export declare const listItemCommonGapBoldBlue: 12;
+export declare const listItemCommonGapBoldGreen: 12;
+export declare const listItemCommonGapBoldRed: 12;
+export declare const listItemCommonGapBoldYellow: 12;
+export declare const listItemCommonPaddingLeftNeutralBlue: 12;
+export declare const listItemCommonPaddingLeftNeutralGreen: 12;
+export declare const listItemCommonPaddingLeftNeutralRed: 12;
+export declare const listItemCommonPaddingLeftNeutralYellow: 12;
+export declare const listItemCommonPaddingLeftNeutralInverseBlue: 12;
+export declare const listItemCommonPaddingLeftNeutralInverseGreen: 12;
+export declare const listItemCommonPaddingLeftNeutralInverseRed: 12;
+export declare const listItemCommonPaddingLeftNeutralInverseYellow: 12;
+export declare const listItemCommonPaddingLeftSubtleBlue: 12;
+export declare const listItemCommonPaddingLeftSubtleGreen: 12;
+export declare const listItemCommonPaddingLeftSubtleRed: 12;
+export declare const listItemCommonPaddingLeftSubtleYellow: 12;
+export declare const listItemCommonPaddingLeftBoldBlue: 12;
+export declare const listItemCommonPaddingLeftBoldGreen: 12;
+export declare const listItemCommonPaddingLeftBoldRed: 12;
+export declare const listItemCommonPaddingLeftBoldYellow: 12;
+export declare const listItemPositiveColourNeutralBlue: "#00633d";
+export declare const listItemPositiveColourNeutralGreen: "#00633d";
+export declare const listItemPositiveColourNeutralRed: "#00633d";
+export declare const listItemPositiveColourNeutralYellow: "#00633d";
+export declare const listItemPositiveColourNeutralInverseBlue: "#00633d";
+export declare const listItemPositiveColourNeutralInverseGreen: "#00633d";
+export declare const listItemPositiveColourNeutralInverseRed: "#00633d";
+export declare const listItemPositiveColourNeutralInverseYellow: "#00633d";
+export declare const listItemPositiveColourSubtleBlue: "#1d1d1b";
+export declare const listItemPositiveColourSubtleGreen: "#1d1d1b";
+export declare const listItemPositiveColourSubtleRed: "#1d1d1b";
+export declare const listItemPositiveColourSubtleYellow: "#1d1d1b";
+export declare const listItemPositiveColourBoldBlue: "#ffffff";
+export declare const listItemPositiveColourBoldGreen: "#ffffff";
+export declare const listItemPositiveColourBoldRed: "#ffffff";
+export declare const listItemPositiveColourBoldYellow: "#1d1d1b";
+export declare const listItemNegativeColourNeutralBlue: "#c50b30";
+export declare const listItemNegativeColourNeutralGreen: "#c50b30";
+export declare const listItemNegativeColourNeutralRed: "#c50b30";
+export declare const listItemNegativeColourNeutralYellow: "#c50b30";
+export declare const listItemNegativeColourNeutralInverseBlue: "#c50b30";
+export declare const listItemNegativeColourNeutralInverseGreen: "#c50b30";
+export declare const listItemNegativeColourNeutralInverseRed: "#c50b30";
+export declare const listItemNegativeColourNeutralInverseYellow: "#c50b30";
+export declare const listItemNegativeColourSubtleBlue: "#1d1d1b";
+export declare const listItemNegativeColourSubtleGreen: "#1d1d1b";
+export declare const listItemNegativeColourSubtleRed: "#1d1d1b";
+export declare const listItemNegativeColourSubtleYellow: "#1d1d1b";
+export declare const listItemNegativeColourBoldBlue: "#ffffff";
+export declare const listItemNegativeColourBoldGreen: "#ffffff";
+export declare const listItemNegativeColourBoldRed: "#ffffff";
+export declare const listItemNegativeColourBoldYellow: "#1d1d1b";
+export declare const listGapNeutralBlue: 20;
+export declare const listGapNeutralGreen: 20;
+export declare const listGapNeutralRed: 20;
+export declare const listGapNeutralYellow: 20;
+export declare const listGapNeutralInverseBlue: 20;
+export declare const listGapNeutralInverseGreen: 20;
+export declare const listGapNeutralInverseRed: 20;
+export declare const listGapNeutralInverseYellow: 20;
+export declare const listGapSubtleBlue: 20;
+export declare const listGapSubtleGreen: 20;
+export declare const listGapSubtleRed: 20;
+export declare const listGapSubtleYellow: 20;
+export declare const listGapBoldBlue: 20;
+export declare const listGapBoldGreen: 20;
+export declare const listGapBoldRed: 20;
+export declare const listGapBoldYellow: 20;
+export declare const breadcrumbBorderWidthNeutralBlue: 1;
+export declare const breadcrumbBorderWidthNeutralGreen: 1;
+export declare const breadcrumbBorderWidthNeutralRed: 1;
+export declare const breadcrumbBorderWidthNeutralYellow: 1;
+export declare const breadcrumbBorderWidthNeutralInverseBlue: 1;
+export declare const breadcrumbBorderWidthNeutralInverseGreen: 1;
+export declare const breadcrumbBorderWidthNeutralInverseRed: 1;
+export declare const breadcrumbBorderWidthNeutralInverseYellow: 1;
+export declare const breadcrumbBorderWidthSubtleBlue: 1;
+export declare const breadcrumbBorderWidthSubtleGreen: 1;
+export declare const breadcrumbBorderWidthSubtleRed: 1;
+export declare const breadcrumbBorderWidthSubtleYellow: 1;
+export declare const breadcrumbBorderWidthBoldBlue: 1;
+export declare const breadcrumbBorderWidthBoldGreen: 1;
+export declare const breadcrumbBorderWidthBoldRed: 1;
+export declare const breadcrumbBorderWidthBoldYellow: 1;
+export declare const breadcrumbBorderColourNeutralBlue: "#d3d3d3";
+export declare const breadcrumbBorderColourNeutralGreen: "#d3d3d3";
+export declare const breadcrumbBorderColourNeutralRed: "#d3d3d3";
+export declare const breadcrumbBorderColourNeutralYellow: "#d3d3d3";
+export declare const breadcrumbBorderColourNeutralInverseBlue: "#d3d3d3";
+export declare const breadcrumbBorderColourNeutralInverseGreen: "#d3d3d3";
+export declare const breadcrumbBorderColourNeutralInverseRed: "#d3d3d3";
+export declare const breadcrumbBorderColourNeutralInverseYellow: "#d3d3d3";
+export declare const breadcrumbBorderColourSubtleBlue: "#42aeea";
+export declare const breadcrumbBorderColourSubtleGreen: "#43af6e";
+export declare const breadcrumbBorderColourSubtleRed: "#ff3e51";
+export declare const breadcrumbBorderColourSubtleYellow: "#ffe969";
+export declare const breadcrumbBorderColourBoldBlue: "#001d6e";
+export declare const breadcrumbBorderColourBoldGreen: "#01312e";
+export declare const breadcrumbBorderColourBoldRed: "#940824";
+export declare const breadcrumbBorderColourBoldYellow: "#c86426";
+export declare const breadcrumbGapNeutralBlue: 8;
+export declare const breadcrumbGapNeutralGreen: 8;
+export declare const breadcrumbGapNeutralRed: 8;
+export declare const breadcrumbGapNeutralYellow: 8;
+export declare const breadcrumbGapNeutralInverseBlue: 8;
+export declare const breadcrumbGapNeutralInverseGreen: 8;
+export declare const breadcrumbGapNeutralInverseRed: 8;
+export declare const breadcrumbGapNeutralInverseYellow: 8;
+export declare const breadcrumbGapSubtleBlue: 8;
+export declare const breadcrumbGapSubtleGreen: 8;
+export declare const breadcrumbGapSubtleRed: 8;
+export declare const breadcrumbGapSubtleYellow: 8;
+export declare const breadcrumbGapBoldBlue: 8;
+export declare const breadcrumbGapBoldGreen: 8;
+export declare const breadcrumbGapBoldRed: 8;
+export declare const breadcrumbGapBoldYellow: 8;
+export declare const breadcrumbPaddingXNeutralBlue: 16;
+export declare const breadcrumbPaddingXNeutralGreen: 16;
+export declare const breadcrumbPaddingXNeutralRed: 16;
+export declare const breadcrumbPaddingXNeutralYellow: 16;
+export declare const breadcrumbPaddingXNeutralInverseBlue: 16;
+export declare const breadcrumbPaddingXNeutralInverseGreen: 16;
+export declare const breadcrumbPaddingXNeutralInverseRed: 16;
+export declare const breadcrumbPaddingXNeutralInverseYellow: 16;
+export declare const breadcrumbPaddingXSubtleBlue: 16;
+export declare const breadcrumbPaddingXSubtleGreen: 16;
+export declare const breadcrumbPaddingXSubtleRed: 16;
+export declare const breadcrumbPaddingXSubtleYellow: 16;
+export declare const breadcrumbPaddingXBoldBlue: 16;
+export declare const breadcrumbPaddingXBoldGreen: 16;
+export declare const breadcrumbPaddingXBoldRed: 16;
+export declare const breadcrumbPaddingXBoldYellow: 16;
+export declare const breadcrumbPaddingYNeutralBlue: 12;
+export declare const breadcrumbPaddingYNeutralGreen: 12;
+export declare const breadcrumbPaddingYNeutralRed: 12;
+export declare const breadcrumbPaddingYNeutralYellow: 12;
+export declare const breadcrumbPaddingYNeutralInverseBlue: 12;
+export declare const breadcrumbPaddingYNeutralInverseGreen: 12;
+export declare const breadcrumbPaddingYNeutralInverseRed: 12;
+export declare const breadcrumbPaddingYNeutralInverseYellow: 12;
+export declare const breadcrumbPaddingYSubtleBlue: 12;
+export declare const breadcrumbPaddingYSubtleGreen: 12;
+export declare const breadcrumbPaddingYSubtleRed: 12;
+export declare const breadcrumbPaddingYSubtleYellow: 12;
+export declare const breadcrumbPaddingYBoldBlue: 12;
+export declare const breadcrumbPaddingYBoldGreen: 12;
+export declare const breadcrumbPaddingYBoldRed: 12;
+export declare const breadcrumbPaddingYBoldYellow: 12;
+export declare const breadcrumbMinWidthNeutralBlue: 320;
+export declare const breadcrumbMinWidthNeutralGreen: 320;
+export declare const breadcrumbMinWidthNeutralRed: 320;
+export declare const breadcrumbMinWidthNeutralYellow: 320;
+export declare const breadcrumbMinWidthNeutralInverseBlue: 320;
+export declare const breadcrumbMinWidthNeutralInverseGreen: 320;
+export declare const breadcrumbMinWidthNeutralInverseRed: 320;
+export declare const breadcrumbMinWidthNeutralInverseYellow: 320;
+export declare const breadcrumbMinWidthSubtleBlue: 320;
+export declare const breadcrumbMinWidthSubtleGreen: 320;
+export declare const breadcrumbMinWidthSubtleRed: 320;
+export declare const breadcrumbMinWidthSubtleYellow: 320;
+export declare const breadcrumbMinWidthBoldBlue: 320;
+export declare const breadcrumbMinWidthBoldGreen: 320;
+export declare const breadcrumbMinWidthBoldRed: 320;
+export declare const breadcrumbMinWidthBoldYellow: 320;
+export declare const noticeGapNeutralBlue: 28;
+export declare const noticeGapNeutralGreen: 28;
+export declare const noticeGapNeutralRed: 28;
+export declare const noticeGapNeutralYellow: 28;
+export declare const noticeGapNeutralInverseBlue: 28;
+export declare const noticeGapNeutralInverseGreen: 28;
+export declare const noticeGapNeutralInverseRed: 28;
+export declare const noticeGapNeutralInverseYellow: 28;
+export declare const noticeGapSubtleBlue: 28;
+export declare const noticeGapSubtleGreen: 28;
+export declare const noticeGapSubtleRed: 28;
+export declare const noticeGapSubtleYellow: 28;
+export declare const noticeGapBoldBlue: 28;
+export declare const noticeGapBoldGreen: 28;
+export declare const noticeGapBoldRed: 28;
+export declare const noticeGapBoldYellow: 28;
+export declare const noticeContentGapNeutralBlue: 16;
+export declare const noticeContentGapNeutralGreen: 16;
+export declare const noticeContentGapNeutralRed: 16;
+export declare const noticeContentGapNeutralYellow: 16;
+export declare const noticeContentGapNeutralInverseBlue: 16;
+export declare const noticeContentGapNeutralInverseGreen: 16;
+export declare const noticeContentGapNeutralInverseRed: 16;
+export declare const noticeContentGapNeutralInverseYellow: 16;
+export declare const noticeContentGapSubtleBlue: 16;
+export declare const noticeContentGapSubtleGreen: 16;
+export declare const noticeContentGapSubtleRed: 16;
+export declare const noticeContentGapSubtleYellow: 16;
+export declare const noticeContentGapBoldBlue: 16;
+export declare const noticeContentGapBoldGreen: 16;
+export declare const noticeContentGapBoldRed: 16;
+export declare const noticeContentGapBoldYellow: 16;
+/** @deprecated Use `cardPaddingXNeutralBlue` instead. */
+export declare const cardPaddingRightNeutralBlue: typeof cardPaddingXNeutralBlue;
+/** @deprecated Use `cardPaddingXNeutralGreen` instead. */
+export declare const cardPaddingRightNeutralGreen: typeof cardPaddingXNeutralGreen;
+/** @deprecated Use `cardPaddingXNeutralRed` instead. */
+export declare const cardPaddingRightNeutralRed: typeof cardPaddingXNeutralRed;
+/** @deprecated Use `cardPaddingXNeutralYellow` instead. */
+export declare const cardPaddingRightNeutralYellow: typeof cardPaddingXNeutralYellow;
+/** @deprecated Use `cardPaddingXNeutralInverseBlue` instead. */
+export declare const cardPaddingRightNeutralInverseBlue: typeof cardPaddingXNeutralInverseBlue;
+/** @deprecated Use `cardPaddingXNeutralInverseGreen` instead. */
+export declare const cardPaddingRightNeutralInverseGreen: typeof cardPaddingXNeutralInverseGreen;
+/** @deprecated Use `cardPaddingXNeutralInverseRed` instead. */
+export declare const cardPaddingRightNeutralInverseRed: typeof cardPaddingXNeutralInverseRed;
+/** @deprecated Use `cardPaddingXNeutralInverseYellow` instead. */
+export declare const cardPaddingRightNeutralInverseYellow: typeof cardPaddingXNeutralInverseYellow;
+/** @deprecated Use `cardPaddingXSubtleBlue` instead. */
+export declare const cardPaddingRightSubtleBlue: typeof cardPaddingXSubtleBlue;
+/** @deprecated Use `cardPaddingXSubtleGreen` instead. */
+export declare const cardPaddingRightSubtleGreen: typeof cardPaddingXSubtleGreen;
+/** @deprecated Use `cardPaddingXSubtleRed` instead. */
+export declare const cardPaddingRightSubtleRed: typeof cardPaddingXSubtleRed;
+/** @deprecated Use `cardPaddingXSubtleYellow` instead. */
+export declare const cardPaddingRightSubtleYellow: typeof cardPaddingXSubtleYellow;
+/** @deprecated Use `cardPaddingXBoldBlue` instead. */
+export declare const cardPaddingRightBoldBlue: typeof cardPaddingXBoldBlue;
+/** @deprecated Use `cardPaddingXBoldGreen` instead. */
+export declare const cardPaddingRightBoldGreen: typeof cardPaddingXBoldGreen;
+/** @deprecated Use `cardPaddingXBoldRed` instead. */
+export declare const cardPaddingRightBoldRed: typeof cardPaddingXBoldRed;
+/** @deprecated Use `cardPaddingXBoldYellow` instead. */
+export declare const cardPaddingRightBoldYellow: typeof cardPaddingXBoldYellow;
+/** @deprecated Use `cardPaddingYNeutralBlue` instead. */
+export declare const cardPaddingBottomNeutralBlue: typeof cardPaddingYNeutralBlue;
+/** @deprecated Use `cardPaddingYNeutralGreen` instead. */
+export declare const cardPaddingBottomNeutralGreen: typeof cardPaddingYNeutralGreen;
+/** @deprecated Use `cardPaddingYNeutralRed` instead. */
+export declare const cardPaddingBottomNeutralRed: typeof cardPaddingYNeutralRed;
+/** @deprecated Use `cardPaddingYNeutralYellow` instead. */
+export declare const cardPaddingBottomNeutralYellow: typeof cardPaddingYNeutralYellow;
+/** @deprecated Use `cardPaddingYNeutralInverseBlue` instead. */
+export declare const cardPaddingBottomNeutralInverseBlue: typeof cardPaddingYNeutralInverseBlue;
+/** @deprecated Use `cardPaddingYNeutralInverseGreen` instead. */
+export declare const cardPaddingBottomNeutralInverseGreen: typeof cardPaddingYNeutralInverseGreen;
+/** @deprecated Use `cardPaddingYNeutralInverseRed` instead. */
+export declare const cardPaddingBottomNeutralInverseRed: typeof cardPaddingYNeutralInverseRed;
+/** @deprecated Use `cardPaddingYNeutralInverseYellow` instead. */
+export declare const cardPaddingBottomNeutralInverseYellow: typeof cardPaddingYNeutralInverseYellow;
+/** @deprecated Use `cardPaddingYSubtleBlue` instead. */
+export declare const cardPaddingBottomSubtleBlue: typeof cardPaddingYSubtleBlue;
+/** @deprecated Use `cardPaddingYSubtleGreen` instead. */
+export declare const cardPaddingBottomSubtleGreen: typeof cardPaddingYSubtleGreen;
+/** @deprecated Use `cardPaddingYSubtleRed` instead. */
+export declare const cardPaddingBottomSubtleRed: typeof cardPaddingYSubtleRed;
+/** @deprecated Use `cardPaddingYSubtleYellow` instead. */
+export declare const cardPaddingBottomSubtleYellow: typeof cardPaddingYSubtleYellow;
+/** @deprecated Use `cardPaddingYBoldBlue` instead. */
+export declare const cardPaddingBottomBoldBlue: typeof cardPaddingYBoldBlue;
+/** @deprecated Use `cardPaddingYBoldGreen` instead. */
+export declare const cardPaddingBottomBoldGreen: typeof cardPaddingYBoldGreen;
+/** @deprecated Use `cardPaddingYBoldRed` instead. */
+export declare const cardPaddingBottomBoldRed: typeof cardPaddingYBoldRed;
+/** @deprecated Use `cardPaddingYBoldYellow` instead. */
+export declare const cardPaddingBottomBoldYellow: typeof cardPaddingYBoldYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralBlue` instead. */
+export declare const headerButtonPaddingRightNeutralBlue: typeof headerButtonPaddingDefaultXNeutralBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralGreen` instead. */
+export declare const headerButtonPaddingRightNeutralGreen: typeof headerButtonPaddingDefaultXNeutralGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralRed` instead. */
+export declare const headerButtonPaddingRightNeutralRed: typeof headerButtonPaddingDefaultXNeutralRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralYellow` instead. */
+export declare const headerButtonPaddingRightNeutralYellow: typeof headerButtonPaddingDefaultXNeutralYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseBlue` instead. */
+export declare const headerButtonPaddingRightNeutralInverseBlue: typeof headerButtonPaddingDefaultXNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseGreen` instead. */
+export declare const headerButtonPaddingRightNeutralInverseGreen: typeof headerButtonPaddingDefaultXNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseRed` instead. */
+export declare const headerButtonPaddingRightNeutralInverseRed: typeof headerButtonPaddingDefaultXNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseYellow` instead. */
+export declare const headerButtonPaddingRightNeutralInverseYellow: typeof headerButtonPaddingDefaultXNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleBlue` instead. */
+export declare const headerButtonPaddingRightSubtleBlue: typeof headerButtonPaddingDefaultXSubtleBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleGreen` instead. */
+export declare const headerButtonPaddingRightSubtleGreen: typeof headerButtonPaddingDefaultXSubtleGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleRed` instead. */
+export declare const headerButtonPaddingRightSubtleRed: typeof headerButtonPaddingDefaultXSubtleRed;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleYellow` instead. */
+export declare const headerButtonPaddingRightSubtleYellow: typeof headerButtonPaddingDefaultXSubtleYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldBlue` instead. */
+export declare const headerButtonPaddingRightBoldBlue: typeof headerButtonPaddingDefaultXBoldBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldGreen` instead. */
+export declare const headerButtonPaddingRightBoldGreen: typeof headerButtonPaddingDefaultXBoldGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldRed` instead. */
+export declare const headerButtonPaddingRightBoldRed: typeof headerButtonPaddingDefaultXBoldRed;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldYellow` instead. */
+export declare const headerButtonPaddingRightBoldYellow: typeof headerButtonPaddingDefaultXBoldYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralBlue` instead. */
+export declare const headerButtonPaddingBottomNeutralBlue: typeof headerButtonPaddingYNeutralBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralGreen` instead. */
+export declare const headerButtonPaddingBottomNeutralGreen: typeof headerButtonPaddingYNeutralGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralRed` instead. */
+export declare const headerButtonPaddingBottomNeutralRed: typeof headerButtonPaddingYNeutralRed;
+/** @deprecated Use `headerButtonPaddingYNeutralYellow` instead. */
+export declare const headerButtonPaddingBottomNeutralYellow: typeof headerButtonPaddingYNeutralYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseBlue` instead. */
+export declare const headerButtonPaddingBottomNeutralInverseBlue: typeof headerButtonPaddingYNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseGreen` instead. */
+export declare const headerButtonPaddingBottomNeutralInverseGreen: typeof headerButtonPaddingYNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseRed` instead. */
+export declare const headerButtonPaddingBottomNeutralInverseRed: typeof headerButtonPaddingYNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseYellow` instead. */
+export declare const headerButtonPaddingBottomNeutralInverseYellow: typeof headerButtonPaddingYNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingYSubtleBlue` instead. */
+export declare const headerButtonPaddingBottomSubtleBlue: typeof headerButtonPaddingYSubtleBlue;
+/** @deprecated Use `headerButtonPaddingYSubtleGreen` instead. */
+export declare const headerButtonPaddingBottomSubtleGreen: typeof headerButtonPaddingYSubtleGreen;
+/** @deprecated Use `headerButtonPaddingYSubtleRed` instead. */
+export declare const headerButtonPaddingBottomSubtleRed: typeof headerButtonPaddingYSubtleRed;
+/** @deprecated Use `headerButtonPaddingYSubtleYellow` instead. */
+export declare const headerButtonPaddingBottomSubtleYellow: typeof headerButtonPaddingYSubtleYellow;
+/** @deprecated Use `headerButtonPaddingYBoldBlue` instead. */
+export declare const headerButtonPaddingBottomBoldBlue: typeof headerButtonPaddingYBoldBlue;
+/** @deprecated Use `headerButtonPaddingYBoldGreen` instead. */
+export declare const headerButtonPaddingBottomBoldGreen: typeof headerButtonPaddingYBoldGreen;
+/** @deprecated Use `headerButtonPaddingYBoldRed` instead. */
+export declare const headerButtonPaddingBottomBoldRed: typeof headerButtonPaddingYBoldRed;
+/** @deprecated Use `headerButtonPaddingYBoldYellow` instead. */
+export declare const headerButtonPaddingBottomBoldYellow: typeof headerButtonPaddingYBoldYellow;
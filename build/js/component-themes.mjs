@@ -0,0 +1,12672 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const interactivePrimaryRestBackgroundColourNeutralBlue = "#005dba";
+export const interactivePrimaryRestBackgroundColourNeutralGreen = "#00633d";
+export const interactivePrimaryRestBackgroundColourNeutralRed = "#c50b30";
+export const interactivePrimaryRestBackgroundColourNeutralYellow = "#ffb600";
+export const interactivePrimaryRestBackgroundColourSubtleBlue = "#005dba";
+export const interactivePrimaryRestBackgroundColourSubtleGreen = "#00633d";
+export const interactivePrimaryRestBackgroundColourSubtleRed = "#c50b30";
+export const interactivePrimaryRestBackgroundColourSubtleYellow = "#ffb600";
+export const interactivePrimaryRestBackgroundColourBoldBlue = "#ffffff";
+export const interactivePrimaryRestBackgroundColourBoldGreen = "#ffffff";
+export const interactivePrimaryRestBackgroundColourBoldRed = "#ffffff";
+export const interactivePrimaryRestBackgroundColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryRestBackgroundColourNeutralInverseBlue = "#005dba";
+export const interactivePrimaryRestBackgroundColourNeutralInverseGreen = "#00633d";
+export const interactivePrimaryRestBackgroundColourNeutralInverseRed = "#c50b30";
+export const interactivePrimaryRestBackgroundColourNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryRestBorderColourNeutralBlue = "#005dba";
+export const interactivePrimaryRestBorderColourNeutralGreen = "#00633d";
+export const interactivePrimaryRestBorderColourNeutralRed = "#c50b30";
+export const interactivePrimaryRestBorderColourNeutralYellow = "#ffb600";
+export const interactivePrimaryRestBorderColourSubtleBlue = "#005dba";
+export const interactivePrimaryRestBorderColourSubtleGreen = "#00633d";
+export const interactivePrimaryRestBorderColourSubtleRed = "#c50b30";
+export const interactivePrimaryRestBorderColourSubtleYellow = "#ffb600";
+export const interactivePrimaryRestBorderColourBoldBlue = "#ffffff";
+export const interactivePrimaryRestBorderColourBoldGreen = "#ffffff";
+export const interactivePrimaryRestBorderColourBoldRed = "#ffffff";
+export const interactivePrimaryRestBorderColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryRestBorderColourNeutralInverseBlue = "#005dba";
+export const interactivePrimaryRestBorderColourNeutralInverseGreen = "#00633d";
+export const interactivePrimaryRestBorderColourNeutralInverseRed = "#c50b30";
+export const interactivePrimaryRestBorderColourNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryRestColourNeutralBlue = "#ffffff";
+export const interactivePrimaryRestColourNeutralGreen = "#ffffff";
+export const interactivePrimaryRestColourNeutralRed = "#ffffff";
+export const interactivePrimaryRestColourNeutralYellow = "#1d1d1b";
+export const interactivePrimaryRestColourSubtleBlue = "#ffffff";
+export const interactivePrimaryRestColourSubtleGreen = "#ffffff";
+export const interactivePrimaryRestColourSubtleRed = "#ffffff";
+export const interactivePrimaryRestColourSubtleYellow = "#1d1d1b";
+export const interactivePrimaryRestColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryRestColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryRestColourBoldRed = "#1d1d1b";
+export const interactivePrimaryRestColourBoldYellow = "#f4f4f4";
+export const interactivePrimaryRestColourNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryRestColourNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryRestColourNeutralInverseRed = "#ffffff";
+export const interactivePrimaryRestColourNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryHoverBackgroundColourNeutralBlue = "#001d6e";
+export const interactivePrimaryHoverBackgroundColourNeutralGreen = "#01312e";
+export const interactivePrimaryHoverBackgroundColourNeutralRed = "#940824";
+export const interactivePrimaryHoverBackgroundColourNeutralYellow = "#904029";
+export const interactivePrimaryHoverBackgroundColourSubtleBlue = "#001d6e";
+export const interactivePrimaryHoverBackgroundColourSubtleGreen = "#01312e";
+export const interactivePrimaryHoverBackgroundColourSubtleRed = "#940824";
+export const interactivePrimaryHoverBackgroundColourSubtleYellow = "#904029";
+export const interactivePrimaryHoverBackgroundColourBoldBlue = "#001d6e";
+export const interactivePrimaryHoverBackgroundColourBoldGreen = "#01312e";
+export const interactivePrimaryHoverBackgroundColourBoldRed = "#940824";
+export const interactivePrimaryHoverBackgroundColourBoldYellow = "#ffe969";
+export const interactivePrimaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryHoverBackgroundColourNeutralInverseRed = "#940824";
+export const interactivePrimaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+export const interactivePrimaryHoverBorderColourNeutralBlue = "#001d6e";
+export const interactivePrimaryHoverBorderColourNeutralGreen = "#01312e";
+export const interactivePrimaryHoverBorderColourNeutralRed = "#940824";
+export const interactivePrimaryHoverBorderColourNeutralYellow = "#904029";
+export const interactivePrimaryHoverBorderColourSubtleBlue = "#001d6e";
+export const interactivePrimaryHoverBorderColourSubtleGreen = "#01312e";
+export const interactivePrimaryHoverBorderColourSubtleRed = "#940824";
+export const interactivePrimaryHoverBorderColourSubtleYellow = "#904029";
+export const interactivePrimaryHoverBorderColourBoldBlue = "#ffffff";
+export const interactivePrimaryHoverBorderColourBoldGreen = "#ffffff";
+export const interactivePrimaryHoverBorderColourBoldRed = "#ffffff";
+export const interactivePrimaryHoverBorderColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryHoverBorderColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryHoverBorderColourNeutralInverseRed = "#940824";
+export const interactivePrimaryHoverBorderColourNeutralInverseYellow = "#904029";
+export const interactivePrimaryHoverColourNeutralBlue = "#ffffff";
+export const interactivePrimaryHoverColourNeutralGreen = "#ffffff";
+export const interactivePrimaryHoverColourNeutralRed = "#ffffff";
+export const interactivePrimaryHoverColourNeutralYellow = "#ffffff";
+export const interactivePrimaryHoverColourSubtleBlue = "#ffffff";
+export const interactivePrimaryHoverColourSubtleGreen = "#ffffff";
+export const interactivePrimaryHoverColourSubtleRed = "#ffffff";
+export const interactivePrimaryHoverColourSubtleYellow = "#ffffff";
+export const interactivePrimaryHoverColourBoldBlue = "#ffffff";
+export const interactivePrimaryHoverColourBoldGreen = "#ffffff";
+export const interactivePrimaryHoverColourBoldRed = "#ffffff";
+export const interactivePrimaryHoverColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryHoverColourNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryHoverColourNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryHoverColourNeutralInverseRed = "#ffffff";
+export const interactivePrimaryHoverColourNeutralInverseYellow = "#ffffff";
+export const interactivePrimaryActiveBackgroundColourNeutralBlue = "#000039";
+export const interactivePrimaryActiveBackgroundColourNeutralGreen = "#011b1f";
+export const interactivePrimaryActiveBackgroundColourNeutralRed = "#480411";
+export const interactivePrimaryActiveBackgroundColourNeutralYellow = "#572722";
+export const interactivePrimaryActiveBackgroundColourSubtleBlue = "#000039";
+export const interactivePrimaryActiveBackgroundColourSubtleGreen = "#011b1f";
+export const interactivePrimaryActiveBackgroundColourSubtleRed = "#480411";
+export const interactivePrimaryActiveBackgroundColourSubtleYellow = "#572722";
+export const interactivePrimaryActiveBackgroundColourBoldBlue = "#000039";
+export const interactivePrimaryActiveBackgroundColourBoldGreen = "#011b1f";
+export const interactivePrimaryActiveBackgroundColourBoldRed = "#480411";
+export const interactivePrimaryActiveBackgroundColourBoldYellow = "#fffbdc";
+export const interactivePrimaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+export const interactivePrimaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+export const interactivePrimaryActiveBackgroundColourNeutralInverseRed = "#480411";
+export const interactivePrimaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+export const interactivePrimaryActiveBorderColourNeutralBlue = "#000039";
+export const interactivePrimaryActiveBorderColourNeutralGreen = "#011b1f";
+export const interactivePrimaryActiveBorderColourNeutralRed = "#480411";
+export const interactivePrimaryActiveBorderColourNeutralYellow = "#572722";
+export const interactivePrimaryActiveBorderColourSubtleBlue = "#000039";
+export const interactivePrimaryActiveBorderColourSubtleGreen = "#011b1f";
+export const interactivePrimaryActiveBorderColourSubtleRed = "#480411";
+export const interactivePrimaryActiveBorderColourSubtleYellow = "#572722";
+export const interactivePrimaryActiveBorderColourBoldBlue = "#ffffff";
+export const interactivePrimaryActiveBorderColourBoldGreen = "#ffffff";
+export const interactivePrimaryActiveBorderColourBoldRed = "#ffffff";
+export const interactivePrimaryActiveBorderColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryActiveBorderColourNeutralInverseBlue = "#000039";
+export const interactivePrimaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+export const interactivePrimaryActiveBorderColourNeutralInverseRed = "#480411";
+export const interactivePrimaryActiveBorderColourNeutralInverseYellow = "#572722";
+export const interactivePrimaryActiveColourNeutralBlue = "#ffffff";
+export const interactivePrimaryActiveColourNeutralGreen = "#ffffff";
+export const interactivePrimaryActiveColourNeutralRed = "#ffffff";
+export const interactivePrimaryActiveColourNeutralYellow = "#ffffff";
+export const interactivePrimaryActiveColourSubtleBlue = "#ffffff";
+export const interactivePrimaryActiveColourSubtleGreen = "#ffffff";
+export const interactivePrimaryActiveColourSubtleRed = "#ffffff";
+export const interactivePrimaryActiveColourSubtleYellow = "#ffffff";
+export const interactivePrimaryActiveColourBoldBlue = "#ffffff";
+export const interactivePrimaryActiveColourBoldGreen = "#ffffff";
+export const interactivePrimaryActiveColourBoldRed = "#ffffff";
+export const interactivePrimaryActiveColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryActiveColourNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryActiveColourNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryActiveColourNeutralInverseRed = "#ffffff";
+export const interactivePrimaryActiveColourNeutralInverseYellow = "#ffffff";
+export const interactivePrimaryFocusBackgroundColourNeutralBlue = "#005dba";
+export const interactivePrimaryFocusBackgroundColourNeutralGreen = "#00633d";
+export const interactivePrimaryFocusBackgroundColourNeutralRed = "#c50b30";
+export const interactivePrimaryFocusBackgroundColourNeutralYellow = "#ffb600";
+export const interactivePrimaryFocusBackgroundColourSubtleBlue = "#005dba";
+export const interactivePrimaryFocusBackgroundColourSubtleGreen = "#00633d";
+export const interactivePrimaryFocusBackgroundColourSubtleRed = "#c50b30";
+export const interactivePrimaryFocusBackgroundColourSubtleYellow = "#ffb600";
+export const interactivePrimaryFocusBackgroundColourBoldBlue = "#ffffff";
+export const interactivePrimaryFocusBackgroundColourBoldGreen = "#ffffff";
+export const interactivePrimaryFocusBackgroundColourBoldRed = "#ffffff";
+export const interactivePrimaryFocusBackgroundColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryFocusBackgroundColourNeutralInverseBlue = "#005dba";
+export const interactivePrimaryFocusBackgroundColourNeutralInverseGreen = "#00633d";
+export const interactivePrimaryFocusBackgroundColourNeutralInverseRed = "#c50b30";
+export const interactivePrimaryFocusBackgroundColourNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryFocusBorderColourNeutralBlue = "#005dba";
+export const interactivePrimaryFocusBorderColourNeutralGreen = "#00633d";
+export const interactivePrimaryFocusBorderColourNeutralRed = "#c50b30";
+export const interactivePrimaryFocusBorderColourNeutralYellow = "#ffb600";
+export const interactivePrimaryFocusBorderColourSubtleBlue = "#005dba";
+export const interactivePrimaryFocusBorderColourSubtleGreen = "#00633d";
+export const interactivePrimaryFocusBorderColourSubtleRed = "#c50b30";
+export const interactivePrimaryFocusBorderColourSubtleYellow = "#ffb600";
+export const interactivePrimaryFocusBorderColourBoldBlue = "#ffffff";
+export const interactivePrimaryFocusBorderColourBoldGreen = "#ffffff";
+export const interactivePrimaryFocusBorderColourBoldRed = "#ffffff";
+export const interactivePrimaryFocusBorderColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryFocusBorderColourNeutralInverseBlue = "#005dba";
+export const interactivePrimaryFocusBorderColourNeutralInverseGreen = "#00633d";
+export const interactivePrimaryFocusBorderColourNeutralInverseRed = "#c50b30";
+export const interactivePrimaryFocusBorderColourNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryFocusColourNeutralBlue = "#ffffff";
+export const interactivePrimaryFocusColourNeutralGreen = "#ffffff";
+export const interactivePrimaryFocusColourNeutralRed = "#ffffff";
+export const interactivePrimaryFocusColourNeutralYellow = "#1d1d1b";
+export const interactivePrimaryFocusColourSubtleBlue = "#ffffff";
+export const interactivePrimaryFocusColourSubtleGreen = "#ffffff";
+export const interactivePrimaryFocusColourSubtleRed = "#ffffff";
+export const interactivePrimaryFocusColourSubtleYellow = "#1d1d1b";
+export const interactivePrimaryFocusColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryFocusColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryFocusColourBoldRed = "#1d1d1b";
+export const interactivePrimaryFocusColourBoldYellow = "#f4f4f4";
+export const interactivePrimaryFocusColourNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryFocusColourNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryFocusColourNeutralInverseRed = "#ffffff";
+export const interactivePrimaryFocusColourNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+export const interactivePrimaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+export const interactivePrimaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+export const interactivePrimaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+export const interactivePrimaryDisabledBackgroundColourSubtleBlue = "#76c8f1";
+export const interactivePrimaryDisabledBackgroundColourSubtleGreen = "#7fce9f";
+export const interactivePrimaryDisabledBackgroundColourSubtleRed = "#ff7e7e";
+export const interactivePrimaryDisabledBackgroundColourSubtleYellow = "#ffe969";
+export const interactivePrimaryDisabledBackgroundColourBoldBlue = "#1e84d2";
+export const interactivePrimaryDisabledBackgroundColourBoldGreen = "#1a8952";
+export const interactivePrimaryDisabledBackgroundColourBoldRed = "#ff3e51";
+export const interactivePrimaryDisabledBackgroundColourBoldYellow = "#e48616";
+export const interactivePrimaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+export const interactivePrimaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+export const interactivePrimaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+export const interactivePrimaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourNeutralRed = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourSubtleBlue = "#76c8f1";
+export const interactivePrimaryDisabledBorderColourSubtleGreen = "#7fce9f";
+export const interactivePrimaryDisabledBorderColourSubtleRed = "#ff7e7e";
+export const interactivePrimaryDisabledBorderColourSubtleYellow = "#ffe969";
+export const interactivePrimaryDisabledBorderColourBoldBlue = "#1e84d2";
+export const interactivePrimaryDisabledBorderColourBoldGreen = "#1a8952";
+export const interactivePrimaryDisabledBorderColourBoldRed = "#ff3e51";
+export const interactivePrimaryDisabledBorderColourBoldYellow = "#e48616";
+export const interactivePrimaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const interactivePrimaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const interactivePrimaryDisabledColourNeutralBlue = "#7a7b7b";
+export const interactivePrimaryDisabledColourNeutralGreen = "#7a7b7b";
+export const interactivePrimaryDisabledColourNeutralRed = "#7a7b7b";
+export const interactivePrimaryDisabledColourNeutralYellow = "#7a7b7b";
+export const interactivePrimaryDisabledColourSubtleBlue = "#1e84d2";
+export const interactivePrimaryDisabledColourSubtleGreen = "#1a8952";
+export const interactivePrimaryDisabledColourSubtleRed = "#e2223e";
+export const interactivePrimaryDisabledColourSubtleYellow = "#ffb600";
+export const interactivePrimaryDisabledColourBoldBlue = "#001d6e";
+export const interactivePrimaryDisabledColourBoldGreen = "#014a39";
+export const interactivePrimaryDisabledColourBoldRed = "#940824";
+export const interactivePrimaryDisabledColourBoldYellow = "#c86426";
+export const interactivePrimaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+export const interactivePrimaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+export const interactivePrimaryDisabledColourNeutralInverseRed = "#7a7b7b";
+export const interactivePrimaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+export const interactivePrimaryReversedRestBackgroundColourNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedRestBackgroundColourNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedRestBackgroundColourNeutralRed = "#ffffff";
+export const interactivePrimaryReversedRestBackgroundColourNeutralYellow = "#ffffff";
+export const interactivePrimaryReversedRestBackgroundColourSubtleBlue = "#aee1f7";
+export const interactivePrimaryReversedRestBackgroundColourSubtleGreen = "#caeedd";
+export const interactivePrimaryReversedRestBackgroundColourSubtleRed = "#ffd5d2";
+export const interactivePrimaryReversedRestBackgroundColourSubtleYellow = "#fff9c7";
+export const interactivePrimaryReversedRestBackgroundColourBoldBlue = "#005dba";
+export const interactivePrimaryReversedRestBackgroundColourBoldGreen = "#00633d";
+export const interactivePrimaryReversedRestBackgroundColourBoldRed = "#c50b30";
+export const interactivePrimaryReversedRestBackgroundColourBoldYellow = "#ffb600";
+export const interactivePrimaryReversedRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const interactivePrimaryReversedRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const interactivePrimaryReversedRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const interactivePrimaryReversedRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const interactivePrimaryReversedRestBorderColourLightNeutralBlue = "#d3d3d3";
+export const interactivePrimaryReversedRestBorderColourLightNeutralGreen = "#d3d3d3";
+export const interactivePrimaryReversedRestBorderColourLightNeutralRed = "#d3d3d3";
+export const interactivePrimaryReversedRestBorderColourLightNeutralYellow = "#d3d3d3";
+export const interactivePrimaryReversedRestBorderColourLightSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourLightSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourLightSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourLightSubtleYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourLightBoldBlue = "#f4f4f4";
+export const interactivePrimaryReversedRestBorderColourLightBoldGreen = "#f4f4f4";
+export const interactivePrimaryReversedRestBorderColourLightBoldRed = "#f4f4f4";
+export const interactivePrimaryReversedRestBorderColourLightBoldYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourLightNeutralInverseBlue = "#858686";
+export const interactivePrimaryReversedRestBorderColourLightNeutralInverseGreen = "#858686";
+export const interactivePrimaryReversedRestBorderColourLightNeutralInverseRed = "#858686";
+export const interactivePrimaryReversedRestBorderColourLightNeutralInverseYellow = "#858686";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralRed = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkSubtleYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkBoldBlue = "#f4f4f4";
+export const interactivePrimaryReversedRestBorderColourDarkBoldGreen = "#f4f4f4";
+export const interactivePrimaryReversedRestBorderColourDarkBoldRed = "#f4f4f4";
+export const interactivePrimaryReversedRestBorderColourDarkBoldYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralInverseBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralInverseGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralInverseRed = "#1d1d1b";
+export const interactivePrimaryReversedRestBorderColourDarkNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralRed = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralYellow = "#000000";
+export const interactivePrimaryReversedRestColourSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestColourSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestColourSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedRestColourSubtleYellow = "#000000";
+export const interactivePrimaryReversedRestColourBoldBlue = "#ffffff";
+export const interactivePrimaryReversedRestColourBoldGreen = "#ffffff";
+export const interactivePrimaryReversedRestColourBoldRed = "#ffffff";
+export const interactivePrimaryReversedRestColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralInverseBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralInverseGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralInverseRed = "#1d1d1b";
+export const interactivePrimaryReversedRestColourNeutralInverseYellow = "#000000";
+export const interactivePrimaryReversedRestColourMutedNeutralBlue = "#4d4f4f";
+export const interactivePrimaryReversedRestColourMutedNeutralGreen = "#4d4f4f";
+export const interactivePrimaryReversedRestColourMutedNeutralRed = "#4d4f4f";
+export const interactivePrimaryReversedRestColourMutedNeutralYellow = "#4d4f4f";
+export const interactivePrimaryReversedRestColourMutedSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedRestColourMutedSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedRestColourMutedSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedRestColourMutedSubtleYellow = "#000000";
+export const interactivePrimaryReversedRestColourMutedBoldBlue = "#ffffff";
+export const interactivePrimaryReversedRestColourMutedBoldGreen = "#ffffff";
+export const interactivePrimaryReversedRestColourMutedBoldRed = "#ffffff";
+export const interactivePrimaryReversedRestColourMutedBoldYellow = "#1d1d1b";
+export const interactivePrimaryReversedRestColourMutedNeutralInverseBlue = "#4d4f4f";
+export const interactivePrimaryReversedRestColourMutedNeutralInverseGreen = "#4d4f4f";
+export const interactivePrimaryReversedRestColourMutedNeutralInverseRed = "#4d4f4f";
+export const interactivePrimaryReversedRestColourMutedNeutralInverseYellow = "#4d4f4f";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralBlue = "#aee1f7";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralGreen = "#caeedd";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralRed = "#ffd5d2";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralYellow = "#fff9c7";
+export const interactivePrimaryReversedHoverBackgroundColourSubtleBlue = "#42aeea";
+export const interactivePrimaryReversedHoverBackgroundColourSubtleGreen = "#43af6e";
+export const interactivePrimaryReversedHoverBackgroundColourSubtleRed = "#ff3e51";
+export const interactivePrimaryReversedHoverBackgroundColourSubtleYellow = "#ffe969";
+export const interactivePrimaryReversedHoverBackgroundColourBoldBlue = "#aee1f7";
+export const interactivePrimaryReversedHoverBackgroundColourBoldGreen = "#caeedd";
+export const interactivePrimaryReversedHoverBackgroundColourBoldRed = "#ffd5d2";
+export const interactivePrimaryReversedHoverBackgroundColourBoldYellow = "#fff9c7";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const interactivePrimaryReversedHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralBlue = "#001d6e";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralGreen = "#01312e";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralRed = "#480411";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralYellow = "#572722";
+export const interactivePrimaryReversedHoverBorderColourLightSubtleBlue = "#001d6e";
+export const interactivePrimaryReversedHoverBorderColourLightSubtleGreen = "#01312e";
+export const interactivePrimaryReversedHoverBorderColourLightSubtleRed = "#480411";
+export const interactivePrimaryReversedHoverBorderColourLightSubtleYellow = "#572722";
+export const interactivePrimaryReversedHoverBorderColourLightBoldBlue = "#001d6e";
+export const interactivePrimaryReversedHoverBorderColourLightBoldGreen = "#01312e";
+export const interactivePrimaryReversedHoverBorderColourLightBoldRed = "#480411";
+export const interactivePrimaryReversedHoverBorderColourLightBoldYellow = "#572722";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralInverseGreen = "#01312e";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralInverseRed = "#480411";
+export const interactivePrimaryReversedHoverBorderColourLightNeutralInverseYellow = "#572722";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralYellow = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkSubtleYellow = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkBoldYellow = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverBorderColourDarkNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourNeutralBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourNeutralGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourNeutralRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourNeutralYellow = "#000000";
+export const interactivePrimaryReversedHoverColourSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourSubtleYellow = "#000000";
+export const interactivePrimaryReversedHoverColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourBoldYellow = "#000000";
+export const interactivePrimaryReversedHoverColourNeutralInverseBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourNeutralInverseGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourNeutralInverseRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourNeutralInverseYellow = "#000000";
+export const interactivePrimaryReversedHoverColourMutedNeutralBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedNeutralGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedNeutralRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedNeutralYellow = "#000000";
+export const interactivePrimaryReversedHoverColourMutedSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedSubtleYellow = "#000000";
+export const interactivePrimaryReversedHoverColourMutedBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedBoldYellow = "#000000";
+export const interactivePrimaryReversedHoverColourMutedNeutralInverseBlue = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedNeutralInverseGreen = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedNeutralInverseRed = "#1d1d1b";
+export const interactivePrimaryReversedHoverColourMutedNeutralInverseYellow = "#000000";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralBlue = "#005dba";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralGreen = "#00633d";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralRed = "#c50b30";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralYellow = "#ffb600";
+export const interactivePrimaryReversedActiveBackgroundColourSubtleBlue = "#005dba";
+export const interactivePrimaryReversedActiveBackgroundColourSubtleGreen = "#00633d";
+export const interactivePrimaryReversedActiveBackgroundColourSubtleRed = "#c50b30";
+export const interactivePrimaryReversedActiveBackgroundColourSubtleYellow = "#ffb600";
+export const interactivePrimaryReversedActiveBackgroundColourBoldBlue = "#ffffff";
+export const interactivePrimaryReversedActiveBackgroundColourBoldGreen = "#ffffff";
+export const interactivePrimaryReversedActiveBackgroundColourBoldRed = "#ffffff";
+export const interactivePrimaryReversedActiveBackgroundColourBoldYellow = "#ffffff";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralInverseBlue = "#005dba";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralInverseGreen = "#00633d";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralInverseRed = "#c50b30";
+export const interactivePrimaryReversedActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralRed = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveBorderColourLightSubtleBlue = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightSubtleGreen = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightSubtleRed = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightSubtleYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveBorderColourLightBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedActiveBorderColourLightBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedActiveBorderColourLightBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedActiveBorderColourLightBoldYellow = "#000000";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralInverseRed = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourLightNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralBlue = "#005dba";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralGreen = "#00633d";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralRed = "#c50b30";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralYellow = "#ffb600";
+export const interactivePrimaryReversedActiveBorderColourDarkSubtleBlue = "#005dba";
+export const interactivePrimaryReversedActiveBorderColourDarkSubtleGreen = "#00633d";
+export const interactivePrimaryReversedActiveBorderColourDarkSubtleRed = "#c50b30";
+export const interactivePrimaryReversedActiveBorderColourDarkSubtleYellow = "#ffb600";
+export const interactivePrimaryReversedActiveBorderColourDarkBoldBlue = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourDarkBoldGreen = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourDarkBoldRed = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourDarkBoldYellow = "#ffffff";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseBlue = "#005dba";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseGreen = "#00633d";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseRed = "#c50b30";
+export const interactivePrimaryReversedActiveBorderColourDarkNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryReversedActiveColourNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedActiveColourNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedActiveColourNeutralRed = "#ffffff";
+export const interactivePrimaryReversedActiveColourNeutralYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourSubtleBlue = "#ffffff";
+export const interactivePrimaryReversedActiveColourSubtleGreen = "#ffffff";
+export const interactivePrimaryReversedActiveColourSubtleRed = "#ffffff";
+export const interactivePrimaryReversedActiveColourSubtleYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourBoldYellow = "#000000";
+export const interactivePrimaryReversedActiveColourNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryReversedActiveColourNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryReversedActiveColourNeutralInverseRed = "#ffffff";
+export const interactivePrimaryReversedActiveColourNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourMutedNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedNeutralRed = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedNeutralYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourMutedSubtleBlue = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedSubtleGreen = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedSubtleRed = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedSubtleYellow = "#1d1d1b";
+export const interactivePrimaryReversedActiveColourMutedBoldBlue = "#4d4f4f";
+export const interactivePrimaryReversedActiveColourMutedBoldGreen = "#4d4f4f";
+export const interactivePrimaryReversedActiveColourMutedBoldRed = "#4d4f4f";
+export const interactivePrimaryReversedActiveColourMutedBoldYellow = "#4d4f4f";
+export const interactivePrimaryReversedActiveColourMutedNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedNeutralInverseRed = "#ffffff";
+export const interactivePrimaryReversedActiveColourMutedNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralRed = "#ffffff";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralYellow = "#ffffff";
+export const interactivePrimaryReversedFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const interactivePrimaryReversedFocusBackgroundColourSubtleGreen = "#caeedd";
+export const interactivePrimaryReversedFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const interactivePrimaryReversedFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const interactivePrimaryReversedFocusBackgroundColourBoldBlue = "#005dba";
+export const interactivePrimaryReversedFocusBackgroundColourBoldGreen = "#00633d";
+export const interactivePrimaryReversedFocusBackgroundColourBoldRed = "#c50b30";
+export const interactivePrimaryReversedFocusBackgroundColourBoldYellow = "#ffb600";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const interactivePrimaryReversedFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralRed = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralYellow = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourLightSubtleBlue = "#aee1f7";
+export const interactivePrimaryReversedFocusBorderColourLightSubtleGreen = "#caeedd";
+export const interactivePrimaryReversedFocusBorderColourLightSubtleRed = "#ffd5d2";
+export const interactivePrimaryReversedFocusBorderColourLightSubtleYellow = "#fff9c7";
+export const interactivePrimaryReversedFocusBorderColourLightBoldBlue = "#005dba";
+export const interactivePrimaryReversedFocusBorderColourLightBoldGreen = "#00633d";
+export const interactivePrimaryReversedFocusBorderColourLightBoldRed = "#c50b30";
+export const interactivePrimaryReversedFocusBorderColourLightBoldYellow = "#ffb600";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralInverseBlue = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralInverseGreen = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralInverseRed = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourLightNeutralInverseYellow = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralRed = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralYellow = "#ffffff";
+export const interactivePrimaryReversedFocusBorderColourDarkSubtleBlue = "#aee1f7";
+export const interactivePrimaryReversedFocusBorderColourDarkSubtleGreen = "#caeedd";
+export const interactivePrimaryReversedFocusBorderColourDarkSubtleRed = "#ffd5d2";
+export const interactivePrimaryReversedFocusBorderColourDarkSubtleYellow = "#fff9c7";
+export const interactivePrimaryReversedFocusBorderColourDarkBoldBlue = "#005dba";
+export const interactivePrimaryReversedFocusBorderColourDarkBoldGreen = "#00633d";
+export const interactivePrimaryReversedFocusBorderColourDarkBoldRed = "#c50b30";
+export const interactivePrimaryReversedFocusBorderColourDarkBoldYellow = "#ffb600";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseBlue = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseGreen = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseRed = "#f4f4f4";
+export const interactivePrimaryReversedFocusBorderColourDarkNeutralInverseYellow = "#f4f4f4";
+export const interactivePrimaryReversedFocusColourNeutralBlue = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourNeutralGreen = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourNeutralRed = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourNeutralYellow = "#000000";
+export const interactivePrimaryReversedFocusColourSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourSubtleYellow = "#000000";
+export const interactivePrimaryReversedFocusColourBoldBlue = "#ffffff";
+export const interactivePrimaryReversedFocusColourBoldGreen = "#ffffff";
+export const interactivePrimaryReversedFocusColourBoldRed = "#ffffff";
+export const interactivePrimaryReversedFocusColourBoldYellow = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourNeutralInverseBlue = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourNeutralInverseGreen = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourNeutralInverseRed = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourNeutralInverseYellow = "#000000";
+export const interactivePrimaryReversedFocusColourMutedNeutralBlue = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedNeutralGreen = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedNeutralRed = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedNeutralYellow = "#000000";
+export const interactivePrimaryReversedFocusColourMutedSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedSubtleYellow = "#000000";
+export const interactivePrimaryReversedFocusColourMutedBoldBlue = "#ffffff";
+export const interactivePrimaryReversedFocusColourMutedBoldGreen = "#ffffff";
+export const interactivePrimaryReversedFocusColourMutedBoldRed = "#ffffff";
+export const interactivePrimaryReversedFocusColourMutedBoldYellow = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedNeutralInverseBlue = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedNeutralInverseGreen = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedNeutralInverseRed = "#1d1d1b";
+export const interactivePrimaryReversedFocusColourMutedNeutralInverseYellow = "#000000";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralRed = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBackgroundColourSubtleBlue = "#d2effb";
+export const interactivePrimaryReversedDisabledBackgroundColourSubtleGreen = "#dff6eb";
+export const interactivePrimaryReversedDisabledBackgroundColourSubtleRed = "#ffd5d2";
+export const interactivePrimaryReversedDisabledBackgroundColourSubtleYellow = "#fffbdc";
+export const interactivePrimaryReversedDisabledBackgroundColourBoldBlue = "#d2effb";
+export const interactivePrimaryReversedDisabledBackgroundColourBoldGreen = "#dff6eb";
+export const interactivePrimaryReversedDisabledBackgroundColourBoldRed = "#ffd5d2";
+export const interactivePrimaryReversedDisabledBackgroundColourBoldYellow = "#fffbdc";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const interactivePrimaryReversedDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourNeutralRed = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourSubtleBlue = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourSubtleGreen = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourSubtleRed = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourSubtleYellow = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourBoldBlue = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourBoldGreen = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourBoldRed = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourBoldYellow = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const interactivePrimaryReversedDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourNeutralBlue = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourNeutralGreen = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourNeutralRed = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourNeutralYellow = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourSubtleBlue = "#76c8f1";
+export const interactivePrimaryReversedDisabledColourSubtleGreen = "#7fce9f";
+export const interactivePrimaryReversedDisabledColourSubtleRed = "#ff7e7e";
+export const interactivePrimaryReversedDisabledColourSubtleYellow = "#ffe969";
+export const interactivePrimaryReversedDisabledColourBoldBlue = "#76c8f1";
+export const interactivePrimaryReversedDisabledColourBoldGreen = "#7fce9f";
+export const interactivePrimaryReversedDisabledColourBoldRed = "#ff7e7e";
+export const interactivePrimaryReversedDisabledColourBoldYellow = "#ffe969";
+export const interactivePrimaryReversedDisabledColourNeutralInverseBlue = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourNeutralInverseGreen = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourNeutralInverseRed = "#d3d3d3";
+export const interactivePrimaryReversedDisabledColourNeutralInverseYellow = "#d3d3d3";
+export const interactivePaddingXsNeutralBlue = 8;
+export const interactivePaddingXsNeutralGreen = 8;
+export const interactivePaddingXsNeutralRed = 8;
+export const interactivePaddingXsNeutralYellow = 8;
+export const interactivePaddingXsSubtleBlue = 8;
+export const interactivePaddingXsSubtleGreen = 8;
+export const interactivePaddingXsSubtleRed = 8;
+export const interactivePaddingXsSubtleYellow = 8;
+export const interactivePaddingXsBoldBlue = 8;
+export const interactivePaddingXsBoldGreen = 8;
+export const interactivePaddingXsBoldRed = 8;
+export const interactivePaddingXsBoldYellow = 8;
+export const interactivePaddingXsNeutralInverseBlue = 8;
+export const interactivePaddingXsNeutralInverseGreen = 8;
+export const interactivePaddingXsNeutralInverseRed = 8;
+export const interactivePaddingXsNeutralInverseYellow = 8;
+export const interactivePaddingSmNeutralBlue = 12;
+export const interactivePaddingSmNeutralGreen = 12;
+export const interactivePaddingSmNeutralRed = 12;
+export const interactivePaddingSmNeutralYellow = 12;
+export const interactivePaddingSmSubtleBlue = 12;
+export const interactivePaddingSmSubtleGreen = 12;
+export const interactivePaddingSmSubtleRed = 12;
+export const interactivePaddingSmSubtleYellow = 12;
+export const interactivePaddingSmBoldBlue = 12;
+export const interactivePaddingSmBoldGreen = 12;
+export const interactivePaddingSmBoldRed = 12;
+export const interactivePaddingSmBoldYellow = 12;
+export const interactivePaddingSmNeutralInverseBlue = 12;
+export const interactivePaddingSmNeutralInverseGreen = 12;
+export const interactivePaddingSmNeutralInverseRed = 12;
+export const interactivePaddingSmNeutralInverseYellow = 12;
+export const interactivePaddingMdNeutralBlue = 16;
+export const interactivePaddingMdNeutralGreen = 16;
+export const interactivePaddingMdNeutralRed = 16;
+export const interactivePaddingMdNeutralYellow = 16;
+export const interactivePaddingMdSubtleBlue = 16;
+export const interactivePaddingMdSubtleGreen = 16;
+export const interactivePaddingMdSubtleRed = 16;
+export const interactivePaddingMdSubtleYellow = 16;
+export const interactivePaddingMdBoldBlue = 16;
+export const interactivePaddingMdBoldGreen = 16;
+export const interactivePaddingMdBoldRed = 16;
+export const interactivePaddingMdBoldYellow = 16;
+export const interactivePaddingMdNeutralInverseBlue = 16;
+export const interactivePaddingMdNeutralInverseGreen = 16;
+export const interactivePaddingMdNeutralInverseRed = 16;
+export const interactivePaddingMdNeutralInverseYellow = 16;
+export const interactivePaddingLgNeutralBlue = 20;
+export const interactivePaddingLgNeutralGreen = 20;
+export const interactivePaddingLgNeutralRed = 20;
+export const interactivePaddingLgNeutralYellow = 20;
+export const interactivePaddingLgSubtleBlue = 20;
+export const interactivePaddingLgSubtleGreen = 20;
+export const interactivePaddingLgSubtleRed = 20;
+export const interactivePaddingLgSubtleYellow = 20;
+export const interactivePaddingLgBoldBlue = 20;
+export const interactivePaddingLgBoldGreen = 20;
+export const interactivePaddingLgBoldRed = 20;
+export const interactivePaddingLgBoldYellow = 20;
+export const interactivePaddingLgNeutralInverseBlue = 20;
+export const interactivePaddingLgNeutralInverseGreen = 20;
+export const interactivePaddingLgNeutralInverseRed = 20;
+export const interactivePaddingLgNeutralInverseYellow = 20;
+export const interactiveBorderWidthXsNeutralBlue = 1;
+export const interactiveBorderWidthXsNeutralGreen = 1;
+export const interactiveBorderWidthXsNeutralRed = 1;
+export const interactiveBorderWidthXsNeutralYellow = 1;
+export const interactiveBorderWidthXsSubtleBlue = 1;
+export const interactiveBorderWidthXsSubtleGreen = 1;
+export const interactiveBorderWidthXsSubtleRed = 1;
+export const interactiveBorderWidthXsSubtleYellow = 1;
+export const interactiveBorderWidthXsBoldBlue = 1;
+export const interactiveBorderWidthXsBoldGreen = 1;
+export const interactiveBorderWidthXsBoldRed = 1;
+export const interactiveBorderWidthXsBoldYellow = 1;
+export const interactiveBorderWidthXsNeutralInverseBlue = 1;
+export const interactiveBorderWidthXsNeutralInverseGreen = 1;
+export const interactiveBorderWidthXsNeutralInverseRed = 1;
+export const interactiveBorderWidthXsNeutralInverseYellow = 1;
+export const interactiveBorderWidthSmNeutralBlue = 1.5;
+export const interactiveBorderWidthSmNeutralGreen = 1.5;
+export const interactiveBorderWidthSmNeutralRed = 1.5;
+export const interactiveBorderWidthSmNeutralYellow = 1.5;
+export const interactiveBorderWidthSmSubtleBlue = 1.5;
+export const interactiveBorderWidthSmSubtleGreen = 1.5;
+export const interactiveBorderWidthSmSubtleRed = 1.5;
+export const interactiveBorderWidthSmSubtleYellow = 1.5;
+export const interactiveBorderWidthSmBoldBlue = 1.5;
+export const interactiveBorderWidthSmBoldGreen = 1.5;
+export const interactiveBorderWidthSmBoldRed = 1.5;
+export const interactiveBorderWidthSmBoldYellow = 1.5;
+export const interactiveBorderWidthSmNeutralInverseBlue = 1.5;
+export const interactiveBorderWidthSmNeutralInverseGreen = 1.5;
+export const interactiveBorderWidthSmNeutralInverseRed = 1.5;
+export const interactiveBorderWidthSmNeutralInverseYellow = 1.5;
+export const interactiveUnderlineBorderWidthNeutralBlue = 2;
+export const interactiveUnderlineBorderWidthNeutralGreen = 2;
+export const interactiveUnderlineBorderWidthNeutralRed = 2;
+export const interactiveUnderlineBorderWidthNeutralYellow = 2;
+export const interactiveUnderlineBorderWidthSubtleBlue = 2;
+export const interactiveUnderlineBorderWidthSubtleGreen = 2;
+export const interactiveUnderlineBorderWidthSubtleRed = 2;
+export const interactiveUnderlineBorderWidthSubtleYellow = 2;
+export const interactiveUnderlineBorderWidthBoldBlue = 2;
+export const interactiveUnderlineBorderWidthBoldGreen = 2;
+export const interactiveUnderlineBorderWidthBoldRed = 2;
+export const interactiveUnderlineBorderWidthBoldYellow = 2;
+export const interactiveUnderlineBorderWidthNeutralInverseBlue = 2;
+export const interactiveUnderlineBorderWidthNeutralInverseGreen = 2;
+export const interactiveUnderlineBorderWidthNeutralInverseRed = 2;
+export const interactiveUnderlineBorderWidthNeutralInverseYellow = 2;
+export const interactiveBorderWidthLgNeutralBlue = 3;
+export const interactiveBorderWidthLgNeutralGreen = 3;
+export const interactiveBorderWidthLgNeutralRed = 3;
+export const interactiveBorderWidthLgNeutralYellow = 3;
+export const interactiveBorderWidthLgSubtleBlue = 3;
+export const interactiveBorderWidthLgSubtleGreen = 3;
+export const interactiveBorderWidthLgSubtleRed = 3;
+export const interactiveBorderWidthLgSubtleYellow = 3;
+export const interactiveBorderWidthLgBoldBlue = 3;
+export const interactiveBorderWidthLgBoldGreen = 3;
+export const interactiveBorderWidthLgBoldRed = 3;
+export const interactiveBorderWidthLgBoldYellow = 3;
+export const interactiveBorderWidthLgNeutralInverseBlue = 3;
+export const interactiveBorderWidthLgNeutralInverseGreen = 3;
+export const interactiveBorderWidthLgNeutralInverseRed = 3;
+export const interactiveBorderWidthLgNeutralInverseYellow = 3;
+export const interactiveFocusBorderWidthNeutralBlue = 3;
+export const interactiveFocusBorderWidthNeutralGreen = 3;
+export const interactiveFocusBorderWidthNeutralRed = 3;
+export const interactiveFocusBorderWidthNeutralYellow = 3;
+export const interactiveFocusBorderWidthSubtleBlue = 3;
+export const interactiveFocusBorderWidthSubtleGreen = 3;
+export const interactiveFocusBorderWidthSubtleRed = 3;
+export const interactiveFocusBorderWidthSubtleYellow = 3;
+export const interactiveFocusBorderWidthBoldBlue = 3;
+export const interactiveFocusBorderWidthBoldGreen = 3;
+export const interactiveFocusBorderWidthBoldRed = 3;
+export const interactiveFocusBorderWidthBoldYellow = 3;
+export const interactiveFocusBorderWidthNeutralInverseBlue = 3;
+export const interactiveFocusBorderWidthNeutralInverseGreen = 3;
+export const interactiveFocusBorderWidthNeutralInverseRed = 3;
+export const interactiveFocusBorderWidthNeutralInverseYellow = 3;
+export const interactiveBorderRadiusDefaultNeutralBlue = 12;
+export const interactiveBorderRadiusDefaultNeutralGreen = 12;
+export const interactiveBorderRadiusDefaultNeutralRed = 12;
+export const interactiveBorderRadiusDefaultNeutralYellow = 12;
+export const interactiveBorderRadiusDefaultSubtleBlue = 12;
+export const interactiveBorderRadiusDefaultSubtleGreen = 12;
+export const interactiveBorderRadiusDefaultSubtleRed = 12;
+export const interactiveBorderRadiusDefaultSubtleYellow = 12;
+export const interactiveBorderRadiusDefaultBoldBlue = 12;
+export const interactiveBorderRadiusDefaultBoldGreen = 12;
+export const interactiveBorderRadiusDefaultBoldRed = 12;
+export const interactiveBorderRadiusDefaultBoldYellow = 12;
+export const interactiveBorderRadiusDefaultNeutralInverseBlue = 12;
+export const interactiveBorderRadiusDefaultNeutralInverseGreen = 12;
+export const interactiveBorderRadiusDefaultNeutralInverseRed = 12;
+export const interactiveBorderRadiusDefaultNeutralInverseYellow = 12;
+export const interactiveBorderRadiusPillNeutralBlue = 28;
+export const interactiveBorderRadiusPillNeutralGreen = 28;
+export const interactiveBorderRadiusPillNeutralRed = 28;
+export const interactiveBorderRadiusPillNeutralYellow = 28;
+export const interactiveBorderRadiusPillSubtleBlue = 28;
+export const interactiveBorderRadiusPillSubtleGreen = 28;
+export const interactiveBorderRadiusPillSubtleRed = 28;
+export const interactiveBorderRadiusPillSubtleYellow = 28;
+export const interactiveBorderRadiusPillBoldBlue = 28;
+export const interactiveBorderRadiusPillBoldGreen = 28;
+export const interactiveBorderRadiusPillBoldRed = 28;
+export const interactiveBorderRadiusPillBoldYellow = 28;
+export const interactiveBorderRadiusPillNeutralInverseBlue = 28;
+export const interactiveBorderRadiusPillNeutralInverseGreen = 28;
+export const interactiveBorderRadiusPillNeutralInverseRed = 28;
+export const interactiveBorderRadiusPillNeutralInverseYellow = 28;
+export const interactiveGapNeutralBlue = 8;
+export const interactiveGapNeutralGreen = 8;
+export const interactiveGapNeutralRed = 8;
+export const interactiveGapNeutralYellow = 8;
+export const interactiveGapSubtleBlue = 8;
+export const interactiveGapSubtleGreen = 8;
+export const interactiveGapSubtleRed = 8;
+export const interactiveGapSubtleYellow = 8;
+export const interactiveGapBoldBlue = 8;
+export const interactiveGapBoldGreen = 8;
+export const interactiveGapBoldRed = 8;
+export const interactiveGapBoldYellow = 8;
+export const interactiveGapNeutralInverseBlue = 8;
+export const interactiveGapNeutralInverseGreen = 8;
+export const interactiveGapNeutralInverseRed = 8;
+export const interactiveGapNeutralInverseYellow = 8;
+export const interactiveMinHeightNeutralBlue = 48;
+export const interactiveMinHeightNeutralGreen = 48;
+export const interactiveMinHeightNeutralRed = 48;
+export const interactiveMinHeightNeutralYellow = 48;
+export const interactiveMinHeightSubtleBlue = 48;
+export const interactiveMinHeightSubtleGreen = 48;
+export const interactiveMinHeightSubtleRed = 48;
+export const interactiveMinHeightSubtleYellow = 48;
+export const interactiveMinHeightBoldBlue = 48;
+export const interactiveMinHeightBoldGreen = 48;
+export const interactiveMinHeightBoldRed = 48;
+export const interactiveMinHeightBoldYellow = 48;
+export const interactiveMinHeightNeutralInverseBlue = 48;
+export const interactiveMinHeightNeutralInverseGreen = 48;
+export const interactiveMinHeightNeutralInverseRed = 48;
+export const interactiveMinHeightNeutralInverseYellow = 48;
+export const interactiveMinWidthNeutralBlue = 48;
+export const interactiveMinWidthNeutralGreen = 48;
+export const interactiveMinWidthNeutralRed = 48;
+export const interactiveMinWidthNeutralYellow = 48;
+export const interactiveMinWidthSubtleBlue = 48;
+export const interactiveMinWidthSubtleGreen = 48;
+export const interactiveMinWidthSubtleRed = 48;
+export const interactiveMinWidthSubtleYellow = 48;
+export const interactiveMinWidthBoldBlue = 48;
+export const interactiveMinWidthBoldGreen = 48;
+export const interactiveMinWidthBoldRed = 48;
+export const interactiveMinWidthBoldYellow = 48;
+export const interactiveMinWidthNeutralInverseBlue = 48;
+export const interactiveMinWidthNeutralInverseGreen = 48;
+export const interactiveMinWidthNeutralInverseRed = 48;
+export const interactiveMinWidthNeutralInverseYellow = 48;
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralBlue = "#aee1f7";
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralGreen = "#caeedd";
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralRed = "#ffd5d2";
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralYellow = "#fff9c7";
+export const interactivePrimaryReversedSubtleRestBackgroundColourSubtleBlue = "#aee1f7";
+export const interactivePrimaryReversedSubtleRestBackgroundColourSubtleGreen = "#caeedd";
+export const interactivePrimaryReversedSubtleRestBackgroundColourSubtleRed = "#ffd5d2";
+export const interactivePrimaryReversedSubtleRestBackgroundColourSubtleYellow = "#fff9c7";
+export const interactivePrimaryReversedSubtleRestBackgroundColourBoldBlue = "#42aeea";
+export const interactivePrimaryReversedSubtleRestBackgroundColourBoldGreen = "#43af6e";
+export const interactivePrimaryReversedSubtleRestBackgroundColourBoldRed = "#ff3e51";
+export const interactivePrimaryReversedSubtleRestBackgroundColourBoldYellow = "#ffe969";
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseGreen = "#caeedd";
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const interactivePrimaryReversedSubtleRestBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralGreen = "#01312e";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralRed = "#940824";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralYellow = "#c86426";
+export const interactivePrimaryReversedSubtleRestBorderColourSubtleBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleRestBorderColourSubtleGreen = "#01312e";
+export const interactivePrimaryReversedSubtleRestBorderColourSubtleRed = "#940824";
+export const interactivePrimaryReversedSubtleRestBorderColourSubtleYellow = "#c86426";
+export const interactivePrimaryReversedSubtleRestBorderColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleRestBorderColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleRestBorderColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleRestBorderColourBoldYellow = "#000000";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseRed = "#940824";
+export const interactivePrimaryReversedSubtleRestBorderColourNeutralInverseYellow = "#c86426";
+export const interactivePrimaryReversedSubtleRestColourNeutralBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleRestColourNeutralGreen = "#01312e";
+export const interactivePrimaryReversedSubtleRestColourNeutralRed = "#480411";
+export const interactivePrimaryReversedSubtleRestColourNeutralYellow = "#572722";
+export const interactivePrimaryReversedSubtleRestColourSubtleBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleRestColourSubtleGreen = "#01312e";
+export const interactivePrimaryReversedSubtleRestColourSubtleRed = "#480411";
+export const interactivePrimaryReversedSubtleRestColourSubtleYellow = "#572722";
+export const interactivePrimaryReversedSubtleRestColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleRestColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleRestColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleRestColourBoldYellow = "#000000";
+export const interactivePrimaryReversedSubtleRestColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleRestColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryReversedSubtleRestColourNeutralInverseRed = "#480411";
+export const interactivePrimaryReversedSubtleRestColourNeutralInverseYellow = "#572722";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralBlue = "#005dba";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralGreen = "#00633d";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralRed = "#c50b30";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralYellow = "#ffb600";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleBlue = "#005dba";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleGreen = "#00633d";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleRed = "#c50b30";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourSubtleYellow = "#ffb600";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourBoldBlue = "#aee1f7";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourBoldGreen = "#caeedd";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourBoldRed = "#ffd5d2";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourBoldYellow = "#fff9c7";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseBlue = "#005dba";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseGreen = "#00633d";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseRed = "#c50b30";
+export const interactivePrimaryReversedSubtleHoverBackgroundColourNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralBlue = "#005dba";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralGreen = "#00633d";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralRed = "#c50b30";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralYellow = "#ffb600";
+export const interactivePrimaryReversedSubtleHoverBorderColourSubtleBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverBorderColourSubtleGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverBorderColourSubtleRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverBorderColourSubtleYellow = "#000000";
+export const interactivePrimaryReversedSubtleHoverBorderColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverBorderColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverBorderColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverBorderColourBoldYellow = "#000000";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseBlue = "#005dba";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseGreen = "#00633d";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseRed = "#c50b30";
+export const interactivePrimaryReversedSubtleHoverBorderColourNeutralInverseYellow = "#ffb600";
+export const interactivePrimaryReversedSubtleHoverColourNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourNeutralRed = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourNeutralYellow = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverColourSubtleBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourSubtleGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourSubtleRed = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourSubtleYellow = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleHoverColourBoldYellow = "#000000";
+export const interactivePrimaryReversedSubtleHoverColourNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourNeutralInverseRed = "#ffffff";
+export const interactivePrimaryReversedSubtleHoverColourNeutralInverseYellow = "#1d1d1b";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralGreen = "#01312e";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralRed = "#480411";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralYellow = "#572722";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleGreen = "#01312e";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleRed = "#480411";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourSubtleYellow = "#572722";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourBoldBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourBoldGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourBoldRed = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourBoldYellow = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseRed = "#480411";
+export const interactivePrimaryReversedSubtleActiveBackgroundColourNeutralInverseYellow = "#572722";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralGreen = "#01312e";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralRed = "#480411";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralYellow = "#572722";
+export const interactivePrimaryReversedSubtleActiveBorderColourSubtleBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleActiveBorderColourSubtleGreen = "#01312e";
+export const interactivePrimaryReversedSubtleActiveBorderColourSubtleRed = "#480411";
+export const interactivePrimaryReversedSubtleActiveBorderColourSubtleYellow = "#572722";
+export const interactivePrimaryReversedSubtleActiveBorderColourBoldBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBorderColourBoldGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBorderColourBoldRed = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBorderColourBoldYellow = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseRed = "#480411";
+export const interactivePrimaryReversedSubtleActiveBorderColourNeutralInverseYellow = "#572722";
+export const interactivePrimaryReversedSubtleActiveColourNeutralBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourNeutralGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourNeutralRed = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourNeutralYellow = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourSubtleBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourSubtleGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourSubtleRed = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourSubtleYellow = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleActiveColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleActiveColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleActiveColourBoldYellow = "#000000";
+export const interactivePrimaryReversedSubtleActiveColourNeutralInverseBlue = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourNeutralInverseGreen = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourNeutralInverseRed = "#ffffff";
+export const interactivePrimaryReversedSubtleActiveColourNeutralInverseYellow = "#ffffff";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralBlue = "#aee1f7";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralGreen = "#caeedd";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralRed = "#ffd5d2";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralYellow = "#fff9c7";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleGreen = "#caeedd";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourBoldBlue = "#42aeea";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourBoldGreen = "#43af6e";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourBoldRed = "#ff3e51";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourBoldYellow = "#ffe969";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseGreen = "#caeedd";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const interactivePrimaryReversedSubtleFocusBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralGreen = "#01312e";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralRed = "#940824";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralYellow = "#c86426";
+export const interactivePrimaryReversedSubtleFocusBorderColourSubtleBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleFocusBorderColourSubtleGreen = "#01312e";
+export const interactivePrimaryReversedSubtleFocusBorderColourSubtleRed = "#940824";
+export const interactivePrimaryReversedSubtleFocusBorderColourSubtleYellow = "#c86426";
+export const interactivePrimaryReversedSubtleFocusBorderColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleFocusBorderColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleFocusBorderColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleFocusBorderColourBoldYellow = "#000000";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseRed = "#940824";
+export const interactivePrimaryReversedSubtleFocusBorderColourNeutralInverseYellow = "#c86426";
+export const interactivePrimaryReversedSubtleFocusColourNeutralBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleFocusColourNeutralGreen = "#01312e";
+export const interactivePrimaryReversedSubtleFocusColourNeutralRed = "#480411";
+export const interactivePrimaryReversedSubtleFocusColourNeutralYellow = "#572722";
+export const interactivePrimaryReversedSubtleFocusColourSubtleBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleFocusColourSubtleGreen = "#01312e";
+export const interactivePrimaryReversedSubtleFocusColourSubtleRed = "#480411";
+export const interactivePrimaryReversedSubtleFocusColourSubtleYellow = "#572722";
+export const interactivePrimaryReversedSubtleFocusColourBoldBlue = "#1d1d1b";
+export const interactivePrimaryReversedSubtleFocusColourBoldGreen = "#1d1d1b";
+export const interactivePrimaryReversedSubtleFocusColourBoldRed = "#1d1d1b";
+export const interactivePrimaryReversedSubtleFocusColourBoldYellow = "#000000";
+export const interactivePrimaryReversedSubtleFocusColourNeutralInverseBlue = "#001d6e";
+export const interactivePrimaryReversedSubtleFocusColourNeutralInverseGreen = "#01312e";
+export const interactivePrimaryReversedSubtleFocusColourNeutralInverseRed = "#480411";
+export const interactivePrimaryReversedSubtleFocusColourNeutralInverseYellow = "#572722";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourSubtleYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourBoldYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourSubtleBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourSubtleGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourSubtleRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourSubtleYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourBoldBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourBoldGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourBoldRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourBoldYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralBlue = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralGreen = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralRed = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralYellow = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourSubtleBlue = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourSubtleGreen = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourSubtleRed = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourSubtleYellow = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourBoldBlue = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourBoldGreen = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourBoldRed = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourBoldYellow = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralInverseBlue = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralInverseGreen = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralInverseRed = "#7a7b7b";
+export const interactivePrimaryReversedSubtleDisabledColourNeutralInverseYellow = "#7a7b7b";
+export const interactiveSecondaryRestBackgroundColourNeutralBlue = "#ffffff";
+export const interactiveSecondaryRestBackgroundColourNeutralGreen = "#ffffff";
+export const interactiveSecondaryRestBackgroundColourNeutralRed = "#ffffff";
+export const interactiveSecondaryRestBackgroundColourNeutralYellow = "#ffffff";
+export const interactiveSecondaryRestBackgroundColourSubtleBlue = "#aee1f7";
+export const interactiveSecondaryRestBackgroundColourSubtleGreen = "#caeedd";
+export const interactiveSecondaryRestBackgroundColourSubtleRed = "#ffd5d2";
+export const interactiveSecondaryRestBackgroundColourSubtleYellow = "#fff9c7";
+export const interactiveSecondaryRestBackgroundColourBoldBlue = "#005dba";
+export const interactiveSecondaryRestBackgroundColourBoldGreen = "#00633d";
+export const interactiveSecondaryRestBackgroundColourBoldRed = "#c50b30";
+export const interactiveSecondaryRestBackgroundColourBoldYellow = "#ffb600";
+export const interactiveSecondaryRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const interactiveSecondaryRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const interactiveSecondaryRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const interactiveSecondaryRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const interactiveSecondaryRestBorderColourNeutralBlue = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourNeutralGreen = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourNeutralRed = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourNeutralYellow = "#000000";
+export const interactiveSecondaryRestBorderColourSubtleBlue = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourSubtleGreen = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourSubtleRed = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourSubtleYellow = "#000000";
+export const interactiveSecondaryRestBorderColourBoldBlue = "#ffffff";
+export const interactiveSecondaryRestBorderColourBoldGreen = "#ffffff";
+export const interactiveSecondaryRestBorderColourBoldRed = "#ffffff";
+export const interactiveSecondaryRestBorderColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourNeutralInverseBlue = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourNeutralInverseGreen = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourNeutralInverseRed = "#1d1d1b";
+export const interactiveSecondaryRestBorderColourNeutralInverseYellow = "#000000";
+export const interactiveSecondaryRestColourNeutralBlue = "#1d1d1b";
+export const interactiveSecondaryRestColourNeutralGreen = "#1d1d1b";
+export const interactiveSecondaryRestColourNeutralRed = "#1d1d1b";
+export const interactiveSecondaryRestColourNeutralYellow = "#000000";
+export const interactiveSecondaryRestColourSubtleBlue = "#1d1d1b";
+export const interactiveSecondaryRestColourSubtleGreen = "#1d1d1b";
+export const interactiveSecondaryRestColourSubtleRed = "#1d1d1b";
+export const interactiveSecondaryRestColourSubtleYellow = "#000000";
+export const interactiveSecondaryRestColourBoldBlue = "#ffffff";
+export const interactiveSecondaryRestColourBoldGreen = "#ffffff";
+export const interactiveSecondaryRestColourBoldRed = "#ffffff";
+export const interactiveSecondaryRestColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryRestColourNeutralInverseBlue = "#1d1d1b";
+export const interactiveSecondaryRestColourNeutralInverseGreen = "#1d1d1b";
+export const interactiveSecondaryRestColourNeutralInverseRed = "#1d1d1b";
+export const interactiveSecondaryRestColourNeutralInverseYellow = "#000000";
+export const interactiveSecondaryHoverBackgroundColourNeutralBlue = "#001d6e";
+export const interactiveSecondaryHoverBackgroundColourNeutralGreen = "#01312e";
+export const interactiveSecondaryHoverBackgroundColourNeutralRed = "#940824";
+export const interactiveSecondaryHoverBackgroundColourNeutralYellow = "#904029";
+export const interactiveSecondaryHoverBackgroundColourSubtleBlue = "#001d6e";
+export const interactiveSecondaryHoverBackgroundColourSubtleGreen = "#01312e";
+export const interactiveSecondaryHoverBackgroundColourSubtleRed = "#940824";
+export const interactiveSecondaryHoverBackgroundColourSubtleYellow = "#904029";
+export const interactiveSecondaryHoverBackgroundColourBoldBlue = "#001d6e";
+export const interactiveSecondaryHoverBackgroundColourBoldGreen = "#01312e";
+export const interactiveSecondaryHoverBackgroundColourBoldRed = "#940824";
+export const interactiveSecondaryHoverBackgroundColourBoldYellow = "#ffe969";
+export const interactiveSecondaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+export const interactiveSecondaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+export const interactiveSecondaryHoverBackgroundColourNeutralInverseRed = "#940824";
+export const interactiveSecondaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+export const interactiveSecondaryHoverBorderColourNeutralBlue = "#001d6e";
+export const interactiveSecondaryHoverBorderColourNeutralGreen = "#01312e";
+export const interactiveSecondaryHoverBorderColourNeutralRed = "#940824";
+export const interactiveSecondaryHoverBorderColourNeutralYellow = "#904029";
+export const interactiveSecondaryHoverBorderColourSubtleBlue = "#001d6e";
+export const interactiveSecondaryHoverBorderColourSubtleGreen = "#01312e";
+export const interactiveSecondaryHoverBorderColourSubtleRed = "#940824";
+export const interactiveSecondaryHoverBorderColourSubtleYellow = "#904029";
+export const interactiveSecondaryHoverBorderColourBoldBlue = "#ffffff";
+export const interactiveSecondaryHoverBorderColourBoldGreen = "#ffffff";
+export const interactiveSecondaryHoverBorderColourBoldRed = "#ffffff";
+export const interactiveSecondaryHoverBorderColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+export const interactiveSecondaryHoverBorderColourNeutralInverseGreen = "#01312e";
+export const interactiveSecondaryHoverBorderColourNeutralInverseRed = "#940824";
+export const interactiveSecondaryHoverBorderColourNeutralInverseYellow = "#904029";
+export const interactiveSecondaryHoverColourNeutralBlue = "#ffffff";
+export const interactiveSecondaryHoverColourNeutralGreen = "#ffffff";
+export const interactiveSecondaryHoverColourNeutralRed = "#ffffff";
+export const interactiveSecondaryHoverColourNeutralYellow = "#ffffff";
+export const interactiveSecondaryHoverColourSubtleBlue = "#ffffff";
+export const interactiveSecondaryHoverColourSubtleGreen = "#ffffff";
+export const interactiveSecondaryHoverColourSubtleRed = "#ffffff";
+export const interactiveSecondaryHoverColourSubtleYellow = "#ffffff";
+export const interactiveSecondaryHoverColourBoldBlue = "#ffffff";
+export const interactiveSecondaryHoverColourBoldGreen = "#ffffff";
+export const interactiveSecondaryHoverColourBoldRed = "#ffffff";
+export const interactiveSecondaryHoverColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryHoverColourNeutralInverseBlue = "#ffffff";
+export const interactiveSecondaryHoverColourNeutralInverseGreen = "#ffffff";
+export const interactiveSecondaryHoverColourNeutralInverseRed = "#ffffff";
+export const interactiveSecondaryHoverColourNeutralInverseYellow = "#ffffff";
+export const interactiveSecondaryActiveBackgroundColourNeutralBlue = "#000039";
+export const interactiveSecondaryActiveBackgroundColourNeutralGreen = "#011b1f";
+export const interactiveSecondaryActiveBackgroundColourNeutralRed = "#480411";
+export const interactiveSecondaryActiveBackgroundColourNeutralYellow = "#572722";
+export const interactiveSecondaryActiveBackgroundColourSubtleBlue = "#000039";
+export const interactiveSecondaryActiveBackgroundColourSubtleGreen = "#011b1f";
+export const interactiveSecondaryActiveBackgroundColourSubtleRed = "#480411";
+export const interactiveSecondaryActiveBackgroundColourSubtleYellow = "#572722";
+export const interactiveSecondaryActiveBackgroundColourBoldBlue = "#000039";
+export const interactiveSecondaryActiveBackgroundColourBoldGreen = "#011b1f";
+export const interactiveSecondaryActiveBackgroundColourBoldRed = "#480411";
+export const interactiveSecondaryActiveBackgroundColourBoldYellow = "#fffbdc";
+export const interactiveSecondaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+export const interactiveSecondaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+export const interactiveSecondaryActiveBackgroundColourNeutralInverseRed = "#480411";
+export const interactiveSecondaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+export const interactiveSecondaryActiveBorderColourNeutralBlue = "#000039";
+export const interactiveSecondaryActiveBorderColourNeutralGreen = "#011b1f";
+export const interactiveSecondaryActiveBorderColourNeutralRed = "#480411";
+export const interactiveSecondaryActiveBorderColourNeutralYellow = "#572722";
+export const interactiveSecondaryActiveBorderColourSubtleBlue = "#000039";
+export const interactiveSecondaryActiveBorderColourSubtleGreen = "#011b1f";
+export const interactiveSecondaryActiveBorderColourSubtleRed = "#480411";
+export const interactiveSecondaryActiveBorderColourSubtleYellow = "#572722";
+export const interactiveSecondaryActiveBorderColourBoldBlue = "#ffffff";
+export const interactiveSecondaryActiveBorderColourBoldGreen = "#ffffff";
+export const interactiveSecondaryActiveBorderColourBoldRed = "#ffffff";
+export const interactiveSecondaryActiveBorderColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryActiveBorderColourNeutralInverseBlue = "#000039";
+export const interactiveSecondaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+export const interactiveSecondaryActiveBorderColourNeutralInverseRed = "#480411";
+export const interactiveSecondaryActiveBorderColourNeutralInverseYellow = "#572722";
+export const interactiveSecondaryActiveColourNeutralBlue = "#ffffff";
+export const interactiveSecondaryActiveColourNeutralGreen = "#ffffff";
+export const interactiveSecondaryActiveColourNeutralRed = "#ffffff";
+export const interactiveSecondaryActiveColourNeutralYellow = "#ffffff";
+export const interactiveSecondaryActiveColourSubtleBlue = "#ffffff";
+export const interactiveSecondaryActiveColourSubtleGreen = "#ffffff";
+export const interactiveSecondaryActiveColourSubtleRed = "#ffffff";
+export const interactiveSecondaryActiveColourSubtleYellow = "#ffffff";
+export const interactiveSecondaryActiveColourBoldBlue = "#ffffff";
+export const interactiveSecondaryActiveColourBoldGreen = "#ffffff";
+export const interactiveSecondaryActiveColourBoldRed = "#ffffff";
+export const interactiveSecondaryActiveColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryActiveColourNeutralInverseBlue = "#ffffff";
+export const interactiveSecondaryActiveColourNeutralInverseGreen = "#ffffff";
+export const interactiveSecondaryActiveColourNeutralInverseRed = "#ffffff";
+export const interactiveSecondaryActiveColourNeutralInverseYellow = "#ffffff";
+export const interactiveSecondaryFocusBackgroundColourNeutralBlue = "#ffffff";
+export const interactiveSecondaryFocusBackgroundColourNeutralGreen = "#ffffff";
+export const interactiveSecondaryFocusBackgroundColourNeutralRed = "#ffffff";
+export const interactiveSecondaryFocusBackgroundColourNeutralYellow = "#ffffff";
+export const interactiveSecondaryFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const interactiveSecondaryFocusBackgroundColourSubtleGreen = "#caeedd";
+export const interactiveSecondaryFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const interactiveSecondaryFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const interactiveSecondaryFocusBackgroundColourBoldBlue = "#005dba";
+export const interactiveSecondaryFocusBackgroundColourBoldGreen = "#00633d";
+export const interactiveSecondaryFocusBackgroundColourBoldRed = "#c50b30";
+export const interactiveSecondaryFocusBackgroundColourBoldYellow = "#ffb600";
+export const interactiveSecondaryFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const interactiveSecondaryFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const interactiveSecondaryFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const interactiveSecondaryFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const interactiveSecondaryFocusBorderColourNeutralBlue = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourNeutralGreen = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourNeutralRed = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourNeutralYellow = "#000000";
+export const interactiveSecondaryFocusBorderColourSubtleBlue = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourSubtleGreen = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourSubtleRed = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourSubtleYellow = "#000000";
+export const interactiveSecondaryFocusBorderColourBoldBlue = "#ffffff";
+export const interactiveSecondaryFocusBorderColourBoldGreen = "#ffffff";
+export const interactiveSecondaryFocusBorderColourBoldRed = "#ffffff";
+export const interactiveSecondaryFocusBorderColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const interactiveSecondaryFocusBorderColourNeutralInverseYellow = "#000000";
+export const interactiveSecondaryFocusColourNeutralBlue = "#1d1d1b";
+export const interactiveSecondaryFocusColourNeutralGreen = "#1d1d1b";
+export const interactiveSecondaryFocusColourNeutralRed = "#1d1d1b";
+export const interactiveSecondaryFocusColourNeutralYellow = "#000000";
+export const interactiveSecondaryFocusColourSubtleBlue = "#1d1d1b";
+export const interactiveSecondaryFocusColourSubtleGreen = "#1d1d1b";
+export const interactiveSecondaryFocusColourSubtleRed = "#1d1d1b";
+export const interactiveSecondaryFocusColourSubtleYellow = "#000000";
+export const interactiveSecondaryFocusColourBoldBlue = "#ffffff";
+export const interactiveSecondaryFocusColourBoldGreen = "#ffffff";
+export const interactiveSecondaryFocusColourBoldRed = "#ffffff";
+export const interactiveSecondaryFocusColourBoldYellow = "#1d1d1b";
+export const interactiveSecondaryFocusColourNeutralInverseBlue = "#1d1d1b";
+export const interactiveSecondaryFocusColourNeutralInverseGreen = "#1d1d1b";
+export const interactiveSecondaryFocusColourNeutralInverseRed = "#1d1d1b";
+export const interactiveSecondaryFocusColourNeutralInverseYellow = "#000000";
+export const interactiveSecondaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+export const interactiveSecondaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+export const interactiveSecondaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+export const interactiveSecondaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+export const interactiveSecondaryDisabledBackgroundColourSubtleBlue = "#aee1f7";
+export const interactiveSecondaryDisabledBackgroundColourSubtleGreen = "#caeedd";
+export const interactiveSecondaryDisabledBackgroundColourSubtleRed = "#ffd5d2";
+export const interactiveSecondaryDisabledBackgroundColourSubtleYellow = "#fff9c7";
+export const interactiveSecondaryDisabledBackgroundColourBoldBlue = "#005dba";
+export const interactiveSecondaryDisabledBackgroundColourBoldGreen = "#00633d";
+export const interactiveSecondaryDisabledBackgroundColourBoldRed = "#c50b30";
+export const interactiveSecondaryDisabledBackgroundColourBoldYellow = "#ffb600";
+export const interactiveSecondaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+export const interactiveSecondaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+export const interactiveSecondaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+export const interactiveSecondaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourNeutralRed = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourSubtleBlue = "#76c8f1";
+export const interactiveSecondaryDisabledBorderColourSubtleGreen = "#7fce9f";
+export const interactiveSecondaryDisabledBorderColourSubtleRed = "#ff7e7e";
+export const interactiveSecondaryDisabledBorderColourSubtleYellow = "#ffe969";
+export const interactiveSecondaryDisabledBorderColourBoldBlue = "#001d6e";
+export const interactiveSecondaryDisabledBorderColourBoldGreen = "#014a39";
+export const interactiveSecondaryDisabledBorderColourBoldRed = "#940824";
+export const interactiveSecondaryDisabledBorderColourBoldYellow = "#c86426";
+export const interactiveSecondaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const interactiveSecondaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const interactiveSecondaryDisabledColourNeutralBlue = "#7a7b7b";
+export const interactiveSecondaryDisabledColourNeutralGreen = "#7a7b7b";
+export const interactiveSecondaryDisabledColourNeutralRed = "#7a7b7b";
+export const interactiveSecondaryDisabledColourNeutralYellow = "#7a7b7b";
+export const interactiveSecondaryDisabledColourSubtleBlue = "#1e84d2";
+export const interactiveSecondaryDisabledColourSubtleGreen = "#1a8952";
+export const interactiveSecondaryDisabledColourSubtleRed = "#e2223e";
+export const interactiveSecondaryDisabledColourSubtleYellow = "#ffb600";
+export const interactiveSecondaryDisabledColourBoldBlue = "#001d6e";
+export const interactiveSecondaryDisabledColourBoldGreen = "#014a39";
+export const interactiveSecondaryDisabledColourBoldRed = "#940824";
+export const interactiveSecondaryDisabledColourBoldYellow = "#c86426";
+export const interactiveSecondaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+export const interactiveSecondaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+export const interactiveSecondaryDisabledColourNeutralInverseRed = "#7a7b7b";
+export const interactiveSecondaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+export const interactiveStatusRestBackgroundColourNeutralInfo = "#005dba";
+export const interactiveStatusRestBackgroundColourNeutralSuccess = "#00633d";
+export const interactiveStatusRestBackgroundColourNeutralWarning = "#ffb600";
+export const interactiveStatusRestBackgroundColourNeutralError = "#c50b30";
+export const interactiveStatusRestBackgroundColourNeutralGeneric = "#4d4f4f";
+export const interactiveStatusRestBackgroundColourSubtleInfo = "#005dba";
+export const interactiveStatusRestBackgroundColourSubtleSuccess = "#00633d";
+export const interactiveStatusRestBackgroundColourSubtleWarning = "#ffb600";
+export const interactiveStatusRestBackgroundColourSubtleError = "#c50b30";
+export const interactiveStatusRestBackgroundColourSubtleGeneric = "#4d4f4f";
+export const interactiveStatusRestBackgroundColourBoldInfo = "#005dba";
+export const interactiveStatusRestBackgroundColourBoldSuccess = "#00633d";
+export const interactiveStatusRestBackgroundColourBoldWarning = "#ffb600";
+export const interactiveStatusRestBackgroundColourBoldError = "#c50b30";
+export const interactiveStatusRestBackgroundColourBoldGeneric = "#4d4f4f";
+export const interactiveStatusRestBackgroundColourNeutralInverseInfo = "#005dba";
+export const interactiveStatusRestBackgroundColourNeutralInverseSuccess = "#00633d";
+export const interactiveStatusRestBackgroundColourNeutralInverseWarning = "#ffb600";
+export const interactiveStatusRestBackgroundColourNeutralInverseError = "#c50b30";
+export const interactiveStatusRestBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+export const interactiveStatusRestBorderColourNeutralInfo = "#005dba";
+export const interactiveStatusRestBorderColourNeutralSuccess = "#00633d";
+export const interactiveStatusRestBorderColourNeutralWarning = "#ffb600";
+export const interactiveStatusRestBorderColourNeutralError = "#c50b30";
+export const interactiveStatusRestBorderColourNeutralGeneric = "#4d4f4f";
+export const interactiveStatusRestBorderColourSubtleInfo = "#005dba";
+export const interactiveStatusRestBorderColourSubtleSuccess = "#00633d";
+export const interactiveStatusRestBorderColourSubtleWarning = "#ffb600";
+export const interactiveStatusRestBorderColourSubtleError = "#c50b30";
+export const interactiveStatusRestBorderColourSubtleGeneric = "#4d4f4f";
+export const interactiveStatusRestBorderColourBoldInfo = "#005dba";
+export const interactiveStatusRestBorderColourBoldSuccess = "#00633d";
+export const interactiveStatusRestBorderColourBoldWarning = "#ffb600";
+export const interactiveStatusRestBorderColourBoldError = "#c50b30";
+export const interactiveStatusRestBorderColourBoldGeneric = "#4d4f4f";
+export const interactiveStatusRestBorderColourNeutralInverseInfo = "#005dba";
+export const interactiveStatusRestBorderColourNeutralInverseSuccess = "#00633d";
+export const interactiveStatusRestBorderColourNeutralInverseWarning = "#ffb600";
+export const interactiveStatusRestBorderColourNeutralInverseError = "#c50b30";
+export const interactiveStatusRestBorderColourNeutralInverseGeneric = "#4d4f4f";
+export const interactiveStatusRestColourNeutralInfo = "#ffffff";
+export const interactiveStatusRestColourNeutralSuccess = "#ffffff";
+export const interactiveStatusRestColourNeutralWarning = "#1d1d1b";
+export const interactiveStatusRestColourNeutralError = "#ffffff";
+export const interactiveStatusRestColourNeutralGeneric = "#ffffff";
+export const interactiveStatusRestColourSubtleInfo = "#ffffff";
+export const interactiveStatusRestColourSubtleSuccess = "#ffffff";
+export const interactiveStatusRestColourSubtleWarning = "#1d1d1b";
+export const interactiveStatusRestColourSubtleError = "#ffffff";
+export const interactiveStatusRestColourSubtleGeneric = "#ffffff";
+export const interactiveStatusRestColourBoldInfo = "#ffffff";
+export const interactiveStatusRestColourBoldSuccess = "#ffffff";
+export const interactiveStatusRestColourBoldWarning = "#1d1d1b";
+export const interactiveStatusRestColourBoldError = "#ffffff";
+export const interactiveStatusRestColourBoldGeneric = "#ffffff";
+export const interactiveStatusRestColourNeutralInverseInfo = "#ffffff";
+export const interactiveStatusRestColourNeutralInverseSuccess = "#ffffff";
+export const interactiveStatusRestColourNeutralInverseWarning = "#1d1d1b";
+export const interactiveStatusRestColourNeutralInverseError = "#ffffff";
+export const interactiveStatusRestColourNeutralInverseGeneric = "#ffffff";
+export const interactiveStatusHoverBackgroundColourNeutralInfo = "#001d6e";
+export const interactiveStatusHoverBackgroundColourNeutralSuccess = "#01312e";
+export const interactiveStatusHoverBackgroundColourNeutralWarning = "#904029";
+export const interactiveStatusHoverBackgroundColourNeutralError = "#940824";
+export const interactiveStatusHoverBackgroundColourNeutralGeneric = "#343634";
+export const interactiveStatusHoverBackgroundColourSubtleInfo = "#001d6e";
+export const interactiveStatusHoverBackgroundColourSubtleSuccess = "#01312e";
+export const interactiveStatusHoverBackgroundColourSubtleWarning = "#904029";
+export const interactiveStatusHoverBackgroundColourSubtleError = "#940824";
+export const interactiveStatusHoverBackgroundColourSubtleGeneric = "#343634";
+export const interactiveStatusHoverBackgroundColourBoldInfo = "#001d6e";
+export const interactiveStatusHoverBackgroundColourBoldSuccess = "#01312e";
+export const interactiveStatusHoverBackgroundColourBoldWarning = "#904029";
+export const interactiveStatusHoverBackgroundColourBoldError = "#940824";
+export const interactiveStatusHoverBackgroundColourBoldGeneric = "#343634";
+export const interactiveStatusHoverBackgroundColourNeutralInverseInfo = "#001d6e";
+export const interactiveStatusHoverBackgroundColourNeutralInverseSuccess = "#01312e";
+export const interactiveStatusHoverBackgroundColourNeutralInverseWarning = "#904029";
+export const interactiveStatusHoverBackgroundColourNeutralInverseError = "#940824";
+export const interactiveStatusHoverBackgroundColourNeutralInverseGeneric = "#343634";
+export const interactiveStatusHoverBorderColourNeutralInfo = "#001d6e";
+export const interactiveStatusHoverBorderColourNeutralSuccess = "#01312e";
+export const interactiveStatusHoverBorderColourNeutralWarning = "#904029";
+export const interactiveStatusHoverBorderColourNeutralError = "#940824";
+export const interactiveStatusHoverBorderColourNeutralGeneric = "#343634";
+export const interactiveStatusHoverBorderColourSubtleInfo = "#001d6e";
+export const interactiveStatusHoverBorderColourSubtleSuccess = "#01312e";
+export const interactiveStatusHoverBorderColourSubtleWarning = "#904029";
+export const interactiveStatusHoverBorderColourSubtleError = "#940824";
+export const interactiveStatusHoverBorderColourSubtleGeneric = "#343634";
+export const interactiveStatusHoverBorderColourBoldInfo = "#001d6e";
+export const interactiveStatusHoverBorderColourBoldSuccess = "#01312e";
+export const interactiveStatusHoverBorderColourBoldWarning = "#904029";
+export const interactiveStatusHoverBorderColourBoldError = "#940824";
+export const interactiveStatusHoverBorderColourBoldGeneric = "#343634";
+export const interactiveStatusHoverBorderColourNeutralInverseInfo = "#001d6e";
+export const interactiveStatusHoverBorderColourNeutralInverseSuccess = "#01312e";
+export const interactiveStatusHoverBorderColourNeutralInverseWarning = "#904029";
+export const interactiveStatusHoverBorderColourNeutralInverseError = "#940824";
+export const interactiveStatusHoverBorderColourNeutralInverseGeneric = "#343634";
+export const interactiveStatusHoverColourNeutralInfo = "#ffffff";
+export const interactiveStatusHoverColourNeutralSuccess = "#ffffff";
+export const interactiveStatusHoverColourNeutralWarning = "#ffffff";
+export const interactiveStatusHoverColourNeutralError = "#ffffff";
+export const interactiveStatusHoverColourNeutralGeneric = "#ffffff";
+export const interactiveStatusHoverColourSubtleInfo = "#ffffff";
+export const interactiveStatusHoverColourSubtleSuccess = "#ffffff";
+export const interactiveStatusHoverColourSubtleWarning = "#ffffff";
+export const interactiveStatusHoverColourSubtleError = "#ffffff";
+export const interactiveStatusHoverColourSubtleGeneric = "#ffffff";
+export const interactiveStatusHoverColourBoldInfo = "#ffffff";
+export const interactiveStatusHoverColourBoldSuccess = "#ffffff";
+export const interactiveStatusHoverColourBoldWarning = "#ffffff";
+export const interactiveStatusHoverColourBoldError = "#ffffff";
+export const interactiveStatusHoverColourBoldGeneric = "#ffffff";
+export const interactiveStatusHoverColourNeutralInverseInfo = "#ffffff";
+export const interactiveStatusHoverColourNeutralInverseSuccess = "#ffffff";
+export const interactiveStatusHoverColourNeutralInverseWarning = "#ffffff";
+export const interactiveStatusHoverColourNeutralInverseError = "#ffffff";
+export const interactiveStatusHoverColourNeutralInverseGeneric = "#ffffff";
+export const interactiveStatusActiveBackgroundColourNeutralInfo = "#000a52";
+export const interactiveStatusActiveBackgroundColourNeutralSuccess = "#012425";
+export const interactiveStatusActiveBackgroundColourNeutralWarning = "#572722";
+export const interactiveStatusActiveBackgroundColourNeutralError = "#6e061b";
+export const interactiveStatusActiveBackgroundColourNeutralGeneric = "#1d1d1b";
+export const interactiveStatusActiveBackgroundColourSubtleInfo = "#000a52";
+export const interactiveStatusActiveBackgroundColourSubtleSuccess = "#012425";
+export const interactiveStatusActiveBackgroundColourSubtleWarning = "#572722";
+export const interactiveStatusActiveBackgroundColourSubtleError = "#6e061b";
+export const interactiveStatusActiveBackgroundColourSubtleGeneric = "#1d1d1b";
+export const interactiveStatusActiveBackgroundColourBoldInfo = "#000a52";
+export const interactiveStatusActiveBackgroundColourBoldSuccess = "#012425";
+export const interactiveStatusActiveBackgroundColourBoldWarning = "#572722";
+export const interactiveStatusActiveBackgroundColourBoldError = "#6e061b";
+export const interactiveStatusActiveBackgroundColourBoldGeneric = "#1d1d1b";
+export const interactiveStatusActiveBackgroundColourNeutralInverseInfo = "#000a52";
+export const interactiveStatusActiveBackgroundColourNeutralInverseSuccess = "#012425";
+export const interactiveStatusActiveBackgroundColourNeutralInverseWarning = "#572722";
+export const interactiveStatusActiveBackgroundColourNeutralInverseError = "#6e061b";
+export const interactiveStatusActiveBackgroundColourNeutralInverseGeneric = "#1d1d1b";
+export const interactiveStatusActiveBorderColourNeutralInfo = "#000a52";
+export const interactiveStatusActiveBorderColourNeutralSuccess = "#012425";
+export const interactiveStatusActiveBorderColourNeutralWarning = "#572722";
+export const interactiveStatusActiveBorderColourNeutralError = "#6e061b";
+export const interactiveStatusActiveBorderColourNeutralGeneric = "#1d1d1b";
+export const interactiveStatusActiveBorderColourSubtleInfo = "#000a52";
+export const interactiveStatusActiveBorderColourSubtleSuccess = "#012425";
+export const interactiveStatusActiveBorderColourSubtleWarning = "#572722";
+export const interactiveStatusActiveBorderColourSubtleError = "#6e061b";
+export const interactiveStatusActiveBorderColourSubtleGeneric = "#1d1d1b";
+export const interactiveStatusActiveBorderColourBoldInfo = "#000a52";
+export const interactiveStatusActiveBorderColourBoldSuccess = "#012425";
+export const interactiveStatusActiveBorderColourBoldWarning = "#572722";
+export const interactiveStatusActiveBorderColourBoldError = "#6e061b";
+export const interactiveStatusActiveBorderColourBoldGeneric = "#1d1d1b";
+export const interactiveStatusActiveBorderColourNeutralInverseInfo = "#000a52";
+export const interactiveStatusActiveBorderColourNeutralInverseSuccess = "#012425";
+export const interactiveStatusActiveBorderColourNeutralInverseWarning = "#572722";
+export const interactiveStatusActiveBorderColourNeutralInverseError = "#6e061b";
+export const interactiveStatusActiveBorderColourNeutralInverseGeneric = "#1d1d1b";
+export const interactiveStatusActiveColourNeutralInfo = "#ffffff";
+export const interactiveStatusActiveColourNeutralSuccess = "#ffffff";
+export const interactiveStatusActiveColourNeutralWarning = "#ffffff";
+export const interactiveStatusActiveColourNeutralError = "#ffffff";
+export const interactiveStatusActiveColourNeutralGeneric = "#ffffff";
+export const interactiveStatusActiveColourSubtleInfo = "#ffffff";
+export const interactiveStatusActiveColourSubtleSuccess = "#ffffff";
+export const interactiveStatusActiveColourSubtleWarning = "#ffffff";
+export const interactiveStatusActiveColourSubtleError = "#ffffff";
+export const interactiveStatusActiveColourSubtleGeneric = "#ffffff";
+export const interactiveStatusActiveColourBoldInfo = "#ffffff";
+export const interactiveStatusActiveColourBoldSuccess = "#ffffff";
+export const interactiveStatusActiveColourBoldWarning = "#ffffff";
+export const interactiveStatusActiveColourBoldError = "#ffffff";
+export const interactiveStatusActiveColourBoldGeneric = "#ffffff";
+export const interactiveStatusActiveColourNeutralInverseInfo = "#ffffff";
+export const interactiveStatusActiveColourNeutralInverseSuccess = "#ffffff";
+export const interactiveStatusActiveColourNeutralInverseWarning = "#ffffff";
+export const interactiveStatusActiveColourNeutralInverseError = "#ffffff";
+export const interactiveStatusActiveColourNeutralInverseGeneric = "#ffffff";
+export const interactiveStatusFocusBackgroundColourNeutralInfo = "#005dba";
+export const interactiveStatusFocusBackgroundColourNeutralSuccess = "#00633d";
+export const interactiveStatusFocusBackgroundColourNeutralWarning = "#ffb600";
+export const interactiveStatusFocusBackgroundColourNeutralError = "#c50b30";
+export const interactiveStatusFocusBackgroundColourNeutralGeneric = "#4d4f4f";
+export const interactiveStatusFocusBackgroundColourSubtleInfo = "#005dba";
+export const interactiveStatusFocusBackgroundColourSubtleSuccess = "#00633d";
+export const interactiveStatusFocusBackgroundColourSubtleWarning = "#ffb600";
+export const interactiveStatusFocusBackgroundColourSubtleError = "#c50b30";
+export const interactiveStatusFocusBackgroundColourSubtleGeneric = "#4d4f4f";
+export const interactiveStatusFocusBackgroundColourBoldInfo = "#005dba";
+export const interactiveStatusFocusBackgroundColourBoldSuccess = "#00633d";
+export const interactiveStatusFocusBackgroundColourBoldWarning = "#ffb600";
+export const interactiveStatusFocusBackgroundColourBoldError = "#c50b30";
+export const interactiveStatusFocusBackgroundColourBoldGeneric = "#4d4f4f";
+export const interactiveStatusFocusBackgroundColourNeutralInverseInfo = "#005dba";
+export const interactiveStatusFocusBackgroundColourNeutralInverseSuccess = "#00633d";
+export const interactiveStatusFocusBackgroundColourNeutralInverseWarning = "#ffb600";
+export const interactiveStatusFocusBackgroundColourNeutralInverseError = "#c50b30";
+export const interactiveStatusFocusBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+export const interactiveStatusFocusBorderColourNeutralInfo = "#005dba";
+export const interactiveStatusFocusBorderColourNeutralSuccess = "#00633d";
+export const interactiveStatusFocusBorderColourNeutralWarning = "#ffb600";
+export const interactiveStatusFocusBorderColourNeutralError = "#c50b30";
+export const interactiveStatusFocusBorderColourNeutralGeneric = "#4d4f4f";
+export const interactiveStatusFocusBorderColourSubtleInfo = "#005dba";
+export const interactiveStatusFocusBorderColourSubtleSuccess = "#00633d";
+export const interactiveStatusFocusBorderColourSubtleWarning = "#ffb600";
+export const interactiveStatusFocusBorderColourSubtleError = "#c50b30";
+export const interactiveStatusFocusBorderColourSubtleGeneric = "#4d4f4f";
+export const interactiveStatusFocusBorderColourBoldInfo = "#005dba";
+export const interactiveStatusFocusBorderColourBoldSuccess = "#00633d";
+export const interactiveStatusFocusBorderColourBoldWarning = "#ffb600";
+export const interactiveStatusFocusBorderColourBoldError = "#c50b30";
+export const interactiveStatusFocusBorderColourBoldGeneric = "#4d4f4f";
+export const interactiveStatusFocusBorderColourNeutralInverseInfo = "#005dba";
+export const interactiveStatusFocusBorderColourNeutralInverseSuccess = "#00633d";
+export const interactiveStatusFocusBorderColourNeutralInverseWarning = "#ffb600";
+export const interactiveStatusFocusBorderColourNeutralInverseError = "#c50b30";
+export const interactiveStatusFocusBorderColourNeutralInverseGeneric = "#4d4f4f";
+export const interactiveStatusFocusColourNeutralInfo = "#ffffff";
+export const interactiveStatusFocusColourNeutralSuccess = "#ffffff";
+export const interactiveStatusFocusColourNeutralWarning = "#1d1d1b";
+export const interactiveStatusFocusColourNeutralError = "#ffffff";
+export const interactiveStatusFocusColourNeutralGeneric = "#ffffff";
+export const interactiveStatusFocusColourSubtleInfo = "#ffffff";
+export const interactiveStatusFocusColourSubtleSuccess = "#ffffff";
+export const interactiveStatusFocusColourSubtleWarning = "#1d1d1b";
+export const interactiveStatusFocusColourSubtleError = "#ffffff";
+export const interactiveStatusFocusColourSubtleGeneric = "#ffffff";
+export const interactiveStatusFocusColourBoldInfo = "#ffffff";
+export const interactiveStatusFocusColourBoldSuccess = "#ffffff";
+export const interactiveStatusFocusColourBoldWarning = "#1d1d1b";
+export const interactiveStatusFocusColourBoldError = "#ffffff";
+export const interactiveStatusFocusColourBoldGeneric = "#ffffff";
+export const interactiveStatusFocusColourNeutralInverseInfo = "#ffffff";
+export const interactiveStatusFocusColourNeutralInverseSuccess = "#ffffff";
+export const interactiveStatusFocusColourNeutralInverseWarning = "#1d1d1b";
+export const interactiveStatusFocusColourNeutralInverseError = "#ffffff";
+export const interactiveStatusFocusColourNeutralInverseGeneric = "#ffffff";
+export const interactiveStatusDisabledBackgroundColourNeutralInfo = "#76c8f1";
+export const interactiveStatusDisabledBackgroundColourNeutralSuccess = "#7fce9f";
+export const interactiveStatusDisabledBackgroundColourNeutralWarning = "#ffe969";
+export const interactiveStatusDisabledBackgroundColourNeutralError = "#ff7e7e";
+export const interactiveStatusDisabledBackgroundColourNeutralGeneric = "#bcbdbd";
+export const interactiveStatusDisabledBackgroundColourSubtleInfo = "#76c8f1";
+export const interactiveStatusDisabledBackgroundColourSubtleSuccess = "#7fce9f";
+export const interactiveStatusDisabledBackgroundColourSubtleWarning = "#ffe969";
+export const interactiveStatusDisabledBackgroundColourSubtleError = "#ff7e7e";
+export const interactiveStatusDisabledBackgroundColourSubtleGeneric = "#bcbdbd";
+export const interactiveStatusDisabledBackgroundColourBoldInfo = "#76c8f1";
+export const interactiveStatusDisabledBackgroundColourBoldSuccess = "#7fce9f";
+export const interactiveStatusDisabledBackgroundColourBoldWarning = "#ffe969";
+export const interactiveStatusDisabledBackgroundColourBoldError = "#ff7e7e";
+export const interactiveStatusDisabledBackgroundColourBoldGeneric = "#bcbdbd";
+export const interactiveStatusDisabledBackgroundColourNeutralInverseInfo = "#76c8f1";
+export const interactiveStatusDisabledBackgroundColourNeutralInverseSuccess = "#7fce9f";
+export const interactiveStatusDisabledBackgroundColourNeutralInverseWarning = "#ffe969";
+export const interactiveStatusDisabledBackgroundColourNeutralInverseError = "#ff7e7e";
+export const interactiveStatusDisabledBackgroundColourNeutralInverseGeneric = "#bcbdbd";
+export const interactiveStatusDisabledBorderColourNeutralInfo = "#76c8f1";
+export const interactiveStatusDisabledBorderColourNeutralSuccess = "#7fce9f";
+export const interactiveStatusDisabledBorderColourNeutralWarning = "#ffe969";
+export const interactiveStatusDisabledBorderColourNeutralError = "#ff7e7e";
+export const interactiveStatusDisabledBorderColourNeutralGeneric = "#bcbdbd";
+export const interactiveStatusDisabledBorderColourSubtleInfo = "#76c8f1";
+export const interactiveStatusDisabledBorderColourSubtleSuccess = "#7fce9f";
+export const interactiveStatusDisabledBorderColourSubtleWarning = "#ffe969";
+export const interactiveStatusDisabledBorderColourSubtleError = "#ff7e7e";
+export const interactiveStatusDisabledBorderColourSubtleGeneric = "#bcbdbd";
+export const interactiveStatusDisabledBorderColourBoldInfo = "#76c8f1";
+export const interactiveStatusDisabledBorderColourBoldSuccess = "#7fce9f";
+export const interactiveStatusDisabledBorderColourBoldWarning = "#ffe969";
+export const interactiveStatusDisabledBorderColourBoldError = "#ff7e7e";
+export const interactiveStatusDisabledBorderColourBoldGeneric = "#bcbdbd";
+export const interactiveStatusDisabledBorderColourNeutralInverseInfo = "#76c8f1";
+export const interactiveStatusDisabledBorderColourNeutralInverseSuccess = "#7fce9f";
+export const interactiveStatusDisabledBorderColourNeutralInverseWarning = "#ffe969";
+export const interactiveStatusDisabledBorderColourNeutralInverseError = "#ff7e7e";
+export const interactiveStatusDisabledBorderColourNeutralInverseGeneric = "#bcbdbd";
+export const interactiveStatusDisabledColourNeutralInfo = "#1e84d2";
+export const interactiveStatusDisabledColourNeutralSuccess = "#1a8952";
+export const interactiveStatusDisabledColourNeutralWarning = "#ffb600";
+export const interactiveStatusDisabledColourNeutralError = "#e2223e";
+export const interactiveStatusDisabledColourNeutralGeneric = "#858686";
+export const interactiveStatusDisabledColourSubtleInfo = "#1e84d2";
+export const interactiveStatusDisabledColourSubtleSuccess = "#1a8952";
+export const interactiveStatusDisabledColourSubtleWarning = "#ffb600";
+export const interactiveStatusDisabledColourSubtleError = "#e2223e";
+export const interactiveStatusDisabledColourSubtleGeneric = "#858686";
+export const interactiveStatusDisabledColourBoldInfo = "#1e84d2";
+export const interactiveStatusDisabledColourBoldSuccess = "#1a8952";
+export const interactiveStatusDisabledColourBoldWarning = "#ffb600";
+export const interactiveStatusDisabledColourBoldError = "#e2223e";
+export const interactiveStatusDisabledColourBoldGeneric = "#858686";
+export const interactiveStatusDisabledColourNeutralInverseInfo = "#1e84d2";
+export const interactiveStatusDisabledColourNeutralInverseSuccess = "#1a8952";
+export const interactiveStatusDisabledColourNeutralInverseWarning = "#ffb600";
+export const interactiveStatusDisabledColourNeutralInverseError = "#e2223e";
+export const interactiveStatusDisabledColourNeutralInverseGeneric = "#858686";
+export const interactiveTextDefaultRestNeutralBlue = "#005dba";
+export const interactiveTextDefaultRestNeutralGreen = "#00633d";
+export const interactiveTextDefaultRestNeutralRed = "#c50b30";
+export const interactiveTextDefaultRestNeutralYellow = "#1d1d1b";
+export const interactiveTextDefaultRestSubtleBlue = "#005dba";
+export const interactiveTextDefaultRestSubtleGreen = "#00633d";
+export const interactiveTextDefaultRestSubtleRed = "#c50b30";
+export const interactiveTextDefaultRestSubtleYellow = "#1d1d1b";
+export const interactiveTextDefaultRestBoldBlue = "#f4f4f4";
+export const interactiveTextDefaultRestBoldGreen = "#f4f4f4";
+export const interactiveTextDefaultRestBoldRed = "#f4f4f4";
+export const interactiveTextDefaultRestBoldYellow = "#1d1d1b";
+export const interactiveTextDefaultRestNeutralInverseBlue = "#005dba";
+export const interactiveTextDefaultRestNeutralInverseGreen = "#00633d";
+export const interactiveTextDefaultRestNeutralInverseRed = "#c50b30";
+export const interactiveTextDefaultRestNeutralInverseYellow = "#1d1d1b";
+export const interactiveTextDefaultHoverNeutralBlue = "#001d6e";
+export const interactiveTextDefaultHoverNeutralGreen = "#01312e";
+export const interactiveTextDefaultHoverNeutralRed = "#940824";
+export const interactiveTextDefaultHoverNeutralYellow = "#1d1d1b";
+export const interactiveTextDefaultHoverSubtleBlue = "#001d6e";
+export const interactiveTextDefaultHoverSubtleGreen = "#01312e";
+export const interactiveTextDefaultHoverSubtleRed = "#940824";
+export const interactiveTextDefaultHoverSubtleYellow = "#1d1d1b";
+export const interactiveTextDefaultHoverBoldBlue = "#f4f4f4";
+export const interactiveTextDefaultHoverBoldGreen = "#f4f4f4";
+export const interactiveTextDefaultHoverBoldRed = "#f4f4f4";
+export const interactiveTextDefaultHoverBoldYellow = "#1d1d1b";
+export const interactiveTextDefaultHoverNeutralInverseBlue = "#001d6e";
+export const interactiveTextDefaultHoverNeutralInverseGreen = "#01312e";
+export const interactiveTextDefaultHoverNeutralInverseRed = "#940824";
+export const interactiveTextDefaultHoverNeutralInverseYellow = "#1d1d1b";
+export const interactiveTextDefaultActiveNeutralBlue = "#000a52";
+export const interactiveTextDefaultActiveNeutralGreen = "#012425";
+export const interactiveTextDefaultActiveNeutralRed = "#6e061b";
+export const interactiveTextDefaultActiveNeutralYellow = "#1d1d1b";
+export const interactiveTextDefaultActiveSubtleBlue = "#000a52";
+export const interactiveTextDefaultActiveSubtleGreen = "#012425";
+export const interactiveTextDefaultActiveSubtleRed = "#6e061b";
+export const interactiveTextDefaultActiveSubtleYellow = "#1d1d1b";
+export const interactiveTextDefaultActiveBoldBlue = "#f4f4f4";
+export const interactiveTextDefaultActiveBoldGreen = "#f4f4f4";
+export const interactiveTextDefaultActiveBoldRed = "#f4f4f4";
+export const interactiveTextDefaultActiveBoldYellow = "#1d1d1b";
+export const interactiveTextDefaultActiveNeutralInverseBlue = "#000a52";
+export const interactiveTextDefaultActiveNeutralInverseGreen = "#012425";
+export const interactiveTextDefaultActiveNeutralInverseRed = "#6e061b";
+export const interactiveTextDefaultActiveNeutralInverseYellow = "#1d1d1b";
+export const interactiveTextDefaultVisitedNeutralBlue = "#005dba";
+export const interactiveTextDefaultVisitedNeutralGreen = "#00633d";
+export const interactiveTextDefaultVisitedNeutralRed = "#c50b30";
+export const interactiveTextDefaultVisitedNeutralYellow = "#1d1d1b";
+export const interactiveTextDefaultVisitedSubtleBlue = "#005dba";
+export const interactiveTextDefaultVisitedSubtleGreen = "#00633d";
+export const interactiveTextDefaultVisitedSubtleRed = "#c50b30";
+export const interactiveTextDefaultVisitedSubtleYellow = "#1d1d1b";
+export const interactiveTextDefaultVisitedBoldBlue = "#f4f4f4";
+export const interactiveTextDefaultVisitedBoldGreen = "#f4f4f4";
+export const interactiveTextDefaultVisitedBoldRed = "#f4f4f4";
+export const interactiveTextDefaultVisitedBoldYellow = "#1d1d1b";
+export const interactiveTextDefaultVisitedNeutralInverseBlue = "#005dba";
+export const interactiveTextDefaultVisitedNeutralInverseGreen = "#00633d";
+export const interactiveTextDefaultVisitedNeutralInverseRed = "#c50b30";
+export const interactiveTextDefaultVisitedNeutralInverseYellow = "#1d1d1b";
+export const interactiveTextDefaultFocusNeutralBlue = "#005dba";
+export const interactiveTextDefaultFocusNeutralGreen = "#00633d";
+export const interactiveTextDefaultFocusNeutralRed = "#c50b30";
+export const interactiveTextDefaultFocusNeutralYellow = "#1d1d1b";
+export const interactiveTextDefaultFocusSubtleBlue = "#005dba";
+export const interactiveTextDefaultFocusSubtleGreen = "#00633d";
+export const interactiveTextDefaultFocusSubtleRed = "#c50b30";
+export const interactiveTextDefaultFocusSubtleYellow = "#1d1d1b";
+export const interactiveTextDefaultFocusBoldBlue = "#f4f4f4";
+export const interactiveTextDefaultFocusBoldGreen = "#f4f4f4";
+export const interactiveTextDefaultFocusBoldRed = "#f4f4f4";
+export const interactiveTextDefaultFocusBoldYellow = "#1d1d1b";
+export const interactiveTextDefaultFocusNeutralInverseBlue = "#005dba";
+export const interactiveTextDefaultFocusNeutralInverseGreen = "#00633d";
+export const interactiveTextDefaultFocusNeutralInverseRed = "#c50b30";
+export const interactiveTextDefaultFocusNeutralInverseYellow = "#1d1d1b";
+export const interactiveTextFocusBorderWidthNeutralBlue = 1;
+export const interactiveTextFocusBorderWidthNeutralGreen = 1;
+export const interactiveTextFocusBorderWidthNeutralRed = 1;
+export const interactiveTextFocusBorderWidthNeutralYellow = 1;
+export const interactiveTextFocusBorderWidthSubtleBlue = 1;
+export const interactiveTextFocusBorderWidthSubtleGreen = 1;
+export const interactiveTextFocusBorderWidthSubtleRed = 1;
+export const interactiveTextFocusBorderWidthSubtleYellow = 1;
+export const interactiveTextFocusBorderWidthBoldBlue = 1;
+export const interactiveTextFocusBorderWidthBoldGreen = 1;
+export const interactiveTextFocusBorderWidthBoldRed = 1;
+export const interactiveTextFocusBorderWidthBoldYellow = 1;
+export const interactiveTextFocusBorderWidthNeutralInverseBlue = 1;
+export const interactiveTextFocusBorderWidthNeutralInverseGreen = 1;
+export const interactiveTextFocusBorderWidthNeutralInverseRed = 1;
+export const interactiveTextFocusBorderWidthNeutralInverseYellow = 1;
+export const interactiveTextFocusBorderRadiusNeutralBlue = 4;
+export const interactiveTextFocusBorderRadiusNeutralGreen = 4;
+export const interactiveTextFocusBorderRadiusNeutralRed = 4;
+export const interactiveTextFocusBorderRadiusNeutralYellow = 4;
+export const interactiveTextFocusBorderRadiusSubtleBlue = 4;
+export const interactiveTextFocusBorderRadiusSubtleGreen = 4;
+export const interactiveTextFocusBorderRadiusSubtleRed = 4;
+export const interactiveTextFocusBorderRadiusSubtleYellow = 4;
+export const interactiveTextFocusBorderRadiusBoldBlue = 4;
+export const interactiveTextFocusBorderRadiusBoldGreen = 4;
+export const interactiveTextFocusBorderRadiusBoldRed = 4;
+export const interactiveTextFocusBorderRadiusBoldYellow = 4;
+export const interactiveTextFocusBorderRadiusNeutralInverseBlue = 4;
+export const interactiveTextFocusBorderRadiusNeutralInverseGreen = 4;
+export const interactiveTextFocusBorderRadiusNeutralInverseRed = 4;
+export const interactiveTextFocusBorderRadiusNeutralInverseYellow = 4;
+export const interactiveTextMonoRestNeutralBlue = "#000000";
+export const interactiveTextMonoRestNeutralGreen = "#000000";
+export const interactiveTextMonoRestNeutralRed = "#000000";
+export const interactiveTextMonoRestNeutralYellow = "#000000";
+export const interactiveTextMonoRestSubtleBlue = "#000000";
+export const interactiveTextMonoRestSubtleGreen = "#000000";
+export const interactiveTextMonoRestSubtleRed = "#000000";
+export const interactiveTextMonoRestSubtleYellow = "#000000";
+export const interactiveTextMonoRestBoldBlue = "#f4f4f4";
+export const interactiveTextMonoRestBoldGreen = "#f4f4f4";
+export const interactiveTextMonoRestBoldRed = "#f4f4f4";
+export const interactiveTextMonoRestBoldYellow = "#1d1d1b";
+export const interactiveTextMonoRestNeutralInverseBlue = "#000000";
+export const interactiveTextMonoRestNeutralInverseGreen = "#000000";
+export const interactiveTextMonoRestNeutralInverseRed = "#000000";
+export const interactiveTextMonoRestNeutralInverseYellow = "#000000";
+export const interactiveTextMonoHoverNeutralBlue = "#000000";
+export const interactiveTextMonoHoverNeutralGreen = "#000000";
+export const interactiveTextMonoHoverNeutralRed = "#000000";
+export const interactiveTextMonoHoverNeutralYellow = "#000000";
+export const interactiveTextMonoHoverSubtleBlue = "#000000";
+export const interactiveTextMonoHoverSubtleGreen = "#000000";
+export const interactiveTextMonoHoverSubtleRed = "#000000";
+export const interactiveTextMonoHoverSubtleYellow = "#000000";
+export const interactiveTextMonoHoverBoldBlue = "#f4f4f4";
+export const interactiveTextMonoHoverBoldGreen = "#f4f4f4";
+export const interactiveTextMonoHoverBoldRed = "#f4f4f4";
+export const interactiveTextMonoHoverBoldYellow = "#1d1d1b";
+export const interactiveTextMonoHoverNeutralInverseBlue = "#000000";
+export const interactiveTextMonoHoverNeutralInverseGreen = "#000000";
+export const interactiveTextMonoHoverNeutralInverseRed = "#000000";
+export const interactiveTextMonoHoverNeutralInverseYellow = "#000000";
+export const interactiveTextMonoActiveNeutralBlue = "#000000";
+export const interactiveTextMonoActiveNeutralGreen = "#000000";
+export const interactiveTextMonoActiveNeutralRed = "#000000";
+export const interactiveTextMonoActiveNeutralYellow = "#000000";
+export const interactiveTextMonoActiveSubtleBlue = "#000000";
+export const interactiveTextMonoActiveSubtleGreen = "#000000";
+export const interactiveTextMonoActiveSubtleRed = "#000000";
+export const interactiveTextMonoActiveSubtleYellow = "#000000";
+export const interactiveTextMonoActiveBoldBlue = "#f4f4f4";
+export const interactiveTextMonoActiveBoldGreen = "#f4f4f4";
+export const interactiveTextMonoActiveBoldRed = "#f4f4f4";
+export const interactiveTextMonoActiveBoldYellow = "#1d1d1b";
+export const interactiveTextMonoActiveNeutralInverseBlue = "#000000";
+export const interactiveTextMonoActiveNeutralInverseGreen = "#000000";
+export const interactiveTextMonoActiveNeutralInverseRed = "#000000";
+export const interactiveTextMonoActiveNeutralInverseYellow = "#000000";
+export const interactiveTextMonoVisitedNeutralBlue = "#000000";
+export const interactiveTextMonoVisitedNeutralGreen = "#000000";
+export const interactiveTextMonoVisitedNeutralRed = "#000000";
+export const interactiveTextMonoVisitedNeutralYellow = "#000000";
+export const interactiveTextMonoVisitedSubtleBlue = "#000000";
+export const interactiveTextMonoVisitedSubtleGreen = "#000000";
+export const interactiveTextMonoVisitedSubtleRed = "#000000";
+export const interactiveTextMonoVisitedSubtleYellow = "#000000";
+export const interactiveTextMonoVisitedBoldBlue = "#f4f4f4";
+export const interactiveTextMonoVisitedBoldGreen = "#f4f4f4";
+export const interactiveTextMonoVisitedBoldRed = "#f4f4f4";
+export const interactiveTextMonoVisitedBoldYellow = "#1d1d1b";
+export const interactiveTextMonoVisitedNeutralInverseBlue = "#000000";
+export const interactiveTextMonoVisitedNeutralInverseGreen = "#000000";
+export const interactiveTextMonoVisitedNeutralInverseRed = "#000000";
+export const interactiveTextMonoVisitedNeutralInverseYellow = "#000000";
+export const interactiveTextMonoFocusNeutralBlue = "#000000";
+export const interactiveTextMonoFocusNeutralGreen = "#000000";
+export const interactiveTextMonoFocusNeutralRed = "#000000";
+export const interactiveTextMonoFocusNeutralYellow = "#000000";
+export const interactiveTextMonoFocusSubtleBlue = "#000000";
+export const interactiveTextMonoFocusSubtleGreen = "#000000";
+export const interactiveTextMonoFocusSubtleRed = "#000000";
+export const interactiveTextMonoFocusSubtleYellow = "#000000";
+export const interactiveTextMonoFocusBoldBlue = "#f4f4f4";
+export const interactiveTextMonoFocusBoldGreen = "#f4f4f4";
+export const interactiveTextMonoFocusBoldRed = "#f4f4f4";
+export const interactiveTextMonoFocusBoldYellow = "#1d1d1b";
+export const interactiveTextMonoFocusNeutralInverseBlue = "#000000";
+export const interactiveTextMonoFocusNeutralInverseGreen = "#000000";
+export const interactiveTextMonoFocusNeutralInverseRed = "#000000";
+export const interactiveTextMonoFocusNeutralInverseYellow = "#000000";
+export const interactiveTextStatusSubtleRestNeutralInfo = "#000039";
+export const interactiveTextStatusSubtleRestNeutralSuccess = "#011b1f";
+export const interactiveTextStatusSubtleRestNeutralWarning = "#000000";
+export const interactiveTextStatusSubtleRestNeutralError = "#000000";
+export const interactiveTextStatusSubtleRestNeutralGeneric = "#000000";
+export const interactiveTextStatusSubtleRestSubtleInfo = "#000039";
+export const interactiveTextStatusSubtleRestSubtleSuccess = "#011b1f";
+export const interactiveTextStatusSubtleRestSubtleWarning = "#000000";
+export const interactiveTextStatusSubtleRestSubtleError = "#000000";
+export const interactiveTextStatusSubtleRestSubtleGeneric = "#000000";
+export const interactiveTextStatusSubtleRestBoldInfo = "#000039";
+export const interactiveTextStatusSubtleRestBoldSuccess = "#011b1f";
+export const interactiveTextStatusSubtleRestBoldWarning = "#000000";
+export const interactiveTextStatusSubtleRestBoldError = "#000000";
+export const interactiveTextStatusSubtleRestBoldGeneric = "#000000";
+export const interactiveTextStatusSubtleRestNeutralInverseInfo = "#000039";
+export const interactiveTextStatusSubtleRestNeutralInverseSuccess = "#011b1f";
+export const interactiveTextStatusSubtleRestNeutralInverseWarning = "#000000";
+export const interactiveTextStatusSubtleRestNeutralInverseError = "#000000";
+export const interactiveTextStatusSubtleRestNeutralInverseGeneric = "#000000";
+export const interactiveTextStatusSubtleHoverNeutralInfo = "#000039";
+export const interactiveTextStatusSubtleHoverNeutralSuccess = "#011b1f";
+export const interactiveTextStatusSubtleHoverNeutralWarning = "#000000";
+export const interactiveTextStatusSubtleHoverNeutralError = "#000000";
+export const interactiveTextStatusSubtleHoverNeutralGeneric = "#000000";
+export const interactiveTextStatusSubtleHoverSubtleInfo = "#000039";
+export const interactiveTextStatusSubtleHoverSubtleSuccess = "#011b1f";
+export const interactiveTextStatusSubtleHoverSubtleWarning = "#000000";
+export const interactiveTextStatusSubtleHoverSubtleError = "#000000";
+export const interactiveTextStatusSubtleHoverSubtleGeneric = "#000000";
+export const interactiveTextStatusSubtleHoverBoldInfo = "#000039";
+export const interactiveTextStatusSubtleHoverBoldSuccess = "#011b1f";
+export const interactiveTextStatusSubtleHoverBoldWarning = "#000000";
+export const interactiveTextStatusSubtleHoverBoldError = "#000000";
+export const interactiveTextStatusSubtleHoverBoldGeneric = "#000000";
+export const interactiveTextStatusSubtleHoverNeutralInverseInfo = "#000039";
+export const interactiveTextStatusSubtleHoverNeutralInverseSuccess = "#011b1f";
+export const interactiveTextStatusSubtleHoverNeutralInverseWarning = "#000000";
+export const interactiveTextStatusSubtleHoverNeutralInverseError = "#000000";
+export const interactiveTextStatusSubtleHoverNeutralInverseGeneric = "#000000";
+export const interactiveTextStatusSubtleActiveNeutralInfo = "#000039";
+export const interactiveTextStatusSubtleActiveNeutralSuccess = "#011b1f";
+export const interactiveTextStatusSubtleActiveNeutralWarning = "#000000";
+export const interactiveTextStatusSubtleActiveNeutralError = "#000000";
+export const interactiveTextStatusSubtleActiveNeutralGeneric = "#000000";
+export const interactiveTextStatusSubtleActiveSubtleInfo = "#000039";
+export const interactiveTextStatusSubtleActiveSubtleSuccess = "#011b1f";
+export const interactiveTextStatusSubtleActiveSubtleWarning = "#000000";
+export const interactiveTextStatusSubtleActiveSubtleError = "#000000";
+export const interactiveTextStatusSubtleActiveSubtleGeneric = "#000000";
+export const interactiveTextStatusSubtleActiveBoldInfo = "#000039";
+export const interactiveTextStatusSubtleActiveBoldSuccess = "#011b1f";
+export const interactiveTextStatusSubtleActiveBoldWarning = "#000000";
+export const interactiveTextStatusSubtleActiveBoldError = "#000000";
+export const interactiveTextStatusSubtleActiveBoldGeneric = "#000000";
+export const interactiveTextStatusSubtleActiveNeutralInverseInfo = "#000039";
+export const interactiveTextStatusSubtleActiveNeutralInverseSuccess = "#011b1f";
+export const interactiveTextStatusSubtleActiveNeutralInverseWarning = "#000000";
+export const interactiveTextStatusSubtleActiveNeutralInverseError = "#000000";
+export const interactiveTextStatusSubtleActiveNeutralInverseGeneric = "#000000";
+export const interactiveTextStatusSubtleVisitedNeutralInfo = "#000039";
+export const interactiveTextStatusSubtleVisitedNeutralSuccess = "#011b1f";
+export const interactiveTextStatusSubtleVisitedNeutralWarning = "#000000";
+export const interactiveTextStatusSubtleVisitedNeutralError = "#000000";
+export const interactiveTextStatusSubtleVisitedNeutralGeneric = "#000000";
+export const interactiveTextStatusSubtleVisitedSubtleInfo = "#000039";
+export const interactiveTextStatusSubtleVisitedSubtleSuccess = "#011b1f";
+export const interactiveTextStatusSubtleVisitedSubtleWarning = "#000000";
+export const interactiveTextStatusSubtleVisitedSubtleError = "#000000";
+export const interactiveTextStatusSubtleVisitedSubtleGeneric = "#000000";
+export const interactiveTextStatusSubtleVisitedBoldInfo = "#000039";
+export const interactiveTextStatusSubtleVisitedBoldSuccess = "#011b1f";
+export const interactiveTextStatusSubtleVisitedBoldWarning = "#000000";
+export const interactiveTextStatusSubtleVisitedBoldError = "#000000";
+export const interactiveTextStatusSubtleVisitedBoldGeneric = "#000000";
+export const interactiveTextStatusSubtleVisitedNeutralInverseInfo = "#000039";
+export const interactiveTextStatusSubtleVisitedNeutralInverseSuccess = "#011b1f";
+export const interactiveTextStatusSubtleVisitedNeutralInverseWarning = "#000000";
+export const interactiveTextStatusSubtleVisitedNeutralInverseError = "#000000";
+export const interactiveTextStatusSubtleVisitedNeutralInverseGeneric = "#000000";
+export const interactiveTextStatusSubtleFocusNeutralInfo = "#000039";
+export const interactiveTextStatusSubtleFocusNeutralSuccess = "#011b1f";
+export const interactiveTextStatusSubtleFocusNeutralWarning = "#000000";
+export const interactiveTextStatusSubtleFocusNeutralError = "#000000";
+export const interactiveTextStatusSubtleFocusNeutralGeneric = "#000000";
+export const interactiveTextStatusSubtleFocusSubtleInfo = "#000039";
+export const interactiveTextStatusSubtleFocusSubtleSuccess = "#011b1f";
+export const interactiveTextStatusSubtleFocusSubtleWarning = "#000000";
+export const interactiveTextStatusSubtleFocusSubtleError = "#000000";
+export const interactiveTextStatusSubtleFocusSubtleGeneric = "#000000";
+export const interactiveTextStatusSubtleFocusBoldInfo = "#000039";
+export const interactiveTextStatusSubtleFocusBoldSuccess = "#011b1f";
+export const interactiveTextStatusSubtleFocusBoldWarning = "#000000";
+export const interactiveTextStatusSubtleFocusBoldError = "#000000";
+export const interactiveTextStatusSubtleFocusBoldGeneric = "#000000";
+export const interactiveTextStatusSubtleFocusNeutralInverseInfo = "#000039";
+export const interactiveTextStatusSubtleFocusNeutralInverseSuccess = "#011b1f";
+export const interactiveTextStatusSubtleFocusNeutralInverseWarning = "#000000";
+export const interactiveTextStatusSubtleFocusNeutralInverseError = "#000000";
+export const interactiveTextStatusSubtleFocusNeutralInverseGeneric = "#000000";
+export const interactiveTextStatusBoldRestNeutralInfo = "#f4f4f4";
+export const interactiveTextStatusBoldRestNeutralSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldRestNeutralWarning = "#1d1d1b";
+export const interactiveTextStatusBoldRestNeutralError = "#f4f4f4";
+export const interactiveTextStatusBoldRestNeutralGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldRestSubtleInfo = "#f4f4f4";
+export const interactiveTextStatusBoldRestSubtleSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldRestSubtleWarning = "#1d1d1b";
+export const interactiveTextStatusBoldRestSubtleError = "#f4f4f4";
+export const interactiveTextStatusBoldRestSubtleGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldRestBoldInfo = "#f4f4f4";
+export const interactiveTextStatusBoldRestBoldSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldRestBoldWarning = "#1d1d1b";
+export const interactiveTextStatusBoldRestBoldError = "#f4f4f4";
+export const interactiveTextStatusBoldRestBoldGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldRestNeutralInverseInfo = "#f4f4f4";
+export const interactiveTextStatusBoldRestNeutralInverseSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldRestNeutralInverseWarning = "#1d1d1b";
+export const interactiveTextStatusBoldRestNeutralInverseError = "#f4f4f4";
+export const interactiveTextStatusBoldRestNeutralInverseGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralInfo = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralWarning = "#1d1d1b";
+export const interactiveTextStatusBoldHoverNeutralError = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldHoverSubtleInfo = "#f4f4f4";
+export const interactiveTextStatusBoldHoverSubtleSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldHoverSubtleWarning = "#1d1d1b";
+export const interactiveTextStatusBoldHoverSubtleError = "#f4f4f4";
+export const interactiveTextStatusBoldHoverSubtleGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldHoverBoldInfo = "#f4f4f4";
+export const interactiveTextStatusBoldHoverBoldSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldHoverBoldWarning = "#1d1d1b";
+export const interactiveTextStatusBoldHoverBoldError = "#f4f4f4";
+export const interactiveTextStatusBoldHoverBoldGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralInverseInfo = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralInverseSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralInverseWarning = "#1d1d1b";
+export const interactiveTextStatusBoldHoverNeutralInverseError = "#f4f4f4";
+export const interactiveTextStatusBoldHoverNeutralInverseGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralInfo = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralWarning = "#1d1d1b";
+export const interactiveTextStatusBoldActiveNeutralError = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldActiveSubtleInfo = "#f4f4f4";
+export const interactiveTextStatusBoldActiveSubtleSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldActiveSubtleWarning = "#1d1d1b";
+export const interactiveTextStatusBoldActiveSubtleError = "#f4f4f4";
+export const interactiveTextStatusBoldActiveSubtleGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldActiveBoldInfo = "#f4f4f4";
+export const interactiveTextStatusBoldActiveBoldSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldActiveBoldWarning = "#1d1d1b";
+export const interactiveTextStatusBoldActiveBoldError = "#f4f4f4";
+export const interactiveTextStatusBoldActiveBoldGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralInverseInfo = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralInverseSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralInverseWarning = "#1d1d1b";
+export const interactiveTextStatusBoldActiveNeutralInverseError = "#f4f4f4";
+export const interactiveTextStatusBoldActiveNeutralInverseGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralInfo = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralWarning = "#1d1d1b";
+export const interactiveTextStatusBoldVisitedNeutralError = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedSubtleInfo = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedSubtleSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedSubtleWarning = "#1d1d1b";
+export const interactiveTextStatusBoldVisitedSubtleError = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedSubtleGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedBoldInfo = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedBoldSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedBoldWarning = "#1d1d1b";
+export const interactiveTextStatusBoldVisitedBoldError = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedBoldGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralInverseInfo = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralInverseSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralInverseWarning = "#1d1d1b";
+export const interactiveTextStatusBoldVisitedNeutralInverseError = "#f4f4f4";
+export const interactiveTextStatusBoldVisitedNeutralInverseGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralInfo = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralWarning = "#1d1d1b";
+export const interactiveTextStatusBoldFocusNeutralError = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldFocusSubtleInfo = "#f4f4f4";
+export const interactiveTextStatusBoldFocusSubtleSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldFocusSubtleWarning = "#1d1d1b";
+export const interactiveTextStatusBoldFocusSubtleError = "#f4f4f4";
+export const interactiveTextStatusBoldFocusSubtleGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldFocusBoldInfo = "#f4f4f4";
+export const interactiveTextStatusBoldFocusBoldSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldFocusBoldWarning = "#1d1d1b";
+export const interactiveTextStatusBoldFocusBoldError = "#f4f4f4";
+export const interactiveTextStatusBoldFocusBoldGeneric = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralInverseInfo = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralInverseSuccess = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralInverseWarning = "#1d1d1b";
+export const interactiveTextStatusBoldFocusNeutralInverseError = "#f4f4f4";
+export const interactiveTextStatusBoldFocusNeutralInverseGeneric = "#f4f4f4";
+export const interactiveAddOnRestColourNeutralBlue = "#858686";
+export const interactiveAddOnRestColourNeutralGreen = "#858686";
+export const interactiveAddOnRestColourNeutralRed = "#858686";
+export const interactiveAddOnRestColourNeutralYellow = "#858686";
+export const interactiveAddOnRestColourSubtleBlue = "#858686";
+export const interactiveAddOnRestColourSubtleGreen = "#858686";
+export const interactiveAddOnRestColourSubtleRed = "#858686";
+export const interactiveAddOnRestColourSubtleYellow = "#858686";
+export const interactiveAddOnRestColourBoldBlue = "#858686";
+export const interactiveAddOnRestColourBoldGreen = "#858686";
+export const interactiveAddOnRestColourBoldRed = "#858686";
+export const interactiveAddOnRestColourBoldYellow = "#858686";
+export const interactiveAddOnRestColourNeutralInverseBlue = "#858686";
+export const interactiveAddOnRestColourNeutralInverseGreen = "#858686";
+export const interactiveAddOnRestColourNeutralInverseRed = "#858686";
+export const interactiveAddOnRestColourNeutralInverseYellow = "#858686";
+export const interactiveAddOnHoverColourNeutralBlue = "#4d4f4f";
+export const interactiveAddOnHoverColourNeutralGreen = "#4d4f4f";
+export const interactiveAddOnHoverColourNeutralRed = "#4d4f4f";
+export const interactiveAddOnHoverColourNeutralYellow = "#4d4f4f";
+export const interactiveAddOnHoverColourSubtleBlue = "#4d4f4f";
+export const interactiveAddOnHoverColourSubtleGreen = "#4d4f4f";
+export const interactiveAddOnHoverColourSubtleRed = "#4d4f4f";
+export const interactiveAddOnHoverColourSubtleYellow = "#4d4f4f";
+export const interactiveAddOnHoverColourBoldBlue = "#4d4f4f";
+export const interactiveAddOnHoverColourBoldGreen = "#4d4f4f";
+export const interactiveAddOnHoverColourBoldRed = "#4d4f4f";
+export const interactiveAddOnHoverColourBoldYellow = "#4d4f4f";
+export const interactiveAddOnHoverColourNeutralInverseBlue = "#4d4f4f";
+export const interactiveAddOnHoverColourNeutralInverseGreen = "#4d4f4f";
+export const interactiveAddOnHoverColourNeutralInverseRed = "#4d4f4f";
+export const interactiveAddOnHoverColourNeutralInverseYellow = "#4d4f4f";
+export const interactiveAddOnActiveColourNeutralBlue = "#1d1d1b";
+export const interactiveAddOnActiveColourNeutralGreen = "#1d1d1b";
+export const interactiveAddOnActiveColourNeutralRed = "#1d1d1b";
+export const interactiveAddOnActiveColourNeutralYellow = "#1d1d1b";
+export const interactiveAddOnActiveColourSubtleBlue = "#1d1d1b";
+export const interactiveAddOnActiveColourSubtleGreen = "#1d1d1b";
+export const interactiveAddOnActiveColourSubtleRed = "#1d1d1b";
+export const interactiveAddOnActiveColourSubtleYellow = "#1d1d1b";
+export const interactiveAddOnActiveColourBoldBlue = "#1d1d1b";
+export const interactiveAddOnActiveColourBoldGreen = "#1d1d1b";
+export const interactiveAddOnActiveColourBoldRed = "#1d1d1b";
+export const interactiveAddOnActiveColourBoldYellow = "#1d1d1b";
+export const interactiveAddOnActiveColourNeutralInverseBlue = "#1d1d1b";
+export const interactiveAddOnActiveColourNeutralInverseGreen = "#1d1d1b";
+export const interactiveAddOnActiveColourNeutralInverseRed = "#1d1d1b";
+export const interactiveAddOnActiveColourNeutralInverseYellow = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralBlue = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralGreen = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralRed = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralYellow = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourSubtleBlue = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourSubtleGreen = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourSubtleRed = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourSubtleYellow = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourBoldBlue = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourBoldGreen = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourBoldRed = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourBoldYellow = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const interactiveAddOnFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+export const interactiveAddOnFocusColourNeutralBlue = "#858686";
+export const interactiveAddOnFocusColourNeutralGreen = "#858686";
+export const interactiveAddOnFocusColourNeutralRed = "#858686";
+export const interactiveAddOnFocusColourNeutralYellow = "#858686";
+export const interactiveAddOnFocusColourSubtleBlue = "#858686";
+export const interactiveAddOnFocusColourSubtleGreen = "#858686";
+export const interactiveAddOnFocusColourSubtleRed = "#858686";
+export const interactiveAddOnFocusColourSubtleYellow = "#858686";
+export const interactiveAddOnFocusColourBoldBlue = "#858686";
+export const interactiveAddOnFocusColourBoldGreen = "#858686";
+export const interactiveAddOnFocusColourBoldRed = "#858686";
+export const interactiveAddOnFocusColourBoldYellow = "#858686";
+export const interactiveAddOnFocusColourNeutralInverseBlue = "#858686";
+export const interactiveAddOnFocusColourNeutralInverseGreen = "#858686";
+export const interactiveAddOnFocusColourNeutralInverseRed = "#858686";
+export const interactiveAddOnFocusColourNeutralInverseYellow = "#858686";
+export const interactiveAddOnDisabledColourNeutralBlue = "#d3d3d3";
+export const interactiveAddOnDisabledColourNeutralGreen = "#d3d3d3";
+export const interactiveAddOnDisabledColourNeutralRed = "#d3d3d3";
+export const interactiveAddOnDisabledColourNeutralYellow = "#d3d3d3";
+export const interactiveAddOnDisabledColourSubtleBlue = "#d3d3d3";
+export const interactiveAddOnDisabledColourSubtleGreen = "#d3d3d3";
+export const interactiveAddOnDisabledColourSubtleRed = "#d3d3d3";
+export const interactiveAddOnDisabledColourSubtleYellow = "#d3d3d3";
+export const interactiveAddOnDisabledColourBoldBlue = "#d3d3d3";
+export const interactiveAddOnDisabledColourBoldGreen = "#d3d3d3";
+export const interactiveAddOnDisabledColourBoldRed = "#d3d3d3";
+export const interactiveAddOnDisabledColourBoldYellow = "#d3d3d3";
+export const interactiveAddOnDisabledColourNeutralInverseBlue = "#d3d3d3";
+export const interactiveAddOnDisabledColourNeutralInverseGreen = "#d3d3d3";
+export const interactiveAddOnDisabledColourNeutralInverseRed = "#d3d3d3";
+export const interactiveAddOnDisabledColourNeutralInverseYellow = "#d3d3d3";
+export const textDefaultPrimaryColourNeutralBlue = "#1d1d1b";
+export const textDefaultPrimaryColourNeutralGreen = "#1d1d1b";
+export const textDefaultPrimaryColourNeutralRed = "#1d1d1b";
+export const textDefaultPrimaryColourNeutralYellow = "#1d1d1b";
+export const textDefaultPrimaryColourSubtleBlue = "#1d1d1b";
+export const textDefaultPrimaryColourSubtleGreen = "#1d1d1b";
+export const textDefaultPrimaryColourSubtleRed = "#1d1d1b";
+export const textDefaultPrimaryColourSubtleYellow = "#1d1d1b";
+export const textDefaultPrimaryColourBoldBlue = "#ffffff";
+export const textDefaultPrimaryColourBoldGreen = "#ffffff";
+export const textDefaultPrimaryColourBoldRed = "#ffffff";
+export const textDefaultPrimaryColourBoldYellow = "#1d1d1b";
+export const textDefaultPrimaryColourNeutralInverseBlue = "#1d1d1b";
+export const textDefaultPrimaryColourNeutralInverseGreen = "#1d1d1b";
+export const textDefaultPrimaryColourNeutralInverseRed = "#1d1d1b";
+export const textDefaultPrimaryColourNeutralInverseYellow = "#1d1d1b";
+export const textDefaultSecondaryColourNeutralBlue = "#4d4f4f";
+export const textDefaultSecondaryColourNeutralGreen = "#4d4f4f";
+export const textDefaultSecondaryColourNeutralRed = "#4d4f4f";
+export const textDefaultSecondaryColourNeutralYellow = "#4d4f4f";
+export const textDefaultSecondaryColourSubtleBlue = "#1d1d1b";
+export const textDefaultSecondaryColourSubtleGreen = "#1d1d1b";
+export const textDefaultSecondaryColourSubtleRed = "#1d1d1b";
+export const textDefaultSecondaryColourSubtleYellow = "#1d1d1b";
+export const textDefaultSecondaryColourBoldBlue = "#d2effb";
+export const textDefaultSecondaryColourBoldGreen = "#dff6eb";
+export const textDefaultSecondaryColourBoldRed = "#ffd5d2";
+export const textDefaultSecondaryColourBoldYellow = "#572722";
+export const textDefaultSecondaryColourNeutralInverseBlue = "#4d4f4f";
+export const textDefaultSecondaryColourNeutralInverseGreen = "#4d4f4f";
+export const textDefaultSecondaryColourNeutralInverseRed = "#4d4f4f";
+export const textDefaultSecondaryColourNeutralInverseYellow = "#4d4f4f";
+export const textDefaultAccentColourNeutralBlue = "#001d6e";
+export const textDefaultAccentColourNeutralGreen = "#01312e";
+export const textDefaultAccentColourNeutralRed = "#940824";
+export const textDefaultAccentColourNeutralYellow = "#904029";
+export const textDefaultAccentColourSubtleBlue = "#001d6e";
+export const textDefaultAccentColourSubtleGreen = "#01312e";
+export const textDefaultAccentColourSubtleRed = "#940824";
+export const textDefaultAccentColourSubtleYellow = "#904029";
+export const textDefaultAccentColourBoldBlue = "#ffffff";
+export const textDefaultAccentColourBoldGreen = "#ffffff";
+export const textDefaultAccentColourBoldRed = "#ffffff";
+export const textDefaultAccentColourBoldYellow = "#1d1d1b";
+export const textDefaultAccentColourNeutralInverseBlue = "#001d6e";
+export const textDefaultAccentColourNeutralInverseGreen = "#01312e";
+export const textDefaultAccentColourNeutralInverseRed = "#940824";
+export const textDefaultAccentColourNeutralInverseYellow = "#904029";
+export const textStatusSubtlePrimaryColourNeutralInfo = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralSuccess = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralWarning = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralError = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralGeneric = "#1d1d1b";
+export const textStatusSubtlePrimaryColourSubtleInfo = "#1d1d1b";
+export const textStatusSubtlePrimaryColourSubtleSuccess = "#1d1d1b";
+export const textStatusSubtlePrimaryColourSubtleWarning = "#1d1d1b";
+export const textStatusSubtlePrimaryColourSubtleError = "#1d1d1b";
+export const textStatusSubtlePrimaryColourSubtleGeneric = "#1d1d1b";
+export const textStatusSubtlePrimaryColourBoldInfo = "#1d1d1b";
+export const textStatusSubtlePrimaryColourBoldSuccess = "#1d1d1b";
+export const textStatusSubtlePrimaryColourBoldWarning = "#1d1d1b";
+export const textStatusSubtlePrimaryColourBoldError = "#1d1d1b";
+export const textStatusSubtlePrimaryColourBoldGeneric = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralInverseInfo = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralInverseSuccess = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralInverseWarning = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralInverseError = "#1d1d1b";
+export const textStatusSubtlePrimaryColourNeutralInverseGeneric = "#1d1d1b";
+export const textStatusSubtleSecondaryColourNeutralInfo = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralSuccess = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralWarning = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralError = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralGeneric = "#4d4f4f";
+export const textStatusSubtleSecondaryColourSubtleInfo = "#4d4f4f";
+export const textStatusSubtleSecondaryColourSubtleSuccess = "#4d4f4f";
+export const textStatusSubtleSecondaryColourSubtleWarning = "#4d4f4f";
+export const textStatusSubtleSecondaryColourSubtleError = "#4d4f4f";
+export const textStatusSubtleSecondaryColourSubtleGeneric = "#4d4f4f";
+export const textStatusSubtleSecondaryColourBoldInfo = "#ffffff";
+export const textStatusSubtleSecondaryColourBoldSuccess = "#ffffff";
+export const textStatusSubtleSecondaryColourBoldWarning = "#1d1d1b";
+export const textStatusSubtleSecondaryColourBoldError = "#ffffff";
+export const textStatusSubtleSecondaryColourBoldGeneric = "#ffffff";
+export const textStatusSubtleSecondaryColourNeutralInverseInfo = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralInverseSuccess = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralInverseWarning = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralInverseError = "#4d4f4f";
+export const textStatusSubtleSecondaryColourNeutralInverseGeneric = "#4d4f4f";
+export const textStatusBoldPrimaryColourNeutralInfo = "#ffffff";
+export const textStatusBoldPrimaryColourNeutralSuccess = "#ffffff";
+export const textStatusBoldPrimaryColourNeutralWarning = "#1d1d1b";
+export const textStatusBoldPrimaryColourNeutralError = "#ffffff";
+export const textStatusBoldPrimaryColourNeutralGeneric = "#ffffff";
+export const textStatusBoldPrimaryColourSubtleInfo = "#ffffff";
+export const textStatusBoldPrimaryColourSubtleSuccess = "#ffffff";
+export const textStatusBoldPrimaryColourSubtleWarning = "#1d1d1b";
+export const textStatusBoldPrimaryColourSubtleError = "#ffffff";
+export const textStatusBoldPrimaryColourSubtleGeneric = "#ffffff";
+export const textStatusBoldPrimaryColourBoldInfo = "#ffffff";
+export const textStatusBoldPrimaryColourBoldSuccess = "#ffffff";
+export const textStatusBoldPrimaryColourBoldWarning = "#1d1d1b";
+export const textStatusBoldPrimaryColourBoldError = "#ffffff";
+export const textStatusBoldPrimaryColourBoldGeneric = "#ffffff";
+export const textStatusBoldPrimaryColourNeutralInverseInfo = "#ffffff";
+export const textStatusBoldPrimaryColourNeutralInverseSuccess = "#ffffff";
+export const textStatusBoldPrimaryColourNeutralInverseWarning = "#1d1d1b";
+export const textStatusBoldPrimaryColourNeutralInverseError = "#ffffff";
+export const textStatusBoldPrimaryColourNeutralInverseGeneric = "#ffffff";
+export const textStatusBoldSecondaryColourNeutralInfo = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralSuccess = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralWarning = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralError = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralGeneric = "#4d4f4f";
+export const textStatusBoldSecondaryColourSubtleInfo = "#4d4f4f";
+export const textStatusBoldSecondaryColourSubtleSuccess = "#4d4f4f";
+export const textStatusBoldSecondaryColourSubtleWarning = "#4d4f4f";
+export const textStatusBoldSecondaryColourSubtleError = "#4d4f4f";
+export const textStatusBoldSecondaryColourSubtleGeneric = "#4d4f4f";
+export const textStatusBoldSecondaryColourBoldInfo = "#ffffff";
+export const textStatusBoldSecondaryColourBoldSuccess = "#ffffff";
+export const textStatusBoldSecondaryColourBoldWarning = "#1d1d1b";
+export const textStatusBoldSecondaryColourBoldError = "#ffffff";
+export const textStatusBoldSecondaryColourBoldGeneric = "#ffffff";
+export const textStatusBoldSecondaryColourNeutralInverseInfo = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralInverseSuccess = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralInverseWarning = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralInverseError = "#4d4f4f";
+export const textStatusBoldSecondaryColourNeutralInverseGeneric = "#4d4f4f";
+export const bodyDefaultBackgroundColourNeutralBlue = "#f4f4f4";
+export const bodyDefaultBackgroundColourNeutralGreen = "#f4f4f4";
+export const bodyDefaultBackgroundColourNeutralRed = "#f4f4f4";
+export const bodyDefaultBackgroundColourNeutralYellow = "#f4f4f4";
+export const bodyDefaultBackgroundColourSubtleBlue = "#f4f4f4";
+export const bodyDefaultBackgroundColourSubtleGreen = "#f4f4f4";
+export const bodyDefaultBackgroundColourSubtleRed = "#f4f4f4";
+export const bodyDefaultBackgroundColourSubtleYellow = "#f4f4f4";
+export const bodyDefaultBackgroundColourBoldBlue = "#f4f4f4";
+export const bodyDefaultBackgroundColourBoldGreen = "#f4f4f4";
+export const bodyDefaultBackgroundColourBoldRed = "#f4f4f4";
+export const bodyDefaultBackgroundColourBoldYellow = "#f4f4f4";
+export const bodyDefaultBackgroundColourNeutralInverseBlue = "#ffffff";
+export const bodyDefaultBackgroundColourNeutralInverseGreen = "#ffffff";
+export const bodyDefaultBackgroundColourNeutralInverseRed = "#ffffff";
+export const bodyDefaultBackgroundColourNeutralInverseYellow = "#ffffff";
+export const bodySubtleBackgroundColourNeutralBlue = "#42aeea";
+export const bodySubtleBackgroundColourNeutralGreen = "#43af6e";
+export const bodySubtleBackgroundColourNeutralRed = "#ff3e51";
+export const bodySubtleBackgroundColourNeutralYellow = "#ffe969";
+export const bodySubtleBackgroundColourSubtleBlue = "#aee1f7";
+export const bodySubtleBackgroundColourSubtleGreen = "#caeedd";
+export const bodySubtleBackgroundColourSubtleRed = "#ffd5d2";
+export const bodySubtleBackgroundColourSubtleYellow = "#fff9c7";
+export const bodySubtleBackgroundColourBoldBlue = "#aee1f7";
+export const bodySubtleBackgroundColourBoldGreen = "#caeedd";
+export const bodySubtleBackgroundColourBoldRed = "#ffd5d2";
+export const bodySubtleBackgroundColourBoldYellow = "#fff9c7";
+export const bodySubtleBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const bodySubtleBackgroundColourNeutralInverseGreen = "#caeedd";
+export const bodySubtleBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const bodySubtleBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const bodyBoldBackgroundColourNeutralBlue = "#005dba";
+export const bodyBoldBackgroundColourNeutralGreen = "#00633d";
+export const bodyBoldBackgroundColourNeutralRed = "#c50b30";
+export const bodyBoldBackgroundColourNeutralYellow = "#ffb600";
+export const bodyBoldBackgroundColourSubtleBlue = "#005dba";
+export const bodyBoldBackgroundColourSubtleGreen = "#00633d";
+export const bodyBoldBackgroundColourSubtleRed = "#c50b30";
+export const bodyBoldBackgroundColourSubtleYellow = "#ffb600";
+export const bodyBoldBackgroundColourBoldBlue = "#005dba";
+export const bodyBoldBackgroundColourBoldGreen = "#00633d";
+export const bodyBoldBackgroundColourBoldRed = "#c50b30";
+export const bodyBoldBackgroundColourBoldYellow = "#ffb600";
+export const bodyBoldBackgroundColourNeutralInverseBlue = "#005dba";
+export const bodyBoldBackgroundColourNeutralInverseGreen = "#00633d";
+export const bodyBoldBackgroundColourNeutralInverseRed = "#c50b30";
+export const bodyBoldBackgroundColourNeutralInverseYellow = "#ffb600";
+export const bodyRegalBackgroundColourNeutralBlue = "#001d6e";
+export const bodyRegalBackgroundColourNeutralGreen = "#01312e";
+export const bodyRegalBackgroundColourNeutralRed = "#940824";
+export const bodyRegalBackgroundColourNeutralYellow = "#c86426";
+export const bodyRegalBackgroundColourSubtleBlue = "#001d6e";
+export const bodyRegalBackgroundColourSubtleGreen = "#01312e";
+export const bodyRegalBackgroundColourSubtleRed = "#940824";
+export const bodyRegalBackgroundColourSubtleYellow = "#c86426";
+export const bodyRegalBackgroundColourBoldBlue = "#001d6e";
+export const bodyRegalBackgroundColourBoldGreen = "#01312e";
+export const bodyRegalBackgroundColourBoldRed = "#940824";
+export const bodyRegalBackgroundColourBoldYellow = "#c86426";
+export const bodyRegalBackgroundColourNeutralInverseBlue = "#001d6e";
+export const bodyRegalBackgroundColourNeutralInverseGreen = "#01312e";
+export const bodyRegalBackgroundColourNeutralInverseRed = "#940824";
+export const bodyRegalBackgroundColourNeutralInverseYellow = "#c86426";
+export const containerCommonMinWidthNeutralBlue = 288;
+export const containerCommonMinWidthNeutralGreen = 288;
+export const containerCommonMinWidthNeutralRed = 288;
+export const containerCommonMinWidthNeutralYellow = 288;
+export const containerCommonMinWidthSubtleBlue = 288;
+export const containerCommonMinWidthSubtleGreen = 288;
+export const containerCommonMinWidthSubtleRed = 288;
+export const containerCommonMinWidthSubtleYellow = 288;
+export const containerCommonMinWidthBoldBlue = 288;
+export const containerCommonMinWidthBoldGreen = 288;
+export const containerCommonMinWidthBoldRed = 288;
+export const containerCommonMinWidthBoldYellow = 288;
+export const containerCommonMinWidthNeutralInverseBlue = 288;
+export const containerCommonMinWidthNeutralInverseGreen = 288;
+export const containerCommonMinWidthNeutralInverseRed = 288;
+export const containerCommonMinWidthNeutralInverseYellow = 288;
+export const containerCommonPaddingXsNeutralBlue = 12;
+export const containerCommonPaddingXsNeutralGreen = 12;
+export const containerCommonPaddingXsNeutralRed = 12;
+export const containerCommonPaddingXsNeutralYellow = 12;
+export const containerCommonPaddingXsSubtleBlue = 12;
+export const containerCommonPaddingXsSubtleGreen = 12;
+export const containerCommonPaddingXsSubtleRed = 12;
+export const containerCommonPaddingXsSubtleYellow = 12;
+export const containerCommonPaddingXsBoldBlue = 12;
+export const containerCommonPaddingXsBoldGreen = 12;
+export const containerCommonPaddingXsBoldRed = 12;
+export const containerCommonPaddingXsBoldYellow = 12;
+export const containerCommonPaddingXsNeutralInverseBlue = 12;
+export const containerCommonPaddingXsNeutralInverseGreen = 12;
+export const containerCommonPaddingXsNeutralInverseRed = 12;
+export const containerCommonPaddingXsNeutralInverseYellow = 12;
+export const containerCommonPaddingSmNeutralBlue = 16;
+export const containerCommonPaddingSmNeutralGreen = 16;
+export const containerCommonPaddingSmNeutralRed = 16;
+export const containerCommonPaddingSmNeutralYellow = 16;
+export const containerCommonPaddingSmSubtleBlue = 16;
+export const containerCommonPaddingSmSubtleGreen = 16;
+export const containerCommonPaddingSmSubtleRed = 16;
+export const containerCommonPaddingSmSubtleYellow = 16;
+export const containerCommonPaddingSmBoldBlue = 16;
+export const containerCommonPaddingSmBoldGreen = 16;
+export const containerCommonPaddingSmBoldRed = 16;
+export const containerCommonPaddingSmBoldYellow = 16;
+export const containerCommonPaddingSmNeutralInverseBlue = 16;
+export const containerCommonPaddingSmNeutralInverseGreen = 16;
+export const containerCommonPaddingSmNeutralInverseRed = 16;
+export const containerCommonPaddingSmNeutralInverseYellow = 16;
+export const containerCommonPaddingMdNeutralBlue = 20;
+export const containerCommonPaddingMdNeutralGreen = 20;
+export const containerCommonPaddingMdNeutralRed = 20;
+export const containerCommonPaddingMdNeutralYellow = 20;
+export const containerCommonPaddingMdSubtleBlue = 20;
+export const containerCommonPaddingMdSubtleGreen = 20;
+export const containerCommonPaddingMdSubtleRed = 20;
+export const containerCommonPaddingMdSubtleYellow = 20;
+export const containerCommonPaddingMdBoldBlue = 20;
+export const containerCommonPaddingMdBoldGreen = 20;
+export const containerCommonPaddingMdBoldRed = 20;
+export const containerCommonPaddingMdBoldYellow = 20;
+export const containerCommonPaddingMdNeutralInverseBlue = 20;
+export const containerCommonPaddingMdNeutralInverseGreen = 20;
+export const containerCommonPaddingMdNeutralInverseRed = 20;
+export const containerCommonPaddingMdNeutralInverseYellow = 20;
+export const containerCommonPaddingLgNeutralBlue = 28;
+export const containerCommonPaddingLgNeutralGreen = 28;
+export const containerCommonPaddingLgNeutralRed = 28;
+export const containerCommonPaddingLgNeutralYellow = 28;
+export const containerCommonPaddingLgSubtleBlue = 28;
+export const containerCommonPaddingLgSubtleGreen = 28;
+export const containerCommonPaddingLgSubtleRed = 28;
+export const containerCommonPaddingLgSubtleYellow = 28;
+export const containerCommonPaddingLgBoldBlue = 28;
+export const containerCommonPaddingLgBoldGreen = 28;
+export const containerCommonPaddingLgBoldRed = 28;
+export const containerCommonPaddingLgBoldYellow = 28;
+export const containerCommonPaddingLgNeutralInverseBlue = 28;
+export const containerCommonPaddingLgNeutralInverseGreen = 28;
+export const containerCommonPaddingLgNeutralInverseRed = 28;
+export const containerCommonPaddingLgNeutralInverseYellow = 28;
+export const containerCommonBorderRadiusXsNeutralBlue = 12;
+export const containerCommonBorderRadiusXsNeutralGreen = 12;
+export const containerCommonBorderRadiusXsNeutralRed = 12;
+export const containerCommonBorderRadiusXsNeutralYellow = 12;
+export const containerCommonBorderRadiusXsSubtleBlue = 12;
+export const containerCommonBorderRadiusXsSubtleGreen = 12;
+export const containerCommonBorderRadiusXsSubtleRed = 12;
+export const containerCommonBorderRadiusXsSubtleYellow = 12;
+export const containerCommonBorderRadiusXsBoldBlue = 12;
+export const containerCommonBorderRadiusXsBoldGreen = 12;
+export const containerCommonBorderRadiusXsBoldRed = 12;
+export const containerCommonBorderRadiusXsBoldYellow = 12;
+export const containerCommonBorderRadiusXsNeutralInverseBlue = 12;
+export const containerCommonBorderRadiusXsNeutralInverseGreen = 12;
+export const containerCommonBorderRadiusXsNeutralInverseRed = 12;
+export const containerCommonBorderRadiusXsNeutralInverseYellow = 12;
+export const containerCommonBorderRadiusSmNeutralBlue = 16;
+export const containerCommonBorderRadiusSmNeutralGreen = 16;
+export const containerCommonBorderRadiusSmNeutralRed = 16;
+export const containerCommonBorderRadiusSmNeutralYellow = 16;
+export const containerCommonBorderRadiusSmSubtleBlue = 16;
+export const containerCommonBorderRadiusSmSubtleGreen = 16;
+export const containerCommonBorderRadiusSmSubtleRed = 16;
+export const containerCommonBorderRadiusSmSubtleYellow = 16;
+export const containerCommonBorderRadiusSmBoldBlue = 16;
+export const containerCommonBorderRadiusSmBoldGreen = 16;
+export const containerCommonBorderRadiusSmBoldRed = 16;
+export const containerCommonBorderRadiusSmBoldYellow = 16;
+export const containerCommonBorderRadiusSmNeutralInverseBlue = 16;
+export const containerCommonBorderRadiusSmNeutralInverseGreen = 16;
+export const containerCommonBorderRadiusSmNeutralInverseRed = 16;
+export const containerCommonBorderRadiusSmNeutralInverseYellow = 16;
+export const containerCommonBorderRadiusMdNeutralBlue = 20;
+export const containerCommonBorderRadiusMdNeutralGreen = 20;
+export const containerCommonBorderRadiusMdNeutralRed = 20;
+export const containerCommonBorderRadiusMdNeutralYellow = 20;
+export const containerCommonBorderRadiusMdSubtleBlue = 20;
+export const containerCommonBorderRadiusMdSubtleGreen = 20;
+export const containerCommonBorderRadiusMdSubtleRed = 20;
+export const containerCommonBorderRadiusMdSubtleYellow = 20;
+export const containerCommonBorderRadiusMdBoldBlue = 20;
+export const containerCommonBorderRadiusMdBoldGreen = 20;
+export const containerCommonBorderRadiusMdBoldRed = 20;
+export const containerCommonBorderRadiusMdBoldYellow = 20;
+export const containerCommonBorderRadiusMdNeutralInverseBlue = 20;
+export const containerCommonBorderRadiusMdNeutralInverseGreen = 20;
+export const containerCommonBorderRadiusMdNeutralInverseRed = 20;
+export const containerCommonBorderRadiusMdNeutralInverseYellow = 20;
+export const containerCommonBorderRadiusLgNeutralBlue = 28;
+export const containerCommonBorderRadiusLgNeutralGreen = 28;
+export const containerCommonBorderRadiusLgNeutralRed = 28;
+export const containerCommonBorderRadiusLgNeutralYellow = 28;
+export const containerCommonBorderRadiusLgSubtleBlue = 28;
+export const containerCommonBorderRadiusLgSubtleGreen = 28;
+export const containerCommonBorderRadiusLgSubtleRed = 28;
+export const containerCommonBorderRadiusLgSubtleYellow = 28;
+export const containerCommonBorderRadiusLgBoldBlue = 28;
+export const containerCommonBorderRadiusLgBoldGreen = 28;
+export const containerCommonBorderRadiusLgBoldRed = 28;
+export const containerCommonBorderRadiusLgBoldYellow = 28;
+export const containerCommonBorderRadiusLgNeutralInverseBlue = 28;
+export const containerCommonBorderRadiusLgNeutralInverseGreen = 28;
+export const containerCommonBorderRadiusLgNeutralInverseRed = 28;
+export const containerCommonBorderRadiusLgNeutralInverseYellow = 28;
+export const containerCommonBorderWidthXsNeutralBlue = 1;
+export const containerCommonBorderWidthXsNeutralGreen = 1;
+export const containerCommonBorderWidthXsNeutralRed = 1;
+export const containerCommonBorderWidthXsNeutralYellow = 1;
+export const containerCommonBorderWidthXsSubtleBlue = 1;
+export const containerCommonBorderWidthXsSubtleGreen = 1;
+export const containerCommonBorderWidthXsSubtleRed = 1;
+export const containerCommonBorderWidthXsSubtleYellow = 1;
+export const containerCommonBorderWidthXsBoldBlue = 1;
+export const containerCommonBorderWidthXsBoldGreen = 1;
+export const containerCommonBorderWidthXsBoldRed = 1;
+export const containerCommonBorderWidthXsBoldYellow = 1;
+export const containerCommonBorderWidthXsNeutralInverseBlue = 1;
+export const containerCommonBorderWidthXsNeutralInverseGreen = 1;
+export const containerCommonBorderWidthXsNeutralInverseRed = 1;
+export const containerCommonBorderWidthXsNeutralInverseYellow = 1;
+export const containerCommonBorderWidthMdNeutralBlue = 2;
+export const containerCommonBorderWidthMdNeutralGreen = 2;
+export const containerCommonBorderWidthMdNeutralRed = 2;
+export const containerCommonBorderWidthMdNeutralYellow = 2;
+export const containerCommonBorderWidthMdSubtleBlue = 2;
+export const containerCommonBorderWidthMdSubtleGreen = 2;
+export const containerCommonBorderWidthMdSubtleRed = 2;
+export const containerCommonBorderWidthMdSubtleYellow = 2;
+export const containerCommonBorderWidthMdBoldBlue = 2;
+export const containerCommonBorderWidthMdBoldGreen = 2;
+export const containerCommonBorderWidthMdBoldRed = 2;
+export const containerCommonBorderWidthMdBoldYellow = 2;
+export const containerCommonBorderWidthMdNeutralInverseBlue = 2;
+export const containerCommonBorderWidthMdNeutralInverseGreen = 2;
+export const containerCommonBorderWidthMdNeutralInverseRed = 2;
+export const containerCommonBorderWidthMdNeutralInverseYellow = 2;
+export const containerCommonSizeXsNeutralBlue = 16;
+export const containerCommonSizeXsNeutralGreen = 16;
+export const containerCommonSizeXsNeutralRed = 16;
+export const containerCommonSizeXsNeutralYellow = 16;
+export const containerCommonSizeXsSubtleBlue = 16;
+export const containerCommonSizeXsSubtleGreen = 16;
+export const containerCommonSizeXsSubtleRed = 16;
+export const containerCommonSizeXsSubtleYellow = 16;
+export const containerCommonSizeXsBoldBlue = 16;
+export const containerCommonSizeXsBoldGreen = 16;
+export const containerCommonSizeXsBoldRed = 16;
+export const containerCommonSizeXsBoldYellow = 16;
+export const containerCommonSizeXsNeutralInverseBlue = 16;
+export const containerCommonSizeXsNeutralInverseGreen = 16;
+export const containerCommonSizeXsNeutralInverseRed = 16;
+export const containerCommonSizeXsNeutralInverseYellow = 16;
+export const containerCommonFocusIndicatorBorderWidthNeutralBlue = 3;
+export const containerCommonFocusIndicatorBorderWidthNeutralGreen = 3;
+export const containerCommonFocusIndicatorBorderWidthNeutralRed = 3;
+export const containerCommonFocusIndicatorBorderWidthNeutralYellow = 3;
+export const containerCommonFocusIndicatorBorderWidthSubtleBlue = 3;
+export const containerCommonFocusIndicatorBorderWidthSubtleGreen = 3;
+export const containerCommonFocusIndicatorBorderWidthSubtleRed = 3;
+export const containerCommonFocusIndicatorBorderWidthSubtleYellow = 3;
+export const containerCommonFocusIndicatorBorderWidthBoldBlue = 3;
+export const containerCommonFocusIndicatorBorderWidthBoldGreen = 3;
+export const containerCommonFocusIndicatorBorderWidthBoldRed = 3;
+export const containerCommonFocusIndicatorBorderWidthBoldYellow = 3;
+export const containerCommonFocusIndicatorBorderWidthNeutralInverseBlue = 3;
+export const containerCommonFocusIndicatorBorderWidthNeutralInverseGreen = 3;
+export const containerCommonFocusIndicatorBorderWidthNeutralInverseRed = 3;
+export const containerCommonFocusIndicatorBorderWidthNeutralInverseYellow = 3;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralBlue = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralGreen = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralRed = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralYellow = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmSubtleBlue = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmSubtleGreen = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmSubtleRed = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmSubtleYellow = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmBoldBlue = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmBoldGreen = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmBoldRed = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmBoldYellow = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseBlue = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseGreen = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseRed = 8;
+export const containerCommonFocusIndicatorBorderRadiusSmNeutralInverseYellow = 8;
+export const containerDefaultBackgroundColourNeutralBlue = "#ffffff";
+export const containerDefaultBackgroundColourNeutralGreen = "#ffffff";
+export const containerDefaultBackgroundColourNeutralRed = "#ffffff";
+export const containerDefaultBackgroundColourNeutralYellow = "#ffffff";
+export const containerDefaultBackgroundColourSubtleBlue = "#aee1f7";
+export const containerDefaultBackgroundColourSubtleGreen = "#caeedd";
+export const containerDefaultBackgroundColourSubtleRed = "#ffd5d2";
+export const containerDefaultBackgroundColourSubtleYellow = "#fff9c7";
+export const containerDefaultBackgroundColourBoldBlue = "#005dba";
+export const containerDefaultBackgroundColourBoldGreen = "#00633d";
+export const containerDefaultBackgroundColourBoldRed = "#c50b30";
+export const containerDefaultBackgroundColourBoldYellow = "#ffb600";
+export const containerDefaultBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const containerDefaultBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const containerDefaultBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const containerDefaultBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const containerDefaultBackgroundColourReversedNeutralBlue = "#f4f4f4";
+export const containerDefaultBackgroundColourReversedNeutralGreen = "#f4f4f4";
+export const containerDefaultBackgroundColourReversedNeutralRed = "#f4f4f4";
+export const containerDefaultBackgroundColourReversedNeutralYellow = "#f4f4f4";
+export const containerDefaultBackgroundColourReversedSubtleBlue = "#ffffff";
+export const containerDefaultBackgroundColourReversedSubtleGreen = "#ffffff";
+export const containerDefaultBackgroundColourReversedSubtleRed = "#ffffff";
+export const containerDefaultBackgroundColourReversedSubtleYellow = "#ffffff";
+export const containerDefaultBackgroundColourReversedBoldBlue = "#ffffff";
+export const containerDefaultBackgroundColourReversedBoldGreen = "#ffffff";
+export const containerDefaultBackgroundColourReversedBoldRed = "#ffffff";
+export const containerDefaultBackgroundColourReversedBoldYellow = "#ffffff";
+export const containerDefaultBackgroundColourReversedNeutralInverseBlue = "#ffffff";
+export const containerDefaultBackgroundColourReversedNeutralInverseGreen = "#ffffff";
+export const containerDefaultBackgroundColourReversedNeutralInverseRed = "#ffffff";
+export const containerDefaultBackgroundColourReversedNeutralInverseYellow = "#ffffff";
+export const containerDefaultAccent1NeutralBlue = "#42aeea";
+export const containerDefaultAccent1NeutralGreen = "#43af6e";
+export const containerDefaultAccent1NeutralRed = "#ff3e51";
+export const containerDefaultAccent1NeutralYellow = "#ffe969";
+export const containerDefaultAccent1SubtleBlue = "#005dba";
+export const containerDefaultAccent1SubtleGreen = "#00633d";
+export const containerDefaultAccent1SubtleRed = "#c50b30";
+export const containerDefaultAccent1SubtleYellow = "#ffb600";
+export const containerDefaultAccent1BoldBlue = "#001d6e";
+export const containerDefaultAccent1BoldGreen = "#01312e";
+export const containerDefaultAccent1BoldRed = "#940824";
+export const containerDefaultAccent1BoldYellow = "#c86426";
+export const containerDefaultAccent1NeutralInverseBlue = "#42aeea";
+export const containerDefaultAccent1NeutralInverseGreen = "#43af6e";
+export const containerDefaultAccent1NeutralInverseRed = "#ff3e51";
+export const containerDefaultAccent1NeutralInverseYellow = "#ffe969";
+export const containerDefaultAccent2NeutralBlue = "#005dba";
+export const containerDefaultAccent2NeutralGreen = "#00633d";
+export const containerDefaultAccent2NeutralRed = "#c50b30";
+export const containerDefaultAccent2NeutralYellow = "#ffb600";
+export const containerDefaultAccent2SubtleBlue = "#001d6e";
+export const containerDefaultAccent2SubtleGreen = "#01312e";
+export const containerDefaultAccent2SubtleRed = "#940824";
+export const containerDefaultAccent2SubtleYellow = "#c86426";
+export const containerDefaultAccent2BoldBlue = "#ffffff";
+export const containerDefaultAccent2BoldGreen = "#ffffff";
+export const containerDefaultAccent2BoldRed = "#ffffff";
+export const containerDefaultAccent2BoldYellow = "#ffffff";
+export const containerDefaultAccent2NeutralInverseBlue = "#005dba";
+export const containerDefaultAccent2NeutralInverseGreen = "#00633d";
+export const containerDefaultAccent2NeutralInverseRed = "#c50b30";
+export const containerDefaultAccent2NeutralInverseYellow = "#ffb600";
+export const containerDefaultBorderColour1NeutralBlue = "#d3d3d3";
+export const containerDefaultBorderColour1NeutralGreen = "#d3d3d3";
+export const containerDefaultBorderColour1NeutralRed = "#d3d3d3";
+export const containerDefaultBorderColour1NeutralYellow = "#d3d3d3";
+export const containerDefaultBorderColour1SubtleBlue = "#42aeea";
+export const containerDefaultBorderColour1SubtleGreen = "#43af6e";
+export const containerDefaultBorderColour1SubtleRed = "#ff3e51";
+export const containerDefaultBorderColour1SubtleYellow = "#ffe969";
+export const containerDefaultBorderColour1BoldBlue = "#001d6e";
+export const containerDefaultBorderColour1BoldGreen = "#01312e";
+export const containerDefaultBorderColour1BoldRed = "#940824";
+export const containerDefaultBorderColour1BoldYellow = "#c86426";
+export const containerDefaultBorderColour1NeutralInverseBlue = "#d3d3d3";
+export const containerDefaultBorderColour1NeutralInverseGreen = "#d3d3d3";
+export const containerDefaultBorderColour1NeutralInverseRed = "#d3d3d3";
+export const containerDefaultBorderColour1NeutralInverseYellow = "#d3d3d3";
+export const containerDefaultBorderColour2NeutralBlue = "#d3d3d3";
+export const containerDefaultBorderColour2NeutralGreen = "#d3d3d3";
+export const containerDefaultBorderColour2NeutralRed = "#d3d3d3";
+export const containerDefaultBorderColour2NeutralYellow = "#d3d3d3";
+export const containerDefaultBorderColour2SubtleBlue = "#001d6e";
+export const containerDefaultBorderColour2SubtleGreen = "#01312e";
+export const containerDefaultBorderColour2SubtleRed = "#940824";
+export const containerDefaultBorderColour2SubtleYellow = "#c86426";
+export const containerDefaultBorderColour2BoldBlue = "#f4f4f4";
+export const containerDefaultBorderColour2BoldGreen = "#f4f4f4";
+export const containerDefaultBorderColour2BoldRed = "#f4f4f4";
+export const containerDefaultBorderColour2BoldYellow = "#1d1d1b";
+export const containerDefaultBorderColour2NeutralInverseBlue = "#d3d3d3";
+export const containerDefaultBorderColour2NeutralInverseGreen = "#d3d3d3";
+export const containerDefaultBorderColour2NeutralInverseRed = "#d3d3d3";
+export const containerDefaultBorderColour2NeutralInverseYellow = "#d3d3d3";
+export const containerDefaultBorderColour3NeutralBlue = "#4d4f4f";
+export const containerDefaultBorderColour3NeutralGreen = "#4d4f4f";
+export const containerDefaultBorderColour3NeutralRed = "#4d4f4f";
+export const containerDefaultBorderColour3NeutralYellow = "#4d4f4f";
+export const containerDefaultBorderColour3SubtleBlue = "#4d4f4f";
+export const containerDefaultBorderColour3SubtleGreen = "#4d4f4f";
+export const containerDefaultBorderColour3SubtleRed = "#4d4f4f";
+export const containerDefaultBorderColour3SubtleYellow = "#4d4f4f";
+export const containerDefaultBorderColour3BoldBlue = "#4d4f4f";
+export const containerDefaultBorderColour3BoldGreen = "#4d4f4f";
+export const containerDefaultBorderColour3BoldRed = "#4d4f4f";
+export const containerDefaultBorderColour3BoldYellow = "#4d4f4f";
+export const containerDefaultBorderColour3NeutralInverseBlue = "#4d4f4f";
+export const containerDefaultBorderColour3NeutralInverseGreen = "#4d4f4f";
+export const containerDefaultBorderColour3NeutralInverseRed = "#4d4f4f";
+export const containerDefaultBorderColour3NeutralInverseYellow = "#4d4f4f";
+export const containerDefaultBorderColour4NeutralBlue = "#f4f4f4";
+export const containerDefaultBorderColour4NeutralGreen = "#f4f4f4";
+export const containerDefaultBorderColour4NeutralRed = "#f4f4f4";
+export const containerDefaultBorderColour4NeutralYellow = "#1d1d1b";
+export const containerDefaultBorderColour4SubtleBlue = "#42aeea";
+export const containerDefaultBorderColour4SubtleGreen = "#43af6e";
+export const containerDefaultBorderColour4SubtleRed = "#ff3e51";
+export const containerDefaultBorderColour4SubtleYellow = "#ffe969";
+export const containerDefaultBorderColour4BoldBlue = "#001d6e";
+export const containerDefaultBorderColour4BoldGreen = "#01312e";
+export const containerDefaultBorderColour4BoldRed = "#940824";
+export const containerDefaultBorderColour4BoldYellow = "#c86426";
+export const containerDefaultBorderColour4NeutralInverseBlue = "#ffffff";
+export const containerDefaultBorderColour4NeutralInverseGreen = "#ffffff";
+export const containerDefaultBorderColour4NeutralInverseRed = "#ffffff";
+export const containerDefaultBorderColour4NeutralInverseYellow = "#ffffff";
+export const containerDefaultFocusIndicatorColourNeutralBlue = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourNeutralGreen = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourNeutralRed = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourNeutralYellow = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourSubtleBlue = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourSubtleGreen = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourSubtleRed = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourSubtleYellow = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourBoldBlue = "#ffffff";
+export const containerDefaultFocusIndicatorColourBoldGreen = "#ffffff";
+export const containerDefaultFocusIndicatorColourBoldRed = "#ffffff";
+export const containerDefaultFocusIndicatorColourBoldYellow = "#ffffff";
+export const containerDefaultFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+export const containerDefaultFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+export const containerStatusSubtleBackgroundColourNeutralInfo = "#aee1f7";
+export const containerStatusSubtleBackgroundColourNeutralSuccess = "#caeedd";
+export const containerStatusSubtleBackgroundColourNeutralWarning = "#fff9c7";
+export const containerStatusSubtleBackgroundColourNeutralError = "#ffc2bd";
+export const containerStatusSubtleBackgroundColourNeutralGeneric = "#f4f4f4";
+export const containerStatusSubtleBackgroundColourSubtleInfo = "#ffffff";
+export const containerStatusSubtleBackgroundColourSubtleSuccess = "#ffffff";
+export const containerStatusSubtleBackgroundColourSubtleWarning = "#ffffff";
+export const containerStatusSubtleBackgroundColourSubtleError = "#ffffff";
+export const containerStatusSubtleBackgroundColourSubtleGeneric = "#ffffff";
+export const containerStatusSubtleBackgroundColourBoldInfo = "#ffffff";
+export const containerStatusSubtleBackgroundColourBoldSuccess = "#ffffff";
+export const containerStatusSubtleBackgroundColourBoldWarning = "#ffffff";
+export const containerStatusSubtleBackgroundColourBoldError = "#ffffff";
+export const containerStatusSubtleBackgroundColourBoldGeneric = "#ffffff";
+export const containerStatusSubtleBackgroundColourNeutralInverseInfo = "#aee1f7";
+export const containerStatusSubtleBackgroundColourNeutralInverseSuccess = "#caeedd";
+export const containerStatusSubtleBackgroundColourNeutralInverseWarning = "#fff9c7";
+export const containerStatusSubtleBackgroundColourNeutralInverseError = "#ffc2bd";
+export const containerStatusSubtleBackgroundColourNeutralInverseGeneric = "#ffffff";
+export const containerStatusSubtleFocusIndicatorColourNeutralBlue = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourNeutralGreen = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourNeutralRed = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourNeutralYellow = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourSubtleBlue = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourSubtleGreen = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourSubtleRed = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourSubtleYellow = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourBoldBlue = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourBoldGreen = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourBoldRed = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourBoldYellow = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+export const containerStatusSubtleFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+export const containerStatusBoldBackgroundColourNeutralInfo = "#005dba";
+export const containerStatusBoldBackgroundColourNeutralSuccess = "#00633d";
+export const containerStatusBoldBackgroundColourNeutralWarning = "#ffb600";
+export const containerStatusBoldBackgroundColourNeutralError = "#c50b30";
+export const containerStatusBoldBackgroundColourNeutralGeneric = "#4d4f4f";
+export const containerStatusBoldBackgroundColourSubtleInfo = "#005dba";
+export const containerStatusBoldBackgroundColourSubtleSuccess = "#00633d";
+export const containerStatusBoldBackgroundColourSubtleWarning = "#ffb600";
+export const containerStatusBoldBackgroundColourSubtleError = "#c50b30";
+export const containerStatusBoldBackgroundColourSubtleGeneric = "#4d4f4f";
+export const containerStatusBoldBackgroundColourBoldInfo = "#005dba";
+export const containerStatusBoldBackgroundColourBoldSuccess = "#00633d";
+export const containerStatusBoldBackgroundColourBoldWarning = "#ffb600";
+export const containerStatusBoldBackgroundColourBoldError = "#c50b30";
+export const containerStatusBoldBackgroundColourBoldGeneric = "#4d4f4f";
+export const containerStatusBoldBackgroundColourNeutralInverseInfo = "#005dba";
+export const containerStatusBoldBackgroundColourNeutralInverseSuccess = "#00633d";
+export const containerStatusBoldBackgroundColourNeutralInverseWarning = "#ffb600";
+export const containerStatusBoldBackgroundColourNeutralInverseError = "#c50b30";
+export const containerStatusBoldBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+export const inputCommonBorderRadiusXsNeutralBlue = 4;
+export const inputCommonBorderRadiusXsNeutralGreen = 4;
+export const inputCommonBorderRadiusXsNeutralRed = 4;
+export const inputCommonBorderRadiusXsNeutralYellow = 4;
+export const inputCommonBorderRadiusXsSubtleBlue = 4;
+export const inputCommonBorderRadiusXsSubtleGreen = 4;
+export const inputCommonBorderRadiusXsSubtleRed = 4;
+export const inputCommonBorderRadiusXsSubtleYellow = 4;
+export const inputCommonBorderRadiusXsBoldBlue = 4;
+export const inputCommonBorderRadiusXsBoldGreen = 4;
+export const inputCommonBorderRadiusXsBoldRed = 4;
+export const inputCommonBorderRadiusXsBoldYellow = 4;
+export const inputCommonBorderRadiusXsNeutralInverseBlue = 4;
+export const inputCommonBorderRadiusXsNeutralInverseGreen = 4;
+export const inputCommonBorderRadiusXsNeutralInverseRed = 4;
+export const inputCommonBorderRadiusXsNeutralInverseYellow = 4;
+export const inputCommonBorderRadiusSmNeutralBlue = 8;
+export const inputCommonBorderRadiusSmNeutralGreen = 8;
+export const inputCommonBorderRadiusSmNeutralRed = 8;
+export const inputCommonBorderRadiusSmNeutralYellow = 8;
+export const inputCommonBorderRadiusSmSubtleBlue = 8;
+export const inputCommonBorderRadiusSmSubtleGreen = 8;
+export const inputCommonBorderRadiusSmSubtleRed = 8;
+export const inputCommonBorderRadiusSmSubtleYellow = 8;
+export const inputCommonBorderRadiusSmBoldBlue = 8;
+export const inputCommonBorderRadiusSmBoldGreen = 8;
+export const inputCommonBorderRadiusSmBoldRed = 8;
+export const inputCommonBorderRadiusSmBoldYellow = 8;
+export const inputCommonBorderRadiusSmNeutralInverseBlue = 8;
+export const inputCommonBorderRadiusSmNeutralInverseGreen = 8;
+export const inputCommonBorderRadiusSmNeutralInverseRed = 8;
+export const inputCommonBorderRadiusSmNeutralInverseYellow = 8;
+export const inputCommonBorderRadiusMdNeutralBlue = 12;
+export const inputCommonBorderRadiusMdNeutralGreen = 12;
+export const inputCommonBorderRadiusMdNeutralRed = 12;
+export const inputCommonBorderRadiusMdNeutralYellow = 12;
+export const inputCommonBorderRadiusMdSubtleBlue = 12;
+export const inputCommonBorderRadiusMdSubtleGreen = 12;
+export const inputCommonBorderRadiusMdSubtleRed = 12;
+export const inputCommonBorderRadiusMdSubtleYellow = 12;
+export const inputCommonBorderRadiusMdBoldBlue = 12;
+export const inputCommonBorderRadiusMdBoldGreen = 12;
+export const inputCommonBorderRadiusMdBoldRed = 12;
+export const inputCommonBorderRadiusMdBoldYellow = 12;
+export const inputCommonBorderRadiusMdNeutralInverseBlue = 12;
+export const inputCommonBorderRadiusMdNeutralInverseGreen = 12;
+export const inputCommonBorderRadiusMdNeutralInverseRed = 12;
+export const inputCommonBorderRadiusMdNeutralInverseYellow = 12;
+export const inputCommonBorderRadiusLgNeutralBlue = 16;
+export const inputCommonBorderRadiusLgNeutralGreen = 16;
+export const inputCommonBorderRadiusLgNeutralRed = 16;
+export const inputCommonBorderRadiusLgNeutralYellow = 16;
+export const inputCommonBorderRadiusLgSubtleBlue = 16;
+export const inputCommonBorderRadiusLgSubtleGreen = 16;
+export const inputCommonBorderRadiusLgSubtleRed = 16;
+export const inputCommonBorderRadiusLgSubtleYellow = 16;
+export const inputCommonBorderRadiusLgBoldBlue = 16;
+export const inputCommonBorderRadiusLgBoldGreen = 16;
+export const inputCommonBorderRadiusLgBoldRed = 16;
+export const inputCommonBorderRadiusLgBoldYellow = 16;
+export const inputCommonBorderRadiusLgNeutralInverseBlue = 16;
+export const inputCommonBorderRadiusLgNeutralInverseGreen = 16;
+export const inputCommonBorderRadiusLgNeutralInverseRed = 16;
+export const inputCommonBorderRadiusLgNeutralInverseYellow = 16;
+export const inputCommonGapXsNeutralBlue = 4;
+export const inputCommonGapXsNeutralGreen = 4;
+export const inputCommonGapXsNeutralRed = 4;
+export const inputCommonGapXsNeutralYellow = 4;
+export const inputCommonGapXsSubtleBlue = 4;
+export const inputCommonGapXsSubtleGreen = 4;
+export const inputCommonGapXsSubtleRed = 4;
+export const inputCommonGapXsSubtleYellow = 4;
+export const inputCommonGapXsBoldBlue = 4;
+export const inputCommonGapXsBoldGreen = 4;
+export const inputCommonGapXsBoldRed = 4;
+export const inputCommonGapXsBoldYellow = 4;
+export const inputCommonGapXsNeutralInverseBlue = 4;
+export const inputCommonGapXsNeutralInverseGreen = 4;
+export const inputCommonGapXsNeutralInverseRed = 4;
+export const inputCommonGapXsNeutralInverseYellow = 4;
+export const inputCommonGapSmNeutralBlue = 8;
+export const inputCommonGapSmNeutralGreen = 8;
+export const inputCommonGapSmNeutralRed = 8;
+export const inputCommonGapSmNeutralYellow = 8;
+export const inputCommonGapSmSubtleBlue = 8;
+export const inputCommonGapSmSubtleGreen = 8;
+export const inputCommonGapSmSubtleRed = 8;
+export const inputCommonGapSmSubtleYellow = 8;
+export const inputCommonGapSmBoldBlue = 8;
+export const inputCommonGapSmBoldGreen = 8;
+export const inputCommonGapSmBoldRed = 8;
+export const inputCommonGapSmBoldYellow = 8;
+export const inputCommonGapSmNeutralInverseBlue = 8;
+export const inputCommonGapSmNeutralInverseGreen = 8;
+export const inputCommonGapSmNeutralInverseRed = 8;
+export const inputCommonGapSmNeutralInverseYellow = 8;
+export const inputCommonGapMdNeutralBlue = 12;
+export const inputCommonGapMdNeutralGreen = 12;
+export const inputCommonGapMdNeutralRed = 12;
+export const inputCommonGapMdNeutralYellow = 12;
+export const inputCommonGapMdSubtleBlue = 12;
+export const inputCommonGapMdSubtleGreen = 12;
+export const inputCommonGapMdSubtleRed = 12;
+export const inputCommonGapMdSubtleYellow = 12;
+export const inputCommonGapMdBoldBlue = 12;
+export const inputCommonGapMdBoldGreen = 12;
+export const inputCommonGapMdBoldRed = 12;
+export const inputCommonGapMdBoldYellow = 12;
+export const inputCommonGapMdNeutralInverseBlue = 12;
+export const inputCommonGapMdNeutralInverseGreen = 12;
+export const inputCommonGapMdNeutralInverseRed = 12;
+export const inputCommonGapMdNeutralInverseYellow = 12;
+export const inputCommonGapLgNeutralBlue = 16;
+export const inputCommonGapLgNeutralGreen = 16;
+export const inputCommonGapLgNeutralRed = 16;
+export const inputCommonGapLgNeutralYellow = 16;
+export const inputCommonGapLgSubtleBlue = 16;
+export const inputCommonGapLgSubtleGreen = 16;
+export const inputCommonGapLgSubtleRed = 16;
+export const inputCommonGapLgSubtleYellow = 16;
+export const inputCommonGapLgBoldBlue = 16;
+export const inputCommonGapLgBoldGreen = 16;
+export const inputCommonGapLgBoldRed = 16;
+export const inputCommonGapLgBoldYellow = 16;
+export const inputCommonGapLgNeutralInverseBlue = 16;
+export const inputCommonGapLgNeutralInverseGreen = 16;
+export const inputCommonGapLgNeutralInverseRed = 16;
+export const inputCommonGapLgNeutralInverseYellow = 16;
+export const inputCommonGapXlNeutralBlue = 20;
+export const inputCommonGapXlNeutralGreen = 20;
+export const inputCommonGapXlNeutralRed = 20;
+export const inputCommonGapXlNeutralYellow = 20;
+export const inputCommonGapXlSubtleBlue = 20;
+export const inputCommonGapXlSubtleGreen = 20;
+export const inputCommonGapXlSubtleRed = 20;
+export const inputCommonGapXlSubtleYellow = 20;
+export const inputCommonGapXlBoldBlue = 20;
+export const inputCommonGapXlBoldGreen = 20;
+export const inputCommonGapXlBoldRed = 20;
+export const inputCommonGapXlBoldYellow = 20;
+export const inputCommonGapXlNeutralInverseBlue = 20;
+export const inputCommonGapXlNeutralInverseGreen = 20;
+export const inputCommonGapXlNeutralInverseRed = 20;
+export const inputCommonGapXlNeutralInverseYellow = 20;
+export const inputCommonGapXxlNeutralBlue = 28;
+export const inputCommonGapXxlNeutralGreen = 28;
+export const inputCommonGapXxlNeutralRed = 28;
+export const inputCommonGapXxlNeutralYellow = 28;
+export const inputCommonGapXxlSubtleBlue = 28;
+export const inputCommonGapXxlSubtleGreen = 28;
+export const inputCommonGapXxlSubtleRed = 28;
+export const inputCommonGapXxlSubtleYellow = 28;
+export const inputCommonGapXxlBoldBlue = 28;
+export const inputCommonGapXxlBoldGreen = 28;
+export const inputCommonGapXxlBoldRed = 28;
+export const inputCommonGapXxlBoldYellow = 28;
+export const inputCommonGapXxlNeutralInverseBlue = 28;
+export const inputCommonGapXxlNeutralInverseGreen = 28;
+export const inputCommonGapXxlNeutralInverseRed = 28;
+export const inputCommonGapXxlNeutralInverseYellow = 28;
+export const inputCommonGapXxxlNeutralBlue = 36;
+export const inputCommonGapXxxlNeutralGreen = 36;
+export const inputCommonGapXxxlNeutralRed = 36;
+export const inputCommonGapXxxlNeutralYellow = 36;
+export const inputCommonGapXxxlSubtleBlue = 36;
+export const inputCommonGapXxxlSubtleGreen = 36;
+export const inputCommonGapXxxlSubtleRed = 36;
+export const inputCommonGapXxxlSubtleYellow = 36;
+export const inputCommonGapXxxlBoldBlue = 36;
+export const inputCommonGapXxxlBoldGreen = 36;
+export const inputCommonGapXxxlBoldRed = 36;
+export const inputCommonGapXxxlBoldYellow = 36;
+export const inputCommonGapXxxlNeutralInverseBlue = 36;
+export const inputCommonGapXxxlNeutralInverseGreen = 36;
+export const inputCommonGapXxxlNeutralInverseRed = 36;
+export const inputCommonGapXxxlNeutralInverseYellow = 36;
+export const inputCommonMinWidthNeutralBlue = 232;
+export const inputCommonMinWidthNeutralGreen = 232;
+export const inputCommonMinWidthNeutralRed = 232;
+export const inputCommonMinWidthNeutralYellow = 232;
+export const inputCommonMinWidthSubtleBlue = 232;
+export const inputCommonMinWidthSubtleGreen = 232;
+export const inputCommonMinWidthSubtleRed = 232;
+export const inputCommonMinWidthSubtleYellow = 232;
+export const inputCommonMinWidthBoldBlue = 232;
+export const inputCommonMinWidthBoldGreen = 232;
+export const inputCommonMinWidthBoldRed = 232;
+export const inputCommonMinWidthBoldYellow = 232;
+export const inputCommonMinWidthNeutralInverseBlue = 232;
+export const inputCommonMinWidthNeutralInverseGreen = 232;
+export const inputCommonMinWidthNeutralInverseRed = 232;
+export const inputCommonMinWidthNeutralInverseYellow = 232;
+export const inputCommonPaddingXsNeutralBlue = 4;
+export const inputCommonPaddingXsNeutralGreen = 4;
+export const inputCommonPaddingXsNeutralRed = 4;
+export const inputCommonPaddingXsNeutralYellow = 4;
+export const inputCommonPaddingXsSubtleBlue = 4;
+export const inputCommonPaddingXsSubtleGreen = 4;
+export const inputCommonPaddingXsSubtleRed = 4;
+export const inputCommonPaddingXsSubtleYellow = 4;
+export const inputCommonPaddingXsBoldBlue = 4;
+export const inputCommonPaddingXsBoldGreen = 4;
+export const inputCommonPaddingXsBoldRed = 4;
+export const inputCommonPaddingXsBoldYellow = 4;
+export const inputCommonPaddingXsNeutralInverseBlue = 4;
+export const inputCommonPaddingXsNeutralInverseGreen = 4;
+export const inputCommonPaddingXsNeutralInverseRed = 4;
+export const inputCommonPaddingXsNeutralInverseYellow = 4;
+export const inputCommonPaddingSmNeutralBlue = 8;
+export const inputCommonPaddingSmNeutralGreen = 8;
+export const inputCommonPaddingSmNeutralRed = 8;
+export const inputCommonPaddingSmNeutralYellow = 8;
+export const inputCommonPaddingSmSubtleBlue = 8;
+export const inputCommonPaddingSmSubtleGreen = 8;
+export const inputCommonPaddingSmSubtleRed = 8;
+export const inputCommonPaddingSmSubtleYellow = 8;
+export const inputCommonPaddingSmBoldBlue = 8;
+export const inputCommonPaddingSmBoldGreen = 8;
+export const inputCommonPaddingSmBoldRed = 8;
+export const inputCommonPaddingSmBoldYellow = 8;
+export const inputCommonPaddingSmNeutralInverseBlue = 8;
+export const inputCommonPaddingSmNeutralInverseGreen = 8;
+export const inputCommonPaddingSmNeutralInverseRed = 8;
+export const inputCommonPaddingSmNeutralInverseYellow = 8;
+export const inputCommonPaddingMdNeutralBlue = 12;
+export const inputCommonPaddingMdNeutralGreen = 12;
+export const inputCommonPaddingMdNeutralRed = 12;
+export const inputCommonPaddingMdNeutralYellow = 12;
+export const inputCommonPaddingMdSubtleBlue = 12;
+export const inputCommonPaddingMdSubtleGreen = 12;
+export const inputCommonPaddingMdSubtleRed = 12;
+export const inputCommonPaddingMdSubtleYellow = 12;
+export const inputCommonPaddingMdBoldBlue = 12;
+export const inputCommonPaddingMdBoldGreen = 12;
+export const inputCommonPaddingMdBoldRed = 12;
+export const inputCommonPaddingMdBoldYellow = 12;
+export const inputCommonPaddingMdNeutralInverseBlue = 12;
+export const inputCommonPaddingMdNeutralInverseGreen = 12;
+export const inputCommonPaddingMdNeutralInverseRed = 12;
+export const inputCommonPaddingMdNeutralInverseYellow = 12;
+export const inputCommonPaddingLgNeutralBlue = 16;
+export const inputCommonPaddingLgNeutralGreen = 16;
+export const inputCommonPaddingLgNeutralRed = 16;
+export const inputCommonPaddingLgNeutralYellow = 16;
+export const inputCommonPaddingLgSubtleBlue = 16;
+export const inputCommonPaddingLgSubtleGreen = 16;
+export const inputCommonPaddingLgSubtleRed = 16;
+export const inputCommonPaddingLgSubtleYellow = 16;
+export const inputCommonPaddingLgBoldBlue = 16;
+export const inputCommonPaddingLgBoldGreen = 16;
+export const inputCommonPaddingLgBoldRed = 16;
+export const inputCommonPaddingLgBoldYellow = 16;
+export const inputCommonPaddingLgNeutralInverseBlue = 16;
+export const inputCommonPaddingLgNeutralInverseGreen = 16;
+export const inputCommonPaddingLgNeutralInverseRed = 16;
+export const inputCommonPaddingLgNeutralInverseYellow = 16;
+export const inputCommonScaleXxsNeutralBlue = 8;
+export const inputCommonScaleXxsNeutralGreen = 8;
+export const inputCommonScaleXxsNeutralRed = 8;
+export const inputCommonScaleXxsNeutralYellow = 8;
+export const inputCommonScaleXxsSubtleBlue = 8;
+export const inputCommonScaleXxsSubtleGreen = 8;
+export const inputCommonScaleXxsSubtleRed = 8;
+export const inputCommonScaleXxsSubtleYellow = 8;
+export const inputCommonScaleXxsBoldBlue = 8;
+export const inputCommonScaleXxsBoldGreen = 8;
+export const inputCommonScaleXxsBoldRed = 8;
+export const inputCommonScaleXxsBoldYellow = 8;
+export const inputCommonScaleXxsNeutralInverseBlue = 8;
+export const inputCommonScaleXxsNeutralInverseGreen = 8;
+export const inputCommonScaleXxsNeutralInverseRed = 8;
+export const inputCommonScaleXxsNeutralInverseYellow = 8;
+export const inputCommonScaleXsNeutralBlue = 12;
+export const inputCommonScaleXsNeutralGreen = 12;
+export const inputCommonScaleXsNeutralRed = 12;
+export const inputCommonScaleXsNeutralYellow = 12;
+export const inputCommonScaleXsSubtleBlue = 12;
+export const inputCommonScaleXsSubtleGreen = 12;
+export const inputCommonScaleXsSubtleRed = 12;
+export const inputCommonScaleXsSubtleYellow = 12;
+export const inputCommonScaleXsBoldBlue = 12;
+export const inputCommonScaleXsBoldGreen = 12;
+export const inputCommonScaleXsBoldRed = 12;
+export const inputCommonScaleXsBoldYellow = 12;
+export const inputCommonScaleXsNeutralInverseBlue = 12;
+export const inputCommonScaleXsNeutralInverseGreen = 12;
+export const inputCommonScaleXsNeutralInverseRed = 12;
+export const inputCommonScaleXsNeutralInverseYellow = 12;
+export const inputCommonScaleSmNeutralBlue = 16;
+export const inputCommonScaleSmNeutralGreen = 16;
+export const inputCommonScaleSmNeutralRed = 16;
+export const inputCommonScaleSmNeutralYellow = 16;
+export const inputCommonScaleSmSubtleBlue = 16;
+export const inputCommonScaleSmSubtleGreen = 16;
+export const inputCommonScaleSmSubtleRed = 16;
+export const inputCommonScaleSmSubtleYellow = 16;
+export const inputCommonScaleSmBoldBlue = 16;
+export const inputCommonScaleSmBoldGreen = 16;
+export const inputCommonScaleSmBoldRed = 16;
+export const inputCommonScaleSmBoldYellow = 16;
+export const inputCommonScaleSmNeutralInverseBlue = 16;
+export const inputCommonScaleSmNeutralInverseGreen = 16;
+export const inputCommonScaleSmNeutralInverseRed = 16;
+export const inputCommonScaleSmNeutralInverseYellow = 16;
+export const inputCommonScaleMdNeutralBlue = 20;
+export const inputCommonScaleMdNeutralGreen = 20;
+export const inputCommonScaleMdNeutralRed = 20;
+export const inputCommonScaleMdNeutralYellow = 20;
+export const inputCommonScaleMdSubtleBlue = 20;
+export const inputCommonScaleMdSubtleGreen = 20;
+export const inputCommonScaleMdSubtleRed = 20;
+export const inputCommonScaleMdSubtleYellow = 20;
+export const inputCommonScaleMdBoldBlue = 20;
+export const inputCommonScaleMdBoldGreen = 20;
+export const inputCommonScaleMdBoldRed = 20;
+export const inputCommonScaleMdBoldYellow = 20;
+export const inputCommonScaleMdNeutralInverseBlue = 20;
+export const inputCommonScaleMdNeutralInverseGreen = 20;
+export const inputCommonScaleMdNeutralInverseRed = 20;
+export const inputCommonScaleMdNeutralInverseYellow = 20;
+export const inputCommonScaleLgNeutralBlue = 28;
+export const inputCommonScaleLgNeutralGreen = 28;
+export const inputCommonScaleLgNeutralRed = 28;
+export const inputCommonScaleLgNeutralYellow = 28;
+export const inputCommonScaleLgSubtleBlue = 28;
+export const inputCommonScaleLgSubtleGreen = 28;
+export const inputCommonScaleLgSubtleRed = 28;
+export const inputCommonScaleLgSubtleYellow = 28;
+export const inputCommonScaleLgBoldBlue = 28;
+export const inputCommonScaleLgBoldGreen = 28;
+export const inputCommonScaleLgBoldRed = 28;
+export const inputCommonScaleLgBoldYellow = 28;
+export const inputCommonScaleLgNeutralInverseBlue = 28;
+export const inputCommonScaleLgNeutralInverseGreen = 28;
+export const inputCommonScaleLgNeutralInverseRed = 28;
+export const inputCommonScaleLgNeutralInverseYellow = 28;
+export const inputCommonScaleXlNeutralBlue = 36;
+export const inputCommonScaleXlNeutralGreen = 36;
+export const inputCommonScaleXlNeutralRed = 36;
+export const inputCommonScaleXlNeutralYellow = 36;
+export const inputCommonScaleXlSubtleBlue = 36;
+export const inputCommonScaleXlSubtleGreen = 36;
+export const inputCommonScaleXlSubtleRed = 36;
+export const inputCommonScaleXlSubtleYellow = 36;
+export const inputCommonScaleXlBoldBlue = 36;
+export const inputCommonScaleXlBoldGreen = 36;
+export const inputCommonScaleXlBoldRed = 36;
+export const inputCommonScaleXlBoldYellow = 36;
+export const inputCommonScaleXlNeutralInverseBlue = 36;
+export const inputCommonScaleXlNeutralInverseGreen = 36;
+export const inputCommonScaleXlNeutralInverseRed = 36;
+export const inputCommonScaleXlNeutralInverseYellow = 36;
+export const inputCommonScaleXxlNeutralBlue = 48;
+export const inputCommonScaleXxlNeutralGreen = 48;
+export const inputCommonScaleXxlNeutralRed = 48;
+export const inputCommonScaleXxlNeutralYellow = 48;
+export const inputCommonScaleXxlSubtleBlue = 48;
+export const inputCommonScaleXxlSubtleGreen = 48;
+export const inputCommonScaleXxlSubtleRed = 48;
+export const inputCommonScaleXxlSubtleYellow = 48;
+export const inputCommonScaleXxlBoldBlue = 48;
+export const inputCommonScaleXxlBoldGreen = 48;
+export const inputCommonScaleXxlBoldRed = 48;
+export const inputCommonScaleXxlBoldYellow = 48;
+export const inputCommonScaleXxlNeutralInverseBlue = 48;
+export const inputCommonScaleXxlNeutralInverseGreen = 48;
+export const inputCommonScaleXxlNeutralInverseRed = 48;
+export const inputCommonScaleXxlNeutralInverseYellow = 48;
+export const inputRestNeutralBackgroundColourNeutralBlue = "#ffffff";
+export const inputRestNeutralBackgroundColourNeutralGreen = "#ffffff";
+export const inputRestNeutralBackgroundColourNeutralRed = "#ffffff";
+export const inputRestNeutralBackgroundColourNeutralYellow = "#ffffff";
+export const inputRestNeutralBackgroundColourSubtleBlue = "#ffffff";
+export const inputRestNeutralBackgroundColourSubtleGreen = "#ffffff";
+export const inputRestNeutralBackgroundColourSubtleRed = "#ffffff";
+export const inputRestNeutralBackgroundColourSubtleYellow = "#ffffff";
+export const inputRestNeutralBackgroundColourBoldBlue = "#ffffff";
+export const inputRestNeutralBackgroundColourBoldGreen = "#ffffff";
+export const inputRestNeutralBackgroundColourBoldRed = "#ffffff";
+export const inputRestNeutralBackgroundColourBoldYellow = "#ffffff";
+export const inputRestNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+export const inputRestNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+export const inputRestNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+export const inputRestNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+export const inputRestNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const inputRestNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const inputRestIndicatorColourNeutralBlue = "#005dba";
+export const inputRestIndicatorColourNeutralGreen = "#00633d";
+export const inputRestIndicatorColourNeutralRed = "#c50b30";
+export const inputRestIndicatorColourNeutralYellow = "#c86426";
+export const inputRestIndicatorColourSubtleBlue = "#005dba";
+export const inputRestIndicatorColourSubtleGreen = "#00633d";
+export const inputRestIndicatorColourSubtleRed = "#c50b30";
+export const inputRestIndicatorColourSubtleYellow = "#c86426";
+export const inputRestIndicatorColourBoldBlue = "#005dba";
+export const inputRestIndicatorColourBoldGreen = "#00633d";
+export const inputRestIndicatorColourBoldRed = "#c50b30";
+export const inputRestIndicatorColourBoldYellow = "#c86426";
+export const inputRestIndicatorColourNeutralInverseBlue = "#005dba";
+export const inputRestIndicatorColourNeutralInverseGreen = "#00633d";
+export const inputRestIndicatorColourNeutralInverseRed = "#c50b30";
+export const inputRestIndicatorColourNeutralInverseYellow = "#c86426";
+export const inputRestBorderColourNeutralBlue = "#858686";
+export const inputRestBorderColourNeutralGreen = "#858686";
+export const inputRestBorderColourNeutralRed = "#858686";
+export const inputRestBorderColourNeutralYellow = "#858686";
+export const inputRestBorderColourSubtleBlue = "#001d6e";
+export const inputRestBorderColourSubtleGreen = "#01312e";
+export const inputRestBorderColourSubtleRed = "#940824";
+export const inputRestBorderColourSubtleYellow = "#c86426";
+export const inputRestBorderColourBoldBlue = "#001d6e";
+export const inputRestBorderColourBoldGreen = "#01312e";
+export const inputRestBorderColourBoldRed = "#940824";
+export const inputRestBorderColourBoldYellow = "#c86426";
+export const inputRestBorderColourNeutralInverseBlue = "#858686";
+export const inputRestBorderColourNeutralInverseGreen = "#858686";
+export const inputRestBorderColourNeutralInverseRed = "#858686";
+export const inputRestBorderColourNeutralInverseYellow = "#858686";
+export const inputRestColourNeutralBlue = "#1d1d1b";
+export const inputRestColourNeutralGreen = "#1d1d1b";
+export const inputRestColourNeutralRed = "#1d1d1b";
+export const inputRestColourNeutralYellow = "#1d1d1b";
+export const inputRestColourSubtleBlue = "#1d1d1b";
+export const inputRestColourSubtleGreen = "#1d1d1b";
+export const inputRestColourSubtleRed = "#1d1d1b";
+export const inputRestColourSubtleYellow = "#1d1d1b";
+export const inputRestColourBoldBlue = "#1d1d1b";
+export const inputRestColourBoldGreen = "#1d1d1b";
+export const inputRestColourBoldRed = "#1d1d1b";
+export const inputRestColourBoldYellow = "#1d1d1b";
+export const inputRestColourNeutralInverseBlue = "#1d1d1b";
+export const inputRestColourNeutralInverseGreen = "#1d1d1b";
+export const inputRestColourNeutralInverseRed = "#1d1d1b";
+export const inputRestColourNeutralInverseYellow = "#1d1d1b";
+export const inputRestBorderWidthNeutralBlue = 1.5;
+export const inputRestBorderWidthNeutralGreen = 1.5;
+export const inputRestBorderWidthNeutralRed = 1.5;
+export const inputRestBorderWidthNeutralYellow = 1.5;
+export const inputRestBorderWidthSubtleBlue = 1.5;
+export const inputRestBorderWidthSubtleGreen = 1.5;
+export const inputRestBorderWidthSubtleRed = 1.5;
+export const inputRestBorderWidthSubtleYellow = 1.5;
+export const inputRestBorderWidthBoldBlue = 1.5;
+export const inputRestBorderWidthBoldGreen = 1.5;
+export const inputRestBorderWidthBoldRed = 1.5;
+export const inputRestBorderWidthBoldYellow = 1.5;
+export const inputRestBorderWidthNeutralInverseBlue = 1.5;
+export const inputRestBorderWidthNeutralInverseGreen = 1.5;
+export const inputRestBorderWidthNeutralInverseRed = 1.5;
+export const inputRestBorderWidthNeutralInverseYellow = 1.5;
+export const inputHoverNeutralBackgroundColourNeutralBlue = "#ffffff";
+export const inputHoverNeutralBackgroundColourNeutralGreen = "#ffffff";
+export const inputHoverNeutralBackgroundColourNeutralRed = "#ffffff";
+export const inputHoverNeutralBackgroundColourNeutralYellow = "#ffffff";
+export const inputHoverNeutralBackgroundColourSubtleBlue = "#ffffff";
+export const inputHoverNeutralBackgroundColourSubtleGreen = "#ffffff";
+export const inputHoverNeutralBackgroundColourSubtleRed = "#ffffff";
+export const inputHoverNeutralBackgroundColourSubtleYellow = "#ffffff";
+export const inputHoverNeutralBackgroundColourBoldBlue = "#ffffff";
+export const inputHoverNeutralBackgroundColourBoldGreen = "#ffffff";
+export const inputHoverNeutralBackgroundColourBoldRed = "#ffffff";
+export const inputHoverNeutralBackgroundColourBoldYellow = "#ffffff";
+export const inputHoverNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+export const inputHoverNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+export const inputHoverNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+export const inputHoverNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+export const inputHoverNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const inputHoverNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const inputHoverIndicatorColourNeutralBlue = "#001d6e";
+export const inputHoverIndicatorColourNeutralGreen = "#01312e";
+export const inputHoverIndicatorColourNeutralRed = "#940824";
+export const inputHoverIndicatorColourNeutralYellow = "#c86426";
+export const inputHoverIndicatorColourSubtleBlue = "#001d6e";
+export const inputHoverIndicatorColourSubtleGreen = "#01312e";
+export const inputHoverIndicatorColourSubtleRed = "#940824";
+export const inputHoverIndicatorColourSubtleYellow = "#c86426";
+export const inputHoverIndicatorColourBoldBlue = "#001d6e";
+export const inputHoverIndicatorColourBoldGreen = "#01312e";
+export const inputHoverIndicatorColourBoldRed = "#940824";
+export const inputHoverIndicatorColourBoldYellow = "#c86426";
+export const inputHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+export const inputHoverIndicatorColourNeutralInverseGreen = "#01312e";
+export const inputHoverIndicatorColourNeutralInverseRed = "#940824";
+export const inputHoverIndicatorColourNeutralInverseYellow = "#c86426";
+export const inputHoverBorderColourNeutralBlue = "#4d4f4f";
+export const inputHoverBorderColourNeutralGreen = "#4d4f4f";
+export const inputHoverBorderColourNeutralRed = "#4d4f4f";
+export const inputHoverBorderColourNeutralYellow = "#4d4f4f";
+export const inputHoverBorderColourSubtleBlue = "#1d1d1b";
+export const inputHoverBorderColourSubtleGreen = "#1d1d1b";
+export const inputHoverBorderColourSubtleRed = "#1d1d1b";
+export const inputHoverBorderColourSubtleYellow = "#1d1d1b";
+export const inputHoverBorderColourBoldBlue = "#1d1d1b";
+export const inputHoverBorderColourBoldGreen = "#1d1d1b";
+export const inputHoverBorderColourBoldRed = "#1d1d1b";
+export const inputHoverBorderColourBoldYellow = "#1d1d1b";
+export const inputHoverBorderColourNeutralInverseBlue = "#4d4f4f";
+export const inputHoverBorderColourNeutralInverseGreen = "#4d4f4f";
+export const inputHoverBorderColourNeutralInverseRed = "#4d4f4f";
+export const inputHoverBorderColourNeutralInverseYellow = "#4d4f4f";
+export const inputHoverColourNeutralBlue = "#1d1d1b";
+export const inputHoverColourNeutralGreen = "#1d1d1b";
+export const inputHoverColourNeutralRed = "#1d1d1b";
+export const inputHoverColourNeutralYellow = "#1d1d1b";
+export const inputHoverColourSubtleBlue = "#1d1d1b";
+export const inputHoverColourSubtleGreen = "#1d1d1b";
+export const inputHoverColourSubtleRed = "#1d1d1b";
+export const inputHoverColourSubtleYellow = "#1d1d1b";
+export const inputHoverColourBoldBlue = "#1d1d1b";
+export const inputHoverColourBoldGreen = "#1d1d1b";
+export const inputHoverColourBoldRed = "#1d1d1b";
+export const inputHoverColourBoldYellow = "#1d1d1b";
+export const inputHoverColourNeutralInverseBlue = "#1d1d1b";
+export const inputHoverColourNeutralInverseGreen = "#1d1d1b";
+export const inputHoverColourNeutralInverseRed = "#1d1d1b";
+export const inputHoverColourNeutralInverseYellow = "#1d1d1b";
+export const inputHoverBorderWidthNeutralBlue = 1.5;
+export const inputHoverBorderWidthNeutralGreen = 1.5;
+export const inputHoverBorderWidthNeutralRed = 1.5;
+export const inputHoverBorderWidthNeutralYellow = 1.5;
+export const inputHoverBorderWidthSubtleBlue = 1.5;
+export const inputHoverBorderWidthSubtleGreen = 1.5;
+export const inputHoverBorderWidthSubtleRed = 1.5;
+export const inputHoverBorderWidthSubtleYellow = 1.5;
+export const inputHoverBorderWidthBoldBlue = 1.5;
+export const inputHoverBorderWidthBoldGreen = 1.5;
+export const inputHoverBorderWidthBoldRed = 1.5;
+export const inputHoverBorderWidthBoldYellow = 1.5;
+export const inputHoverBorderWidthNeutralInverseBlue = 1.5;
+export const inputHoverBorderWidthNeutralInverseGreen = 1.5;
+export const inputHoverBorderWidthNeutralInverseRed = 1.5;
+export const inputHoverBorderWidthNeutralInverseYellow = 1.5;
+export const inputFocusNeutralBackgroundColourNeutralBlue = "#ffffff";
+export const inputFocusNeutralBackgroundColourNeutralGreen = "#ffffff";
+export const inputFocusNeutralBackgroundColourNeutralRed = "#ffffff";
+export const inputFocusNeutralBackgroundColourNeutralYellow = "#ffffff";
+export const inputFocusNeutralBackgroundColourSubtleBlue = "#ffffff";
+export const inputFocusNeutralBackgroundColourSubtleGreen = "#ffffff";
+export const inputFocusNeutralBackgroundColourSubtleRed = "#ffffff";
+export const inputFocusNeutralBackgroundColourSubtleYellow = "#ffffff";
+export const inputFocusNeutralBackgroundColourBoldBlue = "#ffffff";
+export const inputFocusNeutralBackgroundColourBoldGreen = "#ffffff";
+export const inputFocusNeutralBackgroundColourBoldRed = "#ffffff";
+export const inputFocusNeutralBackgroundColourBoldYellow = "#ffffff";
+export const inputFocusNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+export const inputFocusNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+export const inputFocusNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+export const inputFocusNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+export const inputFocusNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const inputFocusNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const inputFocusIndicatorColourNeutralBlue = "#005dba";
+export const inputFocusIndicatorColourNeutralGreen = "#00633d";
+export const inputFocusIndicatorColourNeutralRed = "#c50b30";
+export const inputFocusIndicatorColourNeutralYellow = "#c86426";
+export const inputFocusIndicatorColourSubtleBlue = "#005dba";
+export const inputFocusIndicatorColourSubtleGreen = "#00633d";
+export const inputFocusIndicatorColourSubtleRed = "#c50b30";
+export const inputFocusIndicatorColourSubtleYellow = "#c86426";
+export const inputFocusIndicatorColourBoldBlue = "#005dba";
+export const inputFocusIndicatorColourBoldGreen = "#00633d";
+export const inputFocusIndicatorColourBoldRed = "#c50b30";
+export const inputFocusIndicatorColourBoldYellow = "#c86426";
+export const inputFocusIndicatorColourNeutralInverseBlue = "#005dba";
+export const inputFocusIndicatorColourNeutralInverseGreen = "#00633d";
+export const inputFocusIndicatorColourNeutralInverseRed = "#c50b30";
+export const inputFocusIndicatorColourNeutralInverseYellow = "#c86426";
+export const inputFocusBorderColourNeutralBlue = "#1d1d1b";
+export const inputFocusBorderColourNeutralGreen = "#1d1d1b";
+export const inputFocusBorderColourNeutralRed = "#1d1d1b";
+export const inputFocusBorderColourNeutralYellow = "#1d1d1b";
+export const inputFocusBorderColourSubtleBlue = "#1d1d1b";
+export const inputFocusBorderColourSubtleGreen = "#1d1d1b";
+export const inputFocusBorderColourSubtleRed = "#1d1d1b";
+export const inputFocusBorderColourSubtleYellow = "#1d1d1b";
+export const inputFocusBorderColourBoldBlue = "#1d1d1b";
+export const inputFocusBorderColourBoldGreen = "#1d1d1b";
+export const inputFocusBorderColourBoldRed = "#1d1d1b";
+export const inputFocusBorderColourBoldYellow = "#1d1d1b";
+export const inputFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const inputFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const inputFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const inputFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+export const inputFocusColourNeutralBlue = "#1d1d1b";
+export const inputFocusColourNeutralGreen = "#1d1d1b";
+export const inputFocusColourNeutralRed = "#1d1d1b";
+export const inputFocusColourNeutralYellow = "#1d1d1b";
+export const inputFocusColourSubtleBlue = "#1d1d1b";
+export const inputFocusColourSubtleGreen = "#1d1d1b";
+export const inputFocusColourSubtleRed = "#1d1d1b";
+export const inputFocusColourSubtleYellow = "#1d1d1b";
+export const inputFocusColourBoldBlue = "#1d1d1b";
+export const inputFocusColourBoldGreen = "#1d1d1b";
+export const inputFocusColourBoldRed = "#1d1d1b";
+export const inputFocusColourBoldYellow = "#1d1d1b";
+export const inputFocusColourNeutralInverseBlue = "#1d1d1b";
+export const inputFocusColourNeutralInverseGreen = "#1d1d1b";
+export const inputFocusColourNeutralInverseRed = "#1d1d1b";
+export const inputFocusColourNeutralInverseYellow = "#1d1d1b";
+export const inputFocusBorderWidthNeutralBlue = 3;
+export const inputFocusBorderWidthNeutralGreen = 3;
+export const inputFocusBorderWidthNeutralRed = 3;
+export const inputFocusBorderWidthNeutralYellow = 3;
+export const inputFocusBorderWidthSubtleBlue = 3;
+export const inputFocusBorderWidthSubtleGreen = 3;
+export const inputFocusBorderWidthSubtleRed = 3;
+export const inputFocusBorderWidthSubtleYellow = 3;
+export const inputFocusBorderWidthBoldBlue = 3;
+export const inputFocusBorderWidthBoldGreen = 3;
+export const inputFocusBorderWidthBoldRed = 3;
+export const inputFocusBorderWidthBoldYellow = 3;
+export const inputFocusBorderWidthNeutralInverseBlue = 3;
+export const inputFocusBorderWidthNeutralInverseGreen = 3;
+export const inputFocusBorderWidthNeutralInverseRed = 3;
+export const inputFocusBorderWidthNeutralInverseYellow = 3;
+export const inputErrorNeutralBackgroundColourNeutralBlue = "#ffffff";
+export const inputErrorNeutralBackgroundColourNeutralGreen = "#ffffff";
+export const inputErrorNeutralBackgroundColourNeutralRed = "#ffffff";
+export const inputErrorNeutralBackgroundColourNeutralYellow = "#ffffff";
+export const inputErrorNeutralBackgroundColourSubtleBlue = "#ffffff";
+export const inputErrorNeutralBackgroundColourSubtleGreen = "#ffffff";
+export const inputErrorNeutralBackgroundColourSubtleRed = "#ffffff";
+export const inputErrorNeutralBackgroundColourSubtleYellow = "#ffffff";
+export const inputErrorNeutralBackgroundColourBoldBlue = "#ffffff";
+export const inputErrorNeutralBackgroundColourBoldGreen = "#ffffff";
+export const inputErrorNeutralBackgroundColourBoldRed = "#ffffff";
+export const inputErrorNeutralBackgroundColourBoldYellow = "#ffffff";
+export const inputErrorNeutralBackgroundColourNeutralInverseBlue = "#ffffff";
+export const inputErrorNeutralBackgroundColourNeutralInverseGreen = "#ffffff";
+export const inputErrorNeutralBackgroundColourNeutralInverseRed = "#ffffff";
+export const inputErrorNeutralBackgroundColourNeutralInverseYellow = "#ffffff";
+export const inputErrorNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const inputErrorNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const inputErrorIndicatorColourNeutralBlue = "#c50b30";
+export const inputErrorIndicatorColourNeutralGreen = "#c50b30";
+export const inputErrorIndicatorColourNeutralRed = "#c50b30";
+export const inputErrorIndicatorColourNeutralYellow = "#c50b30";
+export const inputErrorIndicatorColourSubtleBlue = "#c50b30";
+export const inputErrorIndicatorColourSubtleGreen = "#c50b30";
+export const inputErrorIndicatorColourSubtleRed = "#c50b30";
+export const inputErrorIndicatorColourSubtleYellow = "#c50b30";
+export const inputErrorIndicatorColourBoldBlue = "#c50b30";
+export const inputErrorIndicatorColourBoldGreen = "#c50b30";
+export const inputErrorIndicatorColourBoldRed = "#c50b30";
+export const inputErrorIndicatorColourBoldYellow = "#c50b30";
+export const inputErrorIndicatorColourNeutralInverseBlue = "#c50b30";
+export const inputErrorIndicatorColourNeutralInverseGreen = "#c50b30";
+export const inputErrorIndicatorColourNeutralInverseRed = "#c50b30";
+export const inputErrorIndicatorColourNeutralInverseYellow = "#c50b30";
+export const inputErrorBorderColourNeutralBlue = "#c50b30";
+export const inputErrorBorderColourNeutralGreen = "#c50b30";
+export const inputErrorBorderColourNeutralRed = "#c50b30";
+export const inputErrorBorderColourNeutralYellow = "#c50b30";
+export const inputErrorBorderColourSubtleBlue = "#c50b30";
+export const inputErrorBorderColourSubtleGreen = "#c50b30";
+export const inputErrorBorderColourSubtleRed = "#c50b30";
+export const inputErrorBorderColourSubtleYellow = "#c50b30";
+export const inputErrorBorderColourBoldBlue = "#c50b30";
+export const inputErrorBorderColourBoldGreen = "#c50b30";
+export const inputErrorBorderColourBoldRed = "#c50b30";
+export const inputErrorBorderColourBoldYellow = "#c50b30";
+export const inputErrorBorderColourNeutralInverseBlue = "#c50b30";
+export const inputErrorBorderColourNeutralInverseGreen = "#c50b30";
+export const inputErrorBorderColourNeutralInverseRed = "#c50b30";
+export const inputErrorBorderColourNeutralInverseYellow = "#c50b30";
+export const inputErrorColourNeutralBlue = "#1d1d1b";
+export const inputErrorColourNeutralGreen = "#1d1d1b";
+export const inputErrorColourNeutralRed = "#1d1d1b";
+export const inputErrorColourNeutralYellow = "#1d1d1b";
+export const inputErrorColourSubtleBlue = "#1d1d1b";
+export const inputErrorColourSubtleGreen = "#1d1d1b";
+export const inputErrorColourSubtleRed = "#1d1d1b";
+export const inputErrorColourSubtleYellow = "#1d1d1b";
+export const inputErrorColourBoldBlue = "#1d1d1b";
+export const inputErrorColourBoldGreen = "#1d1d1b";
+export const inputErrorColourBoldRed = "#1d1d1b";
+export const inputErrorColourBoldYellow = "#1d1d1b";
+export const inputErrorColourNeutralInverseBlue = "#1d1d1b";
+export const inputErrorColourNeutralInverseGreen = "#1d1d1b";
+export const inputErrorColourNeutralInverseRed = "#1d1d1b";
+export const inputErrorColourNeutralInverseYellow = "#1d1d1b";
+export const inputErrorBorderWidthNeutralBlue = 1.5;
+export const inputErrorBorderWidthNeutralGreen = 1.5;
+export const inputErrorBorderWidthNeutralRed = 1.5;
+export const inputErrorBorderWidthNeutralYellow = 1.5;
+export const inputErrorBorderWidthSubtleBlue = 1.5;
+export const inputErrorBorderWidthSubtleGreen = 1.5;
+export const inputErrorBorderWidthSubtleRed = 1.5;
+export const inputErrorBorderWidthSubtleYellow = 1.5;
+export const inputErrorBorderWidthBoldBlue = 1.5;
+export const inputErrorBorderWidthBoldGreen = 1.5;
+export const inputErrorBorderWidthBoldRed = 1.5;
+export const inputErrorBorderWidthBoldYellow = 1.5;
+export const inputErrorBorderWidthNeutralInverseBlue = 1.5;
+export const inputErrorBorderWidthNeutralInverseGreen = 1.5;
+export const inputErrorBorderWidthNeutralInverseRed = 1.5;
+export const inputErrorBorderWidthNeutralInverseYellow = 1.5;
+export const inputErrorFocusBorderWidthNeutralBlue = 3;
+export const inputErrorFocusBorderWidthNeutralGreen = 3;
+export const inputErrorFocusBorderWidthNeutralRed = 3;
+export const inputErrorFocusBorderWidthNeutralYellow = 3;
+export const inputErrorFocusBorderWidthSubtleBlue = 3;
+export const inputErrorFocusBorderWidthSubtleGreen = 3;
+export const inputErrorFocusBorderWidthSubtleRed = 3;
+export const inputErrorFocusBorderWidthSubtleYellow = 3;
+export const inputErrorFocusBorderWidthBoldBlue = 3;
+export const inputErrorFocusBorderWidthBoldGreen = 3;
+export const inputErrorFocusBorderWidthBoldRed = 3;
+export const inputErrorFocusBorderWidthBoldYellow = 3;
+export const inputErrorFocusBorderWidthNeutralInverseBlue = 3;
+export const inputErrorFocusBorderWidthNeutralInverseGreen = 3;
+export const inputErrorFocusBorderWidthNeutralInverseRed = 3;
+export const inputErrorFocusBorderWidthNeutralInverseYellow = 3;
+export const inputDisabledNeutralBackgroundColourNeutralBlue = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourNeutralGreen = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourNeutralRed = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourNeutralYellow = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourSubtleBlue = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourSubtleGreen = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourSubtleRed = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourSubtleYellow = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourBoldBlue = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourBoldGreen = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourBoldRed = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourBoldYellow = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const inputDisabledNeutralBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralBlue = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralGreen = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralRed = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralYellow = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourSubtleBlue = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourSubtleGreen = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourSubtleRed = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourSubtleYellow = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourBoldBlue = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourBoldGreen = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourBoldRed = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourBoldYellow = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const inputDisabledNeutralReverseBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const inputDisabledIndicatorColourNeutralBlue = "#d3d3d3";
+export const inputDisabledIndicatorColourNeutralGreen = "#d3d3d3";
+export const inputDisabledIndicatorColourNeutralRed = "#d3d3d3";
+export const inputDisabledIndicatorColourNeutralYellow = "#d3d3d3";
+export const inputDisabledIndicatorColourSubtleBlue = "#d3d3d3";
+export const inputDisabledIndicatorColourSubtleGreen = "#d3d3d3";
+export const inputDisabledIndicatorColourSubtleRed = "#d3d3d3";
+export const inputDisabledIndicatorColourSubtleYellow = "#d3d3d3";
+export const inputDisabledIndicatorColourBoldBlue = "#d3d3d3";
+export const inputDisabledIndicatorColourBoldGreen = "#d3d3d3";
+export const inputDisabledIndicatorColourBoldRed = "#d3d3d3";
+export const inputDisabledIndicatorColourBoldYellow = "#d3d3d3";
+export const inputDisabledIndicatorColourNeutralInverseBlue = "#d3d3d3";
+export const inputDisabledIndicatorColourNeutralInverseGreen = "#d3d3d3";
+export const inputDisabledIndicatorColourNeutralInverseRed = "#d3d3d3";
+export const inputDisabledIndicatorColourNeutralInverseYellow = "#d3d3d3";
+export const inputDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const inputDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const inputDisabledBorderColourNeutralRed = "#d3d3d3";
+export const inputDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const inputDisabledBorderColourSubtleBlue = "#d3d3d3";
+export const inputDisabledBorderColourSubtleGreen = "#d3d3d3";
+export const inputDisabledBorderColourSubtleRed = "#d3d3d3";
+export const inputDisabledBorderColourSubtleYellow = "#d3d3d3";
+export const inputDisabledBorderColourBoldBlue = "#d3d3d3";
+export const inputDisabledBorderColourBoldGreen = "#d3d3d3";
+export const inputDisabledBorderColourBoldRed = "#d3d3d3";
+export const inputDisabledBorderColourBoldYellow = "#d3d3d3";
+export const inputDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const inputDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const inputDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const inputDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const inputDisabledColourNeutralBlue = "#a6a7a7";
+export const inputDisabledColourNeutralGreen = "#a6a7a7";
+export const inputDisabledColourNeutralRed = "#a6a7a7";
+export const inputDisabledColourNeutralYellow = "#a6a7a7";
+export const inputDisabledColourSubtleBlue = "#a6a7a7";
+export const inputDisabledColourSubtleGreen = "#a6a7a7";
+export const inputDisabledColourSubtleRed = "#a6a7a7";
+export const inputDisabledColourSubtleYellow = "#a6a7a7";
+export const inputDisabledColourBoldBlue = "#a6a7a7";
+export const inputDisabledColourBoldGreen = "#a6a7a7";
+export const inputDisabledColourBoldRed = "#a6a7a7";
+export const inputDisabledColourBoldYellow = "#a6a7a7";
+export const inputDisabledColourNeutralInverseBlue = "#a6a7a7";
+export const inputDisabledColourNeutralInverseGreen = "#a6a7a7";
+export const inputDisabledColourNeutralInverseRed = "#a6a7a7";
+export const inputDisabledColourNeutralInverseYellow = "#a6a7a7";
+export const inputDisabledBorderWidthNeutralBlue = 1.5;
+export const inputDisabledBorderWidthNeutralGreen = 1.5;
+export const inputDisabledBorderWidthNeutralRed = 1.5;
+export const inputDisabledBorderWidthNeutralYellow = 1.5;
+export const inputDisabledBorderWidthSubtleBlue = 1.5;
+export const inputDisabledBorderWidthSubtleGreen = 1.5;
+export const inputDisabledBorderWidthSubtleRed = 1.5;
+export const inputDisabledBorderWidthSubtleYellow = 1.5;
+export const inputDisabledBorderWidthBoldBlue = 1.5;
+export const inputDisabledBorderWidthBoldGreen = 1.5;
+export const inputDisabledBorderWidthBoldRed = 1.5;
+export const inputDisabledBorderWidthBoldYellow = 1.5;
+export const inputDisabledBorderWidthNeutralInverseBlue = 1.5;
+export const inputDisabledBorderWidthNeutralInverseGreen = 1.5;
+export const inputDisabledBorderWidthNeutralInverseRed = 1.5;
+export const inputDisabledBorderWidthNeutralInverseYellow = 1.5;
+export const inputStatusValidationColourNeutralInfo = "#001d6e";
+export const inputStatusValidationColourNeutralSuccess = "#014a39";
+export const inputStatusValidationColourNeutralWarning = "#904029";
+export const inputStatusValidationColourNeutralError = "#940824";
+export const inputStatusValidationColourNeutralGeneric = "#1d1d1b";
+export const inputStatusValidationColourSubtleInfo = "#1d1d1b";
+export const inputStatusValidationColourSubtleSuccess = "#1d1d1b";
+export const inputStatusValidationColourSubtleWarning = "#1d1d1b";
+export const inputStatusValidationColourSubtleError = "#1d1d1b";
+export const inputStatusValidationColourSubtleGeneric = "#1d1d1b";
+export const inputStatusValidationColourBoldInfo = "#ffffff";
+export const inputStatusValidationColourBoldSuccess = "#ffffff";
+export const inputStatusValidationColourBoldWarning = "#1d1d1b";
+export const inputStatusValidationColourBoldError = "#ffffff";
+export const inputStatusValidationColourBoldGeneric = "#ffffff";
+export const inputStatusValidationColourNeutralInverseInfo = "#001d6e";
+export const inputStatusValidationColourNeutralInverseSuccess = "#014a39";
+export const inputStatusValidationColourNeutralInverseWarning = "#904029";
+export const inputStatusValidationColourNeutralInverseError = "#940824";
+export const inputStatusValidationColourNeutralInverseGeneric = "#1d1d1b";
+export const contentIconSizeSmNeutralBlue = 24;
+export const contentIconSizeSmNeutralGreen = 24;
+export const contentIconSizeSmNeutralRed = 24;
+export const contentIconSizeSmNeutralYellow = 24;
+export const contentIconSizeSmSubtleBlue = 24;
+export const contentIconSizeSmSubtleGreen = 24;
+export const contentIconSizeSmSubtleRed = 24;
+export const contentIconSizeSmSubtleYellow = 24;
+export const contentIconSizeSmBoldBlue = 24;
+export const contentIconSizeSmBoldGreen = 24;
+export const contentIconSizeSmBoldRed = 24;
+export const contentIconSizeSmBoldYellow = 24;
+export const contentIconSizeSmNeutralInverseBlue = 24;
+export const contentIconSizeSmNeutralInverseGreen = 24;
+export const contentIconSizeSmNeutralInverseRed = 24;
+export const contentIconSizeSmNeutralInverseYellow = 24;
+export const contentIconBrandPrimaryColourNeutralBlue = "#005dba";
+export const contentIconBrandPrimaryColourNeutralGreen = "#00633d";
+export const contentIconBrandPrimaryColourNeutralRed = "#c50b30";
+export const contentIconBrandPrimaryColourNeutralYellow = "#ffb600";
+export const contentIconBrandPrimaryColourSubtleBlue = "#001d6e";
+export const contentIconBrandPrimaryColourSubtleGreen = "#01312e";
+export const contentIconBrandPrimaryColourSubtleRed = "#940824";
+export const contentIconBrandPrimaryColourSubtleYellow = "#904029";
+export const contentIconBrandPrimaryColourBoldBlue = "#ffffff";
+export const contentIconBrandPrimaryColourBoldGreen = "#ffffff";
+export const contentIconBrandPrimaryColourBoldRed = "#ffffff";
+export const contentIconBrandPrimaryColourBoldYellow = "#1d1d1b";
+export const contentIconBrandPrimaryColourNeutralInverseBlue = "#005dba";
+export const contentIconBrandPrimaryColourNeutralInverseGreen = "#00633d";
+export const contentIconBrandPrimaryColourNeutralInverseRed = "#c50b30";
+export const contentIconBrandPrimaryColourNeutralInverseYellow = "#ffb600";
+export const contentIconPositiveColourNeutralBlue = "#00633d";
+export const contentIconPositiveColourNeutralGreen = "#00633d";
+export const contentIconPositiveColourNeutralRed = "#00633d";
+export const contentIconPositiveColourNeutralYellow = "#00633d";
+export const contentIconPositiveColourSubtleBlue = "#1d1d1b";
+export const contentIconPositiveColourSubtleGreen = "#1d1d1b";
+export const contentIconPositiveColourSubtleRed = "#1d1d1b";
+export const contentIconPositiveColourSubtleYellow = "#1d1d1b";
+export const contentIconPositiveColourBoldBlue = "#ffffff";
+export const contentIconPositiveColourBoldGreen = "#ffffff";
+export const contentIconPositiveColourBoldRed = "#ffffff";
+export const contentIconPositiveColourBoldYellow = "#1d1d1b";
+export const contentIconPositiveColourNeutralInverseBlue = "#00633d";
+export const contentIconPositiveColourNeutralInverseGreen = "#00633d";
+export const contentIconPositiveColourNeutralInverseRed = "#00633d";
+export const contentIconPositiveColourNeutralInverseYellow = "#00633d";
+export const contentIconNegativeColourNeutralBlue = "#c50b30";
+export const contentIconNegativeColourNeutralGreen = "#c50b30";
+export const contentIconNegativeColourNeutralRed = "#c50b30";
+export const contentIconNegativeColourNeutralYellow = "#c50b30";
+export const contentIconNegativeColourSubtleBlue = "#1d1d1b";
+export const contentIconNegativeColourSubtleGreen = "#1d1d1b";
+export const contentIconNegativeColourSubtleRed = "#1d1d1b";
+export const contentIconNegativeColourSubtleYellow = "#1d1d1b";
+export const contentIconNegativeColourBoldBlue = "#ffffff";
+export const contentIconNegativeColourBoldGreen = "#ffffff";
+export const contentIconNegativeColourBoldRed = "#ffffff";
+export const contentIconNegativeColourBoldYellow = "#1d1d1b";
+export const contentIconNegativeColourNeutralInverseBlue = "#c50b30";
+export const contentIconNegativeColourNeutralInverseGreen = "#c50b30";
+export const contentIconNegativeColourNeutralInverseRed = "#c50b30";
+export const contentIconNegativeColourNeutralInverseYellow = "#c50b30";
+export const contentSeperatorColourNeutralBlue = "#d3d3d3";
+export const contentSeperatorColourNeutralGreen = "#d3d3d3";
+export const contentSeperatorColourNeutralRed = "#d3d3d3";
+export const contentSeperatorColourNeutralYellow = "#d3d3d3";
+export const contentSeperatorColourSubtleBlue = "#d3d3d3";
+export const contentSeperatorColourSubtleGreen = "#d3d3d3";
+export const contentSeperatorColourSubtleRed = "#d3d3d3";
+export const contentSeperatorColourSubtleYellow = "#d3d3d3";
+export const contentSeperatorColourBoldBlue = "#f4f4f4";
+export const contentSeperatorColourBoldGreen = "#f4f4f4";
+export const contentSeperatorColourBoldRed = "#f4f4f4";
+export const contentSeperatorColourBoldYellow = "#1d1d1b";
+export const contentSeperatorColourNeutralInverseBlue = "#d3d3d3";
+export const contentSeperatorColourNeutralInverseGreen = "#d3d3d3";
+export const contentSeperatorColourNeutralInverseRed = "#d3d3d3";
+export const contentSeperatorColourNeutralInverseYellow = "#d3d3d3";
+export const contentSeperatorBorderWidthXsNeutralBlue = 1;
+export const contentSeperatorBorderWidthXsNeutralGreen = 1;
+export const contentSeperatorBorderWidthXsNeutralRed = 1;
+export const contentSeperatorBorderWidthXsNeutralYellow = 1;
+export const contentSeperatorBorderWidthXsSubtleBlue = 1;
+export const contentSeperatorBorderWidthXsSubtleGreen = 1;
+export const contentSeperatorBorderWidthXsSubtleRed = 1;
+export const contentSeperatorBorderWidthXsSubtleYellow = 1;
+export const contentSeperatorBorderWidthXsBoldBlue = 1;
+export const contentSeperatorBorderWidthXsBoldGreen = 1;
+export const contentSeperatorBorderWidthXsBoldRed = 1;
+export const contentSeperatorBorderWidthXsBoldYellow = 1;
+export const contentSeperatorBorderWidthXsNeutralInverseBlue = 1;
+export const contentSeperatorBorderWidthXsNeutralInverseGreen = 1;
+export const contentSeperatorBorderWidthXsNeutralInverseRed = 1;
+export const contentSeperatorBorderWidthXsNeutralInverseYellow = 1;
+export const contentSeperatorBorderWidthSmNeutralBlue = 1.5;
+export const contentSeperatorBorderWidthSmNeutralGreen = 1.5;
+export const contentSeperatorBorderWidthSmNeutralRed = 1.5;
+export const contentSeperatorBorderWidthSmNeutralYellow = 1.5;
+export const contentSeperatorBorderWidthSmSubtleBlue = 1.5;
+export const contentSeperatorBorderWidthSmSubtleGreen = 1.5;
+export const contentSeperatorBorderWidthSmSubtleRed = 1.5;
+export const contentSeperatorBorderWidthSmSubtleYellow = 1.5;
+export const contentSeperatorBorderWidthSmBoldBlue = 1.5;
+export const contentSeperatorBorderWidthSmBoldGreen = 1.5;
+export const contentSeperatorBorderWidthSmBoldRed = 1.5;
+export const contentSeperatorBorderWidthSmBoldYellow = 1.5;
+export const contentSeperatorBorderWidthSmNeutralInverseBlue = 1.5;
+export const contentSeperatorBorderWidthSmNeutralInverseGreen = 1.5;
+export const contentSeperatorBorderWidthSmNeutralInverseRed = 1.5;
+export const contentSeperatorBorderWidthSmNeutralInverseYellow = 1.5;
+export const contentIndicatorBoldBackgroundColourNeutralBlue = "#005dba";
+export const contentIndicatorBoldBackgroundColourNeutralGreen = "#00633d";
+export const contentIndicatorBoldBackgroundColourNeutralRed = "#c50b30";
+export const contentIndicatorBoldBackgroundColourNeutralYellow = "#ffb600";
+export const contentIndicatorBoldBackgroundColourSubtleBlue = "#005dba";
+export const contentIndicatorBoldBackgroundColourSubtleGreen = "#00633d";
+export const contentIndicatorBoldBackgroundColourSubtleRed = "#c50b30";
+export const contentIndicatorBoldBackgroundColourSubtleYellow = "#ffb600";
+export const contentIndicatorBoldBackgroundColourBoldBlue = "#ffffff";
+export const contentIndicatorBoldBackgroundColourBoldGreen = "#ffffff";
+export const contentIndicatorBoldBackgroundColourBoldRed = "#ffffff";
+export const contentIndicatorBoldBackgroundColourBoldYellow = "#ffffff";
+export const contentIndicatorBoldBackgroundColourNeutralInverseBlue = "#005dba";
+export const contentIndicatorBoldBackgroundColourNeutralInverseGreen = "#00633d";
+export const contentIndicatorBoldBackgroundColourNeutralInverseRed = "#c50b30";
+export const contentIndicatorBoldBackgroundColourNeutralInverseYellow = "#ffb600";
+export const contentIndicatorBoldBorderRadiusNeutralBlue = 16;
+export const contentIndicatorBoldBorderRadiusNeutralGreen = 16;
+export const contentIndicatorBoldBorderRadiusNeutralRed = 16;
+export const contentIndicatorBoldBorderRadiusNeutralYellow = 16;
+export const contentIndicatorBoldBorderRadiusSubtleBlue = 16;
+export const contentIndicatorBoldBorderRadiusSubtleGreen = 16;
+export const contentIndicatorBoldBorderRadiusSubtleRed = 16;
+export const contentIndicatorBoldBorderRadiusSubtleYellow = 16;
+export const contentIndicatorBoldBorderRadiusBoldBlue = 16;
+export const contentIndicatorBoldBorderRadiusBoldGreen = 16;
+export const contentIndicatorBoldBorderRadiusBoldRed = 16;
+export const contentIndicatorBoldBorderRadiusBoldYellow = 16;
+export const contentIndicatorBoldBorderRadiusNeutralInverseBlue = 16;
+export const contentIndicatorBoldBorderRadiusNeutralInverseGreen = 16;
+export const contentIndicatorBoldBorderRadiusNeutralInverseRed = 16;
+export const contentIndicatorBoldBorderRadiusNeutralInverseYellow = 16;
+export const contentIndicatorBoldColourNeutralBlue = "#ffffff";
+export const contentIndicatorBoldColourNeutralGreen = "#ffffff";
+export const contentIndicatorBoldColourNeutralRed = "#ffffff";
+export const contentIndicatorBoldColourNeutralYellow = "#1d1d1b";
+export const contentIndicatorBoldColourSubtleBlue = "#ffffff";
+export const contentIndicatorBoldColourSubtleGreen = "#ffffff";
+export const contentIndicatorBoldColourSubtleRed = "#ffffff";
+export const contentIndicatorBoldColourSubtleYellow = "#1d1d1b";
+export const contentIndicatorBoldColourBoldBlue = "#1d1d1b";
+export const contentIndicatorBoldColourBoldGreen = "#1d1d1b";
+export const contentIndicatorBoldColourBoldRed = "#1d1d1b";
+export const contentIndicatorBoldColourBoldYellow = "#1d1d1b";
+export const contentIndicatorBoldColourNeutralInverseBlue = "#ffffff";
+export const contentIndicatorBoldColourNeutralInverseGreen = "#ffffff";
+export const contentIndicatorBoldColourNeutralInverseRed = "#ffffff";
+export const contentIndicatorBoldColourNeutralInverseYellow = "#1d1d1b";
+export const contentIndicatorBoldPaddingNeutralBlue = 4;
+export const contentIndicatorBoldPaddingNeutralGreen = 4;
+export const contentIndicatorBoldPaddingNeutralRed = 4;
+export const contentIndicatorBoldPaddingNeutralYellow = 4;
+export const contentIndicatorBoldPaddingSubtleBlue = 4;
+export const contentIndicatorBoldPaddingSubtleGreen = 4;
+export const contentIndicatorBoldPaddingSubtleRed = 4;
+export const contentIndicatorBoldPaddingSubtleYellow = 4;
+export const contentIndicatorBoldPaddingBoldBlue = 4;
+export const contentIndicatorBoldPaddingBoldGreen = 4;
+export const contentIndicatorBoldPaddingBoldRed = 4;
+export const contentIndicatorBoldPaddingBoldYellow = 4;
+export const contentIndicatorBoldPaddingNeutralInverseBlue = 4;
+export const contentIndicatorBoldPaddingNeutralInverseGreen = 4;
+export const contentIndicatorBoldPaddingNeutralInverseRed = 4;
+export const contentIndicatorBoldPaddingNeutralInverseYellow = 4;
+export const contentIndicatorBoldSizeNeutralBlue = 16;
+export const contentIndicatorBoldSizeNeutralGreen = 16;
+export const contentIndicatorBoldSizeNeutralRed = 16;
+export const contentIndicatorBoldSizeNeutralYellow = 16;
+export const contentIndicatorBoldSizeSubtleBlue = 16;
+export const contentIndicatorBoldSizeSubtleGreen = 16;
+export const contentIndicatorBoldSizeSubtleRed = 16;
+export const contentIndicatorBoldSizeSubtleYellow = 16;
+export const contentIndicatorBoldSizeBoldBlue = 16;
+export const contentIndicatorBoldSizeBoldGreen = 16;
+export const contentIndicatorBoldSizeBoldRed = 16;
+export const contentIndicatorBoldSizeBoldYellow = 16;
+export const contentIndicatorBoldSizeNeutralInverseBlue = 16;
+export const contentIndicatorBoldSizeNeutralInverseGreen = 16;
+export const contentIndicatorBoldSizeNeutralInverseRed = 16;
+export const contentIndicatorBoldSizeNeutralInverseYellow = 16;
+export const contentIndicatorProgressBackgroundColourNeutralBlue = "#42aeea";
+export const contentIndicatorProgressBackgroundColourNeutralGreen = "#43af6e";
+export const contentIndicatorProgressBackgroundColourNeutralRed = "#ff3e51";
+export const contentIndicatorProgressBackgroundColourNeutralYellow = "#ffe969";
+export const contentIndicatorProgressBackgroundColourSubtleBlue = "#005dba";
+export const contentIndicatorProgressBackgroundColourSubtleGreen = "#00633d";
+export const contentIndicatorProgressBackgroundColourSubtleRed = "#c50b30";
+export const contentIndicatorProgressBackgroundColourSubtleYellow = "#ffb600";
+export const contentIndicatorProgressBackgroundColourBoldBlue = "#d2effb";
+export const contentIndicatorProgressBackgroundColourBoldGreen = "#dff6eb";
+export const contentIndicatorProgressBackgroundColourBoldRed = "#ffd5d2";
+export const contentIndicatorProgressBackgroundColourBoldYellow = "#fffbdc";
+export const contentIndicatorProgressBackgroundColourNeutralInverseBlue = "#42aeea";
+export const contentIndicatorProgressBackgroundColourNeutralInverseGreen = "#43af6e";
+export const contentIndicatorProgressBackgroundColourNeutralInverseRed = "#ff3e51";
+export const contentIndicatorProgressBackgroundColourNeutralInverseYellow = "#ffe969";
+export const contentIndicatorProgressColourNeutralBlue = "#001d6e";
+export const contentIndicatorProgressColourNeutralGreen = "#01312e";
+export const contentIndicatorProgressColourNeutralRed = "#940824";
+export const contentIndicatorProgressColourNeutralYellow = "#c86426";
+export const contentIndicatorProgressColourSubtleBlue = "#001d6e";
+export const contentIndicatorProgressColourSubtleGreen = "#01312e";
+export const contentIndicatorProgressColourSubtleRed = "#940824";
+export const contentIndicatorProgressColourSubtleYellow = "#c86426";
+export const contentIndicatorProgressColourBoldBlue = "#000039";
+export const contentIndicatorProgressColourBoldGreen = "#011b1f";
+export const contentIndicatorProgressColourBoldRed = "#480411";
+export const contentIndicatorProgressColourBoldYellow = "#572722";
+export const contentIndicatorProgressColourNeutralInverseBlue = "#001d6e";
+export const contentIndicatorProgressColourNeutralInverseGreen = "#01312e";
+export const contentIndicatorProgressColourNeutralInverseRed = "#940824";
+export const contentIndicatorProgressColourNeutralInverseYellow = "#c86426";
+export const contentIndicatorProgressSizeNeutralBlue = 4;
+export const contentIndicatorProgressSizeNeutralGreen = 4;
+export const contentIndicatorProgressSizeNeutralRed = 4;
+export const contentIndicatorProgressSizeNeutralYellow = 4;
+export const contentIndicatorProgressSizeSubtleBlue = 4;
+export const contentIndicatorProgressSizeSubtleGreen = 4;
+export const contentIndicatorProgressSizeSubtleRed = 4;
+export const contentIndicatorProgressSizeSubtleYellow = 4;
+export const contentIndicatorProgressSizeBoldBlue = 4;
+export const contentIndicatorProgressSizeBoldGreen = 4;
+export const contentIndicatorProgressSizeBoldRed = 4;
+export const contentIndicatorProgressSizeBoldYellow = 4;
+export const contentIndicatorProgressSizeNeutralInverseBlue = 4;
+export const contentIndicatorProgressSizeNeutralInverseGreen = 4;
+export const contentIndicatorProgressSizeNeutralInverseRed = 4;
+export const contentIndicatorProgressSizeNeutralInverseYellow = 4;
+export const contentStatusSubtleColourNeutralInfo = "#001d6e";
+export const contentStatusSubtleColourNeutralSuccess = "#01312e";
+export const contentStatusSubtleColourNeutralWarning = "#904029";
+export const contentStatusSubtleColourNeutralError = "#940824";
+export const contentStatusSubtleColourNeutralGeneric = "#1d1d1b";
+export const contentStatusSubtleColourSubtleInfo = "#001d6e";
+export const contentStatusSubtleColourSubtleSuccess = "#01312e";
+export const contentStatusSubtleColourSubtleWarning = "#904029";
+export const contentStatusSubtleColourSubtleError = "#940824";
+export const contentStatusSubtleColourSubtleGeneric = "#1d1d1b";
+export const contentStatusSubtleColourBoldInfo = "#001d6e";
+export const contentStatusSubtleColourBoldSuccess = "#01312e";
+export const contentStatusSubtleColourBoldWarning = "#904029";
+export const contentStatusSubtleColourBoldError = "#940824";
+export const contentStatusSubtleColourBoldGeneric = "#1d1d1b";
+export const contentStatusSubtleColourNeutralInverseInfo = "#001d6e";
+export const contentStatusSubtleColourNeutralInverseSuccess = "#01312e";
+export const contentStatusSubtleColourNeutralInverseWarning = "#904029";
+export const contentStatusSubtleColourNeutralInverseError = "#940824";
+export const contentStatusSubtleColourNeutralInverseGeneric = "#1d1d1b";
+export const contentStatusBoldColourNeutralInfo = "#ffffff";
+export const contentStatusBoldColourNeutralSuccess = "#ffffff";
+export const contentStatusBoldColourNeutralWarning = "#1d1d1b";
+export const contentStatusBoldColourNeutralError = "#ffffff";
+export const contentStatusBoldColourNeutralGeneric = "#ffffff";
+export const contentStatusBoldColourSubtleInfo = "#ffffff";
+export const contentStatusBoldColourSubtleSuccess = "#ffffff";
+export const contentStatusBoldColourSubtleWarning = "#1d1d1b";
+export const contentStatusBoldColourSubtleError = "#ffffff";
+export const contentStatusBoldColourSubtleGeneric = "#ffffff";
+export const contentStatusBoldColourBoldInfo = "#ffffff";
+export const contentStatusBoldColourBoldSuccess = "#ffffff";
+export const contentStatusBoldColourBoldWarning = "#1d1d1b";
+export const contentStatusBoldColourBoldError = "#ffffff";
+export const contentStatusBoldColourBoldGeneric = "#ffffff";
+export const contentStatusBoldColourNeutralInverseInfo = "#ffffff";
+export const contentStatusBoldColourNeutralInverseSuccess = "#ffffff";
+export const contentStatusBoldColourNeutralInverseWarning = "#1d1d1b";
+export const contentStatusBoldColourNeutralInverseError = "#ffffff";
+export const contentStatusBoldColourNeutralInverseGeneric = "#ffffff";
+export const contentStatusPictogramStatusFillNeutralInfo = "#42aeea";
+export const contentStatusPictogramStatusFillNeutralSuccess = "#43af6e";
+export const contentStatusPictogramStatusFillNeutralWarning = "#ffe969";
+export const contentStatusPictogramStatusFillNeutralError = "#ff3e51";
+export const contentStatusPictogramStatusFillNeutralGeneric = "#d3d3d3";
+export const contentStatusPictogramStatusFillSubtleInfo = "#42aeea";
+export const contentStatusPictogramStatusFillSubtleSuccess = "#43af6e";
+export const contentStatusPictogramStatusFillSubtleWarning = "#ffe969";
+export const contentStatusPictogramStatusFillSubtleError = "#ff3e51";
+export const contentStatusPictogramStatusFillSubtleGeneric = "#d3d3d3";
+export const contentStatusPictogramStatusFillBoldInfo = "#42aeea";
+export const contentStatusPictogramStatusFillBoldSuccess = "#43af6e";
+export const contentStatusPictogramStatusFillBoldWarning = "#ffe969";
+export const contentStatusPictogramStatusFillBoldError = "#ff3e51";
+export const contentStatusPictogramStatusFillBoldGeneric = "#d3d3d3";
+export const contentStatusPictogramStatusFillNeutralInverseInfo = "#42aeea";
+export const contentStatusPictogramStatusFillNeutralInverseSuccess = "#43af6e";
+export const contentStatusPictogramStatusFillNeutralInverseWarning = "#ffe969";
+export const contentStatusPictogramStatusFillNeutralInverseError = "#ff3e51";
+export const contentStatusPictogramStatusFillNeutralInverseGeneric = "#d3d3d3";
+export const contentGapColumnXsNeutralBlue = 16;
+export const contentGapColumnXsNeutralGreen = 16;
+export const contentGapColumnXsNeutralRed = 16;
+export const contentGapColumnXsNeutralYellow = 16;
+export const contentGapColumnXsSubtleBlue = 16;
+export const contentGapColumnXsSubtleGreen = 16;
+export const contentGapColumnXsSubtleRed = 16;
+export const contentGapColumnXsSubtleYellow = 16;
+export const contentGapColumnXsBoldBlue = 16;
+export const contentGapColumnXsBoldGreen = 16;
+export const contentGapColumnXsBoldRed = 16;
+export const contentGapColumnXsBoldYellow = 16;
+export const contentGapColumnXsNeutralInverseBlue = 16;
+export const contentGapColumnXsNeutralInverseGreen = 16;
+export const contentGapColumnXsNeutralInverseRed = 16;
+export const contentGapColumnXsNeutralInverseYellow = 16;
+export const contentGapColumnSmNeutralBlue = 20;
+export const contentGapColumnSmNeutralGreen = 20;
+export const contentGapColumnSmNeutralRed = 20;
+export const contentGapColumnSmNeutralYellow = 20;
+export const contentGapColumnSmSubtleBlue = 20;
+export const contentGapColumnSmSubtleGreen = 20;
+export const contentGapColumnSmSubtleRed = 20;
+export const contentGapColumnSmSubtleYellow = 20;
+export const contentGapColumnSmBoldBlue = 8;
+export const contentGapColumnSmBoldGreen = 8;
+export const contentGapColumnSmBoldRed = 8;
+export const contentGapColumnSmBoldYellow = 8;
+export const contentGapColumnSmNeutralInverseBlue = 20;
+export const contentGapColumnSmNeutralInverseGreen = 20;
+export const contentGapColumnSmNeutralInverseRed = 20;
+export const contentGapColumnSmNeutralInverseYellow = 20;
+export const contentGapColumnMdNeutralBlue = 28;
+export const contentGapColumnMdNeutralGreen = 28;
+export const contentGapColumnMdNeutralRed = 28;
+export const contentGapColumnMdNeutralYellow = 28;
+export const contentGapColumnMdSubtleBlue = 28;
+export const contentGapColumnMdSubtleGreen = 28;
+export const contentGapColumnMdSubtleRed = 28;
+export const contentGapColumnMdSubtleYellow = 28;
+export const contentGapColumnMdBoldBlue = 28;
+export const contentGapColumnMdBoldGreen = 28;
+export const contentGapColumnMdBoldRed = 28;
+export const contentGapColumnMdBoldYellow = 28;
+export const contentGapColumnMdNeutralInverseBlue = 28;
+export const contentGapColumnMdNeutralInverseGreen = 28;
+export const contentGapColumnMdNeutralInverseRed = 28;
+export const contentGapColumnMdNeutralInverseYellow = 28;
+export const contentGapColumnLgNeutralBlue = 36;
+export const contentGapColumnLgNeutralGreen = 36;
+export const contentGapColumnLgNeutralRed = 36;
+export const contentGapColumnLgNeutralYellow = 36;
+export const contentGapColumnLgSubtleBlue = 36;
+export const contentGapColumnLgSubtleGreen = 36;
+export const contentGapColumnLgSubtleRed = 36;
+export const contentGapColumnLgSubtleYellow = 36;
+export const contentGapColumnLgBoldBlue = 36;
+export const contentGapColumnLgBoldGreen = 36;
+export const contentGapColumnLgBoldRed = 36;
+export const contentGapColumnLgBoldYellow = 36;
+export const contentGapColumnLgNeutralInverseBlue = 36;
+export const contentGapColumnLgNeutralInverseGreen = 36;
+export const contentGapColumnLgNeutralInverseRed = 36;
+export const contentGapColumnLgNeutralInverseYellow = 36;
+export const contentGapColumnXlNeutralBlue = 48;
+export const contentGapColumnXlNeutralGreen = 48;
+export const contentGapColumnXlNeutralRed = 48;
+export const contentGapColumnXlNeutralYellow = 48;
+export const contentGapColumnXlSubtleBlue = 48;
+export const contentGapColumnXlSubtleGreen = 48;
+export const contentGapColumnXlSubtleRed = 48;
+export const contentGapColumnXlSubtleYellow = 48;
+export const contentGapColumnXlBoldBlue = 48;
+export const contentGapColumnXlBoldGreen = 48;
+export const contentGapColumnXlBoldRed = 48;
+export const contentGapColumnXlBoldYellow = 48;
+export const contentGapColumnXlNeutralInverseBlue = 48;
+export const contentGapColumnXlNeutralInverseGreen = 48;
+export const contentGapColumnXlNeutralInverseRed = 48;
+export const contentGapColumnXlNeutralInverseYellow = 48;
+export const contentGapInsideXsNeutralBlue = 4;
+export const contentGapInsideXsNeutralGreen = 4;
+export const contentGapInsideXsNeutralRed = 4;
+export const contentGapInsideXsNeutralYellow = 4;
+export const contentGapInsideXsSubtleBlue = 4;
+export const contentGapInsideXsSubtleGreen = 4;
+export const contentGapInsideXsSubtleRed = 4;
+export const contentGapInsideXsSubtleYellow = 4;
+export const contentGapInsideXsBoldBlue = 4;
+export const contentGapInsideXsBoldGreen = 4;
+export const contentGapInsideXsBoldRed = 4;
+export const contentGapInsideXsBoldYellow = 4;
+export const contentGapInsideXsNeutralInverseBlue = 4;
+export const contentGapInsideXsNeutralInverseGreen = 4;
+export const contentGapInsideXsNeutralInverseRed = 4;
+export const contentGapInsideXsNeutralInverseYellow = 4;
+export const contentGapInsideSmNeutralBlue = 8;
+export const contentGapInsideSmNeutralGreen = 8;
+export const contentGapInsideSmNeutralRed = 8;
+export const contentGapInsideSmNeutralYellow = 8;
+export const contentGapInsideSmSubtleBlue = 8;
+export const contentGapInsideSmSubtleGreen = 8;
+export const contentGapInsideSmSubtleRed = 8;
+export const contentGapInsideSmSubtleYellow = 8;
+export const contentGapInsideSmBoldBlue = 8;
+export const contentGapInsideSmBoldGreen = 8;
+export const contentGapInsideSmBoldRed = 8;
+export const contentGapInsideSmBoldYellow = 8;
+export const contentGapInsideSmNeutralInverseBlue = 8;
+export const contentGapInsideSmNeutralInverseGreen = 8;
+export const contentGapInsideSmNeutralInverseRed = 8;
+export const contentGapInsideSmNeutralInverseYellow = 8;
+export const contentGapInsideMdNeutralBlue = 12;
+export const contentGapInsideMdNeutralGreen = 12;
+export const contentGapInsideMdNeutralRed = 12;
+export const contentGapInsideMdNeutralYellow = 12;
+export const contentGapInsideMdSubtleBlue = 12;
+export const contentGapInsideMdSubtleGreen = 12;
+export const contentGapInsideMdSubtleRed = 12;
+export const contentGapInsideMdSubtleYellow = 12;
+export const contentGapInsideMdBoldBlue = 12;
+export const contentGapInsideMdBoldGreen = 12;
+export const contentGapInsideMdBoldRed = 12;
+export const contentGapInsideMdBoldYellow = 12;
+export const contentGapInsideMdNeutralInverseBlue = 12;
+export const contentGapInsideMdNeutralInverseGreen = 12;
+export const contentGapInsideMdNeutralInverseRed = 12;
+export const contentGapInsideMdNeutralInverseYellow = 12;
+export const contentGapInsideLgNeutralBlue = 16;
+export const contentGapInsideLgNeutralGreen = 16;
+export const contentGapInsideLgNeutralRed = 16;
+export const contentGapInsideLgNeutralYellow = 16;
+export const contentGapInsideLgSubtleBlue = 16;
+export const contentGapInsideLgSubtleGreen = 16;
+export const contentGapInsideLgSubtleRed = 16;
+export const contentGapInsideLgSubtleYellow = 16;
+export const contentGapInsideLgBoldBlue = 16;
+export const contentGapInsideLgBoldGreen = 16;
+export const contentGapInsideLgBoldRed = 16;
+export const contentGapInsideLgBoldYellow = 16;
+export const contentGapInsideLgNeutralInverseBlue = 16;
+export const contentGapInsideLgNeutralInverseGreen = 16;
+export const contentGapInsideLgNeutralInverseRed = 16;
+export const contentGapInsideLgNeutralInverseYellow = 16;
+export const contentGapInsideXlNeutralBlue = 20;
+export const contentGapInsideXlNeutralGreen = 20;
+export const contentGapInsideXlNeutralRed = 20;
+export const contentGapInsideXlNeutralYellow = 20;
+export const contentGapInsideXlSubtleBlue = 20;
+export const contentGapInsideXlSubtleGreen = 20;
+export const contentGapInsideXlSubtleRed = 20;
+export const contentGapInsideXlSubtleYellow = 20;
+export const contentGapInsideXlBoldBlue = 20;
+export const contentGapInsideXlBoldGreen = 20;
+export const contentGapInsideXlBoldRed = 20;
+export const contentGapInsideXlBoldYellow = 20;
+export const contentGapInsideXlNeutralInverseBlue = 20;
+export const contentGapInsideXlNeutralInverseGreen = 20;
+export const contentGapInsideXlNeutralInverseRed = 20;
+export const contentGapInsideXlNeutralInverseYellow = 20;
+export const contentGapRowXsNeutralBlue = 16;
+export const contentGapRowXsNeutralGreen = 16;
+export const contentGapRowXsNeutralRed = 16;
+export const contentGapRowXsNeutralYellow = 16;
+export const contentGapRowXsSubtleBlue = 16;
+export const contentGapRowXsSubtleGreen = 16;
+export const contentGapRowXsSubtleRed = 16;
+export const contentGapRowXsSubtleYellow = 16;
+export const contentGapRowXsBoldBlue = 16;
+export const contentGapRowXsBoldGreen = 16;
+export const contentGapRowXsBoldRed = 16;
+export const contentGapRowXsBoldYellow = 16;
+export const contentGapRowXsNeutralInverseBlue = 16;
+export const contentGapRowXsNeutralInverseGreen = 16;
+export const contentGapRowXsNeutralInverseRed = 16;
+export const contentGapRowXsNeutralInverseYellow = 16;
+export const contentGapRowSmNeutralBlue = 20;
+export const contentGapRowSmNeutralGreen = 20;
+export const contentGapRowSmNeutralRed = 20;
+export const contentGapRowSmNeutralYellow = 20;
+export const contentGapRowSmSubtleBlue = 20;
+export const contentGapRowSmSubtleGreen = 20;
+export const contentGapRowSmSubtleRed = 20;
+export const contentGapRowSmSubtleYellow = 20;
+export const contentGapRowSmBoldBlue = 20;
+export const contentGapRowSmBoldGreen = 20;
+export const contentGapRowSmBoldRed = 20;
+export const contentGapRowSmBoldYellow = 20;
+export const contentGapRowSmNeutralInverseBlue = 20;
+export const contentGapRowSmNeutralInverseGreen = 20;
+export const contentGapRowSmNeutralInverseRed = 20;
+export const contentGapRowSmNeutralInverseYellow = 20;
+export const contentGapRowMdNeutralBlue = 28;
+export const contentGapRowMdNeutralGreen = 28;
+export const contentGapRowMdNeutralRed = 28;
+export const contentGapRowMdNeutralYellow = 28;
+export const contentGapRowMdSubtleBlue = 28;
+export const contentGapRowMdSubtleGreen = 28;
+export const contentGapRowMdSubtleRed = 28;
+export const contentGapRowMdSubtleYellow = 28;
+export const contentGapRowMdBoldBlue = 28;
+export const contentGapRowMdBoldGreen = 28;
+export const contentGapRowMdBoldRed = 28;
+export const contentGapRowMdBoldYellow = 28;
+export const contentGapRowMdNeutralInverseBlue = 28;
+export const contentGapRowMdNeutralInverseGreen = 28;
+export const contentGapRowMdNeutralInverseRed = 28;
+export const contentGapRowMdNeutralInverseYellow = 28;
+export const contentGapRowLgNeutralBlue = 36;
+export const contentGapRowLgNeutralGreen = 36;
+export const contentGapRowLgNeutralRed = 36;
+export const contentGapRowLgNeutralYellow = 36;
+export const contentGapRowLgSubtleBlue = 36;
+export const contentGapRowLgSubtleGreen = 36;
+export const contentGapRowLgSubtleRed = 36;
+export const contentGapRowLgSubtleYellow = 36;
+export const contentGapRowLgBoldBlue = 36;
+export const contentGapRowLgBoldGreen = 36;
+export const contentGapRowLgBoldRed = 36;
+export const contentGapRowLgBoldYellow = 36;
+export const contentGapRowLgNeutralInverseBlue = 36;
+export const contentGapRowLgNeutralInverseGreen = 36;
+export const contentGapRowLgNeutralInverseRed = 36;
+export const contentGapRowLgNeutralInverseYellow = 36;
+export const contentGapRowXlNeutralBlue = 48;
+export const contentGapRowXlNeutralGreen = 48;
+export const contentGapRowXlNeutralRed = 48;
+export const contentGapRowXlNeutralYellow = 48;
+export const contentGapRowXlSubtleBlue = 48;
+export const contentGapRowXlSubtleGreen = 48;
+export const contentGapRowXlSubtleRed = 48;
+export const contentGapRowXlSubtleYellow = 48;
+export const contentGapRowXlBoldBlue = 48;
+export const contentGapRowXlBoldGreen = 48;
+export const contentGapRowXlBoldRed = 48;
+export const contentGapRowXlBoldYellow = 48;
+export const contentGapRowXlNeutralInverseBlue = 48;
+export const contentGapRowXlNeutralInverseGreen = 48;
+export const contentGapRowXlNeutralInverseRed = 48;
+export const contentGapRowXlNeutralInverseYellow = 48;
+export const contentPictogramOutlineNeutralBlue = "#1d1d1b";
+export const contentPictogramOutlineNeutralGreen = "#1d1d1b";
+export const contentPictogramOutlineNeutralRed = "#1d1d1b";
+export const contentPictogramOutlineNeutralYellow = "#1d1d1b";
+export const contentPictogramOutlineSubtleBlue = "#1d1d1b";
+export const contentPictogramOutlineSubtleGreen = "#1d1d1b";
+export const contentPictogramOutlineSubtleRed = "#1d1d1b";
+export const contentPictogramOutlineSubtleYellow = "#1d1d1b";
+export const contentPictogramOutlineBoldBlue = "#f4f4f4";
+export const contentPictogramOutlineBoldGreen = "#f4f4f4";
+export const contentPictogramOutlineBoldRed = "#f4f4f4";
+export const contentPictogramOutlineBoldYellow = "#1d1d1b";
+export const contentPictogramOutlineNeutralInverseBlue = "#1d1d1b";
+export const contentPictogramOutlineNeutralInverseGreen = "#1d1d1b";
+export const contentPictogramOutlineNeutralInverseRed = "#1d1d1b";
+export const contentPictogramOutlineNeutralInverseYellow = "#1d1d1b";
+export const contentPictogramFillNeutralBlue = "#42aeea";
+export const contentPictogramFillNeutralGreen = "#42aeea";
+export const contentPictogramFillNeutralRed = "#42aeea";
+export const contentPictogramFillNeutralYellow = "#42aeea";
+export const contentPictogramFillSubtleBlue = "#aee1f7";
+export const contentPictogramFillSubtleGreen = "#aee1f7";
+export const contentPictogramFillSubtleRed = "#aee1f7";
+export const contentPictogramFillSubtleYellow = "#aee1f7";
+export const contentPictogramFillBoldBlue = "#005dba";
+export const contentPictogramFillBoldGreen = "#005dba";
+export const contentPictogramFillBoldRed = "#005dba";
+export const contentPictogramFillBoldYellow = "#005dba";
+export const contentPictogramFillNeutralInverseBlue = "#42aeea";
+export const contentPictogramFillNeutralInverseGreen = "#42aeea";
+export const contentPictogramFillNeutralInverseRed = "#42aeea";
+export const contentPictogramFillNeutralInverseYellow = "#42aeea";
+export const contentPictogramHasFillNeutralBlue = true;
+export const contentPictogramHasFillNeutralGreen = false;
+export const contentPictogramHasFillNeutralRed = false;
+export const contentPictogramHasFillNeutralYellow = false;
+export const contentPictogramHasFillSubtleBlue = false;
+export const contentPictogramHasFillSubtleGreen = false;
+export const contentPictogramHasFillSubtleRed = false;
+export const contentPictogramHasFillSubtleYellow = false;
+export const contentPictogramHasFillBoldBlue = false;
+export const contentPictogramHasFillBoldGreen = false;
+export const contentPictogramHasFillBoldRed = false;
+export const contentPictogramHasFillBoldYellow = false;
+export const contentPictogramHasFillNeutralInverseBlue = true;
+export const contentPictogramHasFillNeutralInverseGreen = false;
+export const contentPictogramHasFillNeutralInverseRed = false;
+export const contentPictogramHasFillNeutralInverseYellow = false;
+export const contentPictogramSizeMdNeutralBlue = 32;
+export const contentPictogramSizeMdNeutralGreen = 32;
+export const contentPictogramSizeMdNeutralRed = 32;
+export const contentPictogramSizeMdNeutralYellow = 32;
+export const contentPictogramSizeMdSubtleBlue = 32;
+export const contentPictogramSizeMdSubtleGreen = 32;
+export const contentPictogramSizeMdSubtleRed = 32;
+export const contentPictogramSizeMdSubtleYellow = 32;
+export const contentPictogramSizeMdBoldBlue = 32;
+export const contentPictogramSizeMdBoldGreen = 32;
+export const contentPictogramSizeMdBoldRed = 32;
+export const contentPictogramSizeMdBoldYellow = 32;
+export const contentPictogramSizeMdNeutralInverseBlue = 32;
+export const contentPictogramSizeMdNeutralInverseGreen = 32;
+export const contentPictogramSizeMdNeutralInverseRed = 32;
+export const contentPictogramSizeMdNeutralInverseYellow = 32;
+export const contentPictogramSizeLgNeutralBlue = 80;
+export const contentPictogramSizeLgNeutralGreen = 80;
+export const contentPictogramSizeLgNeutralRed = 80;
+export const contentPictogramSizeLgNeutralYellow = 80;
+export const contentPictogramSizeLgSubtleBlue = 80;
+export const contentPictogramSizeLgSubtleGreen = 80;
+export const contentPictogramSizeLgSubtleRed = 80;
+export const contentPictogramSizeLgSubtleYellow = 80;
+export const contentPictogramSizeLgBoldBlue = 80;
+export const contentPictogramSizeLgBoldGreen = 80;
+export const contentPictogramSizeLgBoldRed = 80;
+export const contentPictogramSizeLgBoldYellow = 80;
+export const contentPictogramSizeLgNeutralInverseBlue = 80;
+export const contentPictogramSizeLgNeutralInverseGreen = 80;
+export const contentPictogramSizeLgNeutralInverseRed = 80;
+export const contentPictogramSizeLgNeutralInverseYellow = 80;
+export const contentPictogramSizeXlNeutralBlue = 160;
+export const contentPictogramSizeXlNeutralGreen = 160;
+export const contentPictogramSizeXlNeutralRed = 160;
+export const contentPictogramSizeXlNeutralYellow = 160;
+export const contentPictogramSizeXlSubtleBlue = 160;
+export const contentPictogramSizeXlSubtleGreen = 160;
+export const contentPictogramSizeXlSubtleRed = 160;
+export const contentPictogramSizeXlSubtleYellow = 160;
+export const contentPictogramSizeXlBoldBlue = 160;
+export const contentPictogramSizeXlBoldGreen = 160;
+export const contentPictogramSizeXlBoldRed = 160;
+export const contentPictogramSizeXlBoldYellow = 160;
+export const contentPictogramSizeXlNeutralInverseBlue = 160;
+export const contentPictogramSizeXlNeutralInverseGreen = 160;
+export const contentPictogramSizeXlNeutralInverseRed = 160;
+export const contentPictogramSizeXlNeutralInverseYellow = 160;
+export const buttonBorderRadiusNeutralBlue = 12;
+export const buttonBorderRadiusNeutralGreen = 12;
+export const buttonBorderRadiusNeutralRed = 12;
+export const buttonBorderRadiusNeutralYellow = 12;
+export const buttonBorderRadiusNeutralInverseBlue = 12;
+export const buttonBorderRadiusNeutralInverseGreen = 12;
+export const buttonBorderRadiusNeutralInverseRed = 12;
+export const buttonBorderRadiusNeutralInverseYellow = 12;
+export const buttonBorderRadiusSubtleBlue = 12;
+export const buttonBorderRadiusSubtleGreen = 12;
+export const buttonBorderRadiusSubtleRed = 12;
+export const buttonBorderRadiusSubtleYellow = 12;
+export const buttonBorderRadiusBoldBlue = 12;
+export const buttonBorderRadiusBoldGreen = 12;
+export const buttonBorderRadiusBoldRed = 12;
+export const buttonBorderRadiusBoldYellow = 12;
+export const buttonBorderWidthNeutralBlue = 1.5;
+export const buttonBorderWidthNeutralGreen = 1.5;
+export const buttonBorderWidthNeutralRed = 1.5;
+export const buttonBorderWidthNeutralYellow = 1.5;
+export const buttonBorderWidthNeutralInverseBlue = 1.5;
+export const buttonBorderWidthNeutralInverseGreen = 1.5;
+export const buttonBorderWidthNeutralInverseRed = 1.5;
+export const buttonBorderWidthNeutralInverseYellow = 1.5;
+export const buttonBorderWidthSubtleBlue = 1.5;
+export const buttonBorderWidthSubtleGreen = 1.5;
+export const buttonBorderWidthSubtleRed = 1.5;
+export const buttonBorderWidthSubtleYellow = 1.5;
+export const buttonBorderWidthBoldBlue = 1.5;
+export const buttonBorderWidthBoldGreen = 1.5;
+export const buttonBorderWidthBoldRed = 1.5;
+export const buttonBorderWidthBoldYellow = 1.5;
+export const buttonBorderWidthFocusNeutralBlue = 3;
+export const buttonBorderWidthFocusNeutralGreen = 3;
+export const buttonBorderWidthFocusNeutralRed = 3;
+export const buttonBorderWidthFocusNeutralYellow = 3;
+export const buttonBorderWidthFocusNeutralInverseBlue = 3;
+export const buttonBorderWidthFocusNeutralInverseGreen = 3;
+export const buttonBorderWidthFocusNeutralInverseRed = 3;
+export const buttonBorderWidthFocusNeutralInverseYellow = 3;
+export const buttonBorderWidthFocusSubtleBlue = 3;
+export const buttonBorderWidthFocusSubtleGreen = 3;
+export const buttonBorderWidthFocusSubtleRed = 3;
+export const buttonBorderWidthFocusSubtleYellow = 3;
+export const buttonBorderWidthFocusBoldBlue = 3;
+export const buttonBorderWidthFocusBoldGreen = 3;
+export const buttonBorderWidthFocusBoldRed = 3;
+export const buttonBorderWidthFocusBoldYellow = 3;
+export const buttonGapNeutralBlue = 8;
+export const buttonGapNeutralGreen = 8;
+export const buttonGapNeutralRed = 8;
+export const buttonGapNeutralYellow = 8;
+export const buttonGapNeutralInverseBlue = 8;
+export const buttonGapNeutralInverseGreen = 8;
+export const buttonGapNeutralInverseRed = 8;
+export const buttonGapNeutralInverseYellow = 8;
+export const buttonGapSubtleBlue = 8;
+export const buttonGapSubtleGreen = 8;
+export const buttonGapSubtleRed = 8;
+export const buttonGapSubtleYellow = 8;
+export const buttonGapBoldBlue = 8;
+export const buttonGapBoldGreen = 8;
+export const buttonGapBoldRed = 8;
+export const buttonGapBoldYellow = 8;
+export const buttonCommonLabelledMinHeightNeutralBlue = 48;
+export const buttonCommonLabelledMinHeightNeutralGreen = 48;
+export const buttonCommonLabelledMinHeightNeutralRed = 48;
+export const buttonCommonLabelledMinHeightNeutralYellow = 48;
+export const buttonCommonLabelledMinHeightNeutralInverseBlue = 48;
+export const buttonCommonLabelledMinHeightNeutralInverseGreen = 48;
+export const buttonCommonLabelledMinHeightNeutralInverseRed = 48;
+export const buttonCommonLabelledMinHeightNeutralInverseYellow = 48;
+export const buttonCommonLabelledMinHeightSubtleBlue = 48;
+export const buttonCommonLabelledMinHeightSubtleGreen = 48;
+export const buttonCommonLabelledMinHeightSubtleRed = 48;
+export const buttonCommonLabelledMinHeightSubtleYellow = 48;
+export const buttonCommonLabelledMinHeightBoldBlue = 48;
+export const buttonCommonLabelledMinHeightBoldGreen = 48;
+export const buttonCommonLabelledMinHeightBoldRed = 48;
+export const buttonCommonLabelledMinHeightBoldYellow = 48;
+export const buttonCommonLabelledMinWidthNeutralBlue = 48;
+export const buttonCommonLabelledMinWidthNeutralGreen = 48;
+export const buttonCommonLabelledMinWidthNeutralRed = 48;
+export const buttonCommonLabelledMinWidthNeutralYellow = 48;
+export const buttonCommonLabelledMinWidthNeutralInverseBlue = 48;
+export const buttonCommonLabelledMinWidthNeutralInverseGreen = 48;
+export const buttonCommonLabelledMinWidthNeutralInverseRed = 48;
+export const buttonCommonLabelledMinWidthNeutralInverseYellow = 48;
+export const buttonCommonLabelledMinWidthSubtleBlue = 48;
+export const buttonCommonLabelledMinWidthSubtleGreen = 48;
+export const buttonCommonLabelledMinWidthSubtleRed = 48;
+export const buttonCommonLabelledMinWidthSubtleYellow = 48;
+export const buttonCommonLabelledMinWidthBoldBlue = 48;
+export const buttonCommonLabelledMinWidthBoldGreen = 48;
+export const buttonCommonLabelledMinWidthBoldRed = 48;
+export const buttonCommonLabelledMinWidthBoldYellow = 48;
+export const buttonCommonLabelledPaddingXNeutralBlue = 16;
+export const buttonCommonLabelledPaddingXNeutralGreen = 16;
+export const buttonCommonLabelledPaddingXNeutralRed = 16;
+export const buttonCommonLabelledPaddingXNeutralYellow = 16;
+export const buttonCommonLabelledPaddingXNeutralInverseBlue = 16;
+export const buttonCommonLabelledPaddingXNeutralInverseGreen = 16;
+export const buttonCommonLabelledPaddingXNeutralInverseRed = 16;
+export const buttonCommonLabelledPaddingXNeutralInverseYellow = 16;
+export const buttonCommonLabelledPaddingXSubtleBlue = 16;
+export const buttonCommonLabelledPaddingXSubtleGreen = 16;
+export const buttonCommonLabelledPaddingXSubtleRed = 16;
+export const buttonCommonLabelledPaddingXSubtleYellow = 16;
+export const buttonCommonLabelledPaddingXBoldBlue = 16;
+export const buttonCommonLabelledPaddingXBoldGreen = 16;
+export const buttonCommonLabelledPaddingXBoldRed = 16;
+export const buttonCommonLabelledPaddingXBoldYellow = 16;
+export const buttonCommonLabelledPaddingYNeutralBlue = 12;
+export const buttonCommonLabelledPaddingYNeutralGreen = 12;
+export const buttonCommonLabelledPaddingYNeutralRed = 12;
+export const buttonCommonLabelledPaddingYNeutralYellow = 12;
+export const buttonCommonLabelledPaddingYNeutralInverseBlue = 12;
+export const buttonCommonLabelledPaddingYNeutralInverseGreen = 12;
+export const buttonCommonLabelledPaddingYNeutralInverseRed = 12;
+export const buttonCommonLabelledPaddingYNeutralInverseYellow = 12;
+export const buttonCommonLabelledPaddingYSubtleBlue = 12;
+export const buttonCommonLabelledPaddingYSubtleGreen = 12;
+export const buttonCommonLabelledPaddingYSubtleRed = 12;
+export const buttonCommonLabelledPaddingYSubtleYellow = 12;
+export const buttonCommonLabelledPaddingYBoldBlue = 12;
+export const buttonCommonLabelledPaddingYBoldGreen = 12;
+export const buttonCommonLabelledPaddingYBoldRed = 12;
+export const buttonCommonLabelledPaddingYBoldYellow = 12;
+export const buttonCommonIconOnlyMinHeightNeutralBlue = 48;
+export const buttonCommonIconOnlyMinHeightNeutralGreen = 48;
+export const buttonCommonIconOnlyMinHeightNeutralRed = 48;
+export const buttonCommonIconOnlyMinHeightNeutralYellow = 48;
+export const buttonCommonIconOnlyMinHeightNeutralInverseBlue = 48;
+export const buttonCommonIconOnlyMinHeightNeutralInverseGreen = 48;
+export const buttonCommonIconOnlyMinHeightNeutralInverseRed = 48;
+export const buttonCommonIconOnlyMinHeightNeutralInverseYellow = 48;
+export const buttonCommonIconOnlyMinHeightSubtleBlue = 48;
+export const buttonCommonIconOnlyMinHeightSubtleGreen = 48;
+export const buttonCommonIconOnlyMinHeightSubtleRed = 48;
+export const buttonCommonIconOnlyMinHeightSubtleYellow = 48;
+export const buttonCommonIconOnlyMinHeightBoldBlue = 48;
+export const buttonCommonIconOnlyMinHeightBoldGreen = 48;
+export const buttonCommonIconOnlyMinHeightBoldRed = 48;
+export const buttonCommonIconOnlyMinHeightBoldYellow = 48;
+export const buttonCommonIconOnlyMinWidthNeutralBlue = 48;
+export const buttonCommonIconOnlyMinWidthNeutralGreen = 48;
+export const buttonCommonIconOnlyMinWidthNeutralRed = 48;
+export const buttonCommonIconOnlyMinWidthNeutralYellow = 48;
+export const buttonCommonIconOnlyMinWidthNeutralInverseBlue = 48;
+export const buttonCommonIconOnlyMinWidthNeutralInverseGreen = 48;
+export const buttonCommonIconOnlyMinWidthNeutralInverseRed = 48;
+export const buttonCommonIconOnlyMinWidthNeutralInverseYellow = 48;
+export const buttonCommonIconOnlyMinWidthSubtleBlue = 48;
+export const buttonCommonIconOnlyMinWidthSubtleGreen = 48;
+export const buttonCommonIconOnlyMinWidthSubtleRed = 48;
+export const buttonCommonIconOnlyMinWidthSubtleYellow = 48;
+export const buttonCommonIconOnlyMinWidthBoldBlue = 48;
+export const buttonCommonIconOnlyMinWidthBoldGreen = 48;
+export const buttonCommonIconOnlyMinWidthBoldRed = 48;
+export const buttonCommonIconOnlyMinWidthBoldYellow = 48;
+export const buttonCommonIconOnlyPaddingXNeutralBlue = 12;
+export const buttonCommonIconOnlyPaddingXNeutralGreen = 12;
+export const buttonCommonIconOnlyPaddingXNeutralRed = 12;
+export const buttonCommonIconOnlyPaddingXNeutralYellow = 12;
+export const buttonCommonIconOnlyPaddingXNeutralInverseBlue = 12;
+export const buttonCommonIconOnlyPaddingXNeutralInverseGreen = 12;
+export const buttonCommonIconOnlyPaddingXNeutralInverseRed = 12;
+export const buttonCommonIconOnlyPaddingXNeutralInverseYellow = 12;
+export const buttonCommonIconOnlyPaddingXSubtleBlue = 12;
+export const buttonCommonIconOnlyPaddingXSubtleGreen = 12;
+export const buttonCommonIconOnlyPaddingXSubtleRed = 12;
+export const buttonCommonIconOnlyPaddingXSubtleYellow = 12;
+export const buttonCommonIconOnlyPaddingXBoldBlue = 12;
+export const buttonCommonIconOnlyPaddingXBoldGreen = 12;
+export const buttonCommonIconOnlyPaddingXBoldRed = 12;
+export const buttonCommonIconOnlyPaddingXBoldYellow = 12;
+export const buttonCommonIconOnlyPaddingYNeutralBlue = 12;
+export const buttonCommonIconOnlyPaddingYNeutralGreen = 12;
+export const buttonCommonIconOnlyPaddingYNeutralRed = 12;
+export const buttonCommonIconOnlyPaddingYNeutralYellow = 12;
+export const buttonCommonIconOnlyPaddingYNeutralInverseBlue = 12;
+export const buttonCommonIconOnlyPaddingYNeutralInverseGreen = 12;
+export const buttonCommonIconOnlyPaddingYNeutralInverseRed = 12;
+export const buttonCommonIconOnlyPaddingYNeutralInverseYellow = 12;
+export const buttonCommonIconOnlyPaddingYSubtleBlue = 12;
+export const buttonCommonIconOnlyPaddingYSubtleGreen = 12;
+export const buttonCommonIconOnlyPaddingYSubtleRed = 12;
+export const buttonCommonIconOnlyPaddingYSubtleYellow = 12;
+export const buttonCommonIconOnlyPaddingYBoldBlue = 12;
+export const buttonCommonIconOnlyPaddingYBoldGreen = 12;
+export const buttonCommonIconOnlyPaddingYBoldRed = 12;
+export const buttonCommonIconOnlyPaddingYBoldYellow = 12;
+export const buttonPrimaryRestBackgroundColourNeutralBlue = "#005dba";
+export const buttonPrimaryRestBackgroundColourNeutralGreen = "#00633d";
+export const buttonPrimaryRestBackgroundColourNeutralRed = "#c50b30";
+export const buttonPrimaryRestBackgroundColourNeutralYellow = "#ffb600";
+export const buttonPrimaryRestBackgroundColourNeutralInverseBlue = "#005dba";
+export const buttonPrimaryRestBackgroundColourNeutralInverseGreen = "#00633d";
+export const buttonPrimaryRestBackgroundColourNeutralInverseRed = "#c50b30";
+export const buttonPrimaryRestBackgroundColourNeutralInverseYellow = "#ffb600";
+export const buttonPrimaryRestBackgroundColourSubtleBlue = "#005dba";
+export const buttonPrimaryRestBackgroundColourSubtleGreen = "#00633d";
+export const buttonPrimaryRestBackgroundColourSubtleRed = "#c50b30";
+export const buttonPrimaryRestBackgroundColourSubtleYellow = "#ffb600";
+export const buttonPrimaryRestBackgroundColourBoldBlue = "#ffffff";
+export const buttonPrimaryRestBackgroundColourBoldGreen = "#ffffff";
+export const buttonPrimaryRestBackgroundColourBoldRed = "#ffffff";
+export const buttonPrimaryRestBackgroundColourBoldYellow = "#1d1d1b";
+export const buttonPrimaryRestBorderColourNeutralBlue = "#005dba";
+export const buttonPrimaryRestBorderColourNeutralGreen = "#00633d";
+export const buttonPrimaryRestBorderColourNeutralRed = "#c50b30";
+export const buttonPrimaryRestBorderColourNeutralYellow = "#ffb600";
+export const buttonPrimaryRestBorderColourNeutralInverseBlue = "#005dba";
+export const buttonPrimaryRestBorderColourNeutralInverseGreen = "#00633d";
+export const buttonPrimaryRestBorderColourNeutralInverseRed = "#c50b30";
+export const buttonPrimaryRestBorderColourNeutralInverseYellow = "#ffb600";
+export const buttonPrimaryRestBorderColourSubtleBlue = "#005dba";
+export const buttonPrimaryRestBorderColourSubtleGreen = "#00633d";
+export const buttonPrimaryRestBorderColourSubtleRed = "#c50b30";
+export const buttonPrimaryRestBorderColourSubtleYellow = "#ffb600";
+export const buttonPrimaryRestBorderColourBoldBlue = "#ffffff";
+export const buttonPrimaryRestBorderColourBoldGreen = "#ffffff";
+export const buttonPrimaryRestBorderColourBoldRed = "#ffffff";
+export const buttonPrimaryRestBorderColourBoldYellow = "#1d1d1b";
+export const buttonPrimaryRestColourNeutralBlue = "#ffffff";
+export const buttonPrimaryRestColourNeutralGreen = "#ffffff";
+export const buttonPrimaryRestColourNeutralRed = "#ffffff";
+export const buttonPrimaryRestColourNeutralYellow = "#1d1d1b";
+export const buttonPrimaryRestColourNeutralInverseBlue = "#ffffff";
+export const buttonPrimaryRestColourNeutralInverseGreen = "#ffffff";
+export const buttonPrimaryRestColourNeutralInverseRed = "#ffffff";
+export const buttonPrimaryRestColourNeutralInverseYellow = "#1d1d1b";
+export const buttonPrimaryRestColourSubtleBlue = "#ffffff";
+export const buttonPrimaryRestColourSubtleGreen = "#ffffff";
+export const buttonPrimaryRestColourSubtleRed = "#ffffff";
+export const buttonPrimaryRestColourSubtleYellow = "#1d1d1b";
+export const buttonPrimaryRestColourBoldBlue = "#1d1d1b";
+export const buttonPrimaryRestColourBoldGreen = "#1d1d1b";
+export const buttonPrimaryRestColourBoldRed = "#1d1d1b";
+export const buttonPrimaryRestColourBoldYellow = "#f4f4f4";
+export const buttonPrimaryHoverBackgroundColourNeutralBlue = "#001d6e";
+export const buttonPrimaryHoverBackgroundColourNeutralGreen = "#01312e";
+export const buttonPrimaryHoverBackgroundColourNeutralRed = "#940824";
+export const buttonPrimaryHoverBackgroundColourNeutralYellow = "#904029";
+export const buttonPrimaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+export const buttonPrimaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+export const buttonPrimaryHoverBackgroundColourNeutralInverseRed = "#940824";
+export const buttonPrimaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+export const buttonPrimaryHoverBackgroundColourSubtleBlue = "#001d6e";
+export const buttonPrimaryHoverBackgroundColourSubtleGreen = "#01312e";
+export const buttonPrimaryHoverBackgroundColourSubtleRed = "#940824";
+export const buttonPrimaryHoverBackgroundColourSubtleYellow = "#904029";
+export const buttonPrimaryHoverBackgroundColourBoldBlue = "#001d6e";
+export const buttonPrimaryHoverBackgroundColourBoldGreen = "#01312e";
+export const buttonPrimaryHoverBackgroundColourBoldRed = "#940824";
+export const buttonPrimaryHoverBackgroundColourBoldYellow = "#ffe969";
+export const buttonPrimaryHoverBorderColourNeutralBlue = "#001d6e";
+export const buttonPrimaryHoverBorderColourNeutralGreen = "#01312e";
+export const buttonPrimaryHoverBorderColourNeutralRed = "#940824";
+export const buttonPrimaryHoverBorderColourNeutralYellow = "#904029";
+export const buttonPrimaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+export const buttonPrimaryHoverBorderColourNeutralInverseGreen = "#01312e";
+export const buttonPrimaryHoverBorderColourNeutralInverseRed = "#940824";
+export const buttonPrimaryHoverBorderColourNeutralInverseYellow = "#904029";
+export const buttonPrimaryHoverBorderColourSubtleBlue = "#001d6e";
+export const buttonPrimaryHoverBorderColourSubtleGreen = "#01312e";
+export const buttonPrimaryHoverBorderColourSubtleRed = "#940824";
+export const buttonPrimaryHoverBorderColourSubtleYellow = "#904029";
+export const buttonPrimaryHoverBorderColourBoldBlue = "#ffffff";
+export const buttonPrimaryHoverBorderColourBoldGreen = "#ffffff";
+export const buttonPrimaryHoverBorderColourBoldRed = "#ffffff";
+export const buttonPrimaryHoverBorderColourBoldYellow = "#1d1d1b";
+export const buttonPrimaryHoverColourNeutralBlue = "#ffffff";
+export const buttonPrimaryHoverColourNeutralGreen = "#ffffff";
+export const buttonPrimaryHoverColourNeutralRed = "#ffffff";
+export const buttonPrimaryHoverColourNeutralYellow = "#ffffff";
+export const buttonPrimaryHoverColourNeutralInverseBlue = "#ffffff";
+export const buttonPrimaryHoverColourNeutralInverseGreen = "#ffffff";
+export const buttonPrimaryHoverColourNeutralInverseRed = "#ffffff";
+export const buttonPrimaryHoverColourNeutralInverseYellow = "#ffffff";
+export const buttonPrimaryHoverColourSubtleBlue = "#ffffff";
+export const buttonPrimaryHoverColourSubtleGreen = "#ffffff";
+export const buttonPrimaryHoverColourSubtleRed = "#ffffff";
+export const buttonPrimaryHoverColourSubtleYellow = "#ffffff";
+export const buttonPrimaryHoverColourBoldBlue = "#ffffff";
+export const buttonPrimaryHoverColourBoldGreen = "#ffffff";
+export const buttonPrimaryHoverColourBoldRed = "#ffffff";
+export const buttonPrimaryHoverColourBoldYellow = "#1d1d1b";
+export const buttonPrimaryActiveBackgroundColourNeutralBlue = "#000039";
+export const buttonPrimaryActiveBackgroundColourNeutralGreen = "#011b1f";
+export const buttonPrimaryActiveBackgroundColourNeutralRed = "#480411";
+export const buttonPrimaryActiveBackgroundColourNeutralYellow = "#572722";
+export const buttonPrimaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+export const buttonPrimaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+export const buttonPrimaryActiveBackgroundColourNeutralInverseRed = "#480411";
+export const buttonPrimaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+export const buttonPrimaryActiveBackgroundColourSubtleBlue = "#000039";
+export const buttonPrimaryActiveBackgroundColourSubtleGreen = "#011b1f";
+export const buttonPrimaryActiveBackgroundColourSubtleRed = "#480411";
+export const buttonPrimaryActiveBackgroundColourSubtleYellow = "#572722";
+export const buttonPrimaryActiveBackgroundColourBoldBlue = "#000039";
+export const buttonPrimaryActiveBackgroundColourBoldGreen = "#011b1f";
+export const buttonPrimaryActiveBackgroundColourBoldRed = "#480411";
+export const buttonPrimaryActiveBackgroundColourBoldYellow = "#fffbdc";
+export const buttonPrimaryActiveBorderColourNeutralBlue = "#000039";
+export const buttonPrimaryActiveBorderColourNeutralGreen = "#011b1f";
+export const buttonPrimaryActiveBorderColourNeutralRed = "#480411";
+export const buttonPrimaryActiveBorderColourNeutralYellow = "#572722";
+export const buttonPrimaryActiveBorderColourNeutralInverseBlue = "#000039";
+export const buttonPrimaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+export const buttonPrimaryActiveBorderColourNeutralInverseRed = "#480411";
+export const buttonPrimaryActiveBorderColourNeutralInverseYellow = "#572722";
+export const buttonPrimaryActiveBorderColourSubtleBlue = "#000039";
+export const buttonPrimaryActiveBorderColourSubtleGreen = "#011b1f";
+export const buttonPrimaryActiveBorderColourSubtleRed = "#480411";
+export const buttonPrimaryActiveBorderColourSubtleYellow = "#572722";
+export const buttonPrimaryActiveBorderColourBoldBlue = "#ffffff";
+export const buttonPrimaryActiveBorderColourBoldGreen = "#ffffff";
+export const buttonPrimaryActiveBorderColourBoldRed = "#ffffff";
+export const buttonPrimaryActiveBorderColourBoldYellow = "#1d1d1b";
+export const buttonPrimaryActiveColourNeutralBlue = "#ffffff";
+export const buttonPrimaryActiveColourNeutralGreen = "#ffffff";
+export const buttonPrimaryActiveColourNeutralRed = "#ffffff";
+export const buttonPrimaryActiveColourNeutralYellow = "#ffffff";
+export const buttonPrimaryActiveColourNeutralInverseBlue = "#ffffff";
+export const buttonPrimaryActiveColourNeutralInverseGreen = "#ffffff";
+export const buttonPrimaryActiveColourNeutralInverseRed = "#ffffff";
+export const buttonPrimaryActiveColourNeutralInverseYellow = "#ffffff";
+export const buttonPrimaryActiveColourSubtleBlue = "#ffffff";
+export const buttonPrimaryActiveColourSubtleGreen = "#ffffff";
+export const buttonPrimaryActiveColourSubtleRed = "#ffffff";
+export const buttonPrimaryActiveColourSubtleYellow = "#ffffff";
+export const buttonPrimaryActiveColourBoldBlue = "#ffffff";
+export const buttonPrimaryActiveColourBoldGreen = "#ffffff";
+export const buttonPrimaryActiveColourBoldRed = "#ffffff";
+export const buttonPrimaryActiveColourBoldYellow = "#1d1d1b";
+export const buttonPrimaryFocusBackgroundColourNeutralBlue = "#005dba";
+export const buttonPrimaryFocusBackgroundColourNeutralGreen = "#00633d";
+export const buttonPrimaryFocusBackgroundColourNeutralRed = "#c50b30";
+export const buttonPrimaryFocusBackgroundColourNeutralYellow = "#ffb600";
+export const buttonPrimaryFocusBackgroundColourNeutralInverseBlue = "#005dba";
+export const buttonPrimaryFocusBackgroundColourNeutralInverseGreen = "#00633d";
+export const buttonPrimaryFocusBackgroundColourNeutralInverseRed = "#c50b30";
+export const buttonPrimaryFocusBackgroundColourNeutralInverseYellow = "#ffb600";
+export const buttonPrimaryFocusBackgroundColourSubtleBlue = "#005dba";
+export const buttonPrimaryFocusBackgroundColourSubtleGreen = "#00633d";
+export const buttonPrimaryFocusBackgroundColourSubtleRed = "#c50b30";
+export const buttonPrimaryFocusBackgroundColourSubtleYellow = "#ffb600";
+export const buttonPrimaryFocusBackgroundColourBoldBlue = "#ffffff";
+export const buttonPrimaryFocusBackgroundColourBoldGreen = "#ffffff";
+export const buttonPrimaryFocusBackgroundColourBoldRed = "#ffffff";
+export const buttonPrimaryFocusBackgroundColourBoldYellow = "#1d1d1b";
+export const buttonPrimaryFocusColourNeutralBlue = "#ffffff";
+export const buttonPrimaryFocusColourNeutralGreen = "#ffffff";
+export const buttonPrimaryFocusColourNeutralRed = "#ffffff";
+export const buttonPrimaryFocusColourNeutralYellow = "#1d1d1b";
+export const buttonPrimaryFocusColourNeutralInverseBlue = "#ffffff";
+export const buttonPrimaryFocusColourNeutralInverseGreen = "#ffffff";
+export const buttonPrimaryFocusColourNeutralInverseRed = "#ffffff";
+export const buttonPrimaryFocusColourNeutralInverseYellow = "#1d1d1b";
+export const buttonPrimaryFocusColourSubtleBlue = "#ffffff";
+export const buttonPrimaryFocusColourSubtleGreen = "#ffffff";
+export const buttonPrimaryFocusColourSubtleRed = "#ffffff";
+export const buttonPrimaryFocusColourSubtleYellow = "#1d1d1b";
+export const buttonPrimaryFocusColourBoldBlue = "#1d1d1b";
+export const buttonPrimaryFocusColourBoldGreen = "#1d1d1b";
+export const buttonPrimaryFocusColourBoldRed = "#1d1d1b";
+export const buttonPrimaryFocusColourBoldYellow = "#f4f4f4";
+export const buttonPrimaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+export const buttonPrimaryDisabledBackgroundColourSubtleBlue = "#76c8f1";
+export const buttonPrimaryDisabledBackgroundColourSubtleGreen = "#7fce9f";
+export const buttonPrimaryDisabledBackgroundColourSubtleRed = "#ff7e7e";
+export const buttonPrimaryDisabledBackgroundColourSubtleYellow = "#ffe969";
+export const buttonPrimaryDisabledBackgroundColourBoldBlue = "#1e84d2";
+export const buttonPrimaryDisabledBackgroundColourBoldGreen = "#1a8952";
+export const buttonPrimaryDisabledBackgroundColourBoldRed = "#ff3e51";
+export const buttonPrimaryDisabledBackgroundColourBoldYellow = "#e48616";
+export const buttonPrimaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourNeutralRed = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const buttonPrimaryDisabledBorderColourSubtleBlue = "#76c8f1";
+export const buttonPrimaryDisabledBorderColourSubtleGreen = "#7fce9f";
+export const buttonPrimaryDisabledBorderColourSubtleRed = "#ff7e7e";
+export const buttonPrimaryDisabledBorderColourSubtleYellow = "#ffe969";
+export const buttonPrimaryDisabledBorderColourBoldBlue = "#1e84d2";
+export const buttonPrimaryDisabledBorderColourBoldGreen = "#1a8952";
+export const buttonPrimaryDisabledBorderColourBoldRed = "#ff3e51";
+export const buttonPrimaryDisabledBorderColourBoldYellow = "#e48616";
+export const buttonPrimaryDisabledColourNeutralBlue = "#7a7b7b";
+export const buttonPrimaryDisabledColourNeutralGreen = "#7a7b7b";
+export const buttonPrimaryDisabledColourNeutralRed = "#7a7b7b";
+export const buttonPrimaryDisabledColourNeutralYellow = "#7a7b7b";
+export const buttonPrimaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+export const buttonPrimaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+export const buttonPrimaryDisabledColourNeutralInverseRed = "#7a7b7b";
+export const buttonPrimaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+export const buttonPrimaryDisabledColourSubtleBlue = "#1e84d2";
+export const buttonPrimaryDisabledColourSubtleGreen = "#1a8952";
+export const buttonPrimaryDisabledColourSubtleRed = "#e2223e";
+export const buttonPrimaryDisabledColourSubtleYellow = "#ffb600";
+export const buttonPrimaryDisabledColourBoldBlue = "#001d6e";
+export const buttonPrimaryDisabledColourBoldGreen = "#014a39";
+export const buttonPrimaryDisabledColourBoldRed = "#940824";
+export const buttonPrimaryDisabledColourBoldYellow = "#c86426";
+export const buttonIconWidthNeutralBlue = 24;
+export const buttonIconWidthNeutralGreen = 24;
+export const buttonIconWidthNeutralRed = 24;
+export const buttonIconWidthNeutralYellow = 24;
+export const buttonIconWidthNeutralInverseBlue = 24;
+export const buttonIconWidthNeutralInverseGreen = 24;
+export const buttonIconWidthNeutralInverseRed = 24;
+export const buttonIconWidthNeutralInverseYellow = 24;
+export const buttonIconWidthSubtleBlue = 24;
+export const buttonIconWidthSubtleGreen = 24;
+export const buttonIconWidthSubtleRed = 24;
+export const buttonIconWidthSubtleYellow = 24;
+export const buttonIconWidthBoldBlue = 24;
+export const buttonIconWidthBoldGreen = 24;
+export const buttonIconWidthBoldRed = 24;
+export const buttonIconWidthBoldYellow = 24;
+export const buttonSecondaryRestBackgroundColourNeutralBlue = "#ffffff";
+export const buttonSecondaryRestBackgroundColourNeutralGreen = "#ffffff";
+export const buttonSecondaryRestBackgroundColourNeutralRed = "#ffffff";
+export const buttonSecondaryRestBackgroundColourNeutralYellow = "#ffffff";
+export const buttonSecondaryRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const buttonSecondaryRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const buttonSecondaryRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const buttonSecondaryRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const buttonSecondaryRestBackgroundColourSubtleBlue = "#aee1f7";
+export const buttonSecondaryRestBackgroundColourSubtleGreen = "#caeedd";
+export const buttonSecondaryRestBackgroundColourSubtleRed = "#ffd5d2";
+export const buttonSecondaryRestBackgroundColourSubtleYellow = "#fff9c7";
+export const buttonSecondaryRestBackgroundColourBoldBlue = "#005dba";
+export const buttonSecondaryRestBackgroundColourBoldGreen = "#00633d";
+export const buttonSecondaryRestBackgroundColourBoldRed = "#c50b30";
+export const buttonSecondaryRestBackgroundColourBoldYellow = "#ffb600";
+export const buttonSecondaryRestBorderColourNeutralBlue = "#1d1d1b";
+export const buttonSecondaryRestBorderColourNeutralGreen = "#1d1d1b";
+export const buttonSecondaryRestBorderColourNeutralRed = "#1d1d1b";
+export const buttonSecondaryRestBorderColourNeutralYellow = "#000000";
+export const buttonSecondaryRestBorderColourNeutralInverseBlue = "#1d1d1b";
+export const buttonSecondaryRestBorderColourNeutralInverseGreen = "#1d1d1b";
+export const buttonSecondaryRestBorderColourNeutralInverseRed = "#1d1d1b";
+export const buttonSecondaryRestBorderColourNeutralInverseYellow = "#000000";
+export const buttonSecondaryRestBorderColourSubtleBlue = "#1d1d1b";
+export const buttonSecondaryRestBorderColourSubtleGreen = "#1d1d1b";
+export const buttonSecondaryRestBorderColourSubtleRed = "#1d1d1b";
+export const buttonSecondaryRestBorderColourSubtleYellow = "#000000";
+export const buttonSecondaryRestBorderColourBoldBlue = "#ffffff";
+export const buttonSecondaryRestBorderColourBoldGreen = "#ffffff";
+export const buttonSecondaryRestBorderColourBoldRed = "#ffffff";
+export const buttonSecondaryRestBorderColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryRestColourNeutralBlue = "#1d1d1b";
+export const buttonSecondaryRestColourNeutralGreen = "#1d1d1b";
+export const buttonSecondaryRestColourNeutralRed = "#1d1d1b";
+export const buttonSecondaryRestColourNeutralYellow = "#000000";
+export const buttonSecondaryRestColourNeutralInverseBlue = "#1d1d1b";
+export const buttonSecondaryRestColourNeutralInverseGreen = "#1d1d1b";
+export const buttonSecondaryRestColourNeutralInverseRed = "#1d1d1b";
+export const buttonSecondaryRestColourNeutralInverseYellow = "#000000";
+export const buttonSecondaryRestColourSubtleBlue = "#1d1d1b";
+export const buttonSecondaryRestColourSubtleGreen = "#1d1d1b";
+export const buttonSecondaryRestColourSubtleRed = "#1d1d1b";
+export const buttonSecondaryRestColourSubtleYellow = "#000000";
+export const buttonSecondaryRestColourBoldBlue = "#ffffff";
+export const buttonSecondaryRestColourBoldGreen = "#ffffff";
+export const buttonSecondaryRestColourBoldRed = "#ffffff";
+export const buttonSecondaryRestColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryHoverBackgroundColourNeutralBlue = "#001d6e";
+export const buttonSecondaryHoverBackgroundColourNeutralGreen = "#01312e";
+export const buttonSecondaryHoverBackgroundColourNeutralRed = "#940824";
+export const buttonSecondaryHoverBackgroundColourNeutralYellow = "#904029";
+export const buttonSecondaryHoverBackgroundColourNeutralInverseBlue = "#001d6e";
+export const buttonSecondaryHoverBackgroundColourNeutralInverseGreen = "#01312e";
+export const buttonSecondaryHoverBackgroundColourNeutralInverseRed = "#940824";
+export const buttonSecondaryHoverBackgroundColourNeutralInverseYellow = "#904029";
+export const buttonSecondaryHoverBackgroundColourSubtleBlue = "#001d6e";
+export const buttonSecondaryHoverBackgroundColourSubtleGreen = "#01312e";
+export const buttonSecondaryHoverBackgroundColourSubtleRed = "#940824";
+export const buttonSecondaryHoverBackgroundColourSubtleYellow = "#904029";
+export const buttonSecondaryHoverBackgroundColourBoldBlue = "#001d6e";
+export const buttonSecondaryHoverBackgroundColourBoldGreen = "#01312e";
+export const buttonSecondaryHoverBackgroundColourBoldRed = "#940824";
+export const buttonSecondaryHoverBackgroundColourBoldYellow = "#ffe969";
+export const buttonSecondaryHoverBorderColourNeutralBlue = "#001d6e";
+export const buttonSecondaryHoverBorderColourNeutralGreen = "#01312e";
+export const buttonSecondaryHoverBorderColourNeutralRed = "#940824";
+export const buttonSecondaryHoverBorderColourNeutralYellow = "#904029";
+export const buttonSecondaryHoverBorderColourNeutralInverseBlue = "#001d6e";
+export const buttonSecondaryHoverBorderColourNeutralInverseGreen = "#01312e";
+export const buttonSecondaryHoverBorderColourNeutralInverseRed = "#940824";
+export const buttonSecondaryHoverBorderColourNeutralInverseYellow = "#904029";
+export const buttonSecondaryHoverBorderColourSubtleBlue = "#001d6e";
+export const buttonSecondaryHoverBorderColourSubtleGreen = "#01312e";
+export const buttonSecondaryHoverBorderColourSubtleRed = "#940824";
+export const buttonSecondaryHoverBorderColourSubtleYellow = "#904029";
+export const buttonSecondaryHoverBorderColourBoldBlue = "#ffffff";
+export const buttonSecondaryHoverBorderColourBoldGreen = "#ffffff";
+export const buttonSecondaryHoverBorderColourBoldRed = "#ffffff";
+export const buttonSecondaryHoverBorderColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryHoverColourNeutralBlue = "#ffffff";
+export const buttonSecondaryHoverColourNeutralGreen = "#ffffff";
+export const buttonSecondaryHoverColourNeutralRed = "#ffffff";
+export const buttonSecondaryHoverColourNeutralYellow = "#ffffff";
+export const buttonSecondaryHoverColourNeutralInverseBlue = "#ffffff";
+export const buttonSecondaryHoverColourNeutralInverseGreen = "#ffffff";
+export const buttonSecondaryHoverColourNeutralInverseRed = "#ffffff";
+export const buttonSecondaryHoverColourNeutralInverseYellow = "#ffffff";
+export const buttonSecondaryHoverColourSubtleBlue = "#ffffff";
+export const buttonSecondaryHoverColourSubtleGreen = "#ffffff";
+export const buttonSecondaryHoverColourSubtleRed = "#ffffff";
+export const buttonSecondaryHoverColourSubtleYellow = "#ffffff";
+export const buttonSecondaryHoverColourBoldBlue = "#ffffff";
+export const buttonSecondaryHoverColourBoldGreen = "#ffffff";
+export const buttonSecondaryHoverColourBoldRed = "#ffffff";
+export const buttonSecondaryHoverColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryActiveBackgroundColourNeutralBlue = "#000039";
+export const buttonSecondaryActiveBackgroundColourNeutralGreen = "#011b1f";
+export const buttonSecondaryActiveBackgroundColourNeutralRed = "#480411";
+export const buttonSecondaryActiveBackgroundColourNeutralYellow = "#572722";
+export const buttonSecondaryActiveBackgroundColourNeutralInverseBlue = "#000039";
+export const buttonSecondaryActiveBackgroundColourNeutralInverseGreen = "#011b1f";
+export const buttonSecondaryActiveBackgroundColourNeutralInverseRed = "#480411";
+export const buttonSecondaryActiveBackgroundColourNeutralInverseYellow = "#572722";
+export const buttonSecondaryActiveBackgroundColourSubtleBlue = "#000039";
+export const buttonSecondaryActiveBackgroundColourSubtleGreen = "#011b1f";
+export const buttonSecondaryActiveBackgroundColourSubtleRed = "#480411";
+export const buttonSecondaryActiveBackgroundColourSubtleYellow = "#572722";
+export const buttonSecondaryActiveBackgroundColourBoldBlue = "#000039";
+export const buttonSecondaryActiveBackgroundColourBoldGreen = "#011b1f";
+export const buttonSecondaryActiveBackgroundColourBoldRed = "#480411";
+export const buttonSecondaryActiveBackgroundColourBoldYellow = "#fffbdc";
+export const buttonSecondaryActiveBorderColourNeutralBlue = "#000039";
+export const buttonSecondaryActiveBorderColourNeutralGreen = "#011b1f";
+export const buttonSecondaryActiveBorderColourNeutralRed = "#480411";
+export const buttonSecondaryActiveBorderColourNeutralYellow = "#572722";
+export const buttonSecondaryActiveBorderColourNeutralInverseBlue = "#000039";
+export const buttonSecondaryActiveBorderColourNeutralInverseGreen = "#011b1f";
+export const buttonSecondaryActiveBorderColourNeutralInverseRed = "#480411";
+export const buttonSecondaryActiveBorderColourNeutralInverseYellow = "#572722";
+export const buttonSecondaryActiveBorderColourSubtleBlue = "#000039";
+export const buttonSecondaryActiveBorderColourSubtleGreen = "#011b1f";
+export const buttonSecondaryActiveBorderColourSubtleRed = "#480411";
+export const buttonSecondaryActiveBorderColourSubtleYellow = "#572722";
+export const buttonSecondaryActiveBorderColourBoldBlue = "#ffffff";
+export const buttonSecondaryActiveBorderColourBoldGreen = "#ffffff";
+export const buttonSecondaryActiveBorderColourBoldRed = "#ffffff";
+export const buttonSecondaryActiveBorderColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryActiveColourNeutralBlue = "#ffffff";
+export const buttonSecondaryActiveColourNeutralGreen = "#ffffff";
+export const buttonSecondaryActiveColourNeutralRed = "#ffffff";
+export const buttonSecondaryActiveColourNeutralYellow = "#ffffff";
+export const buttonSecondaryActiveColourNeutralInverseBlue = "#ffffff";
+export const buttonSecondaryActiveColourNeutralInverseGreen = "#ffffff";
+export const buttonSecondaryActiveColourNeutralInverseRed = "#ffffff";
+export const buttonSecondaryActiveColourNeutralInverseYellow = "#ffffff";
+export const buttonSecondaryActiveColourSubtleBlue = "#ffffff";
+export const buttonSecondaryActiveColourSubtleGreen = "#ffffff";
+export const buttonSecondaryActiveColourSubtleRed = "#ffffff";
+export const buttonSecondaryActiveColourSubtleYellow = "#ffffff";
+export const buttonSecondaryActiveColourBoldBlue = "#ffffff";
+export const buttonSecondaryActiveColourBoldGreen = "#ffffff";
+export const buttonSecondaryActiveColourBoldRed = "#ffffff";
+export const buttonSecondaryActiveColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryFocusBackgroundColourNeutralBlue = "#ffffff";
+export const buttonSecondaryFocusBackgroundColourNeutralGreen = "#ffffff";
+export const buttonSecondaryFocusBackgroundColourNeutralRed = "#ffffff";
+export const buttonSecondaryFocusBackgroundColourNeutralYellow = "#ffffff";
+export const buttonSecondaryFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const buttonSecondaryFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const buttonSecondaryFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const buttonSecondaryFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const buttonSecondaryFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const buttonSecondaryFocusBackgroundColourSubtleGreen = "#caeedd";
+export const buttonSecondaryFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const buttonSecondaryFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const buttonSecondaryFocusBackgroundColourBoldBlue = "#005dba";
+export const buttonSecondaryFocusBackgroundColourBoldGreen = "#00633d";
+export const buttonSecondaryFocusBackgroundColourBoldRed = "#c50b30";
+export const buttonSecondaryFocusBackgroundColourBoldYellow = "#ffb600";
+export const buttonSecondaryFocusBorderColourNeutralBlue = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourNeutralGreen = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourNeutralRed = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourNeutralYellow = "#000000";
+export const buttonSecondaryFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourNeutralInverseYellow = "#000000";
+export const buttonSecondaryFocusBorderColourSubtleBlue = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourSubtleGreen = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourSubtleRed = "#1d1d1b";
+export const buttonSecondaryFocusBorderColourSubtleYellow = "#000000";
+export const buttonSecondaryFocusBorderColourBoldBlue = "#ffffff";
+export const buttonSecondaryFocusBorderColourBoldGreen = "#ffffff";
+export const buttonSecondaryFocusBorderColourBoldRed = "#ffffff";
+export const buttonSecondaryFocusBorderColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryFocusColourNeutralBlue = "#1d1d1b";
+export const buttonSecondaryFocusColourNeutralGreen = "#1d1d1b";
+export const buttonSecondaryFocusColourNeutralRed = "#1d1d1b";
+export const buttonSecondaryFocusColourNeutralYellow = "#000000";
+export const buttonSecondaryFocusColourNeutralInverseBlue = "#1d1d1b";
+export const buttonSecondaryFocusColourNeutralInverseGreen = "#1d1d1b";
+export const buttonSecondaryFocusColourNeutralInverseRed = "#1d1d1b";
+export const buttonSecondaryFocusColourNeutralInverseYellow = "#000000";
+export const buttonSecondaryFocusColourSubtleBlue = "#1d1d1b";
+export const buttonSecondaryFocusColourSubtleGreen = "#1d1d1b";
+export const buttonSecondaryFocusColourSubtleRed = "#1d1d1b";
+export const buttonSecondaryFocusColourSubtleYellow = "#000000";
+export const buttonSecondaryFocusColourBoldBlue = "#ffffff";
+export const buttonSecondaryFocusColourBoldGreen = "#ffffff";
+export const buttonSecondaryFocusColourBoldRed = "#ffffff";
+export const buttonSecondaryFocusColourBoldYellow = "#1d1d1b";
+export const buttonSecondaryDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourNeutralRed = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+export const buttonSecondaryDisabledBackgroundColourSubtleBlue = "#aee1f7";
+export const buttonSecondaryDisabledBackgroundColourSubtleGreen = "#caeedd";
+export const buttonSecondaryDisabledBackgroundColourSubtleRed = "#ffd5d2";
+export const buttonSecondaryDisabledBackgroundColourSubtleYellow = "#fff9c7";
+export const buttonSecondaryDisabledBackgroundColourBoldBlue = "#005dba";
+export const buttonSecondaryDisabledBackgroundColourBoldGreen = "#00633d";
+export const buttonSecondaryDisabledBackgroundColourBoldRed = "#c50b30";
+export const buttonSecondaryDisabledBackgroundColourBoldYellow = "#ffb600";
+export const buttonSecondaryDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourNeutralRed = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const buttonSecondaryDisabledBorderColourSubtleBlue = "#76c8f1";
+export const buttonSecondaryDisabledBorderColourSubtleGreen = "#7fce9f";
+export const buttonSecondaryDisabledBorderColourSubtleRed = "#ff7e7e";
+export const buttonSecondaryDisabledBorderColourSubtleYellow = "#ffe969";
+export const buttonSecondaryDisabledBorderColourBoldBlue = "#001d6e";
+export const buttonSecondaryDisabledBorderColourBoldGreen = "#014a39";
+export const buttonSecondaryDisabledBorderColourBoldRed = "#940824";
+export const buttonSecondaryDisabledBorderColourBoldYellow = "#c86426";
+export const buttonSecondaryDisabledColourNeutralBlue = "#7a7b7b";
+export const buttonSecondaryDisabledColourNeutralGreen = "#7a7b7b";
+export const buttonSecondaryDisabledColourNeutralRed = "#7a7b7b";
+export const buttonSecondaryDisabledColourNeutralYellow = "#7a7b7b";
+export const buttonSecondaryDisabledColourNeutralInverseBlue = "#7a7b7b";
+export const buttonSecondaryDisabledColourNeutralInverseGreen = "#7a7b7b";
+export const buttonSecondaryDisabledColourNeutralInverseRed = "#7a7b7b";
+export const buttonSecondaryDisabledColourNeutralInverseYellow = "#7a7b7b";
+export const buttonSecondaryDisabledColourSubtleBlue = "#1e84d2";
+export const buttonSecondaryDisabledColourSubtleGreen = "#1a8952";
+export const buttonSecondaryDisabledColourSubtleRed = "#e2223e";
+export const buttonSecondaryDisabledColourSubtleYellow = "#ffb600";
+export const buttonSecondaryDisabledColourBoldBlue = "#001d6e";
+export const buttonSecondaryDisabledColourBoldGreen = "#014a39";
+export const buttonSecondaryDisabledColourBoldRed = "#940824";
+export const buttonSecondaryDisabledColourBoldYellow = "#c86426";
+export const buttonStatusRestBackgroundColourNeutralInfo = "#005dba";
+export const buttonStatusRestBackgroundColourNeutralSuccess = "#00633d";
+export const buttonStatusRestBackgroundColourNeutralWarning = "#ffb600";
+export const buttonStatusRestBackgroundColourNeutralError = "#c50b30";
+export const buttonStatusRestBackgroundColourNeutralGeneric = "#4d4f4f";
+export const buttonStatusRestBackgroundColourNeutralInverseInfo = "#005dba";
+export const buttonStatusRestBackgroundColourNeutralInverseSuccess = "#00633d";
+export const buttonStatusRestBackgroundColourNeutralInverseWarning = "#ffb600";
+export const buttonStatusRestBackgroundColourNeutralInverseError = "#c50b30";
+export const buttonStatusRestBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+export const buttonStatusRestBackgroundColourSubtleInfo = "#005dba";
+export const buttonStatusRestBackgroundColourSubtleSuccess = "#00633d";
+export const buttonStatusRestBackgroundColourSubtleWarning = "#ffb600";
+export const buttonStatusRestBackgroundColourSubtleError = "#c50b30";
+export const buttonStatusRestBackgroundColourSubtleGeneric = "#4d4f4f";
+export const buttonStatusRestBackgroundColourBoldInfo = "#005dba";
+export const buttonStatusRestBackgroundColourBoldSuccess = "#00633d";
+export const buttonStatusRestBackgroundColourBoldWarning = "#ffb600";
+export const buttonStatusRestBackgroundColourBoldError = "#c50b30";
+export const buttonStatusRestBackgroundColourBoldGeneric = "#4d4f4f";
+export const buttonStatusRestBorderColourNeutralInfo = "#005dba";
+export const buttonStatusRestBorderColourNeutralSuccess = "#00633d";
+export const buttonStatusRestBorderColourNeutralWarning = "#ffb600";
+export const buttonStatusRestBorderColourNeutralError = "#c50b30";
+export const buttonStatusRestBorderColourNeutralGeneric = "#4d4f4f";
+export const buttonStatusRestBorderColourNeutralInverseInfo = "#005dba";
+export const buttonStatusRestBorderColourNeutralInverseSuccess = "#00633d";
+export const buttonStatusRestBorderColourNeutralInverseWarning = "#ffb600";
+export const buttonStatusRestBorderColourNeutralInverseError = "#c50b30";
+export const buttonStatusRestBorderColourNeutralInverseGeneric = "#4d4f4f";
+export const buttonStatusRestBorderColourSubtleInfo = "#005dba";
+export const buttonStatusRestBorderColourSubtleSuccess = "#00633d";
+export const buttonStatusRestBorderColourSubtleWarning = "#ffb600";
+export const buttonStatusRestBorderColourSubtleError = "#c50b30";
+export const buttonStatusRestBorderColourSubtleGeneric = "#4d4f4f";
+export const buttonStatusRestBorderColourBoldInfo = "#005dba";
+export const buttonStatusRestBorderColourBoldSuccess = "#00633d";
+export const buttonStatusRestBorderColourBoldWarning = "#ffb600";
+export const buttonStatusRestBorderColourBoldError = "#c50b30";
+export const buttonStatusRestBorderColourBoldGeneric = "#4d4f4f";
+export const buttonStatusRestColourNeutralInfo = "#ffffff";
+export const buttonStatusRestColourNeutralSuccess = "#ffffff";
+export const buttonStatusRestColourNeutralWarning = "#1d1d1b";
+export const buttonStatusRestColourNeutralError = "#ffffff";
+export const buttonStatusRestColourNeutralGeneric = "#ffffff";
+export const buttonStatusRestColourNeutralInverseInfo = "#ffffff";
+export const buttonStatusRestColourNeutralInverseSuccess = "#ffffff";
+export const buttonStatusRestColourNeutralInverseWarning = "#1d1d1b";
+export const buttonStatusRestColourNeutralInverseError = "#ffffff";
+export const buttonStatusRestColourNeutralInverseGeneric = "#ffffff";
+export const buttonStatusRestColourSubtleInfo = "#ffffff";
+export const buttonStatusRestColourSubtleSuccess = "#ffffff";
+export const buttonStatusRestColourSubtleWarning = "#1d1d1b";
+export const buttonStatusRestColourSubtleError = "#ffffff";
+export const buttonStatusRestColourSubtleGeneric = "#ffffff";
+export const buttonStatusRestColourBoldInfo = "#ffffff";
+export const buttonStatusRestColourBoldSuccess = "#ffffff";
+export const buttonStatusRestColourBoldWarning = "#1d1d1b";
+export const buttonStatusRestColourBoldError = "#ffffff";
+export const buttonStatusRestColourBoldGeneric = "#ffffff";
+export const buttonStatusHoverBackgroundColourNeutralInfo = "#001d6e";
+export const buttonStatusHoverBackgroundColourNeutralSuccess = "#01312e";
+export const buttonStatusHoverBackgroundColourNeutralWarning = "#904029";
+export const buttonStatusHoverBackgroundColourNeutralError = "#940824";
+export const buttonStatusHoverBackgroundColourNeutralGeneric = "#343634";
+export const buttonStatusHoverBackgroundColourNeutralInverseInfo = "#001d6e";
+export const buttonStatusHoverBackgroundColourNeutralInverseSuccess = "#01312e";
+export const buttonStatusHoverBackgroundColourNeutralInverseWarning = "#904029";
+export const buttonStatusHoverBackgroundColourNeutralInverseError = "#940824";
+export const buttonStatusHoverBackgroundColourNeutralInverseGeneric = "#343634";
+export const buttonStatusHoverBackgroundColourSubtleInfo = "#001d6e";
+export const buttonStatusHoverBackgroundColourSubtleSuccess = "#01312e";
+export const buttonStatusHoverBackgroundColourSubtleWarning = "#904029";
+export const buttonStatusHoverBackgroundColourSubtleError = "#940824";
+export const buttonStatusHoverBackgroundColourSubtleGeneric = "#343634";
+export const buttonStatusHoverBackgroundColourBoldInfo = "#001d6e";
+export const buttonStatusHoverBackgroundColourBoldSuccess = "#01312e";
+export const buttonStatusHoverBackgroundColourBoldWarning = "#904029";
+export const buttonStatusHoverBackgroundColourBoldError = "#940824";
+export const buttonStatusHoverBackgroundColourBoldGeneric = "#343634";
+export const buttonStatusHoverBorderColourNeutralInfo = "#001d6e";
+export const buttonStatusHoverBorderColourNeutralSuccess = "#01312e";
+export const buttonStatusHoverBorderColourNeutralWarning = "#904029";
+export const buttonStatusHoverBorderColourNeutralError = "#940824";
+export const buttonStatusHoverBorderColourNeutralGeneric = "#343634";
+export const buttonStatusHoverBorderColourNeutralInverseInfo = "#001d6e";
+export const buttonStatusHoverBorderColourNeutralInverseSuccess = "#01312e";
+export const buttonStatusHoverBorderColourNeutralInverseWarning = "#904029";
+export const buttonStatusHoverBorderColourNeutralInverseError = "#940824";
+export const buttonStatusHoverBorderColourNeutralInverseGeneric = "#343634";
+export const buttonStatusHoverBorderColourSubtleInfo = "#001d6e";
+export const buttonStatusHoverBorderColourSubtleSuccess = "#01312e";
+export const buttonStatusHoverBorderColourSubtleWarning = "#904029";
+export const buttonStatusHoverBorderColourSubtleError = "#940824";
+export const buttonStatusHoverBorderColourSubtleGeneric = "#343634";
+export const buttonStatusHoverBorderColourBoldInfo = "#001d6e";
+export const buttonStatusHoverBorderColourBoldSuccess = "#01312e";
+export const buttonStatusHoverBorderColourBoldWarning = "#904029";
+export const buttonStatusHoverBorderColourBoldError = "#940824";
+export const buttonStatusHoverBorderColourBoldGeneric = "#343634";
+export const buttonStatusHoverColourNeutralInfo = "#ffffff";
+export const buttonStatusHoverColourNeutralSuccess = "#ffffff";
+export const buttonStatusHoverColourNeutralWarning = "#ffffff";
+export const buttonStatusHoverColourNeutralError = "#ffffff";
+export const buttonStatusHoverColourNeutralGeneric = "#ffffff";
+export const buttonStatusHoverColourNeutralInverseInfo = "#ffffff";
+export const buttonStatusHoverColourNeutralInverseSuccess = "#ffffff";
+export const buttonStatusHoverColourNeutralInverseWarning = "#ffffff";
+export const buttonStatusHoverColourNeutralInverseError = "#ffffff";
+export const buttonStatusHoverColourNeutralInverseGeneric = "#ffffff";
+export const buttonStatusHoverColourSubtleInfo = "#ffffff";
+export const buttonStatusHoverColourSubtleSuccess = "#ffffff";
+export const buttonStatusHoverColourSubtleWarning = "#ffffff";
+export const buttonStatusHoverColourSubtleError = "#ffffff";
+export const buttonStatusHoverColourSubtleGeneric = "#ffffff";
+export const buttonStatusHoverColourBoldInfo = "#ffffff";
+export const buttonStatusHoverColourBoldSuccess = "#ffffff";
+export const buttonStatusHoverColourBoldWarning = "#ffffff";
+export const buttonStatusHoverColourBoldError = "#ffffff";
+export const buttonStatusHoverColourBoldGeneric = "#ffffff";
+export const buttonStatusActiveBackgroundColourNeutralInfo = "#000a52";
+export const buttonStatusActiveBackgroundColourNeutralSuccess = "#012425";
+export const buttonStatusActiveBackgroundColourNeutralWarning = "#572722";
+export const buttonStatusActiveBackgroundColourNeutralError = "#6e061b";
+export const buttonStatusActiveBackgroundColourNeutralGeneric = "#1d1d1b";
+export const buttonStatusActiveBackgroundColourNeutralInverseInfo = "#000a52";
+export const buttonStatusActiveBackgroundColourNeutralInverseSuccess = "#012425";
+export const buttonStatusActiveBackgroundColourNeutralInverseWarning = "#572722";
+export const buttonStatusActiveBackgroundColourNeutralInverseError = "#6e061b";
+export const buttonStatusActiveBackgroundColourNeutralInverseGeneric = "#1d1d1b";
+export const buttonStatusActiveBackgroundColourSubtleInfo = "#000a52";
+export const buttonStatusActiveBackgroundColourSubtleSuccess = "#012425";
+export const buttonStatusActiveBackgroundColourSubtleWarning = "#572722";
+export const buttonStatusActiveBackgroundColourSubtleError = "#6e061b";
+export const buttonStatusActiveBackgroundColourSubtleGeneric = "#1d1d1b";
+export const buttonStatusActiveBackgroundColourBoldInfo = "#000a52";
+export const buttonStatusActiveBackgroundColourBoldSuccess = "#012425";
+export const buttonStatusActiveBackgroundColourBoldWarning = "#572722";
+export const buttonStatusActiveBackgroundColourBoldError = "#6e061b";
+export const buttonStatusActiveBackgroundColourBoldGeneric = "#1d1d1b";
+export const buttonStatusActiveBorderColourNeutralInfo = "#000a52";
+export const buttonStatusActiveBorderColourNeutralSuccess = "#012425";
+export const buttonStatusActiveBorderColourNeutralWarning = "#572722";
+export const buttonStatusActiveBorderColourNeutralError = "#6e061b";
+export const buttonStatusActiveBorderColourNeutralGeneric = "#1d1d1b";
+export const buttonStatusActiveBorderColourNeutralInverseInfo = "#000a52";
+export const buttonStatusActiveBorderColourNeutralInverseSuccess = "#012425";
+export const buttonStatusActiveBorderColourNeutralInverseWarning = "#572722";
+export const buttonStatusActiveBorderColourNeutralInverseError = "#6e061b";
+export const buttonStatusActiveBorderColourNeutralInverseGeneric = "#1d1d1b";
+export const buttonStatusActiveBorderColourSubtleInfo = "#000a52";
+export const buttonStatusActiveBorderColourSubtleSuccess = "#012425";
+export const buttonStatusActiveBorderColourSubtleWarning = "#572722";
+export const buttonStatusActiveBorderColourSubtleError = "#6e061b";
+export const buttonStatusActiveBorderColourSubtleGeneric = "#1d1d1b";
+export const buttonStatusActiveBorderColourBoldInfo = "#000a52";
+export const buttonStatusActiveBorderColourBoldSuccess = "#012425";
+export const buttonStatusActiveBorderColourBoldWarning = "#572722";
+export const buttonStatusActiveBorderColourBoldError = "#6e061b";
+export const buttonStatusActiveBorderColourBoldGeneric = "#1d1d1b";
+export const buttonStatusActiveColourNeutralInfo = "#ffffff";
+export const buttonStatusActiveColourNeutralSuccess = "#ffffff";
+export const buttonStatusActiveColourNeutralWarning = "#ffffff";
+export const buttonStatusActiveColourNeutralError = "#ffffff";
+export const buttonStatusActiveColourNeutralGeneric = "#ffffff";
+export const buttonStatusActiveColourNeutralInverseInfo = "#ffffff";
+export const buttonStatusActiveColourNeutralInverseSuccess = "#ffffff";
+export const buttonStatusActiveColourNeutralInverseWarning = "#ffffff";
+export const buttonStatusActiveColourNeutralInverseError = "#ffffff";
+export const buttonStatusActiveColourNeutralInverseGeneric = "#ffffff";
+export const buttonStatusActiveColourSubtleInfo = "#ffffff";
+export const buttonStatusActiveColourSubtleSuccess = "#ffffff";
+export const buttonStatusActiveColourSubtleWarning = "#ffffff";
+export const buttonStatusActiveColourSubtleError = "#ffffff";
+export const buttonStatusActiveColourSubtleGeneric = "#ffffff";
+export const buttonStatusActiveColourBoldInfo = "#ffffff";
+export const buttonStatusActiveColourBoldSuccess = "#ffffff";
+export const buttonStatusActiveColourBoldWarning = "#ffffff";
+export const buttonStatusActiveColourBoldError = "#ffffff";
+export const buttonStatusActiveColourBoldGeneric = "#ffffff";
+export const buttonStatusFocusBackgroundColourNeutralInfo = "#005dba";
+export const buttonStatusFocusBackgroundColourNeutralSuccess = "#00633d";
+export const buttonStatusFocusBackgroundColourNeutralWarning = "#ffb600";
+export const buttonStatusFocusBackgroundColourNeutralError = "#c50b30";
+export const buttonStatusFocusBackgroundColourNeutralGeneric = "#4d4f4f";
+export const buttonStatusFocusBackgroundColourNeutralInverseInfo = "#005dba";
+export const buttonStatusFocusBackgroundColourNeutralInverseSuccess = "#00633d";
+export const buttonStatusFocusBackgroundColourNeutralInverseWarning = "#ffb600";
+export const buttonStatusFocusBackgroundColourNeutralInverseError = "#c50b30";
+export const buttonStatusFocusBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+export const buttonStatusFocusBackgroundColourSubtleInfo = "#005dba";
+export const buttonStatusFocusBackgroundColourSubtleSuccess = "#00633d";
+export const buttonStatusFocusBackgroundColourSubtleWarning = "#ffb600";
+export const buttonStatusFocusBackgroundColourSubtleError = "#c50b30";
+export const buttonStatusFocusBackgroundColourSubtleGeneric = "#4d4f4f";
+export const buttonStatusFocusBackgroundColourBoldInfo = "#005dba";
+export const buttonStatusFocusBackgroundColourBoldSuccess = "#00633d";
+export const buttonStatusFocusBackgroundColourBoldWarning = "#ffb600";
+export const buttonStatusFocusBackgroundColourBoldError = "#c50b30";
+export const buttonStatusFocusBackgroundColourBoldGeneric = "#4d4f4f";
+export const buttonStatusFocusColourNeutralInfo = "#ffffff";
+export const buttonStatusFocusColourNeutralSuccess = "#ffffff";
+export const buttonStatusFocusColourNeutralWarning = "#1d1d1b";
+export const buttonStatusFocusColourNeutralError = "#ffffff";
+export const buttonStatusFocusColourNeutralGeneric = "#ffffff";
+export const buttonStatusFocusColourNeutralInverseInfo = "#ffffff";
+export const buttonStatusFocusColourNeutralInverseSuccess = "#ffffff";
+export const buttonStatusFocusColourNeutralInverseWarning = "#1d1d1b";
+export const buttonStatusFocusColourNeutralInverseError = "#ffffff";
+export const buttonStatusFocusColourNeutralInverseGeneric = "#ffffff";
+export const buttonStatusFocusColourSubtleInfo = "#ffffff";
+export const buttonStatusFocusColourSubtleSuccess = "#ffffff";
+export const buttonStatusFocusColourSubtleWarning = "#1d1d1b";
+export const buttonStatusFocusColourSubtleError = "#ffffff";
+export const buttonStatusFocusColourSubtleGeneric = "#ffffff";
+export const buttonStatusFocusColourBoldInfo = "#ffffff";
+export const buttonStatusFocusColourBoldSuccess = "#ffffff";
+export const buttonStatusFocusColourBoldWarning = "#1d1d1b";
+export const buttonStatusFocusColourBoldError = "#ffffff";
+export const buttonStatusFocusColourBoldGeneric = "#ffffff";
+export const buttonStatusDisabledBackgroundColourNeutralInfo = "#76c8f1";
+export const buttonStatusDisabledBackgroundColourNeutralSuccess = "#7fce9f";
+export const buttonStatusDisabledBackgroundColourNeutralWarning = "#ffe969";
+export const buttonStatusDisabledBackgroundColourNeutralError = "#ff7e7e";
+export const buttonStatusDisabledBackgroundColourNeutralGeneric = "#bcbdbd";
+export const buttonStatusDisabledBackgroundColourNeutralInverseInfo = "#76c8f1";
+export const buttonStatusDisabledBackgroundColourNeutralInverseSuccess = "#7fce9f";
+export const buttonStatusDisabledBackgroundColourNeutralInverseWarning = "#ffe969";
+export const buttonStatusDisabledBackgroundColourNeutralInverseError = "#ff7e7e";
+export const buttonStatusDisabledBackgroundColourNeutralInverseGeneric = "#bcbdbd";
+export const buttonStatusDisabledBackgroundColourSubtleInfo = "#76c8f1";
+export const buttonStatusDisabledBackgroundColourSubtleSuccess = "#7fce9f";
+export const buttonStatusDisabledBackgroundColourSubtleWarning = "#ffe969";
+export const buttonStatusDisabledBackgroundColourSubtleError = "#ff7e7e";
+export const buttonStatusDisabledBackgroundColourSubtleGeneric = "#bcbdbd";
+export const buttonStatusDisabledBackgroundColourBoldInfo = "#76c8f1";
+export const buttonStatusDisabledBackgroundColourBoldSuccess = "#7fce9f";
+export const buttonStatusDisabledBackgroundColourBoldWarning = "#ffe969";
+export const buttonStatusDisabledBackgroundColourBoldError = "#ff7e7e";
+export const buttonStatusDisabledBackgroundColourBoldGeneric = "#bcbdbd";
+export const buttonStatusDisabledBorderColourNeutralInfo = "#76c8f1";
+export const buttonStatusDisabledBorderColourNeutralSuccess = "#7fce9f";
+export const buttonStatusDisabledBorderColourNeutralWarning = "#ffe969";
+export const buttonStatusDisabledBorderColourNeutralError = "#ff7e7e";
+export const buttonStatusDisabledBorderColourNeutralGeneric = "#bcbdbd";
+export const buttonStatusDisabledBorderColourNeutralInverseInfo = "#76c8f1";
+export const buttonStatusDisabledBorderColourNeutralInverseSuccess = "#7fce9f";
+export const buttonStatusDisabledBorderColourNeutralInverseWarning = "#ffe969";
+export const buttonStatusDisabledBorderColourNeutralInverseError = "#ff7e7e";
+export const buttonStatusDisabledBorderColourNeutralInverseGeneric = "#bcbdbd";
+export const buttonStatusDisabledBorderColourSubtleInfo = "#76c8f1";
+export const buttonStatusDisabledBorderColourSubtleSuccess = "#7fce9f";
+export const buttonStatusDisabledBorderColourSubtleWarning = "#ffe969";
+export const buttonStatusDisabledBorderColourSubtleError = "#ff7e7e";
+export const buttonStatusDisabledBorderColourSubtleGeneric = "#bcbdbd";
+export const buttonStatusDisabledBorderColourBoldInfo = "#76c8f1";
+export const buttonStatusDisabledBorderColourBoldSuccess = "#7fce9f";
+export const buttonStatusDisabledBorderColourBoldWarning = "#ffe969";
+export const buttonStatusDisabledBorderColourBoldError = "#ff7e7e";
+export const buttonStatusDisabledBorderColourBoldGeneric = "#bcbdbd";
+export const buttonStatusDisabledColourNeutralInfo = "#1e84d2";
+export const buttonStatusDisabledColourNeutralSuccess = "#1a8952";
+export const buttonStatusDisabledColourNeutralWarning = "#ffb600";
+export const buttonStatusDisabledColourNeutralError = "#e2223e";
+export const buttonStatusDisabledColourNeutralGeneric = "#858686";
+export const buttonStatusDisabledColourNeutralInverseInfo = "#1e84d2";
+export const buttonStatusDisabledColourNeutralInverseSuccess = "#1a8952";
+export const buttonStatusDisabledColourNeutralInverseWarning = "#ffb600";
+export const buttonStatusDisabledColourNeutralInverseError = "#e2223e";
+export const buttonStatusDisabledColourNeutralInverseGeneric = "#858686";
+export const buttonStatusDisabledColourSubtleInfo = "#1e84d2";
+export const buttonStatusDisabledColourSubtleSuccess = "#1a8952";
+export const buttonStatusDisabledColourSubtleWarning = "#ffb600";
+export const buttonStatusDisabledColourSubtleError = "#e2223e";
+export const buttonStatusDisabledColourSubtleGeneric = "#858686";
+export const buttonStatusDisabledColourBoldInfo = "#1e84d2";
+export const buttonStatusDisabledColourBoldSuccess = "#1a8952";
+export const buttonStatusDisabledColourBoldWarning = "#ffb600";
+export const buttonStatusDisabledColourBoldError = "#e2223e";
+export const buttonStatusDisabledColourBoldGeneric = "#858686";
+export const buttonGroupGapNeutralBlue = 16;
+export const buttonGroupGapNeutralGreen = 16;
+export const buttonGroupGapNeutralRed = 16;
+export const buttonGroupGapNeutralYellow = 16;
+export const buttonGroupGapNeutralInverseBlue = 16;
+export const buttonGroupGapNeutralInverseGreen = 16;
+export const buttonGroupGapNeutralInverseRed = 16;
+export const buttonGroupGapNeutralInverseYellow = 16;
+export const buttonGroupGapSubtleBlue = 16;
+export const buttonGroupGapSubtleGreen = 16;
+export const buttonGroupGapSubtleRed = 16;
+export const buttonGroupGapSubtleYellow = 16;
+export const buttonGroupGapBoldBlue = 16;
+export const buttonGroupGapBoldGreen = 16;
+export const buttonGroupGapBoldRed = 16;
+export const buttonGroupGapBoldYellow = 16;
+export const paginationColourNeutralBlue = "#1d1d1b";
+export const paginationColourNeutralGreen = "#1d1d1b";
+export const paginationColourNeutralRed = "#1d1d1b";
+export const paginationColourNeutralYellow = "#1d1d1b";
+export const paginationColourNeutralInverseBlue = "#1d1d1b";
+export const paginationColourNeutralInverseGreen = "#1d1d1b";
+export const paginationColourNeutralInverseRed = "#1d1d1b";
+export const paginationColourNeutralInverseYellow = "#1d1d1b";
+export const paginationColourSubtleBlue = "#1d1d1b";
+export const paginationColourSubtleGreen = "#1d1d1b";
+export const paginationColourSubtleRed = "#1d1d1b";
+export const paginationColourSubtleYellow = "#1d1d1b";
+export const paginationColourBoldBlue = "#ffffff";
+export const paginationColourBoldGreen = "#ffffff";
+export const paginationColourBoldRed = "#ffffff";
+export const paginationColourBoldYellow = "#1d1d1b";
+export const paginationInsideGapNeutralBlue = 8;
+export const paginationInsideGapNeutralGreen = 8;
+export const paginationInsideGapNeutralRed = 8;
+export const paginationInsideGapNeutralYellow = 8;
+export const paginationInsideGapNeutralInverseBlue = 8;
+export const paginationInsideGapNeutralInverseGreen = 8;
+export const paginationInsideGapNeutralInverseRed = 8;
+export const paginationInsideGapNeutralInverseYellow = 8;
+export const paginationInsideGapSubtleBlue = 8;
+export const paginationInsideGapSubtleGreen = 8;
+export const paginationInsideGapSubtleRed = 8;
+export const paginationInsideGapSubtleYellow = 8;
+export const paginationInsideGapBoldBlue = 8;
+export const paginationInsideGapBoldGreen = 8;
+export const paginationInsideGapBoldRed = 8;
+export const paginationInsideGapBoldYellow = 8;
+export const paginationVerticalGapNeutralBlue = 16;
+export const paginationVerticalGapNeutralGreen = 16;
+export const paginationVerticalGapNeutralRed = 16;
+export const paginationVerticalGapNeutralYellow = 16;
+export const paginationVerticalGapNeutralInverseBlue = 16;
+export const paginationVerticalGapNeutralInverseGreen = 16;
+export const paginationVerticalGapNeutralInverseRed = 16;
+export const paginationVerticalGapNeutralInverseYellow = 16;
+export const paginationVerticalGapSubtleBlue = 16;
+export const paginationVerticalGapSubtleGreen = 16;
+export const paginationVerticalGapSubtleRed = 16;
+export const paginationVerticalGapSubtleYellow = 16;
+export const paginationVerticalGapBoldBlue = 16;
+export const paginationVerticalGapBoldGreen = 16;
+export const paginationVerticalGapBoldRed = 16;
+export const paginationVerticalGapBoldYellow = 16;
+export const paginationHorizontalGapNeutralBlue = 28;
+export const paginationHorizontalGapNeutralGreen = 28;
+export const paginationHorizontalGapNeutralRed = 28;
+export const paginationHorizontalGapNeutralYellow = 28;
+export const paginationHorizontalGapNeutralInverseBlue = 28;
+export const paginationHorizontalGapNeutralInverseGreen = 28;
+export const paginationHorizontalGapNeutralInverseRed = 28;
+export const paginationHorizontalGapNeutralInverseYellow = 28;
+export const paginationHorizontalGapSubtleBlue = 28;
+export const paginationHorizontalGapSubtleGreen = 28;
+export const paginationHorizontalGapSubtleRed = 28;
+export const paginationHorizontalGapSubtleYellow = 28;
+export const paginationHorizontalGapBoldBlue = 28;
+export const paginationHorizontalGapBoldGreen = 28;
+export const paginationHorizontalGapBoldRed = 28;
+export const paginationHorizontalGapBoldYellow = 28;
+export const paginationPageCommonHoverIndicatorWidthNeutralBlue = 2;
+export const paginationPageCommonHoverIndicatorWidthNeutralGreen = 2;
+export const paginationPageCommonHoverIndicatorWidthNeutralRed = 2;
+export const paginationPageCommonHoverIndicatorWidthNeutralYellow = 2;
+export const paginationPageCommonHoverIndicatorWidthNeutralInverseBlue = 2;
+export const paginationPageCommonHoverIndicatorWidthNeutralInverseGreen = 2;
+export const paginationPageCommonHoverIndicatorWidthNeutralInverseRed = 2;
+export const paginationPageCommonHoverIndicatorWidthNeutralInverseYellow = 2;
+export const paginationPageCommonHoverIndicatorWidthSubtleBlue = 2;
+export const paginationPageCommonHoverIndicatorWidthSubtleGreen = 2;
+export const paginationPageCommonHoverIndicatorWidthSubtleRed = 2;
+export const paginationPageCommonHoverIndicatorWidthSubtleYellow = 2;
+export const paginationPageCommonHoverIndicatorWidthBoldBlue = 2;
+export const paginationPageCommonHoverIndicatorWidthBoldGreen = 2;
+export const paginationPageCommonHoverIndicatorWidthBoldRed = 2;
+export const paginationPageCommonHoverIndicatorWidthBoldYellow = 2;
+export const paginationPageRestBackgroundColourNeutralBlue = "#ffffff";
+export const paginationPageRestBackgroundColourNeutralGreen = "#ffffff";
+export const paginationPageRestBackgroundColourNeutralRed = "#ffffff";
+export const paginationPageRestBackgroundColourNeutralYellow = "#ffffff";
+export const paginationPageRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const paginationPageRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const paginationPageRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const paginationPageRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const paginationPageRestBackgroundColourSubtleBlue = "#aee1f7";
+export const paginationPageRestBackgroundColourSubtleGreen = "#caeedd";
+export const paginationPageRestBackgroundColourSubtleRed = "#ffd5d2";
+export const paginationPageRestBackgroundColourSubtleYellow = "#fff9c7";
+export const paginationPageRestBackgroundColourBoldBlue = "#005dba";
+export const paginationPageRestBackgroundColourBoldGreen = "#00633d";
+export const paginationPageRestBackgroundColourBoldRed = "#c50b30";
+export const paginationPageRestBackgroundColourBoldYellow = "#ffb600";
+export const paginationPageRestColourNeutralBlue = "#1d1d1b";
+export const paginationPageRestColourNeutralGreen = "#1d1d1b";
+export const paginationPageRestColourNeutralRed = "#1d1d1b";
+export const paginationPageRestColourNeutralYellow = "#000000";
+export const paginationPageRestColourNeutralInverseBlue = "#1d1d1b";
+export const paginationPageRestColourNeutralInverseGreen = "#1d1d1b";
+export const paginationPageRestColourNeutralInverseRed = "#1d1d1b";
+export const paginationPageRestColourNeutralInverseYellow = "#000000";
+export const paginationPageRestColourSubtleBlue = "#1d1d1b";
+export const paginationPageRestColourSubtleGreen = "#1d1d1b";
+export const paginationPageRestColourSubtleRed = "#1d1d1b";
+export const paginationPageRestColourSubtleYellow = "#000000";
+export const paginationPageRestColourBoldBlue = "#ffffff";
+export const paginationPageRestColourBoldGreen = "#ffffff";
+export const paginationPageRestColourBoldRed = "#ffffff";
+export const paginationPageRestColourBoldYellow = "#1d1d1b";
+export const paginationPageRestHoverIndicatorColourNeutralBlue = "#ffffff";
+export const paginationPageRestHoverIndicatorColourNeutralGreen = "#ffffff";
+export const paginationPageRestHoverIndicatorColourNeutralRed = "#ffffff";
+export const paginationPageRestHoverIndicatorColourNeutralYellow = "#ffffff";
+export const paginationPageRestHoverIndicatorColourNeutralInverseBlue = "#f4f4f4";
+export const paginationPageRestHoverIndicatorColourNeutralInverseGreen = "#f4f4f4";
+export const paginationPageRestHoverIndicatorColourNeutralInverseRed = "#f4f4f4";
+export const paginationPageRestHoverIndicatorColourNeutralInverseYellow = "#f4f4f4";
+export const paginationPageRestHoverIndicatorColourSubtleBlue = "#aee1f7";
+export const paginationPageRestHoverIndicatorColourSubtleGreen = "#caeedd";
+export const paginationPageRestHoverIndicatorColourSubtleRed = "#ffd5d2";
+export const paginationPageRestHoverIndicatorColourSubtleYellow = "#fff9c7";
+export const paginationPageRestHoverIndicatorColourBoldBlue = "#005dba";
+export const paginationPageRestHoverIndicatorColourBoldGreen = "#00633d";
+export const paginationPageRestHoverIndicatorColourBoldRed = "#c50b30";
+export const paginationPageRestHoverIndicatorColourBoldYellow = "#ffb600";
+export const paginationPageHoverBackgroundColourNeutralBlue = "#aee1f7";
+export const paginationPageHoverBackgroundColourNeutralGreen = "#caeedd";
+export const paginationPageHoverBackgroundColourNeutralRed = "#ffd5d2";
+export const paginationPageHoverBackgroundColourNeutralYellow = "#fff9c7";
+export const paginationPageHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const paginationPageHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+export const paginationPageHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const paginationPageHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const paginationPageHoverBackgroundColourSubtleBlue = "#42aeea";
+export const paginationPageHoverBackgroundColourSubtleGreen = "#43af6e";
+export const paginationPageHoverBackgroundColourSubtleRed = "#ff3e51";
+export const paginationPageHoverBackgroundColourSubtleYellow = "#ffe969";
+export const paginationPageHoverBackgroundColourBoldBlue = "#aee1f7";
+export const paginationPageHoverBackgroundColourBoldGreen = "#caeedd";
+export const paginationPageHoverBackgroundColourBoldRed = "#ffd5d2";
+export const paginationPageHoverBackgroundColourBoldYellow = "#fff9c7";
+export const paginationPageHoverHoverIndicatorColourNeutralBlue = "#001d6e";
+export const paginationPageHoverHoverIndicatorColourNeutralGreen = "#01312e";
+export const paginationPageHoverHoverIndicatorColourNeutralRed = "#480411";
+export const paginationPageHoverHoverIndicatorColourNeutralYellow = "#572722";
+export const paginationPageHoverHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+export const paginationPageHoverHoverIndicatorColourNeutralInverseGreen = "#01312e";
+export const paginationPageHoverHoverIndicatorColourNeutralInverseRed = "#480411";
+export const paginationPageHoverHoverIndicatorColourNeutralInverseYellow = "#572722";
+export const paginationPageHoverHoverIndicatorColourSubtleBlue = "#001d6e";
+export const paginationPageHoverHoverIndicatorColourSubtleGreen = "#01312e";
+export const paginationPageHoverHoverIndicatorColourSubtleRed = "#480411";
+export const paginationPageHoverHoverIndicatorColourSubtleYellow = "#572722";
+export const paginationPageHoverHoverIndicatorColourBoldBlue = "#001d6e";
+export const paginationPageHoverHoverIndicatorColourBoldGreen = "#01312e";
+export const paginationPageHoverHoverIndicatorColourBoldRed = "#480411";
+export const paginationPageHoverHoverIndicatorColourBoldYellow = "#572722";
+export const paginationPageHoverColourNeutralBlue = "#1d1d1b";
+export const paginationPageHoverColourNeutralGreen = "#1d1d1b";
+export const paginationPageHoverColourNeutralRed = "#1d1d1b";
+export const paginationPageHoverColourNeutralYellow = "#000000";
+export const paginationPageHoverColourNeutralInverseBlue = "#1d1d1b";
+export const paginationPageHoverColourNeutralInverseGreen = "#1d1d1b";
+export const paginationPageHoverColourNeutralInverseRed = "#1d1d1b";
+export const paginationPageHoverColourNeutralInverseYellow = "#000000";
+export const paginationPageHoverColourSubtleBlue = "#1d1d1b";
+export const paginationPageHoverColourSubtleGreen = "#1d1d1b";
+export const paginationPageHoverColourSubtleRed = "#1d1d1b";
+export const paginationPageHoverColourSubtleYellow = "#000000";
+export const paginationPageHoverColourBoldBlue = "#ffffff";
+export const paginationPageHoverColourBoldGreen = "#ffffff";
+export const paginationPageHoverColourBoldRed = "#ffffff";
+export const paginationPageHoverColourBoldYellow = "#1d1d1b";
+export const paginationPageActiveBackgroundColourNeutralBlue = "#005dba";
+export const paginationPageActiveBackgroundColourNeutralGreen = "#00633d";
+export const paginationPageActiveBackgroundColourNeutralRed = "#c50b30";
+export const paginationPageActiveBackgroundColourNeutralYellow = "#ffb600";
+export const paginationPageActiveBackgroundColourNeutralInverseBlue = "#005dba";
+export const paginationPageActiveBackgroundColourNeutralInverseGreen = "#00633d";
+export const paginationPageActiveBackgroundColourNeutralInverseRed = "#c50b30";
+export const paginationPageActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+export const paginationPageActiveBackgroundColourSubtleBlue = "#005dba";
+export const paginationPageActiveBackgroundColourSubtleGreen = "#00633d";
+export const paginationPageActiveBackgroundColourSubtleRed = "#c50b30";
+export const paginationPageActiveBackgroundColourSubtleYellow = "#ffb600";
+export const paginationPageActiveBackgroundColourBoldBlue = "#ffffff";
+export const paginationPageActiveBackgroundColourBoldGreen = "#ffffff";
+export const paginationPageActiveBackgroundColourBoldRed = "#ffffff";
+export const paginationPageActiveBackgroundColourBoldYellow = "#ffffff";
+export const paginationPageActiveColourNeutralBlue = "#ffffff";
+export const paginationPageActiveColourNeutralGreen = "#ffffff";
+export const paginationPageActiveColourNeutralRed = "#ffffff";
+export const paginationPageActiveColourNeutralYellow = "#1d1d1b";
+export const paginationPageActiveColourNeutralInverseBlue = "#ffffff";
+export const paginationPageActiveColourNeutralInverseGreen = "#ffffff";
+export const paginationPageActiveColourNeutralInverseRed = "#ffffff";
+export const paginationPageActiveColourNeutralInverseYellow = "#1d1d1b";
+export const paginationPageActiveColourSubtleBlue = "#ffffff";
+export const paginationPageActiveColourSubtleGreen = "#ffffff";
+export const paginationPageActiveColourSubtleRed = "#ffffff";
+export const paginationPageActiveColourSubtleYellow = "#1d1d1b";
+export const paginationPageActiveColourBoldBlue = "#1d1d1b";
+export const paginationPageActiveColourBoldGreen = "#1d1d1b";
+export const paginationPageActiveColourBoldRed = "#1d1d1b";
+export const paginationPageActiveColourBoldYellow = "#000000";
+export const paginationPageActiveHoverIndicatorColourNeutralBlue = "#005dba";
+export const paginationPageActiveHoverIndicatorColourNeutralGreen = "#00633d";
+export const paginationPageActiveHoverIndicatorColourNeutralRed = "#c50b30";
+export const paginationPageActiveHoverIndicatorColourNeutralYellow = "#ffb600";
+export const paginationPageActiveHoverIndicatorColourNeutralInverseBlue = "#005dba";
+export const paginationPageActiveHoverIndicatorColourNeutralInverseGreen = "#00633d";
+export const paginationPageActiveHoverIndicatorColourNeutralInverseRed = "#c50b30";
+export const paginationPageActiveHoverIndicatorColourNeutralInverseYellow = "#ffb600";
+export const paginationPageActiveHoverIndicatorColourSubtleBlue = "#005dba";
+export const paginationPageActiveHoverIndicatorColourSubtleGreen = "#00633d";
+export const paginationPageActiveHoverIndicatorColourSubtleRed = "#c50b30";
+export const paginationPageActiveHoverIndicatorColourSubtleYellow = "#ffb600";
+export const paginationPageActiveHoverIndicatorColourBoldBlue = "#ffffff";
+export const paginationPageActiveHoverIndicatorColourBoldGreen = "#ffffff";
+export const paginationPageActiveHoverIndicatorColourBoldRed = "#ffffff";
+export const paginationPageActiveHoverIndicatorColourBoldYellow = "#ffffff";
+export const paginationPageFocusBackgroundColourNeutralBlue = "#ffffff";
+export const paginationPageFocusBackgroundColourNeutralGreen = "#ffffff";
+export const paginationPageFocusBackgroundColourNeutralRed = "#ffffff";
+export const paginationPageFocusBackgroundColourNeutralYellow = "#ffffff";
+export const paginationPageFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const paginationPageFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const paginationPageFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const paginationPageFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const paginationPageFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const paginationPageFocusBackgroundColourSubtleGreen = "#caeedd";
+export const paginationPageFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const paginationPageFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const paginationPageFocusBackgroundColourBoldBlue = "#005dba";
+export const paginationPageFocusBackgroundColourBoldGreen = "#00633d";
+export const paginationPageFocusBackgroundColourBoldRed = "#c50b30";
+export const paginationPageFocusBackgroundColourBoldYellow = "#ffb600";
+export const paginationPageFocusBorderColourNeutralBlue = "#1d1d1b";
+export const paginationPageFocusBorderColourNeutralGreen = "#1d1d1b";
+export const paginationPageFocusBorderColourNeutralRed = "#1d1d1b";
+export const paginationPageFocusBorderColourNeutralYellow = "#000000";
+export const paginationPageFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const paginationPageFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const paginationPageFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const paginationPageFocusBorderColourNeutralInverseYellow = "#000000";
+export const paginationPageFocusBorderColourSubtleBlue = "#1d1d1b";
+export const paginationPageFocusBorderColourSubtleGreen = "#1d1d1b";
+export const paginationPageFocusBorderColourSubtleRed = "#1d1d1b";
+export const paginationPageFocusBorderColourSubtleYellow = "#000000";
+export const paginationPageFocusBorderColourBoldBlue = "#ffffff";
+export const paginationPageFocusBorderColourBoldGreen = "#ffffff";
+export const paginationPageFocusBorderColourBoldRed = "#ffffff";
+export const paginationPageFocusBorderColourBoldYellow = "#1d1d1b";
+export const paginationPageFocusBorderWidthNeutralBlue = 3;
+export const paginationPageFocusBorderWidthNeutralGreen = 3;
+export const paginationPageFocusBorderWidthNeutralRed = 3;
+export const paginationPageFocusBorderWidthNeutralYellow = 3;
+export const paginationPageFocusBorderWidthNeutralInverseBlue = 3;
+export const paginationPageFocusBorderWidthNeutralInverseGreen = 3;
+export const paginationPageFocusBorderWidthNeutralInverseRed = 3;
+export const paginationPageFocusBorderWidthNeutralInverseYellow = 3;
+export const paginationPageFocusBorderWidthSubtleBlue = 3;
+export const paginationPageFocusBorderWidthSubtleGreen = 3;
+export const paginationPageFocusBorderWidthSubtleRed = 3;
+export const paginationPageFocusBorderWidthSubtleYellow = 3;
+export const paginationPageFocusBorderWidthBoldBlue = 3;
+export const paginationPageFocusBorderWidthBoldGreen = 3;
+export const paginationPageFocusBorderWidthBoldRed = 3;
+export const paginationPageFocusBorderWidthBoldYellow = 3;
+export const paginationPageFocusColourNeutralBlue = "#1d1d1b";
+export const paginationPageFocusColourNeutralGreen = "#1d1d1b";
+export const paginationPageFocusColourNeutralRed = "#1d1d1b";
+export const paginationPageFocusColourNeutralYellow = "#000000";
+export const paginationPageFocusColourNeutralInverseBlue = "#1d1d1b";
+export const paginationPageFocusColourNeutralInverseGreen = "#1d1d1b";
+export const paginationPageFocusColourNeutralInverseRed = "#1d1d1b";
+export const paginationPageFocusColourNeutralInverseYellow = "#000000";
+export const paginationPageFocusColourSubtleBlue = "#1d1d1b";
+export const paginationPageFocusColourSubtleGreen = "#1d1d1b";
+export const paginationPageFocusColourSubtleRed = "#1d1d1b";
+export const paginationPageFocusColourSubtleYellow = "#000000";
+export const paginationPageFocusColourBoldBlue = "#ffffff";
+export const paginationPageFocusColourBoldGreen = "#ffffff";
+export const paginationPageFocusColourBoldRed = "#ffffff";
+export const paginationPageFocusColourBoldYellow = "#1d1d1b";
+export const paginationPageFocusHoverIndicatorColourNeutralBlue = "#ffffff";
+export const paginationPageFocusHoverIndicatorColourNeutralGreen = "#ffffff";
+export const paginationPageFocusHoverIndicatorColourNeutralRed = "#ffffff";
+export const paginationPageFocusHoverIndicatorColourNeutralYellow = "#ffffff";
+export const paginationPageFocusHoverIndicatorColourNeutralInverseBlue = "#f4f4f4";
+export const paginationPageFocusHoverIndicatorColourNeutralInverseGreen = "#f4f4f4";
+export const paginationPageFocusHoverIndicatorColourNeutralInverseRed = "#f4f4f4";
+export const paginationPageFocusHoverIndicatorColourNeutralInverseYellow = "#f4f4f4";
+export const paginationPageFocusHoverIndicatorColourSubtleBlue = "#aee1f7";
+export const paginationPageFocusHoverIndicatorColourSubtleGreen = "#caeedd";
+export const paginationPageFocusHoverIndicatorColourSubtleRed = "#ffd5d2";
+export const paginationPageFocusHoverIndicatorColourSubtleYellow = "#fff9c7";
+export const paginationPageFocusHoverIndicatorColourBoldBlue = "#005dba";
+export const paginationPageFocusHoverIndicatorColourBoldGreen = "#00633d";
+export const paginationPageFocusHoverIndicatorColourBoldRed = "#c50b30";
+export const paginationPageFocusHoverIndicatorColourBoldYellow = "#ffb600";
+export const paginationPageDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourNeutralRed = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const paginationPageDisabledBackgroundColourSubtleBlue = "#d2effb";
+export const paginationPageDisabledBackgroundColourSubtleGreen = "#dff6eb";
+export const paginationPageDisabledBackgroundColourSubtleRed = "#ffd5d2";
+export const paginationPageDisabledBackgroundColourSubtleYellow = "#fffbdc";
+export const paginationPageDisabledBackgroundColourBoldBlue = "#d2effb";
+export const paginationPageDisabledBackgroundColourBoldGreen = "#dff6eb";
+export const paginationPageDisabledBackgroundColourBoldRed = "#ffd5d2";
+export const paginationPageDisabledBackgroundColourBoldYellow = "#fffbdc";
+export const paginationPageDisabledColourNeutralBlue = "#d3d3d3";
+export const paginationPageDisabledColourNeutralGreen = "#d3d3d3";
+export const paginationPageDisabledColourNeutralRed = "#d3d3d3";
+export const paginationPageDisabledColourNeutralYellow = "#d3d3d3";
+export const paginationPageDisabledColourNeutralInverseBlue = "#d3d3d3";
+export const paginationPageDisabledColourNeutralInverseGreen = "#d3d3d3";
+export const paginationPageDisabledColourNeutralInverseRed = "#d3d3d3";
+export const paginationPageDisabledColourNeutralInverseYellow = "#d3d3d3";
+export const paginationPageDisabledColourSubtleBlue = "#76c8f1";
+export const paginationPageDisabledColourSubtleGreen = "#7fce9f";
+export const paginationPageDisabledColourSubtleRed = "#ff7e7e";
+export const paginationPageDisabledColourSubtleYellow = "#ffe969";
+export const paginationPageDisabledColourBoldBlue = "#76c8f1";
+export const paginationPageDisabledColourBoldGreen = "#7fce9f";
+export const paginationPageDisabledColourBoldRed = "#ff7e7e";
+export const paginationPageDisabledColourBoldYellow = "#ffe969";
+export const paginationPageDisabledHoverIndicatorColourNeutralBlue = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourNeutralGreen = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourNeutralRed = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourNeutralYellow = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourNeutralInverseBlue = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourNeutralInverseGreen = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourNeutralInverseRed = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourNeutralInverseYellow = "#f4f4f4";
+export const paginationPageDisabledHoverIndicatorColourSubtleBlue = "#d2effb";
+export const paginationPageDisabledHoverIndicatorColourSubtleGreen = "#dff6eb";
+export const paginationPageDisabledHoverIndicatorColourSubtleRed = "#ffd5d2";
+export const paginationPageDisabledHoverIndicatorColourSubtleYellow = "#fffbdc";
+export const paginationPageDisabledHoverIndicatorColourBoldBlue = "#d2effb";
+export const paginationPageDisabledHoverIndicatorColourBoldGreen = "#dff6eb";
+export const paginationPageDisabledHoverIndicatorColourBoldRed = "#ffd5d2";
+export const paginationPageDisabledHoverIndicatorColourBoldYellow = "#fffbdc";
+export const contentAreaPaddingXNeutralBlue = 28;
+export const contentAreaPaddingXNeutralGreen = 28;
+export const contentAreaPaddingXNeutralRed = 28;
+export const contentAreaPaddingXNeutralYellow = 28;
+export const contentAreaPaddingXNeutralInverseBlue = 28;
+export const contentAreaPaddingXNeutralInverseGreen = 28;
+export const contentAreaPaddingXNeutralInverseRed = 28;
+export const contentAreaPaddingXNeutralInverseYellow = 28;
+export const contentAreaPaddingXSubtleBlue = 28;
+export const contentAreaPaddingXSubtleGreen = 28;
+export const contentAreaPaddingXSubtleRed = 28;
+export const contentAreaPaddingXSubtleYellow = 28;
+export const contentAreaPaddingXBoldBlue = 28;
+export const contentAreaPaddingXBoldGreen = 28;
+export const contentAreaPaddingXBoldRed = 28;
+export const contentAreaPaddingXBoldYellow = 28;
+export const contentAreaPaddingYNeutralBlue = 20;
+export const contentAreaPaddingYNeutralGreen = 20;
+export const contentAreaPaddingYNeutralRed = 20;
+export const contentAreaPaddingYNeutralYellow = 20;
+export const contentAreaPaddingYNeutralInverseBlue = 20;
+export const contentAreaPaddingYNeutralInverseGreen = 20;
+export const contentAreaPaddingYNeutralInverseRed = 20;
+export const contentAreaPaddingYNeutralInverseYellow = 20;
+export const contentAreaPaddingYSubtleBlue = 20;
+export const contentAreaPaddingYSubtleGreen = 20;
+export const contentAreaPaddingYSubtleRed = 20;
+export const contentAreaPaddingYSubtleYellow = 20;
+export const contentAreaPaddingYBoldBlue = 20;
+export const contentAreaPaddingYBoldGreen = 20;
+export const contentAreaPaddingYBoldRed = 20;
+export const contentAreaPaddingYBoldYellow = 20;
+export const contentAreaBorderRadiusNeutralBlue = 28;
+export const contentAreaBorderRadiusNeutralGreen = 28;
+export const contentAreaBorderRadiusNeutralRed = 28;
+export const contentAreaBorderRadiusNeutralYellow = 28;
+export const contentAreaBorderRadiusNeutralInverseBlue = 28;
+export const contentAreaBorderRadiusNeutralInverseGreen = 28;
+export const contentAreaBorderRadiusNeutralInverseRed = 28;
+export const contentAreaBorderRadiusNeutralInverseYellow = 28;
+export const contentAreaBorderRadiusSubtleBlue = 28;
+export const contentAreaBorderRadiusSubtleGreen = 28;
+export const contentAreaBorderRadiusSubtleRed = 28;
+export const contentAreaBorderRadiusSubtleYellow = 28;
+export const contentAreaBorderRadiusBoldBlue = 28;
+export const contentAreaBorderRadiusBoldGreen = 28;
+export const contentAreaBorderRadiusBoldRed = 28;
+export const contentAreaBorderRadiusBoldYellow = 28;
+export const contentAreaBackgroundColourNeutralBlue = "#ffffff";
+export const contentAreaBackgroundColourNeutralGreen = "#ffffff";
+export const contentAreaBackgroundColourNeutralRed = "#ffffff";
+export const contentAreaBackgroundColourNeutralYellow = "#ffffff";
+export const contentAreaBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const contentAreaBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const contentAreaBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const contentAreaBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const contentAreaBackgroundColourSubtleBlue = "#aee1f7";
+export const contentAreaBackgroundColourSubtleGreen = "#caeedd";
+export const contentAreaBackgroundColourSubtleRed = "#ffd5d2";
+export const contentAreaBackgroundColourSubtleYellow = "#fff9c7";
+export const contentAreaBackgroundColourBoldBlue = "#005dba";
+export const contentAreaBackgroundColourBoldGreen = "#00633d";
+export const contentAreaBackgroundColourBoldRed = "#c50b30";
+export const contentAreaBackgroundColourBoldYellow = "#ffb600";
+export const contentAreaBorderColourNeutralBlue = "#d3d3d3";
+export const contentAreaBorderColourNeutralGreen = "#d3d3d3";
+export const contentAreaBorderColourNeutralRed = "#d3d3d3";
+export const contentAreaBorderColourNeutralYellow = "#d3d3d3";
+export const contentAreaBorderColourNeutralInverseBlue = "#d3d3d3";
+export const contentAreaBorderColourNeutralInverseGreen = "#d3d3d3";
+export const contentAreaBorderColourNeutralInverseRed = "#d3d3d3";
+export const contentAreaBorderColourNeutralInverseYellow = "#d3d3d3";
+export const contentAreaBorderColourSubtleBlue = "#42aeea";
+export const contentAreaBorderColourSubtleGreen = "#43af6e";
+export const contentAreaBorderColourSubtleRed = "#ff3e51";
+export const contentAreaBorderColourSubtleYellow = "#ffe969";
+export const contentAreaBorderColourBoldBlue = "#001d6e";
+export const contentAreaBorderColourBoldGreen = "#01312e";
+export const contentAreaBorderColourBoldRed = "#940824";
+export const contentAreaBorderColourBoldYellow = "#c86426";
+export const contentAreaBorderWidthNeutralBlue = 1;
+export const contentAreaBorderWidthNeutralGreen = 1;
+export const contentAreaBorderWidthNeutralRed = 1;
+export const contentAreaBorderWidthNeutralYellow = 1;
+export const contentAreaBorderWidthNeutralInverseBlue = 1;
+export const contentAreaBorderWidthNeutralInverseGreen = 1;
+export const contentAreaBorderWidthNeutralInverseRed = 1;
+export const contentAreaBorderWidthNeutralInverseYellow = 1;
+export const contentAreaBorderWidthSubtleBlue = 1;
+export const contentAreaBorderWidthSubtleGreen = 1;
+export const contentAreaBorderWidthSubtleRed = 1;
+export const contentAreaBorderWidthSubtleYellow = 1;
+export const contentAreaBorderWidthBoldBlue = 1;
+export const contentAreaBorderWidthBoldGreen = 1;
+export const contentAreaBorderWidthBoldRed = 1;
+export const contentAreaBorderWidthBoldYellow = 1;
+export const contentAreaColourNeutralBlue = "#1d1d1b";
+export const contentAreaColourNeutralGreen = "#1d1d1b";
+export const contentAreaColourNeutralRed = "#1d1d1b";
+export const contentAreaColourNeutralYellow = "#1d1d1b";
+export const contentAreaColourNeutralInverseBlue = "#1d1d1b";
+export const contentAreaColourNeutralInverseGreen = "#1d1d1b";
+export const contentAreaColourNeutralInverseRed = "#1d1d1b";
+export const contentAreaColourNeutralInverseYellow = "#1d1d1b";
+export const contentAreaColourSubtleBlue = "#1d1d1b";
+export const contentAreaColourSubtleGreen = "#1d1d1b";
+export const contentAreaColourSubtleRed = "#1d1d1b";
+export const contentAreaColourSubtleYellow = "#1d1d1b";
+export const contentAreaColourBoldBlue = "#ffffff";
+export const contentAreaColourBoldGreen = "#ffffff";
+export const contentAreaColourBoldRed = "#ffffff";
+export const contentAreaColourBoldYellow = "#1d1d1b";
+export const contentAreaGapNeutralBlue = 28;
+export const contentAreaGapNeutralGreen = 28;
+export const contentAreaGapNeutralRed = 28;
+export const contentAreaGapNeutralYellow = 28;
+export const contentAreaGapNeutralInverseBlue = 28;
+export const contentAreaGapNeutralInverseGreen = 28;
+export const contentAreaGapNeutralInverseRed = 28;
+export const contentAreaGapNeutralInverseYellow = 28;
+export const contentAreaGapSubtleBlue = 28;
+export const contentAreaGapSubtleGreen = 28;
+export const contentAreaGapSubtleRed = 28;
+export const contentAreaGapSubtleYellow = 28;
+export const contentAreaGapBoldBlue = 28;
+export const contentAreaGapBoldGreen = 28;
+export const contentAreaGapBoldRed = 28;
+export const contentAreaGapBoldYellow = 28;
+export const cardBackgroundColourNeutralBlue = "#ffffff";
+export const cardBackgroundColourNeutralGreen = "#ffffff";
+export const cardBackgroundColourNeutralRed = "#ffffff";
+export const cardBackgroundColourNeutralYellow = "#ffffff";
+export const cardBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const cardBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const cardBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const cardBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const cardBackgroundColourSubtleBlue = "#aee1f7";
+export const cardBackgroundColourSubtleGreen = "#caeedd";
+export const cardBackgroundColourSubtleRed = "#ffd5d2";
+export const cardBackgroundColourSubtleYellow = "#fff9c7";
+export const cardBackgroundColourBoldBlue = "#005dba";
+export const cardBackgroundColourBoldGreen = "#00633d";
+export const cardBackgroundColourBoldRed = "#c50b30";
+export const cardBackgroundColourBoldYellow = "#ffb600";
+export const cardBorderColourNeutralBlue = "#d3d3d3";
+export const cardBorderColourNeutralGreen = "#d3d3d3";
+export const cardBorderColourNeutralRed = "#d3d3d3";
+export const cardBorderColourNeutralYellow = "#d3d3d3";
+export const cardBorderColourNeutralInverseBlue = "#d3d3d3";
+export const cardBorderColourNeutralInverseGreen = "#d3d3d3";
+export const cardBorderColourNeutralInverseRed = "#d3d3d3";
+export const cardBorderColourNeutralInverseYellow = "#d3d3d3";
+export const cardBorderColourSubtleBlue = "#42aeea";
+export const cardBorderColourSubtleGreen = "#43af6e";
+export const cardBorderColourSubtleRed = "#ff3e51";
+export const cardBorderColourSubtleYellow = "#ffe969";
+export const cardBorderColourBoldBlue = "#001d6e";
+export const cardBorderColourBoldGreen = "#01312e";
+export const cardBorderColourBoldRed = "#940824";
+export const cardBorderColourBoldYellow = "#c86426";
+export const cardBorderRadiusNeutralBlue = 28;
+export const cardBorderRadiusNeutralGreen = 28;
+export const cardBorderRadiusNeutralRed = 28;
+export const cardBorderRadiusNeutralYellow = 28;
+export const cardBorderRadiusNeutralInverseBlue = 28;
+export const cardBorderRadiusNeutralInverseGreen = 28;
+export const cardBorderRadiusNeutralInverseRed = 28;
+export const cardBorderRadiusNeutralInverseYellow = 28;
+export const cardBorderRadiusSubtleBlue = 28;
+export const cardBorderRadiusSubtleGreen = 28;
+export const cardBorderRadiusSubtleRed = 28;
+export const cardBorderRadiusSubtleYellow = 28;
+export const cardBorderRadiusBoldBlue = 28;
+export const cardBorderRadiusBoldGreen = 28;
+export const cardBorderRadiusBoldRed = 28;
+export const cardBorderRadiusBoldYellow = 28;
+export const cardBorderWidthNeutralBlue = 1;
+export const cardBorderWidthNeutralGreen = 1;
+export const cardBorderWidthNeutralRed = 1;
+export const cardBorderWidthNeutralYellow = 1;
+export const cardBorderWidthNeutralInverseBlue = 1;
+export const cardBorderWidthNeutralInverseGreen = 1;
+export const cardBorderWidthNeutralInverseRed = 1;
+export const cardBorderWidthNeutralInverseYellow = 1;
+export const cardBorderWidthSubtleBlue = 1;
+export const cardBorderWidthSubtleGreen = 1;
+export const cardBorderWidthSubtleRed = 1;
+export const cardBorderWidthSubtleYellow = 1;
+export const cardBorderWidthBoldBlue = 1;
+export const cardBorderWidthBoldGreen = 1;
+export const cardBorderWidthBoldRed = 1;
+export const cardBorderWidthBoldYellow = 1;
+export const cardColourNeutralBlue = "#1d1d1b";
+export const cardColourNeutralGreen = "#1d1d1b";
+export const cardColourNeutralRed = "#1d1d1b";
+export const cardColourNeutralYellow = "#1d1d1b";
+export const cardColourNeutralInverseBlue = "#1d1d1b";
+export const cardColourNeutralInverseGreen = "#1d1d1b";
+export const cardColourNeutralInverseRed = "#1d1d1b";
+export const cardColourNeutralInverseYellow = "#1d1d1b";
+export const cardColourSubtleBlue = "#1d1d1b";
+export const cardColourSubtleGreen = "#1d1d1b";
+export const cardColourSubtleRed = "#1d1d1b";
+export const cardColourSubtleYellow = "#1d1d1b";
+export const cardColourBoldBlue = "#ffffff";
+export const cardColourBoldGreen = "#ffffff";
+export const cardColourBoldRed = "#ffffff";
+export const cardColourBoldYellow = "#1d1d1b";
+export const cardGapNeutralBlue = 20;
+export const cardGapNeutralGreen = 20;
+export const cardGapNeutralRed = 20;
+export const cardGapNeutralYellow = 20;
+export const cardGapNeutralInverseBlue = 20;
+export const cardGapNeutralInverseGreen = 20;
+export const cardGapNeutralInverseRed = 20;
+export const cardGapNeutralInverseYellow = 20;
+export const cardGapSubtleBlue = 20;
+export const cardGapSubtleGreen = 20;
+export const cardGapSubtleRed = 20;
+export const cardGapSubtleYellow = 20;
+export const cardGapBoldBlue = 20;
+export const cardGapBoldGreen = 20;
+export const cardGapBoldRed = 20;
+export const cardGapBoldYellow = 20;
+export const cardMinWidthNeutralBlue = 288;
+export const cardMinWidthNeutralGreen = 288;
+export const cardMinWidthNeutralRed = 288;
+export const cardMinWidthNeutralYellow = 288;
+export const cardMinWidthNeutralInverseBlue = 288;
+export const cardMinWidthNeutralInverseGreen = 288;
+export const cardMinWidthNeutralInverseRed = 288;
+export const cardMinWidthNeutralInverseYellow = 288;
+export const cardMinWidthSubtleBlue = 288;
+export const cardMinWidthSubtleGreen = 288;
+export const cardMinWidthSubtleRed = 288;
+export const cardMinWidthSubtleYellow = 288;
+export const cardMinWidthBoldBlue = 288;
+export const cardMinWidthBoldGreen = 288;
+export const cardMinWidthBoldRed = 288;
+export const cardMinWidthBoldYellow = 288;
+export const cardPaddingXNeutralBlue = 28;
+export const cardPaddingXNeutralGreen = 28;
+export const cardPaddingXNeutralRed = 28;
+export const cardPaddingXNeutralYellow = 28;
+export const cardPaddingXNeutralInverseBlue = 28;
+export const cardPaddingXNeutralInverseGreen = 28;
+export const cardPaddingXNeutralInverseRed = 28;
+export const cardPaddingXNeutralInverseYellow = 28;
+export const cardPaddingXSubtleBlue = 28;
+export const cardPaddingXSubtleGreen = 28;
+export const cardPaddingXSubtleRed = 28;
+export const cardPaddingXSubtleYellow = 28;
+export const cardPaddingXBoldBlue = 28;
+export const cardPaddingXBoldGreen = 28;
+export const cardPaddingXBoldRed = 28;
+export const cardPaddingXBoldYellow = 28;
+export const cardPaddingYNeutralBlue = 20;
+export const cardPaddingYNeutralGreen = 20;
+export const cardPaddingYNeutralRed = 20;
+export const cardPaddingYNeutralYellow = 20;
+export const cardPaddingYNeutralInverseBlue = 20;
+export const cardPaddingYNeutralInverseGreen = 20;
+export const cardPaddingYNeutralInverseRed = 20;
+export const cardPaddingYNeutralInverseYellow = 20;
+export const cardPaddingYSubtleBlue = 20;
+export const cardPaddingYSubtleGreen = 20;
+export const cardPaddingYSubtleRed = 20;
+export const cardPaddingYSubtleYellow = 20;
+export const cardPaddingYBoldBlue = 20;
+export const cardPaddingYBoldGreen = 20;
+export const cardPaddingYBoldRed = 20;
+export const cardPaddingYBoldYellow = 20;
+export const cardInteractiveRestColourNeutralBlue = "#005dba";
+export const cardInteractiveRestColourNeutralGreen = "#00633d";
+export const cardInteractiveRestColourNeutralRed = "#c50b30";
+export const cardInteractiveRestColourNeutralYellow = "#1d1d1b";
+export const cardInteractiveRestColourNeutralInverseBlue = "#005dba";
+export const cardInteractiveRestColourNeutralInverseGreen = "#00633d";
+export const cardInteractiveRestColourNeutralInverseRed = "#c50b30";
+export const cardInteractiveRestColourNeutralInverseYellow = "#1d1d1b";
+export const cardInteractiveRestColourSubtleBlue = "#005dba";
+export const cardInteractiveRestColourSubtleGreen = "#00633d";
+export const cardInteractiveRestColourSubtleRed = "#c50b30";
+export const cardInteractiveRestColourSubtleYellow = "#1d1d1b";
+export const cardInteractiveRestColourBoldBlue = "#f4f4f4";
+export const cardInteractiveRestColourBoldGreen = "#f4f4f4";
+export const cardInteractiveRestColourBoldRed = "#f4f4f4";
+export const cardInteractiveRestColourBoldYellow = "#1d1d1b";
+export const cardInteractiveRestBackgroundColourNeutralBlue = "#ffffff";
+export const cardInteractiveRestBackgroundColourNeutralGreen = "#ffffff";
+export const cardInteractiveRestBackgroundColourNeutralRed = "#ffffff";
+export const cardInteractiveRestBackgroundColourNeutralYellow = "#ffffff";
+export const cardInteractiveRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const cardInteractiveRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const cardInteractiveRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const cardInteractiveRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const cardInteractiveRestBackgroundColourSubtleBlue = "#aee1f7";
+export const cardInteractiveRestBackgroundColourSubtleGreen = "#caeedd";
+export const cardInteractiveRestBackgroundColourSubtleRed = "#ffd5d2";
+export const cardInteractiveRestBackgroundColourSubtleYellow = "#fff9c7";
+export const cardInteractiveRestBackgroundColourBoldBlue = "#005dba";
+export const cardInteractiveRestBackgroundColourBoldGreen = "#00633d";
+export const cardInteractiveRestBackgroundColourBoldRed = "#c50b30";
+export const cardInteractiveRestBackgroundColourBoldYellow = "#ffb600";
+export const cardInteractiveRestBorderColourNeutralBlue = "#d3d3d3";
+export const cardInteractiveRestBorderColourNeutralGreen = "#d3d3d3";
+export const cardInteractiveRestBorderColourNeutralRed = "#d3d3d3";
+export const cardInteractiveRestBorderColourNeutralYellow = "#d3d3d3";
+export const cardInteractiveRestBorderColourNeutralInverseBlue = "#858686";
+export const cardInteractiveRestBorderColourNeutralInverseGreen = "#858686";
+export const cardInteractiveRestBorderColourNeutralInverseRed = "#858686";
+export const cardInteractiveRestBorderColourNeutralInverseYellow = "#858686";
+export const cardInteractiveRestBorderColourSubtleBlue = "#1d1d1b";
+export const cardInteractiveRestBorderColourSubtleGreen = "#1d1d1b";
+export const cardInteractiveRestBorderColourSubtleRed = "#1d1d1b";
+export const cardInteractiveRestBorderColourSubtleYellow = "#1d1d1b";
+export const cardInteractiveRestBorderColourBoldBlue = "#f4f4f4";
+export const cardInteractiveRestBorderColourBoldGreen = "#f4f4f4";
+export const cardInteractiveRestBorderColourBoldRed = "#f4f4f4";
+export const cardInteractiveRestBorderColourBoldYellow = "#1d1d1b";
+export const cardInteractiveRestBorderWidthNeutralBlue = 1;
+export const cardInteractiveRestBorderWidthNeutralGreen = 1;
+export const cardInteractiveRestBorderWidthNeutralRed = 1;
+export const cardInteractiveRestBorderWidthNeutralYellow = 1;
+export const cardInteractiveRestBorderWidthNeutralInverseBlue = 1;
+export const cardInteractiveRestBorderWidthNeutralInverseGreen = 1;
+export const cardInteractiveRestBorderWidthNeutralInverseRed = 1;
+export const cardInteractiveRestBorderWidthNeutralInverseYellow = 1;
+export const cardInteractiveRestBorderWidthSubtleBlue = 1;
+export const cardInteractiveRestBorderWidthSubtleGreen = 1;
+export const cardInteractiveRestBorderWidthSubtleRed = 1;
+export const cardInteractiveRestBorderWidthSubtleYellow = 1;
+export const cardInteractiveRestBorderWidthBoldBlue = 1;
+export const cardInteractiveRestBorderWidthBoldGreen = 1;
+export const cardInteractiveRestBorderWidthBoldRed = 1;
+export const cardInteractiveRestBorderWidthBoldYellow = 1;
+export const cardInteractiveHoverColourNeutralBlue = "#1d1d1b";
+export const cardInteractiveHoverColourNeutralGreen = "#1d1d1b";
+export const cardInteractiveHoverColourNeutralRed = "#1d1d1b";
+export const cardInteractiveHoverColourNeutralYellow = "#000000";
+export const cardInteractiveHoverColourNeutralInverseBlue = "#1d1d1b";
+export const cardInteractiveHoverColourNeutralInverseGreen = "#1d1d1b";
+export const cardInteractiveHoverColourNeutralInverseRed = "#1d1d1b";
+export const cardInteractiveHoverColourNeutralInverseYellow = "#000000";
+export const cardInteractiveHoverColourSubtleBlue = "#1d1d1b";
+export const cardInteractiveHoverColourSubtleGreen = "#1d1d1b";
+export const cardInteractiveHoverColourSubtleRed = "#1d1d1b";
+export const cardInteractiveHoverColourSubtleYellow = "#000000";
+export const cardInteractiveHoverColourBoldBlue = "#1d1d1b";
+export const cardInteractiveHoverColourBoldGreen = "#1d1d1b";
+export const cardInteractiveHoverColourBoldRed = "#1d1d1b";
+export const cardInteractiveHoverColourBoldYellow = "#000000";
+export const cardInteractiveHoverBackgroundColourNeutralBlue = "#aee1f7";
+export const cardInteractiveHoverBackgroundColourNeutralGreen = "#caeedd";
+export const cardInteractiveHoverBackgroundColourNeutralRed = "#ffd5d2";
+export const cardInteractiveHoverBackgroundColourNeutralYellow = "#fff9c7";
+export const cardInteractiveHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const cardInteractiveHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+export const cardInteractiveHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const cardInteractiveHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const cardInteractiveHoverBackgroundColourSubtleBlue = "#42aeea";
+export const cardInteractiveHoverBackgroundColourSubtleGreen = "#43af6e";
+export const cardInteractiveHoverBackgroundColourSubtleRed = "#ff3e51";
+export const cardInteractiveHoverBackgroundColourSubtleYellow = "#ffe969";
+export const cardInteractiveHoverBackgroundColourBoldBlue = "#aee1f7";
+export const cardInteractiveHoverBackgroundColourBoldGreen = "#caeedd";
+export const cardInteractiveHoverBackgroundColourBoldRed = "#ffd5d2";
+export const cardInteractiveHoverBackgroundColourBoldYellow = "#fff9c7";
+export const cardInteractiveHoverBorderColourNeutralBlue = "#001d6e";
+export const cardInteractiveHoverBorderColourNeutralGreen = "#01312e";
+export const cardInteractiveHoverBorderColourNeutralRed = "#480411";
+export const cardInteractiveHoverBorderColourNeutralYellow = "#572722";
+export const cardInteractiveHoverBorderColourNeutralInverseBlue = "#001d6e";
+export const cardInteractiveHoverBorderColourNeutralInverseGreen = "#01312e";
+export const cardInteractiveHoverBorderColourNeutralInverseRed = "#480411";
+export const cardInteractiveHoverBorderColourNeutralInverseYellow = "#572722";
+export const cardInteractiveHoverBorderColourSubtleBlue = "#001d6e";
+export const cardInteractiveHoverBorderColourSubtleGreen = "#01312e";
+export const cardInteractiveHoverBorderColourSubtleRed = "#480411";
+export const cardInteractiveHoverBorderColourSubtleYellow = "#572722";
+export const cardInteractiveHoverBorderColourBoldBlue = "#001d6e";
+export const cardInteractiveHoverBorderColourBoldGreen = "#01312e";
+export const cardInteractiveHoverBorderColourBoldRed = "#480411";
+export const cardInteractiveHoverBorderColourBoldYellow = "#572722";
+export const cardInteractiveHoverBorderWidthNeutralBlue = 3;
+export const cardInteractiveHoverBorderWidthNeutralGreen = 3;
+export const cardInteractiveHoverBorderWidthNeutralRed = 3;
+export const cardInteractiveHoverBorderWidthNeutralYellow = 3;
+export const cardInteractiveHoverBorderWidthNeutralInverseBlue = 3;
+export const cardInteractiveHoverBorderWidthNeutralInverseGreen = 3;
+export const cardInteractiveHoverBorderWidthNeutralInverseRed = 3;
+export const cardInteractiveHoverBorderWidthNeutralInverseYellow = 3;
+export const cardInteractiveHoverBorderWidthSubtleBlue = 3;
+export const cardInteractiveHoverBorderWidthSubtleGreen = 3;
+export const cardInteractiveHoverBorderWidthSubtleRed = 3;
+export const cardInteractiveHoverBorderWidthSubtleYellow = 3;
+export const cardInteractiveHoverBorderWidthBoldBlue = 3;
+export const cardInteractiveHoverBorderWidthBoldGreen = 3;
+export const cardInteractiveHoverBorderWidthBoldRed = 3;
+export const cardInteractiveHoverBorderWidthBoldYellow = 3;
+export const cardInteractiveHoverPaddingRightNeutralBlue = 20;
+export const cardInteractiveHoverPaddingRightNeutralGreen = 20;
+export const cardInteractiveHoverPaddingRightNeutralRed = 20;
+export const cardInteractiveHoverPaddingRightNeutralYellow = 20;
+export const cardInteractiveHoverPaddingRightNeutralInverseBlue = 20;
+export const cardInteractiveHoverPaddingRightNeutralInverseGreen = 20;
+export const cardInteractiveHoverPaddingRightNeutralInverseRed = 20;
+export const cardInteractiveHoverPaddingRightNeutralInverseYellow = 20;
+export const cardInteractiveHoverPaddingRightSubtleBlue = 20;
+export const cardInteractiveHoverPaddingRightSubtleGreen = 20;
+export const cardInteractiveHoverPaddingRightSubtleRed = 20;
+export const cardInteractiveHoverPaddingRightSubtleYellow = 20;
+export const cardInteractiveHoverPaddingRightBoldBlue = 20;
+export const cardInteractiveHoverPaddingRightBoldGreen = 20;
+export const cardInteractiveHoverPaddingRightBoldRed = 20;
+export const cardInteractiveHoverPaddingRightBoldYellow = 20;
+export const cardInteractiveActiveColourNeutralBlue = "#ffffff";
+export const cardInteractiveActiveColourNeutralGreen = "#ffffff";
+export const cardInteractiveActiveColourNeutralRed = "#ffffff";
+export const cardInteractiveActiveColourNeutralYellow = "#1d1d1b";
+export const cardInteractiveActiveColourNeutralInverseBlue = "#ffffff";
+export const cardInteractiveActiveColourNeutralInverseGreen = "#ffffff";
+export const cardInteractiveActiveColourNeutralInverseRed = "#ffffff";
+export const cardInteractiveActiveColourNeutralInverseYellow = "#1d1d1b";
+export const cardInteractiveActiveColourSubtleBlue = "#ffffff";
+export const cardInteractiveActiveColourSubtleGreen = "#ffffff";
+export const cardInteractiveActiveColourSubtleRed = "#ffffff";
+export const cardInteractiveActiveColourSubtleYellow = "#1d1d1b";
+export const cardInteractiveActiveColourBoldBlue = "#1d1d1b";
+export const cardInteractiveActiveColourBoldGreen = "#1d1d1b";
+export const cardInteractiveActiveColourBoldRed = "#1d1d1b";
+export const cardInteractiveActiveColourBoldYellow = "#000000";
+export const cardInteractiveActiveBackgroundColourNeutralBlue = "#005dba";
+export const cardInteractiveActiveBackgroundColourNeutralGreen = "#00633d";
+export const cardInteractiveActiveBackgroundColourNeutralRed = "#c50b30";
+export const cardInteractiveActiveBackgroundColourNeutralYellow = "#ffb600";
+export const cardInteractiveActiveBackgroundColourNeutralInverseBlue = "#005dba";
+export const cardInteractiveActiveBackgroundColourNeutralInverseGreen = "#00633d";
+export const cardInteractiveActiveBackgroundColourNeutralInverseRed = "#c50b30";
+export const cardInteractiveActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+export const cardInteractiveActiveBackgroundColourSubtleBlue = "#005dba";
+export const cardInteractiveActiveBackgroundColourSubtleGreen = "#00633d";
+export const cardInteractiveActiveBackgroundColourSubtleRed = "#c50b30";
+export const cardInteractiveActiveBackgroundColourSubtleYellow = "#ffb600";
+export const cardInteractiveActiveBackgroundColourBoldBlue = "#ffffff";
+export const cardInteractiveActiveBackgroundColourBoldGreen = "#ffffff";
+export const cardInteractiveActiveBackgroundColourBoldRed = "#ffffff";
+export const cardInteractiveActiveBackgroundColourBoldYellow = "#ffffff";
+export const cardInteractiveActiveBorderColourNeutralBlue = "#005dba";
+export const cardInteractiveActiveBorderColourNeutralGreen = "#00633d";
+export const cardInteractiveActiveBorderColourNeutralRed = "#c50b30";
+export const cardInteractiveActiveBorderColourNeutralYellow = "#ffb600";
+export const cardInteractiveActiveBorderColourNeutralInverseBlue = "#005dba";
+export const cardInteractiveActiveBorderColourNeutralInverseGreen = "#00633d";
+export const cardInteractiveActiveBorderColourNeutralInverseRed = "#c50b30";
+export const cardInteractiveActiveBorderColourNeutralInverseYellow = "#ffb600";
+export const cardInteractiveActiveBorderColourSubtleBlue = "#005dba";
+export const cardInteractiveActiveBorderColourSubtleGreen = "#00633d";
+export const cardInteractiveActiveBorderColourSubtleRed = "#c50b30";
+export const cardInteractiveActiveBorderColourSubtleYellow = "#ffb600";
+export const cardInteractiveActiveBorderColourBoldBlue = "#ffffff";
+export const cardInteractiveActiveBorderColourBoldGreen = "#ffffff";
+export const cardInteractiveActiveBorderColourBoldRed = "#ffffff";
+export const cardInteractiveActiveBorderColourBoldYellow = "#ffffff";
+export const cardInteractiveActiveBorderWidthNeutralBlue = 3;
+export const cardInteractiveActiveBorderWidthNeutralGreen = 3;
+export const cardInteractiveActiveBorderWidthNeutralRed = 3;
+export const cardInteractiveActiveBorderWidthNeutralYellow = 3;
+export const cardInteractiveActiveBorderWidthNeutralInverseBlue = 3;
+export const cardInteractiveActiveBorderWidthNeutralInverseGreen = 3;
+export const cardInteractiveActiveBorderWidthNeutralInverseRed = 3;
+export const cardInteractiveActiveBorderWidthNeutralInverseYellow = 3;
+export const cardInteractiveActiveBorderWidthSubtleBlue = 3;
+export const cardInteractiveActiveBorderWidthSubtleGreen = 3;
+export const cardInteractiveActiveBorderWidthSubtleRed = 3;
+export const cardInteractiveActiveBorderWidthSubtleYellow = 3;
+export const cardInteractiveActiveBorderWidthBoldBlue = 3;
+export const cardInteractiveActiveBorderWidthBoldGreen = 3;
+export const cardInteractiveActiveBorderWidthBoldRed = 3;
+export const cardInteractiveActiveBorderWidthBoldYellow = 3;
+export const cardInteractiveActivePaddingRightNeutralBlue = 20;
+export const cardInteractiveActivePaddingRightNeutralGreen = 20;
+export const cardInteractiveActivePaddingRightNeutralRed = 20;
+export const cardInteractiveActivePaddingRightNeutralYellow = 20;
+export const cardInteractiveActivePaddingRightNeutralInverseBlue = 20;
+export const cardInteractiveActivePaddingRightNeutralInverseGreen = 20;
+export const cardInteractiveActivePaddingRightNeutralInverseRed = 20;
+export const cardInteractiveActivePaddingRightNeutralInverseYellow = 20;
+export const cardInteractiveActivePaddingRightSubtleBlue = 20;
+export const cardInteractiveActivePaddingRightSubtleGreen = 20;
+export const cardInteractiveActivePaddingRightSubtleRed = 20;
+export const cardInteractiveActivePaddingRightSubtleYellow = 20;
+export const cardInteractiveActivePaddingRightBoldBlue = 20;
+export const cardInteractiveActivePaddingRightBoldGreen = 20;
+export const cardInteractiveActivePaddingRightBoldRed = 20;
+export const cardInteractiveActivePaddingRightBoldYellow = 20;
+export const cardInteractiveFocusColourNeutralBlue = "#005dba";
+export const cardInteractiveFocusColourNeutralGreen = "#00633d";
+export const cardInteractiveFocusColourNeutralRed = "#c50b30";
+export const cardInteractiveFocusColourNeutralYellow = "#1d1d1b";
+export const cardInteractiveFocusColourNeutralInverseBlue = "#005dba";
+export const cardInteractiveFocusColourNeutralInverseGreen = "#00633d";
+export const cardInteractiveFocusColourNeutralInverseRed = "#c50b30";
+export const cardInteractiveFocusColourNeutralInverseYellow = "#1d1d1b";
+export const cardInteractiveFocusColourSubtleBlue = "#005dba";
+export const cardInteractiveFocusColourSubtleGreen = "#00633d";
+export const cardInteractiveFocusColourSubtleRed = "#c50b30";
+export const cardInteractiveFocusColourSubtleYellow = "#1d1d1b";
+export const cardInteractiveFocusColourBoldBlue = "#f4f4f4";
+export const cardInteractiveFocusColourBoldGreen = "#f4f4f4";
+export const cardInteractiveFocusColourBoldRed = "#f4f4f4";
+export const cardInteractiveFocusColourBoldYellow = "#1d1d1b";
+export const cardInteractiveFocusBackgroundColourNeutralBlue = "#ffffff";
+export const cardInteractiveFocusBackgroundColourNeutralGreen = "#ffffff";
+export const cardInteractiveFocusBackgroundColourNeutralRed = "#ffffff";
+export const cardInteractiveFocusBackgroundColourNeutralYellow = "#ffffff";
+export const cardInteractiveFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const cardInteractiveFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const cardInteractiveFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const cardInteractiveFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const cardInteractiveFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const cardInteractiveFocusBackgroundColourSubtleGreen = "#caeedd";
+export const cardInteractiveFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const cardInteractiveFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const cardInteractiveFocusBackgroundColourBoldBlue = "#005dba";
+export const cardInteractiveFocusBackgroundColourBoldGreen = "#00633d";
+export const cardInteractiveFocusBackgroundColourBoldRed = "#c50b30";
+export const cardInteractiveFocusBackgroundColourBoldYellow = "#ffb600";
+export const cardInteractiveFocusBorderColourNeutralBlue = "#1d1d1b";
+export const cardInteractiveFocusBorderColourNeutralGreen = "#1d1d1b";
+export const cardInteractiveFocusBorderColourNeutralRed = "#1d1d1b";
+export const cardInteractiveFocusBorderColourNeutralYellow = "#000000";
+export const cardInteractiveFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const cardInteractiveFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const cardInteractiveFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const cardInteractiveFocusBorderColourNeutralInverseYellow = "#000000";
+export const cardInteractiveFocusBorderColourSubtleBlue = "#1d1d1b";
+export const cardInteractiveFocusBorderColourSubtleGreen = "#1d1d1b";
+export const cardInteractiveFocusBorderColourSubtleRed = "#1d1d1b";
+export const cardInteractiveFocusBorderColourSubtleYellow = "#000000";
+export const cardInteractiveFocusBorderColourBoldBlue = "#ffffff";
+export const cardInteractiveFocusBorderColourBoldGreen = "#ffffff";
+export const cardInteractiveFocusBorderColourBoldRed = "#ffffff";
+export const cardInteractiveFocusBorderColourBoldYellow = "#1d1d1b";
+export const cardInteractiveFocusBorderWidthNeutralBlue = 3;
+export const cardInteractiveFocusBorderWidthNeutralGreen = 3;
+export const cardInteractiveFocusBorderWidthNeutralRed = 3;
+export const cardInteractiveFocusBorderWidthNeutralYellow = 3;
+export const cardInteractiveFocusBorderWidthNeutralInverseBlue = 3;
+export const cardInteractiveFocusBorderWidthNeutralInverseGreen = 3;
+export const cardInteractiveFocusBorderWidthNeutralInverseRed = 3;
+export const cardInteractiveFocusBorderWidthNeutralInverseYellow = 3;
+export const cardInteractiveFocusBorderWidthSubtleBlue = 3;
+export const cardInteractiveFocusBorderWidthSubtleGreen = 3;
+export const cardInteractiveFocusBorderWidthSubtleRed = 3;
+export const cardInteractiveFocusBorderWidthSubtleYellow = 3;
+export const cardInteractiveFocusBorderWidthBoldBlue = 3;
+export const cardInteractiveFocusBorderWidthBoldGreen = 3;
+export const cardInteractiveFocusBorderWidthBoldRed = 3;
+export const cardInteractiveFocusBorderWidthBoldYellow = 3;
+export const headerContainerBackgroundColourNeutralBlue = "#ffffff";
+export const headerContainerBackgroundColourNeutralGreen = "#ffffff";
+export const headerContainerBackgroundColourNeutralRed = "#ffffff";
+export const headerContainerBackgroundColourNeutralYellow = "#ffffff";
+export const headerContainerBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const headerContainerBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const headerContainerBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const headerContainerBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const headerContainerBackgroundColourSubtleBlue = "#aee1f7";
+export const headerContainerBackgroundColourSubtleGreen = "#caeedd";
+export const headerContainerBackgroundColourSubtleRed = "#ffd5d2";
+export const headerContainerBackgroundColourSubtleYellow = "#fff9c7";
+export const headerContainerBackgroundColourBoldBlue = "#005dba";
+export const headerContainerBackgroundColourBoldGreen = "#00633d";
+export const headerContainerBackgroundColourBoldRed = "#c50b30";
+export const headerContainerBackgroundColourBoldYellow = "#ffb600";
+export const headerContainerGapNeutralBlue = 28;
+export const headerContainerGapNeutralGreen = 28;
+export const headerContainerGapNeutralRed = 28;
+export const headerContainerGapNeutralYellow = 28;
+export const headerContainerGapNeutralInverseBlue = 28;
+export const headerContainerGapNeutralInverseGreen = 28;
+export const headerContainerGapNeutralInverseRed = 28;
+export const headerContainerGapNeutralInverseYellow = 28;
+export const headerContainerGapSubtleBlue = 28;
+export const headerContainerGapSubtleGreen = 28;
+export const headerContainerGapSubtleRed = 28;
+export const headerContainerGapSubtleYellow = 28;
+export const headerContainerGapBoldBlue = 28;
+export const headerContainerGapBoldGreen = 28;
+export const headerContainerGapBoldRed = 28;
+export const headerContainerGapBoldYellow = 28;
+export const headerContainerLogoGapSmNeutralBlue = 16;
+export const headerContainerLogoGapSmNeutralGreen = 16;
+export const headerContainerLogoGapSmNeutralRed = 16;
+export const headerContainerLogoGapSmNeutralYellow = 16;
+export const headerContainerLogoGapSmNeutralInverseBlue = 16;
+export const headerContainerLogoGapSmNeutralInverseGreen = 16;
+export const headerContainerLogoGapSmNeutralInverseRed = 16;
+export const headerContainerLogoGapSmNeutralInverseYellow = 16;
+export const headerContainerLogoGapSmSubtleBlue = 16;
+export const headerContainerLogoGapSmSubtleGreen = 16;
+export const headerContainerLogoGapSmSubtleRed = 16;
+export const headerContainerLogoGapSmSubtleYellow = 16;
+export const headerContainerLogoGapSmBoldBlue = 16;
+export const headerContainerLogoGapSmBoldGreen = 16;
+export const headerContainerLogoGapSmBoldRed = 16;
+export const headerContainerLogoGapSmBoldYellow = 16;
+export const headerContainerLogoGapLgNeutralBlue = 20;
+export const headerContainerLogoGapLgNeutralGreen = 20;
+export const headerContainerLogoGapLgNeutralRed = 20;
+export const headerContainerLogoGapLgNeutralYellow = 20;
+export const headerContainerLogoGapLgNeutralInverseBlue = 20;
+export const headerContainerLogoGapLgNeutralInverseGreen = 20;
+export const headerContainerLogoGapLgNeutralInverseRed = 20;
+export const headerContainerLogoGapLgNeutralInverseYellow = 20;
+export const headerContainerLogoGapLgSubtleBlue = 20;
+export const headerContainerLogoGapLgSubtleGreen = 20;
+export const headerContainerLogoGapLgSubtleRed = 20;
+export const headerContainerLogoGapLgSubtleYellow = 20;
+export const headerContainerLogoGapLgBoldBlue = 20;
+export const headerContainerLogoGapLgBoldGreen = 20;
+export const headerContainerLogoGapLgBoldRed = 20;
+export const headerContainerLogoGapLgBoldYellow = 20;
+export const headerContainerMinWidthNeutralBlue = 320;
+export const headerContainerMinWidthNeutralGreen = 320;
+export const headerContainerMinWidthNeutralRed = 320;
+export const headerContainerMinWidthNeutralYellow = 320;
+export const headerContainerMinWidthNeutralInverseBlue = 320;
+export const headerContainerMinWidthNeutralInverseGreen = 320;
+export const headerContainerMinWidthNeutralInverseRed = 320;
+export const headerContainerMinWidthNeutralInverseYellow = 320;
+export const headerContainerMinWidthSubtleBlue = 320;
+export const headerContainerMinWidthSubtleGreen = 320;
+export const headerContainerMinWidthSubtleRed = 320;
+export const headerContainerMinWidthSubtleYellow = 320;
+export const headerContainerMinWidthBoldBlue = 320;
+export const headerContainerMinWidthBoldGreen = 320;
+export const headerContainerMinWidthBoldRed = 320;
+export const headerContainerMinWidthBoldYellow = 320;
+export const headerContainerPaddingXNeutralBlue = 16;
+export const headerContainerPaddingXNeutralGreen = 16;
+export const headerContainerPaddingXNeutralRed = 16;
+export const headerContainerPaddingXNeutralYellow = 16;
+export const headerContainerPaddingXNeutralInverseBlue = 16;
+export const headerContainerPaddingXNeutralInverseGreen = 16;
+export const headerContainerPaddingXNeutralInverseRed = 16;
+export const headerContainerPaddingXNeutralInverseYellow = 16;
+export const headerContainerPaddingXSubtleBlue = 16;
+export const headerContainerPaddingXSubtleGreen = 16;
+export const headerContainerPaddingXSubtleRed = 16;
+export const headerContainerPaddingXSubtleYellow = 16;
+export const headerContainerPaddingXBoldBlue = 16;
+export const headerContainerPaddingXBoldGreen = 16;
+export const headerContainerPaddingXBoldRed = 16;
+export const headerContainerPaddingXBoldYellow = 16;
+export const headerContainerPaddingYNeutralBlue = 8;
+export const headerContainerPaddingYNeutralGreen = 8;
+export const headerContainerPaddingYNeutralRed = 8;
+export const headerContainerPaddingYNeutralYellow = 8;
+export const headerContainerPaddingYNeutralInverseBlue = 8;
+export const headerContainerPaddingYNeutralInverseGreen = 8;
+export const headerContainerPaddingYNeutralInverseRed = 8;
+export const headerContainerPaddingYNeutralInverseYellow = 8;
+export const headerContainerPaddingYSubtleBlue = 8;
+export const headerContainerPaddingYSubtleGreen = 8;
+export const headerContainerPaddingYSubtleRed = 8;
+export const headerContainerPaddingYSubtleYellow = 8;
+export const headerContainerPaddingYBoldBlue = 8;
+export const headerContainerPaddingYBoldGreen = 8;
+export const headerContainerPaddingYBoldRed = 8;
+export const headerContainerPaddingYBoldYellow = 8;
+export const headerContainerMaxHeightNeutralBlue = 89;
+export const headerContainerMaxHeightNeutralGreen = 89;
+export const headerContainerMaxHeightNeutralRed = 89;
+export const headerContainerMaxHeightNeutralYellow = 89;
+export const headerContainerMaxHeightNeutralInverseBlue = 89;
+export const headerContainerMaxHeightNeutralInverseGreen = 89;
+export const headerContainerMaxHeightNeutralInverseRed = 89;
+export const headerContainerMaxHeightNeutralInverseYellow = 89;
+export const headerContainerMaxHeightSubtleBlue = 89;
+export const headerContainerMaxHeightSubtleGreen = 89;
+export const headerContainerMaxHeightSubtleRed = 89;
+export const headerContainerMaxHeightSubtleYellow = 89;
+export const headerContainerMaxHeightBoldBlue = 89;
+export const headerContainerMaxHeightBoldGreen = 89;
+export const headerContainerMaxHeightBoldRed = 89;
+export const headerContainerMaxHeightBoldYellow = 89;
+export const headerLogoContainerMaxWidthSmNeutralBlue = 165;
+export const headerLogoContainerMaxWidthSmNeutralGreen = 165;
+export const headerLogoContainerMaxWidthSmNeutralRed = 165;
+export const headerLogoContainerMaxWidthSmNeutralYellow = 165;
+export const headerLogoContainerMaxWidthSmNeutralInverseBlue = 165;
+export const headerLogoContainerMaxWidthSmNeutralInverseGreen = 165;
+export const headerLogoContainerMaxWidthSmNeutralInverseRed = 165;
+export const headerLogoContainerMaxWidthSmNeutralInverseYellow = 165;
+export const headerLogoContainerMaxWidthSmSubtleBlue = 165;
+export const headerLogoContainerMaxWidthSmSubtleGreen = 165;
+export const headerLogoContainerMaxWidthSmSubtleRed = 165;
+export const headerLogoContainerMaxWidthSmSubtleYellow = 165;
+export const headerLogoContainerMaxWidthSmBoldBlue = 165;
+export const headerLogoContainerMaxWidthSmBoldGreen = 165;
+export const headerLogoContainerMaxWidthSmBoldRed = 165;
+export const headerLogoContainerMaxWidthSmBoldYellow = 165;
+export const headerLogoContainerMaxHeightSmNeutralBlue = 44;
+export const headerLogoContainerMaxHeightSmNeutralGreen = 44;
+export const headerLogoContainerMaxHeightSmNeutralRed = 44;
+export const headerLogoContainerMaxHeightSmNeutralYellow = 44;
+export const headerLogoContainerMaxHeightSmNeutralInverseBlue = 44;
+export const headerLogoContainerMaxHeightSmNeutralInverseGreen = 44;
+export const headerLogoContainerMaxHeightSmNeutralInverseRed = 44;
+export const headerLogoContainerMaxHeightSmNeutralInverseYellow = 44;
+export const headerLogoContainerMaxHeightSmSubtleBlue = 44;
+export const headerLogoContainerMaxHeightSmSubtleGreen = 44;
+export const headerLogoContainerMaxHeightSmSubtleRed = 44;
+export const headerLogoContainerMaxHeightSmSubtleYellow = 44;
+export const headerLogoContainerMaxHeightSmBoldBlue = 44;
+export const headerLogoContainerMaxHeightSmBoldGreen = 44;
+export const headerLogoContainerMaxHeightSmBoldRed = 44;
+export const headerLogoContainerMaxHeightSmBoldYellow = 44;
+export const headerLogoContainerMaxHeightLgNeutralBlue = 64;
+export const headerLogoContainerMaxHeightLgNeutralGreen = 64;
+export const headerLogoContainerMaxHeightLgNeutralRed = 64;
+export const headerLogoContainerMaxHeightLgNeutralYellow = 64;
+export const headerLogoContainerMaxHeightLgNeutralInverseBlue = 64;
+export const headerLogoContainerMaxHeightLgNeutralInverseGreen = 64;
+export const headerLogoContainerMaxHeightLgNeutralInverseRed = 64;
+export const headerLogoContainerMaxHeightLgNeutralInverseYellow = 64;
+export const headerLogoContainerMaxHeightLgSubtleBlue = 64;
+export const headerLogoContainerMaxHeightLgSubtleGreen = 64;
+export const headerLogoContainerMaxHeightLgSubtleRed = 64;
+export const headerLogoContainerMaxHeightLgSubtleYellow = 64;
+export const headerLogoContainerMaxHeightLgBoldBlue = 64;
+export const headerLogoContainerMaxHeightLgBoldGreen = 64;
+export const headerLogoContainerMaxHeightLgBoldRed = 64;
+export const headerLogoContainerMaxHeightLgBoldYellow = 64;
+export const headerLogoContainerMaxWidthLgNeutralBlue = 232;
+export const headerLogoContainerMaxWidthLgNeutralGreen = 232;
+export const headerLogoContainerMaxWidthLgNeutralRed = 232;
+export const headerLogoContainerMaxWidthLgNeutralYellow = 232;
+export const headerLogoContainerMaxWidthLgNeutralInverseBlue = 232;
+export const headerLogoContainerMaxWidthLgNeutralInverseGreen = 232;
+export const headerLogoContainerMaxWidthLgNeutralInverseRed = 232;
+export const headerLogoContainerMaxWidthLgNeutralInverseYellow = 232;
+export const headerLogoContainerMaxWidthLgSubtleBlue = 232;
+export const headerLogoContainerMaxWidthLgSubtleGreen = 232;
+export const headerLogoContainerMaxWidthLgSubtleRed = 232;
+export const headerLogoContainerMaxWidthLgSubtleYellow = 232;
+export const headerLogoContainerMaxWidthLgBoldBlue = 232;
+export const headerLogoContainerMaxWidthLgBoldGreen = 232;
+export const headerLogoContainerMaxWidthLgBoldRed = 232;
+export const headerLogoContainerMaxWidthLgBoldYellow = 232;
+export const headerLogoContainerPaddingBottomLgNeutralBlue = 12;
+export const headerLogoContainerPaddingBottomLgNeutralGreen = 12;
+export const headerLogoContainerPaddingBottomLgNeutralRed = 12;
+export const headerLogoContainerPaddingBottomLgNeutralYellow = 12;
+export const headerLogoContainerPaddingBottomLgNeutralInverseBlue = 12;
+export const headerLogoContainerPaddingBottomLgNeutralInverseGreen = 12;
+export const headerLogoContainerPaddingBottomLgNeutralInverseRed = 12;
+export const headerLogoContainerPaddingBottomLgNeutralInverseYellow = 12;
+export const headerLogoContainerPaddingBottomLgSubtleBlue = 12;
+export const headerLogoContainerPaddingBottomLgSubtleGreen = 12;
+export const headerLogoContainerPaddingBottomLgSubtleRed = 12;
+export const headerLogoContainerPaddingBottomLgSubtleYellow = 12;
+export const headerLogoContainerPaddingBottomLgBoldBlue = 12;
+export const headerLogoContainerPaddingBottomLgBoldGreen = 12;
+export const headerLogoContainerPaddingBottomLgBoldRed = 12;
+export const headerLogoContainerPaddingBottomLgBoldYellow = 12;
+export const headerLogoContainerPaddingBottomSmNeutralBlue = 8;
+export const headerLogoContainerPaddingBottomSmNeutralGreen = 8;
+export const headerLogoContainerPaddingBottomSmNeutralRed = 8;
+export const headerLogoContainerPaddingBottomSmNeutralYellow = 8;
+export const headerLogoContainerPaddingBottomSmNeutralInverseBlue = 8;
+export const headerLogoContainerPaddingBottomSmNeutralInverseGreen = 8;
+export const headerLogoContainerPaddingBottomSmNeutralInverseRed = 8;
+export const headerLogoContainerPaddingBottomSmNeutralInverseYellow = 8;
+export const headerLogoContainerPaddingBottomSmSubtleBlue = 8;
+export const headerLogoContainerPaddingBottomSmSubtleGreen = 8;
+export const headerLogoContainerPaddingBottomSmSubtleRed = 8;
+export const headerLogoContainerPaddingBottomSmSubtleYellow = 8;
+export const headerLogoContainerPaddingBottomSmBoldBlue = 8;
+export const headerLogoContainerPaddingBottomSmBoldGreen = 8;
+export const headerLogoContainerPaddingBottomSmBoldRed = 8;
+export const headerLogoContainerPaddingBottomSmBoldYellow = 8;
+export const headerLogoPrimaryMaxHeightSmNeutralBlue = 36;
+export const headerLogoPrimaryMaxHeightSmNeutralGreen = 36;
+export const headerLogoPrimaryMaxHeightSmNeutralRed = 36;
+export const headerLogoPrimaryMaxHeightSmNeutralYellow = 36;
+export const headerLogoPrimaryMaxHeightSmNeutralInverseBlue = 36;
+export const headerLogoPrimaryMaxHeightSmNeutralInverseGreen = 36;
+export const headerLogoPrimaryMaxHeightSmNeutralInverseRed = 36;
+export const headerLogoPrimaryMaxHeightSmNeutralInverseYellow = 36;
+export const headerLogoPrimaryMaxHeightSmSubtleBlue = 36;
+export const headerLogoPrimaryMaxHeightSmSubtleGreen = 36;
+export const headerLogoPrimaryMaxHeightSmSubtleRed = 36;
+export const headerLogoPrimaryMaxHeightSmSubtleYellow = 36;
+export const headerLogoPrimaryMaxHeightSmBoldBlue = 36;
+export const headerLogoPrimaryMaxHeightSmBoldGreen = 36;
+export const headerLogoPrimaryMaxHeightSmBoldRed = 36;
+export const headerLogoPrimaryMaxHeightSmBoldYellow = 36;
+export const headerLogoPrimaryMaxHeightLgNeutralBlue = 52;
+export const headerLogoPrimaryMaxHeightLgNeutralGreen = 52;
+export const headerLogoPrimaryMaxHeightLgNeutralRed = 52;
+export const headerLogoPrimaryMaxHeightLgNeutralYellow = 52;
+export const headerLogoPrimaryMaxHeightLgNeutralInverseBlue = 52;
+export const headerLogoPrimaryMaxHeightLgNeutralInverseGreen = 52;
+export const headerLogoPrimaryMaxHeightLgNeutralInverseRed = 52;
+export const headerLogoPrimaryMaxHeightLgNeutralInverseYellow = 52;
+export const headerLogoPrimaryMaxHeightLgSubtleBlue = 52;
+export const headerLogoPrimaryMaxHeightLgSubtleGreen = 52;
+export const headerLogoPrimaryMaxHeightLgSubtleRed = 52;
+export const headerLogoPrimaryMaxHeightLgSubtleYellow = 52;
+export const headerLogoPrimaryMaxHeightLgBoldBlue = 52;
+export const headerLogoPrimaryMaxHeightLgBoldGreen = 52;
+export const headerLogoPrimaryMaxHeightLgBoldRed = 52;
+export const headerLogoPrimaryMaxHeightLgBoldYellow = 52;
+export const headerLogoSecondaryHeightSmNeutralBlue = 25;
+export const headerLogoSecondaryHeightSmNeutralGreen = 25;
+export const headerLogoSecondaryHeightSmNeutralRed = 25;
+export const headerLogoSecondaryHeightSmNeutralYellow = 25;
+export const headerLogoSecondaryHeightSmNeutralInverseBlue = 25;
+export const headerLogoSecondaryHeightSmNeutralInverseGreen = 25;
+export const headerLogoSecondaryHeightSmNeutralInverseRed = 25;
+export const headerLogoSecondaryHeightSmNeutralInverseYellow = 25;
+export const headerLogoSecondaryHeightSmSubtleBlue = 25;
+export const headerLogoSecondaryHeightSmSubtleGreen = 25;
+export const headerLogoSecondaryHeightSmSubtleRed = 25;
+export const headerLogoSecondaryHeightSmSubtleYellow = 25;
+export const headerLogoSecondaryHeightSmBoldBlue = 25;
+export const headerLogoSecondaryHeightSmBoldGreen = 25;
+export const headerLogoSecondaryHeightSmBoldRed = 25;
+export const headerLogoSecondaryHeightSmBoldYellow = 25;
+export const headerLogoSecondaryHeightLgNeutralBlue = 36;
+export const headerLogoSecondaryHeightLgNeutralGreen = 36;
+export const headerLogoSecondaryHeightLgNeutralRed = 36;
+export const headerLogoSecondaryHeightLgNeutralYellow = 36;
+export const headerLogoSecondaryHeightLgNeutralInverseBlue = 36;
+export const headerLogoSecondaryHeightLgNeutralInverseGreen = 36;
+export const headerLogoSecondaryHeightLgNeutralInverseRed = 36;
+export const headerLogoSecondaryHeightLgNeutralInverseYellow = 36;
+export const headerLogoSecondaryHeightLgSubtleBlue = 36;
+export const headerLogoSecondaryHeightLgSubtleGreen = 36;
+export const headerLogoSecondaryHeightLgSubtleRed = 36;
+export const headerLogoSecondaryHeightLgSubtleYellow = 36;
+export const headerLogoSecondaryHeightLgBoldBlue = 36;
+export const headerLogoSecondaryHeightLgBoldGreen = 36;
+export const headerLogoSecondaryHeightLgBoldRed = 36;
+export const headerLogoSecondaryHeightLgBoldYellow = 36;
+export const headerLogoSecondaryMaxWidthSmNeutralBlue = 84;
+export const headerLogoSecondaryMaxWidthSmNeutralGreen = 84;
+export const headerLogoSecondaryMaxWidthSmNeutralRed = 84;
+export const headerLogoSecondaryMaxWidthSmNeutralYellow = 84;
+export const headerLogoSecondaryMaxWidthSmNeutralInverseBlue = 84;
+export const headerLogoSecondaryMaxWidthSmNeutralInverseGreen = 84;
+export const headerLogoSecondaryMaxWidthSmNeutralInverseRed = 84;
+export const headerLogoSecondaryMaxWidthSmNeutralInverseYellow = 84;
+export const headerLogoSecondaryMaxWidthSmSubtleBlue = 84;
+export const headerLogoSecondaryMaxWidthSmSubtleGreen = 84;
+export const headerLogoSecondaryMaxWidthSmSubtleRed = 84;
+export const headerLogoSecondaryMaxWidthSmSubtleYellow = 84;
+export const headerLogoSecondaryMaxWidthSmBoldBlue = 84;
+export const headerLogoSecondaryMaxWidthSmBoldGreen = 84;
+export const headerLogoSecondaryMaxWidthSmBoldRed = 84;
+export const headerLogoSecondaryMaxWidthSmBoldYellow = 84;
+export const headerLogoSecondaryMaxWidthLgNeutralBlue = 120;
+export const headerLogoSecondaryMaxWidthLgNeutralGreen = 120;
+export const headerLogoSecondaryMaxWidthLgNeutralRed = 120;
+export const headerLogoSecondaryMaxWidthLgNeutralYellow = 120;
+export const headerLogoSecondaryMaxWidthLgNeutralInverseBlue = 120;
+export const headerLogoSecondaryMaxWidthLgNeutralInverseGreen = 120;
+export const headerLogoSecondaryMaxWidthLgNeutralInverseRed = 120;
+export const headerLogoSecondaryMaxWidthLgNeutralInverseYellow = 120;
+export const headerLogoSecondaryMaxWidthLgSubtleBlue = 120;
+export const headerLogoSecondaryMaxWidthLgSubtleGreen = 120;
+export const headerLogoSecondaryMaxWidthLgSubtleRed = 120;
+export const headerLogoSecondaryMaxWidthLgSubtleYellow = 120;
+export const headerLogoSecondaryMaxWidthLgBoldBlue = 120;
+export const headerLogoSecondaryMaxWidthLgBoldGreen = 120;
+export const headerLogoSecondaryMaxWidthLgBoldRed = 120;
+export const headerLogoSecondaryMaxWidthLgBoldYellow = 120;
+export const headerButtonPaddingDefaultXNeutralBlue = 12;
+export const headerButtonPaddingDefaultXNeutralGreen = 12;
+export const headerButtonPaddingDefaultXNeutralRed = 12;
+export const headerButtonPaddingDefaultXNeutralYellow = 12;
+export const headerButtonPaddingDefaultXNeutralInverseBlue = 12;
+export const headerButtonPaddingDefaultXNeutralInverseGreen = 12;
+export const headerButtonPaddingDefaultXNeutralInverseRed = 12;
+export const headerButtonPaddingDefaultXNeutralInverseYellow = 12;
+export const headerButtonPaddingDefaultXSubtleBlue = 12;
+export const headerButtonPaddingDefaultXSubtleGreen = 12;
+export const headerButtonPaddingDefaultXSubtleRed = 12;
+export const headerButtonPaddingDefaultXSubtleYellow = 12;
+export const headerButtonPaddingDefaultXBoldBlue = 12;
+export const headerButtonPaddingDefaultXBoldGreen = 12;
+export const headerButtonPaddingDefaultXBoldRed = 12;
+export const headerButtonPaddingDefaultXBoldYellow = 12;
+export const headerButtonPaddingSmallXNeutralBlue = 8;
+export const headerButtonPaddingSmallXNeutralGreen = 8;
+export const headerButtonPaddingSmallXNeutralRed = 8;
+export const headerButtonPaddingSmallXNeutralYellow = 8;
+export const headerButtonPaddingSmallXNeutralInverseBlue = 8;
+export const headerButtonPaddingSmallXNeutralInverseGreen = 8;
+export const headerButtonPaddingSmallXNeutralInverseRed = 8;
+export const headerButtonPaddingSmallXNeutralInverseYellow = 8;
+export const headerButtonPaddingSmallXSubtleBlue = 8;
+export const headerButtonPaddingSmallXSubtleGreen = 8;
+export const headerButtonPaddingSmallXSubtleRed = 8;
+export const headerButtonPaddingSmallXSubtleYellow = 8;
+export const headerButtonPaddingSmallXBoldBlue = 8;
+export const headerButtonPaddingSmallXBoldGreen = 8;
+export const headerButtonPaddingSmallXBoldRed = 8;
+export const headerButtonPaddingSmallXBoldYellow = 8;
+export const headerButtonPaddingYNeutralBlue = 12;
+export const headerButtonPaddingYNeutralGreen = 12;
+export const headerButtonPaddingYNeutralRed = 12;
+export const headerButtonPaddingYNeutralYellow = 12;
+export const headerButtonPaddingYNeutralInverseBlue = 12;
+export const headerButtonPaddingYNeutralInverseGreen = 12;
+export const headerButtonPaddingYNeutralInverseRed = 12;
+export const headerButtonPaddingYNeutralInverseYellow = 12;
+export const headerButtonPaddingYSubtleBlue = 12;
+export const headerButtonPaddingYSubtleGreen = 12;
+export const headerButtonPaddingYSubtleRed = 12;
+export const headerButtonPaddingYSubtleYellow = 12;
+export const headerButtonPaddingYBoldBlue = 12;
+export const headerButtonPaddingYBoldGreen = 12;
+export const headerButtonPaddingYBoldRed = 12;
+export const headerButtonPaddingYBoldYellow = 12;
+export const headerButtonBorderRadiusNeutralBlue = 12;
+export const headerButtonBorderRadiusNeutralGreen = 12;
+export const headerButtonBorderRadiusNeutralRed = 12;
+export const headerButtonBorderRadiusNeutralYellow = 12;
+export const headerButtonBorderRadiusNeutralInverseBlue = 12;
+export const headerButtonBorderRadiusNeutralInverseGreen = 12;
+export const headerButtonBorderRadiusNeutralInverseRed = 12;
+export const headerButtonBorderRadiusNeutralInverseYellow = 12;
+export const headerButtonBorderRadiusSubtleBlue = 12;
+export const headerButtonBorderRadiusSubtleGreen = 12;
+export const headerButtonBorderRadiusSubtleRed = 12;
+export const headerButtonBorderRadiusSubtleYellow = 12;
+export const headerButtonBorderRadiusBoldBlue = 12;
+export const headerButtonBorderRadiusBoldGreen = 12;
+export const headerButtonBorderRadiusBoldRed = 12;
+export const headerButtonBorderRadiusBoldYellow = 12;
+export const headerButtonBorderWidthFocusNeutralBlue = 3;
+export const headerButtonBorderWidthFocusNeutralGreen = 3;
+export const headerButtonBorderWidthFocusNeutralRed = 3;
+export const headerButtonBorderWidthFocusNeutralYellow = 3;
+export const headerButtonBorderWidthFocusNeutralInverseBlue = 3;
+export const headerButtonBorderWidthFocusNeutralInverseGreen = 3;
+export const headerButtonBorderWidthFocusNeutralInverseRed = 3;
+export const headerButtonBorderWidthFocusNeutralInverseYellow = 3;
+export const headerButtonBorderWidthFocusSubtleBlue = 3;
+export const headerButtonBorderWidthFocusSubtleGreen = 3;
+export const headerButtonBorderWidthFocusSubtleRed = 3;
+export const headerButtonBorderWidthFocusSubtleYellow = 3;
+export const headerButtonBorderWidthFocusBoldBlue = 3;
+export const headerButtonBorderWidthFocusBoldGreen = 3;
+export const headerButtonBorderWidthFocusBoldRed = 3;
+export const headerButtonBorderWidthFocusBoldYellow = 3;
+export const headerButtonIconSizeNeutralBlue = 24;
+export const headerButtonIconSizeNeutralGreen = 24;
+export const headerButtonIconSizeNeutralRed = 24;
+export const headerButtonIconSizeNeutralYellow = 24;
+export const headerButtonIconSizeNeutralInverseBlue = 24;
+export const headerButtonIconSizeNeutralInverseGreen = 24;
+export const headerButtonIconSizeNeutralInverseRed = 24;
+export const headerButtonIconSizeNeutralInverseYellow = 24;
+export const headerButtonIconSizeSubtleBlue = 24;
+export const headerButtonIconSizeSubtleGreen = 24;
+export const headerButtonIconSizeSubtleRed = 24;
+export const headerButtonIconSizeSubtleYellow = 24;
+export const headerButtonIconSizeBoldBlue = 24;
+export const headerButtonIconSizeBoldGreen = 24;
+export const headerButtonIconSizeBoldRed = 24;
+export const headerButtonIconSizeBoldYellow = 24;
+export const headerButtonGapNeutralBlue = 8;
+export const headerButtonGapNeutralGreen = 8;
+export const headerButtonGapNeutralRed = 8;
+export const headerButtonGapNeutralYellow = 8;
+export const headerButtonGapNeutralInverseBlue = 8;
+export const headerButtonGapNeutralInverseGreen = 8;
+export const headerButtonGapNeutralInverseRed = 8;
+export const headerButtonGapNeutralInverseYellow = 8;
+export const headerButtonGapSubtleBlue = 8;
+export const headerButtonGapSubtleGreen = 8;
+export const headerButtonGapSubtleRed = 8;
+export const headerButtonGapSubtleYellow = 8;
+export const headerButtonGapBoldBlue = 8;
+export const headerButtonGapBoldGreen = 8;
+export const headerButtonGapBoldRed = 8;
+export const headerButtonGapBoldYellow = 8;
+export const headerButtonTextLabelHeightNeutralBlue = 22;
+export const headerButtonTextLabelHeightNeutralGreen = 22;
+export const headerButtonTextLabelHeightNeutralRed = 22;
+export const headerButtonTextLabelHeightNeutralYellow = 22;
+export const headerButtonTextLabelHeightNeutralInverseBlue = 22;
+export const headerButtonTextLabelHeightNeutralInverseGreen = 22;
+export const headerButtonTextLabelHeightNeutralInverseRed = 22;
+export const headerButtonTextLabelHeightNeutralInverseYellow = 22;
+export const headerButtonTextLabelHeightSubtleBlue = 22;
+export const headerButtonTextLabelHeightSubtleGreen = 22;
+export const headerButtonTextLabelHeightSubtleRed = 22;
+export const headerButtonTextLabelHeightSubtleYellow = 22;
+export const headerButtonTextLabelHeightBoldBlue = 22;
+export const headerButtonTextLabelHeightBoldGreen = 22;
+export const headerButtonTextLabelHeightBoldRed = 22;
+export const headerButtonTextLabelHeightBoldYellow = 22;
+export const headerButtonTextIconLabelHeightNeutralBlue = 14;
+export const headerButtonTextIconLabelHeightNeutralGreen = 14;
+export const headerButtonTextIconLabelHeightNeutralRed = 14;
+export const headerButtonTextIconLabelHeightNeutralYellow = 14;
+export const headerButtonTextIconLabelHeightNeutralInverseBlue = 14;
+export const headerButtonTextIconLabelHeightNeutralInverseGreen = 14;
+export const headerButtonTextIconLabelHeightNeutralInverseRed = 14;
+export const headerButtonTextIconLabelHeightNeutralInverseYellow = 14;
+export const headerButtonTextIconLabelHeightSubtleBlue = 14;
+export const headerButtonTextIconLabelHeightSubtleGreen = 14;
+export const headerButtonTextIconLabelHeightSubtleRed = 14;
+export const headerButtonTextIconLabelHeightSubtleYellow = 14;
+export const headerButtonTextIconLabelHeightBoldBlue = 14;
+export const headerButtonTextIconLabelHeightBoldGreen = 14;
+export const headerButtonTextIconLabelHeightBoldRed = 14;
+export const headerButtonTextIconLabelHeightBoldYellow = 14;
+export const headerButtonMinHeightNeutralBlue = 48;
+export const headerButtonMinHeightNeutralGreen = 48;
+export const headerButtonMinHeightNeutralRed = 48;
+export const headerButtonMinHeightNeutralYellow = 48;
+export const headerButtonMinHeightNeutralInverseBlue = 48;
+export const headerButtonMinHeightNeutralInverseGreen = 48;
+export const headerButtonMinHeightNeutralInverseRed = 48;
+export const headerButtonMinHeightNeutralInverseYellow = 48;
+export const headerButtonMinHeightSubtleBlue = 48;
+export const headerButtonMinHeightSubtleGreen = 48;
+export const headerButtonMinHeightSubtleRed = 48;
+export const headerButtonMinHeightSubtleYellow = 48;
+export const headerButtonMinHeightBoldBlue = 48;
+export const headerButtonMinHeightBoldGreen = 48;
+export const headerButtonMinHeightBoldRed = 48;
+export const headerButtonMinHeightBoldYellow = 48;
+export const headerButtonMinWidthNeutralBlue = 48;
+export const headerButtonMinWidthNeutralGreen = 48;
+export const headerButtonMinWidthNeutralRed = 48;
+export const headerButtonMinWidthNeutralYellow = 48;
+export const headerButtonMinWidthNeutralInverseBlue = 48;
+export const headerButtonMinWidthNeutralInverseGreen = 48;
+export const headerButtonMinWidthNeutralInverseRed = 48;
+export const headerButtonMinWidthNeutralInverseYellow = 48;
+export const headerButtonMinWidthSubtleBlue = 48;
+export const headerButtonMinWidthSubtleGreen = 48;
+export const headerButtonMinWidthSubtleRed = 48;
+export const headerButtonMinWidthSubtleYellow = 48;
+export const headerButtonMinWidthBoldBlue = 48;
+export const headerButtonMinWidthBoldGreen = 48;
+export const headerButtonMinWidthBoldRed = 48;
+export const headerButtonMinWidthBoldYellow = 48;
+export const headerButtonRestBackgroundColourNeutralBlue = "#ffffff";
+export const headerButtonRestBackgroundColourNeutralGreen = "#ffffff";
+export const headerButtonRestBackgroundColourNeutralRed = "#ffffff";
+export const headerButtonRestBackgroundColourNeutralYellow = "#ffffff";
+export const headerButtonRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const headerButtonRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const headerButtonRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const headerButtonRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const headerButtonRestBackgroundColourSubtleBlue = "#aee1f7";
+export const headerButtonRestBackgroundColourSubtleGreen = "#caeedd";
+export const headerButtonRestBackgroundColourSubtleRed = "#ffd5d2";
+export const headerButtonRestBackgroundColourSubtleYellow = "#fff9c7";
+export const headerButtonRestBackgroundColourBoldBlue = "#005dba";
+export const headerButtonRestBackgroundColourBoldGreen = "#00633d";
+export const headerButtonRestBackgroundColourBoldRed = "#c50b30";
+export const headerButtonRestBackgroundColourBoldYellow = "#ffb600";
+export const headerButtonRestColourNeutralBlue = "#1d1d1b";
+export const headerButtonRestColourNeutralGreen = "#1d1d1b";
+export const headerButtonRestColourNeutralRed = "#1d1d1b";
+export const headerButtonRestColourNeutralYellow = "#000000";
+export const headerButtonRestColourNeutralInverseBlue = "#1d1d1b";
+export const headerButtonRestColourNeutralInverseGreen = "#1d1d1b";
+export const headerButtonRestColourNeutralInverseRed = "#1d1d1b";
+export const headerButtonRestColourNeutralInverseYellow = "#000000";
+export const headerButtonRestColourSubtleBlue = "#1d1d1b";
+export const headerButtonRestColourSubtleGreen = "#1d1d1b";
+export const headerButtonRestColourSubtleRed = "#1d1d1b";
+export const headerButtonRestColourSubtleYellow = "#000000";
+export const headerButtonRestColourBoldBlue = "#ffffff";
+export const headerButtonRestColourBoldGreen = "#ffffff";
+export const headerButtonRestColourBoldRed = "#ffffff";
+export const headerButtonRestColourBoldYellow = "#1d1d1b";
+export const headerButtonRestHoverIndicatorNeutralBlue = "#ffffff";
+export const headerButtonRestHoverIndicatorNeutralGreen = "#ffffff";
+export const headerButtonRestHoverIndicatorNeutralRed = "#ffffff";
+export const headerButtonRestHoverIndicatorNeutralYellow = "#ffffff";
+export const headerButtonRestHoverIndicatorNeutralInverseBlue = "#f4f4f4";
+export const headerButtonRestHoverIndicatorNeutralInverseGreen = "#f4f4f4";
+export const headerButtonRestHoverIndicatorNeutralInverseRed = "#f4f4f4";
+export const headerButtonRestHoverIndicatorNeutralInverseYellow = "#f4f4f4";
+export const headerButtonRestHoverIndicatorSubtleBlue = "#aee1f7";
+export const headerButtonRestHoverIndicatorSubtleGreen = "#caeedd";
+export const headerButtonRestHoverIndicatorSubtleRed = "#ffd5d2";
+export const headerButtonRestHoverIndicatorSubtleYellow = "#fff9c7";
+export const headerButtonRestHoverIndicatorBoldBlue = "#005dba";
+export const headerButtonRestHoverIndicatorBoldGreen = "#00633d";
+export const headerButtonRestHoverIndicatorBoldRed = "#c50b30";
+export const headerButtonRestHoverIndicatorBoldYellow = "#ffb600";
+export const headerButtonHoverBackgroundColourNeutralBlue = "#aee1f7";
+export const headerButtonHoverBackgroundColourNeutralGreen = "#caeedd";
+export const headerButtonHoverBackgroundColourNeutralRed = "#ffd5d2";
+export const headerButtonHoverBackgroundColourNeutralYellow = "#fff9c7";
+export const headerButtonHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const headerButtonHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+export const headerButtonHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const headerButtonHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const headerButtonHoverBackgroundColourSubtleBlue = "#42aeea";
+export const headerButtonHoverBackgroundColourSubtleGreen = "#43af6e";
+export const headerButtonHoverBackgroundColourSubtleRed = "#ff3e51";
+export const headerButtonHoverBackgroundColourSubtleYellow = "#ffe969";
+export const headerButtonHoverBackgroundColourBoldBlue = "#aee1f7";
+export const headerButtonHoverBackgroundColourBoldGreen = "#caeedd";
+export const headerButtonHoverBackgroundColourBoldRed = "#ffd5d2";
+export const headerButtonHoverBackgroundColourBoldYellow = "#fff9c7";
+export const headerButtonHoverColourNeutralBlue = "#1d1d1b";
+export const headerButtonHoverColourNeutralGreen = "#1d1d1b";
+export const headerButtonHoverColourNeutralRed = "#1d1d1b";
+export const headerButtonHoverColourNeutralYellow = "#000000";
+export const headerButtonHoverColourNeutralInverseBlue = "#1d1d1b";
+export const headerButtonHoverColourNeutralInverseGreen = "#1d1d1b";
+export const headerButtonHoverColourNeutralInverseRed = "#1d1d1b";
+export const headerButtonHoverColourNeutralInverseYellow = "#000000";
+export const headerButtonHoverColourSubtleBlue = "#1d1d1b";
+export const headerButtonHoverColourSubtleGreen = "#1d1d1b";
+export const headerButtonHoverColourSubtleRed = "#1d1d1b";
+export const headerButtonHoverColourSubtleYellow = "#000000";
+export const headerButtonHoverColourBoldBlue = "#1d1d1b";
+export const headerButtonHoverColourBoldGreen = "#1d1d1b";
+export const headerButtonHoverColourBoldRed = "#1d1d1b";
+export const headerButtonHoverColourBoldYellow = "#000000";
+export const headerButtonHoverHoverIndicatorNeutralBlue = "#001d6e";
+export const headerButtonHoverHoverIndicatorNeutralGreen = "#01312e";
+export const headerButtonHoverHoverIndicatorNeutralRed = "#480411";
+export const headerButtonHoverHoverIndicatorNeutralYellow = "#572722";
+export const headerButtonHoverHoverIndicatorNeutralInverseBlue = "#001d6e";
+export const headerButtonHoverHoverIndicatorNeutralInverseGreen = "#01312e";
+export const headerButtonHoverHoverIndicatorNeutralInverseRed = "#480411";
+export const headerButtonHoverHoverIndicatorNeutralInverseYellow = "#572722";
+export const headerButtonHoverHoverIndicatorSubtleBlue = "#001d6e";
+export const headerButtonHoverHoverIndicatorSubtleGreen = "#01312e";
+export const headerButtonHoverHoverIndicatorSubtleRed = "#480411";
+export const headerButtonHoverHoverIndicatorSubtleYellow = "#572722";
+export const headerButtonHoverHoverIndicatorBoldBlue = "#001d6e";
+export const headerButtonHoverHoverIndicatorBoldGreen = "#01312e";
+export const headerButtonHoverHoverIndicatorBoldRed = "#480411";
+export const headerButtonHoverHoverIndicatorBoldYellow = "#572722";
+export const headerButtonActiveBackgroundColourNeutralBlue = "#005dba";
+export const headerButtonActiveBackgroundColourNeutralGreen = "#00633d";
+export const headerButtonActiveBackgroundColourNeutralRed = "#c50b30";
+export const headerButtonActiveBackgroundColourNeutralYellow = "#ffb600";
+export const headerButtonActiveBackgroundColourNeutralInverseBlue = "#005dba";
+export const headerButtonActiveBackgroundColourNeutralInverseGreen = "#00633d";
+export const headerButtonActiveBackgroundColourNeutralInverseRed = "#c50b30";
+export const headerButtonActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+export const headerButtonActiveBackgroundColourSubtleBlue = "#005dba";
+export const headerButtonActiveBackgroundColourSubtleGreen = "#00633d";
+export const headerButtonActiveBackgroundColourSubtleRed = "#c50b30";
+export const headerButtonActiveBackgroundColourSubtleYellow = "#ffb600";
+export const headerButtonActiveBackgroundColourBoldBlue = "#ffffff";
+export const headerButtonActiveBackgroundColourBoldGreen = "#ffffff";
+export const headerButtonActiveBackgroundColourBoldRed = "#ffffff";
+export const headerButtonActiveBackgroundColourBoldYellow = "#ffffff";
+export const headerButtonActiveColourNeutralBlue = "#ffffff";
+export const headerButtonActiveColourNeutralGreen = "#ffffff";
+export const headerButtonActiveColourNeutralRed = "#ffffff";
+export const headerButtonActiveColourNeutralYellow = "#1d1d1b";
+export const headerButtonActiveColourNeutralInverseBlue = "#ffffff";
+export const headerButtonActiveColourNeutralInverseGreen = "#ffffff";
+export const headerButtonActiveColourNeutralInverseRed = "#ffffff";
+export const headerButtonActiveColourNeutralInverseYellow = "#1d1d1b";
+export const headerButtonActiveColourSubtleBlue = "#ffffff";
+export const headerButtonActiveColourSubtleGreen = "#ffffff";
+export const headerButtonActiveColourSubtleRed = "#ffffff";
+export const headerButtonActiveColourSubtleYellow = "#1d1d1b";
+export const headerButtonActiveColourBoldBlue = "#1d1d1b";
+export const headerButtonActiveColourBoldGreen = "#1d1d1b";
+export const headerButtonActiveColourBoldRed = "#1d1d1b";
+export const headerButtonActiveColourBoldYellow = "#000000";
+export const headerButtonActiveHoverIndicatorNeutralBlue = "#005dba";
+export const headerButtonActiveHoverIndicatorNeutralGreen = "#00633d";
+export const headerButtonActiveHoverIndicatorNeutralRed = "#c50b30";
+export const headerButtonActiveHoverIndicatorNeutralYellow = "#ffb600";
+export const headerButtonActiveHoverIndicatorNeutralInverseBlue = "#005dba";
+export const headerButtonActiveHoverIndicatorNeutralInverseGreen = "#00633d";
+export const headerButtonActiveHoverIndicatorNeutralInverseRed = "#c50b30";
+export const headerButtonActiveHoverIndicatorNeutralInverseYellow = "#ffb600";
+export const headerButtonActiveHoverIndicatorSubtleBlue = "#005dba";
+export const headerButtonActiveHoverIndicatorSubtleGreen = "#00633d";
+export const headerButtonActiveHoverIndicatorSubtleRed = "#c50b30";
+export const headerButtonActiveHoverIndicatorSubtleYellow = "#ffb600";
+export const headerButtonActiveHoverIndicatorBoldBlue = "#ffffff";
+export const headerButtonActiveHoverIndicatorBoldGreen = "#ffffff";
+export const headerButtonActiveHoverIndicatorBoldRed = "#ffffff";
+export const headerButtonActiveHoverIndicatorBoldYellow = "#ffffff";
+export const headerButtonFocusBackgroundColourNeutralBlue = "#ffffff";
+export const headerButtonFocusBackgroundColourNeutralGreen = "#ffffff";
+export const headerButtonFocusBackgroundColourNeutralRed = "#ffffff";
+export const headerButtonFocusBackgroundColourNeutralYellow = "#ffffff";
+export const headerButtonFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const headerButtonFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const headerButtonFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const headerButtonFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const headerButtonFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const headerButtonFocusBackgroundColourSubtleGreen = "#caeedd";
+export const headerButtonFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const headerButtonFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const headerButtonFocusBackgroundColourBoldBlue = "#005dba";
+export const headerButtonFocusBackgroundColourBoldGreen = "#00633d";
+export const headerButtonFocusBackgroundColourBoldRed = "#c50b30";
+export const headerButtonFocusBackgroundColourBoldYellow = "#ffb600";
+export const headerButtonFocusBorderColourNeutralBlue = "#ffffff";
+export const headerButtonFocusBorderColourNeutralGreen = "#ffffff";
+export const headerButtonFocusBorderColourNeutralRed = "#ffffff";
+export const headerButtonFocusBorderColourNeutralYellow = "#ffffff";
+export const headerButtonFocusBorderColourNeutralInverseBlue = "#f4f4f4";
+export const headerButtonFocusBorderColourNeutralInverseGreen = "#f4f4f4";
+export const headerButtonFocusBorderColourNeutralInverseRed = "#f4f4f4";
+export const headerButtonFocusBorderColourNeutralInverseYellow = "#f4f4f4";
+export const headerButtonFocusBorderColourSubtleBlue = "#aee1f7";
+export const headerButtonFocusBorderColourSubtleGreen = "#caeedd";
+export const headerButtonFocusBorderColourSubtleRed = "#ffd5d2";
+export const headerButtonFocusBorderColourSubtleYellow = "#fff9c7";
+export const headerButtonFocusBorderColourBoldBlue = "#005dba";
+export const headerButtonFocusBorderColourBoldGreen = "#00633d";
+export const headerButtonFocusBorderColourBoldRed = "#c50b30";
+export const headerButtonFocusBorderColourBoldYellow = "#ffb600";
+export const headerButtonFocusColourNeutralBlue = "#1d1d1b";
+export const headerButtonFocusColourNeutralGreen = "#1d1d1b";
+export const headerButtonFocusColourNeutralRed = "#1d1d1b";
+export const headerButtonFocusColourNeutralYellow = "#000000";
+export const headerButtonFocusColourNeutralInverseBlue = "#1d1d1b";
+export const headerButtonFocusColourNeutralInverseGreen = "#1d1d1b";
+export const headerButtonFocusColourNeutralInverseRed = "#1d1d1b";
+export const headerButtonFocusColourNeutralInverseYellow = "#000000";
+export const headerButtonFocusColourSubtleBlue = "#1d1d1b";
+export const headerButtonFocusColourSubtleGreen = "#1d1d1b";
+export const headerButtonFocusColourSubtleRed = "#1d1d1b";
+export const headerButtonFocusColourSubtleYellow = "#000000";
+export const headerButtonFocusColourBoldBlue = "#ffffff";
+export const headerButtonFocusColourBoldGreen = "#ffffff";
+export const headerButtonFocusColourBoldRed = "#ffffff";
+export const headerButtonFocusColourBoldYellow = "#1d1d1b";
+export const notificationBadgeBackgroundColourNeutralBlue = "#005dba";
+export const notificationBadgeBackgroundColourNeutralGreen = "#00633d";
+export const notificationBadgeBackgroundColourNeutralRed = "#c50b30";
+export const notificationBadgeBackgroundColourNeutralYellow = "#ffb600";
+export const notificationBadgeBackgroundColourNeutralInverseBlue = "#005dba";
+export const notificationBadgeBackgroundColourNeutralInverseGreen = "#00633d";
+export const notificationBadgeBackgroundColourNeutralInverseRed = "#c50b30";
+export const notificationBadgeBackgroundColourNeutralInverseYellow = "#ffb600";
+export const notificationBadgeBackgroundColourSubtleBlue = "#005dba";
+export const notificationBadgeBackgroundColourSubtleGreen = "#00633d";
+export const notificationBadgeBackgroundColourSubtleRed = "#c50b30";
+export const notificationBadgeBackgroundColourSubtleYellow = "#ffb600";
+export const notificationBadgeBackgroundColourBoldBlue = "#ffffff";
+export const notificationBadgeBackgroundColourBoldGreen = "#ffffff";
+export const notificationBadgeBackgroundColourBoldRed = "#ffffff";
+export const notificationBadgeBackgroundColourBoldYellow = "#ffffff";
+export const notificationBadgeColourNeutralBlue = "#ffffff";
+export const notificationBadgeColourNeutralGreen = "#ffffff";
+export const notificationBadgeColourNeutralRed = "#ffffff";
+export const notificationBadgeColourNeutralYellow = "#1d1d1b";
+export const notificationBadgeColourNeutralInverseBlue = "#ffffff";
+export const notificationBadgeColourNeutralInverseGreen = "#ffffff";
+export const notificationBadgeColourNeutralInverseRed = "#ffffff";
+export const notificationBadgeColourNeutralInverseYellow = "#1d1d1b";
+export const notificationBadgeColourSubtleBlue = "#ffffff";
+export const notificationBadgeColourSubtleGreen = "#ffffff";
+export const notificationBadgeColourSubtleRed = "#ffffff";
+export const notificationBadgeColourSubtleYellow = "#1d1d1b";
+export const notificationBadgeColourBoldBlue = "#1d1d1b";
+export const notificationBadgeColourBoldGreen = "#1d1d1b";
+export const notificationBadgeColourBoldRed = "#1d1d1b";
+export const notificationBadgeColourBoldYellow = "#1d1d1b";
+export const notificationBadgeBorderRadiusNeutralBlue = 16;
+export const notificationBadgeBorderRadiusNeutralGreen = 16;
+export const notificationBadgeBorderRadiusNeutralRed = 16;
+export const notificationBadgeBorderRadiusNeutralYellow = 16;
+export const notificationBadgeBorderRadiusNeutralInverseBlue = 16;
+export const notificationBadgeBorderRadiusNeutralInverseGreen = 16;
+export const notificationBadgeBorderRadiusNeutralInverseRed = 16;
+export const notificationBadgeBorderRadiusNeutralInverseYellow = 16;
+export const notificationBadgeBorderRadiusSubtleBlue = 16;
+export const notificationBadgeBorderRadiusSubtleGreen = 16;
+export const notificationBadgeBorderRadiusSubtleRed = 16;
+export const notificationBadgeBorderRadiusSubtleYellow = 16;
+export const notificationBadgeBorderRadiusBoldBlue = 16;
+export const notificationBadgeBorderRadiusBoldGreen = 16;
+export const notificationBadgeBorderRadiusBoldRed = 16;
+export const notificationBadgeBorderRadiusBoldYellow = 16;
+export const notificationBadgeHeightNeutralBlue = 16;
+export const notificationBadgeHeightNeutralGreen = 16;
+export const notificationBadgeHeightNeutralRed = 16;
+export const notificationBadgeHeightNeutralYellow = 16;
+export const notificationBadgeHeightNeutralInverseBlue = 16;
+export const notificationBadgeHeightNeutralInverseGreen = 16;
+export const notificationBadgeHeightNeutralInverseRed = 16;
+export const notificationBadgeHeightNeutralInverseYellow = 16;
+export const notificationBadgeHeightSubtleBlue = 16;
+export const notificationBadgeHeightSubtleGreen = 16;
+export const notificationBadgeHeightSubtleRed = 16;
+export const notificationBadgeHeightSubtleYellow = 16;
+export const notificationBadgeHeightBoldBlue = 16;
+export const notificationBadgeHeightBoldGreen = 16;
+export const notificationBadgeHeightBoldRed = 16;
+export const notificationBadgeHeightBoldYellow = 16;
+export const notificationBadgeMinWidthNeutralBlue = 16;
+export const notificationBadgeMinWidthNeutralGreen = 16;
+export const notificationBadgeMinWidthNeutralRed = 16;
+export const notificationBadgeMinWidthNeutralYellow = 16;
+export const notificationBadgeMinWidthNeutralInverseBlue = 16;
+export const notificationBadgeMinWidthNeutralInverseGreen = 16;
+export const notificationBadgeMinWidthNeutralInverseRed = 16;
+export const notificationBadgeMinWidthNeutralInverseYellow = 16;
+export const notificationBadgeMinWidthSubtleBlue = 16;
+export const notificationBadgeMinWidthSubtleGreen = 16;
+export const notificationBadgeMinWidthSubtleRed = 16;
+export const notificationBadgeMinWidthSubtleYellow = 16;
+export const notificationBadgeMinWidthBoldBlue = 16;
+export const notificationBadgeMinWidthBoldGreen = 16;
+export const notificationBadgeMinWidthBoldRed = 16;
+export const notificationBadgeMinWidthBoldYellow = 16;
+export const notificationBadgePaddingNeutralBlue = 4;
+export const notificationBadgePaddingNeutralGreen = 4;
+export const notificationBadgePaddingNeutralRed = 4;
+export const notificationBadgePaddingNeutralYellow = 4;
+export const notificationBadgePaddingNeutralInverseBlue = 4;
+export const notificationBadgePaddingNeutralInverseGreen = 4;
+export const notificationBadgePaddingNeutralInverseRed = 4;
+export const notificationBadgePaddingNeutralInverseYellow = 4;
+export const notificationBadgePaddingSubtleBlue = 4;
+export const notificationBadgePaddingSubtleGreen = 4;
+export const notificationBadgePaddingSubtleRed = 4;
+export const notificationBadgePaddingSubtleYellow = 4;
+export const notificationBadgePaddingBoldBlue = 4;
+export const notificationBadgePaddingBoldGreen = 4;
+export const notificationBadgePaddingBoldRed = 4;
+export const notificationBadgePaddingBoldYellow = 4;
+export const dataPointGapNeutralBlue = 4;
+export const dataPointGapNeutralGreen = 4;
+export const dataPointGapNeutralRed = 4;
+export const dataPointGapNeutralYellow = 4;
+export const dataPointGapNeutralInverseBlue = 4;
+export const dataPointGapNeutralInverseGreen = 4;
+export const dataPointGapNeutralInverseRed = 4;
+export const dataPointGapNeutralInverseYellow = 4;
+export const dataPointGapSubtleBlue = 4;
+export const dataPointGapSubtleGreen = 4;
+export const dataPointGapSubtleRed = 4;
+export const dataPointGapSubtleYellow = 4;
+export const dataPointGapBoldBlue = 4;
+export const dataPointGapBoldGreen = 4;
+export const dataPointGapBoldRed = 4;
+export const dataPointGapBoldYellow = 4;
+export const dataPointLabelColourNeutralBlue = "#4d4f4f";
+export const dataPointLabelColourNeutralGreen = "#4d4f4f";
+export const dataPointLabelColourNeutralRed = "#4d4f4f";
+export const dataPointLabelColourNeutralYellow = "#4d4f4f";
+export const dataPointLabelColourNeutralInverseBlue = "#4d4f4f";
+export const dataPointLabelColourNeutralInverseGreen = "#4d4f4f";
+export const dataPointLabelColourNeutralInverseRed = "#4d4f4f";
+export const dataPointLabelColourNeutralInverseYellow = "#4d4f4f";
+export const dataPointLabelColourSubtleBlue = "#1d1d1b";
+export const dataPointLabelColourSubtleGreen = "#1d1d1b";
+export const dataPointLabelColourSubtleRed = "#1d1d1b";
+export const dataPointLabelColourSubtleYellow = "#1d1d1b";
+export const dataPointLabelColourBoldBlue = "#d2effb";
+export const dataPointLabelColourBoldGreen = "#dff6eb";
+export const dataPointLabelColourBoldRed = "#ffd5d2";
+export const dataPointLabelColourBoldYellow = "#572722";
+export const dataPointValueColourNeutralBlue = "#1d1d1b";
+export const dataPointValueColourNeutralGreen = "#1d1d1b";
+export const dataPointValueColourNeutralRed = "#1d1d1b";
+export const dataPointValueColourNeutralYellow = "#1d1d1b";
+export const dataPointValueColourNeutralInverseBlue = "#1d1d1b";
+export const dataPointValueColourNeutralInverseGreen = "#1d1d1b";
+export const dataPointValueColourNeutralInverseRed = "#1d1d1b";
+export const dataPointValueColourNeutralInverseYellow = "#1d1d1b";
+export const dataPointValueColourSubtleBlue = "#1d1d1b";
+export const dataPointValueColourSubtleGreen = "#1d1d1b";
+export const dataPointValueColourSubtleRed = "#1d1d1b";
+export const dataPointValueColourSubtleYellow = "#1d1d1b";
+export const dataPointValueColourBoldBlue = "#ffffff";
+export const dataPointValueColourBoldGreen = "#ffffff";
+export const dataPointValueColourBoldRed = "#ffffff";
+export const dataPointValueColourBoldYellow = "#1d1d1b";
+export const dataPointGroupColumnGapNeutralBlue = 36;
+export const dataPointGroupColumnGapNeutralGreen = 36;
+export const dataPointGroupColumnGapNeutralRed = 36;
+export const dataPointGroupColumnGapNeutralYellow = 36;
+export const dataPointGroupColumnGapNeutralInverseBlue = 36;
+export const dataPointGroupColumnGapNeutralInverseGreen = 36;
+export const dataPointGroupColumnGapNeutralInverseRed = 36;
+export const dataPointGroupColumnGapNeutralInverseYellow = 36;
+export const dataPointGroupColumnGapSubtleBlue = 36;
+export const dataPointGroupColumnGapSubtleGreen = 36;
+export const dataPointGroupColumnGapSubtleRed = 36;
+export const dataPointGroupColumnGapSubtleYellow = 36;
+export const dataPointGroupColumnGapBoldBlue = 36;
+export const dataPointGroupColumnGapBoldGreen = 36;
+export const dataPointGroupColumnGapBoldRed = 36;
+export const dataPointGroupColumnGapBoldYellow = 36;
+export const dataPointGroupRowGapNeutralBlue = 36;
+export const dataPointGroupRowGapNeutralGreen = 36;
+export const dataPointGroupRowGapNeutralRed = 36;
+export const dataPointGroupRowGapNeutralYellow = 36;
+export const dataPointGroupRowGapNeutralInverseBlue = 36;
+export const dataPointGroupRowGapNeutralInverseGreen = 36;
+export const dataPointGroupRowGapNeutralInverseRed = 36;
+export const dataPointGroupRowGapNeutralInverseYellow = 36;
+export const dataPointGroupRowGapSubtleBlue = 36;
+export const dataPointGroupRowGapSubtleGreen = 36;
+export const dataPointGroupRowGapSubtleRed = 36;
+export const dataPointGroupRowGapSubtleYellow = 36;
+export const dataPointGroupRowGapBoldBlue = 36;
+export const dataPointGroupRowGapBoldGreen = 36;
+export const dataPointGroupRowGapBoldRed = 36;
+export const dataPointGroupRowGapBoldYellow = 36;
+export const filterButtonRestColourNeutralBlue = "#001d6e";
+export const filterButtonRestColourNeutralGreen = "#01312e";
+export const filterButtonRestColourNeutralRed = "#480411";
+export const filterButtonRestColourNeutralYellow = "#572722";
+export const filterButtonRestColourNeutralInverseBlue = "#001d6e";
+export const filterButtonRestColourNeutralInverseGreen = "#01312e";
+export const filterButtonRestColourNeutralInverseRed = "#480411";
+export const filterButtonRestColourNeutralInverseYellow = "#572722";
+export const filterButtonRestColourSubtleBlue = "#001d6e";
+export const filterButtonRestColourSubtleGreen = "#01312e";
+export const filterButtonRestColourSubtleRed = "#480411";
+export const filterButtonRestColourSubtleYellow = "#572722";
+export const filterButtonRestColourBoldBlue = "#1d1d1b";
+export const filterButtonRestColourBoldGreen = "#1d1d1b";
+export const filterButtonRestColourBoldRed = "#1d1d1b";
+export const filterButtonRestColourBoldYellow = "#000000";
+export const filterButtonRestBackgroundColourNeutralBlue = "#aee1f7";
+export const filterButtonRestBackgroundColourNeutralGreen = "#caeedd";
+export const filterButtonRestBackgroundColourNeutralRed = "#ffd5d2";
+export const filterButtonRestBackgroundColourNeutralYellow = "#fff9c7";
+export const filterButtonRestBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const filterButtonRestBackgroundColourNeutralInverseGreen = "#caeedd";
+export const filterButtonRestBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const filterButtonRestBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const filterButtonRestBackgroundColourSubtleBlue = "#aee1f7";
+export const filterButtonRestBackgroundColourSubtleGreen = "#caeedd";
+export const filterButtonRestBackgroundColourSubtleRed = "#ffd5d2";
+export const filterButtonRestBackgroundColourSubtleYellow = "#fff9c7";
+export const filterButtonRestBackgroundColourBoldBlue = "#42aeea";
+export const filterButtonRestBackgroundColourBoldGreen = "#43af6e";
+export const filterButtonRestBackgroundColourBoldRed = "#ff3e51";
+export const filterButtonRestBackgroundColourBoldYellow = "#ffe969";
+export const filterButtonRestBorderColourNeutralBlue = "#001d6e";
+export const filterButtonRestBorderColourNeutralGreen = "#01312e";
+export const filterButtonRestBorderColourNeutralRed = "#940824";
+export const filterButtonRestBorderColourNeutralYellow = "#c86426";
+export const filterButtonRestBorderColourNeutralInverseBlue = "#001d6e";
+export const filterButtonRestBorderColourNeutralInverseGreen = "#01312e";
+export const filterButtonRestBorderColourNeutralInverseRed = "#940824";
+export const filterButtonRestBorderColourNeutralInverseYellow = "#c86426";
+export const filterButtonRestBorderColourSubtleBlue = "#001d6e";
+export const filterButtonRestBorderColourSubtleGreen = "#01312e";
+export const filterButtonRestBorderColourSubtleRed = "#940824";
+export const filterButtonRestBorderColourSubtleYellow = "#c86426";
+export const filterButtonRestBorderColourBoldBlue = "#1d1d1b";
+export const filterButtonRestBorderColourBoldGreen = "#1d1d1b";
+export const filterButtonRestBorderColourBoldRed = "#1d1d1b";
+export const filterButtonRestBorderColourBoldYellow = "#000000";
+export const filterButtonHoverColourNeutralBlue = "#ffffff";
+export const filterButtonHoverColourNeutralGreen = "#ffffff";
+export const filterButtonHoverColourNeutralRed = "#ffffff";
+export const filterButtonHoverColourNeutralYellow = "#1d1d1b";
+export const filterButtonHoverColourNeutralInverseBlue = "#ffffff";
+export const filterButtonHoverColourNeutralInverseGreen = "#ffffff";
+export const filterButtonHoverColourNeutralInverseRed = "#ffffff";
+export const filterButtonHoverColourNeutralInverseYellow = "#1d1d1b";
+export const filterButtonHoverColourSubtleBlue = "#ffffff";
+export const filterButtonHoverColourSubtleGreen = "#ffffff";
+export const filterButtonHoverColourSubtleRed = "#ffffff";
+export const filterButtonHoverColourSubtleYellow = "#1d1d1b";
+export const filterButtonHoverColourBoldBlue = "#1d1d1b";
+export const filterButtonHoverColourBoldGreen = "#1d1d1b";
+export const filterButtonHoverColourBoldRed = "#1d1d1b";
+export const filterButtonHoverColourBoldYellow = "#000000";
+export const filterButtonHoverBackgroundColourNeutralBlue = "#005dba";
+export const filterButtonHoverBackgroundColourNeutralGreen = "#00633d";
+export const filterButtonHoverBackgroundColourNeutralRed = "#c50b30";
+export const filterButtonHoverBackgroundColourNeutralYellow = "#ffb600";
+export const filterButtonHoverBackgroundColourNeutralInverseBlue = "#005dba";
+export const filterButtonHoverBackgroundColourNeutralInverseGreen = "#00633d";
+export const filterButtonHoverBackgroundColourNeutralInverseRed = "#c50b30";
+export const filterButtonHoverBackgroundColourNeutralInverseYellow = "#ffb600";
+export const filterButtonHoverBackgroundColourSubtleBlue = "#005dba";
+export const filterButtonHoverBackgroundColourSubtleGreen = "#00633d";
+export const filterButtonHoverBackgroundColourSubtleRed = "#c50b30";
+export const filterButtonHoverBackgroundColourSubtleYellow = "#ffb600";
+export const filterButtonHoverBackgroundColourBoldBlue = "#aee1f7";
+export const filterButtonHoverBackgroundColourBoldGreen = "#caeedd";
+export const filterButtonHoverBackgroundColourBoldRed = "#ffd5d2";
+export const filterButtonHoverBackgroundColourBoldYellow = "#fff9c7";
+export const filterButtonHoverBorderColourNeutralBlue = "#005dba";
+export const filterButtonHoverBorderColourNeutralGreen = "#00633d";
+export const filterButtonHoverBorderColourNeutralRed = "#c50b30";
+export const filterButtonHoverBorderColourNeutralYellow = "#ffb600";
+export const filterButtonHoverBorderColourNeutralInverseBlue = "#005dba";
+export const filterButtonHoverBorderColourNeutralInverseGreen = "#00633d";
+export const filterButtonHoverBorderColourNeutralInverseRed = "#c50b30";
+export const filterButtonHoverBorderColourNeutralInverseYellow = "#ffb600";
+export const filterButtonHoverBorderColourSubtleBlue = "#1d1d1b";
+export const filterButtonHoverBorderColourSubtleGreen = "#1d1d1b";
+export const filterButtonHoverBorderColourSubtleRed = "#1d1d1b";
+export const filterButtonHoverBorderColourSubtleYellow = "#000000";
+export const filterButtonHoverBorderColourBoldBlue = "#1d1d1b";
+export const filterButtonHoverBorderColourBoldGreen = "#1d1d1b";
+export const filterButtonHoverBorderColourBoldRed = "#1d1d1b";
+export const filterButtonHoverBorderColourBoldYellow = "#000000";
+export const filterButtonActiveColourNeutralBlue = "#ffffff";
+export const filterButtonActiveColourNeutralGreen = "#ffffff";
+export const filterButtonActiveColourNeutralRed = "#ffffff";
+export const filterButtonActiveColourNeutralYellow = "#ffffff";
+export const filterButtonActiveColourNeutralInverseBlue = "#ffffff";
+export const filterButtonActiveColourNeutralInverseGreen = "#ffffff";
+export const filterButtonActiveColourNeutralInverseRed = "#ffffff";
+export const filterButtonActiveColourNeutralInverseYellow = "#ffffff";
+export const filterButtonActiveColourSubtleBlue = "#ffffff";
+export const filterButtonActiveColourSubtleGreen = "#ffffff";
+export const filterButtonActiveColourSubtleRed = "#ffffff";
+export const filterButtonActiveColourSubtleYellow = "#ffffff";
+export const filterButtonActiveColourBoldBlue = "#1d1d1b";
+export const filterButtonActiveColourBoldGreen = "#1d1d1b";
+export const filterButtonActiveColourBoldRed = "#1d1d1b";
+export const filterButtonActiveColourBoldYellow = "#000000";
+export const filterButtonActiveBackgroundColourNeutralBlue = "#001d6e";
+export const filterButtonActiveBackgroundColourNeutralGreen = "#01312e";
+export const filterButtonActiveBackgroundColourNeutralRed = "#480411";
+export const filterButtonActiveBackgroundColourNeutralYellow = "#572722";
+export const filterButtonActiveBackgroundColourNeutralInverseBlue = "#001d6e";
+export const filterButtonActiveBackgroundColourNeutralInverseGreen = "#01312e";
+export const filterButtonActiveBackgroundColourNeutralInverseRed = "#480411";
+export const filterButtonActiveBackgroundColourNeutralInverseYellow = "#572722";
+export const filterButtonActiveBackgroundColourSubtleBlue = "#001d6e";
+export const filterButtonActiveBackgroundColourSubtleGreen = "#01312e";
+export const filterButtonActiveBackgroundColourSubtleRed = "#480411";
+export const filterButtonActiveBackgroundColourSubtleYellow = "#572722";
+export const filterButtonActiveBackgroundColourBoldBlue = "#ffffff";
+export const filterButtonActiveBackgroundColourBoldGreen = "#ffffff";
+export const filterButtonActiveBackgroundColourBoldRed = "#ffffff";
+export const filterButtonActiveBackgroundColourBoldYellow = "#ffffff";
+export const filterButtonActiveBorderColourNeutralBlue = "#001d6e";
+export const filterButtonActiveBorderColourNeutralGreen = "#01312e";
+export const filterButtonActiveBorderColourNeutralRed = "#480411";
+export const filterButtonActiveBorderColourNeutralYellow = "#572722";
+export const filterButtonActiveBorderColourNeutralInverseBlue = "#001d6e";
+export const filterButtonActiveBorderColourNeutralInverseGreen = "#01312e";
+export const filterButtonActiveBorderColourNeutralInverseRed = "#480411";
+export const filterButtonActiveBorderColourNeutralInverseYellow = "#572722";
+export const filterButtonActiveBorderColourSubtleBlue = "#001d6e";
+export const filterButtonActiveBorderColourSubtleGreen = "#01312e";
+export const filterButtonActiveBorderColourSubtleRed = "#480411";
+export const filterButtonActiveBorderColourSubtleYellow = "#572722";
+export const filterButtonActiveBorderColourBoldBlue = "#ffffff";
+export const filterButtonActiveBorderColourBoldGreen = "#ffffff";
+export const filterButtonActiveBorderColourBoldRed = "#ffffff";
+export const filterButtonActiveBorderColourBoldYellow = "#ffffff";
+export const filterButtonFocusColourNeutralBlue = "#001d6e";
+export const filterButtonFocusColourNeutralGreen = "#01312e";
+export const filterButtonFocusColourNeutralRed = "#480411";
+export const filterButtonFocusColourNeutralYellow = "#572722";
+export const filterButtonFocusColourNeutralInverseBlue = "#001d6e";
+export const filterButtonFocusColourNeutralInverseGreen = "#01312e";
+export const filterButtonFocusColourNeutralInverseRed = "#480411";
+export const filterButtonFocusColourNeutralInverseYellow = "#572722";
+export const filterButtonFocusColourSubtleBlue = "#001d6e";
+export const filterButtonFocusColourSubtleGreen = "#01312e";
+export const filterButtonFocusColourSubtleRed = "#480411";
+export const filterButtonFocusColourSubtleYellow = "#572722";
+export const filterButtonFocusColourBoldBlue = "#1d1d1b";
+export const filterButtonFocusColourBoldGreen = "#1d1d1b";
+export const filterButtonFocusColourBoldRed = "#1d1d1b";
+export const filterButtonFocusColourBoldYellow = "#000000";
+export const filterButtonFocusBackgroundColourNeutralBlue = "#aee1f7";
+export const filterButtonFocusBackgroundColourNeutralGreen = "#caeedd";
+export const filterButtonFocusBackgroundColourNeutralRed = "#ffd5d2";
+export const filterButtonFocusBackgroundColourNeutralYellow = "#fff9c7";
+export const filterButtonFocusBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const filterButtonFocusBackgroundColourNeutralInverseGreen = "#caeedd";
+export const filterButtonFocusBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const filterButtonFocusBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const filterButtonFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const filterButtonFocusBackgroundColourSubtleGreen = "#caeedd";
+export const filterButtonFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const filterButtonFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const filterButtonFocusBackgroundColourBoldBlue = "#42aeea";
+export const filterButtonFocusBackgroundColourBoldGreen = "#43af6e";
+export const filterButtonFocusBackgroundColourBoldRed = "#ff3e51";
+export const filterButtonFocusBackgroundColourBoldYellow = "#ffe969";
+export const filterButtonFocusBorderColourNeutralBlue = "#001d6e";
+export const filterButtonFocusBorderColourNeutralGreen = "#01312e";
+export const filterButtonFocusBorderColourNeutralRed = "#940824";
+export const filterButtonFocusBorderColourNeutralYellow = "#c86426";
+export const filterButtonFocusBorderColourNeutralInverseBlue = "#001d6e";
+export const filterButtonFocusBorderColourNeutralInverseGreen = "#01312e";
+export const filterButtonFocusBorderColourNeutralInverseRed = "#940824";
+export const filterButtonFocusBorderColourNeutralInverseYellow = "#c86426";
+export const filterButtonFocusBorderColourSubtleBlue = "#001d6e";
+export const filterButtonFocusBorderColourSubtleGreen = "#01312e";
+export const filterButtonFocusBorderColourSubtleRed = "#940824";
+export const filterButtonFocusBorderColourSubtleYellow = "#c86426";
+export const filterButtonFocusBorderColourBoldBlue = "#1d1d1b";
+export const filterButtonFocusBorderColourBoldGreen = "#1d1d1b";
+export const filterButtonFocusBorderColourBoldRed = "#1d1d1b";
+export const filterButtonFocusBorderColourBoldYellow = "#000000";
+export const filterButtonBorderRadiusNeutralBlue = 28;
+export const filterButtonBorderRadiusNeutralGreen = 28;
+export const filterButtonBorderRadiusNeutralRed = 28;
+export const filterButtonBorderRadiusNeutralYellow = 28;
+export const filterButtonBorderRadiusNeutralInverseBlue = 28;
+export const filterButtonBorderRadiusNeutralInverseGreen = 28;
+export const filterButtonBorderRadiusNeutralInverseRed = 28;
+export const filterButtonBorderRadiusNeutralInverseYellow = 28;
+export const filterButtonBorderRadiusSubtleBlue = 28;
+export const filterButtonBorderRadiusSubtleGreen = 28;
+export const filterButtonBorderRadiusSubtleRed = 28;
+export const filterButtonBorderRadiusSubtleYellow = 28;
+export const filterButtonBorderRadiusBoldBlue = 28;
+export const filterButtonBorderRadiusBoldGreen = 28;
+export const filterButtonBorderRadiusBoldRed = 28;
+export const filterButtonBorderRadiusBoldYellow = 28;
+export const filterButtonBorderWidthNeutralBlue = 1.5;
+export const filterButtonBorderWidthNeutralGreen = 1.5;
+export const filterButtonBorderWidthNeutralRed = 1.5;
+export const filterButtonBorderWidthNeutralYellow = 1.5;
+export const filterButtonBorderWidthNeutralInverseBlue = 1.5;
+export const filterButtonBorderWidthNeutralInverseGreen = 1.5;
+export const filterButtonBorderWidthNeutralInverseRed = 1.5;
+export const filterButtonBorderWidthNeutralInverseYellow = 1.5;
+export const filterButtonBorderWidthSubtleBlue = 1.5;
+export const filterButtonBorderWidthSubtleGreen = 1.5;
+export const filterButtonBorderWidthSubtleRed = 1.5;
+export const filterButtonBorderWidthSubtleYellow = 1.5;
+export const filterButtonBorderWidthBoldBlue = 1.5;
+export const filterButtonBorderWidthBoldGreen = 1.5;
+export const filterButtonBorderWidthBoldRed = 1.5;
+export const filterButtonBorderWidthBoldYellow = 1.5;
+export const filterButtonBorderWidthFocusNeutralBlue = 3;
+export const filterButtonBorderWidthFocusNeutralGreen = 3;
+export const filterButtonBorderWidthFocusNeutralRed = 3;
+export const filterButtonBorderWidthFocusNeutralYellow = 3;
+export const filterButtonBorderWidthFocusNeutralInverseBlue = 3;
+export const filterButtonBorderWidthFocusNeutralInverseGreen = 3;
+export const filterButtonBorderWidthFocusNeutralInverseRed = 3;
+export const filterButtonBorderWidthFocusNeutralInverseYellow = 3;
+export const filterButtonBorderWidthFocusSubtleBlue = 3;
+export const filterButtonBorderWidthFocusSubtleGreen = 3;
+export const filterButtonBorderWidthFocusSubtleRed = 3;
+export const filterButtonBorderWidthFocusSubtleYellow = 3;
+export const filterButtonBorderWidthFocusBoldBlue = 3;
+export const filterButtonBorderWidthFocusBoldGreen = 3;
+export const filterButtonBorderWidthFocusBoldRed = 3;
+export const filterButtonBorderWidthFocusBoldYellow = 3;
+export const filterButtonMinHeightNeutralBlue = 48;
+export const filterButtonMinHeightNeutralGreen = 48;
+export const filterButtonMinHeightNeutralRed = 48;
+export const filterButtonMinHeightNeutralYellow = 48;
+export const filterButtonMinHeightNeutralInverseBlue = 48;
+export const filterButtonMinHeightNeutralInverseGreen = 48;
+export const filterButtonMinHeightNeutralInverseRed = 48;
+export const filterButtonMinHeightNeutralInverseYellow = 48;
+export const filterButtonMinHeightSubtleBlue = 48;
+export const filterButtonMinHeightSubtleGreen = 48;
+export const filterButtonMinHeightSubtleRed = 48;
+export const filterButtonMinHeightSubtleYellow = 48;
+export const filterButtonMinHeightBoldBlue = 48;
+export const filterButtonMinHeightBoldGreen = 48;
+export const filterButtonMinHeightBoldRed = 48;
+export const filterButtonMinHeightBoldYellow = 48;
+export const filterButtonPaddingXNeutralBlue = 16;
+export const filterButtonPaddingXNeutralGreen = 16;
+export const filterButtonPaddingXNeutralRed = 16;
+export const filterButtonPaddingXNeutralYellow = 16;
+export const filterButtonPaddingXNeutralInverseBlue = 16;
+export const filterButtonPaddingXNeutralInverseGreen = 16;
+export const filterButtonPaddingXNeutralInverseRed = 16;
+export const filterButtonPaddingXNeutralInverseYellow = 16;
+export const filterButtonPaddingXSubtleBlue = 16;
+export const filterButtonPaddingXSubtleGreen = 16;
+export const filterButtonPaddingXSubtleRed = 16;
+export const filterButtonPaddingXSubtleYellow = 16;
+export const filterButtonPaddingXBoldBlue = 16;
+export const filterButtonPaddingXBoldGreen = 16;
+export const filterButtonPaddingXBoldRed = 16;
+export const filterButtonPaddingXBoldYellow = 16;
+export const filterButtonGapNeutralBlue = 8;
+export const filterButtonGapNeutralGreen = 8;
+export const filterButtonGapNeutralRed = 8;
+export const filterButtonGapNeutralYellow = 8;
+export const filterButtonGapNeutralInverseBlue = 8;
+export const filterButtonGapNeutralInverseGreen = 8;
+export const filterButtonGapNeutralInverseRed = 8;
+export const filterButtonGapNeutralInverseYellow = 8;
+export const filterButtonGapSubtleBlue = 8;
+export const filterButtonGapSubtleGreen = 8;
+export const filterButtonGapSubtleRed = 8;
+export const filterButtonGapSubtleYellow = 8;
+export const filterButtonGapBoldBlue = 8;
+export const filterButtonGapBoldGreen = 8;
+export const filterButtonGapBoldRed = 8;
+export const filterButtonGapBoldYellow = 8;
+export const filterButtonDisabledColourNeutralBlue = "#d3d3d3";
+export const filterButtonDisabledColourNeutralGreen = "#d3d3d3";
+export const filterButtonDisabledColourNeutralRed = "#d3d3d3";
+export const filterButtonDisabledColourNeutralYellow = "#d3d3d3";
+export const filterButtonDisabledColourNeutralInverseBlue = "#d3d3d3";
+export const filterButtonDisabledColourNeutralInverseGreen = "#d3d3d3";
+export const filterButtonDisabledColourNeutralInverseRed = "#d3d3d3";
+export const filterButtonDisabledColourNeutralInverseYellow = "#d3d3d3";
+export const filterButtonDisabledColourSubtleBlue = "#76c8f1";
+export const filterButtonDisabledColourSubtleGreen = "#7fce9f";
+export const filterButtonDisabledColourSubtleRed = "#ff7e7e";
+export const filterButtonDisabledColourSubtleYellow = "#ffe969";
+export const filterButtonDisabledColourBoldBlue = "#76c8f1";
+export const filterButtonDisabledColourBoldGreen = "#7fce9f";
+export const filterButtonDisabledColourBoldRed = "#ff7e7e";
+export const filterButtonDisabledColourBoldYellow = "#ffe969";
+export const filterButtonDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourNeutralRed = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const filterButtonDisabledBackgroundColourSubtleBlue = "#d2effb";
+export const filterButtonDisabledBackgroundColourSubtleGreen = "#dff6eb";
+export const filterButtonDisabledBackgroundColourSubtleRed = "#ffd5d2";
+export const filterButtonDisabledBackgroundColourSubtleYellow = "#fffbdc";
+export const filterButtonDisabledBackgroundColourBoldBlue = "#d2effb";
+export const filterButtonDisabledBackgroundColourBoldGreen = "#dff6eb";
+export const filterButtonDisabledBackgroundColourBoldRed = "#ffd5d2";
+export const filterButtonDisabledBackgroundColourBoldYellow = "#fffbdc";
+export const filterButtonDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const filterButtonDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const filterButtonDisabledBorderColourNeutralRed = "#d3d3d3";
+export const filterButtonDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const filterButtonDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const filterButtonDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const filterButtonDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const filterButtonDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const filterButtonDisabledBorderColourSubtleBlue = "#d3d3d3";
+export const filterButtonDisabledBorderColourSubtleGreen = "#d3d3d3";
+export const filterButtonDisabledBorderColourSubtleRed = "#d3d3d3";
+export const filterButtonDisabledBorderColourSubtleYellow = "#d3d3d3";
+export const filterButtonDisabledBorderColourBoldBlue = "#d3d3d3";
+export const filterButtonDisabledBorderColourBoldGreen = "#d3d3d3";
+export const filterButtonDisabledBorderColourBoldRed = "#d3d3d3";
+export const filterButtonDisabledBorderColourBoldYellow = "#d3d3d3";
+export const filterButtonGroupGapNeutralBlue = 16;
+export const filterButtonGroupGapNeutralGreen = 16;
+export const filterButtonGroupGapNeutralRed = 16;
+export const filterButtonGroupGapNeutralYellow = 16;
+export const filterButtonGroupGapNeutralInverseBlue = 16;
+export const filterButtonGroupGapNeutralInverseGreen = 16;
+export const filterButtonGroupGapNeutralInverseRed = 16;
+export const filterButtonGroupGapNeutralInverseYellow = 16;
+export const filterButtonGroupGapSubtleBlue = 16;
+export const filterButtonGroupGapSubtleGreen = 16;
+export const filterButtonGroupGapSubtleRed = 16;
+export const filterButtonGroupGapSubtleYellow = 16;
+export const filterButtonGroupGapBoldBlue = 16;
+export const filterButtonGroupGapBoldGreen = 16;
+export const filterButtonGroupGapBoldRed = 16;
+export const filterButtonGroupGapBoldYellow = 16;
+export const linkMenuBorderColourNeutralBlue = "#d3d3d3";
+export const linkMenuBorderColourNeutralGreen = "#d3d3d3";
+export const linkMenuBorderColourNeutralRed = "#d3d3d3";
+export const linkMenuBorderColourNeutralYellow = "#d3d3d3";
+export const linkMenuBorderColourNeutralInverseBlue = "#d3d3d3";
+export const linkMenuBorderColourNeutralInverseGreen = "#d3d3d3";
+export const linkMenuBorderColourNeutralInverseRed = "#d3d3d3";
+export const linkMenuBorderColourNeutralInverseYellow = "#d3d3d3";
+export const linkMenuBorderColourSubtleBlue = "#001d6e";
+export const linkMenuBorderColourSubtleGreen = "#01312e";
+export const linkMenuBorderColourSubtleRed = "#940824";
+export const linkMenuBorderColourSubtleYellow = "#c86426";
+export const linkMenuBorderColourBoldBlue = "#f4f4f4";
+export const linkMenuBorderColourBoldGreen = "#f4f4f4";
+export const linkMenuBorderColourBoldRed = "#f4f4f4";
+export const linkMenuBorderColourBoldYellow = "#1d1d1b";
+export const linkMenuBorderWidthNeutralBlue = 1;
+export const linkMenuBorderWidthNeutralGreen = 1;
+export const linkMenuBorderWidthNeutralRed = 1;
+export const linkMenuBorderWidthNeutralYellow = 1;
+export const linkMenuBorderWidthNeutralInverseBlue = 1;
+export const linkMenuBorderWidthNeutralInverseGreen = 1;
+export const linkMenuBorderWidthNeutralInverseRed = 1;
+export const linkMenuBorderWidthNeutralInverseYellow = 1;
+export const linkMenuBorderWidthSubtleBlue = 1;
+export const linkMenuBorderWidthSubtleGreen = 1;
+export const linkMenuBorderWidthSubtleRed = 1;
+export const linkMenuBorderWidthSubtleYellow = 1;
+export const linkMenuBorderWidthBoldBlue = 1;
+export const linkMenuBorderWidthBoldGreen = 1;
+export const linkMenuBorderWidthBoldRed = 1;
+export const linkMenuBorderWidthBoldYellow = 1;
+export const linkMenuBorderRadiusNeutralBlue = 16;
+export const linkMenuBorderRadiusNeutralGreen = 16;
+export const linkMenuBorderRadiusNeutralRed = 16;
+export const linkMenuBorderRadiusNeutralYellow = 16;
+export const linkMenuBorderRadiusNeutralInverseBlue = 16;
+export const linkMenuBorderRadiusNeutralInverseGreen = 16;
+export const linkMenuBorderRadiusNeutralInverseRed = 16;
+export const linkMenuBorderRadiusNeutralInverseYellow = 16;
+export const linkMenuBorderRadiusSubtleBlue = 16;
+export const linkMenuBorderRadiusSubtleGreen = 16;
+export const linkMenuBorderRadiusSubtleRed = 16;
+export const linkMenuBorderRadiusSubtleYellow = 16;
+export const linkMenuBorderRadiusBoldBlue = 16;
+export const linkMenuBorderRadiusBoldGreen = 16;
+export const linkMenuBorderRadiusBoldRed = 16;
+export const linkMenuBorderRadiusBoldYellow = 16;
+export const linkMenuItemPaddingTopNeutralBlue = 16;
+export const linkMenuItemPaddingTopNeutralGreen = 16;
+export const linkMenuItemPaddingTopNeutralRed = 16;
+export const linkMenuItemPaddingTopNeutralYellow = 16;
+export const linkMenuItemPaddingTopNeutralInverseBlue = 16;
+export const linkMenuItemPaddingTopNeutralInverseGreen = 16;
+export const linkMenuItemPaddingTopNeutralInverseRed = 16;
+export const linkMenuItemPaddingTopNeutralInverseYellow = 16;
+export const linkMenuItemPaddingTopSubtleBlue = 16;
+export const linkMenuItemPaddingTopSubtleGreen = 16;
+export const linkMenuItemPaddingTopSubtleRed = 16;
+export const linkMenuItemPaddingTopSubtleYellow = 16;
+export const linkMenuItemPaddingTopBoldBlue = 16;
+export const linkMenuItemPaddingTopBoldGreen = 16;
+export const linkMenuItemPaddingTopBoldRed = 16;
+export const linkMenuItemPaddingTopBoldYellow = 16;
+export const linkMenuItemPaddingBottomNeutralBlue = 16;
+export const linkMenuItemPaddingBottomNeutralGreen = 16;
+export const linkMenuItemPaddingBottomNeutralRed = 16;
+export const linkMenuItemPaddingBottomNeutralYellow = 16;
+export const linkMenuItemPaddingBottomNeutralInverseBlue = 16;
+export const linkMenuItemPaddingBottomNeutralInverseGreen = 16;
+export const linkMenuItemPaddingBottomNeutralInverseRed = 16;
+export const linkMenuItemPaddingBottomNeutralInverseYellow = 16;
+export const linkMenuItemPaddingBottomSubtleBlue = 16;
+export const linkMenuItemPaddingBottomSubtleGreen = 16;
+export const linkMenuItemPaddingBottomSubtleRed = 16;
+export const linkMenuItemPaddingBottomSubtleYellow = 16;
+export const linkMenuItemPaddingBottomBoldBlue = 16;
+export const linkMenuItemPaddingBottomBoldGreen = 16;
+export const linkMenuItemPaddingBottomBoldRed = 16;
+export const linkMenuItemPaddingBottomBoldYellow = 16;
+export const linkMenuItemPaddingLeftNeutralBlue = 16;
+export const linkMenuItemPaddingLeftNeutralGreen = 16;
+export const linkMenuItemPaddingLeftNeutralRed = 16;
+export const linkMenuItemPaddingLeftNeutralYellow = 16;
+export const linkMenuItemPaddingLeftNeutralInverseBlue = 16;
+export const linkMenuItemPaddingLeftNeutralInverseGreen = 16;
+export const linkMenuItemPaddingLeftNeutralInverseRed = 16;
+export const linkMenuItemPaddingLeftNeutralInverseYellow = 16;
+export const linkMenuItemPaddingLeftSubtleBlue = 16;
+export const linkMenuItemPaddingLeftSubtleGreen = 16;
+export const linkMenuItemPaddingLeftSubtleRed = 16;
+export const linkMenuItemPaddingLeftSubtleYellow = 16;
+export const linkMenuItemPaddingLeftBoldBlue = 16;
+export const linkMenuItemPaddingLeftBoldGreen = 16;
+export const linkMenuItemPaddingLeftBoldRed = 16;
+export const linkMenuItemPaddingLeftBoldYellow = 16;
+export const linkMenuItemPaddingRightNeutralBlue = 8;
+export const linkMenuItemPaddingRightNeutralGreen = 8;
+export const linkMenuItemPaddingRightNeutralRed = 8;
+export const linkMenuItemPaddingRightNeutralYellow = 8;
+export const linkMenuItemPaddingRightNeutralInverseBlue = 8;
+export const linkMenuItemPaddingRightNeutralInverseGreen = 8;
+export const linkMenuItemPaddingRightNeutralInverseRed = 8;
+export const linkMenuItemPaddingRightNeutralInverseYellow = 8;
+export const linkMenuItemPaddingRightSubtleBlue = 8;
+export const linkMenuItemPaddingRightSubtleGreen = 8;
+export const linkMenuItemPaddingRightSubtleRed = 8;
+export const linkMenuItemPaddingRightSubtleYellow = 8;
+export const linkMenuItemPaddingRightBoldBlue = 8;
+export const linkMenuItemPaddingRightBoldGreen = 8;
+export const linkMenuItemPaddingRightBoldRed = 8;
+export const linkMenuItemPaddingRightBoldYellow = 8;
+export const linkMenuItemGapNeutralBlue = 12;
+export const linkMenuItemGapNeutralGreen = 12;
+export const linkMenuItemGapNeutralRed = 12;
+export const linkMenuItemGapNeutralYellow = 12;
+export const linkMenuItemGapNeutralInverseBlue = 12;
+export const linkMenuItemGapNeutralInverseGreen = 12;
+export const linkMenuItemGapNeutralInverseRed = 12;
+export const linkMenuItemGapNeutralInverseYellow = 12;
+export const linkMenuItemGapSubtleBlue = 12;
+export const linkMenuItemGapSubtleGreen = 12;
+export const linkMenuItemGapSubtleRed = 12;
+export const linkMenuItemGapSubtleYellow = 12;
+export const linkMenuItemGapBoldBlue = 12;
+export const linkMenuItemGapBoldGreen = 12;
+export const linkMenuItemGapBoldRed = 12;
+export const linkMenuItemGapBoldYellow = 12;
+export const linkMenuItemRestBorderColourNeutralBlue = "#d3d3d3";
+export const linkMenuItemRestBorderColourNeutralGreen = "#d3d3d3";
+export const linkMenuItemRestBorderColourNeutralRed = "#d3d3d3";
+export const linkMenuItemRestBorderColourNeutralYellow = "#d3d3d3";
+export const linkMenuItemRestBorderColourNeutralInverseBlue = "#d3d3d3";
+export const linkMenuItemRestBorderColourNeutralInverseGreen = "#d3d3d3";
+export const linkMenuItemRestBorderColourNeutralInverseRed = "#d3d3d3";
+export const linkMenuItemRestBorderColourNeutralInverseYellow = "#d3d3d3";
+export const linkMenuItemRestBorderColourSubtleBlue = "#001d6e";
+export const linkMenuItemRestBorderColourSubtleGreen = "#01312e";
+export const linkMenuItemRestBorderColourSubtleRed = "#940824";
+export const linkMenuItemRestBorderColourSubtleYellow = "#c86426";
+export const linkMenuItemRestBorderColourBoldBlue = "#f4f4f4";
+export const linkMenuItemRestBorderColourBoldGreen = "#f4f4f4";
+export const linkMenuItemRestBorderColourBoldRed = "#f4f4f4";
+export const linkMenuItemRestBorderColourBoldYellow = "#1d1d1b";
+export const linkMenuItemRestBorderWidthBottomNeutralBlue = 1;
+export const linkMenuItemRestBorderWidthBottomNeutralGreen = 1;
+export const linkMenuItemRestBorderWidthBottomNeutralRed = 1;
+export const linkMenuItemRestBorderWidthBottomNeutralYellow = 1;
+export const linkMenuItemRestBorderWidthBottomNeutralInverseBlue = 1;
+export const linkMenuItemRestBorderWidthBottomNeutralInverseGreen = 1;
+export const linkMenuItemRestBorderWidthBottomNeutralInverseRed = 1;
+export const linkMenuItemRestBorderWidthBottomNeutralInverseYellow = 1;
+export const linkMenuItemRestBorderWidthBottomSubtleBlue = 1;
+export const linkMenuItemRestBorderWidthBottomSubtleGreen = 1;
+export const linkMenuItemRestBorderWidthBottomSubtleRed = 1;
+export const linkMenuItemRestBorderWidthBottomSubtleYellow = 1;
+export const linkMenuItemRestBorderWidthBottomBoldBlue = 1;
+export const linkMenuItemRestBorderWidthBottomBoldGreen = 1;
+export const linkMenuItemRestBorderWidthBottomBoldRed = 1;
+export const linkMenuItemRestBorderWidthBottomBoldYellow = 1;
+export const linkMenuItemRestColourNeutralBlue = "#1d1d1b";
+export const linkMenuItemRestColourNeutralGreen = "#1d1d1b";
+export const linkMenuItemRestColourNeutralRed = "#1d1d1b";
+export const linkMenuItemRestColourNeutralYellow = "#000000";
+export const linkMenuItemRestColourNeutralInverseBlue = "#1d1d1b";
+export const linkMenuItemRestColourNeutralInverseGreen = "#1d1d1b";
+export const linkMenuItemRestColourNeutralInverseRed = "#1d1d1b";
+export const linkMenuItemRestColourNeutralInverseYellow = "#000000";
+export const linkMenuItemRestColourSubtleBlue = "#1d1d1b";
+export const linkMenuItemRestColourSubtleGreen = "#1d1d1b";
+export const linkMenuItemRestColourSubtleRed = "#1d1d1b";
+export const linkMenuItemRestColourSubtleYellow = "#000000";
+export const linkMenuItemRestColourBoldBlue = "#ffffff";
+export const linkMenuItemRestColourBoldGreen = "#ffffff";
+export const linkMenuItemRestColourBoldRed = "#ffffff";
+export const linkMenuItemRestColourBoldYellow = "#1d1d1b";
+export const linkMenuItemRestColourMutedNeutralBlue = "#4d4f4f";
+export const linkMenuItemRestColourMutedNeutralGreen = "#4d4f4f";
+export const linkMenuItemRestColourMutedNeutralRed = "#4d4f4f";
+export const linkMenuItemRestColourMutedNeutralYellow = "#4d4f4f";
+export const linkMenuItemRestColourMutedNeutralInverseBlue = "#4d4f4f";
+export const linkMenuItemRestColourMutedNeutralInverseGreen = "#4d4f4f";
+export const linkMenuItemRestColourMutedNeutralInverseRed = "#4d4f4f";
+export const linkMenuItemRestColourMutedNeutralInverseYellow = "#4d4f4f";
+export const linkMenuItemRestColourMutedSubtleBlue = "#1d1d1b";
+export const linkMenuItemRestColourMutedSubtleGreen = "#1d1d1b";
+export const linkMenuItemRestColourMutedSubtleRed = "#1d1d1b";
+export const linkMenuItemRestColourMutedSubtleYellow = "#000000";
+export const linkMenuItemRestColourMutedBoldBlue = "#ffffff";
+export const linkMenuItemRestColourMutedBoldGreen = "#ffffff";
+export const linkMenuItemRestColourMutedBoldRed = "#ffffff";
+export const linkMenuItemRestColourMutedBoldYellow = "#1d1d1b";
+export const linkMenuItemHoverBackgroundColourNeutralBlue = "#aee1f7";
+export const linkMenuItemHoverBackgroundColourNeutralGreen = "#caeedd";
+export const linkMenuItemHoverBackgroundColourNeutralRed = "#ffd5d2";
+export const linkMenuItemHoverBackgroundColourNeutralYellow = "#fff9c7";
+export const linkMenuItemHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const linkMenuItemHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+export const linkMenuItemHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const linkMenuItemHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const linkMenuItemHoverBackgroundColourSubtleBlue = "#42aeea";
+export const linkMenuItemHoverBackgroundColourSubtleGreen = "#43af6e";
+export const linkMenuItemHoverBackgroundColourSubtleRed = "#ff3e51";
+export const linkMenuItemHoverBackgroundColourSubtleYellow = "#ffe969";
+export const linkMenuItemHoverBackgroundColourBoldBlue = "#aee1f7";
+export const linkMenuItemHoverBackgroundColourBoldGreen = "#caeedd";
+export const linkMenuItemHoverBackgroundColourBoldRed = "#ffd5d2";
+export const linkMenuItemHoverBackgroundColourBoldYellow = "#fff9c7";
+export const linkMenuItemHoverBorderColourNeutralBlue = "#001d6e";
+export const linkMenuItemHoverBorderColourNeutralGreen = "#01312e";
+export const linkMenuItemHoverBorderColourNeutralRed = "#480411";
+export const linkMenuItemHoverBorderColourNeutralYellow = "#572722";
+export const linkMenuItemHoverBorderColourNeutralInverseBlue = "#001d6e";
+export const linkMenuItemHoverBorderColourNeutralInverseGreen = "#01312e";
+export const linkMenuItemHoverBorderColourNeutralInverseRed = "#480411";
+export const linkMenuItemHoverBorderColourNeutralInverseYellow = "#572722";
+export const linkMenuItemHoverBorderColourSubtleBlue = "#001d6e";
+export const linkMenuItemHoverBorderColourSubtleGreen = "#01312e";
+export const linkMenuItemHoverBorderColourSubtleRed = "#480411";
+export const linkMenuItemHoverBorderColourSubtleYellow = "#572722";
+export const linkMenuItemHoverBorderColourBoldBlue = "#001d6e";
+export const linkMenuItemHoverBorderColourBoldGreen = "#01312e";
+export const linkMenuItemHoverBorderColourBoldRed = "#480411";
+export const linkMenuItemHoverBorderColourBoldYellow = "#572722";
+export const linkMenuItemHoverBorderWidthBottomNeutralBlue = 3;
+export const linkMenuItemHoverBorderWidthBottomNeutralGreen = 3;
+export const linkMenuItemHoverBorderWidthBottomNeutralRed = 3;
+export const linkMenuItemHoverBorderWidthBottomNeutralYellow = 3;
+export const linkMenuItemHoverBorderWidthBottomNeutralInverseBlue = 3;
+export const linkMenuItemHoverBorderWidthBottomNeutralInverseGreen = 3;
+export const linkMenuItemHoverBorderWidthBottomNeutralInverseRed = 3;
+export const linkMenuItemHoverBorderWidthBottomNeutralInverseYellow = 3;
+export const linkMenuItemHoverBorderWidthBottomSubtleBlue = 3;
+export const linkMenuItemHoverBorderWidthBottomSubtleGreen = 3;
+export const linkMenuItemHoverBorderWidthBottomSubtleRed = 3;
+export const linkMenuItemHoverBorderWidthBottomSubtleYellow = 3;
+export const linkMenuItemHoverBorderWidthBottomBoldBlue = 3;
+export const linkMenuItemHoverBorderWidthBottomBoldGreen = 3;
+export const linkMenuItemHoverBorderWidthBottomBoldRed = 3;
+export const linkMenuItemHoverBorderWidthBottomBoldYellow = 3;
+export const linkMenuItemHoverColourNeutralBlue = "#1d1d1b";
+export const linkMenuItemHoverColourNeutralGreen = "#1d1d1b";
+export const linkMenuItemHoverColourNeutralRed = "#1d1d1b";
+export const linkMenuItemHoverColourNeutralYellow = "#000000";
+export const linkMenuItemHoverColourNeutralInverseBlue = "#1d1d1b";
+export const linkMenuItemHoverColourNeutralInverseGreen = "#1d1d1b";
+export const linkMenuItemHoverColourNeutralInverseRed = "#1d1d1b";
+export const linkMenuItemHoverColourNeutralInverseYellow = "#000000";
+export const linkMenuItemHoverColourSubtleBlue = "#1d1d1b";
+export const linkMenuItemHoverColourSubtleGreen = "#1d1d1b";
+export const linkMenuItemHoverColourSubtleRed = "#1d1d1b";
+export const linkMenuItemHoverColourSubtleYellow = "#000000";
+export const linkMenuItemHoverColourBoldBlue = "#1d1d1b";
+export const linkMenuItemHoverColourBoldGreen = "#1d1d1b";
+export const linkMenuItemHoverColourBoldRed = "#1d1d1b";
+export const linkMenuItemHoverColourBoldYellow = "#000000";
+export const linkMenuItemHoverColourMutedNeutralBlue = "#1d1d1b";
+export const linkMenuItemHoverColourMutedNeutralGreen = "#1d1d1b";
+export const linkMenuItemHoverColourMutedNeutralRed = "#1d1d1b";
+export const linkMenuItemHoverColourMutedNeutralYellow = "#000000";
+export const linkMenuItemHoverColourMutedNeutralInverseBlue = "#1d1d1b";
+export const linkMenuItemHoverColourMutedNeutralInverseGreen = "#1d1d1b";
+export const linkMenuItemHoverColourMutedNeutralInverseRed = "#1d1d1b";
+export const linkMenuItemHoverColourMutedNeutralInverseYellow = "#000000";
+export const linkMenuItemHoverColourMutedSubtleBlue = "#1d1d1b";
+export const linkMenuItemHoverColourMutedSubtleGreen = "#1d1d1b";
+export const linkMenuItemHoverColourMutedSubtleRed = "#1d1d1b";
+export const linkMenuItemHoverColourMutedSubtleYellow = "#000000";
+export const linkMenuItemHoverColourMutedBoldBlue = "#1d1d1b";
+export const linkMenuItemHoverColourMutedBoldGreen = "#1d1d1b";
+export const linkMenuItemHoverColourMutedBoldRed = "#1d1d1b";
+export const linkMenuItemHoverColourMutedBoldYellow = "#000000";
+export const linkMenuItemHoverPaddingRightNeutralBlue = 8;
+export const linkMenuItemHoverPaddingRightNeutralGreen = 8;
+export const linkMenuItemHoverPaddingRightNeutralRed = 8;
+export const linkMenuItemHoverPaddingRightNeutralYellow = 8;
+export const linkMenuItemHoverPaddingRightNeutralInverseBlue = 8;
+export const linkMenuItemHoverPaddingRightNeutralInverseGreen = 8;
+export const linkMenuItemHoverPaddingRightNeutralInverseRed = 8;
+export const linkMenuItemHoverPaddingRightNeutralInverseYellow = 8;
+export const linkMenuItemHoverPaddingRightSubtleBlue = 8;
+export const linkMenuItemHoverPaddingRightSubtleGreen = 8;
+export const linkMenuItemHoverPaddingRightSubtleRed = 8;
+export const linkMenuItemHoverPaddingRightSubtleYellow = 8;
+export const linkMenuItemHoverPaddingRightBoldBlue = 8;
+export const linkMenuItemHoverPaddingRightBoldGreen = 8;
+export const linkMenuItemHoverPaddingRightBoldRed = 8;
+export const linkMenuItemHoverPaddingRightBoldYellow = 8;
+export const linkMenuItemActiveBackgroundColourNeutralBlue = "#005dba";
+export const linkMenuItemActiveBackgroundColourNeutralGreen = "#00633d";
+export const linkMenuItemActiveBackgroundColourNeutralRed = "#c50b30";
+export const linkMenuItemActiveBackgroundColourNeutralYellow = "#ffb600";
+export const linkMenuItemActiveBackgroundColourNeutralInverseBlue = "#005dba";
+export const linkMenuItemActiveBackgroundColourNeutralInverseGreen = "#00633d";
+export const linkMenuItemActiveBackgroundColourNeutralInverseRed = "#c50b30";
+export const linkMenuItemActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+export const linkMenuItemActiveBackgroundColourSubtleBlue = "#005dba";
+export const linkMenuItemActiveBackgroundColourSubtleGreen = "#00633d";
+export const linkMenuItemActiveBackgroundColourSubtleRed = "#c50b30";
+export const linkMenuItemActiveBackgroundColourSubtleYellow = "#ffb600";
+export const linkMenuItemActiveBackgroundColourBoldBlue = "#ffffff";
+export const linkMenuItemActiveBackgroundColourBoldGreen = "#ffffff";
+export const linkMenuItemActiveBackgroundColourBoldRed = "#ffffff";
+export const linkMenuItemActiveBackgroundColourBoldYellow = "#ffffff";
+export const linkMenuItemActiveBorderWidthBottomNeutralBlue = 1;
+export const linkMenuItemActiveBorderWidthBottomNeutralGreen = 1;
+export const linkMenuItemActiveBorderWidthBottomNeutralRed = 1;
+export const linkMenuItemActiveBorderWidthBottomNeutralYellow = 1;
+export const linkMenuItemActiveBorderWidthBottomNeutralInverseBlue = 1;
+export const linkMenuItemActiveBorderWidthBottomNeutralInverseGreen = 1;
+export const linkMenuItemActiveBorderWidthBottomNeutralInverseRed = 1;
+export const linkMenuItemActiveBorderWidthBottomNeutralInverseYellow = 1;
+export const linkMenuItemActiveBorderWidthBottomSubtleBlue = 1;
+export const linkMenuItemActiveBorderWidthBottomSubtleGreen = 1;
+export const linkMenuItemActiveBorderWidthBottomSubtleRed = 1;
+export const linkMenuItemActiveBorderWidthBottomSubtleYellow = 1;
+export const linkMenuItemActiveBorderWidthBottomBoldBlue = 1;
+export const linkMenuItemActiveBorderWidthBottomBoldGreen = 1;
+export const linkMenuItemActiveBorderWidthBottomBoldRed = 1;
+export const linkMenuItemActiveBorderWidthBottomBoldYellow = 1;
+export const linkMenuItemActiveBorderColourNeutralBlue = "#ffffff";
+export const linkMenuItemActiveBorderColourNeutralGreen = "#ffffff";
+export const linkMenuItemActiveBorderColourNeutralRed = "#ffffff";
+export const linkMenuItemActiveBorderColourNeutralYellow = "#1d1d1b";
+export const linkMenuItemActiveBorderColourNeutralInverseBlue = "#ffffff";
+export const linkMenuItemActiveBorderColourNeutralInverseGreen = "#ffffff";
+export const linkMenuItemActiveBorderColourNeutralInverseRed = "#ffffff";
+export const linkMenuItemActiveBorderColourNeutralInverseYellow = "#1d1d1b";
+export const linkMenuItemActiveBorderColourSubtleBlue = "#ffffff";
+export const linkMenuItemActiveBorderColourSubtleGreen = "#ffffff";
+export const linkMenuItemActiveBorderColourSubtleRed = "#ffffff";
+export const linkMenuItemActiveBorderColourSubtleYellow = "#1d1d1b";
+export const linkMenuItemActiveBorderColourBoldBlue = "#1d1d1b";
+export const linkMenuItemActiveBorderColourBoldGreen = "#1d1d1b";
+export const linkMenuItemActiveBorderColourBoldRed = "#1d1d1b";
+export const linkMenuItemActiveBorderColourBoldYellow = "#000000";
+export const linkMenuItemActiveColourNeutralBlue = "#ffffff";
+export const linkMenuItemActiveColourNeutralGreen = "#ffffff";
+export const linkMenuItemActiveColourNeutralRed = "#ffffff";
+export const linkMenuItemActiveColourNeutralYellow = "#1d1d1b";
+export const linkMenuItemActiveColourNeutralInverseBlue = "#ffffff";
+export const linkMenuItemActiveColourNeutralInverseGreen = "#ffffff";
+export const linkMenuItemActiveColourNeutralInverseRed = "#ffffff";
+export const linkMenuItemActiveColourNeutralInverseYellow = "#1d1d1b";
+export const linkMenuItemActiveColourSubtleBlue = "#ffffff";
+export const linkMenuItemActiveColourSubtleGreen = "#ffffff";
+export const linkMenuItemActiveColourSubtleRed = "#ffffff";
+export const linkMenuItemActiveColourSubtleYellow = "#1d1d1b";
+export const linkMenuItemActiveColourBoldBlue = "#1d1d1b";
+export const linkMenuItemActiveColourBoldGreen = "#1d1d1b";
+export const linkMenuItemActiveColourBoldRed = "#1d1d1b";
+export const linkMenuItemActiveColourBoldYellow = "#000000";
+export const linkMenuItemActiveColourMutedNeutralBlue = "#ffffff";
+export const linkMenuItemActiveColourMutedNeutralGreen = "#ffffff";
+export const linkMenuItemActiveColourMutedNeutralRed = "#ffffff";
+export const linkMenuItemActiveColourMutedNeutralYellow = "#1d1d1b";
+export const linkMenuItemActiveColourMutedNeutralInverseBlue = "#ffffff";
+export const linkMenuItemActiveColourMutedNeutralInverseGreen = "#ffffff";
+export const linkMenuItemActiveColourMutedNeutralInverseRed = "#ffffff";
+export const linkMenuItemActiveColourMutedNeutralInverseYellow = "#1d1d1b";
+export const linkMenuItemActiveColourMutedSubtleBlue = "#ffffff";
+export const linkMenuItemActiveColourMutedSubtleGreen = "#ffffff";
+export const linkMenuItemActiveColourMutedSubtleRed = "#ffffff";
+export const linkMenuItemActiveColourMutedSubtleYellow = "#1d1d1b";
+export const linkMenuItemActiveColourMutedBoldBlue = "#4d4f4f";
+export const linkMenuItemActiveColourMutedBoldGreen = "#4d4f4f";
+export const linkMenuItemActiveColourMutedBoldRed = "#4d4f4f";
+export const linkMenuItemActiveColourMutedBoldYellow = "#4d4f4f";
+export const linkMenuItemFocusBorderColourNeutralBlue = "#1d1d1b";
+export const linkMenuItemFocusBorderColourNeutralGreen = "#1d1d1b";
+export const linkMenuItemFocusBorderColourNeutralRed = "#1d1d1b";
+export const linkMenuItemFocusBorderColourNeutralYellow = "#000000";
+export const linkMenuItemFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const linkMenuItemFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const linkMenuItemFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const linkMenuItemFocusBorderColourNeutralInverseYellow = "#000000";
+export const linkMenuItemFocusBorderColourSubtleBlue = "#1d1d1b";
+export const linkMenuItemFocusBorderColourSubtleGreen = "#1d1d1b";
+export const linkMenuItemFocusBorderColourSubtleRed = "#1d1d1b";
+export const linkMenuItemFocusBorderColourSubtleYellow = "#000000";
+export const linkMenuItemFocusBorderColourBoldBlue = "#ffffff";
+export const linkMenuItemFocusBorderColourBoldGreen = "#ffffff";
+export const linkMenuItemFocusBorderColourBoldRed = "#ffffff";
+export const linkMenuItemFocusBorderColourBoldYellow = "#1d1d1b";
+export const linkMenuItemFocusBorderWidthNeutralBlue = 3;
+export const linkMenuItemFocusBorderWidthNeutralGreen = 3;
+export const linkMenuItemFocusBorderWidthNeutralRed = 3;
+export const linkMenuItemFocusBorderWidthNeutralYellow = 3;
+export const linkMenuItemFocusBorderWidthNeutralInverseBlue = 3;
+export const linkMenuItemFocusBorderWidthNeutralInverseGreen = 3;
+export const linkMenuItemFocusBorderWidthNeutralInverseRed = 3;
+export const linkMenuItemFocusBorderWidthNeutralInverseYellow = 3;
+export const linkMenuItemFocusBorderWidthSubtleBlue = 3;
+export const linkMenuItemFocusBorderWidthSubtleGreen = 3;
+export const linkMenuItemFocusBorderWidthSubtleRed = 3;
+export const linkMenuItemFocusBorderWidthSubtleYellow = 3;
+export const linkMenuItemFocusBorderWidthBoldBlue = 3;
+export const linkMenuItemFocusBorderWidthBoldGreen = 3;
+export const linkMenuItemFocusBorderWidthBoldRed = 3;
+export const linkMenuItemFocusBorderWidthBoldYellow = 3;
+export const linkMenuItemFocusColourNeutralBlue = "#1d1d1b";
+export const linkMenuItemFocusColourNeutralGreen = "#1d1d1b";
+export const linkMenuItemFocusColourNeutralRed = "#1d1d1b";
+export const linkMenuItemFocusColourNeutralYellow = "#000000";
+export const linkMenuItemFocusColourNeutralInverseBlue = "#1d1d1b";
+export const linkMenuItemFocusColourNeutralInverseGreen = "#1d1d1b";
+export const linkMenuItemFocusColourNeutralInverseRed = "#1d1d1b";
+export const linkMenuItemFocusColourNeutralInverseYellow = "#000000";
+export const linkMenuItemFocusColourSubtleBlue = "#1d1d1b";
+export const linkMenuItemFocusColourSubtleGreen = "#1d1d1b";
+export const linkMenuItemFocusColourSubtleRed = "#1d1d1b";
+export const linkMenuItemFocusColourSubtleYellow = "#000000";
+export const linkMenuItemFocusColourBoldBlue = "#ffffff";
+export const linkMenuItemFocusColourBoldGreen = "#ffffff";
+export const linkMenuItemFocusColourBoldRed = "#ffffff";
+export const linkMenuItemFocusColourBoldYellow = "#1d1d1b";
+export const linkMenuItemFocusColourMutedNeutralBlue = "#1d1d1b";
+export const linkMenuItemFocusColourMutedNeutralGreen = "#1d1d1b";
+export const linkMenuItemFocusColourMutedNeutralRed = "#1d1d1b";
+export const linkMenuItemFocusColourMutedNeutralYellow = "#000000";
+export const linkMenuItemFocusColourMutedNeutralInverseBlue = "#1d1d1b";
+export const linkMenuItemFocusColourMutedNeutralInverseGreen = "#1d1d1b";
+export const linkMenuItemFocusColourMutedNeutralInverseRed = "#1d1d1b";
+export const linkMenuItemFocusColourMutedNeutralInverseYellow = "#000000";
+export const linkMenuItemFocusColourMutedSubtleBlue = "#1d1d1b";
+export const linkMenuItemFocusColourMutedSubtleGreen = "#1d1d1b";
+export const linkMenuItemFocusColourMutedSubtleRed = "#1d1d1b";
+export const linkMenuItemFocusColourMutedSubtleYellow = "#000000";
+export const linkMenuItemFocusColourMutedBoldBlue = "#ffffff";
+export const linkMenuItemFocusColourMutedBoldGreen = "#ffffff";
+export const linkMenuItemFocusColourMutedBoldRed = "#ffffff";
+export const linkMenuItemFocusColourMutedBoldYellow = "#1d1d1b";
+export const formFieldGapNeutralBlue = 16;
+export const formFieldGapNeutralGreen = 16;
+export const formFieldGapNeutralRed = 16;
+export const formFieldGapNeutralYellow = 16;
+export const formFieldGapNeutralInverseBlue = 16;
+export const formFieldGapNeutralInverseGreen = 16;
+export const formFieldGapNeutralInverseRed = 16;
+export const formFieldGapNeutralInverseYellow = 16;
+export const formFieldGapSubtleBlue = 16;
+export const formFieldGapSubtleGreen = 16;
+export const formFieldGapSubtleRed = 16;
+export const formFieldGapSubtleYellow = 16;
+export const formFieldGapBoldBlue = 16;
+export const formFieldGapBoldGreen = 16;
+export const formFieldGapBoldRed = 16;
+export const formFieldGapBoldYellow = 16;
+export const labelAndHintGapNeutralBlue = 4;
+export const labelAndHintGapNeutralGreen = 4;
+export const labelAndHintGapNeutralRed = 4;
+export const labelAndHintGapNeutralYellow = 4;
+export const labelAndHintGapNeutralInverseBlue = 4;
+export const labelAndHintGapNeutralInverseGreen = 4;
+export const labelAndHintGapNeutralInverseRed = 4;
+export const labelAndHintGapNeutralInverseYellow = 4;
+export const labelAndHintGapSubtleBlue = 4;
+export const labelAndHintGapSubtleGreen = 4;
+export const labelAndHintGapSubtleRed = 4;
+export const labelAndHintGapSubtleYellow = 4;
+export const labelAndHintGapBoldBlue = 4;
+export const labelAndHintGapBoldGreen = 4;
+export const labelAndHintGapBoldRed = 4;
+export const labelAndHintGapBoldYellow = 4;
+export const labelAndHintLabelColourNeutralBlue = "#1d1d1b";
+export const labelAndHintLabelColourNeutralGreen = "#1d1d1b";
+export const labelAndHintLabelColourNeutralRed = "#1d1d1b";
+export const labelAndHintLabelColourNeutralYellow = "#1d1d1b";
+export const labelAndHintLabelColourNeutralInverseBlue = "#1d1d1b";
+export const labelAndHintLabelColourNeutralInverseGreen = "#1d1d1b";
+export const labelAndHintLabelColourNeutralInverseRed = "#1d1d1b";
+export const labelAndHintLabelColourNeutralInverseYellow = "#1d1d1b";
+export const labelAndHintLabelColourSubtleBlue = "#1d1d1b";
+export const labelAndHintLabelColourSubtleGreen = "#1d1d1b";
+export const labelAndHintLabelColourSubtleRed = "#1d1d1b";
+export const labelAndHintLabelColourSubtleYellow = "#1d1d1b";
+export const labelAndHintLabelColourBoldBlue = "#ffffff";
+export const labelAndHintLabelColourBoldGreen = "#ffffff";
+export const labelAndHintLabelColourBoldRed = "#ffffff";
+export const labelAndHintLabelColourBoldYellow = "#1d1d1b";
+export const labelAndHintHintColourNeutralBlue = "#4d4f4f";
+export const labelAndHintHintColourNeutralGreen = "#4d4f4f";
+export const labelAndHintHintColourNeutralRed = "#4d4f4f";
+export const labelAndHintHintColourNeutralYellow = "#4d4f4f";
+export const labelAndHintHintColourNeutralInverseBlue = "#4d4f4f";
+export const labelAndHintHintColourNeutralInverseGreen = "#4d4f4f";
+export const labelAndHintHintColourNeutralInverseRed = "#4d4f4f";
+export const labelAndHintHintColourNeutralInverseYellow = "#4d4f4f";
+export const labelAndHintHintColourSubtleBlue = "#1d1d1b";
+export const labelAndHintHintColourSubtleGreen = "#1d1d1b";
+export const labelAndHintHintColourSubtleRed = "#1d1d1b";
+export const labelAndHintHintColourSubtleYellow = "#000000";
+export const labelAndHintHintColourBoldBlue = "#ffffff";
+export const labelAndHintHintColourBoldGreen = "#ffffff";
+export const labelAndHintHintColourBoldRed = "#ffffff";
+export const labelAndHintHintColourBoldYellow = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourNeutralInfo = "#001d6e";
+export const labelAndHintStatusValidationMessageColourNeutralSuccess = "#014a39";
+export const labelAndHintStatusValidationMessageColourNeutralWarning = "#904029";
+export const labelAndHintStatusValidationMessageColourNeutralError = "#940824";
+export const labelAndHintStatusValidationMessageColourNeutralGeneric = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourNeutralInverseInfo = "#001d6e";
+export const labelAndHintStatusValidationMessageColourNeutralInverseSuccess = "#014a39";
+export const labelAndHintStatusValidationMessageColourNeutralInverseWarning = "#904029";
+export const labelAndHintStatusValidationMessageColourNeutralInverseError = "#940824";
+export const labelAndHintStatusValidationMessageColourNeutralInverseGeneric = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourSubtleInfo = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourSubtleSuccess = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourSubtleWarning = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourSubtleError = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourSubtleGeneric = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourBoldInfo = "#ffffff";
+export const labelAndHintStatusValidationMessageColourBoldSuccess = "#ffffff";
+export const labelAndHintStatusValidationMessageColourBoldWarning = "#1d1d1b";
+export const labelAndHintStatusValidationMessageColourBoldError = "#ffffff";
+export const labelAndHintStatusValidationMessageColourBoldGeneric = "#ffffff";
+export const textInputCommonBorderRadiusNeutralBlue = 12;
+export const textInputCommonBorderRadiusNeutralGreen = 12;
+export const textInputCommonBorderRadiusNeutralRed = 12;
+export const textInputCommonBorderRadiusNeutralYellow = 12;
+export const textInputCommonBorderRadiusNeutralInverseBlue = 12;
+export const textInputCommonBorderRadiusNeutralInverseGreen = 12;
+export const textInputCommonBorderRadiusNeutralInverseRed = 12;
+export const textInputCommonBorderRadiusNeutralInverseYellow = 12;
+export const textInputCommonBorderRadiusSubtleBlue = 12;
+export const textInputCommonBorderRadiusSubtleGreen = 12;
+export const textInputCommonBorderRadiusSubtleRed = 12;
+export const textInputCommonBorderRadiusSubtleYellow = 12;
+export const textInputCommonBorderRadiusBoldBlue = 12;
+export const textInputCommonBorderRadiusBoldGreen = 12;
+export const textInputCommonBorderRadiusBoldRed = 12;
+export const textInputCommonBorderRadiusBoldYellow = 12;
+export const textInputCommonHeightNeutralBlue = 48;
+export const textInputCommonHeightNeutralGreen = 48;
+export const textInputCommonHeightNeutralRed = 48;
+export const textInputCommonHeightNeutralYellow = 48;
+export const textInputCommonHeightNeutralInverseBlue = 48;
+export const textInputCommonHeightNeutralInverseGreen = 48;
+export const textInputCommonHeightNeutralInverseRed = 48;
+export const textInputCommonHeightNeutralInverseYellow = 48;
+export const textInputCommonHeightSubtleBlue = 48;
+export const textInputCommonHeightSubtleGreen = 48;
+export const textInputCommonHeightSubtleRed = 48;
+export const textInputCommonHeightSubtleYellow = 48;
+export const textInputCommonHeightBoldBlue = 48;
+export const textInputCommonHeightBoldGreen = 48;
+export const textInputCommonHeightBoldRed = 48;
+export const textInputCommonHeightBoldYellow = 48;
+export const textInputCommonPaddingXNeutralBlue = 16;
+export const textInputCommonPaddingXNeutralGreen = 16;
+export const textInputCommonPaddingXNeutralRed = 16;
+export const textInputCommonPaddingXNeutralYellow = 16;
+export const textInputCommonPaddingXNeutralInverseBlue = 16;
+export const textInputCommonPaddingXNeutralInverseGreen = 16;
+export const textInputCommonPaddingXNeutralInverseRed = 16;
+export const textInputCommonPaddingXNeutralInverseYellow = 16;
+export const textInputCommonPaddingXSubtleBlue = 16;
+export const textInputCommonPaddingXSubtleGreen = 16;
+export const textInputCommonPaddingXSubtleRed = 16;
+export const textInputCommonPaddingXSubtleYellow = 16;
+export const textInputCommonPaddingXBoldBlue = 16;
+export const textInputCommonPaddingXBoldGreen = 16;
+export const textInputCommonPaddingXBoldRed = 16;
+export const textInputCommonPaddingXBoldYellow = 16;
+export const textInputCommonPaddingYNeutralBlue = 8;
+export const textInputCommonPaddingYNeutralGreen = 8;
+export const textInputCommonPaddingYNeutralRed = 8;
+export const textInputCommonPaddingYNeutralYellow = 8;
+export const textInputCommonPaddingYNeutralInverseBlue = 8;
+export const textInputCommonPaddingYNeutralInverseGreen = 8;
+export const textInputCommonPaddingYNeutralInverseRed = 8;
+export const textInputCommonPaddingYNeutralInverseYellow = 8;
+export const textInputCommonPaddingYSubtleBlue = 8;
+export const textInputCommonPaddingYSubtleGreen = 8;
+export const textInputCommonPaddingYSubtleRed = 8;
+export const textInputCommonPaddingYSubtleYellow = 8;
+export const textInputCommonPaddingYBoldBlue = 8;
+export const textInputCommonPaddingYBoldGreen = 8;
+export const textInputCommonPaddingYBoldRed = 8;
+export const textInputCommonPaddingYBoldYellow = 8;
+export const textInputCommonTextGapNeutralBlue = 8;
+export const textInputCommonTextGapNeutralGreen = 8;
+export const textInputCommonTextGapNeutralRed = 8;
+export const textInputCommonTextGapNeutralYellow = 8;
+export const textInputCommonTextGapNeutralInverseBlue = 8;
+export const textInputCommonTextGapNeutralInverseGreen = 8;
+export const textInputCommonTextGapNeutralInverseRed = 8;
+export const textInputCommonTextGapNeutralInverseYellow = 8;
+export const textInputCommonTextGapSubtleBlue = 8;
+export const textInputCommonTextGapSubtleGreen = 8;
+export const textInputCommonTextGapSubtleRed = 8;
+export const textInputCommonTextGapSubtleYellow = 8;
+export const textInputCommonTextGapBoldBlue = 8;
+export const textInputCommonTextGapBoldGreen = 8;
+export const textInputCommonTextGapBoldRed = 8;
+export const textInputCommonTextGapBoldYellow = 8;
+export const textInputCommonButtonGapNeutralBlue = 8;
+export const textInputCommonButtonGapNeutralGreen = 8;
+export const textInputCommonButtonGapNeutralRed = 8;
+export const textInputCommonButtonGapNeutralYellow = 8;
+export const textInputCommonButtonGapNeutralInverseBlue = 8;
+export const textInputCommonButtonGapNeutralInverseGreen = 8;
+export const textInputCommonButtonGapNeutralInverseRed = 8;
+export const textInputCommonButtonGapNeutralInverseYellow = 8;
+export const textInputCommonButtonGapSubtleBlue = 8;
+export const textInputCommonButtonGapSubtleGreen = 8;
+export const textInputCommonButtonGapSubtleRed = 8;
+export const textInputCommonButtonGapSubtleYellow = 8;
+export const textInputCommonButtonGapBoldBlue = 8;
+export const textInputCommonButtonGapBoldGreen = 8;
+export const textInputCommonButtonGapBoldRed = 8;
+export const textInputCommonButtonGapBoldYellow = 8;
+export const textInputCommonAddonButtonGapNeutralBlue = 16;
+export const textInputCommonAddonButtonGapNeutralGreen = 16;
+export const textInputCommonAddonButtonGapNeutralRed = 16;
+export const textInputCommonAddonButtonGapNeutralYellow = 16;
+export const textInputCommonAddonButtonGapNeutralInverseBlue = 16;
+export const textInputCommonAddonButtonGapNeutralInverseGreen = 16;
+export const textInputCommonAddonButtonGapNeutralInverseRed = 16;
+export const textInputCommonAddonButtonGapNeutralInverseYellow = 16;
+export const textInputCommonAddonButtonGapSubtleBlue = 16;
+export const textInputCommonAddonButtonGapSubtleGreen = 16;
+export const textInputCommonAddonButtonGapSubtleRed = 16;
+export const textInputCommonAddonButtonGapSubtleYellow = 16;
+export const textInputCommonAddonButtonGapBoldBlue = 16;
+export const textInputCommonAddonButtonGapBoldGreen = 16;
+export const textInputCommonAddonButtonGapBoldRed = 16;
+export const textInputCommonAddonButtonGapBoldYellow = 16;
+export const textInputRestBackgroundColourNeutralBlue = "#ffffff";
+export const textInputRestBackgroundColourNeutralGreen = "#ffffff";
+export const textInputRestBackgroundColourNeutralRed = "#ffffff";
+export const textInputRestBackgroundColourNeutralYellow = "#ffffff";
+export const textInputRestBackgroundColourNeutralInverseBlue = "#ffffff";
+export const textInputRestBackgroundColourNeutralInverseGreen = "#ffffff";
+export const textInputRestBackgroundColourNeutralInverseRed = "#ffffff";
+export const textInputRestBackgroundColourNeutralInverseYellow = "#ffffff";
+export const textInputRestBackgroundColourSubtleBlue = "#ffffff";
+export const textInputRestBackgroundColourSubtleGreen = "#ffffff";
+export const textInputRestBackgroundColourSubtleRed = "#ffffff";
+export const textInputRestBackgroundColourSubtleYellow = "#ffffff";
+export const textInputRestBackgroundColourBoldBlue = "#ffffff";
+export const textInputRestBackgroundColourBoldGreen = "#ffffff";
+export const textInputRestBackgroundColourBoldRed = "#ffffff";
+export const textInputRestBackgroundColourBoldYellow = "#ffffff";
+export const textInputRestBorderColourNeutralBlue = "#858686";
+export const textInputRestBorderColourNeutralGreen = "#858686";
+export const textInputRestBorderColourNeutralRed = "#858686";
+export const textInputRestBorderColourNeutralYellow = "#858686";
+export const textInputRestBorderColourNeutralInverseBlue = "#858686";
+export const textInputRestBorderColourNeutralInverseGreen = "#858686";
+export const textInputRestBorderColourNeutralInverseRed = "#858686";
+export const textInputRestBorderColourNeutralInverseYellow = "#858686";
+export const textInputRestBorderColourSubtleBlue = "#001d6e";
+export const textInputRestBorderColourSubtleGreen = "#01312e";
+export const textInputRestBorderColourSubtleRed = "#940824";
+export const textInputRestBorderColourSubtleYellow = "#c86426";
+export const textInputRestBorderColourBoldBlue = "#001d6e";
+export const textInputRestBorderColourBoldGreen = "#01312e";
+export const textInputRestBorderColourBoldRed = "#940824";
+export const textInputRestBorderColourBoldYellow = "#c86426";
+export const textInputRestColourNeutralBlue = "#1d1d1b";
+export const textInputRestColourNeutralGreen = "#1d1d1b";
+export const textInputRestColourNeutralRed = "#1d1d1b";
+export const textInputRestColourNeutralYellow = "#1d1d1b";
+export const textInputRestColourNeutralInverseBlue = "#1d1d1b";
+export const textInputRestColourNeutralInverseGreen = "#1d1d1b";
+export const textInputRestColourNeutralInverseRed = "#1d1d1b";
+export const textInputRestColourNeutralInverseYellow = "#1d1d1b";
+export const textInputRestColourSubtleBlue = "#1d1d1b";
+export const textInputRestColourSubtleGreen = "#1d1d1b";
+export const textInputRestColourSubtleRed = "#1d1d1b";
+export const textInputRestColourSubtleYellow = "#1d1d1b";
+export const textInputRestColourBoldBlue = "#1d1d1b";
+export const textInputRestColourBoldGreen = "#1d1d1b";
+export const textInputRestColourBoldRed = "#1d1d1b";
+export const textInputRestColourBoldYellow = "#1d1d1b";
+export const textInputRestBorderWidthNeutralBlue = 1.5;
+export const textInputRestBorderWidthNeutralGreen = 1.5;
+export const textInputRestBorderWidthNeutralRed = 1.5;
+export const textInputRestBorderWidthNeutralYellow = 1.5;
+export const textInputRestBorderWidthNeutralInverseBlue = 1.5;
+export const textInputRestBorderWidthNeutralInverseGreen = 1.5;
+export const textInputRestBorderWidthNeutralInverseRed = 1.5;
+export const textInputRestBorderWidthNeutralInverseYellow = 1.5;
+export const textInputRestBorderWidthSubtleBlue = 1.5;
+export const textInputRestBorderWidthSubtleGreen = 1.5;
+export const textInputRestBorderWidthSubtleRed = 1.5;
+export const textInputRestBorderWidthSubtleYellow = 1.5;
+export const textInputRestBorderWidthBoldBlue = 1.5;
+export const textInputRestBorderWidthBoldGreen = 1.5;
+export const textInputRestBorderWidthBoldRed = 1.5;
+export const textInputRestBorderWidthBoldYellow = 1.5;
+export const textInputHoverBackgroundColourNeutralBlue = "#ffffff";
+export const textInputHoverBackgroundColourNeutralGreen = "#ffffff";
+export const textInputHoverBackgroundColourNeutralRed = "#ffffff";
+export const textInputHoverBackgroundColourNeutralYellow = "#ffffff";
+export const textInputHoverBackgroundColourNeutralInverseBlue = "#ffffff";
+export const textInputHoverBackgroundColourNeutralInverseGreen = "#ffffff";
+export const textInputHoverBackgroundColourNeutralInverseRed = "#ffffff";
+export const textInputHoverBackgroundColourNeutralInverseYellow = "#ffffff";
+export const textInputHoverBackgroundColourSubtleBlue = "#ffffff";
+export const textInputHoverBackgroundColourSubtleGreen = "#ffffff";
+export const textInputHoverBackgroundColourSubtleRed = "#ffffff";
+export const textInputHoverBackgroundColourSubtleYellow = "#ffffff";
+export const textInputHoverBackgroundColourBoldBlue = "#ffffff";
+export const textInputHoverBackgroundColourBoldGreen = "#ffffff";
+export const textInputHoverBackgroundColourBoldRed = "#ffffff";
+export const textInputHoverBackgroundColourBoldYellow = "#ffffff";
+export const textInputHoverBorderColourNeutralBlue = "#4d4f4f";
+export const textInputHoverBorderColourNeutralGreen = "#4d4f4f";
+export const textInputHoverBorderColourNeutralRed = "#4d4f4f";
+export const textInputHoverBorderColourNeutralYellow = "#4d4f4f";
+export const textInputHoverBorderColourNeutralInverseBlue = "#4d4f4f";
+export const textInputHoverBorderColourNeutralInverseGreen = "#4d4f4f";
+export const textInputHoverBorderColourNeutralInverseRed = "#4d4f4f";
+export const textInputHoverBorderColourNeutralInverseYellow = "#4d4f4f";
+export const textInputHoverBorderColourSubtleBlue = "#1d1d1b";
+export const textInputHoverBorderColourSubtleGreen = "#1d1d1b";
+export const textInputHoverBorderColourSubtleRed = "#1d1d1b";
+export const textInputHoverBorderColourSubtleYellow = "#1d1d1b";
+export const textInputHoverBorderColourBoldBlue = "#1d1d1b";
+export const textInputHoverBorderColourBoldGreen = "#1d1d1b";
+export const textInputHoverBorderColourBoldRed = "#1d1d1b";
+export const textInputHoverBorderColourBoldYellow = "#1d1d1b";
+export const textInputHoverColourNeutralBlue = "#1d1d1b";
+export const textInputHoverColourNeutralGreen = "#1d1d1b";
+export const textInputHoverColourNeutralRed = "#1d1d1b";
+export const textInputHoverColourNeutralYellow = "#1d1d1b";
+export const textInputHoverColourNeutralInverseBlue = "#1d1d1b";
+export const textInputHoverColourNeutralInverseGreen = "#1d1d1b";
+export const textInputHoverColourNeutralInverseRed = "#1d1d1b";
+export const textInputHoverColourNeutralInverseYellow = "#1d1d1b";
+export const textInputHoverColourSubtleBlue = "#1d1d1b";
+export const textInputHoverColourSubtleGreen = "#1d1d1b";
+export const textInputHoverColourSubtleRed = "#1d1d1b";
+export const textInputHoverColourSubtleYellow = "#1d1d1b";
+export const textInputHoverColourBoldBlue = "#1d1d1b";
+export const textInputHoverColourBoldGreen = "#1d1d1b";
+export const textInputHoverColourBoldRed = "#1d1d1b";
+export const textInputHoverColourBoldYellow = "#1d1d1b";
+export const textInputHoverBorderWidthNeutralBlue = 1.5;
+export const textInputHoverBorderWidthNeutralGreen = 1.5;
+export const textInputHoverBorderWidthNeutralRed = 1.5;
+export const textInputHoverBorderWidthNeutralYellow = 1.5;
+export const textInputHoverBorderWidthNeutralInverseBlue = 1.5;
+export const textInputHoverBorderWidthNeutralInverseGreen = 1.5;
+export const textInputHoverBorderWidthNeutralInverseRed = 1.5;
+export const textInputHoverBorderWidthNeutralInverseYellow = 1.5;
+export const textInputHoverBorderWidthSubtleBlue = 1.5;
+export const textInputHoverBorderWidthSubtleGreen = 1.5;
+export const textInputHoverBorderWidthSubtleRed = 1.5;
+export const textInputHoverBorderWidthSubtleYellow = 1.5;
+export const textInputHoverBorderWidthBoldBlue = 1.5;
+export const textInputHoverBorderWidthBoldGreen = 1.5;
+export const textInputHoverBorderWidthBoldRed = 1.5;
+export const textInputHoverBorderWidthBoldYellow = 1.5;
+export const textInputFocusBackgroundColourNeutralBlue = "#ffffff";
+export const textInputFocusBackgroundColourNeutralGreen = "#ffffff";
+export const textInputFocusBackgroundColourNeutralRed = "#ffffff";
+export const textInputFocusBackgroundColourNeutralYellow = "#ffffff";
+export const textInputFocusBackgroundColourNeutralInverseBlue = "#ffffff";
+export const textInputFocusBackgroundColourNeutralInverseGreen = "#ffffff";
+export const textInputFocusBackgroundColourNeutralInverseRed = "#ffffff";
+export const textInputFocusBackgroundColourNeutralInverseYellow = "#ffffff";
+export const textInputFocusBackgroundColourSubtleBlue = "#ffffff";
+export const textInputFocusBackgroundColourSubtleGreen = "#ffffff";
+export const textInputFocusBackgroundColourSubtleRed = "#ffffff";
+export const textInputFocusBackgroundColourSubtleYellow = "#ffffff";
+export const textInputFocusBackgroundColourBoldBlue = "#ffffff";
+export const textInputFocusBackgroundColourBoldGreen = "#ffffff";
+export const textInputFocusBackgroundColourBoldRed = "#ffffff";
+export const textInputFocusBackgroundColourBoldYellow = "#ffffff";
+export const textInputFocusBorderColourNeutralBlue = "#1d1d1b";
+export const textInputFocusBorderColourNeutralGreen = "#1d1d1b";
+export const textInputFocusBorderColourNeutralRed = "#1d1d1b";
+export const textInputFocusBorderColourNeutralYellow = "#1d1d1b";
+export const textInputFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const textInputFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const textInputFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const textInputFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+export const textInputFocusBorderColourSubtleBlue = "#1d1d1b";
+export const textInputFocusBorderColourSubtleGreen = "#1d1d1b";
+export const textInputFocusBorderColourSubtleRed = "#1d1d1b";
+export const textInputFocusBorderColourSubtleYellow = "#1d1d1b";
+export const textInputFocusBorderColourBoldBlue = "#1d1d1b";
+export const textInputFocusBorderColourBoldGreen = "#1d1d1b";
+export const textInputFocusBorderColourBoldRed = "#1d1d1b";
+export const textInputFocusBorderColourBoldYellow = "#1d1d1b";
+export const textInputFocusColourNeutralBlue = "#1d1d1b";
+export const textInputFocusColourNeutralGreen = "#1d1d1b";
+export const textInputFocusColourNeutralRed = "#1d1d1b";
+export const textInputFocusColourNeutralYellow = "#1d1d1b";
+export const textInputFocusColourNeutralInverseBlue = "#1d1d1b";
+export const textInputFocusColourNeutralInverseGreen = "#1d1d1b";
+export const textInputFocusColourNeutralInverseRed = "#1d1d1b";
+export const textInputFocusColourNeutralInverseYellow = "#1d1d1b";
+export const textInputFocusColourSubtleBlue = "#1d1d1b";
+export const textInputFocusColourSubtleGreen = "#1d1d1b";
+export const textInputFocusColourSubtleRed = "#1d1d1b";
+export const textInputFocusColourSubtleYellow = "#1d1d1b";
+export const textInputFocusColourBoldBlue = "#1d1d1b";
+export const textInputFocusColourBoldGreen = "#1d1d1b";
+export const textInputFocusColourBoldRed = "#1d1d1b";
+export const textInputFocusColourBoldYellow = "#1d1d1b";
+export const textInputFocusBorderWidthNeutralBlue = 3;
+export const textInputFocusBorderWidthNeutralGreen = 3;
+export const textInputFocusBorderWidthNeutralRed = 3;
+export const textInputFocusBorderWidthNeutralYellow = 3;
+export const textInputFocusBorderWidthNeutralInverseBlue = 3;
+export const textInputFocusBorderWidthNeutralInverseGreen = 3;
+export const textInputFocusBorderWidthNeutralInverseRed = 3;
+export const textInputFocusBorderWidthNeutralInverseYellow = 3;
+export const textInputFocusBorderWidthSubtleBlue = 3;
+export const textInputFocusBorderWidthSubtleGreen = 3;
+export const textInputFocusBorderWidthSubtleRed = 3;
+export const textInputFocusBorderWidthSubtleYellow = 3;
+export const textInputFocusBorderWidthBoldBlue = 3;
+export const textInputFocusBorderWidthBoldGreen = 3;
+export const textInputFocusBorderWidthBoldRed = 3;
+export const textInputFocusBorderWidthBoldYellow = 3;
+export const textInputErrorBackgroundColourNeutralBlue = "#ffffff";
+export const textInputErrorBackgroundColourNeutralGreen = "#ffffff";
+export const textInputErrorBackgroundColourNeutralRed = "#ffffff";
+export const textInputErrorBackgroundColourNeutralYellow = "#ffffff";
+export const textInputErrorBackgroundColourNeutralInverseBlue = "#ffffff";
+export const textInputErrorBackgroundColourNeutralInverseGreen = "#ffffff";
+export const textInputErrorBackgroundColourNeutralInverseRed = "#ffffff";
+export const textInputErrorBackgroundColourNeutralInverseYellow = "#ffffff";
+export const textInputErrorBackgroundColourSubtleBlue = "#ffffff";
+export const textInputErrorBackgroundColourSubtleGreen = "#ffffff";
+export const textInputErrorBackgroundColourSubtleRed = "#ffffff";
+export const textInputErrorBackgroundColourSubtleYellow = "#ffffff";
+export const textInputErrorBackgroundColourBoldBlue = "#ffffff";
+export const textInputErrorBackgroundColourBoldGreen = "#ffffff";
+export const textInputErrorBackgroundColourBoldRed = "#ffffff";
+export const textInputErrorBackgroundColourBoldYellow = "#ffffff";
+export const textInputErrorBorderColourNeutralBlue = "#c50b30";
+export const textInputErrorBorderColourNeutralGreen = "#c50b30";
+export const textInputErrorBorderColourNeutralRed = "#c50b30";
+export const textInputErrorBorderColourNeutralYellow = "#c50b30";
+export const textInputErrorBorderColourNeutralInverseBlue = "#c50b30";
+export const textInputErrorBorderColourNeutralInverseGreen = "#c50b30";
+export const textInputErrorBorderColourNeutralInverseRed = "#c50b30";
+export const textInputErrorBorderColourNeutralInverseYellow = "#c50b30";
+export const textInputErrorBorderColourSubtleBlue = "#c50b30";
+export const textInputErrorBorderColourSubtleGreen = "#c50b30";
+export const textInputErrorBorderColourSubtleRed = "#c50b30";
+export const textInputErrorBorderColourSubtleYellow = "#c50b30";
+export const textInputErrorBorderColourBoldBlue = "#c50b30";
+export const textInputErrorBorderColourBoldGreen = "#c50b30";
+export const textInputErrorBorderColourBoldRed = "#c50b30";
+export const textInputErrorBorderColourBoldYellow = "#c50b30";
+export const textInputErrorColourNeutralBlue = "#1d1d1b";
+export const textInputErrorColourNeutralGreen = "#1d1d1b";
+export const textInputErrorColourNeutralRed = "#1d1d1b";
+export const textInputErrorColourNeutralYellow = "#1d1d1b";
+export const textInputErrorColourNeutralInverseBlue = "#1d1d1b";
+export const textInputErrorColourNeutralInverseGreen = "#1d1d1b";
+export const textInputErrorColourNeutralInverseRed = "#1d1d1b";
+export const textInputErrorColourNeutralInverseYellow = "#1d1d1b";
+export const textInputErrorColourSubtleBlue = "#1d1d1b";
+export const textInputErrorColourSubtleGreen = "#1d1d1b";
+export const textInputErrorColourSubtleRed = "#1d1d1b";
+export const textInputErrorColourSubtleYellow = "#1d1d1b";
+export const textInputErrorColourBoldBlue = "#1d1d1b";
+export const textInputErrorColourBoldGreen = "#1d1d1b";
+export const textInputErrorColourBoldRed = "#1d1d1b";
+export const textInputErrorColourBoldYellow = "#1d1d1b";
+export const textInputErrorBorderWidthNeutralBlue = 1.5;
+export const textInputErrorBorderWidthNeutralGreen = 1.5;
+export const textInputErrorBorderWidthNeutralRed = 1.5;
+export const textInputErrorBorderWidthNeutralYellow = 1.5;
+export const textInputErrorBorderWidthNeutralInverseBlue = 1.5;
+export const textInputErrorBorderWidthNeutralInverseGreen = 1.5;
+export const textInputErrorBorderWidthNeutralInverseRed = 1.5;
+export const textInputErrorBorderWidthNeutralInverseYellow = 1.5;
+export const textInputErrorBorderWidthSubtleBlue = 1.5;
+export const textInputErrorBorderWidthSubtleGreen = 1.5;
+export const textInputErrorBorderWidthSubtleRed = 1.5;
+export const textInputErrorBorderWidthSubtleYellow = 1.5;
+export const textInputErrorBorderWidthBoldBlue = 1.5;
+export const textInputErrorBorderWidthBoldGreen = 1.5;
+export const textInputErrorBorderWidthBoldRed = 1.5;
+export const textInputErrorBorderWidthBoldYellow = 1.5;
+export const textInputErrorFocusBorderWidthNeutralBlue = 3;
+export const textInputErrorFocusBorderWidthNeutralGreen = 3;
+export const textInputErrorFocusBorderWidthNeutralRed = 3;
+export const textInputErrorFocusBorderWidthNeutralYellow = 3;
+export const textInputErrorFocusBorderWidthNeutralInverseBlue = 3;
+export const textInputErrorFocusBorderWidthNeutralInverseGreen = 3;
+export const textInputErrorFocusBorderWidthNeutralInverseRed = 3;
+export const textInputErrorFocusBorderWidthNeutralInverseYellow = 3;
+export const textInputErrorFocusBorderWidthSubtleBlue = 3;
+export const textInputErrorFocusBorderWidthSubtleGreen = 3;
+export const textInputErrorFocusBorderWidthSubtleRed = 3;
+export const textInputErrorFocusBorderWidthSubtleYellow = 3;
+export const textInputErrorFocusBorderWidthBoldBlue = 3;
+export const textInputErrorFocusBorderWidthBoldGreen = 3;
+export const textInputErrorFocusBorderWidthBoldRed = 3;
+export const textInputErrorFocusBorderWidthBoldYellow = 3;
+export const textInputDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+export const textInputDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+export const textInputDisabledBackgroundColourNeutralRed = "#f4f4f4";
+export const textInputDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+export const textInputDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const textInputDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const textInputDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const textInputDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const textInputDisabledBackgroundColourSubtleBlue = "#f4f4f4";
+export const textInputDisabledBackgroundColourSubtleGreen = "#f4f4f4";
+export const textInputDisabledBackgroundColourSubtleRed = "#f4f4f4";
+export const textInputDisabledBackgroundColourSubtleYellow = "#f4f4f4";
+export const textInputDisabledBackgroundColourBoldBlue = "#f4f4f4";
+export const textInputDisabledBackgroundColourBoldGreen = "#f4f4f4";
+export const textInputDisabledBackgroundColourBoldRed = "#f4f4f4";
+export const textInputDisabledBackgroundColourBoldYellow = "#f4f4f4";
+export const textInputDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const textInputDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const textInputDisabledBorderColourNeutralRed = "#d3d3d3";
+export const textInputDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const textInputDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const textInputDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const textInputDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const textInputDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const textInputDisabledBorderColourSubtleBlue = "#d3d3d3";
+export const textInputDisabledBorderColourSubtleGreen = "#d3d3d3";
+export const textInputDisabledBorderColourSubtleRed = "#d3d3d3";
+export const textInputDisabledBorderColourSubtleYellow = "#d3d3d3";
+export const textInputDisabledBorderColourBoldBlue = "#d3d3d3";
+export const textInputDisabledBorderColourBoldGreen = "#d3d3d3";
+export const textInputDisabledBorderColourBoldRed = "#d3d3d3";
+export const textInputDisabledBorderColourBoldYellow = "#d3d3d3";
+export const textInputDisabledColourNeutralBlue = "#a6a7a7";
+export const textInputDisabledColourNeutralGreen = "#a6a7a7";
+export const textInputDisabledColourNeutralRed = "#a6a7a7";
+export const textInputDisabledColourNeutralYellow = "#a6a7a7";
+export const textInputDisabledColourNeutralInverseBlue = "#a6a7a7";
+export const textInputDisabledColourNeutralInverseGreen = "#a6a7a7";
+export const textInputDisabledColourNeutralInverseRed = "#a6a7a7";
+export const textInputDisabledColourNeutralInverseYellow = "#a6a7a7";
+export const textInputDisabledColourSubtleBlue = "#a6a7a7";
+export const textInputDisabledColourSubtleGreen = "#a6a7a7";
+export const textInputDisabledColourSubtleRed = "#a6a7a7";
+export const textInputDisabledColourSubtleYellow = "#a6a7a7";
+export const textInputDisabledColourBoldBlue = "#a6a7a7";
+export const textInputDisabledColourBoldGreen = "#a6a7a7";
+export const textInputDisabledColourBoldRed = "#a6a7a7";
+export const textInputDisabledColourBoldYellow = "#a6a7a7";
+export const textInputDisabledBorderWidthNeutralBlue = 1.5;
+export const textInputDisabledBorderWidthNeutralGreen = 1.5;
+export const textInputDisabledBorderWidthNeutralRed = 1.5;
+export const textInputDisabledBorderWidthNeutralYellow = 1.5;
+export const textInputDisabledBorderWidthNeutralInverseBlue = 1.5;
+export const textInputDisabledBorderWidthNeutralInverseGreen = 1.5;
+export const textInputDisabledBorderWidthNeutralInverseRed = 1.5;
+export const textInputDisabledBorderWidthNeutralInverseYellow = 1.5;
+export const textInputDisabledBorderWidthSubtleBlue = 1.5;
+export const textInputDisabledBorderWidthSubtleGreen = 1.5;
+export const textInputDisabledBorderWidthSubtleRed = 1.5;
+export const textInputDisabledBorderWidthSubtleYellow = 1.5;
+export const textInputDisabledBorderWidthBoldBlue = 1.5;
+export const textInputDisabledBorderWidthBoldGreen = 1.5;
+export const textInputDisabledBorderWidthBoldRed = 1.5;
+export const textInputDisabledBorderWidthBoldYellow = 1.5;
+export const selectCommonBorderRadiusNeutralBlue = 12;
+export const selectCommonBorderRadiusNeutralGreen = 12;
+export const selectCommonBorderRadiusNeutralRed = 12;
+export const selectCommonBorderRadiusNeutralYellow = 12;
+export const selectCommonBorderRadiusNeutralInverseBlue = 12;
+export const selectCommonBorderRadiusNeutralInverseGreen = 12;
+export const selectCommonBorderRadiusNeutralInverseRed = 12;
+export const selectCommonBorderRadiusNeutralInverseYellow = 12;
+export const selectCommonBorderRadiusSubtleBlue = 12;
+export const selectCommonBorderRadiusSubtleGreen = 12;
+export const selectCommonBorderRadiusSubtleRed = 12;
+export const selectCommonBorderRadiusSubtleYellow = 12;
+export const selectCommonBorderRadiusBoldBlue = 12;
+export const selectCommonBorderRadiusBoldGreen = 12;
+export const selectCommonBorderRadiusBoldRed = 12;
+export const selectCommonBorderRadiusBoldYellow = 12;
+export const selectCommonHeightNeutralBlue = 48;
+export const selectCommonHeightNeutralGreen = 48;
+export const selectCommonHeightNeutralRed = 48;
+export const selectCommonHeightNeutralYellow = 48;
+export const selectCommonHeightNeutralInverseBlue = 48;
+export const selectCommonHeightNeutralInverseGreen = 48;
+export const selectCommonHeightNeutralInverseRed = 48;
+export const selectCommonHeightNeutralInverseYellow = 48;
+export const selectCommonHeightSubtleBlue = 48;
+export const selectCommonHeightSubtleGreen = 48;
+export const selectCommonHeightSubtleRed = 48;
+export const selectCommonHeightSubtleYellow = 48;
+export const selectCommonHeightBoldBlue = 48;
+export const selectCommonHeightBoldGreen = 48;
+export const selectCommonHeightBoldRed = 48;
+export const selectCommonHeightBoldYellow = 48;
+export const selectCommonPaddingXNeutralBlue = 16;
+export const selectCommonPaddingXNeutralGreen = 16;
+export const selectCommonPaddingXNeutralRed = 16;
+export const selectCommonPaddingXNeutralYellow = 16;
+export const selectCommonPaddingXNeutralInverseBlue = 16;
+export const selectCommonPaddingXNeutralInverseGreen = 16;
+export const selectCommonPaddingXNeutralInverseRed = 16;
+export const selectCommonPaddingXNeutralInverseYellow = 16;
+export const selectCommonPaddingXSubtleBlue = 16;
+export const selectCommonPaddingXSubtleGreen = 16;
+export const selectCommonPaddingXSubtleRed = 16;
+export const selectCommonPaddingXSubtleYellow = 16;
+export const selectCommonPaddingXBoldBlue = 16;
+export const selectCommonPaddingXBoldGreen = 16;
+export const selectCommonPaddingXBoldRed = 16;
+export const selectCommonPaddingXBoldYellow = 16;
+export const selectCommonPaddingYNeutralBlue = 8;
+export const selectCommonPaddingYNeutralGreen = 8;
+export const selectCommonPaddingYNeutralRed = 8;
+export const selectCommonPaddingYNeutralYellow = 8;
+export const selectCommonPaddingYNeutralInverseBlue = 8;
+export const selectCommonPaddingYNeutralInverseGreen = 8;
+export const selectCommonPaddingYNeutralInverseRed = 8;
+export const selectCommonPaddingYNeutralInverseYellow = 8;
+export const selectCommonPaddingYSubtleBlue = 8;
+export const selectCommonPaddingYSubtleGreen = 8;
+export const selectCommonPaddingYSubtleRed = 8;
+export const selectCommonPaddingYSubtleYellow = 8;
+export const selectCommonPaddingYBoldBlue = 8;
+export const selectCommonPaddingYBoldGreen = 8;
+export const selectCommonPaddingYBoldRed = 8;
+export const selectCommonPaddingYBoldYellow = 8;
+export const selectCommonTextGapNeutralBlue = 8;
+export const selectCommonTextGapNeutralGreen = 8;
+export const selectCommonTextGapNeutralRed = 8;
+export const selectCommonTextGapNeutralYellow = 8;
+export const selectCommonTextGapNeutralInverseBlue = 8;
+export const selectCommonTextGapNeutralInverseGreen = 8;
+export const selectCommonTextGapNeutralInverseRed = 8;
+export const selectCommonTextGapNeutralInverseYellow = 8;
+export const selectCommonTextGapSubtleBlue = 8;
+export const selectCommonTextGapSubtleGreen = 8;
+export const selectCommonTextGapSubtleRed = 8;
+export const selectCommonTextGapSubtleYellow = 8;
+export const selectCommonTextGapBoldBlue = 8;
+export const selectCommonTextGapBoldGreen = 8;
+export const selectCommonTextGapBoldRed = 8;
+export const selectCommonTextGapBoldYellow = 8;
+export const selectCommonButtonGapNeutralBlue = 16;
+export const selectCommonButtonGapNeutralGreen = 16;
+export const selectCommonButtonGapNeutralRed = 16;
+export const selectCommonButtonGapNeutralYellow = 16;
+export const selectCommonButtonGapNeutralInverseBlue = 16;
+export const selectCommonButtonGapNeutralInverseGreen = 16;
+export const selectCommonButtonGapNeutralInverseRed = 16;
+export const selectCommonButtonGapNeutralInverseYellow = 16;
+export const selectCommonButtonGapSubtleBlue = 16;
+export const selectCommonButtonGapSubtleGreen = 16;
+export const selectCommonButtonGapSubtleRed = 16;
+export const selectCommonButtonGapSubtleYellow = 16;
+export const selectCommonButtonGapBoldBlue = 16;
+export const selectCommonButtonGapBoldGreen = 16;
+export const selectCommonButtonGapBoldRed = 16;
+export const selectCommonButtonGapBoldYellow = 16;
+export const selectRestBackgroundColourNeutralBlue = "#ffffff";
+export const selectRestBackgroundColourNeutralGreen = "#ffffff";
+export const selectRestBackgroundColourNeutralRed = "#ffffff";
+export const selectRestBackgroundColourNeutralYellow = "#ffffff";
+export const selectRestBackgroundColourNeutralInverseBlue = "#ffffff";
+export const selectRestBackgroundColourNeutralInverseGreen = "#ffffff";
+export const selectRestBackgroundColourNeutralInverseRed = "#ffffff";
+export const selectRestBackgroundColourNeutralInverseYellow = "#ffffff";
+export const selectRestBackgroundColourSubtleBlue = "#ffffff";
+export const selectRestBackgroundColourSubtleGreen = "#ffffff";
+export const selectRestBackgroundColourSubtleRed = "#ffffff";
+export const selectRestBackgroundColourSubtleYellow = "#ffffff";
+export const selectRestBackgroundColourBoldBlue = "#ffffff";
+export const selectRestBackgroundColourBoldGreen = "#ffffff";
+export const selectRestBackgroundColourBoldRed = "#ffffff";
+export const selectRestBackgroundColourBoldYellow = "#ffffff";
+export const selectRestBorderColourNeutralBlue = "#858686";
+export const selectRestBorderColourNeutralGreen = "#858686";
+export const selectRestBorderColourNeutralRed = "#858686";
+export const selectRestBorderColourNeutralYellow = "#858686";
+export const selectRestBorderColourNeutralInverseBlue = "#858686";
+export const selectRestBorderColourNeutralInverseGreen = "#858686";
+export const selectRestBorderColourNeutralInverseRed = "#858686";
+export const selectRestBorderColourNeutralInverseYellow = "#858686";
+export const selectRestBorderColourSubtleBlue = "#001d6e";
+export const selectRestBorderColourSubtleGreen = "#01312e";
+export const selectRestBorderColourSubtleRed = "#940824";
+export const selectRestBorderColourSubtleYellow = "#c86426";
+export const selectRestBorderColourBoldBlue = "#001d6e";
+export const selectRestBorderColourBoldGreen = "#01312e";
+export const selectRestBorderColourBoldRed = "#940824";
+export const selectRestBorderColourBoldYellow = "#c86426";
+export const selectRestColourNeutralBlue = "#1d1d1b";
+export const selectRestColourNeutralGreen = "#1d1d1b";
+export const selectRestColourNeutralRed = "#1d1d1b";
+export const selectRestColourNeutralYellow = "#1d1d1b";
+export const selectRestColourNeutralInverseBlue = "#1d1d1b";
+export const selectRestColourNeutralInverseGreen = "#1d1d1b";
+export const selectRestColourNeutralInverseRed = "#1d1d1b";
+export const selectRestColourNeutralInverseYellow = "#1d1d1b";
+export const selectRestColourSubtleBlue = "#1d1d1b";
+export const selectRestColourSubtleGreen = "#1d1d1b";
+export const selectRestColourSubtleRed = "#1d1d1b";
+export const selectRestColourSubtleYellow = "#1d1d1b";
+export const selectRestColourBoldBlue = "#1d1d1b";
+export const selectRestColourBoldGreen = "#1d1d1b";
+export const selectRestColourBoldRed = "#1d1d1b";
+export const selectRestColourBoldYellow = "#1d1d1b";
+export const selectRestBorderWidthNeutralBlue = 1.5;
+export const selectRestBorderWidthNeutralGreen = 1.5;
+export const selectRestBorderWidthNeutralRed = 1.5;
+export const selectRestBorderWidthNeutralYellow = 1.5;
+export const selectRestBorderWidthNeutralInverseBlue = 1.5;
+export const selectRestBorderWidthNeutralInverseGreen = 1.5;
+export const selectRestBorderWidthNeutralInverseRed = 1.5;
+export const selectRestBorderWidthNeutralInverseYellow = 1.5;
+export const selectRestBorderWidthSubtleBlue = 1.5;
+export const selectRestBorderWidthSubtleGreen = 1.5;
+export const selectRestBorderWidthSubtleRed = 1.5;
+export const selectRestBorderWidthSubtleYellow = 1.5;
+export const selectRestBorderWidthBoldBlue = 1.5;
+export const selectRestBorderWidthBoldGreen = 1.5;
+export const selectRestBorderWidthBoldRed = 1.5;
+export const selectRestBorderWidthBoldYellow = 1.5;
+export const selectHoverBackgroundColourNeutralBlue = "#ffffff";
+export const selectHoverBackgroundColourNeutralGreen = "#ffffff";
+export const selectHoverBackgroundColourNeutralRed = "#ffffff";
+export const selectHoverBackgroundColourNeutralYellow = "#ffffff";
+export const selectHoverBackgroundColourNeutralInverseBlue = "#ffffff";
+export const selectHoverBackgroundColourNeutralInverseGreen = "#ffffff";
+export const selectHoverBackgroundColourNeutralInverseRed = "#ffffff";
+export const selectHoverBackgroundColourNeutralInverseYellow = "#ffffff";
+export const selectHoverBackgroundColourSubtleBlue = "#ffffff";
+export const selectHoverBackgroundColourSubtleGreen = "#ffffff";
+export const selectHoverBackgroundColourSubtleRed = "#ffffff";
+export const selectHoverBackgroundColourSubtleYellow = "#ffffff";
+export const selectHoverBackgroundColourBoldBlue = "#ffffff";
+export const selectHoverBackgroundColourBoldGreen = "#ffffff";
+export const selectHoverBackgroundColourBoldRed = "#ffffff";
+export const selectHoverBackgroundColourBoldYellow = "#ffffff";
+export const selectHoverBorderColourNeutralBlue = "#4d4f4f";
+export const selectHoverBorderColourNeutralGreen = "#4d4f4f";
+export const selectHoverBorderColourNeutralRed = "#4d4f4f";
+export const selectHoverBorderColourNeutralYellow = "#4d4f4f";
+export const selectHoverBorderColourNeutralInverseBlue = "#4d4f4f";
+export const selectHoverBorderColourNeutralInverseGreen = "#4d4f4f";
+export const selectHoverBorderColourNeutralInverseRed = "#4d4f4f";
+export const selectHoverBorderColourNeutralInverseYellow = "#4d4f4f";
+export const selectHoverBorderColourSubtleBlue = "#1d1d1b";
+export const selectHoverBorderColourSubtleGreen = "#1d1d1b";
+export const selectHoverBorderColourSubtleRed = "#1d1d1b";
+export const selectHoverBorderColourSubtleYellow = "#1d1d1b";
+export const selectHoverBorderColourBoldBlue = "#1d1d1b";
+export const selectHoverBorderColourBoldGreen = "#1d1d1b";
+export const selectHoverBorderColourBoldRed = "#1d1d1b";
+export const selectHoverBorderColourBoldYellow = "#1d1d1b";
+export const selectHoverColourNeutralBlue = "#1d1d1b";
+export const selectHoverColourNeutralGreen = "#1d1d1b";
+export const selectHoverColourNeutralRed = "#1d1d1b";
+export const selectHoverColourNeutralYellow = "#1d1d1b";
+export const selectHoverColourNeutralInverseBlue = "#1d1d1b";
+export const selectHoverColourNeutralInverseGreen = "#1d1d1b";
+export const selectHoverColourNeutralInverseRed = "#1d1d1b";
+export const selectHoverColourNeutralInverseYellow = "#1d1d1b";
+export const selectHoverColourSubtleBlue = "#1d1d1b";
+export const selectHoverColourSubtleGreen = "#1d1d1b";
+export const selectHoverColourSubtleRed = "#1d1d1b";
+export const selectHoverColourSubtleYellow = "#1d1d1b";
+export const selectHoverColourBoldBlue = "#1d1d1b";
+export const selectHoverColourBoldGreen = "#1d1d1b";
+export const selectHoverColourBoldRed = "#1d1d1b";
+export const selectHoverColourBoldYellow = "#1d1d1b";
+export const selectHoverBorderWidthNeutralBlue = 1.5;
+export const selectHoverBorderWidthNeutralGreen = 1.5;
+export const selectHoverBorderWidthNeutralRed = 1.5;
+export const selectHoverBorderWidthNeutralYellow = 1.5;
+export const selectHoverBorderWidthNeutralInverseBlue = 1.5;
+export const selectHoverBorderWidthNeutralInverseGreen = 1.5;
+export const selectHoverBorderWidthNeutralInverseRed = 1.5;
+export const selectHoverBorderWidthNeutralInverseYellow = 1.5;
+export const selectHoverBorderWidthSubtleBlue = 1.5;
+export const selectHoverBorderWidthSubtleGreen = 1.5;
+export const selectHoverBorderWidthSubtleRed = 1.5;
+export const selectHoverBorderWidthSubtleYellow = 1.5;
+export const selectHoverBorderWidthBoldBlue = 1.5;
+export const selectHoverBorderWidthBoldGreen = 1.5;
+export const selectHoverBorderWidthBoldRed = 1.5;
+export const selectHoverBorderWidthBoldYellow = 1.5;
+export const selectFocusBackgroundColourNeutralBlue = "#ffffff";
+export const selectFocusBackgroundColourNeutralGreen = "#ffffff";
+export const selectFocusBackgroundColourNeutralRed = "#ffffff";
+export const selectFocusBackgroundColourNeutralYellow = "#ffffff";
+export const selectFocusBackgroundColourNeutralInverseBlue = "#ffffff";
+export const selectFocusBackgroundColourNeutralInverseGreen = "#ffffff";
+export const selectFocusBackgroundColourNeutralInverseRed = "#ffffff";
+export const selectFocusBackgroundColourNeutralInverseYellow = "#ffffff";
+export const selectFocusBackgroundColourSubtleBlue = "#ffffff";
+export const selectFocusBackgroundColourSubtleGreen = "#ffffff";
+export const selectFocusBackgroundColourSubtleRed = "#ffffff";
+export const selectFocusBackgroundColourSubtleYellow = "#ffffff";
+export const selectFocusBackgroundColourBoldBlue = "#ffffff";
+export const selectFocusBackgroundColourBoldGreen = "#ffffff";
+export const selectFocusBackgroundColourBoldRed = "#ffffff";
+export const selectFocusBackgroundColourBoldYellow = "#ffffff";
+export const selectFocusBorderColourNeutralBlue = "#1d1d1b";
+export const selectFocusBorderColourNeutralGreen = "#1d1d1b";
+export const selectFocusBorderColourNeutralRed = "#1d1d1b";
+export const selectFocusBorderColourNeutralYellow = "#1d1d1b";
+export const selectFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const selectFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const selectFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const selectFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+export const selectFocusBorderColourSubtleBlue = "#1d1d1b";
+export const selectFocusBorderColourSubtleGreen = "#1d1d1b";
+export const selectFocusBorderColourSubtleRed = "#1d1d1b";
+export const selectFocusBorderColourSubtleYellow = "#1d1d1b";
+export const selectFocusBorderColourBoldBlue = "#1d1d1b";
+export const selectFocusBorderColourBoldGreen = "#1d1d1b";
+export const selectFocusBorderColourBoldRed = "#1d1d1b";
+export const selectFocusBorderColourBoldYellow = "#1d1d1b";
+export const selectFocusColourNeutralBlue = "#1d1d1b";
+export const selectFocusColourNeutralGreen = "#1d1d1b";
+export const selectFocusColourNeutralRed = "#1d1d1b";
+export const selectFocusColourNeutralYellow = "#1d1d1b";
+export const selectFocusColourNeutralInverseBlue = "#1d1d1b";
+export const selectFocusColourNeutralInverseGreen = "#1d1d1b";
+export const selectFocusColourNeutralInverseRed = "#1d1d1b";
+export const selectFocusColourNeutralInverseYellow = "#1d1d1b";
+export const selectFocusColourSubtleBlue = "#1d1d1b";
+export const selectFocusColourSubtleGreen = "#1d1d1b";
+export const selectFocusColourSubtleRed = "#1d1d1b";
+export const selectFocusColourSubtleYellow = "#1d1d1b";
+export const selectFocusColourBoldBlue = "#1d1d1b";
+export const selectFocusColourBoldGreen = "#1d1d1b";
+export const selectFocusColourBoldRed = "#1d1d1b";
+export const selectFocusColourBoldYellow = "#1d1d1b";
+export const selectFocusBorderWidthNeutralBlue = 3;
+export const selectFocusBorderWidthNeutralGreen = 3;
+export const selectFocusBorderWidthNeutralRed = 3;
+export const selectFocusBorderWidthNeutralYellow = 3;
+export const selectFocusBorderWidthNeutralInverseBlue = 3;
+export const selectFocusBorderWidthNeutralInverseGreen = 3;
+export const selectFocusBorderWidthNeutralInverseRed = 3;
+export const selectFocusBorderWidthNeutralInverseYellow = 3;
+export const selectFocusBorderWidthSubtleBlue = 3;
+export const selectFocusBorderWidthSubtleGreen = 3;
+export const selectFocusBorderWidthSubtleRed = 3;
+export const selectFocusBorderWidthSubtleYellow = 3;
+export const selectFocusBorderWidthBoldBlue = 3;
+export const selectFocusBorderWidthBoldGreen = 3;
+export const selectFocusBorderWidthBoldRed = 3;
+export const selectFocusBorderWidthBoldYellow = 3;
+export const selectErrorBackgroundColourNeutralBlue = "#ffffff";
+export const selectErrorBackgroundColourNeutralGreen = "#ffffff";
+export const selectErrorBackgroundColourNeutralRed = "#ffffff";
+export const selectErrorBackgroundColourNeutralYellow = "#ffffff";
+export const selectErrorBackgroundColourNeutralInverseBlue = "#ffffff";
+export const selectErrorBackgroundColourNeutralInverseGreen = "#ffffff";
+export const selectErrorBackgroundColourNeutralInverseRed = "#ffffff";
+export const selectErrorBackgroundColourNeutralInverseYellow = "#ffffff";
+export const selectErrorBackgroundColourSubtleBlue = "#ffffff";
+export const selectErrorBackgroundColourSubtleGreen = "#ffffff";
+export const selectErrorBackgroundColourSubtleRed = "#ffffff";
+export const selectErrorBackgroundColourSubtleYellow = "#ffffff";
+export const selectErrorBackgroundColourBoldBlue = "#ffffff";
+export const selectErrorBackgroundColourBoldGreen = "#ffffff";
+export const selectErrorBackgroundColourBoldRed = "#ffffff";
+export const selectErrorBackgroundColourBoldYellow = "#ffffff";
+export const selectErrorBorderColourNeutralBlue = "#c50b30";
+export const selectErrorBorderColourNeutralGreen = "#c50b30";
+export const selectErrorBorderColourNeutralRed = "#c50b30";
+export const selectErrorBorderColourNeutralYellow = "#c50b30";
+export const selectErrorBorderColourNeutralInverseBlue = "#c50b30";
+export const selectErrorBorderColourNeutralInverseGreen = "#c50b30";
+export const selectErrorBorderColourNeutralInverseRed = "#c50b30";
+export const selectErrorBorderColourNeutralInverseYellow = "#c50b30";
+export const selectErrorBorderColourSubtleBlue = "#c50b30";
+export const selectErrorBorderColourSubtleGreen = "#c50b30";
+export const selectErrorBorderColourSubtleRed = "#c50b30";
+export const selectErrorBorderColourSubtleYellow = "#c50b30";
+export const selectErrorBorderColourBoldBlue = "#c50b30";
+export const selectErrorBorderColourBoldGreen = "#c50b30";
+export const selectErrorBorderColourBoldRed = "#c50b30";
+export const selectErrorBorderColourBoldYellow = "#c50b30";
+export const selectErrorColourNeutralBlue = "#1d1d1b";
+export const selectErrorColourNeutralGreen = "#1d1d1b";
+export const selectErrorColourNeutralRed = "#1d1d1b";
+export const selectErrorColourNeutralYellow = "#1d1d1b";
+export const selectErrorColourNeutralInverseBlue = "#1d1d1b";
+export const selectErrorColourNeutralInverseGreen = "#1d1d1b";
+export const selectErrorColourNeutralInverseRed = "#1d1d1b";
+export const selectErrorColourNeutralInverseYellow = "#1d1d1b";
+export const selectErrorColourSubtleBlue = "#1d1d1b";
+export const selectErrorColourSubtleGreen = "#1d1d1b";
+export const selectErrorColourSubtleRed = "#1d1d1b";
+export const selectErrorColourSubtleYellow = "#1d1d1b";
+export const selectErrorColourBoldBlue = "#1d1d1b";
+export const selectErrorColourBoldGreen = "#1d1d1b";
+export const selectErrorColourBoldRed = "#1d1d1b";
+export const selectErrorColourBoldYellow = "#1d1d1b";
+export const selectErrorBorderWidthNeutralBlue = 1.5;
+export const selectErrorBorderWidthNeutralGreen = 1.5;
+export const selectErrorBorderWidthNeutralRed = 1.5;
+export const selectErrorBorderWidthNeutralYellow = 1.5;
+export const selectErrorBorderWidthNeutralInverseBlue = 1.5;
+export const selectErrorBorderWidthNeutralInverseGreen = 1.5;
+export const selectErrorBorderWidthNeutralInverseRed = 1.5;
+export const selectErrorBorderWidthNeutralInverseYellow = 1.5;
+export const selectErrorBorderWidthSubtleBlue = 1.5;
+export const selectErrorBorderWidthSubtleGreen = 1.5;
+export const selectErrorBorderWidthSubtleRed = 1.5;
+export const selectErrorBorderWidthSubtleYellow = 1.5;
+export const selectErrorBorderWidthBoldBlue = 1.5;
+export const selectErrorBorderWidthBoldGreen = 1.5;
+export const selectErrorBorderWidthBoldRed = 1.5;
+export const selectErrorBorderWidthBoldYellow = 1.5;
+export const selectErrorFocusBorderWidthNeutralBlue = 3;
+export const selectErrorFocusBorderWidthNeutralGreen = 3;
+export const selectErrorFocusBorderWidthNeutralRed = 3;
+export const selectErrorFocusBorderWidthNeutralYellow = 3;
+export const selectErrorFocusBorderWidthNeutralInverseBlue = 3;
+export const selectErrorFocusBorderWidthNeutralInverseGreen = 3;
+export const selectErrorFocusBorderWidthNeutralInverseRed = 3;
+export const selectErrorFocusBorderWidthNeutralInverseYellow = 3;
+export const selectErrorFocusBorderWidthSubtleBlue = 3;
+export const selectErrorFocusBorderWidthSubtleGreen = 3;
+export const selectErrorFocusBorderWidthSubtleRed = 3;
+export const selectErrorFocusBorderWidthSubtleYellow = 3;
+export const selectErrorFocusBorderWidthBoldBlue = 3;
+export const selectErrorFocusBorderWidthBoldGreen = 3;
+export const selectErrorFocusBorderWidthBoldRed = 3;
+export const selectErrorFocusBorderWidthBoldYellow = 3;
+export const selectDisabledBackgroundColourNeutralBlue = "#f4f4f4";
+export const selectDisabledBackgroundColourNeutralGreen = "#f4f4f4";
+export const selectDisabledBackgroundColourNeutralRed = "#f4f4f4";
+export const selectDisabledBackgroundColourNeutralYellow = "#f4f4f4";
+export const selectDisabledBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const selectDisabledBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const selectDisabledBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const selectDisabledBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const selectDisabledBackgroundColourSubtleBlue = "#f4f4f4";
+export const selectDisabledBackgroundColourSubtleGreen = "#f4f4f4";
+export const selectDisabledBackgroundColourSubtleRed = "#f4f4f4";
+export const selectDisabledBackgroundColourSubtleYellow = "#f4f4f4";
+export const selectDisabledBackgroundColourBoldBlue = "#f4f4f4";
+export const selectDisabledBackgroundColourBoldGreen = "#f4f4f4";
+export const selectDisabledBackgroundColourBoldRed = "#f4f4f4";
+export const selectDisabledBackgroundColourBoldYellow = "#f4f4f4";
+export const selectDisabledBorderColourNeutralBlue = "#d3d3d3";
+export const selectDisabledBorderColourNeutralGreen = "#d3d3d3";
+export const selectDisabledBorderColourNeutralRed = "#d3d3d3";
+export const selectDisabledBorderColourNeutralYellow = "#d3d3d3";
+export const selectDisabledBorderColourNeutralInverseBlue = "#d3d3d3";
+export const selectDisabledBorderColourNeutralInverseGreen = "#d3d3d3";
+export const selectDisabledBorderColourNeutralInverseRed = "#d3d3d3";
+export const selectDisabledBorderColourNeutralInverseYellow = "#d3d3d3";
+export const selectDisabledBorderColourSubtleBlue = "#d3d3d3";
+export const selectDisabledBorderColourSubtleGreen = "#d3d3d3";
+export const selectDisabledBorderColourSubtleRed = "#d3d3d3";
+export const selectDisabledBorderColourSubtleYellow = "#d3d3d3";
+export const selectDisabledBorderColourBoldBlue = "#d3d3d3";
+export const selectDisabledBorderColourBoldGreen = "#d3d3d3";
+export const selectDisabledBorderColourBoldRed = "#d3d3d3";
+export const selectDisabledBorderColourBoldYellow = "#d3d3d3";
+export const selectDisabledColourNeutralBlue = "#a6a7a7";
+export const selectDisabledColourNeutralGreen = "#a6a7a7";
+export const selectDisabledColourNeutralRed = "#a6a7a7";
+export const selectDisabledColourNeutralYellow = "#a6a7a7";
+export const selectDisabledColourNeutralInverseBlue = "#a6a7a7";
+export const selectDisabledColourNeutralInverseGreen = "#a6a7a7";
+export const selectDisabledColourNeutralInverseRed = "#a6a7a7";
+export const selectDisabledColourNeutralInverseYellow = "#a6a7a7";
+export const selectDisabledColourSubtleBlue = "#a6a7a7";
+export const selectDisabledColourSubtleGreen = "#a6a7a7";
+export const selectDisabledColourSubtleRed = "#a6a7a7";
+export const selectDisabledColourSubtleYellow = "#a6a7a7";
+export const selectDisabledColourBoldBlue = "#a6a7a7";
+export const selectDisabledColourBoldGreen = "#a6a7a7";
+export const selectDisabledColourBoldRed = "#a6a7a7";
+export const selectDisabledColourBoldYellow = "#a6a7a7";
+export const selectDisabledBorderWidthNeutralBlue = 1.5;
+export const selectDisabledBorderWidthNeutralGreen = 1.5;
+export const selectDisabledBorderWidthNeutralRed = 1.5;
+export const selectDisabledBorderWidthNeutralYellow = 1.5;
+export const selectDisabledBorderWidthNeutralInverseBlue = 1.5;
+export const selectDisabledBorderWidthNeutralInverseGreen = 1.5;
+export const selectDisabledBorderWidthNeutralInverseRed = 1.5;
+export const selectDisabledBorderWidthNeutralInverseYellow = 1.5;
+export const selectDisabledBorderWidthSubtleBlue = 1.5;
+export const selectDisabledBorderWidthSubtleGreen = 1.5;
+export const selectDisabledBorderWidthSubtleRed = 1.5;
+export const selectDisabledBorderWidthSubtleYellow = 1.5;
+export const selectDisabledBorderWidthBoldBlue = 1.5;
+export const selectDisabledBorderWidthBoldGreen = 1.5;
+export const selectDisabledBorderWidthBoldRed = 1.5;
+export const selectDisabledBorderWidthBoldYellow = 1.5;
+export const addOnButtonRestColourNeutralBlue = "#858686";
+export const addOnButtonRestColourNeutralGreen = "#858686";
+export const addOnButtonRestColourNeutralRed = "#858686";
+export const addOnButtonRestColourNeutralYellow = "#858686";
+export const addOnButtonRestColourNeutralInverseBlue = "#858686";
+export const addOnButtonRestColourNeutralInverseGreen = "#858686";
+export const addOnButtonRestColourNeutralInverseRed = "#858686";
+export const addOnButtonRestColourNeutralInverseYellow = "#858686";
+export const addOnButtonRestColourSubtleBlue = "#858686";
+export const addOnButtonRestColourSubtleGreen = "#858686";
+export const addOnButtonRestColourSubtleRed = "#858686";
+export const addOnButtonRestColourSubtleYellow = "#858686";
+export const addOnButtonRestColourBoldBlue = "#858686";
+export const addOnButtonRestColourBoldGreen = "#858686";
+export const addOnButtonRestColourBoldRed = "#858686";
+export const addOnButtonRestColourBoldYellow = "#858686";
+export const addOnButtonHoverColourNeutralBlue = "#4d4f4f";
+export const addOnButtonHoverColourNeutralGreen = "#4d4f4f";
+export const addOnButtonHoverColourNeutralRed = "#4d4f4f";
+export const addOnButtonHoverColourNeutralYellow = "#4d4f4f";
+export const addOnButtonHoverColourNeutralInverseBlue = "#4d4f4f";
+export const addOnButtonHoverColourNeutralInverseGreen = "#4d4f4f";
+export const addOnButtonHoverColourNeutralInverseRed = "#4d4f4f";
+export const addOnButtonHoverColourNeutralInverseYellow = "#4d4f4f";
+export const addOnButtonHoverColourSubtleBlue = "#4d4f4f";
+export const addOnButtonHoverColourSubtleGreen = "#4d4f4f";
+export const addOnButtonHoverColourSubtleRed = "#4d4f4f";
+export const addOnButtonHoverColourSubtleYellow = "#4d4f4f";
+export const addOnButtonHoverColourBoldBlue = "#4d4f4f";
+export const addOnButtonHoverColourBoldGreen = "#4d4f4f";
+export const addOnButtonHoverColourBoldRed = "#4d4f4f";
+export const addOnButtonHoverColourBoldYellow = "#4d4f4f";
+export const addOnButtonActiveColourNeutralBlue = "#1d1d1b";
+export const addOnButtonActiveColourNeutralGreen = "#1d1d1b";
+export const addOnButtonActiveColourNeutralRed = "#1d1d1b";
+export const addOnButtonActiveColourNeutralYellow = "#1d1d1b";
+export const addOnButtonActiveColourNeutralInverseBlue = "#1d1d1b";
+export const addOnButtonActiveColourNeutralInverseGreen = "#1d1d1b";
+export const addOnButtonActiveColourNeutralInverseRed = "#1d1d1b";
+export const addOnButtonActiveColourNeutralInverseYellow = "#1d1d1b";
+export const addOnButtonActiveColourSubtleBlue = "#1d1d1b";
+export const addOnButtonActiveColourSubtleGreen = "#1d1d1b";
+export const addOnButtonActiveColourSubtleRed = "#1d1d1b";
+export const addOnButtonActiveColourSubtleYellow = "#1d1d1b";
+export const addOnButtonActiveColourBoldBlue = "#1d1d1b";
+export const addOnButtonActiveColourBoldGreen = "#1d1d1b";
+export const addOnButtonActiveColourBoldRed = "#1d1d1b";
+export const addOnButtonActiveColourBoldYellow = "#1d1d1b";
+export const addOnButtonFocusColourNeutralBlue = "#858686";
+export const addOnButtonFocusColourNeutralGreen = "#858686";
+export const addOnButtonFocusColourNeutralRed = "#858686";
+export const addOnButtonFocusColourNeutralYellow = "#858686";
+export const addOnButtonFocusColourNeutralInverseBlue = "#858686";
+export const addOnButtonFocusColourNeutralInverseGreen = "#858686";
+export const addOnButtonFocusColourNeutralInverseRed = "#858686";
+export const addOnButtonFocusColourNeutralInverseYellow = "#858686";
+export const addOnButtonFocusColourSubtleBlue = "#858686";
+export const addOnButtonFocusColourSubtleGreen = "#858686";
+export const addOnButtonFocusColourSubtleRed = "#858686";
+export const addOnButtonFocusColourSubtleYellow = "#858686";
+export const addOnButtonFocusColourBoldBlue = "#858686";
+export const addOnButtonFocusColourBoldGreen = "#858686";
+export const addOnButtonFocusColourBoldRed = "#858686";
+export const addOnButtonFocusColourBoldYellow = "#858686";
+export const addOnButtonFocusBorderColourNeutralBlue = "#1d1d1b";
+export const addOnButtonFocusBorderColourNeutralGreen = "#1d1d1b";
+export const addOnButtonFocusBorderColourNeutralRed = "#1d1d1b";
+export const addOnButtonFocusBorderColourNeutralYellow = "#1d1d1b";
+export const addOnButtonFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const addOnButtonFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const addOnButtonFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const addOnButtonFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+export const addOnButtonFocusBorderColourSubtleBlue = "#1d1d1b";
+export const addOnButtonFocusBorderColourSubtleGreen = "#1d1d1b";
+export const addOnButtonFocusBorderColourSubtleRed = "#1d1d1b";
+export const addOnButtonFocusBorderColourSubtleYellow = "#1d1d1b";
+export const addOnButtonFocusBorderColourBoldBlue = "#1d1d1b";
+export const addOnButtonFocusBorderColourBoldGreen = "#1d1d1b";
+export const addOnButtonFocusBorderColourBoldRed = "#1d1d1b";
+export const addOnButtonFocusBorderColourBoldYellow = "#1d1d1b";
+export const addOnButtonFocusBorderWidthNeutralBlue = 3;
+export const addOnButtonFocusBorderWidthNeutralGreen = 3;
+export const addOnButtonFocusBorderWidthNeutralRed = 3;
+export const addOnButtonFocusBorderWidthNeutralYellow = 3;
+export const addOnButtonFocusBorderWidthNeutralInverseBlue = 3;
+export const addOnButtonFocusBorderWidthNeutralInverseGreen = 3;
+export const addOnButtonFocusBorderWidthNeutralInverseRed = 3;
+export const addOnButtonFocusBorderWidthNeutralInverseYellow = 3;
+export const addOnButtonFocusBorderWidthSubtleBlue = 3;
+export const addOnButtonFocusBorderWidthSubtleGreen = 3;
+export const addOnButtonFocusBorderWidthSubtleRed = 3;
+export const addOnButtonFocusBorderWidthSubtleYellow = 3;
+export const addOnButtonFocusBorderWidthBoldBlue = 3;
+export const addOnButtonFocusBorderWidthBoldGreen = 3;
+export const addOnButtonFocusBorderWidthBoldRed = 3;
+export const addOnButtonFocusBorderWidthBoldYellow = 3;
+export const addOnButtonFocusBorderRadiusNeutralBlue = 12;
+export const addOnButtonFocusBorderRadiusNeutralGreen = 12;
+export const addOnButtonFocusBorderRadiusNeutralRed = 12;
+export const addOnButtonFocusBorderRadiusNeutralYellow = 12;
+export const addOnButtonFocusBorderRadiusNeutralInverseBlue = 12;
+export const addOnButtonFocusBorderRadiusNeutralInverseGreen = 12;
+export const addOnButtonFocusBorderRadiusNeutralInverseRed = 12;
+export const addOnButtonFocusBorderRadiusNeutralInverseYellow = 12;
+export const addOnButtonFocusBorderRadiusSubtleBlue = 12;
+export const addOnButtonFocusBorderRadiusSubtleGreen = 12;
+export const addOnButtonFocusBorderRadiusSubtleRed = 12;
+export const addOnButtonFocusBorderRadiusSubtleYellow = 12;
+export const addOnButtonFocusBorderRadiusBoldBlue = 12;
+export const addOnButtonFocusBorderRadiusBoldGreen = 12;
+export const addOnButtonFocusBorderRadiusBoldRed = 12;
+export const addOnButtonFocusBorderRadiusBoldYellow = 12;
+export const addOnButtonDisabledColourNeutralBlue = "#d3d3d3";
+export const addOnButtonDisabledColourNeutralGreen = "#d3d3d3";
+export const addOnButtonDisabledColourNeutralRed = "#d3d3d3";
+export const addOnButtonDisabledColourNeutralYellow = "#d3d3d3";
+export const addOnButtonDisabledColourNeutralInverseBlue = "#d3d3d3";
+export const addOnButtonDisabledColourNeutralInverseGreen = "#d3d3d3";
+export const addOnButtonDisabledColourNeutralInverseRed = "#d3d3d3";
+export const addOnButtonDisabledColourNeutralInverseYellow = "#d3d3d3";
+export const addOnButtonDisabledColourSubtleBlue = "#d3d3d3";
+export const addOnButtonDisabledColourSubtleGreen = "#d3d3d3";
+export const addOnButtonDisabledColourSubtleRed = "#d3d3d3";
+export const addOnButtonDisabledColourSubtleYellow = "#d3d3d3";
+export const addOnButtonDisabledColourBoldBlue = "#d3d3d3";
+export const addOnButtonDisabledColourBoldGreen = "#d3d3d3";
+export const addOnButtonDisabledColourBoldRed = "#d3d3d3";
+export const addOnButtonDisabledColourBoldYellow = "#d3d3d3";
+export const radioScaleSmControlSizeNeutralBlue = 16;
+export const radioScaleSmControlSizeNeutralGreen = 16;
+export const radioScaleSmControlSizeNeutralRed = 16;
+export const radioScaleSmControlSizeNeutralYellow = 16;
+export const radioScaleSmControlSizeNeutralInverseBlue = 16;
+export const radioScaleSmControlSizeNeutralInverseGreen = 16;
+export const radioScaleSmControlSizeNeutralInverseRed = 16;
+export const radioScaleSmControlSizeNeutralInverseYellow = 16;
+export const radioScaleSmControlSizeSubtleBlue = 16;
+export const radioScaleSmControlSizeSubtleGreen = 16;
+export const radioScaleSmControlSizeSubtleRed = 16;
+export const radioScaleSmControlSizeSubtleYellow = 16;
+export const radioScaleSmControlSizeBoldBlue = 16;
+export const radioScaleSmControlSizeBoldGreen = 16;
+export const radioScaleSmControlSizeBoldRed = 16;
+export const radioScaleSmControlSizeBoldYellow = 16;
+export const radioScaleSmGapNeutralBlue = 28;
+export const radioScaleSmGapNeutralGreen = 28;
+export const radioScaleSmGapNeutralRed = 28;
+export const radioScaleSmGapNeutralYellow = 28;
+export const radioScaleSmGapNeutralInverseBlue = 28;
+export const radioScaleSmGapNeutralInverseGreen = 28;
+export const radioScaleSmGapNeutralInverseRed = 28;
+export const radioScaleSmGapNeutralInverseYellow = 28;
+export const radioScaleSmGapSubtleBlue = 28;
+export const radioScaleSmGapSubtleGreen = 28;
+export const radioScaleSmGapSubtleRed = 28;
+export const radioScaleSmGapSubtleYellow = 28;
+export const radioScaleSmGapBoldBlue = 28;
+export const radioScaleSmGapBoldGreen = 28;
+export const radioScaleSmGapBoldRed = 28;
+export const radioScaleSmGapBoldYellow = 28;
+export const radioScaleSmIndicatorSizeNeutralBlue = 8;
+export const radioScaleSmIndicatorSizeNeutralGreen = 8;
+export const radioScaleSmIndicatorSizeNeutralRed = 8;
+export const radioScaleSmIndicatorSizeNeutralYellow = 8;
+export const radioScaleSmIndicatorSizeNeutralInverseBlue = 8;
+export const radioScaleSmIndicatorSizeNeutralInverseGreen = 8;
+export const radioScaleSmIndicatorSizeNeutralInverseRed = 8;
+export const radioScaleSmIndicatorSizeNeutralInverseYellow = 8;
+export const radioScaleSmIndicatorSizeSubtleBlue = 8;
+export const radioScaleSmIndicatorSizeSubtleGreen = 8;
+export const radioScaleSmIndicatorSizeSubtleRed = 8;
+export const radioScaleSmIndicatorSizeSubtleYellow = 8;
+export const radioScaleSmIndicatorSizeBoldBlue = 8;
+export const radioScaleSmIndicatorSizeBoldGreen = 8;
+export const radioScaleSmIndicatorSizeBoldRed = 8;
+export const radioScaleSmIndicatorSizeBoldYellow = 8;
+export const radioScaleLgGapNeutralBlue = 36;
+export const radioScaleLgGapNeutralGreen = 36;
+export const radioScaleLgGapNeutralRed = 36;
+export const radioScaleLgGapNeutralYellow = 36;
+export const radioScaleLgGapNeutralInverseBlue = 36;
+export const radioScaleLgGapNeutralInverseGreen = 36;
+export const radioScaleLgGapNeutralInverseRed = 36;
+export const radioScaleLgGapNeutralInverseYellow = 36;
+export const radioScaleLgGapSubtleBlue = 36;
+export const radioScaleLgGapSubtleGreen = 36;
+export const radioScaleLgGapSubtleRed = 36;
+export const radioScaleLgGapSubtleYellow = 36;
+export const radioScaleLgGapBoldBlue = 36;
+export const radioScaleLgGapBoldGreen = 36;
+export const radioScaleLgGapBoldRed = 36;
+export const radioScaleLgGapBoldYellow = 36;
+export const radioScaleLgControlSizeNeutralBlue = 28;
+export const radioScaleLgControlSizeNeutralGreen = 28;
+export const radioScaleLgControlSizeNeutralRed = 28;
+export const radioScaleLgControlSizeNeutralYellow = 28;
+export const radioScaleLgControlSizeNeutralInverseBlue = 28;
+export const radioScaleLgControlSizeNeutralInverseGreen = 28;
+export const radioScaleLgControlSizeNeutralInverseRed = 28;
+export const radioScaleLgControlSizeNeutralInverseYellow = 28;
+export const radioScaleLgControlSizeSubtleBlue = 28;
+export const radioScaleLgControlSizeSubtleGreen = 28;
+export const radioScaleLgControlSizeSubtleRed = 28;
+export const radioScaleLgControlSizeSubtleYellow = 28;
+export const radioScaleLgControlSizeBoldBlue = 28;
+export const radioScaleLgControlSizeBoldGreen = 28;
+export const radioScaleLgControlSizeBoldRed = 28;
+export const radioScaleLgControlSizeBoldYellow = 28;
+export const radioScaleLgIndicatorSizeNeutralBlue = 16;
+export const radioScaleLgIndicatorSizeNeutralGreen = 16;
+export const radioScaleLgIndicatorSizeNeutralRed = 16;
+export const radioScaleLgIndicatorSizeNeutralYellow = 16;
+export const radioScaleLgIndicatorSizeNeutralInverseBlue = 16;
+export const radioScaleLgIndicatorSizeNeutralInverseGreen = 16;
+export const radioScaleLgIndicatorSizeNeutralInverseRed = 16;
+export const radioScaleLgIndicatorSizeNeutralInverseYellow = 16;
+export const radioScaleLgIndicatorSizeSubtleBlue = 16;
+export const radioScaleLgIndicatorSizeSubtleGreen = 16;
+export const radioScaleLgIndicatorSizeSubtleRed = 16;
+export const radioScaleLgIndicatorSizeSubtleYellow = 16;
+export const radioScaleLgIndicatorSizeBoldBlue = 16;
+export const radioScaleLgIndicatorSizeBoldGreen = 16;
+export const radioScaleLgIndicatorSizeBoldRed = 16;
+export const radioScaleLgIndicatorSizeBoldYellow = 16;
+export const radioRestControlBackgroundColourNeutralBlue = "#ffffff";
+export const radioRestControlBackgroundColourNeutralGreen = "#ffffff";
+export const radioRestControlBackgroundColourNeutralRed = "#ffffff";
+export const radioRestControlBackgroundColourNeutralYellow = "#ffffff";
+export const radioRestControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const radioRestControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const radioRestControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const radioRestControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const radioRestControlBackgroundColourSubtleBlue = "#ffffff";
+export const radioRestControlBackgroundColourSubtleGreen = "#ffffff";
+export const radioRestControlBackgroundColourSubtleRed = "#ffffff";
+export const radioRestControlBackgroundColourSubtleYellow = "#ffffff";
+export const radioRestControlBackgroundColourBoldBlue = "#ffffff";
+export const radioRestControlBackgroundColourBoldGreen = "#ffffff";
+export const radioRestControlBackgroundColourBoldRed = "#ffffff";
+export const radioRestControlBackgroundColourBoldYellow = "#ffffff";
+export const radioRestControlBorderColourNeutralBlue = "#858686";
+export const radioRestControlBorderColourNeutralGreen = "#858686";
+export const radioRestControlBorderColourNeutralRed = "#858686";
+export const radioRestControlBorderColourNeutralYellow = "#858686";
+export const radioRestControlBorderColourNeutralInverseBlue = "#858686";
+export const radioRestControlBorderColourNeutralInverseGreen = "#858686";
+export const radioRestControlBorderColourNeutralInverseRed = "#858686";
+export const radioRestControlBorderColourNeutralInverseYellow = "#858686";
+export const radioRestControlBorderColourSubtleBlue = "#001d6e";
+export const radioRestControlBorderColourSubtleGreen = "#01312e";
+export const radioRestControlBorderColourSubtleRed = "#940824";
+export const radioRestControlBorderColourSubtleYellow = "#c86426";
+export const radioRestControlBorderColourBoldBlue = "#001d6e";
+export const radioRestControlBorderColourBoldGreen = "#01312e";
+export const radioRestControlBorderColourBoldRed = "#940824";
+export const radioRestControlBorderColourBoldYellow = "#c86426";
+export const radioRestControlBorderWidthNeutralBlue = 1.5;
+export const radioRestControlBorderWidthNeutralGreen = 1.5;
+export const radioRestControlBorderWidthNeutralRed = 1.5;
+export const radioRestControlBorderWidthNeutralYellow = 1.5;
+export const radioRestControlBorderWidthNeutralInverseBlue = 1.5;
+export const radioRestControlBorderWidthNeutralInverseGreen = 1.5;
+export const radioRestControlBorderWidthNeutralInverseRed = 1.5;
+export const radioRestControlBorderWidthNeutralInverseYellow = 1.5;
+export const radioRestControlBorderWidthSubtleBlue = 1.5;
+export const radioRestControlBorderWidthSubtleGreen = 1.5;
+export const radioRestControlBorderWidthSubtleRed = 1.5;
+export const radioRestControlBorderWidthSubtleYellow = 1.5;
+export const radioRestControlBorderWidthBoldBlue = 1.5;
+export const radioRestControlBorderWidthBoldGreen = 1.5;
+export const radioRestControlBorderWidthBoldRed = 1.5;
+export const radioRestControlBorderWidthBoldYellow = 1.5;
+export const radioRestIndicatorColourNeutralBlue = "#005dba";
+export const radioRestIndicatorColourNeutralGreen = "#00633d";
+export const radioRestIndicatorColourNeutralRed = "#c50b30";
+export const radioRestIndicatorColourNeutralYellow = "#c86426";
+export const radioRestIndicatorColourNeutralInverseBlue = "#005dba";
+export const radioRestIndicatorColourNeutralInverseGreen = "#00633d";
+export const radioRestIndicatorColourNeutralInverseRed = "#c50b30";
+export const radioRestIndicatorColourNeutralInverseYellow = "#c86426";
+export const radioRestIndicatorColourSubtleBlue = "#005dba";
+export const radioRestIndicatorColourSubtleGreen = "#00633d";
+export const radioRestIndicatorColourSubtleRed = "#c50b30";
+export const radioRestIndicatorColourSubtleYellow = "#c86426";
+export const radioRestIndicatorColourBoldBlue = "#005dba";
+export const radioRestIndicatorColourBoldGreen = "#00633d";
+export const radioRestIndicatorColourBoldRed = "#c50b30";
+export const radioRestIndicatorColourBoldYellow = "#c86426";
+export const radioHoverControlBackgroundColourNeutralBlue = "#ffffff";
+export const radioHoverControlBackgroundColourNeutralGreen = "#ffffff";
+export const radioHoverControlBackgroundColourNeutralRed = "#ffffff";
+export const radioHoverControlBackgroundColourNeutralYellow = "#ffffff";
+export const radioHoverControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const radioHoverControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const radioHoverControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const radioHoverControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const radioHoverControlBackgroundColourSubtleBlue = "#ffffff";
+export const radioHoverControlBackgroundColourSubtleGreen = "#ffffff";
+export const radioHoverControlBackgroundColourSubtleRed = "#ffffff";
+export const radioHoverControlBackgroundColourSubtleYellow = "#ffffff";
+export const radioHoverControlBackgroundColourBoldBlue = "#ffffff";
+export const radioHoverControlBackgroundColourBoldGreen = "#ffffff";
+export const radioHoverControlBackgroundColourBoldRed = "#ffffff";
+export const radioHoverControlBackgroundColourBoldYellow = "#ffffff";
+export const radioHoverControlBorderColourNeutralBlue = "#4d4f4f";
+export const radioHoverControlBorderColourNeutralGreen = "#4d4f4f";
+export const radioHoverControlBorderColourNeutralRed = "#4d4f4f";
+export const radioHoverControlBorderColourNeutralYellow = "#4d4f4f";
+export const radioHoverControlBorderColourNeutralInverseBlue = "#4d4f4f";
+export const radioHoverControlBorderColourNeutralInverseGreen = "#4d4f4f";
+export const radioHoverControlBorderColourNeutralInverseRed = "#4d4f4f";
+export const radioHoverControlBorderColourNeutralInverseYellow = "#4d4f4f";
+export const radioHoverControlBorderColourSubtleBlue = "#1d1d1b";
+export const radioHoverControlBorderColourSubtleGreen = "#1d1d1b";
+export const radioHoverControlBorderColourSubtleRed = "#1d1d1b";
+export const radioHoverControlBorderColourSubtleYellow = "#1d1d1b";
+export const radioHoverControlBorderColourBoldBlue = "#1d1d1b";
+export const radioHoverControlBorderColourBoldGreen = "#1d1d1b";
+export const radioHoverControlBorderColourBoldRed = "#1d1d1b";
+export const radioHoverControlBorderColourBoldYellow = "#1d1d1b";
+export const radioHoverControlBorderWidthNeutralBlue = 1.5;
+export const radioHoverControlBorderWidthNeutralGreen = 1.5;
+export const radioHoverControlBorderWidthNeutralRed = 1.5;
+export const radioHoverControlBorderWidthNeutralYellow = 1.5;
+export const radioHoverControlBorderWidthNeutralInverseBlue = 1.5;
+export const radioHoverControlBorderWidthNeutralInverseGreen = 1.5;
+export const radioHoverControlBorderWidthNeutralInverseRed = 1.5;
+export const radioHoverControlBorderWidthNeutralInverseYellow = 1.5;
+export const radioHoverControlBorderWidthSubtleBlue = 1.5;
+export const radioHoverControlBorderWidthSubtleGreen = 1.5;
+export const radioHoverControlBorderWidthSubtleRed = 1.5;
+export const radioHoverControlBorderWidthSubtleYellow = 1.5;
+export const radioHoverControlBorderWidthBoldBlue = 1.5;
+export const radioHoverControlBorderWidthBoldGreen = 1.5;
+export const radioHoverControlBorderWidthBoldRed = 1.5;
+export const radioHoverControlBorderWidthBoldYellow = 1.5;
+export const radioHoverIndicatorColourNeutralBlue = "#001d6e";
+export const radioHoverIndicatorColourNeutralGreen = "#01312e";
+export const radioHoverIndicatorColourNeutralRed = "#940824";
+export const radioHoverIndicatorColourNeutralYellow = "#c86426";
+export const radioHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+export const radioHoverIndicatorColourNeutralInverseGreen = "#01312e";
+export const radioHoverIndicatorColourNeutralInverseRed = "#940824";
+export const radioHoverIndicatorColourNeutralInverseYellow = "#c86426";
+export const radioHoverIndicatorColourSubtleBlue = "#001d6e";
+export const radioHoverIndicatorColourSubtleGreen = "#01312e";
+export const radioHoverIndicatorColourSubtleRed = "#940824";
+export const radioHoverIndicatorColourSubtleYellow = "#c86426";
+export const radioHoverIndicatorColourBoldBlue = "#001d6e";
+export const radioHoverIndicatorColourBoldGreen = "#01312e";
+export const radioHoverIndicatorColourBoldRed = "#940824";
+export const radioHoverIndicatorColourBoldYellow = "#c86426";
+export const radioCommonColourNeutralBlue = "#1d1d1b";
+export const radioCommonColourNeutralGreen = "#1d1d1b";
+export const radioCommonColourNeutralRed = "#1d1d1b";
+export const radioCommonColourNeutralYellow = "#1d1d1b";
+export const radioCommonColourNeutralInverseBlue = "#1d1d1b";
+export const radioCommonColourNeutralInverseGreen = "#1d1d1b";
+export const radioCommonColourNeutralInverseRed = "#1d1d1b";
+export const radioCommonColourNeutralInverseYellow = "#1d1d1b";
+export const radioCommonColourSubtleBlue = "#1d1d1b";
+export const radioCommonColourSubtleGreen = "#1d1d1b";
+export const radioCommonColourSubtleRed = "#1d1d1b";
+export const radioCommonColourSubtleYellow = "#1d1d1b";
+export const radioCommonColourBoldBlue = "#ffffff";
+export const radioCommonColourBoldGreen = "#ffffff";
+export const radioCommonColourBoldRed = "#ffffff";
+export const radioCommonColourBoldYellow = "#1d1d1b";
+export const radioCommonBorderRadiusNeutralBlue = 16;
+export const radioCommonBorderRadiusNeutralGreen = 16;
+export const radioCommonBorderRadiusNeutralRed = 16;
+export const radioCommonBorderRadiusNeutralYellow = 16;
+export const radioCommonBorderRadiusNeutralInverseBlue = 16;
+export const radioCommonBorderRadiusNeutralInverseGreen = 16;
+export const radioCommonBorderRadiusNeutralInverseRed = 16;
+export const radioCommonBorderRadiusNeutralInverseYellow = 16;
+export const radioCommonBorderRadiusSubtleBlue = 16;
+export const radioCommonBorderRadiusSubtleGreen = 16;
+export const radioCommonBorderRadiusSubtleRed = 16;
+export const radioCommonBorderRadiusSubtleYellow = 16;
+export const radioCommonBorderRadiusBoldBlue = 16;
+export const radioCommonBorderRadiusBoldGreen = 16;
+export const radioCommonBorderRadiusBoldRed = 16;
+export const radioCommonBorderRadiusBoldYellow = 16;
+export const radioFocusControlBackgroundColourNeutralBlue = "#ffffff";
+export const radioFocusControlBackgroundColourNeutralGreen = "#ffffff";
+export const radioFocusControlBackgroundColourNeutralRed = "#ffffff";
+export const radioFocusControlBackgroundColourNeutralYellow = "#ffffff";
+export const radioFocusControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const radioFocusControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const radioFocusControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const radioFocusControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const radioFocusControlBackgroundColourSubtleBlue = "#ffffff";
+export const radioFocusControlBackgroundColourSubtleGreen = "#ffffff";
+export const radioFocusControlBackgroundColourSubtleRed = "#ffffff";
+export const radioFocusControlBackgroundColourSubtleYellow = "#ffffff";
+export const radioFocusControlBackgroundColourBoldBlue = "#ffffff";
+export const radioFocusControlBackgroundColourBoldGreen = "#ffffff";
+export const radioFocusControlBackgroundColourBoldRed = "#ffffff";
+export const radioFocusControlBackgroundColourBoldYellow = "#ffffff";
+export const radioFocusControlBorderColourNeutralBlue = "#1d1d1b";
+export const radioFocusControlBorderColourNeutralGreen = "#1d1d1b";
+export const radioFocusControlBorderColourNeutralRed = "#1d1d1b";
+export const radioFocusControlBorderColourNeutralYellow = "#1d1d1b";
+export const radioFocusControlBorderColourNeutralInverseBlue = "#1d1d1b";
+export const radioFocusControlBorderColourNeutralInverseGreen = "#1d1d1b";
+export const radioFocusControlBorderColourNeutralInverseRed = "#1d1d1b";
+export const radioFocusControlBorderColourNeutralInverseYellow = "#1d1d1b";
+export const radioFocusControlBorderColourSubtleBlue = "#1d1d1b";
+export const radioFocusControlBorderColourSubtleGreen = "#1d1d1b";
+export const radioFocusControlBorderColourSubtleRed = "#1d1d1b";
+export const radioFocusControlBorderColourSubtleYellow = "#1d1d1b";
+export const radioFocusControlBorderColourBoldBlue = "#1d1d1b";
+export const radioFocusControlBorderColourBoldGreen = "#1d1d1b";
+export const radioFocusControlBorderColourBoldRed = "#1d1d1b";
+export const radioFocusControlBorderColourBoldYellow = "#1d1d1b";
+export const radioFocusControlBorderWidthNeutralBlue = 3;
+export const radioFocusControlBorderWidthNeutralGreen = 3;
+export const radioFocusControlBorderWidthNeutralRed = 3;
+export const radioFocusControlBorderWidthNeutralYellow = 3;
+export const radioFocusControlBorderWidthNeutralInverseBlue = 3;
+export const radioFocusControlBorderWidthNeutralInverseGreen = 3;
+export const radioFocusControlBorderWidthNeutralInverseRed = 3;
+export const radioFocusControlBorderWidthNeutralInverseYellow = 3;
+export const radioFocusControlBorderWidthSubtleBlue = 3;
+export const radioFocusControlBorderWidthSubtleGreen = 3;
+export const radioFocusControlBorderWidthSubtleRed = 3;
+export const radioFocusControlBorderWidthSubtleYellow = 3;
+export const radioFocusControlBorderWidthBoldBlue = 3;
+export const radioFocusControlBorderWidthBoldGreen = 3;
+export const radioFocusControlBorderWidthBoldRed = 3;
+export const radioFocusControlBorderWidthBoldYellow = 3;
+export const radioFocusIndicatorColourNeutralBlue = "#005dba";
+export const radioFocusIndicatorColourNeutralGreen = "#00633d";
+export const radioFocusIndicatorColourNeutralRed = "#c50b30";
+export const radioFocusIndicatorColourNeutralYellow = "#c86426";
+export const radioFocusIndicatorColourNeutralInverseBlue = "#005dba";
+export const radioFocusIndicatorColourNeutralInverseGreen = "#00633d";
+export const radioFocusIndicatorColourNeutralInverseRed = "#c50b30";
+export const radioFocusIndicatorColourNeutralInverseYellow = "#c86426";
+export const radioFocusIndicatorColourSubtleBlue = "#005dba";
+export const radioFocusIndicatorColourSubtleGreen = "#00633d";
+export const radioFocusIndicatorColourSubtleRed = "#c50b30";
+export const radioFocusIndicatorColourSubtleYellow = "#c86426";
+export const radioFocusIndicatorColourBoldBlue = "#005dba";
+export const radioFocusIndicatorColourBoldGreen = "#00633d";
+export const radioFocusIndicatorColourBoldRed = "#c50b30";
+export const radioFocusIndicatorColourBoldYellow = "#c86426";
+export const radioErrorControlBackgroundColourNeutralBlue = "#ffffff";
+export const radioErrorControlBackgroundColourNeutralGreen = "#ffffff";
+export const radioErrorControlBackgroundColourNeutralRed = "#ffffff";
+export const radioErrorControlBackgroundColourNeutralYellow = "#ffffff";
+export const radioErrorControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const radioErrorControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const radioErrorControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const radioErrorControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const radioErrorControlBackgroundColourSubtleBlue = "#ffffff";
+export const radioErrorControlBackgroundColourSubtleGreen = "#ffffff";
+export const radioErrorControlBackgroundColourSubtleRed = "#ffffff";
+export const radioErrorControlBackgroundColourSubtleYellow = "#ffffff";
+export const radioErrorControlBackgroundColourBoldBlue = "#ffffff";
+export const radioErrorControlBackgroundColourBoldGreen = "#ffffff";
+export const radioErrorControlBackgroundColourBoldRed = "#ffffff";
+export const radioErrorControlBackgroundColourBoldYellow = "#ffffff";
+export const radioErrorControlBorderColourNeutralBlue = "#c50b30";
+export const radioErrorControlBorderColourNeutralGreen = "#c50b30";
+export const radioErrorControlBorderColourNeutralRed = "#c50b30";
+export const radioErrorControlBorderColourNeutralYellow = "#c50b30";
+export const radioErrorControlBorderColourNeutralInverseBlue = "#c50b30";
+export const radioErrorControlBorderColourNeutralInverseGreen = "#c50b30";
+export const radioErrorControlBorderColourNeutralInverseRed = "#c50b30";
+export const radioErrorControlBorderColourNeutralInverseYellow = "#c50b30";
+export const radioErrorControlBorderColourSubtleBlue = "#c50b30";
+export const radioErrorControlBorderColourSubtleGreen = "#c50b30";
+export const radioErrorControlBorderColourSubtleRed = "#c50b30";
+export const radioErrorControlBorderColourSubtleYellow = "#c50b30";
+export const radioErrorControlBorderColourBoldBlue = "#c50b30";
+export const radioErrorControlBorderColourBoldGreen = "#c50b30";
+export const radioErrorControlBorderColourBoldRed = "#c50b30";
+export const radioErrorControlBorderColourBoldYellow = "#c50b30";
+export const radioErrorControlBorderWidthNeutralBlue = 1.5;
+export const radioErrorControlBorderWidthNeutralGreen = 1.5;
+export const radioErrorControlBorderWidthNeutralRed = 1.5;
+export const radioErrorControlBorderWidthNeutralYellow = 1.5;
+export const radioErrorControlBorderWidthNeutralInverseBlue = 1.5;
+export const radioErrorControlBorderWidthNeutralInverseGreen = 1.5;
+export const radioErrorControlBorderWidthNeutralInverseRed = 1.5;
+export const radioErrorControlBorderWidthNeutralInverseYellow = 1.5;
+export const radioErrorControlBorderWidthSubtleBlue = 1.5;
+export const radioErrorControlBorderWidthSubtleGreen = 1.5;
+export const radioErrorControlBorderWidthSubtleRed = 1.5;
+export const radioErrorControlBorderWidthSubtleYellow = 1.5;
+export const radioErrorControlBorderWidthBoldBlue = 1.5;
+export const radioErrorControlBorderWidthBoldGreen = 1.5;
+export const radioErrorControlBorderWidthBoldRed = 1.5;
+export const radioErrorControlBorderWidthBoldYellow = 1.5;
+export const radioErrorControlFocusBorderWidthNeutralBlue = 3;
+export const radioErrorControlFocusBorderWidthNeutralGreen = 3;
+export const radioErrorControlFocusBorderWidthNeutralRed = 3;
+export const radioErrorControlFocusBorderWidthNeutralYellow = 3;
+export const radioErrorControlFocusBorderWidthNeutralInverseBlue = 3;
+export const radioErrorControlFocusBorderWidthNeutralInverseGreen = 3;
+export const radioErrorControlFocusBorderWidthNeutralInverseRed = 3;
+export const radioErrorControlFocusBorderWidthNeutralInverseYellow = 3;
+export const radioErrorControlFocusBorderWidthSubtleBlue = 3;
+export const radioErrorControlFocusBorderWidthSubtleGreen = 3;
+export const radioErrorControlFocusBorderWidthSubtleRed = 3;
+export const radioErrorControlFocusBorderWidthSubtleYellow = 3;
+export const radioErrorControlFocusBorderWidthBoldBlue = 3;
+export const radioErrorControlFocusBorderWidthBoldGreen = 3;
+export const radioErrorControlFocusBorderWidthBoldRed = 3;
+export const radioErrorControlFocusBorderWidthBoldYellow = 3;
+export const radioErrorIndicatorColourNeutralBlue = "#c50b30";
+export const radioErrorIndicatorColourNeutralGreen = "#c50b30";
+export const radioErrorIndicatorColourNeutralRed = "#c50b30";
+export const radioErrorIndicatorColourNeutralYellow = "#c50b30";
+export const radioErrorIndicatorColourNeutralInverseBlue = "#c50b30";
+export const radioErrorIndicatorColourNeutralInverseGreen = "#c50b30";
+export const radioErrorIndicatorColourNeutralInverseRed = "#c50b30";
+export const radioErrorIndicatorColourNeutralInverseYellow = "#c50b30";
+export const radioErrorIndicatorColourSubtleBlue = "#c50b30";
+export const radioErrorIndicatorColourSubtleGreen = "#c50b30";
+export const radioErrorIndicatorColourSubtleRed = "#c50b30";
+export const radioErrorIndicatorColourSubtleYellow = "#c50b30";
+export const radioErrorIndicatorColourBoldBlue = "#c50b30";
+export const radioErrorIndicatorColourBoldGreen = "#c50b30";
+export const radioErrorIndicatorColourBoldRed = "#c50b30";
+export const radioErrorIndicatorColourBoldYellow = "#c50b30";
+export const radioDisabledLabelColourNeutralBlue = "#a6a7a7";
+export const radioDisabledLabelColourNeutralGreen = "#a6a7a7";
+export const radioDisabledLabelColourNeutralRed = "#a6a7a7";
+export const radioDisabledLabelColourNeutralYellow = "#a6a7a7";
+export const radioDisabledLabelColourNeutralInverseBlue = "#a6a7a7";
+export const radioDisabledLabelColourNeutralInverseGreen = "#a6a7a7";
+export const radioDisabledLabelColourNeutralInverseRed = "#a6a7a7";
+export const radioDisabledLabelColourNeutralInverseYellow = "#a6a7a7";
+export const radioDisabledLabelColourSubtleBlue = "#a6a7a7";
+export const radioDisabledLabelColourSubtleGreen = "#a6a7a7";
+export const radioDisabledLabelColourSubtleRed = "#a6a7a7";
+export const radioDisabledLabelColourSubtleYellow = "#a6a7a7";
+export const radioDisabledLabelColourBoldBlue = "#a6a7a7";
+export const radioDisabledLabelColourBoldGreen = "#a6a7a7";
+export const radioDisabledLabelColourBoldRed = "#a6a7a7";
+export const radioDisabledLabelColourBoldYellow = "#a6a7a7";
+export const radioDisabledControlBackgroundColourNeutralBlue = "#f4f4f4";
+export const radioDisabledControlBackgroundColourNeutralGreen = "#f4f4f4";
+export const radioDisabledControlBackgroundColourNeutralRed = "#f4f4f4";
+export const radioDisabledControlBackgroundColourNeutralYellow = "#f4f4f4";
+export const radioDisabledControlBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const radioDisabledControlBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const radioDisabledControlBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const radioDisabledControlBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const radioDisabledControlBackgroundColourSubtleBlue = "#f4f4f4";
+export const radioDisabledControlBackgroundColourSubtleGreen = "#f4f4f4";
+export const radioDisabledControlBackgroundColourSubtleRed = "#f4f4f4";
+export const radioDisabledControlBackgroundColourSubtleYellow = "#f4f4f4";
+export const radioDisabledControlBackgroundColourBoldBlue = "#f4f4f4";
+export const radioDisabledControlBackgroundColourBoldGreen = "#f4f4f4";
+export const radioDisabledControlBackgroundColourBoldRed = "#f4f4f4";
+export const radioDisabledControlBackgroundColourBoldYellow = "#f4f4f4";
+export const radioDisabledControlBorderColourNeutralBlue = "#d3d3d3";
+export const radioDisabledControlBorderColourNeutralGreen = "#d3d3d3";
+export const radioDisabledControlBorderColourNeutralRed = "#d3d3d3";
+export const radioDisabledControlBorderColourNeutralYellow = "#d3d3d3";
+export const radioDisabledControlBorderColourNeutralInverseBlue = "#d3d3d3";
+export const radioDisabledControlBorderColourNeutralInverseGreen = "#d3d3d3";
+export const radioDisabledControlBorderColourNeutralInverseRed = "#d3d3d3";
+export const radioDisabledControlBorderColourNeutralInverseYellow = "#d3d3d3";
+export const radioDisabledControlBorderColourSubtleBlue = "#d3d3d3";
+export const radioDisabledControlBorderColourSubtleGreen = "#d3d3d3";
+export const radioDisabledControlBorderColourSubtleRed = "#d3d3d3";
+export const radioDisabledControlBorderColourSubtleYellow = "#d3d3d3";
+export const radioDisabledControlBorderColourBoldBlue = "#d3d3d3";
+export const radioDisabledControlBorderColourBoldGreen = "#d3d3d3";
+export const radioDisabledControlBorderColourBoldRed = "#d3d3d3";
+export const radioDisabledControlBorderColourBoldYellow = "#d3d3d3";
+export const radioDisabledControlBorderWidthNeutralBlue = 1.5;
+export const radioDisabledControlBorderWidthNeutralGreen = 1.5;
+export const radioDisabledControlBorderWidthNeutralRed = 1.5;
+export const radioDisabledControlBorderWidthNeutralYellow = 1.5;
+export const radioDisabledControlBorderWidthNeutralInverseBlue = 1.5;
+export const radioDisabledControlBorderWidthNeutralInverseGreen = 1.5;
+export const radioDisabledControlBorderWidthNeutralInverseRed = 1.5;
+export const radioDisabledControlBorderWidthNeutralInverseYellow = 1.5;
+export const radioDisabledControlBorderWidthSubtleBlue = 1.5;
+export const radioDisabledControlBorderWidthSubtleGreen = 1.5;
+export const radioDisabledControlBorderWidthSubtleRed = 1.5;
+export const radioDisabledControlBorderWidthSubtleYellow = 1.5;
+export const radioDisabledControlBorderWidthBoldBlue = 1.5;
+export const radioDisabledControlBorderWidthBoldGreen = 1.5;
+export const radioDisabledControlBorderWidthBoldRed = 1.5;
+export const radioDisabledControlBorderWidthBoldYellow = 1.5;
+export const radioDisabledIndicatorColourNeutralBlue = "#d3d3d3";
+export const radioDisabledIndicatorColourNeutralGreen = "#d3d3d3";
+export const radioDisabledIndicatorColourNeutralRed = "#d3d3d3";
+export const radioDisabledIndicatorColourNeutralYellow = "#d3d3d3";
+export const radioDisabledIndicatorColourNeutralInverseBlue = "#d3d3d3";
+export const radioDisabledIndicatorColourNeutralInverseGreen = "#d3d3d3";
+export const radioDisabledIndicatorColourNeutralInverseRed = "#d3d3d3";
+export const radioDisabledIndicatorColourNeutralInverseYellow = "#d3d3d3";
+export const radioDisabledIndicatorColourSubtleBlue = "#d3d3d3";
+export const radioDisabledIndicatorColourSubtleGreen = "#d3d3d3";
+export const radioDisabledIndicatorColourSubtleRed = "#d3d3d3";
+export const radioDisabledIndicatorColourSubtleYellow = "#d3d3d3";
+export const radioDisabledIndicatorColourBoldBlue = "#d3d3d3";
+export const radioDisabledIndicatorColourBoldGreen = "#d3d3d3";
+export const radioDisabledIndicatorColourBoldRed = "#d3d3d3";
+export const radioDisabledIndicatorColourBoldYellow = "#d3d3d3";
+export const radioGroupSmGapNeutralBlue = 16;
+export const radioGroupSmGapNeutralGreen = 16;
+export const radioGroupSmGapNeutralRed = 16;
+export const radioGroupSmGapNeutralYellow = 16;
+export const radioGroupSmGapNeutralInverseBlue = 16;
+export const radioGroupSmGapNeutralInverseGreen = 16;
+export const radioGroupSmGapNeutralInverseRed = 16;
+export const radioGroupSmGapNeutralInverseYellow = 16;
+export const radioGroupSmGapSubtleBlue = 16;
+export const radioGroupSmGapSubtleGreen = 16;
+export const radioGroupSmGapSubtleRed = 16;
+export const radioGroupSmGapSubtleYellow = 16;
+export const radioGroupSmGapBoldBlue = 16;
+export const radioGroupSmGapBoldGreen = 16;
+export const radioGroupSmGapBoldRed = 16;
+export const radioGroupSmGapBoldYellow = 16;
+export const radioGroupLgGapNeutralBlue = 20;
+export const radioGroupLgGapNeutralGreen = 20;
+export const radioGroupLgGapNeutralRed = 20;
+export const radioGroupLgGapNeutralYellow = 20;
+export const radioGroupLgGapNeutralInverseBlue = 20;
+export const radioGroupLgGapNeutralInverseGreen = 20;
+export const radioGroupLgGapNeutralInverseRed = 20;
+export const radioGroupLgGapNeutralInverseYellow = 20;
+export const radioGroupLgGapSubtleBlue = 20;
+export const radioGroupLgGapSubtleGreen = 20;
+export const radioGroupLgGapSubtleRed = 20;
+export const radioGroupLgGapSubtleYellow = 20;
+export const radioGroupLgGapBoldBlue = 20;
+export const radioGroupLgGapBoldGreen = 20;
+export const radioGroupLgGapBoldRed = 20;
+export const radioGroupLgGapBoldYellow = 20;
+export const checkboxScaleSmGapNeutralBlue = 28;
+export const checkboxScaleSmGapNeutralGreen = 28;
+export const checkboxScaleSmGapNeutralRed = 28;
+export const checkboxScaleSmGapNeutralYellow = 28;
+export const checkboxScaleSmGapNeutralInverseBlue = 28;
+export const checkboxScaleSmGapNeutralInverseGreen = 28;
+export const checkboxScaleSmGapNeutralInverseRed = 28;
+export const checkboxScaleSmGapNeutralInverseYellow = 28;
+export const checkboxScaleSmGapSubtleBlue = 28;
+export const checkboxScaleSmGapSubtleGreen = 28;
+export const checkboxScaleSmGapSubtleRed = 28;
+export const checkboxScaleSmGapSubtleYellow = 28;
+export const checkboxScaleSmGapBoldBlue = 28;
+export const checkboxScaleSmGapBoldGreen = 28;
+export const checkboxScaleSmGapBoldRed = 28;
+export const checkboxScaleSmGapBoldYellow = 28;
+export const checkboxScaleSmControlSizeNeutralBlue = 16;
+export const checkboxScaleSmControlSizeNeutralGreen = 16;
+export const checkboxScaleSmControlSizeNeutralRed = 16;
+export const checkboxScaleSmControlSizeNeutralYellow = 16;
+export const checkboxScaleSmControlSizeNeutralInverseBlue = 16;
+export const checkboxScaleSmControlSizeNeutralInverseGreen = 16;
+export const checkboxScaleSmControlSizeNeutralInverseRed = 16;
+export const checkboxScaleSmControlSizeNeutralInverseYellow = 16;
+export const checkboxScaleSmControlSizeSubtleBlue = 16;
+export const checkboxScaleSmControlSizeSubtleGreen = 16;
+export const checkboxScaleSmControlSizeSubtleRed = 16;
+export const checkboxScaleSmControlSizeSubtleYellow = 16;
+export const checkboxScaleSmControlSizeBoldBlue = 16;
+export const checkboxScaleSmControlSizeBoldGreen = 16;
+export const checkboxScaleSmControlSizeBoldRed = 16;
+export const checkboxScaleSmControlSizeBoldYellow = 16;
+export const checkboxScaleSmIndicatorSizeNeutralBlue = 16;
+export const checkboxScaleSmIndicatorSizeNeutralGreen = 16;
+export const checkboxScaleSmIndicatorSizeNeutralRed = 16;
+export const checkboxScaleSmIndicatorSizeNeutralYellow = 16;
+export const checkboxScaleSmIndicatorSizeNeutralInverseBlue = 16;
+export const checkboxScaleSmIndicatorSizeNeutralInverseGreen = 16;
+export const checkboxScaleSmIndicatorSizeNeutralInverseRed = 16;
+export const checkboxScaleSmIndicatorSizeNeutralInverseYellow = 16;
+export const checkboxScaleSmIndicatorSizeSubtleBlue = 16;
+export const checkboxScaleSmIndicatorSizeSubtleGreen = 16;
+export const checkboxScaleSmIndicatorSizeSubtleRed = 16;
+export const checkboxScaleSmIndicatorSizeSubtleYellow = 16;
+export const checkboxScaleSmIndicatorSizeBoldBlue = 16;
+export const checkboxScaleSmIndicatorSizeBoldGreen = 16;
+export const checkboxScaleSmIndicatorSizeBoldRed = 16;
+export const checkboxScaleSmIndicatorSizeBoldYellow = 16;
+export const checkboxScaleLgGapNeutralBlue = 36;
+export const checkboxScaleLgGapNeutralGreen = 36;
+export const checkboxScaleLgGapNeutralRed = 36;
+export const checkboxScaleLgGapNeutralYellow = 36;
+export const checkboxScaleLgGapNeutralInverseBlue = 36;
+export const checkboxScaleLgGapNeutralInverseGreen = 36;
+export const checkboxScaleLgGapNeutralInverseRed = 36;
+export const checkboxScaleLgGapNeutralInverseYellow = 36;
+export const checkboxScaleLgGapSubtleBlue = 36;
+export const checkboxScaleLgGapSubtleGreen = 36;
+export const checkboxScaleLgGapSubtleRed = 36;
+export const checkboxScaleLgGapSubtleYellow = 36;
+export const checkboxScaleLgGapBoldBlue = 36;
+export const checkboxScaleLgGapBoldGreen = 36;
+export const checkboxScaleLgGapBoldRed = 36;
+export const checkboxScaleLgGapBoldYellow = 36;
+export const checkboxScaleLgControlSizeNeutralBlue = 28;
+export const checkboxScaleLgControlSizeNeutralGreen = 28;
+export const checkboxScaleLgControlSizeNeutralRed = 28;
+export const checkboxScaleLgControlSizeNeutralYellow = 28;
+export const checkboxScaleLgControlSizeNeutralInverseBlue = 28;
+export const checkboxScaleLgControlSizeNeutralInverseGreen = 28;
+export const checkboxScaleLgControlSizeNeutralInverseRed = 28;
+export const checkboxScaleLgControlSizeNeutralInverseYellow = 28;
+export const checkboxScaleLgControlSizeSubtleBlue = 28;
+export const checkboxScaleLgControlSizeSubtleGreen = 28;
+export const checkboxScaleLgControlSizeSubtleRed = 28;
+export const checkboxScaleLgControlSizeSubtleYellow = 28;
+export const checkboxScaleLgControlSizeBoldBlue = 28;
+export const checkboxScaleLgControlSizeBoldGreen = 28;
+export const checkboxScaleLgControlSizeBoldRed = 28;
+export const checkboxScaleLgControlSizeBoldYellow = 28;
+export const checkboxScaleLgIndicatorSizeNeutralBlue = 28;
+export const checkboxScaleLgIndicatorSizeNeutralGreen = 28;
+export const checkboxScaleLgIndicatorSizeNeutralRed = 28;
+export const checkboxScaleLgIndicatorSizeNeutralYellow = 28;
+export const checkboxScaleLgIndicatorSizeNeutralInverseBlue = 28;
+export const checkboxScaleLgIndicatorSizeNeutralInverseGreen = 28;
+export const checkboxScaleLgIndicatorSizeNeutralInverseRed = 28;
+export const checkboxScaleLgIndicatorSizeNeutralInverseYellow = 28;
+export const checkboxScaleLgIndicatorSizeSubtleBlue = 28;
+export const checkboxScaleLgIndicatorSizeSubtleGreen = 28;
+export const checkboxScaleLgIndicatorSizeSubtleRed = 28;
+export const checkboxScaleLgIndicatorSizeSubtleYellow = 28;
+export const checkboxScaleLgIndicatorSizeBoldBlue = 28;
+export const checkboxScaleLgIndicatorSizeBoldGreen = 28;
+export const checkboxScaleLgIndicatorSizeBoldRed = 28;
+export const checkboxScaleLgIndicatorSizeBoldYellow = 28;
+export const checkboxCommonGapNeutralBlue = 12;
+export const checkboxCommonGapNeutralGreen = 12;
+export const checkboxCommonGapNeutralRed = 12;
+export const checkboxCommonGapNeutralYellow = 12;
+export const checkboxCommonGapNeutralInverseBlue = 12;
+export const checkboxCommonGapNeutralInverseGreen = 12;
+export const checkboxCommonGapNeutralInverseRed = 12;
+export const checkboxCommonGapNeutralInverseYellow = 12;
+export const checkboxCommonGapSubtleBlue = 12;
+export const checkboxCommonGapSubtleGreen = 12;
+export const checkboxCommonGapSubtleRed = 12;
+export const checkboxCommonGapSubtleYellow = 12;
+export const checkboxCommonGapBoldBlue = 12;
+export const checkboxCommonGapBoldGreen = 12;
+export const checkboxCommonGapBoldRed = 12;
+export const checkboxCommonGapBoldYellow = 12;
+export const checkboxCommonColourNeutralBlue = "#1d1d1b";
+export const checkboxCommonColourNeutralGreen = "#1d1d1b";
+export const checkboxCommonColourNeutralRed = "#1d1d1b";
+export const checkboxCommonColourNeutralYellow = "#1d1d1b";
+export const checkboxCommonColourNeutralInverseBlue = "#1d1d1b";
+export const checkboxCommonColourNeutralInverseGreen = "#1d1d1b";
+export const checkboxCommonColourNeutralInverseRed = "#1d1d1b";
+export const checkboxCommonColourNeutralInverseYellow = "#1d1d1b";
+export const checkboxCommonColourSubtleBlue = "#1d1d1b";
+export const checkboxCommonColourSubtleGreen = "#1d1d1b";
+export const checkboxCommonColourSubtleRed = "#1d1d1b";
+export const checkboxCommonColourSubtleYellow = "#1d1d1b";
+export const checkboxCommonColourBoldBlue = "#ffffff";
+export const checkboxCommonColourBoldGreen = "#ffffff";
+export const checkboxCommonColourBoldRed = "#ffffff";
+export const checkboxCommonColourBoldYellow = "#1d1d1b";
+export const checkboxCommonBorderRadiusNeutralBlue = 4;
+export const checkboxCommonBorderRadiusNeutralGreen = 4;
+export const checkboxCommonBorderRadiusNeutralRed = 4;
+export const checkboxCommonBorderRadiusNeutralYellow = 4;
+export const checkboxCommonBorderRadiusNeutralInverseBlue = 4;
+export const checkboxCommonBorderRadiusNeutralInverseGreen = 4;
+export const checkboxCommonBorderRadiusNeutralInverseRed = 4;
+export const checkboxCommonBorderRadiusNeutralInverseYellow = 4;
+export const checkboxCommonBorderRadiusSubtleBlue = 4;
+export const checkboxCommonBorderRadiusSubtleGreen = 4;
+export const checkboxCommonBorderRadiusSubtleRed = 4;
+export const checkboxCommonBorderRadiusSubtleYellow = 4;
+export const checkboxCommonBorderRadiusBoldBlue = 4;
+export const checkboxCommonBorderRadiusBoldGreen = 4;
+export const checkboxCommonBorderRadiusBoldRed = 4;
+export const checkboxCommonBorderRadiusBoldYellow = 4;
+export const checkboxRestControlBackgroundColourNeutralBlue = "#ffffff";
+export const checkboxRestControlBackgroundColourNeutralGreen = "#ffffff";
+export const checkboxRestControlBackgroundColourNeutralRed = "#ffffff";
+export const checkboxRestControlBackgroundColourNeutralYellow = "#ffffff";
+export const checkboxRestControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const checkboxRestControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const checkboxRestControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const checkboxRestControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const checkboxRestControlBackgroundColourSubtleBlue = "#ffffff";
+export const checkboxRestControlBackgroundColourSubtleGreen = "#ffffff";
+export const checkboxRestControlBackgroundColourSubtleRed = "#ffffff";
+export const checkboxRestControlBackgroundColourSubtleYellow = "#ffffff";
+export const checkboxRestControlBackgroundColourBoldBlue = "#ffffff";
+export const checkboxRestControlBackgroundColourBoldGreen = "#ffffff";
+export const checkboxRestControlBackgroundColourBoldRed = "#ffffff";
+export const checkboxRestControlBackgroundColourBoldYellow = "#ffffff";
+export const checkboxRestControlBorderColourNeutralBlue = "#858686";
+export const checkboxRestControlBorderColourNeutralGreen = "#858686";
+export const checkboxRestControlBorderColourNeutralRed = "#858686";
+export const checkboxRestControlBorderColourNeutralYellow = "#858686";
+export const checkboxRestControlBorderColourNeutralInverseBlue = "#858686";
+export const checkboxRestControlBorderColourNeutralInverseGreen = "#858686";
+export const checkboxRestControlBorderColourNeutralInverseRed = "#858686";
+export const checkboxRestControlBorderColourNeutralInverseYellow = "#858686";
+export const checkboxRestControlBorderColourSubtleBlue = "#001d6e";
+export const checkboxRestControlBorderColourSubtleGreen = "#01312e";
+export const checkboxRestControlBorderColourSubtleRed = "#940824";
+export const checkboxRestControlBorderColourSubtleYellow = "#c86426";
+export const checkboxRestControlBorderColourBoldBlue = "#001d6e";
+export const checkboxRestControlBorderColourBoldGreen = "#01312e";
+export const checkboxRestControlBorderColourBoldRed = "#940824";
+export const checkboxRestControlBorderColourBoldYellow = "#c86426";
+export const checkboxRestControlBorderWidthNeutralBlue = 1.5;
+export const checkboxRestControlBorderWidthNeutralGreen = 1.5;
+export const checkboxRestControlBorderWidthNeutralRed = 1.5;
+export const checkboxRestControlBorderWidthNeutralYellow = 1.5;
+export const checkboxRestControlBorderWidthNeutralInverseBlue = 1.5;
+export const checkboxRestControlBorderWidthNeutralInverseGreen = 1.5;
+export const checkboxRestControlBorderWidthNeutralInverseRed = 1.5;
+export const checkboxRestControlBorderWidthNeutralInverseYellow = 1.5;
+export const checkboxRestControlBorderWidthSubtleBlue = 1.5;
+export const checkboxRestControlBorderWidthSubtleGreen = 1.5;
+export const checkboxRestControlBorderWidthSubtleRed = 1.5;
+export const checkboxRestControlBorderWidthSubtleYellow = 1.5;
+export const checkboxRestControlBorderWidthBoldBlue = 1.5;
+export const checkboxRestControlBorderWidthBoldGreen = 1.5;
+export const checkboxRestControlBorderWidthBoldRed = 1.5;
+export const checkboxRestControlBorderWidthBoldYellow = 1.5;
+export const checkboxRestIndicatorColourNeutralBlue = "#005dba";
+export const checkboxRestIndicatorColourNeutralGreen = "#00633d";
+export const checkboxRestIndicatorColourNeutralRed = "#c50b30";
+export const checkboxRestIndicatorColourNeutralYellow = "#c86426";
+export const checkboxRestIndicatorColourNeutralInverseBlue = "#005dba";
+export const checkboxRestIndicatorColourNeutralInverseGreen = "#00633d";
+export const checkboxRestIndicatorColourNeutralInverseRed = "#c50b30";
+export const checkboxRestIndicatorColourNeutralInverseYellow = "#c86426";
+export const checkboxRestIndicatorColourSubtleBlue = "#005dba";
+export const checkboxRestIndicatorColourSubtleGreen = "#00633d";
+export const checkboxRestIndicatorColourSubtleRed = "#c50b30";
+export const checkboxRestIndicatorColourSubtleYellow = "#c86426";
+export const checkboxRestIndicatorColourBoldBlue = "#005dba";
+export const checkboxRestIndicatorColourBoldGreen = "#00633d";
+export const checkboxRestIndicatorColourBoldRed = "#c50b30";
+export const checkboxRestIndicatorColourBoldYellow = "#c86426";
+export const checkboxHoverControlBackgroundColourNeutralBlue = "#ffffff";
+export const checkboxHoverControlBackgroundColourNeutralGreen = "#ffffff";
+export const checkboxHoverControlBackgroundColourNeutralRed = "#ffffff";
+export const checkboxHoverControlBackgroundColourNeutralYellow = "#ffffff";
+export const checkboxHoverControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const checkboxHoverControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const checkboxHoverControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const checkboxHoverControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const checkboxHoverControlBackgroundColourSubtleBlue = "#ffffff";
+export const checkboxHoverControlBackgroundColourSubtleGreen = "#ffffff";
+export const checkboxHoverControlBackgroundColourSubtleRed = "#ffffff";
+export const checkboxHoverControlBackgroundColourSubtleYellow = "#ffffff";
+export const checkboxHoverControlBackgroundColourBoldBlue = "#ffffff";
+export const checkboxHoverControlBackgroundColourBoldGreen = "#ffffff";
+export const checkboxHoverControlBackgroundColourBoldRed = "#ffffff";
+export const checkboxHoverControlBackgroundColourBoldYellow = "#ffffff";
+export const checkboxHoverControlBorderColourNeutralBlue = "#4d4f4f";
+export const checkboxHoverControlBorderColourNeutralGreen = "#4d4f4f";
+export const checkboxHoverControlBorderColourNeutralRed = "#4d4f4f";
+export const checkboxHoverControlBorderColourNeutralYellow = "#4d4f4f";
+export const checkboxHoverControlBorderColourNeutralInverseBlue = "#4d4f4f";
+export const checkboxHoverControlBorderColourNeutralInverseGreen = "#4d4f4f";
+export const checkboxHoverControlBorderColourNeutralInverseRed = "#4d4f4f";
+export const checkboxHoverControlBorderColourNeutralInverseYellow = "#4d4f4f";
+export const checkboxHoverControlBorderColourSubtleBlue = "#1d1d1b";
+export const checkboxHoverControlBorderColourSubtleGreen = "#1d1d1b";
+export const checkboxHoverControlBorderColourSubtleRed = "#1d1d1b";
+export const checkboxHoverControlBorderColourSubtleYellow = "#1d1d1b";
+export const checkboxHoverControlBorderColourBoldBlue = "#1d1d1b";
+export const checkboxHoverControlBorderColourBoldGreen = "#1d1d1b";
+export const checkboxHoverControlBorderColourBoldRed = "#1d1d1b";
+export const checkboxHoverControlBorderColourBoldYellow = "#1d1d1b";
+export const checkboxHoverControlBorderWidthNeutralBlue = 1.5;
+export const checkboxHoverControlBorderWidthNeutralGreen = 1.5;
+export const checkboxHoverControlBorderWidthNeutralRed = 1.5;
+export const checkboxHoverControlBorderWidthNeutralYellow = 1.5;
+export const checkboxHoverControlBorderWidthNeutralInverseBlue = 1.5;
+export const checkboxHoverControlBorderWidthNeutralInverseGreen = 1.5;
+export const checkboxHoverControlBorderWidthNeutralInverseRed = 1.5;
+export const checkboxHoverControlBorderWidthNeutralInverseYellow = 1.5;
+export const checkboxHoverControlBorderWidthSubtleBlue = 1.5;
+export const checkboxHoverControlBorderWidthSubtleGreen = 1.5;
+export const checkboxHoverControlBorderWidthSubtleRed = 1.5;
+export const checkboxHoverControlBorderWidthSubtleYellow = 1.5;
+export const checkboxHoverControlBorderWidthBoldBlue = 1.5;
+export const checkboxHoverControlBorderWidthBoldGreen = 1.5;
+export const checkboxHoverControlBorderWidthBoldRed = 1.5;
+export const checkboxHoverControlBorderWidthBoldYellow = 1.5;
+export const checkboxHoverIndicatorColourNeutralBlue = "#001d6e";
+export const checkboxHoverIndicatorColourNeutralGreen = "#01312e";
+export const checkboxHoverIndicatorColourNeutralRed = "#940824";
+export const checkboxHoverIndicatorColourNeutralYellow = "#c86426";
+export const checkboxHoverIndicatorColourNeutralInverseBlue = "#001d6e";
+export const checkboxHoverIndicatorColourNeutralInverseGreen = "#01312e";
+export const checkboxHoverIndicatorColourNeutralInverseRed = "#940824";
+export const checkboxHoverIndicatorColourNeutralInverseYellow = "#c86426";
+export const checkboxHoverIndicatorColourSubtleBlue = "#001d6e";
+export const checkboxHoverIndicatorColourSubtleGreen = "#01312e";
+export const checkboxHoverIndicatorColourSubtleRed = "#940824";
+export const checkboxHoverIndicatorColourSubtleYellow = "#c86426";
+export const checkboxHoverIndicatorColourBoldBlue = "#001d6e";
+export const checkboxHoverIndicatorColourBoldGreen = "#01312e";
+export const checkboxHoverIndicatorColourBoldRed = "#940824";
+export const checkboxHoverIndicatorColourBoldYellow = "#c86426";
+export const checkboxFocusControlBackgroundColourNeutralBlue = "#ffffff";
+export const checkboxFocusControlBackgroundColourNeutralGreen = "#ffffff";
+export const checkboxFocusControlBackgroundColourNeutralRed = "#ffffff";
+export const checkboxFocusControlBackgroundColourNeutralYellow = "#ffffff";
+export const checkboxFocusControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const checkboxFocusControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const checkboxFocusControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const checkboxFocusControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const checkboxFocusControlBackgroundColourSubtleBlue = "#ffffff";
+export const checkboxFocusControlBackgroundColourSubtleGreen = "#ffffff";
+export const checkboxFocusControlBackgroundColourSubtleRed = "#ffffff";
+export const checkboxFocusControlBackgroundColourSubtleYellow = "#ffffff";
+export const checkboxFocusControlBackgroundColourBoldBlue = "#ffffff";
+export const checkboxFocusControlBackgroundColourBoldGreen = "#ffffff";
+export const checkboxFocusControlBackgroundColourBoldRed = "#ffffff";
+export const checkboxFocusControlBackgroundColourBoldYellow = "#ffffff";
+export const checkboxFocusControlBorderColourNeutralBlue = "#1d1d1b";
+export const checkboxFocusControlBorderColourNeutralGreen = "#1d1d1b";
+export const checkboxFocusControlBorderColourNeutralRed = "#1d1d1b";
+export const checkboxFocusControlBorderColourNeutralYellow = "#1d1d1b";
+export const checkboxFocusControlBorderColourNeutralInverseBlue = "#1d1d1b";
+export const checkboxFocusControlBorderColourNeutralInverseGreen = "#1d1d1b";
+export const checkboxFocusControlBorderColourNeutralInverseRed = "#1d1d1b";
+export const checkboxFocusControlBorderColourNeutralInverseYellow = "#1d1d1b";
+export const checkboxFocusControlBorderColourSubtleBlue = "#1d1d1b";
+export const checkboxFocusControlBorderColourSubtleGreen = "#1d1d1b";
+export const checkboxFocusControlBorderColourSubtleRed = "#1d1d1b";
+export const checkboxFocusControlBorderColourSubtleYellow = "#1d1d1b";
+export const checkboxFocusControlBorderColourBoldBlue = "#1d1d1b";
+export const checkboxFocusControlBorderColourBoldGreen = "#1d1d1b";
+export const checkboxFocusControlBorderColourBoldRed = "#1d1d1b";
+export const checkboxFocusControlBorderColourBoldYellow = "#1d1d1b";
+export const checkboxFocusControlBorderWidthNeutralBlue = 3;
+export const checkboxFocusControlBorderWidthNeutralGreen = 3;
+export const checkboxFocusControlBorderWidthNeutralRed = 3;
+export const checkboxFocusControlBorderWidthNeutralYellow = 3;
+export const checkboxFocusControlBorderWidthNeutralInverseBlue = 3;
+export const checkboxFocusControlBorderWidthNeutralInverseGreen = 3;
+export const checkboxFocusControlBorderWidthNeutralInverseRed = 3;
+export const checkboxFocusControlBorderWidthNeutralInverseYellow = 3;
+export const checkboxFocusControlBorderWidthSubtleBlue = 3;
+export const checkboxFocusControlBorderWidthSubtleGreen = 3;
+export const checkboxFocusControlBorderWidthSubtleRed = 3;
+export const checkboxFocusControlBorderWidthSubtleYellow = 3;
+export const checkboxFocusControlBorderWidthBoldBlue = 3;
+export const checkboxFocusControlBorderWidthBoldGreen = 3;
+export const checkboxFocusControlBorderWidthBoldRed = 3;
+export const checkboxFocusControlBorderWidthBoldYellow = 3;
+export const checkboxFocusIndicatorColourNeutralBlue = "#005dba";
+export const checkboxFocusIndicatorColourNeutralGreen = "#00633d";
+export const checkboxFocusIndicatorColourNeutralRed = "#c50b30";
+export const checkboxFocusIndicatorColourNeutralYellow = "#c86426";
+export const checkboxFocusIndicatorColourNeutralInverseBlue = "#005dba";
+export const checkboxFocusIndicatorColourNeutralInverseGreen = "#00633d";
+export const checkboxFocusIndicatorColourNeutralInverseRed = "#c50b30";
+export const checkboxFocusIndicatorColourNeutralInverseYellow = "#c86426";
+export const checkboxFocusIndicatorColourSubtleBlue = "#005dba";
+export const checkboxFocusIndicatorColourSubtleGreen = "#00633d";
+export const checkboxFocusIndicatorColourSubtleRed = "#c50b30";
+export const checkboxFocusIndicatorColourSubtleYellow = "#c86426";
+export const checkboxFocusIndicatorColourBoldBlue = "#005dba";
+export const checkboxFocusIndicatorColourBoldGreen = "#00633d";
+export const checkboxFocusIndicatorColourBoldRed = "#c50b30";
+export const checkboxFocusIndicatorColourBoldYellow = "#c86426";
+export const checkboxErrorControlBackgroundColourNeutralBlue = "#ffffff";
+export const checkboxErrorControlBackgroundColourNeutralGreen = "#ffffff";
+export const checkboxErrorControlBackgroundColourNeutralRed = "#ffffff";
+export const checkboxErrorControlBackgroundColourNeutralYellow = "#ffffff";
+export const checkboxErrorControlBackgroundColourNeutralInverseBlue = "#ffffff";
+export const checkboxErrorControlBackgroundColourNeutralInverseGreen = "#ffffff";
+export const checkboxErrorControlBackgroundColourNeutralInverseRed = "#ffffff";
+export const checkboxErrorControlBackgroundColourNeutralInverseYellow = "#ffffff";
+export const checkboxErrorControlBackgroundColourSubtleBlue = "#ffffff";
+export const checkboxErrorControlBackgroundColourSubtleGreen = "#ffffff";
+export const checkboxErrorControlBackgroundColourSubtleRed = "#ffffff";
+export const checkboxErrorControlBackgroundColourSubtleYellow = "#ffffff";
+export const checkboxErrorControlBackgroundColourBoldBlue = "#ffffff";
+export const checkboxErrorControlBackgroundColourBoldGreen = "#ffffff";
+export const checkboxErrorControlBackgroundColourBoldRed = "#ffffff";
+export const checkboxErrorControlBackgroundColourBoldYellow = "#ffffff";
+export const checkboxErrorControlBorderColourNeutralBlue = "#c50b30";
+export const checkboxErrorControlBorderColourNeutralGreen = "#c50b30";
+export const checkboxErrorControlBorderColourNeutralRed = "#c50b30";
+export const checkboxErrorControlBorderColourNeutralYellow = "#c50b30";
+export const checkboxErrorControlBorderColourNeutralInverseBlue = "#c50b30";
+export const checkboxErrorControlBorderColourNeutralInverseGreen = "#c50b30";
+export const checkboxErrorControlBorderColourNeutralInverseRed = "#c50b30";
+export const checkboxErrorControlBorderColourNeutralInverseYellow = "#c50b30";
+export const checkboxErrorControlBorderColourSubtleBlue = "#c50b30";
+export const checkboxErrorControlBorderColourSubtleGreen = "#c50b30";
+export const checkboxErrorControlBorderColourSubtleRed = "#c50b30";
+export const checkboxErrorControlBorderColourSubtleYellow = "#c50b30";
+export const checkboxErrorControlBorderColourBoldBlue = "#c50b30";
+export const checkboxErrorControlBorderColourBoldGreen = "#c50b30";
+export const checkboxErrorControlBorderColourBoldRed = "#c50b30";
+export const checkboxErrorControlBorderColourBoldYellow = "#c50b30";
+export const checkboxErrorControlBorderWidthNeutralBlue = 1.5;
+export const checkboxErrorControlBorderWidthNeutralGreen = 1.5;
+export const checkboxErrorControlBorderWidthNeutralRed = 1.5;
+export const checkboxErrorControlBorderWidthNeutralYellow = 1.5;
+export const checkboxErrorControlBorderWidthNeutralInverseBlue = 1.5;
+export const checkboxErrorControlBorderWidthNeutralInverseGreen = 1.5;
+export const checkboxErrorControlBorderWidthNeutralInverseRed = 1.5;
+export const checkboxErrorControlBorderWidthNeutralInverseYellow = 1.5;
+export const checkboxErrorControlBorderWidthSubtleBlue = 1.5;
+export const checkboxErrorControlBorderWidthSubtleGreen = 1.5;
+export const checkboxErrorControlBorderWidthSubtleRed = 1.5;
+export const checkboxErrorControlBorderWidthSubtleYellow = 1.5;
+export const checkboxErrorControlBorderWidthBoldBlue = 1.5;
+export const checkboxErrorControlBorderWidthBoldGreen = 1.5;
+export const checkboxErrorControlBorderWidthBoldRed = 1.5;
+export const checkboxErrorControlBorderWidthBoldYellow = 1.5;
+export const checkboxErrorControlFocusBorderWidthNeutralBlue = 3;
+export const checkboxErrorControlFocusBorderWidthNeutralGreen = 3;
+export const checkboxErrorControlFocusBorderWidthNeutralRed = 3;
+export const checkboxErrorControlFocusBorderWidthNeutralYellow = 3;
+export const checkboxErrorControlFocusBorderWidthNeutralInverseBlue = 3;
+export const checkboxErrorControlFocusBorderWidthNeutralInverseGreen = 3;
+export const checkboxErrorControlFocusBorderWidthNeutralInverseRed = 3;
+export const checkboxErrorControlFocusBorderWidthNeutralInverseYellow = 3;
+export const checkboxErrorControlFocusBorderWidthSubtleBlue = 3;
+export const checkboxErrorControlFocusBorderWidthSubtleGreen = 3;
+export const checkboxErrorControlFocusBorderWidthSubtleRed = 3;
+export const checkboxErrorControlFocusBorderWidthSubtleYellow = 3;
+export const checkboxErrorControlFocusBorderWidthBoldBlue = 3;
+export const checkboxErrorControlFocusBorderWidthBoldGreen = 3;
+export const checkboxErrorControlFocusBorderWidthBoldRed = 3;
+export const checkboxErrorControlFocusBorderWidthBoldYellow = 3;
+export const checkboxErrorIndicatorColourNeutralBlue = "#c50b30";
+export const checkboxErrorIndicatorColourNeutralGreen = "#c50b30";
+export const checkboxErrorIndicatorColourNeutralRed = "#c50b30";
+export const checkboxErrorIndicatorColourNeutralYellow = "#c50b30";
+export const checkboxErrorIndicatorColourNeutralInverseBlue = "#c50b30";
+export const checkboxErrorIndicatorColourNeutralInverseGreen = "#c50b30";
+export const checkboxErrorIndicatorColourNeutralInverseRed = "#c50b30";
+export const checkboxErrorIndicatorColourNeutralInverseYellow = "#c50b30";
+export const checkboxErrorIndicatorColourSubtleBlue = "#c50b30";
+export const checkboxErrorIndicatorColourSubtleGreen = "#c50b30";
+export const checkboxErrorIndicatorColourSubtleRed = "#c50b30";
+export const checkboxErrorIndicatorColourSubtleYellow = "#c50b30";
+export const checkboxErrorIndicatorColourBoldBlue = "#c50b30";
+export const checkboxErrorIndicatorColourBoldGreen = "#c50b30";
+export const checkboxErrorIndicatorColourBoldRed = "#c50b30";
+export const checkboxErrorIndicatorColourBoldYellow = "#c50b30";
+export const checkboxDisabledLabelColourNeutralBlue = "#a6a7a7";
+export const checkboxDisabledLabelColourNeutralGreen = "#a6a7a7";
+export const checkboxDisabledLabelColourNeutralRed = "#a6a7a7";
+export const checkboxDisabledLabelColourNeutralYellow = "#a6a7a7";
+export const checkboxDisabledLabelColourNeutralInverseBlue = "#a6a7a7";
+export const checkboxDisabledLabelColourNeutralInverseGreen = "#a6a7a7";
+export const checkboxDisabledLabelColourNeutralInverseRed = "#a6a7a7";
+export const checkboxDisabledLabelColourNeutralInverseYellow = "#a6a7a7";
+export const checkboxDisabledLabelColourSubtleBlue = "#a6a7a7";
+export const checkboxDisabledLabelColourSubtleGreen = "#a6a7a7";
+export const checkboxDisabledLabelColourSubtleRed = "#a6a7a7";
+export const checkboxDisabledLabelColourSubtleYellow = "#a6a7a7";
+export const checkboxDisabledLabelColourBoldBlue = "#a6a7a7";
+export const checkboxDisabledLabelColourBoldGreen = "#a6a7a7";
+export const checkboxDisabledLabelColourBoldRed = "#a6a7a7";
+export const checkboxDisabledLabelColourBoldYellow = "#a6a7a7";
+export const checkboxDisabledControlBackgroundColourNeutralBlue = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourNeutralGreen = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourNeutralRed = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourNeutralYellow = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourSubtleBlue = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourSubtleGreen = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourSubtleRed = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourSubtleYellow = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourBoldBlue = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourBoldGreen = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourBoldRed = "#f4f4f4";
+export const checkboxDisabledControlBackgroundColourBoldYellow = "#f4f4f4";
+export const checkboxDisabledControlBorderColourNeutralBlue = "#d3d3d3";
+export const checkboxDisabledControlBorderColourNeutralGreen = "#d3d3d3";
+export const checkboxDisabledControlBorderColourNeutralRed = "#d3d3d3";
+export const checkboxDisabledControlBorderColourNeutralYellow = "#d3d3d3";
+export const checkboxDisabledControlBorderColourNeutralInverseBlue = "#d3d3d3";
+export const checkboxDisabledControlBorderColourNeutralInverseGreen = "#d3d3d3";
+export const checkboxDisabledControlBorderColourNeutralInverseRed = "#d3d3d3";
+export const checkboxDisabledControlBorderColourNeutralInverseYellow = "#d3d3d3";
+export const checkboxDisabledControlBorderColourSubtleBlue = "#d3d3d3";
+export const checkboxDisabledControlBorderColourSubtleGreen = "#d3d3d3";
+export const checkboxDisabledControlBorderColourSubtleRed = "#d3d3d3";
+export const checkboxDisabledControlBorderColourSubtleYellow = "#d3d3d3";
+export const checkboxDisabledControlBorderColourBoldBlue = "#d3d3d3";
+export const checkboxDisabledControlBorderColourBoldGreen = "#d3d3d3";
+export const checkboxDisabledControlBorderColourBoldRed = "#d3d3d3";
+export const checkboxDisabledControlBorderColourBoldYellow = "#d3d3d3";
+export const checkboxDisabledControlBorderWidthNeutralBlue = 1.5;
+export const checkboxDisabledControlBorderWidthNeutralGreen = 1.5;
+export const checkboxDisabledControlBorderWidthNeutralRed = 1.5;
+export const checkboxDisabledControlBorderWidthNeutralYellow = 1.5;
+export const checkboxDisabledControlBorderWidthNeutralInverseBlue = 1.5;
+export const checkboxDisabledControlBorderWidthNeutralInverseGreen = 1.5;
+export const checkboxDisabledControlBorderWidthNeutralInverseRed = 1.5;
+export const checkboxDisabledControlBorderWidthNeutralInverseYellow = 1.5;
+export const checkboxDisabledControlBorderWidthSubtleBlue = 1.5;
+export const checkboxDisabledControlBorderWidthSubtleGreen = 1.5;
+export const checkboxDisabledControlBorderWidthSubtleRed = 1.5;
+export const checkboxDisabledControlBorderWidthSubtleYellow = 1.5;
+export const checkboxDisabledControlBorderWidthBoldBlue = 1.5;
+export const checkboxDisabledControlBorderWidthBoldGreen = 1.5;
+export const checkboxDisabledControlBorderWidthBoldRed = 1.5;
+export const checkboxDisabledControlBorderWidthBoldYellow = 1.5;
+export const checkboxDisabledIndicatorColourNeutralBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorColourNeutralGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorColourNeutralRed = "#d3d3d3";
+export const checkboxDisabledIndicatorColourNeutralYellow = "#d3d3d3";
+export const checkboxDisabledIndicatorColourNeutralInverseBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorColourNeutralInverseGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorColourNeutralInverseRed = "#d3d3d3";
+export const checkboxDisabledIndicatorColourNeutralInverseYellow = "#d3d3d3";
+export const checkboxDisabledIndicatorColourSubtleBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorColourSubtleGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorColourSubtleRed = "#d3d3d3";
+export const checkboxDisabledIndicatorColourSubtleYellow = "#d3d3d3";
+export const checkboxDisabledIndicatorColourBoldBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorColourBoldGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorColourBoldRed = "#d3d3d3";
+export const checkboxDisabledIndicatorColourBoldYellow = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralRed = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralYellow = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralInverseBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralInverseGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralInverseRed = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourNeutralInverseYellow = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourSubtleBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourSubtleGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourSubtleRed = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourSubtleYellow = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourBoldBlue = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourBoldGreen = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourBoldRed = "#d3d3d3";
+export const checkboxDisabledIndicatorBackgroundColourBoldYellow = "#d3d3d3";
+export const checkboxGroupSmGapNeutralBlue = 16;
+export const checkboxGroupSmGapNeutralGreen = 16;
+export const checkboxGroupSmGapNeutralRed = 16;
+export const checkboxGroupSmGapNeutralYellow = 16;
+export const checkboxGroupSmGapNeutralInverseBlue = 16;
+export const checkboxGroupSmGapNeutralInverseGreen = 16;
+export const checkboxGroupSmGapNeutralInverseRed = 16;
+export const checkboxGroupSmGapNeutralInverseYellow = 16;
+export const checkboxGroupSmGapSubtleBlue = 16;
+export const checkboxGroupSmGapSubtleGreen = 16;
+export const checkboxGroupSmGapSubtleRed = 16;
+export const checkboxGroupSmGapSubtleYellow = 16;
+export const checkboxGroupSmGapBoldBlue = 16;
+export const checkboxGroupSmGapBoldGreen = 16;
+export const checkboxGroupSmGapBoldRed = 16;
+export const checkboxGroupSmGapBoldYellow = 16;
+export const checkboxGroupLgGapNeutralBlue = 20;
+export const checkboxGroupLgGapNeutralGreen = 20;
+export const checkboxGroupLgGapNeutralRed = 20;
+export const checkboxGroupLgGapNeutralYellow = 20;
+export const checkboxGroupLgGapNeutralInverseBlue = 20;
+export const checkboxGroupLgGapNeutralInverseGreen = 20;
+export const checkboxGroupLgGapNeutralInverseRed = 20;
+export const checkboxGroupLgGapNeutralInverseYellow = 20;
+export const checkboxGroupLgGapSubtleBlue = 20;
+export const checkboxGroupLgGapSubtleGreen = 20;
+export const checkboxGroupLgGapSubtleRed = 20;
+export const checkboxGroupLgGapSubtleYellow = 20;
+export const checkboxGroupLgGapBoldBlue = 20;
+export const checkboxGroupLgGapBoldGreen = 20;
+export const checkboxGroupLgGapBoldRed = 20;
+export const checkboxGroupLgGapBoldYellow = 20;
+export const segmentControlCommonBackgroundColourNeutralBlue = "#f4f4f4";
+export const segmentControlCommonBackgroundColourNeutralGreen = "#f4f4f4";
+export const segmentControlCommonBackgroundColourNeutralRed = "#f4f4f4";
+export const segmentControlCommonBackgroundColourNeutralYellow = "#f4f4f4";
+export const segmentControlCommonBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const segmentControlCommonBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const segmentControlCommonBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const segmentControlCommonBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const segmentControlCommonBackgroundColourSubtleBlue = "#f4f4f4";
+export const segmentControlCommonBackgroundColourSubtleGreen = "#f4f4f4";
+export const segmentControlCommonBackgroundColourSubtleRed = "#f4f4f4";
+export const segmentControlCommonBackgroundColourSubtleYellow = "#f4f4f4";
+export const segmentControlCommonBackgroundColourBoldBlue = "#f4f4f4";
+export const segmentControlCommonBackgroundColourBoldGreen = "#f4f4f4";
+export const segmentControlCommonBackgroundColourBoldRed = "#f4f4f4";
+export const segmentControlCommonBackgroundColourBoldYellow = "#f4f4f4";
+export const segmentControlCommonBorderColourNeutralBlue = "#858686";
+export const segmentControlCommonBorderColourNeutralGreen = "#858686";
+export const segmentControlCommonBorderColourNeutralRed = "#858686";
+export const segmentControlCommonBorderColourNeutralYellow = "#858686";
+export const segmentControlCommonBorderColourNeutralInverseBlue = "#858686";
+export const segmentControlCommonBorderColourNeutralInverseGreen = "#858686";
+export const segmentControlCommonBorderColourNeutralInverseRed = "#858686";
+export const segmentControlCommonBorderColourNeutralInverseYellow = "#858686";
+export const segmentControlCommonBorderColourSubtleBlue = "#001d6e";
+export const segmentControlCommonBorderColourSubtleGreen = "#01312e";
+export const segmentControlCommonBorderColourSubtleRed = "#940824";
+export const segmentControlCommonBorderColourSubtleYellow = "#c86426";
+export const segmentControlCommonBorderColourBoldBlue = "#001d6e";
+export const segmentControlCommonBorderColourBoldGreen = "#01312e";
+export const segmentControlCommonBorderColourBoldRed = "#940824";
+export const segmentControlCommonBorderColourBoldYellow = "#c86426";
+export const segmentControlCommonBorderRadiusNeutralBlue = 12;
+export const segmentControlCommonBorderRadiusNeutralGreen = 12;
+export const segmentControlCommonBorderRadiusNeutralRed = 12;
+export const segmentControlCommonBorderRadiusNeutralYellow = 12;
+export const segmentControlCommonBorderRadiusNeutralInverseBlue = 12;
+export const segmentControlCommonBorderRadiusNeutralInverseGreen = 12;
+export const segmentControlCommonBorderRadiusNeutralInverseRed = 12;
+export const segmentControlCommonBorderRadiusNeutralInverseYellow = 12;
+export const segmentControlCommonBorderRadiusSubtleBlue = 12;
+export const segmentControlCommonBorderRadiusSubtleGreen = 12;
+export const segmentControlCommonBorderRadiusSubtleRed = 12;
+export const segmentControlCommonBorderRadiusSubtleYellow = 12;
+export const segmentControlCommonBorderRadiusBoldBlue = 12;
+export const segmentControlCommonBorderRadiusBoldGreen = 12;
+export const segmentControlCommonBorderRadiusBoldRed = 12;
+export const segmentControlCommonBorderRadiusBoldYellow = 12;
+export const segmentControlCommonBorderWidthNeutralBlue = 1.5;
+export const segmentControlCommonBorderWidthNeutralGreen = 1.5;
+export const segmentControlCommonBorderWidthNeutralRed = 1.5;
+export const segmentControlCommonBorderWidthNeutralYellow = 1.5;
+export const segmentControlCommonBorderWidthNeutralInverseBlue = 1.5;
+export const segmentControlCommonBorderWidthNeutralInverseGreen = 1.5;
+export const segmentControlCommonBorderWidthNeutralInverseRed = 1.5;
+export const segmentControlCommonBorderWidthNeutralInverseYellow = 1.5;
+export const segmentControlCommonBorderWidthSubtleBlue = 1.5;
+export const segmentControlCommonBorderWidthSubtleGreen = 1.5;
+export const segmentControlCommonBorderWidthSubtleRed = 1.5;
+export const segmentControlCommonBorderWidthSubtleYellow = 1.5;
+export const segmentControlCommonBorderWidthBoldBlue = 1.5;
+export const segmentControlCommonBorderWidthBoldGreen = 1.5;
+export const segmentControlCommonBorderWidthBoldRed = 1.5;
+export const segmentControlCommonBorderWidthBoldYellow = 1.5;
+export const segmentControlCommonGapNeutralBlue = 4;
+export const segmentControlCommonGapNeutralGreen = 4;
+export const segmentControlCommonGapNeutralRed = 4;
+export const segmentControlCommonGapNeutralYellow = 4;
+export const segmentControlCommonGapNeutralInverseBlue = 4;
+export const segmentControlCommonGapNeutralInverseGreen = 4;
+export const segmentControlCommonGapNeutralInverseRed = 4;
+export const segmentControlCommonGapNeutralInverseYellow = 4;
+export const segmentControlCommonGapSubtleBlue = 4;
+export const segmentControlCommonGapSubtleGreen = 4;
+export const segmentControlCommonGapSubtleRed = 4;
+export const segmentControlCommonGapSubtleYellow = 4;
+export const segmentControlCommonGapBoldBlue = 4;
+export const segmentControlCommonGapBoldGreen = 4;
+export const segmentControlCommonGapBoldRed = 4;
+export const segmentControlCommonGapBoldYellow = 4;
+export const segmentControlCommonMinWidthNeutralBlue = 232;
+export const segmentControlCommonMinWidthNeutralGreen = 232;
+export const segmentControlCommonMinWidthNeutralRed = 232;
+export const segmentControlCommonMinWidthNeutralYellow = 232;
+export const segmentControlCommonMinWidthNeutralInverseBlue = 232;
+export const segmentControlCommonMinWidthNeutralInverseGreen = 232;
+export const segmentControlCommonMinWidthNeutralInverseRed = 232;
+export const segmentControlCommonMinWidthNeutralInverseYellow = 232;
+export const segmentControlCommonMinWidthSubtleBlue = 232;
+export const segmentControlCommonMinWidthSubtleGreen = 232;
+export const segmentControlCommonMinWidthSubtleRed = 232;
+export const segmentControlCommonMinWidthSubtleYellow = 232;
+export const segmentControlCommonMinWidthBoldBlue = 232;
+export const segmentControlCommonMinWidthBoldGreen = 232;
+export const segmentControlCommonMinWidthBoldRed = 232;
+export const segmentControlCommonMinWidthBoldYellow = 232;
+export const segmentControlCommonPaddingXNeutralBlue = 4;
+export const segmentControlCommonPaddingXNeutralGreen = 4;
+export const segmentControlCommonPaddingXNeutralRed = 4;
+export const segmentControlCommonPaddingXNeutralYellow = 4;
+export const segmentControlCommonPaddingXNeutralInverseBlue = 4;
+export const segmentControlCommonPaddingXNeutralInverseGreen = 4;
+export const segmentControlCommonPaddingXNeutralInverseRed = 4;
+export const segmentControlCommonPaddingXNeutralInverseYellow = 4;
+export const segmentControlCommonPaddingXSubtleBlue = 4;
+export const segmentControlCommonPaddingXSubtleGreen = 4;
+export const segmentControlCommonPaddingXSubtleRed = 4;
+export const segmentControlCommonPaddingXSubtleYellow = 4;
+export const segmentControlCommonPaddingXBoldBlue = 4;
+export const segmentControlCommonPaddingXBoldGreen = 4;
+export const segmentControlCommonPaddingXBoldRed = 4;
+export const segmentControlCommonPaddingXBoldYellow = 4;
+export const segmentControlCommonPaddingYNeutralBlue = 4;
+export const segmentControlCommonPaddingYNeutralGreen = 4;
+export const segmentControlCommonPaddingYNeutralRed = 4;
+export const segmentControlCommonPaddingYNeutralYellow = 4;
+export const segmentControlCommonPaddingYNeutralInverseBlue = 4;
+export const segmentControlCommonPaddingYNeutralInverseGreen = 4;
+export const segmentControlCommonPaddingYNeutralInverseRed = 4;
+export const segmentControlCommonPaddingYNeutralInverseYellow = 4;
+export const segmentControlCommonPaddingYSubtleBlue = 4;
+export const segmentControlCommonPaddingYSubtleGreen = 4;
+export const segmentControlCommonPaddingYSubtleRed = 4;
+export const segmentControlCommonPaddingYSubtleYellow = 4;
+export const segmentControlCommonPaddingYBoldBlue = 4;
+export const segmentControlCommonPaddingYBoldGreen = 4;
+export const segmentControlCommonPaddingYBoldRed = 4;
+export const segmentControlCommonPaddingYBoldYellow = 4;
+export const segmentControlFocusBorderColourNeutralBlue = "#1d1d1b";
+export const segmentControlFocusBorderColourNeutralGreen = "#1d1d1b";
+export const segmentControlFocusBorderColourNeutralRed = "#1d1d1b";
+export const segmentControlFocusBorderColourNeutralYellow = "#1d1d1b";
+export const segmentControlFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const segmentControlFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const segmentControlFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const segmentControlFocusBorderColourNeutralInverseYellow = "#1d1d1b";
+export const segmentControlFocusBorderColourSubtleBlue = "#1d1d1b";
+export const segmentControlFocusBorderColourSubtleGreen = "#1d1d1b";
+export const segmentControlFocusBorderColourSubtleRed = "#1d1d1b";
+export const segmentControlFocusBorderColourSubtleYellow = "#1d1d1b";
+export const segmentControlFocusBorderColourBoldBlue = "#1d1d1b";
+export const segmentControlFocusBorderColourBoldGreen = "#1d1d1b";
+export const segmentControlFocusBorderColourBoldRed = "#1d1d1b";
+export const segmentControlFocusBorderColourBoldYellow = "#1d1d1b";
+export const segmentControlFocusBorderWidthNeutralBlue = 3;
+export const segmentControlFocusBorderWidthNeutralGreen = 3;
+export const segmentControlFocusBorderWidthNeutralRed = 3;
+export const segmentControlFocusBorderWidthNeutralYellow = 3;
+export const segmentControlFocusBorderWidthNeutralInverseBlue = 3;
+export const segmentControlFocusBorderWidthNeutralInverseGreen = 3;
+export const segmentControlFocusBorderWidthNeutralInverseRed = 3;
+export const segmentControlFocusBorderWidthNeutralInverseYellow = 3;
+export const segmentControlFocusBorderWidthSubtleBlue = 3;
+export const segmentControlFocusBorderWidthSubtleGreen = 3;
+export const segmentControlFocusBorderWidthSubtleRed = 3;
+export const segmentControlFocusBorderWidthSubtleYellow = 3;
+export const segmentControlFocusBorderWidthBoldBlue = 3;
+export const segmentControlFocusBorderWidthBoldGreen = 3;
+export const segmentControlFocusBorderWidthBoldRed = 3;
+export const segmentControlFocusBorderWidthBoldYellow = 3;
+export const segmentControlErrorBorderColourNeutralBlue = "#c50b30";
+export const segmentControlErrorBorderColourNeutralGreen = "#c50b30";
+export const segmentControlErrorBorderColourNeutralRed = "#c50b30";
+export const segmentControlErrorBorderColourNeutralYellow = "#c50b30";
+export const segmentControlErrorBorderColourNeutralInverseBlue = "#c50b30";
+export const segmentControlErrorBorderColourNeutralInverseGreen = "#c50b30";
+export const segmentControlErrorBorderColourNeutralInverseRed = "#c50b30";
+export const segmentControlErrorBorderColourNeutralInverseYellow = "#c50b30";
+export const segmentControlErrorBorderColourSubtleBlue = "#c50b30";
+export const segmentControlErrorBorderColourSubtleGreen = "#c50b30";
+export const segmentControlErrorBorderColourSubtleRed = "#c50b30";
+export const segmentControlErrorBorderColourSubtleYellow = "#c50b30";
+export const segmentControlErrorBorderColourBoldBlue = "#c50b30";
+export const segmentControlErrorBorderColourBoldGreen = "#c50b30";
+export const segmentControlErrorBorderColourBoldRed = "#c50b30";
+export const segmentControlErrorBorderColourBoldYellow = "#c50b30";
+export const segmentControlErrorBorderWidthNeutralBlue = 1.5;
+export const segmentControlErrorBorderWidthNeutralGreen = 1.5;
+export const segmentControlErrorBorderWidthNeutralRed = 1.5;
+export const segmentControlErrorBorderWidthNeutralYellow = 1.5;
+export const segmentControlErrorBorderWidthNeutralInverseBlue = 1.5;
+export const segmentControlErrorBorderWidthNeutralInverseGreen = 1.5;
+export const segmentControlErrorBorderWidthNeutralInverseRed = 1.5;
+export const segmentControlErrorBorderWidthNeutralInverseYellow = 1.5;
+export const segmentControlErrorBorderWidthSubtleBlue = 1.5;
+export const segmentControlErrorBorderWidthSubtleGreen = 1.5;
+export const segmentControlErrorBorderWidthSubtleRed = 1.5;
+export const segmentControlErrorBorderWidthSubtleYellow = 1.5;
+export const segmentControlErrorBorderWidthBoldBlue = 1.5;
+export const segmentControlErrorBorderWidthBoldGreen = 1.5;
+export const segmentControlErrorBorderWidthBoldRed = 1.5;
+export const segmentControlErrorBorderWidthBoldYellow = 1.5;
+export const segmentControlErrorFocusBorderWidthNeutralBlue = 3;
+export const segmentControlErrorFocusBorderWidthNeutralGreen = 3;
+export const segmentControlErrorFocusBorderWidthNeutralRed = 3;
+export const segmentControlErrorFocusBorderWidthNeutralYellow = 3;
+export const segmentControlErrorFocusBorderWidthNeutralInverseBlue = 3;
+export const segmentControlErrorFocusBorderWidthNeutralInverseGreen = 3;
+export const segmentControlErrorFocusBorderWidthNeutralInverseRed = 3;
+export const segmentControlErrorFocusBorderWidthNeutralInverseYellow = 3;
+export const segmentControlErrorFocusBorderWidthSubtleBlue = 3;
+export const segmentControlErrorFocusBorderWidthSubtleGreen = 3;
+export const segmentControlErrorFocusBorderWidthSubtleRed = 3;
+export const segmentControlErrorFocusBorderWidthSubtleYellow = 3;
+export const segmentControlErrorFocusBorderWidthBoldBlue = 3;
+export const segmentControlErrorFocusBorderWidthBoldGreen = 3;
+export const segmentControlErrorFocusBorderWidthBoldRed = 3;
+export const segmentControlErrorFocusBorderWidthBoldYellow = 3;
+export const segmentButtonCommonPaddingXNeutralBlue = 8;
+export const segmentButtonCommonPaddingXNeutralGreen = 8;
+export const segmentButtonCommonPaddingXNeutralRed = 8;
+export const segmentButtonCommonPaddingXNeutralYellow = 8;
+export const segmentButtonCommonPaddingXNeutralInverseBlue = 8;
+export const segmentButtonCommonPaddingXNeutralInverseGreen = 8;
+export const segmentButtonCommonPaddingXNeutralInverseRed = 8;
+export const segmentButtonCommonPaddingXNeutralInverseYellow = 8;
+export const segmentButtonCommonPaddingXSubtleBlue = 8;
+export const segmentButtonCommonPaddingXSubtleGreen = 8;
+export const segmentButtonCommonPaddingXSubtleRed = 8;
+export const segmentButtonCommonPaddingXSubtleYellow = 8;
+export const segmentButtonCommonPaddingXBoldBlue = 8;
+export const segmentButtonCommonPaddingXBoldGreen = 8;
+export const segmentButtonCommonPaddingXBoldRed = 8;
+export const segmentButtonCommonPaddingXBoldYellow = 8;
+export const segmentButtonCommonPaddingYNeutralBlue = 8;
+export const segmentButtonCommonPaddingYNeutralGreen = 8;
+export const segmentButtonCommonPaddingYNeutralRed = 8;
+export const segmentButtonCommonPaddingYNeutralYellow = 8;
+export const segmentButtonCommonPaddingYNeutralInverseBlue = 8;
+export const segmentButtonCommonPaddingYNeutralInverseGreen = 8;
+export const segmentButtonCommonPaddingYNeutralInverseRed = 8;
+export const segmentButtonCommonPaddingYNeutralInverseYellow = 8;
+export const segmentButtonCommonPaddingYSubtleBlue = 8;
+export const segmentButtonCommonPaddingYSubtleGreen = 8;
+export const segmentButtonCommonPaddingYSubtleRed = 8;
+export const segmentButtonCommonPaddingYSubtleYellow = 8;
+export const segmentButtonCommonPaddingYBoldBlue = 8;
+export const segmentButtonCommonPaddingYBoldGreen = 8;
+export const segmentButtonCommonPaddingYBoldRed = 8;
+export const segmentButtonCommonPaddingYBoldYellow = 8;
+export const segmentButtonCommonBorderRadiusNeutralBlue = 8;
+export const segmentButtonCommonBorderRadiusNeutralGreen = 8;
+export const segmentButtonCommonBorderRadiusNeutralRed = 8;
+export const segmentButtonCommonBorderRadiusNeutralYellow = 8;
+export const segmentButtonCommonBorderRadiusNeutralInverseBlue = 8;
+export const segmentButtonCommonBorderRadiusNeutralInverseGreen = 8;
+export const segmentButtonCommonBorderRadiusNeutralInverseRed = 8;
+export const segmentButtonCommonBorderRadiusNeutralInverseYellow = 8;
+export const segmentButtonCommonBorderRadiusSubtleBlue = 8;
+export const segmentButtonCommonBorderRadiusSubtleGreen = 8;
+export const segmentButtonCommonBorderRadiusSubtleRed = 8;
+export const segmentButtonCommonBorderRadiusSubtleYellow = 8;
+export const segmentButtonCommonBorderRadiusBoldBlue = 8;
+export const segmentButtonCommonBorderRadiusBoldGreen = 8;
+export const segmentButtonCommonBorderRadiusBoldRed = 8;
+export const segmentButtonCommonBorderRadiusBoldYellow = 8;
+export const segmentButtonCommonMinHeightNeutralBlue = 36;
+export const segmentButtonCommonMinHeightNeutralGreen = 36;
+export const segmentButtonCommonMinHeightNeutralRed = 36;
+export const segmentButtonCommonMinHeightNeutralYellow = 36;
+export const segmentButtonCommonMinHeightNeutralInverseBlue = 36;
+export const segmentButtonCommonMinHeightNeutralInverseGreen = 36;
+export const segmentButtonCommonMinHeightNeutralInverseRed = 36;
+export const segmentButtonCommonMinHeightNeutralInverseYellow = 36;
+export const segmentButtonCommonMinHeightSubtleBlue = 36;
+export const segmentButtonCommonMinHeightSubtleGreen = 36;
+export const segmentButtonCommonMinHeightSubtleRed = 36;
+export const segmentButtonCommonMinHeightSubtleYellow = 36;
+export const segmentButtonCommonMinHeightBoldBlue = 36;
+export const segmentButtonCommonMinHeightBoldGreen = 36;
+export const segmentButtonCommonMinHeightBoldRed = 36;
+export const segmentButtonCommonMinHeightBoldYellow = 36;
+export const segmentButtonRestBackgroundColourNeutralBlue = "#ffffff";
+export const segmentButtonRestBackgroundColourNeutralGreen = "#ffffff";
+export const segmentButtonRestBackgroundColourNeutralRed = "#ffffff";
+export const segmentButtonRestBackgroundColourNeutralYellow = "#ffffff";
+export const segmentButtonRestBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const segmentButtonRestBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const segmentButtonRestBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const segmentButtonRestBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const segmentButtonRestBackgroundColourSubtleBlue = "#aee1f7";
+export const segmentButtonRestBackgroundColourSubtleGreen = "#caeedd";
+export const segmentButtonRestBackgroundColourSubtleRed = "#ffd5d2";
+export const segmentButtonRestBackgroundColourSubtleYellow = "#fff9c7";
+export const segmentButtonRestBackgroundColourBoldBlue = "#005dba";
+export const segmentButtonRestBackgroundColourBoldGreen = "#00633d";
+export const segmentButtonRestBackgroundColourBoldRed = "#c50b30";
+export const segmentButtonRestBackgroundColourBoldYellow = "#ffb600";
+export const segmentButtonRestColourNeutralBlue = "#1d1d1b";
+export const segmentButtonRestColourNeutralGreen = "#1d1d1b";
+export const segmentButtonRestColourNeutralRed = "#1d1d1b";
+export const segmentButtonRestColourNeutralYellow = "#000000";
+export const segmentButtonRestColourNeutralInverseBlue = "#1d1d1b";
+export const segmentButtonRestColourNeutralInverseGreen = "#1d1d1b";
+export const segmentButtonRestColourNeutralInverseRed = "#1d1d1b";
+export const segmentButtonRestColourNeutralInverseYellow = "#000000";
+export const segmentButtonRestColourSubtleBlue = "#1d1d1b";
+export const segmentButtonRestColourSubtleGreen = "#1d1d1b";
+export const segmentButtonRestColourSubtleRed = "#1d1d1b";
+export const segmentButtonRestColourSubtleYellow = "#000000";
+export const segmentButtonRestColourBoldBlue = "#ffffff";
+export const segmentButtonRestColourBoldGreen = "#ffffff";
+export const segmentButtonRestColourBoldRed = "#ffffff";
+export const segmentButtonRestColourBoldYellow = "#1d1d1b";
+export const segmentButtonHoverBackgroundColourNeutralBlue = "#aee1f7";
+export const segmentButtonHoverBackgroundColourNeutralGreen = "#caeedd";
+export const segmentButtonHoverBackgroundColourNeutralRed = "#ffd5d2";
+export const segmentButtonHoverBackgroundColourNeutralYellow = "#fff9c7";
+export const segmentButtonHoverBackgroundColourNeutralInverseBlue = "#aee1f7";
+export const segmentButtonHoverBackgroundColourNeutralInverseGreen = "#caeedd";
+export const segmentButtonHoverBackgroundColourNeutralInverseRed = "#ffd5d2";
+export const segmentButtonHoverBackgroundColourNeutralInverseYellow = "#fff9c7";
+export const segmentButtonHoverBackgroundColourSubtleBlue = "#42aeea";
+export const segmentButtonHoverBackgroundColourSubtleGreen = "#43af6e";
+export const segmentButtonHoverBackgroundColourSubtleRed = "#ff3e51";
+export const segmentButtonHoverBackgroundColourSubtleYellow = "#ffe969";
+export const segmentButtonHoverBackgroundColourBoldBlue = "#aee1f7";
+export const segmentButtonHoverBackgroundColourBoldGreen = "#caeedd";
+export const segmentButtonHoverBackgroundColourBoldRed = "#ffd5d2";
+export const segmentButtonHoverBackgroundColourBoldYellow = "#fff9c7";
+export const segmentButtonHoverColourNeutralBlue = "#1d1d1b";
+export const segmentButtonHoverColourNeutralGreen = "#1d1d1b";
+export const segmentButtonHoverColourNeutralRed = "#1d1d1b";
+export const segmentButtonHoverColourNeutralYellow = "#000000";
+export const segmentButtonHoverColourNeutralInverseBlue = "#1d1d1b";
+export const segmentButtonHoverColourNeutralInverseGreen = "#1d1d1b";
+export const segmentButtonHoverColourNeutralInverseRed = "#1d1d1b";
+export const segmentButtonHoverColourNeutralInverseYellow = "#000000";
+export const segmentButtonHoverColourSubtleBlue = "#1d1d1b";
+export const segmentButtonHoverColourSubtleGreen = "#1d1d1b";
+export const segmentButtonHoverColourSubtleRed = "#1d1d1b";
+export const segmentButtonHoverColourSubtleYellow = "#000000";
+export const segmentButtonHoverColourBoldBlue = "#1d1d1b";
+export const segmentButtonHoverColourBoldGreen = "#1d1d1b";
+export const segmentButtonHoverColourBoldRed = "#1d1d1b";
+export const segmentButtonHoverColourBoldYellow = "#000000";
+export const segmentButtonActiveBackgroundColourNeutralBlue = "#005dba";
+export const segmentButtonActiveBackgroundColourNeutralGreen = "#00633d";
+export const segmentButtonActiveBackgroundColourNeutralRed = "#c50b30";
+export const segmentButtonActiveBackgroundColourNeutralYellow = "#ffb600";
+export const segmentButtonActiveBackgroundColourNeutralInverseBlue = "#005dba";
+export const segmentButtonActiveBackgroundColourNeutralInverseGreen = "#00633d";
+export const segmentButtonActiveBackgroundColourNeutralInverseRed = "#c50b30";
+export const segmentButtonActiveBackgroundColourNeutralInverseYellow = "#ffb600";
+export const segmentButtonActiveBackgroundColourSubtleBlue = "#005dba";
+export const segmentButtonActiveBackgroundColourSubtleGreen = "#00633d";
+export const segmentButtonActiveBackgroundColourSubtleRed = "#c50b30";
+export const segmentButtonActiveBackgroundColourSubtleYellow = "#ffb600";
+export const segmentButtonActiveBackgroundColourBoldBlue = "#ffffff";
+export const segmentButtonActiveBackgroundColourBoldGreen = "#ffffff";
+export const segmentButtonActiveBackgroundColourBoldRed = "#ffffff";
+export const segmentButtonActiveBackgroundColourBoldYellow = "#ffffff";
+export const segmentButtonActiveColourNeutralBlue = "#ffffff";
+export const segmentButtonActiveColourNeutralGreen = "#ffffff";
+export const segmentButtonActiveColourNeutralRed = "#ffffff";
+export const segmentButtonActiveColourNeutralYellow = "#1d1d1b";
+export const segmentButtonActiveColourNeutralInverseBlue = "#ffffff";
+export const segmentButtonActiveColourNeutralInverseGreen = "#ffffff";
+export const segmentButtonActiveColourNeutralInverseRed = "#ffffff";
+export const segmentButtonActiveColourNeutralInverseYellow = "#1d1d1b";
+export const segmentButtonActiveColourSubtleBlue = "#ffffff";
+export const segmentButtonActiveColourSubtleGreen = "#ffffff";
+export const segmentButtonActiveColourSubtleRed = "#ffffff";
+export const segmentButtonActiveColourSubtleYellow = "#1d1d1b";
+export const segmentButtonActiveColourBoldBlue = "#1d1d1b";
+export const segmentButtonActiveColourBoldGreen = "#1d1d1b";
+export const segmentButtonActiveColourBoldRed = "#1d1d1b";
+export const segmentButtonActiveColourBoldYellow = "#000000";
+export const segmentButtonFocusBackgroundColourNeutralBlue = "#ffffff";
+export const segmentButtonFocusBackgroundColourNeutralGreen = "#ffffff";
+export const segmentButtonFocusBackgroundColourNeutralRed = "#ffffff";
+export const segmentButtonFocusBackgroundColourNeutralYellow = "#ffffff";
+export const segmentButtonFocusBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const segmentButtonFocusBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const segmentButtonFocusBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const segmentButtonFocusBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const segmentButtonFocusBackgroundColourSubtleBlue = "#aee1f7";
+export const segmentButtonFocusBackgroundColourSubtleGreen = "#caeedd";
+export const segmentButtonFocusBackgroundColourSubtleRed = "#ffd5d2";
+export const segmentButtonFocusBackgroundColourSubtleYellow = "#fff9c7";
+export const segmentButtonFocusBackgroundColourBoldBlue = "#005dba";
+export const segmentButtonFocusBackgroundColourBoldGreen = "#00633d";
+export const segmentButtonFocusBackgroundColourBoldRed = "#c50b30";
+export const segmentButtonFocusBackgroundColourBoldYellow = "#ffb600";
+export const segmentButtonFocusColourNeutralBlue = "#1d1d1b";
+export const segmentButtonFocusColourNeutralGreen = "#1d1d1b";
+export const segmentButtonFocusColourNeutralRed = "#1d1d1b";
+export const segmentButtonFocusColourNeutralYellow = "#000000";
+export const segmentButtonFocusColourNeutralInverseBlue = "#1d1d1b";
+export const segmentButtonFocusColourNeutralInverseGreen = "#1d1d1b";
+export const segmentButtonFocusColourNeutralInverseRed = "#1d1d1b";
+export const segmentButtonFocusColourNeutralInverseYellow = "#000000";
+export const segmentButtonFocusColourSubtleBlue = "#1d1d1b";
+export const segmentButtonFocusColourSubtleGreen = "#1d1d1b";
+export const segmentButtonFocusColourSubtleRed = "#1d1d1b";
+export const segmentButtonFocusColourSubtleYellow = "#000000";
+export const segmentButtonFocusColourBoldBlue = "#ffffff";
+export const segmentButtonFocusColourBoldGreen = "#ffffff";
+export const segmentButtonFocusColourBoldRed = "#ffffff";
+export const segmentButtonFocusColourBoldYellow = "#1d1d1b";
+export const segmentButtonFocusBorderColourNeutralBlue = "#1d1d1b";
+export const segmentButtonFocusBorderColourNeutralGreen = "#1d1d1b";
+export const segmentButtonFocusBorderColourNeutralRed = "#1d1d1b";
+export const segmentButtonFocusBorderColourNeutralYellow = "#000000";
+export const segmentButtonFocusBorderColourNeutralInverseBlue = "#1d1d1b";
+export const segmentButtonFocusBorderColourNeutralInverseGreen = "#1d1d1b";
+export const segmentButtonFocusBorderColourNeutralInverseRed = "#1d1d1b";
+export const segmentButtonFocusBorderColourNeutralInverseYellow = "#000000";
+export const segmentButtonFocusBorderColourSubtleBlue = "#1d1d1b";
+export const segmentButtonFocusBorderColourSubtleGreen = "#1d1d1b";
+export const segmentButtonFocusBorderColourSubtleRed = "#1d1d1b";
+export const segmentButtonFocusBorderColourSubtleYellow = "#000000";
+export const segmentButtonFocusBorderColourBoldBlue = "#ffffff";
+export const segmentButtonFocusBorderColourBoldGreen = "#ffffff";
+export const segmentButtonFocusBorderColourBoldRed = "#ffffff";
+export const segmentButtonFocusBorderColourBoldYellow = "#1d1d1b";
+export const segmentButtonFocusBorderWidthNeutralBlue = 3;
+export const segmentButtonFocusBorderWidthNeutralGreen = 3;
+export const segmentButtonFocusBorderWidthNeutralRed = 3;
+export const segmentButtonFocusBorderWidthNeutralYellow = 3;
+export const segmentButtonFocusBorderWidthNeutralInverseBlue = 3;
+export const segmentButtonFocusBorderWidthNeutralInverseGreen = 3;
+export const segmentButtonFocusBorderWidthNeutralInverseRed = 3;
+export const segmentButtonFocusBorderWidthNeutralInverseYellow = 3;
+export const segmentButtonFocusBorderWidthSubtleBlue = 3;
+export const segmentButtonFocusBorderWidthSubtleGreen = 3;
+export const segmentButtonFocusBorderWidthSubtleRed = 3;
+export const segmentButtonFocusBorderWidthSubtleYellow = 3;
+export const segmentButtonFocusBorderWidthBoldBlue = 3;
+export const segmentButtonFocusBorderWidthBoldGreen = 3;
+export const segmentButtonFocusBorderWidthBoldRed = 3;
+export const segmentButtonFocusBorderWidthBoldYellow = 3;
+export const segmentButtonStatusErrorBackgroundColourNeutralInfo = "#005dba";
+export const segmentButtonStatusErrorBackgroundColourNeutralSuccess = "#00633d";
+export const segmentButtonStatusErrorBackgroundColourNeutralWarning = "#ffb600";
+export const segmentButtonStatusErrorBackgroundColourNeutralError = "#c50b30";
+export const segmentButtonStatusErrorBackgroundColourNeutralGeneric = "#4d4f4f";
+export const segmentButtonStatusErrorBackgroundColourNeutralInverseInfo = "#005dba";
+export const segmentButtonStatusErrorBackgroundColourNeutralInverseSuccess = "#00633d";
+export const segmentButtonStatusErrorBackgroundColourNeutralInverseWarning = "#ffb600";
+export const segmentButtonStatusErrorBackgroundColourNeutralInverseError = "#c50b30";
+export const segmentButtonStatusErrorBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+export const segmentButtonStatusErrorBackgroundColourSubtleInfo = "#005dba";
+export const segmentButtonStatusErrorBackgroundColourSubtleSuccess = "#00633d";
+export const segmentButtonStatusErrorBackgroundColourSubtleWarning = "#ffb600";
+export const segmentButtonStatusErrorBackgroundColourSubtleError = "#c50b30";
+export const segmentButtonStatusErrorBackgroundColourSubtleGeneric = "#4d4f4f";
+export const segmentButtonStatusErrorBackgroundColourBoldInfo = "#005dba";
+export const segmentButtonStatusErrorBackgroundColourBoldSuccess = "#00633d";
+export const segmentButtonStatusErrorBackgroundColourBoldWarning = "#ffb600";
+export const segmentButtonStatusErrorBackgroundColourBoldError = "#c50b30";
+export const segmentButtonStatusErrorBackgroundColourBoldGeneric = "#4d4f4f";
+export const segmentButtonDisabledBackgroundColourNeutralBlue = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourNeutralGreen = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourNeutralRed = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourNeutralYellow = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourNeutralInverseBlue = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourNeutralInverseGreen = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourNeutralInverseRed = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourNeutralInverseYellow = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourSubtleBlue = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourSubtleGreen = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourSubtleRed = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourSubtleYellow = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourBoldBlue = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourBoldGreen = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourBoldRed = "#d3d3d3";
+export const segmentButtonDisabledBackgroundColourBoldYellow = "#d3d3d3";
+export const segmentButtonDisabledColourNeutralBlue = "#a6a7a7";
+export const segmentButtonDisabledColourNeutralGreen = "#a6a7a7";
+export const segmentButtonDisabledColourNeutralRed = "#a6a7a7";
+export const segmentButtonDisabledColourNeutralYellow = "#a6a7a7";
+export const segmentButtonDisabledColourNeutralInverseBlue = "#a6a7a7";
+export const segmentButtonDisabledColourNeutralInverseGreen = "#a6a7a7";
+export const segmentButtonDisabledColourNeutralInverseRed = "#a6a7a7";
+export const segmentButtonDisabledColourNeutralInverseYellow = "#a6a7a7";
+export const segmentButtonDisabledColourSubtleBlue = "#a6a7a7";
+export const segmentButtonDisabledColourSubtleGreen = "#a6a7a7";
+export const segmentButtonDisabledColourSubtleRed = "#a6a7a7";
+export const segmentButtonDisabledColourSubtleYellow = "#a6a7a7";
+export const segmentButtonDisabledColourBoldBlue = "#a6a7a7";
+export const segmentButtonDisabledColourBoldGreen = "#a6a7a7";
+export const segmentButtonDisabledColourBoldRed = "#a6a7a7";
+export const segmentButtonDisabledColourBoldYellow = "#a6a7a7";
+export const inlineMessagePaddingXNeutralBlue = 12;
+export const inlineMessagePaddingXNeutralGreen = 12;
+export const inlineMessagePaddingXNeutralRed = 12;
+export const inlineMessagePaddingXNeutralYellow = 12;
+export const inlineMessagePaddingXNeutralInverseBlue = 12;
+export const inlineMessagePaddingXNeutralInverseGreen = 12;
+export const inlineMessagePaddingXNeutralInverseRed = 12;
+export const inlineMessagePaddingXNeutralInverseYellow = 12;
+export const inlineMessagePaddingXSubtleBlue = 12;
+export const inlineMessagePaddingXSubtleGreen = 12;
+export const inlineMessagePaddingXSubtleRed = 12;
+export const inlineMessagePaddingXSubtleYellow = 12;
+export const inlineMessagePaddingXBoldBlue = 12;
+export const inlineMessagePaddingXBoldGreen = 12;
+export const inlineMessagePaddingXBoldRed = 12;
+export const inlineMessagePaddingXBoldYellow = 12;
+export const inlineMessagePaddingYNeutralBlue = 12;
+export const inlineMessagePaddingYNeutralGreen = 12;
+export const inlineMessagePaddingYNeutralRed = 12;
+export const inlineMessagePaddingYNeutralYellow = 12;
+export const inlineMessagePaddingYNeutralInverseBlue = 12;
+export const inlineMessagePaddingYNeutralInverseGreen = 12;
+export const inlineMessagePaddingYNeutralInverseRed = 12;
+export const inlineMessagePaddingYNeutralInverseYellow = 12;
+export const inlineMessagePaddingYSubtleBlue = 12;
+export const inlineMessagePaddingYSubtleGreen = 12;
+export const inlineMessagePaddingYSubtleRed = 12;
+export const inlineMessagePaddingYSubtleYellow = 12;
+export const inlineMessagePaddingYBoldBlue = 12;
+export const inlineMessagePaddingYBoldGreen = 12;
+export const inlineMessagePaddingYBoldRed = 12;
+export const inlineMessagePaddingYBoldYellow = 12;
+export const inlineMessageBorderRadiusNeutralBlue = 12;
+export const inlineMessageBorderRadiusNeutralGreen = 12;
+export const inlineMessageBorderRadiusNeutralRed = 12;
+export const inlineMessageBorderRadiusNeutralYellow = 12;
+export const inlineMessageBorderRadiusNeutralInverseBlue = 12;
+export const inlineMessageBorderRadiusNeutralInverseGreen = 12;
+export const inlineMessageBorderRadiusNeutralInverseRed = 12;
+export const inlineMessageBorderRadiusNeutralInverseYellow = 12;
+export const inlineMessageBorderRadiusSubtleBlue = 12;
+export const inlineMessageBorderRadiusSubtleGreen = 12;
+export const inlineMessageBorderRadiusSubtleRed = 12;
+export const inlineMessageBorderRadiusSubtleYellow = 12;
+export const inlineMessageBorderRadiusBoldBlue = 12;
+export const inlineMessageBorderRadiusBoldGreen = 12;
+export const inlineMessageBorderRadiusBoldRed = 12;
+export const inlineMessageBorderRadiusBoldYellow = 12;
+export const inlineMessageStatusTextColourNeutralInfo = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralSuccess = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralWarning = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralError = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralGeneric = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralInverseInfo = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralInverseSuccess = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralInverseWarning = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralInverseError = "#1d1d1b";
+export const inlineMessageStatusTextColourNeutralInverseGeneric = "#1d1d1b";
+export const inlineMessageStatusTextColourSubtleInfo = "#1d1d1b";
+export const inlineMessageStatusTextColourSubtleSuccess = "#1d1d1b";
+export const inlineMessageStatusTextColourSubtleWarning = "#1d1d1b";
+export const inlineMessageStatusTextColourSubtleError = "#1d1d1b";
+export const inlineMessageStatusTextColourSubtleGeneric = "#1d1d1b";
+export const inlineMessageStatusTextColourBoldInfo = "#1d1d1b";
+export const inlineMessageStatusTextColourBoldSuccess = "#1d1d1b";
+export const inlineMessageStatusTextColourBoldWarning = "#1d1d1b";
+export const inlineMessageStatusTextColourBoldError = "#1d1d1b";
+export const inlineMessageStatusTextColourBoldGeneric = "#1d1d1b";
+export const inlineMessageStatusBackgroundColourNeutralInfo = "#aee1f7";
+export const inlineMessageStatusBackgroundColourNeutralSuccess = "#caeedd";
+export const inlineMessageStatusBackgroundColourNeutralWarning = "#fff9c7";
+export const inlineMessageStatusBackgroundColourNeutralError = "#ffc2bd";
+export const inlineMessageStatusBackgroundColourNeutralGeneric = "#f4f4f4";
+export const inlineMessageStatusBackgroundColourNeutralInverseInfo = "#aee1f7";
+export const inlineMessageStatusBackgroundColourNeutralInverseSuccess = "#caeedd";
+export const inlineMessageStatusBackgroundColourNeutralInverseWarning = "#fff9c7";
+export const inlineMessageStatusBackgroundColourNeutralInverseError = "#ffc2bd";
+export const inlineMessageStatusBackgroundColourNeutralInverseGeneric = "#ffffff";
+export const inlineMessageStatusBackgroundColourSubtleInfo = "#ffffff";
+export const inlineMessageStatusBackgroundColourSubtleSuccess = "#ffffff";
+export const inlineMessageStatusBackgroundColourSubtleWarning = "#ffffff";
+export const inlineMessageStatusBackgroundColourSubtleError = "#ffffff";
+export const inlineMessageStatusBackgroundColourSubtleGeneric = "#ffffff";
+export const inlineMessageStatusBackgroundColourBoldInfo = "#ffffff";
+export const inlineMessageStatusBackgroundColourBoldSuccess = "#ffffff";
+export const inlineMessageStatusBackgroundColourBoldWarning = "#ffffff";
+export const inlineMessageStatusBackgroundColourBoldError = "#ffffff";
+export const inlineMessageStatusBackgroundColourBoldGeneric = "#ffffff";
+export const inlineMessageStatusIconColourNeutralInfo = "#001d6e";
+export const inlineMessageStatusIconColourNeutralSuccess = "#01312e";
+export const inlineMessageStatusIconColourNeutralWarning = "#904029";
+export const inlineMessageStatusIconColourNeutralError = "#940824";
+export const inlineMessageStatusIconColourNeutralGeneric = "#1d1d1b";
+export const inlineMessageStatusIconColourNeutralInverseInfo = "#001d6e";
+export const inlineMessageStatusIconColourNeutralInverseSuccess = "#01312e";
+export const inlineMessageStatusIconColourNeutralInverseWarning = "#904029";
+export const inlineMessageStatusIconColourNeutralInverseError = "#940824";
+export const inlineMessageStatusIconColourNeutralInverseGeneric = "#1d1d1b";
+export const inlineMessageStatusIconColourSubtleInfo = "#001d6e";
+export const inlineMessageStatusIconColourSubtleSuccess = "#01312e";
+export const inlineMessageStatusIconColourSubtleWarning = "#904029";
+export const inlineMessageStatusIconColourSubtleError = "#940824";
+export const inlineMessageStatusIconColourSubtleGeneric = "#1d1d1b";
+export const inlineMessageStatusIconColourBoldInfo = "#001d6e";
+export const inlineMessageStatusIconColourBoldSuccess = "#01312e";
+export const inlineMessageStatusIconColourBoldWarning = "#904029";
+export const inlineMessageStatusIconColourBoldError = "#940824";
+export const inlineMessageStatusIconColourBoldGeneric = "#1d1d1b";
+export const inlineMessageGapNeutralBlue = 12;
+export const inlineMessageGapNeutralGreen = 12;
+export const inlineMessageGapNeutralRed = 12;
+export const inlineMessageGapNeutralYellow = 12;
+export const inlineMessageGapNeutralInverseBlue = 12;
+export const inlineMessageGapNeutralInverseGreen = 12;
+export const inlineMessageGapNeutralInverseRed = 12;
+export const inlineMessageGapNeutralInverseYellow = 12;
+export const inlineMessageGapSubtleBlue = 12;
+export const inlineMessageGapSubtleGreen = 12;
+export const inlineMessageGapSubtleRed = 12;
+export const inlineMessageGapSubtleYellow = 12;
+export const inlineMessageGapBoldBlue = 12;
+export const inlineMessageGapBoldGreen = 12;
+export const inlineMessageGapBoldRed = 12;
+export const inlineMessageGapBoldYellow = 12;
+export const tableCellCommonColourNeutralBlue = "#1d1d1b";
+export const tableCellCommonColourNeutralGreen = "#1d1d1b";
+export const tableCellCommonColourNeutralRed = "#1d1d1b";
+export const tableCellCommonColourNeutralYellow = "#1d1d1b";
+export const tableCellCommonColourNeutralInverseBlue = "#1d1d1b";
+export const tableCellCommonColourNeutralInverseGreen = "#1d1d1b";
+export const tableCellCommonColourNeutralInverseRed = "#1d1d1b";
+export const tableCellCommonColourNeutralInverseYellow = "#1d1d1b";
+export const tableCellCommonColourSubtleBlue = "#1d1d1b";
+export const tableCellCommonColourSubtleGreen = "#1d1d1b";
+export const tableCellCommonColourSubtleRed = "#1d1d1b";
+export const tableCellCommonColourSubtleYellow = "#1d1d1b";
+export const tableCellCommonColourBoldBlue = "#ffffff";
+export const tableCellCommonColourBoldGreen = "#ffffff";
+export const tableCellCommonColourBoldRed = "#ffffff";
+export const tableCellCommonColourBoldYellow = "#1d1d1b";
+export const tableCellCommonBackgroundColourNeutralBlue = "#ffffff";
+export const tableCellCommonBackgroundColourNeutralGreen = "#ffffff";
+export const tableCellCommonBackgroundColourNeutralRed = "#ffffff";
+export const tableCellCommonBackgroundColourNeutralYellow = "#ffffff";
+export const tableCellCommonBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const tableCellCommonBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const tableCellCommonBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const tableCellCommonBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const tableCellCommonBackgroundColourSubtleBlue = "#aee1f7";
+export const tableCellCommonBackgroundColourSubtleGreen = "#caeedd";
+export const tableCellCommonBackgroundColourSubtleRed = "#ffd5d2";
+export const tableCellCommonBackgroundColourSubtleYellow = "#fff9c7";
+export const tableCellCommonBackgroundColourBoldBlue = "#005dba";
+export const tableCellCommonBackgroundColourBoldGreen = "#00633d";
+export const tableCellCommonBackgroundColourBoldRed = "#c50b30";
+export const tableCellCommonBackgroundColourBoldYellow = "#ffb600";
+export const tableCellCommonBorderColourNeutralBlue = "#d3d3d3";
+export const tableCellCommonBorderColourNeutralGreen = "#d3d3d3";
+export const tableCellCommonBorderColourNeutralRed = "#d3d3d3";
+export const tableCellCommonBorderColourNeutralYellow = "#d3d3d3";
+export const tableCellCommonBorderColourNeutralInverseBlue = "#858686";
+export const tableCellCommonBorderColourNeutralInverseGreen = "#858686";
+export const tableCellCommonBorderColourNeutralInverseRed = "#858686";
+export const tableCellCommonBorderColourNeutralInverseYellow = "#858686";
+export const tableCellCommonBorderColourSubtleBlue = "#1d1d1b";
+export const tableCellCommonBorderColourSubtleGreen = "#1d1d1b";
+export const tableCellCommonBorderColourSubtleRed = "#1d1d1b";
+export const tableCellCommonBorderColourSubtleYellow = "#1d1d1b";
+export const tableCellCommonBorderColourBoldBlue = "#f4f4f4";
+export const tableCellCommonBorderColourBoldGreen = "#f4f4f4";
+export const tableCellCommonBorderColourBoldRed = "#f4f4f4";
+export const tableCellCommonBorderColourBoldYellow = "#1d1d1b";
+export const tableCellCommonBackgroundColourEvenNeutralBlue = "#ffffff";
+export const tableCellCommonBackgroundColourEvenNeutralGreen = "#ffffff";
+export const tableCellCommonBackgroundColourEvenNeutralRed = "#ffffff";
+export const tableCellCommonBackgroundColourEvenNeutralYellow = "#ffffff";
+export const tableCellCommonBackgroundColourEvenNeutralInverseBlue = "#f4f4f4";
+export const tableCellCommonBackgroundColourEvenNeutralInverseGreen = "#f4f4f4";
+export const tableCellCommonBackgroundColourEvenNeutralInverseRed = "#f4f4f4";
+export const tableCellCommonBackgroundColourEvenNeutralInverseYellow = "#f4f4f4";
+export const tableCellCommonBackgroundColourEvenSubtleBlue = "#aee1f7";
+export const tableCellCommonBackgroundColourEvenSubtleGreen = "#caeedd";
+export const tableCellCommonBackgroundColourEvenSubtleRed = "#ffd5d2";
+export const tableCellCommonBackgroundColourEvenSubtleYellow = "#fff9c7";
+export const tableCellCommonBackgroundColourEvenBoldBlue = "#005dba";
+export const tableCellCommonBackgroundColourEvenBoldGreen = "#00633d";
+export const tableCellCommonBackgroundColourEvenBoldRed = "#c50b30";
+export const tableCellCommonBackgroundColourEvenBoldYellow = "#ffb600";
+export const tableCellCommonBorderWidthNeutralBlue = 1;
+export const tableCellCommonBorderWidthNeutralGreen = 1;
+export const tableCellCommonBorderWidthNeutralRed = 1;
+export const tableCellCommonBorderWidthNeutralYellow = 1;
+export const tableCellCommonBorderWidthNeutralInverseBlue = 1;
+export const tableCellCommonBorderWidthNeutralInverseGreen = 1;
+export const tableCellCommonBorderWidthNeutralInverseRed = 1;
+export const tableCellCommonBorderWidthNeutralInverseYellow = 1;
+export const tableCellCommonBorderWidthSubtleBlue = 1;
+export const tableCellCommonBorderWidthSubtleGreen = 1;
+export const tableCellCommonBorderWidthSubtleRed = 1;
+export const tableCellCommonBorderWidthSubtleYellow = 1;
+export const tableCellCommonBorderWidthBoldBlue = 1;
+export const tableCellCommonBorderWidthBoldGreen = 1;
+export const tableCellCommonBorderWidthBoldRed = 1;
+export const tableCellCommonBorderWidthBoldYellow = 1;
+export const tableCellCommonPaddingXNeutralBlue = 16;
+export const tableCellCommonPaddingXNeutralGreen = 16;
+export const tableCellCommonPaddingXNeutralRed = 16;
+export const tableCellCommonPaddingXNeutralYellow = 16;
+export const tableCellCommonPaddingXNeutralInverseBlue = 16;
+export const tableCellCommonPaddingXNeutralInverseGreen = 16;
+export const tableCellCommonPaddingXNeutralInverseRed = 16;
+export const tableCellCommonPaddingXNeutralInverseYellow = 16;
+export const tableCellCommonPaddingXSubtleBlue = 16;
+export const tableCellCommonPaddingXSubtleGreen = 16;
+export const tableCellCommonPaddingXSubtleRed = 16;
+export const tableCellCommonPaddingXSubtleYellow = 16;
+export const tableCellCommonPaddingXBoldBlue = 16;
+export const tableCellCommonPaddingXBoldGreen = 16;
+export const tableCellCommonPaddingXBoldRed = 16;
+export const tableCellCommonPaddingXBoldYellow = 16;
+export const tableCellCommonPaddingYLgNeutralBlue = 16;
+export const tableCellCommonPaddingYLgNeutralGreen = 16;
+export const tableCellCommonPaddingYLgNeutralRed = 16;
+export const tableCellCommonPaddingYLgNeutralYellow = 16;
+export const tableCellCommonPaddingYLgNeutralInverseBlue = 16;
+export const tableCellCommonPaddingYLgNeutralInverseGreen = 16;
+export const tableCellCommonPaddingYLgNeutralInverseRed = 16;
+export const tableCellCommonPaddingYLgNeutralInverseYellow = 16;
+export const tableCellCommonPaddingYLgSubtleBlue = 16;
+export const tableCellCommonPaddingYLgSubtleGreen = 16;
+export const tableCellCommonPaddingYLgSubtleRed = 16;
+export const tableCellCommonPaddingYLgSubtleYellow = 16;
+export const tableCellCommonPaddingYLgBoldBlue = 16;
+export const tableCellCommonPaddingYLgBoldGreen = 16;
+export const tableCellCommonPaddingYLgBoldRed = 16;
+export const tableCellCommonPaddingYLgBoldYellow = 16;
+export const tableCellCommonPaddingYSmNeutralBlue = 12;
+export const tableCellCommonPaddingYSmNeutralGreen = 12;
+export const tableCellCommonPaddingYSmNeutralRed = 12;
+export const tableCellCommonPaddingYSmNeutralYellow = 12;
+export const tableCellCommonPaddingYSmNeutralInverseBlue = 12;
+export const tableCellCommonPaddingYSmNeutralInverseGreen = 12;
+export const tableCellCommonPaddingYSmNeutralInverseRed = 12;
+export const tableCellCommonPaddingYSmNeutralInverseYellow = 12;
+export const tableCellCommonPaddingYSmSubtleBlue = 12;
+export const tableCellCommonPaddingYSmSubtleGreen = 12;
+export const tableCellCommonPaddingYSmSubtleRed = 12;
+export const tableCellCommonPaddingYSmSubtleYellow = 12;
+export const tableCellCommonPaddingYSmBoldBlue = 12;
+export const tableCellCommonPaddingYSmBoldGreen = 12;
+export const tableCellCommonPaddingYSmBoldRed = 12;
+export const tableCellCommonPaddingYSmBoldYellow = 12;
+export const tableCellHeaderBorderColourNeutralBlue = "#4d4f4f";
+export const tableCellHeaderBorderColourNeutralGreen = "#4d4f4f";
+export const tableCellHeaderBorderColourNeutralRed = "#4d4f4f";
+export const tableCellHeaderBorderColourNeutralYellow = "#4d4f4f";
+export const tableCellHeaderBorderColourNeutralInverseBlue = "#4d4f4f";
+export const tableCellHeaderBorderColourNeutralInverseGreen = "#4d4f4f";
+export const tableCellHeaderBorderColourNeutralInverseRed = "#4d4f4f";
+export const tableCellHeaderBorderColourNeutralInverseYellow = "#4d4f4f";
+export const tableCellHeaderBorderColourSubtleBlue = "#4d4f4f";
+export const tableCellHeaderBorderColourSubtleGreen = "#4d4f4f";
+export const tableCellHeaderBorderColourSubtleRed = "#4d4f4f";
+export const tableCellHeaderBorderColourSubtleYellow = "#4d4f4f";
+export const tableCellHeaderBorderColourBoldBlue = "#4d4f4f";
+export const tableCellHeaderBorderColourBoldGreen = "#4d4f4f";
+export const tableCellHeaderBorderColourBoldRed = "#4d4f4f";
+export const tableCellHeaderBorderColourBoldYellow = "#4d4f4f";
+export const tableCellHeaderBorderWidthNeutralBlue = 2;
+export const tableCellHeaderBorderWidthNeutralGreen = 2;
+export const tableCellHeaderBorderWidthNeutralRed = 2;
+export const tableCellHeaderBorderWidthNeutralYellow = 2;
+export const tableCellHeaderBorderWidthNeutralInverseBlue = 2;
+export const tableCellHeaderBorderWidthNeutralInverseGreen = 2;
+export const tableCellHeaderBorderWidthNeutralInverseRed = 2;
+export const tableCellHeaderBorderWidthNeutralInverseYellow = 2;
+export const tableCellHeaderBorderWidthSubtleBlue = 2;
+export const tableCellHeaderBorderWidthSubtleGreen = 2;
+export const tableCellHeaderBorderWidthSubtleRed = 2;
+export const tableCellHeaderBorderWidthSubtleYellow = 2;
+export const tableCellHeaderBorderWidthBoldBlue = 2;
+export const tableCellHeaderBorderWidthBoldGreen = 2;
+export const tableCellHeaderBorderWidthBoldRed = 2;
+export const tableCellHeaderBorderWidthBoldYellow = 2;
+export const tableCellHighlightBackgroundColourNeutralBlue = "#ffffff";
+export const tableCellHighlightBackgroundColourNeutralGreen = "#ffffff";
+export const tableCellHighlightBackgroundColourNeutralRed = "#ffffff";
+export const tableCellHighlightBackgroundColourNeutralYellow = "#ffffff";
+export const tableCellHighlightBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const tableCellHighlightBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const tableCellHighlightBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const tableCellHighlightBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const tableCellHighlightBackgroundColourSubtleBlue = "#aee1f7";
+export const tableCellHighlightBackgroundColourSubtleGreen = "#caeedd";
+export const tableCellHighlightBackgroundColourSubtleRed = "#ffd5d2";
+export const tableCellHighlightBackgroundColourSubtleYellow = "#fff9c7";
+export const tableCellHighlightBackgroundColourBoldBlue = "#005dba";
+export const tableCellHighlightBackgroundColourBoldGreen = "#00633d";
+export const tableCellHighlightBackgroundColourBoldRed = "#c50b30";
+export const tableCellHighlightBackgroundColourBoldYellow = "#ffb600";
+export const tableStatusCellErrorBackgroundColourNeutralInfo = "#aee1f7";
+export const tableStatusCellErrorBackgroundColourNeutralSuccess = "#caeedd";
+export const tableStatusCellErrorBackgroundColourNeutralWarning = "#fff9c7";
+export const tableStatusCellErrorBackgroundColourNeutralError = "#ffc2bd";
+export const tableStatusCellErrorBackgroundColourNeutralGeneric = "#f4f4f4";
+export const tableStatusCellErrorBackgroundColourNeutralInverseInfo = "#aee1f7";
+export const tableStatusCellErrorBackgroundColourNeutralInverseSuccess = "#caeedd";
+export const tableStatusCellErrorBackgroundColourNeutralInverseWarning = "#fff9c7";
+export const tableStatusCellErrorBackgroundColourNeutralInverseError = "#ffc2bd";
+export const tableStatusCellErrorBackgroundColourNeutralInverseGeneric = "#ffffff";
+export const tableStatusCellErrorBackgroundColourSubtleInfo = "#ffffff";
+export const tableStatusCellErrorBackgroundColourSubtleSuccess = "#ffffff";
+export const tableStatusCellErrorBackgroundColourSubtleWarning = "#ffffff";
+export const tableStatusCellErrorBackgroundColourSubtleError = "#ffffff";
+export const tableStatusCellErrorBackgroundColourSubtleGeneric = "#ffffff";
+export const tableStatusCellErrorBackgroundColourBoldInfo = "#ffffff";
+export const tableStatusCellErrorBackgroundColourBoldSuccess = "#ffffff";
+export const tableStatusCellErrorBackgroundColourBoldWarning = "#ffffff";
+export const tableStatusCellErrorBackgroundColourBoldError = "#ffffff";
+export const tableStatusCellErrorBackgroundColourBoldGeneric = "#ffffff";
+export const tableBorderRadiusNeutralBlue = 16;
+export const tableBorderRadiusNeutralGreen = 16;
+export const tableBorderRadiusNeutralRed = 16;
+export const tableBorderRadiusNeutralYellow = 16;
+export const tableBorderRadiusNeutralInverseBlue = 16;
+export const tableBorderRadiusNeutralInverseGreen = 16;
+export const tableBorderRadiusNeutralInverseRed = 16;
+export const tableBorderRadiusNeutralInverseYellow = 16;
+export const tableBorderRadiusSubtleBlue = 16;
+export const tableBorderRadiusSubtleGreen = 16;
+export const tableBorderRadiusSubtleRed = 16;
+export const tableBorderRadiusSubtleYellow = 16;
+export const tableBorderRadiusBoldBlue = 16;
+export const tableBorderRadiusBoldGreen = 16;
+export const tableBorderRadiusBoldRed = 16;
+export const tableBorderRadiusBoldYellow = 16;
+export const tableBackgroundColourNeutralBlue = "#ffffff";
+export const tableBackgroundColourNeutralGreen = "#ffffff";
+export const tableBackgroundColourNeutralRed = "#ffffff";
+export const tableBackgroundColourNeutralYellow = "#ffffff";
+export const tableBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const tableBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const tableBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const tableBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const tableBackgroundColourSubtleBlue = "#aee1f7";
+export const tableBackgroundColourSubtleGreen = "#caeedd";
+export const tableBackgroundColourSubtleRed = "#ffd5d2";
+export const tableBackgroundColourSubtleYellow = "#fff9c7";
+export const tableBackgroundColourBoldBlue = "#005dba";
+export const tableBackgroundColourBoldGreen = "#00633d";
+export const tableBackgroundColourBoldRed = "#c50b30";
+export const tableBackgroundColourBoldYellow = "#ffb600";
+export const tableBorderColourNeutralBlue = "#d3d3d3";
+export const tableBorderColourNeutralGreen = "#d3d3d3";
+export const tableBorderColourNeutralRed = "#d3d3d3";
+export const tableBorderColourNeutralYellow = "#d3d3d3";
+export const tableBorderColourNeutralInverseBlue = "#858686";
+export const tableBorderColourNeutralInverseGreen = "#858686";
+export const tableBorderColourNeutralInverseRed = "#858686";
+export const tableBorderColourNeutralInverseYellow = "#858686";
+export const tableBorderColourSubtleBlue = "#1d1d1b";
+export const tableBorderColourSubtleGreen = "#1d1d1b";
+export const tableBorderColourSubtleRed = "#1d1d1b";
+export const tableBorderColourSubtleYellow = "#1d1d1b";
+export const tableBorderColourBoldBlue = "#f4f4f4";
+export const tableBorderColourBoldGreen = "#f4f4f4";
+export const tableBorderColourBoldRed = "#f4f4f4";
+export const tableBorderColourBoldYellow = "#1d1d1b";
+export const tableRowVerticalGapNeutralBlue = 16;
+export const tableRowVerticalGapNeutralGreen = 16;
+export const tableRowVerticalGapNeutralRed = 16;
+export const tableRowVerticalGapNeutralYellow = 16;
+export const tableRowVerticalGapNeutralInverseBlue = 16;
+export const tableRowVerticalGapNeutralInverseGreen = 16;
+export const tableRowVerticalGapNeutralInverseRed = 16;
+export const tableRowVerticalGapNeutralInverseYellow = 16;
+export const tableRowVerticalGapSubtleBlue = 16;
+export const tableRowVerticalGapSubtleGreen = 16;
+export const tableRowVerticalGapSubtleRed = 16;
+export const tableRowVerticalGapSubtleYellow = 16;
+export const tableRowVerticalGapBoldBlue = 16;
+export const tableRowVerticalGapBoldGreen = 16;
+export const tableRowVerticalGapBoldRed = 16;
+export const tableRowVerticalGapBoldYellow = 16;
+export const progressIndicatorGapNeutralBlue = 8;
+export const progressIndicatorGapNeutralGreen = 8;
+export const progressIndicatorGapNeutralRed = 8;
+export const progressIndicatorGapNeutralYellow = 8;
+export const progressIndicatorGapNeutralInverseBlue = 8;
+export const progressIndicatorGapNeutralInverseGreen = 8;
+export const progressIndicatorGapNeutralInverseRed = 8;
+export const progressIndicatorGapNeutralInverseYellow = 8;
+export const progressIndicatorGapSubtleBlue = 8;
+export const progressIndicatorGapSubtleGreen = 8;
+export const progressIndicatorGapSubtleRed = 8;
+export const progressIndicatorGapSubtleYellow = 8;
+export const progressIndicatorGapBoldBlue = 8;
+export const progressIndicatorGapBoldGreen = 8;
+export const progressIndicatorGapBoldRed = 8;
+export const progressIndicatorGapBoldYellow = 8;
+export const progressHeaderColourNeutralBlue = "#001d6e";
+export const progressHeaderColourNeutralGreen = "#01312e";
+export const progressHeaderColourNeutralRed = "#940824";
+export const progressHeaderColourNeutralYellow = "#904029";
+export const progressHeaderColourNeutralInverseBlue = "#001d6e";
+export const progressHeaderColourNeutralInverseGreen = "#01312e";
+export const progressHeaderColourNeutralInverseRed = "#940824";
+export const progressHeaderColourNeutralInverseYellow = "#904029";
+export const progressHeaderColourSubtleBlue = "#001d6e";
+export const progressHeaderColourSubtleGreen = "#01312e";
+export const progressHeaderColourSubtleRed = "#940824";
+export const progressHeaderColourSubtleYellow = "#904029";
+export const progressHeaderColourBoldBlue = "#ffffff";
+export const progressHeaderColourBoldGreen = "#ffffff";
+export const progressHeaderColourBoldRed = "#ffffff";
+export const progressHeaderColourBoldYellow = "#1d1d1b";
+export const progressJourneyColourNeutralBlue = "#4d4f4f";
+export const progressJourneyColourNeutralGreen = "#4d4f4f";
+export const progressJourneyColourNeutralRed = "#4d4f4f";
+export const progressJourneyColourNeutralYellow = "#4d4f4f";
+export const progressJourneyColourNeutralInverseBlue = "#4d4f4f";
+export const progressJourneyColourNeutralInverseGreen = "#4d4f4f";
+export const progressJourneyColourNeutralInverseRed = "#4d4f4f";
+export const progressJourneyColourNeutralInverseYellow = "#4d4f4f";
+export const progressJourneyColourSubtleBlue = "#1d1d1b";
+export const progressJourneyColourSubtleGreen = "#1d1d1b";
+export const progressJourneyColourSubtleRed = "#1d1d1b";
+export const progressJourneyColourSubtleYellow = "#1d1d1b";
+export const progressJourneyColourBoldBlue = "#d2effb";
+export const progressJourneyColourBoldGreen = "#dff6eb";
+export const progressJourneyColourBoldRed = "#ffd5d2";
+export const progressJourneyColourBoldYellow = "#572722";
+export const progressJourneyGapNeutralBlue = 16;
+export const progressJourneyGapNeutralGreen = 16;
+export const progressJourneyGapNeutralRed = 16;
+export const progressJourneyGapNeutralYellow = 16;
+export const progressJourneyGapNeutralInverseBlue = 16;
+export const progressJourneyGapNeutralInverseGreen = 16;
+export const progressJourneyGapNeutralInverseRed = 16;
+export const progressJourneyGapNeutralInverseYellow = 16;
+export const progressJourneyGapSubtleBlue = 16;
+export const progressJourneyGapSubtleGreen = 16;
+export const progressJourneyGapSubtleRed = 16;
+export const progressJourneyGapSubtleYellow = 16;
+export const progressJourneyGapBoldBlue = 16;
+export const progressJourneyGapBoldGreen = 16;
+export const progressJourneyGapBoldRed = 16;
+export const progressJourneyGapBoldYellow = 16;
+export const progressBarBackgroundColourNeutralBlue = "#42aeea";
+export const progressBarBackgroundColourNeutralGreen = "#43af6e";
+export const progressBarBackgroundColourNeutralRed = "#ff3e51";
+export const progressBarBackgroundColourNeutralYellow = "#ffe969";
+export const progressBarBackgroundColourNeutralInverseBlue = "#42aeea";
+export const progressBarBackgroundColourNeutralInverseGreen = "#43af6e";
+export const progressBarBackgroundColourNeutralInverseRed = "#ff3e51";
+export const progressBarBackgroundColourNeutralInverseYellow = "#ffe969";
+export const progressBarBackgroundColourSubtleBlue = "#005dba";
+export const progressBarBackgroundColourSubtleGreen = "#00633d";
+export const progressBarBackgroundColourSubtleRed = "#c50b30";
+export const progressBarBackgroundColourSubtleYellow = "#ffb600";
+export const progressBarBackgroundColourBoldBlue = "#d2effb";
+export const progressBarBackgroundColourBoldGreen = "#dff6eb";
+export const progressBarBackgroundColourBoldRed = "#ffd5d2";
+export const progressBarBackgroundColourBoldYellow = "#fffbdc";
+export const progressBarColourNeutralBlue = "#001d6e";
+export const progressBarColourNeutralGreen = "#01312e";
+export const progressBarColourNeutralRed = "#940824";
+export const progressBarColourNeutralYellow = "#c86426";
+export const progressBarColourNeutralInverseBlue = "#001d6e";
+export const progressBarColourNeutralInverseGreen = "#01312e";
+export const progressBarColourNeutralInverseRed = "#940824";
+export const progressBarColourNeutralInverseYellow = "#c86426";
+export const progressBarColourSubtleBlue = "#001d6e";
+export const progressBarColourSubtleGreen = "#01312e";
+export const progressBarColourSubtleRed = "#940824";
+export const progressBarColourSubtleYellow = "#c86426";
+export const progressBarColourBoldBlue = "#000039";
+export const progressBarColourBoldGreen = "#011b1f";
+export const progressBarColourBoldRed = "#480411";
+export const progressBarColourBoldYellow = "#572722";
+export const progressBarGapNeutralBlue = 8;
+export const progressBarGapNeutralGreen = 8;
+export const progressBarGapNeutralRed = 8;
+export const progressBarGapNeutralYellow = 8;
+export const progressBarGapNeutralInverseBlue = 8;
+export const progressBarGapNeutralInverseGreen = 8;
+export const progressBarGapNeutralInverseRed = 8;
+export const progressBarGapNeutralInverseYellow = 8;
+export const progressBarGapSubtleBlue = 8;
+export const progressBarGapSubtleGreen = 8;
+export const progressBarGapSubtleRed = 8;
+export const progressBarGapSubtleYellow = 8;
+export const progressBarGapBoldBlue = 8;
+export const progressBarGapBoldGreen = 8;
+export const progressBarGapBoldRed = 8;
+export const progressBarGapBoldYellow = 8;
+export const progressBarBorderRadiusNeutralBlue = 16;
+export const progressBarBorderRadiusNeutralGreen = 16;
+export const progressBarBorderRadiusNeutralRed = 16;
+export const progressBarBorderRadiusNeutralYellow = 16;
+export const progressBarBorderRadiusNeutralInverseBlue = 16;
+export const progressBarBorderRadiusNeutralInverseGreen = 16;
+export const progressBarBorderRadiusNeutralInverseRed = 16;
+export const progressBarBorderRadiusNeutralInverseYellow = 16;
+export const progressBarBorderRadiusSubtleBlue = 16;
+export const progressBarBorderRadiusSubtleGreen = 16;
+export const progressBarBorderRadiusSubtleRed = 16;
+export const progressBarBorderRadiusSubtleYellow = 16;
+export const progressBarBorderRadiusBoldBlue = 16;
+export const progressBarBorderRadiusBoldGreen = 16;
+export const progressBarBorderRadiusBoldRed = 16;
+export const progressBarBorderRadiusBoldYellow = 16;
+export const progressBarHeightNeutralBlue = 4;
+export const progressBarHeightNeutralGreen = 4;
+export const progressBarHeightNeutralRed = 4;
+export const progressBarHeightNeutralYellow = 4;
+export const progressBarHeightNeutralInverseBlue = 4;
+export const progressBarHeightNeutralInverseGreen = 4;
+export const progressBarHeightNeutralInverseRed = 4;
+export const progressBarHeightNeutralInverseYellow = 4;
+export const progressBarHeightSubtleBlue = 4;
+export const progressBarHeightSubtleGreen = 4;
+export const progressBarHeightSubtleRed = 4;
+export const progressBarHeightSubtleYellow = 4;
+export const progressBarHeightBoldBlue = 4;
+export const progressBarHeightBoldGreen = 4;
+export const progressBarHeightBoldRed = 4;
+export const progressBarHeightBoldYellow = 4;
+export const heroTitleBlockColourNeutralBlue = "#001d6e";
+export const heroTitleBlockColourNeutralGreen = "#01312e";
+export const heroTitleBlockColourNeutralRed = "#940824";
+export const heroTitleBlockColourNeutralYellow = "#904029";
+export const heroTitleBlockColourNeutralInverseBlue = "#001d6e";
+export const heroTitleBlockColourNeutralInverseGreen = "#01312e";
+export const heroTitleBlockColourNeutralInverseRed = "#940824";
+export const heroTitleBlockColourNeutralInverseYellow = "#904029";
+export const heroTitleBlockColourSubtleBlue = "#001d6e";
+export const heroTitleBlockColourSubtleGreen = "#01312e";
+export const heroTitleBlockColourSubtleRed = "#940824";
+export const heroTitleBlockColourSubtleYellow = "#904029";
+export const heroTitleBlockColourBoldBlue = "#ffffff";
+export const heroTitleBlockColourBoldGreen = "#ffffff";
+export const heroTitleBlockColourBoldRed = "#ffffff";
+export const heroTitleBlockColourBoldYellow = "#1d1d1b";
+export const heroTitleBlockGapNeutralBlue = 12;
+export const heroTitleBlockGapNeutralGreen = 12;
+export const heroTitleBlockGapNeutralRed = 12;
+export const heroTitleBlockGapNeutralYellow = 12;
+export const heroTitleBlockGapNeutralInverseBlue = 12;
+export const heroTitleBlockGapNeutralInverseGreen = 12;
+export const heroTitleBlockGapNeutralInverseRed = 12;
+export const heroTitleBlockGapNeutralInverseYellow = 12;
+export const heroTitleBlockGapSubtleBlue = 12;
+export const heroTitleBlockGapSubtleGreen = 12;
+export const heroTitleBlockGapSubtleRed = 12;
+export const heroTitleBlockGapSubtleYellow = 12;
+export const heroTitleBlockGapBoldBlue = 12;
+export const heroTitleBlockGapBoldGreen = 12;
+export const heroTitleBlockGapBoldRed = 12;
+export const heroTitleBlockGapBoldYellow = 12;
+export const heroSubheadingsColourNeutralBlue = "#4d4f4f";
+export const heroSubheadingsColourNeutralGreen = "#4d4f4f";
+export const heroSubheadingsColourNeutralRed = "#4d4f4f";
+export const heroSubheadingsColourNeutralYellow = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseBlue = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseGreen = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseRed = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseYellow = "#4d4f4f";
+export const heroSubheadingsColourSubtleBlue = "#1d1d1b";
+export const heroSubheadingsColourSubtleGreen = "#1d1d1b";
+export const heroSubheadingsColourSubtleRed = "#1d1d1b";
+export const heroSubheadingsColourSubtleYellow = "#1d1d1b";
+export const heroSubheadingsColourBoldBlue = "#d2effb";
+export const heroSubheadingsColourBoldGreen = "#dff6eb";
+export const heroSubheadingsColourBoldRed = "#ffd5d2";
+export const heroSubheadingsColourBoldYellow = "#572722";
+export const heroSubheadingsGapNeutralBlue = 4;
+export const heroSubheadingsGapNeutralGreen = 4;
+export const heroSubheadingsGapNeutralRed = 4;
+export const heroSubheadingsGapNeutralYellow = 4;
+export const heroSubheadingsGapNeutralInverseBlue = 4;
+export const heroSubheadingsGapNeutralInverseGreen = 4;
+export const heroSubheadingsGapNeutralInverseRed = 4;
+export const heroSubheadingsGapNeutralInverseYellow = 4;
+export const heroSubheadingsGapSubtleBlue = 4;
+export const heroSubheadingsGapSubtleGreen = 4;
+export const heroSubheadingsGapSubtleRed = 4;
+export const heroSubheadingsGapSubtleYellow = 4;
+export const heroSubheadingsGapBoldBlue = 4;
+export const heroSubheadingsGapBoldGreen = 4;
+export const heroSubheadingsGapBoldRed = 4;
+export const heroSubheadingsGapBoldYellow = 4;
+export const heroGapNeutralBlue = 36;
+export const heroGapNeutralGreen = 36;
+export const heroGapNeutralRed = 36;
+export const heroGapNeutralYellow = 36;
+export const heroGapNeutralInverseBlue = 36;
+export const heroGapNeutralInverseGreen = 36;
+export const heroGapNeutralInverseRed = 36;
+export const heroGapNeutralInverseYellow = 36;
+export const heroGapSubtleBlue = 36;
+export const heroGapSubtleGreen = 36;
+export const heroGapSubtleRed = 36;
+export const heroGapSubtleYellow = 36;
+export const heroGapBoldBlue = 36;
+export const heroGapBoldGreen = 36;
+export const heroGapBoldRed = 36;
+export const heroGapBoldYellow = 36;
+export const heroPaddingXNeutralBlue = 16;
+export const heroPaddingXNeutralGreen = 16;
+export const heroPaddingXNeutralRed = 16;
+export const heroPaddingXNeutralYellow = 16;
+export const heroPaddingXNeutralInverseBlue = 16;
+export const heroPaddingXNeutralInverseGreen = 16;
+export const heroPaddingXNeutralInverseRed = 16;
+export const heroPaddingXNeutralInverseYellow = 16;
+export const heroPaddingXSubtleBlue = 16;
+export const heroPaddingXSubtleGreen = 16;
+export const heroPaddingXSubtleRed = 16;
+export const heroPaddingXSubtleYellow = 16;
+export const heroPaddingXBoldBlue = 16;
+export const heroPaddingXBoldGreen = 16;
+export const heroPaddingXBoldRed = 16;
+export const heroPaddingXBoldYellow = 16;
+export const heroPaddingYNeutralBlue = 36;
+export const heroPaddingYNeutralGreen = 36;
+export const heroPaddingYNeutralRed = 36;
+export const heroPaddingYNeutralYellow = 36;
+export const heroPaddingYNeutralInverseBlue = 36;
+export const heroPaddingYNeutralInverseGreen = 36;
+export const heroPaddingYNeutralInverseRed = 36;
+export const heroPaddingYNeutralInverseYellow = 36;
+export const heroPaddingYSubtleBlue = 36;
+export const heroPaddingYSubtleGreen = 36;
+export const heroPaddingYSubtleRed = 36;
+export const heroPaddingYSubtleYellow = 36;
+export const heroPaddingYBoldBlue = 36;
+export const heroPaddingYBoldGreen = 36;
+export const heroPaddingYBoldRed = 36;
+export const heroPaddingYBoldYellow = 36;
+export const heroWidthNeutralBlue = 288;
+export const heroWidthNeutralGreen = 288;
+export const heroWidthNeutralRed = 288;
+export const heroWidthNeutralYellow = 288;
+export const heroWidthNeutralInverseBlue = 288;
+export const heroWidthNeutralInverseGreen = 288;
+export const heroWidthNeutralInverseRed = 288;
+export const heroWidthNeutralInverseYellow = 288;
+export const heroWidthSubtleBlue = 288;
+export const heroWidthSubtleGreen = 288;
+export const heroWidthSubtleRed = 288;
+export const heroWidthSubtleYellow = 288;
+export const heroWidthBoldBlue = 288;
+export const heroWidthBoldGreen = 288;
+export const heroWidthBoldRed = 288;
+export const heroWidthBoldYellow = 288;
+export const detailsActivePaddingBottomNeutralBlue = 16;
+export const detailsActivePaddingBottomNeutralGreen = 16;
+export const detailsActivePaddingBottomNeutralRed = 16;
+export const detailsActivePaddingBottomNeutralYellow = 16;
+export const detailsActivePaddingBottomNeutralInverseBlue = 16;
+export const detailsActivePaddingBottomNeutralInverseGreen = 16;
+export const detailsActivePaddingBottomNeutralInverseRed = 16;
+export const detailsActivePaddingBottomNeutralInverseYellow = 16;
+export const detailsActivePaddingBottomSubtleBlue = 16;
+export const detailsActivePaddingBottomSubtleGreen = 16;
+export const detailsActivePaddingBottomSubtleRed = 16;
+export const detailsActivePaddingBottomSubtleYellow = 16;
+export const detailsActivePaddingBottomBoldBlue = 16;
+export const detailsActivePaddingBottomBoldGreen = 16;
+export const detailsActivePaddingBottomBoldRed = 16;
+export const detailsActivePaddingBottomBoldYellow = 16;
+export const detailsBorderRadiusNeutralBlue = 12;
+export const detailsBorderRadiusNeutralGreen = 12;
+export const detailsBorderRadiusNeutralRed = 12;
+export const detailsBorderRadiusNeutralYellow = 12;
+export const detailsBorderRadiusNeutralInverseBlue = 12;
+export const detailsBorderRadiusNeutralInverseGreen = 12;
+export const detailsBorderRadiusNeutralInverseRed = 12;
+export const detailsBorderRadiusNeutralInverseYellow = 12;
+export const detailsBorderRadiusSubtleBlue = 12;
+export const detailsBorderRadiusSubtleGreen = 12;
+export const detailsBorderRadiusSubtleRed = 12;
+export const detailsBorderRadiusSubtleYellow = 12;
+export const detailsBorderRadiusBoldBlue = 12;
+export const detailsBorderRadiusBoldGreen = 12;
+export const detailsBorderRadiusBoldRed = 12;
+export const detailsBorderRadiusBoldYellow = 12;
+export const detailsFocusIndicatorColourNeutralBlue = "#1d1d1b";
+export const detailsFocusIndicatorColourNeutralGreen = "#1d1d1b";
+export const detailsFocusIndicatorColourNeutralRed = "#1d1d1b";
+export const detailsFocusIndicatorColourNeutralYellow = "#1d1d1b";
+export const detailsFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+export const detailsFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+export const detailsFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+export const detailsFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+export const detailsFocusIndicatorColourSubtleBlue = "#1d1d1b";
+export const detailsFocusIndicatorColourSubtleGreen = "#1d1d1b";
+export const detailsFocusIndicatorColourSubtleRed = "#1d1d1b";
+export const detailsFocusIndicatorColourSubtleYellow = "#1d1d1b";
+export const detailsFocusIndicatorColourBoldBlue = "#1d1d1b";
+export const detailsFocusIndicatorColourBoldGreen = "#1d1d1b";
+export const detailsFocusIndicatorColourBoldRed = "#1d1d1b";
+export const detailsFocusIndicatorColourBoldYellow = "#1d1d1b";
+export const detailsFocusIndicatorBorderWidthNeutralBlue = 3;
+export const detailsFocusIndicatorBorderWidthNeutralGreen = 3;
+export const detailsFocusIndicatorBorderWidthNeutralRed = 3;
+export const detailsFocusIndicatorBorderWidthNeutralYellow = 3;
+export const detailsFocusIndicatorBorderWidthNeutralInverseBlue = 3;
+export const detailsFocusIndicatorBorderWidthNeutralInverseGreen = 3;
+export const detailsFocusIndicatorBorderWidthNeutralInverseRed = 3;
+export const detailsFocusIndicatorBorderWidthNeutralInverseYellow = 3;
+export const detailsFocusIndicatorBorderWidthSubtleBlue = 3;
+export const detailsFocusIndicatorBorderWidthSubtleGreen = 3;
+export const detailsFocusIndicatorBorderWidthSubtleRed = 3;
+export const detailsFocusIndicatorBorderWidthSubtleYellow = 3;
+export const detailsFocusIndicatorBorderWidthBoldBlue = 3;
+export const detailsFocusIndicatorBorderWidthBoldGreen = 3;
+export const detailsFocusIndicatorBorderWidthBoldRed = 3;
+export const detailsFocusIndicatorBorderWidthBoldYellow = 3;
+export const detailsFocusIndicatorBorderRadiusNeutralBlue = 8;
+export const detailsFocusIndicatorBorderRadiusNeutralGreen = 8;
+export const detailsFocusIndicatorBorderRadiusNeutralRed = 8;
+export const detailsFocusIndicatorBorderRadiusNeutralYellow = 8;
+export const detailsFocusIndicatorBorderRadiusNeutralInverseBlue = 8;
+export const detailsFocusIndicatorBorderRadiusNeutralInverseGreen = 8;
+export const detailsFocusIndicatorBorderRadiusNeutralInverseRed = 8;
+export const detailsFocusIndicatorBorderRadiusNeutralInverseYellow = 8;
+export const detailsFocusIndicatorBorderRadiusSubtleBlue = 8;
+export const detailsFocusIndicatorBorderRadiusSubtleGreen = 8;
+export const detailsFocusIndicatorBorderRadiusSubtleRed = 8;
+export const detailsFocusIndicatorBorderRadiusSubtleYellow = 8;
+export const detailsFocusIndicatorBorderRadiusBoldBlue = 8;
+export const detailsFocusIndicatorBorderRadiusBoldGreen = 8;
+export const detailsFocusIndicatorBorderRadiusBoldRed = 8;
+export const detailsFocusIndicatorBorderRadiusBoldYellow = 8;
+export const detailsGapNeutralBlue = 12;
+export const detailsGapNeutralGreen = 12;
+export const detailsGapNeutralRed = 12;
+export const detailsGapNeutralYellow = 12;
+export const detailsGapNeutralInverseBlue = 12;
+export const detailsGapNeutralInverseGreen = 12;
+export const detailsGapNeutralInverseRed = 12;
+export const detailsGapNeutralInverseYellow = 12;
+export const detailsGapSubtleBlue = 12;
+export const detailsGapSubtleGreen = 12;
+export const detailsGapSubtleRed = 12;
+export const detailsGapSubtleYellow = 12;
+export const detailsGapBoldBlue = 12;
+export const detailsGapBoldGreen = 12;
+export const detailsGapBoldRed = 12;
+export const detailsGapBoldYellow = 12;
+export const detailsPaddingXNeutralBlue = 12;
+export const detailsPaddingXNeutralGreen = 12;
+export const detailsPaddingXNeutralRed = 12;
+export const detailsPaddingXNeutralYellow = 12;
+export const detailsPaddingXNeutralInverseBlue = 12;
+export const detailsPaddingXNeutralInverseGreen = 12;
+export const detailsPaddingXNeutralInverseRed = 12;
+export const detailsPaddingXNeutralInverseYellow = 12;
+export const detailsPaddingXSubtleBlue = 12;
+export const detailsPaddingXSubtleGreen = 12;
+export const detailsPaddingXSubtleRed = 12;
+export const detailsPaddingXSubtleYellow = 12;
+export const detailsPaddingXBoldBlue = 12;
+export const detailsPaddingXBoldGreen = 12;
+export const detailsPaddingXBoldRed = 12;
+export const detailsPaddingXBoldYellow = 12;
+export const detailsPaddingYNeutralBlue = 12;
+export const detailsPaddingYNeutralGreen = 12;
+export const detailsPaddingYNeutralRed = 12;
+export const detailsPaddingYNeutralYellow = 12;
+export const detailsPaddingYNeutralInverseBlue = 12;
+export const detailsPaddingYNeutralInverseGreen = 12;
+export const detailsPaddingYNeutralInverseRed = 12;
+export const detailsPaddingYNeutralInverseYellow = 12;
+export const detailsPaddingYSubtleBlue = 12;
+export const detailsPaddingYSubtleGreen = 12;
+export const detailsPaddingYSubtleRed = 12;
+export const detailsPaddingYSubtleYellow = 12;
+export const detailsPaddingYBoldBlue = 12;
+export const detailsPaddingYBoldGreen = 12;
+export const detailsPaddingYBoldRed = 12;
+export const detailsPaddingYBoldYellow = 12;
+export const detailsStatusBackgroundColourNeutralInfo = "#aee1f7";
+export const detailsStatusBackgroundColourNeutralSuccess = "#caeedd";
+export const detailsStatusBackgroundColourNeutralWarning = "#fff9c7";
+export const detailsStatusBackgroundColourNeutralError = "#ffc2bd";
+export const detailsStatusBackgroundColourNeutralGeneric = "#f4f4f4";
+export const detailsStatusBackgroundColourNeutralInverseInfo = "#aee1f7";
+export const detailsStatusBackgroundColourNeutralInverseSuccess = "#caeedd";
+export const detailsStatusBackgroundColourNeutralInverseWarning = "#fff9c7";
+export const detailsStatusBackgroundColourNeutralInverseError = "#ffc2bd";
+export const detailsStatusBackgroundColourNeutralInverseGeneric = "#ffffff";
+export const detailsStatusBackgroundColourSubtleInfo = "#ffffff";
+export const detailsStatusBackgroundColourSubtleSuccess = "#ffffff";
+export const detailsStatusBackgroundColourSubtleWarning = "#ffffff";
+export const detailsStatusBackgroundColourSubtleError = "#ffffff";
+export const detailsStatusBackgroundColourSubtleGeneric = "#ffffff";
+export const detailsStatusBackgroundColourBoldInfo = "#ffffff";
+export const detailsStatusBackgroundColourBoldSuccess = "#ffffff";
+export const detailsStatusBackgroundColourBoldWarning = "#ffffff";
+export const detailsStatusBackgroundColourBoldError = "#ffffff";
+export const detailsStatusBackgroundColourBoldGeneric = "#ffffff";
+export const detailsStatusIconColourNeutralInfo = "#001d6e";
+export const detailsStatusIconColourNeutralSuccess = "#01312e";
+export const detailsStatusIconColourNeutralWarning = "#904029";
+export const detailsStatusIconColourNeutralError = "#940824";
+export const detailsStatusIconColourNeutralGeneric = "#1d1d1b";
+export const detailsStatusIconColourNeutralInverseInfo = "#001d6e";
+export const detailsStatusIconColourNeutralInverseSuccess = "#01312e";
+export const detailsStatusIconColourNeutralInverseWarning = "#904029";
+export const detailsStatusIconColourNeutralInverseError = "#940824";
+export const detailsStatusIconColourNeutralInverseGeneric = "#1d1d1b";
+export const detailsStatusIconColourSubtleInfo = "#001d6e";
+export const detailsStatusIconColourSubtleSuccess = "#01312e";
+export const detailsStatusIconColourSubtleWarning = "#904029";
+export const detailsStatusIconColourSubtleError = "#940824";
+export const detailsStatusIconColourSubtleGeneric = "#1d1d1b";
+export const detailsStatusIconColourBoldInfo = "#001d6e";
+export const detailsStatusIconColourBoldSuccess = "#01312e";
+export const detailsStatusIconColourBoldWarning = "#904029";
+export const detailsStatusIconColourBoldError = "#940824";
+export const detailsStatusIconColourBoldGeneric = "#1d1d1b";
+export const detailsStatusTextColourNeutralInfo = "#1d1d1b";
+export const detailsStatusTextColourNeutralSuccess = "#1d1d1b";
+export const detailsStatusTextColourNeutralWarning = "#1d1d1b";
+export const detailsStatusTextColourNeutralError = "#1d1d1b";
+export const detailsStatusTextColourNeutralGeneric = "#1d1d1b";
+export const detailsStatusTextColourNeutralInverseInfo = "#1d1d1b";
+export const detailsStatusTextColourNeutralInverseSuccess = "#1d1d1b";
+export const detailsStatusTextColourNeutralInverseWarning = "#1d1d1b";
+export const detailsStatusTextColourNeutralInverseError = "#1d1d1b";
+export const detailsStatusTextColourNeutralInverseGeneric = "#1d1d1b";
+export const detailsStatusTextColourSubtleInfo = "#1d1d1b";
+export const detailsStatusTextColourSubtleSuccess = "#1d1d1b";
+export const detailsStatusTextColourSubtleWarning = "#1d1d1b";
+export const detailsStatusTextColourSubtleError = "#1d1d1b";
+export const detailsStatusTextColourSubtleGeneric = "#1d1d1b";
+export const detailsStatusTextColourBoldInfo = "#1d1d1b";
+export const detailsStatusTextColourBoldSuccess = "#1d1d1b";
+export const detailsStatusTextColourBoldWarning = "#1d1d1b";
+export const detailsStatusTextColourBoldError = "#1d1d1b";
+export const detailsStatusTextColourBoldGeneric = "#1d1d1b";
+export const seperatorBorderColourNeutralBlue = "#d3d3d3";
+export const seperatorBorderColourNeutralGreen = "#d3d3d3";
+export const seperatorBorderColourNeutralRed = "#d3d3d3";
+export const seperatorBorderColourNeutralYellow = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseBlue = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseGreen = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseRed = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseYellow = "#d3d3d3";
+export const seperatorBorderColourSubtleBlue = "#d3d3d3";
+export const seperatorBorderColourSubtleGreen = "#d3d3d3";
+export const seperatorBorderColourSubtleRed = "#d3d3d3";
+export const seperatorBorderColourSubtleYellow = "#d3d3d3";
+export const seperatorBorderColourBoldBlue = "#f4f4f4";
+export const seperatorBorderColourBoldGreen = "#f4f4f4";
+export const seperatorBorderColourBoldRed = "#f4f4f4";
+export const seperatorBorderColourBoldYellow = "#1d1d1b";
+export const seperatorBorderWidthNeutralBlue = 1;
+export const seperatorBorderWidthNeutralGreen = 1;
+export const seperatorBorderWidthNeutralRed = 1;
+export const seperatorBorderWidthNeutralYellow = 1;
+export const seperatorBorderWidthNeutralInverseBlue = 1;
+export const seperatorBorderWidthNeutralInverseGreen = 1;
+export const seperatorBorderWidthNeutralInverseRed = 1;
+export const seperatorBorderWidthNeutralInverseYellow = 1;
+export const seperatorBorderWidthSubtleBlue = 1;
+export const seperatorBorderWidthSubtleGreen = 1;
+export const seperatorBorderWidthSubtleRed = 1;
+export const seperatorBorderWidthSubtleYellow = 1;
+export const seperatorBorderWidthBoldBlue = 1;
+export const seperatorBorderWidthBoldGreen = 1;
+export const seperatorBorderWidthBoldRed = 1;
+export const seperatorBorderWidthBoldYellow = 1;
+export const footerBackgroundColourNeutralBlue = "#ffffff";
+export const footerBackgroundColourNeutralGreen = "#ffffff";
+export const footerBackgroundColourNeutralRed = "#ffffff";
+export const footerBackgroundColourNeutralYellow = "#ffffff";
+export const footerBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const footerBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const footerBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const footerBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const footerBackgroundColourSubtleBlue = "#aee1f7";
+export const footerBackgroundColourSubtleGreen = "#caeedd";
+export const footerBackgroundColourSubtleRed = "#ffd5d2";
+export const footerBackgroundColourSubtleYellow = "#fff9c7";
+export const footerBackgroundColourBoldBlue = "#005dba";
+export const footerBackgroundColourBoldGreen = "#00633d";
+export const footerBackgroundColourBoldRed = "#c50b30";
+export const footerBackgroundColourBoldYellow = "#ffb600";
+export const footerBorderColourNeutralBlue = "#d3d3d3";
+export const footerBorderColourNeutralGreen = "#d3d3d3";
+export const footerBorderColourNeutralRed = "#d3d3d3";
+export const footerBorderColourNeutralYellow = "#d3d3d3";
+export const footerBorderColourNeutralInverseBlue = "#d3d3d3";
+export const footerBorderColourNeutralInverseGreen = "#d3d3d3";
+export const footerBorderColourNeutralInverseRed = "#d3d3d3";
+export const footerBorderColourNeutralInverseYellow = "#d3d3d3";
+export const footerBorderColourSubtleBlue = "#42aeea";
+export const footerBorderColourSubtleGreen = "#43af6e";
+export const footerBorderColourSubtleRed = "#ff3e51";
+export const footerBorderColourSubtleYellow = "#ffe969";
+export const footerBorderColourBoldBlue = "#001d6e";
+export const footerBorderColourBoldGreen = "#01312e";
+export const footerBorderColourBoldRed = "#940824";
+export const footerBorderColourBoldYellow = "#c86426";
+export const footerBorderWidthNeutralBlue = 1;
+export const footerBorderWidthNeutralGreen = 1;
+export const footerBorderWidthNeutralRed = 1;
+export const footerBorderWidthNeutralYellow = 1;
+export const footerBorderWidthNeutralInverseBlue = 1;
+export const footerBorderWidthNeutralInverseGreen = 1;
+export const footerBorderWidthNeutralInverseRed = 1;
+export const footerBorderWidthNeutralInverseYellow = 1;
+export const footerBorderWidthSubtleBlue = 1;
+export const footerBorderWidthSubtleGreen = 1;
+export const footerBorderWidthSubtleRed = 1;
+export const footerBorderWidthSubtleYellow = 1;
+export const footerBorderWidthBoldBlue = 1;
+export const footerBorderWidthBoldGreen = 1;
+export const footerBorderWidthBoldRed = 1;
+export const footerBorderWidthBoldYellow = 1;
+export const footerGapNeutralBlue = 28;
+export const footerGapNeutralGreen = 28;
+export const footerGapNeutralRed = 28;
+export const footerGapNeutralYellow = 28;
+export const footerGapNeutralInverseBlue = 28;
+export const footerGapNeutralInverseGreen = 28;
+export const footerGapNeutralInverseRed = 28;
+export const footerGapNeutralInverseYellow = 28;
+export const footerGapSubtleBlue = 28;
+export const footerGapSubtleGreen = 28;
+export const footerGapSubtleRed = 28;
+export const footerGapSubtleYellow = 28;
+export const footerGapBoldBlue = 28;
+export const footerGapBoldGreen = 28;
+export const footerGapBoldRed = 28;
+export const footerGapBoldYellow = 28;
+export const footerLogoGapNeutralBlue = 36;
+export const footerLogoGapNeutralGreen = 36;
+export const footerLogoGapNeutralRed = 36;
+export const footerLogoGapNeutralYellow = 36;
+export const footerLogoGapNeutralInverseBlue = 36;
+export const footerLogoGapNeutralInverseGreen = 36;
+export const footerLogoGapNeutralInverseRed = 36;
+export const footerLogoGapNeutralInverseYellow = 36;
+export const footerLogoGapSubtleBlue = 36;
+export const footerLogoGapSubtleGreen = 36;
+export const footerLogoGapSubtleRed = 36;
+export const footerLogoGapSubtleYellow = 36;
+export const footerLogoGapBoldBlue = 36;
+export const footerLogoGapBoldGreen = 36;
+export const footerLogoGapBoldRed = 36;
+export const footerLogoGapBoldYellow = 36;
+export const footerLogoSizeNeutralBlue = 80;
+export const footerLogoSizeNeutralGreen = 80;
+export const footerLogoSizeNeutralRed = 80;
+export const footerLogoSizeNeutralYellow = 80;
+export const footerLogoSizeNeutralInverseBlue = 80;
+export const footerLogoSizeNeutralInverseGreen = 80;
+export const footerLogoSizeNeutralInverseRed = 80;
+export const footerLogoSizeNeutralInverseYellow = 80;
+export const footerLogoSizeSubtleBlue = 80;
+export const footerLogoSizeSubtleGreen = 80;
+export const footerLogoSizeSubtleRed = 80;
+export const footerLogoSizeSubtleYellow = 80;
+export const footerLogoSizeBoldBlue = 80;
+export const footerLogoSizeBoldGreen = 80;
+export const footerLogoSizeBoldRed = 80;
+export const footerLogoSizeBoldYellow = 80;
+export const footerMinWidthNeutralBlue = 320;
+export const footerMinWidthNeutralGreen = 320;
+export const footerMinWidthNeutralRed = 320;
+export const footerMinWidthNeutralYellow = 320;
+export const footerMinWidthNeutralInverseBlue = 320;
+export const footerMinWidthNeutralInverseGreen = 320;
+export const footerMinWidthNeutralInverseRed = 320;
+export const footerMinWidthNeutralInverseYellow = 320;
+export const footerMinWidthSubtleBlue = 320;
+export const footerMinWidthSubtleGreen = 320;
+export const footerMinWidthSubtleRed = 320;
+export const footerMinWidthSubtleYellow = 320;
+export const footerMinWidthBoldBlue = 320;
+export const footerMinWidthBoldGreen = 320;
+export const footerMinWidthBoldRed = 320;
+export const footerMinWidthBoldYellow = 320;
+export const footerPaddingXNeutralBlue = 16;
+export const footerPaddingXNeutralGreen = 16;
+export const footerPaddingXNeutralRed = 16;
+export const footerPaddingXNeutralYellow = 16;
+export const footerPaddingXNeutralInverseBlue = 16;
+export const footerPaddingXNeutralInverseGreen = 16;
+export const footerPaddingXNeutralInverseRed = 16;
+export const footerPaddingXNeutralInverseYellow = 16;
+export const footerPaddingXSubtleBlue = 16;
+export const footerPaddingXSubtleGreen = 16;
+export const footerPaddingXSubtleRed = 16;
+export const footerPaddingXSubtleYellow = 16;
+export const footerPaddingXBoldBlue = 16;
+export const footerPaddingXBoldGreen = 16;
+export const footerPaddingXBoldRed = 16;
+export const footerPaddingXBoldYellow = 16;
+export const footerPaddingYNeutralBlue = 28;
+export const footerPaddingYNeutralGreen = 28;
+export const footerPaddingYNeutralRed = 28;
+export const footerPaddingYNeutralYellow = 28;
+export const footerPaddingYNeutralInverseBlue = 28;
+export const footerPaddingYNeutralInverseGreen = 28;
+export const footerPaddingYNeutralInverseRed = 28;
+export const footerPaddingYNeutralInverseYellow = 28;
+export const footerPaddingYSubtleBlue = 28;
+export const footerPaddingYSubtleGreen = 28;
+export const footerPaddingYSubtleRed = 28;
+export const footerPaddingYSubtleYellow = 28;
+export const footerPaddingYBoldBlue = 28;
+export const footerPaddingYBoldGreen = 28;
+export const footerPaddingYBoldRed = 28;
+export const footerPaddingYBoldYellow = 28;
+export const footerLinkGroupSocialGapNeutralBlue = 12;
+export const footerLinkGroupSocialGapNeutralGreen = 12;
+export const footerLinkGroupSocialGapNeutralRed = 12;
+export const footerLinkGroupSocialGapNeutralYellow = 12;
+export const footerLinkGroupSocialGapNeutralInverseBlue = 12;
+export const footerLinkGroupSocialGapNeutralInverseGreen = 12;
+export const footerLinkGroupSocialGapNeutralInverseRed = 12;
+export const footerLinkGroupSocialGapNeutralInverseYellow = 12;
+export const footerLinkGroupSocialGapSubtleBlue = 12;
+export const footerLinkGroupSocialGapSubtleGreen = 12;
+export const footerLinkGroupSocialGapSubtleRed = 12;
+export const footerLinkGroupSocialGapSubtleYellow = 12;
+export const footerLinkGroupSocialGapBoldBlue = 12;
+export const footerLinkGroupSocialGapBoldGreen = 12;
+export const footerLinkGroupSocialGapBoldRed = 12;
+export const footerLinkGroupSocialGapBoldYellow = 12;
+export const footerLinkGroupLinkGapNeutralBlue = 16;
+export const footerLinkGroupLinkGapNeutralGreen = 16;
+export const footerLinkGroupLinkGapNeutralRed = 16;
+export const footerLinkGroupLinkGapNeutralYellow = 16;
+export const footerLinkGroupLinkGapNeutralInverseBlue = 16;
+export const footerLinkGroupLinkGapNeutralInverseGreen = 16;
+export const footerLinkGroupLinkGapNeutralInverseRed = 16;
+export const footerLinkGroupLinkGapNeutralInverseYellow = 16;
+export const footerLinkGroupLinkGapSubtleBlue = 16;
+export const footerLinkGroupLinkGapSubtleGreen = 16;
+export const footerLinkGroupLinkGapSubtleRed = 16;
+export const footerLinkGroupLinkGapSubtleYellow = 16;
+export const footerLinkGroupLinkGapBoldBlue = 16;
+export const footerLinkGroupLinkGapBoldGreen = 16;
+export const footerLinkGroupLinkGapBoldRed = 16;
+export const footerLinkGroupLinkGapBoldYellow = 16;
+export const linkGapNeutralBlue = 8;
+export const linkGapNeutralGreen = 8;
+export const linkGapNeutralRed = 8;
+export const linkGapNeutralYellow = 8;
+export const linkGapNeutralInverseBlue = 8;
+export const linkGapNeutralInverseGreen = 8;
+export const linkGapNeutralInverseRed = 8;
+export const linkGapNeutralInverseYellow = 8;
+export const linkGapSubtleBlue = 8;
+export const linkGapSubtleGreen = 8;
+export const linkGapSubtleRed = 8;
+export const linkGapSubtleYellow = 8;
+export const linkGapBoldBlue = 8;
+export const linkGapBoldGreen = 8;
+export const linkGapBoldRed = 8;
+export const linkGapBoldYellow = 8;
+export const linkPrimaryRestColourNeutralBlue = "#005dba";
+export const linkPrimaryRestColourNeutralGreen = "#00633d";
+export const linkPrimaryRestColourNeutralRed = "#c50b30";
+export const linkPrimaryRestColourNeutralYellow = "#1d1d1b";
+export const linkPrimaryRestColourNeutralInverseBlue = "#005dba";
+export const linkPrimaryRestColourNeutralInverseGreen = "#00633d";
+export const linkPrimaryRestColourNeutralInverseRed = "#c50b30";
+export const linkPrimaryRestColourNeutralInverseYellow = "#1d1d1b";
+export const linkPrimaryRestColourSubtleBlue = "#005dba";
+export const linkPrimaryRestColourSubtleGreen = "#00633d";
+export const linkPrimaryRestColourSubtleRed = "#c50b30";
+export const linkPrimaryRestColourSubtleYellow = "#1d1d1b";
+export const linkPrimaryRestColourBoldBlue = "#f4f4f4";
+export const linkPrimaryRestColourBoldGreen = "#f4f4f4";
+export const linkPrimaryRestColourBoldRed = "#f4f4f4";
+export const linkPrimaryRestColourBoldYellow = "#1d1d1b";
+export const linkPrimaryHoverColourNeutralBlue = "#001d6e";
+export const linkPrimaryHoverColourNeutralGreen = "#01312e";
+export const linkPrimaryHoverColourNeutralRed = "#940824";
+export const linkPrimaryHoverColourNeutralYellow = "#1d1d1b";
+export const linkPrimaryHoverColourNeutralInverseBlue = "#001d6e";
+export const linkPrimaryHoverColourNeutralInverseGreen = "#01312e";
+export const linkPrimaryHoverColourNeutralInverseRed = "#940824";
+export const linkPrimaryHoverColourNeutralInverseYellow = "#1d1d1b";
+export const linkPrimaryHoverColourSubtleBlue = "#001d6e";
+export const linkPrimaryHoverColourSubtleGreen = "#01312e";
+export const linkPrimaryHoverColourSubtleRed = "#940824";
+export const linkPrimaryHoverColourSubtleYellow = "#1d1d1b";
+export const linkPrimaryHoverColourBoldBlue = "#f4f4f4";
+export const linkPrimaryHoverColourBoldGreen = "#f4f4f4";
+export const linkPrimaryHoverColourBoldRed = "#f4f4f4";
+export const linkPrimaryHoverColourBoldYellow = "#1d1d1b";
+export const linkPrimaryActiveColourNeutralBlue = "#000a52";
+export const linkPrimaryActiveColourNeutralGreen = "#012425";
+export const linkPrimaryActiveColourNeutralRed = "#6e061b";
+export const linkPrimaryActiveColourNeutralYellow = "#1d1d1b";
+export const linkPrimaryActiveColourNeutralInverseBlue = "#000a52";
+export const linkPrimaryActiveColourNeutralInverseGreen = "#012425";
+export const linkPrimaryActiveColourNeutralInverseRed = "#6e061b";
+export const linkPrimaryActiveColourNeutralInverseYellow = "#1d1d1b";
+export const linkPrimaryActiveColourSubtleBlue = "#000a52";
+export const linkPrimaryActiveColourSubtleGreen = "#012425";
+export const linkPrimaryActiveColourSubtleRed = "#6e061b";
+export const linkPrimaryActiveColourSubtleYellow = "#1d1d1b";
+export const linkPrimaryActiveColourBoldBlue = "#f4f4f4";
+export const linkPrimaryActiveColourBoldGreen = "#f4f4f4";
+export const linkPrimaryActiveColourBoldRed = "#f4f4f4";
+export const linkPrimaryActiveColourBoldYellow = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralBlue = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralGreen = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralRed = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralYellow = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralInverseBlue = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralInverseGreen = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralInverseRed = "#1d1d1b";
+export const linkPrimaryVisitedColourNeutralInverseYellow = "#1d1d1b";
+export const linkPrimaryVisitedColourSubtleBlue = "#1d1d1b";
+export const linkPrimaryVisitedColourSubtleGreen = "#1d1d1b";
+export const linkPrimaryVisitedColourSubtleRed = "#1d1d1b";
+export const linkPrimaryVisitedColourSubtleYellow = "#1d1d1b";
+export const linkPrimaryVisitedColourBoldBlue = "#ffffff";
+export const linkPrimaryVisitedColourBoldGreen = "#ffffff";
+export const linkPrimaryVisitedColourBoldRed = "#ffffff";
+export const linkPrimaryVisitedColourBoldYellow = "#1d1d1b";
+export const linkPrimaryFocusColourNeutralBlue = "#005dba";
+export const linkPrimaryFocusColourNeutralGreen = "#00633d";
+export const linkPrimaryFocusColourNeutralRed = "#c50b30";
+export const linkPrimaryFocusColourNeutralYellow = "#1d1d1b";
+export const linkPrimaryFocusColourNeutralInverseBlue = "#005dba";
+export const linkPrimaryFocusColourNeutralInverseGreen = "#00633d";
+export const linkPrimaryFocusColourNeutralInverseRed = "#c50b30";
+export const linkPrimaryFocusColourNeutralInverseYellow = "#1d1d1b";
+export const linkPrimaryFocusColourSubtleBlue = "#005dba";
+export const linkPrimaryFocusColourSubtleGreen = "#00633d";
+export const linkPrimaryFocusColourSubtleRed = "#c50b30";
+export const linkPrimaryFocusColourSubtleYellow = "#1d1d1b";
+export const linkPrimaryFocusColourBoldBlue = "#f4f4f4";
+export const linkPrimaryFocusColourBoldGreen = "#f4f4f4";
+export const linkPrimaryFocusColourBoldRed = "#f4f4f4";
+export const linkPrimaryFocusColourBoldYellow = "#1d1d1b";
+export const linkPrimaryFocusBorderRadiusNeutralBlue = 4;
+export const linkPrimaryFocusBorderRadiusNeutralGreen = 4;
+export const linkPrimaryFocusBorderRadiusNeutralRed = 4;
+export const linkPrimaryFocusBorderRadiusNeutralYellow = 4;
+export const linkPrimaryFocusBorderRadiusNeutralInverseBlue = 4;
+export const linkPrimaryFocusBorderRadiusNeutralInverseGreen = 4;
+export const linkPrimaryFocusBorderRadiusNeutralInverseRed = 4;
+export const linkPrimaryFocusBorderRadiusNeutralInverseYellow = 4;
+export const linkPrimaryFocusBorderRadiusSubtleBlue = 4;
+export const linkPrimaryFocusBorderRadiusSubtleGreen = 4;
+export const linkPrimaryFocusBorderRadiusSubtleRed = 4;
+export const linkPrimaryFocusBorderRadiusSubtleYellow = 4;
+export const linkPrimaryFocusBorderRadiusBoldBlue = 4;
+export const linkPrimaryFocusBorderRadiusBoldGreen = 4;
+export const linkPrimaryFocusBorderRadiusBoldRed = 4;
+export const linkPrimaryFocusBorderRadiusBoldYellow = 4;
+export const linkPrimaryFocusBorderWidthNeutralBlue = 1;
+export const linkPrimaryFocusBorderWidthNeutralGreen = 1;
+export const linkPrimaryFocusBorderWidthNeutralRed = 1;
+export const linkPrimaryFocusBorderWidthNeutralYellow = 1;
+export const linkPrimaryFocusBorderWidthNeutralInverseBlue = 1;
+export const linkPrimaryFocusBorderWidthNeutralInverseGreen = 1;
+export const linkPrimaryFocusBorderWidthNeutralInverseRed = 1;
+export const linkPrimaryFocusBorderWidthNeutralInverseYellow = 1;
+export const linkPrimaryFocusBorderWidthSubtleBlue = 1;
+export const linkPrimaryFocusBorderWidthSubtleGreen = 1;
+export const linkPrimaryFocusBorderWidthSubtleRed = 1;
+export const linkPrimaryFocusBorderWidthSubtleYellow = 1;
+export const linkPrimaryFocusBorderWidthBoldBlue = 1;
+export const linkPrimaryFocusBorderWidthBoldGreen = 1;
+export const linkPrimaryFocusBorderWidthBoldRed = 1;
+export const linkPrimaryFocusBorderWidthBoldYellow = 1;
+export const linkMonoRestColourNeutralBlue = "#000000";
+export const linkMonoRestColourNeutralGreen = "#000000";
+export const linkMonoRestColourNeutralRed = "#000000";
+export const linkMonoRestColourNeutralYellow = "#000000";
+export const linkMonoRestColourNeutralInverseBlue = "#000000";
+export const linkMonoRestColourNeutralInverseGreen = "#000000";
+export const linkMonoRestColourNeutralInverseRed = "#000000";
+export const linkMonoRestColourNeutralInverseYellow = "#000000";
+export const linkMonoRestColourSubtleBlue = "#000000";
+export const linkMonoRestColourSubtleGreen = "#000000";
+export const linkMonoRestColourSubtleRed = "#000000";
+export const linkMonoRestColourSubtleYellow = "#000000";
+export const linkMonoRestColourBoldBlue = "#f4f4f4";
+export const linkMonoRestColourBoldGreen = "#f4f4f4";
+export const linkMonoRestColourBoldRed = "#f4f4f4";
+export const linkMonoRestColourBoldYellow = "#1d1d1b";
+export const linkMonoHoverColourNeutralBlue = "#000000";
+export const linkMonoHoverColourNeutralGreen = "#000000";
+export const linkMonoHoverColourNeutralRed = "#000000";
+export const linkMonoHoverColourNeutralYellow = "#000000";
+export const linkMonoHoverColourNeutralInverseBlue = "#000000";
+export const linkMonoHoverColourNeutralInverseGreen = "#000000";
+export const linkMonoHoverColourNeutralInverseRed = "#000000";
+export const linkMonoHoverColourNeutralInverseYellow = "#000000";
+export const linkMonoHoverColourSubtleBlue = "#000000";
+export const linkMonoHoverColourSubtleGreen = "#000000";
+export const linkMonoHoverColourSubtleRed = "#000000";
+export const linkMonoHoverColourSubtleYellow = "#000000";
+export const linkMonoHoverColourBoldBlue = "#f4f4f4";
+export const linkMonoHoverColourBoldGreen = "#f4f4f4";
+export const linkMonoHoverColourBoldRed = "#f4f4f4";
+export const linkMonoHoverColourBoldYellow = "#1d1d1b";
+export const linkMonoActiveColourNeutralBlue = "#000000";
+export const linkMonoActiveColourNeutralGreen = "#000000";
+export const linkMonoActiveColourNeutralRed = "#000000";
+export const linkMonoActiveColourNeutralYellow = "#000000";
+export const linkMonoActiveColourNeutralInverseBlue = "#000000";
+export const linkMonoActiveColourNeutralInverseGreen = "#000000";
+export const linkMonoActiveColourNeutralInverseRed = "#000000";
+export const linkMonoActiveColourNeutralInverseYellow = "#000000";
+export const linkMonoActiveColourSubtleBlue = "#000000";
+export const linkMonoActiveColourSubtleGreen = "#000000";
+export const linkMonoActiveColourSubtleRed = "#000000";
+export const linkMonoActiveColourSubtleYellow = "#000000";
+export const linkMonoActiveColourBoldBlue = "#f4f4f4";
+export const linkMonoActiveColourBoldGreen = "#f4f4f4";
+export const linkMonoActiveColourBoldRed = "#f4f4f4";
+export const linkMonoActiveColourBoldYellow = "#1d1d1b";
+export const linkMonoFocusColourNeutralBlue = "#000000";
+export const linkMonoFocusColourNeutralGreen = "#000000";
+export const linkMonoFocusColourNeutralRed = "#000000";
+export const linkMonoFocusColourNeutralYellow = "#000000";
+export const linkMonoFocusColourNeutralInverseBlue = "#000000";
+export const linkMonoFocusColourNeutralInverseGreen = "#000000";
+export const linkMonoFocusColourNeutralInverseRed = "#000000";
+export const linkMonoFocusColourNeutralInverseYellow = "#000000";
+export const linkMonoFocusColourSubtleBlue = "#000000";
+export const linkMonoFocusColourSubtleGreen = "#000000";
+export const linkMonoFocusColourSubtleRed = "#000000";
+export const linkMonoFocusColourSubtleYellow = "#000000";
+export const linkMonoFocusColourBoldBlue = "#f4f4f4";
+export const linkMonoFocusColourBoldGreen = "#f4f4f4";
+export const linkMonoFocusColourBoldRed = "#f4f4f4";
+export const linkMonoFocusColourBoldYellow = "#1d1d1b";
+export const linkMonoFocusBorderRadiusNeutralBlue = 4;
+export const linkMonoFocusBorderRadiusNeutralGreen = 4;
+export const linkMonoFocusBorderRadiusNeutralRed = 4;
+export const linkMonoFocusBorderRadiusNeutralYellow = 4;
+export const linkMonoFocusBorderRadiusNeutralInverseBlue = 4;
+export const linkMonoFocusBorderRadiusNeutralInverseGreen = 4;
+export const linkMonoFocusBorderRadiusNeutralInverseRed = 4;
+export const linkMonoFocusBorderRadiusNeutralInverseYellow = 4;
+export const linkMonoFocusBorderRadiusSubtleBlue = 4;
+export const linkMonoFocusBorderRadiusSubtleGreen = 4;
+export const linkMonoFocusBorderRadiusSubtleRed = 4;
+export const linkMonoFocusBorderRadiusSubtleYellow = 4;
+export const linkMonoFocusBorderRadiusBoldBlue = 4;
+export const linkMonoFocusBorderRadiusBoldGreen = 4;
+export const linkMonoFocusBorderRadiusBoldRed = 4;
+export const linkMonoFocusBorderRadiusBoldYellow = 4;
+export const linkMonoFocusBorderWidthNeutralBlue = 1;
+export const linkMonoFocusBorderWidthNeutralGreen = 1;
+export const linkMonoFocusBorderWidthNeutralRed = 1;
+export const linkMonoFocusBorderWidthNeutralYellow = 1;
+export const linkMonoFocusBorderWidthNeutralInverseBlue = 1;
+export const linkMonoFocusBorderWidthNeutralInverseGreen = 1;
+export const linkMonoFocusBorderWidthNeutralInverseRed = 1;
+export const linkMonoFocusBorderWidthNeutralInverseYellow = 1;
+export const linkMonoFocusBorderWidthSubtleBlue = 1;
+export const linkMonoFocusBorderWidthSubtleGreen = 1;
+export const linkMonoFocusBorderWidthSubtleRed = 1;
+export const linkMonoFocusBorderWidthSubtleYellow = 1;
+export const linkMonoFocusBorderWidthBoldBlue = 1;
+export const linkMonoFocusBorderWidthBoldGreen = 1;
+export const linkMonoFocusBorderWidthBoldRed = 1;
+export const linkMonoFocusBorderWidthBoldYellow = 1;
+export const linkMonoVisitedColourNeutralBlue = "#000000";
+export const linkMonoVisitedColourNeutralGreen = "#000000";
+export const linkMonoVisitedColourNeutralRed = "#000000";
+export const linkMonoVisitedColourNeutralYellow = "#000000";
+export const linkMonoVisitedColourNeutralInverseBlue = "#000000";
+export const linkMonoVisitedColourNeutralInverseGreen = "#000000";
+export const linkMonoVisitedColourNeutralInverseRed = "#000000";
+export const linkMonoVisitedColourNeutralInverseYellow = "#000000";
+export const linkMonoVisitedColourSubtleBlue = "#000000";
+export const linkMonoVisitedColourSubtleGreen = "#000000";
+export const linkMonoVisitedColourSubtleRed = "#000000";
+export const linkMonoVisitedColourSubtleYellow = "#000000";
+export const linkMonoVisitedColourBoldBlue = "#f4f4f4";
+export const linkMonoVisitedColourBoldGreen = "#f4f4f4";
+export const linkMonoVisitedColourBoldRed = "#f4f4f4";
+export const linkMonoVisitedColourBoldYellow = "#1d1d1b";
+export const linkStatusSubtleRestColourNeutralInfo = "#000039";
+export const linkStatusSubtleRestColourNeutralSuccess = "#011b1f";
+export const linkStatusSubtleRestColourNeutralWarning = "#000000";
+export const linkStatusSubtleRestColourNeutralError = "#000000";
+export const linkStatusSubtleRestColourNeutralGeneric = "#000000";
+export const linkStatusSubtleRestColourNeutralInverseInfo = "#000039";
+export const linkStatusSubtleRestColourNeutralInverseSuccess = "#011b1f";
+export const linkStatusSubtleRestColourNeutralInverseWarning = "#000000";
+export const linkStatusSubtleRestColourNeutralInverseError = "#000000";
+export const linkStatusSubtleRestColourNeutralInverseGeneric = "#000000";
+export const linkStatusSubtleRestColourSubtleInfo = "#000039";
+export const linkStatusSubtleRestColourSubtleSuccess = "#011b1f";
+export const linkStatusSubtleRestColourSubtleWarning = "#000000";
+export const linkStatusSubtleRestColourSubtleError = "#000000";
+export const linkStatusSubtleRestColourSubtleGeneric = "#000000";
+export const linkStatusSubtleRestColourBoldInfo = "#000039";
+export const linkStatusSubtleRestColourBoldSuccess = "#011b1f";
+export const linkStatusSubtleRestColourBoldWarning = "#000000";
+export const linkStatusSubtleRestColourBoldError = "#000000";
+export const linkStatusSubtleRestColourBoldGeneric = "#000000";
+export const linkStatusSubtleHoverColourNeutralInfo = "#000039";
+export const linkStatusSubtleHoverColourNeutralSuccess = "#011b1f";
+export const linkStatusSubtleHoverColourNeutralWarning = "#000000";
+export const linkStatusSubtleHoverColourNeutralError = "#000000";
+export const linkStatusSubtleHoverColourNeutralGeneric = "#000000";
+export const linkStatusSubtleHoverColourNeutralInverseInfo = "#000039";
+export const linkStatusSubtleHoverColourNeutralInverseSuccess = "#011b1f";
+export const linkStatusSubtleHoverColourNeutralInverseWarning = "#000000";
+export const linkStatusSubtleHoverColourNeutralInverseError = "#000000";
+export const linkStatusSubtleHoverColourNeutralInverseGeneric = "#000000";
+export const linkStatusSubtleHoverColourSubtleInfo = "#000039";
+export const linkStatusSubtleHoverColourSubtleSuccess = "#011b1f";
+export const linkStatusSubtleHoverColourSubtleWarning = "#000000";
+export const linkStatusSubtleHoverColourSubtleError = "#000000";
+export const linkStatusSubtleHoverColourSubtleGeneric = "#000000";
+export const linkStatusSubtleHoverColourBoldInfo = "#000039";
+export const linkStatusSubtleHoverColourBoldSuccess = "#011b1f";
+export const linkStatusSubtleHoverColourBoldWarning = "#000000";
+export const linkStatusSubtleHoverColourBoldError = "#000000";
+export const linkStatusSubtleHoverColourBoldGeneric = "#000000";
+export const linkStatusSubtleActiveColourNeutralInfo = "#000039";
+export const linkStatusSubtleActiveColourNeutralSuccess = "#011b1f";
+export const linkStatusSubtleActiveColourNeutralWarning = "#000000";
+export const linkStatusSubtleActiveColourNeutralError = "#000000";
+export const linkStatusSubtleActiveColourNeutralGeneric = "#000000";
+export const linkStatusSubtleActiveColourNeutralInverseInfo = "#000039";
+export const linkStatusSubtleActiveColourNeutralInverseSuccess = "#011b1f";
+export const linkStatusSubtleActiveColourNeutralInverseWarning = "#000000";
+export const linkStatusSubtleActiveColourNeutralInverseError = "#000000";
+export const linkStatusSubtleActiveColourNeutralInverseGeneric = "#000000";
+export const linkStatusSubtleActiveColourSubtleInfo = "#000039";
+export const linkStatusSubtleActiveColourSubtleSuccess = "#011b1f";
+export const linkStatusSubtleActiveColourSubtleWarning = "#000000";
+export const linkStatusSubtleActiveColourSubtleError = "#000000";
+export const linkStatusSubtleActiveColourSubtleGeneric = "#000000";
+export const linkStatusSubtleActiveColourBoldInfo = "#000039";
+export const linkStatusSubtleActiveColourBoldSuccess = "#011b1f";
+export const linkStatusSubtleActiveColourBoldWarning = "#000000";
+export const linkStatusSubtleActiveColourBoldError = "#000000";
+export const linkStatusSubtleActiveColourBoldGeneric = "#000000";
+export const linkStatusSubtleVisitedColourNeutralInfo = "#000039";
+export const linkStatusSubtleVisitedColourNeutralSuccess = "#011b1f";
+export const linkStatusSubtleVisitedColourNeutralWarning = "#000000";
+export const linkStatusSubtleVisitedColourNeutralError = "#000000";
+export const linkStatusSubtleVisitedColourNeutralGeneric = "#000000";
+export const linkStatusSubtleVisitedColourNeutralInverseInfo = "#000039";
+export const linkStatusSubtleVisitedColourNeutralInverseSuccess = "#011b1f";
+export const linkStatusSubtleVisitedColourNeutralInverseWarning = "#000000";
+export const linkStatusSubtleVisitedColourNeutralInverseError = "#000000";
+export const linkStatusSubtleVisitedColourNeutralInverseGeneric = "#000000";
+export const linkStatusSubtleVisitedColourSubtleInfo = "#000039";
+export const linkStatusSubtleVisitedColourSubtleSuccess = "#011b1f";
+export const linkStatusSubtleVisitedColourSubtleWarning = "#000000";
+export const linkStatusSubtleVisitedColourSubtleError = "#000000";
+export const linkStatusSubtleVisitedColourSubtleGeneric = "#000000";
+export const linkStatusSubtleVisitedColourBoldInfo = "#000039";
+export const linkStatusSubtleVisitedColourBoldSuccess = "#011b1f";
+export const linkStatusSubtleVisitedColourBoldWarning = "#000000";
+export const linkStatusSubtleVisitedColourBoldError = "#000000";
+export const linkStatusSubtleVisitedColourBoldGeneric = "#000000";
+export const linkStatusSubtleFocusColourNeutralInfo = "#000039";
+export const linkStatusSubtleFocusColourNeutralSuccess = "#011b1f";
+export const linkStatusSubtleFocusColourNeutralWarning = "#000000";
+export const linkStatusSubtleFocusColourNeutralError = "#000000";
+export const linkStatusSubtleFocusColourNeutralGeneric = "#000000";
+export const linkStatusSubtleFocusColourNeutralInverseInfo = "#000039";
+export const linkStatusSubtleFocusColourNeutralInverseSuccess = "#011b1f";
+export const linkStatusSubtleFocusColourNeutralInverseWarning = "#000000";
+export const linkStatusSubtleFocusColourNeutralInverseError = "#000000";
+export const linkStatusSubtleFocusColourNeutralInverseGeneric = "#000000";
+export const linkStatusSubtleFocusColourSubtleInfo = "#000039";
+export const linkStatusSubtleFocusColourSubtleSuccess = "#011b1f";
+export const linkStatusSubtleFocusColourSubtleWarning = "#000000";
+export const linkStatusSubtleFocusColourSubtleError = "#000000";
+export const linkStatusSubtleFocusColourSubtleGeneric = "#000000";
+export const linkStatusSubtleFocusColourBoldInfo = "#000039";
+export const linkStatusSubtleFocusColourBoldSuccess = "#011b1f";
+export const linkStatusSubtleFocusColourBoldWarning = "#000000";
+export const linkStatusSubtleFocusColourBoldError = "#000000";
+export const linkStatusSubtleFocusColourBoldGeneric = "#000000";
+export const linkStatusSubtleFocusBorderRadiusNeutralInfo = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralSuccess = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralWarning = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralError = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralGeneric = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralInverseInfo = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralInverseSuccess = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralInverseWarning = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralInverseError = 4;
+export const linkStatusSubtleFocusBorderRadiusNeutralInverseGeneric = 4;
+export const linkStatusSubtleFocusBorderRadiusSubtleInfo = 4;
+export const linkStatusSubtleFocusBorderRadiusSubtleSuccess = 4;
+export const linkStatusSubtleFocusBorderRadiusSubtleWarning = 4;
+export const linkStatusSubtleFocusBorderRadiusSubtleError = 4;
+export const linkStatusSubtleFocusBorderRadiusSubtleGeneric = 4;
+export const linkStatusSubtleFocusBorderRadiusBoldInfo = 4;
+export const linkStatusSubtleFocusBorderRadiusBoldSuccess = 4;
+export const linkStatusSubtleFocusBorderRadiusBoldWarning = 4;
+export const linkStatusSubtleFocusBorderRadiusBoldError = 4;
+export const linkStatusSubtleFocusBorderRadiusBoldGeneric = 4;
+export const linkStatusSubtleFocusBorderWidthNeutralInfo = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralSuccess = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralWarning = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralError = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralGeneric = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralInverseInfo = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralInverseSuccess = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralInverseWarning = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralInverseError = 1;
+export const linkStatusSubtleFocusBorderWidthNeutralInverseGeneric = 1;
+export const linkStatusSubtleFocusBorderWidthSubtleInfo = 1;
+export const linkStatusSubtleFocusBorderWidthSubtleSuccess = 1;
+export const linkStatusSubtleFocusBorderWidthSubtleWarning = 1;
+export const linkStatusSubtleFocusBorderWidthSubtleError = 1;
+export const linkStatusSubtleFocusBorderWidthSubtleGeneric = 1;
+export const linkStatusSubtleFocusBorderWidthBoldInfo = 1;
+export const linkStatusSubtleFocusBorderWidthBoldSuccess = 1;
+export const linkStatusSubtleFocusBorderWidthBoldWarning = 1;
+export const linkStatusSubtleFocusBorderWidthBoldError = 1;
+export const linkStatusSubtleFocusBorderWidthBoldGeneric = 1;
+export const linkStatusBoldRestColourNeutralInfo = "#f4f4f4";
+export const linkStatusBoldRestColourNeutralSuccess = "#f4f4f4";
+export const linkStatusBoldRestColourNeutralWarning = "#1d1d1b";
+export const linkStatusBoldRestColourNeutralError = "#f4f4f4";
+export const linkStatusBoldRestColourNeutralGeneric = "#f4f4f4";
+export const linkStatusBoldRestColourNeutralInverseInfo = "#f4f4f4";
+export const linkStatusBoldRestColourNeutralInverseSuccess = "#f4f4f4";
+export const linkStatusBoldRestColourNeutralInverseWarning = "#1d1d1b";
+export const linkStatusBoldRestColourNeutralInverseError = "#f4f4f4";
+export const linkStatusBoldRestColourNeutralInverseGeneric = "#f4f4f4";
+export const linkStatusBoldRestColourSubtleInfo = "#f4f4f4";
+export const linkStatusBoldRestColourSubtleSuccess = "#f4f4f4";
+export const linkStatusBoldRestColourSubtleWarning = "#1d1d1b";
+export const linkStatusBoldRestColourSubtleError = "#f4f4f4";
+export const linkStatusBoldRestColourSubtleGeneric = "#f4f4f4";
+export const linkStatusBoldRestColourBoldInfo = "#f4f4f4";
+export const linkStatusBoldRestColourBoldSuccess = "#f4f4f4";
+export const linkStatusBoldRestColourBoldWarning = "#1d1d1b";
+export const linkStatusBoldRestColourBoldError = "#f4f4f4";
+export const linkStatusBoldRestColourBoldGeneric = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralInfo = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralSuccess = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralWarning = "#1d1d1b";
+export const linkStatusBoldHoverColourNeutralError = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralGeneric = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralInverseInfo = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralInverseSuccess = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralInverseWarning = "#1d1d1b";
+export const linkStatusBoldHoverColourNeutralInverseError = "#f4f4f4";
+export const linkStatusBoldHoverColourNeutralInverseGeneric = "#f4f4f4";
+export const linkStatusBoldHoverColourSubtleInfo = "#f4f4f4";
+export const linkStatusBoldHoverColourSubtleSuccess = "#f4f4f4";
+export const linkStatusBoldHoverColourSubtleWarning = "#1d1d1b";
+export const linkStatusBoldHoverColourSubtleError = "#f4f4f4";
+export const linkStatusBoldHoverColourSubtleGeneric = "#f4f4f4";
+export const linkStatusBoldHoverColourBoldInfo = "#f4f4f4";
+export const linkStatusBoldHoverColourBoldSuccess = "#f4f4f4";
+export const linkStatusBoldHoverColourBoldWarning = "#1d1d1b";
+export const linkStatusBoldHoverColourBoldError = "#f4f4f4";
+export const linkStatusBoldHoverColourBoldGeneric = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralInfo = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralSuccess = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralWarning = "#1d1d1b";
+export const linkStatusBoldActiveColourNeutralError = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralGeneric = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralInverseInfo = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralInverseSuccess = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralInverseWarning = "#1d1d1b";
+export const linkStatusBoldActiveColourNeutralInverseError = "#f4f4f4";
+export const linkStatusBoldActiveColourNeutralInverseGeneric = "#f4f4f4";
+export const linkStatusBoldActiveColourSubtleInfo = "#f4f4f4";
+export const linkStatusBoldActiveColourSubtleSuccess = "#f4f4f4";
+export const linkStatusBoldActiveColourSubtleWarning = "#1d1d1b";
+export const linkStatusBoldActiveColourSubtleError = "#f4f4f4";
+export const linkStatusBoldActiveColourSubtleGeneric = "#f4f4f4";
+export const linkStatusBoldActiveColourBoldInfo = "#f4f4f4";
+export const linkStatusBoldActiveColourBoldSuccess = "#f4f4f4";
+export const linkStatusBoldActiveColourBoldWarning = "#1d1d1b";
+export const linkStatusBoldActiveColourBoldError = "#f4f4f4";
+export const linkStatusBoldActiveColourBoldGeneric = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralInfo = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralSuccess = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralWarning = "#1d1d1b";
+export const linkStatusBoldVisitedColourNeutralError = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralGeneric = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralInverseInfo = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralInverseSuccess = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralInverseWarning = "#1d1d1b";
+export const linkStatusBoldVisitedColourNeutralInverseError = "#f4f4f4";
+export const linkStatusBoldVisitedColourNeutralInverseGeneric = "#f4f4f4";
+export const linkStatusBoldVisitedColourSubtleInfo = "#f4f4f4";
+export const linkStatusBoldVisitedColourSubtleSuccess = "#f4f4f4";
+export const linkStatusBoldVisitedColourSubtleWarning = "#1d1d1b";
+export const linkStatusBoldVisitedColourSubtleError = "#f4f4f4";
+export const linkStatusBoldVisitedColourSubtleGeneric = "#f4f4f4";
+export const linkStatusBoldVisitedColourBoldInfo = "#f4f4f4";
+export const linkStatusBoldVisitedColourBoldSuccess = "#f4f4f4";
+export const linkStatusBoldVisitedColourBoldWarning = "#1d1d1b";
+export const linkStatusBoldVisitedColourBoldError = "#f4f4f4";
+export const linkStatusBoldVisitedColourBoldGeneric = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralInfo = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralSuccess = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralWarning = "#1d1d1b";
+export const linkStatusBoldFocusColourNeutralError = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralGeneric = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralInverseInfo = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralInverseSuccess = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralInverseWarning = "#1d1d1b";
+export const linkStatusBoldFocusColourNeutralInverseError = "#f4f4f4";
+export const linkStatusBoldFocusColourNeutralInverseGeneric = "#f4f4f4";
+export const linkStatusBoldFocusColourSubtleInfo = "#f4f4f4";
+export const linkStatusBoldFocusColourSubtleSuccess = "#f4f4f4";
+export const linkStatusBoldFocusColourSubtleWarning = "#1d1d1b";
+export const linkStatusBoldFocusColourSubtleError = "#f4f4f4";
+export const linkStatusBoldFocusColourSubtleGeneric = "#f4f4f4";
+export const linkStatusBoldFocusColourBoldInfo = "#f4f4f4";
+export const linkStatusBoldFocusColourBoldSuccess = "#f4f4f4";
+export const linkStatusBoldFocusColourBoldWarning = "#1d1d1b";
+export const linkStatusBoldFocusColourBoldError = "#f4f4f4";
+export const linkStatusBoldFocusColourBoldGeneric = "#f4f4f4";
+export const linkStatusBoldFocusBorderRadiusNeutralInfo = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralSuccess = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralWarning = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralError = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralGeneric = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralInverseInfo = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralInverseSuccess = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralInverseWarning = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralInverseError = 4;
+export const linkStatusBoldFocusBorderRadiusNeutralInverseGeneric = 4;
+export const linkStatusBoldFocusBorderRadiusSubtleInfo = 4;
+export const linkStatusBoldFocusBorderRadiusSubtleSuccess = 4;
+export const linkStatusBoldFocusBorderRadiusSubtleWarning = 4;
+export const linkStatusBoldFocusBorderRadiusSubtleError = 4;
+export const linkStatusBoldFocusBorderRadiusSubtleGeneric = 4;
+export const linkStatusBoldFocusBorderRadiusBoldInfo = 4;
+export const linkStatusBoldFocusBorderRadiusBoldSuccess = 4;
+export const linkStatusBoldFocusBorderRadiusBoldWarning = 4;
+export const linkStatusBoldFocusBorderRadiusBoldError = 4;
+export const linkStatusBoldFocusBorderRadiusBoldGeneric = 4;
+export const linkStatusBoldFocusBorderWidthNeutralInfo = 1;
+export const linkStatusBoldFocusBorderWidthNeutralSuccess = 1;
+export const linkStatusBoldFocusBorderWidthNeutralWarning = 1;
+export const linkStatusBoldFocusBorderWidthNeutralError = 1;
+export const linkStatusBoldFocusBorderWidthNeutralGeneric = 1;
+export const linkStatusBoldFocusBorderWidthNeutralInverseInfo = 1;
+export const linkStatusBoldFocusBorderWidthNeutralInverseSuccess = 1;
+export const linkStatusBoldFocusBorderWidthNeutralInverseWarning = 1;
+export const linkStatusBoldFocusBorderWidthNeutralInverseError = 1;
+export const linkStatusBoldFocusBorderWidthNeutralInverseGeneric = 1;
+export const linkStatusBoldFocusBorderWidthSubtleInfo = 1;
+export const linkStatusBoldFocusBorderWidthSubtleSuccess = 1;
+export const linkStatusBoldFocusBorderWidthSubtleWarning = 1;
+export const linkStatusBoldFocusBorderWidthSubtleError = 1;
+export const linkStatusBoldFocusBorderWidthSubtleGeneric = 1;
+export const linkStatusBoldFocusBorderWidthBoldInfo = 1;
+export const linkStatusBoldFocusBorderWidthBoldSuccess = 1;
+export const linkStatusBoldFocusBorderWidthBoldWarning = 1;
+export const linkStatusBoldFocusBorderWidthBoldError = 1;
+export const linkStatusBoldFocusBorderWidthBoldGeneric = 1;
+export const linkGroupGapNeutralBlue = 16;
+export const linkGroupGapNeutralGreen = 16;
+export const linkGroupGapNeutralRed = 16;
+export const linkGroupGapNeutralYellow = 16;
+export const linkGroupGapNeutralInverseBlue = 16;
+export const linkGroupGapNeutralInverseGreen = 16;
+export const linkGroupGapNeutralInverseRed = 16;
+export const linkGroupGapNeutralInverseYellow = 16;
+export const linkGroupGapSubtleBlue = 16;
+export const linkGroupGapSubtleGreen = 16;
+export const linkGroupGapSubtleRed = 16;
+export const linkGroupGapSubtleYellow = 16;
+export const linkGroupGapBoldBlue = 16;
+export const linkGroupGapBoldGreen = 16;
+export const linkGroupGapBoldRed = 16;
+export const linkGroupGapBoldYellow = 16;
+export const accordionGapNeutralBlue = 20;
+export const accordionGapNeutralGreen = 20;
+export const accordionGapNeutralRed = 20;
+export const accordionGapNeutralYellow = 20;
+export const accordionGapNeutralInverseBlue = 20;
+export const accordionGapNeutralInverseGreen = 20;
+export const accordionGapNeutralInverseRed = 20;
+export const accordionGapNeutralInverseYellow = 20;
+export const accordionGapSubtleBlue = 20;
+export const accordionGapSubtleGreen = 20;
+export const accordionGapSubtleRed = 20;
+export const accordionGapSubtleYellow = 20;
+export const accordionGapBoldBlue = 20;
+export const accordionGapBoldGreen = 20;
+export const accordionGapBoldRed = 20;
+export const accordionGapBoldYellow = 20;
+export const accordionPaddingXNeutralBlue = 20;
+export const accordionPaddingXNeutralGreen = 20;
+export const accordionPaddingXNeutralRed = 20;
+export const accordionPaddingXNeutralYellow = 20;
+export const accordionPaddingXNeutralInverseBlue = 20;
+export const accordionPaddingXNeutralInverseGreen = 20;
+export const accordionPaddingXNeutralInverseRed = 20;
+export const accordionPaddingXNeutralInverseYellow = 20;
+export const accordionPaddingXSubtleBlue = 20;
+export const accordionPaddingXSubtleGreen = 20;
+export const accordionPaddingXSubtleRed = 20;
+export const accordionPaddingXSubtleYellow = 20;
+export const accordionPaddingXBoldBlue = 20;
+export const accordionPaddingXBoldGreen = 20;
+export const accordionPaddingXBoldRed = 20;
+export const accordionPaddingXBoldYellow = 20;
+export const accordionPaddingYNeutralBlue = 20;
+export const accordionPaddingYNeutralGreen = 20;
+export const accordionPaddingYNeutralRed = 20;
+export const accordionPaddingYNeutralYellow = 20;
+export const accordionPaddingYNeutralInverseBlue = 20;
+export const accordionPaddingYNeutralInverseGreen = 20;
+export const accordionPaddingYNeutralInverseRed = 20;
+export const accordionPaddingYNeutralInverseYellow = 20;
+export const accordionPaddingYSubtleBlue = 20;
+export const accordionPaddingYSubtleGreen = 20;
+export const accordionPaddingYSubtleRed = 20;
+export const accordionPaddingYSubtleYellow = 20;
+export const accordionPaddingYBoldBlue = 20;
+export const accordionPaddingYBoldGreen = 20;
+export const accordionPaddingYBoldRed = 20;
+export const accordionPaddingYBoldYellow = 20;
+export const accordionBorderRadiusNeutralBlue = 12;
+export const accordionBorderRadiusNeutralGreen = 12;
+export const accordionBorderRadiusNeutralRed = 12;
+export const accordionBorderRadiusNeutralYellow = 12;
+export const accordionBorderRadiusNeutralInverseBlue = 12;
+export const accordionBorderRadiusNeutralInverseGreen = 12;
+export const accordionBorderRadiusNeutralInverseRed = 12;
+export const accordionBorderRadiusNeutralInverseYellow = 12;
+export const accordionBorderRadiusSubtleBlue = 12;
+export const accordionBorderRadiusSubtleGreen = 12;
+export const accordionBorderRadiusSubtleRed = 12;
+export const accordionBorderRadiusSubtleYellow = 12;
+export const accordionBorderRadiusBoldBlue = 12;
+export const accordionBorderRadiusBoldGreen = 12;
+export const accordionBorderRadiusBoldRed = 12;
+export const accordionBorderRadiusBoldYellow = 12;
+export const accordionBackgroundColourNeutralBlue = "#ffffff";
+export const accordionBackgroundColourNeutralGreen = "#ffffff";
+export const accordionBackgroundColourNeutralRed = "#ffffff";
+export const accordionBackgroundColourNeutralYellow = "#ffffff";
+export const accordionBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const accordionBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const accordionBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const accordionBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const accordionBackgroundColourSubtleBlue = "#aee1f7";
+export const accordionBackgroundColourSubtleGreen = "#caeedd";
+export const accordionBackgroundColourSubtleRed = "#ffd5d2";
+export const accordionBackgroundColourSubtleYellow = "#fff9c7";
+export const accordionBackgroundColourBoldBlue = "#005dba";
+export const accordionBackgroundColourBoldGreen = "#00633d";
+export const accordionBackgroundColourBoldRed = "#c50b30";
+export const accordionBackgroundColourBoldYellow = "#ffb600";
+export const accordionHeaderGapNeutralBlue = 12;
+export const accordionHeaderGapNeutralGreen = 12;
+export const accordionHeaderGapNeutralRed = 12;
+export const accordionHeaderGapNeutralYellow = 12;
+export const accordionHeaderGapNeutralInverseBlue = 12;
+export const accordionHeaderGapNeutralInverseGreen = 12;
+export const accordionHeaderGapNeutralInverseRed = 12;
+export const accordionHeaderGapNeutralInverseYellow = 12;
+export const accordionHeaderGapSubtleBlue = 12;
+export const accordionHeaderGapSubtleGreen = 12;
+export const accordionHeaderGapSubtleRed = 12;
+export const accordionHeaderGapSubtleYellow = 12;
+export const accordionHeaderGapBoldBlue = 12;
+export const accordionHeaderGapBoldGreen = 12;
+export const accordionHeaderGapBoldRed = 12;
+export const accordionHeaderGapBoldYellow = 12;
+export const accordionHeaderCustomContentHeightNeutralBlue = 12;
+export const accordionHeaderCustomContentHeightNeutralGreen = 12;
+export const accordionHeaderCustomContentHeightNeutralRed = 12;
+export const accordionHeaderCustomContentHeightNeutralYellow = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseBlue = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseGreen = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseRed = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseYellow = 12;
+export const accordionHeaderCustomContentHeightSubtleBlue = 12;
+export const accordionHeaderCustomContentHeightSubtleGreen = 12;
+export const accordionHeaderCustomContentHeightSubtleRed = 12;
+export const accordionHeaderCustomContentHeightSubtleYellow = 12;
+export const accordionHeaderCustomContentHeightBoldBlue = 12;
+export const accordionHeaderCustomContentHeightBoldGreen = 12;
+export const accordionHeaderCustomContentHeightBoldRed = 12;
+export const accordionHeaderCustomContentHeightBoldYellow = 12;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralYellow = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseYellow = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleYellow = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldYellow = 8;
+export const accordionHeaderFocusIndicatorColourNeutralBlue = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralGreen = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralRed = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralYellow = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleBlue = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleGreen = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleRed = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleYellow = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourBoldBlue = "#ffffff";
+export const accordionHeaderFocusIndicatorColourBoldGreen = "#ffffff";
+export const accordionHeaderFocusIndicatorColourBoldRed = "#ffffff";
+export const accordionHeaderFocusIndicatorColourBoldYellow = "#ffffff";
+export const accordionHeaderFocusIndicatorBorderWidthNeutralBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralYellow = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseYellow = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleYellow = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldYellow = 3;
+export const accordionHeaderLabelMinWidthNeutralBlue = 140;
+export const accordionHeaderLabelMinWidthNeutralGreen = 140;
+export const accordionHeaderLabelMinWidthNeutralRed = 140;
+export const accordionHeaderLabelMinWidthNeutralYellow = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseBlue = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseGreen = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseRed = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseYellow = 140;
+export const accordionHeaderLabelMinWidthSubtleBlue = 140;
+export const accordionHeaderLabelMinWidthSubtleGreen = 140;
+export const accordionHeaderLabelMinWidthSubtleRed = 140;
+export const accordionHeaderLabelMinWidthSubtleYellow = 140;
+export const accordionHeaderLabelMinWidthBoldBlue = 140;
+export const accordionHeaderLabelMinWidthBoldGreen = 140;
+export const accordionHeaderLabelMinWidthBoldRed = 140;
+export const accordionHeaderLabelMinWidthBoldYellow = 140;
+export const accordionContentGapNeutralBlue = 20;
+export const accordionContentGapNeutralGreen = 20;
+export const accordionContentGapNeutralRed = 20;
+export const accordionContentGapNeutralYellow = 20;
+export const accordionContentGapNeutralInverseBlue = 20;
+export const accordionContentGapNeutralInverseGreen = 20;
+export const accordionContentGapNeutralInverseRed = 20;
+export const accordionContentGapNeutralInverseYellow = 20;
+export const accordionContentGapSubtleBlue = 20;
+export const accordionContentGapSubtleGreen = 20;
+export const accordionContentGapSubtleRed = 20;
+export const accordionContentGapSubtleYellow = 20;
+export const accordionContentGapBoldBlue = 20;
+export const accordionContentGapBoldGreen = 20;
+export const accordionContentGapBoldRed = 20;
+export const accordionContentGapBoldYellow = 20;
+export const accordionBorderColourNeutralBlue = "#d3d3d3";
+export const accordionBorderColourNeutralGreen = "#d3d3d3";
+export const accordionBorderColourNeutralRed = "#d3d3d3";
+export const accordionBorderColourNeutralYellow = "#d3d3d3";
+export const accordionBorderColourNeutralInverseBlue = "#d3d3d3";
+export const accordionBorderColourNeutralInverseGreen = "#d3d3d3";
+export const accordionBorderColourNeutralInverseRed = "#d3d3d3";
+export const accordionBorderColourNeutralInverseYellow = "#d3d3d3";
+export const accordionBorderColourSubtleBlue = "#42aeea";
+export const accordionBorderColourSubtleGreen = "#43af6e";
+export const accordionBorderColourSubtleRed = "#ff3e51";
+export const accordionBorderColourSubtleYellow = "#ffe969";
+export const accordionBorderColourBoldBlue = "#001d6e";
+export const accordionBorderColourBoldGreen = "#01312e";
+export const accordionBorderColourBoldRed = "#940824";
+export const accordionBorderColourBoldYellow = "#c86426";
+export const accordionBorderWidthNeutralBlue = 1;
+export const accordionBorderWidthNeutralGreen = 1;
+export const accordionBorderWidthNeutralRed = 1;
+export const accordionBorderWidthNeutralYellow = 1;
+export const accordionBorderWidthNeutralInverseBlue = 1;
+export const accordionBorderWidthNeutralInverseGreen = 1;
+export const accordionBorderWidthNeutralInverseRed = 1;
+export const accordionBorderWidthNeutralInverseYellow = 1;
+export const accordionBorderWidthSubtleBlue = 1;
+export const accordionBorderWidthSubtleGreen = 1;
+export const accordionBorderWidthSubtleRed = 1;
+export const accordionBorderWidthSubtleYellow = 1;
+export const accordionBorderWidthBoldBlue = 1;
+export const accordionBorderWidthBoldGreen = 1;
+export const accordionBorderWidthBoldRed = 1;
+export const accordionBorderWidthBoldYellow = 1;
+export const accordionGroupGapNeutralBlue = 16;
+export const accordionGroupGapNeutralGreen = 16;
+export const accordionGroupGapNeutralRed = 16;
+export const accordionGroupGapNeutralYellow = 16;
+export const accordionGroupGapNeutralInverseBlue = 16;
+export const accordionGroupGapNeutralInverseGreen = 16;
+export const accordionGroupGapNeutralInverseRed = 16;
+export const accordionGroupGapNeutralInverseYellow = 16;
+export const accordionGroupGapSubtleBlue = 16;
+export const accordionGroupGapSubtleGreen = 16;
+export const accordionGroupGapSubtleRed = 16;
+export const accordionGroupGapSubtleYellow = 16;
+export const accordionGroupGapBoldBlue = 16;
+export const accordionGroupGapBoldGreen = 16;
+export const accordionGroupGapBoldRed = 16;
+export const accordionGroupGapBoldYellow = 16;
+export const bannerPaddingXNeutralBlue = 16;
+export const bannerPaddingXNeutralGreen = 16;
+export const bannerPaddingXNeutralRed = 16;
+export const bannerPaddingXNeutralYellow = 16;
+export const bannerPaddingXNeutralInverseBlue = 16;
+export const bannerPaddingXNeutralInverseGreen = 16;
+export const bannerPaddingXNeutralInverseRed = 16;
+export const bannerPaddingXNeutralInverseYellow = 16;
+export const bannerPaddingXSubtleBlue = 16;
+export const bannerPaddingXSubtleGreen = 16;
+export const bannerPaddingXSubtleRed = 16;
+export const bannerPaddingXSubtleYellow = 16;
+export const bannerPaddingXBoldBlue = 16;
+export const bannerPaddingXBoldGreen = 16;
+export const bannerPaddingXBoldRed = 16;
+export const bannerPaddingXBoldYellow = 16;
+export const bannerPaddingYNeutralBlue = 12;
+export const bannerPaddingYNeutralGreen = 12;
+export const bannerPaddingYNeutralRed = 12;
+export const bannerPaddingYNeutralYellow = 12;
+export const bannerPaddingYNeutralInverseBlue = 12;
+export const bannerPaddingYNeutralInverseGreen = 12;
+export const bannerPaddingYNeutralInverseRed = 12;
+export const bannerPaddingYNeutralInverseYellow = 12;
+export const bannerPaddingYSubtleBlue = 12;
+export const bannerPaddingYSubtleGreen = 12;
+export const bannerPaddingYSubtleRed = 12;
+export const bannerPaddingYSubtleYellow = 12;
+export const bannerPaddingYBoldBlue = 12;
+export const bannerPaddingYBoldGreen = 12;
+export const bannerPaddingYBoldRed = 12;
+export const bannerPaddingYBoldYellow = 12;
+export const bannerStatusBackgroundColourNeutralInfo = "#005dba";
+export const bannerStatusBackgroundColourNeutralSuccess = "#00633d";
+export const bannerStatusBackgroundColourNeutralWarning = "#ffb600";
+export const bannerStatusBackgroundColourNeutralError = "#c50b30";
+export const bannerStatusBackgroundColourNeutralGeneric = "#4d4f4f";
+export const bannerStatusBackgroundColourNeutralInverseInfo = "#005dba";
+export const bannerStatusBackgroundColourNeutralInverseSuccess = "#00633d";
+export const bannerStatusBackgroundColourNeutralInverseWarning = "#ffb600";
+export const bannerStatusBackgroundColourNeutralInverseError = "#c50b30";
+export const bannerStatusBackgroundColourNeutralInverseGeneric = "#4d4f4f";
+export const bannerStatusBackgroundColourSubtleInfo = "#005dba";
+export const bannerStatusBackgroundColourSubtleSuccess = "#00633d";
+export const bannerStatusBackgroundColourSubtleWarning = "#ffb600";
+export const bannerStatusBackgroundColourSubtleError = "#c50b30";
+export const bannerStatusBackgroundColourSubtleGeneric = "#4d4f4f";
+export const bannerStatusBackgroundColourBoldInfo = "#005dba";
+export const bannerStatusBackgroundColourBoldSuccess = "#00633d";
+export const bannerStatusBackgroundColourBoldWarning = "#ffb600";
+export const bannerStatusBackgroundColourBoldError = "#c50b30";
+export const bannerStatusBackgroundColourBoldGeneric = "#4d4f4f";
+export const bannerStatusTextColourNeutralInfo = "#ffffff";
+export const bannerStatusTextColourNeutralSuccess = "#ffffff";
+export const bannerStatusTextColourNeutralWarning = "#1d1d1b";
+export const bannerStatusTextColourNeutralError = "#ffffff";
+export const bannerStatusTextColourNeutralGeneric = "#ffffff";
+export const bannerStatusTextColourNeutralInverseInfo = "#ffffff";
+export const bannerStatusTextColourNeutralInverseSuccess = "#ffffff";
+export const bannerStatusTextColourNeutralInverseWarning = "#1d1d1b";
+export const bannerStatusTextColourNeutralInverseError = "#ffffff";
+export const bannerStatusTextColourNeutralInverseGeneric = "#ffffff";
+export const bannerStatusTextColourSubtleInfo = "#ffffff";
+export const bannerStatusTextColourSubtleSuccess = "#ffffff";
+export const bannerStatusTextColourSubtleWarning = "#1d1d1b";
+export const bannerStatusTextColourSubtleError = "#ffffff";
+export const bannerStatusTextColourSubtleGeneric = "#ffffff";
+export const bannerStatusTextColourBoldInfo = "#ffffff";
+export const bannerStatusTextColourBoldSuccess = "#ffffff";
+export const bannerStatusTextColourBoldWarning = "#1d1d1b";
+export const bannerStatusTextColourBoldError = "#ffffff";
+export const bannerStatusTextColourBoldGeneric = "#ffffff";
+export const bannerStatusIconColourNeutralInfo = "#ffffff";
+export const bannerStatusIconColourNeutralSuccess = "#ffffff";
+export const bannerStatusIconColourNeutralWarning = "#1d1d1b";
+export const bannerStatusIconColourNeutralError = "#ffffff";
+export const bannerStatusIconColourNeutralGeneric = "#ffffff";
+export const bannerStatusIconColourNeutralInverseInfo = "#ffffff";
+export const bannerStatusIconColourNeutralInverseSuccess = "#ffffff";
+export const bannerStatusIconColourNeutralInverseWarning = "#1d1d1b";
+export const bannerStatusIconColourNeutralInverseError = "#ffffff";
+export const bannerStatusIconColourNeutralInverseGeneric = "#ffffff";
+export const bannerStatusIconColourSubtleInfo = "#ffffff";
+export const bannerStatusIconColourSubtleSuccess = "#ffffff";
+export const bannerStatusIconColourSubtleWarning = "#1d1d1b";
+export const bannerStatusIconColourSubtleError = "#ffffff";
+export const bannerStatusIconColourSubtleGeneric = "#ffffff";
+export const bannerStatusIconColourBoldInfo = "#ffffff";
+export const bannerStatusIconColourBoldSuccess = "#ffffff";
+export const bannerStatusIconColourBoldWarning = "#1d1d1b";
+export const bannerStatusIconColourBoldError = "#ffffff";
+export const bannerStatusIconColourBoldGeneric = "#ffffff";
+export const bannerGapNeutralBlue = 12;
+export const bannerGapNeutralGreen = 12;
+export const bannerGapNeutralRed = 12;
+export const bannerGapNeutralYellow = 12;
+export const bannerGapNeutralInverseBlue = 12;
+export const bannerGapNeutralInverseGreen = 12;
+export const bannerGapNeutralInverseRed = 12;
+export const bannerGapNeutralInverseYellow = 12;
+export const bannerGapSubtleBlue = 12;
+export const bannerGapSubtleGreen = 12;
+export const bannerGapSubtleRed = 12;
+export const bannerGapSubtleYellow = 12;
+export const bannerGapBoldBlue = 12;
+export const bannerGapBoldGreen = 12;
+export const bannerGapBoldRed = 12;
+export const bannerGapBoldYellow = 12;
+export const listItemCommonGapNeutralBlue = 12;
+export const listItemCommonGapNeutralGreen = 12;
+export const listItemCommonGapNeutralRed = 12;
+export const listItemCommonGapNeutralYellow = 12;
+export const listItemCommonGapNeutralInverseBlue = 12;
+export const listItemCommonGapNeutralInverseGreen = 12;
+export const listItemCommonGapNeutralInverseRed = 12;
+export const listItemCommonGapNeutralInverseYellow = 12;
+export const listItemCommonGapSubtleBlue = 12;
+export const listItemCommonGapSubtleGreen = 12;
+export const listItemCommonGapSubtleRed = 12;
+export const listItemCommonGapSubtleYellow = 12;
+export const listItemCommonGapBoldBlue = 12;
+export const listItemCommonGapBoldGreen = 12;
+export const listItemCommonGapBoldRed = 12;
+export const listItemCommonGapBoldYellow = 12;
+export const listItemCommonPaddingLeftNeutralBlue = 12;
+export const listItemCommonPaddingLeftNeutralGreen = 12;
+export const listItemCommonPaddingLeftNeutralRed = 12;
+export const listItemCommonPaddingLeftNeutralYellow = 12;
+export const listItemCommonPaddingLeftNeutralInverseBlue = 12;
+export const listItemCommonPaddingLeftNeutralInverseGreen = 12;
+export const listItemCommonPaddingLeftNeutralInverseRed = 12;
+export const listItemCommonPaddingLeftNeutralInverseYellow = 12;
+export const listItemCommonPaddingLeftSubtleBlue = 12;
+export const listItemCommonPaddingLeftSubtleGreen = 12;
+export const listItemCommonPaddingLeftSubtleRed = 12;
+export const listItemCommonPaddingLeftSubtleYellow = 12;
+export const listItemCommonPaddingLeftBoldBlue = 12;
+export const listItemCommonPaddingLeftBoldGreen = 12;
+export const listItemCommonPaddingLeftBoldRed = 12;
+export const listItemCommonPaddingLeftBoldYellow = 12;
+export const listItemPositiveColourNeutralBlue = "#00633d";
+export const listItemPositiveColourNeutralGreen = "#00633d";
+export const listItemPositiveColourNeutralRed = "#00633d";
+export const listItemPositiveColourNeutralYellow = "#00633d";
+export const listItemPositiveColourNeutralInverseBlue = "#00633d";
+export const listItemPositiveColourNeutralInverseGreen = "#00633d";
+export const listItemPositiveColourNeutralInverseRed = "#00633d";
+export const listItemPositiveColourNeutralInverseYellow = "#00633d";
+export const listItemPositiveColourSubtleBlue = "#1d1d1b";
+export const listItemPositiveColourSubtleGreen = "#1d1d1b";
+export const listItemPositiveColourSubtleRed = "#1d1d1b";
+export const listItemPositiveColourSubtleYellow = "#1d1d1b";
+export const listItemPositiveColourBoldBlue = "#ffffff";
+export const listItemPositiveColourBoldGreen = "#ffffff";
+export const listItemPositiveColourBoldRed = "#ffffff";
+export const listItemPositiveColourBoldYellow = "#1d1d1b";
+export const listItemNegativeColourNeutralBlue = "#c50b30";
+export const listItemNegativeColourNeutralGreen = "#c50b30";
+export const listItemNegativeColourNeutralRed = "#c50b30";
+export const listItemNegativeColourNeutralYellow = "#c50b30";
+export const listItemNegativeColourNeutralInverseBlue = "#c50b30";
+export const listItemNegativeColourNeutralInverseGreen = "#c50b30";
+export const listItemNegativeColourNeutralInverseRed = "#c50b30";
+export const listItemNegativeColourNeutralInverseYellow = "#c50b30";
+export const listItemNegativeColourSubtleBlue = "#1d1d1b";
+export const listItemNegativeColourSubtleGreen = "#1d1d1b";
+export const listItemNegativeColourSubtleRed = "#1d1d1b";
+export const listItemNegativeColourSubtleYellow = "#1d1d1b";
+export const listItemNegativeColourBoldBlue = "#ffffff";
+export const listItemNegativeColourBoldGreen = "#ffffff";
+export const listItemNegativeColourBoldRed = "#ffffff";
+export const listItemNegativeColourBoldYellow = "#1d1d1b";
+export const listGapNeutralBlue = 20;
+export const listGapNeutralGreen = 20;
+export const listGapNeutralRed = 20;
+export const listGapNeutralYellow = 20;
+export const listGapNeutralInverseBlue = 20;
+export const listGapNeutralInverseGreen = 20;
+export const listGapNeutralInverseRed = 20;
+export const listGapNeutralInverseYellow = 20;
+export const listGapSubtleBlue = 20;
+export const listGapSubtleGreen = 20;
+export const listGapSubtleRed = 20;
+export const listGapSubtleYellow = 20;
+export const listGapBoldBlue = 20;
+export const listGapBoldGreen = 20;
+export const listGapBoldRed = 20;
+export const listGapBoldYellow = 20;
+export const breadcrumbBorderWidthNeutralBlue = 1;
+export const breadcrumbBorderWidthNeutralGreen = 1;
+export const breadcrumbBorderWidthNeutralRed = 1;
+export const breadcrumbBorderWidthNeutralYellow = 1;
+export const breadcrumbBorderWidthNeutralInverseBlue = 1;
+export const breadcrumbBorderWidthNeutralInverseGreen = 1;
+export const breadcrumbBorderWidthNeutralInverseRed = 1;
+export const breadcrumbBorderWidthNeutralInverseYellow = 1;
+export const breadcrumbBorderWidthSubtleBlue = 1;
+export const breadcrumbBorderWidthSubtleGreen = 1;
+export const breadcrumbBorderWidthSubtleRed = 1;
+export const breadcrumbBorderWidthSubtleYellow = 1;
+export const breadcrumbBorderWidthBoldBlue = 1;
+export const breadcrumbBorderWidthBoldGreen = 1;
+export const breadcrumbBorderWidthBoldRed = 1;
+export const breadcrumbBorderWidthBoldYellow = 1;
+export const breadcrumbBorderColourNeutralBlue = "#d3d3d3";
+export const breadcrumbBorderColourNeutralGreen = "#d3d3d3";
+export const breadcrumbBorderColourNeutralRed = "#d3d3d3";
+export const breadcrumbBorderColourNeutralYellow = "#d3d3d3";
+export const breadcrumbBorderColourNeutralInverseBlue = "#d3d3d3";
+export const breadcrumbBorderColourNeutralInverseGreen = "#d3d3d3";
+export const breadcrumbBorderColourNeutralInverseRed = "#d3d3d3";
+export const breadcrumbBorderColourNeutralInverseYellow = "#d3d3d3";
+export const breadcrumbBorderColourSubtleBlue = "#42aeea";
+export const breadcrumbBorderColourSubtleGreen = "#43af6e";
+export const breadcrumbBorderColourSubtleRed = "#ff3e51";
+export const breadcrumbBorderColourSubtleYellow = "#ffe969";
+export const breadcrumbBorderColourBoldBlue = "#001d6e";
+export const breadcrumbBorderColourBoldGreen = "#01312e";
+export const breadcrumbBorderColourBoldRed = "#940824";
+export const breadcrumbBorderColourBoldYellow = "#c86426";
+export const breadcrumbGapNeutralBlue = 8;
+export const breadcrumbGapNeutralGreen = 8;
+export const breadcrumbGapNeutralRed = 8;
+export const breadcrumbGapNeutralYellow = 8;
+export const breadcrumbGapNeutralInverseBlue = 8;
+export const breadcrumbGapNeutralInverseGreen = 8;
+export const breadcrumbGapNeutralInverseRed = 8;
+export const breadcrumbGapNeutralInverseYellow = 8;
+export const breadcrumbGapSubtleBlue = 8;
+export const breadcrumbGapSubtleGreen = 8;
+export const breadcrumbGapSubtleRed = 8;
+export const breadcrumbGapSubtleYellow = 8;
+export const breadcrumbGapBoldBlue = 8;
+export const breadcrumbGapBoldGreen = 8;
+export const breadcrumbGapBoldRed = 8;
+export const breadcrumbGapBoldYellow = 8;
+export const breadcrumbPaddingXNeutralBlue = 16;
+export const breadcrumbPaddingXNeutralGreen = 16;
+export const breadcrumbPaddingXNeutralRed = 16;
+export const breadcrumbPaddingXNeutralYellow = 16;
+export const breadcrumbPaddingXNeutralInverseBlue = 16;
+export const breadcrumbPaddingXNeutralInverseGreen = 16;
+export const breadcrumbPaddingXNeutralInverseRed = 16;
+export const breadcrumbPaddingXNeutralInverseYellow = 16;
+export const breadcrumbPaddingXSubtleBlue = 16;
+export const breadcrumbPaddingXSubtleGreen = 16;
+export const breadcrumbPaddingXSubtleRed = 16;
+export const breadcrumbPaddingXSubtleYellow = 16;
+export const breadcrumbPaddingXBoldBlue = 16;
+export const breadcrumbPaddingXBoldGreen = 16;
+export const breadcrumbPaddingXBoldRed = 16;
+export const breadcrumbPaddingXBoldYellow = 16;
+export const breadcrumbPaddingYNeutralBlue = 12;
+export const breadcrumbPaddingYNeutralGreen = 12;
+export const breadcrumbPaddingYNeutralRed = 12;
+export const breadcrumbPaddingYNeutralYellow = 12;
+export const breadcrumbPaddingYNeutralInverseBlue = 12;
+export const breadcrumbPaddingYNeutralInverseGreen = 12;
+export const breadcrumbPaddingYNeutralInverseRed = 12;
+export const breadcrumbPaddingYNeutralInverseYellow = 12;
+export const breadcrumbPaddingYSubtleBlue = 12;
+export const breadcrumbPaddingYSubtleGreen = 12;
+export const breadcrumbPaddingYSubtleRed = 12;
+export const breadcrumbPaddingYSubtleYellow = 12;
+export const breadcrumbPaddingYBoldBlue = 12;
+export const breadcrumbPaddingYBoldGreen = 12;
+export const breadcrumbPaddingYBoldRed = 12;
+export const breadcrumbPaddingYBoldYellow = 12;
+export const breadcrumbMinWidthNeutralBlue = 320;
+export const breadcrumbMinWidthNeutralGreen = 320;
+export const breadcrumbMinWidthNeutralRed = 320;
+export const breadcrumbMinWidthNeutralYellow = 320;
+export const breadcrumbMinWidthNeutralInverseBlue = 320;
+export const breadcrumbMinWidthNeutralInverseGreen = 320;
+export const breadcrumbMinWidthNeutralInverseRed = 320;
+export const breadcrumbMinWidthNeutralInverseYellow = 320;
+export const breadcrumbMinWidthSubtleBlue = 320;
+export const breadcrumbMinWidthSubtleGreen = 320;
+export const breadcrumbMinWidthSubtleRed = 320;
+export const breadcrumbMinWidthSubtleYellow = 320;
+export const breadcrumbMinWidthBoldBlue = 320;
+export const breadcrumbMinWidthBoldGreen = 320;
+export const breadcrumbMinWidthBoldRed = 320;
+export const breadcrumbMinWidthBoldYellow = 320;
+export const noticeGapNeutralBlue = 28;
+export const noticeGapNeutralGreen = 28;
+export const noticeGapNeutralRed = 28;
+export const noticeGapNeutralYellow = 28;
+export const noticeGapNeutralInverseBlue = 28;
+export const noticeGapNeutralInverseGreen = 28;
+export const noticeGapNeutralInverseRed = 28;
+export const noticeGapNeutralInverseYellow = 28;
+export const noticeGapSubtleBlue = 28;
+export const noticeGapSubtleGreen = 28;
+export const noticeGapSubtleRed = 28;
+export const noticeGapSubtleYellow = 28;
+export const noticeGapBoldBlue = 28;
+export const noticeGapBoldGreen = 28;
+export const noticeGapBoldRed = 28;
+export const noticeGapBoldYellow = 28;
+export const noticeContentGapNeutralBlue = 16;
+export const noticeContentGapNeutralGreen = 16;
+export const noticeContentGapNeutralRed = 16;
+export const noticeContentGapNeutralYellow = 16;
+export const noticeContentGapNeutralInverseBlue = 16;
+export const noticeContentGapNeutralInverseGreen = 16;
+export const noticeContentGapNeutralInverseRed = 16;
+export const noticeContentGapNeutralInverseYellow = 16;
+export const noticeContentGapSubtleBlue = 16;
+export const noticeContentGapSubtleGreen = 16;
+export const noticeContentGapSubtleRed = 16;
+export const noticeContentGapSubtleYellow = 16;
+export const noticeContentGapBoldBlue = 16;
+export const noticeContentGapBoldGreen = 16;
+export const noticeContentGapBoldRed = 16;
+export const noticeContentGapBoldYellow = 16;
+/** @deprecated Use `cardPaddingXNeutralBlue` instead. */
+export const cardPaddingRightNeutralBlue = cardPaddingXNeutralBlue;
+/** @deprecated Use `cardPaddingXNeutralGreen` instead. */
+export const cardPaddingRightNeutralGreen = cardPaddingXNeutralGreen;
+/** @deprecated Use `cardPaddingXNeutralRed` instead. */
+export const cardPaddingRightNeutralRed = cardPaddingXNeutralRed;
+/** @deprecated Use `cardPaddingXNeutralYellow` instead. */
+export const cardPaddingRightNeutralYellow = cardPaddingXNeutralYellow;
+/** @deprecated Use `cardPaddingXNeutralInverseBlue` instead. */
+export const cardPaddingRightNeutralInverseBlue = cardPaddingXNeutralInverseBlue;
+/** @deprecated Use `cardPaddingXNeutralInverseGreen` instead. */
+export const cardPaddingRightNeutralInverseGreen = cardPaddingXNeutralInverseGreen;
+/** @deprecated Use `cardPaddingXNeutralInverseRed` instead. */
+export const cardPaddingRightNeutralInverseRed = cardPaddingXNeutralInverseRed;
+/** @deprecated Use `cardPaddingXNeutralInverseYellow` instead. */
+export const cardPaddingRightNeutralInverseYellow = cardPaddingXNeutralInverseYellow;
+/** @deprecated Use `cardPaddingXSubtleBlue` instead. */
+export const cardPaddingRightSubtleBlue = cardPaddingXSubtleBlue;
+/** @deprecated Use `cardPaddingXSubtleGreen` instead. */
+export const cardPaddingRightSubtleGreen = cardPaddingXSubtleGreen;
+/** @deprecated Use `cardPaddingXSubtleRed` instead. */
+export const cardPaddingRightSubtleRed = cardPaddingXSubtleRed;
+/** @deprecated Use `cardPaddingXSubtleYellow` instead. */
+export const cardPaddingRightSubtleYellow = cardPaddingXSubtleYellow;
+/** @deprecated Use `cardPaddingXBoldBlue` instead. */
+export const cardPaddingRightBoldBlue = cardPaddingXBoldBlue;
+/** @deprecated Use `cardPaddingXBoldGreen` instead. */
+export const cardPaddingRightBoldGreen = cardPaddingXBoldGreen;
+/** @deprecated Use `cardPaddingXBoldRed` instead. */
+export const cardPaddingRightBoldRed = cardPaddingXBoldRed;
+/** @deprecated Use `cardPaddingXBoldYellow` instead. */
+export const cardPaddingRightBoldYellow = cardPaddingXBoldYellow;
+/** @deprecated Use `cardPaddingYNeutralBlue` instead. */
+export const cardPaddingBottomNeutralBlue = cardPaddingYNeutralBlue;
+/** @deprecated Use `cardPaddingYNeutralGreen` instead. */
+export const cardPaddingBottomNeutralGreen = cardPaddingYNeutralGreen;
+/** @deprecated Use `cardPaddingYNeutralRed` instead. */
+export const cardPaddingBottomNeutralRed = cardPaddingYNeutralRed;
+/** @deprecated Use `cardPaddingYNeutralYellow` instead. */
+export const cardPaddingBottomNeutralYellow = cardPaddingYNeutralYellow;
+/** @deprecated Use `cardPaddingYNeutralInverseBlue` instead. */
+export const cardPaddingBottomNeutralInverseBlue = cardPaddingYNeutralInverseBlue;
+/** @deprecated Use `cardPaddingYNeutralInverseGreen` instead. */
+export const cardPaddingBottomNeutralInverseGreen = cardPaddingYNeutralInverseGreen;
+/** @deprecated Use `cardPaddingYNeutralInverseRed` instead. */
+export const cardPaddingBottomNeutralInverseRed = cardPaddingYNeutralInverseRed;
+/** @deprecated Use `cardPaddingYNeutralInverseYellow` instead. */
+export const cardPaddingBottomNeutralInverseYellow = cardPaddingYNeutralInverseYellow;
+/** @deprecated Use `cardPaddingYSubtleBlue` instead. */
+export const cardPaddingBottomSubtleBlue = cardPaddingYSubtleBlue;
+/** @deprecated Use `cardPaddingYSubtleGreen` instead. */
+export const cardPaddingBottomSubtleGreen = cardPaddingYSubtleGreen;
+/** @deprecated Use `cardPaddingYSubtleRed` instead. */
+export const cardPaddingBottomSubtleRed = cardPaddingYSubtleRed;
+/** @deprecated Use `cardPaddingYSubtleYellow` instead. */
+export const cardPaddingBottomSubtleYellow = cardPaddingYSubtleYellow;
+/** @deprecated Use `cardPaddingYBoldBlue` instead. */
+export const cardPaddingBottomBoldBlue = cardPaddingYBoldBlue;
+/** @deprecated Use `cardPaddingYBoldGreen` instead. */
+export const cardPaddingBottomBoldGreen = cardPaddingYBoldGreen;
+/** @deprecated Use `cardPaddingYBoldRed` instead. */
+export const cardPaddingBottomBoldRed = cardPaddingYBoldRed;
+/** @deprecated Use `cardPaddingYBoldYellow` instead. */
+export const cardPaddingBottomBoldYellow = cardPaddingYBoldYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralBlue` instead. */
+export const headerButtonPaddingRightNeutralBlue = headerButtonPaddingDefaultXNeutralBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralGreen` instead. */
+export const headerButtonPaddingRightNeutralGreen = headerButtonPaddingDefaultXNeutralGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralRed` instead. */
+export const headerButtonPaddingRightNeutralRed = headerButtonPaddingDefaultXNeutralRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralYellow` instead. */
+export const headerButtonPaddingRightNeutralYellow = headerButtonPaddingDefaultXNeutralYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseBlue` instead. */
+export const headerButtonPaddingRightNeutralInverseBlue = headerButtonPaddingDefaultXNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseGreen` instead. */
+export const headerButtonPaddingRightNeutralInverseGreen = headerButtonPaddingDefaultXNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseRed` instead. */
+export const headerButtonPaddingRightNeutralInverseRed = headerButtonPaddingDefaultXNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseYellow` instead. */
+export const headerButtonPaddingRightNeutralInverseYellow = headerButtonPaddingDefaultXNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleBlue` instead. */
+export const headerButtonPaddingRightSubtleBlue = headerButtonPaddingDefaultXSubtleBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleGreen` instead. */
+export const headerButtonPaddingRightSubtleGreen = headerButtonPaddingDefaultXSubtleGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleRed` instead. */
+export const headerButtonPaddingRightSubtleRed = headerButtonPaddingDefaultXSubtleRed;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleYellow` instead. */
+export const headerButtonPaddingRightSubtleYellow = headerButtonPaddingDefaultXSubtleYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldBlue` instead. */
+export const headerButtonPaddingRightBoldBlue = headerButtonPaddingDefaultXBoldBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldGreen` instead. */
+export const headerButtonPaddingRightBoldGreen = headerButtonPaddingDefaultXBoldGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldRed` instead. */
+export const headerButtonPaddingRightBoldRed = headerButtonPaddingDefaultXBoldRed;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldYellow` instead. */
+export const headerButtonPaddingRightBoldYellow = headerButtonPaddingDefaultXBoldYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralBlue` instead. */
+export const headerButtonPaddingBottomNeutralBlue = headerButtonPaddingYNeutralBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralGreen` instead. */
+export const headerButtonPaddingBottomNeutralGreen = headerButtonPaddingYNeutralGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralRed` instead. */
+export const headerButtonPaddingBottomNeutralRed = headerButtonPaddingYNeutralRed;
+/** @deprecated Use `headerButtonPaddingYNeutralYellow` instead. */
+export const headerButtonPaddingBottomNeutralYellow = headerButtonPaddingYNeutralYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseBlue` instead. */
+export const headerButtonPaddingBottomNeutralInverseBlue = headerButtonPaddingYNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseGreen` instead. */
+export const headerButtonPaddingBottomNeutralInverseGreen = headerButtonPaddingYNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseRed` instead. */
+export const headerButtonPaddingBottomNeutralInverseRed = headerButtonPaddingYNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseYellow` instead. */
+export const headerButtonPaddingBottomNeutralInverseYellow = headerButtonPaddingYNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingYSubtleBlue` instead. */
+export const headerButtonPaddingBottomSubtleBlue = headerButtonPaddingYSubtleBlue;
+/** @deprecated Use `headerButtonPaddingYSubtleGreen` instead. */
+export const headerButtonPaddingBottomSubtleGreen = headerButtonPaddingYSubtleGreen;
+/** @deprecated Use `headerButtonPaddingYSubtleRed` instead. */
+export const headerButtonPaddingBottomSubtleRed = headerButtonPaddingYSubtleRed;
+/** @deprecated Use `headerButtonPaddingYSubtleYellow` instead. */
+export const headerButtonPaddingBottomSubtleYellow = headerButtonPaddingYSubtleYellow;
+/** @deprecated Use `headerButtonPaddingYBoldBlue` instead. */
+export const headerButtonPaddingBottomBoldBlue = headerButtonPaddingYBoldBlue;
+/** @deprecated Use `headerButtonPaddingYBoldGreen` instead. */
+export const headerButtonPaddingBottomBoldGreen = headerButtonPaddingYBoldGreen;
+/** @deprecated Use `headerButtonPaddingYBoldRed` instead. */
+export const headerButtonPaddingBottomBoldRed = headerButtonPaddingYBoldRed;
+/** @deprecated Use `headerButtonPaddingYBoldYellow` instead. */
+export const headerButtonPaddingBottomBoldYellow = headerButtonPaddingYBoldYellow;
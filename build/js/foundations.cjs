@@ -0,0 +1,129 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+exports.dimensionsAssets1 = 16;
+exports.dimensionsAssets2 = 24;
+exports.dimensionsAssets3 = 32;
+exports.dimensionsAssets4 = 80;
+exports.dimensionsAssets5 = 120;
+exports.dimensionsAssets6 = 160;
+exports.dimensionsSmall1 = 4;
+exports.dimensionsSmall2 = 8;
+exports.dimensionsSmall3 = 12;
+exports.dimensionsSmall4 = 16;
+exports.dimensionsSmall5 = 20;
+exports.dimensionsSmall6 = 28;
+exports.dimensionsSmall7 = 36;
+exports.dimensionsSmall8 = 48;
+exports.dimensionsSmall9 = 60;
+exports.dimensionsSmall10 = 84;
+exports.dimensionsLarge1 = 4;
+exports.dimensionsLarge2 = 8;
+exports.dimensionsLarge3 = 12;
+exports.dimensionsLarge4 = 16;
+exports.dimensionsLarge5 = 24;
+exports.dimensionsLarge6 = 32;
+exports.dimensionsLarge7 = 48;
+exports.dimensionsLarge8 = 72;
+exports.dimensionsLarge9 = 104;
+exports.dimensionsLarge10 = 156;
+exports.colourBlue0 = "#ffffff";
+exports.colourBlue100 = "#d2effb";
+exports.colourBlue200 = "#aee1f7";
+exports.colourBlue300 = "#76c8f1";
+exports.colourBlue400 = "#42aeea";
+exports.colourBlue500 = "#1e84d2";
+exports.colourBlue600 = "#005dba";
+exports.colourBlue700 = "#003894";
+exports.colourBlue800 = "#001d6e";
+exports.colourBlue900 = "#000a52";
+exports.colourBlue1000 = "#000039";
+exports.colourGreen0 = "#ffffff";
+exports.colourGreen100 = "#dff6eb";
+exports.colourGreen200 = "#caeedd";
+exports.colourGreen300 = "#7fce9f";
+exports.colourGreen400 = "#43af6e";
+exports.colourGreen500 = "#1a8952";
+exports.colourGreen600 = "#00633d";
+exports.colourGreen700 = "#014a39";
+exports.colourGreen800 = "#01312e";
+exports.colourGreen900 = "#012425";
+exports.colourGreen1000 = "#011b1f";
+exports.colourRed0 = "#ffffff";
+exports.colourRed100 = "#ffd5d2";
+exports.colourRed200 = "#ffc2bd";
+exports.colourRed300 = "#ff7e7e";
+exports.colourRed400 = "#ff3e51";
+exports.colourRed500 = "#e2223e";
+exports.colourRed600 = "#c50b30";
+exports.colourRed700 = "#ad092a";
+exports.colourRed800 = "#940824";
+exports.colourRed900 = "#6e061b";
+exports.colourRed1000 = "#480411";
+exports.colourYellow0 = "#ffffff";
+exports.colourYellow100 = "#fffbdc";
+exports.colourYellow200 = "#fff9c7";
+exports.colourYellow300 = "#fff298";
+exports.colourYellow400 = "#ffe969";
+exports.colourYellow500 = "#ffd335";
+exports.colourYellow600 = "#ffb600";
+exports.colourYellow700 = "#e48616";
+exports.colourYellow800 = "#c86426";
+exports.colourYellow900 = "#904029";
+exports.colourYellow1000 = "#572722";
+exports.colourGreyscale0 = "#ffffff";
+exports.colourGreyscale100 = "#f4f4f4";
+exports.colourGreyscale200 = "#d3d3d3";
+exports.colourGreyscale300 = "#bcbdbd";
+exports.colourGreyscale400 = "#a6a7a7";
+exports.colourGreyscale500 = "#858686";
+exports.colourGreyscale600 = "#7a7b7b";
+exports.colourGreyscale700 = "#4d4f4f";
+exports.colourGreyscale800 = "#343634";
+exports.colourGreyscale900 = "#1d1d1b";
+exports.colourGreyscale1000 = "#000000";
+exports.fontSizeSmall1 = 16;
+exports.fontSizeSmall2 = 20;
+exports.fontSizeSmall3 = 24;
+exports.fontSizeSmall4 = 28;
+exports.fontSizeSmall5 = 32;
+exports.fontSizeSmall6 = 40;
+exports.fontSizeSmall7 = 48;
+exports.fontSizeSmall8 = 56;
+exports.fontSizeSmall9 = 68;
+exports.fontSizeSmall06 = 12;
+exports.fontSizeSmall08 = 14;
+exports.fontSizeLarge1 = 16;
+exports.fontSizeLarge2 = 20;
+exports.fontSizeLarge3 = 24;
+exports.fontSizeLarge4 = 32;
+exports.fontSizeLarge5 = 40;
+exports.fontSizeLarge6 = 48;
+exports.fontSizeLarge7 = 62;
+exports.fontSizeLarge8 = 76;
+exports.fontSizeLarge9 = 115;
+exports.fontSizeLarge06 = 12;
+exports.fontSizeLarge08 = 14;
+exports.lineHeightSmall1 = 22;
+exports.lineHeightSmall2 = 28;
+exports.lineHeightSmall3 = 34;
+exports.lineHeightSmall4 = 36;
+exports.lineHeightSmall5 = 38;
+exports.lineHeightSmall6 = 48;
+exports.lineHeightSmall7 = 58;
+exports.lineHeightSmall8 = 67;
+exports.lineHeightSmall9 = 77;
+exports.lineHeightSmall06 = 14;
+exports.lineHeightSmall08 = 17;
+exports.lineHeightLarge1 = 22;
+exports.lineHeightLarge2 = 28;
+exports.lineHeightLarge3 = 34;
+exports.lineHeightLarge4 = 42;
+exports.lineHeightLarge5 = 48;
+exports.lineHeightLarge6 = 58;
+exports.lineHeightLarge7 = 74;
+exports.lineHeightLarge8 = 91;
+exports.lineHeightLarge9 = 115;
+exports.lineHeightLarge06 = 14;
+exports.lineHeightLarge08 = 17;
@@ -0,0 +1,129 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export declare const dimensionsAssets1: 16;
+export declare const dimensionsAssets2: 24;
+export declare const dimensionsAssets3: 32;
+export declare const dimensionsAssets4: 80;
+export declare const dimensionsAssets5: 120;
+export declare const dimensionsAssets6: 160;
+export declare const dimensionsSmall1: 4;
+export declare const dimensionsSmall2: 8;
+export declare const dimensionsSmall3: 12;
+export declare const dimensionsSmall4: 16;
+export declare const dimensionsSmall5: 20;
+export declare const dimensionsSmall6: 28;
+export declare const dimensionsSmall7: 36;
+export declare const dimensionsSmall8: 48;
+export declare const dimensionsSmall9: 60;
+export declare const dimensionsSmall10: 84;
+export declare const dimensionsLarge1: 4;
+export declare const dimensionsLarge2: 8;
+export declare const dimensionsLarge3: 12;
+export declare const dimensionsLarge4: 16;
+export declare const dimensionsLarge5: 24;
+export declare const dimensionsLarge6: 32;
+export declare const dimensionsLarge7: 48;
+export declare const dimensionsLarge8: 72;
+export declare const dimensionsLarge9: 104;
+export declare const dimensionsLarge10: 156;
+export declare const colourBlue0: "#ffffff";
+export declare const colourBlue100: "#d2effb";
+export declare const colourBlue200: "#aee1f7";
+export declare const colourBlue300: "#76c8f1";
+export declare const colourBlue400: "#42aeea";
+export declare const colourBlue500: "#1e84d2";
+export declare const colourBlue600: "#005dba";
+export declare const colourBlue700: "#003894";
+export declare const colourBlue800: "#001d6e";
+export declare const colourBlue900: "#000a52";
+export declare const colourBlue1000: "#000039";
+export declare const colourGreen0: "#ffffff";
+export declare const colourGreen100: "#dff6eb";
+export declare const colourGreen200: "#caeedd";
+export declare const colourGreen300: "#7fce9f";
+export declare const colourGreen400: "#43af6e";
+export declare const colourGreen500: "#1a8952";
+export declare const colourGreen600: "#00633d";
+export declare const colourGreen700: "#014a39";
+export declare const colourGreen800: "#01312e";
+export declare const colourGreen900: "#012425";
+export declare const colourGreen1000: "#011b1f";
+export declare const colourRed0: "#ffffff";
+export declare const colourRed100: "#ffd5d2";
+export declare const colourRed200: "#ffc2bd";
+export declare const colourRed300: "#ff7e7e";
+export declare const colourRed400: "#ff3e51";
+export declare const colourRed500: "#e2223e";
+export declare const colourRed600: "#c50b30";
+export declare const colourRed700: "#ad092a";
+export declare const colourRed800: "#940824";
+export declare const colourRed900: "#6e061b";
+export declare const colourRed1000: "#480411";
+export declare const colourYellow0: "#ffffff";
+export declare const colourYellow100: "#fffbdc";
+export declare const colourYellow200: "#fff9c7";
+export declare const colourYellow300: "#fff298";
+export declare const colourYellow400: "#ffe969";
+export declare const colourYellow500: "#ffd335";
+export declare const colourYellow600: "#ffb600";
+export declare const colourYellow700: "#e48616";
+export declare const colourYellow800: "#c86426";
+export declare const colourYellow900: "#904029";
+export declare const colourYellow1000: "#572722";
+export declare const colourGreyscale0: "#ffffff";
+export declare const colourGreyscale100: "#f4f4f4";
+export declare const colourGreyscale200: "#d3d3d3";
+export declare const colourGreyscale300: "#bcbdbd";
+export declare const colourGreyscale400: "#a6a7a7";
+export declare const colourGreyscale500: "#858686";
+export declare const colourGreyscale600: "#7a7b7b";
+export declare const colourGreyscale700: "#4d4f4f";
+export declare const colourGreyscale800: "#343634";
+export declare const colourGreyscale900: "#1d1d1b";
+export declare const colourGreyscale1000: "#000000";
+export declare const fontSizeSmall1: 16;
+export declare const fontSizeSmall2: 20;
+export declare const fontSizeSmall3: 24;
+export declare const fontSizeSmall4: 28;
+export declare const fontSizeSmall5: 32;
+export declare const fontSizeSmall6: 40;
+export declare const fontSizeSmall7: 48;
+export declare const fontSizeSmall8: 56;
+export declare const fontSizeSmall9: 68;
+export declare const fontSizeSmall06: 12;
+export declare const fontSizeSmall08: 14;
+export declare const fontSizeLarge1: 16;
+export declare const fontSizeLarge2: 20;
+export declare const fontSizeLarge3: 24;
+export declare const fontSizeLarge4: 32;
+export declare const fontSizeLarge5: 40;
+export declare const fontSizeLarge6: 48;
+export declare const fontSizeLarge7: 62;
+export declare const fontSizeLarge8: 76;
+export declare const fontSizeLarge9: 115;
+export declare const fontSizeLarge06: 12;
+export declare const fontSizeLarge08: 14;
+export declare const lineHeightSmall1: 22;
+export declare const lineHeightSmall2: 28;
+export declare const lineHeightSmall3: 34;
+export declare const lineHeightSmall4: 36;
+export declare const lineHeightSmall5: 38;
+export declare const lineHeightSmall6: 48;
+export declare const lineHeightSmall7: 58;
+export declare const lineHeightSmall8: 67;
+export declare const lineHeightSmall9: 77;
+export declare const lineHeightSmall06: 14;
+export declare const lineHeightSmall08: 17;
+export declare const lineHeightLarge1: 22;
+export declare const lineHeightLarge2: 28;
+export declare const lineHeightLarge3: 34;
+export declare const lineHeightLarge4: 42;
+export declare const lineHeightLarge5: 48;
+export declare const lineHeightLarge6: 58;
+export declare const lineHeightLarge7: 74;
+export declare const lineHeightLarge8: 91;
+export declare const lineHeightLarge9: 115;
+export declare const lineHeightLarge06: 14;
+export declare const lineHeightLarge08: 17;
@@ -0,0 +1,129 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const dimensionsAssets1 = 16;
+export const dimensionsAssets2 = 24;
+export const dimensionsAssets3 = 32;
+export const dimensionsAssets4 = 80;
+export const dimensionsAssets5 = 120;
+export const dimensionsAssets6 = 160;
+export const dimensionsSmall1 = 4;
+export const dimensionsSmall2 = 8;
+export const dimensionsSmall3 = 12;
+export const dimensionsSmall4 = 16;
+export const dimensionsSmall5 = 20;
+export const dimensionsSmall6 = 28;
+export const dimensionsSmall7 = 36;
+export const dimensionsSmall8 = 48;
+export const dimensionsSmall9 = 60;
+export const dimensionsSmall10 = 84;
+export const dimensionsLarge1 = 4;
+export const dimensionsLarge2 = 8;
+export const dimensionsLarge3 = 12;
+export const dimensionsLarge4 = 16;
+export const dimensionsLarge5 = 24;
+export const dimensionsLarge6 = 32;
+export const dimensionsLarge7 = 48;
+export const dimensionsLarge8 = 72;
+export const dimensionsLarge9 = 104;
+export const dimensionsLarge10 = 156;
+export const colourBlue0 = "#ffffff";
+export const colourBlue100 = "#d2effb";
+export const colourBlue200 = "#aee1f7";
+export const colourBlue300 = "#76c8f1";
+export const colourBlue400 = "#42aeea";
+export const colourBlue500 = "#1e84d2";
+export const colourBlue600 = "#005dba";
+export const colourBlue700 = "#003894";
+export const colourBlue800 = "#001d6e";
+export const colourBlue900 = "#000a52";
+export const colourBlue1000 = "#000039";
+export const colourGreen0 = "#ffffff";
+export const colourGreen100 = "#dff6eb";
+export const colourGreen200 = "#caeedd";
+export const colourGreen300 = "#7fce9f";
+export const colourGreen400 = "#43af6e";
+export const colourGreen500 = "#1a8952";
+export const colourGreen600 = "#00633d";
+export const colourGreen700 = "#014a39";
+export const colourGreen800 = "#01312e";
+export const colourGreen900 = "#012425";
+export const colourGreen1000 = "#011b1f";
+export const colourRed0 = "#ffffff";
+export const colourRed100 = "#ffd5d2";
+export const colourRed200 = "#ffc2bd";
+export const colourRed300 = "#ff7e7e";
+export const colourRed400 = "#ff3e51";
+export const colourRed500 = "#e2223e";
+export const colourRed600 = "#c50b30";
+export const colourRed700 = "#ad092a";
+export const colourRed800 = "#940824";
+export const colourRed900 = "#6e061b";
+export const colourRed1000 = "#480411";
+export const colourYellow0 = "#ffffff";
+export const colourYellow100 = "#fffbdc";
+export const colourYellow200 = "#fff9c7";
+export const colourYellow300 = "#fff298";
+export const colourYellow400 = "#ffe969";
+export const colourYellow500 = "#ffd335";
+export const colourYellow600 = "#ffb600";
+export const colourYellow700 = "#e48616";
+export const colourYellow800 = "#c86426";
+export const colourYellow900 = "#904029";
+export const colourYellow1000 = "#572722";
+export const colourGreyscale0 = "#ffffff";
+export const colourGreyscale100 = "#f4f4f4";
+export const colourGreyscale200 = "#d3d3d3";
+export const colourGreyscale300 = "#bcbdbd";
+export const colourGreyscale400 = "#a6a7a7";
+export const colourGreyscale500 = "#858686";
+export const colourGreyscale600 = "#7a7b7b";
+export const colourGreyscale700 = "#4d4f4f";
+export const colourGreyscale800 = "#343634";
+export const colourGreyscale900 = "#1d1d1b";
+export const colourGreyscale1000 = "#000000";
+export const fontSizeSmall1 = 16;
+export const fontSizeSmall2 = 20;
+export const fontSizeSmall3 = 24;
+export const fontSizeSmall4 = 28;
+export const fontSizeSmall5 = 32;
+export const fontSizeSmall6 = 40;
+export const fontSizeSmall7 = 48;
+export const fontSizeSmall8 = 56;
+export const fontSizeSmall9 = 68;
+export const fontSizeSmall06 = 12;
+export const fontSizeSmall08 = 14;
+export const fontSizeLarge1 = 16;
+export const fontSizeLarge2 = 20;
+export const fontSizeLarge3 = 24;
+export const fontSizeLarge4 = 32;
+export const fontSizeLarge5 = 40;
+export const fontSizeLarge6 = 48;
+export const fontSizeLarge7 = 62;
+export const fontSizeLarge8 = 76;
+export const fontSizeLarge9 = 115;
+export const fontSizeLarge06 = 12;
+export const fontSizeLarge08 = 14;
+export const lineHeightSmall1 = 22;
+export const lineHeightSmall2 = 28;
+export const lineHeightSmall3 = 34;
+export const lineHeightSmall4 = 36;
+export const lineHeightSmall5 = 38;
+export const lineHeightSmall6 = 48;
+export const lineHeightSmall7 = 58;
+export const lineHeightSmall8 = 67;
+export const lineHeightSmall9 = 77;
+export const lineHeightSmall06 = 14;
+export const lineHeightSmall08 = 17;
+export const lineHeightLarge1 = 22;
+export const lineHeightLarge2 = 28;
+export const lineHeightLarge3 = 34;
+export const lineHeightLarge4 = 42;
+export const lineHeightLarge5 = 48;
+export const lineHeightLarge6 = 58;
+export const lineHeightLarge7 = 74;
+export const lineHeightLarge8 = 91;
+export const lineHeightLarge9 = 115;
+export const lineHeightLarge06 = 14;
+export const lineHeightLarge08 = 17;
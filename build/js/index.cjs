@@ -0,0 +1,16 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+function __exportStar(m, exports) {
+  for (var p in m) {
+    if (p !== 'default' && !Object.prototype.hasOwnProperty.call(exports, p)) exports[p] = m[p];
+  }
+}
+
+__exportStar(require('./colour.cjs'), exports);
+__exportStar(require('./component-themes.cjs'), exports);
+__exportStar(require('./foundations.cjs'), exports);
+__exportStar(require('./layout.cjs'), exports);
+__exportStar(require('./text-elements.cjs'), exports);
+__exportStar(require('./typography.cjs'), exports);
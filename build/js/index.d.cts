@@ -0,0 +1,11 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export * from './colour.cjs';
+export * from './component-themes.cjs';
+export * from './foundations.cjs';
+export * from './layout.cjs';
+export * from './text-elements.cjs';
+export * from './typography.cjs';
+export type { CanopyTheme, CanopyStatusTheme } from './types.cjs';
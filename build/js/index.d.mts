@@ -0,0 +1,11 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export * from './colour.mjs';
+export * from './component-themes.mjs';
+export * from './foundations.mjs';
+export * from './layout.mjs';
+export * from './text-elements.mjs';
+export * from './typography.mjs';
+export type { CanopyTheme, CanopyStatusTheme } from './types.mjs';
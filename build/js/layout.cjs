@@ -0,0 +1,389 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+exports.fontSize1Sm = 16;
+exports.fontSize1Md = 16;
+exports.fontSize1Lg = 16;
+exports.fontSize1Xl = 16;
+exports.fontSize1Xxl = 16;
+exports.fontSize2Sm = 20;
+exports.fontSize2Md = 20;
+exports.fontSize2Lg = 20;
+exports.fontSize2Xl = 20;
+exports.fontSize2Xxl = 20;
+exports.fontSize3Sm = 24;
+exports.fontSize3Md = 24;
+exports.fontSize3Lg = 24;
+exports.fontSize3Xl = 24;
+exports.fontSize3Xxl = 24;
+exports.fontSize4Sm = 28;
+exports.fontSize4Md = 28;
+exports.fontSize4Lg = 32;
+exports.fontSize4Xl = 32;
+exports.fontSize4Xxl = 32;
+exports.fontSize5Sm = 32;
+exports.fontSize5Md = 32;
+exports.fontSize5Lg = 40;
+exports.fontSize5Xl = 40;
+exports.fontSize5Xxl = 40;
+exports.fontSize6Sm = 40;
+exports.fontSize6Md = 40;
+exports.fontSize6Lg = 48;
+exports.fontSize6Xl = 48;
+exports.fontSize6Xxl = 48;
+exports.fontSize7Sm = 48;
+exports.fontSize7Md = 48;
+exports.fontSize7Lg = 62;
+exports.fontSize7Xl = 62;
+exports.fontSize7Xxl = 62;
+exports.fontSize8Sm = 56;
+exports.fontSize8Md = 56;
+exports.fontSize8Lg = 76;
+exports.fontSize8Xl = 76;
+exports.fontSize8Xxl = 76;
+exports.fontSize9Sm = 68;
+exports.fontSize9Md = 68;
+exports.fontSize9Lg = 115;
+exports.fontSize9Xl = 115;
+exports.fontSize9Xxl = 115;
+exports.fontSize06Sm = 12;
+exports.fontSize06Md = 12;
+exports.fontSize06Lg = 12;
+exports.fontSize06Xl = 12;
+exports.fontSize06Xxl = 12;
+exports.fontSize08Sm = 14;
+exports.fontSize08Md = 14;
+exports.fontSize08Lg = 14;
+exports.fontSize08Xl = 14;
+exports.fontSize08Xxl = 14;
+exports.lineHeight1Sm = 22;
+exports.lineHeight1Md = 22;
+exports.lineHeight1Lg = 22;
+exports.lineHeight1Xl = 22;
+exports.lineHeight1Xxl = 22;
+exports.lineHeight2Sm = 28;
+exports.lineHeight2Md = 28;
+exports.lineHeight2Lg = 28;
+exports.lineHeight2Xl = 28;
+exports.lineHeight2Xxl = 28;
+exports.lineHeight3Sm = 34;
+exports.lineHeight3Md = 34;
+exports.lineHeight3Lg = 34;
+exports.lineHeight3Xl = 34;
+exports.lineHeight3Xxl = 34;
+exports.lineHeight4Sm = 36;
+exports.lineHeight4Md = 36;
+exports.lineHeight4Lg = 42;
+exports.lineHeight4Xl = 42;
+exports.lineHeight4Xxl = 42;
+exports.lineHeight5Sm = 38;
+exports.lineHeight5Md = 38;
+exports.lineHeight5Lg = 48;
+exports.lineHeight5Xl = 48;
+exports.lineHeight5Xxl = 48;
+exports.lineHeight6Sm = 48;
+exports.lineHeight6Md = 48;
+exports.lineHeight6Lg = 58;
+exports.lineHeight6Xl = 58;
+exports.lineHeight6Xxl = 58;
+exports.lineHeight7Sm = 58;
+exports.lineHeight7Md = 58;
+exports.lineHeight7Lg = 74;
+exports.lineHeight7Xl = 74;
+exports.lineHeight7Xxl = 74;
+exports.lineHeight8Sm = 67;
+exports.lineHeight8Md = 67;
+exports.lineHeight8Lg = 91;
+exports.lineHeight8Xl = 91;
+exports.lineHeight8Xxl = 91;
+exports.lineHeight9Sm = 77;
+exports.lineHeight9Md = 77;
+exports.lineHeight9Lg = 115;
+exports.lineHeight9Xl = 115;
+exports.lineHeight9Xxl = 115;
+exports.lineHeight06Sm = 14;
+exports.lineHeight06Md = 14;
+exports.lineHeight06Lg = 14;
+exports.lineHeight06Xl = 14;
+exports.lineHeight06Xxl = 14;
+exports.lineHeight08Sm = 17;
+exports.lineHeight08Md = 17;
+exports.lineHeight08Lg = 17;
+exports.lineHeight08Xl = 17;
+exports.lineHeight08Xxl = 17;
+exports.pageColsSm = 1;
+exports.pageColsMd = 12;
+exports.pageColsLg = 12;
+exports.pageColsXl = 12;
+exports.pageColsXxl = 12;
+exports.pageGutterSm = 28;
+exports.pageGutterMd = 28;
+exports.pageGutterLg = 32;
+exports.pageGutterXl = 32;
+exports.pageGutterXxl = 32;
+exports.pageMinWidthSm = 320;
+exports.pageMinWidthMd = 768;
+exports.pageMinWidthLg = 1024;
+exports.pageMinWidthXl = 1280;
+exports.pageMinWidthXxl = 1440;
+exports.pageMarginSm = 16;
+exports.pageMarginMd = 28;
+exports.pageMarginLg = 32;
+exports.pageMarginXl = 72;
+exports.pageMarginXxl = 104;
+exports.pageMaxWidthSm = 767;
+exports.pageMaxWidthMd = 1023;
+exports.pageMaxWidthLg = 1279;
+exports.pageMaxWidthXl = 1439;
+exports.pageMaxWidthXxl = 1680;
+exports.componentMinWidthSm = 232;
+exports.componentMinWidthMd = 232;
+exports.componentMinWidthLg = 232;
+exports.componentMinWidthXl = 232;
+exports.componentMinWidthXxl = 232;
+exports.borderRadius1Sm = 4;
+exports.borderRadius1Md = 4;
+exports.borderRadius1Lg = 4;
+exports.borderRadius1Xl = 4;
+exports.borderRadius1Xxl = 4;
+exports.borderRadius2Sm = 8;
+exports.borderRadius2Md = 8;
+exports.borderRadius2Lg = 8;
+exports.borderRadius2Xl = 8;
+exports.borderRadius2Xxl = 8;
+exports.borderRadius3Sm = 12;
+exports.borderRadius3Md = 12;
+exports.borderRadius3Lg = 12;
+exports.borderRadius3Xl = 12;
+exports.borderRadius3Xxl = 12;
+exports.borderRadius4Sm = 16;
+exports.borderRadius4Md = 16;
+exports.borderRadius4Lg = 16;
+exports.borderRadius4Xl = 16;
+exports.borderRadius4Xxl = 16;
+exports.borderRadius5Sm = 20;
+exports.borderRadius5Md = 20;
+exports.borderRadius5Lg = 24;
+exports.borderRadius5Xl = 24;
+exports.borderRadius5Xxl = 24;
+exports.borderRadius6Sm = 28;
+exports.borderRadius6Md = 28;
+exports.borderRadius6Lg = 32;
+exports.borderRadius6Xl = 32;
+exports.borderRadius6Xxl = 32;
+exports.borderRadius7Sm = 36;
+exports.borderRadius7Md = 36;
+exports.borderRadius7Lg = 48;
+exports.borderRadius7Xl = 48;
+exports.borderRadius7Xxl = 48;
+exports.borderRadius8Sm = 48;
+exports.borderRadius8Md = 48;
+exports.borderRadius8Lg = 72;
+exports.borderRadius8Xl = 72;
+exports.borderRadius8Xxl = 72;
+exports.borderRadius9Sm = 60;
+exports.borderRadius9Md = 60;
+exports.borderRadius9Lg = 104;
+exports.borderRadius9Xl = 104;
+exports.borderRadius9Xxl = 104;
+exports.borderRadius10Sm = 84;
+exports.borderRadius10Md = 84;
+exports.borderRadius10Lg = 156;
+exports.borderRadius10Xl = 156;
+exports.borderRadius10Xxl = 156;
+exports.borderWidthXsSm = 1;
+exports.borderWidthXsMd = 1;
+exports.borderWidthXsLg = 1;
+exports.borderWidthXsXl = 1;
+exports.borderWidthXsXxl = 1;
+exports.borderWidthSmSm = 1.5;
+exports.borderWidthSmMd = 1.5;
+exports.borderWidthSmLg = 1.5;
+exports.borderWidthSmXl = 1.5;
+exports.borderWidthSmXxl = 1.5;
+exports.borderWidthMdSm = 2;
+exports.borderWidthMdMd = 2;
+exports.borderWidthMdLg = 2;
+exports.borderWidthMdXl = 2;
+exports.borderWidthMdXxl = 2;
+exports.borderWidthLgSm = 3;
+exports.borderWidthLgMd = 3;
+exports.borderWidthLgLg = 3;
+exports.borderWidthLgXl = 3;
+exports.borderWidthLgXxl = 3;
+exports.colspan1Sm = 288;
+exports.colspan1Md = 34;
+exports.colspan1Lg = 51;
+exports.colspan1Xl = 65;
+exports.colspan1Xxl = 73;
+exports.colspan2Sm = 288;
+exports.colspan2Md = 95;
+exports.colspan2Lg = 133;
+exports.colspan2Xl = 162;
+exports.colspan2Xxl = 178;
+exports.colspan3Sm = 288;
+exports.colspan3Md = 157;
+exports.colspan3Lg = 216;
+exports.colspan3Xl = 260;
+exports.colspan3Xxl = 284;
+exports.colspan4Sm = 288;
+exports.colspan4Md = 218.5;
+exports.colspan4Lg = 298.5;
+exports.colspan4Xl = 357;
+exports.colspan4Xxl = 389;
+exports.colspan5Sm = 288;
+exports.colspan5Md = 280;
+exports.colspan5Lg = 381;
+exports.colspan5Xl = 454;
+exports.colspan5Xxl = 494;
+exports.colspan6Sm = 288;
+exports.colspan6Md = 341;
+exports.colspan6Lg = 464;
+exports.colspan6Xl = 552;
+exports.colspan6Xxl = 600;
+exports.colspan7Sm = 288;
+exports.colspan7Md = 404;
+exports.colspan7Lg = 547;
+exports.colspan7Xl = 649;
+exports.colspan7Xxl = 705;
+exports.colspan8Sm = 288;
+exports.colspan8Md = 465;
+exports.colspan8Lg = 629;
+exports.colspan8Xl = 746;
+exports.colspan8Xxl = 810;
+exports.colspan9Sm = 288;
+exports.colspan9Md = 527;
+exports.colspan9Lg = 712;
+exports.colspan9Xl = 844;
+exports.colspan9Xxl = 916;
+exports.colspan10Sm = 288;
+exports.colspan10Md = 589;
+exports.colspan10Lg = 795;
+exports.colspan10Xl = 941;
+exports.colspan10Xxl = 1021;
+exports.colspan11Sm = 288;
+exports.colspan11Md = 650;
+exports.colspan11Lg = 877;
+exports.colspan11Xl = 1038;
+exports.colspan11Xxl = 1126;
+exports.colspan12Sm = 288;
+exports.colspan12Md = 712;
+exports.colspan12Lg = 960;
+exports.colspan12Xl = 1136;
+exports.colspan12Xxl = 1232;
+exports.space1Sm = 4;
+exports.space1Md = 4;
+exports.space1Lg = 4;
+exports.space1Xl = 4;
+exports.space1Xxl = 4;
+exports.space2Sm = 8;
+exports.space2Md = 8;
+exports.space2Lg = 8;
+exports.space2Xl = 8;
+exports.space2Xxl = 8;
+exports.space3Sm = 12;
+exports.space3Md = 12;
+exports.space3Lg = 12;
+exports.space3Xl = 12;
+exports.space3Xxl = 12;
+exports.space4Sm = 16;
+exports.space4Md = 16;
+exports.space4Lg = 16;
+exports.space4Xl = 16;
+exports.space4Xxl = 16;
+exports.space5Sm = 20;
+exports.space5Md = 20;
+exports.space5Lg = 24;
+exports.space5Xl = 24;
+exports.space5Xxl = 24;
+exports.space6Sm = 28;
+exports.space6Md = 28;
+exports.space6Lg = 32;
+exports.space6Xl = 32;
+exports.space6Xxl = 32;
+exports.space7Sm = 36;
+exports.space7Md = 36;
+exports.space7Lg = 48;
+exports.space7Xl = 48;
+exports.space7Xxl = 48;
+exports.space8Sm = 48;
+exports.space8Md = 48;
+exports.space8Lg = 72;
+exports.space8Xl = 72;
+exports.space8Xxl = 72;
+exports.space9Sm = 60;
+exports.space9Md = 60;
+exports.space9Lg = 104;
+exports.space9Xl = 104;
+exports.space9Xxl = 104;
+exports.space10Sm = 84;
+exports.space10Md = 84;
+exports.space10Lg = 156;
+exports.space10Xl = 156;
+exports.space10Xxl = 156;
+exports.visibilityHideAtSmSm = true;
+exports.visibilityHideAtSmMd = false;
+exports.visibilityHideAtSmLg = false;
+exports.visibilityHideAtSmXl = false;
+exports.visibilityHideAtSmXxl = false;
+exports.visibilityHideAtMdSm = true;
+exports.visibilityHideAtMdMd = true;
+exports.visibilityHideAtMdLg = false;
+exports.visibilityHideAtMdXl = false;
+exports.visibilityHideAtMdXxl = false;
+exports.visibilityHideAtLgSm = true;
+exports.visibilityHideAtLgMd = true;
+exports.visibilityHideAtLgLg = true;
+exports.visibilityHideAtLgXl = false;
+exports.visibilityHideAtLgXxl = false;
+exports.visibilityHideAtXlSm = true;
+exports.visibilityHideAtXlMd = true;
+exports.visibilityHideAtXlLg = true;
+exports.visibilityHideAtXlXl = true;
+exports.visibilityHideAtXlXxl = false;
+exports.visibilityShowAtSmSm = true;
+exports.visibilityShowAtSmMd = true;
+exports.visibilityShowAtSmLg = true;
+exports.visibilityShowAtSmXl = true;
+exports.visibilityShowAtSmXxl = true;
+exports.visibilityShowAtMdSm = false;
+exports.visibilityShowAtMdMd = true;
+exports.visibilityShowAtMdLg = true;
+exports.visibilityShowAtMdXl = true;
+exports.visibilityShowAtMdXxl = true;
+exports.visibilityShowAtLgSm = false;
+exports.visibilityShowAtLgMd = false;
+exports.visibilityShowAtLgLg = true;
+exports.visibilityShowAtLgXl = true;
+exports.visibilityShowAtLgXxl = true;
+exports.visibilityShowAtXlSm = false;
+exports.visibilityShowAtXlMd = false;
+exports.visibilityShowAtXlLg = false;
+exports.visibilityShowAtXlXl = true;
+exports.visibilityShowAtXlXxl = true;
+exports.assetSizeXsSm = 16;
+exports.assetSizeXsMd = 16;
+exports.assetSizeXsLg = 16;
+exports.assetSizeXsXl = 16;
+exports.assetSizeXsXxl = 16;
+exports.assetSizeSmSm = 24;
+exports.assetSizeSmMd = 24;
+exports.assetSizeSmLg = 24;
+exports.assetSizeSmXl = 24;
+exports.assetSizeSmXxl = 24;
+exports.assetSizeMdSm = 32;
+exports.assetSizeMdMd = 32;
+exports.assetSizeMdLg = 32;
+exports.assetSizeMdXl = 32;
+exports.assetSizeMdXxl = 32;
+exports.assetSizeLgSm = 80;
+exports.assetSizeLgMd = 80;
+exports.assetSizeLgLg = 120;
+exports.assetSizeLgXl = 120;
+exports.assetSizeLgXxl = 160;
+exports.assetSizeXlSm = 160;
+exports.assetSizeXlMd = 160;
+exports.assetSizeXlLg = 160;
+exports.assetSizeXlXl = 160;
+exports.assetSizeXlXxl = 160;
@@ -0,0 +1,389 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export declare const fontSize1Sm: 16;
+export declare const fontSize1Md: 16;
+export declare const fontSize1Lg: 16;
+export declare const fontSize1Xl: 16;
+export declare const fontSize1Xxl: 16;
+export declare const fontSize2Sm: 20;
+export declare const fontSize2Md: 20;
+export declare const fontSize2Lg: 20;
+export declare const fontSize2Xl: 20;
+export declare const fontSize2Xxl: 20;
+export declare const fontSize3Sm: 24;
+export declare const fontSize3Md: 24;
+export declare const fontSize3Lg: 24;
+export declare const fontSize3Xl: 24;
+export declare const fontSize3Xxl: 24;
+export declare const fontSize4Sm: 28;
+export declare const fontSize4Md: 28;
+export declare const fontSize4Lg: 32;
+export declare const fontSize4Xl: 32;
+export declare const fontSize4Xxl: 32;
+export declare const fontSize5Sm: 32;
+export declare const fontSize5Md: 32;
+export declare const fontSize5Lg: 40;
+export declare const fontSize5Xl: 40;
+export declare const fontSize5Xxl: 40;
+export declare const fontSize6Sm: 40;
+export declare const fontSize6Md: 40;
+export declare const fontSize6Lg: 48;
+export declare const fontSize6Xl: 48;
+export declare const fontSize6Xxl: 48;
+export declare const fontSize7Sm: 48;
+export declare const fontSize7Md: 48;
+export declare const fontSize7Lg: 62;
+export declare const fontSize7Xl: 62;
+export declare const fontSize7Xxl: 62;
+export declare const fontSize8Sm: 56;
+export declare const fontSize8Md: 56;
+export declare const fontSize8Lg: 76;
+export declare const fontSize8Xl: 76;
+export declare const fontSize8Xxl: 76;
+export declare const fontSize9Sm: 68;
+export declare const fontSize9Md: 68;
+export declare const fontSize9Lg: 115;
+export declare const fontSize9Xl: 115;
+export declare const fontSize9Xxl: 115;
+export declare const fontSize06Sm: 12;
+export declare const fontSize06Md: 12;
+export declare const fontSize06Lg: 12;
+export declare const fontSize06Xl: 12;
+export declare const fontSize06Xxl: 12;
+export declare const fontSize08Sm: 14;
+export declare const fontSize08Md: 14;
+export declare const fontSize08Lg: 14;
+export declare const fontSize08Xl: 14;
+export declare const fontSize08Xxl: 14;
+export declare const lineHeight1Sm: 22;
+export declare const lineHeight1Md: 22;
+export declare const lineHeight1Lg: 22;
+export declare const lineHeight1Xl: 22;
+export declare const lineHeight1Xxl: 22;
+export declare const lineHeight2Sm: 28;
+export declare const lineHeight2Md: 28;
+export declare const lineHeight2Lg: 28;
+export declare const lineHeight2Xl: 28;
+export declare const lineHeight2Xxl: 28;
+export declare const lineHeight3Sm: 34;
+export declare const lineHeight3Md: 34;
+export declare const lineHeight3Lg: 34;
+export declare const lineHeight3Xl: 34;
+export declare const lineHeight3Xxl: 34;
+export declare const lineHeight4Sm: 36;
+export declare const lineHeight4Md: 36;
+export declare const lineHeight4Lg: 42;
+export declare const lineHeight4Xl: 42;
+export declare const lineHeight4Xxl: 42;
+export declare const lineHeight5Sm: 38;
+export declare const lineHeight5Md: 38;
+export declare const lineHeight5Lg: 48;
+export declare const lineHeight5Xl: 48;
+export declare const lineHeight5Xxl: 48;
+export declare const lineHeight6Sm: 48;
+export declare const lineHeight6Md: 48;
+export declare const lineHeight6Lg: 58;
+export declare const lineHeight6Xl: 58;
+export declare const lineHeight6Xxl: 58;
+export declare const lineHeight7Sm: 58;
+export declare const lineHeight7Md: 58;
+export declare const lineHeight7Lg: 74;
+export declare const lineHeight7Xl: 74;
+export declare const lineHeight7Xxl: 74;
+export declare const lineHeight8Sm: 67;
+export declare const lineHeight8Md: 67;
+export declare const lineHeight8Lg: 91;
+export declare const lineHeight8Xl: 91;
+export declare const lineHeight8Xxl: 91;
+export declare const lineHeight9Sm: 77;
+export declare const lineHeight9Md: 77;
+export declare const lineHeight9Lg: 115;
+export declare const lineHeight9Xl: 115;
+export declare const lineHeight9Xxl: 115;
+export declare const lineHeight06Sm: 14;
+export declare const lineHeight06Md: 14;
+export declare const lineHeight06Lg: 14;
+export declare const lineHeight06Xl: 14;
+export declare const lineHeight06Xxl: 14;
+export declare const lineHeight08Sm: 17;
+export declare const lineHeight08Md: 17;
+export declare const lineHeight08Lg: 17;
+export declare const lineHeight08Xl: 17;
+export declare const lineHeight08Xxl: 17;
+export declare const pageColsSm: 1;
+export declare const pageColsMd: 12;
+export declare const pageColsLg: 12;
+export declare const pageColsXl: 12;
+export declare const pageColsXxl: 12;
+export declare const pageGutterSm: 28;
+export declare const pageGutterMd: 28;
+export declare const pageGutterLg: 32;
+export declare const pageGutterXl: 32;
+export declare const pageGutterXxl: 32;
+export declare const pageMinWidthSm: 320;
+export declare const pageMinWidthMd: 768;
+export declare const pageMinWidthLg: 1024;
+export declare const pageMinWidthXl: 1280;
+export declare const pageMinWidthXxl: 1440;
+export declare const pageMarginSm: 16;
+export declare const pageMarginMd: 28;
+export declare const pageMarginLg: 32;
+export declare const pageMarginXl: 72;
+export declare const pageMarginXxl: 104;
+export declare const pageMaxWidthSm: 767;
+export declare const pageMaxWidthMd: 1023;
+export declare const pageMaxWidthLg: 1279;
+export declare const pageMaxWidthXl: 1439;
+export declare const pageMaxWidthXxl: 1680;
+export declare const componentMinWidthSm: 232;
+export declare const componentMinWidthMd: 232;
+export declare const componentMinWidthLg: 232;
+export declare const componentMinWidthXl: 232;
+export declare const componentMinWidthXxl: 232;
+export declare const borderRadius1Sm: 4;
+export declare const borderRadius1Md: 4;
+export declare const borderRadius1Lg: 4;
+export declare const borderRadius1Xl: 4;
+export declare const borderRadius1Xxl: 4;
+export declare const borderRadius2Sm: 8;
+export declare const borderRadius2Md: 8;
+export declare const borderRadius2Lg: 8;
+export declare const borderRadius2Xl: 8;
+export declare const borderRadius2Xxl: 8;
+export declare const borderRadius3Sm: 12;
+export declare const borderRadius3Md: 12;
+export declare const borderRadius3Lg: 12;
+export declare const borderRadius3Xl: 12;
+export declare const borderRadius3Xxl: 12;
+export declare const borderRadius4Sm: 16;
+export declare const borderRadius4Md: 16;
+export declare const borderRadius4Lg: 16;
+export declare const borderRadius4Xl: 16;
+export declare const borderRadius4Xxl: 16;
+export declare const borderRadius5Sm: 20;
+export declare const borderRadius5Md: 20;
+export declare const borderRadius5Lg: 24;
+export declare const borderRadius5Xl: 24;
+export declare const borderRadius5Xxl: 24;
+export declare const borderRadius6Sm: 28;
+export declare const borderRadius6Md: 28;
+export declare const borderRadius6Lg: 32;
+export declare const borderRadius6Xl: 32;
+export declare const borderRadius6Xxl: 32;
+export declare const borderRadius7Sm: 36;
+export declare const borderRadius7Md: 36;
+export declare const borderRadius7Lg: 48;
+export declare const borderRadius7Xl: 48;
+export declare const borderRadius7Xxl: 48;
+export declare const borderRadius8Sm: 48;
+export declare const borderRadius8Md: 48;
+export declare const borderRadius8Lg: 72;
+export declare const borderRadius8Xl: 72;
+export declare const borderRadius8Xxl: 72;
+export declare const borderRadius9Sm: 60;
+export declare const borderRadius9Md: 60;
+export declare const borderRadius9Lg: 104;
+export declare const borderRadius9Xl: 104;
+export declare const borderRadius9Xxl: 104;
+export declare const borderRadius10Sm: 84;
+export declare const borderRadius10Md: 84;
+export declare const borderRadius10Lg: 156;
+export declare const borderRadius10Xl: 156;
+export declare const borderRadius10Xxl: 156;
+export declare const borderWidthXsSm: 1;
+export declare const borderWidthXsMd: 1;
+export declare const borderWidthXsLg: 1;
+export declare const borderWidthXsXl: 1;
+export declare const borderWidthXsXxl: 1;
+export declare const borderWidthSmSm: 1.5;
+export declare const borderWidthSmMd: 1.5;
+export declare const borderWidthSmLg: 1.5;
+export declare const borderWidthSmXl: 1.5;
+export declare const borderWidthSmXxl: 1.5;
+export declare const borderWidthMdSm: 2;
+export declare const borderWidthMdMd: 2;
+export declare const borderWidthMdLg: 2;
+export declare const borderWidthMdXl: 2;
+export declare const borderWidthMdXxl: 2;
+export declare const borderWidthLgSm: 3;
+export declare const borderWidthLgMd: 3;
+export declare const borderWidthLgLg: 3;
+export declare const borderWidthLgXl: 3;
+export declare const borderWidthLgXxl: 3;
+export declare const colspan1Sm: 288;
+export declare const colspan1Md: 34;
+export declare const colspan1Lg: 51;
+export declare const colspan1Xl: 65;
+export declare const colspan1Xxl: 73;
+export declare const colspan2Sm: 288;
+export declare const colspan2Md: 95;
+export declare const colspan2Lg: 133;
+export declare const colspan2Xl: 162;
+export declare const colspan2Xxl: 178;
+export declare const colspan3Sm: 288;
+export declare const colspan3Md: 157;
+export declare const colspan3Lg: 216;
+export declare const colspan3Xl: 260;
+export declare const colspan3Xxl: 284;
+export declare const colspan4Sm: 288;
+export declare const colspan4Md: 218.5;
+export declare const colspan4Lg: 298.5;
+export declare const colspan4Xl: 357;
+export declare const colspan4Xxl: 389;
+export declare const colspan5Sm: 288;
+export declare const colspan5Md: 280;
+export declare const colspan5Lg: 381;
+export declare const colspan5Xl: 454;
+export declare const colspan5Xxl: 494;
+export declare const colspan6Sm: 288;
+export declare const colspan6Md: 341;
+export declare const colspan6Lg: 464;
+export declare const colspan6Xl: 552;
+export declare const colspan6Xxl: 600;
+export declare const colspan7Sm: 288;
+export declare const colspan7Md: 404;
+export declare const colspan7Lg: 547;
+export declare const colspan7Xl: 649;
+export declare const colspan7Xxl: 705;
+export declare const colspan8Sm: 288;
+export declare const colspan8Md: 465;
+export declare const colspan8Lg: 629;
+export declare const colspan8Xl: 746;
+export declare const colspan8Xxl: 810;
+export declare const colspan9Sm: 288;
+export declare const colspan9Md: 527;
+export declare const colspan9Lg: 712;
+export declare const colspan9Xl: 844;
+export declare const colspan9Xxl: 916;
+export declare const colspan10Sm: 288;
+export declare const colspan10Md: 589;
+export declare const colspan10Lg: 795;
+export declare const colspan10Xl: 941;
+export declare const colspan10Xxl: 1021;
+export declare const colspan11Sm: 288;
+export declare const colspan11Md: 650;
+export declare const colspan11Lg: 877;
+export declare const colspan11Xl: 1038;
+export declare const colspan11Xxl: 1126;
+export declare const colspan12Sm: 288;
+export declare const colspan12Md: 712;
+export declare const colspan12Lg: 960;
+export declare const colspan12Xl: 1136;
+export declare const colspan12Xxl: 1232;
+export declare const space1Sm: 4;
+export declare const space1Md: 4;
+export declare const space1Lg: 4;
+export declare const space1Xl: 4;
+export declare const space1Xxl: 4;
+export declare const space2Sm: 8;
+export declare const space2Md: 8;
+export declare const space2Lg: 8;
+export declare const space2Xl: 8;
+export declare const space2Xxl: 8;
+export declare const space3Sm: 12;
+export declare const space3Md: 12;
+export declare const space3Lg: 12;
+export declare const space3Xl: 12;
+export declare const space3Xxl: 12;
+export declare const space4Sm: 16;
+export declare const space4Md: 16;
+export declare const space4Lg: 16;
+export declare const space4Xl: 16;
+export declare const space4Xxl: 16;
+export declare const space5Sm: 20;
+export declare const space5Md: 20;
+export declare const space5Lg: 24;
+export declare const space5Xl: 24;
+export declare const space5Xxl: 24;
+export declare const space6Sm: 28;
+export declare const space6Md: 28;
+export declare const space6Lg: 32;
+export declare const space6Xl: 32;
+export declare const space6Xxl: 32;
+export declare const space7Sm: 36;
+export declare const space7Md: 36;
+export declare const space7Lg: 48;
+export declare const space7Xl: 48;
+export declare const space7Xxl: 48;
+export declare const space8Sm: 48;
+export declare const space8Md: 48;
+export declare const space8Lg: 72;
+export declare const space8Xl: 72;
+export declare const space8Xxl: 72;
+export declare const space9Sm: 60;
+export declare const space9Md: 60;
+export declare const space9Lg: 104;
+export declare const space9Xl: 104;
+export declare const space9Xxl: 104;
+export declare const space10Sm: 84;
+export declare const space10Md: 84;
+export declare const space10Lg: 156;
+export declare const space10Xl: 156;
+export declare const space10Xxl: 156;
+export declare const visibilityHideAtSmSm: true;
+export declare const visibilityHideAtSmMd: false;
+export declare const visibilityHideAtSmLg: false;
+export declare const visibilityHideAtSmXl: false;
+export declare const visibilityHideAtSmXxl: false;
+export declare const visibilityHideAtMdSm: true;
+export declare const visibilityHideAtMdMd: true;
+export declare const visibilityHideAtMdLg: false;
+export declare const visibilityHideAtMdXl: false;
+export declare const visibilityHideAtMdXxl: false;
+export declare const visibilityHideAtLgSm: true;
+export declare const visibilityHideAtLgMd: true;
+export declare const visibilityHideAtLgLg: true;
+export declare const visibilityHideAtLgXl: false;
+export declare const visibilityHideAtLgXxl: false;
+export declare const visibilityHideAtXlSm: true;
+export declare const visibilityHideAtXlMd: true;
+export declare const visibilityHideAtXlLg: true;
+export declare const visibilityHideAtXlXl: true;
+export declare const visibilityHideAtXlXxl: false;
+export declare const visibilityShowAtSmSm: true;
+export declare const visibilityShowAtSmMd: true;
+export declare const visibilityShowAtSmLg: true;
+export declare const visibilityShowAtSmXl: true;
+export declare const visibilityShowAtSmXxl: true;
+export declare const visibilityShowAtMdSm: false;
+export declare const visibilityShowAtMdMd: true;
+export declare const visibilityShowAtMdLg: true;
+export declare const visibilityShowAtMdXl: true;
+export declare const visibilityShowAtMdXxl: true;
+export declare const visibilityShowAtLgSm: false;
+export declare const visibilityShowAtLgMd: false;
+export declare const visibilityShowAtLgLg: true;
+export declare const visibilityShowAtLgXl: true;
+export declare const visibilityShowAtLgXxl: true;
+export declare const visibilityShowAtXlSm: false;
+export declare const visibilityShowAtXlMd: false;
+export declare const visibilityShowAtXlLg: false;
+export declare const visibilityShowAtXlXl: true;
+export declare const visibilityShowAtXlXxl: true;
+export declare const assetSizeXsSm: 16;
+export declare const assetSizeXsMd: 16;
+export declare const assetSizeXsLg: 16;
+export declare const assetSizeXsXl: 16;
+export declare const assetSizeXsXxl: 16;
+export declare const assetSizeSmSm: 24;
+export declare const assetSizeSmMd: 24;
+export declare const assetSizeSmLg: 24;
+export declare const assetSizeSmXl: 24;
+export declare const assetSizeSmXxl: 24;
+export declare const assetSizeMdSm: 32;
+export declare const assetSizeMdMd: 32;
+export declare const assetSizeMdLg: 32;
+export declare const assetSizeMdXl: 32;
+export declare const assetSizeMdXxl: 32;
+export declare const assetSizeLgSm: 80;
+export declare const assetSizeLgMd: 80;
+export declare const assetSizeLgLg: 120;
+export declare const assetSizeLgXl: 120;
+export declare const assetSizeLgXxl: 160;
+export declare const assetSizeXlSm: 160;
+export declare const assetSizeXlMd: 160;
+export declare const assetSizeXlLg: 160;
+export declare const assetSizeXlXl: 160;
+export declare const assetSizeXlXxl: 160;
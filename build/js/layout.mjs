@@ -0,0 +1,389 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const fontSize1Sm = 16;
+export const fontSize1Md = 16;
+export const fontSize1Lg = 16;
+export const fontSize1Xl = 16;
+export const fontSize1Xxl = 16;
+export const fontSize2Sm = 20;
+export const fontSize2Md = 20;
+export const fontSize2Lg = 20;
+export const fontSize2Xl = 20;
+export const fontSize2Xxl = 20;
+export const fontSize3Sm = 24;
+export const fontSize3Md = 24;
+export const fontSize3Lg = 24;
+export const fontSize3Xl = 24;
+export const fontSize3Xxl = 24;
+export const fontSize4Sm = 28;
+export const fontSize4Md = 28;
+export const fontSize4Lg = 32;
+export const fontSize4Xl = 32;
+export const fontSize4Xxl = 32;
+export const fontSize5Sm = 32;
+export const fontSize5Md = 32;
+export const fontSize5Lg = 40;
+export const fontSize5Xl = 40;
+export const fontSize5Xxl = 40;
+export const fontSize6Sm = 40;
+export const fontSize6Md = 40;
+export const fontSize6Lg = 48;
+export const fontSize6Xl = 48;
+export const fontSize6Xxl = 48;
+export const fontSize7Sm = 48;
+export const fontSize7Md = 48;
+export const fontSize7Lg = 62;
+export const fontSize7Xl = 62;
+export const fontSize7Xxl = 62;
+export const fontSize8Sm = 56;
+export const fontSize8Md = 56;
+export const fontSize8Lg = 76;
+export const fontSize8Xl = 76;
+export const fontSize8Xxl = 76;
+export const fontSize9Sm = 68;
+export const fontSize9Md = 68;
+export const fontSize9Lg = 115;
+export const fontSize9Xl = 115;
+export const fontSize9Xxl = 115;
+export const fontSize06Sm = 12;
+export const fontSize06Md = 12;
+export const fontSize06Lg = 12;
+export const fontSize06Xl = 12;
+export const fontSize06Xxl = 12;
+export const fontSize08Sm = 14;
+export const fontSize08Md = 14;
+export const fontSize08Lg = 14;
+export const fontSize08Xl = 14;
+export const fontSize08Xxl = 14;
+export const lineHeight1Sm = 22;
+export const lineHeight1Md = 22;
+export const lineHeight1Lg = 22;
+export const lineHeight1Xl = 22;
+export const lineHeight1Xxl = 22;
+export const lineHeight2Sm = 28;
+export const lineHeight2Md = 28;
+export const lineHeight2Lg = 28;
+export const lineHeight2Xl = 28;
+export const lineHeight2Xxl = 28;
+export const lineHeight3Sm = 34;
+export const lineHeight3Md = 34;
+export const lineHeight3Lg = 34;
+export const lineHeight3Xl = 34;
+export const lineHeight3Xxl = 34;
+export const lineHeight4Sm = 36;
+export const lineHeight4Md = 36;
+export const lineHeight4Lg = 42;
+export const lineHeight4Xl = 42;
+export const lineHeight4Xxl = 42;
+export const lineHeight5Sm = 38;
+export const lineHeight5Md = 38;
+export const lineHeight5Lg = 48;
+export const lineHeight5Xl = 48;
+export const lineHeight5Xxl = 48;
+export const lineHeight6Sm = 48;
+export const lineHeight6Md = 48;
+export const lineHeight6Lg = 58;
+export const lineHeight6Xl = 58;
+export const lineHeight6Xxl = 58;
+export const lineHeight7Sm = 58;
+export const lineHeight7Md = 58;
+export const lineHeight7Lg = 74;
+export const lineHeight7Xl = 74;
+export const lineHeight7Xxl = 74;
+export const lineHeight8Sm = 67;
+export const lineHeight8Md = 67;
+export const lineHeight8Lg = 91;
+export const lineHeight8Xl = 91;
+export const lineHeight8Xxl = 91;
+export const lineHeight9Sm = 77;
+export const lineHeight9Md = 77;
+export const lineHeight9Lg = 115;
+export const lineHeight9Xl = 115;
+export const lineHeight9Xxl = 115;
+export const lineHeight06Sm = 14;
+export const lineHeight06Md = 14;
+export const lineHeight06Lg = 14;
+export const lineHeight06Xl = 14;
+export const lineHeight06Xxl = 14;
+export const lineHeight08Sm = 17;
+export const lineHeight08Md = 17;
+export const lineHeight08Lg = 17;
+export const lineHeight08Xl = 17;
+export const lineHeight08Xxl = 17;
+export const pageColsSm = 1;
+export const pageColsMd = 12;
+export const pageColsLg = 12;
+export const pageColsXl = 12;
+export const pageColsXxl = 12;
+export const pageGutterSm = 28;
+export const pageGutterMd = 28;
+export const pageGutterLg = 32;
+export const pageGutterXl = 32;
+export const pageGutterXxl = 32;
+export const pageMinWidthSm = 320;
+export const pageMinWidthMd = 768;
+export const pageMinWidthLg = 1024;
+export const pageMinWidthXl = 1280;
+export const pageMinWidthXxl = 1440;
+export const pageMarginSm = 16;
+export const pageMarginMd = 28;
+export const pageMarginLg = 32;
+export const pageMarginXl = 72;
+export const pageMarginXxl = 104;
+export const pageMaxWidthSm = 767;
+export const pageMaxWidthMd = 1023;
+export const pageMaxWidthLg = 1279;
+export const pageMaxWidthXl = 1439;
+export const pageMaxWidthXxl = 1680;
+export const componentMinWidthSm = 232;
+export const componentMinWidthMd = 232;
+export const componentMinWidthLg = 232;
+export const componentMinWidthXl = 232;
+export const componentMinWidthXxl = 232;
+export const borderRadius1Sm = 4;
+export const borderRadius1Md = 4;
+export const borderRadius1Lg = 4;
+export const borderRadius1Xl = 4;
+export const borderRadius1Xxl = 4;
+export const borderRadius2Sm = 8;
+export const borderRadius2Md = 8;
+export const borderRadius2Lg = 8;
+export const borderRadius2Xl = 8;
+export const borderRadius2Xxl = 8;
+export const borderRadius3Sm = 12;
+export const borderRadius3Md = 12;
+export const borderRadius3Lg = 12;
+export const borderRadius3Xl = 12;
+export const borderRadius3Xxl = 12;
+export const borderRadius4Sm = 16;
+export const borderRadius4Md = 16;
+export const borderRadius4Lg = 16;
+export const borderRadius4Xl = 16;
+export const borderRadius4Xxl = 16;
+export const borderRadius5Sm = 20;
+export const borderRadius5Md = 20;
+export const borderRadius5Lg = 24;
+export const borderRadius5Xl = 24;
+export const borderRadius5Xxl = 24;
+export const borderRadius6Sm = 28;
+export const borderRadius6Md = 28;
+export const borderRadius6Lg = 32;
+export const borderRadius6Xl = 32;
+export const borderRadius6Xxl = 32;
+export const borderRadius7Sm = 36;
+export const borderRadius7Md = 36;
+export const borderRadius7Lg = 48;
+export const borderRadius7Xl = 48;
+export const borderRadius7Xxl = 48;
+export const borderRadius8Sm = 48;
+export const borderRadius8Md = 48;
+export const borderRadius8Lg = 72;
+export const borderRadius8Xl = 72;
+export const borderRadius8Xxl = 72;
+export const borderRadius9Sm = 60;
+export const borderRadius9Md = 60;
+export const borderRadius9Lg = 104;
+export const borderRadius9Xl = 104;
+export const borderRadius9Xxl = 104;
+export const borderRadius10Sm = 84;
+export const borderRadius10Md = 84;
+export const borderRadius10Lg = 156;
+export const borderRadius10Xl = 156;
+export const borderRadius10Xxl = 156;
+export const borderWidthXsSm = 1;
+export const borderWidthXsMd = 1;
+export const borderWidthXsLg = 1;
+export const borderWidthXsXl = 1;
+export const borderWidthXsXxl = 1;
+export const borderWidthSmSm = 1.5;
+export const borderWidthSmMd = 1.5;
+export const borderWidthSmLg = 1.5;
+export const borderWidthSmXl = 1.5;
+export const borderWidthSmXxl = 1.5;
+export const borderWidthMdSm = 2;
+export const borderWidthMdMd = 2;
+export const borderWidthMdLg = 2;
+export const borderWidthMdXl = 2;
+export const borderWidthMdXxl = 2;
+export const borderWidthLgSm = 3;
+export const borderWidthLgMd = 3;
+export const borderWidthLgLg = 3;
+export const borderWidthLgXl = 3;
+export const borderWidthLgXxl = 3;
+export const colspan1Sm = 288;
+export const colspan1Md = 34;
+export const colspan1Lg = 51;
+export const colspan1Xl = 65;
+export const colspan1Xxl = 73;
+export const colspan2Sm = 288;
+export const colspan2Md = 95;
+export const colspan2Lg = 133;
+export const colspan2Xl = 162;
+export const colspan2Xxl = 178;
+export const colspan3Sm = 288;
+export const colspan3Md = 157;
+export const colspan3Lg = 216;
+export const colspan3Xl = 260;
+export const colspan3Xxl = 284;
+export const colspan4Sm = 288;
+export const colspan4Md = 218.5;
+export const colspan4Lg = 298.5;
+export const colspan4Xl = 357;
+export const colspan4Xxl = 389;
+export const colspan5Sm = 288;
+export const colspan5Md = 280;
+export const colspan5Lg = 381;
+export const colspan5Xl = 454;
+export const colspan5Xxl = 494;
+export const colspan6Sm = 288;
+export const colspan6Md = 341;
+export const colspan6Lg = 464;
+export const colspan6Xl = 552;
+export const colspan6Xxl = 600;
+export const colspan7Sm = 288;
+export const colspan7Md = 404;
+export const colspan7Lg = 547;
+export const colspan7Xl = 649;
+export const colspan7Xxl = 705;
+export const colspan8Sm = 288;
+export const colspan8Md = 465;
+export const colspan8Lg = 629;
+export const colspan8Xl = 746;
+export const colspan8Xxl = 810;
+export const colspan9Sm = 288;
+export const colspan9Md = 527;
+export const colspan9Lg = 712;
+export const colspan9Xl = 844;
+export const colspan9Xxl = 916;
+export const colspan10Sm = 288;
+export const colspan10Md = 589;
+export const colspan10Lg = 795;
+export const colspan10Xl = 941;
+export const colspan10Xxl = 1021;
+export const colspan11Sm = 288;
+export const colspan11Md = 650;
+export const colspan11Lg = 877;
+export const colspan11Xl = 1038;
+export const colspan11Xxl = 1126;
+export const colspan12Sm = 288;
+export const colspan12Md = 712;
+export const colspan12Lg = 960;
+export const colspan12Xl = 1136;
+export const colspan12Xxl = 1232;
+export const space1Sm = 4;
+export const space1Md = 4;
+export const space1Lg = 4;
+export const space1Xl = 4;
+export const space1Xxl = 4;
+export const space2Sm = 8;
+export const space2Md = 8;
+export const space2Lg = 8;
+export const space2Xl = 8;
+export const space2Xxl = 8;
+export const space3Sm = 12;
+export const space3Md = 12;
+export const space3Lg = 12;
+export const space3Xl = 12;
+export const space3Xxl = 12;
+export const space4Sm = 16;
+export const space4Md = 16;
+export const space4Lg = 16;
+export const space4Xl = 16;
+export const space4Xxl = 16;
+export const space5Sm = 20;
+export const space5Md = 20;
+export const space5Lg = 24;
+export const space5Xl = 24;
+export const space5Xxl = 24;
+export const space6Sm = 28;
+export const space6Md = 28;
+export const space6Lg = 32;
+export const space6Xl = 32;
+export const space6Xxl = 32;
+export const space7Sm = 36;
+export const space7Md = 36;
+export const space7Lg = 48;
+export const space7Xl = 48;
+export const space7Xxl = 48;
+export const space8Sm = 48;
+export const space8Md = 48;
+export const space8Lg = 72;
+export const space8Xl = 72;
+export const space8Xxl = 72;
+export const space9Sm = 60;
+export const space9Md = 60;
+export const space9Lg = 104;
+export const space9Xl = 104;
+export const space9Xxl = 104;
+export const space10Sm = 84;
+export const space10Md = 84;
+export const space10Lg = 156;
+export const space10Xl = 156;
+export const space10Xxl = 156;
+export const visibilityHideAtSmSm = true;
+export const visibilityHideAtSmMd = false;
+export const visibilityHideAtSmLg = false;
+export const visibilityHideAtSmXl = false;
+export const visibilityHideAtSmXxl = false;
+export const visibilityHideAtMdSm = true;
+export const visibilityHideAtMdMd = true;
+export const visibilityHideAtMdLg = false;
+export const visibilityHideAtMdXl = false;
+export const visibilityHideAtMdXxl = false;
+export const visibilityHideAtLgSm = true;
+export const visibilityHideAtLgMd = true;
+export const visibilityHideAtLgLg = true;
+export const visibilityHideAtLgXl = false;
+export const visibilityHideAtLgXxl = false;
+export const visibilityHideAtXlSm = true;
+export const visibilityHideAtXlMd = true;
+export const visibilityHideAtXlLg = true;
+export const visibilityHideAtXlXl = true;
+export const visibilityHideAtXlXxl = false;
+export const visibilityShowAtSmSm = true;
+export const visibilityShowAtSmMd = true;
+export const visibilityShowAtSmLg = true;
+export const visibilityShowAtSmXl = true;
+export const visibilityShowAtSmXxl = true;
+export const visibilityShowAtMdSm = false;
+export const visibilityShowAtMdMd = true;
+export const visibilityShowAtMdLg = true;
+export const visibilityShowAtMdXl = true;
+export const visibilityShowAtMdXxl = true;
+export const visibilityShowAtLgSm = false;
+export const visibilityShowAtLgMd = false;
+export const visibilityShowAtLgLg = true;
+export const visibilityShowAtLgXl = true;
+export const visibilityShowAtLgXxl = true;
+export const visibilityShowAtXlSm = false;
+export const visibilityShowAtXlMd = false;
+export const visibilityShowAtXlLg = false;
+export const visibilityShowAtXlXl = true;
+export const visibilityShowAtXlXxl = true;
+export const assetSizeXsSm = 16;
+export const assetSizeXsMd = 16;
+export const assetSizeXsLg = 16;
+export const assetSizeXsXl = 16;
+export const assetSizeXsXxl = 16;
+export const assetSizeSmSm = 24;
+export const assetSizeSmMd = 24;
+export const assetSizeSmLg = 24;
+export const assetSizeSmXl = 24;
+export const assetSizeSmXxl = 24;
+export const assetSizeMdSm = 32;
+export const assetSizeMdMd = 32;
+export const assetSizeMdLg = 32;
+export const assetSizeMdXl = 32;
+export const assetSizeMdXxl = 32;
+export const assetSizeLgSm = 80;
+export const assetSizeLgMd = 80;
+export const assetSizeLgLg = 120;
+export const assetSizeLgXl = 120;
+export const assetSizeLgXxl = 160;
+export const assetSizeXlSm = 160;
+export const assetSizeXlMd = 160;
+export const assetSizeXlLg = 160;
+export const assetSizeXlXl = 160;
+export const assetSizeXlXxl = 160;
@@ -0,0 +1,201 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const theme = {
+  banner: {
+    backgroundColour: "#c50b30",
+    icon: {
+      colour: "#ffffff",
+    },
+    text: {
+      colour: "#ffffff",
+    },
+  },
+  button: {
+    active: {
+      backgroundColour: "#6e061b",
+      borderColour: "#6e061b",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#ff7e7e",
+      borderColour: "#ff7e7e",
+      colour: "#e2223e",
+    },
+    focus: {
+      backgroundColour: "#c50b30",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#940824",
+      borderColour: "#940824",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#c50b30",
+      borderColour: "#c50b30",
+      colour: "#ffffff",
+    },
+  },
+  container: {
+    bold: {
+      backgroundColour: "#c50b30",
+    },
+    subtle: {
+      backgroundColour: "#ffffff",
+    },
+  },
+  content: {
+    bold: {
+      colour: "#ffffff",
+    },
+    pictogram: {
+      statusFill: "#ff3e51",
+    },
+    subtle: {
+      colour: "#940824",
+    },
+  },
+  details: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#940824",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  inlineMessage: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#940824",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  input: {
+    validation: {
+      colour: "#ffffff",
+    },
+  },
+  interactive: {
+    active: {
+      backgroundColour: "#6e061b",
+      borderColour: "#6e061b",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#ff7e7e",
+      borderColour: "#ff7e7e",
+      colour: "#e2223e",
+    },
+    focus: {
+      backgroundColour: "#c50b30",
+      borderColour: "#c50b30",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#940824",
+      borderColour: "#940824",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#c50b30",
+      borderColour: "#c50b30",
+      colour: "#ffffff",
+    },
+    text: {
+      bold: {
+        active: "#f4f4f4",
+        focus: "#f4f4f4",
+        hover: "#f4f4f4",
+        rest: "#f4f4f4",
+        visited: "#f4f4f4",
+      },
+      subtle: {
+        active: "#000000",
+        focus: "#000000",
+        hover: "#000000",
+        rest: "#000000",
+        visited: "#000000",
+      },
+    },
+  },
+  labelAndHint: {
+    validationMessageColour: "#ffffff",
+  },
+  link: {
+    bold: {
+      active: {
+        colour: "#f4f4f4",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#f4f4f4",
+      },
+      hover: {
+        colour: "#f4f4f4",
+      },
+      rest: {
+        colour: "#f4f4f4",
+      },
+      visited: {
+        colour: "#f4f4f4",
+      },
+    },
+    subtle: {
+      active: {
+        colour: "#000000",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#000000",
+      },
+      hover: {
+        colour: "#000000",
+      },
+      rest: {
+        colour: "#000000",
+      },
+      visited: {
+        colour: "#000000",
+      },
+    },
+  },
+  segmentButton: {
+    error: {
+      backgroundColour: "#c50b30",
+    },
+  },
+  table: {
+    cell: {
+      error: {
+        backgroundColour: "#ffffff",
+      },
+    },
+  },
+  text: {
+    bold: {
+      primary: {
+        colour: "#ffffff",
+      },
+      secondary: {
+        colour: "#ffffff",
+      },
+    },
+    subtle: {
+      primary: {
+        colour: "#1d1d1b",
+      },
+      secondary: {
+        colour: "#ffffff",
+      },
+    },
+  },
+};
+
+export default theme;
@@ -0,0 +1,202 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+const theme = {
+  banner: {
+    backgroundColour: "#4d4f4f",
+    icon: {
+      colour: "#ffffff",
+    },
+    text: {
+      colour: "#ffffff",
+    },
+  },
+  button: {
+    active: {
+      backgroundColour: "#1d1d1b",
+      borderColour: "#1d1d1b",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#bcbdbd",
+      borderColour: "#bcbdbd",
+      colour: "#858686",
+    },
+    focus: {
+      backgroundColour: "#4d4f4f",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#343634",
+      borderColour: "#343634",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#4d4f4f",
+      borderColour: "#4d4f4f",
+      colour: "#ffffff",
+    },
+  },
+  container: {
+    bold: {
+      backgroundColour: "#4d4f4f",
+    },
+    subtle: {
+      backgroundColour: "#ffffff",
+    },
+  },
+  content: {
+    bold: {
+      colour: "#ffffff",
+    },
+    pictogram: {
+      statusFill: "#d3d3d3",
+    },
+    subtle: {
+      colour: "#1d1d1b",
+    },
+  },
+  details: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#1d1d1b",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  inlineMessage: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#1d1d1b",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  input: {
+    validation: {
+      colour: "#ffffff",
+    },
+  },
+  interactive: {
+    active: {
+      backgroundColour: "#1d1d1b",
+      borderColour: "#1d1d1b",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#bcbdbd",
+      borderColour: "#bcbdbd",
+      colour: "#858686",
+    },
+    focus: {
+      backgroundColour: "#4d4f4f",
+      borderColour: "#4d4f4f",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#343634",
+      borderColour: "#343634",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#4d4f4f",
+      borderColour: "#4d4f4f",
+      colour: "#ffffff",
+    },
+    text: {
+      bold: {
+        active: "#f4f4f4",
+        focus: "#f4f4f4",
+        hover: "#f4f4f4",
+        rest: "#f4f4f4",
+        visited: "#f4f4f4",
+      },
+      subtle: {
+        active: "#000000",
+        focus: "#000000",
+        hover: "#000000",
+        rest: "#000000",
+        visited: "#000000",
+      },
+    },
+  },
+  labelAndHint: {
+    validationMessageColour: "#ffffff",
+  },
+  link: {
+    bold: {
+      active: {
+        colour: "#f4f4f4",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#f4f4f4",
+      },
+      hover: {
+        colour: "#f4f4f4",
+      },
+      rest: {
+        colour: "#f4f4f4",
+      },
+      visited: {
+        colour: "#f4f4f4",
+      },
+    },
+    subtle: {
+      active: {
+        colour: "#000000",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#000000",
+      },
+      hover: {
+        colour: "#000000",
+      },
+      rest: {
+        colour: "#000000",
+      },
+      visited: {
+        colour: "#000000",
+      },
+    },
+  },
+  segmentButton: {
+    error: {
+      backgroundColour: "#4d4f4f",
+    },
+  },
+  table: {
+    cell: {
+      error: {
+        backgroundColour: "#ffffff",
+      },
+    },
+  },
+  text: {
+    bold: {
+      primary: {
+        colour: "#ffffff",
+      },
+      secondary: {
+        colour: "#ffffff",
+      },
+    },
+    subtle: {
+      primary: {
+        colour: "#1d1d1b",
+      },
+      secondary: {
+        colour: "#ffffff",
+      },
+    },
+  },
+};
+
+exports.theme = theme;
+exports.default = theme;
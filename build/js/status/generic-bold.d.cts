@@ -0,0 +1,9 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+import type { CanopyStatusTheme } from '../types.cjs';
+
+export declare const theme: CanopyStatusTheme;
+
+export default theme;
@@ -0,0 +1,202 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+const theme = {
+  banner: {
+    backgroundColour: "#005dba",
+    icon: {
+      colour: "#ffffff",
+    },
+    text: {
+      colour: "#ffffff",
+    },
+  },
+  button: {
+    active: {
+      backgroundColour: "#000a52",
+      borderColour: "#000a52",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#76c8f1",
+      borderColour: "#76c8f1",
+      colour: "#1e84d2",
+    },
+    focus: {
+      backgroundColour: "#005dba",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#001d6e",
+      borderColour: "#001d6e",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#005dba",
+      borderColour: "#005dba",
+      colour: "#ffffff",
+    },
+  },
+  container: {
+    bold: {
+      backgroundColour: "#005dba",
+    },
+    subtle: {
+      backgroundColour: "#ffffff",
+    },
+  },
+  content: {
+    bold: {
+      colour: "#ffffff",
+    },
+    pictogram: {
+      statusFill: "#42aeea",
+    },
+    subtle: {
+      colour: "#001d6e",
+    },
+  },
+  details: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#001d6e",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  inlineMessage: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#001d6e",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  input: {
+    validation: {
+      colour: "#1d1d1b",
+    },
+  },
+  interactive: {
+    active: {
+      backgroundColour: "#000a52",
+      borderColour: "#000a52",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#76c8f1",
+      borderColour: "#76c8f1",
+      colour: "#1e84d2",
+    },
+    focus: {
+      backgroundColour: "#005dba",
+      borderColour: "#005dba",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#001d6e",
+      borderColour: "#001d6e",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#005dba",
+      borderColour: "#005dba",
+      colour: "#ffffff",
+    },
+    text: {
+      bold: {
+        active: "#f4f4f4",
+        focus: "#f4f4f4",
+        hover: "#f4f4f4",
+        rest: "#f4f4f4",
+        visited: "#f4f4f4",
+      },
+      subtle: {
+        active: "#000039",
+        focus: "#000039",
+        hover: "#000039",
+        rest: "#000039",
+        visited: "#000039",
+      },
+    },
+  },
+  labelAndHint: {
+    validationMessageColour: "#1d1d1b",
+  },
+  link: {
+    bold: {
+      active: {
+        colour: "#f4f4f4",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#f4f4f4",
+      },
+      hover: {
+        colour: "#f4f4f4",
+      },
+      rest: {
+        colour: "#f4f4f4",
+      },
+      visited: {
+        colour: "#f4f4f4",
+      },
+    },
+    subtle: {
+      active: {
+        colour: "#000039",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#000039",
+      },
+      hover: {
+        colour: "#000039",
+      },
+      rest: {
+        colour: "#000039",
+      },
+      visited: {
+        colour: "#000039",
+      },
+    },
+  },
+  segmentButton: {
+    error: {
+      backgroundColour: "#005dba",
+    },
+  },
+  table: {
+    cell: {
+      error: {
+        backgroundColour: "#ffffff",
+      },
+    },
+  },
+  text: {
+    bold: {
+      primary: {
+        colour: "#ffffff",
+      },
+      secondary: {
+        colour: "#4d4f4f",
+      },
+    },
+    subtle: {
+      primary: {
+        colour: "#1d1d1b",
+      },
+      secondary: {
+        colour: "#4d4f4f",
+      },
+    },
+  },
+};
+
+exports.theme = theme;
+exports.default = theme;
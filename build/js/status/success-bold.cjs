@@ -0,0 +1,202 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+const theme = {
+  banner: {
+    backgroundColour: "#00633d",
+    icon: {
+      colour: "#ffffff",
+    },
+    text: {
+      colour: "#ffffff",
+    },
+  },
+  button: {
+    active: {
+      backgroundColour: "#012425",
+      borderColour: "#012425",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#7fce9f",
+      borderColour: "#7fce9f",
+      colour: "#1a8952",
+    },
+    focus: {
+      backgroundColour: "#00633d",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#01312e",
+      borderColour: "#01312e",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#00633d",
+      borderColour: "#00633d",
+      colour: "#ffffff",
+    },
+  },
+  container: {
+    bold: {
+      backgroundColour: "#00633d",
+    },
+    subtle: {
+      backgroundColour: "#ffffff",
+    },
+  },
+  content: {
+    bold: {
+      colour: "#ffffff",
+    },
+    pictogram: {
+      statusFill: "#43af6e",
+    },
+    subtle: {
+      colour: "#01312e",
+    },
+  },
+  details: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#01312e",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  inlineMessage: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#01312e",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  input: {
+    validation: {
+      colour: "#ffffff",
+    },
+  },
+  interactive: {
+    active: {
+      backgroundColour: "#012425",
+      borderColour: "#012425",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#7fce9f",
+      borderColour: "#7fce9f",
+      colour: "#1a8952",
+    },
+    focus: {
+      backgroundColour: "#00633d",
+      borderColour: "#00633d",
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#01312e",
+      borderColour: "#01312e",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#00633d",
+      borderColour: "#00633d",
+      colour: "#ffffff",
+    },
+    text: {
+      bold: {
+        active: "#f4f4f4",
+        focus: "#f4f4f4",
+        hover: "#f4f4f4",
+        rest: "#f4f4f4",
+        visited: "#f4f4f4",
+      },
+      subtle: {
+        active: "#011b1f",
+        focus: "#011b1f",
+        hover: "#011b1f",
+        rest: "#011b1f",
+        visited: "#011b1f",
+      },
+    },
+  },
+  labelAndHint: {
+    validationMessageColour: "#ffffff",
+  },
+  link: {
+    bold: {
+      active: {
+        colour: "#f4f4f4",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#f4f4f4",
+      },
+      hover: {
+        colour: "#f4f4f4",
+      },
+      rest: {
+        colour: "#f4f4f4",
+      },
+      visited: {
+        colour: "#f4f4f4",
+      },
+    },
+    subtle: {
+      active: {
+        colour: "#011b1f",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#011b1f",
+      },
+      hover: {
+        colour: "#011b1f",
+      },
+      rest: {
+        colour: "#011b1f",
+      },
+      visited: {
+        colour: "#011b1f",
+      },
+    },
+  },
+  segmentButton: {
+    error: {
+      backgroundColour: "#00633d",
+    },
+  },
+  table: {
+    cell: {
+      error: {
+        backgroundColour: "#ffffff",
+      },
+    },
+  },
+  text: {
+    bold: {
+      primary: {
+        colour: "#ffffff",
+      },
+      secondary: {
+        colour: "#ffffff",
+      },
+    },
+    subtle: {
+      primary: {
+        colour: "#1d1d1b",
+      },
+      secondary: {
+        colour: "#ffffff",
+      },
+    },
+  },
+};
+
+exports.theme = theme;
+exports.default = theme;
@@ -0,0 +1,202 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+const theme = {
+  banner: {
+    backgroundColour: "#ffb600",
+    icon: {
+      colour: "#1d1d1b",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  button: {
+    active: {
+      backgroundColour: "#572722",
+      borderColour: "#572722",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#ffe969",
+      borderColour: "#ffe969",
+      colour: "#ffb600",
+    },
+    focus: {
+      backgroundColour: "#ffb600",
+      colour: "#1d1d1b",
+    },
+    hover: {
+      backgroundColour: "#904029",
+      borderColour: "#904029",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#ffb600",
+      borderColour: "#ffb600",
+      colour: "#1d1d1b",
+    },
+  },
+  container: {
+    bold: {
+      backgroundColour: "#ffb600",
+    },
+    subtle: {
+      backgroundColour: "#ffffff",
+    },
+  },
+  content: {
+    bold: {
+      colour: "#1d1d1b",
+    },
+    pictogram: {
+      statusFill: "#ffe969",
+    },
+    subtle: {
+      colour: "#904029",
+    },
+  },
+  details: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#904029",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  inlineMessage: {
+    backgroundColour: "#ffffff",
+    icon: {
+      colour: "#904029",
+    },
+    text: {
+      colour: "#1d1d1b",
+    },
+  },
+  input: {
+    validation: {
+      colour: "#1d1d1b",
+    },
+  },
+  interactive: {
+    active: {
+      backgroundColour: "#572722",
+      borderColour: "#572722",
+      colour: "#ffffff",
+    },
+    disabled: {
+      backgroundColour: "#ffe969",
+      borderColour: "#ffe969",
+      colour: "#ffb600",
+    },
+    focus: {
+      backgroundColour: "#ffb600",
+      borderColour: "#ffb600",
+      colour: "#1d1d1b",
+    },
+    hover: {
+      backgroundColour: "#904029",
+      borderColour: "#904029",
+      colour: "#ffffff",
+    },
+    rest: {
+      backgroundColour: "#ffb600",
+      borderColour: "#ffb600",
+      colour: "#1d1d1b",
+    },
+    text: {
+      bold: {
+        active: "#1d1d1b",
+        focus: "#1d1d1b",
+        hover: "#1d1d1b",
+        rest: "#1d1d1b",
+        visited: "#1d1d1b",
+      },
+      subtle: {
+        active: "#000000",
+        focus: "#000000",
+        hover: "#000000",
+        rest: "#000000",
+        visited: "#000000",
+      },
+    },
+  },
+  labelAndHint: {
+    validationMessageColour: "#1d1d1b",
+  },
+  link: {
+    bold: {
+      active: {
+        colour: "#1d1d1b",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+      },
+      hover: {
+        colour: "#1d1d1b",
+      },
+      rest: {
+        colour: "#1d1d1b",
+      },
+      visited: {
+        colour: "#1d1d1b",
+      },
+    },
+    subtle: {
+      active: {
+        colour: "#000000",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#000000",
+      },
+      hover: {
+        colour: "#000000",
+      },
+      rest: {
+        colour: "#000000",
+      },
+      visited: {
+        colour: "#000000",
+      },
+    },
+  },
+  segmentButton: {
+    error: {
+      backgroundColour: "#ffb600",
+    },
+  },
+  table: {
+    cell: {
+      error: {
+        backgroundColour: "#ffffff",
+      },
+    },
+  },
+  text: {
+    bold: {
+      primary: {
+        colour: "#1d1d1b",
+      },
+      secondary: {
+        colour: "#4d4f4f",
+      },
+    },
+    subtle: {
+      primary: {
+        colour: "#1d1d1b",
+      },
+      secondary: {
+        colour: "#4d4f4f",
+      },
+    },
+  },
+};
+
+exports.theme = theme;
+exports.default = theme;
@@ -0,0 +1,76 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+exports.h1MarginBottomMarginAfter = 36;
+exports.h1MarginBottomNoMargin = 0;
+exports.h1MarginBottomMarginBefore = 0;
+exports.h1MarginBottomMarginBoth = 36;
+exports.h1MarginTopMarginAfter = 0;
+exports.h1MarginTopNoMargin = 0;
+exports.h1MarginTopMarginBefore = 36;
+exports.h1MarginTopMarginBoth = 36;
+exports.h2MarginBottomMarginAfter = 28;
+exports.h2MarginBottomNoMargin = 0;
+exports.h2MarginBottomMarginBefore = 0;
+exports.h2MarginBottomMarginBoth = 28;
+exports.h2MarginTopMarginAfter = 0;
+exports.h2MarginTopNoMargin = 0;
+exports.h2MarginTopMarginBefore = 28;
+exports.h2MarginTopMarginBoth = 28;
+exports.h3MarginBottomMarginAfter = 20;
+exports.h3MarginBottomNoMargin = 0;
+exports.h3MarginBottomMarginBefore = 0;
+exports.h3MarginBottomMarginBoth = 20;
+exports.h3MarginTopMarginAfter = 0;
+exports.h3MarginTopNoMargin = 0;
+exports.h3MarginTopMarginBefore = 20;
+exports.h3MarginTopMarginBoth = 20;
+exports.h4MarginBottomMarginAfter = 16;
+exports.h4MarginBottomNoMargin = 0;
+exports.h4MarginBottomMarginBefore = 0;
+exports.h4MarginBottomMarginBoth = 16;
+exports.h4MarginTopMarginAfter = 0;
+exports.h4MarginTopNoMargin = 0;
+exports.h4MarginTopMarginBefore = 16;
+exports.h4MarginTopMarginBoth = 16;
+exports.h5MarginBottomMarginAfter = 12;
+exports.h5MarginBottomNoMargin = 0;
+exports.h5MarginBottomMarginBefore = 0;
+exports.h5MarginBottomMarginBoth = 12;
+exports.h5MarginTopMarginAfter = 0;
+exports.h5MarginTopNoMargin = 0;
+exports.h5MarginTopMarginBefore = 12;
+exports.h5MarginTopMarginBoth = 12;
+exports.h6MarginBottomMarginAfter = 8;
+exports.h6MarginBottomNoMargin = 0;
+exports.h6MarginBottomMarginBefore = 0;
+exports.h6MarginBottomMarginBoth = 8;
+exports.h6MarginTopMarginAfter = 0;
+exports.h6MarginTopNoMargin = 0;
+exports.h6MarginTopMarginBefore = 8;
+exports.h6MarginTopMarginBoth = 8;
+exports.standfirstMarginBottomMarginAfter = 36;
+exports.standfirstMarginBottomNoMargin = 0;
+exports.standfirstMarginBottomMarginBefore = 0;
+exports.standfirstMarginBottomMarginBoth = 36;
+exports.standfirstMarginTopMarginAfter = 0;
+exports.standfirstMarginTopNoMargin = 0;
+exports.standfirstMarginTopMarginBefore = 36;
+exports.standfirstMarginTopMarginBoth = 36;
+exports.pMarginBottomMarginAfter = 16;
+exports.pMarginBottomNoMargin = 0;
+exports.pMarginBottomMarginBefore = 0;
+exports.pMarginBottomMarginBoth = 16;
+exports.pMarginTopMarginAfter = 0;
+exports.pMarginTopNoMargin = 0;
+exports.pMarginTopMarginBefore = 16;
+exports.pMarginTopMarginBoth = 16;
+exports.articleMarginBottomMarginAfter = 20;
+exports.articleMarginBottomNoMargin = 0;
+exports.articleMarginBottomMarginBefore = 0;
+exports.articleMarginBottomMarginBoth = 20;
+exports.articleMarginTopMarginAfter = 0;
+exports.articleMarginTopNoMargin = 0;
+exports.articleMarginTopMarginBefore = 20;
+exports.articleMarginTopMarginBoth = 20;
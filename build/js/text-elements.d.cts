@@ -0,0 +1,76 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export declare const h1MarginBottomMarginAfter: 36;
+export declare const h1MarginBottomNoMargin: 0;
+export declare const h1MarginBottomMarginBefore: 0;
+export declare const h1MarginBottomMarginBoth: 36;
+export declare const h1MarginTopMarginAfter: 0;
+export declare const h1MarginTopNoMargin: 0;
+export declare const h1MarginTopMarginBefore: 36;
+export declare const h1MarginTopMarginBoth: 36;
+export declare const h2MarginBottomMarginAfter: 28;
+export declare const h2MarginBottomNoMargin: 0;
+export declare const h2MarginBottomMarginBefore: 0;
+export declare const h2MarginBottomMarginBoth: 28;
+export declare const h2MarginTopMarginAfter: 0;
+export declare const h2MarginTopNoMargin: 0;
+export declare const h2MarginTopMarginBefore: 28;
+export declare const h2MarginTopMarginBoth: 28;
+export declare const h3MarginBottomMarginAfter: 20;
+export declare const h3MarginBottomNoMargin: 0;
+export declare const h3MarginBottomMarginBefore: 0;
+export declare const h3MarginBottomMarginBoth: 20;
+export declare const h3MarginTopMarginAfter: 0;
+export declare const h3MarginTopNoMargin: 0;
+export declare const h3MarginTopMarginBefore: 20;
+export declare const h3MarginTopMarginBoth: 20;
+export declare const h4MarginBottomMarginAfter: 16;
+export declare const h4MarginBottomNoMargin: 0;
+export declare const h4MarginBottomMarginBefore: 0;
+export declare const h4MarginBottomMarginBoth: 16;
+export declare const h4MarginTopMarginAfter: 0;
+export declare const h4MarginTopNoMargin: 0;
+export declare const h4MarginTopMarginBefore: 16;
+export declare const h4MarginTopMarginBoth: 16;
+export declare const h5MarginBottomMarginAfter: 12;
+export declare const h5MarginBottomNoMargin: 0;
+export declare const h5MarginBottomMarginBefore: 0;
+export declare const h5MarginBottomMarginBoth: 12;
+export declare const h5MarginTopMarginAfter: 0;
+export declare const h5MarginTopNoMargin: 0;
+export declare const h5MarginTopMarginBefore: 12;
+export declare const h5MarginTopMarginBoth: 12;
+export declare const h6MarginBottomMarginAfter: 8;
+export declare const h6MarginBottomNoMargin: 0;
+export declare const h6MarginBottomMarginBefore: 0;
+export declare const h6MarginBottomMarginBoth: 8;
+export declare const h6MarginTopMarginAfter: 0;
+export declare const h6MarginTopNoMargin: 0;
+export declare const h6MarginTopMarginBefore: 8;
+export declare const h6MarginTopMarginBoth: 8;
+export declare const standfirstMarginBottomMarginAfter: 36;
+export declare const standfirstMarginBottomNoMargin: 0;
+export declare const standfirstMarginBottomMarginBefore: 0;
+export declare const standfirstMarginBottomMarginBoth: 36;
+export declare const standfirstMarginTopMarginAfter: 0;
+export declare const standfirstMarginTopNoMargin: 0;
+export declare const standfirstMarginTopMarginBefore: 36;
+export declare const standfirstMarginTopMarginBoth: 36;
+export declare const pMarginBottomMarginAfter: 16;
+export declare const pMarginBottomNoMargin: 0;
+export declare const pMarginBottomMarginBefore: 0;
+export declare const pMarginBottomMarginBoth: 16;
+export declare const pMarginTopMarginAfter: 0;
+export declare const pMarginTopNoMargin: 0;
+export declare const pMarginTopMarginBefore: 16;
+export declare const pMarginTopMarginBoth: 16;
+export declare const articleMarginBottomMarginAfter: 20;
+export declare const articleMarginBottomNoMargin: 0;
+export declare const articleMarginBottomMarginBefore: 0;
+export declare const articleMarginBottomMarginBoth: 20;
+export declare const articleMarginTopMarginAfter: 0;
+export declare const articleMarginTopNoMargin: 0;
+export declare const articleMarginTopMarginBefore: 20;
+export declare const articleMarginTopMarginBoth: 20;
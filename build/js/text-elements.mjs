@@ -0,0 +1,76 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const h1MarginBottomMarginAfter = 36;
+export const h1MarginBottomNoMargin = 0;
+export const h1MarginBottomMarginBefore = 0;
+export const h1MarginBottomMarginBoth = 36;
+export const h1MarginTopMarginAfter = 0;
+export const h1MarginTopNoMargin = 0;
+export const h1MarginTopMarginBefore = 36;
+export const h1MarginTopMarginBoth = 36;
+export const h2MarginBottomMarginAfter = 28;
+export const h2MarginBottomNoMargin = 0;
+export const h2MarginBottomMarginBefore = 0;
+export const h2MarginBottomMarginBoth = 28;
+export const h2MarginTopMarginAfter = 0;
+export const h2MarginTopNoMargin = 0;
+export const h2MarginTopMarginBefore = 28;
+export const h2MarginTopMarginBoth = 28;
+export const h3MarginBottomMarginAfter = 20;
+export const h3MarginBottomNoMargin = 0;
+export const h3MarginBottomMarginBefore = 0;
+export const h3MarginBottomMarginBoth = 20;
+export const h3MarginTopMarginAfter = 0;
+export const h3MarginTopNoMargin = 0;
+export const h3MarginTopMarginBefore = 20;
+export const h3MarginTopMarginBoth = 20;
+export const h4MarginBottomMarginAfter = 16;
+export const h4MarginBottomNoMargin = 0;
+export const h4MarginBottomMarginBefore = 0;
+export const h4MarginBottomMarginBoth = 16;
+export const h4MarginTopMarginAfter = 0;
+export const h4MarginTopNoMargin = 0;
+export const h4MarginTopMarginBefore = 16;
+export const h4MarginTopMarginBoth = 16;
+export const h5MarginBottomMarginAfter = 12;
+export const h5MarginBottomNoMargin = 0;
+export const h5MarginBottomMarginBefore = 0;
+export const h5MarginBottomMarginBoth = 12;
+export const h5MarginTopMarginAfter = 0;
+export const h5MarginTopNoMargin = 0;
+export const h5MarginTopMarginBefore = 12;
+export const h5MarginTopMarginBoth = 12;
+export const h6MarginBottomMarginAfter = 8;
+export const h6MarginBottomNoMargin = 0;
+export const h6MarginBottomMarginBefore = 0;
+export const h6MarginBottomMarginBoth = 8;
+export const h6MarginTopMarginAfter = 0;
+export const h6MarginTopNoMargin = 0;
+export const h6MarginTopMarginBefore = 8;
+export const h6MarginTopMarginBoth = 8;
+export const standfirstMarginBottomMarginAfter = 36;
+export const standfirstMarginBottomNoMargin = 0;
+export const standfirstMarginBottomMarginBefore = 0;
+export const standfirstMarginBottomMarginBoth = 36;
+export const standfirstMarginTopMarginAfter = 0;
+export const standfirstMarginTopNoMargin = 0;
+export const standfirstMarginTopMarginBefore = 36;
+export const standfirstMarginTopMarginBoth = 36;
+export const pMarginBottomMarginAfter = 16;
+export const pMarginBottomNoMargin = 0;
+export const pMarginBottomMarginBefore = 0;
+export const pMarginBottomMarginBoth = 16;
+export const pMarginTopMarginAfter = 0;
+export const pMarginTopNoMargin = 0;
+export const pMarginTopMarginBefore = 16;
+export const pMarginTopMarginBoth = 16;
+export const articleMarginBottomMarginAfter = 20;
+export const articleMarginBottomNoMargin = 0;
+export const articleMarginBottomMarginBefore = 0;
+export const articleMarginBottomMarginBoth = 20;
+export const articleMarginTopMarginAfter = 0;
+export const articleMarginTopNoMargin = 0;
+export const articleMarginTopMarginBefore = 20;
+export const articleMarginTopMarginBoth = 20;
@@ -0,0 +1,1318 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const theme = {
+  accordion: {
+    backgroundColour: "#005dba",
+    borderColour: "#001d6e",
+    borderRadius: 12,
+    borderWidth: 1,
+    content: {
+      gap: 20,
+    },
+    gap: 20,
+    header: {
+      customContentHeight: 12,
+      focusIndicatorBorderRadius: 8,
+      focusIndicatorBorderWidth: 3,
+      focusIndicatorColour: "#ffffff",
+      gap: 12,
+      labelMinWidth: 140,
+    },
+    paddingX: 20,
+    paddingY: 20,
+  },
+  accordionGroup: {
+    gap: 16,
+  },
+  addOnButton: {
+    active: {
+      colour: "#1d1d1b",
+    },
+    disabled: {
+      colour: "#d3d3d3",
+    },
+    focus: {
+      borderColour: "#1d1d1b",
+      borderRadius: 12,
+      borderWidth: 3,
+      colour: "#858686",
+    },
+    hover: {
+      colour: "#4d4f4f",
+    },
+    rest: {
+      colour: "#858686",
+    },
+  },
+  banner: {
+    gap: 12,
+    paddingX: 16,
+    paddingY: 12,
+  },
+  body: {
+    bold: {
+      backgroundColour: "#005dba",
+    },
+    default: {
+      backgroundColour: "#f4f4f4",
+    },
+    regal: {
+      backgroundColour: "#001d6e",
+    },
+    subtle: {
+      backgroundColour: "#aee1f7",
+    },
+  },
+  breadcrumb: {
+    borderColour: "#001d6e",
+    borderWidth: 1,
+    gap: 8,
+    minWidth: 320,
+    paddingX: 16,
+    paddingY: 12,
+  },
+  button: {
+    borderRadius: 12,
+    borderWidth: 1.5,
+    borderWidthFocus: 3,
+    common: {
+      iconOnly: {
+        minHeight: 48,
+        minWidth: 48,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      labelled: {
+        minHeight: 48,
+        minWidth: 48,
+        paddingX: 16,
+        paddingY: 12,
+      },
+    },
+    gap: 8,
+    iconWidth: 24,
+    primary: {
+      active: {
+        backgroundColour: "#000039",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      disabled: {
+        backgroundColour: "#1e84d2",
+        borderColour: "#1e84d2",
+        colour: "#001d6e",
+      },
+      focus: {
+        backgroundColour: "#ffffff",
+        colour: "#1d1d1b",
+      },
+      hover: {
+        backgroundColour: "#001d6e",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      rest: {
+        backgroundColour: "#ffffff",
+        borderColour: "#ffffff",
+        colour: "#1d1d1b",
+      },
+    },
+    secondary: {
+      active: {
+        backgroundColour: "#000039",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      disabled: {
+        backgroundColour: "#005dba",
+        borderColour: "#001d6e",
+        colour: "#001d6e",
+      },
+      focus: {
+        backgroundColour: "#005dba",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      hover: {
+        backgroundColour: "#001d6e",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      rest: {
+        backgroundColour: "#005dba",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+    },
+  },
+  buttonGroup: {
+    gap: 16,
+  },
+  card: {
+    backgroundColour: "#005dba",
+    borderColour: "#001d6e",
+    borderRadius: 28,
+    borderWidth: 1,
+    colour: "#ffffff",
+    gap: 20,
+    interactive: {
+      active: {
+        backgroundColour: "#ffffff",
+        borderColour: "#ffffff",
+        borderWidth: 3,
+        colour: "#1d1d1b",
+        paddingRight: 20,
+      },
+      focus: {
+        backgroundColour: "#005dba",
+        borderColour: "#ffffff",
+        borderWidth: 3,
+        colour: "#f4f4f4",
+      },
+      hover: {
+        backgroundColour: "#aee1f7",
+        borderColour: "#001d6e",
+        borderWidth: 3,
+        colour: "#1d1d1b",
+        paddingRight: 20,
+      },
+      rest: {
+        backgroundColour: "#005dba",
+        borderColour: "#f4f4f4",
+        borderWidth: 1,
+        colour: "#f4f4f4",
+      },
+    },
+    minWidth: 288,
+    paddingX: 28,
+    paddingY: 20,
+  },
+  checkbox: {
+    common: {
+      borderRadius: 4,
+      colour: "#ffffff",
+      gap: 12,
+    },
+    disabled: {
+      control: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderWidth: 1.5,
+      },
+      indicator: {
+        backgroundColour: "#d3d3d3",
+        colour: "#d3d3d3",
+      },
+      label: {
+        colour: "#a6a7a7",
+      },
+    },
+    error: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#c50b30",
+        borderWidth: 1.5,
+        focusBorderWidth: 3,
+      },
+      indicator: {
+        colour: "#c50b30",
+      },
+    },
+    focus: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#1d1d1b",
+        borderWidth: 3,
+      },
+      indicator: {
+        colour: "#005dba",
+      },
+    },
+    hover: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#1d1d1b",
+        borderWidth: 1.5,
+      },
+      indicator: {
+        colour: "#001d6e",
+      },
+    },
+    rest: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#001d6e",
+        borderWidth: 1.5,
+      },
+      indicator: {
+        colour: "#005dba",
+      },
+    },
+    scale: {
+      lg: {
+        control: {
+          size: 28,
+        },
+        gap: 36,
+        indicator: {
+          size: 28,
+        },
+      },
+      sm: {
+        control: {
+          size: 16,
+        },
+        gap: 28,
+        indicator: {
+          size: 16,
+        },
+      },
+    },
+  },
+  checkboxGroup: {
+    lg: {
+      gap: 20,
+    },
+    sm: {
+      gap: 16,
+    },
+  },
+  colour: {
+    border: {
+      colour: {
+        "1": "#42aeea",
+        "2": "#001d6e",
+      },
+      mono: {
+        "1": "#ffffff",
+        "2": "#f4f4f4",
+        "3": "#d3d3d3",
+        "4": "#858686",
+        "5": "#4d4f4f",
+        "6": "#1d1d1b",
+      },
+    },
+    brand: {
+      tint: {
+        "1": "#d2effb",
+        "2": "#aee1f7",
+        "3": "#42aeea",
+        "4": "#005dba",
+        "5": "#001d6e",
+        "6": "#000a52",
+        "7": "#000039",
+      },
+    },
+    interactive: {
+      default: {
+        "1": "#ffffff",
+        "2": "#ffffff",
+        "3": "#d2effb",
+        "4": "#005dba",
+        "5": "#001d6e",
+        "6": "#001d6e",
+        "7": "#000039",
+        "8": "#000039",
+        "9": "#1d1d1b",
+        "10": "#1d1d1b",
+      },
+      disabled: {
+        "1": "#f4f4f4",
+        "2": "#d3d3d3",
+        "3": "#7a7b7b",
+        "4": "#d2effb",
+        "5": "#76c8f1",
+        "6": "#1e84d2",
+        "7": "#1e84d2",
+        "8": "#001d6e",
+      },
+      reversed: {
+        "1": "#1d1d1b",
+        "2": "#4d4f4f",
+        "3": "#001d6e",
+        "4": "#005dba",
+        "5": "#42aeea",
+        "6": "#aee1f7",
+        "7": "#f4f4f4",
+        "8": "#ffffff",
+        "9": "#ffffff",
+      },
+    },
+    surface: {
+      fill: {
+        "1": "#ffffff",
+        "2": "#f4f4f4",
+        "3": "#aee1f7",
+        "4": "#42aeea",
+        "5": "#005dba",
+        "6": "#005dba",
+        "7": "#001d6e",
+      },
+      hasFill: true,
+    },
+    text: {
+      interactive: {
+        "1": "#f4f4f4",
+        "2": "#005dba",
+        "3": "#001d6e",
+        "4": "#000a52",
+        "5": "#000039",
+        "6": "#000000",
+      },
+      static: {
+        "1": "#1d1d1b",
+        "2": "#4d4f4f",
+        "3": "#001d6e",
+        "4": "#d2effb",
+        "5": "#ffffff",
+      },
+    },
+  },
+  container: {
+    common: {
+      borderRadiusLg: 28,
+      borderRadiusMd: 20,
+      borderRadiusSm: 16,
+      borderRadiusXs: 12,
+      borderWidthMd: 2,
+      borderWidthXs: 1,
+      focusIndicatorBorderRadiusSm: 8,
+      focusIndicatorBorderWidth: 3,
+      minWidth: 288,
+      paddingLg: 28,
+      paddingMd: 20,
+      paddingSm: 16,
+      paddingXs: 12,
+      sizeXs: 16,
+    },
+    default: {
+      accent1: "#001d6e",
+      accent2: "#ffffff",
+      backgroundColour: "#005dba",
+      backgroundColourReversed: "#ffffff",
+      borderColour1: "#001d6e",
+      borderColour2: "#f4f4f4",
+      borderColour3: "#4d4f4f",
+      borderColour4: "#001d6e",
+      focusIndicatorColour: "#ffffff",
+    },
+  },
+  contentArea: {
+    backgroundColour: "#005dba",
+    borderColour: "#001d6e",
+    borderRadius: 28,
+    borderWidth: 1,
+    colour: "#ffffff",
+    gap: 28,
+    paddingX: 28,
+    paddingY: 20,
+  },
+  content: {
+    gap: {
+      column: {
+        lg: 36,
+        md: 28,
+        sm: 8,
+        xl: 48,
+        xs: 16,
+      },
+      inside: {
+        lg: 16,
+        md: 12,
+        sm: 8,
+        xl: 20,
+        xs: 4,
+      },
+      row: {
+        lg: 36,
+        md: 28,
+        sm: 20,
+        xl: 48,
+        xs: 16,
+      },
+    },
+    icon: {
+      brandPrimary: {
+        colour: "#ffffff",
+      },
+      negative: {
+        colour: "#ffffff",
+      },
+      positive: {
+        colour: "#ffffff",
+      },
+      size: {
+        sm: 24,
+      },
+    },
+    indicator: {
+      bold: {
+        backgroundColour: "#ffffff",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        padding: 4,
+        size: 16,
+      },
+      progress: {
+        backgroundColour: "#d2effb",
+        colour: "#000039",
+        size: 4,
+      },
+    },
+    pictogram: {
+      fill: "#005dba",
+      hasFill: false,
+      outline: "#f4f4f4",
+      size: {
+        lg: 80,
+        md: 32,
+        xl: 160,
+      },
+    },
+    seperator: {
+      borderWidthSm: 1.5,
+      borderWidthXs: 1,
+      colour: "#f4f4f4",
+    },
+  },
+  dataPoint: {
+    gap: 4,
+    labelColour: "#d2effb",
+    valueColour: "#ffffff",
+  },
+  dataPointGroup: {
+    columnGap: 36,
+    rowGap: 36,
+  },
+  details: {
+    activePaddingBottom: 16,
+    borderRadius: 12,
+    focusIndicatorBorderRadius: 8,
+    focusIndicatorBorderWidth: 3,
+    focusIndicatorColour: "#1d1d1b",
+    gap: 12,
+    paddingX: 12,
+    paddingY: 12,
+  },
+  filterButton: {
+    active: {
+      backgroundColour: "#ffffff",
+      borderColour: "#ffffff",
+      colour: "#1d1d1b",
+    },
+    borderRadius: 28,
+    borderWidth: 1.5,
+    borderWidthFocus: 3,
+    disabled: {
+      backgroundColour: "#d2effb",
+      borderColour: "#d3d3d3",
+      colour: "#76c8f1",
+    },
+    focus: {
+      backgroundColour: "#42aeea",
+      borderColour: "#1d1d1b",
+      colour: "#1d1d1b",
+    },
+    gap: 8,
+    hover: {
+      backgroundColour: "#aee1f7",
+      borderColour: "#1d1d1b",
+      colour: "#1d1d1b",
+    },
+    minHeight: 48,
+    paddingX: 16,
+    rest: {
+      backgroundColour: "#42aeea",
+      borderColour: "#1d1d1b",
+      colour: "#1d1d1b",
+    },
+  },
+  filterButtonGroup: {
+    gap: 16,
+  },
+  footer: {
+    backgroundColour: "#005dba",
+    borderColour: "#001d6e",
+    borderWidth: 1,
+    gap: 28,
+    logoGap: 36,
+    logoSize: 80,
+    minWidth: 320,
+    paddingX: 16,
+    paddingY: 28,
+  },
+  footerLinkGroup: {
+    linkGap: 16,
+    socialGap: 12,
+  },
+  formField: {
+    gap: 16,
+  },
+  header: {
+    button: {
+      active: {
+        backgroundColour: "#ffffff",
+        colour: "#1d1d1b",
+        hoverIndicator: "#ffffff",
+      },
+      borderRadius: 12,
+      borderWidthFocus: 3,
+      focus: {
+        backgroundColour: "#005dba",
+        borderColour: "#005dba",
+        colour: "#ffffff",
+      },
+      gap: 8,
+      hover: {
+        backgroundColour: "#aee1f7",
+        colour: "#1d1d1b",
+        hoverIndicator: "#001d6e",
+      },
+      iconSize: 24,
+      minHeight: 48,
+      minWidth: 48,
+      paddingDefaultX: 12,
+      paddingSmallX: 8,
+      paddingY: 12,
+      rest: {
+        backgroundColour: "#005dba",
+        colour: "#ffffff",
+        hoverIndicator: "#005dba",
+      },
+      textIconLabelHeight: 14,
+      textLabelHeight: 22,
+    },
+    container: {
+      backgroundColour: "#005dba",
+      gap: 28,
+      logoGapLg: 20,
+      logoGapSm: 16,
+      maxHeight: 89,
+      minWidth: 320,
+      paddingX: 16,
+      paddingY: 8,
+    },
+    logo: {
+      container: {
+        maxHeightLg: 64,
+        maxHeightSm: 44,
+        maxWidthLg: 232,
+        maxWidthSm: 165,
+        paddingBottomLg: 12,
+        paddingBottomSm: 8,
+      },
+      primary: {
+        maxHeightLg: 52,
+        maxHeightSm: 36,
+      },
+      secondary: {
+        heightLg: 36,
+        heightSm: 25,
+        maxWidthLg: 120,
+        maxWidthSm: 84,
+      },
+    },
+  },
+  hero: {
+    gap: 36,
+    paddingX: 16,
+    paddingY: 36,
+    subheadings: {
+      colour: "#d2effb",
+      gap: 4,
+    },
+    titleBlock: {
+      colour: "#ffffff",
+      gap: 12,
+    },
+    width: 288,
+  },
+  inlineMessage: {
+    borderRadius: 12,
+    gap: 12,
+    paddingX: 12,
+    paddingY: 12,
+  },
+  input: {
+    common: {
+      borderRadiusLg: 16,
+      borderRadiusMd: 12,
+      borderRadiusSm: 8,
+      borderRadiusXs: 4,
+      gapLg: 16,
+      gapMd: 12,
+      gapSm: 8,
+      gapXl: 20,
+      gapXs: 4,
+      gapXxl: 28,
+      gapXxxl: 36,
+      minWidth: 232,
+      paddingLg: 16,
+      paddingMd: 12,
+      paddingSm: 8,
+      paddingXs: 4,
+      scaleLg: 28,
+      scaleMd: 20,
+      scaleSm: 16,
+      scaleXl: 36,
+      scaleXs: 12,
+      scaleXxl: 48,
+      scaleXxs: 8,
+    },
+    disabled: {
+      borderColour: "#d3d3d3",
+      borderWidth: 1.5,
+      colour: "#a6a7a7",
+      indicatorColour: "#d3d3d3",
+      neutralBackgroundColour: "#f4f4f4",
+      neutralReverseBackgroundColour: "#f4f4f4",
+    },
+    error: {
+      borderColour: "#c50b30",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+      indicatorColour: "#c50b30",
+      neutralBackgroundColour: "#ffffff",
+      neutralReverseBackgroundColour: "#f4f4f4",
+    },
+    errorFocus: {
+      borderWidth: 3,
+    },
+    focus: {
+      borderColour: "#1d1d1b",
+      borderWidth: 3,
+      colour: "#1d1d1b",
+      indicatorColour: "#005dba",
+      neutralBackgroundColour: "#ffffff",
+      neutralReverseBackgroundColour: "#f4f4f4",
+    },
+    hover: {
+      borderColour: "#1d1d1b",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+      indicatorColour: "#001d6e",
+      neutralBackgroundColour: "#ffffff",
+      neutralReverseBackgroundColour: "#f4f4f4",
+    },
+    rest: {
+      borderColour: "#001d6e",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+      indicatorColour: "#005dba",
+      neutralBackgroundColour: "#ffffff",
+      neutralReverseBackgroundColour: "#f4f4f4",
+    },
+  },
+  interactive: {
+    addOn: {
+      active: {
+        colour: "#1d1d1b",
+      },
+      disabled: {
+        colour: "#d3d3d3",
+      },
+      focus: {
+        borderColour: "#1d1d1b",
+        colour: "#858686",
+      },
+      hover: {
+        colour: "#4d4f4f",
+      },
+      rest: {
+        colour: "#858686",
+      },
+    },
+    borderRadiusDefault: 12,
+    borderRadiusPill: 28,
+    borderWidthLg: 3,
+    borderWidthSm: 1.5,
+    borderWidthXs: 1,
+    focusBorderWidth: 3,
+    gap: 8,
+    minHeight: 48,
+    minWidth: 48,
+    paddingLg: 20,
+    paddingMd: 16,
+    paddingSm: 12,
+    paddingXs: 8,
+    primary: {
+      active: {
+        backgroundColour: "#000039",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      disabled: {
+        backgroundColour: "#1e84d2",
+        borderColour: "#1e84d2",
+        colour: "#001d6e",
+      },
+      focus: {
+        backgroundColour: "#ffffff",
+        borderColour: "#ffffff",
+        colour: "#1d1d1b",
+      },
+      hover: {
+        backgroundColour: "#001d6e",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      rest: {
+        backgroundColour: "#ffffff",
+        borderColour: "#ffffff",
+        colour: "#1d1d1b",
+      },
+    },
+    primaryReversed: {
+      active: {
+        backgroundColour: "#ffffff",
+        borderColourDark: "#ffffff",
+        borderColourLight: "#1d1d1b",
+        colour: "#1d1d1b",
+        colourMuted: "#4d4f4f",
+      },
+      disabled: {
+        backgroundColour: "#d2effb",
+        borderColour: "#d3d3d3",
+        colour: "#76c8f1",
+      },
+      focus: {
+        backgroundColour: "#005dba",
+        borderColourDark: "#005dba",
+        borderColourLight: "#005dba",
+        colour: "#ffffff",
+        colourMuted: "#ffffff",
+      },
+      hover: {
+        backgroundColour: "#aee1f7",
+        borderColourDark: "#1d1d1b",
+        borderColourLight: "#001d6e",
+        colour: "#1d1d1b",
+        colourMuted: "#1d1d1b",
+      },
+      rest: {
+        backgroundColour: "#005dba",
+        borderColourDark: "#f4f4f4",
+        borderColourLight: "#f4f4f4",
+        colour: "#ffffff",
+        colourMuted: "#ffffff",
+      },
+    },
+    primaryReversedSubtle: {
+      active: {
+        backgroundColour: "#ffffff",
+        borderColour: "#ffffff",
+        colour: "#1d1d1b",
+      },
+      disabled: {
+        backgroundColour: "#d3d3d3",
+        borderColour: "#d3d3d3",
+        colour: "#7a7b7b",
+      },
+      focus: {
+        backgroundColour: "#42aeea",
+        borderColour: "#1d1d1b",
+        colour: "#1d1d1b",
+      },
+      hover: {
+        backgroundColour: "#aee1f7",
+        borderColour: "#1d1d1b",
+        colour: "#1d1d1b",
+      },
+      rest: {
+        backgroundColour: "#42aeea",
+        borderColour: "#1d1d1b",
+        colour: "#1d1d1b",
+      },
+    },
+    secondary: {
+      active: {
+        backgroundColour: "#000039",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      disabled: {
+        backgroundColour: "#005dba",
+        borderColour: "#001d6e",
+        colour: "#001d6e",
+      },
+      focus: {
+        backgroundColour: "#005dba",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      hover: {
+        backgroundColour: "#001d6e",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+      rest: {
+        backgroundColour: "#005dba",
+        borderColour: "#ffffff",
+        colour: "#ffffff",
+      },
+    },
+    text: {
+      default: {
+        active: "#f4f4f4",
+        focus: "#f4f4f4",
+        hover: "#f4f4f4",
+        rest: "#f4f4f4",
+        visited: "#f4f4f4",
+      },
+      focusBorderRadius: 4,
+      focusBorderWidth: 1,
+      mono: {
+        active: "#f4f4f4",
+        focus: "#f4f4f4",
+        hover: "#f4f4f4",
+        rest: "#f4f4f4",
+        visited: "#f4f4f4",
+      },
+    },
+    underlineBorderWidth: 2,
+  },
+  labelAndHint: {
+    gap: 4,
+    hintColour: "#ffffff",
+    labelColour: "#ffffff",
+  },
+  link: {
+    gap: 8,
+    mono: {
+      active: {
+        colour: "#f4f4f4",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#f4f4f4",
+      },
+      hover: {
+        colour: "#f4f4f4",
+      },
+      rest: {
+        colour: "#f4f4f4",
+      },
+      visited: {
+        colour: "#f4f4f4",
+      },
+    },
+    primary: {
+      active: {
+        colour: "#f4f4f4",
+      },
+      focus: {
+        borderRadius: 4,
+        borderWidth: 1,
+        colour: "#f4f4f4",
+      },
+      hover: {
+        colour: "#f4f4f4",
+      },
+      rest: {
+        colour: "#f4f4f4",
+      },
+      visited: {
+        colour: "#ffffff",
+      },
+    },
+  },
+  linkGroup: {
+    gap: 16,
+  },
+  linkMenu: {
+    borderColour: "#f4f4f4",
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  linkMenuItem: {
+    active: {
+      backgroundColour: "#ffffff",
+      borderColour: "#1d1d1b",
+      borderWidthBottom: 1,
+      colour: "#1d1d1b",
+      colourMuted: "#4d4f4f",
+    },
+    focus: {
+      borderColour: "#ffffff",
+      borderWidth: 3,
+      colour: "#ffffff",
+      colourMuted: "#ffffff",
+    },
+    gap: 12,
+    hover: {
+      backgroundColour: "#aee1f7",
+      borderColour: "#001d6e",
+      borderWidthBottom: 3,
+      colour: "#1d1d1b",
+      colourMuted: "#1d1d1b",
+      paddingRight: 8,
+    },
+    paddingBottom: 16,
+    paddingLeft: 16,
+    paddingRight: 8,
+    paddingTop: 16,
+    rest: {
+      borderColour: "#f4f4f4",
+      borderWidthBottom: 1,
+      colour: "#ffffff",
+      colourMuted: "#ffffff",
+    },
+  },
+  list: {
+    gap: 20,
+  },
+  listItem: {
+    common: {
+      gap: 12,
+      paddingLeft: 12,
+    },
+    negative: {
+      colour: "#ffffff",
+    },
+    positive: {
+      colour: "#ffffff",
+    },
+  },
+  notice: {
+    content: {
+      gap: 16,
+    },
+    gap: 28,
+  },
+  notificationBadge: {
+    backgroundColour: "#ffffff",
+    borderRadius: 16,
+    colour: "#1d1d1b",
+    height: 16,
+    minWidth: 16,
+    padding: 4,
+  },
+  pagination: {
+    colour: "#ffffff",
+    horizontalGap: 28,
+    insideGap: 8,
+    verticalGap: 16,
+  },
+  paginationPage: {
+    active: {
+      backgroundColour: "#ffffff",
+      colour: "#1d1d1b",
+      hoverIndicatorColour: "#ffffff",
+    },
+    common: {
+      hoverIndicatorWidth: 2,
+    },
+    disabled: {
+      backgroundColour: "#d2effb",
+      colour: "#76c8f1",
+      hoverIndicatorColour: "#d2effb",
+    },
+    focus: {
+      backgroundColour: "#005dba",
+      borderColour: "#ffffff",
+      borderWidth: 3,
+      colour: "#ffffff",
+      hoverIndicatorColour: "#005dba",
+    },
+    hover: {
+      backgroundColour: "#aee1f7",
+      colour: "#ffffff",
+      hoverIndicatorColour: "#001d6e",
+    },
+    rest: {
+      backgroundColour: "#005dba",
+      colour: "#ffffff",
+      hoverIndicatorColour: "#005dba",
+    },
+  },
+  progressBar: {
+    backgroundColour: "#d2effb",
+    borderRadius: 16,
+    colour: "#000039",
+    gap: 8,
+    height: 4,
+  },
+  progressHeader: {
+    colour: "#ffffff",
+  },
+  progressIndicator: {
+    gap: 8,
+  },
+  progressJourney: {
+    colour: "#d2effb",
+    gap: 16,
+  },
+  radio: {
+    common: {
+      borderRadius: 16,
+      colour: "#ffffff",
+    },
+    disabled: {
+      control: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderWidth: 1.5,
+      },
+      indicator: {
+        colour: "#d3d3d3",
+      },
+      label: {
+        colour: "#a6a7a7",
+      },
+    },
+    error: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#c50b30",
+        borderWidth: 1.5,
+        focusBorderWidth: 3,
+      },
+      indicator: {
+        colour: "#c50b30",
+      },
+    },
+    focus: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#1d1d1b",
+        borderWidth: 3,
+      },
+      indicator: {
+        colour: "#005dba",
+      },
+    },
+    hover: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#1d1d1b",
+        borderWidth: 1.5,
+      },
+      indicator: {
+        colour: "#001d6e",
+      },
+    },
+    rest: {
+      control: {
+        backgroundColour: "#ffffff",
+        borderColour: "#001d6e",
+        borderWidth: 1.5,
+      },
+      indicator: {
+        colour: "#005dba",
+      },
+    },
+    scale: {
+      lg: {
+        control: {
+          size: 28,
+        },
+        gap: 36,
+        indicator: {
+          size: 16,
+        },
+      },
+      sm: {
+        control: {
+          size: 16,
+        },
+        gap: 28,
+        indicator: {
+          size: 8,
+        },
+      },
+    },
+  },
+  radioGroup: {
+    lg: {
+      gap: 20,
+    },
+    sm: {
+      gap: 16,
+    },
+  },
+  segmentButton: {
+    active: {
+      backgroundColour: "#ffffff",
+      colour: "#1d1d1b",
+    },
+    common: {
+      borderRadius: 8,
+      minHeight: 36,
+      paddingX: 8,
+      paddingY: 8,
+    },
+    disabled: {
+      backgroundColour: "#d3d3d3",
+      colour: "#a6a7a7",
+    },
+    focus: {
+      backgroundColour: "#005dba",
+      borderColour: "#ffffff",
+      borderWidth: 3,
+      colour: "#ffffff",
+    },
+    hover: {
+      backgroundColour: "#aee1f7",
+      colour: "#1d1d1b",
+    },
+    rest: {
+      backgroundColour: "#005dba",
+      colour: "#ffffff",
+    },
+  },
+  segmentControl: {
+    common: {
+      backgroundColour: "#f4f4f4",
+      borderColour: "#001d6e",
+      borderRadius: 12,
+      borderWidth: 1.5,
+      gap: 4,
+      minWidth: 232,
+      paddingX: 4,
+      paddingY: 4,
+    },
+    error: {
+      borderColour: "#c50b30",
+      borderWidth: 1.5,
+      focusBorderWidth: 3,
+    },
+    focus: {
+      borderColour: "#1d1d1b",
+      borderWidth: 3,
+    },
+  },
+  select: {
+    common: {
+      borderRadius: 12,
+      buttonGap: 16,
+      height: 48,
+      paddingX: 16,
+      paddingY: 8,
+      textGap: 8,
+    },
+    disabled: {
+      backgroundColour: "#f4f4f4",
+      borderColour: "#d3d3d3",
+      borderWidth: 1.5,
+      colour: "#a6a7a7",
+    },
+    error: {
+      backgroundColour: "#ffffff",
+      borderColour: "#c50b30",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+      focusBorderWidth: 3,
+    },
+    focus: {
+      backgroundColour: "#ffffff",
+      borderColour: "#1d1d1b",
+      borderWidth: 3,
+      colour: "#1d1d1b",
+    },
+    hover: {
+      backgroundColour: "#ffffff",
+      borderColour: "#1d1d1b",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+    },
+    rest: {
+      backgroundColour: "#ffffff",
+      borderColour: "#001d6e",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+    },
+  },
+  seperator: {
+    borderColour: "#f4f4f4",
+    borderWidth: 1,
+  },
+  table: {
+    backgroundColour: "#005dba",
+    borderColour: "#f4f4f4",
+    borderRadius: 16,
+    cell: {
+      common: {
+        backgroundColour: "#005dba",
+        backgroundColourEven: "#005dba",
+        borderColour: "#f4f4f4",
+        borderWidth: 1,
+        colour: "#ffffff",
+        paddingX: 16,
+        paddingYLg: 16,
+        paddingYSm: 12,
+      },
+      header: {
+        borderColour: "#4d4f4f",
+        borderWidth: 2,
+      },
+      highlight: {
+        backgroundColour: "#005dba",
+      },
+    },
+    row: {
+      vertical: {
+        gap: 16,
+      },
+    },
+  },
+  text: {
+    default: {
+      accent: {
+        colour: "#ffffff",
+      },
+      primary: {
+        colour: "#ffffff",
+      },
+      secondary: {
+        colour: "#d2effb",
+      },
+    },
+  },
+  textInput: {
+    common: {
+      addonButtonGap: 16,
+      borderRadius: 12,
+      buttonGap: 8,
+      height: 48,
+      paddingX: 16,
+      paddingY: 8,
+      textGap: 8,
+    },
+    disabled: {
+      backgroundColour: "#f4f4f4",
+      borderColour: "#d3d3d3",
+      borderWidth: 1.5,
+      colour: "#a6a7a7",
+    },
+    error: {
+      backgroundColour: "#ffffff",
+      borderColour: "#c50b30",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+      focusBorderWidth: 3,
+    },
+    focus: {
+      backgroundColour: "#ffffff",
+      borderColour: "#1d1d1b",
+      borderWidth: 3,
+      colour: "#1d1d1b",
+    },
+    hover: {
+      backgroundColour: "#ffffff",
+      borderColour: "#1d1d1b",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+    },
+    rest: {
+      backgroundColour: "#ffffff",
+      borderColour: "#001d6e",
+      borderWidth: 1.5,
+      colour: "#1d1d1b",
+    },
+  },
+};
+
+export default theme;
@@ -0,0 +1,9 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+import type { CanopyTheme } from '../types.cjs';
+
+export declare const theme: CanopyTheme;
+
+export default theme;
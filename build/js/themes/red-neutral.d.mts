@@ -0,0 +1,9 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+import type { CanopyTheme } from '../types.mjs';
+
+export declare const theme: CanopyTheme;
+
+export default theme;
@@ -0,0 +1,1512 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export type CanopyTheme = {
+  readonly accordion: {
+    readonly backgroundColour: string;
+    readonly borderColour: string;
+    readonly borderRadius: number;
+    readonly borderWidth: number;
+    readonly content: {
+      readonly gap: number;
+    };
+    readonly gap: number;
+    readonly header: {
+      readonly customContentHeight: number;
+      readonly focusIndicatorBorderRadius: number;
+      readonly focusIndicatorBorderWidth: number;
+      readonly focusIndicatorColour: string;
+      readonly gap: number;
+      readonly labelMinWidth: number;
+    };
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly accordionGroup: {
+    readonly gap: number;
+  };
+  readonly addOnButton: {
+    readonly active: {
+      readonly colour: string;
+    };
+    readonly disabled: {
+      readonly colour: string;
+    };
+    readonly focus: {
+      readonly borderColour: string;
+      readonly borderRadius: number;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly hover: {
+      readonly colour: string;
+    };
+    readonly rest: {
+      readonly colour: string;
+    };
+  };
+  readonly banner: {
+    readonly gap: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly body: {
+    readonly bold: {
+      readonly backgroundColour: string;
+    };
+    readonly default: {
+      readonly backgroundColour: string;
+    };
+    readonly regal: {
+      readonly backgroundColour: string;
+    };
+    readonly subtle: {
+      readonly backgroundColour: string;
+    };
+  };
+  readonly breadcrumb: {
+    readonly borderColour: string;
+    readonly borderWidth: number;
+    readonly gap: number;
+    readonly minWidth: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly button: {
+    readonly borderRadius: number;
+    readonly borderWidthFocus: number;
+    readonly borderWidth: number;
+    readonly common: {
+      readonly iconOnly: {
+        readonly minHeight: number;
+        readonly minWidth: number;
+        readonly paddingX: number;
+        readonly paddingY: number;
+      };
+      readonly labelled: {
+        readonly minHeight: number;
+        readonly minWidth: number;
+        readonly paddingX: number;
+        readonly paddingY: number;
+      };
+    };
+    readonly gap: number;
+    readonly iconWidth: number;
+    readonly primary: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly disabled: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+    };
+    readonly secondary: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly disabled: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+    };
+  };
+  readonly buttonGroup: {
+    readonly gap: number;
+  };
+  readonly card: {
+    readonly backgroundColour: string;
+    readonly borderColour: string;
+    readonly borderRadius: number;
+    readonly borderWidth: number;
+    readonly colour: string;
+    readonly gap: number;
+    readonly interactive: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+        readonly colour: string;
+        readonly paddingRight: number;
+      };
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+        readonly colour: string;
+        readonly paddingRight: number;
+      };
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+        readonly colour: string;
+      };
+    };
+    readonly minWidth: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly checkbox: {
+    readonly common: {
+      readonly borderRadius: number;
+      readonly colour: string;
+      readonly gap: number;
+    };
+    readonly disabled: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly backgroundColour: string;
+        readonly colour: string;
+      };
+      readonly label: {
+        readonly colour: string;
+      };
+    };
+    readonly error: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+        readonly focusBorderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly focus: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly hover: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly rest: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly scale: {
+      readonly lg: {
+        readonly control: {
+          readonly size: number;
+        };
+        readonly gap: number;
+        readonly indicator: {
+          readonly size: number;
+        };
+      };
+      readonly sm: {
+        readonly control: {
+          readonly size: number;
+        };
+        readonly gap: number;
+        readonly indicator: {
+          readonly size: number;
+        };
+      };
+    };
+  };
+  readonly checkboxGroup: {
+    readonly lg: {
+      readonly gap: number;
+    };
+    readonly sm: {
+      readonly gap: number;
+    };
+  };
+  readonly colour: {
+    readonly border: {
+      readonly colour: {
+        readonly "1": string;
+        readonly "2": string;
+      };
+      readonly mono: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+        readonly "6": string;
+      };
+    };
+    readonly brand: {
+      readonly tint: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+        readonly "6": string;
+        readonly "7": string;
+      };
+    };
+    readonly interactive: {
+      readonly default: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+        readonly "6": string;
+        readonly "7": string;
+        readonly "8": string;
+        readonly "9": string;
+        readonly "10": string;
+      };
+      readonly disabled: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+        readonly "6": string;
+        readonly "7": string;
+        readonly "8": string;
+      };
+      readonly reversed: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+        readonly "6": string;
+        readonly "7": string;
+        readonly "8": string;
+        readonly "9": string;
+      };
+    };
+    readonly surface: {
+      readonly fill: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+        readonly "6": string;
+        readonly "7": string;
+      };
+      readonly hasFill: boolean;
+    };
+    readonly text: {
+      readonly interactive: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+        readonly "6": string;
+      };
+      readonly static: {
+        readonly "1": string;
+        readonly "2": string;
+        readonly "3": string;
+        readonly "4": string;
+        readonly "5": string;
+      };
+    };
+  };
+  readonly container: {
+    readonly common: {
+      readonly borderRadiusLg: number;
+      readonly borderRadiusMd: number;
+      readonly borderRadiusSm: number;
+      readonly borderRadiusXs: number;
+      readonly borderWidthMd: number;
+      readonly borderWidthXs: number;
+      readonly focusIndicatorBorderRadiusSm: number;
+      readonly focusIndicatorBorderWidth: number;
+      readonly minWidth: number;
+      readonly paddingLg: number;
+      readonly paddingMd: number;
+      readonly paddingSm: number;
+      readonly paddingXs: number;
+      readonly sizeXs: number;
+    };
+    readonly default: {
+      readonly accent1: string;
+      readonly accent2: string;
+      readonly backgroundColour: string;
+      readonly backgroundColourReversed: string;
+      readonly borderColour1: string;
+      readonly borderColour2: string;
+      readonly borderColour3: string;
+      readonly borderColour4: string;
+      readonly focusIndicatorColour: string;
+    };
+  };
+  readonly contentArea: {
+    readonly backgroundColour: string;
+    readonly borderColour: string;
+    readonly borderRadius: number;
+    readonly borderWidth: number;
+    readonly colour: string;
+    readonly gap: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly content: {
+    readonly gap: {
+      readonly column: {
+        readonly lg: number;
+        readonly md: number;
+        readonly sm: number;
+        readonly xl: number;
+        readonly xs: number;
+      };
+      readonly inside: {
+        readonly lg: number;
+        readonly md: number;
+        readonly sm: number;
+        readonly xl: number;
+        readonly xs: number;
+      };
+      readonly row: {
+        readonly lg: number;
+        readonly md: number;
+        readonly sm: number;
+        readonly xl: number;
+        readonly xs: number;
+      };
+    };
+    readonly icon: {
+      readonly brandPrimary: {
+        readonly colour: string;
+      };
+      readonly negative: {
+        readonly colour: string;
+      };
+      readonly positive: {
+        readonly colour: string;
+      };
+      readonly size: {
+        readonly sm: number;
+      };
+    };
+    readonly indicator: {
+      readonly bold: {
+        readonly backgroundColour: string;
+        readonly borderRadius: number;
+        readonly colour: string;
+        readonly padding: number;
+        readonly size: number;
+      };
+      readonly progress: {
+        readonly backgroundColour: string;
+        readonly colour: string;
+        readonly size: number;
+      };
+    };
+    readonly pictogram: {
+      readonly fill: string;
+      readonly hasFill: boolean;
+      readonly outline: string;
+      readonly size: {
+        readonly lg: number;
+        readonly md: number;
+        readonly xl: number;
+      };
+    };
+    readonly seperator: {
+      readonly borderWidthSm: number;
+      readonly borderWidthXs: number;
+      readonly colour: string;
+    };
+  };
+  readonly dataPoint: {
+    readonly gap: number;
+    readonly labelColour: string;
+    readonly valueColour: string;
+  };
+  readonly dataPointGroup: {
+    readonly columnGap: number;
+    readonly rowGap: number;
+  };
+  readonly details: {
+    readonly activePaddingBottom: number;
+    readonly borderRadius: number;
+    readonly focusIndicatorBorderRadius: number;
+    readonly focusIndicatorBorderWidth: number;
+    readonly focusIndicatorColour: string;
+    readonly gap: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly filterButton: {
+    readonly active: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly borderRadius: number;
+    readonly borderWidthFocus: number;
+    readonly borderWidth: number;
+    readonly disabled: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly focus: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly gap: number;
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly minHeight: number;
+    readonly paddingX: number;
+    readonly rest: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+  };
+  readonly filterButtonGroup: {
+    readonly gap: number;
+  };
+  readonly footer: {
+    readonly backgroundColour: string;
+    readonly borderColour: string;
+    readonly borderWidth: number;
+    readonly gap: number;
+    readonly logoGap: number;
+    readonly logoSize: number;
+    readonly minWidth: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly footerLinkGroup: {
+    readonly linkGap: number;
+    readonly socialGap: number;
+  };
+  readonly formField: {
+    readonly gap: number;
+  };
+  readonly header: {
+    readonly button: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly colour: string;
+        readonly hoverIndicator: string;
+      };
+      readonly borderRadius: number;
+      readonly borderWidthFocus: number;
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly gap: number;
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly colour: string;
+        readonly hoverIndicator: string;
+      };
+      readonly iconSize: number;
+      readonly minHeight: number;
+      readonly minWidth: number;
+      readonly paddingDefaultX: number;
+      readonly paddingSmallX: number;
+      readonly paddingY: number;
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly colour: string;
+        readonly hoverIndicator: string;
+      };
+      readonly textIconLabelHeight: number;
+      readonly textLabelHeight: number;
+    };
+    readonly container: {
+      readonly backgroundColour: string;
+      readonly gap: number;
+      readonly logoGapLg: number;
+      readonly logoGapSm: number;
+      readonly maxHeight: number;
+      readonly minWidth: number;
+      readonly paddingX: number;
+      readonly paddingY: number;
+    };
+    readonly logo: {
+      readonly container: {
+        readonly maxHeightLg: number;
+        readonly maxHeightSm: number;
+        readonly maxWidthLg: number;
+        readonly maxWidthSm: number;
+        readonly paddingBottomLg: number;
+        readonly paddingBottomSm: number;
+      };
+      readonly primary: {
+        readonly maxHeightLg: number;
+        readonly maxHeightSm: number;
+      };
+      readonly secondary: {
+        readonly heightLg: number;
+        readonly heightSm: number;
+        readonly maxWidthLg: number;
+        readonly maxWidthSm: number;
+      };
+    };
+  };
+  readonly hero: {
+    readonly gap: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+    readonly subheadings: {
+      readonly colour: string;
+      readonly gap: number;
+    };
+    readonly titleBlock: {
+      readonly colour: string;
+      readonly gap: number;
+    };
+    readonly width: number;
+  };
+  readonly inlineMessage: {
+    readonly borderRadius: number;
+    readonly gap: number;
+    readonly paddingX: number;
+    readonly paddingY: number;
+  };
+  readonly input: {
+    readonly common: {
+      readonly borderRadiusLg: number;
+      readonly borderRadiusMd: number;
+      readonly borderRadiusSm: number;
+      readonly borderRadiusXs: number;
+      readonly gapLg: number;
+      readonly gapMd: number;
+      readonly gapSm: number;
+      readonly gapXl: number;
+      readonly gapXs: number;
+      readonly gapXxl: number;
+      readonly gapXxxl: number;
+      readonly minWidth: number;
+      readonly paddingLg: number;
+      readonly paddingMd: number;
+      readonly paddingSm: number;
+      readonly paddingXs: number;
+      readonly scaleLg: number;
+      readonly scaleMd: number;
+      readonly scaleSm: number;
+      readonly scaleXl: number;
+      readonly scaleXs: number;
+      readonly scaleXxl: number;
+      readonly scaleXxs: number;
+    };
+    readonly disabled: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly indicatorColour: string;
+      readonly neutralBackgroundColour: string;
+      readonly neutralReverseBackgroundColour: string;
+    };
+    readonly error: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly indicatorColour: string;
+      readonly neutralBackgroundColour: string;
+      readonly neutralReverseBackgroundColour: string;
+    };
+    readonly errorFocus: {
+      readonly borderWidth: number;
+    };
+    readonly focus: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly indicatorColour: string;
+      readonly neutralBackgroundColour: string;
+      readonly neutralReverseBackgroundColour: string;
+    };
+    readonly hover: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly indicatorColour: string;
+      readonly neutralBackgroundColour: string;
+      readonly neutralReverseBackgroundColour: string;
+    };
+    readonly rest: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly indicatorColour: string;
+      readonly neutralBackgroundColour: string;
+      readonly neutralReverseBackgroundColour: string;
+    };
+  };
+  readonly interactive: {
+    readonly addOn: {
+      readonly active: {
+        readonly colour: string;
+      };
+      readonly disabled: {
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly colour: string;
+      };
+    };
+    readonly borderRadiusDefault: number;
+    readonly borderRadiusPill: number;
+    readonly borderWidthLg: number;
+    readonly borderWidthSm: number;
+    readonly borderWidthXs: number;
+    readonly focusBorderWidth: number;
+    readonly gap: number;
+    readonly minHeight: number;
+    readonly minWidth: number;
+    readonly paddingLg: number;
+    readonly paddingMd: number;
+    readonly paddingSm: number;
+    readonly paddingXs: number;
+    readonly primary: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly disabled: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+    };
+    readonly primaryReversed: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly borderColourDark: string;
+        readonly borderColourLight: string;
+        readonly colourMuted: string;
+        readonly colour: string;
+      };
+      readonly disabled: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly borderColourDark: string;
+        readonly borderColourLight: string;
+        readonly colourMuted: string;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly borderColourDark: string;
+        readonly borderColourLight: string;
+        readonly colourMuted: string;
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly borderColourDark: string;
+        readonly borderColourLight: string;
+        readonly colourMuted: string;
+        readonly colour: string;
+      };
+    };
+    readonly primaryReversedSubtle: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly disabled: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+    };
+    readonly secondary: {
+      readonly active: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly disabled: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly colour: string;
+      };
+    };
+    readonly text: {
+      readonly default: {
+        readonly active: string;
+        readonly focus: string;
+        readonly hover: string;
+        readonly rest: string;
+        readonly visited: string;
+      };
+      readonly focusBorderRadius: number;
+      readonly focusBorderWidth: number;
+      readonly mono: {
+        readonly active: string;
+        readonly focus: string;
+        readonly hover: string;
+        readonly rest: string;
+        readonly visited: string;
+      };
+    };
+    readonly underlineBorderWidth: number;
+  };
+  readonly labelAndHint: {
+    readonly gap: number;
+    readonly hintColour: string;
+    readonly labelColour: string;
+  };
+  readonly link: {
+    readonly gap: number;
+    readonly mono: {
+      readonly active: {
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly borderRadius: number;
+        readonly borderWidth: number;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly colour: string;
+      };
+      readonly visited: {
+        readonly colour: string;
+      };
+    };
+    readonly primary: {
+      readonly active: {
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly borderRadius: number;
+        readonly borderWidth: number;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly colour: string;
+      };
+      readonly visited: {
+        readonly colour: string;
+      };
+    };
+  };
+  readonly linkGroup: {
+    readonly gap: number;
+  };
+  readonly linkMenu: {
+    readonly borderColour: string;
+    readonly borderRadius: number;
+    readonly borderWidth: number;
+  };
+  readonly linkMenuItem: {
+    readonly active: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidthBottom: number;
+      readonly colourMuted: string;
+      readonly colour: string;
+    };
+    readonly focus: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colourMuted: string;
+      readonly colour: string;
+    };
+    readonly gap: number;
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidthBottom: number;
+      readonly colourMuted: string;
+      readonly colour: string;
+      readonly paddingRight: number;
+    };
+    readonly paddingBottom: number;
+    readonly paddingLeft: number;
+    readonly paddingRight: number;
+    readonly paddingTop: number;
+    readonly rest: {
+      readonly borderColour: string;
+      readonly borderWidthBottom: number;
+      readonly colourMuted: string;
+      readonly colour: string;
+    };
+  };
+  readonly list: {
+    readonly gap: number;
+  };
+  readonly listItem: {
+    readonly common: {
+      readonly gap: number;
+      readonly paddingLeft: number;
+    };
+    readonly negative: {
+      readonly colour: string;
+    };
+    readonly positive: {
+      readonly colour: string;
+    };
+  };
+  readonly notice: {
+    readonly content: {
+      readonly gap: number;
+    };
+    readonly gap: number;
+  };
+  readonly notificationBadge: {
+    readonly backgroundColour: string;
+    readonly borderRadius: number;
+    readonly colour: string;
+    readonly height: number;
+    readonly minWidth: number;
+    readonly padding: number;
+  };
+  readonly pagination: {
+    readonly colour: string;
+    readonly horizontalGap: number;
+    readonly insideGap: number;
+    readonly verticalGap: number;
+  };
+  readonly paginationPage: {
+    readonly active: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+      readonly hoverIndicatorColour: string;
+    };
+    readonly common: {
+      readonly hoverIndicatorWidth: number;
+    };
+    readonly disabled: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+      readonly hoverIndicatorColour: string;
+    };
+    readonly focus: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly hoverIndicatorColour: string;
+    };
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+      readonly hoverIndicatorColour: string;
+    };
+    readonly rest: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+      readonly hoverIndicatorColour: string;
+    };
+  };
+  readonly progressBar: {
+    readonly backgroundColour: string;
+    readonly borderRadius: number;
+    readonly colour: string;
+    readonly gap: number;
+    readonly height: number;
+  };
+  readonly progressHeader: {
+    readonly colour: string;
+  };
+  readonly progressIndicator: {
+    readonly gap: number;
+  };
+  readonly progressJourney: {
+    readonly colour: string;
+    readonly gap: number;
+  };
+  readonly radio: {
+    readonly common: {
+      readonly borderRadius: number;
+      readonly colour: string;
+    };
+    readonly disabled: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+      readonly label: {
+        readonly colour: string;
+      };
+    };
+    readonly error: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+        readonly focusBorderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly focus: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly hover: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly rest: {
+      readonly control: {
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly indicator: {
+        readonly colour: string;
+      };
+    };
+    readonly scale: {
+      readonly lg: {
+        readonly control: {
+          readonly size: number;
+        };
+        readonly gap: number;
+        readonly indicator: {
+          readonly size: number;
+        };
+      };
+      readonly sm: {
+        readonly control: {
+          readonly size: number;
+        };
+        readonly gap: number;
+        readonly indicator: {
+          readonly size: number;
+        };
+      };
+    };
+  };
+  readonly radioGroup: {
+    readonly lg: {
+      readonly gap: number;
+    };
+    readonly sm: {
+      readonly gap: number;
+    };
+  };
+  readonly segmentButton: {
+    readonly active: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+    };
+    readonly common: {
+      readonly borderRadius: number;
+      readonly minHeight: number;
+      readonly paddingX: number;
+      readonly paddingY: number;
+    };
+    readonly disabled: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+    };
+    readonly focus: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+    };
+    readonly rest: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+    };
+  };
+  readonly segmentControl: {
+    readonly common: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderRadius: number;
+      readonly borderWidth: number;
+      readonly gap: number;
+      readonly minWidth: number;
+      readonly paddingX: number;
+      readonly paddingY: number;
+    };
+    readonly error: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly focusBorderWidth: number;
+    };
+    readonly focus: {
+      readonly borderColour: string;
+      readonly borderWidth: number;
+    };
+  };
+  readonly select: {
+    readonly common: {
+      readonly borderRadius: number;
+      readonly buttonGap: number;
+      readonly height: number;
+      readonly paddingX: number;
+      readonly paddingY: number;
+      readonly textGap: number;
+    };
+    readonly disabled: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly error: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly focusBorderWidth: number;
+    };
+    readonly focus: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly rest: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+  };
+  readonly seperator: {
+    readonly borderColour: string;
+    readonly borderWidth: number;
+  };
+  readonly table: {
+    readonly backgroundColour: string;
+    readonly borderColour: string;
+    readonly borderRadius: number;
+    readonly cell: {
+      readonly common: {
+        readonly backgroundColourEven: string;
+        readonly backgroundColour: string;
+        readonly borderColour: string;
+        readonly borderWidth: number;
+        readonly colour: string;
+        readonly paddingX: number;
+        readonly paddingYLg: number;
+        readonly paddingYSm: number;
+      };
+      readonly header: {
+        readonly borderColour: string;
+        readonly borderWidth: number;
+      };
+      readonly highlight: {
+        readonly backgroundColour: string;
+      };
+    };
+    readonly row: {
+      readonly vertical: {
+        readonly gap: number;
+      };
+    };
+  };
+  readonly text: {
+    readonly default: {
+      readonly accent: {
+        readonly colour: string;
+      };
+      readonly primary: {
+        readonly colour: string;
+      };
+      readonly secondary: {
+        readonly colour: string;
+      };
+    };
+  };
+  readonly textInput: {
+    readonly common: {
+      readonly addonButtonGap: number;
+      readonly borderRadius: number;
+      readonly buttonGap: number;
+      readonly height: number;
+      readonly paddingX: number;
+      readonly paddingY: number;
+      readonly textGap: number;
+    };
+    readonly disabled: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly error: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+      readonly focusBorderWidth: number;
+    };
+    readonly focus: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+    readonly rest: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly borderWidth: number;
+      readonly colour: string;
+    };
+  };
+};
+
+export type CanopyStatusTheme = {
+  readonly banner: {
+    readonly backgroundColour: string;
+    readonly icon: {
+      readonly colour: string;
+    };
+    readonly text: {
+      readonly colour: string;
+    };
+  };
+  readonly button: {
+    readonly active: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly disabled: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly focus: {
+      readonly backgroundColour: string;
+      readonly colour: string;
+    };
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly rest: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+  };
+  readonly container: {
+    readonly bold: {
+      readonly backgroundColour: string;
+    };
+    readonly subtle: {
+      readonly backgroundColour: string;
+    };
+  };
+  readonly content: {
+    readonly bold: {
+      readonly colour: string;
+    };
+    readonly pictogram: {
+      readonly statusFill: string;
+    };
+    readonly subtle: {
+      readonly colour: string;
+    };
+  };
+  readonly details: {
+    readonly backgroundColour: string;
+    readonly icon: {
+      readonly colour: string;
+    };
+    readonly text: {
+      readonly colour: string;
+    };
+  };
+  readonly inlineMessage: {
+    readonly backgroundColour: string;
+    readonly icon: {
+      readonly colour: string;
+    };
+    readonly text: {
+      readonly colour: string;
+    };
+  };
+  readonly input: {
+    readonly validation: {
+      readonly colour: string;
+    };
+  };
+  readonly interactive: {
+    readonly active: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly disabled: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly focus: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly hover: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly rest: {
+      readonly backgroundColour: string;
+      readonly borderColour: string;
+      readonly colour: string;
+    };
+    readonly text: {
+      readonly bold: {
+        readonly active: string;
+        readonly focus: string;
+        readonly hover: string;
+        readonly rest: string;
+        readonly visited: string;
+      };
+      readonly subtle: {
+        readonly active: string;
+        readonly focus: string;
+        readonly hover: string;
+        readonly rest: string;
+        readonly visited: string;
+      };
+    };
+  };
+  readonly labelAndHint: {
+    readonly validationMessageColour: string;
+  };
+  readonly link: {
+    readonly bold: {
+      readonly active: {
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly borderRadius: number;
+        readonly borderWidth: number;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly colour: string;
+      };
+      readonly visited: {
+        readonly colour: string;
+      };
+    };
+    readonly subtle: {
+      readonly active: {
+        readonly colour: string;
+      };
+      readonly focus: {
+        readonly borderRadius: number;
+        readonly borderWidth: number;
+        readonly colour: string;
+      };
+      readonly hover: {
+        readonly colour: string;
+      };
+      readonly rest: {
+        readonly colour: string;
+      };
+      readonly visited: {
+        readonly colour: string;
+      };
+    };
+  };
+  readonly segmentButton: {
+    readonly error: {
+      readonly backgroundColour: string;
+    };
+  };
+  readonly table: {
+    readonly cell: {
+      readonly error: {
+        readonly backgroundColour: string;
+      };
+    };
+  };
+  readonly text: {
+    readonly bold: {
+      readonly primary: {
+        readonly colour: string;
+      };
+      readonly secondary: {
+        readonly colour: string;
+      };
+    };
+    readonly subtle: {
+      readonly primary: {
+        readonly colour: string;
+      };
+      readonly secondary: {
+        readonly colour: string;
+      };
+    };
+  };
+};
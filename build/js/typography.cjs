@@ -0,0 +1,22 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+exports.fontWeight300Productive = 300;
+exports.fontWeight300Expressive = 300;
+exports.fontWeight400Productive = 400;
+exports.fontWeight400Expressive = 400;
+exports.fontWeight500Productive = 500;
+exports.fontWeight500Expressive = 500;
+exports.fontWeight700Productive = 700;
+exports.fontWeight700Expressive = 700;
+exports.letterSpacingUltraCondensedProductive = -0.20000000298023224;
+exports.letterSpacingUltraCondensedExpressive = -1.2999999523162842;
+exports.letterSpacingCondensedProductive = -0.10000000149011612;
+exports.letterSpacingCondensedExpressive = -1.2000000476837158;
+exports.letterSpacingNormalProductive = 0.20000000298023224;
+exports.letterSpacingNormalExpressive = -0.5;
+exports.letterSpacingExpandedProductive = 0.30000001192092896;
+exports.letterSpacingExpandedExpressive = 0;
+exports.typefaceProductive = "Nunito Sans";
+exports.typefaceExpressive = "ABC Otto";
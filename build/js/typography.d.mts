@@ -0,0 +1,22 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export declare const fontWeight300Productive: 300;
+export declare const fontWeight300Expressive: 300;
+export declare const fontWeight400Productive: 400;
+export declare const fontWeight400Expressive: 400;
+export declare const fontWeight500Productive: 500;
+export declare const fontWeight500Expressive: 500;
+export declare const fontWeight700Productive: 700;
+export declare const fontWeight700Expressive: 700;
+export declare const letterSpacingUltraCondensedProductive: -0.20000000298023224;
+export declare const letterSpacingUltraCondensedExpressive: -1.2999999523162842;
+export declare const letterSpacingCondensedProductive: -0.10000000149011612;
+export declare const letterSpacingCondensedExpressive: -1.2000000476837158;
+export declare const letterSpacingNormalProductive: 0.20000000298023224;
+export declare const letterSpacingNormalExpressive: -0.5;
+export declare const letterSpacingExpandedProductive: 0.30000001192092896;
+export declare const letterSpacingExpandedExpressive: 0;
+export declare const typefaceProductive: "Nunito Sans";
+export declare const typefaceExpressive: "ABC Otto";
@@ -0,0 +1,22 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const fontWeight300Productive = 300;
+export const fontWeight300Expressive = 300;
+export const fontWeight400Productive = 400;
+export const fontWeight400Expressive = 400;
+export const fontWeight500Productive = 500;
+export const fontWeight500Expressive = 500;
+export const fontWeight700Productive = 700;
+export const fontWeight700Expressive = 700;
+export const letterSpacingUltraCondensedProductive = -0.20000000298023224;
+export const letterSpacingUltraCondensedExpressive = -1.2999999523162842;
+export const letterSpacingCondensedProductive = -0.10000000149011612;
+export const letterSpacingCondensedExpressive = -1.2000000476837158;
+export const letterSpacingNormalProductive = 0.20000000298023224;
+export const letterSpacingNormalExpressive = -0.5;
+export const letterSpacingExpandedProductive = 0.30000001192092896;
+export const letterSpacingExpandedExpressive = 0;
+export const typefaceProductive = "Nunito Sans";
+export const typefaceExpressive = "ABC Otto";
@@ -0,0 +1,24937 @@
+/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+export const themes = {
+  blue: {
+    neutral: {
+      accordion: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#001d6e",
+        },
+        subtle: {
+          backgroundColour: "#42aeea",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#005dba",
+          },
+          hover: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#005dba",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#42aeea",
+            "2": "#001d6e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#d2effb",
+            "2": "#aee1f7",
+            "3": "#42aeea",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#000a52",
+            "7": "#000039",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#d2effb",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#001d6e",
+            "7": "#000039",
+            "8": "#000039",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#d2effb",
+            "5": "#76c8f1",
+            "6": "#1e84d2",
+            "7": "#1e84d2",
+            "8": "#001d6e",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#005dba",
+            "5": "#42aeea",
+            "6": "#aee1f7",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#aee1f7",
+            "4": "#42aeea",
+            "5": "#005dba",
+            "6": "#005dba",
+            "7": "#001d6e",
+          },
+          hasFill: true,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#005dba",
+            "3": "#001d6e",
+            "4": "#000a52",
+            "5": "#000039",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#d2effb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#42aeea",
+          accent2: "#005dba",
+          backgroundColour: "#ffffff",
+          backgroundColourReversed: "#f4f4f4",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#f4f4f4",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#005dba",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#005dba",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#42aeea",
+            colour: "#001d6e",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: true,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          colour: "#001d6e",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          colour: "#001d6e",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#005dba",
+            colour: "#ffffff",
+            hoverIndicator: "#005dba",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#aee1f7",
+            colour: "#1d1d1b",
+            hoverIndicator: "#001d6e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffffff",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#ffffff",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#001d6e",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#001d6e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#005dba",
+            borderColourDark: "#005dba",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#ffffff",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#aee1f7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#001d6e",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#d3d3d3",
+            colourMuted: "#4d4f4f",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+          hover: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#000a52",
+            focus: "#005dba",
+            hover: "#001d6e",
+            rest: "#005dba",
+            visited: "#005dba",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#000a52",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#005dba",
+          },
+          hover: {
+            colour: "#001d6e",
+          },
+          rest: {
+            colour: "#005dba",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#005dba",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#005dba",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#005dba",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#aee1f7",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#001d6e",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#42aeea",
+        borderRadius: 16,
+        colour: "#001d6e",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#001d6e",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#aee1f7",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#ffffff",
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#ffffff",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#001d6e",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    neutralInverse: {
+      accordion: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        default: {
+          backgroundColour: "#ffffff",
+        },
+        regal: {
+          backgroundColour: "#001d6e",
+        },
+        subtle: {
+          backgroundColour: "#aee1f7",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#005dba",
+          },
+          hover: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#005dba",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#42aeea",
+            "2": "#001d6e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#d2effb",
+            "2": "#aee1f7",
+            "3": "#42aeea",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#000a52",
+            "7": "#000039",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#d2effb",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#001d6e",
+            "7": "#000039",
+            "8": "#000039",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#d2effb",
+            "5": "#76c8f1",
+            "6": "#1e84d2",
+            "7": "#1e84d2",
+            "8": "#001d6e",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#005dba",
+            "5": "#42aeea",
+            "6": "#aee1f7",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#aee1f7",
+            "4": "#42aeea",
+            "5": "#005dba",
+            "6": "#005dba",
+            "7": "#001d6e",
+          },
+          hasFill: true,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#005dba",
+            "3": "#001d6e",
+            "4": "#000a52",
+            "5": "#000039",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#d2effb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#42aeea",
+          accent2: "#005dba",
+          backgroundColour: "#f4f4f4",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#ffffff",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#005dba",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#005dba",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#42aeea",
+            colour: "#001d6e",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: true,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          colour: "#001d6e",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          colour: "#001d6e",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#005dba",
+            colour: "#ffffff",
+            hoverIndicator: "#005dba",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#f4f4f4",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#aee1f7",
+            colour: "#1d1d1b",
+            hoverIndicator: "#001d6e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#f4f4f4",
+            colour: "#1d1d1b",
+            hoverIndicator: "#f4f4f4",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#f4f4f4",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#001d6e",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#001d6e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#005dba",
+            borderColourDark: "#005dba",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#f4f4f4",
+            borderColourLight: "#f4f4f4",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#aee1f7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#001d6e",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#858686",
+            colourMuted: "#4d4f4f",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+          hover: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#000a52",
+            focus: "#005dba",
+            hover: "#001d6e",
+            rest: "#005dba",
+            visited: "#005dba",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#000a52",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#005dba",
+          },
+          hover: {
+            colour: "#001d6e",
+          },
+          rest: {
+            colour: "#005dba",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#005dba",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#005dba",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#005dba",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        hover: {
+          backgroundColour: "#aee1f7",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#001d6e",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#42aeea",
+        borderRadius: 16,
+        colour: "#001d6e",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#001d6e",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#aee1f7",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#858686",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#f4f4f4",
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#f4f4f4",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#001d6e",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    subtle: {
+      accordion: {
+        backgroundColour: "#aee1f7",
+        borderColour: "#42aeea",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#001d6e",
+        },
+        subtle: {
+          backgroundColour: "#aee1f7",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#42aeea",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#76c8f1",
+            borderColour: "#76c8f1",
+            colour: "#1e84d2",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#76c8f1",
+            colour: "#1e84d2",
+          },
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#aee1f7",
+        borderColour: "#42aeea",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#005dba",
+          },
+          hover: {
+            backgroundColour: "#42aeea",
+            borderColour: "#001d6e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#005dba",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#001d6e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#42aeea",
+            "2": "#001d6e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#d2effb",
+            "2": "#aee1f7",
+            "3": "#42aeea",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#000a52",
+            "7": "#000039",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#d2effb",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#001d6e",
+            "7": "#000039",
+            "8": "#000039",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#d2effb",
+            "5": "#76c8f1",
+            "6": "#1e84d2",
+            "7": "#1e84d2",
+            "8": "#001d6e",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#005dba",
+            "5": "#42aeea",
+            "6": "#aee1f7",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#aee1f7",
+            "4": "#42aeea",
+            "5": "#005dba",
+            "6": "#005dba",
+            "7": "#001d6e",
+          },
+          hasFill: true,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#005dba",
+            "3": "#001d6e",
+            "4": "#000a52",
+            "5": "#000039",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#d2effb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#005dba",
+          accent2: "#001d6e",
+          backgroundColourReversed: "#ffffff",
+          backgroundColour: "#aee1f7",
+          borderColour1: "#42aeea",
+          borderColour2: "#001d6e",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#42aeea",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#aee1f7",
+        borderColour: "#42aeea",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#001d6e",
+          },
+          negative: {
+            colour: "#1d1d1b",
+          },
+          positive: {
+            colour: "#1d1d1b",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#005dba",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#005dba",
+            colour: "#001d6e",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#aee1f7",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#1d1d1b",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#d2effb",
+          borderColour: "#d3d3d3",
+          colour: "#76c8f1",
+        },
+        focus: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          colour: "#001d6e",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#005dba",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          colour: "#001d6e",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#aee1f7",
+        borderColour: "#42aeea",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#005dba",
+            colour: "#ffffff",
+            hoverIndicator: "#005dba",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#aee1f7",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#42aeea",
+            colour: "#1d1d1b",
+            hoverIndicator: "#001d6e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#aee1f7",
+            colour: "#1d1d1b",
+            hoverIndicator: "#aee1f7",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#aee1f7",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#1d1d1b",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#001d6e",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#001d6e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#001d6e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#76c8f1",
+            borderColour: "#76c8f1",
+            colour: "#1e84d2",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#005dba",
+            borderColourDark: "#005dba",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d2effb",
+            borderColour: "#d3d3d3",
+            colour: "#76c8f1",
+          },
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColourDark: "#aee1f7",
+            borderColourLight: "#aee1f7",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#42aeea",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#001d6e",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#aee1f7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+          hover: {
+            backgroundColour: "#005dba",
+            borderColour: "#1d1d1b",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#000039",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#76c8f1",
+            colour: "#1e84d2",
+          },
+          focus: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#001d6e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#000a52",
+            focus: "#005dba",
+            hover: "#001d6e",
+            rest: "#005dba",
+            visited: "#005dba",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#1d1d1b",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#000a52",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#005dba",
+          },
+          hover: {
+            colour: "#001d6e",
+          },
+          rest: {
+            colour: "#005dba",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#001d6e",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#005dba",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#42aeea",
+          borderColour: "#001d6e",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#001d6e",
+          borderWidthBottom: 1,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#1d1d1b",
+        },
+        positive: {
+          colour: "#1d1d1b",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#005dba",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#005dba",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#d2effb",
+          colour: "#76c8f1",
+          hoverIndicatorColour: "#d2effb",
+        },
+        focus: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#aee1f7",
+        },
+        hover: {
+          backgroundColour: "#42aeea",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#001d6e",
+        },
+        rest: {
+          backgroundColour: "#aee1f7",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#aee1f7",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#005dba",
+        borderRadius: 16,
+        colour: "#001d6e",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#001d6e",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#1d1d1b",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#001d6e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#42aeea",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#aee1f7",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#001d6e",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#001d6e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#aee1f7",
+        borderColour: "#1d1d1b",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#aee1f7",
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#aee1f7",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#001d6e",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#001d6e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    bold: {
+      accordion: {
+        backgroundColour: "#005dba",
+        borderColour: "#001d6e",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#ffffff",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#001d6e",
+        },
+        subtle: {
+          backgroundColour: "#aee1f7",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#001d6e",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#1e84d2",
+            borderColour: "#1e84d2",
+            colour: "#001d6e",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#005dba",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#005dba",
+        borderColour: "#001d6e",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#ffffff",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            borderColour: "#ffffff",
+            borderWidth: 3,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#001d6e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#f4f4f4",
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#ffffff",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#001d6e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#42aeea",
+            "2": "#001d6e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#d2effb",
+            "2": "#aee1f7",
+            "3": "#42aeea",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#000a52",
+            "7": "#000039",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#d2effb",
+            "4": "#005dba",
+            "5": "#001d6e",
+            "6": "#001d6e",
+            "7": "#000039",
+            "8": "#000039",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#d2effb",
+            "5": "#76c8f1",
+            "6": "#1e84d2",
+            "7": "#1e84d2",
+            "8": "#001d6e",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#005dba",
+            "5": "#42aeea",
+            "6": "#aee1f7",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#aee1f7",
+            "4": "#42aeea",
+            "5": "#005dba",
+            "6": "#005dba",
+            "7": "#001d6e",
+          },
+          hasFill: true,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#005dba",
+            "3": "#001d6e",
+            "4": "#000a52",
+            "5": "#000039",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#001d6e",
+            "4": "#d2effb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#001d6e",
+          accent2: "#ffffff",
+          backgroundColour: "#005dba",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#001d6e",
+          borderColour2: "#f4f4f4",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#001d6e",
+          focusIndicatorColour: "#ffffff",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#005dba",
+        borderColour: "#001d6e",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#ffffff",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 8,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#ffffff",
+          },
+          negative: {
+            colour: "#ffffff",
+          },
+          positive: {
+            colour: "#ffffff",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#ffffff",
+            borderRadius: 16,
+            colour: "#1d1d1b",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#d2effb",
+            colour: "#000039",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#005dba",
+          hasFill: false,
+          outline: "#f4f4f4",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#f4f4f4",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#d2effb",
+        valueColour: "#ffffff",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+        borderRadius: 28,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        disabled: {
+          backgroundColour: "#d2effb",
+          borderColour: "#d3d3d3",
+          colour: "#76c8f1",
+        },
+        focus: {
+          backgroundColour: "#42aeea",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#42aeea",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#005dba",
+        borderColour: "#001d6e",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffffff",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#005dba",
+            borderColour: "#005dba",
+            colour: "#ffffff",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#aee1f7",
+            colour: "#1d1d1b",
+            hoverIndicator: "#001d6e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#005dba",
+            colour: "#ffffff",
+            hoverIndicator: "#005dba",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#005dba",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#d2effb",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#ffffff",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#001d6e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#001d6e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#005dba",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#1e84d2",
+            borderColour: "#1e84d2",
+            colour: "#001d6e",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#1d1d1b",
+            colour: "#1d1d1b",
+            colourMuted: "#4d4f4f",
+          },
+          disabled: {
+            backgroundColour: "#d2effb",
+            borderColour: "#d3d3d3",
+            colour: "#76c8f1",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            borderColourDark: "#005dba",
+            borderColourLight: "#005dba",
+            colour: "#ffffff",
+            colourMuted: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#aee1f7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#001d6e",
+            colour: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColourDark: "#f4f4f4",
+            borderColourLight: "#f4f4f4",
+            colour: "#ffffff",
+            colourMuted: "#ffffff",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#42aeea",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#aee1f7",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#42aeea",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#000039",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#005dba",
+            borderColour: "#001d6e",
+            colour: "#001d6e",
+          },
+          focus: {
+            backgroundColour: "#005dba",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#001d6e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#005dba",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+        },
+        text: {
+          default: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#ffffff",
+        labelColour: "#ffffff",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#ffffff",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#f4f4f4",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidthBottom: 1,
+          colour: "#1d1d1b",
+          colourMuted: "#4d4f4f",
+        },
+        focus: {
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+          colourMuted: "#ffffff",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#aee1f7",
+          borderColour: "#001d6e",
+          borderWidthBottom: 3,
+          colour: "#1d1d1b",
+          colourMuted: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#f4f4f4",
+          borderWidthBottom: 1,
+          colour: "#ffffff",
+          colourMuted: "#ffffff",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#ffffff",
+        },
+        positive: {
+          colour: "#ffffff",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#ffffff",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#ffffff",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#d2effb",
+          colour: "#76c8f1",
+          hoverIndicatorColour: "#d2effb",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+          hoverIndicatorColour: "#005dba",
+        },
+        hover: {
+          backgroundColour: "#aee1f7",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#001d6e",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#005dba",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#d2effb",
+        borderRadius: 16,
+        colour: "#000039",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#ffffff",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#d2effb",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#ffffff",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#001d6e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#001d6e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#005dba",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#aee1f7",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#001d6e",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#001d6e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#f4f4f4",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#005dba",
+        borderColour: "#f4f4f4",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColour: "#005dba",
+            backgroundColourEven: "#005dba",
+            borderColour: "#f4f4f4",
+            borderWidth: 1,
+            colour: "#ffffff",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#005dba",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#ffffff",
+          },
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#d2effb",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#001d6e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+  },
+  green: {
+    neutral: {
+      accordion: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#01312e",
+        },
+        subtle: {
+          backgroundColour: "#43af6e",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#00633d",
+          },
+          hover: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#00633d",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#43af6e",
+            "2": "#01312e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#dff6eb",
+            "2": "#caeedd",
+            "3": "#43af6e",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#012425",
+            "7": "#011b1f",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#dff6eb",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#01312e",
+            "7": "#011b1f",
+            "8": "#011b1f",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#dff6eb",
+            "5": "#7fce9f",
+            "6": "#1a8952",
+            "7": "#1a8952",
+            "8": "#014a39",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#00633d",
+            "5": "#43af6e",
+            "6": "#caeedd",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#caeedd",
+            "4": "#43af6e",
+            "5": "#00633d",
+            "6": "#00633d",
+            "7": "#01312e",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#00633d",
+            "3": "#01312e",
+            "4": "#012425",
+            "5": "#011b1f",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#dff6eb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#43af6e",
+          accent2: "#00633d",
+          backgroundColour: "#ffffff",
+          backgroundColourReversed: "#f4f4f4",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#f4f4f4",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#00633d",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#00633d",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#43af6e",
+            colour: "#01312e",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          colour: "#01312e",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          colour: "#01312e",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#00633d",
+            colour: "#ffffff",
+            hoverIndicator: "#00633d",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#caeedd",
+            colour: "#1d1d1b",
+            hoverIndicator: "#01312e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffffff",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#ffffff",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#01312e",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#01312e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#00633d",
+            borderColourDark: "#00633d",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#ffffff",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#caeedd",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#01312e",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#d3d3d3",
+            colourMuted: "#4d4f4f",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            colour: "#01312e",
+          },
+          hover: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            colour: "#01312e",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#012425",
+            focus: "#00633d",
+            hover: "#01312e",
+            rest: "#00633d",
+            visited: "#00633d",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#012425",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#00633d",
+          },
+          hover: {
+            colour: "#01312e",
+          },
+          rest: {
+            colour: "#00633d",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#00633d",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#00633d",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#00633d",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#caeedd",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#01312e",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#43af6e",
+        borderRadius: 16,
+        colour: "#01312e",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#01312e",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#caeedd",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#ffffff",
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#ffffff",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#01312e",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    neutralInverse: {
+      accordion: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        default: {
+          backgroundColour: "#ffffff",
+        },
+        regal: {
+          backgroundColour: "#01312e",
+        },
+        subtle: {
+          backgroundColour: "#caeedd",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#00633d",
+          },
+          hover: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#00633d",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#43af6e",
+            "2": "#01312e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#dff6eb",
+            "2": "#caeedd",
+            "3": "#43af6e",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#012425",
+            "7": "#011b1f",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#dff6eb",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#01312e",
+            "7": "#011b1f",
+            "8": "#011b1f",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#dff6eb",
+            "5": "#7fce9f",
+            "6": "#1a8952",
+            "7": "#1a8952",
+            "8": "#014a39",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#00633d",
+            "5": "#43af6e",
+            "6": "#caeedd",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#caeedd",
+            "4": "#43af6e",
+            "5": "#00633d",
+            "6": "#00633d",
+            "7": "#01312e",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#00633d",
+            "3": "#01312e",
+            "4": "#012425",
+            "5": "#011b1f",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#dff6eb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#43af6e",
+          accent2: "#00633d",
+          backgroundColour: "#f4f4f4",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#ffffff",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#00633d",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#00633d",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#43af6e",
+            colour: "#01312e",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          colour: "#01312e",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          colour: "#01312e",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#00633d",
+            colour: "#ffffff",
+            hoverIndicator: "#00633d",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#f4f4f4",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#caeedd",
+            colour: "#1d1d1b",
+            hoverIndicator: "#01312e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#f4f4f4",
+            colour: "#1d1d1b",
+            hoverIndicator: "#f4f4f4",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#f4f4f4",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#01312e",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#01312e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#00633d",
+            borderColourDark: "#00633d",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#f4f4f4",
+            borderColourLight: "#f4f4f4",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#caeedd",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#01312e",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#858686",
+            colourMuted: "#4d4f4f",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            colour: "#01312e",
+          },
+          hover: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            colour: "#01312e",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#012425",
+            focus: "#00633d",
+            hover: "#01312e",
+            rest: "#00633d",
+            visited: "#00633d",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#012425",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#00633d",
+          },
+          hover: {
+            colour: "#01312e",
+          },
+          rest: {
+            colour: "#00633d",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#00633d",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#00633d",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#00633d",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        hover: {
+          backgroundColour: "#caeedd",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#01312e",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#43af6e",
+        borderRadius: 16,
+        colour: "#01312e",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#01312e",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#caeedd",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#858686",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#f4f4f4",
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#f4f4f4",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#01312e",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    subtle: {
+      accordion: {
+        backgroundColour: "#caeedd",
+        borderColour: "#43af6e",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#01312e",
+        },
+        subtle: {
+          backgroundColour: "#caeedd",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#43af6e",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#7fce9f",
+            borderColour: "#7fce9f",
+            colour: "#1a8952",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#caeedd",
+            borderColour: "#7fce9f",
+            colour: "#1a8952",
+          },
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#caeedd",
+        borderColour: "#43af6e",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#00633d",
+          },
+          hover: {
+            backgroundColour: "#43af6e",
+            borderColour: "#01312e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#00633d",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#01312e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#43af6e",
+            "2": "#01312e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#dff6eb",
+            "2": "#caeedd",
+            "3": "#43af6e",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#012425",
+            "7": "#011b1f",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#dff6eb",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#01312e",
+            "7": "#011b1f",
+            "8": "#011b1f",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#dff6eb",
+            "5": "#7fce9f",
+            "6": "#1a8952",
+            "7": "#1a8952",
+            "8": "#014a39",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#00633d",
+            "5": "#43af6e",
+            "6": "#caeedd",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#caeedd",
+            "4": "#43af6e",
+            "5": "#00633d",
+            "6": "#00633d",
+            "7": "#01312e",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#00633d",
+            "3": "#01312e",
+            "4": "#012425",
+            "5": "#011b1f",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#dff6eb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#00633d",
+          accent2: "#01312e",
+          backgroundColourReversed: "#ffffff",
+          backgroundColour: "#caeedd",
+          borderColour1: "#43af6e",
+          borderColour2: "#01312e",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#43af6e",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#caeedd",
+        borderColour: "#43af6e",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#01312e",
+          },
+          negative: {
+            colour: "#1d1d1b",
+          },
+          positive: {
+            colour: "#1d1d1b",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#00633d",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#00633d",
+            colour: "#01312e",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#aee1f7",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#1d1d1b",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#dff6eb",
+          borderColour: "#d3d3d3",
+          colour: "#7fce9f",
+        },
+        focus: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          colour: "#01312e",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#00633d",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          colour: "#01312e",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#caeedd",
+        borderColour: "#43af6e",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#00633d",
+            colour: "#ffffff",
+            hoverIndicator: "#00633d",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColour: "#caeedd",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#43af6e",
+            colour: "#1d1d1b",
+            hoverIndicator: "#01312e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#caeedd",
+            colour: "#1d1d1b",
+            hoverIndicator: "#caeedd",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#caeedd",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#1d1d1b",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#01312e",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#01312e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#01312e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#7fce9f",
+            borderColour: "#7fce9f",
+            colour: "#1a8952",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#00633d",
+            borderColourDark: "#00633d",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#dff6eb",
+            borderColour: "#d3d3d3",
+            colour: "#7fce9f",
+          },
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColourDark: "#caeedd",
+            borderColourLight: "#caeedd",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#43af6e",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#01312e",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#caeedd",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            colour: "#01312e",
+          },
+          hover: {
+            backgroundColour: "#00633d",
+            borderColour: "#1d1d1b",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            colour: "#01312e",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#011b1f",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#caeedd",
+            borderColour: "#7fce9f",
+            colour: "#1a8952",
+          },
+          focus: {
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#01312e",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#012425",
+            focus: "#00633d",
+            hover: "#01312e",
+            rest: "#00633d",
+            visited: "#00633d",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#1d1d1b",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#012425",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#00633d",
+          },
+          hover: {
+            colour: "#01312e",
+          },
+          rest: {
+            colour: "#00633d",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#01312e",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#00633d",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#43af6e",
+          borderColour: "#01312e",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#01312e",
+          borderWidthBottom: 1,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#1d1d1b",
+        },
+        positive: {
+          colour: "#1d1d1b",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#00633d",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#00633d",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#dff6eb",
+          colour: "#7fce9f",
+          hoverIndicatorColour: "#dff6eb",
+        },
+        focus: {
+          backgroundColour: "#caeedd",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#caeedd",
+        },
+        hover: {
+          backgroundColour: "#43af6e",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#01312e",
+        },
+        rest: {
+          backgroundColour: "#caeedd",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#caeedd",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#00633d",
+        borderRadius: 16,
+        colour: "#01312e",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#01312e",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#1d1d1b",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#01312e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#caeedd",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#43af6e",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#caeedd",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#01312e",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#01312e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#caeedd",
+        borderColour: "#1d1d1b",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#caeedd",
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#caeedd",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#01312e",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#01312e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    bold: {
+      accordion: {
+        backgroundColour: "#00633d",
+        borderColour: "#01312e",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#ffffff",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#01312e",
+        },
+        subtle: {
+          backgroundColour: "#caeedd",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#01312e",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#1a8952",
+            borderColour: "#1a8952",
+            colour: "#014a39",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#00633d",
+            borderColour: "#014a39",
+            colour: "#014a39",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#00633d",
+        borderColour: "#01312e",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#ffffff",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            borderColour: "#ffffff",
+            borderWidth: 3,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            backgroundColour: "#caeedd",
+            borderColour: "#01312e",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#f4f4f4",
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#ffffff",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#01312e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#43af6e",
+            "2": "#01312e",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#dff6eb",
+            "2": "#caeedd",
+            "3": "#43af6e",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#012425",
+            "7": "#011b1f",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#dff6eb",
+            "4": "#00633d",
+            "5": "#01312e",
+            "6": "#01312e",
+            "7": "#011b1f",
+            "8": "#011b1f",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#dff6eb",
+            "5": "#7fce9f",
+            "6": "#1a8952",
+            "7": "#1a8952",
+            "8": "#014a39",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#00633d",
+            "5": "#43af6e",
+            "6": "#caeedd",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#caeedd",
+            "4": "#43af6e",
+            "5": "#00633d",
+            "6": "#00633d",
+            "7": "#01312e",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#00633d",
+            "3": "#01312e",
+            "4": "#012425",
+            "5": "#011b1f",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#01312e",
+            "4": "#dff6eb",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#01312e",
+          accent2: "#ffffff",
+          backgroundColour: "#00633d",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#01312e",
+          borderColour2: "#f4f4f4",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#01312e",
+          focusIndicatorColour: "#ffffff",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#00633d",
+        borderColour: "#01312e",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#ffffff",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 8,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#ffffff",
+          },
+          negative: {
+            colour: "#ffffff",
+          },
+          positive: {
+            colour: "#ffffff",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#ffffff",
+            borderRadius: 16,
+            colour: "#1d1d1b",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#dff6eb",
+            colour: "#011b1f",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#005dba",
+          hasFill: false,
+          outline: "#f4f4f4",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#f4f4f4",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#dff6eb",
+        valueColour: "#ffffff",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+        borderRadius: 28,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        disabled: {
+          backgroundColour: "#dff6eb",
+          borderColour: "#d3d3d3",
+          colour: "#7fce9f",
+        },
+        focus: {
+          backgroundColour: "#43af6e",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#caeedd",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#43af6e",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#00633d",
+        borderColour: "#01312e",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffffff",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#00633d",
+            borderColour: "#00633d",
+            colour: "#ffffff",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#caeedd",
+            colour: "#1d1d1b",
+            hoverIndicator: "#01312e",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#00633d",
+            colour: "#ffffff",
+            hoverIndicator: "#00633d",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#00633d",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#dff6eb",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#ffffff",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#01312e",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#01312e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#00633d",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#1a8952",
+            borderColour: "#1a8952",
+            colour: "#014a39",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#1d1d1b",
+            colour: "#1d1d1b",
+            colourMuted: "#4d4f4f",
+          },
+          disabled: {
+            backgroundColour: "#dff6eb",
+            borderColour: "#d3d3d3",
+            colour: "#7fce9f",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            borderColourDark: "#00633d",
+            borderColourLight: "#00633d",
+            colour: "#ffffff",
+            colourMuted: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#caeedd",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#01312e",
+            colour: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColourDark: "#f4f4f4",
+            borderColourLight: "#f4f4f4",
+            colour: "#ffffff",
+            colourMuted: "#ffffff",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#43af6e",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#caeedd",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#43af6e",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#011b1f",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#00633d",
+            borderColour: "#014a39",
+            colour: "#014a39",
+          },
+          focus: {
+            backgroundColour: "#00633d",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#01312e",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#00633d",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+        },
+        text: {
+          default: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#ffffff",
+        labelColour: "#ffffff",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#ffffff",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#f4f4f4",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidthBottom: 1,
+          colour: "#1d1d1b",
+          colourMuted: "#4d4f4f",
+        },
+        focus: {
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+          colourMuted: "#ffffff",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#caeedd",
+          borderColour: "#01312e",
+          borderWidthBottom: 3,
+          colour: "#1d1d1b",
+          colourMuted: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#f4f4f4",
+          borderWidthBottom: 1,
+          colour: "#ffffff",
+          colourMuted: "#ffffff",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#ffffff",
+        },
+        positive: {
+          colour: "#ffffff",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#ffffff",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#ffffff",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#dff6eb",
+          colour: "#7fce9f",
+          hoverIndicatorColour: "#dff6eb",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+          hoverIndicatorColour: "#00633d",
+        },
+        hover: {
+          backgroundColour: "#caeedd",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#01312e",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#00633d",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#dff6eb",
+        borderRadius: 16,
+        colour: "#011b1f",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#ffffff",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#dff6eb",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#ffffff",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#01312e",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#01312e",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#00633d",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#caeedd",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#01312e",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#01312e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#f4f4f4",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#00633d",
+        borderColour: "#f4f4f4",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColour: "#00633d",
+            backgroundColourEven: "#00633d",
+            borderColour: "#f4f4f4",
+            borderWidth: 1,
+            colour: "#ffffff",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#00633d",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#ffffff",
+          },
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#dff6eb",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#01312e",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+  },
+  red: {
+    neutral: {
+      accordion: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#940824",
+        },
+        subtle: {
+          backgroundColour: "#ff3e51",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#c50b30",
+          },
+          hover: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#480411",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#c50b30",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ff3e51",
+            "2": "#940824",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#ffd5d2",
+            "2": "#ffc2bd",
+            "3": "#ff3e51",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#6e061b",
+            "7": "#480411",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#ffd5d2",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#940824",
+            "7": "#480411",
+            "8": "#480411",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#ffd5d2",
+            "5": "#ff7e7e",
+            "6": "#e2223e",
+            "7": "#ff3e51",
+            "8": "#940824",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#480411",
+            "4": "#c50b30",
+            "5": "#ff3e51",
+            "6": "#ffd5d2",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#ffd5d2",
+            "4": "#ff3e51",
+            "5": "#c50b30",
+            "6": "#c50b30",
+            "7": "#940824",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#c50b30",
+            "3": "#940824",
+            "4": "#6e061b",
+            "5": "#480411",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#940824",
+            "4": "#ffd5d2",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#ff3e51",
+          accent2: "#c50b30",
+          backgroundColour: "#ffffff",
+          backgroundColourReversed: "#f4f4f4",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#f4f4f4",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#c50b30",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#c50b30",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#ff3e51",
+            colour: "#940824",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#480411",
+          borderColour: "#480411",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#940824",
+          colour: "#480411",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#940824",
+          colour: "#480411",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#c50b30",
+            colour: "#ffffff",
+            hoverIndicator: "#c50b30",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#ffd5d2",
+            colour: "#1d1d1b",
+            hoverIndicator: "#480411",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffffff",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#ffffff",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#940824",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#940824",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#c50b30",
+            borderColourDark: "#c50b30",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#ffffff",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#ffd5d2",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#480411",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#d3d3d3",
+            colourMuted: "#4d4f4f",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#940824",
+            colour: "#480411",
+          },
+          hover: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#940824",
+            colour: "#480411",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#6e061b",
+            focus: "#c50b30",
+            hover: "#940824",
+            rest: "#c50b30",
+            visited: "#c50b30",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#6e061b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#c50b30",
+          },
+          hover: {
+            colour: "#940824",
+          },
+          rest: {
+            colour: "#c50b30",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#c50b30",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#480411",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#c50b30",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#c50b30",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#ffd5d2",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#480411",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#ff3e51",
+        borderRadius: 16,
+        colour: "#940824",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#940824",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffd5d2",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#ffffff",
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#ffffff",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#940824",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    neutralInverse: {
+      accordion: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        default: {
+          backgroundColour: "#ffffff",
+        },
+        regal: {
+          backgroundColour: "#940824",
+        },
+        subtle: {
+          backgroundColour: "#ffd5d2",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#c50b30",
+          },
+          hover: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#480411",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#c50b30",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ff3e51",
+            "2": "#940824",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#ffd5d2",
+            "2": "#ffc2bd",
+            "3": "#ff3e51",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#6e061b",
+            "7": "#480411",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#ffd5d2",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#940824",
+            "7": "#480411",
+            "8": "#480411",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#ffd5d2",
+            "5": "#ff7e7e",
+            "6": "#e2223e",
+            "7": "#ff3e51",
+            "8": "#940824",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#480411",
+            "4": "#c50b30",
+            "5": "#ff3e51",
+            "6": "#ffd5d2",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#ffd5d2",
+            "4": "#ff3e51",
+            "5": "#c50b30",
+            "6": "#c50b30",
+            "7": "#940824",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#c50b30",
+            "3": "#940824",
+            "4": "#6e061b",
+            "5": "#480411",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#940824",
+            "4": "#ffd5d2",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#ff3e51",
+          accent2: "#c50b30",
+          backgroundColour: "#f4f4f4",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#ffffff",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#c50b30",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#c50b30",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#ff3e51",
+            colour: "#940824",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#480411",
+          borderColour: "#480411",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#940824",
+          colour: "#480411",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#940824",
+          colour: "#480411",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#c50b30",
+            colour: "#ffffff",
+            hoverIndicator: "#c50b30",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#f4f4f4",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#ffd5d2",
+            colour: "#1d1d1b",
+            hoverIndicator: "#480411",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#f4f4f4",
+            colour: "#1d1d1b",
+            hoverIndicator: "#f4f4f4",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#f4f4f4",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#940824",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#940824",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#c50b30",
+            borderColourDark: "#c50b30",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#f4f4f4",
+            borderColourLight: "#f4f4f4",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#ffd5d2",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#480411",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#858686",
+            colourMuted: "#4d4f4f",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#940824",
+            colour: "#480411",
+          },
+          hover: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#940824",
+            colour: "#480411",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#6e061b",
+            focus: "#c50b30",
+            hover: "#940824",
+            rest: "#c50b30",
+            visited: "#c50b30",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#6e061b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#c50b30",
+          },
+          hover: {
+            colour: "#940824",
+          },
+          rest: {
+            colour: "#c50b30",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#c50b30",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#480411",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#c50b30",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#c50b30",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        hover: {
+          backgroundColour: "#ffd5d2",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#480411",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#ff3e51",
+        borderRadius: 16,
+        colour: "#940824",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#940824",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffd5d2",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#858686",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#f4f4f4",
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#f4f4f4",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#940824",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    subtle: {
+      accordion: {
+        backgroundColour: "#ffd5d2",
+        borderColour: "#ff3e51",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#940824",
+        },
+        subtle: {
+          backgroundColour: "#ffd5d2",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#ff3e51",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ff7e7e",
+            borderColour: "#ff7e7e",
+            colour: "#e2223e",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#ff7e7e",
+            colour: "#e2223e",
+          },
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#ffd5d2",
+        borderColour: "#ff3e51",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            borderWidth: 3,
+            colour: "#ffffff",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#c50b30",
+          },
+          hover: {
+            backgroundColour: "#ff3e51",
+            borderColour: "#480411",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#c50b30",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#940824",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ff3e51",
+            "2": "#940824",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#ffd5d2",
+            "2": "#ffc2bd",
+            "3": "#ff3e51",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#6e061b",
+            "7": "#480411",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#ffd5d2",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#940824",
+            "7": "#480411",
+            "8": "#480411",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#ffd5d2",
+            "5": "#ff7e7e",
+            "6": "#e2223e",
+            "7": "#ff3e51",
+            "8": "#940824",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#480411",
+            "4": "#c50b30",
+            "5": "#ff3e51",
+            "6": "#ffd5d2",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#ffd5d2",
+            "4": "#ff3e51",
+            "5": "#c50b30",
+            "6": "#c50b30",
+            "7": "#940824",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#c50b30",
+            "3": "#940824",
+            "4": "#6e061b",
+            "5": "#480411",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#940824",
+            "4": "#ffd5d2",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#c50b30",
+          accent2: "#940824",
+          backgroundColourReversed: "#ffffff",
+          backgroundColour: "#ffd5d2",
+          borderColour1: "#ff3e51",
+          borderColour2: "#940824",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#ff3e51",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#ffd5d2",
+        borderColour: "#ff3e51",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#940824",
+          },
+          negative: {
+            colour: "#1d1d1b",
+          },
+          positive: {
+            colour: "#1d1d1b",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#c50b30",
+            borderRadius: 16,
+            colour: "#ffffff",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#c50b30",
+            colour: "#940824",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#aee1f7",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#1d1d1b",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#480411",
+          borderColour: "#480411",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#d3d3d3",
+          colour: "#ff7e7e",
+        },
+        focus: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#940824",
+          colour: "#480411",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#c50b30",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#940824",
+          colour: "#480411",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#ffd5d2",
+        borderColour: "#ff3e51",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#c50b30",
+            colour: "#ffffff",
+            hoverIndicator: "#c50b30",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#ffd5d2",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#ff3e51",
+            colour: "#1d1d1b",
+            hoverIndicator: "#480411",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#ffd5d2",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffd5d2",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#ffd5d2",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#1d1d1b",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#940824",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#940824",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#940824",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ff7e7e",
+            borderColour: "#ff7e7e",
+            colour: "#e2223e",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#c50b30",
+            borderColourDark: "#c50b30",
+            borderColourLight: "#ffffff",
+            colourMuted: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#d3d3d3",
+            colour: "#ff7e7e",
+          },
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColourDark: "#ffd5d2",
+            borderColourLight: "#ffd5d2",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#ff3e51",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#480411",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#ffd5d2",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#940824",
+            colour: "#480411",
+          },
+          hover: {
+            backgroundColour: "#c50b30",
+            borderColour: "#1d1d1b",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#940824",
+            colour: "#480411",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#480411",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#ff7e7e",
+            colour: "#e2223e",
+          },
+          focus: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#940824",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#6e061b",
+            focus: "#c50b30",
+            hover: "#940824",
+            rest: "#c50b30",
+            visited: "#c50b30",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#1d1d1b",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#6e061b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#c50b30",
+          },
+          hover: {
+            colour: "#940824",
+          },
+          rest: {
+            colour: "#c50b30",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#940824",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#c50b30",
+          borderColour: "#ffffff",
+          borderWidthBottom: 1,
+          colourMuted: "#ffffff",
+          colour: "#ffffff",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#ff3e51",
+          borderColour: "#480411",
+          borderWidthBottom: 3,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#940824",
+          borderWidthBottom: 1,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#1d1d1b",
+        },
+        positive: {
+          colour: "#1d1d1b",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#c50b30",
+        borderRadius: 16,
+        colour: "#ffffff",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#c50b30",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#ffd5d2",
+          colour: "#ff7e7e",
+          hoverIndicatorColour: "#ffd5d2",
+        },
+        focus: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffd5d2",
+        },
+        hover: {
+          backgroundColour: "#ff3e51",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#480411",
+        },
+        rest: {
+          backgroundColour: "#ffd5d2",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffd5d2",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#c50b30",
+        borderRadius: 16,
+        colour: "#940824",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#940824",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#1d1d1b",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#940824",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ff3e51",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffd5d2",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#940824",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#940824",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#ffd5d2",
+        borderColour: "#1d1d1b",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#ffd5d2",
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#ffd5d2",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#940824",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#940824",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    bold: {
+      accordion: {
+        backgroundColour: "#c50b30",
+        borderColour: "#940824",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#ffffff",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#940824",
+        },
+        subtle: {
+          backgroundColour: "#ffd5d2",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#940824",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ff3e51",
+            borderColour: "#ff3e51",
+            colour: "#940824",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#c50b30",
+            borderColour: "#940824",
+            colour: "#940824",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#c50b30",
+        borderColour: "#940824",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#ffffff",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColour: "#ffffff",
+            borderWidth: 3,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#480411",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#f4f4f4",
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#ffffff",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#940824",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ff3e51",
+            "2": "#940824",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#ffd5d2",
+            "2": "#ffc2bd",
+            "3": "#ff3e51",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#6e061b",
+            "7": "#480411",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#ffffff",
+            "3": "#ffd5d2",
+            "4": "#c50b30",
+            "5": "#940824",
+            "6": "#940824",
+            "7": "#480411",
+            "8": "#480411",
+            "9": "#1d1d1b",
+            "10": "#1d1d1b",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#ffd5d2",
+            "5": "#ff7e7e",
+            "6": "#e2223e",
+            "7": "#ff3e51",
+            "8": "#940824",
+          },
+          reversed: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#480411",
+            "4": "#c50b30",
+            "5": "#ff3e51",
+            "6": "#ffd5d2",
+            "7": "#f4f4f4",
+            "8": "#ffffff",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#ffd5d2",
+            "4": "#ff3e51",
+            "5": "#c50b30",
+            "6": "#c50b30",
+            "7": "#940824",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#f4f4f4",
+            "2": "#c50b30",
+            "3": "#940824",
+            "4": "#6e061b",
+            "5": "#480411",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#940824",
+            "4": "#ffd5d2",
+            "5": "#ffffff",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#940824",
+          accent2: "#ffffff",
+          backgroundColour: "#c50b30",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#940824",
+          borderColour2: "#f4f4f4",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#940824",
+          focusIndicatorColour: "#ffffff",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#c50b30",
+        borderColour: "#940824",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#ffffff",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 8,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#ffffff",
+          },
+          negative: {
+            colour: "#ffffff",
+          },
+          positive: {
+            colour: "#ffffff",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#ffffff",
+            borderRadius: 16,
+            colour: "#1d1d1b",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#ffd5d2",
+            colour: "#480411",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#005dba",
+          hasFill: false,
+          outline: "#f4f4f4",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#f4f4f4",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#ffd5d2",
+        valueColour: "#ffffff",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+        borderRadius: 28,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        disabled: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#d3d3d3",
+          colour: "#ff7e7e",
+        },
+        focus: {
+          backgroundColour: "#ff3e51",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#ff3e51",
+          borderColour: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#c50b30",
+        borderColour: "#940824",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#ffffff",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffffff",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColour: "#c50b30",
+            colour: "#ffffff",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#ffd5d2",
+            colour: "#1d1d1b",
+            hoverIndicator: "#480411",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#c50b30",
+            colour: "#ffffff",
+            hoverIndicator: "#c50b30",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#c50b30",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#ffd5d2",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#ffffff",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#940824",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#940824",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ff3e51",
+            borderColour: "#ff3e51",
+            colour: "#940824",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#1d1d1b",
+            colour: "#1d1d1b",
+            colourMuted: "#4d4f4f",
+          },
+          disabled: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#d3d3d3",
+            colour: "#ff7e7e",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColourDark: "#c50b30",
+            borderColourLight: "#c50b30",
+            colour: "#ffffff",
+            colourMuted: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#ffd5d2",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#480411",
+            colour: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColourDark: "#f4f4f4",
+            borderColourLight: "#f4f4f4",
+            colour: "#ffffff",
+            colourMuted: "#ffffff",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ff3e51",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#ffd5d2",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#ff3e51",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#480411",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#c50b30",
+            borderColour: "#940824",
+            colour: "#940824",
+          },
+          focus: {
+            backgroundColour: "#c50b30",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          hover: {
+            backgroundColour: "#940824",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#c50b30",
+            borderColour: "#ffffff",
+            colour: "#ffffff",
+          },
+        },
+        text: {
+          default: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#ffffff",
+        labelColour: "#ffffff",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#ffffff",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#f4f4f4",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidthBottom: 1,
+          colour: "#1d1d1b",
+          colourMuted: "#4d4f4f",
+        },
+        focus: {
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+          colourMuted: "#ffffff",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#ffd5d2",
+          borderColour: "#480411",
+          borderWidthBottom: 3,
+          colour: "#1d1d1b",
+          colourMuted: "#1d1d1b",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#f4f4f4",
+          borderWidthBottom: 1,
+          colour: "#ffffff",
+          colourMuted: "#ffffff",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#ffffff",
+        },
+        positive: {
+          colour: "#ffffff",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#ffffff",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#ffffff",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffffff",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#ffd5d2",
+          colour: "#ff7e7e",
+          hoverIndicatorColour: "#ffd5d2",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+          hoverIndicatorColour: "#c50b30",
+        },
+        hover: {
+          backgroundColour: "#ffd5d2",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#480411",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+          hoverIndicatorColour: "#c50b30",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#ffd5d2",
+        borderRadius: 16,
+        colour: "#480411",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#ffffff",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#ffd5d2",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#ffffff",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#940824",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#940824",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#1d1d1b",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          borderColour: "#ffffff",
+          borderWidth: 3,
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#ffd5d2",
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#940824",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#940824",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#f4f4f4",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#c50b30",
+        borderColour: "#f4f4f4",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColour: "#c50b30",
+            backgroundColourEven: "#c50b30",
+            borderColour: "#f4f4f4",
+            borderWidth: 1,
+            colour: "#ffffff",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#c50b30",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#ffffff",
+          },
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#ffd5d2",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#940824",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+  },
+  yellow: {
+    neutral: {
+      accordion: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#c86426",
+        },
+        subtle: {
+          backgroundColour: "#ffe969",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#000000",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#572722",
+            borderWidth: 3,
+            colour: "#000000",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ffe969",
+            "2": "#c86426",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#fffbdc",
+            "2": "#fff9c7",
+            "3": "#ffe969",
+            "4": "#ffb600",
+            "5": "#c86426",
+            "6": "#904029",
+            "7": "#572722",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#fffbdc",
+            "4": "#ffb600",
+            "5": "#904029",
+            "6": "#ffe969",
+            "7": "#572722",
+            "8": "#fffbdc",
+            "9": "#f4f4f4",
+            "10": "#000000",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#fffbdc",
+            "5": "#ffe969",
+            "6": "#ffb600",
+            "7": "#e48616",
+            "8": "#c86426",
+          },
+          reversed: {
+            "1": "#000000",
+            "2": "#4d4f4f",
+            "3": "#572722",
+            "4": "#ffb600",
+            "5": "#ffe969",
+            "6": "#fff9c7",
+            "7": "#f4f4f4",
+            "8": "#1d1d1b",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#fff9c7",
+            "4": "#ffe969",
+            "5": "#ffb600",
+            "6": "#c86426",
+            "7": "#c86426",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#1d1d1b",
+            "2": "#1d1d1b",
+            "3": "#1d1d1b",
+            "4": "#1d1d1b",
+            "5": "#000000",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#904029",
+            "4": "#572722",
+            "5": "#1d1d1b",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#ffe969",
+          accent2: "#ffb600",
+          backgroundColour: "#ffffff",
+          backgroundColourReversed: "#f4f4f4",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#1d1d1b",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#ffb600",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#ffb600",
+            borderRadius: 16,
+            colour: "#1d1d1b",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#ffe969",
+            colour: "#c86426",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#c86426",
+          colour: "#572722",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#c86426",
+          colour: "#572722",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#ffb600",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffb600",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#000000",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#fff9c7",
+            colour: "#000000",
+            hoverIndicator: "#572722",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#ffffff",
+            colour: "#000000",
+            hoverIndicator: "#ffffff",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#ffffff",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#904029",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#ffb600",
+            borderColourDark: "#ffb600",
+            borderColourLight: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#ffffff",
+            colourMuted: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#fff9c7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#572722",
+            colourMuted: "#000000",
+            colour: "#000000",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#d3d3d3",
+            colourMuted: "#4d4f4f",
+            colour: "#000000",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#c86426",
+            colour: "#572722",
+          },
+          hover: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#c86426",
+            colour: "#572722",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffffff",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffffff",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+        },
+        text: {
+          default: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#ffb600",
+          borderColour: "#1d1d1b",
+          borderWidthBottom: 1,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        focus: {
+          borderColour: "#000000",
+          borderWidth: 3,
+          colourMuted: "#000000",
+          colour: "#000000",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#572722",
+          borderWidthBottom: 3,
+          colourMuted: "#000000",
+          colour: "#000000",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#000000",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#ffb600",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffb600",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#000000",
+          borderWidth: 3,
+          colour: "#000000",
+          hoverIndicatorColour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#fff9c7",
+          colour: "#000000",
+          hoverIndicatorColour: "#572722",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#000000",
+          hoverIndicatorColour: "#ffffff",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#ffe969",
+        borderRadius: 16,
+        colour: "#c86426",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#904029",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#000000",
+          borderWidth: 3,
+          colour: "#000000",
+        },
+        hover: {
+          backgroundColour: "#fff9c7",
+          colour: "#000000",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          colour: "#000000",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#ffffff",
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#ffffff",
+            backgroundColour: "#ffffff",
+            borderColour: "#d3d3d3",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#ffffff",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#904029",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    neutralInverse: {
+      accordion: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        default: {
+          backgroundColour: "#ffffff",
+        },
+        regal: {
+          backgroundColour: "#c86426",
+        },
+        subtle: {
+          backgroundColour: "#fff9c7",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#000000",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#572722",
+            borderWidth: 3,
+            colour: "#000000",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ffe969",
+            "2": "#c86426",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#fffbdc",
+            "2": "#fff9c7",
+            "3": "#ffe969",
+            "4": "#ffb600",
+            "5": "#c86426",
+            "6": "#904029",
+            "7": "#572722",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#fffbdc",
+            "4": "#ffb600",
+            "5": "#904029",
+            "6": "#ffe969",
+            "7": "#572722",
+            "8": "#fffbdc",
+            "9": "#f4f4f4",
+            "10": "#000000",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#fffbdc",
+            "5": "#ffe969",
+            "6": "#ffb600",
+            "7": "#e48616",
+            "8": "#c86426",
+          },
+          reversed: {
+            "1": "#000000",
+            "2": "#4d4f4f",
+            "3": "#572722",
+            "4": "#ffb600",
+            "5": "#ffe969",
+            "6": "#fff9c7",
+            "7": "#f4f4f4",
+            "8": "#1d1d1b",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#fff9c7",
+            "4": "#ffe969",
+            "5": "#ffb600",
+            "6": "#c86426",
+            "7": "#c86426",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#1d1d1b",
+            "2": "#1d1d1b",
+            "3": "#1d1d1b",
+            "4": "#1d1d1b",
+            "5": "#000000",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#904029",
+            "4": "#572722",
+            "5": "#1d1d1b",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#ffe969",
+          accent2: "#ffb600",
+          backgroundColour: "#f4f4f4",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#d3d3d3",
+          borderColour2: "#d3d3d3",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#ffffff",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#ffb600",
+          },
+          negative: {
+            colour: "#c50b30",
+          },
+          positive: {
+            colour: "#00633d",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#ffb600",
+            borderRadius: 16,
+            colour: "#1d1d1b",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#ffe969",
+            colour: "#c86426",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#42aeea",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#4d4f4f",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          colour: "#d3d3d3",
+        },
+        focus: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#c86426",
+          colour: "#572722",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#c86426",
+          colour: "#572722",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#ffb600",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffb600",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#f4f4f4",
+            colour: "#000000",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#fff9c7",
+            colour: "#000000",
+            hoverIndicator: "#572722",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#f4f4f4",
+            colour: "#000000",
+            hoverIndicator: "#f4f4f4",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#f4f4f4",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#4d4f4f",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#904029",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#ffb600",
+            borderColourDark: "#ffb600",
+            borderColourLight: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#f4f4f4",
+            borderColourLight: "#f4f4f4",
+            colourMuted: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#fff9c7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#572722",
+            colourMuted: "#000000",
+            colour: "#000000",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#858686",
+            colourMuted: "#4d4f4f",
+            colour: "#000000",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#c86426",
+            colour: "#572722",
+          },
+          hover: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#c86426",
+            colour: "#572722",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+        },
+        text: {
+          default: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#4d4f4f",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#d3d3d3",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#ffb600",
+          borderColour: "#1d1d1b",
+          borderWidthBottom: 1,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        focus: {
+          borderColour: "#000000",
+          borderWidth: 3,
+          colourMuted: "#000000",
+          colour: "#000000",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#572722",
+          borderWidthBottom: 3,
+          colourMuted: "#000000",
+          colour: "#000000",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#d3d3d3",
+          borderWidthBottom: 1,
+          colourMuted: "#4d4f4f",
+          colour: "#000000",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#c50b30",
+        },
+        positive: {
+          colour: "#00633d",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#ffb600",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffb600",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          colour: "#d3d3d3",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#000000",
+          borderWidth: 3,
+          colour: "#000000",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+        hover: {
+          backgroundColour: "#fff9c7",
+          colour: "#000000",
+          hoverIndicatorColour: "#572722",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#000000",
+          hoverIndicatorColour: "#f4f4f4",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#ffe969",
+        borderRadius: 16,
+        colour: "#c86426",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#904029",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#4d4f4f",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#4d4f4f",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#858686",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#000000",
+          borderWidth: 3,
+          colour: "#000000",
+        },
+        hover: {
+          backgroundColour: "#fff9c7",
+          colour: "#000000",
+        },
+        rest: {
+          backgroundColour: "#f4f4f4",
+          colour: "#000000",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#858686",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#f4f4f4",
+        borderColour: "#858686",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#f4f4f4",
+            backgroundColour: "#f4f4f4",
+            borderColour: "#858686",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#f4f4f4",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#904029",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#4d4f4f",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#858686",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    subtle: {
+      accordion: {
+        backgroundColour: "#fff9c7",
+        borderColour: "#ffe969",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#1d1d1b",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#c86426",
+        },
+        subtle: {
+          backgroundColour: "#fff9c7",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#ffe969",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ffe969",
+            borderColour: "#ffe969",
+            colour: "#ffb600",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#ffe969",
+            colour: "#ffb600",
+          },
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#fff9c7",
+        borderColour: "#ffe969",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#000000",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#ffe969",
+            borderColour: "#572722",
+            borderWidth: 3,
+            colour: "#000000",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c86426",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ffe969",
+            "2": "#c86426",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#fffbdc",
+            "2": "#fff9c7",
+            "3": "#ffe969",
+            "4": "#ffb600",
+            "5": "#c86426",
+            "6": "#904029",
+            "7": "#572722",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#fffbdc",
+            "4": "#ffb600",
+            "5": "#904029",
+            "6": "#ffe969",
+            "7": "#572722",
+            "8": "#fffbdc",
+            "9": "#f4f4f4",
+            "10": "#000000",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#fffbdc",
+            "5": "#ffe969",
+            "6": "#ffb600",
+            "7": "#e48616",
+            "8": "#c86426",
+          },
+          reversed: {
+            "1": "#000000",
+            "2": "#4d4f4f",
+            "3": "#572722",
+            "4": "#ffb600",
+            "5": "#ffe969",
+            "6": "#fff9c7",
+            "7": "#f4f4f4",
+            "8": "#1d1d1b",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#fff9c7",
+            "4": "#ffe969",
+            "5": "#ffb600",
+            "6": "#c86426",
+            "7": "#c86426",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#1d1d1b",
+            "2": "#1d1d1b",
+            "3": "#1d1d1b",
+            "4": "#1d1d1b",
+            "5": "#000000",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#904029",
+            "4": "#572722",
+            "5": "#1d1d1b",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#ffb600",
+          accent2: "#c86426",
+          backgroundColourReversed: "#ffffff",
+          backgroundColour: "#fff9c7",
+          borderColour1: "#ffe969",
+          borderColour2: "#c86426",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#ffe969",
+          focusIndicatorColour: "#1d1d1b",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#fff9c7",
+        borderColour: "#ffe969",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#904029",
+          },
+          negative: {
+            colour: "#1d1d1b",
+          },
+          positive: {
+            colour: "#1d1d1b",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#ffb600",
+            borderRadius: 16,
+            colour: "#1d1d1b",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#ffb600",
+            colour: "#c86426",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#aee1f7",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#d3d3d3",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#1d1d1b",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        borderRadius: 28,
+        borderWidthFocus: 3,
+        borderWidth: 1.5,
+        disabled: {
+          backgroundColour: "#fffbdc",
+          borderColour: "#d3d3d3",
+          colour: "#ffe969",
+        },
+        focus: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#c86426",
+          colour: "#572722",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#ffb600",
+          borderColour: "#000000",
+          colour: "#1d1d1b",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#c86426",
+          colour: "#572722",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#fff9c7",
+        borderColour: "#ffe969",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#ffb600",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffb600",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#fff9c7",
+            colour: "#000000",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#ffe969",
+            colour: "#000000",
+            hoverIndicator: "#572722",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#fff9c7",
+            colour: "#000000",
+            hoverIndicator: "#fff9c7",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#fff9c7",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#1d1d1b",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#904029",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#c86426",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#ffe969",
+            borderColour: "#ffe969",
+            colour: "#ffb600",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#ffb600",
+            borderColourDark: "#ffb600",
+            borderColourLight: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#fffbdc",
+            borderColour: "#d3d3d3",
+            colour: "#ffe969",
+          },
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColourDark: "#fff9c7",
+            borderColourLight: "#fff9c7",
+            colourMuted: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#ffe969",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#572722",
+            colourMuted: "#000000",
+            colour: "#000000",
+          },
+          rest: {
+            backgroundColour: "#fff9c7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#1d1d1b",
+            colourMuted: "#000000",
+            colour: "#000000",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#c86426",
+            colour: "#572722",
+          },
+          hover: {
+            backgroundColour: "#ffb600",
+            borderColour: "#000000",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#c86426",
+            colour: "#572722",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#572722",
+            borderColour: "#572722",
+            colour: "#ffffff",
+          },
+          disabled: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#ffe969",
+            colour: "#ffb600",
+          },
+          focus: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#904029",
+            borderColour: "#904029",
+            colour: "#ffffff",
+          },
+          rest: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+        },
+        text: {
+          default: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#000000",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#c86426",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#ffb600",
+          borderColour: "#1d1d1b",
+          borderWidthBottom: 1,
+          colourMuted: "#1d1d1b",
+          colour: "#1d1d1b",
+        },
+        focus: {
+          borderColour: "#000000",
+          borderWidth: 3,
+          colourMuted: "#000000",
+          colour: "#000000",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#ffe969",
+          borderColour: "#572722",
+          borderWidthBottom: 3,
+          colourMuted: "#000000",
+          colour: "#000000",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#c86426",
+          borderWidthBottom: 1,
+          colourMuted: "#000000",
+          colour: "#000000",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#1d1d1b",
+        },
+        positive: {
+          colour: "#1d1d1b",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#ffb600",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffb600",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#fffbdc",
+          colour: "#ffe969",
+          hoverIndicatorColour: "#fffbdc",
+        },
+        focus: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#000000",
+          borderWidth: 3,
+          colour: "#000000",
+          hoverIndicatorColour: "#fff9c7",
+        },
+        hover: {
+          backgroundColour: "#ffe969",
+          colour: "#000000",
+          hoverIndicatorColour: "#572722",
+        },
+        rest: {
+          backgroundColour: "#fff9c7",
+          colour: "#000000",
+          hoverIndicatorColour: "#fff9c7",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#ffb600",
+        borderRadius: 16,
+        colour: "#c86426",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#904029",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#1d1d1b",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c86426",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#000000",
+          borderWidth: 3,
+          colour: "#000000",
+        },
+        hover: {
+          backgroundColour: "#ffe969",
+          colour: "#000000",
+        },
+        rest: {
+          backgroundColour: "#fff9c7",
+          colour: "#000000",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#c86426",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c86426",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#d3d3d3",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#fff9c7",
+        borderColour: "#1d1d1b",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColourEven: "#fff9c7",
+            backgroundColour: "#fff9c7",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#fff9c7",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#904029",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c86426",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+    bold: {
+      accordion: {
+        backgroundColour: "#ffb600",
+        borderColour: "#c86426",
+        borderRadius: 12,
+        borderWidth: 1,
+        content: {
+          gap: 20,
+        },
+        gap: 20,
+        header: {
+          customContentHeight: 12,
+          focusIndicatorBorderRadius: 8,
+          focusIndicatorBorderWidth: 3,
+          focusIndicatorColour: "#ffffff",
+          gap: 12,
+          labelMinWidth: 140,
+        },
+        paddingX: 20,
+        paddingY: 20,
+      },
+      accordionGroup: {
+        gap: 16,
+      },
+      addOnButton: {
+        active: {
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          colour: "#d3d3d3",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderRadius: 12,
+          borderWidth: 3,
+          colour: "#858686",
+        },
+        hover: {
+          colour: "#4d4f4f",
+        },
+        rest: {
+          colour: "#858686",
+        },
+      },
+      banner: {
+        gap: 12,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      body: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        default: {
+          backgroundColour: "#f4f4f4",
+        },
+        regal: {
+          backgroundColour: "#c86426",
+        },
+        subtle: {
+          backgroundColour: "#fff9c7",
+        },
+      },
+      breadcrumb: {
+        borderColour: "#c86426",
+        borderWidth: 1,
+        gap: 8,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 12,
+      },
+      button: {
+        borderRadius: 12,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        common: {
+          iconOnly: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 12,
+            paddingY: 12,
+          },
+          labelled: {
+            minHeight: 48,
+            minWidth: 48,
+            paddingX: 16,
+            paddingY: 12,
+          },
+        },
+        gap: 8,
+        iconWidth: 24,
+        primary: {
+          active: {
+            backgroundColour: "#fffbdc",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#e48616",
+            borderColour: "#e48616",
+            colour: "#c86426",
+          },
+          focus: {
+            backgroundColour: "#1d1d1b",
+            colour: "#f4f4f4",
+          },
+          hover: {
+            backgroundColour: "#ffe969",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#1d1d1b",
+            borderColour: "#1d1d1b",
+            colour: "#f4f4f4",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#fffbdc",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#ffb600",
+            borderColour: "#c86426",
+            colour: "#c86426",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#ffe969",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      buttonGroup: {
+        gap: 16,
+      },
+      card: {
+        backgroundColour: "#ffb600",
+        borderColour: "#c86426",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 20,
+        interactive: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            borderWidth: 3,
+            colour: "#000000",
+            paddingRight: 20,
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#572722",
+            borderWidth: 3,
+            colour: "#000000",
+            paddingRight: 20,
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+        },
+        minWidth: 288,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      checkbox: {
+        common: {
+          borderRadius: 4,
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            backgroundColour: "#d3d3d3",
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c86426",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 28,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 16,
+            },
+          },
+        },
+      },
+      checkboxGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      colour: {
+        border: {
+          colour: {
+            "1": "#ffe969",
+            "2": "#c86426",
+          },
+          mono: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#d3d3d3",
+            "4": "#858686",
+            "5": "#4d4f4f",
+            "6": "#1d1d1b",
+          },
+        },
+        brand: {
+          tint: {
+            "1": "#fffbdc",
+            "2": "#fff9c7",
+            "3": "#ffe969",
+            "4": "#ffb600",
+            "5": "#c86426",
+            "6": "#904029",
+            "7": "#572722",
+          },
+        },
+        interactive: {
+          default: {
+            "1": "#ffffff",
+            "2": "#1d1d1b",
+            "3": "#fffbdc",
+            "4": "#ffb600",
+            "5": "#904029",
+            "6": "#ffe969",
+            "7": "#572722",
+            "8": "#fffbdc",
+            "9": "#f4f4f4",
+            "10": "#000000",
+          },
+          disabled: {
+            "1": "#f4f4f4",
+            "2": "#d3d3d3",
+            "3": "#7a7b7b",
+            "4": "#fffbdc",
+            "5": "#ffe969",
+            "6": "#ffb600",
+            "7": "#e48616",
+            "8": "#c86426",
+          },
+          reversed: {
+            "1": "#000000",
+            "2": "#4d4f4f",
+            "3": "#572722",
+            "4": "#ffb600",
+            "5": "#ffe969",
+            "6": "#fff9c7",
+            "7": "#f4f4f4",
+            "8": "#1d1d1b",
+            "9": "#ffffff",
+          },
+        },
+        surface: {
+          fill: {
+            "1": "#ffffff",
+            "2": "#f4f4f4",
+            "3": "#fff9c7",
+            "4": "#ffe969",
+            "5": "#ffb600",
+            "6": "#c86426",
+            "7": "#c86426",
+          },
+          hasFill: false,
+        },
+        text: {
+          interactive: {
+            "1": "#1d1d1b",
+            "2": "#1d1d1b",
+            "3": "#1d1d1b",
+            "4": "#1d1d1b",
+            "5": "#000000",
+            "6": "#000000",
+          },
+          static: {
+            "1": "#1d1d1b",
+            "2": "#4d4f4f",
+            "3": "#904029",
+            "4": "#572722",
+            "5": "#1d1d1b",
+          },
+        },
+      },
+      container: {
+        common: {
+          borderRadiusLg: 28,
+          borderRadiusMd: 20,
+          borderRadiusSm: 16,
+          borderRadiusXs: 12,
+          borderWidthMd: 2,
+          borderWidthXs: 1,
+          focusIndicatorBorderRadiusSm: 8,
+          focusIndicatorBorderWidth: 3,
+          minWidth: 288,
+          paddingLg: 28,
+          paddingMd: 20,
+          paddingSm: 16,
+          paddingXs: 12,
+          sizeXs: 16,
+        },
+        default: {
+          accent1: "#c86426",
+          accent2: "#ffffff",
+          backgroundColour: "#ffb600",
+          backgroundColourReversed: "#ffffff",
+          borderColour1: "#c86426",
+          borderColour2: "#1d1d1b",
+          borderColour3: "#4d4f4f",
+          borderColour4: "#c86426",
+          focusIndicatorColour: "#ffffff",
+        },
+      },
+      contentArea: {
+        backgroundColour: "#ffb600",
+        borderColour: "#c86426",
+        borderRadius: 28,
+        borderWidth: 1,
+        colour: "#1d1d1b",
+        gap: 28,
+        paddingX: 28,
+        paddingY: 20,
+      },
+      content: {
+        gap: {
+          column: {
+            lg: 36,
+            md: 28,
+            sm: 8,
+            xl: 48,
+            xs: 16,
+          },
+          inside: {
+            lg: 16,
+            md: 12,
+            sm: 8,
+            xl: 20,
+            xs: 4,
+          },
+          row: {
+            lg: 36,
+            md: 28,
+            sm: 20,
+            xl: 48,
+            xs: 16,
+          },
+        },
+        icon: {
+          brandPrimary: {
+            colour: "#1d1d1b",
+          },
+          negative: {
+            colour: "#1d1d1b",
+          },
+          positive: {
+            colour: "#1d1d1b",
+          },
+          size: {
+            sm: 24,
+          },
+        },
+        indicator: {
+          bold: {
+            backgroundColour: "#ffffff",
+            borderRadius: 16,
+            colour: "#1d1d1b",
+            padding: 4,
+            size: 16,
+          },
+          progress: {
+            backgroundColour: "#fffbdc",
+            colour: "#572722",
+            size: 4,
+          },
+        },
+        pictogram: {
+          fill: "#005dba",
+          hasFill: false,
+          outline: "#1d1d1b",
+          size: {
+            lg: 80,
+            md: 32,
+            xl: 160,
+          },
+        },
+        seperator: {
+          borderWidthSm: 1.5,
+          borderWidthXs: 1,
+          colour: "#1d1d1b",
+        },
+      },
+      dataPoint: {
+        gap: 4,
+        labelColour: "#572722",
+        valueColour: "#1d1d1b",
+      },
+      dataPointGroup: {
+        columnGap: 36,
+        rowGap: 36,
+      },
+      details: {
+        activePaddingBottom: 16,
+        borderRadius: 12,
+        focusIndicatorBorderRadius: 8,
+        focusIndicatorBorderWidth: 3,
+        focusIndicatorColour: "#1d1d1b",
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      filterButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#ffffff",
+          colour: "#000000",
+        },
+        borderRadius: 28,
+        borderWidth: 1.5,
+        borderWidthFocus: 3,
+        disabled: {
+          backgroundColour: "#fffbdc",
+          borderColour: "#d3d3d3",
+          colour: "#ffe969",
+        },
+        focus: {
+          backgroundColour: "#ffe969",
+          borderColour: "#000000",
+          colour: "#000000",
+        },
+        gap: 8,
+        hover: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#000000",
+          colour: "#000000",
+        },
+        minHeight: 48,
+        paddingX: 16,
+        rest: {
+          backgroundColour: "#ffe969",
+          borderColour: "#000000",
+          colour: "#000000",
+        },
+      },
+      filterButtonGroup: {
+        gap: 16,
+      },
+      footer: {
+        backgroundColour: "#ffb600",
+        borderColour: "#c86426",
+        borderWidth: 1,
+        gap: 28,
+        logoGap: 36,
+        logoSize: 80,
+        minWidth: 320,
+        paddingX: 16,
+        paddingY: 28,
+      },
+      footerLinkGroup: {
+        linkGap: 16,
+        socialGap: 12,
+      },
+      formField: {
+        gap: 16,
+      },
+      header: {
+        button: {
+          active: {
+            backgroundColour: "#ffffff",
+            colour: "#000000",
+            hoverIndicator: "#ffffff",
+          },
+          borderRadius: 12,
+          borderWidthFocus: 3,
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColour: "#ffb600",
+            colour: "#1d1d1b",
+          },
+          gap: 8,
+          hover: {
+            backgroundColour: "#fff9c7",
+            colour: "#000000",
+            hoverIndicator: "#572722",
+          },
+          iconSize: 24,
+          minHeight: 48,
+          minWidth: 48,
+          paddingDefaultX: 12,
+          paddingSmallX: 8,
+          paddingY: 12,
+          rest: {
+            backgroundColour: "#ffb600",
+            colour: "#1d1d1b",
+            hoverIndicator: "#ffb600",
+          },
+          textIconLabelHeight: 14,
+          textLabelHeight: 22,
+        },
+        container: {
+          backgroundColour: "#ffb600",
+          gap: 28,
+          logoGapLg: 20,
+          logoGapSm: 16,
+          maxHeight: 89,
+          minWidth: 320,
+          paddingX: 16,
+          paddingY: 8,
+        },
+        logo: {
+          container: {
+            maxHeightLg: 64,
+            maxHeightSm: 44,
+            maxWidthLg: 232,
+            maxWidthSm: 165,
+            paddingBottomLg: 12,
+            paddingBottomSm: 8,
+          },
+          primary: {
+            maxHeightLg: 52,
+            maxHeightSm: 36,
+          },
+          secondary: {
+            heightLg: 36,
+            heightSm: 25,
+            maxWidthLg: 120,
+            maxWidthSm: 84,
+          },
+        },
+      },
+      hero: {
+        gap: 36,
+        paddingX: 16,
+        paddingY: 36,
+        subheadings: {
+          colour: "#572722",
+          gap: 4,
+        },
+        titleBlock: {
+          colour: "#1d1d1b",
+          gap: 12,
+        },
+        width: 288,
+      },
+      inlineMessage: {
+        borderRadius: 12,
+        gap: 12,
+        paddingX: 12,
+        paddingY: 12,
+      },
+      input: {
+        common: {
+          borderRadiusLg: 16,
+          borderRadiusMd: 12,
+          borderRadiusSm: 8,
+          borderRadiusXs: 4,
+          gapLg: 16,
+          gapMd: 12,
+          gapSm: 8,
+          gapXl: 20,
+          gapXs: 4,
+          gapXxl: 28,
+          gapXxxl: 36,
+          minWidth: 232,
+          paddingLg: 16,
+          paddingMd: 12,
+          paddingSm: 8,
+          paddingXs: 4,
+          scaleLg: 28,
+          scaleMd: 20,
+          scaleSm: 16,
+          scaleXl: 36,
+          scaleXs: 12,
+          scaleXxl: 48,
+          scaleXxs: 8,
+        },
+        disabled: {
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+          indicatorColour: "#d3d3d3",
+          neutralBackgroundColour: "#f4f4f4",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c50b30",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        errorFocus: {
+          borderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        hover: {
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+        rest: {
+          borderColour: "#c86426",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          indicatorColour: "#c86426",
+          neutralBackgroundColour: "#ffffff",
+          neutralReverseBackgroundColour: "#f4f4f4",
+        },
+      },
+      interactive: {
+        addOn: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            colour: "#d3d3d3",
+          },
+          focus: {
+            borderColour: "#1d1d1b",
+            colour: "#858686",
+          },
+          hover: {
+            colour: "#4d4f4f",
+          },
+          rest: {
+            colour: "#858686",
+          },
+        },
+        borderRadiusDefault: 12,
+        borderRadiusPill: 28,
+        borderWidthLg: 3,
+        borderWidthSm: 1.5,
+        borderWidthXs: 1,
+        focusBorderWidth: 3,
+        gap: 8,
+        minHeight: 48,
+        minWidth: 48,
+        paddingLg: 20,
+        paddingMd: 16,
+        paddingSm: 12,
+        paddingXs: 8,
+        primary: {
+          active: {
+            backgroundColour: "#fffbdc",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#e48616",
+            borderColour: "#e48616",
+            colour: "#c86426",
+          },
+          focus: {
+            backgroundColour: "#1d1d1b",
+            borderColour: "#1d1d1b",
+            colour: "#f4f4f4",
+          },
+          hover: {
+            backgroundColour: "#ffe969",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#1d1d1b",
+            borderColour: "#1d1d1b",
+            colour: "#f4f4f4",
+          },
+        },
+        primaryReversed: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColourDark: "#ffffff",
+            borderColourLight: "#000000",
+            colour: "#000000",
+            colourMuted: "#4d4f4f",
+          },
+          disabled: {
+            backgroundColour: "#fffbdc",
+            borderColour: "#d3d3d3",
+            colour: "#ffe969",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColourDark: "#ffb600",
+            borderColourLight: "#ffb600",
+            colour: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#fff9c7",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#572722",
+            colour: "#000000",
+            colourMuted: "#000000",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColourDark: "#1d1d1b",
+            borderColourLight: "#1d1d1b",
+            colour: "#1d1d1b",
+            colourMuted: "#1d1d1b",
+          },
+        },
+        primaryReversedSubtle: {
+          active: {
+            backgroundColour: "#ffffff",
+            borderColour: "#ffffff",
+            colour: "#000000",
+          },
+          disabled: {
+            backgroundColour: "#d3d3d3",
+            borderColour: "#d3d3d3",
+            colour: "#7a7b7b",
+          },
+          focus: {
+            backgroundColour: "#ffe969",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          hover: {
+            backgroundColour: "#fff9c7",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+          rest: {
+            backgroundColour: "#ffe969",
+            borderColour: "#000000",
+            colour: "#000000",
+          },
+        },
+        secondary: {
+          active: {
+            backgroundColour: "#fffbdc",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          disabled: {
+            backgroundColour: "#ffb600",
+            borderColour: "#c86426",
+            colour: "#c86426",
+          },
+          focus: {
+            backgroundColour: "#ffb600",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          hover: {
+            backgroundColour: "#ffe969",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+          rest: {
+            backgroundColour: "#ffb600",
+            borderColour: "#1d1d1b",
+            colour: "#1d1d1b",
+          },
+        },
+        text: {
+          default: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          focusBorderRadius: 4,
+          focusBorderWidth: 1,
+          mono: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+        },
+        underlineBorderWidth: 2,
+      },
+      labelAndHint: {
+        gap: 4,
+        hintColour: "#1d1d1b",
+        labelColour: "#1d1d1b",
+      },
+      link: {
+        gap: 8,
+        mono: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+        primary: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+      linkGroup: {
+        gap: 16,
+      },
+      linkMenu: {
+        borderColour: "#1d1d1b",
+        borderRadius: 16,
+        borderWidth: 1,
+      },
+      linkMenuItem: {
+        active: {
+          backgroundColour: "#ffffff",
+          borderColour: "#000000",
+          borderWidthBottom: 1,
+          colour: "#000000",
+          colourMuted: "#4d4f4f",
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          colourMuted: "#1d1d1b",
+        },
+        gap: 12,
+        hover: {
+          backgroundColour: "#fff9c7",
+          borderColour: "#572722",
+          borderWidthBottom: 3,
+          colour: "#000000",
+          colourMuted: "#000000",
+          paddingRight: 8,
+        },
+        paddingBottom: 16,
+        paddingLeft: 16,
+        paddingRight: 8,
+        paddingTop: 16,
+        rest: {
+          borderColour: "#1d1d1b",
+          borderWidthBottom: 1,
+          colour: "#1d1d1b",
+          colourMuted: "#1d1d1b",
+        },
+      },
+      list: {
+        gap: 20,
+      },
+      listItem: {
+        common: {
+          gap: 12,
+          paddingLeft: 12,
+        },
+        negative: {
+          colour: "#1d1d1b",
+        },
+        positive: {
+          colour: "#1d1d1b",
+        },
+      },
+      notice: {
+        content: {
+          gap: 16,
+        },
+        gap: 28,
+      },
+      notificationBadge: {
+        backgroundColour: "#ffffff",
+        borderRadius: 16,
+        colour: "#1d1d1b",
+        height: 16,
+        minWidth: 16,
+        padding: 4,
+      },
+      pagination: {
+        colour: "#1d1d1b",
+        horizontalGap: 28,
+        insideGap: 8,
+        verticalGap: 16,
+      },
+      paginationPage: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#000000",
+          hoverIndicatorColour: "#ffffff",
+        },
+        common: {
+          hoverIndicatorWidth: 2,
+        },
+        disabled: {
+          backgroundColour: "#fffbdc",
+          colour: "#ffe969",
+          hoverIndicatorColour: "#fffbdc",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffb600",
+        },
+        hover: {
+          backgroundColour: "#fff9c7",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#572722",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+          hoverIndicatorColour: "#ffb600",
+        },
+      },
+      progressBar: {
+        backgroundColour: "#fffbdc",
+        borderRadius: 16,
+        colour: "#572722",
+        gap: 8,
+        height: 4,
+      },
+      progressHeader: {
+        colour: "#1d1d1b",
+      },
+      progressIndicator: {
+        gap: 8,
+      },
+      progressJourney: {
+        colour: "#572722",
+        gap: 16,
+      },
+      radio: {
+        common: {
+          borderRadius: 16,
+          colour: "#1d1d1b",
+        },
+        disabled: {
+          control: {
+            backgroundColour: "#f4f4f4",
+            borderColour: "#d3d3d3",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#d3d3d3",
+          },
+          label: {
+            colour: "#a6a7a7",
+          },
+        },
+        error: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c50b30",
+            borderWidth: 1.5,
+            focusBorderWidth: 3,
+          },
+          indicator: {
+            colour: "#c50b30",
+          },
+        },
+        focus: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 3,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        hover: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#1d1d1b",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        rest: {
+          control: {
+            backgroundColour: "#ffffff",
+            borderColour: "#c86426",
+            borderWidth: 1.5,
+          },
+          indicator: {
+            colour: "#c86426",
+          },
+        },
+        scale: {
+          lg: {
+            control: {
+              size: 28,
+            },
+            gap: 36,
+            indicator: {
+              size: 16,
+            },
+          },
+          sm: {
+            control: {
+              size: 16,
+            },
+            gap: 28,
+            indicator: {
+              size: 8,
+            },
+          },
+        },
+      },
+      radioGroup: {
+        lg: {
+          gap: 20,
+        },
+        sm: {
+          gap: 16,
+        },
+      },
+      segmentButton: {
+        active: {
+          backgroundColour: "#ffffff",
+          colour: "#000000",
+        },
+        common: {
+          borderRadius: 8,
+          minHeight: 36,
+          paddingX: 8,
+          paddingY: 8,
+        },
+        disabled: {
+          backgroundColour: "#d3d3d3",
+          colour: "#a6a7a7",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#fff9c7",
+          colour: "#000000",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+      },
+      segmentControl: {
+        common: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#c86426",
+          borderRadius: 12,
+          borderWidth: 1.5,
+          gap: 4,
+          minWidth: 232,
+          paddingX: 4,
+          paddingY: 4,
+        },
+        error: {
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          focusBorderWidth: 3,
+        },
+        focus: {
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+        },
+      },
+      select: {
+        common: {
+          borderRadius: 12,
+          buttonGap: 16,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c86426",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+      seperator: {
+        borderColour: "#1d1d1b",
+        borderWidth: 1,
+      },
+      table: {
+        backgroundColour: "#ffb600",
+        borderColour: "#1d1d1b",
+        borderRadius: 16,
+        cell: {
+          common: {
+            backgroundColour: "#ffb600",
+            backgroundColourEven: "#ffb600",
+            borderColour: "#1d1d1b",
+            borderWidth: 1,
+            colour: "#1d1d1b",
+            paddingX: 16,
+            paddingYLg: 16,
+            paddingYSm: 12,
+          },
+          header: {
+            borderColour: "#4d4f4f",
+            borderWidth: 2,
+          },
+          highlight: {
+            backgroundColour: "#ffb600",
+          },
+        },
+        row: {
+          vertical: {
+            gap: 16,
+          },
+        },
+      },
+      text: {
+        default: {
+          accent: {
+            colour: "#1d1d1b",
+          },
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#572722",
+          },
+        },
+      },
+      textInput: {
+        common: {
+          addonButtonGap: 16,
+          borderRadius: 12,
+          buttonGap: 8,
+          height: 48,
+          paddingX: 16,
+          paddingY: 8,
+          textGap: 8,
+        },
+        disabled: {
+          backgroundColour: "#f4f4f4",
+          borderColour: "#d3d3d3",
+          borderWidth: 1.5,
+          colour: "#a6a7a7",
+        },
+        error: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c50b30",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+          focusBorderWidth: 3,
+        },
+        focus: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 3,
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#ffffff",
+          borderColour: "#1d1d1b",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+        rest: {
+          backgroundColour: "#ffffff",
+          borderColour: "#c86426",
+          borderWidth: 1.5,
+          colour: "#1d1d1b",
+        },
+      },
+    },
+  },
+} as const;
+
+export const status = {
+  info: {
+    neutral: {
+      banner: {
+        backgroundColour: "#005dba",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        subtle: {
+          backgroundColour: "#aee1f7",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#42aeea",
+        },
+        subtle: {
+          colour: "#001d6e",
+        },
+      },
+      details: {
+        backgroundColour: "#aee1f7",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#aee1f7",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#001d6e",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000039",
+            focus: "#000039",
+            hover: "#000039",
+            rest: "#000039",
+            visited: "#000039",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#001d6e",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000039",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000039",
+          },
+          hover: {
+            colour: "#000039",
+          },
+          rest: {
+            colour: "#000039",
+          },
+          visited: {
+            colour: "#000039",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#005dba",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#aee1f7",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    neutralInverse: {
+      banner: {
+        backgroundColour: "#005dba",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        subtle: {
+          backgroundColour: "#aee1f7",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#42aeea",
+        },
+        subtle: {
+          colour: "#001d6e",
+        },
+      },
+      details: {
+        backgroundColour: "#aee1f7",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#aee1f7",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#001d6e",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000039",
+            focus: "#000039",
+            hover: "#000039",
+            rest: "#000039",
+            visited: "#000039",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#001d6e",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000039",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000039",
+          },
+          hover: {
+            colour: "#000039",
+          },
+          rest: {
+            colour: "#000039",
+          },
+          visited: {
+            colour: "#000039",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#005dba",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#aee1f7",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    subtle: {
+      banner: {
+        backgroundColour: "#005dba",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#42aeea",
+        },
+        subtle: {
+          colour: "#001d6e",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000039",
+            focus: "#000039",
+            hover: "#000039",
+            rest: "#000039",
+            visited: "#000039",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000039",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000039",
+          },
+          hover: {
+            colour: "#000039",
+          },
+          rest: {
+            colour: "#000039",
+          },
+          visited: {
+            colour: "#000039",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#005dba",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    bold: {
+      banner: {
+        backgroundColour: "#005dba",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#005dba",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#42aeea",
+        },
+        subtle: {
+          colour: "#001d6e",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#001d6e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#ffffff",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#000a52",
+          borderColour: "#000a52",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#76c8f1",
+          borderColour: "#76c8f1",
+          colour: "#1e84d2",
+        },
+        focus: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#001d6e",
+          borderColour: "#001d6e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#005dba",
+          borderColour: "#005dba",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000039",
+            focus: "#000039",
+            hover: "#000039",
+            rest: "#000039",
+            visited: "#000039",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#ffffff",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000039",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000039",
+          },
+          hover: {
+            colour: "#000039",
+          },
+          rest: {
+            colour: "#000039",
+          },
+          visited: {
+            colour: "#000039",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#005dba",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+      },
+    },
+  },
+  success: {
+    neutral: {
+      banner: {
+        backgroundColour: "#00633d",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        subtle: {
+          backgroundColour: "#caeedd",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#43af6e",
+        },
+        subtle: {
+          colour: "#01312e",
+        },
+      },
+      details: {
+        backgroundColour: "#caeedd",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#caeedd",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#014a39",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#011b1f",
+            focus: "#011b1f",
+            hover: "#011b1f",
+            rest: "#011b1f",
+            visited: "#011b1f",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#014a39",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#011b1f",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#011b1f",
+          },
+          hover: {
+            colour: "#011b1f",
+          },
+          rest: {
+            colour: "#011b1f",
+          },
+          visited: {
+            colour: "#011b1f",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#00633d",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#caeedd",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    neutralInverse: {
+      banner: {
+        backgroundColour: "#00633d",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        subtle: {
+          backgroundColour: "#caeedd",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#43af6e",
+        },
+        subtle: {
+          colour: "#01312e",
+        },
+      },
+      details: {
+        backgroundColour: "#caeedd",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#caeedd",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#014a39",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#011b1f",
+            focus: "#011b1f",
+            hover: "#011b1f",
+            rest: "#011b1f",
+            visited: "#011b1f",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#014a39",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#011b1f",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#011b1f",
+          },
+          hover: {
+            colour: "#011b1f",
+          },
+          rest: {
+            colour: "#011b1f",
+          },
+          visited: {
+            colour: "#011b1f",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#00633d",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#caeedd",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    subtle: {
+      banner: {
+        backgroundColour: "#00633d",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#43af6e",
+        },
+        subtle: {
+          colour: "#01312e",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#011b1f",
+            focus: "#011b1f",
+            hover: "#011b1f",
+            rest: "#011b1f",
+            visited: "#011b1f",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#011b1f",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#011b1f",
+          },
+          hover: {
+            colour: "#011b1f",
+          },
+          rest: {
+            colour: "#011b1f",
+          },
+          visited: {
+            colour: "#011b1f",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#00633d",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    bold: {
+      banner: {
+        backgroundColour: "#00633d",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#00633d",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#43af6e",
+        },
+        subtle: {
+          colour: "#01312e",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#01312e",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#ffffff",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#012425",
+          borderColour: "#012425",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#7fce9f",
+          borderColour: "#7fce9f",
+          colour: "#1a8952",
+        },
+        focus: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#01312e",
+          borderColour: "#01312e",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#00633d",
+          borderColour: "#00633d",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#011b1f",
+            focus: "#011b1f",
+            hover: "#011b1f",
+            rest: "#011b1f",
+            visited: "#011b1f",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#ffffff",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#011b1f",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#011b1f",
+          },
+          hover: {
+            colour: "#011b1f",
+          },
+          rest: {
+            colour: "#011b1f",
+          },
+          visited: {
+            colour: "#011b1f",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#00633d",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+      },
+    },
+  },
+  warning: {
+    neutral: {
+      banner: {
+        backgroundColour: "#ffb600",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        subtle: {
+          backgroundColour: "#fff9c7",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#1d1d1b",
+        },
+        pictogram: {
+          statusFill: "#ffe969",
+        },
+        subtle: {
+          colour: "#904029",
+        },
+      },
+      details: {
+        backgroundColour: "#fff9c7",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#fff9c7",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#904029",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        text: {
+          bold: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#904029",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#ffb600",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#fff9c7",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    neutralInverse: {
+      banner: {
+        backgroundColour: "#ffb600",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        subtle: {
+          backgroundColour: "#fff9c7",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#1d1d1b",
+        },
+        pictogram: {
+          statusFill: "#ffe969",
+        },
+        subtle: {
+          colour: "#904029",
+        },
+      },
+      details: {
+        backgroundColour: "#fff9c7",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#fff9c7",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#904029",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        text: {
+          bold: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#904029",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#ffb600",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#fff9c7",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    subtle: {
+      banner: {
+        backgroundColour: "#ffb600",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#1d1d1b",
+        },
+        pictogram: {
+          statusFill: "#ffe969",
+        },
+        subtle: {
+          colour: "#904029",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        text: {
+          bold: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#ffb600",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    bold: {
+      banner: {
+        backgroundColour: "#ffb600",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#ffb600",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#1d1d1b",
+        },
+        pictogram: {
+          statusFill: "#ffe969",
+        },
+        subtle: {
+          colour: "#904029",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#904029",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#572722",
+          borderColour: "#572722",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ffe969",
+          borderColour: "#ffe969",
+          colour: "#ffb600",
+        },
+        focus: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        hover: {
+          backgroundColour: "#904029",
+          borderColour: "#904029",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#ffb600",
+          borderColour: "#ffb600",
+          colour: "#1d1d1b",
+        },
+        text: {
+          bold: {
+            active: "#1d1d1b",
+            focus: "#1d1d1b",
+            hover: "#1d1d1b",
+            rest: "#1d1d1b",
+            visited: "#1d1d1b",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#1d1d1b",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#1d1d1b",
+          },
+          hover: {
+            colour: "#1d1d1b",
+          },
+          rest: {
+            colour: "#1d1d1b",
+          },
+          visited: {
+            colour: "#1d1d1b",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#ffb600",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#1d1d1b",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#1d1d1b",
+          },
+        },
+      },
+    },
+  },
+  error: {
+    neutral: {
+      banner: {
+        backgroundColour: "#c50b30",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        subtle: {
+          backgroundColour: "#ffc2bd",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#ff3e51",
+        },
+        subtle: {
+          colour: "#940824",
+        },
+      },
+      details: {
+        backgroundColour: "#ffc2bd",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffc2bd",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#940824",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#940824",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#c50b30",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffc2bd",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    neutralInverse: {
+      banner: {
+        backgroundColour: "#c50b30",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        subtle: {
+          backgroundColour: "#ffc2bd",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#ff3e51",
+        },
+        subtle: {
+          colour: "#940824",
+        },
+      },
+      details: {
+        backgroundColour: "#ffc2bd",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffc2bd",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#940824",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#940824",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#c50b30",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffc2bd",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    subtle: {
+      banner: {
+        backgroundColour: "#c50b30",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#ff3e51",
+        },
+        subtle: {
+          colour: "#940824",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#c50b30",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    bold: {
+      banner: {
+        backgroundColour: "#c50b30",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#c50b30",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#ff3e51",
+        },
+        subtle: {
+          colour: "#940824",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#940824",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#ffffff",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#6e061b",
+          borderColour: "#6e061b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#ff7e7e",
+          borderColour: "#ff7e7e",
+          colour: "#e2223e",
+        },
+        focus: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#940824",
+          borderColour: "#940824",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#c50b30",
+          borderColour: "#c50b30",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#ffffff",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#c50b30",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+      },
+    },
+  },
+  generic: {
+    neutral: {
+      banner: {
+        backgroundColour: "#4d4f4f",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#4d4f4f",
+        },
+        subtle: {
+          backgroundColour: "#f4f4f4",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#d3d3d3",
+        },
+        subtle: {
+          colour: "#1d1d1b",
+        },
+      },
+      details: {
+        backgroundColour: "#f4f4f4",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#f4f4f4",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#4d4f4f",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#f4f4f4",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    neutralInverse: {
+      banner: {
+        backgroundColour: "#4d4f4f",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#4d4f4f",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#d3d3d3",
+        },
+        subtle: {
+          colour: "#1d1d1b",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#4d4f4f",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    subtle: {
+      banner: {
+        backgroundColour: "#4d4f4f",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#4d4f4f",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#d3d3d3",
+        },
+        subtle: {
+          colour: "#1d1d1b",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#1d1d1b",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#1d1d1b",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#4d4f4f",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#4d4f4f",
+          },
+        },
+      },
+    },
+    bold: {
+      banner: {
+        backgroundColour: "#4d4f4f",
+        icon: {
+          colour: "#ffffff",
+        },
+        text: {
+          colour: "#ffffff",
+        },
+      },
+      button: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+      },
+      container: {
+        bold: {
+          backgroundColour: "#4d4f4f",
+        },
+        subtle: {
+          backgroundColour: "#ffffff",
+        },
+      },
+      content: {
+        bold: {
+          colour: "#ffffff",
+        },
+        pictogram: {
+          statusFill: "#d3d3d3",
+        },
+        subtle: {
+          colour: "#1d1d1b",
+        },
+      },
+      details: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      inlineMessage: {
+        backgroundColour: "#ffffff",
+        icon: {
+          colour: "#1d1d1b",
+        },
+        text: {
+          colour: "#1d1d1b",
+        },
+      },
+      input: {
+        validation: {
+          colour: "#ffffff",
+        },
+      },
+      interactive: {
+        active: {
+          backgroundColour: "#1d1d1b",
+          borderColour: "#1d1d1b",
+          colour: "#ffffff",
+        },
+        disabled: {
+          backgroundColour: "#bcbdbd",
+          borderColour: "#bcbdbd",
+          colour: "#858686",
+        },
+        focus: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        hover: {
+          backgroundColour: "#343634",
+          borderColour: "#343634",
+          colour: "#ffffff",
+        },
+        rest: {
+          backgroundColour: "#4d4f4f",
+          borderColour: "#4d4f4f",
+          colour: "#ffffff",
+        },
+        text: {
+          bold: {
+            active: "#f4f4f4",
+            focus: "#f4f4f4",
+            hover: "#f4f4f4",
+            rest: "#f4f4f4",
+            visited: "#f4f4f4",
+          },
+          subtle: {
+            active: "#000000",
+            focus: "#000000",
+            hover: "#000000",
+            rest: "#000000",
+            visited: "#000000",
+          },
+        },
+      },
+      labelAndHint: {
+        validationMessageColour: "#ffffff",
+      },
+      link: {
+        bold: {
+          active: {
+            colour: "#f4f4f4",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#f4f4f4",
+          },
+          hover: {
+            colour: "#f4f4f4",
+          },
+          rest: {
+            colour: "#f4f4f4",
+          },
+          visited: {
+            colour: "#f4f4f4",
+          },
+        },
+        subtle: {
+          active: {
+            colour: "#000000",
+          },
+          focus: {
+            borderRadius: 4,
+            borderWidth: 1,
+            colour: "#000000",
+          },
+          hover: {
+            colour: "#000000",
+          },
+          rest: {
+            colour: "#000000",
+          },
+          visited: {
+            colour: "#000000",
+          },
+        },
+      },
+      segmentButton: {
+        error: {
+          backgroundColour: "#4d4f4f",
+        },
+      },
+      table: {
+        cell: {
+          error: {
+            backgroundColour: "#ffffff",
+          },
+        },
+      },
+      text: {
+        bold: {
+          primary: {
+            colour: "#ffffff",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+        subtle: {
+          primary: {
+            colour: "#1d1d1b",
+          },
+          secondary: {
+            colour: "#ffffff",
+          },
+        },
+      },
+    },
+  },
+} as const;
+
+type Widen<T> = T extends string
+  ? string
+  : T extends number
+    ? number
+    : T extends boolean
+      ? boolean
+      : { readonly [K in keyof T]: Widen<T[K]> };
+
+export type ColourMode = keyof typeof themes;
+export type ThemeMode = keyof (typeof themes)[ColourMode];
+export type StatusMode = keyof typeof status;
+
+/** The tokens of one colour mode and theme mode, e.g. themes.green.subtle */
+export type CanopyTheme = Widen<(typeof themes)[ColourMode][ThemeMode]>;
+
+/** The tokens of one status mode and theme mode, e.g. status.error.bold */
+export type CanopyStatusTheme = Widen<(typeof status)[StatusMode][ThemeMode]>;
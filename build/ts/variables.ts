@@ -2271,6 +2271,9 @@ export const interactiveAddOnDisabledColourNeutralInverseGreen = "#d3d3d3";
 export const interactiveAddOnDisabledColourNeutralInverseRed = "#d3d3d3";
 export const interactiveAddOnDisabledColourNeutralInverseYellow = "#d3d3d3";
 export const surfaceHasFillBlue = true;
+export const surfaceHasFillGreen = false;
+export const surfaceHasFillRed = false;
+export const surfaceHasFillYellow = false;
 export const surfaceFill1Blue = "#ffffff";
 export const surfaceFill1Green = "#ffffff";
 export const surfaceFill1Red = "#ffffff";
@@ -4416,13 +4419,21 @@ export const contentPictogramFillNeutralInverseGreen = "#42aeea";
 export const contentPictogramFillNeutralInverseRed = "#42aeea";
 export const contentPictogramFillNeutralInverseYellow = "#42aeea";
 export const contentPictogramHasFillNeutralBlue = true;
-export const contentPictogramHasFillNeutralGreen = true;
-export const contentPictogramHasFillNeutralRed = true;
-export const contentPictogramHasFillNeutralYellow = true;
+export const contentPictogramHasFillNeutralGreen = false;
+export const contentPictogramHasFillNeutralRed = false;
+export const contentPictogramHasFillNeutralYellow = false;
+export const contentPictogramHasFillSubtleBlue = false;
+export const contentPictogramHasFillSubtleGreen = false;
+export const contentPictogramHasFillSubtleRed = false;
+export const contentPictogramHasFillSubtleYellow = false;
+export const contentPictogramHasFillBoldBlue = false;
+export const contentPictogramHasFillBoldGreen = false;
+export const contentPictogramHasFillBoldRed = false;
+export const contentPictogramHasFillBoldYellow = false;
 export const contentPictogramHasFillNeutralInverseBlue = true;
-export const contentPictogramHasFillNeutralInverseGreen = true;
-export const contentPictogramHasFillNeutralInverseRed = true;
-export const contentPictogramHasFillNeutralInverseYellow = true;
+export const contentPictogramHasFillNeutralInverseGreen = false;
+export const contentPictogramHasFillNeutralInverseRed = false;
+export const contentPictogramHasFillNeutralInverseYellow = false;
 export const contentPictogramSizeMdNeutralBlue = 32;
 export const contentPictogramSizeMdNeutralGreen = 32;
 export const contentPictogramSizeMdNeutralRed = 32;
@@ -6047,22 +6058,6 @@ export const cardPaddingXBoldBlue = 28;
 export const cardPaddingXBoldGreen = 28;
 export const cardPaddingXBoldRed = 28;
 export const cardPaddingXBoldYellow = 28;
-export const cardPaddingRightNeutralBlue = 28;
-export const cardPaddingRightNeutralGreen = 28;
-export const cardPaddingRightNeutralRed = 28;
-export const cardPaddingRightNeutralYellow = 28;
-export const cardPaddingRightNeutralInverseBlue = 28;
-export const cardPaddingRightNeutralInverseGreen = 28;
-export const cardPaddingRightNeutralInverseRed = 28;
-export const cardPaddingRightNeutralInverseYellow = 28;
-export const cardPaddingRightSubtleBlue = 28;
-export const cardPaddingRightSubtleGreen = 28;
-export const cardPaddingRightSubtleRed = 28;
-export const cardPaddingRightSubtleYellow = 28;
-export const cardPaddingRightBoldBlue = 28;
-export const cardPaddingRightBoldGreen = 28;
-export const cardPaddingRightBoldRed = 28;
-export const cardPaddingRightBoldYellow = 28;
 export const cardPaddingYNeutralBlue = 20;
 export const cardPaddingYNeutralGreen = 20;
 export const cardPaddingYNeutralRed = 20;
@@ -6079,22 +6074,6 @@ export const cardPaddingYBoldBlue = 20;
 export const cardPaddingYBoldGreen = 20;
 export const cardPaddingYBoldRed = 20;
 export const cardPaddingYBoldYellow = 20;
-export const cardPaddingBottomNeutralBlue = 20;
-export const cardPaddingBottomNeutralGreen = 20;
-export const cardPaddingBottomNeutralRed = 20;
-export const cardPaddingBottomNeutralYellow = 20;
-export const cardPaddingBottomNeutralInverseBlue = 20;
-export const cardPaddingBottomNeutralInverseGreen = 20;
-export const cardPaddingBottomNeutralInverseRed = 20;
-export const cardPaddingBottomNeutralInverseYellow = 20;
-export const cardPaddingBottomSubtleBlue = 20;
-export const cardPaddingBottomSubtleGreen = 20;
-export const cardPaddingBottomSubtleRed = 20;
-export const cardPaddingBottomSubtleYellow = 20;
-export const cardPaddingBottomBoldBlue = 20;
-export const cardPaddingBottomBoldGreen = 20;
-export const cardPaddingBottomBoldRed = 20;
-export const cardPaddingBottomBoldYellow = 20;
 export const cardInteractiveRestColourNeutralBlue = "#005dba";
 export const cardInteractiveRestColourNeutralGreen = "#00633d";
 export const cardInteractiveRestColourNeutralRed = "#c50b30";
@@ -6735,22 +6714,6 @@ export const headerButtonPaddingSmallXBoldBlue = 8;
 export const headerButtonPaddingSmallXBoldGreen = 8;
 export const headerButtonPaddingSmallXBoldRed = 8;
 export const headerButtonPaddingSmallXBoldYellow = 8;
-export const headerButtonPaddingRightNeutralBlue = 12;
-export const headerButtonPaddingRightNeutralGreen = 12;
-export const headerButtonPaddingRightNeutralRed = 12;
-export const headerButtonPaddingRightNeutralYellow = 12;
-export const headerButtonPaddingRightNeutralInverseBlue = 12;
-export const headerButtonPaddingRightNeutralInverseGreen = 12;
-export const headerButtonPaddingRightNeutralInverseRed = 12;
-export const headerButtonPaddingRightNeutralInverseYellow = 12;
-export const headerButtonPaddingRightSubtleBlue = 12;
-export const headerButtonPaddingRightSubtleGreen = 12;
-export const headerButtonPaddingRightSubtleRed = 12;
-export const headerButtonPaddingRightSubtleYellow = 12;
-export const headerButtonPaddingRightBoldBlue = 12;
-export const headerButtonPaddingRightBoldGreen = 12;
-export const headerButtonPaddingRightBoldRed = 12;
-export const headerButtonPaddingRightBoldYellow = 12;
 export const headerButtonPaddingYNeutralBlue = 12;
 export const headerButtonPaddingYNeutralGreen = 12;
 export const headerButtonPaddingYNeutralRed = 12;
@@ -6767,22 +6730,6 @@ export const headerButtonPaddingYBoldBlue = 12;
 export const headerButtonPaddingYBoldGreen = 12;
 export const headerButtonPaddingYBoldRed = 12;
 export const headerButtonPaddingYBoldYellow = 12;
-export const headerButtonPaddingBottomNeutralBlue = 12;
-export const headerButtonPaddingBottomNeutralGreen = 12;
-export const headerButtonPaddingBottomNeutralRed = 12;
-export const headerButtonPaddingBottomNeutralYellow = 12;
-export const headerButtonPaddingBottomNeutralInverseBlue = 12;
-export const headerButtonPaddingBottomNeutralInverseGreen = 12;
-export const headerButtonPaddingBottomNeutralInverseRed = 12;
-export const headerButtonPaddingBottomNeutralInverseYellow = 12;
-export const headerButtonPaddingBottomSubtleBlue = 12;
-export const headerButtonPaddingBottomSubtleGreen = 12;
-export const headerButtonPaddingBottomSubtleRed = 12;
-export const headerButtonPaddingBottomSubtleYellow = 12;
-export const headerButtonPaddingBottomBoldBlue = 12;
-export const headerButtonPaddingBottomBoldGreen = 12;
-export const headerButtonPaddingBottomBoldRed = 12;
-export const headerButtonPaddingBottomBoldYellow = 12;
 export const headerButtonBorderRadiusNeutralBlue = 12;
 export const headerButtonBorderRadiusNeutralGreen = 12;
 export const headerButtonBorderRadiusNeutralRed = 12;
@@ -11079,6 +11026,278 @@ export const tableRowVerticalGapBoldBlue = 16;
 export const tableRowVerticalGapBoldGreen = 16;
 export const tableRowVerticalGapBoldRed = 16;
 export const tableRowVerticalGapBoldYellow = 16;
+export const progressIndicatorGapNeutralBlue = 8;
+export const progressIndicatorGapNeutralGreen = 8;
+export const progressIndicatorGapNeutralRed = 8;
+export const progressIndicatorGapNeutralYellow = 8;
+export const progressIndicatorGapNeutralInverseBlue = 8;
+export const progressIndicatorGapNeutralInverseGreen = 8;
+export const progressIndicatorGapNeutralInverseRed = 8;
+export const progressIndicatorGapNeutralInverseYellow = 8;
+export const progressIndicatorGapSubtleBlue = 8;
+export const progressIndicatorGapSubtleGreen = 8;
+export const progressIndicatorGapSubtleRed = 8;
+export const progressIndicatorGapSubtleYellow = 8;
+export const progressIndicatorGapBoldBlue = 8;
+export const progressIndicatorGapBoldGreen = 8;
+export const progressIndicatorGapBoldRed = 8;
+export const progressIndicatorGapBoldYellow = 8;
+export const progressHeaderColourNeutralBlue = "#001d6e";
+export const progressHeaderColourNeutralGreen = "#01312e";
+export const progressHeaderColourNeutralRed = "#940824";
+export const progressHeaderColourNeutralYellow = "#904029";
+export const progressHeaderColourNeutralInverseBlue = "#001d6e";
+export const progressHeaderColourNeutralInverseGreen = "#01312e";
+export const progressHeaderColourNeutralInverseRed = "#940824";
+export const progressHeaderColourNeutralInverseYellow = "#904029";
+export const progressHeaderColourSubtleBlue = "#001d6e";
+export const progressHeaderColourSubtleGreen = "#01312e";
+export const progressHeaderColourSubtleRed = "#940824";
+export const progressHeaderColourSubtleYellow = "#904029";
+export const progressHeaderColourBoldBlue = "#ffffff";
+export const progressHeaderColourBoldGreen = "#ffffff";
+export const progressHeaderColourBoldRed = "#ffffff";
+export const progressHeaderColourBoldYellow = "#1d1d1b";
+export const progressJourneyColourNeutralBlue = "#4d4f4f";
+export const progressJourneyColourNeutralGreen = "#4d4f4f";
+export const progressJourneyColourNeutralRed = "#4d4f4f";
+export const progressJourneyColourNeutralYellow = "#4d4f4f";
+export const progressJourneyColourNeutralInverseBlue = "#4d4f4f";
+export const progressJourneyColourNeutralInverseGreen = "#4d4f4f";
+export const progressJourneyColourNeutralInverseRed = "#4d4f4f";
+export const progressJourneyColourNeutralInverseYellow = "#4d4f4f";
+export const progressJourneyColourSubtleBlue = "#1d1d1b";
+export const progressJourneyColourSubtleGreen = "#1d1d1b";
+export const progressJourneyColourSubtleRed = "#1d1d1b";
+export const progressJourneyColourSubtleYellow = "#1d1d1b";
+export const progressJourneyColourBoldBlue = "#d2effb";
+export const progressJourneyColourBoldGreen = "#dff6eb";
+export const progressJourneyColourBoldRed = "#ffd5d2";
+export const progressJourneyColourBoldYellow = "#572722";
+export const progressJourneyGapNeutralBlue = 16;
+export const progressJourneyGapNeutralGreen = 16;
+export const progressJourneyGapNeutralRed = 16;
+export const progressJourneyGapNeutralYellow = 16;
+export const progressJourneyGapNeutralInverseBlue = 16;
+export const progressJourneyGapNeutralInverseGreen = 16;
+export const progressJourneyGapNeutralInverseRed = 16;
+export const progressJourneyGapNeutralInverseYellow = 16;
+export const progressJourneyGapSubtleBlue = 16;
+export const progressJourneyGapSubtleGreen = 16;
+export const progressJourneyGapSubtleRed = 16;
+export const progressJourneyGapSubtleYellow = 16;
+export const progressJourneyGapBoldBlue = 16;
+export const progressJourneyGapBoldGreen = 16;
+export const progressJourneyGapBoldRed = 16;
+export const progressJourneyGapBoldYellow = 16;
+export const progressBarBackgroundColourNeutralBlue = "#42aeea";
+export const progressBarBackgroundColourNeutralGreen = "#43af6e";
+export const progressBarBackgroundColourNeutralRed = "#ff3e51";
+export const progressBarBackgroundColourNeutralYellow = "#ffe969";
+export const progressBarBackgroundColourNeutralInverseBlue = "#42aeea";
+export const progressBarBackgroundColourNeutralInverseGreen = "#43af6e";
+export const progressBarBackgroundColourNeutralInverseRed = "#ff3e51";
+export const progressBarBackgroundColourNeutralInverseYellow = "#ffe969";
+export const progressBarBackgroundColourSubtleBlue = "#005dba";
+export const progressBarBackgroundColourSubtleGreen = "#00633d";
+export const progressBarBackgroundColourSubtleRed = "#c50b30";
+export const progressBarBackgroundColourSubtleYellow = "#ffb600";
+export const progressBarBackgroundColourBoldBlue = "#d2effb";
+export const progressBarBackgroundColourBoldGreen = "#dff6eb";
+export const progressBarBackgroundColourBoldRed = "#ffd5d2";
+export const progressBarBackgroundColourBoldYellow = "#fffbdc";
+export const progressBarColourNeutralBlue = "#001d6e";
+export const progressBarColourNeutralGreen = "#01312e";
+export const progressBarColourNeutralRed = "#940824";
+export const progressBarColourNeutralYellow = "#c86426";
+export const progressBarColourNeutralInverseBlue = "#001d6e";
+export const progressBarColourNeutralInverseGreen = "#01312e";
+export const progressBarColourNeutralInverseRed = "#940824";
+export const progressBarColourNeutralInverseYellow = "#c86426";
+export const progressBarColourSubtleBlue = "#001d6e";
+export const progressBarColourSubtleGreen = "#01312e";
+export const progressBarColourSubtleRed = "#940824";
+export const progressBarColourSubtleYellow = "#c86426";
+export const progressBarColourBoldBlue = "#000039";
+export const progressBarColourBoldGreen = "#011b1f";
+export const progressBarColourBoldRed = "#480411";
+export const progressBarColourBoldYellow = "#572722";
+export const progressBarGapNeutralBlue = 8;
+export const progressBarGapNeutralGreen = 8;
+export const progressBarGapNeutralRed = 8;
+export const progressBarGapNeutralYellow = 8;
+export const progressBarGapNeutralInverseBlue = 8;
+export const progressBarGapNeutralInverseGreen = 8;
+export const progressBarGapNeutralInverseRed = 8;
+export const progressBarGapNeutralInverseYellow = 8;
+export const progressBarGapSubtleBlue = 8;
+export const progressBarGapSubtleGreen = 8;
+export const progressBarGapSubtleRed = 8;
+export const progressBarGapSubtleYellow = 8;
+export const progressBarGapBoldBlue = 8;
+export const progressBarGapBoldGreen = 8;
+export const progressBarGapBoldRed = 8;
+export const progressBarGapBoldYellow = 8;
+export const progressBarBorderRadiusNeutralBlue = 16;
+export const progressBarBorderRadiusNeutralGreen = 16;
+export const progressBarBorderRadiusNeutralRed = 16;
+export const progressBarBorderRadiusNeutralYellow = 16;
+export const progressBarBorderRadiusNeutralInverseBlue = 16;
+export const progressBarBorderRadiusNeutralInverseGreen = 16;
+export const progressBarBorderRadiusNeutralInverseRed = 16;
+export const progressBarBorderRadiusNeutralInverseYellow = 16;
+export const progressBarBorderRadiusSubtleBlue = 16;
+export const progressBarBorderRadiusSubtleGreen = 16;
+export const progressBarBorderRadiusSubtleRed = 16;
+export const progressBarBorderRadiusSubtleYellow = 16;
+export const progressBarBorderRadiusBoldBlue = 16;
+export const progressBarBorderRadiusBoldGreen = 16;
+export const progressBarBorderRadiusBoldRed = 16;
+export const progressBarBorderRadiusBoldYellow = 16;
+export const progressBarHeightNeutralBlue = 4;
+export const progressBarHeightNeutralGreen = 4;
+export const progressBarHeightNeutralRed = 4;
+export const progressBarHeightNeutralYellow = 4;
+export const progressBarHeightNeutralInverseBlue = 4;
+export const progressBarHeightNeutralInverseGreen = 4;
+export const progressBarHeightNeutralInverseRed = 4;
+export const progressBarHeightNeutralInverseYellow = 4;
+export const progressBarHeightSubtleBlue = 4;
+export const progressBarHeightSubtleGreen = 4;
+export const progressBarHeightSubtleRed = 4;
+export const progressBarHeightSubtleYellow = 4;
+export const progressBarHeightBoldBlue = 4;
+export const progressBarHeightBoldGreen = 4;
+export const progressBarHeightBoldRed = 4;
+export const progressBarHeightBoldYellow = 4;
+export const heroTitleBlockColourNeutralBlue = "#001d6e";
+export const heroTitleBlockColourNeutralGreen = "#01312e";
+export const heroTitleBlockColourNeutralRed = "#940824";
+export const heroTitleBlockColourNeutralYellow = "#904029";
+export const heroTitleBlockColourNeutralInverseBlue = "#001d6e";
+export const heroTitleBlockColourNeutralInverseGreen = "#01312e";
+export const heroTitleBlockColourNeutralInverseRed = "#940824";
+export const heroTitleBlockColourNeutralInverseYellow = "#904029";
+export const heroTitleBlockColourSubtleBlue = "#001d6e";
+export const heroTitleBlockColourSubtleGreen = "#01312e";
+export const heroTitleBlockColourSubtleRed = "#940824";
+export const heroTitleBlockColourSubtleYellow = "#904029";
+export const heroTitleBlockColourBoldBlue = "#ffffff";
+export const heroTitleBlockColourBoldGreen = "#ffffff";
+export const heroTitleBlockColourBoldRed = "#ffffff";
+export const heroTitleBlockColourBoldYellow = "#1d1d1b";
+export const heroTitleBlockGapNeutralBlue = 12;
+export const heroTitleBlockGapNeutralGreen = 12;
+export const heroTitleBlockGapNeutralRed = 12;
+export const heroTitleBlockGapNeutralYellow = 12;
+export const heroTitleBlockGapNeutralInverseBlue = 12;
+export const heroTitleBlockGapNeutralInverseGreen = 12;
+export const heroTitleBlockGapNeutralInverseRed = 12;
+export const heroTitleBlockGapNeutralInverseYellow = 12;
+export const heroTitleBlockGapSubtleBlue = 12;
+export const heroTitleBlockGapSubtleGreen = 12;
+export const heroTitleBlockGapSubtleRed = 12;
+export const heroTitleBlockGapSubtleYellow = 12;
+export const heroTitleBlockGapBoldBlue = 12;
+export const heroTitleBlockGapBoldGreen = 12;
+export const heroTitleBlockGapBoldRed = 12;
+export const heroTitleBlockGapBoldYellow = 12;
+export const heroSubheadingsColourNeutralBlue = "#4d4f4f";
+export const heroSubheadingsColourNeutralGreen = "#4d4f4f";
+export const heroSubheadingsColourNeutralRed = "#4d4f4f";
+export const heroSubheadingsColourNeutralYellow = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseBlue = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseGreen = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseRed = "#4d4f4f";
+export const heroSubheadingsColourNeutralInverseYellow = "#4d4f4f";
+export const heroSubheadingsColourSubtleBlue = "#1d1d1b";
+export const heroSubheadingsColourSubtleGreen = "#1d1d1b";
+export const heroSubheadingsColourSubtleRed = "#1d1d1b";
+export const heroSubheadingsColourSubtleYellow = "#1d1d1b";
+export const heroSubheadingsColourBoldBlue = "#d2effb";
+export const heroSubheadingsColourBoldGreen = "#dff6eb";
+export const heroSubheadingsColourBoldRed = "#ffd5d2";
+export const heroSubheadingsColourBoldYellow = "#572722";
+export const heroSubheadingsGapNeutralBlue = 4;
+export const heroSubheadingsGapNeutralGreen = 4;
+export const heroSubheadingsGapNeutralRed = 4;
+export const heroSubheadingsGapNeutralYellow = 4;
+export const heroSubheadingsGapNeutralInverseBlue = 4;
+export const heroSubheadingsGapNeutralInverseGreen = 4;
+export const heroSubheadingsGapNeutralInverseRed = 4;
+export const heroSubheadingsGapNeutralInverseYellow = 4;
+export const heroSubheadingsGapSubtleBlue = 4;
+export const heroSubheadingsGapSubtleGreen = 4;
+export const heroSubheadingsGapSubtleRed = 4;
+export const heroSubheadingsGapSubtleYellow = 4;
+export const heroSubheadingsGapBoldBlue = 4;
+export const heroSubheadingsGapBoldGreen = 4;
+export const heroSubheadingsGapBoldRed = 4;
+export const heroSubheadingsGapBoldYellow = 4;
+export const heroGapNeutralBlue = 36;
+export const heroGapNeutralGreen = 36;
+export const heroGapNeutralRed = 36;
+export const heroGapNeutralYellow = 36;
+export const heroGapNeutralInverseBlue = 36;
+export const heroGapNeutralInverseGreen = 36;
+export const heroGapNeutralInverseRed = 36;
+export const heroGapNeutralInverseYellow = 36;
+export const heroGapSubtleBlue = 36;
+export const heroGapSubtleGreen = 36;
+export const heroGapSubtleRed = 36;
+export const heroGapSubtleYellow = 36;
+export const heroGapBoldBlue = 36;
+export const heroGapBoldGreen = 36;
+export const heroGapBoldRed = 36;
+export const heroGapBoldYellow = 36;
+export const heroPaddingXNeutralBlue = 16;
+export const heroPaddingXNeutralGreen = 16;
+export const heroPaddingXNeutralRed = 16;
+export const heroPaddingXNeutralYellow = 16;
+export const heroPaddingXNeutralInverseBlue = 16;
+export const heroPaddingXNeutralInverseGreen = 16;
+export const heroPaddingXNeutralInverseRed = 16;
+export const heroPaddingXNeutralInverseYellow = 16;
+export const heroPaddingXSubtleBlue = 16;
+export const heroPaddingXSubtleGreen = 16;
+export const heroPaddingXSubtleRed = 16;
+export const heroPaddingXSubtleYellow = 16;
+export const heroPaddingXBoldBlue = 16;
+export const heroPaddingXBoldGreen = 16;
+export const heroPaddingXBoldRed = 16;
+export const heroPaddingXBoldYellow = 16;
+export const heroPaddingYNeutralBlue = 36;
+export const heroPaddingYNeutralGreen = 36;
+export const heroPaddingYNeutralRed = 36;
+export const heroPaddingYNeutralYellow = 36;
+export const heroPaddingYNeutralInverseBlue = 36;
+export const heroPaddingYNeutralInverseGreen = 36;
+export const heroPaddingYNeutralInverseRed = 36;
+export const heroPaddingYNeutralInverseYellow = 36;
+export const heroPaddingYSubtleBlue = 36;
+export const heroPaddingYSubtleGreen = 36;
+export const heroPaddingYSubtleRed = 36;
+export const heroPaddingYSubtleYellow = 36;
+export const heroPaddingYBoldBlue = 36;
+export const heroPaddingYBoldGreen = 36;
+export const heroPaddingYBoldRed = 36;
+export const heroPaddingYBoldYellow = 36;
+export const heroWidthNeutralBlue = 288;
+export const heroWidthNeutralGreen = 288;
+export const heroWidthNeutralRed = 288;
+export const heroWidthNeutralYellow = 288;
+export const heroWidthNeutralInverseBlue = 288;
+export const heroWidthNeutralInverseGreen = 288;
+export const heroWidthNeutralInverseRed = 288;
+export const heroWidthNeutralInverseYellow = 288;
+export const heroWidthSubtleBlue = 288;
+export const heroWidthSubtleGreen = 288;
+export const heroWidthSubtleRed = 288;
+export const heroWidthSubtleYellow = 288;
+export const heroWidthBoldBlue = 288;
+export const heroWidthBoldGreen = 288;
+export const heroWidthBoldRed = 288;
+export const heroWidthBoldYellow = 288;
 export const detailsActivePaddingBottomNeutralBlue = 16;
 export const detailsActivePaddingBottomNeutralGreen = 16;
 export const detailsActivePaddingBottomNeutralRed = 16;
@@ -11267,6 +11486,38 @@ export const detailsStatusTextColourBoldSuccess = "#1d1d1b";
 export const detailsStatusTextColourBoldWarning = "#1d1d1b";
 export const detailsStatusTextColourBoldError = "#1d1d1b";
 export const detailsStatusTextColourBoldGeneric = "#1d1d1b";
+export const seperatorBorderColourNeutralBlue = "#d3d3d3";
+export const seperatorBorderColourNeutralGreen = "#d3d3d3";
+export const seperatorBorderColourNeutralRed = "#d3d3d3";
+export const seperatorBorderColourNeutralYellow = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseBlue = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseGreen = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseRed = "#d3d3d3";
+export const seperatorBorderColourNeutralInverseYellow = "#d3d3d3";
+export const seperatorBorderColourSubtleBlue = "#d3d3d3";
+export const seperatorBorderColourSubtleGreen = "#d3d3d3";
+export const seperatorBorderColourSubtleRed = "#d3d3d3";
+export const seperatorBorderColourSubtleYellow = "#d3d3d3";
+export const seperatorBorderColourBoldBlue = "#f4f4f4";
+export const seperatorBorderColourBoldGreen = "#f4f4f4";
+export const seperatorBorderColourBoldRed = "#f4f4f4";
+export const seperatorBorderColourBoldYellow = "#1d1d1b";
+export const seperatorBorderWidthNeutralBlue = 1;
+export const seperatorBorderWidthNeutralGreen = 1;
+export const seperatorBorderWidthNeutralRed = 1;
+export const seperatorBorderWidthNeutralYellow = 1;
+export const seperatorBorderWidthNeutralInverseBlue = 1;
+export const seperatorBorderWidthNeutralInverseGreen = 1;
+export const seperatorBorderWidthNeutralInverseRed = 1;
+export const seperatorBorderWidthNeutralInverseYellow = 1;
+export const seperatorBorderWidthSubtleBlue = 1;
+export const seperatorBorderWidthSubtleGreen = 1;
+export const seperatorBorderWidthSubtleRed = 1;
+export const seperatorBorderWidthSubtleYellow = 1;
+export const seperatorBorderWidthBoldBlue = 1;
+export const seperatorBorderWidthBoldGreen = 1;
+export const seperatorBorderWidthBoldRed = 1;
+export const seperatorBorderWidthBoldYellow = 1;
 export const footerBackgroundColourNeutralBlue = "#ffffff";
 export const footerBackgroundColourNeutralGreen = "#ffffff";
 export const footerBackgroundColourNeutralRed = "#ffffff";
@@ -11979,6 +12230,246 @@ export const linkGroupGapBoldBlue = 16;
 export const linkGroupGapBoldGreen = 16;
 export const linkGroupGapBoldRed = 16;
 export const linkGroupGapBoldYellow = 16;
+export const accordionGapNeutralBlue = 20;
+export const accordionGapNeutralGreen = 20;
+export const accordionGapNeutralRed = 20;
+export const accordionGapNeutralYellow = 20;
+export const accordionGapNeutralInverseBlue = 20;
+export const accordionGapNeutralInverseGreen = 20;
+export const accordionGapNeutralInverseRed = 20;
+export const accordionGapNeutralInverseYellow = 20;
+export const accordionGapSubtleBlue = 20;
+export const accordionGapSubtleGreen = 20;
+export const accordionGapSubtleRed = 20;
+export const accordionGapSubtleYellow = 20;
+export const accordionGapBoldBlue = 20;
+export const accordionGapBoldGreen = 20;
+export const accordionGapBoldRed = 20;
+export const accordionGapBoldYellow = 20;
+export const accordionPaddingXNeutralBlue = 20;
+export const accordionPaddingXNeutralGreen = 20;
+export const accordionPaddingXNeutralRed = 20;
+export const accordionPaddingXNeutralYellow = 20;
+export const accordionPaddingXNeutralInverseBlue = 20;
+export const accordionPaddingXNeutralInverseGreen = 20;
+export const accordionPaddingXNeutralInverseRed = 20;
+export const accordionPaddingXNeutralInverseYellow = 20;
+export const accordionPaddingXSubtleBlue = 20;
+export const accordionPaddingXSubtleGreen = 20;
+export const accordionPaddingXSubtleRed = 20;
+export const accordionPaddingXSubtleYellow = 20;
+export const accordionPaddingXBoldBlue = 20;
+export const accordionPaddingXBoldGreen = 20;
+export const accordionPaddingXBoldRed = 20;
+export const accordionPaddingXBoldYellow = 20;
+export const accordionPaddingYNeutralBlue = 20;
+export const accordionPaddingYNeutralGreen = 20;
+export const accordionPaddingYNeutralRed = 20;
+export const accordionPaddingYNeutralYellow = 20;
+export const accordionPaddingYNeutralInverseBlue = 20;
+export const accordionPaddingYNeutralInverseGreen = 20;
+export const accordionPaddingYNeutralInverseRed = 20;
+export const accordionPaddingYNeutralInverseYellow = 20;
+export const accordionPaddingYSubtleBlue = 20;
+export const accordionPaddingYSubtleGreen = 20;
+export const accordionPaddingYSubtleRed = 20;
+export const accordionPaddingYSubtleYellow = 20;
+export const accordionPaddingYBoldBlue = 20;
+export const accordionPaddingYBoldGreen = 20;
+export const accordionPaddingYBoldRed = 20;
+export const accordionPaddingYBoldYellow = 20;
+export const accordionBorderRadiusNeutralBlue = 12;
+export const accordionBorderRadiusNeutralGreen = 12;
+export const accordionBorderRadiusNeutralRed = 12;
+export const accordionBorderRadiusNeutralYellow = 12;
+export const accordionBorderRadiusNeutralInverseBlue = 12;
+export const accordionBorderRadiusNeutralInverseGreen = 12;
+export const accordionBorderRadiusNeutralInverseRed = 12;
+export const accordionBorderRadiusNeutralInverseYellow = 12;
+export const accordionBorderRadiusSubtleBlue = 12;
+export const accordionBorderRadiusSubtleGreen = 12;
+export const accordionBorderRadiusSubtleRed = 12;
+export const accordionBorderRadiusSubtleYellow = 12;
+export const accordionBorderRadiusBoldBlue = 12;
+export const accordionBorderRadiusBoldGreen = 12;
+export const accordionBorderRadiusBoldRed = 12;
+export const accordionBorderRadiusBoldYellow = 12;
+export const accordionBackgroundColourNeutralBlue = "#ffffff";
+export const accordionBackgroundColourNeutralGreen = "#ffffff";
+export const accordionBackgroundColourNeutralRed = "#ffffff";
+export const accordionBackgroundColourNeutralYellow = "#ffffff";
+export const accordionBackgroundColourNeutralInverseBlue = "#f4f4f4";
+export const accordionBackgroundColourNeutralInverseGreen = "#f4f4f4";
+export const accordionBackgroundColourNeutralInverseRed = "#f4f4f4";
+export const accordionBackgroundColourNeutralInverseYellow = "#f4f4f4";
+export const accordionBackgroundColourSubtleBlue = "#aee1f7";
+export const accordionBackgroundColourSubtleGreen = "#caeedd";
+export const accordionBackgroundColourSubtleRed = "#ffd5d2";
+export const accordionBackgroundColourSubtleYellow = "#fff9c7";
+export const accordionBackgroundColourBoldBlue = "#005dba";
+export const accordionBackgroundColourBoldGreen = "#00633d";
+export const accordionBackgroundColourBoldRed = "#c50b30";
+export const accordionBackgroundColourBoldYellow = "#ffb600";
+export const accordionHeaderGapNeutralBlue = 12;
+export const accordionHeaderGapNeutralGreen = 12;
+export const accordionHeaderGapNeutralRed = 12;
+export const accordionHeaderGapNeutralYellow = 12;
+export const accordionHeaderGapNeutralInverseBlue = 12;
+export const accordionHeaderGapNeutralInverseGreen = 12;
+export const accordionHeaderGapNeutralInverseRed = 12;
+export const accordionHeaderGapNeutralInverseYellow = 12;
+export const accordionHeaderGapSubtleBlue = 12;
+export const accordionHeaderGapSubtleGreen = 12;
+export const accordionHeaderGapSubtleRed = 12;
+export const accordionHeaderGapSubtleYellow = 12;
+export const accordionHeaderGapBoldBlue = 12;
+export const accordionHeaderGapBoldGreen = 12;
+export const accordionHeaderGapBoldRed = 12;
+export const accordionHeaderGapBoldYellow = 12;
+export const accordionHeaderCustomContentHeightNeutralBlue = 12;
+export const accordionHeaderCustomContentHeightNeutralGreen = 12;
+export const accordionHeaderCustomContentHeightNeutralRed = 12;
+export const accordionHeaderCustomContentHeightNeutralYellow = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseBlue = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseGreen = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseRed = 12;
+export const accordionHeaderCustomContentHeightNeutralInverseYellow = 12;
+export const accordionHeaderCustomContentHeightSubtleBlue = 12;
+export const accordionHeaderCustomContentHeightSubtleGreen = 12;
+export const accordionHeaderCustomContentHeightSubtleRed = 12;
+export const accordionHeaderCustomContentHeightSubtleYellow = 12;
+export const accordionHeaderCustomContentHeightBoldBlue = 12;
+export const accordionHeaderCustomContentHeightBoldGreen = 12;
+export const accordionHeaderCustomContentHeightBoldRed = 12;
+export const accordionHeaderCustomContentHeightBoldYellow = 12;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralYellow = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusNeutralInverseYellow = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusSubtleYellow = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldBlue = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldGreen = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldRed = 8;
+export const accordionHeaderFocusIndicatorBorderRadiusBoldYellow = 8;
+export const accordionHeaderFocusIndicatorColourNeutralBlue = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralGreen = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralRed = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralYellow = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseBlue = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseGreen = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseRed = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourNeutralInverseYellow = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleBlue = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleGreen = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleRed = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourSubtleYellow = "#1d1d1b";
+export const accordionHeaderFocusIndicatorColourBoldBlue = "#ffffff";
+export const accordionHeaderFocusIndicatorColourBoldGreen = "#ffffff";
+export const accordionHeaderFocusIndicatorColourBoldRed = "#ffffff";
+export const accordionHeaderFocusIndicatorColourBoldYellow = "#ffffff";
+export const accordionHeaderFocusIndicatorBorderWidthNeutralBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralYellow = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthNeutralInverseYellow = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthSubtleYellow = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldBlue = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldGreen = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldRed = 3;
+export const accordionHeaderFocusIndicatorBorderWidthBoldYellow = 3;
+export const accordionHeaderLabelMinWidthNeutralBlue = 140;
+export const accordionHeaderLabelMinWidthNeutralGreen = 140;
+export const accordionHeaderLabelMinWidthNeutralRed = 140;
+export const accordionHeaderLabelMinWidthNeutralYellow = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseBlue = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseGreen = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseRed = 140;
+export const accordionHeaderLabelMinWidthNeutralInverseYellow = 140;
+export const accordionHeaderLabelMinWidthSubtleBlue = 140;
+export const accordionHeaderLabelMinWidthSubtleGreen = 140;
+export const accordionHeaderLabelMinWidthSubtleRed = 140;
+export const accordionHeaderLabelMinWidthSubtleYellow = 140;
+export const accordionHeaderLabelMinWidthBoldBlue = 140;
+export const accordionHeaderLabelMinWidthBoldGreen = 140;
+export const accordionHeaderLabelMinWidthBoldRed = 140;
+export const accordionHeaderLabelMinWidthBoldYellow = 140;
+export const accordionContentGapNeutralBlue = 20;
+export const accordionContentGapNeutralGreen = 20;
+export const accordionContentGapNeutralRed = 20;
+export const accordionContentGapNeutralYellow = 20;
+export const accordionContentGapNeutralInverseBlue = 20;
+export const accordionContentGapNeutralInverseGreen = 20;
+export const accordionContentGapNeutralInverseRed = 20;
+export const accordionContentGapNeutralInverseYellow = 20;
+export const accordionContentGapSubtleBlue = 20;
+export const accordionContentGapSubtleGreen = 20;
+export const accordionContentGapSubtleRed = 20;
+export const accordionContentGapSubtleYellow = 20;
+export const accordionContentGapBoldBlue = 20;
+export const accordionContentGapBoldGreen = 20;
+export const accordionContentGapBoldRed = 20;
+export const accordionContentGapBoldYellow = 20;
+export const accordionBorderColourNeutralBlue = "#d3d3d3";
+export const accordionBorderColourNeutralGreen = "#d3d3d3";
+export const accordionBorderColourNeutralRed = "#d3d3d3";
+export const accordionBorderColourNeutralYellow = "#d3d3d3";
+export const accordionBorderColourNeutralInverseBlue = "#d3d3d3";
+export const accordionBorderColourNeutralInverseGreen = "#d3d3d3";
+export const accordionBorderColourNeutralInverseRed = "#d3d3d3";
+export const accordionBorderColourNeutralInverseYellow = "#d3d3d3";
+export const accordionBorderColourSubtleBlue = "#42aeea";
+export const accordionBorderColourSubtleGreen = "#43af6e";
+export const accordionBorderColourSubtleRed = "#ff3e51";
+export const accordionBorderColourSubtleYellow = "#ffe969";
+export const accordionBorderColourBoldBlue = "#001d6e";
+export const accordionBorderColourBoldGreen = "#01312e";
+export const accordionBorderColourBoldRed = "#940824";
+export const accordionBorderColourBoldYellow = "#c86426";
+export const accordionBorderWidthNeutralBlue = 1;
+export const accordionBorderWidthNeutralGreen = 1;
+export const accordionBorderWidthNeutralRed = 1;
+export const accordionBorderWidthNeutralYellow = 1;
+export const accordionBorderWidthNeutralInverseBlue = 1;
+export const accordionBorderWidthNeutralInverseGreen = 1;
+export const accordionBorderWidthNeutralInverseRed = 1;
+export const accordionBorderWidthNeutralInverseYellow = 1;
+export const accordionBorderWidthSubtleBlue = 1;
+export const accordionBorderWidthSubtleGreen = 1;
+export const accordionBorderWidthSubtleRed = 1;
+export const accordionBorderWidthSubtleYellow = 1;
+export const accordionBorderWidthBoldBlue = 1;
+export const accordionBorderWidthBoldGreen = 1;
+export const accordionBorderWidthBoldRed = 1;
+export const accordionBorderWidthBoldYellow = 1;
+export const accordionGroupGapNeutralBlue = 16;
+export const accordionGroupGapNeutralGreen = 16;
+export const accordionGroupGapNeutralRed = 16;
+export const accordionGroupGapNeutralYellow = 16;
+export const accordionGroupGapNeutralInverseBlue = 16;
+export const accordionGroupGapNeutralInverseGreen = 16;
+export const accordionGroupGapNeutralInverseRed = 16;
+export const accordionGroupGapNeutralInverseYellow = 16;
+export const accordionGroupGapSubtleBlue = 16;
+export const accordionGroupGapSubtleGreen = 16;
+export const accordionGroupGapSubtleRed = 16;
+export const accordionGroupGapSubtleYellow = 16;
+export const accordionGroupGapBoldBlue = 16;
+export const accordionGroupGapBoldGreen = 16;
+export const accordionGroupGapBoldRed = 16;
+export const accordionGroupGapBoldYellow = 16;
 export const bannerPaddingXNeutralBlue = 16;
 export const bannerPaddingXNeutralGreen = 16;
 export const bannerPaddingXNeutralRed = 16;
@@ -12263,6 +12754,38 @@ export const breadcrumbMinWidthBoldBlue = 320;
 export const breadcrumbMinWidthBoldGreen = 320;
 export const breadcrumbMinWidthBoldRed = 320;
 export const breadcrumbMinWidthBoldYellow = 320;
+export const noticeGapNeutralBlue = 28;
+export const noticeGapNeutralGreen = 28;
+export const noticeGapNeutralRed = 28;
+export const noticeGapNeutralYellow = 28;
+export const noticeGapNeutralInverseBlue = 28;
+export const noticeGapNeutralInverseGreen = 28;
+export const noticeGapNeutralInverseRed = 28;
+export const noticeGapNeutralInverseYellow = 28;
+export const noticeGapSubtleBlue = 28;
+export const noticeGapSubtleGreen = 28;
+export const noticeGapSubtleRed = 28;
+export const noticeGapSubtleYellow = 28;
+export const noticeGapBoldBlue = 28;
+export const noticeGapBoldGreen = 28;
+export const noticeGapBoldRed = 28;
+export const noticeGapBoldYellow = 28;
+export const noticeContentGapNeutralBlue = 16;
+export const noticeContentGapNeutralGreen = 16;
+export const noticeContentGapNeutralRed = 16;
+export const noticeContentGapNeutralYellow = 16;
+export const noticeContentGapNeutralInverseBlue = 16;
+export const noticeContentGapNeutralInverseGreen = 16;
+export const noticeContentGapNeutralInverseRed = 16;
+export const noticeContentGapNeutralInverseYellow = 16;
+export const noticeContentGapSubtleBlue = 16;
+export const noticeContentGapSubtleGreen = 16;
+export const noticeContentGapSubtleRed = 16;
+export const noticeContentGapSubtleYellow = 16;
+export const noticeContentGapBoldBlue = 16;
+export const noticeContentGapBoldGreen = 16;
+export const noticeContentGapBoldRed = 16;
+export const noticeContentGapBoldYellow = 16;
 export const dimensionsAssets1 = 16;
 export const dimensionsAssets2 = 24;
 export const dimensionsAssets3 = 32;
@@ -12439,11 +12962,11 @@ export const borderWidthMdMd = 2;
 export const borderWidthMdLg = 2;
 export const borderWidthMdXl = 2;
 export const borderWidthMdXxl = 2;
-export const borderWidthLgSm = 4;
-export const borderWidthLgMd = 4;
-export const borderWidthLgLg = 4;
-export const borderWidthLgXl = 4;
-export const borderWidthLgXxl = 4;
+export const borderWidthLgSm = 3;
+export const borderWidthLgMd = 3;
+export const borderWidthLgLg = 3;
+export const borderWidthLgXl = 3;
+export const borderWidthLgXxl = 3;
 export const colspan1Sm = 288;
 export const colspan1Md = 34;
 export const colspan1Lg = 51;
@@ -12555,27 +13078,43 @@ export const space10Lg = 156;
 export const space10Xl = 156;
 export const space10Xxl = 156;
 export const visibilityHideAtSmSm = true;
+export const visibilityHideAtSmMd = false;
+export const visibilityHideAtSmLg = false;
+export const visibilityHideAtSmXl = false;
+export const visibilityHideAtSmXxl = false;
 export const visibilityHideAtMdSm = true;
 export const visibilityHideAtMdMd = true;
+export const visibilityHideAtMdLg = false;
+export const visibilityHideAtMdXl = false;
+export const visibilityHideAtMdXxl = false;
 export const visibilityHideAtLgSm = true;
 export const visibilityHideAtLgMd = true;
 export const visibilityHideAtLgLg = true;
+export const visibilityHideAtLgXl = false;
+export const visibilityHideAtLgXxl = false;
 export const visibilityHideAtXlSm = true;
 export const visibilityHideAtXlMd = true;
 export const visibilityHideAtXlLg = true;
 export const visibilityHideAtXlXl = true;
+export const visibilityHideAtXlXxl = false;
 export const visibilityShowAtSmSm = true;
 export const visibilityShowAtSmMd = true;
 export const visibilityShowAtSmLg = true;
 export const visibilityShowAtSmXl = true;
 export const visibilityShowAtSmXxl = true;
+export const visibilityShowAtMdSm = false;
 export const visibilityShowAtMdMd = true;
 export const visibilityShowAtMdLg = true;
 export const visibilityShowAtMdXl = true;
 export const visibilityShowAtMdXxl = true;
+export const visibilityShowAtLgSm = false;
+export const visibilityShowAtLgMd = false;
 export const visibilityShowAtLgLg = true;
 export const visibilityShowAtLgXl = true;
 export const visibilityShowAtLgXxl = true;
+export const visibilityShowAtXlSm = false;
+export const visibilityShowAtXlMd = false;
+export const visibilityShowAtXlLg = false;
 export const visibilityShowAtXlXl = true;
 export const visibilityShowAtXlXxl = true;
 export const assetSizeXsSm = 16;
@@ -12603,8 +13142,208 @@ export const assetSizeXlMd = 160;
 export const assetSizeXlLg = 160;
 export const assetSizeXlXl = 160;
 export const assetSizeXlXxl = 160;
+export const h1MarginBottomMarginAfter = 36;
+export const h1MarginBottomNoMargin = 0;
+export const h1MarginBottomMarginBefore = 0;
+export const h1MarginBottomMarginBoth = 36;
+export const h1MarginTopMarginAfter = 0;
+export const h1MarginTopNoMargin = 0;
+export const h1MarginTopMarginBefore = 36;
+export const h1MarginTopMarginBoth = 36;
+export const h2MarginBottomMarginAfter = 28;
+export const h2MarginBottomNoMargin = 0;
+export const h2MarginBottomMarginBefore = 0;
+export const h2MarginBottomMarginBoth = 28;
+export const h2MarginTopMarginAfter = 0;
+export const h2MarginTopNoMargin = 0;
+export const h2MarginTopMarginBefore = 28;
+export const h2MarginTopMarginBoth = 28;
+export const h3MarginBottomMarginAfter = 20;
+export const h3MarginBottomNoMargin = 0;
+export const h3MarginBottomMarginBefore = 0;
+export const h3MarginBottomMarginBoth = 20;
+export const h3MarginTopMarginAfter = 0;
+export const h3MarginTopNoMargin = 0;
+export const h3MarginTopMarginBefore = 20;
+export const h3MarginTopMarginBoth = 20;
+export const h4MarginBottomMarginAfter = 16;
+export const h4MarginBottomNoMargin = 0;
+export const h4MarginBottomMarginBefore = 0;
+export const h4MarginBottomMarginBoth = 16;
+export const h4MarginTopMarginAfter = 0;
+export const h4MarginTopNoMargin = 0;
+export const h4MarginTopMarginBefore = 16;
+export const h4MarginTopMarginBoth = 16;
+export const h5MarginBottomMarginAfter = 12;
+export const h5MarginBottomNoMargin = 0;
+export const h5MarginBottomMarginBefore = 0;
+export const h5MarginBottomMarginBoth = 12;
+export const h5MarginTopMarginAfter = 0;
+export const h5MarginTopNoMargin = 0;
+export const h5MarginTopMarginBefore = 12;
+export const h5MarginTopMarginBoth = 12;
+export const h6MarginBottomMarginAfter = 8;
+export const h6MarginBottomNoMargin = 0;
+export const h6MarginBottomMarginBefore = 0;
+export const h6MarginBottomMarginBoth = 8;
+export const h6MarginTopMarginAfter = 0;
+export const h6MarginTopNoMargin = 0;
+export const h6MarginTopMarginBefore = 8;
+export const h6MarginTopMarginBoth = 8;
+export const standfirstMarginBottomMarginAfter = 36;
+export const standfirstMarginBottomNoMargin = 0;
+export const standfirstMarginBottomMarginBefore = 0;
+export const standfirstMarginBottomMarginBoth = 36;
+export const standfirstMarginTopMarginAfter = 0;
+export const standfirstMarginTopNoMargin = 0;
+export const standfirstMarginTopMarginBefore = 36;
+export const standfirstMarginTopMarginBoth = 36;
+export const pMarginBottomMarginAfter = 16;
+export const pMarginBottomNoMargin = 0;
+export const pMarginBottomMarginBefore = 0;
+export const pMarginBottomMarginBoth = 16;
+export const pMarginTopMarginAfter = 0;
+export const pMarginTopNoMargin = 0;
+export const pMarginTopMarginBefore = 16;
+export const pMarginTopMarginBoth = 16;
+export const articleMarginBottomMarginAfter = 20;
+export const articleMarginBottomNoMargin = 0;
+export const articleMarginBottomMarginBefore = 0;
+export const articleMarginBottomMarginBoth = 20;
+export const articleMarginTopMarginAfter = 0;
+export const articleMarginTopNoMargin = 0;
+export const articleMarginTopMarginBefore = 20;
+export const articleMarginTopMarginBoth = 20;
 export const typefaceProductive = "Nunito Sans";
 export const typefaceExpressive = "ABC Otto";
+/** @deprecated Use `cardPaddingXNeutralBlue` instead. */
+export const cardPaddingRightNeutralBlue = cardPaddingXNeutralBlue;
+/** @deprecated Use `cardPaddingXNeutralGreen` instead. */
+export const cardPaddingRightNeutralGreen = cardPaddingXNeutralGreen;
+/** @deprecated Use `cardPaddingXNeutralRed` instead. */
+export const cardPaddingRightNeutralRed = cardPaddingXNeutralRed;
+/** @deprecated Use `cardPaddingXNeutralYellow` instead. */
+export const cardPaddingRightNeutralYellow = cardPaddingXNeutralYellow;
+/** @deprecated Use `cardPaddingXNeutralInverseBlue` instead. */
+export const cardPaddingRightNeutralInverseBlue = cardPaddingXNeutralInverseBlue;
+/** @deprecated Use `cardPaddingXNeutralInverseGreen` instead. */
+export const cardPaddingRightNeutralInverseGreen = cardPaddingXNeutralInverseGreen;
+/** @deprecated Use `cardPaddingXNeutralInverseRed` instead. */
+export const cardPaddingRightNeutralInverseRed = cardPaddingXNeutralInverseRed;
+/** @deprecated Use `cardPaddingXNeutralInverseYellow` instead. */
+export const cardPaddingRightNeutralInverseYellow = cardPaddingXNeutralInverseYellow;
+/** @deprecated Use `cardPaddingXSubtleBlue` instead. */
+export const cardPaddingRightSubtleBlue = cardPaddingXSubtleBlue;
+/** @deprecated Use `cardPaddingXSubtleGreen` instead. */
+export const cardPaddingRightSubtleGreen = cardPaddingXSubtleGreen;
+/** @deprecated Use `cardPaddingXSubtleRed` instead. */
+export const cardPaddingRightSubtleRed = cardPaddingXSubtleRed;
+/** @deprecated Use `cardPaddingXSubtleYellow` instead. */
+export const cardPaddingRightSubtleYellow = cardPaddingXSubtleYellow;
+/** @deprecated Use `cardPaddingXBoldBlue` instead. */
+export const cardPaddingRightBoldBlue = cardPaddingXBoldBlue;
+/** @deprecated Use `cardPaddingXBoldGreen` instead. */
+export const cardPaddingRightBoldGreen = cardPaddingXBoldGreen;
+/** @deprecated Use `cardPaddingXBoldRed` instead. */
+export const cardPaddingRightBoldRed = cardPaddingXBoldRed;
+/** @deprecated Use `cardPaddingXBoldYellow` instead. */
+export const cardPaddingRightBoldYellow = cardPaddingXBoldYellow;
+/** @deprecated Use `cardPaddingYNeutralBlue` instead. */
+export const cardPaddingBottomNeutralBlue = cardPaddingYNeutralBlue;
+/** @deprecated Use `cardPaddingYNeutralGreen` instead. */
+export const cardPaddingBottomNeutralGreen = cardPaddingYNeutralGreen;
+/** @deprecated Use `cardPaddingYNeutralRed` instead. */
+export const cardPaddingBottomNeutralRed = cardPaddingYNeutralRed;
+/** @deprecated Use `cardPaddingYNeutralYellow` instead. */
+export const cardPaddingBottomNeutralYellow = cardPaddingYNeutralYellow;
+/** @deprecated Use `cardPaddingYNeutralInverseBlue` instead. */
+export const cardPaddingBottomNeutralInverseBlue = cardPaddingYNeutralInverseBlue;
+/** @deprecated Use `cardPaddingYNeutralInverseGreen` instead. */
+export const cardPaddingBottomNeutralInverseGreen = cardPaddingYNeutralInverseGreen;
+/** @deprecated Use `cardPaddingYNeutralInverseRed` instead. */
+export const cardPaddingBottomNeutralInverseRed = cardPaddingYNeutralInverseRed;
+/** @deprecated Use `cardPaddingYNeutralInverseYellow` instead. */
+export const cardPaddingBottomNeutralInverseYellow = cardPaddingYNeutralInverseYellow;
+/** @deprecated Use `cardPaddingYSubtleBlue` instead. */
+export const cardPaddingBottomSubtleBlue = cardPaddingYSubtleBlue;
+/** @deprecated Use `cardPaddingYSubtleGreen` instead. */
+export const cardPaddingBottomSubtleGreen = cardPaddingYSubtleGreen;
+/** @deprecated Use `cardPaddingYSubtleRed` instead. */
+export const cardPaddingBottomSubtleRed = cardPaddingYSubtleRed;
+/** @deprecated Use `cardPaddingYSubtleYellow` instead. */
+export const cardPaddingBottomSubtleYellow = cardPaddingYSubtleYellow;
+/** @deprecated Use `cardPaddingYBoldBlue` instead. */
+export const cardPaddingBottomBoldBlue = cardPaddingYBoldBlue;
+/** @deprecated Use `cardPaddingYBoldGreen` instead. */
+export const cardPaddingBottomBoldGreen = cardPaddingYBoldGreen;
+/** @deprecated Use `cardPaddingYBoldRed` instead. */
+export const cardPaddingBottomBoldRed = cardPaddingYBoldRed;
+/** @deprecated Use `cardPaddingYBoldYellow` instead. */
+export const cardPaddingBottomBoldYellow = cardPaddingYBoldYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralBlue` instead. */
+export const headerButtonPaddingRightNeutralBlue = headerButtonPaddingDefaultXNeutralBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralGreen` instead. */
+export const headerButtonPaddingRightNeutralGreen = headerButtonPaddingDefaultXNeutralGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralRed` instead. */
+export const headerButtonPaddingRightNeutralRed = headerButtonPaddingDefaultXNeutralRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralYellow` instead. */
+export const headerButtonPaddingRightNeutralYellow = headerButtonPaddingDefaultXNeutralYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseBlue` instead. */
+export const headerButtonPaddingRightNeutralInverseBlue = headerButtonPaddingDefaultXNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseGreen` instead. */
+export const headerButtonPaddingRightNeutralInverseGreen = headerButtonPaddingDefaultXNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseRed` instead. */
+export const headerButtonPaddingRightNeutralInverseRed = headerButtonPaddingDefaultXNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingDefaultXNeutralInverseYellow` instead. */
+export const headerButtonPaddingRightNeutralInverseYellow = headerButtonPaddingDefaultXNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleBlue` instead. */
+export const headerButtonPaddingRightSubtleBlue = headerButtonPaddingDefaultXSubtleBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleGreen` instead. */
+export const headerButtonPaddingRightSubtleGreen = headerButtonPaddingDefaultXSubtleGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleRed` instead. */
+export const headerButtonPaddingRightSubtleRed = headerButtonPaddingDefaultXSubtleRed;
+/** @deprecated Use `headerButtonPaddingDefaultXSubtleYellow` instead. */
+export const headerButtonPaddingRightSubtleYellow = headerButtonPaddingDefaultXSubtleYellow;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldBlue` instead. */
+export const headerButtonPaddingRightBoldBlue = headerButtonPaddingDefaultXBoldBlue;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldGreen` instead. */
+export const headerButtonPaddingRightBoldGreen = headerButtonPaddingDefaultXBoldGreen;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldRed` instead. */
+export const headerButtonPaddingRightBoldRed = headerButtonPaddingDefaultXBoldRed;
+/** @deprecated Use `headerButtonPaddingDefaultXBoldYellow` instead. */
+export const headerButtonPaddingRightBoldYellow = headerButtonPaddingDefaultXBoldYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralBlue` instead. */
+export const headerButtonPaddingBottomNeutralBlue = headerButtonPaddingYNeutralBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralGreen` instead. */
+export const headerButtonPaddingBottomNeutralGreen = headerButtonPaddingYNeutralGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralRed` instead. */
+export const headerButtonPaddingBottomNeutralRed = headerButtonPaddingYNeutralRed;
+/** @deprecated Use `headerButtonPaddingYNeutralYellow` instead. */
+export const headerButtonPaddingBottomNeutralYellow = headerButtonPaddingYNeutralYellow;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseBlue` instead. */
+export const headerButtonPaddingBottomNeutralInverseBlue = headerButtonPaddingYNeutralInverseBlue;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseGreen` instead. */
+export const headerButtonPaddingBottomNeutralInverseGreen = headerButtonPaddingYNeutralInverseGreen;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseRed` instead. */
+export const headerButtonPaddingBottomNeutralInverseRed = headerButtonPaddingYNeutralInverseRed;
+/** @deprecated Use `headerButtonPaddingYNeutralInverseYellow` instead. */
+export const headerButtonPaddingBottomNeutralInverseYellow = headerButtonPaddingYNeutralInverseYellow;
+/** @deprecated Use `headerButtonPaddingYSubtleBlue` instead. */
+export const headerButtonPaddingBottomSubtleBlue = headerButtonPaddingYSubtleBlue;
+/** @deprecated Use `headerButtonPaddingYSubtleGreen` instead. */
+export const headerButtonPaddingBottomSubtleGreen = headerButtonPaddingYSubtleGreen;
+/** @deprecated Use `headerButtonPaddingYSubtleRed` instead. */
+export const headerButtonPaddingBottomSubtleRed = headerButtonPaddingYSubtleRed;
+/** @deprecated Use `headerButtonPaddingYSubtleYellow` instead. */
+export const headerButtonPaddingBottomSubtleYellow = headerButtonPaddingYSubtleYellow;
+/** @deprecated Use `headerButtonPaddingYBoldBlue` instead. */
+export const headerButtonPaddingBottomBoldBlue = headerButtonPaddingYBoldBlue;
+/** @deprecated Use `headerButtonPaddingYBoldGreen` instead. */
+export const headerButtonPaddingBottomBoldGreen = headerButtonPaddingYBoldGreen;
+/** @deprecated Use `headerButtonPaddingYBoldRed` instead. */
+export const headerButtonPaddingBottomBoldRed = headerButtonPaddingYBoldRed;
+/** @deprecated Use `headerButtonPaddingYBoldYellow` instead. */
+export const headerButtonPaddingBottomBoldYellow = headerButtonPaddingYBoldYellow;
 export const typographyBodySmProductive = {
   fontFamily: "Nunito Sans",
   fontSize: 16,
@@ -12640,40 +13379,25 @@ export const typographyLargeTitle2LgExpressive = {
   fontSize: 115,
   lineHeight: 115,
 };
-export const typographyLargeTitleLgExpressive = {
-  fontFamily: "ABC Otto",
-  fontSize: 76,
-  lineHeight: 91,
-};
-export const typographySizelarge7Productive = {
+export const typographyLargeTitle2SmProductive = {
   fontFamily: "Nunito Sans",
-  fontSize: 62,
-  lineHeight: 74,
+  fontSize: 68,
+  lineHeight: 77,
 };
-export const typographySizelarge8Productive = {
-  fontFamily: "Nunito Sans",
+export const typographyLargeTitleLgExpressive = {
+  fontFamily: "ABC Otto",
   fontSize: 76,
   lineHeight: 91,
 };
-export const typographySizelarge9Productive = {
-  fontFamily: "Nunito Sans",
-  fontSize: 115,
-  lineHeight: 115,
-};
-export const typographySizesmall3Productive = {
-  fontFamily: "Nunito Sans",
-  fontSize: 24,
-  lineHeight: 34,
-};
-export const typographySizesmall8Productive = {
+export const typographyLargeTitleSmProductive = {
   fontFamily: "Nunito Sans",
   fontSize: 56,
   lineHeight: 67,
 };
-export const typographySizesmall9Productive = {
+export const typographySubheadlineSmProductive = {
   fontFamily: "Nunito Sans",
-  fontSize: 68,
-  lineHeight: 77,
+  fontSize: 24,
+  lineHeight: 34,
 };
 export const typographyTitle1LgExpressive = {
   fontFamily: "ABC Otto",
@@ -12700,3 +13424,27 @@ export const typographyTitle3SmProductive = {
   fontSize: 32,
   lineHeight: 38,
 };
+/** @deprecated Use `typographyLargeTitle2LgExpressive` instead. */
+export const typographySizelarge9Productive = {
+  fontFamily: "Nunito Sans",
+  fontSize: 115,
+  lineHeight: 115,
+};
+/** @deprecated Use `typographyLargeTitle2SmProductive` instead. */
+export const typographySizesmall9Productive = typographyLargeTitle2SmProductive;
+/** @deprecated Use `typographyLargeTitleLgExpressive` instead. */
+export const typographySizelarge8Productive = {
+  fontFamily: "Nunito Sans",
+  fontSize: 76,
+  lineHeight: 91,
+};
+/** @deprecated Use `typographyLargeTitleSmProductive` instead. */
+export const typographySizesmall8Productive = typographyLargeTitleSmProductive;
+/** @deprecated Use `typographySubheadlineSmProductive` instead. */
+export const typographySizesmall3Productive = typographySubheadlineSmProductive;
+/** @deprecated Use `typographyTitle1LgExpressive` instead. */
+export const typographySizelarge7Productive = {
+  fontFamily: "Nunito Sans",
+  fontSize: 62,
+  lineHeight: 74,
+};
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Classifies the semver impact of design token changes in the build outputs.
+ *
+ * Builds on the per-selector comparison of list-changed-css-variables.js
+ * (`compareBuildFiles`), which also sees removed theme, colour and status
+ * selectors that a flat diff of variable lines cannot:
+ * - major: removed or renamed variables, removed selectors (theme, colour or
+ *          status classes)
+ * - minor: added variables or selectors
+ * - patch: value changes only
+ *
+ * Usage:
+ *   node classify-token-changes.js
+ *   node classify-token-changes.js --ref HEAD~1
+ *   node classify-token-changes.js --format header
+ *   node classify-token-changes.js --format message
+ *
+ * Output formats:
+ *   text     release type and the reasons for it (default)
+ *   json     release type, reasons and change counts
+ *   header   conventional-commit header, e.g. `feat(design-tokens)!: ...`
+ *   message  full conventional-commit message, with a `BREAKING CHANGE:`
+ *            footer for major changes
+ */
+
+const { compareBuildFiles, getBuildFiles } = require('./list-changed-css-variables');
+
+const FORMATS = ['text', 'json', 'header', 'message'];
+const COMMIT_SCOPE = 'design-tokens';
+const COMMIT_SUBJECT = 'update Figma design tokens';
+
+const COMMIT_TYPES = {
+  major: 'feat',
+  minor: 'feat',
+  patch: 'fix',
+  none: 'chore',
+};
+
+function parseArgs(argv) {
+  const args = {
+    ref: 'HEAD',
+    format: 'text',
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === '--ref' && argv[i + 1]) {
+      args.ref = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--format' && argv[i + 1]) {
+      args.format = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(
+    'Classify the semver impact of design token changes compared to a git ref.',
+  );
+  console.log('');
+  console.log('Options:');
+  console.log('  --ref <git-ref>      Compare against this ref (default: HEAD)');
+  console.log(
+    `  --format <format>    Output format: ${FORMATS.join(', ')} (default: text)`,
+  );
+  console.log('  --help, -h           Show this help');
+}
+
+/**
+ * Counts the changes across all compared files
+ */
+function countChanges(results) {
+  const counts = {
+    addedSelectors: 0,
+    removedSelectors: 0,
+    added: 0,
+    removed: 0,
+    renamed: 0,
+    changed: 0,
+  };
+
+  results.forEach((result) => {
+    counts.addedSelectors += result.addedSelectors.length;
+    counts.removedSelectors += result.removedSelectors.length;
+
+    result.selectors.forEach((item) => {
+      counts.added += item.added.length;
+      counts.removed += item.removed.length;
+      counts.renamed += item.renamed.length;
+      counts.changed += item.changed.length;
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * Returns the release type ('major', 'minor', 'patch' or 'none') and the
+ * reasons for it, most significant first
+ */
+function classifyChanges(results) {
+  const counts = countChanges(results);
+  const reasons = [];
+
+  if (counts.removedSelectors > 0) {
+    reasons.push(`${counts.removedSelectors} removed selectors`);
+  }
+  if (counts.removed > 0) {
+    reasons.push(`${counts.removed} removed variables`);
+  }
+  if (counts.renamed > 0) {
+    reasons.push(`${counts.renamed} renamed variables`);
+  }
+  const major = reasons.length;
+
+  if (counts.addedSelectors > 0) {
+    reasons.push(`${counts.addedSelectors} added selectors`);
+  }
+  if (counts.added > 0) {
+    reasons.push(`${counts.added} added variables`);
+  }
+  const minor = reasons.length - major;
+
+  if (counts.changed > 0) {
+    reasons.push(`${counts.changed} changed values`);
+  }
+
+  let releaseType = 'none';
+  if (major > 0) {
+    releaseType = 'major';
+  } else if (minor > 0) {
+    releaseType = 'minor';
+  } else if (counts.changed > 0) {
+    releaseType = 'patch';
+  }
+
+  return { releaseType, reasons, counts };
+}
+
+/**
+ * Builds the conventional-commit header. Unchanged outputs drop the scope so
+ * the `chore(design-tokens)` patch rule in .releaserc.json doesn't release them.
+ */
+function getCommitHeader(releaseType) {
+  if (releaseType === 'none') {
+    return `${COMMIT_TYPES.none}: ${COMMIT_SUBJECT}`;
+  }
+
+  const breaking = releaseType === 'major' ? '!' : '';
+  return `${COMMIT_TYPES[releaseType]}(${COMMIT_SCOPE})${breaking}: ${COMMIT_SUBJECT}`;
+}
+
+/**
+ * Builds the commit message. semantic-release only treats a commit as
+ * breaking when it has a `BREAKING CHANGE:` footer, so major changes get one.
+ */
+function getCommitMessage({ releaseType, reasons }) {
+  const lines = [getCommitHeader(releaseType)];
+
+  if (reasons.length > 0) {
+    lines.push('', ...reasons.map((reason) => `- ${reason}`));
+  }
+
+  if (releaseType === 'major') {
+    const breakingReasons = reasons.filter((reason) => /removed|renamed/.test(reason));
+    lines.push('', `BREAKING CHANGE: ${breakingReasons.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+function main() {
+  const { ref, format } = parseArgs(process.argv);
+
+  try {
+    if (!FORMATS.includes(format)) {
+      throw new Error(
+        `Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`,
+      );
+    }
+
+    const results = compareBuildFiles(ref, getBuildFiles(ref));
+    const classification = classifyChanges(results);
+
+    if (format === 'json') {
+      console.log(JSON.stringify({ ref, ...classification }, null, 2));
+    } else if (format === 'header') {
+      console.log(getCommitHeader(classification.releaseType));
+    } else if (format === 'message') {
+      console.log(getCommitMessage(classification));
+    } else {
+      console.log(`Compared to: ${ref}`);
+      console.log(`Release type: ${classification.releaseType}`);
+      classification.reasons.forEach((reason) => console.log(`  - ${reason}`));
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  classifyChanges,
+  getCommitHeader,
+  getCommitMessage,
+};
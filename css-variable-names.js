@@ -0,0 +1,98 @@
+/**
+ * CSS Variable Names
+ *
+ * How the build names the CSS variable of a token, shared by
+ * style-dictionary.config.js and push-figma-code-syntax.js, which writes the
+ * names back to Figma. Names come from the token path, unless a designer set
+ * a code syntax on the Figma variable in Dev Mode.
+ *
+ * A WEB code syntax that is the name the build generates from the path anyway
+ * (e.g. written by push-figma-code-syntax.js) is ignored, so writing the names
+ * back doesn't rename the per-mode TypeScript, JS and SCSS names built from it.
+ */
+
+/**
+ * Returns the name designers set for a token's Figma variable in Dev Mode code
+ * syntax, without any var() or -- wrapper (e.g. `var(--brand-primary)` ->
+ * brand-primary), or null. `platform` is the codeSyntax key: WEB, ANDROID or iOS.
+ */
+function getCodeSyntaxName(token, platform = 'WEB') {
+  const codeSyntax = token.codeSyntax?.[platform];
+  if (typeof codeSyntax !== 'string' || !codeSyntax.trim()) return null;
+
+  const name = codeSyntax
+    .trim()
+    .replace(/^var\((.*)\)$/, '$1')
+    .replace(/^(--|\$)/, '');
+
+  return platform === 'WEB' && name === getPathVarName(token) ? null : name;
+}
+
+/**
+ * Returns a token's code syntax name followed by its mode segments (e.g.
+ * spacing-4-sm), the code syntax counterpart of name/kebab, or null
+ */
+function getCodeSyntaxTokenName(token, platform = 'WEB') {
+  const name = getCodeSyntaxName(token, platform);
+  if (!name) return null;
+
+  return [name, ...(token.modes || [])]
+    .map((part) =>
+      part
+        .replace(/([a-z])([A-Z])/g, '$1-$2')
+        .replace(/[\s_]+/g, '-')
+        .toLowerCase(),
+    )
+    .join('-');
+}
+
+/**
+ * Returns the CSS variable name of a colour or component theme token without
+ * its mode segments, as used in :root
+ */
+function getDefaultVarName(token) {
+  return getCodeSyntaxName(token) || getPathVarName(token);
+}
+
+/**
+ * Returns the :root name of a colour or component theme token generated from
+ * its path, or null for other tokens, whose names keep their mode segments
+ */
+function getPathVarName(token) {
+  if (!token.filePath || !token.path) return null;
+
+  if (token.filePath.includes('colour.json')) {
+    return 'colour-' + token.path.slice(0, -1).join('-');
+  }
+
+  if (!token.filePath.includes('component-themes')) return null;
+
+  const pathWithoutModes = token.path.slice(0, -2);
+
+  // Check if 'status' was injected and should be excluded from variable name
+  const statusIndex = pathWithoutModes.indexOf('status');
+  if (statusIndex >= 0) {
+    const componentName = pathWithoutModes[0];
+    const shouldExcludeStatus =
+      componentName === 'input' ||
+      componentName === 'label-and-hint' ||
+      componentName === 'banner' ||
+      componentName === 'segment-button' ||
+      componentName === 'inline-message';
+
+    if (shouldExcludeStatus) {
+      // Remove 'status' from the path for variable naming
+      const pathBeforeStatus = pathWithoutModes.slice(0, statusIndex);
+      const pathAfterStatus = pathWithoutModes.slice(statusIndex + 1);
+      return [...pathBeforeStatus, ...pathAfterStatus].join('-');
+    }
+  }
+
+  return pathWithoutModes.join('-');
+}
+
+module.exports = {
+  getCodeSyntaxName,
+  getCodeSyntaxTokenName,
+  getDefaultVarName,
+};
@@ -14,6 +14,8 @@
  * Environment Variables:
  * - FIGMA_ACCESS_TOKEN: Your Figma personal access token
  * - FIGMA_FILE_KEY: The file key from your Figma file URL
+ * - FIGMA_API_BASE_URL: Optional, the Figma REST API to use, e.g. the mock
+ *   server from mock-figma-server.js (default: https://api.figma.com/v1)
  *
  * Output: tokens/figma-variables-raw.json
  */
@@ -46,7 +48,7 @@ const CONFIG = {
   FIGMA_ACCESS_TOKEN: process.env.FIGMA_ACCESS_TOKEN,
   FIGMA_FILE_KEY: process.env.FIGMA_FILE_KEY,
   OUTPUT_PATH: './tokens/figma-variables-raw.json',
-  BASE_URL: 'https://api.figma.com/v1',
+  BASE_URL: process.env.FIGMA_API_BASE_URL || 'https://api.figma.com/v1',
 };
 
 /**
@@ -75,21 +77,28 @@ function validateConfig() {
 }
 
 /**
- * Makes authenticated request to Figma API
+ * Makes authenticated request to Figma API, sending `body` as JSON if given
  */
-async function fetchFromFigma(endpoint) {
+async function fetchFromFigma(endpoint, { method = 'GET', body } = {}) {
   const url = `${CONFIG.BASE_URL}${endpoint}`;
 
   try {
     const response = await fetch(url, {
+      method,
       headers: {
         'X-Figma-Token': CONFIG.FIGMA_ACCESS_TOKEN,
         'Content-Type': 'application/json',
       },
+      body: body === undefined ? undefined : JSON.stringify(body),
     });
 
     if (!response.ok) {
-      throw new Error(`Figma API error: ${response.status} ${response.statusText}`);
+      // Write requests explain what was rejected in the body
+      const details = await response.json().catch(() => ({}));
+      const message = details.message || details.err;
+      throw new Error(
+        `Figma API error: ${response.status} ${response.statusText}${message ? ` (${message})` : ''}`,
+      );
     }
 
     return await response.json();
@@ -224,6 +233,8 @@ if (require.main === module) {
 }
 
 module.exports = {
+  CONFIG,
   fetchFromFigma,
   saveRawData,
+  validateConfig,
 };
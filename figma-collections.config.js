@@ -0,0 +1,62 @@
+/**
+ * Figma Collection Routing
+ *
+ * Decides how each Figma variable collection is processed by
+ * figma-raw-to-tokens.js. Collections are matched by `key` first, then by
+ * `name`; collections that match no entry use the `default` route.
+ *
+ * Strategies:
+ * - standard:        one token per collection mode, saved to its own file
+ * - theme-expanded:  collection modes are theme modes; each value is expanded
+ *                    across colour modes, or status modes when it resolves
+ *                    through the Status collection
+ * - status-expanded: collection modes are theme modes; each value is always
+ *                    expanded across status modes
+ * - merge-into:      single-mode component collection; each value is expanded
+ *                    across every theme and colour/status mode and merged into
+ *                    the `target` collection
+ * - ignore:          not saved (its variables can still be referenced by aliases)
+ */
+
+module.exports = {
+  default: { strategy: 'merge-into', target: 'Component themes' },
+  collections: [
+    // Foundation collections
+    { name: 'Colour', strategy: 'standard' },
+    { name: 'Foundations', strategy: 'standard' },
+    { name: 'Layout', strategy: 'standard' },
+    { name: 'Typography', strategy: 'standard' },
+    { name: 'Text elements', strategy: 'standard' },
+
+    // Themes
+    { name: 'Component themes', strategy: 'theme-expanded' },
+
+    // Component collections
+    { name: 'Accordion', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Banner', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Breadcrumb', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Button', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Card', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Content area', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Data point', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Details', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Filter Button', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Footer', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Form Elements', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Header', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Hero', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Inline message', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Link', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Link menu', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'List', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Notice', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Pagination', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Progress indicator', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Seperator', strategy: 'merge-into', target: 'Component themes' },
+    { name: 'Table', strategy: 'merge-into', target: 'Component themes' },
+
+    // Only used through aliases
+    { name: 'Status', strategy: 'ignore' },
+    { name: 'Character Length', strategy: 'ignore' },
+  ],
+};
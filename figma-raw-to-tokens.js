@@ -5,46 +5,196 @@
  *
  * This script reads the raw Figma JSON and converts it to Style Dictionary
  * compatible token structure, organizing by collection and expanding
- * component themes across color modes.
+ * component themes across color modes. How each collection is processed is
+ * configured in figma-collections.config.js.
  *
- * Usage: npm run tokens:process-raw
+ * Usage:
+ *   npm run tokens:process-raw
+ *   npm run tokens:process-raw -- --references
+ *   npm run tokens:process-raw:dtcg
+ *
+ * Options:
+ *   --references     Keep aliases to single-mode collections (e.g. Foundations) as
+ *                    Style Dictionary references instead of flattening them to values
+ *   --format <name>  Token file format: legacy (default) or dtcg
+ *   --color-format <name>
+ *                    Format of translucent colours: hex (8-digit, default) or
+ *                    rgb (`rgb(r g b / a)`). Opaque colours are always 6-digit hex
+ *   --strict         Exit with a non-zero code if any variable was skipped
+ *   --unpublished <policy>
+ *                    How to handle variables hidden from publishing or deleted
+ *                    in Figma: public (default), private, inline or skip
  *
  * Input: tokens/figma-variables-raw.json
- * Output: Multiple JSON files in tokens/ directory, one per collection
+ * Output: Multiple JSON files in tokens/ directory (tokens/dtcg/ for the DTCG
+ * format), one per collection, plus a report of skipped variables in
+ * tokens/figma-processing-report.json
  */
 
 const fs = require('fs');
 const path = require('path');
+const COLLECTION_CONFIG = require('./figma-collections.config');
 
 const INPUT_PATH = './tokens/figma-variables-raw.json';
 const OUTPUT_DIR = './tokens';
+const DTCG_OUTPUT_DIR = './tokens/dtcg';
+const REPORT_PATH = './tokens/figma-processing-report.json';
+const FORMATS = ['legacy', 'dtcg'];
+const COLOR_FORMATS = ['hex', 'rgb'];
+// How variables hidden from publishing in Figma are processed (variables
+// deleted but still referenced are never saved):
+// - public:  saved like any other variable, so they stay in the public outputs
+// - private: saved with `private: true`, so the build can use them (e.g. the
+//            type scale of the typography styles) but leaves them out of the
+//            public outputs
+// - inline:  not saved, aliases to them are flattened to their value
+// - skip:    not saved, and tokens that alias them are skipped too
+const UNPUBLISHED_POLICIES = ['public', 'private', 'inline', 'skip'];
+const STRATEGIES = [
+  'standard',
+  'theme-expanded',
+  'status-expanded',
+  'merge-into',
+  'ignore',
+];
+
+// Single-mode collections whose tokens can be the target of a reference
+const REFERENCE_COLLECTIONS = ['Foundations'];
+
+// Line heights up to this value are ratios of the font size (e.g. 1.5), not px
+const LINE_HEIGHT_RATIO_MAX = 3;
+
+// Numeric DTCG font weights of the style names Figma uses for font weight
+// variables, without spaces or hyphens
+const FONT_WEIGHT_NAMES = {
+  thin: 100,
+  hairline: 100,
+  extralight: 200,
+  ultralight: 200,
+  light: 300,
+  regular: 400,
+  normal: 400,
+  book: 400,
+  medium: 500,
+  semibold: 600,
+  demibold: 600,
+  bold: 700,
+  extrabold: 800,
+  ultrabold: 800,
+  black: 900,
+  heavy: 900,
+};
 
-/**
- * Converts RGB color values to hex
- */
-function rgbToHex(r, g, b) {
-  const toHex = (n) =>
-    Math.round(n * 255)
-      .toString(16)
-      .padStart(2, '0');
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+// Token types implied by Figma variable scopes, in order of precedence for
+// variables with several scopes (e.g. WIDTH_HEIGHT and STROKE_FLOAT is a
+// border width)
+const SCOPE_TOKEN_TYPES = [
+  ['FONT_FAMILY', 'fontFamilies', 'STRING'],
+  ['FONT_STYLE', 'fontStyles', 'STRING'],
+  ['FONT_WEIGHT', 'fontWeights', 'FLOAT'],
+  ['FONT_WEIGHT', 'fontWeights', 'STRING'],
+  ['FONT_SIZE', 'fontSizes', 'FLOAT'],
+  ['LINE_HEIGHT', 'lineHeights', 'FLOAT'],
+  ['LETTER_SPACING', 'letterSpacing', 'FLOAT'],
+  ['PARAGRAPH_SPACING', 'paragraphSpacing', 'FLOAT'],
+  ['PARAGRAPH_INDENT', 'paragraphSpacing', 'FLOAT'],
+  ['OPACITY', 'opacity', 'FLOAT'],
+  ['CORNER_RADIUS', 'borderRadius', 'FLOAT'],
+  ['STROKE_FLOAT', 'borderWidth', 'FLOAT'],
+  ['WIDTH_HEIGHT', 'sizing', 'FLOAT'],
+  ['GAP', 'spacing', 'FLOAT'],
+];
+
+function parseArgs(argv) {
+  const args = {
+    outputReferences: false,
+    format: 'legacy',
+    colorFormat: 'hex',
+    strict: false,
+    unpublished: 'public',
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === '--references') {
+      args.outputReferences = true;
+      continue;
+    }
+
+    if (arg === '--strict') {
+      args.strict = true;
+      continue;
+    }
+
+    if (arg === '--format' && argv[i + 1]) {
+      args.format = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--color-format' && argv[i + 1]) {
+      args.colorFormat = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--unpublished' && argv[i + 1]) {
+      args.unpublished = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log('Convert raw Figma variables into Style Dictionary token files.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --references         Emit {token.path} references for aliases to');
+  console.log(`                       ${REFERENCE_COLLECTIONS.join(', ')} tokens`);
+  console.log('  --format <name>      Token file format: legacy (default) or dtcg');
+  console.log('  --color-format <name>');
+  console.log('                       Translucent colours: hex (default) or rgb');
+  console.log('  --strict             Fail if any variable was skipped');
+  console.log('  --unpublished <policy>');
+  console.log('                       Variables hidden from publishing or deleted in');
+  console.log(
+    `                       Figma: ${UNPUBLISHED_POLICIES.join(', ')} (default: public)`,
+  );
+  console.log('  --help, -h           Show this help');
 }
 
 /**
- * Resolves a variable alias through multiple mode dimensions
- * This function can resolve through Component themes (theme modes) and Colour (color modes)
+ * Converts a Figma RGBA color to hex. Translucent colors keep their alpha, as
+ * 8-digit hex or `rgb(r g b / a)` depending on the color format
  */
-function resolveAliasWithModeContext(
-  aliasId,
-  variables,
-  collections,
-  modeContext = {},
-  seenIds = new Set(),
-) {
-  if (seenIds.has(aliasId)) {
-    return null;
+function rgbaToColor({ r, g, b, a = 1 }, colorFormat = 'hex') {
+  const channels = [r, g, b].map((n) => Math.round(n * 255));
+  const toHex = (n) => n.toString(16).padStart(2, '0');
+
+  if (a >= 1) {
+    return `#${channels.map(toHex).join('')}`;
   }
 
+  if (colorFormat === 'rgb') {
+    return `rgb(${channels.join(' ')} / ${Math.round(a * 100) / 100})`;
+  }
+
+  return `#${[...channels, Math.round(a * 255)].map(toHex).join('')}`;
+}
+
+/**
+ * Finds the variable an alias points to, allowing for short and prefixed ids
+ */
+function findVariable(aliasId, variables) {
   let referencedVariable = variables[aliasId];
 
   if (!referencedVariable) {
@@ -62,37 +212,113 @@ function resolveAliasWithModeContext(
     }
   }
 
-  if (!referencedVariable) {
+  return referencedVariable || null;
+}
+
+/**
+ * Checks if aliases to a variable are dropped because it is unpublished and
+ * the skip policy is used
+ */
+function isSkippedAliasTarget(variable, options = {}) {
+  return (
+    options.unpublished === 'skip' && Boolean(options.unpublishedIds?.has(variable.id))
+  );
+}
+
+/**
+ * Finds the name of a mode id in any collection
+ */
+function getModeName(collections, modeId) {
+  for (const collection of Object.values(collections)) {
+    const mode = collection.modes?.find((m) => m.modeId === modeId);
+    if (mode) return mode.name;
+  }
+
+  return null;
+}
+
+/**
+ * Finds the mode of a collection for a context mode. Component collections
+ * (e.g. Button) have their own mode ids for the same theme modes, so modes of
+ * other collections are matched by name, never by an id of another collection
+ */
+function findCollectionMode(collection, modeId, collections) {
+  if (!modeId) return null;
+
+  if (collection.modes?.some((m) => m.modeId === modeId)) {
+    return modeId;
+  }
+
+  const name = getModeName(collections, modeId);
+  return collection.modes?.find((m) => m.name === name)?.modeId || null;
+}
+
+/**
+ * Resolves a variable alias through multiple mode dimensions
+ * This function can resolve through Component themes (theme modes) and Colour (color modes)
+ */
+function resolveAliasWithModeContext(
+  aliasId,
+  variables,
+  collections,
+  modeContext = {},
+  seenIds = new Set(),
+  options = {},
+) {
+  if (seenIds.has(aliasId)) {
+    return null;
+  }
+
+  const referencedVariable = findVariable(aliasId, variables);
+
+  if (!referencedVariable || isSkippedAliasTarget(referencedVariable, options)) {
     return null;
   }
 
   seenIds.add(aliasId);
 
+  // Stop at referenceable tokens instead of flattening them to a value
+  if (options.references?.has(referencedVariable.id)) {
+    return options.references.get(referencedVariable.id);
+  }
+
   // Get the collection for this variable to determine which mode to use
   const collection = Object.values(collections).find(
     (c) => c.id === referencedVariable.variableCollectionId,
   );
 
   let modeId = null;
+  let contextModeId = null;
 
   if (collection) {
     // Check if this is Component themes collection - use theme mode
-    if (collection.name === 'Component themes' && modeContext.themeModeId) {
-      modeId = modeContext.themeModeId;
+    if (collection.name === 'Component themes') {
+      contextModeId = modeContext.themeModeId;
     }
     // Check if this is Colour collection - use color mode
-    else if (collection.name === 'Colour' && modeContext.colorModeId) {
-      modeId = modeContext.colorModeId;
+    else if (collection.name === 'Colour') {
+      contextModeId = modeContext.colorModeId;
     }
     // Check if this is Status collection - use status mode
-    else if (collection.name === 'Status' && modeContext.statusModeId) {
-      modeId = modeContext.statusModeId;
+    else if (collection.name === 'Status') {
+      contextModeId = modeContext.statusModeId;
     }
+
+    modeId = findCollectionMode(collection, contextModeId, collections);
   }
 
   // Fallback to first available mode if no context matches
-  if (!modeId || !referencedVariable.valuesByMode[modeId]) {
-    modeId = Object.keys(referencedVariable.valuesByMode)[0];
+  if (!modeId || !(modeId in referencedVariable.valuesByMode)) {
+    const fallbackModeId = Object.keys(referencedVariable.valuesByMode)[0];
+
+    if (contextModeId) {
+      reportModeFallback(options, referencedVariable, collection, {
+        mode: getModeName(collections, contextModeId),
+        fallbackMode: getModeName(collections, fallbackModeId),
+      });
+    }
+
+    modeId = fallbackModeId;
   }
 
   const referencedValue = referencedVariable.valuesByMode[modeId];
@@ -109,6 +335,7 @@ function resolveAliasWithModeContext(
       collections,
       modeContext,
       seenIds,
+      options,
     );
   }
 
@@ -118,6 +345,7 @@ function resolveAliasWithModeContext(
     variables,
     modeId,
     seenIds,
+    options,
   );
 }
 
@@ -129,36 +357,26 @@ function resolveVariableAlias(
   variables,
   currentModeId = null,
   seenIds = new Set(),
+  options = {},
 ) {
   if (seenIds.has(aliasId)) {
     return null;
   }
 
-  let referencedVariable = variables[aliasId];
-
-  if (!referencedVariable) {
-    const idParts = aliasId.split(':');
-    const shortId = idParts[idParts.length - 1];
-    referencedVariable = variables[shortId];
-  }
-
-  if (!referencedVariable) {
-    const varIdKey = Object.keys(variables).find(
-      (key) => key === aliasId || key.endsWith(aliasId) || aliasId.endsWith(key),
-    );
-    if (varIdKey) {
-      referencedVariable = variables[varIdKey];
-    }
-  }
+  const referencedVariable = findVariable(aliasId, variables);
 
-  if (!referencedVariable) {
+  if (!referencedVariable || isSkippedAliasTarget(referencedVariable, options)) {
     return null;
   }
 
   seenIds.add(aliasId);
 
+  if (options.references?.has(referencedVariable.id)) {
+    return options.references.get(referencedVariable.id);
+  }
+
   let modeId = currentModeId;
-  if (!modeId || !referencedVariable.valuesByMode[modeId]) {
+  if (!modeId || !(modeId in referencedVariable.valuesByMode)) {
     modeId = Object.keys(referencedVariable.valuesByMode)[0];
   }
 
@@ -169,7 +387,7 @@ function resolveVariableAlias(
     typeof referencedValue === 'object' &&
     referencedValue.type === 'VARIABLE_ALIAS'
   ) {
-    return resolveVariableAlias(referencedValue.id, variables, modeId, seenIds);
+    return resolveVariableAlias(referencedValue.id, variables, modeId, seenIds, options);
   }
 
   return convertVariableValue(
@@ -178,6 +396,7 @@ function resolveVariableAlias(
     variables,
     modeId,
     seenIds,
+    options,
   );
 }
 
@@ -190,20 +409,22 @@ function convertVariableValue(
   allVariables = null,
   currentModeId = null,
   seenIds = new Set(),
+  options = {},
 ) {
-  if (!value) return null;
+  // 0 and false are valid values (e.g. no margin, or a hidden element)
+  if (value === null || value === undefined) return null;
 
   if (typeof value === 'object' && value.type === 'VARIABLE_ALIAS') {
     if (!allVariables) {
       return null;
     }
-    return resolveVariableAlias(value.id, allVariables, currentModeId, seenIds);
+    return resolveVariableAlias(value.id, allVariables, currentModeId, seenIds, options);
   }
 
   switch (variable.resolvedType) {
     case 'COLOR':
       if (value.r !== undefined && value.g !== undefined && value.b !== undefined) {
-        return rgbToHex(value.r, value.g, value.b);
+        return rgbaToColor(value, options.colorFormat);
       }
       break;
 
@@ -224,9 +445,10 @@ function convertVariableValue(
 }
 
 /**
- * Determines token type based on Figma variable type and name
+ * Determines token type from the variable name, for variables without a
+ * specific scope
  */
-function getTokenType(variable) {
+function getNameTokenType(variable) {
   const name = variable.name.toLowerCase();
 
   switch (variable.resolvedType) {
@@ -249,6 +471,8 @@ function getTokenType(variable) {
         return 'borderWidth';
       } else if (name.includes('line') && name.includes('height')) {
         return 'lineHeights';
+      } else if (name.includes('opacity')) {
+        return 'opacity';
       }
       return 'sizing';
     case 'STRING':
@@ -263,6 +487,205 @@ function getTokenType(variable) {
   }
 }
 
+/**
+ * Returns the token types implied by a variable's Figma scopes, in order of
+ * precedence (none for e.g. ALL_SCOPES)
+ */
+function getScopeTokenTypes(variable) {
+  if (variable.resolvedType === 'COLOR') return ['color'];
+
+  const scopes = variable.scopes || [];
+  return SCOPE_TOKEN_TYPES.filter(
+    ([scope, , resolvedType]) =>
+      resolvedType === variable.resolvedType && scopes.includes(scope),
+  ).map(([, tokenType]) => tokenType);
+}
+
+/**
+ * Determines token type based on Figma variable scopes, falling back to the
+ * variable name. The name also picks between several scoped types, e.g. a
+ * WIDTH_HEIGHT and GAP variable named space/1 is spacing
+ */
+function getTokenType(variable) {
+  const scopeTypes = getScopeTokenTypes(variable);
+  const nameType = getNameTokenType(variable);
+
+  if (scopeTypes.length === 0 || scopeTypes.includes(nameType)) {
+    return nameType;
+  }
+
+  return scopeTypes[0];
+}
+
+/**
+ * Returns the scoped and name-based token types of a variable whose name
+ * implies a type its scopes do not allow, or null
+ */
+function getTokenTypeMismatch(variable) {
+  const scopeTypes = getScopeTokenTypes(variable);
+  const nameType = getNameTokenType(variable);
+
+  // The name heuristics fall back to sizing/other when nothing matches
+  if (
+    scopeTypes.length === 0 ||
+    scopeTypes.includes(nameType) ||
+    ['sizing', 'other'].includes(nameType)
+  ) {
+    return null;
+  }
+
+  return { scopeType: scopeTypes[0], nameType };
+}
+
+/**
+ * Determines the W3C Design Tokens Community Group type of a variable
+ */
+function getDtcgTokenType(variable, value) {
+  const name = variable.name.toLowerCase();
+  const tokenType = getTokenType(variable);
+
+  switch (variable.resolvedType) {
+    case 'COLOR':
+      return 'color';
+    case 'FLOAT':
+      if (tokenType === 'fontWeights') {
+        return 'fontWeight';
+      } else if (
+        tokenType === 'opacity' ||
+        (tokenType === 'lineHeights' && value <= LINE_HEIGHT_RATIO_MAX) ||
+        name.includes('cols') ||
+        name.includes('colspan')
+      ) {
+        return 'number';
+      }
+      return 'dimension';
+    case 'STRING':
+      if (tokenType === 'fontFamilies' || name.includes('typeface')) {
+        return 'fontFamily';
+      } else if (tokenType === 'fontWeights') {
+        return 'fontWeight';
+      }
+      return undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Converts a value to its DTCG form for the given type: dimensions in px and
+ * font weights as numbers. Returns null for values DTCG can't express
+ */
+function getDtcgValue($type, value) {
+  if (typeof value === 'string' && value.startsWith('{')) {
+    return value;
+  }
+
+  if ($type === 'dimension') {
+    return `${value}px`;
+  }
+
+  if ($type === 'fontWeight' && typeof value === 'string') {
+    const weight = /^\d+$/.test(value.trim())
+      ? Number(value)
+      : FONT_WEIGHT_NAMES[value.toLowerCase().replace(/[\s_-]+/g, '')];
+
+    return weight >= 1 && weight <= 1000 ? weight : null;
+  }
+
+  return value;
+}
+
+/**
+ * Returns the Dev Mode code syntax names set on a variable in Figma (e.g.
+ * { WEB: 'var(--brand-primary)' }), or null when none are set
+ */
+function getCodeSyntax(variable) {
+  const entries = Object.entries(variable.codeSyntax || {}).filter(
+    ([, name]) => typeof name === 'string' && name.trim(),
+  );
+
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Creates a token object for a converted value, in legacy or DTCG format.
+ * `modes` are the mode segments appended to the variable's path, which the
+ * build appends to code syntax names too. Variables hidden from publishing are
+ * marked private with the private policy. Values without a DTCG type (e.g.
+ * booleans) are reported and left out of DTCG files, so returns null
+ */
+function createToken(variable, collection, value, options = {}, modes = []) {
+  const codeSyntax = getCodeSyntax(variable);
+  const isPrivate =
+    options.unpublished === 'private' &&
+    Boolean(options.unpublishedIds?.has(variable.id));
+
+  if (options.format === 'dtcg') {
+    const $type = getDtcgTokenType(variable, value);
+    const $value = $type ? getDtcgValue($type, value) : null;
+
+    if ($value === null) {
+      reportSkipped(options, variable, collection, {
+        reason: 'unsupported-dtcg-type',
+        mode: modes.join('/') || undefined,
+      });
+      return null;
+    }
+
+    const token = { $value, $type };
+
+    if (variable.description) {
+      token.$description = variable.description;
+    }
+
+    token.$extensions = {
+      'com.figma': {
+        variableId: variable.id,
+        collectionId: collection.id,
+        collectionName: collection.name,
+      },
+    };
+
+    if (codeSyntax) {
+      token.$extensions['com.figma'].codeSyntax = codeSyntax;
+      token.$extensions['com.figma'].modes = modes;
+    }
+
+    if (isPrivate) {
+      token.$extensions['com.figma'].private = true;
+    }
+
+    return token;
+  }
+
+  const token = {
+    value,
+    type: getTokenType(variable),
+  };
+
+  if (variable.description) {
+    token.description = variable.description;
+  }
+
+  if (options.variableIds) {
+    token.variableId = variable.id;
+  }
+
+  if (codeSyntax) {
+    token.codeSyntax = codeSyntax;
+  }
+
+  if (codeSyntax || options.variableIds) {
+    token.modes = modes;
+  }
+
+  if (isPrivate) {
+    token.private = true;
+  }
+
+  return token;
+}
+
 /**
  * Converts variable name to nested object path
  */
@@ -315,11 +738,23 @@ function setNestedValue(obj, path, value) {
   current[finalKey] = value;
 }
 
+/**
+ * Finds a collection by name. When several collections share the name, local
+ * collections win over remote (library) copies, then the lowest id wins.
+ */
+function findCollectionByName(collections, name) {
+  const matches = Object.values(collections)
+    .filter((c) => c.name === name)
+    .sort((a, b) => Number(a.remote) - Number(b.remote) || a.id.localeCompare(b.id));
+
+  return matches[0];
+}
+
 /**
  * Gets the color modes from the Colour collection
  */
 function getColorModes(collections) {
-  const colourCollection = Object.values(collections).find((c) => c.name === 'Colour');
+  const colourCollection = findCollectionByName(collections, 'Colour');
   if (!colourCollection || !colourCollection.modes) {
     return [
       { name: 'Blue', modeId: null },
@@ -335,7 +770,7 @@ function getColorModes(collections) {
  * Gets the status modes from the Status collection
  */
 function getStatusModes(collections) {
-  const statusCollection = Object.values(collections).find((c) => c.name === 'Status');
+  const statusCollection = findCollectionByName(collections, 'Status');
   if (!statusCollection || !statusCollection.modes) {
     return [
       { name: 'Info', modeId: null },
@@ -352,9 +787,7 @@ function getStatusModes(collections) {
  * Gets the theme modes from the Component themes collection
  */
 function getThemeModes(collections) {
-  const themeCollection = Object.values(collections).find(
-    (c) => c.name === 'Component themes',
-  );
+  const themeCollection = findCollectionByName(collections, 'Component themes');
   if (!themeCollection || !themeCollection.modes) {
     return [
       { name: 'Neutral', modeId: null },
@@ -366,86 +799,384 @@ function getThemeModes(collections) {
   return themeCollection.modes.map((m) => ({ name: m.name, modeId: m.modeId }));
 }
 
+/**
+ * Finds the routing entry for a collection, matching by key first, then by name
+ */
+function getCollectionRoute(collection, config = COLLECTION_CONFIG) {
+  const route =
+    config.collections.find((entry) => entry.key && entry.key === collection.key) ||
+    config.collections.find((entry) => entry.name && entry.name === collection.name) ||
+    config.default;
+
+  if (!route || !STRATEGIES.includes(route.strategy)) {
+    throw new Error(
+      `Invalid strategy "${route?.strategy}" for collection "${collection.name}", expected one of: ${STRATEGIES.join(', ')}`,
+    );
+  }
+
+  if (route.strategy === 'merge-into' && !route.target) {
+    throw new Error(`Missing merge target for collection "${collection.name}"`);
+  }
+
+  return route;
+}
+
+/**
+ * Works out which output each collection is saved to, identifying collections by
+ * key. Collections sharing a name and key (e.g. a library copy of a local
+ * collection) are merged; collections sharing only a name are namespaced by key.
+ */
+function getCollectionOutputNames(collections, config = COLLECTION_CONFIG) {
+  const outputNames = {};
+  const collectionsByName = {};
+
+  Object.values(collections).forEach((collection) => {
+    if (!collectionsByName[collection.name]) {
+      collectionsByName[collection.name] = [];
+    }
+    collectionsByName[collection.name].push(collection);
+  });
+
+  Object.entries(collectionsByName).forEach(([name, sameName]) => {
+    const primary = findCollectionByName(collections, name);
+    const primaryKey = primary.key || primary.id;
+
+    sameName.forEach((collection) => {
+      const route = getCollectionRoute(collection, config);
+      const key = collection.key || collection.id;
+
+      if (route.strategy === 'ignore') {
+        outputNames[collection.id] = null;
+      } else if (route.strategy === 'merge-into') {
+        outputNames[collection.id] = route.target;
+      } else if (key === primaryKey) {
+        outputNames[collection.id] = name;
+      } else {
+        outputNames[collection.id] = `${name} ${key.slice(0, 8)}`;
+      }
+
+      if (collection !== primary) {
+        console.warn(
+          key === primaryKey
+            ? `Merging duplicate collection "${name}" (${collection.id}) into ${primary.id}`
+            : `Collection name "${name}" is used by ${collection.id} and ${primary.id}, saving it to "${outputNames[collection.id]}"`,
+        );
+      }
+    });
+  });
+
+  return outputNames;
+}
+
+/**
+ * Finds variables from remote (library) collections that are shadowed by a local
+ * variable with the same name in the same output, so the local one always wins
+ */
+function getShadowedVariableIds(variables, collections, outputNames) {
+  const localNames = new Set();
+  const shadowed = new Set();
+
+  Object.values(variables).forEach((variable) => {
+    const collection = collections[variable.variableCollectionId];
+    if (collection && !collection.remote) {
+      localNames.add(`${outputNames[collection.id]}|${variable.name}`);
+    }
+  });
+
+  Object.values(variables).forEach((variable) => {
+    const collection = collections[variable.variableCollectionId];
+    if (
+      collection?.remote &&
+      localNames.has(`${outputNames[collection.id]}|${variable.name}`)
+    ) {
+      shadowed.add(variable.id);
+    }
+  });
+
+  return shadowed;
+}
+
+/**
+ * Finds variables designers keep out of the published library: hidden from
+ * publishing (or in a hidden collection), or deleted but still referenced
+ */
+function getUnpublishedVariableIds(variables, collections) {
+  const unpublished = new Set();
+
+  Object.values(variables).forEach((variable) => {
+    const collection = collections[variable.variableCollectionId];
+    if (
+      variable.hiddenFromPublishing ||
+      variable.deletedButReferenced ||
+      collection?.hiddenFromPublishing
+    ) {
+      unpublished.add(variable.id);
+    }
+  });
+
+  return unpublished;
+}
+
+/**
+ * Walks an alias chain to find why it could not be resolved to a value
+ */
+function findUnresolvedAlias(aliasId, variables, options = {}, seenIds = new Set()) {
+  if (seenIds.has(aliasId)) {
+    return { reason: 'cycle', aliasId };
+  }
+
+  const referencedVariable = findVariable(aliasId, variables);
+
+  if (!referencedVariable) {
+    return { reason: 'missing-alias-target', aliasId };
+  }
+
+  if (referencedVariable.deletedButReferenced) {
+    return { reason: 'deleted-but-referenced', aliasId };
+  }
+
+  if (isSkippedAliasTarget(referencedVariable, options)) {
+    return { reason: 'hidden-from-publishing', aliasId };
+  }
+
+  seenIds.add(aliasId);
+
+  for (const value of Object.values(referencedVariable.valuesByMode)) {
+    if (value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS') {
+      const unresolved = findUnresolvedAlias(
+        value.id,
+        variables,
+        options,
+        new Set(seenIds),
+      );
+      if (unresolved) return unresolved;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Determines why a variable value was dropped during processing
+ */
+function getSkipReason(variable, value, allVariables, options = {}) {
+  if (variable.deletedButReferenced) {
+    return { reason: 'deleted-but-referenced' };
+  }
+
+  if (value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS') {
+    return (
+      findUnresolvedAlias(value.id, allVariables, options) || {
+        reason: 'unresolved-value',
+        aliasId: value.id,
+      }
+    );
+  }
+
+  return { reason: 'empty-value' };
+}
+
+/**
+ * Records a skipped variable (or skipped modes of a variable) in the diagnostics
+ */
+function reportSkipped(options, variable, collection, { reason, aliasId, mode }) {
+  if (!options.diagnostics) return;
+
+  let entry = options.diagnostics.find(
+    (e) => e.variableId === variable.id && e.reason === reason,
+  );
+
+  if (!entry) {
+    entry = {
+      variableId: variable.id,
+      name: variable.name,
+      collection: collection?.name || null,
+      collectionId: variable.variableCollectionId,
+      reason,
+    };
+    if (aliasId) {
+      entry.aliasId = aliasId;
+    }
+    options.diagnostics.push(entry);
+  }
+
+  if (mode) {
+    entry.modes = [...(entry.modes || []), mode];
+  }
+}
+
+/**
+ * Records an alias resolved with the first mode of its target, because the
+ * target has no value for the mode it was resolved in
+ */
+function reportModeFallback(options, variable, collection, { mode, fallbackMode }) {
+  if (!options.fallbacks) return;
+
+  const exists = options.fallbacks.some(
+    (e) => e.variableId === variable.id && e.mode === mode,
+  );
+
+  if (!exists) {
+    options.fallbacks.push({
+      variableId: variable.id,
+      name: variable.name,
+      collection: collection?.name || null,
+      mode,
+      fallbackMode,
+    });
+  }
+}
+
+/**
+ * Checks if a variable has a space in the final name segment (invalid for CSS)
+ */
+function hasInvalidName(variable) {
+  const nameParts = variable.name.split('/');
+  const finalSegment = nameParts[nameParts.length - 1];
+  return finalSegment.includes(' ');
+}
+
+/**
+ * Maps the ids of referenceable variables to their Style Dictionary reference,
+ * e.g. colour/blue/600 in Foundations -> {colour.blue.600}
+ */
+function buildReferenceIndex(variables, collections, excludedIds = new Set()) {
+  const references = new Map();
+
+  Object.values(variables).forEach((variable) => {
+    const collection = collections[variable.variableCollectionId];
+    if (!collection || !REFERENCE_COLLECTIONS.includes(collection.name)) return;
+    if (collection.modes?.length !== 1 || hasInvalidName(variable)) return;
+    if (excludedIds.has(variable.id)) return;
+
+    references.set(variable.id, `{${parseVariableName(variable.name).join('.')}}`);
+  });
+
+  return references;
+}
+
 /**
  * Processes variables and organizes them by collection
  */
-function processVariablesByCollection(variables, collections) {
+function processVariablesByCollection(variables, collections, options = {}) {
   const tokensByCollection = {};
+  const collectionConfig = options.collectionConfig || COLLECTION_CONFIG;
+  const outputNames = getCollectionOutputNames(collections, collectionConfig);
+  const shadowedIds = getShadowedVariableIds(variables, collections, outputNames);
+  const unpublished = options.unpublished || 'public';
+
+  if (!UNPUBLISHED_POLICIES.includes(unpublished)) {
+    throw new Error(
+      `Unknown unpublished policy "${unpublished}", expected one of: ${UNPUBLISHED_POLICIES.join(', ')}`,
+    );
+  }
+
+  const unpublishedIds = getUnpublishedVariableIds(variables, collections);
+  // Deleted variables are never saved, hidden ones only with the public and
+  // private policies
+  const unsavedIds = new Set(
+    [...unpublishedIds].filter(
+      (id) =>
+        !['public', 'private'].includes(unpublished) ||
+        variables[id].deletedButReferenced,
+    ),
+  );
   const colorModes = getColorModes(collections);
   const statusModes = getStatusModes(collections);
   const themeModes = getThemeModes(collections);
 
+  const processOptions = {
+    ...options,
+    unpublished,
+    unpublishedIds,
+    references: options.outputReferences
+      ? buildReferenceIndex(variables, collections, unsavedIds)
+      : null,
+  };
+
   Object.values(variables).forEach((variable) => {
     const collection = collections[variable.variableCollectionId];
-    if (!collection) return;
+    if (!collection) {
+      reportSkipped(processOptions, variable, null, { reason: 'missing-collection' });
+      return;
+    }
 
     // Skip variables with spaces in the final name segment (invalid for CSS)
-    const nameParts = variable.name.split('/');
-    const finalSegment = nameParts[nameParts.length - 1];
-    if (finalSegment.includes(' ')) {
+    if (hasInvalidName(variable)) {
       console.warn(
         `Skipping variable with invalid name (contains space): ${variable.name}`,
       );
+      reportSkipped(processOptions, variable, collection, { reason: 'invalid-name' });
+      return;
+    }
+
+    const route = getCollectionRoute(collection, collectionConfig);
+    const outputName = outputNames[collection.id];
+
+    if (route.strategy === 'ignore') return;
+
+    // Skip library copies of variables that are also defined locally
+    if (shadowedIds.has(variable.id)) {
+      reportSkipped(processOptions, variable, collection, { reason: 'duplicate-name' });
+      return;
+    }
+
+    // Unpublished variables are internal to the Figma file. Deleted ones are
+    // reported, as the variables that still alias them need fixing in Figma
+    if (unsavedIds.has(variable.id)) {
+      if (variable.deletedButReferenced) {
+        reportSkipped(processOptions, variable, collection, {
+          reason: 'deleted-but-referenced',
+        });
+      }
       return;
     }
 
-    const collectionName = collection.name;
+    const typeMismatch = getTokenTypeMismatch(variable);
+    if (typeMismatch) {
+      console.warn(
+        `⚠️  ${variable.name} is scoped as ${typeMismatch.scopeType} in Figma but named like ${typeMismatch.nameType}, using ${typeMismatch.scopeType}`,
+      );
+    }
 
-    if (!tokensByCollection[collectionName]) {
-      tokensByCollection[collectionName] = {};
+    if (!tokensByCollection[outputName]) {
+      tokensByCollection[outputName] = {};
     }
 
-    // For Component themes, expand across color or status modes
-    if (collectionName === 'Component themes') {
+    if (route.strategy === 'theme-expanded' || route.strategy === 'status-expanded') {
+      // Expand each theme mode value across color or status modes
       processComponentThemeVariable(
         variable,
         collection,
         variables,
         collections,
-        tokensByCollection[collectionName],
+        tokensByCollection[outputName],
         colorModes,
         statusModes,
+        processOptions,
+        route.strategy === 'status-expanded',
       );
-    } else if (
-      collectionName === 'Button' ||
-      collectionName === 'Link' ||
-      collectionName === 'Link menu' ||
-      collectionName === 'Content area' ||
-      collectionName === 'Form Elements' ||
-      collectionName === 'Footer' ||
-      collectionName === 'Banner' ||
-      collectionName === 'Card' ||
-      collectionName === 'Data point' ||
-      collectionName === 'Filter Button' ||
-      collectionName === 'Inline message' ||
-      collectionName === 'Header' ||
-      collectionName === 'Pagination' ||
-      collectionName === 'Details' ||
-      collectionName === 'Breadcrumb' ||
-      collectionName === 'List' ||
-      collectionName === 'Table'
-    ) {
-      // Merge Button/Link/Content area/Form Elements/Footer/Banner/Card/Data point/Filter Button/Inline message tokens into Component themes, expanding across color/theme modes
-      // These collections have a "Default" mode that should map to all theme modes
-      if (!tokensByCollection['Component themes']) {
-        tokensByCollection['Component themes'] = {};
-      }
+    } else if (route.strategy === 'merge-into') {
+      // Component collections have a single "Default" mode that should map to all
+      // theme modes, expanding across color/status modes
       processLinkVariable(
         variable,
         collection,
         variables,
         collections,
-        tokensByCollection['Component themes'],
+        tokensByCollection[outputName],
         colorModes,
         themeModes,
         statusModes,
+        processOptions,
       );
     } else {
       processStandardVariable(
         variable,
         collection,
         variables,
-        tokensByCollection[collectionName],
+        tokensByCollection[outputName],
+        processOptions,
       );
     }
   });
@@ -456,29 +1187,41 @@ function processVariablesByCollection(variables, collections) {
 /**
  * Processes a standard variable (not component themes)
  */
-function processStandardVariable(variable, collection, allVariables, output) {
+function processStandardVariable(
+  variable,
+  collection,
+  allVariables,
+  output,
+  options = {},
+) {
   Object.entries(variable.valuesByMode).forEach(([modeId, value]) => {
     const mode = collection.modes?.find((m) => m.modeId === modeId);
 
     // Skip if mode doesn't exist in collection (orphaned/stale mode data)
     if (!mode) {
+      reportSkipped(options, variable, collection, {
+        reason: 'orphaned-mode',
+        mode: modeId,
+      });
       return;
     }
 
     const modeName = mode.name || 'default';
 
-    const convertedValue = convertVariableValue(variable, value, allVariables, modeId);
-    if (convertedValue === null) return;
-
-    const tokenType = getTokenType(variable);
-
-    const token = {
-      value: convertedValue,
-      type: tokenType,
-    };
-
-    if (variable.description) {
-      token.description = variable.description;
+    const convertedValue = convertVariableValue(
+      variable,
+      value,
+      allVariables,
+      modeId,
+      new Set(),
+      options,
+    );
+    if (convertedValue === null) {
+      reportSkipped(options, variable, collection, {
+        ...getSkipReason(variable, value, allVariables, options),
+        mode: modeName,
+      });
+      return;
     }
 
     const namePath = parseVariableName(variable.name);
@@ -489,7 +1232,16 @@ function processStandardVariable(variable, collection, allVariables, output) {
         ? [...namePath, modeName]
         : namePath;
 
-    setNestedValue(output, fullPath, token);
+    const token = createToken(
+      variable,
+      collection,
+      convertedValue,
+      options,
+      fullPath.slice(namePath.length),
+    );
+    if (token) {
+      setNestedValue(output, fullPath, token);
+    }
   });
 }
 
@@ -497,7 +1249,16 @@ function processStandardVariable(variable, collection, allVariables, output) {
  * Checks if a variable resolves through the Status collection
  * by examining its alias chain
  */
-function resolvesToStatusCollection(variable, allVariables, allCollections) {
+function resolvesToStatusCollection(
+  variable,
+  allVariables,
+  allCollections,
+  seenIds = new Set(),
+) {
+  // Alias cycles are reported when the value is resolved
+  if (seenIds.has(variable.id)) return false;
+  seenIds.add(variable.id);
+
   // Check all values in all modes
   for (const value of Object.values(variable.valuesByMode)) {
     if (typeof value === 'object' && value.type === 'VARIABLE_ALIAS') {
@@ -515,7 +1276,7 @@ function resolvesToStatusCollection(variable, allVariables, allCollections) {
       }
 
       // Recursively check if the aliased variable itself resolves to Status
-      if (resolvesToStatusCollection(aliasedVar, allVariables, allCollections)) {
+      if (resolvesToStatusCollection(aliasedVar, allVariables, allCollections, seenIds)) {
         return true;
       }
     }
@@ -535,11 +1296,14 @@ function processComponentThemeVariable(
   output,
   colorModes,
   statusModes,
+  options = {},
+  alwaysStatus = false,
 ) {
   let namePath = parseVariableName(variable.name);
 
   // Check if this variable resolves through the Status collection
-  const isStatus = resolvesToStatusCollection(variable, allVariables, allCollections);
+  const isStatus =
+    alwaysStatus || resolvesToStatusCollection(variable, allVariables, allCollections);
 
   // Special case: link/status/* tokens that are border-radius or border-width
   // These should be treated as status tokens even if they don't resolve to Status collection
@@ -559,8 +1323,6 @@ function processComponentThemeVariable(
     const mode = collection.modes?.find((m) => m.modeId === modeId);
     const modeName = mode?.name || 'default';
 
-    const tokenType = getTokenType(variable);
-
     // Determine which modes to expand across
     const modesToExpand = isStatus || isLinkStatusBorder ? statusModes : colorModes;
 
@@ -579,6 +1341,8 @@ function processComponentThemeVariable(
           allVariables,
           allCollections,
           modeContext,
+          new Set(),
+          options,
         );
       } else {
         // Direct value (not an alias)
@@ -587,23 +1351,25 @@ function processComponentThemeVariable(
           value,
           allVariables,
           modeToExpand.modeId,
+          new Set(),
+          options,
         );
       }
 
-      if (convertedValue === null) return;
-
-      const token = {
-        value: convertedValue,
-        type: tokenType,
-      };
-
-      if (variable.description) {
-        token.description = variable.description;
+      if (convertedValue === null) {
+        reportSkipped(options, variable, collection, {
+          ...getSkipReason(variable, value, allVariables, options),
+          mode: `${modeName}/${modeToExpand.name}`,
+        });
+        return;
       }
 
       // Path: name parts + theme mode + mode name (color or status)
-      const fullPath = [...namePath, modeName, modeToExpand.name];
-      setNestedValue(output, fullPath, token);
+      const modes = [modeName, modeToExpand.name];
+      const token = createToken(variable, collection, convertedValue, options, modes);
+      if (token) {
+        setNestedValue(output, [...namePath, ...modes], token);
+      }
     });
   });
 }
@@ -620,6 +1386,7 @@ function processLinkVariable(
   colorModes,
   themeModes,
   statusModes,
+  options = {},
 ) {
   let namePath = parseVariableName(variable.name);
 
@@ -645,8 +1412,6 @@ function processLinkVariable(
 
   // Get the value from the Default mode
   Object.entries(variable.valuesByMode).forEach(([modeId, value]) => {
-    const tokenType = getTokenType(variable);
-
     // If it's a status token, expand across status modes instead of color modes
     if (isStatusToken || isLinkStatusBorder) {
       themeModes.forEach((themeMode) => {
@@ -663,6 +1428,8 @@ function processLinkVariable(
                 themeModeId: themeMode.modeId,
                 statusModeId: statusMode.modeId,
               },
+              new Set(),
+              options,
             );
           } else {
             // Direct value (not an alias)
@@ -671,22 +1438,24 @@ function processLinkVariable(
               value,
               allVariables,
               statusMode.modeId,
+              new Set(),
+              options,
             );
           }
 
-          if (resolvedValue === null) return;
-
-          const token = {
-            value: resolvedValue,
-            type: tokenType,
-          };
-
-          if (variable.description) {
-            token.description = variable.description;
+          if (resolvedValue === null) {
+            reportSkipped(options, variable, collection, {
+              ...getSkipReason(variable, value, allVariables, options),
+              mode: `${themeMode.name}/${statusMode.name}`,
+            });
+            return;
           }
 
-          const fullPath = [...namePath, themeMode.name, statusMode.name];
-          setNestedValue(output, fullPath, token);
+          const modes = [themeMode.name, statusMode.name];
+          const token = createToken(variable, collection, resolvedValue, options, modes);
+          if (token) {
+            setNestedValue(output, [...namePath, ...modes], token);
+          }
         });
       });
     } else {
@@ -705,6 +1474,8 @@ function processLinkVariable(
                 themeModeId: themeMode.modeId,
                 colorModeId: colorMode.modeId,
               },
+              new Set(),
+              options,
             );
           } else {
             // Direct value (not an alias)
@@ -713,22 +1484,24 @@ function processLinkVariable(
               value,
               allVariables,
               colorMode.modeId,
+              new Set(),
+              options,
             );
           }
 
-          if (resolvedValue === null) return;
-
-          const token = {
-            value: resolvedValue,
-            type: tokenType,
-          };
-
-          if (variable.description) {
-            token.description = variable.description;
+          if (resolvedValue === null) {
+            reportSkipped(options, variable, collection, {
+              ...getSkipReason(variable, value, allVariables, options),
+              mode: `${themeMode.name}/${colorMode.name}`,
+            });
+            return;
           }
 
-          const fullPath = [...namePath, themeMode.name, colorMode.name];
-          setNestedValue(output, fullPath, token);
+          const modes = [themeMode.name, colorMode.name];
+          const token = createToken(variable, collection, resolvedValue, options, modes);
+          if (token) {
+            setNestedValue(output, [...namePath, ...modes], token);
+          }
         });
       });
     }
@@ -743,22 +1516,27 @@ function normalizeCollectionName(name) {
 }
 
 /**
- * Saves tokens by collection to separate files
+ * Saves tokens by collection to separate files. DTCG files have no $timestamp,
+ * which is not part of the format
  */
-function saveTokensByCollection(tokensByCollection) {
-  if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+function saveTokensByCollection(
+  tokensByCollection,
+  outputDir = OUTPUT_DIR,
+  format = 'legacy',
+) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
   }
 
   const fileMap = {};
 
   Object.entries(tokensByCollection).forEach(([collectionName, tokens]) => {
     const filename = `${normalizeCollectionName(collectionName)}.json`;
-    const filepath = path.join(OUTPUT_DIR, filename);
+    const filepath = path.join(outputDir, filename);
 
     const output = {
       $description: `Design tokens from ${collectionName} collection`,
-      $timestamp: new Date().toISOString(),
+      ...(format !== 'dtcg' && { $timestamp: new Date().toISOString() }),
       ...tokens,
     };
 
@@ -771,13 +1549,87 @@ function saveTokensByCollection(tokensByCollection) {
   return fileMap;
 }
 
+/**
+ * Saves the report of skipped variables and mode fallbacks, and prints a
+ * summary by reason
+ */
+function saveDiagnostics(diagnostics, fallbacks = []) {
+  const skipped = [...diagnostics].sort(
+    (a, b) =>
+      String(a.collection).localeCompare(String(b.collection)) ||
+      a.name.localeCompare(b.name) ||
+      a.reason.localeCompare(b.reason),
+  );
+
+  const output = {
+    $description: 'Variables skipped while processing raw Figma variables',
+    skipped,
+    fallbacks: [...fallbacks].sort(
+      (a, b) =>
+        String(a.collection).localeCompare(String(b.collection)) ||
+        a.name.localeCompare(b.name) ||
+        String(a.mode).localeCompare(String(b.mode)),
+    ),
+  };
+
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(output, null, 2), 'utf8');
+  console.log(`  ✓ ${REPORT_PATH}`);
+
+  if (output.fallbacks.length > 0) {
+    console.log(
+      `  ⚠️  ${output.fallbacks.length} aliases resolved with a fallback mode:`,
+    );
+    output.fallbacks.forEach((entry) => {
+      console.log(
+        `    - ${entry.collection} / ${entry.name}: no ${entry.mode} mode, used ${entry.fallbackMode}`,
+      );
+    });
+  }
+
+  if (skipped.length === 0) {
+    console.log('  No variables were skipped');
+    return;
+  }
+
+  const countByReason = {};
+  skipped.forEach((entry) => {
+    countByReason[entry.reason] = (countByReason[entry.reason] || 0) + 1;
+  });
+
+  console.log(`  ⚠️  ${skipped.length} variables skipped:`);
+  Object.entries(countByReason).forEach(([reason, count]) => {
+    console.log(`    ${reason}: ${count}`);
+  });
+
+  skipped.forEach((entry) => {
+    const modes = entry.modes ? ` [${entry.modes.join(', ')}]` : '';
+    console.log(`    - ${entry.collection} / ${entry.name} (${entry.reason})${modes}`);
+  });
+}
+
 /**
  * Main execution function
  */
 async function main() {
+  const { outputReferences, format, colorFormat, strict, unpublished } = parseArgs(
+    process.argv,
+  );
+
   console.log('🔄 Processing raw Figma variables...\n');
 
   try {
+    if (!FORMATS.includes(format)) {
+      throw new Error(
+        `Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`,
+      );
+    }
+
+    if (!COLOR_FORMATS.includes(colorFormat)) {
+      throw new Error(
+        `Unknown color format "${colorFormat}", expected one of: ${COLOR_FORMATS.join(', ')}`,
+      );
+    }
+
     // Read raw data
     console.log('📖 Reading raw Figma data...');
     const rawData = JSON.parse(fs.readFileSync(INPUT_PATH, 'utf8'));
@@ -793,38 +1645,34 @@ async function main() {
 
     // Process variables by collection
     console.log('🔄 Processing variables by collection...');
+    const diagnostics = [];
+    const fallbacks = [];
     const tokensByCollection = processVariablesByCollection(
       variables,
       variableCollections,
+      { outputReferences, format, colorFormat, unpublished, diagnostics, fallbacks },
     );
 
-    // Filter to specific collections
-    // Note: Button, Link, Link menu, and Content area are merged into Component themes
-    const targetCollections = [
-      'Colour',
-      'Component themes',
-      'Foundations',
-      'Layout',
-      'List',
-      'Typography',
-    ];
-    const filteredTokens = {};
-
-    Object.keys(tokensByCollection).forEach((name) => {
-      if (targetCollections.includes(name)) {
-        filteredTokens[name] = tokensByCollection[name];
-      }
-    });
-
     // Save to separate files
     console.log('\n💾 Saving token files...');
-    const fileMap = saveTokensByCollection(filteredTokens);
+    const fileMap = saveTokensByCollection(
+      tokensByCollection,
+      format === 'dtcg' ? DTCG_OUTPUT_DIR : OUTPUT_DIR,
+      format,
+    );
 
     console.log('\n📊 Summary:');
     Object.entries(fileMap).forEach(([collection, filename]) => {
       console.log(`  ${collection} → ${filename}`);
     });
 
+    console.log('\n🩺 Diagnostics:');
+    saveDiagnostics(diagnostics, fallbacks);
+
+    if (strict && diagnostics.length > 0) {
+      throw new Error(`${diagnostics.length} variables were skipped (--strict)`);
+    }
+
     console.log('\n🎉 Successfully processed raw Figma variables!');
     console.log('💡 Next: Run npm run build:tokens-separate to generate CSS files');
   } catch (error) {
@@ -838,6 +1686,9 @@ if (require.main === module) {
 }
 
 module.exports = {
+  getColorModes,
+  getStatusModes,
+  getThemeModes,
   processVariablesByCollection,
   saveTokensByCollection,
 };
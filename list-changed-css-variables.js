@@ -1,22 +1,45 @@
 #!/usr/bin/env node
 
 /**
- * Lists changed CSS custom property names from a git diff.
+ * Lists changed design tokens in the build outputs compared to a git ref.
+ *
+ * Each CSS file is parsed into selector -> variable -> value maps (and the
+ * TypeScript file into export -> value), so changes are reported per selector:
+ * a change inside `.lg-mode-red.lg-theme-bold` is reported separately from the
+ * same variable in `:root`.
  *
  * Usage:
  *   node list-changed-css-variables.js
  *   node list-changed-css-variables.js --ref HEAD~1
  *   node list-changed-css-variables.js --file build/css/variables.css
+ *   node list-changed-css-variables.js --format markdown
+ *
+ * Exit codes:
+ *   0  no changed tokens
+ *   1  error
+ *   2  additive changes only (added tokens or selectors, changed values)
+ *   3  breaking changes (removed or renamed tokens, removed selectors)
  */
 
+const fs = require('node:fs');
 const { execFileSync } = require('node:child_process');
 
-const DEFAULT_FILE = 'build/css/variables.css';
+const CSS_DIR = 'build/css';
+const TS_FILE = 'build/ts/variables.ts';
+const TS_SCOPE = '(exports)';
+const FORMATS = ['text', 'json', 'markdown'];
+
+const EXIT_CODES = {
+  none: 0,
+  additive: 2,
+  breaking: 3,
+};
 
 function parseArgs(argv) {
   const args = {
     ref: 'HEAD',
-    file: DEFAULT_FILE,
+    file: null,
+    format: 'text',
   };
 
   for (let i = 2; i < argv.length; i += 1) {
@@ -34,6 +57,12 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === '--format' && argv[i + 1]) {
+      args.format = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
     if (arg === '--help' || arg === '-h') {
       printHelp();
       process.exit(0);
@@ -44,56 +73,140 @@ function parseArgs(argv) {
 }
 
 function printHelp() {
-  console.log('List changed CSS variable names from git diff.');
+  console.log('List changed design tokens in the build outputs compared to a git ref.');
   console.log('');
   console.log('Options:');
   console.log('  --ref <git-ref>     Compare against this ref (default: HEAD)');
-  console.log(`  --file <path>        Target css file (default: ${DEFAULT_FILE})`);
+  console.log(
+    `  --file <path>        Target css or ts file (default: ${CSS_DIR}/*.css and ${TS_FILE})`,
+  );
+  console.log(
+    `  --format <format>    Output format: ${FORMATS.join(', ')} (default: text)`,
+  );
   console.log('  --help, -h           Show this help');
+  console.log('');
+  console.log('Exit codes:');
+  console.log('  0  No changed tokens');
+  console.log('  1  Error');
+  console.log('  2  Additive changes only (added tokens or selectors, changed values)');
+  console.log('  3  Breaking changes (removed or renamed tokens, removed selectors)');
 }
 
-function getDiff(ref, file) {
-  // `git diff <ref> -- <file>` compares working tree + index against the ref.
+function runGit(args) {
   try {
-    return execFileSync('git', ['diff', String(ref), '--', String(file)], {
+    return execFileSync('git', args, {
       encoding: 'utf8',
       stdio: ['ignore', 'pipe', 'pipe'],
     });
   } catch (error) {
     const stderr = String(error?.stderr ?? '').trim();
-    const message = stderr || error.message || 'Failed to run git diff';
+    const message = stderr || error.message || `Failed to run git ${args[0]}`;
     throw new Error(message);
   }
 }
 
-function isDiffMetaLine(line) {
-  return line.startsWith('+++') || line.startsWith('---') || line.startsWith('@@');
+/**
+ * Lists the build output files in the working tree and at the ref, so files
+ * that were added or deleted are compared too
+ */
+function getBuildFiles(ref) {
+  const files = new Set();
+
+  if (fs.existsSync(CSS_DIR)) {
+    fs.readdirSync(CSS_DIR)
+      .filter((name) => name.endsWith('.css'))
+      .forEach((name) => files.add(`${CSS_DIR}/${name}`));
+  }
+
+  runGit(['ls-tree', '--name-only', String(ref), `${CSS_DIR}/`])
+    .split('\n')
+    .filter((name) => name.endsWith('.css'))
+    .forEach((name) => files.add(name));
+
+  files.add(TS_FILE);
+
+  return Array.from(files).sort((a, b) => a.localeCompare(b));
+}
+
+function readFileAtRef(ref, file) {
+  const exists = runGit([
+    'ls-tree',
+    '--name-only',
+    String(ref),
+    '--',
+    String(file),
+  ]).trim();
+  if (!exists) {
+    return '';
+  }
+
+  return runGit(['show', `${ref}:${file}`]);
+}
+
+function readWorkingFile(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
 }
 
-function extractVariableChange(line) {
-  if (isDiffMetaLine(line)) {
-    return null;
+/**
+ * Parses CSS into a map of selector -> (variable name -> value). Selectors inside
+ * at-rules are prefixed with the at-rule, e.g. `@media (min-width: 768px) :root`.
+ */
+function parseCssVariables(cssText) {
+  const selectors = new Map();
+  const stack = [];
+  const css = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+  let buffer = '';
+
+  for (const char of css) {
+    if (char === '{') {
+      stack.push(buffer.trim().replace(/\s+/g, ' '));
+      buffer = '';
+    } else if (char === '}') {
+      addDeclaration(selectors, stack, buffer);
+      stack.pop();
+      buffer = '';
+    } else if (char === ';') {
+      addDeclaration(selectors, stack, buffer);
+      buffer = '';
+    } else {
+      buffer += char;
+    }
   }
 
-  const isAdded = line.startsWith('+');
-  const isRemoved = line.startsWith('-');
+  return selectors;
+}
 
-  if (!isAdded && !isRemoved) {
-    return null;
+function addDeclaration(selectors, stack, declaration) {
+  const match = declaration.trim().match(/^(--[a-zA-Z0-9_-]+)\s*:\s*([\s\S]+)$/);
+  if (!match || stack.length === 0) {
+    return;
   }
 
-  const match = line.match(/^[+-]\s*(--[a-zA-Z0-9_-]+)\s*:\s*(.+?)\s*;\s*$/);
-  if (!match) {
-    return null;
+  const selector = stack.join(' ');
+  if (!selectors.has(selector)) {
+    selectors.set(selector, new Map());
   }
 
-  const [, variableName, variableValue] = match;
+  selectors.get(selector).set(match[1], match[2].trim().replace(/\s+/g, ' '));
+}
 
-  return {
-    kind: isAdded ? 'added' : 'removed',
-    variableName,
-    variableValue,
-  };
+/**
+ * Parses the TypeScript output into a single scope of export name -> value
+ */
+function parseTsExports(tsText) {
+  const exportsMap = new Map();
+  const regex = /^export const ([A-Za-z0-9_$]+)\s*=\s*([\s\S]*?);\s*$/gm;
+  let match;
+
+  while ((match = regex.exec(tsText)) !== null) {
+    exportsMap.set(match[1], match[2].trim().replace(/\s+/g, ' '));
+  }
+
+  return new Map(exportsMap.size > 0 ? [[TS_SCOPE, exportsMap]] : []);
+}
+
+function parseBuildFile(file, text) {
+  return file.endsWith('.ts') ? parseTsExports(text) : parseCssVariables(text);
 }
 
 function indexNamesByValue(names, valueMap) {
@@ -148,71 +261,250 @@ function inferRenames(added, removed, addedMap, removedMap) {
   return renamed;
 }
 
-function parseVariableChanges(diffText) {
-  const addedMap = new Map();
-  const removedMap = new Map();
+/**
+ * Splits added/removed name -> value maps into added, removed, renamed and
+ * value-changed names
+ */
+function summarizeChanges(addedMap, removedMap) {
+  const added = new Set(addedMap.keys());
+  const removed = new Set(removedMap.keys());
 
-  for (const line of diffText.split('\n')) {
-    const change = extractVariableChange(line);
-    if (!change) {
-      continue;
-    }
+  removeUnchangedNames(added, removed, addedMap, removedMap);
 
-    if (change.kind === 'added') {
-      addedMap.set(change.variableName, change.variableValue);
-    } else {
-      removedMap.set(change.variableName, change.variableValue);
+  const changed = [];
+  for (const name of Array.from(added)) {
+    if (removed.has(name)) {
+      changed.push({ name, from: removedMap.get(name), to: addedMap.get(name) });
+      added.delete(name);
+      removed.delete(name);
     }
   }
 
-  const added = new Set(addedMap.keys());
-  const removed = new Set(removedMap.keys());
-
-  removeUnchangedNames(added, removed, addedMap, removedMap);
   const renamed = inferRenames(added, removed, addedMap, removedMap);
 
   return {
     added: Array.from(added).sort((a, b) => a.localeCompare(b)),
     removed: Array.from(removed).sort((a, b) => a.localeCompare(b)),
     renamed,
+    changed: changed.sort((a, b) => a.name.localeCompare(b.name)),
   };
 }
 
-function printResult(result, file, ref) {
-  console.log(`File: ${file}`);
-  console.log(`Compared to: ${ref}`);
+/**
+ * Compares two selector -> variable -> value maps, returning the changes for
+ * every selector that differs
+ */
+function compareVariableMaps(before, after) {
+  const selectors = new Set([...before.keys(), ...after.keys()]);
+  const result = {
+    addedSelectors: [],
+    removedSelectors: [],
+    selectors: [],
+  };
 
-  const hasChanges =
-    result.added.length > 0 || result.removed.length > 0 || result.renamed.length > 0;
+  for (const selector of selectors) {
+    const beforeVars = before.get(selector) || new Map();
+    const afterVars = after.get(selector) || new Map();
 
-  if (!hasChanges) {
-    console.log('No changed CSS variable names found.');
-    return;
+    if (!before.has(selector)) {
+      result.addedSelectors.push(selector);
+    } else if (!after.has(selector)) {
+      result.removedSelectors.push(selector);
+    }
+
+    const addedMap = new Map(
+      [...afterVars].filter(([name, value]) => beforeVars.get(name) !== value),
+    );
+    const removedMap = new Map(
+      [...beforeVars].filter(([name, value]) => afterVars.get(name) !== value),
+    );
+
+    const changes = summarizeChanges(addedMap, removedMap);
+    const hasChanges =
+      changes.added.length > 0 ||
+      changes.removed.length > 0 ||
+      changes.renamed.length > 0 ||
+      changes.changed.length > 0;
+
+    if (hasChanges) {
+      result.selectors.push({ selector, ...changes });
+    }
   }
 
-  if (result.added.length > 0) {
-    console.log('\nAdded:');
-    result.added.forEach((name) => console.log(`  - ${name}`));
+  return result;
+}
+
+/**
+ * Compares each build output file in the working tree against the ref
+ */
+function compareBuildFiles(ref, files) {
+  return files
+    .map((file) => ({
+      file,
+      ...compareVariableMaps(
+        parseBuildFile(file, readFileAtRef(ref, file)),
+        parseBuildFile(file, readWorkingFile(file)),
+      ),
+    }))
+    .filter((result) => result.selectors.length > 0);
+}
+
+/**
+ * Classifies the compared files as 'none', 'additive' or 'breaking'.
+ * Removed and renamed tokens and removed selectors break consumers that still
+ * reference them; added tokens and changed values do not.
+ */
+function getChangeLevel(results) {
+  if (results.length === 0) {
+    return 'none';
   }
 
-  if (result.removed.length > 0) {
-    console.log('\nRemoved:');
-    result.removed.forEach((name) => console.log(`  - ${name}`));
+  const isBreaking = results.some(
+    (result) =>
+      result.removedSelectors.length > 0 ||
+      result.selectors.some((item) => item.removed.length > 0 || item.renamed.length > 0),
+  );
+
+  return isBreaking ? 'breaking' : 'additive';
+}
+
+function formatJson(results, ref) {
+  return JSON.stringify({ ref, level: getChangeLevel(results), files: results }, null, 2);
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/[|`]/g, (char) => `\\${char}`);
+}
+
+function formatMarkdown(results, ref) {
+  const lines = [`## Design token changes`, '', `Compared to \`${ref}\`.`, ''];
+
+  if (results.length === 0) {
+    lines.push('No changed design tokens found.');
+    return lines.join('\n');
   }
 
-  if (result.renamed.length > 0) {
-    console.log('\nRenamed (inferred):');
-    result.renamed.forEach((item) => console.log(`  - ${item.from} -> ${item.to}`));
+  const level = getChangeLevel(results);
+  lines.push(
+    level === 'breaking'
+      ? '**Breaking:** tokens or selectors were removed or renamed.'
+      : 'Additive changes only.',
+    '',
+  );
+
+  const code = (text) => `\`${escapeMarkdown(text)}\``;
+  const list = (title, items) => {
+    if (items.length === 0) return;
+    lines.push(`**${title}**`, '', ...items.map((item) => `- ${item}`), '');
+  };
+
+  results.forEach((result) => {
+    lines.push(`### ${code(result.file)}`, '');
+    list('Added selectors', result.addedSelectors.map(code));
+    list('Removed selectors', result.removedSelectors.map(code));
+
+    result.selectors.forEach((item) => {
+      lines.push(`<details>`, `<summary>${escapeMarkdown(item.selector)}</summary>`, '');
+      list('Added', item.added.map(code));
+      list('Removed', item.removed.map(code));
+      list(
+        'Renamed (inferred)',
+        item.renamed.map(({ from, to }) => `${code(from)} → ${code(to)}`),
+      );
+
+      if (item.changed.length > 0) {
+        lines.push(
+          '**Value changed**',
+          '',
+          '| Token | Old | New |',
+          '| --- | --- | --- |',
+        );
+        item.changed.forEach((change) =>
+          lines.push(
+            `| ${code(change.name)} | ${code(change.from)} | ${code(change.to)} |`,
+          ),
+        );
+        lines.push('');
+      }
+
+      lines.push('</details>', '');
+    });
+  });
+
+  return lines.join('\n').trimEnd();
+}
+
+function printResult(results, ref) {
+  console.log(`Compared to: ${ref}`);
+
+  if (results.length === 0) {
+    console.log('No changed design tokens found.');
+    return;
   }
+
+  results.forEach((result) => {
+    console.log(`\nFile: ${result.file}`);
+
+    if (result.addedSelectors.length > 0) {
+      console.log('  Added selectors:');
+      result.addedSelectors.forEach((selector) => console.log(`    - ${selector}`));
+    }
+
+    if (result.removedSelectors.length > 0) {
+      console.log('  Removed selectors:');
+      result.removedSelectors.forEach((selector) => console.log(`    - ${selector}`));
+    }
+
+    result.selectors.forEach((item) => {
+      console.log(`\n  ${item.selector}`);
+
+      if (item.added.length > 0) {
+        console.log('    Added:');
+        item.added.forEach((name) => console.log(`      - ${name}`));
+      }
+
+      if (item.removed.length > 0) {
+        console.log('    Removed:');
+        item.removed.forEach((name) => console.log(`      - ${name}`));
+      }
+
+      if (item.renamed.length > 0) {
+        console.log('    Renamed (inferred):');
+        item.renamed.forEach(({ from, to }) => console.log(`      - ${from} -> ${to}`));
+      }
+
+      if (item.changed.length > 0) {
+        console.log('    Value changed:');
+        item.changed.forEach((change) =>
+          console.log(`      - ${change.name}: ${change.from} -> ${change.to}`),
+        );
+      }
+    });
+  });
 }
 
 function main() {
-  const { ref, file } = parseArgs(process.argv);
+  const { ref, file, format } = parseArgs(process.argv);
 
   try {
-    const diff = getDiff(ref, file);
-    const result = parseVariableChanges(diff);
-    printResult(result, file, ref);
+    if (!FORMATS.includes(format)) {
+      throw new Error(
+        `Unknown format "${format}". Expected one of: ${FORMATS.join(', ')}`,
+      );
+    }
+
+    const files = file ? [file] : getBuildFiles(ref);
+    const results = compareBuildFiles(ref, files);
+
+    if (format === 'json') {
+      console.log(formatJson(results, ref));
+    } else if (format === 'markdown') {
+      console.log(formatMarkdown(results, ref));
+    } else {
+      printResult(results, ref);
+    }
+
+    process.exitCode = EXIT_CODES[getChangeLevel(results)];
   } catch (error) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
@@ -224,5 +516,10 @@ if (require.main === module) {
 }
 
 module.exports = {
-  parseVariableChanges,
+  compareBuildFiles,
+  compareVariableMaps,
+  getBuildFiles,
+  getChangeLevel,
+  parseCssVariables,
+  parseTsExports,
 };
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Figma API Server
+ *
+ * Serves fixture responses for the Figma REST API endpoints used by the sync
+ * pipeline, so fetch-figma-tokens.js can run without network access or a
+ * Figma account.
+ *
+ * Usage:
+ *   npm run tokens:mock-figma
+ *   node mock-figma-server.js --port 4010 --fixture test/fixtures/figma-variables-raw.json
+ *
+ * Then point the fetcher at it:
+ *   FIGMA_API_BASE_URL=http://localhost:4010/v1 FIGMA_ACCESS_TOKEN=mock \
+ *     FIGMA_FILE_KEY=mock npm run tokens:fetch-raw
+ *
+ * Endpoints:
+ *   GET /v1/files/:key/variables/local   variables and collections from the
+ *                                        fixture (any file key)
+ *   POST /v1/files/:key/variables        applies UPDATE changes to the fixture
+ *                                        variables in memory, so later GETs
+ *                                        return them (the file is not written)
+ *
+ * Like the real API, requests without an X-Figma-Token header get a 403.
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURE = './tokens/figma-variables-raw.json';
+
+function parseArgs(argv) {
+  const args = {
+    port: DEFAULT_PORT,
+    fixture: DEFAULT_FIXTURE,
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === '--port' && argv[i + 1]) {
+      args.port = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--fixture' && argv[i + 1]) {
+      args.fixture = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log('Serve fixture responses for the Figma REST API.');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --port <port>        Port to listen on (default: ${DEFAULT_PORT})`);
+  console.log('  --fixture <path>     Raw Figma variables file to serve');
+  console.log(`                       (default: ${DEFAULT_FIXTURE})`);
+  console.log('  --help, -h           Show this help');
+}
+
+/**
+ * Reads a raw variables file, as saved by fetch-figma-tokens.js or hand-built
+ */
+function loadFixture(fixturePath) {
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`Fixture not found: ${fixturePath}`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  if (!fixture.meta?.variables || !fixture.meta?.variableCollections) {
+    throw new Error(`Fixture has no meta.variables or meta.variableCollections`);
+  }
+
+  return fixture;
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+async function readJson(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+  }
+  return JSON.parse(body || '{}');
+}
+
+/**
+ * Applies the variable changes of a POST /variables body to the fixture, or
+ * returns the error message the real API would reject it with. Only UPDATE
+ * changes to existing, local variables are supported.
+ */
+function applyVariableChanges(fixture, { variables: changes = [] }) {
+  const { variables } = fixture.meta;
+
+  const invalid = changes
+    .map(({ action, id }) => {
+      if (action !== 'UPDATE') return `Unsupported action: ${action}`;
+      if (!variables[id]) return `Variable not found: ${id}`;
+      if (variables[id].remote) return `Cannot update remote variable: ${id}`;
+      return null;
+    })
+    .find(Boolean);
+
+  if (invalid) return invalid;
+
+  changes.forEach(({ action, id, codeSyntax, ...properties }) => {
+    Object.assign(variables[id], properties);
+
+    if (codeSyntax) {
+      variables[id].codeSyntax = { ...variables[id].codeSyntax, ...codeSyntax };
+    }
+  });
+
+  return null;
+}
+
+/**
+ * Creates the server (not yet listening) for a loaded fixture
+ */
+function createMockFigmaServer(fixture) {
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (!request.headers['x-figma-token']) {
+      sendJson(response, 403, { status: 403, err: 'Invalid token' });
+      return;
+    }
+
+    if (
+      request.method === 'GET' &&
+      /^\/v1\/files\/[^/]+\/variables\/local$/.test(pathname)
+    ) {
+      sendJson(response, 200, { status: 200, error: false, meta: fixture.meta });
+      return;
+    }
+
+    if (request.method === 'POST' && /^\/v1\/files\/[^/]+\/variables$/.test(pathname)) {
+      let message;
+      try {
+        message = applyVariableChanges(fixture, await readJson(request));
+      } catch (error) {
+        message = `Invalid request body: ${error.message}`;
+      }
+
+      if (message) {
+        sendJson(response, 400, { status: 400, error: true, message });
+        return;
+      }
+
+      sendJson(response, 200, {
+        status: 200,
+        error: false,
+        meta: { tempIdToRealId: {} },
+      });
+      return;
+    }
+
+    sendJson(response, 404, { status: 404, err: 'Not found' });
+  });
+}
+
+function main() {
+  const { port, fixture: fixturePath } = parseArgs(process.argv);
+
+  try {
+    const fixture = loadFixture(fixturePath);
+    const server = createMockFigmaServer(fixture);
+
+    server.listen(port, () => {
+      console.log(`🎭 Mock Figma API serving ${fixturePath}`);
+      console.log(`   FIGMA_API_BASE_URL=http://localhost:${port}/v1`);
+    });
+  } catch (error) {
+    console.error('\n❌ Failed to start mock Figma API:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createMockFigmaServer,
+  loadFixture,
+};
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Figma Code Syntax Writer
+ *
+ * Writes the CSS variable name the build generates for each Figma variable
+ * into the variable's WEB code syntax, so designers inspecting a component in
+ * Dev Mode see `var(--button-primary-rest-background-colour)` instead of the
+ * Figma path `button/primary/rest/background-colour`.
+ *
+ * Usage:
+ *   npm run tokens:push-code-syntax -- --dry-run
+ *   npm run tokens:push-code-syntax
+ *
+ * Options:
+ *   --dry-run   Print the code syntax changes without writing them to Figma
+ *
+ * Environment Variables:
+ * - FIGMA_ACCESS_TOKEN: A personal access token with the file_variables:write
+ *   scope (writing variables needs a Figma Enterprise plan)
+ * - FIGMA_FILE_KEY: The file key from your Figma file URL
+ * - FIGMA_API_BASE_URL: Optional, the Figma REST API to use, e.g. the mock
+ *   server from mock-figma-server.js (default: https://api.figma.com/v1)
+ *
+ * Names are generated from the live variables with the same processing and
+ * Style Dictionary transforms as `npm run build:tokens`:
+ * - colour and component theme variables get their :root name, e.g.
+ *   var(--colour-brand-primary)
+ * - layout variables get their unsuffixed name from layout-responsive.css,
+ *   e.g. var(--space-4)
+ * - single-mode variables get their name, e.g. var(--dimensions-assets-1)
+ *
+ * Other multi-mode variables (e.g. Typography) have a CSS variable per mode,
+ * so they are left unchanged, as are library variables, variables hidden from
+ * publishing and variables the build skips. Only the WEB code syntax is
+ * written. The build ignores code syntax that matches the generated name (see
+ * css-variable-names.js), so pushing doesn't change the build output.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG, fetchFromFigma, validateConfig } = require('./fetch-figma-tokens');
+const {
+  processVariablesByCollection,
+  saveTokensByCollection,
+} = require('./figma-raw-to-tokens');
+const { getDefaultVarName } = require('./css-variable-names');
+const styleDictionaryConfig = require('./style-dictionary.config');
+
+// Platform whose transforms name the CSS variables
+const CSS_PLATFORM = 'css-all';
+
+function parseArgs(argv) {
+  const args = {
+    dryRun: false,
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log('Write the generated CSS variable names to Figma code syntax.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --dry-run            Print the changes without writing them');
+  console.log('  --help, -h           Show this help');
+}
+
+/**
+ * Returns the CSS variable name developers use for a token's variable in
+ * every mode, or null when each mode has its own variable
+ */
+function getVariableCssName(token) {
+  if (
+    token.filePath.includes('colour.json') ||
+    token.filePath.includes('component-themes')
+  ) {
+    return getDefaultVarName(token);
+  }
+
+  if (token.modes.length === 0) {
+    return token.name;
+  }
+
+  if (token.filePath.includes('layout')) {
+    // e.g. space-4-md -> space-4, as in layout-responsive.css
+    const mode = token.modes[token.modes.length - 1];
+    return token.name.slice(0, -(mode.length + 1));
+  }
+
+  return null;
+}
+
+/**
+ * Builds the tokens of the raw variables in a temporary directory and returns
+ * the generated CSS variable name of each variable id
+ */
+async function getCssNamesByVariableId(meta) {
+  const tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canopy-code-syntax-'));
+
+  try {
+    saveTokensByCollection(
+      processVariablesByCollection(meta.variables, meta.variableCollections, {
+        variableIds: true,
+      }),
+      tokensDir,
+    );
+
+    const { default: StyleDictionary } = await import('style-dictionary');
+    const sd = new StyleDictionary({
+      ...styleDictionaryConfig,
+      source: fs.readdirSync(tokensDir).map((file) => path.join(tokensDir, file)),
+      log: { warnings: 'disabled', verbosity: 'silent' },
+    });
+    const { allTokens } = await sd.getPlatformTokens(CSS_PLATFORM);
+
+    const names = new Map();
+    allTokens.forEach((token) => {
+      // Private tokens have no CSS variable
+      if (token.private) return;
+
+      const name = getVariableCssName(token);
+      if (name && !names.has(token.variableId)) {
+        names.set(token.variableId, name);
+      }
+    });
+
+    return names;
+  } finally {
+    fs.rmSync(tokensDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Returns the local variables whose WEB code syntax is not their generated
+ * CSS variable name, as { id, name, from, to } sorted by variable name
+ */
+async function getCodeSyntaxChanges(meta) {
+  const names = await getCssNamesByVariableId(meta);
+  const changes = [];
+
+  names.forEach((cssName, id) => {
+    const variable = meta.variables[id];
+    if (!variable || variable.remote) return;
+
+    const from = variable.codeSyntax?.WEB || null;
+    const to = `var(--${cssName})`;
+
+    if (from !== to) {
+      changes.push({ id, name: variable.name, from, to });
+    }
+  });
+
+  return changes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Writes code syntax changes to the Figma file in a single request
+ */
+async function pushCodeSyntax(changes, fileKey = CONFIG.FIGMA_FILE_KEY) {
+  return fetchFromFigma(`/files/${fileKey}/variables`, {
+    method: 'POST',
+    body: {
+      variables: changes.map(({ id, to }) => ({
+        action: 'UPDATE',
+        id,
+        codeSyntax: { WEB: to },
+      })),
+    },
+  });
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { dryRun } = parseArgs(process.argv);
+
+  console.log('🏷️  Writing CSS variable names to Figma code syntax...\n');
+
+  validateConfig();
+
+  try {
+    console.log('📡 Fetching variables from Figma API...');
+    const { meta } = await fetchFromFigma(
+      `/files/${CONFIG.FIGMA_FILE_KEY}/variables/local`,
+    );
+
+    console.log('\n🔄 Generating CSS variable names...');
+    const changes = await getCodeSyntaxChanges(meta);
+
+    if (changes.length === 0) {
+      console.log('\n✅ Every variable already has its CSS variable name');
+      return;
+    }
+
+    console.log(`\n📝 ${changes.length} code syntax changes:`);
+    changes.forEach(({ name, from, to }) => {
+      console.log(`  ${name}`);
+      if (from) console.log(`    - ${from}`);
+      console.log(`    + ${to}`);
+    });
+
+    if (dryRun) {
+      console.log('\n💡 Dry run, nothing was written to Figma');
+      return;
+    }
+
+    console.log('\n📤 Writing code syntax to Figma...');
+    await pushCodeSyntax(changes);
+
+    console.log(`\n🎉 Updated the code syntax of ${changes.length} variables`);
+  } catch (error) {
+    console.error('\n❌ Failed to write code syntax:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getCodeSyntaxChanges,
+  pushCodeSyntax,
+};
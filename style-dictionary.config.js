@@ -1,9 +1,1162 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { getReferences, usesReferences } = require('style-dictionary/utils');
+const DEPRECATIONS = require('./token-deprecations.config');
+const { version } = require('./package.json');
+const TYPOGRAPHY = require('./typography.config');
+const {
+  getCodeSyntaxName,
+  getCodeSyntaxTokenName,
+  getDefaultVarName,
+} = require('./css-variable-names');
+const { getActiveDeprecations } = require('./token-deprecations');
+
+// Token types (set from Figma variable scopes by figma-raw-to-tokens.js) that
+// are converted from px to rem, and that stay unitless
+const REM_TOKEN_TYPES = [
+  'sizing',
+  'spacing',
+  'borderRadius',
+  'borderWidth',
+  'fontSizes',
+  'lineHeights',
+  'letterSpacing',
+  'paragraphSpacing',
+];
+const UNITLESS_TOKEN_TYPES = ['fontWeights', 'opacity'];
+
+// Line heights up to this value are ratios of the font size (e.g. 1.5), not px
+const LINE_HEIGHT_RATIO_MAX = 3;
+
+/**
+ * Checks if a token is a unitless line-height ratio rather than a px line height
+ */
+function isLineHeightRatio(token) {
+  return (
+    token.type === 'lineHeights' &&
+    typeof token.value === 'number' &&
+    token.value <= LINE_HEIGHT_RATIO_MAX
+  );
+}
+
+/**
+ * Checks if a token has a value and is part of the public outputs. Private
+ * tokens (variables hidden from publishing in Figma, see the --unpublished
+ * option of figma-raw-to-tokens.js) can only be referenced
+ */
+function isPublicToken(token) {
+  return token.value !== null && token.value !== undefined && !token.private;
+}
+
+/**
+ * Returns the CSS value of a token. When outputReferences is enabled, tokens that
+ * alias another token are output as var(--referenced-token) instead of the
+ * resolved value, so changes to primitives cascade at runtime.
+ */
+function getCssValue(token, dictionary, options = {}) {
+  const originalValue = token.original?.value;
+
+  if (!options.outputReferences || !usesReferences(originalValue)) {
+    return token.value;
+  }
+
+  const references = getReferences(
+    originalValue,
+    dictionary.unfilteredTokens ?? dictionary.tokens,
+  );
+
+  // Only whole-value aliases to public tokens can be expressed as a single var()
+  if (
+    references.length !== 1 ||
+    references[0].private ||
+    originalValue.trim() !== `{${references[0].ref.join('.')}}`
+  ) {
+    return token.value;
+  }
+
+  return `var(--${references[0].name})`;
+}
+
+// Aliases past their `until` version are dropped
+const activeDeprecations = getActiveDeprecations(DEPRECATIONS.deprecations, version);
+
+/**
+ * Returns the `@deprecated` note for a stylesheet alias, e.g.
+ * `@deprecated since 1.4.0, use --button-padding-x`
+ */
+function getDeprecationNote(entry, replacement) {
+  return entry.since
+    ? `@deprecated since ${entry.since}, use ${replacement}`
+    : `@deprecated use ${replacement}`;
+}
+
+/**
+ * Returns the `@deprecated` doc comment for a JS or TS alias export
+ */
+function getDeprecationDoc(entry, replacement) {
+  const since = entry.since ? `Since ${entry.since}. ` : '';
+  return `/** @deprecated ${since}Use \`${replacement}\` instead. */\n`;
+}
+
+/**
+ * Returns the deprecated names that alias the given CSS variable name
+ */
+function getDeprecatedAliases(name) {
+  return activeDeprecations.filter((entry) => entry.replacement === name);
+}
+
+/**
+ * Formats a CSS custom property declaration, followed by any deprecated
+ * aliases of it so they resolve in the same selector
+ */
+function formatDeclaration(name, token, dictionary, options) {
+  let output = `  --${name}: ${getCssValue(token, dictionary, options)};\n`;
+
+  getDeprecatedAliases(name).forEach((entry) => {
+    output += `  --${entry.name}: var(--${name}); /* ${getDeprecationNote(entry, `--${name}`)} */\n`;
+  });
+
+  return output;
+}
+
+const SELECTOR_STRATEGIES = ['class', 'data-attribute'];
+
+/**
+ * Selector options shared by the theme, colour and status class formats. Set
+ * LG_SELECTOR_STRATEGY and LG_SELECTOR_PREFIX to build a variant, e.g. with
+ * `[data-acme-mode="green"][data-acme-theme="subtle"]` selectors.
+ */
+const selectorOptions = {
+  selectorStrategy: process.env.LG_SELECTOR_STRATEGY || 'class',
+  selectorPrefix: process.env.LG_SELECTOR_PREFIX || 'lg',
+};
+
+/**
+ * Builds the selector for a set of modes, e.g. { mode: 'green', theme: 'subtle' }
+ * becomes `.lg-mode-green.lg-theme-subtle` or
+ * `[data-lg-mode="green"][data-lg-theme="subtle"]`
+ */
+function getModeSelector(modes, options = {}) {
+  const { selectorStrategy = 'class', selectorPrefix = 'lg' } = options;
+
+  if (!SELECTOR_STRATEGIES.includes(selectorStrategy)) {
+    throw new Error(
+      `Unknown selector strategy "${selectorStrategy}". Expected one of: ${SELECTOR_STRATEGIES.join(', ')}`,
+    );
+  }
+
+  return Object.entries(modes)
+    .map(([kind, value]) =>
+      selectorStrategy === 'data-attribute'
+        ? `[data-${selectorPrefix}-${kind}="${value}"]`
+        : `.${selectorPrefix}-${kind}-${value}`,
+    )
+    .join('');
+}
+
+/**
+ * Checks whether a colour or component theme token belongs to the given modes.
+ * Status tokens match the status mode instead of the colour mode.
+ */
+function isDefaultModeToken(
+  token,
+  { colorMode = 'Blue', themeMode = 'Neutral', statusMode = 'Generic' } = {},
+) {
+  const isComponentTheme = token.filePath.includes('component-themes');
+  const isColour = token.filePath.includes('colour.json');
+
+  if (!isComponentTheme && !isColour) return false;
+
+  const path = token.path;
+
+  if (isComponentTheme) {
+    const isStatus = token.path.includes('status');
+
+    if (isStatus) {
+      // Special case: link-status border tokens should be included for Info as default
+      const isLinkStatusBorder =
+        path.includes('link') &&
+        path.includes('status') &&
+        (path.includes('border-radius') || path.includes('border-width'));
+
+      // For status tokens: path is [..., themeMode, statusMode]
+      const tokenStatusMode = path[path.length - 1];
+      const tokenThemeMode = path[path.length - 2];
+
+      if (isLinkStatusBorder) {
+        return tokenStatusMode === 'Info' && tokenThemeMode === themeMode;
+      }
+
+      return tokenStatusMode === statusMode && tokenThemeMode === themeMode;
+    } else {
+      // For color mode tokens: path is [..., themeMode, colorMode]
+      const tokenColorMode = path[path.length - 1];
+      const tokenThemeMode = path[path.length - 2];
+      return tokenColorMode === colorMode && tokenThemeMode === themeMode;
+    }
+  } else if (isColour) {
+    const tokenColorMode = path[path.length - 1];
+    return tokenColorMode === colorMode;
+  }
+
+  return false;
+}
+
+/**
+ * Warns about CSS variable names generated by more than one token, e.g. a
+ * code syntax name that matches another variable's path
+ */
+function reportNameCollisions(label, entries) {
+  const pathsByName = new Map();
+
+  entries.forEach(({ varName, token }) => {
+    const paths = pathsByName.get(varName) || [];
+    pathsByName.set(varName, [...paths, token.path.join('.')]);
+  });
+
+  pathsByName.forEach((paths, varName) => {
+    if (paths.length > 1) {
+      console.warn(`⚠️ ${label}: --${varName} is generated by ${paths.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Groups colour and component theme tokens by colour mode and theme mode, in
+ * output order. Colour tokens are repeated in every theme mode. Each group's
+ * tokens are { varName, token } pairs sorted by token name.
+ */
+function groupThemeTokens(tokens) {
+  // Group tokens by color mode and theme mode
+  const grouped = {};
+
+  tokens.forEach((token) => {
+    // Process both component theme and colour tokens
+    const isComponentTheme = token.filePath.includes('component-themes');
+    const isColour = token.filePath.includes('colour.json');
+
+    if (!isComponentTheme && !isColour) return;
+
+    // Check if this is a status token (has 'status' in path)
+    const isStatus = token.path.includes('status');
+
+    // Skip status tokens - they're handled by css/status-classes formatter
+    if (isStatus) return;
+
+    // Extract color mode (and optionally theme mode) from path
+    const path = token.path;
+    let colorMode, themeMode;
+
+    if (isComponentTheme) {
+      // Path structure: [token-name, ..., themeMode, colorMode]
+      colorMode = path[path.length - 1]; // Blue, Green, Red, Yellow
+      themeMode = path[path.length - 2]; // Neutral, Subtle, Bold, Neutral inverse
+    } else if (isColour) {
+      // Path structure: [token-name, ..., colorMode]
+      colorMode = path[path.length - 1]; // Blue, Green, Red, Yellow
+      // For colour tokens, we need to duplicate them across all theme modes
+      // We'll handle this by creating entries for each theme mode
+      const themeModes = ['Neutral', 'Subtle', 'Bold', 'Neutral inverse'];
+
+      themeModes.forEach((tm) => {
+        const colorClass = colorMode.toLowerCase();
+        const themeClass = tm.toLowerCase().replace(/\s+/g, '-');
+        const key = `${colorClass}-${themeClass}`;
+
+        if (!grouped[key]) {
+          grouped[key] = {
+            colorMode,
+            themeMode: tm,
+            colorClass,
+            themeClass,
+            tokens: [],
+          };
+        }
+
+        // Create a copy of the token with modified name
+        const colourToken = {
+          ...token,
+          name: 'colour-' + token.path.slice(0, -1).join('-'),
+        };
+
+        grouped[key].tokens.push(colourToken);
+      });
+
+      return; // Skip the normal processing below
+    }
+
+    if (!colorMode || !themeMode) return;
+
+    // Normalize mode names for class names
+    const colorClass = colorMode.toLowerCase();
+    const themeClass = themeMode.toLowerCase().replace(/\s+/g, '-');
+
+    const key = `${colorClass}-${themeClass}`;
+
+    if (!grouped[key]) {
+      grouped[key] = {
+        colorMode,
+        themeMode,
+        colorClass,
+        themeClass,
+        tokens: [],
+      };
+    }
+
+    grouped[key].tokens.push(token);
+  });
+
+  // Sort by color mode then theme mode
+  const sortedKeys = Object.keys(grouped).sort((a, b) => {
+    const [colorA, themeA] = a.split('-');
+    const [colorB, themeB] = b.split('-');
+
+    const colorOrder = ['blue', 'green', 'red', 'yellow'];
+    const themeOrder = ['neutral', 'neutral-inverse', 'subtle', 'bold'];
+
+    const colorCompare = colorOrder.indexOf(colorA) - colorOrder.indexOf(colorB);
+    if (colorCompare !== 0) return colorCompare;
+
+    return themeOrder.indexOf(themeA) - themeOrder.indexOf(themeB);
+  });
+
+  return sortedKeys.map((key) => {
+    const group = grouped[key];
+
+    // Sort tokens by name for consistent output
+    group.tokens.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      ...group,
+      // Remove color mode (and theme mode) from variable names
+      tokens: group.tokens.map((token) => ({ varName: getDefaultVarName(token), token })),
+    };
+  });
+}
+
+/**
+ * Groups colour tokens by colour mode, in output order. Each group's tokens are
+ * { varName, token } pairs sorted by token name.
+ */
+function groupColourTokens(tokens) {
+  // Group tokens by color mode
+  const grouped = {};
+
+  tokens.forEach((token) => {
+    // Only process colour tokens
+    if (!token.filePath.includes('colour.json')) return;
+
+    // Extract color mode from path
+    // Path structure: [token-name, ..., colorMode]
+    const path = token.path;
+    const colorMode = path[path.length - 1]; // Blue, Green, Red, Yellow
+
+    if (!colorMode) return;
+
+    // Normalize mode name for class name
+    const colorClass = colorMode.toLowerCase();
+
+    if (!grouped[colorClass]) {
+      grouped[colorClass] = {
+        colorMode,
+        colorClass,
+        tokens: [],
+      };
+    }
+
+    grouped[colorClass].tokens.push(token);
+  });
+
+  // Sort by color mode
+  const colorOrder = ['blue', 'green', 'red', 'yellow'];
+  const sortedKeys = Object.keys(grouped).sort((a, b) => {
+    return colorOrder.indexOf(a) - colorOrder.indexOf(b);
+  });
+
+  return sortedKeys.map((key) => {
+    const group = grouped[key];
+
+    // Sort tokens by name for consistent output
+    group.tokens.sort((a, b) => a.name.localeCompare(b.name));
+
+    // Remove color mode from variable name
+    return {
+      ...group,
+      tokens: group.tokens.map((token) => ({
+        varName: getCodeSyntaxName(token) || token.path.slice(0, -1).join('-'),
+        token,
+      })),
+    };
+  });
+}
+
+/**
+ * Groups status tokens by status mode and theme mode, in output order. Each
+ * group's tokens are { varName, token } pairs sorted by token name.
+ */
+function groupStatusTokens(tokens) {
+  // Group tokens by status mode and theme mode
+  const grouped = {};
+
+  tokens.forEach((token) => {
+    // Only process status tokens
+    if (!token.path.includes('status')) return;
+
+    // Extract status mode and theme mode from path
+    // Path structure: [component, 'status', variant, property, themeMode, statusMode]
+    // or: [component, 'status', property, themeMode, statusMode]
+    const path = token.path;
+    const statusMode = path[path.length - 1]; // Info, Success, Warning, Error, Generic
+    const themeMode = path[path.length - 2]; // Neutral, Subtle, Bold, Neutral inverse
+
+    if (!statusMode || !themeMode) return;
+
+    // Normalize mode names
+    const statusClass = statusMode.toLowerCase();
+    const themeClass = themeMode.toLowerCase().replace(/\s+/g, '-');
+
+    const key = `${statusClass}-${themeClass}`;
+
+    if (!grouped[key]) {
+      grouped[key] = {
+        statusMode,
+        themeMode,
+        statusClass,
+        themeClass,
+        tokens: [],
+      };
+    }
+
+    grouped[key].tokens.push(token);
+  });
+
+  // Sort by status type then theme mode
+  const statusOrder = ['info', 'success', 'warning', 'error', 'generic'];
+  const themeOrder = ['neutral', 'neutral-inverse', 'subtle', 'bold'];
+  const sortedKeys = Object.keys(grouped).sort((a, b) => {
+    const parts = a.split('-');
+    const sitA = parts[0];
+    const themeAParts = parts.slice(1);
+
+    const partsB = b.split('-');
+    const sitB = partsB[0];
+    const themeBParts = partsB.slice(1);
+
+    const sitAIndex = statusOrder.indexOf(sitA);
+    const sitBIndex = statusOrder.indexOf(sitB);
+
+    if (sitAIndex !== sitBIndex) {
+      return sitAIndex - sitBIndex;
+    }
+
+    // Rejoin theme parts for comparison
+    const themeA = themeAParts.join('-');
+    const themeB = themeBParts.join('-');
+
+    return themeOrder.indexOf(themeA) - themeOrder.indexOf(themeB);
+  });
+
+  return sortedKeys.map((key) => {
+    const group = grouped[key];
+
+    // Sort tokens by name for consistent output
+    group.tokens.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      ...group,
+      tokens: group.tokens.map((token) => {
+        const codeSyntaxName = getCodeSyntaxName(token);
+        if (codeSyntaxName) return { varName: codeSyntaxName, token };
+
+        // Remove theme mode and status mode from variable name
+        // Find 'status' in path and build varName
+        const statusIndex = token.path.indexOf('status');
+        const pathBeforeStatus = token.path.slice(0, statusIndex);
+        const propertyPath = token.path.slice(statusIndex + 1, -2); // exclude themeMode and statusMode
+
+        // Check if this token should exclude the injected 'status' from its name
+        // These components had 'status' injected for routing but shouldn't have it in the variable name
+        const componentName = pathBeforeStatus[0];
+        const shouldExcludeStatus =
+          componentName === 'input' ||
+          componentName === 'label-and-hint' ||
+          componentName === 'banner' ||
+          componentName === 'segment-button' ||
+          componentName === 'inline-message';
+
+        // Combine paths with or without 'status' keyword based on component
+        const varName = shouldExcludeStatus
+          ? [...pathBeforeStatus, ...propertyPath].join('-')
+          : [...pathBeforeStatus, 'status', ...propertyPath].join('-');
+
+        return { varName, token };
+      }),
+    };
+  });
+}
+
+/**
+ * Groups layout tokens by breakpoint, ordered by the breakpoints' page/min-width
+ * tokens (e.g. page.min-width.MD). Each breakpoint's tokens are
+ * { varName, token } pairs without the breakpoint suffix, sorted by name.
+ */
+function groupBreakpointTokens(tokens) {
+  const breakpoints = tokens
+    .filter(
+      (token) =>
+        token.path.length === 3 &&
+        token.path[0] === 'page' &&
+        token.path[1] === 'min-width',
+    )
+    .map((token) => ({
+      mode: token.path[2],
+      breakpointClass: token.path[2].toLowerCase(),
+      minWidth: token.value,
+      size: Number(token.original.value),
+      tokens: [],
+    }))
+    .sort((a, b) => a.size - b.size);
+
+  if (breakpoints.length === 0) {
+    throw new Error('Responsive layout output needs the page/min-width tokens');
+  }
+
+  tokens
+    .filter((token) => token.filePath.includes('layout'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((token) => {
+      const mode = token.path[token.path.length - 1];
+      const breakpoint = breakpoints.find((bp) => bp.mode === mode);
+      if (!breakpoint) return;
+
+      // e.g. space-4-md -> space-4
+      breakpoint.tokens.push({ varName: token.name.slice(0, -(mode.length + 1)), token });
+    });
+
+  return breakpoints;
+}
+
+/**
+ * Collects the tokens for the SCSS and Less outputs: the default values (matching
+ * :root in variables.css), the maps of tokens by mode and the breakpoints
+ */
+function getModeMaps(allTokens) {
+  const defaults = allTokens
+    .filter(
+      (token) =>
+        !token.filePath.includes('component-themes') &&
+        !token.filePath.includes('colour.json'),
+    )
+    .map((token) => ({ varName: token.name, token }))
+    .concat(
+      allTokens
+        .filter((token) => isDefaultModeToken(token))
+        .map((token) => ({ varName: getDefaultVarName(token), token })),
+    );
+
+  // Theme groups repeat colour tokens, which lg-colour() already covers
+  const themeGroups = groupThemeTokens(allTokens).map((group) => ({
+    ...group,
+    tokens: group.tokens.filter(({ token }) => !token.filePath.includes('colour.json')),
+  }));
+  const breakpoints = groupBreakpointTokens(allTokens);
+
+  const maps = [
+    {
+      name: 'lg-colours',
+      groups: groupColourTokens(allTokens),
+      getKeys: (group) => [group.colorClass],
+      comment: 'Colour tokens by colour mode',
+    },
+    {
+      name: 'lg-themes',
+      groups: themeGroups,
+      getKeys: (group) => [group.colorClass, group.themeClass],
+      comment: 'Component theme tokens by colour mode and theme mode',
+    },
+    {
+      name: 'lg-statuses',
+      groups: groupStatusTokens(allTokens),
+      getKeys: (group) => [group.statusClass, group.themeClass],
+      comment: 'Status tokens by status mode and theme mode',
+    },
+    {
+      name: 'lg-layout',
+      groups: breakpoints,
+      getKeys: (group) => [group.breakpointClass],
+      comment: 'Layout tokens by breakpoint',
+    },
+  ];
+
+  return { defaults, maps, breakpoints };
+}
+
+/**
+ * Nests groups by their keys, e.g. blue -> neutral -> tokens. Leaves are the
+ * groups' { varName, token } pairs
+ */
+function nestGroups(groups, getKeys) {
+  const root = new Map();
+
+  groups.forEach((group) => {
+    const keys = getKeys(group);
+    let node = root;
+
+    keys.slice(0, -1).forEach((key) => {
+      if (!node.has(key)) node.set(key, new Map());
+      node = node.get(key);
+    });
+
+    node.set(keys[keys.length - 1], group.tokens);
+  });
+
+  return root;
+}
+
+// e.g. 'Neutral inverse' -> 'neutralInverse', 'tint-1' -> 'tint1'
+function toObjectKey(segment) {
+  return kebabToCamel(
+    String(segment)
+      .toLowerCase()
+      .replace(/[\s_]+/g, '-'),
+  );
+}
+
+function formatJsKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Formats a nested object as a JavaScript literal. With `formatLeaf`, leaves
+ * are written as types instead, e.g. `readonly gap: number;`
+ */
+function formatJsObject(node, depth = 0, formatLeaf = null) {
+  const indent = '  '.repeat(depth);
+  const entries = Object.entries(node).map(([key, value]) => {
+    const formatted =
+      typeof value === 'object'
+        ? formatJsObject(value, depth + 1, formatLeaf)
+        : formatLeaf
+          ? formatLeaf(value)
+          : JSON.stringify(value);
+
+    return formatLeaf
+      ? `${indent}  readonly ${formatJsKey(key)}: ${formatted};`
+      : `${indent}  ${formatJsKey(key)}: ${formatted},`;
+  });
+
+  return `{\n${entries.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Sets a nested value, warning when a token and a group share a path
+ */
+function setObjectPath(target, keys, value, label) {
+  let node = target;
+
+  for (const key of keys.slice(0, -1)) {
+    if (!(key in node)) node[key] = {};
+    if (typeof node[key] !== 'object') {
+      console.warn(`⚠️ ${label}: ${keys.join('.')} conflicts with a token, skipped`);
+      return;
+    }
+    node = node[key];
+  }
+
+  const last = keys[keys.length - 1];
+  if (typeof node[last] === 'object') {
+    console.warn(`⚠️ ${label}: ${keys.join('.')} conflicts with a group, skipped`);
+    return;
+  }
+  node[last] = value;
+}
+
+/**
+ * Builds the nested theme objects: `themes` is keyed by colour mode, theme mode
+ * and token path (colour tokens under `colour`, as in the CSS variable names),
+ * and `status` by status mode, theme mode and token path
+ */
+function buildThemeObjects(tokens) {
+  const themes = {};
+  groupThemeTokens(tokens).forEach((group) => {
+    group.tokens.forEach(({ token }) => {
+      const isColour = token.filePath.includes('colour.json');
+      const path = isColour
+        ? ['colour', ...token.path.slice(0, -1)]
+        : token.path.slice(0, -2);
+
+      setObjectPath(
+        themes,
+        [group.colorClass, group.themeClass, ...path].map(toObjectKey),
+        token.value,
+        'themes',
+      );
+    });
+  });
+
+  // The 'status' segment is implied by the object, and groups keyed by a colour
+  // mode come from components that only have 'status' in their name
+  const colourModes = Object.keys(themes);
+  const status = {};
+  groupStatusTokens(tokens)
+    .filter((group) => !colourModes.includes(group.statusClass))
+    .forEach((group) => {
+      group.tokens.forEach(({ token }) => {
+        const path = token.path.slice(0, -2).filter((p) => p !== 'status');
+
+        setObjectPath(
+          status,
+          [group.statusClass, group.themeClass, ...path].map(toObjectKey),
+          token.value,
+          'status',
+        );
+      });
+    });
+
+  return { themes, status };
+}
+
+/**
+ * Returns the '<colour>-<theme>' or '<status>-<theme>' modules of the themes
+ * or status object, e.g. { name: 'green-subtle', value: themes.green.subtle }
+ */
+function getThemeModules(object) {
+  return Object.entries(object).flatMap(([mode, themeModes]) =>
+    Object.entries(themeModes).map(([themeMode, value]) => ({
+      name: `${mode}-${themeMode.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase()}`,
+      value,
+    })),
+  );
+}
+
+/**
+ * Merges the structure of several nested objects into one, with each leaf's
+ * value type, e.g. { gap: 'number' }
+ */
+function mergeObjectShapes(objects) {
+  const shape = {};
+
+  const merge = (target, node) => {
+    Object.entries(node).forEach(([key, value]) => {
+      if (typeof value === 'object') {
+        if (typeof target[key] !== 'object') target[key] = {};
+        merge(target[key], value);
+      } else if (!(key in target)) {
+        target[key] = typeof value;
+      }
+    });
+  };
+
+  objects.forEach((object) => merge(shape, object));
+  return shape;
+}
+
+const GENERATED_HEADER =
+  '/**\n * Do not edit directly, this file was auto-generated.\n */\n\n';
+
+/**
+ * Writes a module as ESM (.mjs) and CommonJS (.cjs), with a declaration file
+ * for each (.d.mts and .d.cts)
+ */
+function writeJsModule(buildPath, name, { esm, cjs, types }) {
+  const basePath = path.join(buildPath, name);
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+
+  fs.writeFileSync(`${basePath}.mjs`, GENERATED_HEADER + esm('.mjs'));
+  fs.writeFileSync(`${basePath}.cjs`, GENERATED_HEADER + cjs('.cjs'));
+  fs.writeFileSync(`${basePath}.d.mts`, GENERATED_HEADER + types('.mjs'));
+  fs.writeFileSync(`${basePath}.d.cts`, GENERATED_HEADER + types('.cjs'));
+}
+
+/**
+ * Writes the JavaScript modules: flat constants and deprecated aliases per
+ * collection (e.g. js/foundations), theme objects per colour and theme mode (e.g.
+ * js/themes/green-subtle), status objects per status and theme mode (e.g.
+ * js/status/error-bold), and an index re-exporting every collection
+ */
+function writeJsModules(tokens, buildPath) {
+  // Modules are regenerated from scratch so removed modes don't linger
+  fs.rmSync(buildPath, { recursive: true, force: true });
+
+  // Collections, named after their token files
+  const collections = new Map();
+  tokens.forEach((token) => {
+    const collection = path.basename(token.filePath, '.json');
+    if (!collections.has(collection)) collections.set(collection, []);
+    collections.get(collection).push(token);
+  });
+
+  const exportedNames = new Map();
+
+  collections.forEach((collectionTokens, collection) => {
+    const constants = collectionTokens.map((token) => ({
+      name: token.name.replace(/-/g, '_').replace(/^_+/, ''),
+      value: JSON.stringify(token.value),
+      token,
+    }));
+
+    // Deprecated names, matching the aliases in ts/variables.ts
+    const aliases = constants.flatMap(({ name, token }) =>
+      getDeprecatedExports(token, name).map(({ entry, name: alias }) => ({
+        name: alias,
+        replacement: name,
+        comment: getDeprecationDoc(entry, name),
+      })),
+    );
+
+    [...constants, ...aliases].forEach(({ name }) => {
+      if (exportedNames.has(name)) {
+        console.warn(
+          `⚠️ js/index: ${name} is exported by ${exportedNames.get(name)} and ${collection}, only the first is re-exported`,
+        );
+      } else {
+        exportedNames.set(name, collection);
+      }
+    });
+
+    writeJsModule(buildPath, collection, {
+      esm: () =>
+        constants
+          .map(({ name, value }) => `export const ${name} = ${value};\n`)
+          .join('') +
+        aliases
+          .map(
+            ({ name, replacement, comment }) =>
+              `${comment}export const ${name} = ${replacement};\n`,
+          )
+          .join(''),
+      cjs: () =>
+        constants.map(({ name, value }) => `exports.${name} = ${value};\n`).join('') +
+        aliases
+          .map(
+            ({ name, replacement, comment }) =>
+              `${comment}exports.${name} = exports.${replacement};\n`,
+          )
+          .join(''),
+      types: () =>
+        constants
+          .map(({ name, value }) => `export declare const ${name}: ${value};\n`)
+          .join('') +
+        aliases
+          .map(
+            ({ name, replacement, comment }) =>
+              `${comment}export declare const ${name}: typeof ${replacement};\n`,
+          )
+          .join(''),
+    });
+  });
+
+  const collectionNames = [...collections.keys()].sort();
+
+  writeJsModule(buildPath, 'index', {
+    esm: (ext) =>
+      collectionNames.map((name) => `export * from './${name}${ext}';\n`).join(''),
+    cjs: (ext) =>
+      'function __exportStar(m, exports) {\n' +
+      '  for (var p in m) {\n' +
+      "    if (p !== 'default' && !Object.prototype.hasOwnProperty.call(exports, p)) exports[p] = m[p];\n" +
+      '  }\n' +
+      '}\n\n' +
+      collectionNames
+        .map((name) => `__exportStar(require('./${name}${ext}'), exports);\n`)
+        .join(''),
+    types: (ext) =>
+      collectionNames.map((name) => `export * from './${name}${ext}';\n`).join('') +
+      `export type { CanopyTheme, CanopyStatusTheme } from './types${ext}';\n`,
+  });
+
+  // Theme and status objects, typed by the merged shape of all their modes
+  const { themes, status } = buildThemeObjects(tokens);
+  const objectModules = [
+    { dir: 'themes', typeName: 'CanopyTheme', modules: getThemeModules(themes) },
+    { dir: 'status', typeName: 'CanopyStatusTheme', modules: getThemeModules(status) },
+  ];
+
+  objectModules.forEach(({ dir, typeName, modules }) => {
+    modules.forEach(({ name, value }) => {
+      const object = formatJsObject(value);
+
+      writeJsModule(buildPath, `${dir}/${name}`, {
+        esm: () => `export const theme = ${object};\n\nexport default theme;\n`,
+        cjs: () =>
+          `const theme = ${object};\n\nexports.theme = theme;\nexports.default = theme;\n`,
+        types: (ext) =>
+          `import type { ${typeName} } from '../types${ext}';\n\n` +
+          `export declare const theme: ${typeName};\n\nexport default theme;\n`,
+      });
+    });
+  });
+
+  const typesModule = objectModules
+    .map(
+      ({ typeName, modules }) =>
+        `export type ${typeName} = ${formatJsObject(
+          mergeObjectShapes(modules.map(({ value }) => value)),
+          0,
+          (type) => type,
+        )};\n`,
+    )
+    .join('\n');
+
+  fs.writeFileSync(path.join(buildPath, 'types.d.mts'), GENERATED_HEADER + typesModule);
+  fs.writeFileSync(path.join(buildPath, 'types.d.cts'), GENERATED_HEADER + typesModule);
+}
+
+/**
+ * Returns the tokens the typography styles are built from, including private
+ * tokens, as the type scale is hidden from publishing in Figma
+ */
+function getTypographySourceTokens(dictionary) {
+  return (dictionary.unfilteredAllTokens ?? dictionary.allTokens).filter(
+    (token) =>
+      token.value !== null &&
+      token.value !== undefined &&
+      (token.filePath.includes('typography') || token.filePath.includes('layout')),
+  );
+}
+
+/**
+ * Resolves the composite typography styles in typography.config.js for each
+ * breakpoint, as { name, breakpoint, typeface, tokens } where tokens holds the
+ * fontFamily, fontSize, lineHeight, fontWeight and letterSpacing tokens.
+ * Breakpoint overrides apply from that breakpoint upwards.
+ */
+function buildTypographyStyles(tokens) {
+  const byPath = new Map(tokens.map((token) => [token.path.join('/'), token]));
+  const breakpoints = groupBreakpointTokens(tokens).map((bp) => bp.mode);
+  const styles = [];
+
+  TYPOGRAPHY.styles.forEach((style) => {
+    let settings = { ...style };
+
+    breakpoints.forEach((breakpoint) => {
+      settings = { ...settings, ...style.breakpoints?.[breakpoint] };
+      const { scale, typeface, fontWeight, letterSpacing } = settings;
+
+      const styleTokens = {
+        fontFamily: byPath.get(`typeface/${typeface}`),
+        fontSize: byPath.get(`font-size/${scale}/${breakpoint}`),
+        lineHeight: byPath.get(`line-height/${scale}/${breakpoint}`),
+        fontWeight: byPath.get(`font-weight/${fontWeight}/${typeface}`),
+        letterSpacing: byPath.get(`letter-spacing/${letterSpacing}/${typeface}`),
+      };
+
+      const missing = Object.keys(styleTokens).filter((key) => !styleTokens[key]);
+      if (missing.length > 0) {
+        console.warn(
+          `⚠️ typography: ${style.name} at ${breakpoint} is missing ${missing.join(', ')}, skipped`,
+        );
+        return;
+      }
+
+      styles.push({ name: style.name, breakpoint, typeface, tokens: styleTokens });
+    });
+  });
+
+  return styles;
+}
+
+function kebabToCamel(name) {
+  return name.replace(/-+([a-z0-9])/gi, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Returns the deprecated exports that alias a token in the TypeScript output.
+ * The registry uses CSS names, so the token path is matched with and without
+ * its trailing mode segments, and the old export keeps the same mode suffix.
+ */
+function getDeprecatedExports(token, exportName) {
+  const kebabPath = token.path.map((p) => p.toLowerCase().replace(/[\s_]+/g, '-'));
+  const prefix = token.filePath.includes('colour.json') ? 'colour-' : '';
+  const deprecatedExports = [];
+
+  for (let depth = 0; depth <= 2 && depth < kebabPath.length; depth += 1) {
+    const name = kebabPath.slice(0, kebabPath.length - depth).join('-');
+    const baseName = kebabToCamel(name);
+
+    if (!exportName.startsWith(baseName)) continue;
+
+    getDeprecatedAliases(prefix + name).forEach((entry) => {
+      const oldName = entry.name.startsWith(prefix)
+        ? entry.name.slice(prefix.length)
+        : entry.name;
+
+      deprecatedExports.push({
+        entry,
+        name: kebabToCamel(oldName) + exportName.slice(baseName.length),
+      });
+    });
+  }
+
+  return deprecatedExports;
+}
+
+// Custom properties the theme and status previews in the docs site use
+const DOCS_THEME_PREVIEW_VARS = [
+  'container-default-background-colour',
+  'container-default-border-colour-1',
+  'text-default-primary-colour',
+  'text-default-secondary-colour',
+  'button-primary-rest-background-colour',
+  'button-primary-rest-border-colour',
+  'button-primary-rest-colour',
+  'button-secondary-rest-background-colour',
+  'button-secondary-rest-border-colour',
+  'button-secondary-rest-colour',
+  'link-primary-rest-colour',
+];
+
+const DOCS_STATUS_PREVIEW_VARS = [
+  'container-status-subtle-background-colour',
+  'container-status-bold-background-colour',
+  'text-status-subtle-primary-colour',
+  'text-status-subtle-secondary-colour',
+  'text-status-bold-primary-colour',
+  'button-status-rest-background-colour',
+  'button-status-rest-border-colour',
+  'button-status-rest-colour',
+];
+
+const DOCS_STYLES = `
+  body { margin: 0; font-family: system-ui, sans-serif; color: #1d1d1b; background: #fff; }
+  header { position: sticky; top: 0; z-index: 1; display: flex; gap: 1.5rem; align-items: center; padding: 1rem 2rem; background: #f4f4f4; border-bottom: 1px solid #d3d3d3; }
+  header h1 { margin: 0; font-size: 1.25rem; }
+  header nav { display: flex; gap: 1rem; }
+  header input { margin-left: auto; width: 20rem; padding: 0.5rem; font: inherit; }
+  main { padding: 0 2rem 4rem; }
+  section { margin-top: 3rem; }
+  table { border-collapse: collapse; font-size: 0.875rem; }
+  th, td { padding: 0.375rem 0.75rem; border-bottom: 1px solid #e5e5e5; text-align: left; vertical-align: middle; }
+  thead th { position: sticky; top: 4.5rem; background: #fff; }
+  tbody th { font-weight: normal; white-space: nowrap; }
+  td.description { color: #4d4f4f; max-width: 32rem; }
+  .swatch { display: inline-block; width: 1.5rem; height: 1.5rem; border: 1px solid rgba(0, 0, 0, 0.15); border-radius: 0.25rem; vertical-align: middle; }
+  .bar { display: block; height: 0.5rem; margin-top: 0.25rem; background: #005dba; }
+  .previews { display: grid; grid-template-columns: repeat(auto-fill, minmax(16rem, 1fr)); gap: 1rem; margin-bottom: 2rem; }
+  figure { margin: 0; }
+  figcaption { margin-top: 0.5rem; font-size: 0.75rem; }
+  .preview { padding: 1.25rem; border: 1px solid var(--container-default-border-colour-1, #d3d3d3); border-radius: 0.5rem; background: var(--container-default-background-colour); color: var(--text-default-primary-colour); }
+  .preview p { margin: 0.25rem 0 1rem; color: var(--text-default-secondary-colour); }
+  .preview a { color: var(--link-primary-rest-colour); }
+  .preview button { margin-right: 0.5rem; padding: 0.5rem 1rem; border: 2px solid; border-radius: 0.25rem; font: inherit; }
+  .preview .primary { background: var(--button-primary-rest-background-colour); border-color: var(--button-primary-rest-border-colour); color: var(--button-primary-rest-colour); }
+  .preview .secondary { background: var(--button-secondary-rest-background-colour); border-color: var(--button-secondary-rest-border-colour); color: var(--button-secondary-rest-colour); }
+  .status-preview { padding: 1.25rem; border-radius: 0.5rem; background: var(--container-status-subtle-background-colour); color: var(--text-status-subtle-primary-colour); }
+  .status-preview p { margin: 0.25rem 0 1rem; color: var(--text-status-subtle-secondary-colour); }
+  .status-preview .bold { padding: 0.75rem; border-radius: 0.25rem; background: var(--container-status-bold-background-colour); color: var(--text-status-bold-primary-colour); }
+  .status-preview button { margin-top: 1rem; padding: 0.5rem 1rem; border: 2px solid var(--button-status-rest-border-colour); border-radius: 0.25rem; background: var(--button-status-rest-background-colour); color: var(--button-status-rest-colour); font: inherit; }
+  .type-sample { display: block; white-space: nowrap; }
+`;
+
+const DOCS_SCRIPT = `
+  const search = document.getElementById('search');
+  search.addEventListener('input', () => {
+    const query = search.value.trim().toLowerCase();
+    document.querySelectorAll('[data-search]').forEach((row) => {
+      row.hidden = query !== '' && !row.dataset.search.includes(query);
+    });
+  });
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the HTML attributes that apply a set of modes, matching the selectors
+ * getModeSelector builds for the same options
+ */
+function getModeAttributes(modes, options = {}) {
+  const { selectorStrategy = 'class', selectorPrefix = 'lg' } = options;
+  const entries = Object.entries(modes);
+
+  if (selectorStrategy === 'data-attribute') {
+    return entries
+      .map(([kind, value]) => `data-${selectorPrefix}-${kind}="${escapeHtml(value)}"`)
+      .join(' ');
+  }
+
+  const classes = entries.map(([kind, value]) => `${selectorPrefix}-${kind}-${value}`);
+  return `class="${escapeHtml(classes.join(' '))}"`;
+}
+
+/**
+ * Collects grouped tokens into docs table rows, one per variable name with a
+ * value per group, in first-seen order
+ */
+function getDocsRows(groups, getColumn) {
+  const rows = new Map();
+
+  groups.forEach((group) => {
+    group.tokens.forEach(({ varName, token }) => {
+      if (!rows.has(varName)) {
+        rows.set(varName, { name: varName, values: {}, description: '' });
+      }
+
+      const row = rows.get(varName);
+      row.values[getColumn(group)] = token.value;
+      row.description = row.description || token.description || '';
+    });
+  });
+
+  return [...rows.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Builds a table whose rows are filtered by the search box, matching the
+ * token name or its Figma description
+ */
+function formatDocsTable(columns, rows, formatValue) {
+  let output = '<table>\n<thead><tr><th>Token</th>';
+  output += columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+  output += '<th>Description</th></tr></thead>\n<tbody>\n';
+
+  rows.forEach((row) => {
+    const search = `${row.name} ${row.description}`.toLowerCase();
+
+    const label = row.label || `--${row.name}`;
+
+    output += `<tr data-search="${escapeHtml(search)}"><th scope="row"><code>${escapeHtml(label)}</code></th>`;
+    output += columns
+      .map((column) =>
+        row.values[column] === undefined
+          ? '<td></td>'
+          : formatValue(row.values[column], column),
+      )
+      .join('');
+    output += `<td class="description">${escapeHtml(row.description)}</td></tr>\n`;
+  });
+
+  return output + '</tbody>\n</table>\n';
+}
+
+function formatSwatch(value, column) {
+  return `<td><span class="swatch" style="background: ${escapeHtml(value)}" title="${escapeHtml(`${column}: ${value}`)}"></span></td>`;
+}
+
+/**
+ * Declares the preview custom properties of a theme or status group under its
+ * selector, so the previews use the same classes as the CSS output
+ */
+function formatPreviewRule(selector, group, varNames) {
+  const declarations = group.tokens
+    .filter(({ varName }) => varNames.includes(varName))
+    .map(({ varName, token }) => `  --${varName}: ${token.value};`);
+
+  return `${selector} {\n${declarations.join('\n')}\n}\n`;
+}
+
 module.exports = {
   source: [
     'tokens/colour.json',
     'tokens/component-themes.json',
     'tokens/foundations.json',
     'tokens/layout.json',
+    'tokens/text-elements.json',
     'tokens/typography.json',
   ],
   hooks: {
@@ -16,10 +1169,16 @@ module.exports = {
           if (typeof token.value !== 'number') return false;
           if (token.type === 'boolean') return false;
 
+          // Token types follow the variable's Figma scopes, so weights,
+          // opacities and line-height ratios are never sizes
+          if (UNITLESS_TOKEN_TYPES.includes(token.type)) return false;
+          if (isLineHeightRatio(token)) return false;
+
           // Check if the token path contains size-related keywords
           const pathString = token.path.join('-').toLowerCase();
 
-          // Exclude certain tokens that should remain unitless
+          // Exclude certain tokens that should remain unitless, whatever
+          // their scopes (page/cols is scoped to WIDTH_HEIGHT in Figma)
           // Be specific with 'cols' - don't exclude 'colspan'
           if (
             pathString.includes('-cols-') ||
@@ -29,7 +1188,10 @@ module.exports = {
             return false;
           }
 
-          // Include dimension, number, and sizing types, plus specific keywords
+          if (REM_TOKEN_TYPES.includes(token.type)) return true;
+
+          // Fall back to the sizing types (the default for unscoped
+          // variables), plus specific keywords
           return (
             token.type === 'dimension' ||
             token.type === 'number' ||
@@ -57,13 +1219,40 @@ module.exports = {
           return `${remValue}rem`;
         },
       },
+      'size/percent': {
+        type: 'value',
+        filter: function (token) {
+          // Figma opacities are 0-100
+          return typeof token.value === 'number' && token.type === 'opacity';
+        },
+        transform: function (token) {
+          return `${token.value}%`;
+        },
+      },
+      'color/css': {
+        type: 'value',
+        filter: function (token) {
+          return token.type === 'color' && typeof token.value === 'string';
+        },
+        transform: function (token) {
+          // Colours are already CSS colours: hex, with translucent colours as
+          // 8-digit hex or rgb(r g b / a) (see the --color-format option of
+          // figma-raw-to-tokens.js). The built-in transform would turn those into
+          // rgba() or drop the alpha, so they are output as written
+          return token.value.toLowerCase();
+        },
+      },
       'name/kebab': {
         type: 'name',
         filter: function (token) {
           // Apply to all tokens
           return true;
         },
-        transform: function (token) {
+        transform: function (token, config) {
+          // Names set in Figma Dev Mode take precedence over the path
+          const codeSyntaxName = getCodeSyntaxTokenName(token, config?.codeSyntax);
+          if (codeSyntaxName) return codeSyntaxName;
+
           // Helper function to convert to kebab-case
           const toKebab = (str) => {
             return str
@@ -78,6 +1267,16 @@ module.exports = {
           return kebabPath.join('-');
         },
       },
+      'name/codeSyntaxCamel': {
+        type: 'name',
+        filter: function (token, config) {
+          return Boolean(getCodeSyntaxName(token, config?.codeSyntax));
+        },
+        transform: function (token, config) {
+          // e.g. spacing-4-sm -> spacing4Sm, to match name/camel
+          return kebabToCamel(getCodeSyntaxTokenName(token, config?.codeSyntax));
+        },
+      },
       'asset/fontFamily': {
         type: 'value',
         filter: function (token) {
@@ -132,7 +1331,8 @@ module.exports = {
         const isBreakpointLayoutToken = (token) => {
           if (!token.filePath.includes('layout')) return false;
 
-          const name = token.name;
+          // Match the path, as code syntax can rename the variable
+          const name = token.path.join('-').toLowerCase();
           const breakpointSuffixes = ['-sm', '-md', '-lg', '-xl', '-xxl'];
 
           // List of token patterns that should be excluded (they're in layout.css)
@@ -172,216 +1372,39 @@ module.exports = {
           return !isComponentTheme && !isColour && !isBreakpointLayout;
         });
 
-        regularTokens.forEach((token) => {
-          output += `  --${token.name}: ${token.value};\n`;
-        });
-
-        // Now add default theme tokens (blue + neutral, and status generic + neutral)
-        const defaultThemeTokens = dictionary.allTokens.filter((token) => {
-          const isComponentTheme = token.filePath.includes('component-themes');
-          const isColour = token.filePath.includes('colour.json');
-
-          if (!isComponentTheme && !isColour) return false;
-
-          const path = token.path;
-
-          if (isComponentTheme) {
-            const isStatus = token.path.includes('status');
-
-            if (isStatus) {
-              // Special case: link-status border tokens should be included for Info + Neutral as default
-              const isLinkStatusBorder =
-                path.includes('link') &&
-                path.includes('status') &&
-                (path.includes('border-radius') || path.includes('border-width'));
-
-              // For status tokens: path is [..., themeMode, statusMode]
-              const statusMode = path[path.length - 1];
-              const themeMode = path[path.length - 2];
-
-              if (isLinkStatusBorder) {
-                // Include Info + Neutral for link-status border tokens
-                return statusMode === 'Info' && themeMode === 'Neutral';
-              }
-
-              return statusMode === 'Generic' && themeMode === 'Neutral';
-            } else {
-              // For color mode tokens: path is [..., themeMode, colorMode]
-              const colorMode = path[path.length - 1];
-              const themeMode = path[path.length - 2];
-              return colorMode === 'Blue' && themeMode === 'Neutral';
-            }
-          } else if (isColour) {
-            const colorMode = path[path.length - 1];
-            return colorMode === 'Blue';
-          }
-
-          return false;
-        });
-
-        defaultThemeTokens.forEach((token) => {
-          let varName;
+        // Then the default theme tokens (blue + neutral, and status generic + neutral)
+        const entries = [
+          ...regularTokens.map((token) => ({ varName: token.name, token })),
+          ...dictionary.allTokens
+            .filter((token) => isDefaultModeToken(token))
+            .map((token) => ({ varName: getDefaultVarName(token), token })),
+        ];
 
-          if (token.filePath.includes('colour.json')) {
-            varName = 'colour-' + token.path.slice(0, -1).join('-');
-          } else {
-            const pathWithoutModes = token.path.slice(0, -2);
-
-            // Check if 'status' was injected and should be excluded from variable name
-            const statusIndex = pathWithoutModes.indexOf('status');
-            if (statusIndex >= 0) {
-              const componentName = pathWithoutModes[0];
-              const shouldExcludeStatus =
-                componentName === 'input' ||
-                componentName === 'label-and-hint' ||
-                componentName === 'banner' ||
-                componentName === 'segment-button' ||
-                componentName === 'inline-message';
-
-              if (shouldExcludeStatus) {
-                // Remove 'status' from the path for variable naming
-                const pathBeforeStatus = pathWithoutModes.slice(0, statusIndex);
-                const pathAfterStatus = pathWithoutModes.slice(statusIndex + 1);
-                varName = [...pathBeforeStatus, ...pathAfterStatus].join('-');
-              } else {
-                varName = pathWithoutModes.join('-');
-              }
-            } else {
-              varName = pathWithoutModes.join('-');
-            }
-          }
+        reportNameCollisions(file.destination, entries);
 
-          output += `  --${varName}: ${token.value};\n`;
+        entries.forEach(({ varName, token }) => {
+          output += formatDeclaration(varName, token, dictionary, options);
         });
 
         output += '}\n';
         return output;
       },
-      'css/component-themes-classes': function ({ dictionary }) {
-        // Group tokens by color mode and theme mode
-        const grouped = {};
-
-        dictionary.allTokens.forEach((token) => {
-          // Process both component theme and colour tokens
-          const isComponentTheme = token.filePath.includes('component-themes');
-          const isColour = token.filePath.includes('colour.json');
-
-          if (!isComponentTheme && !isColour) return;
-
-          // Check if this is a status token (has 'status' in path)
-          const isStatus = token.path.includes('status');
-
-          // Skip status tokens - they're handled by css/status-classes formatter
-          if (isStatus) return;
-
-          // Extract color mode (and optionally theme mode) from path
-          const path = token.path;
-          let colorMode, themeMode;
-
-          if (isComponentTheme) {
-            // Path structure: [token-name, ..., themeMode, colorMode]
-            colorMode = path[path.length - 1]; // Blue, Green, Red, Yellow
-            themeMode = path[path.length - 2]; // Neutral, Subtle, Bold, Neutral inverse
-          } else if (isColour) {
-            // Path structure: [token-name, ..., colorMode]
-            colorMode = path[path.length - 1]; // Blue, Green, Red, Yellow
-            // For colour tokens, we need to duplicate them across all theme modes
-            // We'll handle this by creating entries for each theme mode
-            const themeModes = ['Neutral', 'Subtle', 'Bold', 'Neutral inverse'];
-
-            themeModes.forEach((tm) => {
-              const colorClass = colorMode.toLowerCase();
-              const themeClass = tm.toLowerCase().replace(/\s+/g, '-');
-              const key = `${colorClass}-${themeClass}`;
-
-              if (!grouped[key]) {
-                grouped[key] = {
-                  colorMode,
-                  themeMode: tm,
-                  colorClass,
-                  themeClass,
-                  tokens: [],
-                };
-              }
-
-              // Create a copy of the token with modified name
-              const colourToken = {
-                ...token,
-                name: 'colour-' + token.path.slice(0, -1).join('-'),
-              };
-
-              grouped[key].tokens.push(colourToken);
-            });
-
-            return; // Skip the normal processing below
-          }
-
-          if (!colorMode || !themeMode) return;
-
-          // Normalize mode names for class names
-          const colorClass = colorMode.toLowerCase();
-          const themeClass = themeMode.toLowerCase().replace(/\s+/g, '-');
-
-          const key = `${colorClass}-${themeClass}`;
-
-          if (!grouped[key]) {
-            grouped[key] = {
-              colorMode,
-              themeMode,
-              colorClass,
-              themeClass,
-              tokens: [],
-            };
-          }
-
-          grouped[key].tokens.push(token);
-        });
-
+      'css/component-themes-classes': function ({ dictionary, options }) {
         // Generate CSS output
         let output =
           '/**\n * Do not edit directly, this file was auto-generated.\n */\n\n';
 
-        // Sort by color mode then theme mode
-        const sortedKeys = Object.keys(grouped).sort((a, b) => {
-          const [colorA, themeA] = a.split('-');
-          const [colorB, themeB] = b.split('-');
-
-          const colorOrder = ['blue', 'green', 'red', 'yellow'];
-          const themeOrder = ['neutral', 'neutral-inverse', 'subtle', 'bold'];
-
-          const colorCompare = colorOrder.indexOf(colorA) - colorOrder.indexOf(colorB);
-          if (colorCompare !== 0) return colorCompare;
-
-          return themeOrder.indexOf(themeA) - themeOrder.indexOf(themeB);
-        });
-
-        sortedKeys.forEach((key) => {
-          const group = grouped[key];
-
+        groupThemeTokens(dictionary.allTokens).forEach((group) => {
           // Skip the default (blue + neutral) combination as it will be in :root in variables.css
           if (group.colorClass === 'blue' && group.themeClass === 'neutral') {
             return;
           }
 
           // Create class selector
-          output += `.lg-mode-${group.colorClass}.lg-theme-${group.themeClass} {\n`;
-
-          // Sort tokens by name for consistent output
-          group.tokens.sort((a, b) => a.name.localeCompare(b.name));
-
-          group.tokens.forEach((token) => {
-            let varName;
-
-            // Check if this is a colour token (it will have the 'colour-' prefix we added)
-            if (token.name && token.name.startsWith('colour-')) {
-              varName = token.name;
-            } else {
-              // Remove color mode and theme mode from variable name for component theme tokens
-              const pathWithoutModes = token.path.slice(0, -2);
-              varName = pathWithoutModes.join('-');
-            }
+          output += `${getModeSelector({ mode: group.colorClass, theme: group.themeClass }, options)} {\n`;
 
-            output += `  --${varName}: ${token.value};\n`;
+          group.tokens.forEach(({ varName, token }) => {
+            output += formatDeclaration(varName, token, dictionary, options);
           });
 
           output += '}\n\n';
@@ -389,60 +1412,63 @@ module.exports = {
 
         return output;
       },
-      'css/colour-classes': function ({ dictionary }) {
-        // Group tokens by color mode
-        const grouped = {};
-
-        dictionary.allTokens.forEach((token) => {
-          // Only process colour tokens
-          if (!token.filePath.includes('colour.json')) return;
+      'css/color-scheme': function ({ dictionary, options }) {
+        // Map one theme mode onto :root, so apps can follow the OS colour scheme
+        // without toggling theme classes
+        const {
+          colorScheme = 'dark',
+          themeMode = 'Neutral inverse',
+          colorMode = 'Blue',
+        } = options;
+
+        // Colour tokens don't vary by theme mode, so they stay as in variables.css
+        const tokens = dictionary.allTokens
+          .filter(
+            (token) =>
+              token.filePath.includes('component-themes') &&
+              isDefaultModeToken(token, { colorMode, themeMode }),
+          )
+          .map((token) => ({ token, varName: getDefaultVarName(token) }))
+          .sort((a, b) => a.varName.localeCompare(b.varName));
+
+        const formatBlock = (indent) => {
+          let block = `${indent}  color-scheme: ${colorScheme};\n`;
+
+          tokens.forEach(({ token, varName }) => {
+            block += formatDeclaration(varName, token, dictionary, options).replace(
+              /^(?=.)/gm,
+              indent,
+            );
+          });
 
-          // Extract color mode from path
-          // Path structure: [token-name, ..., colorMode]
-          const path = token.path;
-          const colorMode = path[path.length - 1]; // Blue, Green, Red, Yellow
+          return block;
+        };
 
-          if (!colorMode) return;
+        let output =
+          '/**\n * Do not edit directly, this file was auto-generated.\n */\n\n';
 
-          // Normalize mode name for class name
-          const colorClass = colorMode.toLowerCase();
+        output += `@media (prefers-color-scheme: ${colorScheme}) {\n`;
+        output += `  :root:not([data-color-scheme]) {\n`;
+        output += formatBlock('  ');
+        output += '  }\n}\n\n';
 
-          if (!grouped[colorClass]) {
-            grouped[colorClass] = {
-              colorMode,
-              colorClass,
-              tokens: [],
-            };
-          }
-
-          grouped[colorClass].tokens.push(token);
-        });
+        output += `[data-color-scheme="${colorScheme}"] {\n`;
+        output += formatBlock('');
+        output += '}\n';
 
+        return output;
+      },
+      'css/colour-classes': function ({ dictionary, options }) {
         // Generate CSS output
         let output =
           '/**\n * Do not edit directly, this file was auto-generated.\n */\n\n';
 
-        // Sort by color mode
-        const colorOrder = ['blue', 'green', 'red', 'yellow'];
-        const sortedKeys = Object.keys(grouped).sort((a, b) => {
-          return colorOrder.indexOf(a) - colorOrder.indexOf(b);
-        });
-
-        sortedKeys.forEach((key) => {
-          const group = grouped[key];
-
+        groupColourTokens(dictionary.allTokens).forEach((group) => {
           // Create class selector
-          output += `.lg-mode-${group.colorClass} {\n`;
-
-          // Sort tokens by name for consistent output
-          group.tokens.sort((a, b) => a.name.localeCompare(b.name));
+          output += `${getModeSelector({ mode: group.colorClass }, options)} {\n`;
 
-          group.tokens.forEach((token) => {
-            // Remove color mode from variable name
-            const pathWithoutMode = token.path.slice(0, -1);
-            const varName = pathWithoutMode.join('-');
-
-            output += `  --${varName}: ${token.value};\n`;
+          group.tokens.forEach(({ varName, token }) => {
+            output += formatDeclaration(varName, token, dictionary, options);
           });
 
           output += '}\n\n';
@@ -450,107 +1476,17 @@ module.exports = {
 
         return output;
       },
-      'css/status-classes': function ({ dictionary }) {
-        // Group tokens by status mode and theme mode
-        const grouped = {};
-
-        dictionary.allTokens.forEach((token) => {
-          // Only process status tokens
-          if (!token.path.includes('status')) return;
-
-          // Extract status mode and theme mode from path
-          // Path structure: [component, 'status', variant, property, themeMode, statusMode]
-          // or: [component, 'status', property, themeMode, statusMode]
-          const path = token.path;
-          const statusMode = path[path.length - 1]; // Info, Success, Warning, Error, Generic
-          const themeMode = path[path.length - 2]; // Neutral, Subtle, Bold, Neutral inverse
-
-          if (!statusMode || !themeMode) return;
-
-          // Normalize mode names
-          const statusClass = statusMode.toLowerCase();
-          const themeClass = themeMode.toLowerCase().replace(/\s+/g, '-');
-
-          const key = `${statusClass}-${themeClass}`;
-
-          if (!grouped[key]) {
-            grouped[key] = {
-              statusMode,
-              themeMode,
-              statusClass,
-              themeClass,
-              tokens: [],
-            };
-          }
-
-          grouped[key].tokens.push(token);
-        });
-
+      'css/status-classes': function ({ dictionary, options }) {
         // Generate CSS output
         let output =
           '/**\n * Do not edit directly, this file was auto-generated.\n */\n\n';
 
-        // Sort by status type then theme mode
-        const statusOrder = ['info', 'success', 'warning', 'error', 'generic'];
-        const themeOrder = ['neutral', 'neutral-inverse', 'subtle', 'bold'];
-        const sortedKeys = Object.keys(grouped).sort((a, b) => {
-          const parts = a.split('-');
-          const sitA = parts[0];
-          const themeAParts = parts.slice(1);
-
-          const partsB = b.split('-');
-          const sitB = partsB[0];
-          const themeBParts = partsB.slice(1);
-
-          const sitAIndex = statusOrder.indexOf(sitA);
-          const sitBIndex = statusOrder.indexOf(sitB);
-
-          if (sitAIndex !== sitBIndex) {
-            return sitAIndex - sitBIndex;
-          }
-
-          // Rejoin theme parts for comparison
-          const themeA = themeAParts.join('-');
-          const themeB = themeBParts.join('-');
-
-          return themeOrder.indexOf(themeA) - themeOrder.indexOf(themeB);
-        });
-
-        sortedKeys.forEach((key) => {
-          const group = grouped[key];
-
+        groupStatusTokens(dictionary.allTokens).forEach((group) => {
           // Create class selector
-          output += `.lg-status-${group.statusClass}.lg-theme-${group.themeClass} {\n`;
-
-          // Sort tokens by name for consistent output
-          group.tokens.sort((a, b) => a.name.localeCompare(b.name));
-
-          group.tokens.forEach((token) => {
-            // Remove theme mode and status mode from variable name
-            // Find 'status' in path and build varName
-            const statusIndex = token.path.indexOf('status');
-
-            if (statusIndex >= 0) {
-              const pathBeforeStatus = token.path.slice(0, statusIndex);
-              const propertyPath = token.path.slice(statusIndex + 1, -2); // exclude themeMode and statusMode
-
-              // Check if this token should exclude the injected 'status' from its name
-              // These components had 'status' injected for routing but shouldn't have it in the variable name
-              const componentName = pathBeforeStatus[0];
-              const shouldExcludeStatus =
-                componentName === 'input' ||
-                componentName === 'label-and-hint' ||
-                componentName === 'banner' ||
-                componentName === 'segment-button' ||
-                componentName === 'inline-message';
-
-              // Combine paths with or without 'status' keyword based on component
-              const varName = shouldExcludeStatus
-                ? [...pathBeforeStatus, ...propertyPath].join('-')
-                : [...pathBeforeStatus, 'status', ...propertyPath].join('-');
-
-              output += `  --${varName}: ${token.value};\n`;
-            }
+          output += `${getModeSelector({ status: group.statusClass, theme: group.themeClass }, options)} {\n`;
+
+          group.tokens.forEach(({ varName, token }) => {
+            output += formatDeclaration(varName, token, dictionary, options);
           });
 
           output += '}\n\n';
@@ -558,7 +1494,7 @@ module.exports = {
 
         return output;
       },
-      'css/layout-grouped': function ({ dictionary }) {
+      'css/layout-grouped': function ({ dictionary, options }) {
         // Group tokens by size prefix
         const grouped = {};
 
@@ -606,13 +1542,540 @@ module.exports = {
           grouped[size].sort((a, b) => a.name.localeCompare(b.name));
 
           grouped[size].forEach((token) => {
-            output += `  --${token.name}: ${token.value};\n`;
+            output += formatDeclaration(token.name, token, dictionary, options);
           });
         });
 
         output += '}\n';
         return output;
       },
+      'css/layout-responsive': function ({ dictionary, options }) {
+        // Unsuffixed layout variables: the smallest breakpoint goes in :root and
+        // larger breakpoints override it from their page/min-width upwards
+        const { query = 'media', containerSelector = '.lg-container' } = options;
+
+        const breakpoints = groupBreakpointTokens(dictionary.allTokens).map(
+          (breakpoint) => ({
+            ...breakpoint,
+            declarations: breakpoint.tokens.map(({ varName, token }) => ({
+              varName,
+              value: getCssValue(token, dictionary, options),
+              output: formatDeclaration(varName, token, dictionary, options),
+            })),
+          }),
+        );
+
+        const indent = (text, prefix) => text.replace(/^(?=.)/gm, prefix);
+
+        let output =
+          '/**\n * Do not edit directly, this file was auto-generated.\n */\n\n';
+
+        const [base, ...overrides] = breakpoints;
+        const previousValues = new Map();
+
+        output += `/* ${base.mode} */\n:root {\n`;
+        base.declarations.forEach((declaration) => {
+          previousValues.set(declaration.varName, declaration.value);
+          output += declaration.output;
+        });
+        output += '}\n';
+
+        if (query === 'container') {
+          output += `\n${containerSelector} {\n  container-type: inline-size;\n}\n`;
+        }
+
+        overrides.forEach((breakpoint) => {
+          // Only output values that differ from the previous breakpoint
+          const changed = breakpoint.declarations.filter(
+            (declaration) =>
+              previousValues.get(declaration.varName) !== declaration.value,
+          );
+          changed.forEach((declaration) =>
+            previousValues.set(declaration.varName, declaration.value),
+          );
+
+          if (changed.length === 0) return;
+
+          const declarations = changed.map((declaration) => declaration.output).join('');
+
+          output += `\n/* ${breakpoint.mode} */\n`;
+          output += `@${query} (min-width: ${breakpoint.minWidth}) {\n`;
+
+          // Container queries style the container's descendants, not the container
+          const selector = query === 'container' ? `${containerSelector} > *` : ':root';
+          output += `  ${selector} {\n${indent(declarations, '  ')}  }\n}\n`;
+        });
+
+        return output;
+      },
+      'scss/variables-with-maps': function ({ dictionary }) {
+        const { allTokens } = dictionary;
+
+        // Values with commas (e.g. font stacks) would become nested lists in a map
+        const formatValue = (value) => {
+          const text = String(value);
+          return text.includes(',') ? `(${text})` : text;
+        };
+
+        // Map entries, followed by any deprecated aliases of them
+        const formatEntries = (entries, indent) =>
+          entries
+            .flatMap(({ varName, token }) => [
+              `${indent}'${varName}': ${formatValue(token.value)},`,
+              ...getDeprecatedAliases(varName).map(
+                (entry) => `${indent}'${entry.name}': var(--${varName}),`,
+              ),
+            ])
+            .join('\n');
+
+        // e.g. (blue: (neutral: (...), subtle: (...)))
+        const formatMap = ({ name, groups, getKeys, comment }) => {
+          const formatNode = (node, depth) => {
+            const indent = '  '.repeat(depth);
+
+            return [...node]
+              .map(([key, child]) => {
+                const body =
+                  child instanceof Map
+                    ? formatNode(child, depth + 1)
+                    : formatEntries(child, `${indent}  `);
+                return `${indent}'${key}': (\n${body}\n${indent}),`;
+              })
+              .join('\n');
+          };
+
+          return `// ${comment}\n$${name}: (\n${formatNode(nestGroups(groups, getKeys), 1)}\n);\n\n`;
+        };
+
+        const { defaults, maps, breakpoints } = getModeMaps(allTokens);
+
+        let output = '// Do not edit directly, this file was auto-generated.\n\n';
+        output += "@use 'sass:map';\n\n";
+
+        // Default values, matching :root in variables.css
+        output += '// Default values\n';
+        defaults.forEach(({ varName, token }) => {
+          output += `$${varName}: ${formatValue(token.value)};\n`;
+
+          getDeprecatedAliases(varName).forEach((entry) => {
+            output += `$${entry.name}: $${varName}; // ${getDeprecationNote(entry, `$${varName}`)}\n`;
+          });
+        });
+        output += '\n';
+
+        maps.forEach((map) => {
+          output += formatMap(map);
+        });
+
+        output += '// Breakpoint min-widths\n$lg-breakpoints: (\n';
+        breakpoints.forEach((breakpoint) => {
+          output += `  '${breakpoint.breakpointClass}': ${breakpoint.minWidth},\n`;
+        });
+        output += ');\n\n';
+
+        // Mixin arguments are interpolated into strings, so colour names like
+        // `green` work as map keys
+        output += `@function -lg-get($map, $keys...) {
+  $value: map.get($map, $keys...);
+  @if not $value {
+    @error 'Unknown mode #{$keys}';
+  }
+  @return $value;
+}
+
+@mixin -lg-properties($tokens) {
+  @each $name, $value in $tokens {
+    --#{$name}: #{$value};
+  }
+}
+
+/// Outputs the colour tokens of a colour mode, e.g. lg-colour(green)
+@mixin lg-colour($mode) {
+  @include -lg-properties(-lg-get($lg-colours, '#{$mode}'));
+}
+
+/// Outputs the colour and component theme tokens of a colour mode and theme mode,
+/// e.g. lg-theme(green, subtle)
+@mixin lg-theme($mode, $theme) {
+  @include lg-colour($mode);
+  @include -lg-properties(-lg-get($lg-themes, '#{$mode}', '#{$theme}'));
+}
+
+/// Outputs the status tokens of a status mode and theme mode, e.g. lg-status(error, bold)
+@mixin lg-status($status, $theme) {
+  @include -lg-properties(-lg-get($lg-statuses, '#{$status}', '#{$theme}'));
+}
+
+/// Outputs the unsuffixed layout tokens of a breakpoint, e.g. lg-layout(md)
+@mixin lg-layout($breakpoint) {
+  @include -lg-properties(-lg-get($lg-layout, '#{$breakpoint}'));
+}
+
+/// Wraps content in a media query from the breakpoint's min-width, e.g. lg-breakpoint(md)
+@mixin lg-breakpoint($breakpoint) {
+  @media (min-width: -lg-get($lg-breakpoints, '#{$breakpoint}')) {
+    @content;
+  }
+}
+`;
+
+        return output;
+      },
+      'less/variables-with-maps': function ({ dictionary }) {
+        // Maps are detached rulesets with @-prefixed keys, so mixins can look up a
+        // mode from a variable (e.g. @lg-colours[@@mode]) and call its ruleset
+        const formatEntries = (entries, indent) =>
+          entries
+            .flatMap(({ varName, token }) => [
+              `${indent}--${varName}: ${token.value};`,
+              ...getDeprecatedAliases(varName).map(
+                (entry) => `${indent}--${entry.name}: var(--${varName});`,
+              ),
+            ])
+            .join('\n');
+
+        // e.g. { @blue: { @neutral: { ... } } }
+        const formatMap = ({ name, groups, getKeys, comment }) => {
+          const formatNode = (node, depth) => {
+            const indent = '  '.repeat(depth);
+
+            return [...node]
+              .map(([key, child]) => {
+                const body =
+                  child instanceof Map
+                    ? formatNode(child, depth + 1)
+                    : formatEntries(child, `${indent}  `);
+                return `${indent}@${key}: {\n${body}\n${indent}}`;
+              })
+              .join('\n');
+          };
+
+          return `// ${comment}\n@${name}: {\n${formatNode(nestGroups(groups, getKeys), 1)}\n}\n\n`;
+        };
+
+        const { defaults, maps, breakpoints } = getModeMaps(dictionary.allTokens);
+
+        let output = '// Do not edit directly, this file was auto-generated.\n\n';
+
+        // Default values, matching :root in variables.css
+        output += '// Default values\n';
+        defaults.forEach(({ varName, token }) => {
+          output += `@${varName}: ${token.value};\n`;
+
+          getDeprecatedAliases(varName).forEach((entry) => {
+            output += `@${entry.name}: @${varName}; // ${getDeprecationNote(entry, `@${varName}`)}\n`;
+          });
+        });
+        output += '\n';
+
+        maps.forEach((map) => {
+          output += formatMap(map);
+        });
+
+        output += '// Breakpoint min-widths\n@lg-breakpoints: {\n';
+        breakpoints.forEach((breakpoint) => {
+          output += `  @${breakpoint.breakpointClass}: ${breakpoint.minWidth};\n`;
+        });
+        output += '}\n\n';
+
+        output += `// Outputs the colour tokens of a colour mode, e.g. .lg-colour(green)
+.lg-colour(@mode) {
+  @tokens: @lg-colours[@@mode];
+  @tokens();
+}
+
+// Outputs the colour and component theme tokens of a colour mode and theme mode,
+// e.g. .lg-theme(green; subtle)
+.lg-theme(@mode; @theme) {
+  .lg-colour(@mode);
+  @tokens: @lg-themes[@@mode][@@theme];
+  @tokens();
+}
+
+// Outputs the status tokens of a status mode and theme mode, e.g. .lg-status(error; bold)
+.lg-status(@status; @theme) {
+  @tokens: @lg-statuses[@@status][@@theme];
+  @tokens();
+}
+
+// Outputs the unsuffixed layout tokens of a breakpoint, e.g. .lg-layout(md)
+.lg-layout(@breakpoint) {
+  @tokens: @lg-layout[@@breakpoint];
+  @tokens();
+}
+
+// Wraps a detached ruleset in a media query from the breakpoint's min-width,
+// e.g. .lg-breakpoint(md; { ... })
+.lg-breakpoint(@breakpoint; @rules) {
+  @media (min-width: @lg-breakpoints[@@breakpoint]) {
+    @rules();
+  }
+}
+`;
+
+        return output;
+      },
+      'css/typography-styles': function ({ dictionary, options }) {
+        // Composite typography styles from typography.config.js: a `font` shorthand
+        // and letter-spacing variable per style, switched at each breakpoint, and
+        // utility classes that use them
+        const { classPrefix = 'lg-type' } = options;
+        const styles = buildTypographyStyles(getTypographySourceTokens(dictionary));
+        const breakpoints = groupBreakpointTokens(dictionary.allTokens);
+        const styleNames = [...new Set(styles.map((style) => style.name))];
+
+        let output =
+          '/**\n * Do not edit directly, this file was auto-generated.\n */\n\n';
+
+        const previousValues = new Map();
+
+        breakpoints.forEach((breakpoint, index) => {
+          const declarations = styles
+            .filter((style) => style.breakpoint === breakpoint.mode)
+            .flatMap(({ name, tokens }) => [
+              [
+                `type-${name}-font`,
+                `${tokens.fontWeight.value} ${tokens.fontSize.value}/${tokens.lineHeight.value} ${tokens.fontFamily.value}`,
+              ],
+              [`type-${name}-letter-spacing`, tokens.letterSpacing.value],
+            ])
+            // Only output values that differ from the previous breakpoint
+            .filter(([varName, value]) => previousValues.get(varName) !== value);
+
+          if (declarations.length === 0) return;
+
+          declarations.forEach(([varName, value]) => previousValues.set(varName, value));
+          const lines = declarations.map(
+            ([varName, value]) => `--${varName}: ${value};\n`,
+          );
+
+          output += `/* ${breakpoint.mode} */\n`;
+          if (index === 0) {
+            output += `:root {\n${lines.map((line) => `  ${line}`).join('')}}\n\n`;
+          } else {
+            output += `@media (min-width: ${breakpoint.minWidth}) {\n  :root {\n`;
+            output += `${lines.map((line) => `    ${line}`).join('')}  }\n}\n\n`;
+          }
+        });
+
+        styleNames.forEach((name) => {
+          output += `.${classPrefix}-${name} {\n`;
+          output += `  font: var(--type-${name}-font);\n`;
+          output += `  letter-spacing: var(--type-${name}-letter-spacing);\n`;
+          output += '}\n\n';
+        });
+
+        return output;
+      },
+      'html/docs': function ({ dictionary, options }) {
+        // Static documentation site: colour swatches per mode, theme and status
+        // previews, and layout and typography scales per breakpoint, with every
+        // token searchable by name or Figma description
+        const { classPrefix = 'lg-type' } = options;
+        const tokens = dictionary.allTokens;
+
+        const colourGroups = groupColourTokens(tokens).map((group) => ({
+          ...group,
+          tokens: group.tokens.map((entry) => ({
+            ...entry,
+            varName: getDefaultVarName(entry.token),
+          })),
+        }));
+        const themeGroups = groupThemeTokens(tokens).map((group) => ({
+          ...group,
+          label: `${group.colorMode} ${group.themeMode}`,
+          modes: { mode: group.colorClass, theme: group.themeClass },
+        }));
+        // Only real status modes have the status container tokens
+        const statusGroups = groupStatusTokens(tokens)
+          .filter((group) =>
+            group.tokens.some(
+              ({ varName }) => varName === 'container-status-subtle-background-colour',
+            ),
+          )
+          .map((group) => ({
+            ...group,
+            label: `${group.statusMode} ${group.themeMode}`,
+            modes: { status: group.statusClass, theme: group.themeClass },
+          }));
+        const breakpoints = groupBreakpointTokens(tokens);
+        const breakpointModes = breakpoints.map((bp) => bp.mode);
+
+        let previewStyles = '';
+        let body = '';
+
+        // Colours
+        body += '<section id="colours">\n<h2>Colours</h2>\n';
+        body += formatDocsTable(
+          colourGroups.map((group) => group.colorMode),
+          getDocsRows(colourGroups, (group) => group.colorMode),
+          formatSwatch,
+        );
+        body += '</section>\n';
+
+        // Themes and statuses: a preview per combination, then every colour
+        // token as a swatch per combination
+        [
+          {
+            id: 'themes',
+            title: 'Themes',
+            groups: themeGroups,
+            varNames: DOCS_THEME_PREVIEW_VARS,
+            preview:
+              '<div class="preview"><strong>Heading</strong><p>Secondary text with a <a href="#themes">link</a></p><button class="primary" type="button">Primary</button><button class="secondary" type="button">Secondary</button></div>',
+          },
+          {
+            id: 'status',
+            title: 'Status',
+            groups: statusGroups,
+            varNames: DOCS_STATUS_PREVIEW_VARS,
+            preview:
+              '<div class="status-preview"><strong>Subtle</strong><p>Secondary text</p><div class="bold">Bold</div><button type="button">Button</button></div>',
+          },
+        ].forEach(({ id, title, groups, varNames, preview }) => {
+          body += `<section id="${id}">\n<h2>${title}</h2>\n<div class="previews">\n`;
+
+          groups.forEach((group) => {
+            const selector = getModeSelector(group.modes, options);
+            previewStyles += formatPreviewRule(selector, group, varNames);
+
+            body += `<figure><div ${getModeAttributes(group.modes, options)}>${preview}</div>`;
+            body += `<figcaption><code>${escapeHtml(selector)}</code></figcaption></figure>\n`;
+          });
+
+          const componentGroups = groups.map((group) => ({
+            ...group,
+            tokens: group.tokens.filter(
+              ({ token }) =>
+                token.filePath.includes('component-themes') && token.type === 'color',
+            ),
+          }));
+
+          body += '</div>\n';
+          body += formatDocsTable(
+            groups.map((group) => group.label),
+            getDocsRows(componentGroups, (group) => group.label),
+            formatSwatch,
+          );
+          body += '</section>\n';
+        });
+
+        // Layout
+        body += '<section id="layout">\n<h2>Layout</h2>\n';
+        body += formatDocsTable(
+          breakpointModes,
+          getDocsRows(breakpoints, (bp) => bp.mode),
+          (value) =>
+            `<td>${escapeHtml(value)}<span class="bar" style="width: ${escapeHtml(value)}"></span></td>`,
+        );
+        body += '</section>\n';
+
+        // Typography: the composite styles, then the typography tokens
+        const styleRows = new Map();
+        buildTypographyStyles(getTypographySourceTokens(dictionary)).forEach(
+          ({ name, breakpoint, tokens: styleTokens }) => {
+            if (!styleRows.has(name)) {
+              styleRows.set(name, {
+                name: `${classPrefix}-${name}`,
+                label: `.${classPrefix}-${name}`,
+                values: {},
+                description: '',
+              });
+            }
+
+            const { fontFamily, fontSize, lineHeight, fontWeight, letterSpacing } =
+              styleTokens;
+            styleRows.get(name).values[breakpoint] = {
+              font: `${fontWeight.value} ${fontSize.value}/${lineHeight.value} ${fontFamily.value}`,
+              letterSpacing: letterSpacing.value,
+            };
+          },
+        );
+
+        const typographyRows = tokens
+          .filter((token) => token.filePath.includes('typography.json'))
+          .map((token) => ({
+            name: token.name,
+            values: { Value: token.value },
+            description: token.description || '',
+          }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+
+        body += '<section id="typography">\n<h2>Typography</h2>\n';
+        body += formatDocsTable(breakpointModes, [...styleRows.values()], (value) => {
+          const style = `font: ${value.font}; letter-spacing: ${value.letterSpacing}`;
+          return `<td><span class="type-sample" style="${escapeHtml(style)}">Aa</span><small>${escapeHtml(value.font)}</small></td>`;
+        });
+        body += formatDocsTable(
+          ['Value'],
+          typographyRows,
+          (value) => `<td><code>${escapeHtml(value)}</code></td>`,
+        );
+        body += '</section>\n';
+
+        const nav = [
+          ['colours', 'Colours'],
+          ['themes', 'Themes'],
+          ['status', 'Status'],
+          ['layout', 'Layout'],
+          ['typography', 'Typography'],
+        ]
+          .map(([id, title]) => `<a href="#${id}">${title}</a>`)
+          .join('');
+
+        return `<!DOCTYPE html>
+<!-- Do not edit directly, this file was auto-generated. -->
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Canopy Design Tokens</title>
+<style>${DOCS_STYLES}</style>
+<style>
+${previewStyles}</style>
+</head>
+<body>
+<header>
+<h1>Canopy Design Tokens</h1>
+<nav>${nav}</nav>
+<input id="search" type="search" placeholder="Search by name or description" aria-label="Search tokens">
+</header>
+<main>
+${body}</main>
+<script>${DOCS_SCRIPT}</script>
+</body>
+</html>
+`;
+      },
+      'typescript/theme-object': function ({ dictionary }) {
+        const { themes, status } = buildThemeObjects(dictionary.allTokens);
+
+        let output = `/**\n * Do not edit directly, this file was auto-generated.\n */\n\n`;
+
+        output += `export const themes = ${formatJsObject(themes)} as const;\n\n`;
+        output += `export const status = ${formatJsObject(status)} as const;\n\n`;
+
+        output += `type Widen<T> = T extends string
+  ? string
+  : T extends number
+    ? number
+    : T extends boolean
+      ? boolean
+      : { readonly [K in keyof T]: Widen<T[K]> };
+
+export type ColourMode = keyof typeof themes;
+export type ThemeMode = keyof (typeof themes)[ColourMode];
+export type StatusMode = keyof typeof status;
+
+/** The tokens of one colour mode and theme mode, e.g. themes.green.subtle */
+export type CanopyTheme = Widen<(typeof themes)[ColourMode][ThemeMode]>;
+
+/** The tokens of one status mode and theme mode, e.g. status.error.bold */
+export type CanopyStatusTheme = Widen<(typeof status)[StatusMode][ThemeMode]>;
+`;
+
+        return output;
+      },
       'typescript/variables-with-typography': function ({ dictionary }) {
         const { allTokens } = dictionary;
 
@@ -651,93 +2114,46 @@ module.exports = {
 
         let output = `/**\n * Do not edit directly, this file was auto-generated.\n */\n\n`;
 
-        // Generate tokens - skip typography tokens, simple exports for others
+        // Generate tokens - skip typography tokens, simple exports for others.
+        // Typefaces are exported on their own too, as they do not vary by
+        // breakpoint
+        const deprecatedExports = [];
+
         allTokens.forEach((token) => {
           const name = token.name.replace(/-/g, '_').replace(/^_+/, '');
 
-          if (!isTypographyToken(token)) {
+          if (!isTypographyToken(token) || token.type === 'fontFamilies') {
             // Simple export for non-typography tokens
             output += `export const ${name} = ${formatValue(token.value)};\n`;
-          }
-        });
-
-        // Now add typography composite styles
 
-        // Group font sizes and line heights by scale and mode
-        const fontSizeTokens = {};
-        const lineHeightTokens = {};
-        const fontFamilyTokens = {};
-
-        allTokens.forEach((token) => {
-          if (token.type === 'fontSizes' && token.path.includes('font-size')) {
-            const key = token.path.join('|');
-            fontSizeTokens[key] = token;
-          } else if (token.type === 'lineHeights' && token.path.includes('line-height')) {
-            const key = token.path.join('|');
-            lineHeightTokens[key] = token;
-          } else if (
-            token.type === 'fontFamilies' &&
-            token.path.includes('font-family')
-          ) {
-            const mode = token.path[token.path.length - 1];
-            fontFamilyTokens[mode] = token;
+            getDeprecatedExports(token, name).forEach((deprecated) =>
+              deprecatedExports.push({ ...deprecated, replacement: name }),
+            );
           }
         });
 
-        // Create composite typography objects
-        const typographyStyles = [];
-
-        Object.keys(fontSizeTokens).forEach((sizeKey) => {
-          const sizeToken = fontSizeTokens[sizeKey];
-          const sizePath = sizeKey.split('|');
-
-          // Try to find matching line height
-          const lineHeightKey = sizePath
-            .map((p) => (p === 'font-size' ? 'line-height' : p))
-            .join('|');
-          const lineHeightToken = lineHeightTokens[lineHeightKey];
-
-          if (lineHeightToken) {
-            const scale = sizePath[1];
-            const mode = sizePath[2];
-
-            // Determine font family based on scale and mode
-            const useExpressive =
-              parseInt(scale) >= 6 && ['LG', 'XL', 'XXL'].includes(mode);
-            const fontFamily = useExpressive
-              ? fontFamilyTokens['Expressive']
-                ? fontFamilyTokens['Expressive'].value
-                : 'ABC Otto'
-              : fontFamilyTokens['Productive']
-                ? fontFamilyTokens['Productive'].value
-                : 'Nunito Sans';
-
-            // Create meaningful name
-            const scaleNames = {
-              '0-6': 'Caption2',
-              '0-8': 'Caption1',
-              1: 'Body',
-              2: 'Callout',
-              3: 'Subheadline',
-              4: 'Headline',
-              5: 'Title3',
-              6: 'Title2',
-              7: 'Title1',
-              8: 'LargeTitle',
-              9: 'LargeTitle2',
-            };
-
-            const scaleName = scaleNames[scale] || `Size${scale}`;
-            const modeName = mode.charAt(0).toUpperCase() + mode.slice(1).toLowerCase();
-            const styleName = `typography${scaleName}${modeName}${useExpressive ? 'Expressive' : 'Productive'}`;
+        // Deprecated names, kept as aliases until they leave the release window
+        deprecatedExports.forEach(({ entry, name, replacement }) => {
+          output += getDeprecationDoc(entry, replacement);
+          output += `export const ${name} = ${replacement};\n`;
+        });
 
-            typographyStyles.push({
-              name: styleName,
-              fontFamily,
-              fontSize: sizeToken.value,
-              lineHeight: lineHeightToken.value,
-            });
-          }
+        // Now add typography composite styles, named by typography.config.js
+        const typographyStyles = buildTypographyStyles(
+          getTypographySourceTokens(dictionary),
+        ).map((style) => {
+          const scaleName = kebabToCamel(style.name).replace(/^./, (c) =>
+            c.toUpperCase(),
+          );
+          const mode = style.breakpoint;
+          const modeName = mode.charAt(0).toUpperCase() + mode.slice(1).toLowerCase();
+
+          return {
+            name: `typography${scaleName}${modeName}${style.typeface}`,
+            fontFamily: style.tokens.fontFamily.value,
+            fontSize: style.tokens.fontSize.value,
+            lineHeight: style.tokens.lineHeight.value,
+          };
         });
 
         // Sort and deduplicate typography styles
@@ -749,20 +2165,50 @@ module.exports = {
           }
         });
 
+        const sortedStyles = Object.values(uniqueStyles).sort((a, b) =>
+          a.name.localeCompare(b.name),
+        );
+
         // Output typography composite objects
-        Object.values(uniqueStyles)
-          .sort((a, b) => a.name.localeCompare(b.name))
-          .forEach((style) => {
-            output += `export const ${style.name} = {\n`;
-            output += `  fontFamily: "${style.fontFamily}",\n`;
-            output += `  fontSize: ${style.fontSize},\n`;
-            output += `  lineHeight: ${style.lineHeight},\n`;
-            output += `};\n`;
+        sortedStyles.forEach((style) => {
+          output += `export const ${style.name} = {\n`;
+          output += `  fontFamily: "${style.fontFamily}",\n`;
+          output += `  fontSize: ${style.fontSize},\n`;
+          output += `  lineHeight: ${style.lineHeight},\n`;
+          output += `};\n`;
+        });
+
+        // Deprecated typography names, registered by export name. Entries
+        // with a `value` keep their old style, as their replacement differs
+        sortedStyles.forEach((style) => {
+          getDeprecatedAliases(style.name).forEach((entry) => {
+            output += getDeprecationDoc(entry, style.name);
+
+            if (entry.value) {
+              output += `export const ${entry.name} = {\n`;
+              output += `  fontFamily: "${entry.value.fontFamily}",\n`;
+              output += `  fontSize: ${entry.value.fontSize},\n`;
+              output += `  lineHeight: ${entry.value.lineHeight},\n`;
+              output += `};\n`;
+            } else {
+              output += `export const ${entry.name} = ${style.name};\n`;
+            }
           });
+        });
 
         return output;
       },
     },
+    actions: {
+      'js/modules': {
+        do: function (dictionary, platform) {
+          writeJsModules(dictionary.allTokens.filter(isPublicToken), platform.buildPath);
+        },
+        undo: function (dictionary, platform) {
+          fs.rmSync(platform.buildPath, { recursive: true, force: true });
+        },
+      },
+    },
   },
   preprocessors: ['tokens-studio'],
   log: {
@@ -778,6 +2224,7 @@ module.exports = {
         'time/seconds',
         'html/icon',
         'size/pxToRem',
+        'size/percent',
         'color/css',
         'asset/url',
         'fontFamily/css',
@@ -795,14 +2242,27 @@ module.exports = {
           format: 'css/component-themes-classes',
           filter: function (token) {
             return (
-              token.value !== null &&
-              token.value !== undefined &&
+              isPublicToken(token) &&
               (token.filePath.includes('component-themes') ||
                 token.filePath.includes('colour.json'))
             );
           },
           options: {
-            outputReferences: false,
+            outputReferences: true,
+            ...selectorOptions,
+          },
+        },
+        {
+          destination: 'color-scheme.css',
+          format: 'css/color-scheme',
+          filter: function (token) {
+            return isPublicToken(token) && token.filePath.includes('component-themes');
+          },
+          options: {
+            outputReferences: true,
+            colorScheme: 'dark',
+            themeMode: 'Neutral inverse',
+            colorMode: 'Blue',
           },
         },
       ],
@@ -816,6 +2276,7 @@ module.exports = {
         'time/seconds',
         'html/icon',
         'size/pxToRem',
+        'size/percent',
         'color/css',
         'asset/url',
         'fontFamily/css',
@@ -832,15 +2293,11 @@ module.exports = {
           destination: 'status.css',
           format: 'css/status-classes',
           filter: function (token) {
-            return (
-              token.value !== null &&
-              token.value !== undefined &&
-              token.path &&
-              token.path.includes('status')
-            );
+            return isPublicToken(token) && token.path && token.path.includes('status');
           },
           options: {
-            outputReferences: false,
+            outputReferences: true,
+            ...selectorOptions,
           },
         },
       ],
@@ -854,6 +2311,7 @@ module.exports = {
         'time/seconds',
         'html/icon',
         'size/pxToRem',
+        'size/percent',
         'color/css',
         'asset/url',
         'fontFamily/css',
@@ -870,14 +2328,33 @@ module.exports = {
           destination: 'layout.css',
           format: 'css/layout-grouped',
           filter: function (token) {
-            return (
-              token.value !== null &&
-              token.value !== undefined &&
-              token.filePath.includes('layout')
-            );
+            return isPublicToken(token) && token.filePath.includes('layout');
+          },
+          options: {
+            outputReferences: true,
+          },
+        },
+        {
+          destination: 'layout-responsive.css',
+          format: 'css/layout-responsive',
+          filter: function (token) {
+            return isPublicToken(token) && token.filePath.includes('layout');
+          },
+          options: {
+            outputReferences: true,
+            query: 'media',
+          },
+        },
+        {
+          destination: 'layout-container.css',
+          format: 'css/layout-responsive',
+          filter: function (token) {
+            return isPublicToken(token) && token.filePath.includes('layout');
           },
           options: {
-            outputReferences: false,
+            outputReferences: true,
+            query: 'container',
+            containerSelector: '.lg-container',
           },
         },
       ],
@@ -891,6 +2368,7 @@ module.exports = {
         'time/seconds',
         'html/icon',
         'size/pxToRem',
+        'size/percent',
         'size/letterSpacingRound',
         'color/css',
         'asset/url',
@@ -908,15 +2386,24 @@ module.exports = {
         {
           destination: 'typography.css',
           format: 'css/variables',
+          filter: function (token) {
+            return isPublicToken(token) && token.filePath.includes('typography');
+          },
+          options: {
+            outputReferences: true,
+          },
+        },
+        {
+          destination: 'typography-styles.css',
+          format: 'css/typography-styles',
           filter: function (token) {
             return (
-              token.value !== null &&
-              token.value !== undefined &&
-              token.filePath.includes('typography')
+              isPublicToken(token) &&
+              (token.filePath.includes('typography') || token.filePath.includes('layout'))
             );
           },
           options: {
-            outputReferences: false,
+            classPrefix: 'lg-type',
           },
         },
       ],
@@ -930,6 +2417,7 @@ module.exports = {
         'time/seconds',
         'html/icon',
         'size/pxToRem',
+        'size/percent',
         'color/css',
         'asset/url',
         'fontFamily/css',
@@ -946,14 +2434,10 @@ module.exports = {
           destination: 'link.css',
           format: 'css/variables',
           filter: function (token) {
-            return (
-              token.value !== null &&
-              token.value !== undefined &&
-              token.filePath.includes('link.json')
-            );
+            return isPublicToken(token) && token.filePath.includes('link.json');
           },
           options: {
-            outputReferences: false,
+            outputReferences: true,
           },
         },
       ],
@@ -967,6 +2451,7 @@ module.exports = {
         'time/seconds',
         'html/icon',
         'size/pxToRem',
+        'size/percent',
         'color/css',
         'asset/url',
         'fontFamily/css',
@@ -983,14 +2468,10 @@ module.exports = {
           destination: 'link-menu.css',
           format: 'css/variables',
           filter: function (token) {
-            return (
-              token.value !== null &&
-              token.value !== undefined &&
-              token.filePath.includes('link-menu.json')
-            );
+            return isPublicToken(token) && token.filePath.includes('link-menu.json');
           },
           options: {
-            outputReferences: false,
+            outputReferences: true,
           },
         },
       ],
@@ -1004,6 +2485,7 @@ module.exports = {
         'time/seconds',
         'html/icon',
         'size/pxToRem',
+        'size/percent',
         'color/css',
         'asset/url',
         'fontFamily/css',
@@ -1020,25 +2502,145 @@ module.exports = {
           destination: 'variables.css',
           format: 'css/variables-with-defaults',
           filter: function (token) {
-            return token.value !== null && token.value !== undefined;
+            return isPublicToken(token);
           },
           options: {
-            outputReferences: false,
+            outputReferences: true,
           },
         },
       ],
     },
 
+    // Static HTML documentation site
+    docs: {
+      transforms: [
+        'attribute/cti',
+        'name/kebab',
+        'time/seconds',
+        'html/icon',
+        'size/pxToRem',
+        'size/percent',
+        'size/letterSpacingRound',
+        'color/css',
+        'asset/url',
+        'asset/fontFamily',
+        'fontFamily/css',
+        'cubicBezier/css',
+        'strokeStyle/css/shorthand',
+        'border/css/shorthand',
+        'typography/css/shorthand',
+        'transition/css/shorthand',
+        'shadow/css/shorthand',
+      ],
+      buildPath: 'build/docs/',
+      files: [
+        {
+          destination: 'index.html',
+          format: 'html/docs',
+          filter: function (token) {
+            return isPublicToken(token);
+          },
+          options: {
+            ...selectorOptions,
+            classPrefix: 'lg-type',
+          },
+        },
+      ],
+    },
+
+    // SCSS variables, maps and mixins
+    scss: {
+      transforms: [
+        'attribute/cti',
+        'name/kebab',
+        'time/seconds',
+        'html/icon',
+        'size/pxToRem',
+        'size/percent',
+        'color/css',
+        'asset/url',
+        'fontFamily/css',
+        'cubicBezier/css',
+        'strokeStyle/css/shorthand',
+        'border/css/shorthand',
+        'typography/css/shorthand',
+        'transition/css/shorthand',
+        'shadow/css/shorthand',
+      ],
+      buildPath: 'build/scss/',
+      files: [
+        {
+          destination: '_variables.scss',
+          format: 'scss/variables-with-maps',
+          filter: function (token) {
+            return isPublicToken(token);
+          },
+        },
+      ],
+    },
+
+    // Less variables, maps and mixins, matching the SCSS output
+    less: {
+      transforms: [
+        'attribute/cti',
+        'name/kebab',
+        'time/seconds',
+        'html/icon',
+        'size/pxToRem',
+        'size/percent',
+        'color/css',
+        'asset/url',
+        'fontFamily/css',
+        'cubicBezier/css',
+        'strokeStyle/css/shorthand',
+        'border/css/shorthand',
+        'typography/css/shorthand',
+        'transition/css/shorthand',
+        'shadow/css/shorthand',
+      ],
+      buildPath: 'build/less/',
+      files: [
+        {
+          destination: 'variables.less',
+          format: 'less/variables-with-maps',
+          filter: function (token) {
+            return isPublicToken(token);
+          },
+        },
+      ],
+    },
+
+    // JavaScript modules - ESM and CommonJS, split per collection and mode
+    js: {
+      transformGroup: 'react-native',
+      transforms: ['name/codeSyntaxCamel'],
+      buildPath: 'build/js/',
+      files: [],
+      actions: ['js/modules'],
+    },
+
     // TypeScript tokens
     ts: {
       transformGroup: 'react-native',
+      transforms: ['name/codeSyntaxCamel'],
       buildPath: 'build/ts/',
       files: [
         {
           destination: 'variables.ts',
           format: 'typescript/variables-with-typography',
           filter: function (token) {
-            return token.value !== null && token.value !== undefined;
+            return isPublicToken(token);
+          },
+        },
+        {
+          destination: 'themes.ts',
+          format: 'typescript/theme-object',
+          filter: function (token) {
+            return (
+              isPublicToken(token) &&
+              (token.filePath.includes('component-themes') ||
+                token.filePath.includes('colour.json'))
+            );
           },
         },
       ],
@@ -0,0 +1,103 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const {
+  auditContrast,
+  collectCombinations,
+  getContrastPairs,
+  indexReferences,
+  markNewFailures,
+} = require('../audit-token-contrast');
+
+// A colour token in the Neutral/Blue and Bold/Blue combinations
+function colour(neutral, bold = neutral) {
+  return {
+    Neutral: { Blue: { value: neutral, type: 'color' } },
+    Bold: { Blue: { value: bold, type: 'color' } },
+  };
+}
+
+const themes = {
+  container: { default: { 'background-colour': colour('#ffffff', '#005dba') } },
+  text: {
+    default: { primary: { colour: colour('#1d1d1b', '#ffffff') } },
+    status: { subtle: { secondary: { colour: colour('#4d4f4f', '#ffffff') } } },
+  },
+  button: {
+    primary: {
+      rest: {
+        colour: colour('#ffffff'),
+        'background-colour': colour('#005dba'),
+      },
+      hover: { colour: colour('{colour.blue.600}') },
+    },
+  },
+};
+
+const foundations = { colour: { blue: { 600: { value: '#005dba', type: 'color' } } } };
+
+describe('getContrastPairs', () => {
+  it('pairs foregrounds with their own background or their designed surface', () => {
+    const pairs = getContrastPairs(
+      collectCombinations(themes, indexReferences([foundations])),
+    );
+
+    // The status text and hover colours have no background of their own
+    assert.deepEqual(
+      pairs.map(({ foreground, background }) => `${foreground} on ${background}`),
+      [
+        'text/default/primary/colour on container/default/background-colour',
+        'button/primary/rest/colour on button/primary/rest/background-colour',
+      ],
+    );
+  });
+});
+
+describe('collectCombinations', () => {
+  it('resolves references to other token files', () => {
+    const combinations = collectCombinations(themes, indexReferences([foundations]));
+
+    assert.equal(
+      combinations.get('Neutral/Blue').get('button/primary/hover/colour'),
+      '#005dba',
+    );
+  });
+
+  it('skips references it cannot resolve', () => {
+    const combinations = collectCombinations(themes);
+
+    assert.equal(
+      combinations.get('Neutral/Blue').has('button/primary/hover/colour'),
+      false,
+    );
+  });
+});
+
+describe('markNewFailures', () => {
+  it('marks only the failures that passed in the baseline', () => {
+    // The badge fails in both, the button only after the change
+    const badge = { colour: colour('#eeeeee'), 'background-colour': colour('#ffffff') };
+    const failing = {
+      ...themes,
+      badge,
+      button: {
+        primary: { rest: { ...themes.button.primary.rest, colour: colour('#0b5cb8') } },
+      },
+    };
+    const baseline = auditContrast(collectCombinations({ ...themes, badge }));
+    const results = markNewFailures(
+      auditContrast(collectCombinations(failing)),
+      baseline,
+    );
+    const failures = results.flatMap((result) => result.failures);
+
+    assert.deepEqual(
+      failures.map((check) => [check.foreground, check.combination, check.isNew]),
+      [
+        ['#0b5cb8', 'Neutral/Blue', true],
+        ['#0b5cb8', 'Bold/Blue', true],
+        ['#eeeeee', 'Neutral/Blue', false],
+        ['#eeeeee', 'Bold/Blue', false],
+      ],
+    );
+  });
+});
@@ -0,0 +1,125 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const {
+  classifyChanges,
+  getCommitHeader,
+  getCommitMessage,
+} = require('../classify-token-changes');
+const {
+  compareVariableMaps,
+  parseCssVariables,
+} = require('../list-changed-css-variables');
+
+const before = `
+:root { --colour-brand-primary: #005dba; --space-4: 1rem; }
+.lg-mode-red.lg-theme-bold { --button-background-colour: #c50b30; }
+`;
+
+/**
+ * Compares the before CSS with the given CSS, as compareBuildFiles does
+ */
+function classify(after) {
+  const result = compareVariableMaps(parseCssVariables(before), parseCssVariables(after));
+
+  return classifyChanges(
+    result.selectors.length > 0 ? [{ file: 'build/css/variables.css', ...result }] : [],
+  );
+}
+
+describe('classifyChanges', () => {
+  it('is none without changes', () => {
+    assert.deepEqual(classify(before), {
+      releaseType: 'none',
+      reasons: [],
+      counts: {
+        addedSelectors: 0,
+        removedSelectors: 0,
+        added: 0,
+        removed: 0,
+        renamed: 0,
+        changed: 0,
+      },
+    });
+  });
+
+  it('is a patch for value changes only', () => {
+    const { releaseType, reasons } = classify(
+      before.replace('--space-4: 1rem', '--space-4: 1.25rem'),
+    );
+
+    assert.equal(releaseType, 'patch');
+    assert.deepEqual(reasons, ['1 changed values']);
+  });
+
+  it('is minor for added variables and selectors', () => {
+    const { releaseType, reasons } = classify(
+      `${before.replace('--space-4: 1rem;', '--space-4: 1rem; --space-5: 1.5rem;')}
+.lg-mode-green.lg-theme-bold { --button-background-colour: #00633d; }`,
+    );
+
+    assert.equal(releaseType, 'minor');
+    assert.deepEqual(reasons, ['1 added selectors', '2 added variables']);
+  });
+
+  it('is major for removed selectors and removed or renamed variables', () => {
+    const { releaseType, reasons } = classify(`
+:root { --colour-brand: #005dba; --space-5: 1.5rem; }`);
+
+    assert.equal(releaseType, 'major');
+    assert.deepEqual(reasons, [
+      '1 removed selectors',
+      '2 removed variables',
+      '1 renamed variables',
+      '1 added variables',
+    ]);
+  });
+});
+
+describe('getCommitHeader', () => {
+  it('marks major changes as breaking and unchanged outputs as unscoped chores', () => {
+    assert.equal(
+      getCommitHeader('major'),
+      'feat(design-tokens)!: update Figma design tokens',
+    );
+    assert.equal(
+      getCommitHeader('minor'),
+      'feat(design-tokens): update Figma design tokens',
+    );
+    assert.equal(
+      getCommitHeader('patch'),
+      'fix(design-tokens): update Figma design tokens',
+    );
+    assert.equal(getCommitHeader('none'), 'chore: update Figma design tokens');
+  });
+});
+
+describe('getCommitMessage', () => {
+  it('lists the reasons, with a BREAKING CHANGE footer for major changes', () => {
+    assert.equal(
+      getCommitMessage({
+        releaseType: 'major',
+        reasons: ['2 removed variables', '1 renamed variables', '1 added variables'],
+      }),
+      [
+        'feat(design-tokens)!: update Figma design tokens',
+        '',
+        '- 2 removed variables',
+        '- 1 renamed variables',
+        '- 1 added variables',
+        '',
+        'BREAKING CHANGE: 2 removed variables, 1 renamed variables',
+      ].join('\n'),
+    );
+  });
+
+  it('has no footer for other changes', () => {
+    assert.equal(
+      getCommitMessage({ releaseType: 'minor', reasons: ['1 added variables'] }),
+      'feat(design-tokens): update Figma design tokens\n\n- 1 added variables',
+    );
+    assert.equal(
+      getCommitMessage({ releaseType: 'none', reasons: [] }),
+      'chore: update Figma design tokens',
+    );
+  });
+});
@@ -0,0 +1,641 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, mock } = require('node:test');
+const {
+  processVariablesByCollection,
+  saveTokensByCollection,
+} = require('../figma-raw-to-tokens');
+const { meta } = require('./fixtures/figma-variables-raw.json');
+
+function processFixture(variables = meta.variables, options = {}) {
+  const diagnostics = [];
+  const tokens = processVariablesByCollection(variables, meta.variableCollections, {
+    diagnostics,
+    ...options,
+  });
+
+  return { tokens, diagnostics };
+}
+
+function withValues(id, valuesByMode) {
+  return {
+    ...meta.variables,
+    [id]: { ...meta.variables[id], valuesByMode },
+  };
+}
+
+function withVariable(id, overrides) {
+  return {
+    ...meta.variables,
+    [id]: { ...meta.variables[id], ...overrides },
+  };
+}
+
+function withScopes(id, scopes) {
+  return {
+    ...meta.variables,
+    [id]: { ...meta.variables[id], scopes },
+  };
+}
+
+function withDeleted(id) {
+  return {
+    ...meta.variables,
+    [id]: { ...meta.variables[id], deletedButReferenced: true },
+  };
+}
+
+const alias = (id) => ({ type: 'VARIABLE_ALIAS', id });
+
+describe('processVariablesByCollection', () => {
+  describe('collections', () => {
+    it('saves standard collections and merges component collections into Component themes', () => {
+      const { tokens } = processFixture();
+
+      assert.deepEqual(Object.keys(tokens).sort(), [
+        'Colour',
+        'Component themes',
+        'Foundations',
+        'Layout',
+        'Typography',
+      ]);
+      assert.ok(tokens['Component themes'].button);
+    });
+
+    it('keeps the Figma description and token type', () => {
+      const { tokens } = processFixture();
+
+      assert.deepEqual(tokens.Colour.brand.primary.Blue, {
+        value: '#005dba',
+        type: 'color',
+        description: 'Primary brand colour',
+      });
+      assert.equal(tokens.Layout.space['4'].SM.type, 'spacing');
+    });
+  });
+
+  describe('mode expansion', () => {
+    it('adds a mode segment only for collections with several modes', () => {
+      const { tokens } = processFixture();
+
+      assert.equal(tokens.Foundations.colour.white.value, '#ffffff');
+      assert.deepEqual(Object.keys(tokens.Colour.brand.primary), ['Blue', 'Green']);
+      assert.deepEqual(Object.keys(tokens.Layout.space['4']), ['SM', 'LG']);
+      assert.equal(tokens.Layout.space['4'].LG.value, 24);
+    });
+
+    it('expands component themes across theme and colour modes', () => {
+      const background =
+        processFixture().tokens['Component themes'].container.default[
+          'background-colour'
+        ];
+
+      assert.deepEqual(Object.keys(background), ['Neutral', 'Neutral inverse', 'Bold']);
+      assert.deepEqual(Object.keys(background.Bold), ['Blue', 'Green']);
+    });
+
+    it('expands single-mode component collections across every theme and colour mode', () => {
+      const paddingX = processFixture().tokens['Component themes'].button['padding-x'];
+
+      assert.deepEqual(Object.keys(paddingX), ['Neutral', 'Neutral inverse', 'Bold']);
+      assert.equal(paddingX['Neutral inverse'].Green.value, 16);
+    });
+  });
+
+  describe('values', () => {
+    it('keeps 0 and false values', () => {
+      const variables = withValues('VariableID:6:2', { '6:0': 0, '6:1': 24 });
+      variables['VariableID:9:1'] = {
+        ...variables['VariableID:6:2'],
+        id: 'VariableID:9:1',
+        name: 'visibility/show-at/SM',
+        resolvedType: 'BOOLEAN',
+        valuesByMode: { '6:0': false, '6:1': true },
+      };
+
+      const { tokens, diagnostics } = processFixture(variables);
+
+      assert.equal(tokens.Layout.space['4'].SM.value, 0);
+      assert.equal(tokens.Layout.visibility['show-at'].SM.SM.value, false);
+      assert.deepEqual(diagnostics, []);
+    });
+  });
+
+  describe('alias chains', () => {
+    it('resolves theme -> colour -> foundation aliases in each mode', () => {
+      const background =
+        processFixture().tokens['Component themes'].container.default[
+          'background-colour'
+        ];
+
+      assert.equal(background.Neutral.Blue.value, '#ffffff');
+      assert.equal(background['Neutral inverse'].Green.value, '#1d1d1b');
+      assert.equal(background.Bold.Blue.value, '#005dba');
+      assert.equal(background.Bold.Green.value, '#00633d');
+    });
+
+    it('resolves component aliases through the theme and colour mode', () => {
+      const { tokens } = processFixture();
+      const background =
+        tokens['Component themes'].button.primary.rest['background-colour'];
+
+      assert.equal(background.Neutral.Green.value, '#ffffff');
+      assert.equal(background.Bold.Green.value, '#00633d');
+    });
+
+    it('keeps foundation aliases as references with outputReferences', () => {
+      const { tokens } = processFixture(meta.variables, { outputReferences: true });
+
+      assert.equal(
+        tokens['Component themes'].container.default['background-colour'].Neutral.Blue
+          .value,
+        '{colour.white}',
+      );
+    });
+
+    it('reports aliases to missing variables, and the tokens that alias them', () => {
+      const { tokens, diagnostics } = processFixture(
+        withValues('VariableID:2:2', {
+          '2:0': alias('VariableID:9:9'),
+          '2:1': alias('VariableID:1:3'),
+        }),
+      );
+
+      assert.equal(tokens.Colour.text.primary.Blue, undefined);
+      assert.equal(tokens.Colour.text.primary.Green.value, '#1d1d1b');
+      assert.deepEqual(
+        diagnostics.map(({ name, reason, aliasId, modes }) => ({
+          name,
+          reason,
+          aliasId,
+          modes,
+        })),
+        [
+          {
+            name: 'text/primary',
+            reason: 'missing-alias-target',
+            aliasId: 'VariableID:9:9',
+            modes: ['Blue'],
+          },
+          {
+            name: 'text/default/primary/colour',
+            reason: 'missing-alias-target',
+            aliasId: 'VariableID:9:9',
+            modes: ['Neutral/Blue'],
+          },
+        ],
+      );
+    });
+
+    it('reports alias cycles', () => {
+      const variables = withValues('VariableID:2:2', {
+        '2:0': alias('VariableID:2:1'),
+        '2:1': alias('VariableID:1:3'),
+      });
+      variables['VariableID:2:1'] = {
+        ...variables['VariableID:2:1'],
+        valuesByMode: { '2:0': alias('VariableID:2:2'), '2:1': alias('VariableID:1:2') },
+      };
+
+      const { diagnostics } = processFixture(variables);
+
+      assert.deepEqual(
+        diagnostics
+          .filter(({ collection }) => collection === 'Colour')
+          .map(({ name, reason, modes }) => ({ name, reason, modes })),
+        [
+          { name: 'brand/primary', reason: 'cycle', modes: ['Blue'] },
+          { name: 'text/primary', reason: 'cycle', modes: ['Blue'] },
+        ],
+      );
+      assert.ok(diagnostics.every(({ reason }) => reason === 'cycle'));
+    });
+
+    /**
+     * Adds a library copy of the Colour collection, with its own mode ids, and
+     * aliases link/colour to a variable in it in every theme mode
+     */
+    function withLibraryColour(modes, valuesByMode) {
+      const collection = {
+        ...meta.variableCollections['VariableCollectionId:2:1'],
+        id: 'VariableCollectionId:9:1',
+        remote: true,
+        modes,
+        variableIds: ['VariableID:9:1'],
+      };
+      const variables = {
+        ...withValues('VariableID:4:6', {
+          '4:0': alias('VariableID:9:1'),
+          '4:1': alias('VariableID:9:1'),
+          '4:2': alias('VariableID:9:1'),
+        }),
+        'VariableID:9:1': {
+          ...meta.variables['VariableID:2:1'],
+          id: 'VariableID:9:1',
+          name: 'accent/primary',
+          variableCollectionId: collection.id,
+          valuesByMode,
+        },
+      };
+      const fallbacks = [];
+      const tokens = processVariablesByCollection(
+        variables,
+        { ...meta.variableCollections, [collection.id]: collection },
+        { fallbacks },
+      );
+
+      return { link: tokens['Component themes'].link.colour, fallbacks };
+    }
+
+    it('matches the modes of library collections by name', () => {
+      const { link, fallbacks } = withLibraryColour(
+        [
+          { modeId: '9:0', name: 'Blue' },
+          { modeId: '9:1', name: 'Green' },
+        ],
+        { '9:0': '#005dba', '9:1': '#00633d' },
+      );
+
+      assert.equal(link.Neutral.Blue.value, '#005dba');
+      assert.equal(link.Neutral.Green.value, '#00633d');
+      assert.deepEqual(fallbacks, []);
+    });
+
+    it('reports aliases resolved with the first mode of their target', () => {
+      const { link, fallbacks } = withLibraryColour([{ modeId: '9:0', name: 'Blue' }], {
+        '9:0': '#005dba',
+      });
+
+      assert.equal(link.Neutral.Green.value, '#005dba');
+      assert.deepEqual(fallbacks, [
+        {
+          variableId: 'VariableID:9:1',
+          name: 'accent/primary',
+          collection: 'Colour',
+          mode: 'Green',
+          fallbackMode: 'Blue',
+        },
+      ]);
+    });
+
+    it('keeps false values instead of falling back to another mode', () => {
+      const { tokens } = processFixture(
+        withValues('VariableID:2:3', { '2:0': true, '2:1': false }),
+      );
+
+      assert.equal(tokens['Component themes'].link.colour.Neutral.Blue.value, true);
+      assert.equal(tokens['Component themes'].link.colour.Neutral.Green.value, false);
+    });
+  });
+
+  describe('status detection', () => {
+    it('expands tokens that alias the Status collection across status modes', () => {
+      const background =
+        processFixture().tokens['Component themes'].container.status.subtle[
+          'background-colour'
+        ];
+
+      assert.deepEqual(Object.keys(background.Neutral), ['Info', 'Error']);
+      assert.equal(background.Neutral.Error.value, '#ffd5d2');
+      assert.equal(background.Bold.Info.value, '#005dba');
+    });
+
+    it('injects a status segment after the component name', () => {
+      const inlineMessage = processFixture().tokens['Component themes']['inline-message'];
+
+      assert.deepEqual(Object.keys(inlineMessage), ['status']);
+      assert.equal(inlineMessage.status['background-colour'].Bold.Error.value, '#c50b30');
+    });
+  });
+
+  describe('colours', () => {
+    it('keeps the alpha of translucent colours as 8-digit hex', () => {
+      const { tokens } = processFixture();
+
+      assert.equal(tokens.Foundations.colour.scrim.value, '#1d1d1b80');
+      assert.equal(tokens.Foundations.colour.white.value, '#ffffff');
+    });
+
+    it('writes translucent colours as rgb() with the rgb colour format', () => {
+      const { tokens } = processFixture(meta.variables, { colorFormat: 'rgb' });
+
+      assert.equal(tokens.Foundations.colour.scrim.value, 'rgb(29 29 27 / 0.5)');
+      assert.equal(tokens.Foundations.colour.white.value, '#ffffff');
+    });
+
+    it('keeps the alpha through theme aliases', () => {
+      const scrim = (colorFormat) =>
+        processFixture(meta.variables, { colorFormat }).tokens['Component themes'].scrim[
+          'background-colour'
+        ];
+
+      assert.equal(scrim('hex')['Neutral inverse'].Green.value, '#1d1d1b80');
+      assert.equal(scrim('rgb').Bold.Blue.value, 'rgb(29 29 27 / 0.5)');
+    });
+  });
+
+  describe('token types', () => {
+    it('sets the type from the Figma scopes', () => {
+      const { tokens } = processFixture();
+
+      assert.equal(
+        tokens.Typography['letter-spacing'].normal.Productive.type,
+        'letterSpacing',
+      );
+      assert.equal(tokens.Typography.typeface.Productive.type, 'fontFamilies');
+      assert.equal(tokens.Foundations.opacity.disabled.type, 'opacity');
+      assert.equal(tokens.Layout.page['min-width'].SM.type, 'sizing');
+    });
+
+    it('falls back to the name for variables scoped to everything', () => {
+      const { tokens } = processFixture();
+
+      assert.equal(
+        tokens.Typography['font-weight']['400'].Productive.type,
+        'fontWeights',
+      );
+    });
+
+    it('uses the name to pick between several scopes', () => {
+      const { tokens } = processFixture(
+        withScopes('VariableID:6:2', ['WIDTH_HEIGHT', 'GAP']),
+      );
+
+      assert.equal(tokens.Layout.space['4'].SM.type, 'spacing');
+    });
+
+    it('warns when the name implies a type the scopes do not allow', () => {
+      const warn = mock.method(console, 'warn', () => {});
+      const { tokens } = processFixture(withScopes('VariableID:6:2', ['CORNER_RADIUS']));
+      warn.mock.restore();
+
+      assert.equal(tokens.Layout.space['4'].SM.type, 'borderRadius');
+      assert.deepEqual(
+        warn.mock.calls.map((call) => call.arguments[0]),
+        [
+          '⚠️  space/4 is scoped as borderRadius in Figma but named like spacing, using borderRadius',
+        ],
+      );
+    });
+  });
+
+  describe('code syntax', () => {
+    it('keeps the Figma code syntax and the mode segments added to the path', () => {
+      const paddingX =
+        processFixture().tokens['Component themes'].button['padding-x'].Bold.Green;
+
+      assert.deepEqual(paddingX.codeSyntax, {
+        WEB: 'var(--button-padding-inline)',
+        ANDROID: 'buttonPaddingInline',
+      });
+      assert.deepEqual(paddingX.modes, ['Bold', 'Green']);
+    });
+
+    it('leaves tokens without code syntax unchanged', () => {
+      const space = processFixture().tokens.Layout.space['4'].SM;
+
+      assert.deepEqual(Object.keys(space), ['value', 'type']);
+    });
+  });
+
+  describe('unpublished variables', () => {
+    it('keeps variables hidden from publishing public by default', () => {
+      const { tokens, diagnostics } = processFixture();
+
+      assert.deepEqual(tokens.Colour.interactive.default['1'].Blue, {
+        value: '#005dba',
+        type: 'color',
+      });
+      assert.deepEqual(diagnostics, []);
+    });
+
+    it('keeps them as private tokens with the private policy', () => {
+      const { tokens, diagnostics } = processFixture(meta.variables, {
+        unpublished: 'private',
+      });
+
+      assert.deepEqual(tokens.Colour.interactive.default['1'].Blue, {
+        value: '#005dba',
+        type: 'color',
+        private: true,
+      });
+      assert.equal(tokens.Colour.brand.primary.Blue.private, undefined);
+      assert.deepEqual(diagnostics, []);
+    });
+
+    it('inlines them where they are aliased with the inline policy', () => {
+      const { tokens, diagnostics } = processFixture(meta.variables, {
+        unpublished: 'inline',
+      });
+      const link = tokens['Component themes'].link.colour;
+
+      assert.equal(tokens.Colour.interactive, undefined);
+      assert.equal(link.Neutral.Blue.value, '#005dba');
+      assert.equal(link.Neutral.Green.value, '#00633d');
+      assert.deepEqual(diagnostics, []);
+    });
+
+    it('skips them and the tokens that alias them with the skip policy', () => {
+      const { tokens, diagnostics } = processFixture(meta.variables, {
+        unpublished: 'skip',
+      });
+      const link = tokens['Component themes'].link.colour;
+
+      assert.equal(link.Neutral, undefined);
+      assert.equal(link.Bold.Blue.value, '#ffffff');
+      assert.deepEqual(
+        diagnostics.map(({ name, reason, aliasId, modes }) => ({
+          name,
+          reason,
+          aliasId,
+          modes,
+        })),
+        [
+          {
+            name: 'link/colour',
+            reason: 'hidden-from-publishing',
+            aliasId: 'VariableID:2:3',
+            modes: ['Neutral/Blue', 'Neutral/Green'],
+          },
+        ],
+      );
+    });
+
+    it('reports deleted variables that are still referenced', () => {
+      const { tokens, diagnostics } = processFixture(withDeleted('VariableID:2:2'));
+
+      assert.equal(tokens.Colour.text, undefined);
+      assert.equal(
+        tokens['Component themes'].text.default.primary.colour.Neutral.Blue.value,
+        '#1d1d1b',
+      );
+      assert.deepEqual(
+        diagnostics.map(({ name, reason }) => ({ name, reason })),
+        [{ name: 'text/primary', reason: 'deleted-but-referenced' }],
+      );
+    });
+
+    it('does not reference deleted variables from other tokens', () => {
+      const { tokens } = processFixture(withDeleted('VariableID:1:4'), {
+        outputReferences: true,
+      });
+
+      assert.equal(
+        tokens['Component themes'].container.default['background-colour'].Neutral.Blue
+          .value,
+        '#ffffff',
+      );
+    });
+
+    it('rejects unknown policies', () => {
+      assert.throws(
+        () => processFixture(meta.variables, { unpublished: 'hide' }),
+        /Unknown unpublished policy "hide"/,
+      );
+    });
+  });
+
+  describe('dtcg format', () => {
+    it('marks private tokens in the Figma extensions', () => {
+      const { tokens } = processFixture(meta.variables, {
+        format: 'dtcg',
+        unpublished: 'private',
+      });
+
+      assert.equal(
+        tokens.Colour.interactive.default['1'].Blue.$extensions['com.figma'].private,
+        true,
+      );
+    });
+
+    it('writes $value, $type and px dimensions', () => {
+      const { tokens } = processFixture(meta.variables, { format: 'dtcg' });
+      const space = tokens.Layout.space['4'].SM;
+
+      assert.equal(space.$value, '16px');
+      assert.equal(space.$type, 'dimension');
+      assert.equal(space.$extensions['com.figma'].variableId, 'VariableID:6:2');
+    });
+
+    it('writes opacities and line-height ratios as numbers', () => {
+      const { tokens } = processFixture(meta.variables, { format: 'dtcg' });
+
+      assert.deepEqual(
+        [
+          tokens.Foundations.opacity.disabled,
+          tokens.Foundations['line-height'].tight,
+        ].map(({ $value, $type }) => ({ $value, $type })),
+        [
+          { $value: 40, $type: 'number' },
+          { $value: 1.2, $type: 'number' },
+        ],
+      );
+    });
+
+    it('gives every token a DTCG type', () => {
+      const { tokens } = processFixture(meta.variables, { format: 'dtcg' });
+      const types = new Set();
+      const collectTypes = (node) => {
+        if ('$value' in node) {
+          types.add(node.$type);
+        } else {
+          Object.values(node).forEach(collectTypes);
+        }
+      };
+      collectTypes(tokens);
+
+      assert.deepEqual([...types].sort(), [
+        'color',
+        'dimension',
+        'fontFamily',
+        'fontWeight',
+        'number',
+      ]);
+    });
+
+    it('writes named and numeric string font weights as numbers', () => {
+      const { tokens, diagnostics } = processFixture(
+        withVariable('VariableID:7:2', {
+          resolvedType: 'STRING',
+          valuesByMode: { '7:0': 'Semi Bold', '7:1': '700' },
+        }),
+        { format: 'dtcg' },
+      );
+      const fontWeight = tokens.Typography['font-weight']['400'];
+
+      assert.deepEqual(
+        [fontWeight.Productive, fontWeight.Expressive].map(({ $value, $type }) => ({
+          $value,
+          $type,
+        })),
+        [
+          { $value: 600, $type: 'fontWeight' },
+          { $value: 700, $type: 'fontWeight' },
+        ],
+      );
+      assert.deepEqual(diagnostics, []);
+    });
+
+    it('leaves out and reports values DTCG has no type for', () => {
+      const { tokens, diagnostics } = processFixture(
+        {
+          ...withVariable('VariableID:7:2', {
+            resolvedType: 'STRING',
+            valuesByMode: { '7:0': 'Chunky', '7:1': 400 },
+          }),
+          'VariableID:7:3': {
+            ...meta.variables['VariableID:7:3'],
+            resolvedType: 'BOOLEAN',
+            valuesByMode: { '7:0': true, '7:1': false },
+          },
+        },
+        { format: 'dtcg' },
+      );
+
+      assert.equal(tokens.Typography['letter-spacing'], undefined);
+      assert.deepEqual(Object.keys(tokens.Typography['font-weight']['400']), [
+        'Expressive',
+      ]);
+      assert.deepEqual(
+        diagnostics.map(({ name, reason, modes }) => ({ name, reason, modes })),
+        [
+          {
+            name: 'font-weight/400',
+            reason: 'unsupported-dtcg-type',
+            modes: ['Productive'],
+          },
+          {
+            name: 'letter-spacing/normal',
+            reason: 'unsupported-dtcg-type',
+            modes: ['Productive', 'Expressive'],
+          },
+        ],
+      );
+    });
+  });
+});
+
+describe('saveTokensByCollection', () => {
+  it('writes a $timestamp to legacy files only', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canopy-save-'));
+    const read = (format) => {
+      mock.method(console, 'log', () => {});
+      saveTokensByCollection(
+        processFixture(meta.variables, { format }).tokens,
+        dir,
+        format,
+      );
+      mock.restoreAll();
+      return JSON.parse(fs.readFileSync(path.join(dir, 'foundations.json'), 'utf8'));
+    };
+
+    try {
+      assert.ok(read('legacy').$timestamp);
+      assert.equal(read('dtcg').$timestamp, undefined);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,305 @@
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after: afterAll, before: beforeAll, describe, it } = require('node:test');
+const {
+  compareVariableMaps,
+  getChangeLevel,
+  parseCssVariables,
+  parseTsExports,
+} = require('../list-changed-css-variables');
+
+const SCRIPT = path.join(__dirname, '..', 'list-changed-css-variables.js');
+
+const before = `
+:root {
+  --colour-brand-primary: #005dba;
+  --button-padding-x: 1rem; /* @deprecated use --button-padding-inline */
+  --space-4: 1rem;
+}
+
+.lg-mode-red.lg-theme-bold {
+  --button-background-colour: #c50b30;
+  --button-colour: #ffffff;
+}
+
+.lg-mode-yellow.lg-theme-bold {
+  --button-background-colour: #ffd22e;
+}
+
+@media (min-width: 768px) {
+  :root {
+    --space-4: 1.25rem;
+  }
+}
+`;
+
+const after = `
+:root {
+  --colour-brand-primary: #005dba;
+  --button-padding-inline: 1rem;
+  --space-4: 1rem;
+  --space-5: 1.5rem;
+}
+
+.lg-mode-red.lg-theme-bold {
+  --button-background-colour: #a00a27;
+}
+
+.lg-mode-green.lg-theme-bold {
+  --button-background-colour: #00633d;
+}
+
+@media (min-width: 768px) {
+  :root {
+    --space-4: 1.25rem;
+  }
+}
+`;
+
+describe('parseCssVariables', () => {
+  it('maps each selector, including at-rules, to its variables', () => {
+    const selectors = parseCssVariables(before);
+
+    assert.deepEqual(
+      [...selectors.keys()],
+      [
+        ':root',
+        '.lg-mode-red.lg-theme-bold',
+        '.lg-mode-yellow.lg-theme-bold',
+        '@media (min-width: 768px) :root',
+      ],
+    );
+    assert.equal(selectors.get(':root').get('--button-padding-x'), '1rem');
+    assert.equal(
+      selectors.get('@media (min-width: 768px) :root').get('--space-4'),
+      '1.25rem',
+    );
+  });
+
+  it('ignores comments and declarations that are not custom properties', () => {
+    const selectors = parseCssVariables(
+      '/* :root { --old: 1px; } */\n.card { color: red; --card-gap: 1rem; }',
+    );
+
+    assert.deepEqual([...selectors], [['.card', new Map([['--card-gap', '1rem']])]]);
+  });
+});
+
+describe('parseTsExports', () => {
+  it('maps the exports, including multi-line objects, to their values', () => {
+    const exportsMap = parseTsExports(
+      [
+        'export const colourBrandPrimary = "#005dba";',
+        'export const typographyBodyLgProductive = {',
+        '  fontFamily: "Nunito Sans",',
+        '  fontSize: 18,',
+        '};',
+      ].join('\n'),
+    );
+
+    assert.deepEqual(
+      exportsMap,
+      new Map([
+        [
+          '(exports)',
+          new Map([
+            ['colourBrandPrimary', '"#005dba"'],
+            [
+              'typographyBodyLgProductive',
+              '{ fontFamily: "Nunito Sans", fontSize: 18, }',
+            ],
+          ]),
+        ],
+      ]),
+    );
+  });
+
+  it('returns no scope for a missing file', () => {
+    assert.equal(parseTsExports('').size, 0);
+  });
+});
+
+describe('compareVariableMaps', () => {
+  const result = compareVariableMaps(parseCssVariables(before), parseCssVariables(after));
+  const getSelector = (selector) =>
+    result.selectors.find((item) => item.selector === selector);
+
+  it('reports added and removed selectors', () => {
+    assert.deepEqual(result.addedSelectors, ['.lg-mode-green.lg-theme-bold']);
+    assert.deepEqual(result.removedSelectors, ['.lg-mode-yellow.lg-theme-bold']);
+  });
+
+  it('reports changes per selector and leaves unchanged selectors out', () => {
+    assert.deepEqual(
+      result.selectors.map((item) => item.selector),
+      [
+        ':root',
+        '.lg-mode-red.lg-theme-bold',
+        '.lg-mode-yellow.lg-theme-bold',
+        '.lg-mode-green.lg-theme-bold',
+      ],
+    );
+  });
+
+  it('infers renames from a removed and an added variable with the same value', () => {
+    assert.deepEqual(getSelector(':root'), {
+      selector: ':root',
+      added: ['--space-5'],
+      removed: [],
+      renamed: [{ from: '--button-padding-x', to: '--button-padding-inline' }],
+      changed: [],
+    });
+  });
+
+  it('reports value changes and removals within a selector', () => {
+    assert.deepEqual(getSelector('.lg-mode-red.lg-theme-bold'), {
+      selector: '.lg-mode-red.lg-theme-bold',
+      added: [],
+      removed: ['--button-colour'],
+      renamed: [],
+      changed: [{ name: '--button-background-colour', from: '#c50b30', to: '#a00a27' }],
+    });
+  });
+
+  it('lists every variable of an added or removed selector', () => {
+    assert.deepEqual(getSelector('.lg-mode-yellow.lg-theme-bold').removed, [
+      '--button-background-colour',
+    ]);
+    assert.deepEqual(getSelector('.lg-mode-green.lg-theme-bold').added, [
+      '--button-background-colour',
+    ]);
+  });
+
+  it('reports nothing for identical maps', () => {
+    assert.deepEqual(
+      compareVariableMaps(parseCssVariables(before), parseCssVariables(before)),
+      { addedSelectors: [], removedSelectors: [], selectors: [] },
+    );
+  });
+});
+
+describe('getChangeLevel', () => {
+  const compare = (beforeCss, afterCss) =>
+    [
+      {
+        file: 'variables.css',
+        ...compareVariableMaps(parseCssVariables(beforeCss), parseCssVariables(afterCss)),
+      },
+    ].filter((result) => result.selectors.length > 0);
+
+  it('is none without changes', () => {
+    assert.equal(getChangeLevel(compare(before, before)), 'none');
+  });
+
+  it('is additive for added variables and selectors and changed values', () => {
+    assert.equal(
+      getChangeLevel(
+        compare(':root { --a: 1px; }', ':root { --a: 2px; --b: 1px; } .x { --c: 0; }'),
+      ),
+      'additive',
+    );
+  });
+
+  it('is breaking for removed or renamed variables and removed selectors', () => {
+    assert.equal(
+      getChangeLevel(compare(':root { --a: 1px; --b: 2px; }', ':root { --a: 1px; }')),
+      'breaking',
+    );
+    assert.equal(
+      getChangeLevel(compare(':root { --a: 1px; }', ':root { --b: 1px; }')),
+      'breaking',
+    );
+    assert.equal(
+      getChangeLevel(
+        compare(':root { --a: 1px; } .x { --c: 0; }', ':root { --a: 1px; }'),
+      ),
+      'breaking',
+    );
+  });
+});
+
+describe('command line', () => {
+  let repoDir;
+
+  beforeAll(() => {
+    // A repository with the before CSS committed
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canopy-changed-'));
+    fs.writeFileSync(path.join(repoDir, 'variables.css'), before);
+
+    const git = (...args) =>
+      execFileSync(
+        'git',
+        ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+        {
+          cwd: repoDir,
+          stdio: 'ignore',
+        },
+      );
+    git('init', '--quiet');
+    git('add', '.');
+    git('commit', '--quiet', '--no-gpg-sign', '-m', 'Tokens');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs the command on variables.css with the given contents
+   */
+  function run(css, ...args) {
+    fs.writeFileSync(path.join(repoDir, 'variables.css'), css);
+
+    return spawnSync(process.execPath, [SCRIPT, '--file', 'variables.css', ...args], {
+      cwd: repoDir,
+      encoding: 'utf8',
+    });
+  }
+
+  it('exits with 0 without changes, 2 for additive and 3 for breaking changes', () => {
+    assert.equal(run(before).status, 0);
+    assert.equal(run(`${before}\n.lg-mode-green { --a: 1px; }`).status, 2);
+    assert.equal(run(after).status, 3);
+  });
+
+  it('exits with 1 on errors', () => {
+    const result = run(before, '--format', 'yaml');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown format "yaml"/);
+  });
+
+  it('outputs the changes and their level as JSON', () => {
+    const { stdout } = run(after, '--format', 'json');
+    const output = JSON.parse(stdout);
+
+    assert.equal(output.ref, 'HEAD');
+    assert.equal(output.level, 'breaking');
+    assert.deepEqual(output.files, [
+      {
+        file: 'variables.css',
+        ...compareVariableMaps(parseCssVariables(before), parseCssVariables(after)),
+      },
+    ]);
+  });
+
+  it('outputs a Markdown summary with a section per selector', () => {
+    const { stdout } = run(after, '--format', 'markdown');
+
+    assert.match(stdout, /^## Design token changes\n\nCompared to `HEAD`\./);
+    assert.match(
+      stdout,
+      /\*\*Breaking:\*\* tokens or selectors were removed or renamed\./,
+    );
+    assert.match(stdout, /<summary>:root<\/summary>/);
+    assert.match(stdout, /- `--button-padding-x` → `--button-padding-inline`/);
+    assert.match(stdout, /\| `--button-background-colour` \| `#c50b30` \| `#a00a27` \|/);
+    assert.match(
+      run(before, '--format', 'markdown').stdout,
+      /No changed design tokens found\./,
+    );
+  });
+});
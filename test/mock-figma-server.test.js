@@ -0,0 +1,48 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it, mock } = require('node:test');
+const { createMockFigmaServer, loadFixture } = require('../mock-figma-server');
+
+const fixture = loadFixture('test/fixtures/figma-variables-raw.json');
+
+let server;
+let baseUrl;
+let fetchFromFigma;
+
+before(async () => {
+  server = createMockFigmaServer(fixture);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  // The fetcher reads its config when it is first required
+  process.env.FIGMA_API_BASE_URL = baseUrl;
+  process.env.FIGMA_ACCESS_TOKEN = 'mock-token';
+  process.env.FIGMA_FILE_KEY = 'mock-file';
+  ({ fetchFromFigma } = require('../fetch-figma-tokens'));
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+describe('mock Figma API', () => {
+  it('serves the fixture variables to the fetcher', async () => {
+    const data = await fetchFromFigma('/files/mock-file/variables/local');
+
+    assert.equal(data.status, 200);
+    assert.deepEqual(data.meta, fixture.meta);
+  });
+
+  it('rejects requests without a token', async () => {
+    const response = await fetch(`${baseUrl}/files/mock-file/variables/local`);
+
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).err, 'Invalid token');
+  });
+
+  it('returns 404 for unknown endpoints, which the fetcher throws on', async () => {
+    mock.method(console, 'error', () => {});
+
+    await assert.rejects(fetchFromFigma('/files/mock-file/unknown'), /404/);
+  });
+});
@@ -0,0 +1,139 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, describe, it, mock } = require('node:test');
+const {
+  processVariablesByCollection,
+  saveTokensByCollection,
+} = require('../figma-raw-to-tokens');
+const { createMockFigmaServer, loadFixture } = require('../mock-figma-server');
+const config = require('../style-dictionary.config');
+
+const fixture = loadFixture('test/fixtures/figma-variables-raw.json');
+
+let server;
+let fetchFromFigma;
+let getCodeSyntaxChanges;
+let pushCodeSyntax;
+
+before(async () => {
+  // The pipeline logs every token file it writes
+  mock.method(console, 'log', () => {});
+
+  server = createMockFigmaServer(fixture);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  // The fetcher reads its config when it is first required
+  process.env.FIGMA_API_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.FIGMA_ACCESS_TOKEN = 'mock-token';
+  process.env.FIGMA_FILE_KEY = 'mock-file';
+  ({ fetchFromFigma } = require('../fetch-figma-tokens'));
+  ({ getCodeSyntaxChanges, pushCodeSyntax } = require('../push-figma-code-syntax'));
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+async function getVariables() {
+  const { meta } = await fetchFromFigma('/files/mock-file/variables/local');
+  return meta;
+}
+
+/**
+ * Builds the variables and returns the TypeScript token names and the SCSS
+ * output, the names built per mode
+ */
+async function build(meta) {
+  const tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canopy-round-trip-'));
+
+  try {
+    saveTokensByCollection(
+      processVariablesByCollection(meta.variables, meta.variableCollections),
+      tokensDir,
+    );
+
+    const { default: StyleDictionary } = await import('style-dictionary');
+    const sd = new StyleDictionary({
+      ...config,
+      source: fs.readdirSync(tokensDir).map((file) => path.join(tokensDir, file)),
+      log: { warnings: 'disabled', verbosity: 'silent' },
+    });
+    const { allTokens } = await sd.getPlatformTokens('ts');
+    const [scss] = await sd.formatPlatform('scss');
+
+    return { names: allTokens.map((token) => token.name).sort(), scss: scss.output };
+  } finally {
+    fs.rmSync(tokensDir, { recursive: true, force: true });
+  }
+}
+
+describe('getCodeSyntaxChanges', () => {
+  it('generates the CSS variable name of each variable', async () => {
+    const changes = await getCodeSyntaxChanges(await getVariables());
+    const toByName = Object.fromEntries(changes.map(({ name, to }) => [name, to]));
+
+    assert.equal(toByName['colour/blue/600'], 'var(--colour-blue-600)');
+    assert.equal(toByName['brand/primary'], 'var(--colour-brand-primary)');
+    assert.equal(
+      toByName['container/default/background-colour'],
+      'var(--container-default-background-colour)',
+    );
+    assert.equal(
+      toByName['button/primary/rest/background-colour'],
+      'var(--button-primary-rest-background-colour)',
+    );
+    assert.equal(
+      toByName['inline-message/background-colour'],
+      'var(--inline-message-background-colour)',
+    );
+    assert.equal(toByName['space/4'], 'var(--space-4)');
+  });
+
+  it('skips variables with a CSS variable per mode', async () => {
+    const names = (await getCodeSyntaxChanges(await getVariables())).map(
+      ({ name }) => name,
+    );
+
+    assert.ok(!names.includes('typeface'));
+    assert.ok(!names.includes('letter-spacing/normal'));
+  });
+
+  it('skips variables whose code syntax is already their name', async () => {
+    const names = (await getCodeSyntaxChanges(await getVariables())).map(
+      ({ name }) => name,
+    );
+
+    // Set to var(--button-padding-inline) in the fixture, which the build uses
+    assert.ok(!names.includes('button/padding-x'));
+  });
+});
+
+describe('pushCodeSyntax', () => {
+  it('writes the names to Figma, after which nothing is left to change', async () => {
+    const before = await build(await getVariables());
+    const changes = await getCodeSyntaxChanges(await getVariables());
+    await pushCodeSyntax(changes, 'mock-file');
+
+    const variables = await getVariables();
+
+    assert.deepEqual(variables.variables['VariableID:6:2'].codeSyntax, {
+      WEB: 'var(--space-4)',
+    });
+    assert.deepEqual(await getCodeSyntaxChanges(variables), []);
+
+    // The names written back are the ones the build generates anyway
+    assert.deepEqual(await build(variables), before);
+  });
+
+  it('rejects with the reason Figma gives', async () => {
+    mock.method(console, 'error', () => {});
+
+    await assert.rejects(
+      pushCodeSyntax([{ id: 'VariableID:9:9', to: 'var(--missing)' }], 'mock-file'),
+      /400 Bad Request \(Variable not found: VariableID:9:9\)/,
+    );
+  });
+});
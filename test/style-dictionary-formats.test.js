@@ -0,0 +1,475 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, describe, it, mock } = require('node:test');
+const {
+  processVariablesByCollection,
+  saveTokensByCollection,
+} = require('../figma-raw-to-tokens');
+const deprecations = require('../token-deprecations.config');
+
+// Registered before the config is loaded, as it reads the active deprecations once
+deprecations.deprecations.push(
+  {
+    name: 'container-default-bg-colour',
+    replacement: 'container-default-background-colour',
+    since: '99.0.0',
+  },
+  {
+    name: 'typographyBodyLargeProductive',
+    replacement: 'typographyBodyLgProductive',
+    since: '99.0.0',
+  },
+  {
+    name: 'typographyBodyHugeProductive',
+    replacement: 'typographyBodyLgProductive',
+    value: { fontFamily: 'Nunito Sans', fontSize: 20, lineHeight: 28 },
+  },
+);
+
+const config = require('../style-dictionary.config');
+const { meta } = require('./fixtures/figma-variables-raw.json');
+
+let tokensDir;
+let sd;
+
+before(async () => {
+  // The pipeline logs every file and warns about the typography styles the
+  // fixture has no scale for
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canopy-tokens-'));
+  // Built with the private policy, so the outputs leave hidden variables out
+  sd = await createStyleDictionary(path.join(tokensDir, 'fixture'), meta.variables, {
+    unpublished: 'private',
+  });
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(tokensDir, { recursive: true, force: true });
+});
+
+/**
+ * Processes raw variables into token files in `dir` and loads them with the
+ * config
+ */
+async function createStyleDictionary(dir, variables, options, sdConfig = config) {
+  fs.mkdirSync(dir);
+  saveTokensByCollection(
+    processVariablesByCollection(variables, meta.variableCollections, options),
+    dir,
+  );
+
+  const { default: StyleDictionary } = await import('style-dictionary');
+  return new StyleDictionary({
+    ...sdConfig,
+    source: fs.readdirSync(dir).map((file) => path.join(dir, file)),
+    platforms: {
+      ...sdConfig.platforms,
+      js: { ...sdConfig.platforms.js, buildPath: path.join(dir, 'js') + path.sep },
+    },
+    log: { warnings: 'disabled', verbosity: 'silent' },
+  });
+}
+
+async function formatFile(platform, destination, dictionary = sd) {
+  const files = await dictionary.formatPlatform(platform);
+  const file = files.find((f) => f.destination.endsWith(destination));
+
+  assert.ok(file, `${platform} has no ${destination}`);
+  return file.output;
+}
+
+/**
+ * Returns a rule from its selector up to the first closing brace
+ */
+function getBlock(output, selector) {
+  const start = output.indexOf(`${selector} {`);
+
+  assert.notEqual(start, -1, `missing ${selector}`);
+  return output.slice(start, output.indexOf('}', start) + 1);
+}
+
+describe('css/variables-with-defaults', () => {
+  it('puts the default colour and theme mode values in :root', async () => {
+    const root = getBlock(await formatFile('css-all', 'variables.css'), ':root');
+
+    assert.match(root, /--colour-brand-primary: #005dba;/);
+    assert.match(root, /--container-default-background-colour: #ffffff;/);
+    assert.match(root, /--button-primary-rest-background-colour: #ffffff;/);
+  });
+});
+
+describe('size transforms', () => {
+  it('converts units by token type', async () => {
+    const root = getBlock(await formatFile('css-all', 'variables.css'), ':root');
+
+    assert.match(root, /--container-common-border-radius: 0.5rem;/);
+    assert.match(root, /--opacity-disabled: 40%;/);
+    assert.match(root, /--line-height-tight: 1.2;/);
+    assert.match(root, /--font-weight-400-productive: 400;/);
+  });
+});
+
+describe('color/css', () => {
+  it('outputs translucent colours as written', async () => {
+    const { transform } = config.hooks.transforms['color/css'];
+
+    assert.match(
+      getBlock(await formatFile('css-all', 'variables.css'), ':root'),
+      /--scrim-background-colour: #1d1d1b80;/,
+    );
+    assert.match(await formatFile('ts', 'variables.ts'), /colourScrim = "#1d1d1b80";/);
+    assert.equal(
+      transform({ value: 'rgb(29 29 27 / 0.5)', type: 'color' }),
+      'rgb(29 29 27 / 0.5)',
+    );
+  });
+});
+
+describe('unpublished variables', () => {
+  it('leaves variables hidden from publishing out and inlines their values', async () => {
+    const output = await formatFile('css-all', 'variables.css');
+
+    assert.ok(!output.includes('--colour-interactive-default-1'));
+    assert.match(getBlock(output, ':root'), /--link-colour: #005dba;/);
+  });
+
+  it('leaves private tokens out of the outputs', () => {
+    const [{ filter }] = config.platforms['css-all'].files;
+
+    assert.equal(filter({ value: '#005dba', private: true }), false);
+    assert.equal(filter({ value: '#005dba' }), true);
+  });
+});
+
+describe('references', () => {
+  // colour/white hidden from publishing, as the Foundations primitives are in Figma
+  const variables = {
+    ...meta.variables,
+    'VariableID:1:4': { ...meta.variables['VariableID:1:4'], hiddenFromPublishing: true },
+  };
+
+  async function getRoot(unpublished) {
+    const dictionary = await createStyleDictionary(
+      path.join(tokensDir, `references-${unpublished}`),
+      variables,
+      { outputReferences: true, unpublished },
+    );
+
+    return getBlock(await formatFile('css-all', 'variables.css', dictionary), ':root');
+  }
+
+  it('outputs aliases to public primitives as var() references', async () => {
+    const root = await getRoot('public');
+
+    assert.match(root, /--colour-white: #ffffff;/);
+    assert.match(root, /--container-default-background-colour: var\(--colour-white\);/);
+  });
+
+  it('inlines aliases to primitives the private policy hides', async () => {
+    const root = await getRoot('private');
+
+    assert.ok(!root.includes('--colour-white'));
+    assert.match(root, /--container-default-background-colour: #ffffff;/);
+  });
+});
+
+describe('code syntax names', () => {
+  it('uses the Figma WEB code syntax instead of the path in CSS', async () => {
+    const root = getBlock(await formatFile('css-all', 'variables.css'), ':root');
+    const greenBold = getBlock(
+      await formatFile('css-component-themes', 'component-themes.css'),
+      '.lg-mode-green.lg-theme-bold',
+    );
+
+    assert.match(root, /--button-padding-inline: 1rem;/);
+    assert.match(greenBold, /--button-padding-inline: 1rem;/);
+    assert.ok(!greenBold.includes('--button-padding-x'));
+  });
+
+  it('appends the mode segments in TypeScript', async () => {
+    const output = await formatFile('ts', 'variables.ts');
+
+    assert.match(output, /export const buttonPaddingInlineBoldGreen = 16;/);
+    assert.ok(!output.includes('buttonPaddingX'));
+  });
+
+  it('warns when two tokens generate the same CSS name', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const token = (path, codeSyntax) => ({
+      path,
+      name: path.join('-').toLowerCase(),
+      value: '#1d1d1b',
+      filePath: 'tokens/colour.json',
+      ...(codeSyntax && { codeSyntax, modes: ['Blue'] }),
+    });
+
+    config.hooks.formats['css/variables-with-defaults']({
+      dictionary: {
+        allTokens: [
+          token(['brand', 'primary', 'Blue'], { WEB: 'var(--colour-text-primary)' }),
+          token(['text', 'primary', 'Blue']),
+        ],
+      },
+      file: { destination: 'variables.css' },
+      options: {},
+    });
+    warn.mock.restore();
+
+    assert.deepEqual(
+      warn.mock.calls.map((call) => call.arguments[0]),
+      [
+        '⚠️ variables.css: --colour-text-primary is generated by brand.primary.Blue, text.primary.Blue',
+      ],
+    );
+  });
+});
+
+describe('css/component-themes-classes', () => {
+  it('outputs a class per colour and theme mode, except the :root default', async () => {
+    const output = await formatFile('css-component-themes', 'component-themes.css');
+    const greenBold = getBlock(output, '.lg-mode-green.lg-theme-bold');
+
+    assert.ok(!output.includes('.lg-mode-blue.lg-theme-neutral {'));
+    assert.match(greenBold, /--colour-brand-primary: #00633d;/);
+    assert.match(greenBold, /--container-default-background-colour: #00633d;/);
+    assert.match(greenBold, /--container-common-border-radius: 0.25rem;/);
+  });
+});
+
+describe('css/color-scheme', () => {
+  it('maps the Neutral inverse theme onto :root for dark mode', async () => {
+    const output = await formatFile('css-component-themes', 'color-scheme.css');
+
+    assert.match(output, /@media \(prefers-color-scheme: dark\) \{\n {2}:root:not/);
+    assert.match(
+      getBlock(output, '[data-color-scheme="dark"]'),
+      /--container-default-background-colour: #1d1d1b;/,
+    );
+  });
+});
+
+describe('css/status-classes', () => {
+  it('outputs a class per status and theme mode', async () => {
+    const errorBold = getBlock(
+      await formatFile('css-status', 'status.css'),
+      '.lg-status-error.lg-theme-bold',
+    );
+
+    assert.match(errorBold, /--container-status-subtle-background-colour: #c50b30;/);
+    // The injected status segment is dropped from inline message names
+    assert.match(errorBold, /--inline-message-background-colour: #c50b30;/);
+  });
+});
+
+describe('selector strategies', () => {
+  let dictionary;
+
+  before(async () => {
+    // The config reads the selector options from the environment when loaded
+    const configPath = require.resolve('../style-dictionary.config');
+    process.env.LG_SELECTOR_STRATEGY = 'data-attribute';
+    process.env.LG_SELECTOR_PREFIX = 'acme';
+    delete require.cache[configPath];
+
+    try {
+      dictionary = await createStyleDictionary(
+        path.join(tokensDir, 'selectors'),
+        meta.variables,
+        { unpublished: 'private' },
+        require(configPath),
+      );
+    } finally {
+      delete process.env.LG_SELECTOR_STRATEGY;
+      delete process.env.LG_SELECTOR_PREFIX;
+      delete require.cache[configPath];
+    }
+  });
+
+  it('outputs data attribute selectors with the prefix', async () => {
+    const themes = await formatFile(
+      'css-component-themes',
+      'component-themes.css',
+      dictionary,
+    );
+    const status = await formatFile('css-status', 'status.css', dictionary);
+
+    assert.ok(!themes.includes('.lg-'));
+    assert.match(
+      getBlock(themes, '[data-acme-mode="green"][data-acme-theme="bold"]'),
+      /--container-default-background-colour: #00633d;/,
+    );
+    assert.match(
+      getBlock(status, '[data-acme-status="error"][data-acme-theme="bold"]'),
+      /--inline-message-background-colour: #c50b30;/,
+    );
+  });
+
+  it('applies the same attributes in the docs previews', async () => {
+    const output = await formatFile('docs', 'index.html', dictionary);
+
+    assert.match(output, /<div data-acme-mode="green" data-acme-theme="bold">/);
+    assert.match(
+      output,
+      /<code>\[data-acme-mode=&quot;green&quot;\]\[data-acme-theme=&quot;bold&quot;\]<\/code>/,
+    );
+  });
+});
+
+describe('css/layout-grouped', () => {
+  it('groups suffixed layout tokens by breakpoint', async () => {
+    const output = await formatFile('css-layout', 'layout.css');
+
+    assert.match(output, /\/\* SM tokens \*\/\n {2}--font-size-1-sm: 1rem;/);
+    assert.match(output, /--space-4-lg: 1.5rem;/);
+  });
+});
+
+describe('css/layout-responsive', () => {
+  it('switches unsuffixed variables in media queries', async () => {
+    const output = await formatFile('css-layout', 'layout-responsive.css');
+
+    assert.match(getBlock(output, ':root'), /--space-4: 1rem;/);
+    assert.match(getBlock(output, '@media (min-width: 64rem)'), /--space-4: 1.5rem;/);
+  });
+
+  it('switches unsuffixed variables in container queries', async () => {
+    const output = await formatFile('css-layout', 'layout-container.css');
+
+    assert.match(output, /\.lg-container \{\n {2}container-type: inline-size;/);
+    assert.match(
+      getBlock(output, '@container (min-width: 64rem)'),
+      /\.lg-container > \*/,
+    );
+  });
+});
+
+describe('css/typography-styles', () => {
+  it('outputs font shorthands per breakpoint and utility classes', async () => {
+    const output = await formatFile('css-typography', 'typography-styles.css');
+
+    assert.match(
+      getBlock(output, ':root'),
+      /--type-body-font: 400 1rem\/1.375rem 'Nunito Sans';/,
+    );
+    assert.match(
+      getBlock(output, '@media (min-width: 64rem)'),
+      /--type-body-font: 400 1.125rem\/1.5rem 'Nunito Sans';/,
+    );
+    assert.match(getBlock(output, '.lg-type-body'), /font: var\(--type-body-font\);/);
+  });
+});
+
+describe('scss/variables-with-maps', () => {
+  it('outputs default variables, mode maps and mixins', async () => {
+    const output = await formatFile('scss', '_variables.scss');
+
+    assert.match(output, /^\$container-default-background-colour: #ffffff;$/m);
+    assert.match(output, /\$lg-themes: \(\n {2}'blue': \(\n {4}'neutral': \(/);
+    assert.match(output, /@mixin lg-theme\(/);
+  });
+});
+
+describe('less/variables-with-maps', () => {
+  it('outputs default variables, mode maps and mixins', async () => {
+    const output = await formatFile('less', 'variables.less');
+
+    assert.match(output, /^@container-default-background-colour: #ffffff;$/m);
+    assert.match(output, /@lg-themes: \{\n {2}@blue: \{\n {4}@neutral: \{/);
+    assert.match(output, /^\.lg-theme\(@mode; @theme\) \{$/m);
+  });
+});
+
+describe('typescript/variables-with-typography', () => {
+  it('exports every mode and the composite typography styles', async () => {
+    const output = await formatFile('ts', 'variables.ts');
+
+    assert.match(
+      output,
+      /export const containerDefaultBackgroundColourBoldGreen = "#00633d";/,
+    );
+    assert.match(
+      output,
+      /export const inlineMessageStatusBackgroundColourBoldError = "#c50b30";/,
+    );
+    assert.match(
+      output,
+      /export const typographyBodyLgProductive = \{\n {2}fontFamily: "Nunito Sans",\n {2}fontSize: 18,\n {2}lineHeight: 24,\n\};/,
+    );
+    assert.match(
+      output,
+      /\/\*\* @deprecated Since 99\.0\.0\. Use `typographyBodyLgProductive` instead\. \*\/\nexport const typographyBodyLargeProductive = typographyBodyLgProductive;/,
+    );
+  });
+
+  it('keeps the old value of deprecated typography styles that register one', async () => {
+    const output = await formatFile('ts', 'variables.ts');
+
+    assert.match(
+      output,
+      /\/\*\* @deprecated Use `typographyBodyLgProductive` instead\. \*\/\nexport const typographyBodyHugeProductive = \{\n {2}fontFamily: "Nunito Sans",\n {2}fontSize: 20,\n {2}lineHeight: 28,\n\};/,
+    );
+  });
+});
+
+describe('typescript/theme-object', () => {
+  it('exports nested theme and status objects', async () => {
+    const output = await formatFile('ts', 'themes.ts');
+
+    assert.match(output, /^export const themes = \{$/m);
+    assert.match(output, /^export const status = \{$/m);
+    assert.match(output, /inlineMessage: \{\n\s+backgroundColour: "#c50b30",/);
+  });
+});
+
+describe('html/docs', () => {
+  it('outputs previews, searchable rows and Figma descriptions', async () => {
+    const output = await formatFile('docs', 'index.html');
+
+    assert.match(
+      output,
+      /<div class="lg-mode-green lg-theme-bold"><div class="preview">/,
+    );
+    assert.match(
+      output,
+      /<div class="lg-status-error lg-theme-bold"><div class="status-preview">/,
+    );
+    assert.match(output, /<tr data-search="colour-brand-primary primary brand colour">/);
+    assert.match(output, /<td class="description">Default container background<\/td>/);
+  });
+});
+
+describe('js/modules', () => {
+  it('writes CommonJS and ESM modules per collection and per theme', async () => {
+    await sd.buildPlatform('js');
+
+    const jsDir = path.join(tokensDir, 'fixture', 'js');
+    const { theme: greenBold } = require(path.join(jsDir, 'themes', 'green-bold.cjs'));
+
+    assert.ok(fs.existsSync(path.join(jsDir, 'index.mjs')));
+    assert.equal(greenBold.container.default.backgroundColour, '#00633d');
+  });
+
+  it('exports deprecated aliases, as the TypeScript output does', async () => {
+    await sd.buildPlatform('js');
+
+    const jsDir = path.join(tokensDir, 'fixture', 'js');
+    const themes = require(path.join(jsDir, 'component-themes.cjs'));
+    const esm = fs.readFileSync(path.join(jsDir, 'component-themes.mjs'), 'utf8');
+    const ts = await formatFile('ts', 'variables.ts');
+
+    assert.equal(
+      themes.containerDefaultBgColourBoldGreen,
+      themes.containerDefaultBackgroundColourBoldGreen,
+    );
+    assert.match(
+      esm,
+      /export const containerDefaultBgColourBoldGreen = containerDefaultBackgroundColourBoldGreen;/,
+    );
+    assert.match(ts, /export const containerDefaultBgColourBoldGreen = /);
+  });
+});
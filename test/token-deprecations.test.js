@@ -0,0 +1,28 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { compareVersions, getActiveDeprecations } = require('../token-deprecations');
+
+describe('compareVersions', () => {
+  it('compares versions numerically', () => {
+    assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+    assert.ok(compareVersions('v1.2.3', '2.0.0') < 0);
+    assert.equal(compareVersions('2.0.0', 'v2.0.0'), 0);
+  });
+});
+
+describe('getActiveDeprecations', () => {
+  const deprecations = [
+    { name: 'kept', replacement: 'new-kept', since: '1.0.0' },
+    { name: 'removed-in-2', replacement: 'new-2', since: '1.0.0', until: '2.0.0' },
+    { name: 'removed-in-3', replacement: 'new-3', since: '1.5.0', until: '3.0.0' },
+  ];
+
+  const getNames = (version) =>
+    getActiveDeprecations(deprecations, version).map((entry) => entry.name);
+
+  it('keeps aliases until the package reaches their until version', () => {
+    assert.deepEqual(getNames('1.9.9'), ['kept', 'removed-in-2', 'removed-in-3']);
+    assert.deepEqual(getNames('2.0.0'), ['kept', 'removed-in-3']);
+    assert.deepEqual(getNames('3.1.0'), ['kept']);
+  });
+});
@@ -0,0 +1,136 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, describe, it } = require('node:test');
+const { validateTokenFile } = require('../validate-tokens');
+
+const expectedModes = {
+  colorModes: ['Blue', 'Green'],
+  statusModes: ['Error', 'Success'],
+  themeModes: ['Neutral', 'Bold'],
+};
+
+let tokensDir;
+
+before(() => {
+  tokensDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canopy-validate-'));
+});
+
+after(() => {
+  fs.rmSync(tokensDir, { recursive: true, force: true });
+});
+
+/**
+ * Writes a token file and returns the messages validateTokenFile reports,
+ * as `path: message`
+ */
+function validate(fileName, data) {
+  const filePath = path.join(tokensDir, fileName);
+  fs.writeFileSync(filePath, JSON.stringify(data));
+
+  return validateTokenFile(filePath, expectedModes).map(
+    ({ path: tokenPath, message }) => `${tokenPath.join('.')}: ${message}`,
+  );
+}
+
+const colour = (value) => ({ value, type: 'color' });
+
+describe('validateTokenFile', () => {
+  it('accepts valid legacy and DTCG tokens', () => {
+    assert.deepEqual(
+      validate('foundations.json', {
+        $description: 'Foundations',
+        colour: { white: colour('#ffffff'), scrim: colour('rgb(29 29 27 / 0.5)') },
+        space: { 4: { $value: '16px', $type: 'dimension' } },
+      }),
+      [],
+    );
+  });
+
+  it('reports tokens without a value or type', () => {
+    assert.deepEqual(
+      validate('layout.json', {
+        space: {
+          4: { value: '', type: 'spacing' },
+          5: { value: 20 },
+          6: {},
+        },
+      }),
+      // Leaves without a value are reported while walking the tree, before the tokens
+      ['space.6: missing value', 'space.4: missing value', 'space.5: missing type'],
+    );
+  });
+
+  it('reports colours that are not hex, rgb() or a reference', () => {
+    assert.deepEqual(
+      validate('foundations.json', {
+        colour: {
+          short: colour('#fff'),
+          translucent: colour('#1d1d1b80'),
+          named: colour('white'),
+          legacy: colour('rgba(29, 29, 27, 0.5)'),
+          number: colour(0),
+        },
+      }),
+      [
+        'colour.named: invalid colour "white"',
+        'colour.legacy: invalid colour "rgba(29, 29, 27, 0.5)"',
+        'colour.number: invalid colour 0',
+      ],
+    );
+  });
+
+  it('accepts references as colour values', () => {
+    assert.deepEqual(
+      validate('foundations.json', {
+        colour: { brand: colour('{colour.blue.600}'), broken: colour('{colour.blue') },
+      }),
+      ['colour.broken: invalid colour "{colour.blue"'],
+    );
+  });
+
+  it('reports colour tokens missing a colour mode', () => {
+    assert.deepEqual(
+      validate('colour.json', {
+        brand: { Blue: colour('#005dba'), Green: colour('#00633d') },
+        text: { Blue: colour('#1d1d1b') },
+        status: { Purple: colour('#6b2c91') },
+      }),
+      ['text: missing modes: Green', 'status: unknown mode'],
+    );
+  });
+
+  it('reports component theme tokens missing a theme, colour or status mode', () => {
+    const themed = (modes) =>
+      Object.fromEntries(
+        ['Neutral', 'Bold'].map((theme) => [
+          theme,
+          Object.fromEntries(modes.map((mode) => [mode, colour('#ffffff')])),
+        ]),
+      );
+
+    assert.deepEqual(
+      validate('component-themes.json', {
+        container: { 'background-colour': themed(['Blue', 'Green']) },
+        'inline-message': { 'background-colour': themed(['Error']) },
+        link: { colour: { Neutral: themed(['Blue', 'Green']).Neutral } },
+      }),
+      [
+        'inline-message.background-colour: missing modes: Neutral/Success, Bold/Success',
+        'link.colour: missing modes: Bold/Blue, Bold/Green',
+      ],
+    );
+  });
+
+  it('reports unreadable files', () => {
+    const filePath = path.join(tokensDir, 'broken.json');
+    fs.writeFileSync(filePath, '{');
+
+    assert.match(validateTokenFile(filePath, expectedModes)[0].message, /^invalid JSON/);
+    assert.deepEqual(
+      validateTokenFile(path.join(tokensDir, 'missing.json'), expectedModes),
+      [{ path: [], message: 'file not found' }],
+    );
+  });
+});
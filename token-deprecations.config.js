@@ -0,0 +1,80 @@
+/**
+ * Deprecated Token Registry
+ *
+ * Lists CSS variables that were renamed or removed in Figma. While an entry is
+ * active, the build keeps emitting the old custom property as an alias of its
+ * replacement, in every block where the replacement is declared:
+ *
+ *   --old-name: var(--new-name);
+ *
+ * followed by a `@deprecated` comment, and the TypeScript and JavaScript outputs
+ * export the old name with `@deprecated` JSDoc.
+ *
+ * Composite typography styles have no CSS variable of their own, so their
+ * entries use TypeScript export names instead, and only ts/variables.ts
+ * exports the alias.
+ *
+ * Entries:
+ * - name:        old CSS variable name, without the leading `--`, or old
+ *                typography export name
+ * - replacement: CSS variable name to alias, without the leading `--`, or
+ *                typography export name
+ * - since:       optional, version the old name was deprecated in
+ * - until:       optional, version the alias is removed in
+ * - value:       optional, for typography exports only: the old
+ *                `{ fontFamily, fontSize, lineHeight }`, exported as is instead
+ *                of aliasing `replacement` when their styles differ
+ *
+ * An alias is dropped once the version in package.json reaches `until` (see
+ * token-deprecations.js); entries without `until` are kept. Expiry never
+ * depends on the git tags of the checkout, so dropping an alias is always a
+ * committed change that list-changed-css-variables.js and
+ * classify-token-changes.js see, and that makes the next release major.
+ */
+
+module.exports = {
+  deprecations: [
+    // { name: 'button-padding', replacement: 'button-padding-x', since: '1.4.0', until: '2.0.0' },
+
+    // Deleted in Figma, but still used by components. Their replacements have
+    // the same values in every mode.
+    { name: 'card-padding-bottom', replacement: 'card-padding-y' },
+    { name: 'card-padding-right', replacement: 'card-padding-x' },
+    { name: 'header-button-padding-bottom', replacement: 'header-button-padding-y' },
+    {
+      name: 'header-button-padding-right',
+      replacement: 'header-button-padding-default-x',
+    },
+
+    // Typography composites named after the Layout size scale before they were
+    // named by typography.config.js. The large sizes have no Productive style
+    // from LG, so they keep their old values and point to the Expressive ones.
+    {
+      name: 'typographySizesmall3Productive',
+      replacement: 'typographySubheadlineSmProductive',
+    },
+    {
+      name: 'typographySizesmall8Productive',
+      replacement: 'typographyLargeTitleSmProductive',
+    },
+    {
+      name: 'typographySizesmall9Productive',
+      replacement: 'typographyLargeTitle2SmProductive',
+    },
+    {
+      name: 'typographySizelarge7Productive',
+      replacement: 'typographyTitle1LgExpressive',
+      value: { fontFamily: 'Nunito Sans', fontSize: 62, lineHeight: 74 },
+    },
+    {
+      name: 'typographySizelarge8Productive',
+      replacement: 'typographyLargeTitleLgExpressive',
+      value: { fontFamily: 'Nunito Sans', fontSize: 76, lineHeight: 91 },
+    },
+    {
+      name: 'typographySizelarge9Productive',
+      replacement: 'typographyLargeTitle2LgExpressive',
+      value: { fontFamily: 'Nunito Sans', fontSize: 115, lineHeight: 115 },
+    },
+  ],
+};
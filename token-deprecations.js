@@ -0,0 +1,38 @@
+/**
+ * Token Deprecations
+ *
+ * Decides which entries of token-deprecations.config.js the build still
+ * aliases. Expiry only depends on committed data, each entry's `until` and the
+ * version in package.json, so every checkout of a commit (with or without git
+ * tags) builds the same aliases, and dropping one shows up in the diff.
+ */
+
+/**
+ * Compares two `major.minor.patch` versions, ignoring any prerelease suffix
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).replace(/^v/, '').split(/[.-]/).map(Number);
+  const partsB = String(b).replace(/^v/, '').split(/[.-]/).map(Number);
+
+  for (let i = 0; i < 3; i += 1) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+/**
+ * Returns the entries still aliased at the given package version: those
+ * without an `until`, or whose `until` version is later
+ */
+function getActiveDeprecations(deprecations, version) {
+  return deprecations.filter(
+    (entry) => !entry.until || compareVersions(version, entry.until) < 0,
+  );
+}
+
+module.exports = {
+  compareVersions,
+  getActiveDeprecations,
+};
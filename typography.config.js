@@ -0,0 +1,107 @@
+/**
+ * Typography Styles
+ *
+ * Composite text styles built by style-dictionary.config.js from the Figma
+ * tokens: font size and line height from the Layout `font-size/<scale>` and
+ * `line-height/<scale>` tokens, and font family, weight and letter spacing
+ * from the Typography tokens of the style's typeface mode.
+ *
+ * Styles:
+ * - name:          style name, used for the `.lg-type-<name>` class, the
+ *                  `--type-<name>-*` variables and the TypeScript composites
+ * - scale:         Layout font-size/line-height scale
+ * - typeface:      Typography mode, `Productive` or `Expressive`
+ * - fontWeight:    Typography font-weight token, e.g. `700`
+ * - letterSpacing: Typography letter-spacing token, e.g. `normal`
+ * - breakpoints:   optional overrides of the above, applied from a Layout
+ *                  breakpoint upwards, e.g. { LG: { typeface: 'Expressive' } }
+ */
+
+// Titles switch to the Expressive typeface on large screens
+const EXPRESSIVE_FROM_LG = { LG: { typeface: 'Expressive' } };
+
+module.exports = {
+  styles: [
+    {
+      name: 'caption-2',
+      scale: '0-6',
+      typeface: 'Productive',
+      fontWeight: '400',
+      letterSpacing: 'normal',
+    },
+    {
+      name: 'caption-1',
+      scale: '0-8',
+      typeface: 'Productive',
+      fontWeight: '400',
+      letterSpacing: 'normal',
+    },
+    {
+      name: 'body',
+      scale: '1',
+      typeface: 'Productive',
+      fontWeight: '400',
+      letterSpacing: 'normal',
+    },
+    {
+      name: 'callout',
+      scale: '2',
+      typeface: 'Productive',
+      fontWeight: '400',
+      letterSpacing: 'normal',
+    },
+    {
+      name: 'subheadline',
+      scale: '3',
+      typeface: 'Productive',
+      fontWeight: '500',
+      letterSpacing: 'normal',
+    },
+    {
+      name: 'headline',
+      scale: '4',
+      typeface: 'Productive',
+      fontWeight: '700',
+      letterSpacing: 'normal',
+    },
+    {
+      name: 'title-3',
+      scale: '5',
+      typeface: 'Productive',
+      fontWeight: '700',
+      letterSpacing: 'normal',
+    },
+    {
+      name: 'title-2',
+      scale: '6',
+      typeface: 'Productive',
+      fontWeight: '700',
+      letterSpacing: 'normal',
+      breakpoints: EXPRESSIVE_FROM_LG,
+    },
+    {
+      name: 'title-1',
+      scale: '7',
+      typeface: 'Productive',
+      fontWeight: '700',
+      letterSpacing: 'normal',
+      breakpoints: EXPRESSIVE_FROM_LG,
+    },
+    {
+      name: 'large-title',
+      scale: '8',
+      typeface: 'Productive',
+      fontWeight: '700',
+      letterSpacing: 'normal',
+      breakpoints: EXPRESSIVE_FROM_LG,
+    },
+    {
+      name: 'large-title-2',
+      scale: '9',
+      typeface: 'Productive',
+      fontWeight: '700',
+      letterSpacing: 'normal',
+      breakpoints: EXPRESSIVE_FROM_LG,
+    },
+  ],
+};
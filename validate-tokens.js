@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+
+/**
+ * Token Schema Validator
+ *
+ * Checks the processed token JSON files before Style Dictionary builds them,
+ * so tokens dropped or mangled during processing fail loudly instead of
+ * silently disappearing from the CSS output.
+ *
+ * Usage:
+ *   npm run tokens:validate
+ *   node validate-tokens.js --file tokens/colour.json
+ *
+ * Checks:
+ * - Every token has a value and a type
+ * - Every colour token is a valid hex or `rgb(r g b / a)` colour (or a reference
+ *   to another token)
+ * - Every colour token exists for all colour modes
+ * - Every component theme token exists for all theme modes and all colour or
+ *   status modes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getColorModes, getStatusModes, getThemeModes } = require('./figma-raw-to-tokens');
+
+const RAW_PATH = './tokens/figma-variables-raw.json';
+const DEFAULT_FILES = [
+  'tokens/colour.json',
+  'tokens/component-themes.json',
+  'tokens/foundations.json',
+  'tokens/layout.json',
+  'tokens/text-elements.json',
+  'tokens/typography.json',
+];
+
+const HEX_COLOUR = /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const RGB_COLOUR = /^rgb\(\d{1,3} \d{1,3} \d{1,3} \/ (0|1|0?\.\d+)\)$/;
+const REFERENCE = /^\{[^{}]+\}$/;
+
+function parseArgs(argv) {
+  const args = {
+    files: [],
+  };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === '--file' && argv[i + 1]) {
+      args.files.push(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+
+  if (args.files.length === 0) {
+    args.files = DEFAULT_FILES;
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log('Validate processed token files.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --file <path>        Token file to validate, can be repeated');
+  console.log(`                       (default: ${DEFAULT_FILES.join(', ')})`);
+  console.log('  --help, -h           Show this help');
+}
+
+/**
+ * Reads the colour, status and theme mode names from the raw Figma data,
+ * falling back to the defaults when the raw file is not available
+ */
+function getExpectedModes() {
+  let collections = {};
+
+  if (fs.existsSync(RAW_PATH)) {
+    const rawData = JSON.parse(fs.readFileSync(RAW_PATH, 'utf8'));
+    collections = rawData.meta?.variableCollections || {};
+  }
+
+  const toNames = (modes) => modes.map((m) => m.name);
+
+  return {
+    colorModes: toNames(getColorModes(collections)),
+    statusModes: toNames(getStatusModes(collections)),
+    themeModes: toNames(getThemeModes(collections)),
+  };
+}
+
+function isToken(node) {
+  return 'value' in node || '$value' in node;
+}
+
+/**
+ * Walks a token tree, collecting tokens and malformed leaves
+ */
+function collectTokens(node, currentPath, tokens, problems) {
+  const children = Object.entries(node).filter(([key]) => !key.startsWith('$'));
+
+  if (children.length === 0 || children.every(([, child]) => !isPlainObject(child))) {
+    problems.push({
+      path: currentPath,
+      message: currentPath.length === 0 ? 'no tokens' : 'missing value',
+    });
+    return;
+  }
+
+  children.forEach(([key, child]) => {
+    const childPath = [...currentPath, key];
+
+    if (!isPlainObject(child)) {
+      problems.push({ path: childPath, message: `unexpected ${typeof child} value` });
+    } else if (isToken(child)) {
+      tokens.push({ path: childPath, token: child });
+    } else {
+      collectTokens(child, childPath, tokens, problems);
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates the value and type of a single token
+ */
+function validateToken({ path: tokenPath, token }) {
+  const problems = [];
+  const value = '$value' in token ? token.$value : token.value;
+  const type = '$type' in token ? token.$type : token.type;
+
+  if (value === null || value === undefined || value === '') {
+    problems.push({ path: tokenPath, message: 'missing value' });
+  }
+
+  if (!type) {
+    problems.push({ path: tokenPath, message: 'missing type' });
+  }
+
+  if (
+    type === 'color' &&
+    value !== null &&
+    value !== undefined &&
+    !(
+      typeof value === 'string' &&
+      (HEX_COLOUR.test(value) || RGB_COLOUR.test(value) || REFERENCE.test(value))
+    )
+  ) {
+    problems.push({
+      path: tokenPath,
+      message: `invalid colour ${JSON.stringify(value)}`,
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Checks that every token name exists for each expected mode combination.
+ * Tokens are grouped by their path without the trailing mode segments.
+ */
+function validateModeCoverage(tokens, modeDepth, getExpectedCombinations) {
+  const problems = [];
+  const groups = new Map();
+
+  tokens.forEach(({ path: tokenPath }) => {
+    const name = tokenPath.slice(0, -modeDepth).join('/');
+    const modes = tokenPath.slice(-modeDepth);
+
+    if (!groups.has(name)) {
+      groups.set(name, new Set());
+    }
+    groups.get(name).add(modes.join('/'));
+  });
+
+  groups.forEach((found, name) => {
+    const expected = getExpectedCombinations([...found][0].split('/'));
+    if (!expected) {
+      problems.push({ path: name.split('/'), message: 'unknown mode' });
+      return;
+    }
+
+    const missing = expected.filter((combination) => !found.has(combination));
+    if (missing.length > 0) {
+      problems.push({
+        path: name.split('/'),
+        message: `missing modes: ${missing.join(', ')}`,
+      });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validates a single token file and returns the problems found
+ */
+function validateTokenFile(filePath, expectedModes) {
+  if (!fs.existsSync(filePath)) {
+    return [{ path: [], message: 'file not found' }];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return [{ path: [], message: `invalid JSON: ${error.message}` }];
+  }
+
+  const tokens = [];
+  const problems = [];
+  collectTokens(data, [], tokens, problems);
+
+  tokens.forEach((entry) => problems.push(...validateToken(entry)));
+
+  const { colorModes, statusModes, themeModes } = expectedModes;
+  const fileName = path.basename(filePath);
+
+  if (fileName === 'colour.json') {
+    problems.push(
+      ...validateModeCoverage(tokens, 1, ([colorMode]) =>
+        colorModes.includes(colorMode) ? colorModes : null,
+      ),
+    );
+  } else if (fileName === 'component-themes.json') {
+    problems.push(
+      ...validateModeCoverage(tokens, 2, ([, mode]) => {
+        const modes = statusModes.includes(mode)
+          ? statusModes
+          : colorModes.includes(mode)
+            ? colorModes
+            : null;
+
+        if (!modes) return null;
+
+        return themeModes.flatMap((themeMode) =>
+          modes.map((modeName) => `${themeMode}/${modeName}`),
+        );
+      }),
+    );
+  }
+
+  return problems;
+}
+
+function printReport(results) {
+  let total = 0;
+
+  results.forEach(({ file, problems }) => {
+    if (problems.length === 0) {
+      console.log(`  ✓ ${file}`);
+      return;
+    }
+
+    total += problems.length;
+    console.log(`  ✗ ${file} (${problems.length} problems)`);
+    problems.forEach((problem) => {
+      const tokenPath = problem.path.length > 0 ? problem.path.join('.') : '(file)';
+      console.log(`    - ${tokenPath}: ${problem.message}`);
+    });
+  });
+
+  return total;
+}
+
+function main() {
+  const { files } = parseArgs(process.argv);
+
+  console.log('🔍 Validating token files...\n');
+
+  try {
+    const expectedModes = getExpectedModes();
+    const results = files.map((file) => ({
+      file,
+      problems: validateTokenFile(file, expectedModes),
+    }));
+
+    const total = printReport(results);
+
+    if (total > 0) {
+      console.error(`\n❌ Found ${total} problems in token files`);
+      process.exit(1);
+    }
+
+    console.log('\n🎉 All token files are valid!');
+  } catch (error) {
+    console.error('\n❌ Failed to validate token files:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  validateTokenFile,
+};